@@ -0,0 +1,10 @@
+/* Offline pronunciation recordings for speakGerman.
+   German text as written on the pages -> recording path relative to the site root.
+   Keys are matched after normalization (case, ß/umlauts, punctuation, whitespace),
+   so one entry covers every spelling variant of a word.
+
+   Add recordings under audio/de/ and list them here, e.g.
+     "Guten Morgen": "audio/de/guten-morgen.mp3",
+   Run `node tools/audio-report.js` to see which words still lack a recording. */
+window.GermanAudioManifest = {
+};
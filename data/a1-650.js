@@ -0,0 +1,1289 @@
+/* A1 Vocabulary (650) - word list for a1-650.html, rendered by js/vocab.js.
+   The object passed to register() is plain JSON, one word per line. */
+GermanVocab.register({
+    "page": "a1-650",
+    "title": "A1 Vocabulary (650)",
+    "level": "A1",
+    "unit": "words",
+    "rowTint": "20",
+    "columns": [
+        {"key": "german", "label": "German"},
+        {"key": "english", "label": "English"},
+        {"key": "hindi", "label": "Hindi"}
+    ],
+    "sections": [
+        {"id": "Greetings_&_Basics", "title": "Greetings & Basics", "emoji": "👋", "german": "Begrüßung & Grundlagen", "translit": "बेग्रुसुंग & ग्रुंडलागेन", "color": "#e8f5e9", "level": "A1"},
+        {"id": "Colors", "title": "Colors", "emoji": "🎨", "german": "Farben", "translit": "फार्बेन", "color": "#fce4ec", "level": "A1"},
+        {"id": "Family_&_People", "title": "Family & People", "emoji": "👨‍👩‍👧", "german": "Familie & Leute", "translit": "फामीली & लॉयटे", "color": "#e3f2fd", "level": "A1"},
+        {"id": "Body_Parts", "title": "Body Parts", "emoji": "🧍", "german": "Körperteile", "translit": "कोर्परटाइले", "color": "#f3e5f5", "level": "A1"},
+        {"id": "Health_&_Feelings", "title": "Health & Feelings", "emoji": "🏥", "german": "Gesundheit & Gefühle", "translit": "गेज़ुंटहाइट & गेफ्यूले", "color": "#ffccbc", "level": "A1"},
+        {"id": "Food", "title": "Food", "emoji": "🍎", "german": "Essen", "translit": "एसेन", "color": "#c8e6c9", "level": "A1"},
+        {"id": "Drinks", "title": "Drinks", "emoji": "🥤", "german": "Getränke", "translit": "गेट्रेंके", "color": "#b2ebf2", "level": "A1"},
+        {"id": "House_&_Furniture", "title": "House & Furniture", "emoji": "🏠", "german": "Haus & Möbel", "translit": "हाउस & मोबेल", "color": "#fff9c4", "level": "A1"},
+        {"id": "Kitchen_Items", "title": "Kitchen Items", "emoji": "🍽️", "german": "Küchenartikel", "translit": "क्यूखेनआर्टीकेल", "color": "#d7ccc8", "level": "A1"},
+        {"id": "Clothing", "title": "Clothing", "emoji": "👕", "german": "Kleidung", "translit": "क्लाइडुंग", "color": "#c5cae9", "level": "A1"},
+        {"id": "Transport_&_Travel", "title": "Transport & Travel", "emoji": "🚗", "german": "Verkehr & Reisen", "translit": "फेरकेर & राइज़ेन", "color": "#b2dfdb", "level": "A1"},
+        {"id": "Places_&_City", "title": "Places & City", "emoji": "🏙️", "german": "Orte & Stadt", "translit": "ओर्टे & श्टाट", "color": "#eceff1", "level": "A1"},
+        {"id": "Nature_&_Weather", "title": "Nature & Weather", "emoji": "🌳", "german": "Natur & Wetter", "translit": "नाटूर & वेटर", "color": "#dcedc8", "level": "A1"},
+        {"id": "Time", "title": "Time", "emoji": "⏰", "german": "Zeit", "translit": "त्साइट", "color": "#e1bee7", "level": "A1"},
+        {"id": "School_&_Learning", "title": "School & Learning", "emoji": "📚", "german": "Schule & Lernen", "translit": "शूले & लेर्नेन", "color": "#bbdefb", "level": "A1"},
+        {"id": "Work_&_Job", "title": "Work & Job", "emoji": "💼", "german": "Arbeit & Beruf", "translit": "आर्बाइट & बेरूफ", "color": "#cfd8dc", "level": "A1"},
+        {"id": "Shopping_&_Money", "title": "Shopping & Money", "emoji": "🛒", "german": "Einkaufen & Geld", "translit": "आइनकाउफेन & गेल्ट", "color": "#fff59d", "level": "A1"},
+        {"id": "Communication", "title": "Communication", "emoji": "📱", "german": "Kommunikation", "translit": "कोम्युनिकात्सियोन", "color": "#e1bee7", "level": "A1"},
+        {"id": "Animals", "title": "Animals", "emoji": "🐾", "german": "Tiere", "translit": "टीरे", "color": "#ffe082", "level": "A1"},
+        {"id": "Celebrations", "title": "Celebrations", "emoji": "🎉", "german": "Feiern", "translit": "फाइर्न", "color": "#f8bbd9", "level": "A1"},
+        {"id": "Personal_Items", "title": "Personal Items", "emoji": "🎒", "german": "Persönliche Sachen", "translit": "पेर्ज़ोन्लिखे ज़ाखेन", "color": "#80deea", "level": "A1"},
+        {"id": "Question_Words", "title": "Question Words", "emoji": "❓", "german": "Fragewörter", "translit": "फ्रागेवोर्टर", "color": "#ffccbc", "level": "A1"},
+        {"id": "Pronouns", "title": "Pronouns", "emoji": "👤", "german": "Pronomen", "translit": "प्रोनोमेन", "color": "#d1c4e9", "level": "A1"},
+        {"id": "Verbs_(Actions)", "title": "Verbs", "emoji": "🏃", "german": "Verben", "translit": "फेर्बेन", "color": "#c5cae9", "level": "A1"},
+        {"id": "Adjectives", "title": "Adjectives", "emoji": "✨", "german": "Adjektive", "translit": "आड्येक्टीवे", "color": "#ffcc80", "level": "A1"}
+    ],
+    "words": [
+        {"id": "a1-650-0001", "german": "Hallo", "article": null, "plural": null, "english": "Hello", "hindi": "हैलो", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0002", "german": "Guten Morgen", "article": null, "plural": null, "english": "Good morning", "hindi": "सुप्रभात", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0003", "german": "Guten Tag", "article": null, "plural": null, "english": "Good day", "hindi": "नमस्कार", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0004", "german": "Guten Abend", "article": null, "plural": null, "english": "Good evening", "hindi": "शुभ संध्या", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0005", "german": "Gute Nacht", "article": null, "plural": null, "english": "Good night", "hindi": "शुभ रात्रि", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0006", "german": "Tschüss", "article": null, "plural": null, "english": "Bye", "hindi": "बाय", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0007", "german": "Auf Wiedersehen", "article": null, "plural": null, "english": "Goodbye", "hindi": "अलविदा", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0008", "german": "Bis bald", "article": null, "plural": null, "english": "See you soon", "hindi": "जल्दी मिलते हैं", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0009", "german": "Bis später", "article": null, "plural": null, "english": "See you later", "hindi": "बाद में मिलते हैं", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0010", "german": "Bis morgen", "article": null, "plural": null, "english": "See you tomorrow", "hindi": "कल मिलते हैं", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0011", "german": "Wie geht's?", "article": null, "plural": null, "english": "How are you?", "hindi": "कैसे हो?", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0012", "german": "Mir geht es gut", "article": null, "plural": null, "english": "I'm fine", "hindi": "मैं ठीक हूँ", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0013", "german": "Danke, gut", "article": null, "plural": null, "english": "Thanks, good", "hindi": "धन्यवाद, अच्छा", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0014", "german": "Ja", "article": null, "plural": null, "english": "Yes", "hindi": "हाँ", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0015", "german": "Nein", "article": null, "plural": null, "english": "No", "hindi": "नहीं", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0016", "german": "Bitte", "article": null, "plural": null, "english": "Please / You're welcome", "hindi": "कृपया / कोई बात नहीं", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0017", "german": "Danke", "article": null, "plural": null, "english": "Thank you", "hindi": "धन्यवाद", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0018", "german": "Danke schön", "article": null, "plural": null, "english": "Thank you very much", "hindi": "बहुत धन्यवाद", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0019", "german": "Vielen Dank", "article": null, "plural": null, "english": "Many thanks", "hindi": "बहुत धन्यवाद", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0020", "german": "Bitte schön", "article": null, "plural": null, "english": "You're welcome", "hindi": "कोई बात नहीं", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0021", "german": "Entschuldigung", "article": null, "plural": null, "english": "Sorry / Excuse me", "hindi": "माफ़ कीजिए", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0022", "german": "Es tut mir leid", "article": null, "plural": null, "english": "I'm sorry", "hindi": "मुझे खेद है", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0023", "german": "Kein Problem", "article": null, "plural": null, "english": "No problem", "hindi": "कोई बात नहीं", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0024", "german": "Freut mich", "article": null, "plural": null, "english": "Nice to meet you", "hindi": "आपसे मिलकर खुशी हुई", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0025", "german": "Herzlich willkommen", "article": null, "plural": null, "english": "Welcome", "hindi": "स्वागत है", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0026", "german": "Guten Appetit", "article": null, "plural": null, "english": "Enjoy your meal", "hindi": "खाने का आनंद लें", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0027", "german": "Prost!", "article": null, "plural": null, "english": "Cheers!", "hindi": "चीयर्स!", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0028", "german": "Gesundheit!", "article": null, "plural": null, "english": "Bless you!", "hindi": "भगवान करे!", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0029", "german": "Alles Gute", "article": null, "plural": null, "english": "All the best", "hindi": "शुभकामनाएं", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0030", "german": "Viel Glück", "article": null, "plural": null, "english": "Good luck", "hindi": "शुभकामनाएं", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0031", "german": "Viel Spaß", "article": null, "plural": null, "english": "Have fun", "hindi": "मज़े करो", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0032", "german": "Gute Reise", "article": null, "plural": null, "english": "Have a good trip", "hindi": "शुभ यात्रा", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0033", "german": "Wie bitte?", "article": null, "plural": null, "english": "Pardon?", "hindi": "क्या कहा?", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0034", "german": "Ich verstehe nicht", "article": null, "plural": null, "english": "I don't understand", "hindi": "मुझे समझ नहीं आया", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0035", "german": "Langsam, bitte", "article": null, "plural": null, "english": "Slowly, please", "hindi": "धीरे बोलिए", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0036", "german": "Noch einmal, bitte", "article": null, "plural": null, "english": "Once more, please", "hindi": "एक बार और", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0037", "german": "Natürlich!", "article": null, "plural": null, "english": "Of course!", "hindi": "बिल्कुल!", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0038", "german": "Genau!", "article": null, "plural": null, "english": "Exactly!", "hindi": "बिल्कुल सही!", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0039", "german": "Richtig!", "article": null, "plural": null, "english": "Right!", "hindi": "सही!", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0040", "german": "Alles klar", "article": null, "plural": null, "english": "Got it", "hindi": "समझ गया", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0041", "german": "Moment mal", "article": null, "plural": null, "english": "Wait a moment", "hindi": "एक मिनट", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0042", "german": "Hilfe!", "article": null, "plural": null, "english": "Help!", "hindi": "मदद!", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0043", "german": "Achtung!", "article": null, "plural": null, "english": "Watch out!", "hindi": "ध्यान दो!", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0044", "german": "Vorsicht!", "article": null, "plural": null, "english": "Careful!", "hindi": "सावधान!", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0045", "german": "Toll!", "article": null, "plural": null, "english": "Great!", "hindi": "बहुत अच्छा!", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0046", "german": "Super!", "article": null, "plural": null, "english": "Super!", "hindi": "बढ़िया!", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0047", "german": "Prima!", "article": null, "plural": null, "english": "Great!", "hindi": "उत्तम!", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0048", "german": "Schade!", "article": null, "plural": null, "english": "Too bad!", "hindi": "अफ़सोस!", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0049", "german": "Macht nichts", "article": null, "plural": null, "english": "No matter", "hindi": "कोई बात नहीं", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0050", "german": "Keine Ahnung", "article": null, "plural": null, "english": "No idea", "hindi": "पता नहीं", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0051", "german": "Ich weiß nicht", "article": null, "plural": null, "english": "I don't know", "hindi": "मुझे नहीं पता", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0052", "german": "Stimmt!", "article": null, "plural": null, "english": "That's right!", "hindi": "सही है!", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0053", "german": "Ich auch", "article": null, "plural": null, "english": "Me too", "hindi": "मैं भी", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0054", "german": "Sicher!", "article": null, "plural": null, "english": "Sure!", "hindi": "ज़रूर!", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0055", "german": "Gern geschehen", "article": null, "plural": null, "english": "You're welcome", "hindi": "खुशी से", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0056", "german": "Einverstanden", "article": null, "plural": null, "english": "Agreed", "hindi": "मंज़ूर", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0057", "german": "Es geht", "article": null, "plural": null, "english": "So-so", "hindi": "ठीक-ठाक", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0058", "german": "Nicht so gut", "article": null, "plural": null, "english": "Not so good", "hindi": "इतना अच्छा नहीं", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0059", "german": "Was ist los?", "article": null, "plural": null, "english": "What's up?", "hindi": "क्या हुआ?", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0060", "german": "Bis dann!", "article": null, "plural": null, "english": "See you then!", "hindi": "फिर मिलेंगे!", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0061", "german": "Gute Besserung!", "article": null, "plural": null, "english": "Get well soon!", "hindi": "जल्दी ठीक हो जाओ!", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0062", "german": "Schönes Wochenende!", "article": null, "plural": null, "english": "Have a nice weekend!", "hindi": "अच्छा वीकेंड!", "translit": null, "level": "A1", "topic": "Greetings_&_Basics"},
+        {"id": "a1-650-0063", "german": "Farbe", "article": "die", "plural": null, "english": "color", "hindi": "रंग", "translit": null, "level": "A1", "topic": "Colors"},
+        {"id": "a1-650-0064", "german": "rot", "article": null, "plural": null, "english": "red 🔴", "hindi": "लाल", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #ff000020;"},
+        {"id": "a1-650-0065", "german": "blau", "article": null, "plural": null, "english": "blue 🔵", "hindi": "नीला", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #0000ff15;"},
+        {"id": "a1-650-0066", "german": "gelb", "article": null, "plural": null, "english": "yellow 🟡", "hindi": "पीला", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #ffff0020;"},
+        {"id": "a1-650-0067", "german": "grün", "article": null, "plural": null, "english": "green 🟢", "hindi": "हरा", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #00ff0015;"},
+        {"id": "a1-650-0068", "german": "orange", "article": null, "plural": null, "english": "orange 🟠", "hindi": "नारंगी", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #ffa50020;"},
+        {"id": "a1-650-0069", "german": "lila / violett", "article": null, "plural": null, "english": "purple / violet 🟣", "hindi": "बैंगनी", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #80008015;"},
+        {"id": "a1-650-0070", "german": "schwarz", "article": null, "plural": null, "english": "black ⚫", "hindi": "काला", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #00000015;"},
+        {"id": "a1-650-0071", "german": "weiß", "article": null, "plural": null, "english": "white ⚪", "hindi": "सफ़ेद", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #ffffff; border: 1px solid #ddd;"},
+        {"id": "a1-650-0072", "german": "grau", "article": null, "plural": null, "english": "gray / grey", "hindi": "धूसर / स्लेटी", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #80808020;"},
+        {"id": "a1-650-0073", "german": "braun", "article": null, "plural": null, "english": "brown 🟤", "hindi": "भूरा", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #8b451320;"},
+        {"id": "a1-650-0074", "german": "rosa / pink", "article": null, "plural": null, "english": "pink", "hindi": "गुलाबी", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #ffc0cb25;"},
+        {"id": "a1-650-0075", "german": "hellblau", "article": null, "plural": null, "english": "light blue", "hindi": "हल्का नीला", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #add8e620;"},
+        {"id": "a1-650-0076", "german": "dunkelblau", "article": null, "plural": null, "english": "dark blue", "hindi": "गहरा नीला", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #00008b20;"},
+        {"id": "a1-650-0077", "german": "hellgrün", "article": null, "plural": null, "english": "light green", "hindi": "हल्का हरा", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #90ee9020;"},
+        {"id": "a1-650-0078", "german": "dunkelgrün", "article": null, "plural": null, "english": "dark green", "hindi": "गहरा हरा", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #00640020;"},
+        {"id": "a1-650-0079", "german": "golden / gold", "article": null, "plural": null, "english": "golden / gold", "hindi": "सुनहरा / सोना", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #ffd70020;"},
+        {"id": "a1-650-0080", "german": "silbern / silber", "article": null, "plural": null, "english": "silver", "hindi": "चाँदी / रजत", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #c0c0c025;"},
+        {"id": "a1-650-0081", "german": "türkis", "article": null, "plural": null, "english": "turquoise", "hindi": "फ़िरोज़ी", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #40e0d020;"},
+        {"id": "a1-650-0082", "german": "beige", "article": null, "plural": null, "english": "beige", "hindi": "बेज / मटमैला", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #f5f5dc25;"},
+        {"id": "a1-650-0083", "german": "hellrot", "article": null, "plural": null, "english": "light red", "hindi": "हल्का लाल", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #ff634720;"},
+        {"id": "a1-650-0084", "german": "dunkelrot", "article": null, "plural": null, "english": "dark red", "hindi": "गहरा लाल", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #8b000020;"},
+        {"id": "a1-650-0085", "german": "hellgrau", "article": null, "plural": null, "english": "light gray", "hindi": "हल्का धूसर", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #d3d3d320;"},
+        {"id": "a1-650-0086", "german": "dunkelgrau", "article": null, "plural": null, "english": "dark gray", "hindi": "गहरा धूसर", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #69696920;"},
+        {"id": "a1-650-0087", "german": "hellbraun", "article": null, "plural": null, "english": "light brown / tan", "hindi": "हल्का भूरा", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #d2b48c20;"},
+        {"id": "a1-650-0088", "german": "dunkelbraun", "article": null, "plural": null, "english": "dark brown", "hindi": "गहरा भूरा", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #5d432120;"},
+        {"id": "a1-650-0089", "german": "hell", "article": null, "plural": null, "english": "light (color)", "hindi": "हल्का", "translit": null, "level": "A1", "topic": "Colors"},
+        {"id": "a1-650-0090", "german": "dunkel", "article": null, "plural": null, "english": "dark", "hindi": "गहरा", "translit": null, "level": "A1", "topic": "Colors"},
+        {"id": "a1-650-0091", "german": "bunt", "article": null, "plural": null, "english": "colorful", "hindi": "रंगीन", "translit": null, "level": "A1", "topic": "Colors"},
+        {"id": "a1-650-0092", "german": "weinrot", "article": null, "plural": null, "english": "wine red / burgundy", "hindi": "बरगंडी / वाइन लाल", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #72214720;"},
+        {"id": "a1-650-0093", "german": "marineblau", "article": null, "plural": null, "english": "navy blue", "hindi": "नेवी नीला", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #00008020;"},
+        {"id": "a1-650-0094", "german": "olivgrün", "article": null, "plural": null, "english": "olive green", "hindi": "जैतून हरा", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #80800020;"},
+        {"id": "a1-650-0095", "german": "cremefarben", "article": null, "plural": null, "english": "cream colored", "hindi": "क्रीम रंग", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #fffdd020;"},
+        {"id": "a1-650-0096", "german": "koralle", "article": null, "plural": null, "english": "coral", "hindi": "मूंगा रंग", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #ff7f5020;"},
+        {"id": "a1-650-0097", "german": "mintgrün", "article": null, "plural": null, "english": "mint green", "hindi": "पुदीना हरा", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #98ff9820;"},
+        {"id": "a1-650-0098", "german": "lachsfarben", "article": null, "plural": null, "english": "salmon", "hindi": "सैल्मन रंग", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #fa807220;"},
+        {"id": "a1-650-0099", "german": "flieder", "article": null, "plural": null, "english": "lilac", "hindi": "हल्का बैंगनी", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #c8a2c820;"},
+        {"id": "a1-650-0100", "german": "khaki", "article": null, "plural": null, "english": "khaki", "hindi": "खाकी", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #c3b09120;"},
+        {"id": "a1-650-0101", "german": "elfenbein", "article": null, "plural": null, "english": "ivory", "hindi": "हाथी दांत रंग", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #fffff020;"},
+        {"id": "a1-650-0102", "german": "rostbraun", "article": null, "plural": null, "english": "rust brown", "hindi": "जंग रंग", "translit": null, "level": "A1", "topic": "Colors", "rowStyle": "background-color: #b7410e20;"},
+        {"id": "a1-650-0103", "german": "Familie", "article": "die", "plural": null, "english": "family 👨‍👩‍👧", "hindi": "परिवार", "translit": null, "level": "A1", "topic": "Family_&_People"},
+        {"id": "a1-650-0104", "german": "Person", "article": "die", "plural": null, "english": "person", "hindi": "व्यक्ति", "translit": null, "level": "A1", "topic": "Family_&_People"},
+        {"id": "a1-650-0105", "german": "Leute", "article": "die", "plural": null, "english": "people", "hindi": "लोग", "translit": null, "level": "A1", "topic": "Family_&_People"},
+        {"id": "a1-650-0106", "german": "Eltern", "article": "die", "plural": null, "english": "parents 👨‍👩", "hindi": "माता-पिता", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "30"},
+        {"id": "a1-650-0107", "german": "Vater", "article": "der", "plural": null, "english": "father 👨", "hindi": "पिता", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "30"},
+        {"id": "a1-650-0108", "german": "Mutter", "article": "die", "plural": null, "english": "mother 👩", "hindi": "माँ", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "30"},
+        {"id": "a1-650-0109", "german": "Papa", "article": "der", "plural": null, "english": "dad (informal)", "hindi": "पापा", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "30"},
+        {"id": "a1-650-0110", "german": "Mama", "article": "die", "plural": null, "english": "mom (informal)", "hindi": "मम्मी", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "30"},
+        {"id": "a1-650-0111", "german": "Kind", "article": "das", "plural": null, "english": "child 👶", "hindi": "बच्चा", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "40"},
+        {"id": "a1-650-0112", "german": "Kinder", "article": "die", "plural": null, "english": "children", "hindi": "बच्चे", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "40"},
+        {"id": "a1-650-0113", "german": "Sohn", "article": "der", "plural": null, "english": "son 👦", "hindi": "बेटा", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "40"},
+        {"id": "a1-650-0114", "german": "Tochter", "article": "die", "plural": null, "english": "daughter 👧", "hindi": "बेटी", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "40"},
+        {"id": "a1-650-0115", "german": "Baby", "article": "das", "plural": null, "english": "baby 👶", "hindi": "शिशु", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "40"},
+        {"id": "a1-650-0116", "german": "Geschwister", "article": "die", "plural": null, "english": "siblings", "hindi": "भाई-बहन", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "50"},
+        {"id": "a1-650-0117", "german": "Bruder", "article": "der", "plural": null, "english": "brother 👦", "hindi": "भाई", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "50"},
+        {"id": "a1-650-0118", "german": "Schwester", "article": "die", "plural": null, "english": "sister 👧", "hindi": "बहन", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "50"},
+        {"id": "a1-650-0119", "german": "Großeltern", "article": "die", "plural": null, "english": "grandparents", "hindi": "दादा-दादी / नाना-नानी", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "60"},
+        {"id": "a1-650-0120", "german": "Großvater", "article": "der", "plural": null, "english": "grandfather (formal)", "hindi": "दादा / नाना", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "60"},
+        {"id": "a1-650-0121", "german": "Großmutter", "article": "die", "plural": null, "english": "grandmother (formal)", "hindi": "दादी / नानी", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "60"},
+        {"id": "a1-650-0122", "german": "Opa", "article": "der", "plural": null, "english": "grandpa 👴", "hindi": "दादा / नाना", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "60"},
+        {"id": "a1-650-0123", "german": "Oma", "article": "die", "plural": null, "english": "grandma 👵", "hindi": "दादी / नानी", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "60"},
+        {"id": "a1-650-0124", "german": "Onkel", "article": "der", "plural": null, "english": "uncle", "hindi": "चाचा / मामा / काका", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "70"},
+        {"id": "a1-650-0125", "german": "Tante", "article": "die", "plural": null, "english": "aunt", "hindi": "चाची / मामी / बुआ", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "70"},
+        {"id": "a1-650-0126", "german": "Cousin", "article": "der", "plural": null, "english": "cousin (male)", "hindi": "चचेरा/ममेरा भाई", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "70"},
+        {"id": "a1-650-0127", "german": "Cousine", "article": "die", "plural": null, "english": "cousin (female)", "hindi": "चचेरी/ममेरी बहन", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "70"},
+        {"id": "a1-650-0128", "german": "Neffe", "article": "der", "plural": null, "english": "nephew", "hindi": "भतीजा / भांजा", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "70"},
+        {"id": "a1-650-0129", "german": "Nichte", "article": "die", "plural": null, "english": "niece", "hindi": "भतीजी / भांजी", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "70"},
+        {"id": "a1-650-0130", "german": "Enkelkind", "article": "das", "plural": null, "english": "grandchild", "hindi": "पोता/पोती / नाती/नातिन", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "70"},
+        {"id": "a1-650-0131", "german": "Mann", "article": "der", "plural": null, "english": "man / husband 👨", "hindi": "आदमी / पति", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "80"},
+        {"id": "a1-650-0132", "german": "Frau", "article": "die", "plural": null, "english": "woman / wife 👩", "hindi": "महिला / पत्नी", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "80"},
+        {"id": "a1-650-0133", "german": "Ehemann", "article": "der", "plural": null, "english": "husband", "hindi": "पति", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "80"},
+        {"id": "a1-650-0134", "german": "Ehefrau", "article": "die", "plural": null, "english": "wife", "hindi": "पत्नी", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "80"},
+        {"id": "a1-650-0135", "german": "Partner", "article": "der", "plural": null, "english": "partner (m)", "hindi": "साथी (पुरुष)", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "80"},
+        {"id": "a1-650-0136", "german": "Partnerin", "article": "die", "plural": null, "english": "partner (f)", "hindi": "साथी (महिला)", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "80"},
+        {"id": "a1-650-0137", "german": "Freund", "article": "der", "plural": null, "english": "friend (m) / boyfriend", "hindi": "दोस्त / बॉयफ्रेंड", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "90"},
+        {"id": "a1-650-0138", "german": "Freundin", "article": "die", "plural": null, "english": "friend (f) / girlfriend", "hindi": "सहेली / गर्लफ्रेंड", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "90"},
+        {"id": "a1-650-0139", "german": "Bekannte", "article": "der", "plural": null, "english": "acquaintance (m)", "hindi": "परिचित (पुरुष)", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "90"},
+        {"id": "a1-650-0140", "german": "Bekannte", "article": "die", "plural": null, "english": "acquaintance (f)", "hindi": "परिचित (महिला)", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "90"},
+        {"id": "a1-650-0141", "german": "Nachbar", "article": "der", "plural": null, "english": "neighbor (m)", "hindi": "पड़ोसी (पुरुष)", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "90"},
+        {"id": "a1-650-0142", "german": "Nachbarin", "article": "die", "plural": null, "english": "neighbor (f)", "hindi": "पड़ोसन", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "90"},
+        {"id": "a1-650-0143", "german": "Gast", "article": "der", "plural": null, "english": "guest", "hindi": "मेहमान", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "90"},
+        {"id": "a1-650-0144", "german": "Junge", "article": "der", "plural": null, "english": "boy 👦", "hindi": "लड़का", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "a0"},
+        {"id": "a1-650-0145", "german": "Mädchen", "article": "das", "plural": null, "english": "girl 👧", "hindi": "लड़की", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "a0"},
+        {"id": "a1-650-0146", "german": "Jugendliche", "article": "der", "plural": null, "english": "teenager / youth", "hindi": "किशोर", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "a0"},
+        {"id": "a1-650-0147", "german": "Erwachsene", "article": "der", "plural": null, "english": "adult", "hindi": "वयस्क", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "a0"},
+        {"id": "a1-650-0148", "german": "Herr", "article": null, "plural": null, "english": "Mr. / Sir", "hindi": "श्रीमान", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "b0"},
+        {"id": "a1-650-0149", "german": "Frau", "article": null, "plural": null, "english": "Mrs. / Ms. / Ma'am", "hindi": "श्रीमती", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "b0"},
+        {"id": "a1-650-0150", "german": "Familienstand", "article": "der", "plural": null, "english": "marital status", "hindi": "वैवाहिक स्थिति", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "c0"},
+        {"id": "a1-650-0151", "german": "ledig", "article": null, "plural": null, "english": "single (unmarried)", "hindi": "अविवाहित", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "c0"},
+        {"id": "a1-650-0152", "german": "verheiratet", "article": null, "plural": null, "english": "married 💍", "hindi": "विवाहित", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "c0"},
+        {"id": "a1-650-0153", "german": "geschieden", "article": null, "plural": null, "english": "divorced", "hindi": "तलाकशुदा", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "c0"},
+        {"id": "a1-650-0154", "german": "verwitwet", "article": null, "plural": null, "english": "widowed", "hindi": "विधवा/विधुर", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "c0"},
+        {"id": "a1-650-0155", "german": "Ehe", "article": "die", "plural": null, "english": "marriage", "hindi": "विवाह", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "c0"},
+        {"id": "a1-650-0156", "german": "Hochzeit", "article": "die", "plural": null, "english": "wedding 💒", "hindi": "शादी", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "c0"},
+        {"id": "a1-650-0157", "german": "Name", "article": "der", "plural": null, "english": "name", "hindi": "नाम", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "d0"},
+        {"id": "a1-650-0158", "german": "Vorname", "article": "der", "plural": null, "english": "first name", "hindi": "पहला नाम", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "d0"},
+        {"id": "a1-650-0159", "german": "Nachname", "article": "der", "plural": null, "english": "last name / surname", "hindi": "उपनाम", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "d0"},
+        {"id": "a1-650-0160", "german": "Alter", "article": "das", "plural": null, "english": "age", "hindi": "उम्र", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "d0"},
+        {"id": "a1-650-0161", "german": "Geburtstag", "article": "der", "plural": null, "english": "birthday 🎂", "hindi": "जन्मदिन", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "d0"},
+        {"id": "a1-650-0162", "german": "Geburtsort", "article": "der", "plural": null, "english": "place of birth", "hindi": "जन्मस्थान", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "d0"},
+        {"id": "a1-650-0163", "german": "Nationalität", "article": "die", "plural": null, "english": "nationality", "hindi": "राष्ट्रीयता", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "d0"},
+        {"id": "a1-650-0164", "german": "Heimat", "article": "die", "plural": null, "english": "homeland", "hindi": "मातृभूमि", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "d0"},
+        {"id": "a1-650-0165", "german": "Herkunft", "article": "die", "plural": null, "english": "origin", "hindi": "मूल", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "d0"},
+        {"id": "a1-650-0166", "german": "jung", "article": null, "plural": null, "english": "young", "hindi": "जवान", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "e0"},
+        {"id": "a1-650-0167", "german": "alt", "article": null, "plural": null, "english": "old", "hindi": "बूढ़ा / पुराना", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "e0"},
+        {"id": "a1-650-0168", "german": "freundlich", "article": null, "plural": null, "english": "friendly", "hindi": "मिलनसार", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "e0"},
+        {"id": "a1-650-0169", "german": "nett", "article": null, "plural": null, "english": "nice / kind", "hindi": "अच्छा / दयालु", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "e0"},
+        {"id": "a1-650-0170", "german": "Verwandte", "article": "der", "plural": null, "english": "relative", "hindi": "रिश्तेदार", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "f0"},
+        {"id": "a1-650-0171", "german": "Zwilling", "article": "der", "plural": null, "english": "twin", "hindi": "जुड़वां", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "f0"},
+        {"id": "a1-650-0172", "german": "Generation", "article": "die", "plural": null, "english": "generation", "hindi": "पीढ़ी", "translit": null, "level": "A1", "topic": "Family_&_People", "tint": "f0"},
+        {"id": "a1-650-0173", "german": "Körper", "article": "der", "plural": null, "english": "body 🧍", "hindi": "शरीर", "translit": null, "level": "A1", "topic": "Body_Parts"},
+        {"id": "a1-650-0174", "german": "Kopf", "article": "der", "plural": null, "english": "head", "hindi": "सिर", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "30"},
+        {"id": "a1-650-0175", "german": "Gesicht", "article": "das", "plural": null, "english": "face 😊", "hindi": "चेहरा", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "30"},
+        {"id": "a1-650-0176", "german": "Stirn", "article": "die", "plural": null, "english": "forehead", "hindi": "माथा", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "30"},
+        {"id": "a1-650-0177", "german": "das Haar / die Haare", "article": null, "plural": null, "english": "hair", "hindi": "बाल", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "30"},
+        {"id": "a1-650-0178", "german": "Auge", "article": "das", "plural": null, "english": "eye 👁️", "hindi": "आँख", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "40"},
+        {"id": "a1-650-0179", "german": "Augen", "article": "die", "plural": null, "english": "eyes 👀", "hindi": "आँखें", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "40"},
+        {"id": "a1-650-0180", "german": "Augenbraue", "article": "die", "plural": null, "english": "eyebrow", "hindi": "भौं", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "40"},
+        {"id": "a1-650-0181", "german": "Ohr", "article": "das", "plural": null, "english": "ear 👂", "hindi": "कान", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "50"},
+        {"id": "a1-650-0182", "german": "Ohren", "article": "die", "plural": null, "english": "ears", "hindi": "कान (दोनों)", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "50"},
+        {"id": "a1-650-0183", "german": "Nase", "article": "die", "plural": null, "english": "nose 👃", "hindi": "नाक", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "50"},
+        {"id": "a1-650-0184", "german": "Mund", "article": "der", "plural": null, "english": "mouth 👄", "hindi": "मुँह", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "50"},
+        {"id": "a1-650-0185", "german": "Lippe", "article": "die", "plural": null, "english": "lip", "hindi": "होंठ", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "50"},
+        {"id": "a1-650-0186", "german": "Zunge", "article": "die", "plural": null, "english": "tongue 👅", "hindi": "जीभ", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "50"},
+        {"id": "a1-650-0187", "german": "Zahn", "article": "der", "plural": null, "english": "tooth 🦷", "hindi": "दाँत", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "50"},
+        {"id": "a1-650-0188", "german": "Zähne", "article": "die", "plural": null, "english": "teeth", "hindi": "दाँत (सब)", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "50"},
+        {"id": "a1-650-0189", "german": "Wange", "article": "die", "plural": null, "english": "cheek", "hindi": "गाल", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "60"},
+        {"id": "a1-650-0190", "german": "Kinn", "article": "das", "plural": null, "english": "chin", "hindi": "ठुड्डी", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "60"},
+        {"id": "a1-650-0191", "german": "Bart", "article": "der", "plural": null, "english": "beard 🧔", "hindi": "दाढ़ी", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "60"},
+        {"id": "a1-650-0192", "german": "Hals", "article": "der", "plural": null, "english": "neck / throat", "hindi": "गर्दन / गला", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "70"},
+        {"id": "a1-650-0193", "german": "Schulter", "article": "die", "plural": null, "english": "shoulder", "hindi": "कंधा", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "70"},
+        {"id": "a1-650-0194", "german": "Arm", "article": "der", "plural": null, "english": "arm 💪", "hindi": "बाँह", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "80"},
+        {"id": "a1-650-0195", "german": "Ellbogen", "article": "der", "plural": null, "english": "elbow", "hindi": "कोहनी", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "80"},
+        {"id": "a1-650-0196", "german": "Hand", "article": "die", "plural": null, "english": "hand ✋", "hindi": "हाथ", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "80"},
+        {"id": "a1-650-0197", "german": "Hände", "article": "die", "plural": null, "english": "hands", "hindi": "हाथ (दोनों)", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "80"},
+        {"id": "a1-650-0198", "german": "Finger", "article": "der", "plural": null, "english": "finger ☝️", "hindi": "उंगली", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "80"},
+        {"id": "a1-650-0199", "german": "Daumen", "article": "der", "plural": null, "english": "thumb 👍", "hindi": "अंगूठा", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "80"},
+        {"id": "a1-650-0200", "german": "Brust", "article": "die", "plural": null, "english": "chest / breast", "hindi": "छाती / सीना", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "90"},
+        {"id": "a1-650-0201", "german": "Bauch", "article": "der", "plural": null, "english": "stomach / belly", "hindi": "पेट", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "90"},
+        {"id": "a1-650-0202", "german": "Rücken", "article": "der", "plural": null, "english": "back", "hindi": "पीठ", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "90"},
+        {"id": "a1-650-0203", "german": "Hüfte", "article": "die", "plural": null, "english": "hip", "hindi": "कूल्हा", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "90"},
+        {"id": "a1-650-0204", "german": "Herz", "article": "das", "plural": null, "english": "heart ❤️", "hindi": "दिल", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "a0"},
+        {"id": "a1-650-0205", "german": "Blut", "article": "das", "plural": null, "english": "blood 🩸", "hindi": "खून", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "a0"},
+        {"id": "a1-650-0206", "german": "Knochen", "article": "der", "plural": null, "english": "bone 🦴", "hindi": "हड्डी", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "a0"},
+        {"id": "a1-650-0207", "german": "Haut", "article": "die", "plural": null, "english": "skin", "hindi": "त्वचा / चमड़ी", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "a0"},
+        {"id": "a1-650-0208", "german": "Bein", "article": "das", "plural": null, "english": "leg 🦵", "hindi": "टांग", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "b0"},
+        {"id": "a1-650-0209", "german": "Knie", "article": "das", "plural": null, "english": "knee", "hindi": "घुटना", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "b0"},
+        {"id": "a1-650-0210", "german": "Fuß", "article": "der", "plural": null, "english": "foot 🦶", "hindi": "पैर", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "b0"},
+        {"id": "a1-650-0211", "german": "Füße", "article": "die", "plural": null, "english": "feet", "hindi": "पैर (दोनों)", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "b0"},
+        {"id": "a1-650-0212", "german": "Zeh", "article": "der", "plural": null, "english": "toe", "hindi": "पैर की उंगली", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "b0"},
+        {"id": "a1-650-0213", "german": "sehen", "article": null, "plural": null, "english": "to see 👁️", "hindi": "देखना", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "c0"},
+        {"id": "a1-650-0214", "german": "hören", "article": null, "plural": null, "english": "to hear 👂", "hindi": "सुनना", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "c0"},
+        {"id": "a1-650-0215", "german": "riechen", "article": null, "plural": null, "english": "to smell 👃", "hindi": "सूँघना", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "c0"},
+        {"id": "a1-650-0216", "german": "schmecken", "article": null, "plural": null, "english": "to taste 👅", "hindi": "स्वाद लेना", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "c0"},
+        {"id": "a1-650-0217", "german": "fühlen", "article": null, "plural": null, "english": "to feel ✋", "hindi": "महसूस करना", "translit": null, "level": "A1", "topic": "Body_Parts", "tint": "c0"},
+        {"id": "a1-650-0218", "german": "Gesundheit", "article": "die", "plural": null, "english": "health 🏥", "hindi": "स्वास्थ्य", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee20;"},
+        {"id": "a1-650-0219", "german": "gesund", "article": null, "plural": null, "english": "healthy ✅", "hindi": "स्वस्थ", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee20;"},
+        {"id": "a1-650-0220", "german": "krank", "article": null, "plural": null, "english": "sick / ill 🤒", "hindi": "बीमार", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee20;"},
+        {"id": "a1-650-0221", "german": "Krankheit", "article": "die", "plural": null, "english": "illness / disease", "hindi": "बीमारी", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee20;"},
+        {"id": "a1-650-0222", "german": "Arzt", "article": "der", "plural": null, "english": "doctor (m) 👨‍⚕️", "hindi": "डॉक्टर (पुरुष)", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee30;"},
+        {"id": "a1-650-0223", "german": "Ärztin", "article": "die", "plural": null, "english": "doctor (f) 👩‍⚕️", "hindi": "डॉक्टर (महिला)", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee30;"},
+        {"id": "a1-650-0224", "german": "Zahnarzt", "article": "der", "plural": null, "english": "dentist 🦷", "hindi": "दंत चिकित्सक", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee30;"},
+        {"id": "a1-650-0225", "german": "Krankenhaus", "article": "das", "plural": null, "english": "hospital 🏥", "hindi": "अस्पताल", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee30;"},
+        {"id": "a1-650-0226", "german": "Praxis", "article": "die", "plural": null, "english": "doctor's office", "hindi": "क्लिनिक", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee30;"},
+        {"id": "a1-650-0227", "german": "Apotheke", "article": "die", "plural": null, "english": "pharmacy 💊", "hindi": "दवाखाना", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee30;"},
+        {"id": "a1-650-0228", "german": "Termin", "article": "der", "plural": null, "english": "appointment", "hindi": "अपॉइंटमेंट", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee30;"},
+        {"id": "a1-650-0229", "german": "Medizin", "article": "die", "plural": null, "english": "medicine 💊", "hindi": "दवा", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee40;"},
+        {"id": "a1-650-0230", "german": "Medikament", "article": "das", "plural": null, "english": "medication", "hindi": "दवाई", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee40;"},
+        {"id": "a1-650-0231", "german": "Tablette", "article": "die", "plural": null, "english": "tablet / pill", "hindi": "गोली", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee40;"},
+        {"id": "a1-650-0232", "german": "Rezept", "article": "das", "plural": null, "english": "prescription", "hindi": "पर्चा / नुस्खा", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee40;"},
+        {"id": "a1-650-0233", "german": "Erkältung", "article": "die", "plural": null, "english": "cold (illness) 🤧", "hindi": "सर्दी-जुकाम", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee50;"},
+        {"id": "a1-650-0234", "german": "Fieber", "article": "das", "plural": null, "english": "fever 🤒", "hindi": "बुखार", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee50;"},
+        {"id": "a1-650-0235", "german": "Husten", "article": "der", "plural": null, "english": "cough", "hindi": "खाँसी", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee50;"},
+        {"id": "a1-650-0236", "german": "Schnupfen", "article": "der", "plural": null, "english": "runny nose / cold", "hindi": "नज़ला / सर्दी", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee50;"},
+        {"id": "a1-650-0237", "german": "Grippe", "article": "die", "plural": null, "english": "flu", "hindi": "फ्लू", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee50;"},
+        {"id": "a1-650-0238", "german": "Schmerz", "article": "der", "plural": null, "english": "pain", "hindi": "दर्द", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee60;"},
+        {"id": "a1-650-0239", "german": "Schmerzen", "article": "die", "plural": null, "english": "pains", "hindi": "दर्द (बहुवचन)", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee60;"},
+        {"id": "a1-650-0240", "german": "wehtun", "article": null, "plural": null, "english": "to hurt", "hindi": "दर्द होना", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee60;"},
+        {"id": "a1-650-0241", "german": "Kopfschmerzen", "article": null, "plural": null, "english": "headache 🤕", "hindi": "सिरदर्द", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee60;"},
+        {"id": "a1-650-0242", "german": "Bauchschmerzen", "article": null, "plural": null, "english": "stomach ache", "hindi": "पेट दर्द", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee60;"},
+        {"id": "a1-650-0243", "german": "Zahnschmerzen", "article": null, "plural": null, "english": "toothache", "hindi": "दाँत दर्द", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee60;"},
+        {"id": "a1-650-0244", "german": "Halsschmerzen", "article": null, "plural": null, "english": "sore throat", "hindi": "गले में दर्द", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee60;"},
+        {"id": "a1-650-0245", "german": "Rückenschmerzen", "article": null, "plural": null, "english": "back pain", "hindi": "पीठ दर्द", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee60;"},
+        {"id": "a1-650-0246", "german": "müde", "article": null, "plural": null, "english": "tired 😴", "hindi": "थका हुआ", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee70;"},
+        {"id": "a1-650-0247", "german": "Hunger", "article": "der", "plural": null, "english": "hunger", "hindi": "भूख", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee70;"},
+        {"id": "a1-650-0248", "german": "hungrig", "article": null, "plural": null, "english": "hungry 🍽️", "hindi": "भूखा", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee70;"},
+        {"id": "a1-650-0249", "german": "Durst", "article": "der", "plural": null, "english": "thirst", "hindi": "प्यास", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee70;"},
+        {"id": "a1-650-0250", "german": "durstig", "article": null, "plural": null, "english": "thirsty 🥤", "hindi": "प्यासा", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee70;"},
+        {"id": "a1-650-0251", "german": "warm", "article": null, "plural": null, "english": "warm", "hindi": "गर्म", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee70;"},
+        {"id": "a1-650-0252", "german": "kalt", "article": null, "plural": null, "english": "cold", "hindi": "ठंडा", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee70;"},
+        {"id": "a1-650-0253", "german": "Gefühl", "article": "das", "plural": null, "english": "feeling", "hindi": "भावना", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #c8e6c930;"},
+        {"id": "a1-650-0254", "german": "fühlen (sich)", "article": null, "plural": null, "english": "to feel", "hindi": "महसूस करना", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #c8e6c930;"},
+        {"id": "a1-650-0255", "german": "gut", "article": null, "plural": null, "english": "good / well", "hindi": "अच्छा", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #c8e6c930;"},
+        {"id": "a1-650-0256", "german": "schlecht", "article": null, "plural": null, "english": "bad / unwell", "hindi": "बुरा / खराब", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #c8e6c930;"},
+        {"id": "a1-650-0257", "german": "glücklich", "article": null, "plural": null, "english": "happy 😊", "hindi": "खुश", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #c8e6c940;"},
+        {"id": "a1-650-0258", "german": "froh", "article": null, "plural": null, "english": "glad / pleased", "hindi": "प्रसन्न", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #c8e6c940;"},
+        {"id": "a1-650-0259", "german": "zufrieden", "article": null, "plural": null, "english": "satisfied / content", "hindi": "संतुष्ट", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #c8e6c940;"},
+        {"id": "a1-650-0260", "german": "freuen (sich)", "article": null, "plural": null, "english": "to be happy / pleased", "hindi": "खुश होना", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #c8e6c940;"},
+        {"id": "a1-650-0261", "german": "lustig", "article": null, "plural": null, "english": "funny 😄", "hindi": "मज़ेदार", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #c8e6c940;"},
+        {"id": "a1-650-0262", "german": "aufgeregt", "article": null, "plural": null, "english": "excited 🤩", "hindi": "उत्साहित", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #c8e6c940;"},
+        {"id": "a1-650-0263", "german": "stolz", "article": null, "plural": null, "english": "proud", "hindi": "गर्वित", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #c8e6c940;"},
+        {"id": "a1-650-0264", "german": "verliebt", "article": null, "plural": null, "english": "in love 😍", "hindi": "प्यार में", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #c8e6c940;"},
+        {"id": "a1-650-0265", "german": "Liebe", "article": "die", "plural": null, "english": "love ❤️", "hindi": "प्यार", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #c8e6c940;"},
+        {"id": "a1-650-0266", "german": "traurig", "article": null, "plural": null, "english": "sad 😢", "hindi": "उदास", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee80;"},
+        {"id": "a1-650-0267", "german": "böse", "article": null, "plural": null, "english": "angry / mad 😠", "hindi": "गुस्सा / नाराज़", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee80;"},
+        {"id": "a1-650-0268", "german": "wütend", "article": null, "plural": null, "english": "furious / angry", "hindi": "क्रोधित", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee80;"},
+        {"id": "a1-650-0269", "german": "Angst", "article": "die", "plural": null, "english": "fear / anxiety", "hindi": "डर / चिंता", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee80;"},
+        {"id": "a1-650-0270", "german": "ängstlich", "article": null, "plural": null, "english": "scared / anxious 😰", "hindi": "डरा हुआ", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee80;"},
+        {"id": "a1-650-0271", "german": "nervös", "article": null, "plural": null, "english": "nervous 😬", "hindi": "घबराया हुआ", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee80;"},
+        {"id": "a1-650-0272", "german": "Stress", "article": "der", "plural": null, "english": "stress", "hindi": "तनाव", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee80;"},
+        {"id": "a1-650-0273", "german": "gestresst", "article": null, "plural": null, "english": "stressed 😫", "hindi": "तनावग्रस्त", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee80;"},
+        {"id": "a1-650-0274", "german": "einsam", "article": null, "plural": null, "english": "lonely", "hindi": "अकेला", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee80;"},
+        {"id": "a1-650-0275", "german": "langweilig", "article": null, "plural": null, "english": "boring / bored 😑", "hindi": "उबाऊ / बोर", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee80;"},
+        {"id": "a1-650-0276", "german": "überrascht", "article": null, "plural": null, "english": "surprised 😮", "hindi": "हैरान", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee90;"},
+        {"id": "a1-650-0277", "german": "ruhig", "article": null, "plural": null, "english": "calm / quiet", "hindi": "शांत", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee90;"},
+        {"id": "a1-650-0278", "german": "Ruhe", "article": "die", "plural": null, "english": "peace / rest", "hindi": "आराम / शांति", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee90;"},
+        {"id": "a1-650-0279", "german": "entspannt", "article": null, "plural": null, "english": "relaxed 😌", "hindi": "तनावमुक्त", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebee90;"},
+        {"id": "a1-650-0280", "german": "schlafen", "article": null, "plural": null, "english": "to sleep 😴", "hindi": "सोना", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebeea0;"},
+        {"id": "a1-650-0281", "german": "aufwachen", "article": null, "plural": null, "english": "to wake up", "hindi": "जागना", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebeea0;"},
+        {"id": "a1-650-0282", "german": "weinen", "article": null, "plural": null, "english": "to cry 😭", "hindi": "रोना", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebeea0;"},
+        {"id": "a1-650-0283", "german": "lachen", "article": null, "plural": null, "english": "to laugh 😂", "hindi": "हँसना", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebeea0;"},
+        {"id": "a1-650-0284", "german": "lächeln", "article": null, "plural": null, "english": "to smile 😊", "hindi": "मुस्कुराना", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebeea0;"},
+        {"id": "a1-650-0285", "german": "Allergie", "article": "die", "plural": null, "english": "allergy", "hindi": "एलर्जी", "translit": null, "level": "A1", "topic": "Health_&_Feelings", "rowStyle": "background-color: #ffebeeb0;"},
+        {"id": "a1-650-0286", "german": "Apfel", "article": "der", "plural": null, "english": "apple", "hindi": "सेब", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0287", "german": "Banane", "article": "die", "plural": null, "english": "banana", "hindi": "केला", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0288", "german": "Birne", "article": "die", "plural": null, "english": "pear / light bulb", "hindi": "नाशपाती / बल्ब", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0289", "german": "Brötchen", "article": "die", "plural": null, "english": "rolls", "hindi": "ब्रेड रोल", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0290", "german": "Butter", "article": "die", "plural": null, "english": "butter", "hindi": "मक्खन", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0291", "german": "Eis", "article": "das", "plural": null, "english": "ice / ice cream", "hindi": "बर्फ / आइसक्रीम", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0292", "german": "Erdbeere", "article": "die", "plural": null, "english": "strawberry", "hindi": "स्ट्रॉबेरी", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0293", "german": "essen", "article": null, "plural": null, "english": "to eat", "hindi": "खाना", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0294", "german": "Essen", "article": "das", "plural": null, "english": "food / meal", "hindi": "भोजन", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0295", "german": "Fisch", "article": "das", "plural": null, "english": "fish", "hindi": "मछली", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0296", "german": "Fleisch", "article": "die", "plural": null, "english": "meat", "hindi": "मांस", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0297", "german": "Frühstück", "article": "das", "plural": null, "english": "breakfast", "hindi": "नाश्ता", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0298", "german": "frühstücken", "article": null, "plural": null, "english": "to have breakfast", "hindi": "नाश्ता करना", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0299", "german": "Gemüse", "article": "die", "plural": null, "english": "vegetables", "hindi": "सब्ज़ियाँ", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0300", "german": "Kuchen", "article": "der", "plural": null, "english": "cake", "hindi": "केक", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0301", "german": "Mahlzeit", "article": "die", "plural": null, "english": "meal", "hindi": "भोजन", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0302", "german": "Orange", "article": "die", "plural": null, "english": "orange", "hindi": "संतरा", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0303", "german": "Sahne", "article": "die", "plural": null, "english": "cream", "hindi": "क्रीम", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0304", "german": "Salz", "article": "das", "plural": null, "english": "salt", "hindi": "नमक", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0305", "german": "Schokolade", "article": "die", "plural": null, "english": "chocolate", "hindi": "चॉकलेट", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0306", "german": "Speisekarte", "article": "die", "plural": null, "english": "menu", "hindi": "मेनू", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0307", "german": "Suppe", "article": "die", "plural": null, "english": "soup", "hindi": "सूप", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0308", "german": "süß", "article": null, "plural": null, "english": "sweet", "hindi": "मीठा", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0309", "german": "Vorspeise", "article": "die", "plural": null, "english": "starter / appetizer", "hindi": "स्टार्टर", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0310", "german": "Wurst", "article": "die", "plural": null, "english": "sausage", "hindi": "सॉसेज", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0311", "german": "Zwiebel", "article": "die", "plural": null, "english": "onion", "hindi": "प्याज", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0312", "german": "Kartoffel", "article": "die", "plural": null, "english": "potato", "hindi": "आलू", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0313", "german": "Reis", "article": "der", "plural": null, "english": "rice", "hindi": "चावल", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0314", "german": "Nudeln", "article": "die", "plural": null, "english": "noodles / pasta", "hindi": "नूडल्स", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0315", "german": "Käse", "article": "der", "plural": null, "english": "cheese", "hindi": "पनीर", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0316", "german": "Ei", "article": "das", "plural": null, "english": "egg", "hindi": "अंडा", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0317", "german": "Zucker", "article": "der", "plural": null, "english": "sugar", "hindi": "चीनी", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0318", "german": "Pfeffer", "article": "der", "plural": null, "english": "pepper", "hindi": "काली मिर्च", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0319", "german": "Hähnchen", "article": "das", "plural": null, "english": "chicken", "hindi": "चिकन", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0320", "german": "Schinken", "article": "der", "plural": null, "english": "ham", "hindi": "हैम", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0321", "german": "Salat", "article": "der", "plural": null, "english": "salad", "hindi": "सलाद", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0322", "german": "Gurke", "article": "die", "plural": null, "english": "cucumber", "hindi": "खीरा", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0323", "german": "Paprika", "article": "die", "plural": null, "english": "bell pepper", "hindi": "शिमला मिर्च", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0324", "german": "Pilz", "article": "der", "plural": null, "english": "mushroom", "hindi": "मशरूम", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0325", "german": "Obst", "article": "das", "plural": null, "english": "fruit", "hindi": "फल", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0326", "german": "Zitrone", "article": "die", "plural": null, "english": "lemon", "hindi": "नींबू", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0327", "german": "Traube", "article": "die", "plural": null, "english": "grape", "hindi": "अंगूर", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0328", "german": "Melone", "article": "die", "plural": null, "english": "melon", "hindi": "खरबूजा", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0329", "german": "Kirsche", "article": "die", "plural": null, "english": "cherry", "hindi": "चेरी", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0330", "german": "Pfirsich", "article": "der", "plural": null, "english": "peach", "hindi": "आड़ू", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0331", "german": "Ananas", "article": "die", "plural": null, "english": "pineapple", "hindi": "अनानास", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0332", "german": "Karotte", "article": "die", "plural": null, "english": "carrot", "hindi": "गाजर", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0333", "german": "Knoblauch", "article": "der", "plural": null, "english": "garlic", "hindi": "लहसुन", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0334", "german": "Spinat", "article": "der", "plural": null, "english": "spinach", "hindi": "पालक", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0335", "german": "Joghurt", "article": "der", "plural": null, "english": "yogurt", "hindi": "दही", "translit": null, "level": "A1", "topic": "Food"},
+        {"id": "a1-650-0336", "german": "Getränk", "article": "das", "plural": null, "english": "drink / beverage 🥤", "hindi": "पेय", "translit": null, "level": "A1", "topic": "Drinks"},
+        {"id": "a1-650-0337", "german": "trinken", "article": null, "plural": null, "english": "to drink", "hindi": "पीना", "translit": null, "level": "A1", "topic": "Drinks"},
+        {"id": "a1-650-0338", "german": "Wasser", "article": "das", "plural": null, "english": "water 💧", "hindi": "पानी", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #e0f7fa30;"},
+        {"id": "a1-650-0339", "german": "Mineralwasser", "article": "das", "plural": null, "english": "mineral water", "hindi": "मिनरल वाटर", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #e0f7fa30;"},
+        {"id": "a1-650-0340", "german": "Wasser mit Kohlensäure", "article": null, "plural": null, "english": "sparkling water", "hindi": "सोडा वाटर", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #e0f7fa30;"},
+        {"id": "a1-650-0341", "german": "stilles Wasser", "article": null, "plural": null, "english": "still water (no gas)", "hindi": "सादा पानी", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #e0f7fa30;"},
+        {"id": "a1-650-0342", "german": "Kaffee", "article": "der", "plural": null, "english": "coffee ☕", "hindi": "कॉफ़ी", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #8d6e6330;"},
+        {"id": "a1-650-0343", "german": "Espresso", "article": "der", "plural": null, "english": "espresso", "hindi": "एस्प्रेसो", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #8d6e6330;"},
+        {"id": "a1-650-0344", "german": "Cappuccino", "article": "der", "plural": null, "english": "cappuccino", "hindi": "कैपुचीनो", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #8d6e6330;"},
+        {"id": "a1-650-0345", "german": "Tee", "article": "der", "plural": null, "english": "tea 🍵", "hindi": "चाय", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #8d6e6330;"},
+        {"id": "a1-650-0346", "german": "der schwarze Tee", "article": null, "plural": null, "english": "black tea", "hindi": "काली चाय", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #8d6e6330;"},
+        {"id": "a1-650-0347", "german": "der grüne Tee", "article": null, "plural": null, "english": "green tea 🍃", "hindi": "हरी चाय", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #8d6e6330;"},
+        {"id": "a1-650-0348", "german": "Kakao", "article": "der", "plural": null, "english": "hot chocolate 🍫", "hindi": "कोको / हॉट चॉकलेट", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #8d6e6330;"},
+        {"id": "a1-650-0349", "german": "Milch", "article": "die", "plural": null, "english": "milk 🥛", "hindi": "दूध", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #fafafa;"},
+        {"id": "a1-650-0350", "german": "Saft", "article": "der", "plural": null, "english": "juice 🧃", "hindi": "जूस", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #fff3e030;"},
+        {"id": "a1-650-0351", "german": "Orangensaft", "article": "der", "plural": null, "english": "orange juice 🍊", "hindi": "संतरे का जूस", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #fff3e030;"},
+        {"id": "a1-650-0352", "german": "Apfelsaft", "article": "der", "plural": null, "english": "apple juice 🍎", "hindi": "सेब का जूस", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #fff3e030;"},
+        {"id": "a1-650-0353", "german": "Limonade", "article": "die", "plural": null, "english": "lemonade / soda 🍋", "hindi": "नींबू पानी / सोडा", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #ffebee30;"},
+        {"id": "a1-650-0354", "german": "Cola", "article": "die", "plural": null, "english": "cola 🥤", "hindi": "कोला", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #ffebee30;"},
+        {"id": "a1-650-0355", "german": "Fanta", "article": "die", "plural": null, "english": "Fanta (orange soda)", "hindi": "फैंटा", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #ffebee30;"},
+        {"id": "a1-650-0356", "german": "Sprite", "article": "die", "plural": null, "english": "Sprite (lemon soda)", "hindi": "स्प्राइट", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #ffebee30;"},
+        {"id": "a1-650-0357", "german": "Bier", "article": "das", "plural": null, "english": "beer 🍺", "hindi": "बीयर", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #f5f5dc30;"},
+        {"id": "a1-650-0358", "german": "Rotwein", "article": "der", "plural": null, "english": "red wine 🍷", "hindi": "लाल वाइन", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #f5f5dc30;"},
+        {"id": "a1-650-0359", "german": "Weißwein", "article": "der", "plural": null, "english": "white wine 🥂", "hindi": "सफ़ेद वाइन", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #f5f5dc30;"},
+        {"id": "a1-650-0360", "german": "Sekt", "article": "der", "plural": null, "english": "sparkling wine 🍾", "hindi": "शैम्पेन", "translit": null, "level": "A1", "topic": "Drinks", "rowStyle": "background-color: #f5f5dc30;"},
+        {"id": "a1-650-0361", "german": "Glas", "article": "das", "plural": null, "english": "glass 🥛", "hindi": "गिलास", "translit": null, "level": "A1", "topic": "Drinks", "tint": "40"},
+        {"id": "a1-650-0362", "german": "Tasse", "article": "die", "plural": null, "english": "cup ☕", "hindi": "प्याला / कप", "translit": null, "level": "A1", "topic": "Drinks", "tint": "40"},
+        {"id": "a1-650-0363", "german": "Flasche", "article": "die", "plural": null, "english": "bottle 🍼", "hindi": "बोतल", "translit": null, "level": "A1", "topic": "Drinks", "tint": "40"},
+        {"id": "a1-650-0364", "german": "Dose", "article": "die", "plural": null, "english": "can 🥫", "hindi": "डिब्बा / कैन", "translit": null, "level": "A1", "topic": "Drinks", "tint": "40"},
+        {"id": "a1-650-0365", "german": "mit Zucker", "article": null, "plural": null, "english": "with sugar", "hindi": "चीनी के साथ", "translit": null, "level": "A1", "topic": "Drinks", "tint": "50"},
+        {"id": "a1-650-0366", "german": "ohne Zucker", "article": null, "plural": null, "english": "without sugar", "hindi": "बिना चीनी", "translit": null, "level": "A1", "topic": "Drinks", "tint": "50"},
+        {"id": "a1-650-0367", "german": "mit Milch", "article": null, "plural": null, "english": "with milk", "hindi": "दूध के साथ", "translit": null, "level": "A1", "topic": "Drinks", "tint": "50"},
+        {"id": "a1-650-0368", "german": "ohne Milch", "article": null, "plural": null, "english": "without milk", "hindi": "बिना दूध", "translit": null, "level": "A1", "topic": "Drinks", "tint": "50"},
+        {"id": "a1-650-0369", "german": "mit Eis", "article": null, "plural": null, "english": "with ice 🧊", "hindi": "बर्फ़ के साथ", "translit": null, "level": "A1", "topic": "Drinks", "tint": "50"},
+        {"id": "a1-650-0370", "german": "Smoothie", "article": "der", "plural": null, "english": "smoothie", "hindi": "स्मूथी", "translit": null, "level": "A1", "topic": "Drinks", "tint": "70"},
+        {"id": "a1-650-0371", "german": "Eistee", "article": "der", "plural": null, "english": "iced tea 🧊", "hindi": "आइस्ड टी", "translit": null, "level": "A1", "topic": "Drinks", "tint": "70"},
+        {"id": "a1-650-0372", "german": "Eiskaffee", "article": "der", "plural": null, "english": "iced coffee", "hindi": "आइस्ड कॉफ़ी", "translit": null, "level": "A1", "topic": "Drinks", "tint": "70"},
+        {"id": "a1-650-0373", "german": "Haus", "article": "das", "plural": null, "english": "house 🏠", "hindi": "मकान", "translit": null, "level": "A1", "topic": "House_&_Furniture"},
+        {"id": "a1-650-0374", "german": "Wohnung", "article": "die", "plural": null, "english": "apartment / flat 🏢", "hindi": "फ्लैट", "translit": null, "level": "A1", "topic": "House_&_Furniture"},
+        {"id": "a1-650-0375", "german": "Gebäude", "article": "das", "plural": null, "english": "building", "hindi": "इमारत", "translit": null, "level": "A1", "topic": "House_&_Furniture"},
+        {"id": "a1-650-0376", "german": "zu Hause", "article": null, "plural": null, "english": "at home", "hindi": "घर पर", "translit": null, "level": "A1", "topic": "House_&_Furniture"},
+        {"id": "a1-650-0377", "german": "nach Hause", "article": null, "plural": null, "english": "to home (going)", "hindi": "घर की ओर", "translit": null, "level": "A1", "topic": "House_&_Furniture"},
+        {"id": "a1-650-0378", "german": "Zimmer", "article": "das", "plural": null, "english": "room 🚪", "hindi": "कमरा", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "30"},
+        {"id": "a1-650-0379", "german": "Wohnzimmer", "article": "das", "plural": null, "english": "living room 🛋️", "hindi": "बैठक", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "30"},
+        {"id": "a1-650-0380", "german": "Schlafzimmer", "article": "das", "plural": null, "english": "bedroom 🛏️", "hindi": "शयनकक्ष", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "30"},
+        {"id": "a1-650-0381", "german": "Kinderzimmer", "article": "das", "plural": null, "english": "children's room", "hindi": "बच्चों का कमरा", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "30"},
+        {"id": "a1-650-0382", "german": "Esszimmer", "article": "das", "plural": null, "english": "dining room 🍽️", "hindi": "खाने का कमरा", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "30"},
+        {"id": "a1-650-0383", "german": "Küche", "article": "die", "plural": null, "english": "kitchen 🍳", "hindi": "रसोई", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "30"},
+        {"id": "a1-650-0384", "german": "das Bad / das Badezimmer", "article": null, "plural": null, "english": "bathroom 🚿", "hindi": "स्नानघर", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "30"},
+        {"id": "a1-650-0385", "german": "die Toilette / das WC", "article": null, "plural": null, "english": "toilet 🚽", "hindi": "शौचालय", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "30"},
+        {"id": "a1-650-0386", "german": "Flur", "article": "der", "plural": null, "english": "hallway / corridor", "hindi": "गलियारा", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "30"},
+        {"id": "a1-650-0387", "german": "Keller", "article": "der", "plural": null, "english": "basement / cellar", "hindi": "तहखाना", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "30"},
+        {"id": "a1-650-0388", "german": "Dachboden", "article": "der", "plural": null, "english": "attic", "hindi": "अटारी", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "30"},
+        {"id": "a1-650-0389", "german": "Tür", "article": "die", "plural": null, "english": "door 🚪", "hindi": "दरवाज़ा", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "40"},
+        {"id": "a1-650-0390", "german": "Fenster", "article": "das", "plural": null, "english": "window 🪟", "hindi": "खिड़की", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "40"},
+        {"id": "a1-650-0391", "german": "Wand", "article": "die", "plural": null, "english": "wall", "hindi": "दीवार", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "40"},
+        {"id": "a1-650-0392", "german": "Decke", "article": "die", "plural": null, "english": "ceiling", "hindi": "छत (अंदर)", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "40"},
+        {"id": "a1-650-0393", "german": "Dach", "article": "das", "plural": null, "english": "roof", "hindi": "छत (बाहर)", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "40"},
+        {"id": "a1-650-0394", "german": "Boden", "article": "der", "plural": null, "english": "floor", "hindi": "फर्श", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "40"},
+        {"id": "a1-650-0395", "german": "Treppe", "article": "die", "plural": null, "english": "stairs 🪜", "hindi": "सीढ़ी", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "40"},
+        {"id": "a1-650-0396", "german": "der Aufzug / der Lift", "article": null, "plural": null, "english": "elevator / lift", "hindi": "लिफ्ट", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "40"},
+        {"id": "a1-650-0397", "german": "Balkon", "article": "der", "plural": null, "english": "balcony", "hindi": "बालकनी", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "40"},
+        {"id": "a1-650-0398", "german": "Terrasse", "article": "die", "plural": null, "english": "terrace / patio", "hindi": "छत / आंगन", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "40"},
+        {"id": "a1-650-0399", "german": "Garten", "article": "der", "plural": null, "english": "garden 🌳", "hindi": "बगीचा", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "40"},
+        {"id": "a1-650-0400", "german": "Garage", "article": "die", "plural": null, "english": "garage 🚗", "hindi": "गैरेज", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "40"},
+        {"id": "a1-650-0401", "german": "Möbel", "article": "die", "plural": null, "english": "furniture", "hindi": "फर्नीचर", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "50"},
+        {"id": "a1-650-0402", "german": "Tisch", "article": "der", "plural": null, "english": "table", "hindi": "मेज़", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "50"},
+        {"id": "a1-650-0403", "german": "Stuhl", "article": "der", "plural": null, "english": "chair 🪑", "hindi": "कुर्सी", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "50"},
+        {"id": "a1-650-0404", "german": "Sessel", "article": "der", "plural": null, "english": "armchair", "hindi": "आराम कुर्सी", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "50"},
+        {"id": "a1-650-0405", "german": "das Sofa / die Couch", "article": null, "plural": null, "english": "sofa / couch 🛋️", "hindi": "सोफा", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "50"},
+        {"id": "a1-650-0406", "german": "Bett", "article": "das", "plural": null, "english": "bed 🛏️", "hindi": "बिस्तर", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "50"},
+        {"id": "a1-650-0407", "german": "Schrank", "article": "der", "plural": null, "english": "cupboard / wardrobe", "hindi": "अलमारी", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "50"},
+        {"id": "a1-650-0408", "german": "Kleiderschrank", "article": "der", "plural": null, "english": "wardrobe (clothes)", "hindi": "कपड़ों की अलमारी", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "50"},
+        {"id": "a1-650-0409", "german": "Regal", "article": "das", "plural": null, "english": "shelf", "hindi": "शेल्फ", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "50"},
+        {"id": "a1-650-0410", "german": "Kissen", "article": "das", "plural": null, "english": "pillow", "hindi": "तकिया", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "60"},
+        {"id": "a1-650-0411", "german": "Bettlaken", "article": "das", "plural": null, "english": "bed sheet", "hindi": "चादर", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "60"},
+        {"id": "a1-650-0412", "german": "Fernseher", "article": "der", "plural": null, "english": "television 📺", "hindi": "टीवी", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "70"},
+        {"id": "a1-650-0413", "german": "Lampe", "article": "die", "plural": null, "english": "lamp 💡", "hindi": "लैंप", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "70"},
+        {"id": "a1-650-0414", "german": "Teppich", "article": "der", "plural": null, "english": "carpet / rug", "hindi": "कालीन", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "70"},
+        {"id": "a1-650-0415", "german": "Vorhang", "article": "der", "plural": null, "english": "curtain", "hindi": "पर्दा", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "70"},
+        {"id": "a1-650-0416", "german": "Spiegel", "article": "der", "plural": null, "english": "mirror 🪞", "hindi": "आईना", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "70"},
+        {"id": "a1-650-0417", "german": "Bild", "article": "das", "plural": null, "english": "picture / painting 🖼️", "hindi": "तस्वीर", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "70"},
+        {"id": "a1-650-0418", "german": "Uhr", "article": "die", "plural": null, "english": "clock ⏰", "hindi": "घड़ी", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "70"},
+        {"id": "a1-650-0419", "german": "Kühlschrank", "article": "der", "plural": null, "english": "refrigerator 🧊", "hindi": "फ्रिज", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "80"},
+        {"id": "a1-650-0420", "german": "Herd", "article": "der", "plural": null, "english": "stove", "hindi": "चूल्हा", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "80"},
+        {"id": "a1-650-0421", "german": "Ofen", "article": "der", "plural": null, "english": "oven", "hindi": "ओवन", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "80"},
+        {"id": "a1-650-0422", "german": "Mikrowelle", "article": "die", "plural": null, "english": "microwave", "hindi": "माइक्रोवेव", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "80"},
+        {"id": "a1-650-0423", "german": "Waschmaschine", "article": "die", "plural": null, "english": "washing machine 🧺", "hindi": "वाशिंग मशीन", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "80"},
+        {"id": "a1-650-0424", "german": "Spülmaschine", "article": "die", "plural": null, "english": "dishwasher", "hindi": "डिशवॉशर", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "80"},
+        {"id": "a1-650-0425", "german": "Dusche", "article": "die", "plural": null, "english": "shower 🚿", "hindi": "शॉवर", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "90"},
+        {"id": "a1-650-0426", "german": "Badewanne", "article": "die", "plural": null, "english": "bathtub 🛁", "hindi": "बाथटब", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "90"},
+        {"id": "a1-650-0427", "german": "Waschbecken", "article": "das", "plural": null, "english": "sink (bathroom)", "hindi": "वॉशबेसिन", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "90"},
+        {"id": "a1-650-0428", "german": "Handtuch", "article": "das", "plural": null, "english": "towel", "hindi": "तौलिया", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "90"},
+        {"id": "a1-650-0429", "german": "Miete", "article": "die", "plural": null, "english": "rent 💰", "hindi": "किराया", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "a0"},
+        {"id": "a1-650-0430", "german": "mieten", "article": null, "plural": null, "english": "to rent", "hindi": "किराए पर लेना", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "a0"},
+        {"id": "a1-650-0431", "german": "wohnen", "article": null, "plural": null, "english": "to live (reside)", "hindi": "रहना", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "a0"},
+        {"id": "a1-650-0432", "german": "umziehen", "article": null, "plural": null, "english": "to move (house)", "hindi": "घर बदलना", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "a0"},
+        {"id": "a1-650-0433", "german": "der Stock / die Etage", "article": null, "plural": null, "english": "floor (storey)", "hindi": "मंज़िल", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "a0"},
+        {"id": "a1-650-0434", "german": "Erdgeschoss", "article": "das", "plural": null, "english": "ground floor", "hindi": "भूतल", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "a0"},
+        {"id": "a1-650-0435", "german": "Wo wohnst du?", "article": null, "plural": null, "english": "Where do you live?", "hindi": "तुम कहाँ रहते हो?", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "b0"},
+        {"id": "a1-650-0436", "german": "Wie viele Zimmer?", "article": null, "plural": null, "english": "How many rooms?", "hindi": "कितने कमरे?", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "b0"},
+        {"id": "a1-650-0437", "german": "Die Wohnung hat...", "article": null, "plural": null, "english": "The apartment has...", "hindi": "फ्लैट में ... है", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "b0"},
+        {"id": "a1-650-0438", "german": "Wie hoch ist die Miete?", "article": null, "plural": null, "english": "How much is the rent?", "hindi": "किराया कितना है?", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "b0"},
+        {"id": "a1-650-0439", "german": "Im ersten Stock", "article": null, "plural": null, "english": "On the first floor", "hindi": "पहली मंज़िल पर", "translit": null, "level": "A1", "topic": "House_&_Furniture", "tint": "b0"},
+        {"id": "a1-650-0440", "german": "Geschirr", "article": "das", "plural": null, "english": "dishes / tableware 🍽️", "hindi": "बर्तन", "translit": null, "level": "A1", "topic": "Kitchen_Items"},
+        {"id": "a1-650-0441", "german": "Teller", "article": "der", "plural": null, "english": "plate 🍽️", "hindi": "प्लेट / थाली", "translit": null, "level": "A1", "topic": "Kitchen_Items"},
+        {"id": "a1-650-0442", "german": "Schüssel", "article": "die", "plural": null, "english": "bowl 🥣", "hindi": "कटोरा", "translit": null, "level": "A1", "topic": "Kitchen_Items"},
+        {"id": "a1-650-0443", "german": "Becher", "article": "der", "plural": null, "english": "mug / beaker", "hindi": "मग", "translit": null, "level": "A1", "topic": "Kitchen_Items"},
+        {"id": "a1-650-0444", "german": "Besteck", "article": "das", "plural": null, "english": "cutlery 🍴", "hindi": "छुरी-काँटा", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "30"},
+        {"id": "a1-650-0445", "german": "Messer", "article": "das", "plural": null, "english": "knife 🔪", "hindi": "चाकू", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "30"},
+        {"id": "a1-650-0446", "german": "Gabel", "article": "die", "plural": null, "english": "fork 🍴", "hindi": "काँटा", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "30"},
+        {"id": "a1-650-0447", "german": "Löffel", "article": "der", "plural": null, "english": "spoon 🥄", "hindi": "चम्मच", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "30"},
+        {"id": "a1-650-0448", "german": "Teelöffel", "article": "der", "plural": null, "english": "teaspoon", "hindi": "चाय का चम्मच", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "30"},
+        {"id": "a1-650-0449", "german": "Esslöffel", "article": "der", "plural": null, "english": "tablespoon", "hindi": "बड़ा चम्मच", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "30"},
+        {"id": "a1-650-0450", "german": "Topf", "article": "der", "plural": null, "english": "pot 🍲", "hindi": "बर्तन / पतीला", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "40"},
+        {"id": "a1-650-0451", "german": "Pfanne", "article": "die", "plural": null, "english": "pan / frying pan 🍳", "hindi": "कड़ाही / तवा", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "40"},
+        {"id": "a1-650-0452", "german": "Deckel", "article": "der", "plural": null, "english": "lid / cover", "hindi": "ढक्कन", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "40"},
+        {"id": "a1-650-0453", "german": "Schneidebrett", "article": "das", "plural": null, "english": "cutting board", "hindi": "कटिंग बोर्ड", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "40"},
+        {"id": "a1-650-0454", "german": "Kanne", "article": "die", "plural": null, "english": "jug / pot", "hindi": "जग / केतली", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "40"},
+        {"id": "a1-650-0455", "german": "Kochlöffel", "article": "der", "plural": null, "english": "cooking spoon / ladle", "hindi": "कड़छी", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "40"},
+        {"id": "a1-650-0456", "german": "Kaffeemaschine", "article": "die", "plural": null, "english": "coffee machine ☕", "hindi": "कॉफ़ी मशीन", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "50"},
+        {"id": "a1-650-0457", "german": "Wasserkocher", "article": "der", "plural": null, "english": "kettle", "hindi": "केतली", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "50"},
+        {"id": "a1-650-0458", "german": "Toaster", "article": "der", "plural": null, "english": "toaster 🍞", "hindi": "टोस्टर", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "50"},
+        {"id": "a1-650-0459", "german": "Mixer", "article": "der", "plural": null, "english": "mixer / blender", "hindi": "मिक्सर", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "50"},
+        {"id": "a1-650-0460", "german": "Packung", "article": "die", "plural": null, "english": "pack / package 📦", "hindi": "पैकेट", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "60"},
+        {"id": "a1-650-0461", "german": "Tüte", "article": "die", "plural": null, "english": "bag (paper/plastic)", "hindi": "थैला", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "60"},
+        {"id": "a1-650-0462", "german": "Behälter", "article": "der", "plural": null, "english": "container", "hindi": "डिब्बा / कंटेनर", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "60"},
+        {"id": "a1-650-0463", "german": "Serviette", "article": "die", "plural": null, "english": "napkin", "hindi": "नैपकिन", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "70"},
+        {"id": "a1-650-0464", "german": "Tischdecke", "article": "die", "plural": null, "english": "tablecloth", "hindi": "मेज़पोश", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "70"},
+        {"id": "a1-650-0465", "german": "Spülmittel", "article": "das", "plural": null, "english": "dish soap", "hindi": "बर्तन धोने का साबुन", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "80"},
+        {"id": "a1-650-0466", "german": "Schwamm", "article": "der", "plural": null, "english": "sponge", "hindi": "स्पंज", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "80"},
+        {"id": "a1-650-0467", "german": "Geschirrtuch", "article": "das", "plural": null, "english": "dish towel", "hindi": "बर्तन पोंछने का कपड़ा", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "80"},
+        {"id": "a1-650-0468", "german": "Mülleimer", "article": "der", "plural": null, "english": "trash can 🗑️", "hindi": "कूड़ेदान", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "80"},
+        {"id": "a1-650-0469", "german": "kochen", "article": null, "plural": null, "english": "to cook 👨‍🍳", "hindi": "पकाना", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "90"},
+        {"id": "a1-650-0470", "german": "braten", "article": null, "plural": null, "english": "to fry", "hindi": "तलना", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "90"},
+        {"id": "a1-650-0471", "german": "backen", "article": null, "plural": null, "english": "to bake", "hindi": "सेंकना", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "90"},
+        {"id": "a1-650-0472", "german": "schneiden", "article": null, "plural": null, "english": "to cut ✂️", "hindi": "काटना", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "90"},
+        {"id": "a1-650-0473", "german": "mischen", "article": null, "plural": null, "english": "to mix", "hindi": "मिलाना", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "90"},
+        {"id": "a1-650-0474", "german": "rühren", "article": null, "plural": null, "english": "to stir", "hindi": "हिलाना", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "90"},
+        {"id": "a1-650-0475", "german": "abwaschen", "article": null, "plural": null, "english": "to wash dishes", "hindi": "बर्तन धोना", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "90"},
+        {"id": "a1-650-0476", "german": "den Tisch decken", "article": null, "plural": null, "english": "to set the table", "hindi": "मेज़ लगाना", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "a0"},
+        {"id": "a1-650-0477", "german": "Guten Appetit!", "article": null, "plural": null, "english": "Enjoy your meal! 🍽️", "hindi": "खाना खाइए!", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "a0"},
+        {"id": "a1-650-0478", "german": "Das schmeckt gut!", "article": null, "plural": null, "english": "That tastes good!", "hindi": "यह स्वादिष्ट है!", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "a0"},
+        {"id": "a1-650-0479", "german": "Kann ich bitte...haben?", "article": null, "plural": null, "english": "Can I please have...?", "hindi": "क्या मुझे ... मिल सकता है?", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "a0"},
+        {"id": "a1-650-0480", "german": "Noch etwas?", "article": null, "plural": null, "english": "Anything else?", "hindi": "और कुछ?", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "a0"},
+        {"id": "a1-650-0481", "german": "Ich bin satt", "article": null, "plural": null, "english": "I am full", "hindi": "मेरा पेट भर गया", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "a0"},
+        {"id": "a1-650-0482", "german": "Es ist lecker!", "article": null, "plural": null, "english": "It's delicious!", "hindi": "यह मज़ेदार है!", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "a0"},
+        {"id": "a1-650-0483", "german": "Was kochst du?", "article": null, "plural": null, "english": "What are you cooking?", "hindi": "तुम क्या पका रहे हो?", "translit": null, "level": "A1", "topic": "Kitchen_Items", "tint": "a0"},
+        {"id": "a1-650-0484", "german": "Kleidungsstück", "article": "das", "plural": null, "english": "piece of clothing", "hindi": "कपड़े का टुकड़ा", "translit": null, "level": "A1", "topic": "Clothing"},
+        {"id": "a1-650-0485", "german": "Hemd", "article": "das", "plural": null, "english": "shirt 👔", "hindi": "शर्ट", "translit": null, "level": "A1", "topic": "Clothing", "tint": "30"},
+        {"id": "a1-650-0486", "german": "T-Shirt", "article": "das", "plural": null, "english": "t-shirt 👕", "hindi": "टी-शर्ट", "translit": null, "level": "A1", "topic": "Clothing", "tint": "30"},
+        {"id": "a1-650-0487", "german": "Bluse", "article": "die", "plural": null, "english": "blouse", "hindi": "ब्लाउज़", "translit": null, "level": "A1", "topic": "Clothing", "tint": "30"},
+        {"id": "a1-650-0488", "german": "der Pullover / der Pulli", "article": null, "plural": null, "english": "sweater / pullover", "hindi": "स्वेटर", "translit": null, "level": "A1", "topic": "Clothing", "tint": "30"},
+        {"id": "a1-650-0489", "german": "Jacke", "article": "die", "plural": null, "english": "jacket 🧥", "hindi": "जैकेट", "translit": null, "level": "A1", "topic": "Clothing", "tint": "30"},
+        {"id": "a1-650-0490", "german": "Mantel", "article": "der", "plural": null, "english": "coat 🧥", "hindi": "कोट", "translit": null, "level": "A1", "topic": "Clothing", "tint": "30"},
+        {"id": "a1-650-0491", "german": "Hose", "article": "die", "plural": null, "english": "trousers / pants 👖", "hindi": "पैंट", "translit": null, "level": "A1", "topic": "Clothing", "tint": "40"},
+        {"id": "a1-650-0492", "german": "Jeans", "article": "die", "plural": null, "english": "jeans 👖", "hindi": "जींस", "translit": null, "level": "A1", "topic": "Clothing", "tint": "40"},
+        {"id": "a1-650-0493", "german": "die kurze Hose / die Shorts", "article": null, "plural": null, "english": "shorts 🩳", "hindi": "शॉर्ट्स / निकर", "translit": null, "level": "A1", "topic": "Clothing", "tint": "40"},
+        {"id": "a1-650-0494", "german": "Rock", "article": "der", "plural": null, "english": "skirt", "hindi": "स्कर्ट", "translit": null, "level": "A1", "topic": "Clothing", "tint": "40"},
+        {"id": "a1-650-0495", "german": "Anzug", "article": "der", "plural": null, "english": "suit 🤵", "hindi": "सूट", "translit": null, "level": "A1", "topic": "Clothing", "tint": "50"},
+        {"id": "a1-650-0496", "german": "Krawatte", "article": "die", "plural": null, "english": "tie 👔", "hindi": "टाई", "translit": null, "level": "A1", "topic": "Clothing", "tint": "50"},
+        {"id": "a1-650-0497", "german": "Schuh", "article": "der", "plural": null, "english": "shoe 👞", "hindi": "जूता", "translit": null, "level": "A1", "topic": "Clothing", "tint": "60"},
+        {"id": "a1-650-0498", "german": "Schuhe", "article": "die", "plural": null, "english": "shoes 👟", "hindi": "जूते", "translit": null, "level": "A1", "topic": "Clothing", "tint": "60"},
+        {"id": "a1-650-0499", "german": "Stiefel", "article": "der", "plural": null, "english": "boot 👢", "hindi": "बूट", "translit": null, "level": "A1", "topic": "Clothing", "tint": "60"},
+        {"id": "a1-650-0500", "german": "Sandale", "article": "die", "plural": null, "english": "sandal 👡", "hindi": "सैंडल", "translit": null, "level": "A1", "topic": "Clothing", "tint": "60"},
+        {"id": "a1-650-0501", "german": "der Sportschuh / der Sneaker", "article": null, "plural": null, "english": "sneaker / trainers 👟", "hindi": "स्पोर्ट्स शूज़", "translit": null, "level": "A1", "topic": "Clothing", "tint": "60"},
+        {"id": "a1-650-0502", "german": "Socke", "article": "die", "plural": null, "english": "sock 🧦", "hindi": "मोज़ा", "translit": null, "level": "A1", "topic": "Clothing", "tint": "60"},
+        {"id": "a1-650-0503", "german": "Socken", "article": "die", "plural": null, "english": "socks", "hindi": "मोज़े", "translit": null, "level": "A1", "topic": "Clothing", "tint": "60"},
+        {"id": "a1-650-0504", "german": "Hut", "article": "der", "plural": null, "english": "hat 🎩", "hindi": "हैट", "translit": null, "level": "A1", "topic": "Clothing", "tint": "70"},
+        {"id": "a1-650-0505", "german": "Mütze", "article": "die", "plural": null, "english": "cap / beanie 🧢", "hindi": "टोपी", "translit": null, "level": "A1", "topic": "Clothing", "tint": "70"},
+        {"id": "a1-650-0506", "german": "Schal", "article": "der", "plural": null, "english": "scarf 🧣", "hindi": "मफलर / गमछा", "translit": null, "level": "A1", "topic": "Clothing", "tint": "70"},
+        {"id": "a1-650-0507", "german": "Handschuh", "article": "der", "plural": null, "english": "glove 🧤", "hindi": "दस्ताना", "translit": null, "level": "A1", "topic": "Clothing", "tint": "70"},
+        {"id": "a1-650-0508", "german": "Handschuhe", "article": "die", "plural": null, "english": "gloves", "hindi": "दस्ताने", "translit": null, "level": "A1", "topic": "Clothing", "tint": "70"},
+        {"id": "a1-650-0509", "german": "Gürtel", "article": "der", "plural": null, "english": "belt", "hindi": "बेल्ट", "translit": null, "level": "A1", "topic": "Clothing", "tint": "70"},
+        {"id": "a1-650-0510", "german": "Brille", "article": "die", "plural": null, "english": "glasses 👓", "hindi": "चश्मा", "translit": null, "level": "A1", "topic": "Clothing", "tint": "70"},
+        {"id": "a1-650-0511", "german": "Sonnenbrille", "article": "die", "plural": null, "english": "sunglasses 🕶️", "hindi": "धूप का चश्मा", "translit": null, "level": "A1", "topic": "Clothing", "tint": "70"},
+        {"id": "a1-650-0512", "german": "Tasche", "article": "die", "plural": null, "english": "bag / purse 👜", "hindi": "बैग / थैला", "translit": null, "level": "A1", "topic": "Clothing", "tint": "70"},
+        {"id": "a1-650-0513", "german": "Rucksack", "article": "der", "plural": null, "english": "backpack 🎒", "hindi": "बैकपैक", "translit": null, "level": "A1", "topic": "Clothing", "tint": "70"},
+        {"id": "a1-650-0514", "german": "Regenschirm", "article": "der", "plural": null, "english": "umbrella ☂️", "hindi": "छाता", "translit": null, "level": "A1", "topic": "Clothing", "tint": "70"},
+        {"id": "a1-650-0515", "german": "Unterwäsche", "article": "die", "plural": null, "english": "underwear", "hindi": "अंडरवियर", "translit": null, "level": "A1", "topic": "Clothing", "tint": "80"},
+        {"id": "a1-650-0516", "german": "der Pyjama / der Schlafanzug", "article": null, "plural": null, "english": "pajamas", "hindi": "नाइट सूट", "translit": null, "level": "A1", "topic": "Clothing", "tint": "80"},
+        {"id": "a1-650-0517", "german": "Badeanzug", "article": "der", "plural": null, "english": "swimsuit (f) 👙", "hindi": "स्विमसूट", "translit": null, "level": "A1", "topic": "Clothing", "tint": "90"},
+        {"id": "a1-650-0518", "german": "Badehose", "article": "die", "plural": null, "english": "swim trunks (m) 🩲", "hindi": "स्विमिंग शॉर्ट्स", "translit": null, "level": "A1", "topic": "Clothing", "tint": "90"},
+        {"id": "a1-650-0519", "german": "Größe", "article": "die", "plural": null, "english": "size", "hindi": "साइज़", "translit": null, "level": "A1", "topic": "Clothing", "tint": "a0"},
+        {"id": "a1-650-0520", "german": "mittel", "article": null, "plural": null, "english": "medium (M)", "hindi": "मध्यम", "translit": null, "level": "A1", "topic": "Clothing", "tint": "a0"},
+        {"id": "a1-650-0521", "german": "groß", "article": null, "plural": null, "english": "large (L)", "hindi": "बड़ा", "translit": null, "level": "A1", "topic": "Clothing", "tint": "a0"},
+        {"id": "a1-650-0522", "german": "eng", "article": null, "plural": null, "english": "tight", "hindi": "तंग", "translit": null, "level": "A1", "topic": "Clothing", "tint": "a0"},
+        {"id": "a1-650-0523", "german": "weit", "article": null, "plural": null, "english": "loose / wide", "hindi": "ढीला", "translit": null, "level": "A1", "topic": "Clothing", "tint": "a0"},
+        {"id": "a1-650-0524", "german": "tragen", "article": null, "plural": null, "english": "to wear", "hindi": "पहनना", "translit": null, "level": "A1", "topic": "Clothing", "tint": "b0"},
+        {"id": "a1-650-0525", "german": "anziehen", "article": null, "plural": null, "english": "to put on (clothes)", "hindi": "पहनना", "translit": null, "level": "A1", "topic": "Clothing", "tint": "b0"},
+        {"id": "a1-650-0526", "german": "ausziehen", "article": null, "plural": null, "english": "to take off (clothes)", "hindi": "उतारना", "translit": null, "level": "A1", "topic": "Clothing", "tint": "b0"},
+        {"id": "a1-650-0527", "german": "sich umziehen", "article": null, "plural": null, "english": "to change clothes", "hindi": "कपड़े बदलना", "translit": null, "level": "A1", "topic": "Clothing", "tint": "b0"},
+        {"id": "a1-650-0528", "german": "passen", "article": null, "plural": null, "english": "to fit", "hindi": "फिट होना", "translit": null, "level": "A1", "topic": "Clothing", "tint": "b0"},
+        {"id": "a1-650-0529", "german": "anprobieren", "article": null, "plural": null, "english": "to try on", "hindi": "पहनकर देखना", "translit": null, "level": "A1", "topic": "Clothing", "tint": "b0"},
+        {"id": "a1-650-0530", "german": "Welche Größe haben Sie?", "article": null, "plural": null, "english": "What size do you have?", "hindi": "आपका साइज़ क्या है?", "translit": null, "level": "A1", "topic": "Clothing", "tint": "c0"},
+        {"id": "a1-650-0531", "german": "Kann ich das anprobieren?", "article": null, "plural": null, "english": "Can I try this on?", "hindi": "क्या मैं इसे पहनकर देख सकता/सकती हूँ?", "translit": null, "level": "A1", "topic": "Clothing", "tint": "c0"},
+        {"id": "a1-650-0532", "german": "Das passt mir (nicht)", "article": null, "plural": null, "english": "That fits me (not)", "hindi": "यह मुझे फिट है (नहीं)", "translit": null, "level": "A1", "topic": "Clothing", "tint": "c0"},
+        {"id": "a1-650-0533", "german": "Das steht dir gut!", "article": null, "plural": null, "english": "That looks good on you!", "hindi": "तुम पर यह अच्छा लग रहा है!", "translit": null, "level": "A1", "topic": "Clothing", "tint": "c0"},
+        {"id": "a1-650-0534", "german": "Was ziehst du heute an?", "article": null, "plural": null, "english": "What are you wearing today?", "hindi": "आज तुम क्या पहन रहे हो?", "translit": null, "level": "A1", "topic": "Clothing", "tint": "c0"},
+        {"id": "a1-650-0535", "german": "das Auto / der Wagen", "article": null, "plural": null, "english": "car 🚗", "hindi": "कार / गाड़ी", "translit": null, "level": "A1", "topic": "Transport_&_Travel"},
+        {"id": "a1-650-0536", "german": "Bus", "article": "der", "plural": null, "english": "bus 🚌", "hindi": "बस", "translit": null, "level": "A1", "topic": "Transport_&_Travel"},
+        {"id": "a1-650-0537", "german": "Taxi", "article": "das", "plural": null, "english": "taxi 🚕", "hindi": "टैक्सी", "translit": null, "level": "A1", "topic": "Transport_&_Travel"},
+        {"id": "a1-650-0538", "german": "das Fahrrad / das Rad", "article": null, "plural": null, "english": "bicycle 🚲", "hindi": "साइकिल", "translit": null, "level": "A1", "topic": "Transport_&_Travel"},
+        {"id": "a1-650-0539", "german": "Motorrad", "article": "das", "plural": null, "english": "motorcycle 🏍️", "hindi": "मोटरसाइकिल", "translit": null, "level": "A1", "topic": "Transport_&_Travel"},
+        {"id": "a1-650-0540", "german": "der LKW / der Lastwagen", "article": null, "plural": null, "english": "truck 🚛", "hindi": "ट्रक", "translit": null, "level": "A1", "topic": "Transport_&_Travel"},
+        {"id": "a1-650-0541", "german": "Zug", "article": "der", "plural": null, "english": "train 🚆", "hindi": "ट्रेन", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "30"},
+        {"id": "a1-650-0542", "german": "Bahn", "article": "die", "plural": null, "english": "train / railway", "hindi": "रेल", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "30"},
+        {"id": "a1-650-0543", "german": "U-Bahn", "article": "die", "plural": null, "english": "metro / subway 🚇", "hindi": "मेट्रो", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "30"},
+        {"id": "a1-650-0544", "german": "S-Bahn", "article": "die", "plural": null, "english": "suburban train", "hindi": "लोकल ट्रेन", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "30"},
+        {"id": "a1-650-0545", "german": "Straßenbahn", "article": "die", "plural": null, "english": "tram 🚃", "hindi": "ट्राम", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "30"},
+        {"id": "a1-650-0546", "german": "Flugzeug", "article": "das", "plural": null, "english": "airplane ✈️", "hindi": "हवाई जहाज़", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "40"},
+        {"id": "a1-650-0547", "german": "Schiff", "article": "das", "plural": null, "english": "ship 🚢", "hindi": "जहाज़", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "40"},
+        {"id": "a1-650-0548", "german": "Boot", "article": "das", "plural": null, "english": "boat ⛵", "hindi": "नाव", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "40"},
+        {"id": "a1-650-0549", "german": "Bahnhof", "article": "der", "plural": null, "english": "train station 🚉", "hindi": "रेलवे स्टेशन", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "50"},
+        {"id": "a1-650-0550", "german": "Flughafen", "article": "der", "plural": null, "english": "airport ✈️", "hindi": "हवाई अड्डा", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "50"},
+        {"id": "a1-650-0551", "german": "Haltestelle", "article": "die", "plural": null, "english": "stop (bus/tram)", "hindi": "स्टॉप", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "50"},
+        {"id": "a1-650-0552", "german": "Bushaltestelle", "article": "die", "plural": null, "english": "bus stop 🚏", "hindi": "बस स्टॉप", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "50"},
+        {"id": "a1-650-0553", "german": "das Gleis / der Bahnsteig", "article": null, "plural": null, "english": "platform / track", "hindi": "प्लेटफॉर्म", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "50"},
+        {"id": "a1-650-0554", "german": "Tankstelle", "article": "die", "plural": null, "english": "gas station ⛽", "hindi": "पेट्रोल पंप", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "50"},
+        {"id": "a1-650-0555", "german": "die Fahrkarte / das Ticket", "article": null, "plural": null, "english": "ticket 🎫", "hindi": "टिकट", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "60"},
+        {"id": "a1-650-0556", "german": "Fahrplan", "article": "der", "plural": null, "english": "timetable / schedule", "hindi": "समय-सारणी", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "60"},
+        {"id": "a1-650-0557", "german": "die Hin- und Rückfahrt", "article": null, "plural": null, "english": "round trip", "hindi": "आना-जाना टिकट", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "60"},
+        {"id": "a1-650-0558", "german": "einfache Fahrt", "article": null, "plural": null, "english": "one-way trip", "hindi": "एक तरफ़ का टिकट", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "60"},
+        {"id": "a1-650-0559", "german": "buchen", "article": null, "plural": null, "english": "to book", "hindi": "बुक करना", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "60"},
+        {"id": "a1-650-0560", "german": "fahren", "article": null, "plural": null, "english": "to drive / go (vehicle)", "hindi": "चलाना / जाना", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "70"},
+        {"id": "a1-650-0561", "german": "fliegen", "article": null, "plural": null, "english": "to fly", "hindi": "उड़ना", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "70"},
+        {"id": "a1-650-0562", "german": "gehen", "article": null, "plural": null, "english": "to go / walk 🚶", "hindi": "जाना / चलना", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "70"},
+        {"id": "a1-650-0563", "german": "laufen", "article": null, "plural": null, "english": "to walk / run", "hindi": "चलना / दौड़ना", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "70"},
+        {"id": "a1-650-0564", "german": "einsteigen", "article": null, "plural": null, "english": "to get on / board", "hindi": "चढ़ना", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "70"},
+        {"id": "a1-650-0565", "german": "umsteigen", "article": null, "plural": null, "english": "to change / transfer", "hindi": "बदलना (गाड़ी)", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "70"},
+        {"id": "a1-650-0566", "german": "abfahren", "article": null, "plural": null, "english": "to depart", "hindi": "रवाना होना", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "70"},
+        {"id": "a1-650-0567", "german": "ankommen", "article": null, "plural": null, "english": "to arrive", "hindi": "पहुँचना", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "70"},
+        {"id": "a1-650-0568", "german": "Abfahrt", "article": "die", "plural": null, "english": "departure", "hindi": "प्रस्थान", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "70"},
+        {"id": "a1-650-0569", "german": "Ankunft", "article": "die", "plural": null, "english": "arrival", "hindi": "आगमन", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "70"},
+        {"id": "a1-650-0570", "german": "Urlaub", "article": "der", "plural": null, "english": "vacation / holiday 🏖️", "hindi": "छुट्टी", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "80"},
+        {"id": "a1-650-0571", "german": "Ferien", "article": "die", "plural": null, "english": "holidays (school)", "hindi": "छुट्टियाँ", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "80"},
+        {"id": "a1-650-0572", "german": "Hotel", "article": "das", "plural": null, "english": "hotel 🏨", "hindi": "होटल", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "80"},
+        {"id": "a1-650-0573", "german": "der Reisepass / der Pass", "article": null, "plural": null, "english": "passport 🛂", "hindi": "पासपोर्ट", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "90"},
+        {"id": "a1-650-0574", "german": "Visum", "article": "das", "plural": null, "english": "visa", "hindi": "वीज़ा", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "90"},
+        {"id": "a1-650-0575", "german": "Gepäck", "article": "das", "plural": null, "english": "luggage / baggage 🧳", "hindi": "सामान", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "a0"},
+        {"id": "a1-650-0576", "german": "Koffer", "article": "der", "plural": null, "english": "suitcase", "hindi": "सूटकेस", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "a0"},
+        {"id": "a1-650-0577", "german": "Verkehr", "article": "der", "plural": null, "english": "traffic", "hindi": "ट्रैफ़िक", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "b0"},
+        {"id": "a1-650-0578", "german": "Straße", "article": "die", "plural": null, "english": "street / road", "hindi": "सड़क", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "b0"},
+        {"id": "a1-650-0579", "german": "Ampel", "article": "die", "plural": null, "english": "traffic light 🚦", "hindi": "ट्रैफ़िक लाइट", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "b0"},
+        {"id": "a1-650-0580", "german": "Parkplatz", "article": "der", "plural": null, "english": "parking lot 🅿️", "hindi": "पार्किंग", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "b0"},
+        {"id": "a1-650-0581", "german": "tanken", "article": null, "plural": null, "english": "to refuel", "hindi": "पेट्रोल भरवाना", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "b0"},
+        {"id": "a1-650-0582", "german": "Benzin", "article": "das", "plural": null, "english": "petrol / gas", "hindi": "पेट्रोल", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "b0"},
+        {"id": "a1-650-0583", "german": "links", "article": null, "plural": null, "english": "left ⬅️", "hindi": "बाएँ", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "c0"},
+        {"id": "a1-650-0584", "german": "rechts", "article": null, "plural": null, "english": "right ➡️", "hindi": "दाएँ", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "c0"},
+        {"id": "a1-650-0585", "german": "geradeaus", "article": null, "plural": null, "english": "straight ahead ⬆️", "hindi": "सीधे", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "c0"},
+        {"id": "a1-650-0586", "german": "Ecke", "article": "die", "plural": null, "english": "corner", "hindi": "कोना", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "c0"},
+        {"id": "a1-650-0587", "german": "Kreuzung", "article": "die", "plural": null, "english": "intersection / crossing", "hindi": "चौराहा", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "c0"},
+        {"id": "a1-650-0588", "german": "Verspätung", "article": "die", "plural": null, "english": "delay", "hindi": "देरी", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "d0"},
+        {"id": "a1-650-0589", "german": "Stau", "article": "der", "plural": null, "english": "traffic jam", "hindi": "ट्रैफिक जाम", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "d0"},
+        {"id": "a1-650-0590", "german": "Passagier", "article": "der", "plural": null, "english": "passenger", "hindi": "यात्री", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "d0"},
+        {"id": "a1-650-0591", "german": "Fahrer", "article": "der", "plural": null, "english": "driver", "hindi": "ड्राइवर", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "d0"},
+        {"id": "a1-650-0592", "german": "Führerschein", "article": "der", "plural": null, "english": "driver's license", "hindi": "ड्राइविंग लाइसेंस", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "d0"},
+        {"id": "a1-650-0593", "german": "Sitzplatz", "article": "der", "plural": null, "english": "seat", "hindi": "सीट", "translit": null, "level": "A1", "topic": "Transport_&_Travel", "tint": "d0"},
+        {"id": "a1-650-0594", "german": "Stadt", "article": "die", "plural": null, "english": "city / town 🏙️", "hindi": "शहर", "translit": null, "level": "A1", "topic": "Places_&_City"},
+        {"id": "a1-650-0595", "german": "Dorf", "article": "das", "plural": null, "english": "village 🏘️", "hindi": "गाँव", "translit": null, "level": "A1", "topic": "Places_&_City"},
+        {"id": "a1-650-0596", "german": "das Zentrum / die Innenstadt", "article": null, "plural": null, "english": "city center / downtown", "hindi": "शहर का केंद्र", "translit": null, "level": "A1", "topic": "Places_&_City"},
+        {"id": "a1-650-0597", "german": "Altstadt", "article": "die", "plural": null, "english": "old town", "hindi": "पुराना शहर", "translit": null, "level": "A1", "topic": "Places_&_City"},
+        {"id": "a1-650-0598", "german": "Platz", "article": "der", "plural": null, "english": "square / plaza", "hindi": "चौक", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "30"},
+        {"id": "a1-650-0599", "german": "Brücke", "article": "die", "plural": null, "english": "bridge 🌉", "hindi": "पुल", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "30"},
+        {"id": "a1-650-0600", "german": "Park", "article": "der", "plural": null, "english": "park 🌳", "hindi": "पार्क", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "30"},
+        {"id": "a1-650-0601", "german": "Spielplatz", "article": "der", "plural": null, "english": "playground", "hindi": "खेल का मैदान", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "30"},
+        {"id": "a1-650-0602", "german": "Rathaus", "article": "das", "plural": null, "english": "town hall 🏛️", "hindi": "नगर पालिका", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "40"},
+        {"id": "a1-650-0603", "german": "Polizeiwache", "article": "die", "plural": null, "english": "police station", "hindi": "पुलिस थाना", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "40"},
+        {"id": "a1-650-0604", "german": "Post", "article": "die", "plural": null, "english": "post office 📮", "hindi": "डाकघर", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "40"},
+        {"id": "a1-650-0605", "german": "Bank", "article": "die", "plural": null, "english": "bank 🏦", "hindi": "बैंक", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "40"},
+        {"id": "a1-650-0606", "german": "Amt", "article": "das", "plural": null, "english": "office / authority", "hindi": "कार्यालय", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "40"},
+        {"id": "a1-650-0607", "german": "Büro", "article": "das", "plural": null, "english": "office", "hindi": "दफ्तर", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "40"},
+        {"id": "a1-650-0608", "german": "Arztpraxis", "article": "die", "plural": null, "english": "doctor's office", "hindi": "डॉक्टर का क्लीनिक", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "50"},
+        {"id": "a1-650-0609", "german": "Schule", "article": "die", "plural": null, "english": "school 🏫", "hindi": "स्कूल", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "60"},
+        {"id": "a1-650-0610", "german": "Kindergarten", "article": "der", "plural": null, "english": "kindergarten", "hindi": "किंडरगार्टन", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "60"},
+        {"id": "a1-650-0611", "german": "Gymnasium", "article": "das", "plural": null, "english": "high school", "hindi": "हाई स्कूल", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "60"},
+        {"id": "a1-650-0612", "german": "die Universität / die Uni", "article": null, "plural": null, "english": "university 🎓", "hindi": "विश्वविद्यालय", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "60"},
+        {"id": "a1-650-0613", "german": "Bibliothek", "article": "die", "plural": null, "english": "library 📚", "hindi": "पुस्तकालय", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "60"},
+        {"id": "a1-650-0614", "german": "Mensa", "article": "die", "plural": null, "english": "canteen / cafeteria", "hindi": "कैंटीन", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "60"},
+        {"id": "a1-650-0615", "german": "der Laden / das Geschäft", "article": null, "plural": null, "english": "shop / store 🏪", "hindi": "दुकान", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "70"},
+        {"id": "a1-650-0616", "german": "Supermarkt", "article": "der", "plural": null, "english": "supermarket 🛒", "hindi": "सुपरमार्केट", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "70"},
+        {"id": "a1-650-0617", "german": "Einkaufszentrum", "article": "das", "plural": null, "english": "shopping mall 🛍️", "hindi": "शॉपिंग मॉल", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "70"},
+        {"id": "a1-650-0618", "german": "Markt", "article": "der", "plural": null, "english": "market", "hindi": "बाज़ार", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "70"},
+        {"id": "a1-650-0619", "german": "Flohmarkt", "article": "der", "plural": null, "english": "flea market", "hindi": "पुरानी चीज़ों का बाज़ार", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "70"},
+        {"id": "a1-650-0620", "german": "Metzgerei", "article": "die", "plural": null, "english": "butcher shop 🥩", "hindi": "कसाई की दुकान", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "80"},
+        {"id": "a1-650-0621", "german": "Blumenladen", "article": "der", "plural": null, "english": "flower shop 💐", "hindi": "फूल की दुकान", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "80"},
+        {"id": "a1-650-0622", "german": "Restaurant", "article": "das", "plural": null, "english": "restaurant 🍽️", "hindi": "रेस्तरां", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "90"},
+        {"id": "a1-650-0623", "german": "Café", "article": "das", "plural": null, "english": "café ☕", "hindi": "कैफ़े", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "90"},
+        {"id": "a1-650-0624", "german": "Imbiss", "article": "der", "plural": null, "english": "snack bar / fast food", "hindi": "स्नैक बार", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "90"},
+        {"id": "a1-650-0625", "german": "die Kneipe / die Bar", "article": null, "plural": null, "english": "pub / bar 🍺", "hindi": "बार", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "90"},
+        {"id": "a1-650-0626", "german": "Kino", "article": "das", "plural": null, "english": "cinema 🎬", "hindi": "सिनेमा", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "a0"},
+        {"id": "a1-650-0627", "german": "Theater", "article": "das", "plural": null, "english": "theater 🎭", "hindi": "थिएटर", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "a0"},
+        {"id": "a1-650-0628", "german": "Museum", "article": "das", "plural": null, "english": "museum 🏛️", "hindi": "संग्रहालय", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "a0"},
+        {"id": "a1-650-0629", "german": "die Disco / der Club", "article": null, "plural": null, "english": "disco / club 🎉", "hindi": "डिस्को / क्लब", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "a0"},
+        {"id": "a1-650-0630", "german": "Schwimmbad", "article": "das", "plural": null, "english": "swimming pool 🏊", "hindi": "स्विमिंग पूल", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "b0"},
+        {"id": "a1-650-0631", "german": "Fitnessstudio", "article": "das", "plural": null, "english": "gym 🏋️", "hindi": "जिम", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "b0"},
+        {"id": "a1-650-0632", "german": "Stadion", "article": "das", "plural": null, "english": "stadium 🏟️", "hindi": "स्टेडियम", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "b0"},
+        {"id": "a1-650-0633", "german": "Sporthalle", "article": "die", "plural": null, "english": "sports hall", "hindi": "खेल हॉल", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "b0"},
+        {"id": "a1-650-0634", "german": "Kirche", "article": "die", "plural": null, "english": "church ⛪", "hindi": "गिरजाघर", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "c0"},
+        {"id": "a1-650-0635", "german": "Moschee", "article": "die", "plural": null, "english": "mosque 🕌", "hindi": "मस्जिद", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "c0"},
+        {"id": "a1-650-0636", "german": "Tempel", "article": "der", "plural": null, "english": "temple 🛕", "hindi": "मंदिर", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "c0"},
+        {"id": "a1-650-0637", "german": "der Friseur / der Frisör", "article": null, "plural": null, "english": "hairdresser 💇", "hindi": "नाई / हेयर सैलून", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "d0"},
+        {"id": "a1-650-0638", "german": "Reinigung", "article": "die", "plural": null, "english": "dry cleaner", "hindi": "ड्राई क्लीनर", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "d0"},
+        {"id": "a1-650-0639", "german": "Werkstatt", "article": "die", "plural": null, "english": "workshop / garage", "hindi": "वर्कशॉप / गैरेज", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "d0"},
+        {"id": "a1-650-0640", "german": "Zoo", "article": "der", "plural": null, "english": "zoo 🦁", "hindi": "चिड़ियाघर", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "e0"},
+        {"id": "a1-650-0641", "german": "Schloss", "article": "das", "plural": null, "english": "castle 🏰", "hindi": "महल", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "e0"},
+        {"id": "a1-650-0642", "german": "Turm", "article": "der", "plural": null, "english": "tower", "hindi": "टावर", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "e0"},
+        {"id": "a1-650-0643", "german": "Sehenswürdigkeit", "article": "die", "plural": null, "english": "tourist attraction / sight", "hindi": "दर्शनीय स्थल", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "e0"},
+        {"id": "a1-650-0644", "german": "Eingang", "article": "der", "plural": null, "english": "entrance 🚪", "hindi": "प्रवेश द्वार", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "f0"},
+        {"id": "a1-650-0645", "german": "Ausgang", "article": "der", "plural": null, "english": "exit", "hindi": "निकास", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "f0"},
+        {"id": "a1-650-0646", "german": "der Aufzug / der Fahrstuhl", "article": null, "plural": null, "english": "elevator / lift", "hindi": "लिफ्ट", "translit": null, "level": "A1", "topic": "Places_&_City", "tint": "f0"},
+        {"id": "a1-650-0647", "german": "Adresse", "article": "die", "plural": null, "english": "address 📍", "hindi": "पता", "translit": null, "level": "A1", "topic": "Places_&_City", "rowStyle": "background-color: #eceff1;"},
+        {"id": "a1-650-0648", "german": "hier", "article": null, "plural": null, "english": "here", "hindi": "यहाँ", "translit": null, "level": "A1", "topic": "Places_&_City", "rowStyle": "background-color: #eceff1;"},
+        {"id": "a1-650-0649", "german": "dort / da", "article": null, "plural": null, "english": "there", "hindi": "वहाँ", "translit": null, "level": "A1", "topic": "Places_&_City", "rowStyle": "background-color: #eceff1;"},
+        {"id": "a1-650-0650", "german": "in der Nähe", "article": null, "plural": null, "english": "nearby", "hindi": "पास में", "translit": null, "level": "A1", "topic": "Places_&_City", "rowStyle": "background-color: #eceff1;"},
+        {"id": "a1-650-0651", "german": "Ich suche...", "article": null, "plural": null, "english": "I'm looking for...", "hindi": "मैं ... ढूँढ रहा/रही हूँ", "translit": null, "level": "A1", "topic": "Places_&_City", "rowStyle": "background-color: #eceff1;"},
+        {"id": "a1-650-0652", "german": "Das ist in der Nähe vom...", "article": null, "plural": null, "english": "That's near the...", "hindi": "वह ... के पास है", "translit": null, "level": "A1", "topic": "Places_&_City", "rowStyle": "background-color: #eceff1;"},
+        {"id": "a1-650-0653", "german": "Wetter", "article": "das", "plural": null, "english": "weather 🌤️", "hindi": "मौसम", "translit": null, "level": "A1", "topic": "Nature_&_Weather"},
+        {"id": "a1-650-0654", "german": "Temperatur", "article": "die", "plural": null, "english": "temperature 🌡️", "hindi": "तापमान", "translit": null, "level": "A1", "topic": "Nature_&_Weather"},
+        {"id": "a1-650-0655", "german": "Himmel", "article": "der", "plural": null, "english": "sky", "hindi": "आसमान", "translit": null, "level": "A1", "topic": "Nature_&_Weather"},
+        {"id": "a1-650-0656", "german": "Sonne", "article": "die", "plural": null, "english": "sun ☀️", "hindi": "सूरज", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "30"},
+        {"id": "a1-650-0657", "german": "sonnig", "article": null, "plural": null, "english": "sunny", "hindi": "धूप वाला", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "30"},
+        {"id": "a1-650-0658", "german": "Die Sonne scheint", "article": null, "plural": null, "english": "The sun is shining", "hindi": "धूप निकली है", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "30"},
+        {"id": "a1-650-0659", "german": "Wolke", "article": "die", "plural": null, "english": "cloud ☁️", "hindi": "बादल", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "40"},
+        {"id": "a1-650-0660", "german": "bewölkt", "article": null, "plural": null, "english": "cloudy", "hindi": "बादल वाला", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "40"},
+        {"id": "a1-650-0661", "german": "Regen", "article": "der", "plural": null, "english": "rain 🌧️", "hindi": "बारिश", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "50"},
+        {"id": "a1-650-0662", "german": "regnen", "article": null, "plural": null, "english": "to rain", "hindi": "बरसना", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "50"},
+        {"id": "a1-650-0663", "german": "Es regnet", "article": null, "plural": null, "english": "It's raining", "hindi": "बारिश हो रही है", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "50"},
+        {"id": "a1-650-0664", "german": "nass", "article": null, "plural": null, "english": "wet", "hindi": "गीला", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "50"},
+        {"id": "a1-650-0665", "german": "Schnee", "article": "der", "plural": null, "english": "snow ❄️", "hindi": "बर्फ", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "60"},
+        {"id": "a1-650-0666", "german": "schneien", "article": null, "plural": null, "english": "to snow", "hindi": "बर्फ गिरना", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "60"},
+        {"id": "a1-650-0667", "german": "Es schneit", "article": null, "plural": null, "english": "It's snowing", "hindi": "बर्फ गिर रही है", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "60"},
+        {"id": "a1-650-0668", "german": "Wind", "article": "der", "plural": null, "english": "wind 💨", "hindi": "हवा", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "70"},
+        {"id": "a1-650-0669", "german": "windig", "article": null, "plural": null, "english": "windy", "hindi": "हवादार", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "70"},
+        {"id": "a1-650-0670", "german": "Sturm", "article": "der", "plural": null, "english": "storm 🌪️", "hindi": "तूफ़ान", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "70"},
+        {"id": "a1-650-0671", "german": "Nebel", "article": "der", "plural": null, "english": "fog 🌫️", "hindi": "कोहरा", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "80"},
+        {"id": "a1-650-0672", "german": "neblig", "article": null, "plural": null, "english": "foggy", "hindi": "धुंधला", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "80"},
+        {"id": "a1-650-0673", "german": "Gewitter", "article": "das", "plural": null, "english": "thunderstorm ⛈️", "hindi": "आँधी-तूफ़ान", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "90"},
+        {"id": "a1-650-0674", "german": "Blitz", "article": "der", "plural": null, "english": "lightning ⚡", "hindi": "बिजली", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "90"},
+        {"id": "a1-650-0675", "german": "Donner", "article": "der", "plural": null, "english": "thunder", "hindi": "गड़गड़ाहट", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "90"},
+        {"id": "a1-650-0676", "german": "kühl", "article": null, "plural": null, "english": "cool", "hindi": "ठंडा (हल्का)", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "a0"},
+        {"id": "a1-650-0677", "german": "trocken", "article": null, "plural": null, "english": "dry", "hindi": "सूखा", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "a0"},
+        {"id": "a1-650-0678", "german": "Jahreszeit", "article": "die", "plural": null, "english": "season", "hindi": "मौसम / ऋतु", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "c0"},
+        {"id": "a1-650-0679", "german": "Frühling", "article": "der", "plural": null, "english": "spring 🌸", "hindi": "बसंत", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "c0"},
+        {"id": "a1-650-0680", "german": "Sommer", "article": "der", "plural": null, "english": "summer ☀️", "hindi": "गर्मी", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "c0"},
+        {"id": "a1-650-0681", "german": "Herbst", "article": "der", "plural": null, "english": "autumn / fall 🍂", "hindi": "पतझड़", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "c0"},
+        {"id": "a1-650-0682", "german": "Winter", "article": "der", "plural": null, "english": "winter ❄️", "hindi": "सर्दी", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "c0"},
+        {"id": "a1-650-0683", "german": "Natur", "article": "die", "plural": null, "english": "nature 🌿", "hindi": "प्रकृति", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "d0"},
+        {"id": "a1-650-0684", "german": "Land", "article": "das", "plural": null, "english": "countryside / land", "hindi": "देहात / ज़मीन", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "d0"},
+        {"id": "a1-650-0685", "german": "Berg", "article": "der", "plural": null, "english": "mountain ⛰️", "hindi": "पहाड़", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "d0"},
+        {"id": "a1-650-0686", "german": "Tal", "article": "das", "plural": null, "english": "valley", "hindi": "घाटी", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "d0"},
+        {"id": "a1-650-0687", "german": "Hügel", "article": "der", "plural": null, "english": "hill", "hindi": "पहाड़ी", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "d0"},
+        {"id": "a1-650-0688", "german": "Wald", "article": "der", "plural": null, "english": "forest 🌲", "hindi": "जंगल", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "d0"},
+        {"id": "a1-650-0689", "german": "Wiese", "article": "die", "plural": null, "english": "meadow", "hindi": "घास का मैदान", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "d0"},
+        {"id": "a1-650-0690", "german": "Feld", "article": "das", "plural": null, "english": "field", "hindi": "खेत", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "d0"},
+        {"id": "a1-650-0691", "german": "Meer", "article": "das", "plural": null, "english": "sea 🌊", "hindi": "समुद्र", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "e0"},
+        {"id": "a1-650-0692", "german": "See", "article": "der", "plural": null, "english": "lake", "hindi": "झील", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "e0"},
+        {"id": "a1-650-0693", "german": "Fluss", "article": "der", "plural": null, "english": "river 🏞️", "hindi": "नदी", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "e0"},
+        {"id": "a1-650-0694", "german": "Strand", "article": "der", "plural": null, "english": "beach 🏖️", "hindi": "समुद्र तट", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "e0"},
+        {"id": "a1-650-0695", "german": "Insel", "article": "die", "plural": null, "english": "island 🏝️", "hindi": "द्वीप", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "e0"},
+        {"id": "a1-650-0696", "german": "Baum", "article": "der", "plural": null, "english": "tree 🌳", "hindi": "पेड़", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "f0"},
+        {"id": "a1-650-0697", "german": "Pflanze", "article": "die", "plural": null, "english": "plant 🌱", "hindi": "पौधा", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "f0"},
+        {"id": "a1-650-0698", "german": "Blume", "article": "die", "plural": null, "english": "flower 🌸", "hindi": "फूल", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "f0"},
+        {"id": "a1-650-0699", "german": "Gras", "article": "das", "plural": null, "english": "grass 🌿", "hindi": "घास", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "f0"},
+        {"id": "a1-650-0700", "german": "Blatt", "article": "das", "plural": null, "english": "leaf 🍃", "hindi": "पत्ता", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "tint": "f0"},
+        {"id": "a1-650-0701", "german": "Luft", "article": "die", "plural": null, "english": "air", "hindi": "हवा", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "rowStyle": "background-color: #dcedc8;"},
+        {"id": "a1-650-0702", "german": "Erde", "article": "die", "plural": null, "english": "earth / ground 🌍", "hindi": "धरती / ज़मीन", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "rowStyle": "background-color: #dcedc8;"},
+        {"id": "a1-650-0703", "german": "Feuer", "article": "das", "plural": null, "english": "fire 🔥", "hindi": "आग", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "rowStyle": "background-color: #dcedc8;"},
+        {"id": "a1-650-0704", "german": "Stein", "article": "der", "plural": null, "english": "stone / rock 🪨", "hindi": "पत्थर", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "rowStyle": "background-color: #dcedc8;"},
+        {"id": "a1-650-0705", "german": "Mond", "article": "der", "plural": null, "english": "moon 🌙", "hindi": "चाँद", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "rowStyle": "background-color: #dcedc8;"},
+        {"id": "a1-650-0706", "german": "Stern", "article": "der", "plural": null, "english": "star ⭐", "hindi": "तारा", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "rowStyle": "background-color: #dcedc8;"},
+        {"id": "a1-650-0707", "german": "Regenbogen", "article": "der", "plural": null, "english": "rainbow 🌈", "hindi": "इंद्रधनुष", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "rowStyle": "background-color: #dcedc8;"},
+        {"id": "a1-650-0708", "german": "Wie ist das Wetter?", "article": null, "plural": null, "english": "How's the weather?", "hindi": "मौसम कैसा है?", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "rowStyle": "background-color: #dcedc8;"},
+        {"id": "a1-650-0709", "german": "Das Wetter ist schön", "article": null, "plural": null, "english": "The weather is nice", "hindi": "मौसम अच्छा है", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "rowStyle": "background-color: #dcedc8;"},
+        {"id": "a1-650-0710", "german": "Das Wetter ist schlecht", "article": null, "plural": null, "english": "The weather is bad", "hindi": "मौसम खराब है", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "rowStyle": "background-color: #dcedc8;"},
+        {"id": "a1-650-0711", "german": "Es ist heiß/kalt", "article": null, "plural": null, "english": "It's hot/cold", "hindi": "गर्मी/ठंड है", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "rowStyle": "background-color: #dcedc8;"},
+        {"id": "a1-650-0712", "german": "Wie viel Grad ist es?", "article": null, "plural": null, "english": "What's the temperature?", "hindi": "कितने डिग्री है?", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "rowStyle": "background-color: #dcedc8;"},
+        {"id": "a1-650-0713", "german": "Es sind 20 Grad", "article": null, "plural": null, "english": "It's 20 degrees", "hindi": "20 डिग्री है", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "rowStyle": "background-color: #dcedc8;"},
+        {"id": "a1-650-0714", "german": "draußen", "article": null, "plural": null, "english": "outside", "hindi": "बाहर", "translit": null, "level": "A1", "topic": "Nature_&_Weather", "rowStyle": "background-color: #dcedc8;"},
+        {"id": "a1-650-0715", "german": "Sekunde", "article": "die", "plural": null, "english": "second", "hindi": "सेकंड", "translit": null, "level": "A1", "topic": "Time"},
+        {"id": "a1-650-0716", "german": "Minute", "article": "die", "plural": null, "english": "minute", "hindi": "मिनट", "translit": null, "level": "A1", "topic": "Time"},
+        {"id": "a1-650-0717", "german": "Stunde", "article": "die", "plural": null, "english": "hour", "hindi": "घंटा", "translit": null, "level": "A1", "topic": "Time"},
+        {"id": "a1-650-0718", "german": "Tag", "article": "der", "plural": null, "english": "day", "hindi": "दिन", "translit": null, "level": "A1", "topic": "Time"},
+        {"id": "a1-650-0719", "german": "Woche", "article": "die", "plural": null, "english": "week", "hindi": "सप्ताह", "translit": null, "level": "A1", "topic": "Time"},
+        {"id": "a1-650-0720", "german": "Monat", "article": "der", "plural": null, "english": "month", "hindi": "महीना", "translit": null, "level": "A1", "topic": "Time"},
+        {"id": "a1-650-0721", "german": "Jahr", "article": "das", "plural": null, "english": "year", "hindi": "साल", "translit": null, "level": "A1", "topic": "Time"},
+        {"id": "a1-650-0722", "german": "Viertel", "article": null, "plural": null, "english": "quarter", "hindi": "पौने / सवा", "translit": null, "level": "A1", "topic": "Time", "tint": "30"},
+        {"id": "a1-650-0723", "german": "vor", "article": null, "plural": null, "english": "before / to", "hindi": "पहले", "translit": null, "level": "A1", "topic": "Time", "tint": "30"},
+        {"id": "a1-650-0724", "german": "nach", "article": null, "plural": null, "english": "after / past", "hindi": "बाद", "translit": null, "level": "A1", "topic": "Time", "tint": "30"},
+        {"id": "a1-650-0725", "german": "Morgen", "article": "der", "plural": null, "english": "morning 🌅", "hindi": "सुबह", "translit": null, "level": "A1", "topic": "Time", "tint": "40"},
+        {"id": "a1-650-0726", "german": "Vormittag", "article": "der", "plural": null, "english": "late morning", "hindi": "दोपहर से पहले", "translit": null, "level": "A1", "topic": "Time", "tint": "40"},
+        {"id": "a1-650-0727", "german": "Mittag", "article": "der", "plural": null, "english": "noon / midday 🌞", "hindi": "दोपहर", "translit": null, "level": "A1", "topic": "Time", "tint": "40"},
+        {"id": "a1-650-0728", "german": "Nachmittag", "article": "der", "plural": null, "english": "afternoon", "hindi": "दोपहर बाद", "translit": null, "level": "A1", "topic": "Time", "tint": "40"},
+        {"id": "a1-650-0729", "german": "Abend", "article": "der", "plural": null, "english": "evening 🌆", "hindi": "शाम", "translit": null, "level": "A1", "topic": "Time", "tint": "40"},
+        {"id": "a1-650-0730", "german": "Nacht", "article": "die", "plural": null, "english": "night 🌙", "hindi": "रात", "translit": null, "level": "A1", "topic": "Time", "tint": "40"},
+        {"id": "a1-650-0731", "german": "Mitternacht", "article": "die", "plural": null, "english": "midnight", "hindi": "आधी रात", "translit": null, "level": "A1", "topic": "Time", "tint": "40"},
+        {"id": "a1-650-0732", "german": "Montag", "article": null, "plural": null, "english": "Monday", "hindi": "सोमवार", "translit": null, "level": "A1", "topic": "Time", "tint": "50"},
+        {"id": "a1-650-0733", "german": "Dienstag", "article": null, "plural": null, "english": "Tuesday", "hindi": "मंगलवार", "translit": null, "level": "A1", "topic": "Time", "tint": "50"},
+        {"id": "a1-650-0734", "german": "Mittwoch", "article": null, "plural": null, "english": "Wednesday", "hindi": "बुधवार", "translit": null, "level": "A1", "topic": "Time", "tint": "50"},
+        {"id": "a1-650-0735", "german": "Donnerstag", "article": null, "plural": null, "english": "Thursday", "hindi": "गुरुवार", "translit": null, "level": "A1", "topic": "Time", "tint": "50"},
+        {"id": "a1-650-0736", "german": "Samstag", "article": null, "plural": null, "english": "Saturday", "hindi": "शनिवार", "translit": null, "level": "A1", "topic": "Time", "tint": "50"},
+        {"id": "a1-650-0737", "german": "Sonntag", "article": null, "plural": null, "english": "Sunday", "hindi": "रविवार", "translit": null, "level": "A1", "topic": "Time", "tint": "50"},
+        {"id": "a1-650-0738", "german": "Wochenende", "article": "das", "plural": null, "english": "weekend 🗓️", "hindi": "सप्ताहांत", "translit": null, "level": "A1", "topic": "Time", "tint": "50"},
+        {"id": "a1-650-0739", "german": "Januar", "article": null, "plural": null, "english": "January", "hindi": "जनवरी", "translit": null, "level": "A1", "topic": "Time", "tint": "60"},
+        {"id": "a1-650-0740", "german": "Februar", "article": null, "plural": null, "english": "February", "hindi": "फरवरी", "translit": null, "level": "A1", "topic": "Time", "tint": "60"},
+        {"id": "a1-650-0741", "german": "März", "article": null, "plural": null, "english": "March", "hindi": "मार्च", "translit": null, "level": "A1", "topic": "Time", "tint": "60"},
+        {"id": "a1-650-0742", "german": "April", "article": null, "plural": null, "english": "April", "hindi": "अप्रैल", "translit": null, "level": "A1", "topic": "Time", "tint": "60"},
+        {"id": "a1-650-0743", "german": "Mai", "article": null, "plural": null, "english": "May", "hindi": "मई", "translit": null, "level": "A1", "topic": "Time", "tint": "60"},
+        {"id": "a1-650-0744", "german": "Juni", "article": null, "plural": null, "english": "June", "hindi": "जून", "translit": null, "level": "A1", "topic": "Time", "tint": "60"},
+        {"id": "a1-650-0745", "german": "Juli", "article": null, "plural": null, "english": "July", "hindi": "जुलाई", "translit": null, "level": "A1", "topic": "Time", "tint": "60"},
+        {"id": "a1-650-0746", "german": "August", "article": null, "plural": null, "english": "August", "hindi": "अगस्त", "translit": null, "level": "A1", "topic": "Time", "tint": "60"},
+        {"id": "a1-650-0747", "german": "September", "article": null, "plural": null, "english": "September", "hindi": "सितंबर", "translit": null, "level": "A1", "topic": "Time", "tint": "60"},
+        {"id": "a1-650-0748", "german": "Oktober", "article": null, "plural": null, "english": "October", "hindi": "अक्टूबर", "translit": null, "level": "A1", "topic": "Time", "tint": "60"},
+        {"id": "a1-650-0749", "german": "November", "article": null, "plural": null, "english": "November", "hindi": "नवंबर", "translit": null, "level": "A1", "topic": "Time", "tint": "60"},
+        {"id": "a1-650-0750", "german": "Dezember", "article": null, "plural": null, "english": "December", "hindi": "दिसंबर", "translit": null, "level": "A1", "topic": "Time", "tint": "60"},
+        {"id": "a1-650-0751", "german": "heute", "article": null, "plural": null, "english": "today", "hindi": "आज", "translit": null, "level": "A1", "topic": "Time", "tint": "70"},
+        {"id": "a1-650-0752", "german": "morgen", "article": null, "plural": null, "english": "tomorrow", "hindi": "कल (आने वाला)", "translit": null, "level": "A1", "topic": "Time", "tint": "70"},
+        {"id": "a1-650-0753", "german": "gestern", "article": null, "plural": null, "english": "yesterday", "hindi": "कल (बीता हुआ)", "translit": null, "level": "A1", "topic": "Time", "tint": "70"},
+        {"id": "a1-650-0754", "german": "übermorgen", "article": null, "plural": null, "english": "day after tomorrow", "hindi": "परसों (आने वाला)", "translit": null, "level": "A1", "topic": "Time", "tint": "70"},
+        {"id": "a1-650-0755", "german": "vorgestern", "article": null, "plural": null, "english": "day before yesterday", "hindi": "परसों (बीता हुआ)", "translit": null, "level": "A1", "topic": "Time", "tint": "70"},
+        {"id": "a1-650-0756", "german": "Datum", "article": "das", "plural": null, "english": "date 📅", "hindi": "तारीख", "translit": null, "level": "A1", "topic": "Time", "tint": "80"},
+        {"id": "a1-650-0757", "german": "Kalender", "article": "der", "plural": null, "english": "calendar", "hindi": "कैलेंडर", "translit": null, "level": "A1", "topic": "Time", "tint": "80"},
+        {"id": "a1-650-0758", "german": "selten", "article": null, "plural": null, "english": "rarely / seldom", "hindi": "कभी-कभार", "translit": null, "level": "A1", "topic": "Time", "tint": "90"},
+        {"id": "a1-650-0759", "german": "täglich", "article": null, "plural": null, "english": "daily", "hindi": "रोज़ाना", "translit": null, "level": "A1", "topic": "Time", "tint": "90"},
+        {"id": "a1-650-0760", "german": "wöchentlich", "article": null, "plural": null, "english": "weekly", "hindi": "साप्ताहिक", "translit": null, "level": "A1", "topic": "Time", "tint": "90"},
+        {"id": "a1-650-0761", "german": "monatlich", "article": null, "plural": null, "english": "monthly", "hindi": "मासिक", "translit": null, "level": "A1", "topic": "Time", "tint": "90"},
+        {"id": "a1-650-0762", "german": "jetzt", "article": null, "plural": null, "english": "now", "hindi": "अभी", "translit": null, "level": "A1", "topic": "Time", "tint": "a0"},
+        {"id": "a1-650-0763", "german": "dann", "article": null, "plural": null, "english": "then", "hindi": "फिर / तब", "translit": null, "level": "A1", "topic": "Time", "tint": "a0"},
+        {"id": "a1-650-0764", "german": "bald", "article": null, "plural": null, "english": "soon", "hindi": "जल्दी", "translit": null, "level": "A1", "topic": "Time", "tint": "a0"},
+        {"id": "a1-650-0765", "german": "später", "article": null, "plural": null, "english": "later", "hindi": "बाद में", "translit": null, "level": "A1", "topic": "Time", "tint": "a0"},
+        {"id": "a1-650-0766", "german": "früh", "article": null, "plural": null, "english": "early", "hindi": "जल्दी", "translit": null, "level": "A1", "topic": "Time", "tint": "a0"},
+        {"id": "a1-650-0767", "german": "spät", "article": null, "plural": null, "english": "late", "hindi": "देर से", "translit": null, "level": "A1", "topic": "Time", "tint": "a0"},
+        {"id": "a1-650-0768", "german": "pünktlich", "article": null, "plural": null, "english": "on time / punctual", "hindi": "समय पर", "translit": null, "level": "A1", "topic": "Time", "tint": "a0"},
+        {"id": "a1-650-0769", "german": "zuerst", "article": null, "plural": null, "english": "first", "hindi": "पहले", "translit": null, "level": "A1", "topic": "Time", "tint": "b0"},
+        {"id": "a1-650-0770", "german": "danach", "article": null, "plural": null, "english": "after that", "hindi": "उसके बाद", "translit": null, "level": "A1", "topic": "Time", "tint": "b0"},
+        {"id": "a1-650-0771", "german": "zuletzt", "article": null, "plural": null, "english": "lastly / finally", "hindi": "अंत में", "translit": null, "level": "A1", "topic": "Time", "tint": "b0"},
+        {"id": "a1-650-0772", "german": "endlich", "article": null, "plural": null, "english": "finally", "hindi": "आखिरकार", "translit": null, "level": "A1", "topic": "Time", "tint": "b0"},
+        {"id": "a1-650-0773", "german": "dauern", "article": null, "plural": null, "english": "to last / take time", "hindi": "समय लगना", "translit": null, "level": "A1", "topic": "Time", "tint": "c0"},
+        {"id": "a1-650-0774", "german": "warten", "article": null, "plural": null, "english": "to wait", "hindi": "इंतज़ार करना", "translit": null, "level": "A1", "topic": "Time", "tint": "c0"},
+        {"id": "a1-650-0775", "german": "anfangen / beginnen", "article": null, "plural": null, "english": "to start / begin", "hindi": "शुरू करना", "translit": null, "level": "A1", "topic": "Time", "tint": "c0"},
+        {"id": "a1-650-0776", "german": "aufhören", "article": null, "plural": null, "english": "to stop", "hindi": "बंद करना", "translit": null, "level": "A1", "topic": "Time", "tint": "c0"},
+        {"id": "a1-650-0777", "german": "Anfang", "article": "der", "plural": null, "english": "beginning", "hindi": "शुरुआत", "translit": null, "level": "A1", "topic": "Time", "tint": "c0"},
+        {"id": "a1-650-0778", "german": "Ende", "article": "das", "plural": null, "english": "end", "hindi": "अंत", "translit": null, "level": "A1", "topic": "Time", "tint": "c0"},
+        {"id": "a1-650-0779", "german": "Dauer", "article": "die", "plural": null, "english": "duration", "hindi": "अवधि", "translit": null, "level": "A1", "topic": "Time", "tint": "d0"},
+        {"id": "a1-650-0780", "german": "der Lehrer / die Lehrerin", "article": null, "plural": null, "english": "teacher 👨‍🏫", "hindi": "शिक्षक / शिक्षिका", "translit": null, "level": "A1", "topic": "School_&_Learning"},
+        {"id": "a1-650-0781", "german": "der Schüler / die Schülerin", "article": null, "plural": null, "english": "student (school) 👨‍🎓", "hindi": "छात्र / छात्रा", "translit": null, "level": "A1", "topic": "School_&_Learning"},
+        {"id": "a1-650-0782", "german": "der Student / die Studentin", "article": null, "plural": null, "english": "student (university)", "hindi": "विद्यार्थी", "translit": null, "level": "A1", "topic": "School_&_Learning"},
+        {"id": "a1-650-0783", "german": "Klasse", "article": "die", "plural": null, "english": "class / grade", "hindi": "कक्षा", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "30"},
+        {"id": "a1-650-0784", "german": "Klassenzimmer", "article": "das", "plural": null, "english": "classroom", "hindi": "क्लासरूम", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "30"},
+        {"id": "a1-650-0785", "german": "Unterricht", "article": "der", "plural": null, "english": "class / lesson", "hindi": "पाठ", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "30"},
+        {"id": "a1-650-0786", "german": "Kurs", "article": "der", "plural": null, "english": "course", "hindi": "कोर्स", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "30"},
+        {"id": "a1-650-0787", "german": "Buch", "article": "das", "plural": null, "english": "book 📕", "hindi": "किताब", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "40"},
+        {"id": "a1-650-0788", "german": "Heft", "article": "das", "plural": null, "english": "notebook 📓", "hindi": "कॉपी", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "40"},
+        {"id": "a1-650-0789", "german": "Papier", "article": "das", "plural": null, "english": "paper 📄", "hindi": "कागज़", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "40"},
+        {"id": "a1-650-0790", "german": "der Kugelschreiber / der Kuli", "article": null, "plural": null, "english": "pen 🖊️", "hindi": "पेन", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "40"},
+        {"id": "a1-650-0791", "german": "Radiergummi", "article": "der", "plural": null, "english": "eraser", "hindi": "रबड़", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "40"},
+        {"id": "a1-650-0792", "german": "Lineal", "article": "das", "plural": null, "english": "ruler 📏", "hindi": "स्केल", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "40"},
+        {"id": "a1-650-0793", "german": "Schere", "article": "die", "plural": null, "english": "scissors ✂️", "hindi": "कैंची", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "40"},
+        {"id": "a1-650-0794", "german": "die Tasche / die Schultasche", "article": null, "plural": null, "english": "bag / schoolbag 🎒", "hindi": "बैग / स्कूल बैग", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "40"},
+        {"id": "a1-650-0795", "german": "Tafel", "article": "die", "plural": null, "english": "blackboard", "hindi": "ब्लैकबोर्ड", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "50"},
+        {"id": "a1-650-0796", "german": "Computer", "article": "der", "plural": null, "english": "computer 💻", "hindi": "कंप्यूटर", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "50"},
+        {"id": "a1-650-0797", "german": "Sprache", "article": "die", "plural": null, "english": "language 🗣️", "hindi": "भाषा", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "60"},
+        {"id": "a1-650-0798", "german": "Deutsch", "article": null, "plural": null, "english": "German 🇩🇪", "hindi": "जर्मन", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "60"},
+        {"id": "a1-650-0799", "german": "Englisch", "article": null, "plural": null, "english": "English 🇬🇧", "hindi": "अंग्रेज़ी", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "60"},
+        {"id": "a1-650-0800", "german": "Wort", "article": "das", "plural": null, "english": "word", "hindi": "शब्द", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "60"},
+        {"id": "a1-650-0801", "german": "Satz", "article": "der", "plural": null, "english": "sentence", "hindi": "वाक्य", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "60"},
+        {"id": "a1-650-0802", "german": "Text", "article": "der", "plural": null, "english": "text", "hindi": "पाठ", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "60"},
+        {"id": "a1-650-0803", "german": "Grammatik", "article": "die", "plural": null, "english": "grammar", "hindi": "व्याकरण", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "60"},
+        {"id": "a1-650-0804", "german": "lernen", "article": null, "plural": null, "english": "to learn 📖", "hindi": "सीखना", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "70"},
+        {"id": "a1-650-0805", "german": "studieren", "article": null, "plural": null, "english": "to study (uni)", "hindi": "पढ़ाई करना", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "70"},
+        {"id": "a1-650-0806", "german": "lesen", "article": null, "plural": null, "english": "to read", "hindi": "पढ़ना", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "70"},
+        {"id": "a1-650-0807", "german": "sprechen", "article": null, "plural": null, "english": "to speak", "hindi": "बोलना", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "70"},
+        {"id": "a1-650-0808", "german": "verstehen", "article": null, "plural": null, "english": "to understand", "hindi": "समझना", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "70"},
+        {"id": "a1-650-0809", "german": "üben", "article": null, "plural": null, "english": "to practice", "hindi": "अभ्यास करना", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "70"},
+        {"id": "a1-650-0810", "german": "wiederholen", "article": null, "plural": null, "english": "to repeat", "hindi": "दोहराना", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "70"},
+        {"id": "a1-650-0811", "german": "fragen", "article": null, "plural": null, "english": "to ask", "hindi": "पूछना", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "80"},
+        {"id": "a1-650-0812", "german": "Frage", "article": "die", "plural": null, "english": "question ❓", "hindi": "सवाल", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "80"},
+        {"id": "a1-650-0813", "german": "antworten", "article": null, "plural": null, "english": "to answer", "hindi": "जवाब देना", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "80"},
+        {"id": "a1-650-0814", "german": "Antwort", "article": "die", "plural": null, "english": "answer", "hindi": "जवाब", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "80"},
+        {"id": "a1-650-0815", "german": "erklären", "article": null, "plural": null, "english": "to explain", "hindi": "समझाना", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "80"},
+        {"id": "a1-650-0816", "german": "Aufgabe", "article": "die", "plural": null, "english": "task / exercise", "hindi": "कार्य", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "90"},
+        {"id": "a1-650-0817", "german": "Hausaufgabe", "article": "die", "plural": null, "english": "homework 📝", "hindi": "होमवर्क", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "90"},
+        {"id": "a1-650-0818", "german": "Übung", "article": "die", "plural": null, "english": "exercise", "hindi": "अभ्यास", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "90"},
+        {"id": "a1-650-0819", "german": "ausfüllen", "article": null, "plural": null, "english": "to fill in", "hindi": "भरना", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "90"},
+        {"id": "a1-650-0820", "german": "ankreuzen", "article": null, "plural": null, "english": "to tick / check", "hindi": "टिक करना", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "90"},
+        {"id": "a1-650-0821", "german": "Prüfung", "article": "die", "plural": null, "english": "exam 📋", "hindi": "परीक्षा", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "a0"},
+        {"id": "a1-650-0822", "german": "Test", "article": "der", "plural": null, "english": "test", "hindi": "टेस्ट", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "a0"},
+        {"id": "a1-650-0823", "german": "Note", "article": "die", "plural": null, "english": "grade / mark", "hindi": "नंबर / ग्रेड", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "a0"},
+        {"id": "a1-650-0824", "german": "bestehen", "article": null, "plural": null, "english": "to pass (exam)", "hindi": "पास होना", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "a0"},
+        {"id": "a1-650-0825", "german": "Fehler", "article": "der", "plural": null, "english": "mistake / error", "hindi": "गलती", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "a0"},
+        {"id": "a1-650-0826", "german": "korrigieren", "article": null, "plural": null, "english": "to correct", "hindi": "सुधारना", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "a0"},
+        {"id": "a1-650-0827", "german": "richtig", "article": null, "plural": null, "english": "correct / right ✓", "hindi": "सही", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "b0"},
+        {"id": "a1-650-0828", "german": "falsch", "article": null, "plural": null, "english": "wrong / false ✗", "hindi": "गलत", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "b0"},
+        {"id": "a1-650-0829", "german": "schwer / schwierig", "article": null, "plural": null, "english": "difficult", "hindi": "कठिन", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "b0"},
+        {"id": "a1-650-0830", "german": "Studium", "article": "das", "plural": null, "english": "studies (uni)", "hindi": "पढ़ाई", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "c0"},
+        {"id": "a1-650-0831", "german": "Zeugnis", "article": "das", "plural": null, "english": "report card / certificate", "hindi": "रिपोर्ट कार्ड", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "c0"},
+        {"id": "a1-650-0832", "german": "Diplom", "article": "das", "plural": null, "english": "diploma / degree", "hindi": "डिप्लोमा", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "c0"},
+        {"id": "a1-650-0833", "german": "Ich verstehe (nicht)", "article": null, "plural": null, "english": "I (don't) understand", "hindi": "मैं समझ (नहीं) रहा/रही हूँ", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "d0"},
+        {"id": "a1-650-0834", "german": "Wie schreibt man das?", "article": null, "plural": null, "english": "How do you spell that?", "hindi": "यह कैसे लिखते हैं?", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "d0"},
+        {"id": "a1-650-0835", "german": "Was bedeutet...?", "article": null, "plural": null, "english": "What does ... mean?", "hindi": "... का मतलब क्या है?", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "d0"},
+        {"id": "a1-650-0836", "german": "Bitte langsamer!", "article": null, "plural": null, "english": "Please slower!", "hindi": "कृपया धीरे बोलिए!", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "d0"},
+        {"id": "a1-650-0837", "german": "Ich lerne Deutsch", "article": null, "plural": null, "english": "I'm learning German", "hindi": "मैं जर्मन सीख रहा/रही हूँ", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "d0"},
+        {"id": "a1-650-0838", "german": "Auf welcher Seite?", "article": null, "plural": null, "english": "On which page?", "hindi": "कौन से पेज पर?", "translit": null, "level": "A1", "topic": "School_&_Learning", "tint": "d0"},
+        {"id": "a1-650-0839", "german": "Beruf", "article": "der", "plural": null, "english": "profession / occupation", "hindi": "पेशा", "translit": null, "level": "A1", "topic": "Work_&_Job"},
+        {"id": "a1-650-0840", "german": "Job", "article": "der", "plural": null, "english": "job", "hindi": "नौकरी", "translit": null, "level": "A1", "topic": "Work_&_Job"},
+        {"id": "a1-650-0841", "german": "Stelle", "article": "die", "plural": null, "english": "position / job", "hindi": "पद", "translit": null, "level": "A1", "topic": "Work_&_Job"},
+        {"id": "a1-650-0842", "german": "Firma", "article": "die", "plural": null, "english": "company / firm", "hindi": "कंपनी", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "30"},
+        {"id": "a1-650-0843", "german": "Arbeitsplatz", "article": "der", "plural": null, "english": "workplace", "hindi": "कार्यस्थल", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "30"},
+        {"id": "a1-650-0844", "german": "Fabrik", "article": "die", "plural": null, "english": "factory 🏭", "hindi": "फैक्ट्री", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "30"},
+        {"id": "a1-650-0845", "german": "der Chef / die Chefin", "article": null, "plural": null, "english": "boss 👔", "hindi": "बॉस", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "40"},
+        {"id": "a1-650-0846", "german": "der Kollege / die Kollegin", "article": null, "plural": null, "english": "colleague", "hindi": "सहकर्मी", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "40"},
+        {"id": "a1-650-0847", "german": "der Mitarbeiter / die Mitarbeiterin", "article": null, "plural": null, "english": "employee / coworker", "hindi": "कर्मचारी", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "40"},
+        {"id": "a1-650-0848", "german": "der Arzt / die Ärztin", "article": null, "plural": null, "english": "doctor 👨‍⚕️", "hindi": "डॉक्टर", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "50"},
+        {"id": "a1-650-0849", "german": "die Krankenschwester / der Krankenpfleger", "article": null, "plural": null, "english": "nurse 👩‍⚕️", "hindi": "नर्स", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "50"},
+        {"id": "a1-650-0850", "german": "der Ingenieur / die Ingenieurin", "article": null, "plural": null, "english": "engineer 👷", "hindi": "इंजीनियर", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "50"},
+        {"id": "a1-650-0851", "german": "der Polizist / die Polizistin", "article": null, "plural": null, "english": "police officer 👮", "hindi": "पुलिस", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "50"},
+        {"id": "a1-650-0852", "german": "der Verkäufer / die Verkäuferin", "article": null, "plural": null, "english": "salesperson 🛒", "hindi": "विक्रेता", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "50"},
+        {"id": "a1-650-0853", "german": "der Kellner / die Kellnerin", "article": null, "plural": null, "english": "waiter / waitress 🍽️", "hindi": "वेटर", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "50"},
+        {"id": "a1-650-0854", "german": "der Koch / die Köchin", "article": null, "plural": null, "english": "cook / chef 👨‍🍳", "hindi": "रसोइया", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "50"},
+        {"id": "a1-650-0855", "german": "der Fahrer / die Fahrerin", "article": null, "plural": null, "english": "driver 🚗", "hindi": "ड्राइवर", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "50"},
+        {"id": "a1-650-0856", "german": "der Mechaniker / die Mechanikerin", "article": null, "plural": null, "english": "mechanic 🔧", "hindi": "मैकेनिक", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "50"},
+        {"id": "a1-650-0857", "german": "der Sekretär / die Sekretärin", "article": null, "plural": null, "english": "secretary", "hindi": "सेक्रेटरी", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "50"},
+        {"id": "a1-650-0858", "german": "der Friseur / die Friseurin", "article": null, "plural": null, "english": "hairdresser 💇", "hindi": "नाई", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "50"},
+        {"id": "a1-650-0859", "german": "der Bäcker / die Bäckerin", "article": null, "plural": null, "english": "baker 🥖", "hindi": "बेकर", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "50"},
+        {"id": "a1-650-0860", "german": "der Elektriker / die Elektrikerin", "article": null, "plural": null, "english": "electrician ⚡", "hindi": "इलेक्ट्रीशियन", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "50"},
+        {"id": "a1-650-0861", "german": "die Hausfrau / der Hausmann", "article": null, "plural": null, "english": "homemaker 🏠", "hindi": "गृहिणी", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "50"},
+        {"id": "a1-650-0862", "german": "berufstätig", "article": null, "plural": null, "english": "employed / working", "hindi": "नौकरी वाला", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "60"},
+        {"id": "a1-650-0863", "german": "Vollzeit", "article": null, "plural": null, "english": "full-time", "hindi": "पूर्णकालिक", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "60"},
+        {"id": "a1-650-0864", "german": "Teilzeit", "article": null, "plural": null, "english": "part-time", "hindi": "अंशकालिक", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "60"},
+        {"id": "a1-650-0865", "german": "Gehalt", "article": "das", "plural": null, "english": "salary 💰", "hindi": "वेतन", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "70"},
+        {"id": "a1-650-0866", "german": "Lohn", "article": "der", "plural": null, "english": "wage / pay", "hindi": "मज़दूरी", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "70"},
+        {"id": "a1-650-0867", "german": "verdienen", "article": null, "plural": null, "english": "to earn", "hindi": "कमाना", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "70"},
+        {"id": "a1-650-0868", "german": "bezahlen", "article": null, "plural": null, "english": "to pay", "hindi": "भुगतान करना", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "70"},
+        {"id": "a1-650-0869", "german": "Arbeitszeit", "article": "die", "plural": null, "english": "working hours", "hindi": "काम के घंटे", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "80"},
+        {"id": "a1-650-0870", "german": "Pause", "article": "die", "plural": null, "english": "break ☕", "hindi": "ब्रेक", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "80"},
+        {"id": "a1-650-0871", "german": "Mittagspause", "article": "die", "plural": null, "english": "lunch break", "hindi": "लंच ब्रेक", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "80"},
+        {"id": "a1-650-0872", "german": "Feierabend", "article": "der", "plural": null, "english": "end of work day", "hindi": "छुट्टी का समय", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "80"},
+        {"id": "a1-650-0873", "german": "sich bewerben", "article": null, "plural": null, "english": "to apply (for job)", "hindi": "आवेदन करना", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "90"},
+        {"id": "a1-650-0874", "german": "Bewerbung", "article": "die", "plural": null, "english": "application", "hindi": "आवेदन", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "90"},
+        {"id": "a1-650-0875", "german": "Lebenslauf", "article": "der", "plural": null, "english": "CV / resume 📄", "hindi": "बायोडाटा", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "90"},
+        {"id": "a1-650-0876", "german": "Vorstellungsgespräch", "article": "das", "plural": null, "english": "job interview", "hindi": "इंटरव्यू", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "90"},
+        {"id": "a1-650-0877", "german": "Erfahrung", "article": "die", "plural": null, "english": "experience", "hindi": "अनुभव", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "90"},
+        {"id": "a1-650-0878", "german": "Vertrag", "article": "der", "plural": null, "english": "contract 📝", "hindi": "अनुबंध", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "a0"},
+        {"id": "a1-650-0879", "german": "Unterschrift", "article": "die", "plural": null, "english": "signature ✍️", "hindi": "हस्ताक्षर", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "a0"},
+        {"id": "a1-650-0880", "german": "Formular", "article": "das", "plural": null, "english": "form", "hindi": "फॉर्म", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "a0"},
+        {"id": "a1-650-0881", "german": "sich anmelden", "article": null, "plural": null, "english": "to register", "hindi": "पंजीकरण करना", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "b0"},
+        {"id": "a1-650-0882", "german": "einen Termin machen", "article": null, "plural": null, "english": "to make an appointment", "hindi": "अपॉइंटमेंट लेना", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "b0"},
+        {"id": "a1-650-0883", "german": "kündigen", "article": null, "plural": null, "english": "to quit / resign", "hindi": "इस्तीफा देना", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "b0"},
+        {"id": "a1-650-0884", "german": "suchen", "article": null, "plural": null, "english": "to look for / search", "hindi": "ढूँढना", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "b0"},
+        {"id": "a1-650-0885", "german": "Besprechung", "article": "die", "plural": null, "english": "meeting", "hindi": "मीटिंग", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "c0"},
+        {"id": "a1-650-0886", "german": "Überstunden", "article": "die", "plural": null, "english": "overtime", "hindi": "ओवरटाइम", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "c0"},
+        {"id": "a1-650-0887", "german": "Team", "article": "das", "plural": null, "english": "team", "hindi": "टीम", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "c0"},
+        {"id": "a1-650-0888", "german": "Projekt", "article": "das", "plural": null, "english": "project", "hindi": "प्रोजेक्ट", "translit": null, "level": "A1", "topic": "Work_&_Job", "tint": "c0"},
+        {"id": "a1-650-0889", "german": "Münze", "article": "die", "plural": null, "english": "coin 🪙", "hindi": "सिक्का", "translit": null, "level": "A1", "topic": "Shopping_&_Money"},
+        {"id": "a1-650-0890", "german": "Schein", "article": "der", "plural": null, "english": "banknote 💵", "hindi": "नोट", "translit": null, "level": "A1", "topic": "Shopping_&_Money"},
+        {"id": "a1-650-0891", "german": "Geschäft", "article": "das", "plural": null, "english": "shop / store 🏪", "hindi": "दुकान", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "30"},
+        {"id": "a1-650-0892", "german": "Laden", "article": "der", "plural": null, "english": "shop / store", "hindi": "दुकान", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "30"},
+        {"id": "a1-650-0893", "german": "Kaufhaus", "article": "das", "plural": null, "english": "department store 🏬", "hindi": "डिपार्टमेंट स्टोर", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "30"},
+        {"id": "a1-650-0894", "german": "Kasse", "article": "die", "plural": null, "english": "cash register / checkout", "hindi": "कैश काउंटर", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "30"},
+        {"id": "a1-650-0895", "german": "Verkäufer", "article": "der", "plural": null, "english": "salesman", "hindi": "विक्रेता (पुरुष)", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "30"},
+        {"id": "a1-650-0896", "german": "Verkäuferin", "article": "die", "plural": null, "english": "saleswoman", "hindi": "विक्रेता (महिला)", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "30"},
+        {"id": "a1-650-0897", "german": "Kunde", "article": "der", "plural": null, "english": "customer (m)", "hindi": "ग्राहक (पुरुष)", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "30"},
+        {"id": "a1-650-0898", "german": "Kundin", "article": "die", "plural": null, "english": "customer (f)", "hindi": "ग्राहक (महिला)", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "30"},
+        {"id": "a1-650-0899", "german": "kaufen", "article": null, "plural": null, "english": "to buy", "hindi": "खरीदना", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "40"},
+        {"id": "a1-650-0900", "german": "verkaufen", "article": null, "plural": null, "english": "to sell", "hindi": "बेचना", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "40"},
+        {"id": "a1-650-0901", "german": "zahlen", "article": null, "plural": null, "english": "to pay", "hindi": "देना (पैसे)", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "40"},
+        {"id": "a1-650-0902", "german": "kosten", "article": null, "plural": null, "english": "to cost", "hindi": "कीमत होना", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "40"},
+        {"id": "a1-650-0903", "german": "bestellen", "article": null, "plural": null, "english": "to order", "hindi": "ऑर्डर करना", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "40"},
+        {"id": "a1-650-0904", "german": "wechseln", "article": null, "plural": null, "english": "to change (money)", "hindi": "बदलना", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "40"},
+        {"id": "a1-650-0905", "german": "sparen", "article": null, "plural": null, "english": "to save (money)", "hindi": "बचाना", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "40"},
+        {"id": "a1-650-0906", "german": "bar", "article": null, "plural": null, "english": "cash (payment)", "hindi": "नकद", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "50"},
+        {"id": "a1-650-0907", "german": "Karte", "article": "die", "plural": null, "english": "card 💳", "hindi": "कार्ड", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "50"},
+        {"id": "a1-650-0908", "german": "Kreditkarte", "article": "die", "plural": null, "english": "credit card", "hindi": "क्रेडिट कार्ड", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "50"},
+        {"id": "a1-650-0909", "german": "EC-Karte", "article": "die", "plural": null, "english": "debit card", "hindi": "डेबिट कार्ड", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "50"},
+        {"id": "a1-650-0910", "german": "Quittung", "article": "die", "plural": null, "english": "receipt 🧾", "hindi": "रसीद", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "50"},
+        {"id": "a1-650-0911", "german": "Rechnung", "article": "die", "plural": null, "english": "bill / invoice", "hindi": "बिल", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "50"},
+        {"id": "a1-650-0912", "german": "Wechselgeld", "article": "das", "plural": null, "english": "change (money back)", "hindi": "खुल्ले पैसे", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "50"},
+        {"id": "a1-650-0913", "german": "günstig", "article": null, "plural": null, "english": "affordable / good value", "hindi": "किफायती", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "60"},
+        {"id": "a1-650-0914", "german": "gratis", "article": null, "plural": null, "english": "free / complimentary", "hindi": "मुफ्त", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "60"},
+        {"id": "a1-650-0915", "german": "Angebot", "article": "das", "plural": null, "english": "offer / deal 🏷️", "hindi": "ऑफर", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "60"},
+        {"id": "a1-650-0916", "german": "Rabatt", "article": "der", "plural": null, "english": "discount", "hindi": "छूट", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "60"},
+        {"id": "a1-650-0917", "german": "reduziert", "article": null, "plural": null, "english": "reduced / on sale", "hindi": "कम कीमत पर", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "60"},
+        {"id": "a1-650-0918", "german": "Stück", "article": "das", "plural": null, "english": "piece", "hindi": "टुकड़ा", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "70"},
+        {"id": "a1-650-0919", "german": "Gramm", "article": "das", "plural": null, "english": "gram", "hindi": "ग्राम", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "70"},
+        {"id": "a1-650-0920", "german": "Kilo", "article": "das", "plural": null, "english": "kilo", "hindi": "किलो", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "70"},
+        {"id": "a1-650-0921", "german": "Liter", "article": "der", "plural": null, "english": "liter", "hindi": "लीटर", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "70"},
+        {"id": "a1-650-0922", "german": "Ware", "article": "die", "plural": null, "english": "goods", "hindi": "माल", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "80"},
+        {"id": "a1-650-0923", "german": "Bestellung", "article": "die", "plural": null, "english": "order", "hindi": "ऑर्डर", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "80"},
+        {"id": "a1-650-0924", "german": "Einkaufswagen", "article": "der", "plural": null, "english": "shopping cart 🛒", "hindi": "शॉपिंग ट्रॉली", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "80"},
+        {"id": "a1-650-0925", "german": "Korb", "article": "der", "plural": null, "english": "basket 🧺", "hindi": "टोकरी", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "80"},
+        {"id": "a1-650-0926", "german": "Auswahl", "article": "die", "plural": null, "english": "choice / selection", "hindi": "चयन", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "80"},
+        {"id": "a1-650-0927", "german": "offen", "article": null, "plural": null, "english": "open", "hindi": "खुला", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "80"},
+        {"id": "a1-650-0928", "german": "geschlossen", "article": null, "plural": null, "english": "closed", "hindi": "बंद", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "80"},
+        {"id": "a1-650-0929", "german": "Verkauf", "article": "der", "plural": null, "english": "sale", "hindi": "बिक्री", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "90"},
+        {"id": "a1-650-0930", "german": "Schlange", "article": "die", "plural": null, "english": "queue / line", "hindi": "कतार", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "90"},
+        {"id": "a1-650-0931", "german": "Schaufenster", "article": "das", "plural": null, "english": "shop window", "hindi": "दुकान की खिड़की", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "90"},
+        {"id": "a1-650-0932", "german": "umtauschen", "article": null, "plural": null, "english": "to exchange", "hindi": "बदलना / एक्सचेंज करना", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "90"},
+        {"id": "a1-650-0933", "german": "zurückgeben", "article": null, "plural": null, "english": "to return", "hindi": "वापस करना", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "90"},
+        {"id": "a1-650-0934", "german": "Garantie", "article": "die", "plural": null, "english": "warranty", "hindi": "गारंटी", "translit": null, "level": "A1", "topic": "Shopping_&_Money", "tint": "90"},
+        {"id": "a1-650-0935", "german": "Telefon", "article": "das", "plural": null, "english": "telephone 📞", "hindi": "टेलीफोन", "translit": null, "level": "A1", "topic": "Communication"},
+        {"id": "a1-650-0936", "german": "Handy", "article": "das", "plural": null, "english": "mobile phone 📱", "hindi": "मोबाइल फोन", "translit": null, "level": "A1", "topic": "Communication"},
+        {"id": "a1-650-0937", "german": "Smartphone", "article": "das", "plural": null, "english": "smartphone", "hindi": "स्मार्टफोन", "translit": null, "level": "A1", "topic": "Communication"},
+        {"id": "a1-650-0938", "german": "Telefonnummer", "article": "die", "plural": null, "english": "phone number", "hindi": "फोन नंबर", "translit": null, "level": "A1", "topic": "Communication"},
+        {"id": "a1-650-0939", "german": "anrufen", "article": null, "plural": null, "english": "to call (phone)", "hindi": "फोन करना", "translit": null, "level": "A1", "topic": "Communication"},
+        {"id": "a1-650-0940", "german": "Anruf", "article": "der", "plural": null, "english": "phone call", "hindi": "फोन कॉल", "translit": null, "level": "A1", "topic": "Communication"},
+        {"id": "a1-650-0941", "german": "telefonieren", "article": null, "plural": null, "english": "to phone", "hindi": "फोन पर बात करना", "translit": null, "level": "A1", "topic": "Communication"},
+        {"id": "a1-650-0942", "german": "Nachricht", "article": "die", "plural": null, "english": "message 💬", "hindi": "संदेश", "translit": null, "level": "A1", "topic": "Communication", "tint": "30"},
+        {"id": "a1-650-0943", "german": "SMS", "article": "die", "plural": null, "english": "text message", "hindi": "एसएमएस", "translit": null, "level": "A1", "topic": "Communication", "tint": "30"},
+        {"id": "a1-650-0944", "german": "E-Mail", "article": "die", "plural": null, "english": "email 📧", "hindi": "ई-मेल", "translit": null, "level": "A1", "topic": "Communication", "tint": "30"},
+        {"id": "a1-650-0945", "german": "E-Mail-Adresse", "article": "die", "plural": null, "english": "email address", "hindi": "ई-मेल पता", "translit": null, "level": "A1", "topic": "Communication", "tint": "30"},
+        {"id": "a1-650-0946", "german": "Brief", "article": "der", "plural": null, "english": "letter ✉️", "hindi": "पत्र", "translit": null, "level": "A1", "topic": "Communication", "tint": "40"},
+        {"id": "a1-650-0947", "german": "Postkarte", "article": "die", "plural": null, "english": "postcard 📮", "hindi": "पोस्टकार्ड", "translit": null, "level": "A1", "topic": "Communication", "tint": "40"},
+        {"id": "a1-650-0948", "german": "Absender", "article": "der", "plural": null, "english": "sender", "hindi": "प्रेषक", "translit": null, "level": "A1", "topic": "Communication", "tint": "40"},
+        {"id": "a1-650-0949", "german": "Empfänger", "article": "der", "plural": null, "english": "recipient", "hindi": "प्राप्तकर्ता", "translit": null, "level": "A1", "topic": "Communication", "tint": "40"},
+        {"id": "a1-650-0950", "german": "senden / schicken", "article": null, "plural": null, "english": "to send", "hindi": "भेजना", "translit": null, "level": "A1", "topic": "Communication", "tint": "50"},
+        {"id": "a1-650-0951", "german": "bekommen / erhalten", "article": null, "plural": null, "english": "to receive", "hindi": "प्राप्त करना", "translit": null, "level": "A1", "topic": "Communication", "tint": "50"},
+        {"id": "a1-650-0952", "german": "sagen", "article": null, "plural": null, "english": "to say", "hindi": "कहना", "translit": null, "level": "A1", "topic": "Communication", "tint": "50"},
+        {"id": "a1-650-0953", "german": "Internet", "article": "das", "plural": null, "english": "internet 🌐", "hindi": "इंटरनेट", "translit": null, "level": "A1", "topic": "Communication", "tint": "60"},
+        {"id": "a1-650-0954", "german": "Webseite", "article": "die", "plural": null, "english": "website", "hindi": "वेबसाइट", "translit": null, "level": "A1", "topic": "Communication", "tint": "60"},
+        {"id": "a1-650-0955", "german": "WLAN", "article": "das", "plural": null, "english": "WiFi 📶", "hindi": "वाई-फाई", "translit": null, "level": "A1", "topic": "Communication", "tint": "60"},
+        {"id": "a1-650-0956", "german": "App", "article": "die", "plural": null, "english": "app", "hindi": "ऐप", "translit": null, "level": "A1", "topic": "Communication", "tint": "60"},
+        {"id": "a1-650-0957", "german": "Passwort", "article": "das", "plural": null, "english": "password 🔐", "hindi": "पासवर्ड", "translit": null, "level": "A1", "topic": "Communication", "tint": "60"},
+        {"id": "a1-650-0958", "german": "Laptop", "article": "der", "plural": null, "english": "laptop", "hindi": "लैपटॉप", "translit": null, "level": "A1", "topic": "Communication", "tint": "70"},
+        {"id": "a1-650-0959", "german": "Tablet", "article": "das", "plural": null, "english": "tablet", "hindi": "टैबलेट", "translit": null, "level": "A1", "topic": "Communication", "tint": "70"},
+        {"id": "a1-650-0960", "german": "Bildschirm", "article": "der", "plural": null, "english": "screen", "hindi": "स्क्रीन", "translit": null, "level": "A1", "topic": "Communication", "tint": "70"},
+        {"id": "a1-650-0961", "german": "Tastatur", "article": "die", "plural": null, "english": "keyboard ⌨️", "hindi": "कीबोर्ड", "translit": null, "level": "A1", "topic": "Communication", "tint": "70"},
+        {"id": "a1-650-0962", "german": "Maus", "article": "die", "plural": null, "english": "mouse 🖱️", "hindi": "माउस", "translit": null, "level": "A1", "topic": "Communication", "tint": "70"},
+        {"id": "a1-650-0963", "german": "Drucker", "article": "der", "plural": null, "english": "printer 🖨️", "hindi": "प्रिंटर", "translit": null, "level": "A1", "topic": "Communication", "tint": "70"},
+        {"id": "a1-650-0964", "german": "Fernsehen", "article": "das", "plural": null, "english": "television 📺", "hindi": "टेलीविज़न", "translit": null, "level": "A1", "topic": "Communication", "tint": "80"},
+        {"id": "a1-650-0965", "german": "Radio", "article": "das", "plural": null, "english": "radio 📻", "hindi": "रेडियो", "translit": null, "level": "A1", "topic": "Communication", "tint": "80"},
+        {"id": "a1-650-0966", "german": "Zeitschrift", "article": "die", "plural": null, "english": "magazine 📖", "hindi": "पत्रिका", "translit": null, "level": "A1", "topic": "Communication", "tint": "80"},
+        {"id": "a1-650-0967", "german": "Nachrichten", "article": "die", "plural": null, "english": "news", "hindi": "खबरें", "translit": null, "level": "A1", "topic": "Communication", "tint": "80"},
+        {"id": "a1-650-0968", "german": "Foto", "article": "das", "plural": null, "english": "photo 📷", "hindi": "फोटो", "translit": null, "level": "A1", "topic": "Communication", "tint": "90"},
+        {"id": "a1-650-0969", "german": "Kamera", "article": "die", "plural": null, "english": "camera 📸", "hindi": "कैमरा", "translit": null, "level": "A1", "topic": "Communication", "tint": "90"},
+        {"id": "a1-650-0970", "german": "Video", "article": "das", "plural": null, "english": "video 🎥", "hindi": "वीडियो", "translit": null, "level": "A1", "topic": "Communication", "tint": "90"},
+        {"id": "a1-650-0971", "german": "drucken", "article": null, "plural": null, "english": "to print", "hindi": "प्रिंट करना", "translit": null, "level": "A1", "topic": "Communication", "tint": "a0"},
+        {"id": "a1-650-0972", "german": "klicken", "article": null, "plural": null, "english": "to click", "hindi": "क्लिक करना", "translit": null, "level": "A1", "topic": "Communication", "tint": "a0"},
+        {"id": "a1-650-0973", "german": "herunterladen", "article": null, "plural": null, "english": "to download ⬇️", "hindi": "डाउनलोड करना", "translit": null, "level": "A1", "topic": "Communication", "tint": "a0"},
+        {"id": "a1-650-0974", "german": "hochladen", "article": null, "plural": null, "english": "to upload ⬆️", "hindi": "अपलोड करना", "translit": null, "level": "A1", "topic": "Communication", "tint": "b0"},
+        {"id": "a1-650-0975", "german": "speichern", "article": null, "plural": null, "english": "to save", "hindi": "सेव करना", "translit": null, "level": "A1", "topic": "Communication", "tint": "b0"},
+        {"id": "a1-650-0976", "german": "löschen", "article": null, "plural": null, "english": "to delete", "hindi": "डिलीट करना", "translit": null, "level": "A1", "topic": "Communication", "tint": "b0"},
+        {"id": "a1-650-0977", "german": "kopieren", "article": null, "plural": null, "english": "to copy", "hindi": "कॉपी करना", "translit": null, "level": "A1", "topic": "Communication", "tint": "b0"},
+        {"id": "a1-650-0978", "german": "Verbindung", "article": "die", "plural": null, "english": "connection", "hindi": "कनेक्शन", "translit": null, "level": "A1", "topic": "Communication", "tint": "b0"},
+        {"id": "a1-650-0979", "german": "Signal", "article": "das", "plural": null, "english": "signal 📶", "hindi": "सिग्नल", "translit": null, "level": "A1", "topic": "Communication", "tint": "b0"},
+        {"id": "a1-650-0980", "german": "Kabel", "article": "das", "plural": null, "english": "cable", "hindi": "केबल", "translit": null, "level": "A1", "topic": "Communication", "tint": "b0"},
+        {"id": "a1-650-0981", "german": "Ladegerät", "article": "das", "plural": null, "english": "charger 🔌", "hindi": "चार्जर", "translit": null, "level": "A1", "topic": "Communication", "tint": "b0"},
+        {"id": "a1-650-0982", "german": "Tier", "article": "das", "plural": null, "english": "animal 🐾", "hindi": "जानवर", "translit": null, "level": "A1", "topic": "Animals"},
+        {"id": "a1-650-0983", "german": "Haustier", "article": "das", "plural": null, "english": "pet", "hindi": "पालतू जानवर", "translit": null, "level": "A1", "topic": "Animals"},
+        {"id": "a1-650-0984", "german": "Hund", "article": "der", "plural": null, "english": "dog 🐕", "hindi": "कुत्ता", "translit": null, "level": "A1", "topic": "Animals", "tint": "30"},
+        {"id": "a1-650-0985", "german": "Katze", "article": "die", "plural": null, "english": "cat 🐈", "hindi": "बिल्ली", "translit": null, "level": "A1", "topic": "Animals", "tint": "30"},
+        {"id": "a1-650-0986", "german": "Fisch", "article": "der", "plural": null, "english": "fish 🐟", "hindi": "मछली", "translit": null, "level": "A1", "topic": "Animals", "tint": "30"},
+        {"id": "a1-650-0987", "german": "Vogel", "article": "der", "plural": null, "english": "bird 🐦", "hindi": "पक्षी", "translit": null, "level": "A1", "topic": "Animals", "tint": "30"},
+        {"id": "a1-650-0988", "german": "Hamster", "article": "der", "plural": null, "english": "hamster 🐹", "hindi": "हैम्स्टर", "translit": null, "level": "A1", "topic": "Animals", "tint": "30"},
+        {"id": "a1-650-0989", "german": "Kaninchen", "article": "das", "plural": null, "english": "rabbit 🐰", "hindi": "खरगोश", "translit": null, "level": "A1", "topic": "Animals", "tint": "30"},
+        {"id": "a1-650-0990", "german": "Schildkröte", "article": "die", "plural": null, "english": "turtle 🐢", "hindi": "कछुआ", "translit": null, "level": "A1", "topic": "Animals", "tint": "30"},
+        {"id": "a1-650-0991", "german": "Kuh", "article": "die", "plural": null, "english": "cow 🐄", "hindi": "गाय", "translit": null, "level": "A1", "topic": "Animals", "tint": "40"},
+        {"id": "a1-650-0992", "german": "Pferd", "article": "das", "plural": null, "english": "horse 🐴", "hindi": "घोड़ा", "translit": null, "level": "A1", "topic": "Animals", "tint": "40"},
+        {"id": "a1-650-0993", "german": "Schwein", "article": "das", "plural": null, "english": "pig 🐷", "hindi": "सूअर", "translit": null, "level": "A1", "topic": "Animals", "tint": "40"},
+        {"id": "a1-650-0994", "german": "Schaf", "article": "das", "plural": null, "english": "sheep 🐑", "hindi": "भेड़", "translit": null, "level": "A1", "topic": "Animals", "tint": "40"},
+        {"id": "a1-650-0995", "german": "Ziege", "article": "die", "plural": null, "english": "goat 🐐", "hindi": "बकरी", "translit": null, "level": "A1", "topic": "Animals", "tint": "40"},
+        {"id": "a1-650-0996", "german": "Huhn", "article": "das", "plural": null, "english": "chicken 🐔", "hindi": "मुर्गी", "translit": null, "level": "A1", "topic": "Animals", "tint": "40"},
+        {"id": "a1-650-0997", "german": "Hahn", "article": "der", "plural": null, "english": "rooster 🐓", "hindi": "मुर्गा", "translit": null, "level": "A1", "topic": "Animals", "tint": "40"},
+        {"id": "a1-650-0998", "german": "Ente", "article": "die", "plural": null, "english": "duck 🦆", "hindi": "बत्तख", "translit": null, "level": "A1", "topic": "Animals", "tint": "40"},
+        {"id": "a1-650-0999", "german": "Esel", "article": "der", "plural": null, "english": "donkey", "hindi": "गधा", "translit": null, "level": "A1", "topic": "Animals", "tint": "40"},
+        {"id": "a1-650-1000", "german": "Löwe", "article": "der", "plural": null, "english": "lion 🦁", "hindi": "शेर", "translit": null, "level": "A1", "topic": "Animals", "tint": "50"},
+        {"id": "a1-650-1001", "german": "Tiger", "article": "der", "plural": null, "english": "tiger 🐅", "hindi": "बाघ", "translit": null, "level": "A1", "topic": "Animals", "tint": "50"},
+        {"id": "a1-650-1002", "german": "Elefant", "article": "der", "plural": null, "english": "elephant 🐘", "hindi": "हाथी", "translit": null, "level": "A1", "topic": "Animals", "tint": "50"},
+        {"id": "a1-650-1003", "german": "Bär", "article": "der", "plural": null, "english": "bear 🐻", "hindi": "भालू", "translit": null, "level": "A1", "topic": "Animals", "tint": "50"},
+        {"id": "a1-650-1004", "german": "Affe", "article": "der", "plural": null, "english": "monkey 🐒", "hindi": "बंदर", "translit": null, "level": "A1", "topic": "Animals", "tint": "50"},
+        {"id": "a1-650-1005", "german": "Wolf", "article": "der", "plural": null, "english": "wolf 🐺", "hindi": "भेड़िया", "translit": null, "level": "A1", "topic": "Animals", "tint": "50"},
+        {"id": "a1-650-1006", "german": "Fuchs", "article": "der", "plural": null, "english": "fox 🦊", "hindi": "लोमड़ी", "translit": null, "level": "A1", "topic": "Animals", "tint": "50"},
+        {"id": "a1-650-1007", "german": "Krokodil", "article": "das", "plural": null, "english": "crocodile 🐊", "hindi": "मगरमच्छ", "translit": null, "level": "A1", "topic": "Animals", "tint": "50"},
+        {"id": "a1-650-1008", "german": "Giraffe", "article": "die", "plural": null, "english": "giraffe 🦒", "hindi": "जिराफ", "translit": null, "level": "A1", "topic": "Animals", "tint": "50"},
+        {"id": "a1-650-1009", "german": "Zebra", "article": "das", "plural": null, "english": "zebra 🦓", "hindi": "ज़ेब्रा", "translit": null, "level": "A1", "topic": "Animals", "tint": "50"},
+        {"id": "a1-650-1010", "german": "Biene", "article": "die", "plural": null, "english": "bee 🐝", "hindi": "मधुमक्खी", "translit": null, "level": "A1", "topic": "Animals", "tint": "60"},
+        {"id": "a1-650-1011", "german": "Schmetterling", "article": "der", "plural": null, "english": "butterfly 🦋", "hindi": "तितली", "translit": null, "level": "A1", "topic": "Animals", "tint": "60"},
+        {"id": "a1-650-1012", "german": "Spinne", "article": "die", "plural": null, "english": "spider 🕷️", "hindi": "मकड़ी", "translit": null, "level": "A1", "topic": "Animals", "tint": "60"},
+        {"id": "a1-650-1013", "german": "Fliege", "article": "die", "plural": null, "english": "fly", "hindi": "मक्खी", "translit": null, "level": "A1", "topic": "Animals", "tint": "60"},
+        {"id": "a1-650-1014", "german": "Ameise", "article": "die", "plural": null, "english": "ant 🐜", "hindi": "चींटी", "translit": null, "level": "A1", "topic": "Animals", "tint": "60"},
+        {"id": "a1-650-1015", "german": "Frosch", "article": "der", "plural": null, "english": "frog 🐸", "hindi": "मेंढक", "translit": null, "level": "A1", "topic": "Animals", "tint": "60"},
+        {"id": "a1-650-1016", "german": "Schwanz", "article": "der", "plural": null, "english": "tail", "hindi": "पूँछ", "translit": null, "level": "A1", "topic": "Animals", "tint": "70"},
+        {"id": "a1-650-1017", "german": "Pfote", "article": "die", "plural": null, "english": "paw 🐾", "hindi": "पंजा", "translit": null, "level": "A1", "topic": "Animals", "tint": "70"},
+        {"id": "a1-650-1018", "german": "Flügel", "article": "der", "plural": null, "english": "wing", "hindi": "पंख", "translit": null, "level": "A1", "topic": "Animals", "tint": "70"},
+        {"id": "a1-650-1019", "german": "Fell", "article": "das", "plural": null, "english": "fur", "hindi": "फर / बाल", "translit": null, "level": "A1", "topic": "Animals", "tint": "70"},
+        {"id": "a1-650-1020", "german": "bellen", "article": null, "plural": null, "english": "to bark", "hindi": "भौंकना", "translit": null, "level": "A1", "topic": "Animals", "tint": "80"},
+        {"id": "a1-650-1021", "german": "miauen", "article": null, "plural": null, "english": "to meow", "hindi": "म्याऊं करना", "translit": null, "level": "A1", "topic": "Animals", "tint": "80"},
+        {"id": "a1-650-1022", "german": "schwimmen", "article": null, "plural": null, "english": "to swim", "hindi": "तैरना", "translit": null, "level": "A1", "topic": "Animals", "tint": "80"},
+        {"id": "a1-650-1023", "german": "füttern", "article": null, "plural": null, "english": "to feed", "hindi": "खाना खिलाना", "translit": null, "level": "A1", "topic": "Animals", "tint": "80"},
+        {"id": "a1-650-1024", "german": "Hirsch", "article": "der", "plural": null, "english": "deer 🦌", "hindi": "हिरण", "translit": null, "level": "A1", "topic": "Animals", "tint": "90"},
+        {"id": "a1-650-1025", "german": "Pinguin", "article": "der", "plural": null, "english": "penguin 🐧", "hindi": "पेंगुइन", "translit": null, "level": "A1", "topic": "Animals", "tint": "90"},
+        {"id": "a1-650-1026", "german": "Delfin", "article": "der", "plural": null, "english": "dolphin 🐬", "hindi": "डॉल्फिन", "translit": null, "level": "A1", "topic": "Animals", "tint": "90"},
+        {"id": "a1-650-1027", "german": "Wal", "article": "der", "plural": null, "english": "whale 🐋", "hindi": "व्हेल", "translit": null, "level": "A1", "topic": "Animals", "tint": "90"},
+        {"id": "a1-650-1028", "german": "Hai", "article": "der", "plural": null, "english": "shark 🦈", "hindi": "शार्क", "translit": null, "level": "A1", "topic": "Animals", "tint": "90"},
+        {"id": "a1-650-1029", "german": "Fest", "article": "das", "plural": null, "english": "festival / celebration 🎉", "hindi": "त्योहार", "translit": null, "level": "A1", "topic": "Celebrations"},
+        {"id": "a1-650-1030", "german": "Feier", "article": "die", "plural": null, "english": "celebration / party", "hindi": "जश्न", "translit": null, "level": "A1", "topic": "Celebrations"},
+        {"id": "a1-650-1031", "german": "Party", "article": "die", "plural": null, "english": "party 🥳", "hindi": "पार्टी", "translit": null, "level": "A1", "topic": "Celebrations"},
+        {"id": "a1-650-1032", "german": "Geburtstagsparty", "article": "die", "plural": null, "english": "birthday party", "hindi": "जन्मदिन की पार्टी", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "30"},
+        {"id": "a1-650-1033", "german": "Torte", "article": "die", "plural": null, "english": "layer cake / gateau", "hindi": "टोर्ट केक", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "30"},
+        {"id": "a1-650-1034", "german": "Kerze", "article": "die", "plural": null, "english": "candle 🕯️", "hindi": "मोमबत्ती", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "30"},
+        {"id": "a1-650-1035", "german": "Braut", "article": "die", "plural": null, "english": "bride 👰", "hindi": "दुल्हन", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "40"},
+        {"id": "a1-650-1036", "german": "Bräutigam", "article": "der", "plural": null, "english": "groom 🤵", "hindi": "दूल्हा", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "40"},
+        {"id": "a1-650-1037", "german": "Weihnachten", "article": null, "plural": null, "english": "Christmas 🎄", "hindi": "क्रिसमस", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "50"},
+        {"id": "a1-650-1038", "german": "Weihnachtsbaum", "article": "der", "plural": null, "english": "Christmas tree", "hindi": "क्रिसमस ट्री", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "50"},
+        {"id": "a1-650-1039", "german": "Weihnachtsmann", "article": "der", "plural": null, "english": "Santa Claus 🎅", "hindi": "सांता क्लॉज़", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "50"},
+        {"id": "a1-650-1040", "german": "Ostern", "article": null, "plural": null, "english": "Easter 🐰", "hindi": "ईस्टर", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "50"},
+        {"id": "a1-650-1041", "german": "Osterei", "article": "das", "plural": null, "english": "Easter egg 🥚", "hindi": "ईस्टर अंडा", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "50"},
+        {"id": "a1-650-1042", "german": "Silvester", "article": null, "plural": null, "english": "New Year's Eve 🎆", "hindi": "नए साल की पूर्व संध्या", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "50"},
+        {"id": "a1-650-1043", "german": "Neujahr", "article": null, "plural": null, "english": "New Year 🎊", "hindi": "नया साल", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "50"},
+        {"id": "a1-650-1044", "german": "Feuerwerk", "article": "das", "plural": null, "english": "fireworks 🎆", "hindi": "आतिशबाज़ी", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "50"},
+        {"id": "a1-650-1045", "german": "Geschenk", "article": "das", "plural": null, "english": "gift / present 🎁", "hindi": "उपहार", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "60"},
+        {"id": "a1-650-1046", "german": "schenken", "article": null, "plural": null, "english": "to give (gift)", "hindi": "उपहार देना", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "60"},
+        {"id": "a1-650-1047", "german": "Ballon", "article": "der", "plural": null, "english": "balloon 🎈", "hindi": "गुब्बारा", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "60"},
+        {"id": "a1-650-1048", "german": "Dekoration", "article": "die", "plural": null, "english": "decoration", "hindi": "सजावट", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "60"},
+        {"id": "a1-650-1049", "german": "Blumen", "article": "die", "plural": null, "english": "flowers 💐", "hindi": "फूल", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "60"},
+        {"id": "a1-650-1050", "german": "gratulieren", "article": null, "plural": null, "english": "to congratulate", "hindi": "बधाई देना", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "70"},
+        {"id": "a1-650-1051", "german": "wünschen", "article": null, "plural": null, "english": "to wish", "hindi": "शुभकामना देना", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "70"},
+        {"id": "a1-650-1052", "german": "tanzen", "article": null, "plural": null, "english": "to dance 💃", "hindi": "नाचना", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "70"},
+        {"id": "a1-650-1053", "german": "singen", "article": null, "plural": null, "english": "to sing 🎤", "hindi": "गाना", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "70"},
+        {"id": "a1-650-1054", "german": "Glück", "article": "das", "plural": null, "english": "luck / happiness", "hindi": "खुशी / भाग्य", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "70"},
+        {"id": "a1-650-1055", "german": "Musik", "article": "die", "plural": null, "english": "music 🎵", "hindi": "संगीत", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "70"},
+        {"id": "a1-650-1056", "german": "Überraschung", "article": "die", "plural": null, "english": "surprise", "hindi": "आश्चर्य / सरप्राइज", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "80"},
+        {"id": "a1-650-1057", "german": "Gastgeberin", "article": "die", "plural": null, "english": "host (f)", "hindi": "मेजबान (f)", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "80"},
+        {"id": "a1-650-1058", "german": "Konfetti", "article": "das", "plural": null, "english": "confetti 🎊", "hindi": "कन्फेट्टी", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "80"},
+        {"id": "a1-650-1059", "german": "Champagner", "article": "der", "plural": null, "english": "champagne 🍾", "hindi": "शैंपेन", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "80"},
+        {"id": "a1-650-1060", "german": "Tanz", "article": "der", "plural": null, "english": "dance", "hindi": "नृत्य", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "80"},
+        {"id": "a1-650-1061", "german": "Kostüm", "article": "das", "plural": null, "english": "costume", "hindi": "पोशाक", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "80"},
+        {"id": "a1-650-1062", "german": "Festtag", "article": "der", "plural": null, "english": "holiday / festival day", "hindi": "त्योहार का दिन", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "80"},
+        {"id": "a1-650-1063", "german": "Tradition", "article": "die", "plural": null, "english": "tradition", "hindi": "परंपरा", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "80"},
+        {"id": "a1-650-1064", "german": "einladen", "article": null, "plural": null, "english": "to invite", "hindi": "आमंत्रित करना", "translit": null, "level": "A1", "topic": "Celebrations", "tint": "80"},
+        {"id": "a1-650-1065", "german": "Handtasche", "article": "die", "plural": null, "english": "handbag / purse", "hindi": "हैंडबैग", "translit": null, "level": "A1", "topic": "Personal_Items"},
+        {"id": "a1-650-1066", "german": "Beutel", "article": "der", "plural": null, "english": "pouch / bag", "hindi": "थैली", "translit": null, "level": "A1", "topic": "Personal_Items"},
+        {"id": "a1-650-1067", "german": "Portemonnaie", "article": "das", "plural": null, "english": "wallet 👛", "hindi": "बटुआ", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "30"},
+        {"id": "a1-650-1068", "german": "Geldbörse", "article": "die", "plural": null, "english": "wallet / purse", "hindi": "पर्स", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "30"},
+        {"id": "a1-650-1069", "german": "Schlüssel", "article": "der", "plural": null, "english": "key 🔑", "hindi": "चाबी", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "40"},
+        {"id": "a1-650-1070", "german": "Hausschlüssel", "article": "der", "plural": null, "english": "house key 🏠🔑", "hindi": "घर की चाबी", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "40"},
+        {"id": "a1-650-1071", "german": "Autoschlüssel", "article": "der", "plural": null, "english": "car key 🚗🔑", "hindi": "कार की चाबी", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "40"},
+        {"id": "a1-650-1072", "german": "Kopfhörer", "article": "der", "plural": null, "english": "headphones 🎧", "hindi": "हेडफ़ोन", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "50"},
+        {"id": "a1-650-1073", "german": "Armbanduhr", "article": "die", "plural": null, "english": "wristwatch", "hindi": "कलाई घड़ी", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "70"},
+        {"id": "a1-650-1074", "german": "Schmuck", "article": "der", "plural": null, "english": "jewelry 💍", "hindi": "गहने", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "70"},
+        {"id": "a1-650-1075", "german": "Ring", "article": "der", "plural": null, "english": "ring 💍", "hindi": "अंगूठी", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "70"},
+        {"id": "a1-650-1076", "german": "Kette", "article": "die", "plural": null, "english": "necklace / chain", "hindi": "हार / चेन", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "70"},
+        {"id": "a1-650-1077", "german": "Ohrring", "article": "der", "plural": null, "english": "earring", "hindi": "बाली", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "70"},
+        {"id": "a1-650-1078", "german": "Pass", "article": "der", "plural": null, "english": "passport 🛂", "hindi": "पासपोर्ट", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "80"},
+        {"id": "a1-650-1079", "german": "Fahrkarte", "article": "die", "plural": null, "english": "ticket (transport) 🎫", "hindi": "टिकट", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "80"},
+        {"id": "a1-650-1080", "german": "Kamm", "article": "der", "plural": null, "english": "comb", "hindi": "कंघी", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "90"},
+        {"id": "a1-650-1081", "german": "Bürste", "article": "die", "plural": null, "english": "brush", "hindi": "ब्रश", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "90"},
+        {"id": "a1-650-1082", "german": "Taschentuch", "article": "das", "plural": null, "english": "tissue / handkerchief", "hindi": "रुमाल", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "90"},
+        {"id": "a1-650-1083", "german": "Parfüm", "article": "das", "plural": null, "english": "perfume", "hindi": "इत्र", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "90"},
+        {"id": "a1-650-1084", "german": "Stift", "article": "der", "plural": null, "english": "pen / pencil ✏️", "hindi": "कलम / पेंसिल", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "a0"},
+        {"id": "a1-650-1085", "german": "Notizbuch", "article": "das", "plural": null, "english": "notebook 📓", "hindi": "नोटबुक", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "a0"},
+        {"id": "a1-650-1086", "german": "Feuerzeug", "article": "das", "plural": null, "english": "lighter", "hindi": "लाइटर", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "b0"},
+        {"id": "a1-650-1087", "german": "Zigarette", "article": "die", "plural": null, "english": "cigarette 🚬", "hindi": "सिगरेट", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "b0"},
+        {"id": "a1-650-1088", "german": "mitnehmen", "article": null, "plural": null, "english": "to take along", "hindi": "साथ ले जाना", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "c0"},
+        {"id": "a1-650-1089", "german": "verlieren", "article": null, "plural": null, "english": "to lose", "hindi": "खोना", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "c0"},
+        {"id": "a1-650-1090", "german": "finden", "article": null, "plural": null, "english": "to find", "hindi": "पाना", "translit": null, "level": "A1", "topic": "Personal_Items", "tint": "c0"},
+        {"id": "a1-650-1091", "german": "wer", "article": null, "plural": null, "english": "who ❓", "hindi": "कौन", "translit": null, "level": "A1", "topic": "Question_Words"},
+        {"id": "a1-650-1092", "german": "was", "article": null, "plural": null, "english": "what", "hindi": "क्या", "translit": null, "level": "A1", "topic": "Question_Words"},
+        {"id": "a1-650-1093", "german": "wann", "article": null, "plural": null, "english": "when", "hindi": "कब", "translit": null, "level": "A1", "topic": "Question_Words"},
+        {"id": "a1-650-1094", "german": "wo", "article": null, "plural": null, "english": "where", "hindi": "कहाँ", "translit": null, "level": "A1", "topic": "Question_Words"},
+        {"id": "a1-650-1095", "german": "wie", "article": null, "plural": null, "english": "how", "hindi": "कैसे", "translit": null, "level": "A1", "topic": "Question_Words"},
+        {"id": "a1-650-1096", "german": "warum", "article": null, "plural": null, "english": "why", "hindi": "क्यों", "translit": null, "level": "A1", "topic": "Question_Words"},
+        {"id": "a1-650-1097", "german": "woher", "article": null, "plural": null, "english": "where from", "hindi": "कहाँ से", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "30"},
+        {"id": "a1-650-1098", "german": "wohin", "article": null, "plural": null, "english": "where to", "hindi": "कहाँ को", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "30"},
+        {"id": "a1-650-1099", "german": "welcher", "article": null, "plural": null, "english": "which (m)", "hindi": "कौन सा", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "40"},
+        {"id": "a1-650-1100", "german": "welche", "article": null, "plural": null, "english": "which (f/pl)", "hindi": "कौन सी", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "40"},
+        {"id": "a1-650-1101", "german": "welches", "article": null, "plural": null, "english": "which (n)", "hindi": "कौन सा", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "40"},
+        {"id": "a1-650-1102", "german": "was für", "article": null, "plural": null, "english": "what kind of", "hindi": "किस तरह का", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "40"},
+        {"id": "a1-650-1103", "german": "wie viel", "article": null, "plural": null, "english": "how much", "hindi": "कितना", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "50"},
+        {"id": "a1-650-1104", "german": "wie viele", "article": null, "plural": null, "english": "how many", "hindi": "कितने", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "50"},
+        {"id": "a1-650-1105", "german": "wie lange", "article": null, "plural": null, "english": "how long (duration)", "hindi": "कितनी देर", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "60"},
+        {"id": "a1-650-1106", "german": "wie oft", "article": null, "plural": null, "english": "how often", "hindi": "कितनी बार", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "60"},
+        {"id": "a1-650-1107", "german": "wie spät", "article": null, "plural": null, "english": "what time", "hindi": "क्या समय", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "60"},
+        {"id": "a1-650-1108", "german": "um wie viel Uhr", "article": null, "plural": null, "english": "at what time", "hindi": "कितने बजे", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "60"},
+        {"id": "a1-650-1109", "german": "wie alt", "article": null, "plural": null, "english": "how old", "hindi": "कितने साल का", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "70"},
+        {"id": "a1-650-1110", "german": "wie groß", "article": null, "plural": null, "english": "how tall / big", "hindi": "कितना बड़ा", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "70"},
+        {"id": "a1-650-1111", "german": "wie weit", "article": null, "plural": null, "english": "how far", "hindi": "कितना दूर", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "70"},
+        {"id": "a1-650-1112", "german": "ob", "article": null, "plural": null, "english": "whether / if", "hindi": "क्या / अगर", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "80"},
+        {"id": "a1-650-1113", "german": "Wie heißt du?", "article": null, "plural": null, "english": "What's your name? (informal)", "hindi": "तुम्हारा नाम क्या है?", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "90"},
+        {"id": "a1-650-1114", "german": "Wie alt bist du?", "article": null, "plural": null, "english": "How old are you?", "hindi": "तुम्हारी उम्र क्या है?", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "90"},
+        {"id": "a1-650-1115", "german": "Woher kommst du?", "article": null, "plural": null, "english": "Where are you from?", "hindi": "तुम कहाँ से हो?", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "90"},
+        {"id": "a1-650-1116", "german": "Was machst du?", "article": null, "plural": null, "english": "What do you do? / What are you doing?", "hindi": "तुम क्या करते हो?", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "90"},
+        {"id": "a1-650-1117", "german": "Was bist du von Beruf?", "article": null, "plural": null, "english": "What is your profession?", "hindi": "तुम्हारा पेशा क्या है?", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "90"},
+        {"id": "a1-650-1118", "german": "Wann ist...?", "article": null, "plural": null, "english": "When is...?", "hindi": "...कब है?", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "a0"},
+        {"id": "a1-650-1119", "german": "Wie viel Uhr ist es?", "article": null, "plural": null, "english": "What time is it?", "hindi": "कितने बजे हैं?", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "c0"},
+        {"id": "a1-650-1120", "german": "Stimmt das?", "article": null, "plural": null, "english": "Is that correct?", "hindi": "क्या यह सही है?", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "e0"},
+        {"id": "a1-650-1121", "german": "Verstehen Sie?", "article": null, "plural": null, "english": "Do you understand?", "hindi": "क्या आप समझे?", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "e0"},
+        {"id": "a1-650-1122", "german": "Sprechen Sie Deutsch?", "article": null, "plural": null, "english": "Do you speak German?", "hindi": "क्या आप जर्मन बोलते हैं?", "translit": null, "level": "A1", "topic": "Question_Words", "tint": "e0"},
+        {"id": "a1-650-1123", "german": "ich", "article": null, "plural": null, "english": "I 👤", "hindi": "मैं", "translit": null, "level": "A1", "topic": "Pronouns"},
+        {"id": "a1-650-1124", "german": "du", "article": null, "plural": null, "english": "you (informal)", "hindi": "तुम", "translit": null, "level": "A1", "topic": "Pronouns"},
+        {"id": "a1-650-1125", "german": "er", "article": null, "plural": null, "english": "he 👨", "hindi": "वह (पुरुष)", "translit": null, "level": "A1", "topic": "Pronouns"},
+        {"id": "a1-650-1126", "german": "sie", "article": null, "plural": null, "english": "she 👩", "hindi": "वह (महिला)", "translit": null, "level": "A1", "topic": "Pronouns"},
+        {"id": "a1-650-1127", "german": "es", "article": null, "plural": null, "english": "it", "hindi": "यह", "translit": null, "level": "A1", "topic": "Pronouns"},
+        {"id": "a1-650-1128", "german": "wir", "article": null, "plural": null, "english": "we 👥", "hindi": "हम", "translit": null, "level": "A1", "topic": "Pronouns"},
+        {"id": "a1-650-1129", "german": "ihr", "article": null, "plural": null, "english": "you (plural informal)", "hindi": "तुम लोग", "translit": null, "level": "A1", "topic": "Pronouns"},
+        {"id": "a1-650-1130", "german": "Sie", "article": null, "plural": null, "english": "you (formal) 🎩", "hindi": "आप", "translit": null, "level": "A1", "topic": "Pronouns"},
+        {"id": "a1-650-1131", "german": "mich", "article": null, "plural": null, "english": "me (accusative)", "hindi": "मुझे", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "30"},
+        {"id": "a1-650-1132", "german": "dich", "article": null, "plural": null, "english": "you (accusative)", "hindi": "तुझे", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "30"},
+        {"id": "a1-650-1133", "german": "ihn", "article": null, "plural": null, "english": "him (accusative)", "hindi": "उसे (पुरुष)", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "30"},
+        {"id": "a1-650-1134", "german": "uns", "article": null, "plural": null, "english": "us (accusative)", "hindi": "हमें", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "30"},
+        {"id": "a1-650-1135", "german": "euch", "article": null, "plural": null, "english": "you all (accusative)", "hindi": "तुम लोगों को", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "30"},
+        {"id": "a1-650-1136", "german": "mir", "article": null, "plural": null, "english": "to me (dative)", "hindi": "मुझे", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "40"},
+        {"id": "a1-650-1137", "german": "dir", "article": null, "plural": null, "english": "to you (dative)", "hindi": "तुझे", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "40"},
+        {"id": "a1-650-1138", "german": "ihm", "article": null, "plural": null, "english": "to him (dative)", "hindi": "उसे (पुरुष)", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "40"},
+        {"id": "a1-650-1139", "german": "ihnen", "article": null, "plural": null, "english": "to them (dative)", "hindi": "उन्हें", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "40"},
+        {"id": "a1-650-1140", "german": "Ihnen", "article": null, "plural": null, "english": "to you formal (dative)", "hindi": "आपको", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "40"},
+        {"id": "a1-650-1141", "german": "unser", "article": null, "plural": null, "english": "our", "hindi": "हमारा", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "50"},
+        {"id": "a1-650-1142", "german": "euer", "article": null, "plural": null, "english": "your (plural)", "hindi": "तुम लोगों का", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "50"},
+        {"id": "a1-650-1143", "german": "Ihr", "article": null, "plural": null, "english": "your (formal)", "hindi": "आपका", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "50"},
+        {"id": "a1-650-1144", "german": "sich", "article": null, "plural": null, "english": "himself/herself/itself/themselves", "hindi": "खुद को / अपने आप", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "60"},
+        {"id": "a1-650-1145", "german": "dieser", "article": null, "plural": null, "english": "this (m)", "hindi": "यह", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "70"},
+        {"id": "a1-650-1146", "german": "diese", "article": null, "plural": null, "english": "this (f)", "hindi": "यह", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "70"},
+        {"id": "a1-650-1147", "german": "dieses", "article": null, "plural": null, "english": "this (n)", "hindi": "यह", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "70"},
+        {"id": "a1-650-1148", "german": "das", "article": null, "plural": null, "english": "that / this", "hindi": "यह / वह", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "70"},
+        {"id": "a1-650-1149", "german": "dort", "article": null, "plural": null, "english": "there", "hindi": "वहाँ", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "70"},
+        {"id": "a1-650-1150", "german": "da", "article": null, "plural": null, "english": "there / here", "hindi": "वहाँ / यहाँ", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "70"},
+        {"id": "a1-650-1151", "german": "man", "article": null, "plural": null, "english": "one / people (general)", "hindi": "लोग / कोई", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "80"},
+        {"id": "a1-650-1152", "german": "jemand", "article": null, "plural": null, "english": "someone", "hindi": "कोई", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "80"},
+        {"id": "a1-650-1153", "german": "niemand", "article": null, "plural": null, "english": "no one", "hindi": "कोई नहीं", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "80"},
+        {"id": "a1-650-1154", "german": "etwas", "article": null, "plural": null, "english": "something", "hindi": "कुछ", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "80"},
+        {"id": "a1-650-1155", "german": "jeder", "article": null, "plural": null, "english": "everyone / each (m)", "hindi": "हर कोई", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "80"},
+        {"id": "a1-650-1156", "german": "jede", "article": null, "plural": null, "english": "every / each (f)", "hindi": "हर", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "80"},
+        {"id": "a1-650-1157", "german": "jedes", "article": null, "plural": null, "english": "every / each (n)", "hindi": "हर", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "80"},
+        {"id": "a1-650-1158", "german": "andere", "article": null, "plural": null, "english": "other / another", "hindi": "दूसरा", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "80"},
+        {"id": "a1-650-1159", "german": "selbst", "article": null, "plural": null, "english": "self / oneself", "hindi": "खुद / स्वयं", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "90"},
+        {"id": "a1-650-1160", "german": "solche", "article": null, "plural": null, "english": "such", "hindi": "ऐसा / ऐसी", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "90"},
+        {"id": "a1-650-1161", "german": "derselbe", "article": null, "plural": null, "english": "the same (m)", "hindi": "वही (m)", "translit": null, "level": "A1", "topic": "Pronouns", "tint": "90"},
+        {"id": "a1-650-1162", "german": "aufräumen", "article": null, "plural": null, "english": "to tidy up", "hindi": "व्यवस्थित करना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "80"},
+        {"id": "a1-650-1163", "german": "beenden", "article": null, "plural": null, "english": "to end / finish", "hindi": "समाप्त करना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "d0"},
+        {"id": "a1-650-1164", "german": "beginnen", "article": null, "plural": null, "english": "to begin / start", "hindi": "शुरू करना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "d0"},
+        {"id": "a1-650-1165", "german": "bekommen", "article": null, "plural": null, "english": "to get / receive", "hindi": "प्राप्त करना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "90"},
+        {"id": "a1-650-1166", "german": "brauchen", "article": null, "plural": null, "english": "to need", "hindi": "ज़रूरत होना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "c0"},
+        {"id": "a1-650-1167", "german": "bringen", "article": null, "plural": null, "english": "to bring", "hindi": "लाना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "90"},
+        {"id": "a1-650-1168", "german": "denken", "article": null, "plural": null, "english": "to think 🤔", "hindi": "सोचना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "b0"},
+        {"id": "a1-650-1169", "german": "duschen", "article": null, "plural": null, "english": "to shower 🚿", "hindi": "नहाना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "80"},
+        {"id": "a1-650-1170", "german": "dürfen", "article": null, "plural": null, "english": "may / to be allowed", "hindi": "... की अनुमति होना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "30"},
+        {"id": "a1-650-1171", "german": "erzählen", "article": null, "plural": null, "english": "to tell / narrate", "hindi": "बताना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "50"},
+        {"id": "a1-650-1172", "german": "geben", "article": null, "plural": null, "english": "to give", "hindi": "देना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "90"},
+        {"id": "a1-650-1173", "german": "glauben", "article": null, "plural": null, "english": "to believe", "hindi": "विश्वास करना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "b0"},
+        {"id": "a1-650-1174", "german": "haben", "article": null, "plural": null, "english": "to have ⭐", "hindi": "रखना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)"},
+        {"id": "a1-650-1175", "german": "helfen", "article": null, "plural": null, "english": "to help 🤝", "hindi": "मदद करना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "c0"},
+        {"id": "a1-650-1176", "german": "hoffen", "article": null, "plural": null, "english": "to hope", "hindi": "उम्मीद करना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "c0"},
+        {"id": "a1-650-1177", "german": "holen", "article": null, "plural": null, "english": "to fetch / get", "hindi": "ले आना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "90"},
+        {"id": "a1-650-1178", "german": "kennen", "article": null, "plural": null, "english": "to know (person/place)", "hindi": "जानना (व्यक्ति)", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "b0"},
+        {"id": "a1-650-1179", "german": "kommen", "article": null, "plural": null, "english": "to come", "hindi": "आना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "40"},
+        {"id": "a1-650-1180", "german": "können", "article": null, "plural": null, "english": "can / to be able to", "hindi": "सकना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "30"},
+        {"id": "a1-650-1181", "german": "leben", "article": null, "plural": null, "english": "to live (be alive)", "hindi": "जीना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "d0"},
+        {"id": "a1-650-1182", "german": "legen", "article": null, "plural": null, "english": "to lay / put", "hindi": "रखना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "a0"},
+        {"id": "a1-650-1183", "german": "lieben", "article": null, "plural": null, "english": "to love ❤️", "hindi": "प्यार करना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "c0"},
+        {"id": "a1-650-1184", "german": "liegen", "article": null, "plural": null, "english": "to lie (down)", "hindi": "लेटना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "a0"},
+        {"id": "a1-650-1185", "german": "machen", "article": null, "plural": null, "english": "to do / make", "hindi": "करना / बनाना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)"},
+        {"id": "a1-650-1186", "german": "möchten", "article": null, "plural": null, "english": "would like", "hindi": "चाहूँगा/चाहूँगी", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "30"},
+        {"id": "a1-650-1187", "german": "mögen", "article": null, "plural": null, "english": "to like", "hindi": "पसंद करना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "30"},
+        {"id": "a1-650-1188", "german": "müssen", "article": null, "plural": null, "english": "must / have to", "hindi": "करना पड़ना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "30"},
+        {"id": "a1-650-1189", "german": "nehmen", "article": null, "plural": null, "english": "to take", "hindi": "लेना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "90"},
+        {"id": "a1-650-1190", "german": "putzen", "article": null, "plural": null, "english": "to clean", "hindi": "साफ करना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "80"},
+        {"id": "a1-650-1191", "german": "rufen", "article": null, "plural": null, "english": "to call (out)", "hindi": "पुकारना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "50"},
+        {"id": "a1-650-1192", "german": "schicken", "article": null, "plural": null, "english": "to send 📧", "hindi": "भेजना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "90"},
+        {"id": "a1-650-1193", "german": "schließen", "article": null, "plural": null, "english": "to close", "hindi": "बंद करना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "d0"},
+        {"id": "a1-650-1194", "german": "setzen", "article": null, "plural": null, "english": "to set / put (down)", "hindi": "बिठाना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "a0"},
+        {"id": "a1-650-1195", "german": "sitzen", "article": null, "plural": null, "english": "to sit", "hindi": "बैठना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "a0"},
+        {"id": "a1-650-1196", "german": "sollen", "article": null, "plural": null, "english": "should / ought to", "hindi": "चाहिए", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "30"},
+        {"id": "a1-650-1197", "german": "spielen", "article": null, "plural": null, "english": "to play 🎮", "hindi": "खेलना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "70"},
+        {"id": "a1-650-1198", "german": "stehen", "article": null, "plural": null, "english": "to stand", "hindi": "खड़ा होना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "a0"},
+        {"id": "a1-650-1199", "german": "stellen", "article": null, "plural": null, "english": "to put / place (standing)", "hindi": "रखना (खड़ा)", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "a0"},
+        {"id": "a1-650-1200", "german": "treffen", "article": null, "plural": null, "english": "to meet", "hindi": "मिलना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "c0"},
+        {"id": "a1-650-1201", "german": "versuchen", "article": null, "plural": null, "english": "to try", "hindi": "कोशिश करना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "d0"},
+        {"id": "a1-650-1202", "german": "waschen", "article": null, "plural": null, "english": "to wash", "hindi": "धोना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "80"},
+        {"id": "a1-650-1203", "german": "werden", "article": null, "plural": null, "english": "to become", "hindi": "बनना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)"},
+        {"id": "a1-650-1204", "german": "wissen", "article": null, "plural": null, "english": "to know (fact)", "hindi": "जानना (तथ्य)", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "b0"},
+        {"id": "a1-650-1205", "german": "wollen", "article": null, "plural": null, "english": "to want", "hindi": "चाहना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "30"},
+        {"id": "a1-650-1206", "german": "öffnen", "article": null, "plural": null, "english": "to open", "hindi": "खोलना", "translit": null, "level": "A1", "topic": "Verbs_(Actions)", "tint": "d0"},
+        {"id": "a1-650-1207", "german": "anders", "article": null, "plural": null, "english": "different", "hindi": "अलग", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "b0"},
+        {"id": "a1-650-1208", "german": "besetzt", "article": null, "plural": null, "english": "occupied / busy", "hindi": "व्यस्त", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "b0"},
+        {"id": "a1-650-1209", "german": "bitter", "article": null, "plural": null, "english": "bitter", "hindi": "कड़वा", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "d0"},
+        {"id": "a1-650-1210", "german": "breit", "article": null, "plural": null, "english": "wide / broad", "hindi": "चौड़ा", "translit": null, "level": "A1", "topic": "Adjectives"},
+        {"id": "a1-650-1211", "german": "dick", "article": null, "plural": null, "english": "thick / fat", "hindi": "मोटा", "translit": null, "level": "A1", "topic": "Adjectives"},
+        {"id": "a1-650-1212", "german": "dünn", "article": null, "plural": null, "english": "thin", "hindi": "पतला", "translit": null, "level": "A1", "topic": "Adjectives"},
+        {"id": "a1-650-1213", "german": "fertig", "article": null, "plural": null, "english": "ready / finished ✅", "hindi": "तैयार / समाप्त", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "b0"},
+        {"id": "a1-650-1214", "german": "frei", "article": null, "plural": null, "english": "free", "hindi": "फ्री / खाली", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "b0"},
+        {"id": "a1-650-1215", "german": "hinten", "article": null, "plural": null, "english": "behind / back", "hindi": "पीछे", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "c0"},
+        {"id": "a1-650-1216", "german": "hoch", "article": null, "plural": null, "english": "high / tall", "hindi": "ऊँचा", "translit": null, "level": "A1", "topic": "Adjectives"},
+        {"id": "a1-650-1217", "german": "hässlich", "article": null, "plural": null, "english": "ugly", "hindi": "बदसूरत", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "30"},
+        {"id": "a1-650-1218", "german": "interessant", "article": null, "plural": null, "english": "interesting", "hindi": "दिलचस्प", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "a0"},
+        {"id": "a1-650-1219", "german": "kaputt", "article": null, "plural": null, "english": "broken 💔", "hindi": "टूटा हुआ", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "60"},
+        {"id": "a1-650-1220", "german": "kurz", "article": null, "plural": null, "english": "short", "hindi": "छोटा", "translit": null, "level": "A1", "topic": "Adjectives"},
+        {"id": "a1-650-1221", "german": "lang", "article": null, "plural": null, "english": "long", "hindi": "लंबा", "translit": null, "level": "A1", "topic": "Adjectives"},
+        {"id": "a1-650-1222", "german": "langsam", "article": null, "plural": null, "english": "slow 🐢", "hindi": "धीमा", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "40"},
+        {"id": "a1-650-1223", "german": "laut", "article": null, "plural": null, "english": "loud 🔊", "hindi": "तेज़ (आवाज़)", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "40"},
+        {"id": "a1-650-1224", "german": "lecker", "article": null, "plural": null, "english": "delicious 😋", "hindi": "स्वादिष्ट", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "d0"},
+        {"id": "a1-650-1225", "german": "leer", "article": null, "plural": null, "english": "empty", "hindi": "खाली", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "60"},
+        {"id": "a1-650-1226", "german": "lieb", "article": null, "plural": null, "english": "dear / sweet 💕", "hindi": "प्यारा", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "90"},
+        {"id": "a1-650-1227", "german": "möglich", "article": null, "plural": null, "english": "possible", "hindi": "संभव", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "b0"},
+        {"id": "a1-650-1228", "german": "neu", "article": null, "plural": null, "english": "new 🆕", "hindi": "नया", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "30"},
+        {"id": "a1-650-1229", "german": "niedrig", "article": null, "plural": null, "english": "low", "hindi": "नीचा", "translit": null, "level": "A1", "topic": "Adjectives"},
+        {"id": "a1-650-1230", "german": "oben", "article": null, "plural": null, "english": "above / up ⬆️", "hindi": "ऊपर", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "c0"},
+        {"id": "a1-650-1231", "german": "salzig", "article": null, "plural": null, "english": "salty 🧂", "hindi": "नमकीन", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "d0"},
+        {"id": "a1-650-1232", "german": "sauber", "article": null, "plural": null, "english": "clean ✨", "hindi": "साफ", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "60"},
+        {"id": "a1-650-1233", "german": "sauer", "article": null, "plural": null, "english": "sour 🍋", "hindi": "खट्टा", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "d0"},
+        {"id": "a1-650-1234", "german": "scharf", "article": null, "plural": null, "english": "spicy / sharp 🌶️", "hindi": "तीखा", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "d0"},
+        {"id": "a1-650-1235", "german": "schmutzig", "article": null, "plural": null, "english": "dirty", "hindi": "गंदा", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "60"},
+        {"id": "a1-650-1236", "german": "schnell", "article": null, "plural": null, "english": "fast / quick ⚡", "hindi": "तेज़", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "40"},
+        {"id": "a1-650-1237", "german": "schwer", "article": null, "plural": null, "english": "difficult / heavy", "hindi": "मुश्किल / भारी", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "70"},
+        {"id": "a1-650-1238", "german": "schwierig", "article": null, "plural": null, "english": "difficult", "hindi": "कठिन", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "70"},
+        {"id": "a1-650-1239", "german": "schön", "article": null, "plural": null, "english": "beautiful / nice ✨", "hindi": "सुंदर", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "30"},
+        {"id": "a1-650-1240", "german": "super", "article": null, "plural": null, "english": "super / great", "hindi": "सुपर", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "a0"},
+        {"id": "a1-650-1241", "german": "toll", "article": null, "plural": null, "english": "great / awesome 🎉", "hindi": "शानदार", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "a0"},
+        {"id": "a1-650-1242", "german": "typisch", "article": null, "plural": null, "english": "typical", "hindi": "आम / सामान्य", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "b0"},
+        {"id": "a1-650-1243", "german": "unten", "article": null, "plural": null, "english": "below / down ⬇️", "hindi": "नीचे", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "c0"},
+        {"id": "a1-650-1244", "german": "voll", "article": null, "plural": null, "english": "full", "hindi": "भरा हुआ", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "60"},
+        {"id": "a1-650-1245", "german": "vorne", "article": null, "plural": null, "english": "in front", "hindi": "आगे", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "c0"},
+        {"id": "a1-650-1246", "german": "wichtig", "article": null, "plural": null, "english": "important ⭐", "hindi": "महत्वपूर्ण", "translit": null, "level": "A1", "topic": "Adjectives", "tint": "a0"}
+    ]
+});
@@ -0,0 +1,690 @@
+/* A1 Vocabulary (PDF) - word list for a1-pdf.html, rendered by js/vocab.js.
+   The object passed to register() is plain JSON, one word per line. */
+GermanVocab.register({
+    "page": "a1-pdf",
+    "title": "A1 Vocabulary (PDF)",
+    "level": "A1",
+    "unit": "words",
+    "columns": [
+        {"key": "german", "label": "German"},
+        {"key": "english", "label": "English"},
+        {"key": "example", "label": "Example Sentence"}
+    ],
+    "sections": [
+        {"id": "Person", "title": "Person", "emoji": "👤", "german": null, "translit": null, "color": "#e3f2fd", "level": "A1", "note": "Topics: Name, Adresse, Telefon, Geburtsdatum, Geburtsort, Alter, Geschlecht, Familienstand/Familie, Persönliche Beziehungen, Staatsangehörigkeit/Nationalität/Herkunft, Aussehen, Gewohnheiten/Tagesablauf"},
+        {"id": "Wohnen", "title": "Wohnen", "emoji": "🏠", "german": null, "translit": null, "color": "#fff3e0", "level": "A1", "note": "Topics: Wohnung, Räume, Einrichtung/Möbel, Haushalt/technische Einrichtungen, Miete/Mietverhältnis, Wohnungswechsel"},
+        {"id": "Umwelt", "title": "Umwelt", "emoji": "🌳", "german": null, "translit": null, "color": "#e8f5e9", "level": "A1", "note": "Topics: Pflanzen, Tiere, Klima/Wetter"},
+        {"id": "Reisen_Verkehr", "title": "Reisen/Verkehr", "emoji": "🚗", "german": null, "translit": null, "color": "#f3e5f5", "level": "A1", "note": "Topics: privater und öffentlicher Verkehr, Reisen, Unterkunft, Gepäck"},
+        {"id": "Essen_Trinken", "title": "Essen/Trinken", "emoji": "🍽️", "german": null, "translit": null, "color": "#ffebee", "level": "A1", "note": "Topics: Nahrungsmittel, Mahlzeiten, Speisen, Getränke, Lokale (Restaurant, Café)"},
+        {"id": "Einkaufen", "title": "Einkaufen/Gebrauchsartikel", "emoji": "🛒", "german": null, "translit": null, "color": "#e0f2f1", "level": "A1", "note": "Topics: Geschäfte, Preis/Bezahlen, Lebensmittel, Kleidung"},
+        {"id": "Dienstleistungen", "title": "Dienstleistungen", "emoji": "📮", "german": null, "translit": null, "color": "#fce4ec", "level": "A1", "note": "Topics: Post, Telekommunikation, Banken, Polizei"},
+        {"id": "Erziehung", "title": "Erziehung/Ausbildung/Lernen", "emoji": "📚", "german": null, "translit": null, "color": "#e1f5fe", "level": "A1", "note": "Topics: Kinderbetreuung, Schule, Sprachen lernen"},
+        {"id": "Arbeit", "title": "Arbeit/Beruf", "emoji": "💼", "german": null, "translit": null, "color": "#fff8e1", "level": "A1", "note": "Topics: Arbeitsplatz, Urlaub"},
+        {"id": "Freizeit", "title": "Freizeit/Unterhaltung", "emoji": "🎮", "german": null, "translit": null, "color": "#f1f8e9", "level": "A1", "note": "Topics: Interessen, Sport treiben, Radio/Fernsehen, Internet, Lektüre/Presse"},
+        {"id": "Word_Groups", "title": "Word Groups", "emoji": "📋", "german": "Wortgruppen", "translit": null, "color": "#ede7f6", "level": "A1", "note": "Common word groups: Numbers, Days of the week, Months, Colors, etc."},
+        {"id": "Common_Phrases", "title": "Common Phrases & Expressions", "emoji": "💬", "german": null, "translit": null, "color": "#e8eaf6", "level": "A1", "columns": [{"key": "german", "label": "German"}, {"key": "english", "label": "English"}, {"key": "example", "label": "Usage"}]},
+        {"id": "Common_Verbs", "title": "Common Verbs & Actions", "emoji": "🏃", "german": null, "translit": null, "color": "#e8f5e9", "level": "A1", "note": "Essential verbs for daily communication"},
+        {"id": "Common_Adjectives", "title": "Common Adjectives", "emoji": "✨", "german": null, "translit": null, "color": "#fff3e0", "level": "A1", "note": "Essential adjectives for describing things"},
+        {"id": "Common_Nouns", "title": "Common Nouns", "emoji": "📦", "german": null, "translit": null, "color": "#e1f5fe", "level": "A1", "note": "Essential nouns for daily communication"},
+        {"id": "Prepositions_Particles", "title": "Prepositions & Particles", "emoji": "🔗", "german": null, "translit": null, "color": "#fce4ec", "level": "A1", "note": "Essential prepositions and particles for sentence construction"}
+    ],
+    "words": [
+        {"id": "a1-pdf-0001", "german": "Name", "article": "der", "plural": "-n", "english": "name", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Wie ist Ihr Name?", "english": "What is your name?"}},
+        {"id": "a1-pdf-0002", "german": "Adresse", "article": "die", "plural": "-n", "english": "address", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Wie ist Ihre Adresse?", "english": "What is your address?"}},
+        {"id": "a1-pdf-0003", "german": "Telefon", "article": "das", "plural": "-e", "english": "telephone", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Wie ist Ihre Telefonnummer?", "english": "What is your telephone number?"}},
+        {"id": "a1-pdf-0004", "german": "Geburtsdatum", "article": "das", "plural": null, "english": "date of birth", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Wann sind Sie geboren?", "english": "When were you born?"}},
+        {"id": "a1-pdf-0005", "german": "Vorname", "article": "der", "plural": "-n", "english": "first name", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Ich heiße Müller, mein Vorname ist Eva.", "english": "My surname is Müller, my first name is Eva."}},
+        {"id": "a1-pdf-0006", "german": "Alter", "article": "das", "plural": null, "english": "age", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Wie alt sind Sie?", "english": "How old are you?"}},
+        {"id": "a1-pdf-0007", "german": "Familie", "article": "die", "plural": "-n", "english": "family", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Das ist meine Familie.", "english": "This is my family."}},
+        {"id": "a1-pdf-0008", "german": "Vater", "article": "der", "plural": "-ä", "english": "father", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Mein Vater ist Arbeiter.", "english": "My father is a worker."}},
+        {"id": "a1-pdf-0009", "german": "Mutter", "article": "die", "plural": "-ü", "english": "mother", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Meine Mutter ist Verkäuferin im Kaufhaus.", "english": "My mother is a saleswoman in the department store."}},
+        {"id": "a1-pdf-0010", "german": "Sohn", "article": "der", "plural": "-ö, e", "english": "son", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Peter und Helmut sind meine Söhne.", "english": "Peter and Helmut are my sons."}},
+        {"id": "a1-pdf-0011", "german": "Tochter", "article": "die", "plural": "-ö", "english": "daughter", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Das ist meine Tochter Katharina.", "english": "This is my daughter Katharina."}},
+        {"id": "a1-pdf-0012", "german": "verheiratet", "article": null, "plural": null, "english": "married", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Ich bin verheiratet und habe drei Kinder.", "english": "I am married and have three children."}},
+        {"id": "a1-pdf-0013", "german": "Staatsangehörigkeit", "article": "die", "plural": "-en", "english": "nationality", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Wie ist Ihre Staatsangehörigkeit?", "english": "What is your nationality?"}},
+        {"id": "a1-pdf-0014", "german": "sich vorstellen", "article": null, "plural": null, "english": "to introduce oneself", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "display": "(sich) vorstellen", "example": {"german": "Können Sie sich bitte vorstellen?", "english": "Can you please introduce yourself?"}},
+        {"id": "a1-pdf-0015", "german": "Verwandte", "article": "der", "plural": "-n", "english": "relative", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Peter besucht seine Verwandten in Polen.", "english": "Peter visits his relatives in Poland."}},
+        {"id": "a1-pdf-0016", "german": "weiblich", "article": null, "plural": null, "english": "female", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Kreuzen Sie bitte an: „weiblich\" oder „männlich\".", "english": "Please check: \"female\" or \"male\".", "speak": "Kreuzen Sie bitte an: weiblich oder männlich."}},
+        {"id": "a1-pdf-0017", "german": "männlich", "article": null, "plural": null, "english": "male", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Kreuzen Sie bitte an: „weiblich\" oder „männlich\".", "english": "Please check: \"female\" or \"male\".", "speak": "Kreuzen Sie bitte an: weiblich oder männlich."}},
+        {"id": "a1-pdf-0018", "german": "Kind", "article": "das", "plural": "-er", "english": "child", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Ich bin verheiratet und habe drei Kinder.", "english": "I am married and have three children."}},
+        {"id": "a1-pdf-0019", "german": "Bruder", "article": "der", "plural": "-ü", "english": "brother", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Mein Bruder wohnt in Berlin.", "english": "My brother lives in Berlin."}},
+        {"id": "a1-pdf-0020", "german": "Schwester", "article": "die", "plural": "-n", "english": "sister", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Meine Schwester ist Ärztin.", "english": "My sister is a doctor."}},
+        {"id": "a1-pdf-0021", "german": "Mann", "article": "der", "plural": "-ä, er", "english": "man/husband", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Was tut Ihr Mann?", "english": "What does your husband do?"}},
+        {"id": "a1-pdf-0022", "german": "Frau", "article": "die", "plural": "-en", "english": "woman/wife", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Meine Frau ist so groß wie ich.", "english": "My wife is as tall as I am."}},
+        {"id": "a1-pdf-0023", "german": "Freund", "article": "der", "plural": "-e", "english": "friend/boyfriend", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Das ist mein Freund.", "english": "This is my friend/boyfriend."}},
+        {"id": "a1-pdf-0024", "german": "Freundin", "article": "die", "plural": "-nen", "english": "friend/girlfriend", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Sie ist meine Freundin.", "english": "She is my friend/girlfriend."}},
+        {"id": "a1-pdf-0025", "german": "Kollege", "article": "der", "plural": "-n", "english": "colleague", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Ich treffe in der Stadt einen Kollegen.", "english": "I meet a colleague in the city."}},
+        {"id": "a1-pdf-0026", "german": "werden", "article": null, "plural": null, "english": "to become", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Mein Sohn will Arzt werden.", "english": "My son wants to become a doctor."}},
+        {"id": "a1-pdf-0027", "german": "wer", "article": null, "plural": null, "english": "who", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Wer ist das?", "english": "Who is that?"}},
+        {"id": "a1-pdf-0028", "german": "wie", "article": null, "plural": null, "english": "how/like", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Wie heißt du?", "english": "What is your name? / How are you called?"}},
+        {"id": "a1-pdf-0029", "german": "woher", "article": null, "plural": null, "english": "from where", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Woher kommen Sie?", "english": "Where do you come from?"}},
+        {"id": "a1-pdf-0030", "german": "wo", "article": null, "plural": null, "english": "where", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Wo sind Sie geboren?", "english": "Where were you born?"}},
+        {"id": "a1-pdf-0031", "german": "alt", "article": null, "plural": null, "english": "old", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Wie alt sind Sie?", "english": "How old are you?"}},
+        {"id": "a1-pdf-0032", "german": "jung", "article": null, "plural": null, "english": "young", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Junge Leute sagen meistens „tschüss!\".", "english": "Young people usually say \"tschüss!\".", "speak": "Junge Leute sagen meistens tschüss!"}},
+        {"id": "a1-pdf-0033", "german": "Arzt", "article": "der", "plural": "-ä, e", "english": "doctor", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Mein Sohn will Arzt werden.", "english": "My son wants to become a doctor."}},
+        {"id": "a1-pdf-0034", "german": "Ärztin", "article": "die", "plural": "-nen", "english": "doctor (female)", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Meine Schwester ist Ärztin.", "english": "My sister is a doctor."}},
+        {"id": "a1-pdf-0035", "german": "heißen", "article": null, "plural": null, "english": "to be called/named", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Wie heißt du?", "english": "What is your name? / How are you called?"}},
+        {"id": "a1-pdf-0036", "german": "kommen", "article": null, "plural": null, "english": "to come", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Woher kommen Sie?", "english": "Where do you come from?"}},
+        {"id": "a1-pdf-0037", "german": "sein", "article": null, "plural": null, "english": "to be", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Wer ist das?", "english": "Who is that?"}},
+        {"id": "a1-pdf-0038", "german": "haben", "article": null, "plural": null, "english": "to have", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Ich bin verheiratet und habe drei Kinder.", "english": "I am married and have three children."}},
+        {"id": "a1-pdf-0039", "german": "ich", "article": null, "plural": null, "english": "I", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Ich bin verheiratet.", "english": "I am married."}},
+        {"id": "a1-pdf-0040", "german": "wir", "article": null, "plural": null, "english": "we", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Wir lernen Deutsch.", "english": "We are learning German."}},
+        {"id": "a1-pdf-0041", "german": "sie", "article": null, "plural": null, "english": "she/they", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Sie ist meine Freundin.", "english": "She is my friend/girlfriend."}},
+        {"id": "a1-pdf-0042", "german": "Sie", "article": null, "plural": null, "english": "you (formal)", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Wie ist Ihr Name?", "english": "What is your name?"}},
+        {"id": "a1-pdf-0043", "german": "mich", "article": null, "plural": null, "english": "me", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Können Sie mich verstehen?", "english": "Can you understand me?"}},
+        {"id": "a1-pdf-0044", "german": "mir", "article": null, "plural": null, "english": "me (dative)", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Das ist mir zu teuer.", "english": "That's too expensive for me."}},
+        {"id": "a1-pdf-0045", "german": "sich", "article": null, "plural": null, "english": "oneself", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Können Sie sich bitte vorstellen?", "english": "Can you please introduce yourself?"}},
+        {"id": "a1-pdf-0046", "german": "mein", "article": null, "plural": null, "english": "my", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Das ist meine Familie.", "english": "This is my family."}},
+        {"id": "a1-pdf-0047", "german": "meine", "article": null, "plural": null, "english": "my", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Das ist meine Familie.", "english": "This is my family."}},
+        {"id": "a1-pdf-0048", "german": "seine", "article": null, "plural": null, "english": "his", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Peter besucht seine Verwandten in Polen.", "english": "Peter visits his relatives in Poland."}},
+        {"id": "a1-pdf-0049", "german": "unser", "article": null, "plural": null, "english": "our", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Das ist unsere Lehrerin.", "english": "This is our teacher (female)."}},
+        {"id": "a1-pdf-0050", "german": "unsere", "article": null, "plural": null, "english": "our", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Das ist unsere Lehrerin.", "english": "This is our teacher (female)."}},
+        {"id": "a1-pdf-0051", "german": "Kopf", "article": "der", "plural": "-ö, e", "english": "head", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Mein Kopf tut weh.", "english": "My head hurts."}},
+        {"id": "a1-pdf-0052", "german": "Hand", "article": "die", "plural": "-ä, e", "english": "hand", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Wo kann ich mir die Hände waschen?", "english": "Where can I wash my hands?"}},
+        {"id": "a1-pdf-0053", "german": "Fuß", "article": "der", "plural": "-ü, e", "english": "foot", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Ich gehe zu Fuß.", "english": "I go on foot."}},
+        {"id": "a1-pdf-0054", "german": "Auge", "article": "das", "plural": "-n", "english": "eye", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Ich habe ein Auge zu.", "english": "I have one eye closed."}},
+        {"id": "a1-pdf-0055", "german": "Ohr", "article": "das", "plural": "-en", "english": "ear", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Ich höre mit dem Ohr.", "english": "I hear with my ear."}},
+        {"id": "a1-pdf-0056", "german": "Mund", "article": "der", "plural": "-ü, er", "english": "mouth", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Öffnen Sie den Mund.", "english": "Open your mouth."}},
+        {"id": "a1-pdf-0057", "german": "Nase", "article": "die", "plural": "-n", "english": "nose", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Die Nase läuft.", "english": "The nose is running."}},
+        {"id": "a1-pdf-0058", "german": "Rücken", "article": "der", "plural": "-", "english": "back", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Mein Rücken tut weh.", "english": "My back hurts."}},
+        {"id": "a1-pdf-0059", "german": "Bauch", "article": "der", "plural": "-ä, e", "english": "stomach", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Mein Bauch tut weh.", "english": "My stomach hurts."}},
+        {"id": "a1-pdf-0060", "german": "Eltern", "article": "die", "plural": null, "english": "parents", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Meine Eltern wohnen in Berlin.", "english": "My parents live in Berlin."}},
+        {"id": "a1-pdf-0061", "german": "Baby", "article": "das", "plural": "-s", "english": "baby", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Das Baby schläft.", "english": "The baby is sleeping."}},
+        {"id": "a1-pdf-0062", "german": "Geschwister", "article": "die", "plural": null, "english": "siblings", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Ich habe zwei Geschwister.", "english": "I have two siblings."}},
+        {"id": "a1-pdf-0063", "german": "Leute", "article": "die", "plural": null, "english": "people", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Viele Leute sind hier.", "english": "Many people are here."}},
+        {"id": "a1-pdf-0064", "german": "Person", "article": "die", "plural": "-en", "english": "person", "hindi": null, "translit": null, "level": "A1", "topic": "Person", "example": {"german": "Eine Person wartet.", "english": "One person is waiting."}},
+        {"id": "a1-pdf-0065", "german": "Wohnung", "article": "die", "plural": "-en", "english": "apartment", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Seit wann haben Sie diese Wohnung?", "english": "Since when have you had this apartment?"}},
+        {"id": "a1-pdf-0066", "german": "Zimmer", "article": "das", "plural": "-", "english": "room", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Die Wohnung hat drei Zimmer.", "english": "The apartment has three rooms."}},
+        {"id": "a1-pdf-0067", "german": "Schlafzimmer", "article": "das", "plural": "-", "english": "bedroom", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Öffne im Schlafzimmer das Fenster, bitte!", "english": "Open the window in the bedroom, please!"}},
+        {"id": "a1-pdf-0068", "german": "Tisch", "article": "der", "plural": "-e", "english": "table", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Die Fotos liegen auf dem Tisch.", "english": "The photos are lying on the table."}},
+        {"id": "a1-pdf-0069", "german": "Fenster", "article": "das", "plural": "-", "english": "window", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Öffne im Schlafzimmer das Fenster, bitte!", "english": "Open the window in the bedroom, please!"}},
+        {"id": "a1-pdf-0070", "german": "Tür", "article": "die", "plural": "-en", "english": "door", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Das Auto steht vor der Tür.", "english": "The car is standing in front of the door."}},
+        {"id": "a1-pdf-0071", "german": "Treppe", "article": "die", "plural": "-n", "english": "stairs", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Die Toilette? Die Treppe hoch und dann links.", "english": "The toilet? Up the stairs and then left."}},
+        {"id": "a1-pdf-0072", "german": "vermieten", "article": null, "plural": null, "english": "to rent out", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Die Wohnung ist schon vermietet.", "english": "The apartment is already rented out."}},
+        {"id": "a1-pdf-0073", "german": "Vermieter", "article": "der", "plural": null, "english": "landlord", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Unser Vermieter heißt Huber.", "english": "Our landlord is called Huber."}},
+        {"id": "a1-pdf-0074", "german": "umziehen", "article": null, "plural": null, "english": "to move", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Nächsten Monat ziehen wir um.", "english": "Next month we are moving."}},
+        {"id": "a1-pdf-0075", "german": "wohnen", "article": null, "plural": null, "english": "to live", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Ich wohne in München.", "english": "I live in Munich."}},
+        {"id": "a1-pdf-0076", "german": "unter", "article": null, "plural": null, "english": "under/below", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Unter uns wohnt eine Familie mit drei Kindern.", "english": "Below us lives a family with three children."}},
+        {"id": "a1-pdf-0077", "german": "über", "article": null, "plural": null, "english": "over/above", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Er wohnt im zweiten Stock über Familie Meier.", "english": "He lives on the second floor above the Meier family."}},
+        {"id": "a1-pdf-0078", "german": "zufrieden", "article": null, "plural": null, "english": "satisfied", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Ich bin mit der Wohnung zufrieden.", "english": "I am satisfied with the apartment."}},
+        {"id": "a1-pdf-0079", "german": "Haus", "article": "das", "plural": "-ä, er", "english": "house", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Das Haus ist sehr groß.", "english": "The house is very large."}},
+        {"id": "a1-pdf-0080", "german": "Stock", "article": "der", "plural": "-ö, e", "english": "floor/story", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Er wohnt im zweiten Stock über Familie Meier.", "english": "He lives on the second floor above the Meier family."}},
+        {"id": "a1-pdf-0081", "german": "Toilette", "article": "die", "plural": "-en", "english": "toilet", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Wo ist die Toilette, bitte?", "english": "Where is the toilet, please?"}},
+        {"id": "a1-pdf-0082", "german": "groß", "article": null, "plural": null, "english": "big/large", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Wie groß ist die Wohnung?", "english": "How big is the apartment?"}},
+        {"id": "a1-pdf-0083", "german": "klein", "article": null, "plural": null, "english": "small", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Die Wohnung ist klein.", "english": "The apartment is small."}},
+        {"id": "a1-pdf-0084", "german": "Küche", "article": "die", "plural": "-n", "english": "kitchen", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Die Küche ist groß.", "english": "The kitchen is large."}},
+        {"id": "a1-pdf-0085", "german": "Bad", "article": "das", "plural": "-ä, er", "english": "bathroom", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Das Bad ist im ersten Stock.", "english": "The bathroom is on the first floor."}},
+        {"id": "a1-pdf-0086", "german": "Garten", "article": "der", "plural": "-ä", "english": "garden", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Wir haben einen großen Garten.", "english": "We have a large garden."}},
+        {"id": "a1-pdf-0087", "german": "Stuhl", "article": "der", "plural": "-ü, e", "english": "chair", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Ich sitze auf dem Stuhl.", "english": "I'm sitting on the chair."}},
+        {"id": "a1-pdf-0088", "german": "Bett", "article": "das", "plural": "-en", "english": "bed", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Ich schlafe im Bett.", "english": "I sleep in the bed."}},
+        {"id": "a1-pdf-0089", "german": "Schrank", "article": "der", "plural": "-ä, e", "english": "wardrobe/closet", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Die Kleidung ist im Schrank.", "english": "The clothes are in the wardrobe."}},
+        {"id": "a1-pdf-0090", "german": "Lampe", "article": "die", "plural": "-n", "english": "lamp", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Die Lampe ist an.", "english": "The lamp is on."}},
+        {"id": "a1-pdf-0091", "german": "Kühlschrank", "article": "der", "plural": "-ä, e", "english": "refrigerator", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Die Milch ist im Kühlschrank.", "english": "The milk is in the refrigerator."}},
+        {"id": "a1-pdf-0092", "german": "Herd", "article": "der", "plural": "-e", "english": "stove", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Ich koche auf dem Herd.", "english": "I cook on the stove."}},
+        {"id": "a1-pdf-0093", "german": "Ofen", "article": "der", "plural": "-ä", "english": "oven", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Der Kuchen ist im Ofen.", "english": "The cake is in the oven."}},
+        {"id": "a1-pdf-0094", "german": "Spüle", "article": "die", "plural": "-n", "english": "sink", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Ich wasche das Geschirr in der Spüle.", "english": "I wash the dishes in the sink."}},
+        {"id": "a1-pdf-0095", "german": "Teller", "article": "der", "plural": "-", "english": "plate", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Der Teller ist leer.", "english": "The plate is empty."}},
+        {"id": "a1-pdf-0096", "german": "Tasse", "article": "die", "plural": "-n", "english": "cup", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Eine Tasse Kaffee, bitte.", "english": "A cup of coffee, please."}},
+        {"id": "a1-pdf-0097", "german": "Löffel", "article": "der", "plural": "-", "english": "spoon", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Ich esse mit dem Löffel.", "english": "I eat with the spoon."}},
+        {"id": "a1-pdf-0098", "german": "Gabel", "article": "die", "plural": "-n", "english": "fork", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Ich esse mit der Gabel.", "english": "I eat with the fork."}},
+        {"id": "a1-pdf-0099", "german": "Messer", "article": "das", "plural": "-", "english": "knife", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Ich schneide mit dem Messer.", "english": "I cut with the knife."}},
+        {"id": "a1-pdf-0533", "german": "Miete", "article": "die", "plural": "-n", "english": "rent", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Wie hoch ist die Miete?", "english": "How high is the rent?"}},
+        {"id": "a1-pdf-0534", "german": "Nachbar", "article": "der", "plural": "-n", "english": "neighbor", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Mein Nachbar ist sehr nett.", "english": "My neighbor is very nice."}},
+        {"id": "a1-pdf-0535", "german": "Nachbarin", "article": "die", "plural": "-nen", "english": "neighbor (female)", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Die Nachbarin hilft mir.", "english": "The neighbor (female) helps me."}},
+        {"id": "a1-pdf-0536", "german": "Nachbarschaft", "article": "die", "plural": "-en", "english": "neighborhood", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Die Nachbarschaft ist ruhig.", "english": "The neighborhood is quiet."}},
+        {"id": "a1-pdf-0537", "german": "Nummer", "article": "die", "plural": "-n", "english": "number", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Wie ist die Nummer?", "english": "What is the number?"}},
+        {"id": "a1-pdf-0538", "german": "Osten", "article": "der", "plural": null, "english": "east", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Der Wind kommt aus Osten.", "english": "The wind comes from the east."}},
+        {"id": "a1-pdf-0539", "german": "Westen", "article": "der", "plural": null, "english": "west", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Wir fahren nach Westen.", "english": "We drive to the west."}},
+        {"id": "a1-pdf-0540", "german": "Norden", "article": "der", "plural": null, "english": "north", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Berlin liegt im Norden.", "english": "Berlin is in the north."}},
+        {"id": "a1-pdf-0541", "german": "Süden", "article": "der", "plural": null, "english": "south", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "München liegt im Süden.", "english": "Munich is in the south."}},
+        {"id": "a1-pdf-0542", "german": "Postleitzahl", "article": "die", "plural": "-en", "english": "postal code", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Wie ist die Postleitzahl?", "english": "What is the postal code?"}},
+        {"id": "a1-pdf-0543", "german": "Postfiliale", "article": "die", "plural": "-n", "english": "post office branch", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Wo ist die nächste Postfiliale?", "english": "Where is the nearest post office branch?"}},
+        {"id": "a1-pdf-0544", "german": "PIN-Nummer", "article": "die", "plural": "-n", "english": "PIN number", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Wie ist die PIN-Nummer?", "english": "What is the PIN number?"}},
+        {"id": "a1-pdf-0545", "german": "Batterie", "article": "die", "plural": "-n", "english": "battery", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Die Batterie ist leer.", "english": "The battery is empty."}},
+        {"id": "a1-pdf-0546", "german": "Akte", "article": "die", "plural": "-n", "english": "file", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Wo ist die Akte?", "english": "Where is the file?"}},
+        {"id": "a1-pdf-0547", "german": "Kopie", "article": "die", "plural": "-n", "english": "copy", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Ich brauche eine Kopie.", "english": "I need a copy."}},
+        {"id": "a1-pdf-0548", "german": "Fax", "article": "das", "plural": "-e", "english": "fax", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Ich sende ein Fax.", "english": "I'm sending a fax."}},
+        {"id": "a1-pdf-0549", "german": "Anlage", "article": "die", "plural": "-n", "english": "attachment", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Die Anlage ist wichtig.", "english": "The attachment is important."}},
+        {"id": "a1-pdf-0550", "german": "Qualität", "article": "die", "plural": "-en", "english": "quality", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Die Qualität ist gut.", "english": "The quality is good."}},
+        {"id": "a1-pdf-0551", "german": "speichern", "article": null, "plural": null, "english": "to save", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Ich speichere die Datei.", "english": "I'm saving the file."}},
+        {"id": "a1-pdf-0552", "german": "löschen", "article": null, "plural": null, "english": "to delete", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Kann ich das löschen?", "english": "Can I delete that?"}},
+        {"id": "a1-pdf-0553", "german": "drucken", "article": null, "plural": null, "english": "to print", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Ich drucke das Dokument.", "english": "I'm printing the document."}},
+        {"id": "a1-pdf-0554", "german": "Drucker", "article": "der", "plural": "-", "english": "printer", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Der Drucker ist kaputt.", "english": "The printer is broken."}},
+        {"id": "a1-pdf-0555", "german": "Maus", "article": "die", "plural": "-ä, e", "english": "mouse", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Die Maus funktioniert nicht.", "english": "The mouse doesn't work."}},
+        {"id": "a1-pdf-0556", "german": "Tastatur", "article": "die", "plural": "-en", "english": "keyboard", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Die Tastatur ist neu.", "english": "The keyboard is new."}},
+        {"id": "a1-pdf-0557", "german": "Bildschirm", "article": "der", "plural": "-e", "english": "screen", "hindi": null, "translit": null, "level": "A1", "topic": "Wohnen", "example": {"german": "Der Bildschirm ist groß.", "english": "The screen is large."}},
+        {"id": "a1-pdf-0100", "german": "Pflanze", "article": "die", "plural": "-n", "english": "plant", "hindi": null, "translit": null, "level": "A1", "topic": "Umwelt", "example": {"german": "Die Pflanze braucht Wasser.", "english": "The plant needs water."}},
+        {"id": "a1-pdf-0101", "german": "Tier", "article": "das", "plural": "-e", "english": "animal", "hindi": null, "translit": null, "level": "A1", "topic": "Umwelt", "example": {"german": "Das Tier ist sehr groß.", "english": "The animal is very large."}},
+        {"id": "a1-pdf-0102", "german": "Wetter", "article": "das", "plural": null, "english": "weather", "hindi": null, "translit": null, "level": "A1", "topic": "Umwelt", "example": {"german": "Wir hatten schlechtes Wetter.", "english": "We had bad weather."}},
+        {"id": "a1-pdf-0103", "german": "Wind", "article": "der", "plural": null, "english": "wind", "hindi": null, "translit": null, "level": "A1", "topic": "Umwelt", "example": {"german": "Der Wind kommt aus Osten.", "english": "The wind comes from the east."}},
+        {"id": "a1-pdf-0104", "german": "Park", "article": "der", "plural": "-s", "english": "park", "hindi": null, "translit": null, "level": "A1", "topic": "Umwelt", "example": {"german": "Wir gehen in den Park.", "english": "We go to the park."}},
+        {"id": "a1-pdf-0105", "german": "Frühling", "article": "der", "plural": "-e", "english": "spring", "hindi": null, "translit": null, "level": "A1", "topic": "Umwelt", "example": {"german": "Im Frühling blühen die Blumen.", "english": "In spring the flowers bloom."}},
+        {"id": "a1-pdf-0106", "german": "Sommer", "article": "der", "plural": "-", "english": "summer", "hindi": null, "translit": null, "level": "A1", "topic": "Umwelt", "example": {"german": "Im Sommer ist es warm.", "english": "In summer it is warm."}},
+        {"id": "a1-pdf-0107", "german": "Herbst", "article": "der", "plural": "-e", "english": "autumn/fall", "hindi": null, "translit": null, "level": "A1", "topic": "Umwelt", "example": {"german": "Im Herbst fallen die Blätter.", "english": "In autumn the leaves fall."}},
+        {"id": "a1-pdf-0108", "german": "Winter", "article": "der", "plural": "-", "english": "winter", "hindi": null, "translit": null, "level": "A1", "topic": "Umwelt", "example": {"german": "Im Winter ist es kalt.", "english": "In winter it is cold."}},
+        {"id": "a1-pdf-0109", "german": "Jahreszeit", "article": "die", "plural": "-en", "english": "season", "hindi": null, "translit": null, "level": "A1", "topic": "Umwelt", "example": {"german": "Welche Jahreszeit magst du?", "english": "Which season do you like?"}},
+        {"id": "a1-pdf-0110", "german": "reisen", "article": null, "plural": null, "english": "to travel", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Wir reisen nach Italien.", "english": "We travel to Italy."}},
+        {"id": "a1-pdf-0111", "german": "Zug", "article": "der", "plural": "-ü, e", "english": "train", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Ich fahre gern mit dem Zug.", "english": "I like to travel by train."}},
+        {"id": "a1-pdf-0112", "german": "Bus", "article": "der", "plural": "-se", "english": "bus", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Der Bus fährt nicht weiter.", "english": "The bus doesn't go further."}},
+        {"id": "a1-pdf-0113", "german": "Auto", "article": "das", "plural": "-s", "english": "car", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Das Auto von Felix ist kaputt.", "english": "Felix's car is broken."}},
+        {"id": "a1-pdf-0114", "german": "Ticket", "article": "das", "plural": "-s", "english": "ticket", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Wie viel kostet das Ticket?", "english": "How much does the ticket cost?"}},
+        {"id": "a1-pdf-0115", "german": "Bahnhof", "article": "der", "plural": "-ö, e", "english": "train station", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Der Bus fährt zum Bahnhof.", "english": "The bus goes to the train station."}},
+        {"id": "a1-pdf-0116", "german": "übernachten", "article": null, "plural": null, "english": "to stay overnight", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Du kannst bei mir übernachten.", "english": "You can stay overnight at my place."}},
+        {"id": "a1-pdf-0117", "german": "Gepäck", "article": "das", "plural": null, "english": "luggage", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Wo ist mein Gepäck?", "english": "Where is my luggage?"}},
+        {"id": "a1-pdf-0118", "german": "fahren", "article": null, "plural": null, "english": "to drive/travel", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Ich fahre gern mit dem Zug.", "english": "I like to travel by train."}},
+        {"id": "a1-pdf-0119", "german": "Bahnhof", "article": "der", "plural": "-ö, e", "english": "train station", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Zum Bahnhof ist es nicht weit.", "english": "It's not far to the train station."}},
+        {"id": "a1-pdf-0120", "german": "Straße", "article": "die", "plural": "-n", "english": "street", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Gehen Sie hier über die Straße.", "english": "Cross the street here."}},
+        {"id": "a1-pdf-0121", "german": "Zoll", "article": "der", "plural": null, "english": "customs", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Wir müssen noch durch den Zoll.", "english": "We still have to go through customs."}},
+        {"id": "a1-pdf-0122", "german": "zurück", "article": null, "plural": null, "english": "back", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Einmal Frankfurt und zurück.", "english": "One ticket to Frankfurt and back."}},
+        {"id": "a1-pdf-0123", "german": "zu Fuß", "article": null, "plural": null, "english": "on foot", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Ich gehe zu Fuß.", "english": "I go on foot."}},
+        {"id": "a1-pdf-0124", "german": "wohin", "article": null, "plural": null, "english": "where to", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Wohin fährt dieser Bus?", "english": "Where does this bus go?"}},
+        {"id": "a1-pdf-0125", "german": "Stadt", "article": "die", "plural": "-ä, e", "english": "city", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Ich wohne in der Stadt.", "english": "I live in the city."}},
+        {"id": "a1-pdf-0126", "german": "Platz", "article": "der", "plural": "-ä, e", "english": "place/square", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Treffen wir uns auf dem Platz?", "english": "Shall we meet at the square?"}},
+        {"id": "a1-pdf-0127", "german": "Flughafen", "article": "der", "plural": "-ä", "english": "airport", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Wir fahren zum Flughafen.", "english": "We drive to the airport."}},
+        {"id": "a1-pdf-0128", "german": "Museum", "article": "das", "plural": "-seen", "english": "museum", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Das Museum ist interessant.", "english": "The museum is interesting."}},
+        {"id": "a1-pdf-0129", "german": "Kino", "article": "das", "plural": "-s", "english": "cinema", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Heute Abend gehe ich ins Kino.", "english": "This evening I'm going to the cinema."}},
+        {"id": "a1-pdf-0130", "german": "Hotel", "article": "das", "plural": "-s", "english": "hotel", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Ich habe ein Zimmer im Hotel bestellt.", "english": "I have booked a room in the hotel."}},
+        {"id": "a1-pdf-0131", "german": "Café", "article": "das", "plural": "-s", "english": "cafe", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Wir treffen uns im Café.", "english": "We meet at the cafe."}},
+        {"id": "a1-pdf-0132", "german": "Apotheke", "article": "die", "plural": "-n", "english": "pharmacy", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Ich gehe zur Apotheke.", "english": "I'm going to the pharmacy."}},
+        {"id": "a1-pdf-0133", "german": "Krankenhaus", "article": "das", "plural": "-ä, er", "english": "hospital", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Er ist im Krankenhaus.", "english": "He is in the hospital."}},
+        {"id": "a1-pdf-0134", "german": "Haltestelle", "article": "die", "plural": "-n", "english": "bus stop", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Wo ist die nächste Haltestelle?", "english": "Where is the next bus stop?"}},
+        {"id": "a1-pdf-0558", "german": "Bahnsteig", "article": "der", "plural": "-e", "english": "platform", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Auf welchem Bahnsteig fährt der Zug ab?", "english": "On which platform does the train depart?"}},
+        {"id": "a1-pdf-0559", "german": "ankommen", "article": null, "plural": null, "english": "to arrive", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Wann kommen Sie an?", "english": "When do you arrive?"}},
+        {"id": "a1-pdf-0560", "german": "abfahren", "article": null, "plural": null, "english": "to depart", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Der Zug fährt um 10 Uhr ab.", "english": "The train departs at 10 o'clock."}},
+        {"id": "a1-pdf-0561", "german": "einsteigen", "article": null, "plural": null, "english": "to get on", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "Steigen Sie bitte ein!", "english": "Please get on!"}},
+        {"id": "a1-pdf-0562", "german": "aussteigen", "article": null, "plural": null, "english": "to get off", "hindi": null, "translit": null, "level": "A1", "topic": "Reisen_Verkehr", "example": {"german": "An der nächsten Haltestelle steige ich aus.", "english": "I'm getting off at the next stop."}},
+        {"id": "a1-pdf-0135", "german": "essen", "article": null, "plural": null, "english": "to eat", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Sollen wir zusammen essen gehen?", "english": "Should we go eat together?"}},
+        {"id": "a1-pdf-0136", "german": "trinken", "article": null, "plural": null, "english": "to drink", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Möchtest du etwas trinken?", "english": "Would you like something to drink?"}},
+        {"id": "a1-pdf-0137", "german": "Brot", "article": "das", "plural": "-e", "english": "bread", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Ich kaufe Brot beim Bäcker.", "english": "I buy bread at the baker's."}},
+        {"id": "a1-pdf-0138", "german": "Milch", "article": "die", "plural": null, "english": "milk", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Wie viel Milch nehmen Sie?", "english": "How much milk do you take?"}},
+        {"id": "a1-pdf-0139", "german": "Wasser", "article": "das", "plural": null, "english": "water", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Ein Glas Wasser, bitte.", "english": "A glass of water, please."}},
+        {"id": "a1-pdf-0140", "german": "Kaffee", "article": "der", "plural": null, "english": "coffee", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Wollen Sie einen Kaffee trinken?", "english": "Would you like to drink a coffee?"}},
+        {"id": "a1-pdf-0141", "german": "Tomate", "article": "die", "plural": "-n", "english": "tomato", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Die Tomate ist noch grün.", "english": "The tomato is still green."}},
+        {"id": "a1-pdf-0142", "german": "Restaurant", "article": "das", "plural": "-s", "english": "restaurant", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Wir essen im Restaurant.", "english": "We eat in the restaurant."}},
+        {"id": "a1-pdf-0143", "german": "Guten Appetit", "article": null, "plural": null, "english": "Enjoy your meal!", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "display": "Guten Appetit!", "example": {"german": "Guten Appetit!", "english": "Enjoy your meal!"}},
+        {"id": "a1-pdf-0144", "german": "Wein", "article": "der", "plural": "-e", "english": "wine", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Nein danke, ich möchte keinen Wein.", "english": "No thank you, I don't want any wine."}},
+        {"id": "a1-pdf-0145", "german": "Essen", "article": "das", "plural": null, "english": "food/meal", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Das Essen schmeckt wunderbar.", "english": "The food tastes wonderful."}},
+        {"id": "a1-pdf-0146", "german": "schmecken", "article": null, "plural": null, "english": "to taste", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Das Essen schmeckt wunderbar.", "english": "The food tastes wonderful."}},
+        {"id": "a1-pdf-0147", "german": "Mahlzeit", "article": "die", "plural": "-en", "english": "meal", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Guten Appetit zur Mahlzeit!", "english": "Enjoy your meal!"}},
+        {"id": "a1-pdf-0148", "german": "Frühstück", "article": "das", "plural": null, "english": "breakfast", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Ich frühstücke um 8 Uhr.", "english": "I have breakfast at 8 o'clock."}},
+        {"id": "a1-pdf-0149", "german": "Mittagessen", "article": "das", "plural": null, "english": "lunch", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Wir essen um 12 Uhr zu Mittag.", "english": "We have lunch at 12 o'clock."}},
+        {"id": "a1-pdf-0150", "german": "Abendessen", "article": "das", "plural": null, "english": "dinner", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Abends essen wir zusammen.", "english": "In the evening we eat together."}},
+        {"id": "a1-pdf-0151", "german": "Tee", "article": "der", "plural": null, "english": "tea", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Möchten Sie einen Tee?", "english": "Would you like a tea?"}},
+        {"id": "a1-pdf-0152", "german": "Bäcker", "article": "der", "plural": "-", "english": "baker", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Ich kaufe Brot beim Bäcker.", "english": "I buy bread at the baker's."}},
+        {"id": "a1-pdf-0153", "german": "Glas", "article": "das", "plural": "-ä, er", "english": "glass", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Ein Glas Wasser, bitte.", "english": "A glass of water, please."}},
+        {"id": "a1-pdf-0154", "german": "möchten", "article": null, "plural": null, "english": "would like", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Was möchten Sie?", "english": "What would you like?"}},
+        {"id": "a1-pdf-0155", "german": "wollen", "article": null, "plural": null, "english": "to want", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Wollen Sie einen Kaffee trinken?", "english": "Would you like to drink a coffee?"}},
+        {"id": "a1-pdf-0156", "german": "nehmen", "article": null, "plural": null, "english": "to take", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Wie viel Milch nehmen Sie?", "english": "How much milk do you take?"}},
+        {"id": "a1-pdf-0157", "german": "kaufen", "article": null, "plural": null, "english": "to buy", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Ich kaufe Brot beim Bäcker.", "english": "I buy bread at the baker's."}},
+        {"id": "a1-pdf-0158", "german": "Apfel", "article": "der", "plural": "-ä", "english": "apple", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Ich esse einen Apfel.", "english": "I eat an apple."}},
+        {"id": "a1-pdf-0159", "german": "Banane", "article": "die", "plural": "-n", "english": "banana", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Die Banane ist gelb.", "english": "The banana is yellow."}},
+        {"id": "a1-pdf-0160", "german": "Käse", "article": "der", "plural": null, "english": "cheese", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Ich mag Käse.", "english": "I like cheese."}},
+        {"id": "a1-pdf-0161", "german": "Ei", "article": "das", "plural": "-er", "english": "egg", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Ich esse ein Ei zum Frühstück.", "english": "I eat an egg for breakfast."}},
+        {"id": "a1-pdf-0162", "german": "Saft", "article": "der", "plural": "-ä, e", "english": "juice", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Ein Glas Saft, bitte.", "english": "A glass of juice, please."}},
+        {"id": "a1-pdf-0163", "german": "Orange", "article": "die", "plural": "-n", "english": "orange", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Die Orange ist orange.", "english": "The orange is orange."}},
+        {"id": "a1-pdf-0164", "german": "Obst", "article": "das", "plural": null, "english": "fruit", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Ich esse gern Obst.", "english": "I like to eat fruit."}},
+        {"id": "a1-pdf-0165", "german": "Gemüse", "article": "das", "plural": null, "english": "vegetables", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Ich kaufe Gemüse.", "english": "I buy vegetables."}},
+        {"id": "a1-pdf-0166", "german": "Butter", "article": "die", "plural": null, "english": "butter", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Ich kaufe Butter.", "english": "I buy butter."}},
+        {"id": "a1-pdf-0167", "german": "Fisch", "article": "der", "plural": "-e", "english": "fish", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Ich esse gern Fisch.", "english": "I like to eat fish."}},
+        {"id": "a1-pdf-0168", "german": "Fleisch", "article": "das", "plural": null, "english": "meat", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Ich esse kein Fleisch.", "english": "I don't eat meat."}},
+        {"id": "a1-pdf-0169", "german": "Wurst", "article": "die", "plural": "-ü, e", "english": "sausage", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Ich kaufe Wurst.", "english": "I buy sausage."}},
+        {"id": "a1-pdf-0170", "german": "Bier", "article": "das", "plural": "-e", "english": "beer", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Möchten Sie ein Bier?", "english": "Would you like a beer?"}},
+        {"id": "a1-pdf-0171", "german": "Hunger", "article": "der", "plural": null, "english": "hunger", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Ich habe Hunger.", "english": "I'm hungry."}},
+        {"id": "a1-pdf-0172", "german": "Durst", "article": "der", "plural": null, "english": "thirst", "hindi": null, "translit": null, "level": "A1", "topic": "Essen_Trinken", "example": {"german": "Ich habe Durst.", "english": "I'm thirsty."}},
+        {"id": "a1-pdf-0173", "german": "einkaufen", "article": null, "plural": null, "english": "to shop", "hindi": null, "translit": null, "level": "A1", "topic": "Einkaufen", "example": {"german": "Ich gehe einkaufen.", "english": "I'm going shopping."}},
+        {"id": "a1-pdf-0174", "german": "Geschäft", "article": "das", "plural": "-e", "english": "shop", "hindi": null, "translit": null, "level": "A1", "topic": "Einkaufen", "example": {"german": "Das Geschäft ist geschlossen.", "english": "The shop is closed."}},
+        {"id": "a1-pdf-0175", "german": "Preis", "article": "der", "plural": "-e", "english": "price", "hindi": null, "translit": null, "level": "A1", "topic": "Einkaufen", "example": {"german": "Wie viel kostet das? Was ist der Preis?", "english": "How much does that cost? What is the price?"}},
+        {"id": "a1-pdf-0176", "german": "zahlen", "article": null, "plural": null, "english": "to pay", "hindi": null, "translit": null, "level": "A1", "topic": "Einkaufen", "example": {"german": "Zahlen, bitte!", "english": "The bill, please!"}},
+        {"id": "a1-pdf-0177", "german": "teuer", "article": null, "plural": null, "english": "expensive", "hindi": null, "translit": null, "level": "A1", "topic": "Einkaufen", "example": {"german": "Das ist mir zu teuer.", "english": "That's too expensive for me."}},
+        {"id": "a1-pdf-0178", "german": "verkaufen", "article": null, "plural": null, "english": "to sell", "hindi": null, "translit": null, "level": "A1", "topic": "Einkaufen", "example": {"german": "Er verkauft sein altes Auto.", "english": "He is selling his old car."}},
+        {"id": "a1-pdf-0179", "german": "Verkäufer", "article": "der", "plural": "-", "english": "salesperson", "hindi": null, "translit": null, "level": "A1", "topic": "Einkaufen", "example": {"german": "Meine Mutter ist Verkäuferin im Kaufhaus.", "english": "My mother is a saleswoman in the department store."}},
+        {"id": "a1-pdf-0180", "german": "Hemd", "article": "das", "plural": "-en", "english": "shirt", "hindi": null, "translit": null, "level": "A1", "topic": "Einkaufen", "example": {"german": "Das Hemd ist weiß.", "english": "The shirt is white."}},
+        {"id": "a1-pdf-0181", "german": "Hose", "article": "die", "plural": "-n", "english": "pants", "hindi": null, "translit": null, "level": "A1", "topic": "Einkaufen", "example": {"german": "Die Hose ist zu groß.", "english": "The pants are too large."}},
+        {"id": "a1-pdf-0182", "german": "Schuhe", "article": "die", "plural": null, "english": "shoes", "hindi": null, "translit": null, "level": "A1", "topic": "Einkaufen", "example": {"german": "Die Schuhe sind neu.", "english": "The shoes are new."}},
+        {"id": "a1-pdf-0183", "german": "Rock", "article": "der", "plural": "-ö, e", "english": "skirt", "hindi": null, "translit": null, "level": "A1", "topic": "Einkaufen", "example": {"german": "Sie trägt einen Rock.", "english": "She wears a skirt."}},
+        {"id": "a1-pdf-0184", "german": "Kleid", "article": "das", "plural": "-er", "english": "dress", "hindi": null, "translit": null, "level": "A1", "topic": "Einkaufen", "example": {"german": "Das Kleid ist schön.", "english": "The dress is beautiful."}},
+        {"id": "a1-pdf-0185", "german": "Mantel", "article": "der", "plural": "-ä", "english": "coat", "hindi": null, "translit": null, "level": "A1", "topic": "Einkaufen", "example": {"german": "Im Winter trage ich einen Mantel.", "english": "In winter I wear a coat."}},
+        {"id": "a1-pdf-0186", "german": "Mütze", "article": "die", "plural": "-n", "english": "cap", "hindi": null, "translit": null, "level": "A1", "topic": "Einkaufen", "example": {"german": "Ich trage eine Mütze.", "english": "I wear a cap."}},
+        {"id": "a1-pdf-0187", "german": "Hut", "article": "der", "plural": "-ü, e", "english": "hat", "hindi": null, "translit": null, "level": "A1", "topic": "Einkaufen", "example": {"german": "Er trägt einen Hut.", "english": "He wears a hat."}},
+        {"id": "a1-pdf-0188", "german": "Socken", "article": "die", "plural": null, "english": "socks", "hindi": null, "translit": null, "level": "A1", "topic": "Einkaufen", "example": {"german": "Die Socken sind im Schrank.", "english": "The socks are in the wardrobe."}},
+        {"id": "a1-pdf-0189", "german": "Post", "article": "die", "plural": null, "english": "post office", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Wo ist die Post?", "english": "Where is the post office?"}},
+        {"id": "a1-pdf-0190", "german": "telefonieren", "article": null, "plural": null, "english": "to telephone", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Kann ich telefonieren?", "english": "Can I make a phone call?"}},
+        {"id": "a1-pdf-0191", "german": "Bank", "article": "die", "plural": "-en", "english": "bank", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Ich gehe zur Bank.", "english": "I'm going to the bank."}},
+        {"id": "a1-pdf-0192", "german": "überweisen", "article": null, "plural": null, "english": "to transfer", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Sie können das Geld auch überweisen.", "english": "You can also transfer the money."}},
+        {"id": "a1-pdf-0193", "german": "Brief", "article": "der", "plural": "-e", "english": "letter", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Ich bekomme einen Brief.", "english": "I receive a letter."}},
+        {"id": "a1-pdf-0194", "german": "E-Mail", "article": "die", "plural": "-s", "english": "email", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Ich schicke Ihnen eine E-Mail.", "english": "I'll send you an email."}},
+        {"id": "a1-pdf-0195", "german": "Polizei", "article": "die", "plural": null, "english": "police", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Ich rufe die Polizei.", "english": "I call the police."}},
+        {"id": "a1-pdf-0563", "german": "Website", "article": "die", "plural": "-s", "english": "website", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Besuchen Sie unsere Website.", "english": "Visit our website."}},
+        {"id": "a1-pdf-0564", "german": "surfen im Internet", "article": null, "plural": null, "english": "to surf the internet", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Ich surfe gern im Internet.", "english": "I like to surf the internet."}},
+        {"id": "a1-pdf-0565", "german": "die Nummer wählen", "article": null, "plural": null, "english": "to dial the number", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Wie wähle ich die Nummer?", "english": "How do I dial the number?"}},
+        {"id": "a1-pdf-0566", "german": "Gespräch", "article": "das", "plural": "-e", "english": "conversation (phone)", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Das Gespräch war kurz.", "english": "The conversation was short."}},
+        {"id": "a1-pdf-0567", "german": "Information", "article": "die", "plural": "-en", "english": "information", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Ich brauche eine Information.", "english": "I need information."}},
+        {"id": "a1-pdf-0568", "german": "Auskunft", "article": "die", "plural": "-ü, e", "english": "information", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Wo kann ich eine Auskunft bekommen?", "english": "Where can I get information?"}},
+        {"id": "a1-pdf-0569", "german": "die E-Mail schreiben", "article": null, "plural": null, "english": "to write an email", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Ich schreibe eine E-Mail.", "english": "I'm writing an email."}},
+        {"id": "a1-pdf-0570", "german": "Langeweile", "article": "die", "plural": null, "english": "boredom", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Ich habe Langeweile.", "english": "I'm bored."}},
+        {"id": "a1-pdf-0571", "german": "Jahrzehnt", "article": "das", "plural": "-e", "english": "decade", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Ein Jahrzehnt hat zehn Jahre.", "english": "A decade has ten years."}},
+        {"id": "a1-pdf-0572", "german": "Jahrhundert", "article": "das", "plural": "-e", "english": "century", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Das 20. Jahrhundert war interessant.", "english": "The 20th century was interesting."}},
+        {"id": "a1-pdf-0573", "german": "pünktlich", "article": null, "plural": null, "english": "punctual", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Er ist immer pünktlich.", "english": "He is always punctual."}},
+        {"id": "a1-pdf-0574", "german": "verspätet", "article": null, "plural": null, "english": "late/delayed", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Der Zug ist verspätet.", "english": "The train is delayed."}},
+        {"id": "a1-pdf-0575", "german": "Zeitspanne", "article": "die", "plural": "-n", "english": "time period", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "In welcher Zeitspanne?", "english": "In which time period?"}},
+        {"id": "a1-pdf-0576", "german": "Verabredung", "article": "die", "plural": "-en", "english": "appointment", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Ich habe eine Verabredung.", "english": "I have an appointment."}},
+        {"id": "a1-pdf-0577", "german": "Termin", "article": "der", "plural": "-e", "english": "date/appointment", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Am besten machen wir sofort einen Termin.", "english": "Best we make an appointment immediately."}},
+        {"id": "a1-pdf-0578", "german": "Frist", "article": "die", "plural": "-en", "english": "deadline", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Bis wann ist die Frist?", "english": "Until when is the deadline?"}},
+        {"id": "a1-pdf-0579", "german": "Verspätung", "article": "die", "plural": "-en", "english": "delay", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Entschuldigung für die Verspätung.", "english": "Sorry for the delay."}},
+        {"id": "a1-pdf-0580", "german": "Erinnerung", "article": "die", "plural": "-en", "english": "memory/reminder", "hindi": null, "translit": null, "level": "A1", "topic": "Dienstleistungen", "example": {"german": "Das ist eine gute Erinnerung.", "english": "That's a good memory."}},
+        {"id": "a1-pdf-0196", "german": "Schule", "article": "die", "plural": "-n", "english": "school", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Meine Tochter geht zur Schule.", "english": "My daughter goes to school."}},
+        {"id": "a1-pdf-0197", "german": "Unterricht", "article": "der", "plural": null, "english": "lesson/class", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Wir haben Unterricht von 8.00 bis 12.00 Uhr.", "english": "We have class from 8:00 to 12:00."}},
+        {"id": "a1-pdf-0198", "german": "lernen", "article": null, "plural": null, "english": "to learn", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Wir lernen Deutsch.", "english": "We are learning German."}},
+        {"id": "a1-pdf-0199", "german": "Lehrer", "article": "der", "plural": "-", "english": "teacher", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Das ist unsere Lehrerin.", "english": "This is our teacher (female)."}},
+        {"id": "a1-pdf-0200", "german": "Wort", "article": "das", "plural": "-ö, er/-e", "english": "word", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Ich kenne das Wort nicht.", "english": "I don't know the word."}},
+        {"id": "a1-pdf-0201", "german": "Text", "article": "der", "plural": "-e", "english": "text", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Lesen Sie bitte diesen Text.", "english": "Please read this text."}},
+        {"id": "a1-pdf-0581", "german": "die Aufgabe lösen", "article": null, "plural": null, "english": "to solve the task", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Können Sie die Aufgabe lösen?", "english": "Can you solve the task?"}},
+        {"id": "a1-pdf-0582", "german": "Mathematik", "article": "die", "plural": null, "english": "mathematics", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Ich mag Mathematik.", "english": "I like mathematics."}},
+        {"id": "a1-pdf-0583", "german": "Deutschstunde", "article": "die", "plural": "-n", "english": "German lesson", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Wann ist die Deutschstunde?", "english": "When is the German lesson?"}},
+        {"id": "a1-pdf-0584", "german": "Englischstunde", "article": "die", "plural": "-n", "english": "English lesson", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Die Englischstunde beginnt um 10 Uhr.", "english": "The English lesson begins at 10 o'clock."}},
+        {"id": "a1-pdf-0585", "german": "Wörterbuch", "article": "das", "plural": "-ü, er", "english": "dictionary", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Ich brauche ein Wörterbuch.", "english": "I need a dictionary."}},
+        {"id": "a1-pdf-0586", "german": "Korrektur", "article": "die", "plural": "-en", "english": "correction", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Vielen Dank für die Korrektur.", "english": "Thank you for the correction."}},
+        {"id": "a1-pdf-0587", "german": "Vokabel", "article": "die", "plural": "-n", "english": "vocabulary word", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Ich lerne neue Vokabeln.", "english": "I'm learning new vocabulary words."}},
+        {"id": "a1-pdf-0588", "german": "die Schule beginnen", "article": null, "plural": null, "english": "school starts", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Wann beginnt die Schule?", "english": "When does school start?"}},
+        {"id": "a1-pdf-0202", "german": "wiederholen", "article": null, "plural": null, "english": "to repeat", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Können Sie das bitte wiederholen?", "english": "Can you please repeat that?"}},
+        {"id": "a1-pdf-0203", "german": "Test", "article": "der", "plural": "-e", "english": "test", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Der Test war einfach.", "english": "The test was easy."}},
+        {"id": "a1-pdf-0204", "german": "Thema", "article": "das", "plural": "-men", "english": "topic/theme", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Wir sprechen heute über das Thema „Essen und Trinken\".", "english": "Today we're talking about the topic \"Food and Drink\".", "speak": "Wir sprechen heute über das Thema Essen und Trinken."}},
+        {"id": "a1-pdf-0205", "german": "wissen", "article": null, "plural": null, "english": "to know", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Weißt du, wie er heißt?", "english": "Do you know what his name is?"}},
+        {"id": "a1-pdf-0206", "german": "verstehen", "article": null, "plural": null, "english": "to understand", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Können Sie mich verstehen?", "english": "Can you understand me?"}},
+        {"id": "a1-pdf-0207", "german": "wichtig", "article": null, "plural": null, "english": "important", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Dieses Formular ist sehr wichtig.", "english": "This form is very important."}},
+        {"id": "a1-pdf-0208", "german": "ankreuzen", "article": null, "plural": null, "english": "to check/mark", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Kreuzen Sie bitte an: „weiblich\" oder „männlich\".", "english": "Please check: \"female\" or \"male\".", "speak": "Kreuzen Sie bitte an: weiblich oder männlich."}},
+        {"id": "a1-pdf-0209", "german": "zuordnen", "article": null, "plural": null, "english": "to assign/match", "hindi": null, "translit": null, "level": "A1", "topic": "Erziehung", "example": {"german": "Ordnen Sie die Wörter zu.", "english": "Match the words."}},
+        {"id": "a1-pdf-0210", "german": "Arbeit", "article": "die", "plural": "-en", "english": "work", "hindi": null, "translit": null, "level": "A1", "topic": "Arbeit", "example": {"german": "Ich habe heute keine Zeit für die Arbeit.", "english": "I don't have time for work today."}},
+        {"id": "a1-pdf-0211", "german": "Beruf", "article": "der", "plural": "-e", "english": "profession", "hindi": null, "translit": null, "level": "A1", "topic": "Arbeit", "example": {"german": "Was ist Ihr Beruf?", "english": "What is your profession?"}},
+        {"id": "a1-pdf-0212", "german": "verdienen", "article": null, "plural": null, "english": "to earn", "hindi": null, "translit": null, "level": "A1", "topic": "Arbeit", "example": {"german": "Ich verdiene 1.500 Euro im Monat.", "english": "I earn 1,500 euros per month."}},
+        {"id": "a1-pdf-0213", "german": "Urlaub", "article": "der", "plural": null, "english": "vacation", "hindi": null, "translit": null, "level": "A1", "topic": "Arbeit", "example": {"german": "Ich nehme im September Urlaub.", "english": "I'm taking vacation in September."}},
+        {"id": "a1-pdf-0214", "german": "Arbeiter", "article": "der", "plural": "-", "english": "worker", "hindi": null, "translit": null, "level": "A1", "topic": "Arbeit", "example": {"german": "Mein Vater ist Arbeiter.", "english": "My father is a worker."}},
+        {"id": "a1-pdf-0215", "german": "Termin", "article": "der", "plural": "-e", "english": "appointment", "hindi": null, "translit": null, "level": "A1", "topic": "Arbeit", "example": {"german": "Am besten machen wir sofort einen Termin.", "english": "It's best if we make an appointment right away."}},
+        {"id": "a1-pdf-0216", "german": "unterschreiben", "article": null, "plural": null, "english": "to sign", "hindi": null, "translit": null, "level": "A1", "topic": "Arbeit", "example": {"german": "Wo muss ich unterschreiben?", "english": "Where do I need to sign?"}},
+        {"id": "a1-pdf-0217", "german": "Unterschrift", "article": "die", "plural": "-en", "english": "signature", "hindi": null, "translit": null, "level": "A1", "topic": "Arbeit", "example": {"german": "Hier fehlt noch Ihre Unterschrift.", "english": "Your signature is still missing here."}},
+        {"id": "a1-pdf-0218", "german": "Freizeit", "article": "die", "plural": null, "english": "free time", "hindi": null, "translit": null, "level": "A1", "topic": "Freizeit", "example": {"german": "Was machen Sie in Ihrer Freizeit?", "english": "What do you do in your free time?"}},
+        {"id": "a1-pdf-0219", "german": "Sport treiben", "article": null, "plural": null, "english": "to do sports", "hindi": null, "translit": null, "level": "A1", "topic": "Freizeit", "example": {"german": "Ich treibe gern Sport.", "english": "I like to do sports."}},
+        {"id": "a1-pdf-0220", "german": "wandern", "article": null, "plural": null, "english": "to hike", "hindi": null, "translit": null, "level": "A1", "topic": "Freizeit", "example": {"german": "Wir wandern um den Chiemsee.", "english": "We hike around Lake Chiemsee."}},
+        {"id": "a1-pdf-0221", "german": "Verein", "article": "der", "plural": null, "english": "club/association", "hindi": null, "translit": null, "level": "A1", "topic": "Freizeit", "example": {"german": "Es gibt einen neuen Sportverein in der Stadt.", "english": "There is a new sports club in the city."}},
+        {"id": "a1-pdf-0222", "german": "Zeitung", "article": "die", "plural": "-en", "english": "newspaper", "hindi": null, "translit": null, "level": "A1", "topic": "Freizeit", "example": {"german": "Ich lese gern Zeitung.", "english": "I like to read the newspaper."}},
+        {"id": "a1-pdf-0223", "german": "(sich) treffen", "article": null, "plural": null, "english": "to meet", "hindi": null, "translit": null, "level": "A1", "topic": "Freizeit", "example": {"german": "Wir treffen uns immer freitags.", "english": "We always meet on Fridays."}},
+        {"id": "a1-pdf-0224", "german": "zusammen", "article": null, "plural": null, "english": "together", "hindi": null, "translit": null, "level": "A1", "topic": "Freizeit", "example": {"german": "Sollen wir zusammen essen gehen?", "english": "Should we go eat together?"}},
+        {"id": "a1-pdf-0225", "german": "eins", "article": null, "plural": null, "english": "one", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Ich habe ein Zimmer bestellt.", "english": "I have booked one room."}},
+        {"id": "a1-pdf-0226", "german": "zwei", "article": null, "plural": null, "english": "two", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Das macht zusammen 2 Euro 80.", "english": "That makes 2 euros 80 together."}},
+        {"id": "a1-pdf-0227", "german": "Montag", "article": null, "plural": null, "english": "Monday", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "display": "der Montag, -e", "example": {"german": "Am Montag habe ich Zeit.", "english": "On Monday I have time."}},
+        {"id": "a1-pdf-0228", "german": "Januar", "article": null, "plural": null, "english": "January", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "display": "der Januar", "example": {"german": "Im Januar ist es kalt.", "english": "In January it is cold."}},
+        {"id": "a1-pdf-0229", "german": "rot", "article": null, "plural": null, "english": "red", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Was für eine Farbe möchten Sie?", "english": "What color would you like?"}},
+        {"id": "a1-pdf-0230", "german": "drei", "article": null, "plural": null, "english": "three", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Ich bin verheiratet und habe drei Kinder.", "english": "I am married and have three children."}},
+        {"id": "a1-pdf-0231", "german": "vier", "article": null, "plural": null, "english": "four", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Es ist vier Uhr.", "english": "It is four o'clock."}},
+        {"id": "a1-pdf-0232", "german": "fünf", "article": null, "plural": null, "english": "five", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Ich komme um fünf Uhr.", "english": "I come at five o'clock."}},
+        {"id": "a1-pdf-0233", "german": "sechs", "article": null, "plural": null, "english": "six", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Die Wohnung hat sechs Zimmer.", "english": "The apartment has six rooms."}},
+        {"id": "a1-pdf-0234", "german": "sieben", "article": null, "plural": null, "english": "seven", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Er kommt um sieben Uhr.", "english": "He comes at seven o'clock."}},
+        {"id": "a1-pdf-0235", "german": "acht", "article": null, "plural": null, "english": "eight", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Wir haben Unterricht von 8.00 bis 12.00 Uhr.", "english": "We have class from 8:00 to 12:00."}},
+        {"id": "a1-pdf-0236", "german": "neun", "article": null, "plural": null, "english": "nine", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Die Schule beginnt um neun Uhr.", "english": "School starts at nine o'clock."}},
+        {"id": "a1-pdf-0237", "german": "zehn", "article": null, "plural": null, "english": "ten", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Zwischen 8 und 10 Uhr bin ich zu Hause.", "english": "Between 8 and 10 o'clock I am at home."}},
+        {"id": "a1-pdf-0238", "german": "Dienstag", "article": "der", "plural": "-e", "english": "Tuesday", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Am Dienstag habe ich Zeit.", "english": "On Tuesday I have time."}},
+        {"id": "a1-pdf-0239", "german": "Mittwoch", "article": "der", "plural": "-e", "english": "Wednesday", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Mittwochs gehe ich einkaufen.", "english": "On Wednesdays I go shopping."}},
+        {"id": "a1-pdf-0240", "german": "Donnerstag", "article": "der", "plural": "-e", "english": "Thursday", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Am Donnerstag ist Feiertag.", "english": "On Thursday it's a holiday."}},
+        {"id": "a1-pdf-0241", "german": "Freitag", "article": "der", "plural": "-e", "english": "Friday", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Wir treffen uns immer freitags.", "english": "We always meet on Fridays."}},
+        {"id": "a1-pdf-0242", "german": "Samstag", "article": "der", "plural": "-e", "english": "Saturday", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Am Samstag mache ich nichts.", "english": "On Saturday I don't do anything."}},
+        {"id": "a1-pdf-0243", "german": "Sonntag", "article": "der", "plural": "-e", "english": "Sunday", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Sonntags ruhe ich mich aus.", "english": "On Sundays I rest."}},
+        {"id": "a1-pdf-0244", "german": "Februar", "article": "der", "plural": null, "english": "February", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Im Februar ist es kalt.", "english": "In February it is cold."}},
+        {"id": "a1-pdf-0245", "german": "März", "article": "der", "plural": null, "english": "March", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Im März wird es wärmer.", "english": "In March it gets warmer."}},
+        {"id": "a1-pdf-0246", "german": "September", "article": "der", "plural": null, "english": "September", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Ich nehme im September Urlaub.", "english": "I'm taking vacation in September."}},
+        {"id": "a1-pdf-0247", "german": "Uhr", "article": "die", "plural": "-en", "english": "clock/o\\'clock", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Es ist vier Uhr.", "english": "It is four o'clock."}},
+        {"id": "a1-pdf-0248", "german": "Zeit", "article": "die", "plural": "-en", "english": "time", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Ich habe heute keine Zeit.", "english": "I don't have time today."}},
+        {"id": "a1-pdf-0249", "german": "Farbe", "article": "die", "plural": "-n", "english": "color", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Was für eine Farbe möchten Sie?", "english": "What color would you like?"}},
+        {"id": "a1-pdf-0250", "german": "April", "article": "der", "plural": null, "english": "April", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Im April wird es wärmer.", "english": "In April it gets warmer."}},
+        {"id": "a1-pdf-0251", "german": "Mai", "article": "der", "plural": null, "english": "May", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Im Mai blühen die Blumen.", "english": "In May the flowers bloom."}},
+        {"id": "a1-pdf-0252", "german": "Juni", "article": "der", "plural": null, "english": "June", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Im Juni beginnt der Sommer.", "english": "In June summer begins."}},
+        {"id": "a1-pdf-0253", "german": "Juli", "article": "der", "plural": null, "english": "July", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Im Juli ist es sehr warm.", "english": "In July it is very warm."}},
+        {"id": "a1-pdf-0254", "german": "August", "article": "der", "plural": null, "english": "August", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Im August ist es heiß.", "english": "In August it is hot."}},
+        {"id": "a1-pdf-0255", "german": "Oktober", "article": "der", "plural": null, "english": "October", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Im Oktober fallen die Blätter.", "english": "In October the leaves fall."}},
+        {"id": "a1-pdf-0256", "german": "November", "article": "der", "plural": null, "english": "November", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Im November wird es kalt.", "english": "In November it gets cold."}},
+        {"id": "a1-pdf-0257", "german": "Dezember", "article": "der", "plural": null, "english": "December", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Im Dezember ist Weihnachten.", "english": "In December it's Christmas."}},
+        {"id": "a1-pdf-0258", "german": "weiß", "article": null, "plural": null, "english": "white", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Das Hemd ist weiß.", "english": "The shirt is white."}},
+        {"id": "a1-pdf-0259", "german": "schwarz", "article": null, "plural": null, "english": "black", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Die Jacke ist schwarz.", "english": "The jacket is black."}},
+        {"id": "a1-pdf-0260", "german": "braun", "article": null, "plural": null, "english": "brown", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Die Haare sind braun.", "english": "The hair is brown."}},
+        {"id": "a1-pdf-0261", "german": "schnell", "article": null, "plural": null, "english": "fast", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Der Zug fährt schnell.", "english": "The train goes fast."}},
+        {"id": "a1-pdf-0262", "german": "langsam", "article": null, "plural": null, "english": "slow", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Fahren Sie bitte langsam!", "english": "Please drive slowly!"}},
+        {"id": "a1-pdf-0263", "german": "richtig", "article": null, "plural": null, "english": "correct", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Das ist richtig.", "english": "That is correct."}},
+        {"id": "a1-pdf-0264", "german": "falsch", "article": null, "plural": null, "english": "wrong", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Das ist falsch.", "english": "That is wrong."}},
+        {"id": "a1-pdf-0265", "german": "elf", "article": null, "plural": null, "english": "eleven", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Es ist elf Uhr.", "english": "It is eleven o'clock."}},
+        {"id": "a1-pdf-0266", "german": "zwölf", "article": null, "plural": null, "english": "twelve", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Wir essen um 12 Uhr zu Mittag.", "english": "We have lunch at 12 o'clock."}},
+        {"id": "a1-pdf-0267", "german": "dreizehn", "article": null, "plural": null, "english": "thirteen", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Ich bin dreizehn Jahre alt.", "english": "I am thirteen years old."}},
+        {"id": "a1-pdf-0268", "german": "vierzehn", "article": null, "plural": null, "english": "fourteen", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Sie ist vierzehn.", "english": "She is fourteen."}},
+        {"id": "a1-pdf-0269", "german": "fünfzehn", "article": null, "plural": null, "english": "fifteen", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Er kommt um fünfzehn Uhr.", "english": "He comes at fifteen o'clock."}},
+        {"id": "a1-pdf-0270", "german": "sechzehn", "article": null, "plural": null, "english": "sixteen", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Sie ist sechzehn Jahre alt.", "english": "She is sixteen years old."}},
+        {"id": "a1-pdf-0271", "german": "siebzehn", "article": null, "plural": null, "english": "seventeen", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Er ist siebzehn.", "english": "He is seventeen."}},
+        {"id": "a1-pdf-0272", "german": "achtzehn", "article": null, "plural": null, "english": "eighteen", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Sind Sie über 18?", "english": "Are you over 18?"}},
+        {"id": "a1-pdf-0273", "german": "neunzehn", "article": null, "plural": null, "english": "nineteen", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Sie ist neunzehn.", "english": "She is nineteen."}},
+        {"id": "a1-pdf-0274", "german": "zwanzig", "article": null, "plural": null, "english": "twenty", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Ich bin zwanzig Jahre alt.", "english": "I am twenty years old."}},
+        {"id": "a1-pdf-0275", "german": "dreißig", "article": null, "plural": null, "english": "thirty", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Er ist dreißig Jahre alt.", "english": "He is thirty years old."}},
+        {"id": "a1-pdf-0276", "german": "vierzig", "article": null, "plural": null, "english": "forty", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Sie ist vierzig.", "english": "She is forty."}},
+        {"id": "a1-pdf-0277", "german": "fünfzig", "article": null, "plural": null, "english": "fifty", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Er ist fünfzig.", "english": "He is fifty."}},
+        {"id": "a1-pdf-0278", "german": "sechzig", "article": null, "plural": null, "english": "sixty", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Sie ist sechzig.", "english": "She is sixty."}},
+        {"id": "a1-pdf-0279", "german": "siebzig", "article": null, "plural": null, "english": "seventy", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Er ist siebzig.", "english": "He is seventy."}},
+        {"id": "a1-pdf-0280", "german": "achtzig", "article": null, "plural": null, "english": "eighty", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Sie ist achtzig.", "english": "She is eighty."}},
+        {"id": "a1-pdf-0281", "german": "neunzig", "article": null, "plural": null, "english": "ninety", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Er ist neunzig.", "english": "He is ninety."}},
+        {"id": "a1-pdf-0282", "german": "hundert", "article": null, "plural": null, "english": "hundred", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Das kostet hundert Euro.", "english": "That costs one hundred euros."}},
+        {"id": "a1-pdf-0283", "german": "März", "article": "der", "plural": null, "english": "March", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Im März wird es wärmer.", "english": "In March it gets warmer."}},
+        {"id": "a1-pdf-0284", "german": "grau", "article": null, "plural": null, "english": "gray", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Der Himmel ist grau.", "english": "The sky is gray."}},
+        {"id": "a1-pdf-0285", "german": "orange", "article": null, "plural": null, "english": "orange", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Die Orange ist orange.", "english": "The orange is orange."}},
+        {"id": "a1-pdf-0286", "german": "welcher", "article": null, "plural": null, "english": "which (masculine)", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Welches Buch möchtest du?", "english": "Which book do you want?"}},
+        {"id": "a1-pdf-0287", "german": "welche", "article": null, "plural": null, "english": "which (feminine)", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Welche Farbe möchten Sie?", "english": "Which color would you like?"}},
+        {"id": "a1-pdf-0288", "german": "welches", "article": null, "plural": null, "english": "which (neuter)", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Welches Datum haben wir heute?", "english": "What date is it today?"}},
+        {"id": "a1-pdf-0289", "german": "wie viele", "article": null, "plural": null, "english": "how many", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Wie viele Kinder haben Sie?", "english": "How many children do you have?"}},
+        {"id": "a1-pdf-0290", "german": "wie oft", "article": null, "plural": null, "english": "how often", "hindi": null, "translit": null, "level": "A1", "topic": "Word_Groups", "example": {"german": "Wie oft gehen Sie einkaufen?", "english": "How often do you go shopping?"}},
+        {"id": "a1-pdf-0291", "german": "Hallo", "article": null, "plural": null, "english": "Hello", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "usage": "Greeting"},
+        {"id": "a1-pdf-0292", "german": "Guten Morgen", "article": null, "plural": null, "english": "Good morning", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "usage": "Morning greeting"},
+        {"id": "a1-pdf-0293", "german": "Auf Wiedersehen", "article": null, "plural": null, "english": "Goodbye", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Auf Wiedersehen!", "usage": "Formal farewell"},
+        {"id": "a1-pdf-0294", "german": "tschüss", "article": null, "plural": null, "english": "Bye", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Junge Leute sagen meistens „tschüss!\" und nicht „auf Wiedersehen\".", "english": "Young people usually say \"tschüss!\" and not \"auf Wiedersehen\".", "speak": "Junge Leute sagen meistens tschüss und nicht auf Wiedersehen."}},
+        {"id": "a1-pdf-0295", "german": "Guten Appetit", "article": null, "plural": null, "english": "Enjoy your meal!", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Guten Appetit!", "usage": "Before eating"},
+        {"id": "a1-pdf-0296", "german": "Bitte", "article": null, "plural": null, "english": "Please / You're welcome", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "usage": "Polite expression"},
+        {"id": "a1-pdf-0297", "german": "Danke", "article": null, "plural": null, "english": "Thank you", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "usage": "Expression of thanks"},
+        {"id": "a1-pdf-0298", "german": "Entschuldigung", "article": null, "plural": null, "english": "Excuse me / Sorry", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "usage": "Apology or getting attention"},
+        {"id": "a1-pdf-0299", "german": "Wie bitte?", "article": null, "plural": null, "english": "Pardon? / What did you say?", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "usage": "Asking for repetition"},
+        {"id": "a1-pdf-0300", "german": "Herzlich willkommen", "article": null, "plural": null, "english": "Welcome!", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Herzlich willkommen!", "example": {"german": "Herzlich willkommen!", "english": "Welcome!"}},
+        {"id": "a1-pdf-0301", "german": "Auf Wiedersehen", "article": null, "plural": null, "english": "Goodbye", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Auf Wiedersehen!", "example": {"german": "Auf Wiedersehen!", "english": "Goodbye!"}},
+        {"id": "a1-pdf-0302", "german": "Auf Wiederhören", "article": null, "plural": null, "english": "Goodbye (on phone)", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Auf Wiederhören!", "example": {"german": "Also auf Wiederhören!", "english": "So goodbye (on the phone)!"}},
+        {"id": "a1-pdf-0590", "german": "Wiedersehen", "article": "das", "plural": null, "english": "meeting again", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Auf Wiedersehen!", "english": "Goodbye!"}},
+        {"id": "a1-pdf-0591", "german": "zurück", "article": null, "plural": null, "english": "back", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Einmal Frankfurt und zurück.", "english": "One way to Frankfurt and back."}},
+        {"id": "a1-pdf-0303", "german": "vielleicht", "article": null, "plural": null, "english": "maybe/perhaps", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Ich komme vielleicht mit dem Bus.", "english": "Maybe I'll come by bus."}},
+        {"id": "a1-pdf-0304", "german": "warten", "article": null, "plural": null, "english": "to wait", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Können Sie ein paar Minuten warten?", "english": "Can you wait a few minutes?"}},
+        {"id": "a1-pdf-0305", "german": "wann", "article": null, "plural": null, "english": "when", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Wann kann ich Sie anrufen?", "english": "When can I call you?"}},
+        {"id": "a1-pdf-0306", "german": "warum", "article": null, "plural": null, "english": "why", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Warum kommt er nicht?", "english": "Why isn't he coming?"}},
+        {"id": "a1-pdf-0307", "german": "was", "article": null, "plural": null, "english": "what", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Was ist das?", "english": "What is that?"}},
+        {"id": "a1-pdf-0308", "german": "wie viel", "article": null, "plural": null, "english": "how much", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Wie viel Milch nehmen Sie?", "english": "How much milk do you take?"}},
+        {"id": "a1-pdf-0309", "german": "und", "article": null, "plural": null, "english": "and", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Peter und Helmut sind meine Söhne.", "english": "Peter and Helmut are my sons."}},
+        {"id": "a1-pdf-0310", "german": "oder", "article": null, "plural": null, "english": "or", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Kreuzen Sie bitte an: „weiblich\" oder „männlich\".", "english": "Please check: \"female\" or \"male\".", "speak": "Kreuzen Sie bitte an: weiblich oder männlich."}},
+        {"id": "a1-pdf-0311", "german": "Guten Tag", "article": null, "plural": null, "english": "Good day!", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Guten Tag!", "example": {"german": "Guten Tag!", "english": "Good day!"}},
+        {"id": "a1-pdf-0312", "german": "Gute Nacht", "article": null, "plural": null, "english": "Good night!", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Gute Nacht!", "example": {"german": "Gute Nacht!", "english": "Good night!"}},
+        {"id": "a1-pdf-0313", "german": "ja", "article": null, "plural": null, "english": "yes", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Ja, bitte!", "english": "Yes, please!"}},
+        {"id": "a1-pdf-0314", "german": "Dank", "article": "der", "plural": null, "english": "thanks", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Vielen Dank!", "english": "Many thanks!"}},
+        {"id": "a1-pdf-0315", "german": "Guten Abend", "article": null, "plural": null, "english": "Good evening!", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Guten Abend!", "example": {"german": "Guten Abend!", "english": "Good evening!"}},
+        {"id": "a1-pdf-0316", "german": "Bis bald", "article": null, "plural": null, "english": "See you soon!", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Bis bald!", "example": {"german": "Bis bald!", "english": "See you soon!"}},
+        {"id": "a1-pdf-0317", "german": "Bis später", "article": null, "plural": null, "english": "See you later!", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Bis später!", "example": {"german": "Bis später!", "english": "See you later!"}},
+        {"id": "a1-pdf-0318", "german": "Bis morgen", "article": null, "plural": null, "english": "See you tomorrow!", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Bis morgen!", "example": {"german": "Bis morgen!", "english": "See you tomorrow!"}},
+        {"id": "a1-pdf-0319", "german": "bitte schön", "article": null, "plural": null, "english": "you're welcome / here you are", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Bitte schön!", "english": "You're welcome! / Here you are!"}},
+        {"id": "a1-pdf-0320", "german": "danke schön", "article": null, "plural": null, "english": "thank you very much", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Danke schön!", "english": "Thank you very much!"}},
+        {"id": "a1-pdf-0321", "german": "gern geschehen", "article": null, "plural": null, "english": "you're welcome", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Gern geschehen!", "english": "You're welcome!"}},
+        {"id": "a1-pdf-0322", "german": "natürlich", "article": null, "plural": null, "english": "naturally / of course", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Natürlich!", "english": "Of course!"}},
+        {"id": "a1-pdf-0323", "german": "klar", "article": null, "plural": null, "english": "clear / of course", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Klar!", "english": "Of course!"}},
+        {"id": "a1-pdf-0324", "german": "genau", "article": null, "plural": null, "english": "exactly", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Genau!", "english": "Exactly!"}},
+        {"id": "a1-pdf-0325", "german": "leider", "article": null, "plural": null, "english": "unfortunately", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Ich habe leider nur wenig verstanden.", "english": "Unfortunately I only understood a little."}},
+        {"id": "a1-pdf-0326", "german": "doch", "article": null, "plural": null, "english": "but / yes (contradiction)", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Doch, ich komme!", "english": "Yes, I'm coming!"}},
+        {"id": "a1-pdf-0327", "german": "denn", "article": null, "plural": null, "english": "because / then", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Warum kommst du denn nicht?", "english": "Why aren't you coming then?"}},
+        {"id": "a1-pdf-0328", "german": "aber", "article": null, "plural": null, "english": "but", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Ich komme, aber später.", "english": "I'm coming, but later."}},
+        {"id": "a1-pdf-0329", "german": "heute Abend", "article": null, "plural": null, "english": "this evening", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Heute Abend gehe ich ins Kino.", "english": "This evening I'm going to the cinema."}},
+        {"id": "a1-pdf-0330", "german": "heute Morgen", "article": null, "plural": null, "english": "this morning", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Heute Morgen war ich beim Arzt.", "english": "This morning I was at the doctor's."}},
+        {"id": "a1-pdf-0331", "german": "heute Nachmittag", "article": null, "plural": null, "english": "this afternoon", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Heute Nachmittag habe ich Zeit.", "english": "This afternoon I have time."}},
+        {"id": "a1-pdf-0332", "german": "später", "article": null, "plural": null, "english": "later", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Wir sehen uns später.", "english": "We'll see each other later."}},
+        {"id": "a1-pdf-0333", "german": "früher", "article": null, "plural": null, "english": "earlier / before", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Früher war ich hier.", "english": "I was here before."}},
+        {"id": "a1-pdf-0334", "german": "Gesundheit", "article": null, "plural": null, "english": "Bless you! (after sneezing)", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Gesundheit!", "example": {"german": "Gesundheit!", "english": "Bless you!"}},
+        {"id": "a1-pdf-0335", "german": "Alles Gute", "article": null, "plural": null, "english": "All the best!", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Alles Gute!", "example": {"german": "Alles Gute!", "english": "All the best!"}},
+        {"id": "a1-pdf-0336", "german": "Viel Glück", "article": null, "plural": null, "english": "Good luck!", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Viel Glück!", "example": {"german": "Viel Glück!", "english": "Good luck!"}},
+        {"id": "a1-pdf-0337", "german": "Viel Spaß", "article": null, "plural": null, "english": "Have fun!", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Viel Spaß!", "example": {"german": "Viel Spaß!", "english": "Have fun!"}},
+        {"id": "a1-pdf-0338", "german": "Gute Reise", "article": null, "plural": null, "english": "Have a good trip!", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Gute Reise!", "example": {"german": "Gute Reise!", "english": "Have a good trip!"}},
+        {"id": "a1-pdf-0339", "german": "kein Problem", "article": null, "plural": null, "english": "no problem", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Kein Problem!", "english": "No problem!"}},
+        {"id": "a1-pdf-0340", "german": "entschuldigen Sie", "article": null, "plural": null, "english": "excuse me", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Entschuldigen Sie!", "english": "Excuse me!"}},
+        {"id": "a1-pdf-0341", "german": "es tut mir leid", "article": null, "plural": null, "english": "I'm sorry", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Es tut mir leid.", "english": "I'm sorry."}},
+        {"id": "a1-pdf-0342", "german": "ein bisschen", "article": null, "plural": null, "english": "a little", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Ich spreche ein bisschen Deutsch.", "english": "I speak a little German."}},
+        {"id": "a1-pdf-0343", "german": "Langsam bitte", "article": null, "plural": null, "english": "slowly, please", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Langsam, bitte", "example": {"german": "Langsam, bitte.", "english": "Slowly, please."}},
+        {"id": "a1-pdf-0344", "german": "Noch einmal bitte", "article": null, "plural": null, "english": "once more, please", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Noch einmal, bitte", "example": {"german": "Noch einmal, bitte.", "english": "Once more, please."}},
+        {"id": "a1-pdf-0345", "german": "keine Ursache", "article": null, "plural": null, "english": "no problem / don't mention it", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Keine Ursache!", "english": "No problem!"}},
+        {"id": "a1-pdf-0346", "german": "Ich verstehe nicht", "article": null, "plural": null, "english": "I don't understand", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Ich verstehe nicht.", "english": "I don't understand."}},
+        {"id": "a1-pdf-0347", "german": "Sprechen Sie Englisch", "article": null, "plural": null, "english": "Do you speak English?", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Sprechen Sie Englisch?", "example": {"german": "Sprechen Sie Englisch?", "english": "Do you speak English?"}},
+        {"id": "a1-pdf-0348", "german": "Wie spät ist es", "article": null, "plural": null, "english": "What time is it?", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Wie spät ist es?", "example": {"german": "Wie spät ist es?", "english": "What time is it?"}},
+        {"id": "a1-pdf-0349", "german": "Es ist Uhr", "article": null, "plural": null, "english": "It is ... o'clock", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Es ist ... Uhr", "example": {"german": "Es ist vier Uhr.", "english": "It is four o'clock."}},
+        {"id": "a1-pdf-0350", "german": "Um wie viel Uhr", "article": null, "plural": null, "english": "At what time?", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Um wie viel Uhr?", "example": {"german": "Um wie viel Uhr?", "english": "At what time?"}},
+        {"id": "a1-pdf-0351", "german": "Ich habe eine Frage", "article": null, "plural": null, "english": "I have a question", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Ich habe eine Frage.", "english": "I have a question."}},
+        {"id": "a1-pdf-0352", "german": "Das verstehe ich", "article": null, "plural": null, "english": "I understand that", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Das verstehe ich.", "english": "I understand that."}},
+        {"id": "a1-pdf-0353", "german": "Das gefällt mir nicht", "article": null, "plural": null, "english": "I don't like that", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Das gefällt mir nicht.", "english": "I don't like that."}},
+        {"id": "a1-pdf-0354", "german": "Ich habe Hunger", "article": null, "plural": null, "english": "I'm hungry", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Ich habe Hunger.", "english": "I'm hungry."}},
+        {"id": "a1-pdf-0355", "german": "Ich habe Durst", "article": null, "plural": null, "english": "I'm thirsty", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Ich habe Durst.", "english": "I'm thirsty."}},
+        {"id": "a1-pdf-0356", "german": "Ich bin müde", "article": null, "plural": null, "english": "I'm tired", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Ich bin müde.", "english": "I'm tired."}},
+        {"id": "a1-pdf-0357", "german": "Ich bin krank", "article": null, "plural": null, "english": "I'm sick", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Ich bin krank.", "english": "I'm sick."}},
+        {"id": "a1-pdf-0358", "german": "Mir ist kalt", "article": null, "plural": null, "english": "I'm cold", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Mir ist kalt.", "english": "I'm cold."}},
+        {"id": "a1-pdf-0359", "german": "Mir ist warm", "article": null, "plural": null, "english": "I'm warm", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Mir ist warm.", "english": "I'm warm."}},
+        {"id": "a1-pdf-0360", "german": "Das tut weh", "article": null, "plural": null, "english": "That hurts", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Das tut weh.", "english": "That hurts."}},
+        {"id": "a1-pdf-0361", "german": "Wie viel", "article": null, "plural": null, "english": "How much? / How many?", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Wie viel?", "example": {"german": "Wie viel?", "english": "How much? / How many?"}},
+        {"id": "a1-pdf-0362", "german": "Wie lange", "article": null, "plural": null, "english": "How long?", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Wie lange?", "example": {"german": "Wie lange?", "english": "How long?"}},
+        {"id": "a1-pdf-0363", "german": "Warum nicht", "article": null, "plural": null, "english": "Why not?", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Warum nicht?", "example": {"german": "Warum nicht?", "english": "Why not?"}},
+        {"id": "a1-pdf-0364", "german": "Wirklich", "article": null, "plural": null, "english": "Really?", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Wirklich?", "example": {"german": "Wirklich?", "english": "Really?"}},
+        {"id": "a1-pdf-0365", "german": "Was ist passiert", "article": null, "plural": null, "english": "What happened?", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Was ist passiert?", "example": {"german": "Was ist passiert?", "english": "What happened?"}},
+        {"id": "a1-pdf-0366", "german": "Wo ist die Toilette", "article": null, "plural": null, "english": "Where is the toilet?", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "display": "Wo ist die Toilette?", "example": {"german": "Wo ist die Toilette?", "english": "Where is the toilet?"}},
+        {"id": "a1-pdf-0589", "german": "willkommen", "article": null, "plural": null, "english": "welcome", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Phrases", "example": {"german": "Herzlich willkommen!", "english": "Welcome!"}},
+        {"id": "a1-pdf-0367", "german": "gehen", "article": null, "plural": null, "english": "to go", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich gehe einkaufen.", "english": "I'm going shopping."}},
+        {"id": "a1-pdf-0368", "german": "machen", "article": null, "plural": null, "english": "to make/do", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Was machen Sie?", "english": "What are you doing?"}},
+        {"id": "a1-pdf-0369", "german": "tun", "article": null, "plural": null, "english": "to do", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich habe noch etwas zu tun.", "english": "I still have something to do."}},
+        {"id": "a1-pdf-0370", "german": "sehen", "article": null, "plural": null, "english": "to see", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich sehe das Auto.", "english": "I see the car."}},
+        {"id": "a1-pdf-0371", "german": "lesen", "article": null, "plural": null, "english": "to read", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich lese gern Zeitung.", "english": "I like to read the newspaper."}},
+        {"id": "a1-pdf-0372", "german": "schreiben", "article": null, "plural": null, "english": "to write", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Er schreibt wie ein Kind.", "english": "He writes like a child."}},
+        {"id": "a1-pdf-0373", "german": "sprechen", "article": null, "plural": null, "english": "to speak", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Wir sprechen heute über das Thema „Essen und Trinken\".", "english": "Today we're talking about the topic \"Food and Drink\".", "speak": "Wir sprechen heute über das Thema Essen und Trinken."}},
+        {"id": "a1-pdf-0374", "german": "hören", "article": null, "plural": null, "english": "to hear/listen", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Hören Sie mir zu!", "english": "Listen to me!"}},
+        {"id": "a1-pdf-0375", "german": "öffnen", "article": null, "plural": null, "english": "to open", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Öffne im Schlafzimmer das Fenster, bitte!", "english": "Open the window in the bedroom, please!"}},
+        {"id": "a1-pdf-0376", "german": "schließen", "article": null, "plural": null, "english": "to close", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Das Geschäft ist geschlossen.", "english": "The shop is closed."}},
+        {"id": "a1-pdf-0377", "german": "suchen", "article": null, "plural": null, "english": "to search/look for", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich suche eine Wohnung.", "english": "I'm looking for an apartment."}},
+        {"id": "a1-pdf-0378", "german": "finden", "article": null, "plural": null, "english": "to find", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Wo finde ich die Post?", "english": "Where do I find the post office?"}},
+        {"id": "a1-pdf-0379", "german": "brauchen", "article": null, "plural": null, "english": "to need", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Die Pflanze braucht Wasser.", "english": "The plant needs water."}},
+        {"id": "a1-pdf-0380", "german": "müssen", "article": null, "plural": null, "english": "must/have to", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Wir müssen noch durch den Zoll.", "english": "We still have to go through customs."}},
+        {"id": "a1-pdf-0381", "german": "können", "article": null, "plural": null, "english": "can/to be able", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Können Sie mich verstehen?", "english": "Can you understand me?"}},
+        {"id": "a1-pdf-0382", "german": "sollen", "article": null, "plural": null, "english": "should/ought to", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Sollen wir zusammen essen gehen?", "english": "Should we go eat together?"}},
+        {"id": "a1-pdf-0383", "german": "mögen", "article": null, "plural": null, "english": "to like", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich mag Kaffee.", "english": "I like coffee."}},
+        {"id": "a1-pdf-0384", "german": "liegen", "article": null, "plural": null, "english": "to lie/be located", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Die Fotos liegen auf dem Tisch.", "english": "The photos are lying on the table."}},
+        {"id": "a1-pdf-0385", "german": "stehen", "article": null, "plural": null, "english": "to stand/be located", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Das Auto steht vor der Tür.", "english": "The car is standing in front of the door."}},
+        {"id": "a1-pdf-0386", "german": "sitzen", "article": null, "plural": null, "english": "to sit", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich sitze auf dem Stuhl.", "english": "I'm sitting on the chair."}},
+        {"id": "a1-pdf-0387", "german": "arbeiten", "article": null, "plural": null, "english": "to work", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich arbeite in einer Firma.", "english": "I work in a company."}},
+        {"id": "a1-pdf-0388", "german": "anrufen", "article": null, "plural": null, "english": "to call", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Wann kann ich Sie anrufen?", "english": "When can I call you?"}},
+        {"id": "a1-pdf-0389", "german": "antworten", "article": null, "plural": null, "english": "to answer", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Können Sie mir antworten?", "english": "Can you answer me?"}},
+        {"id": "a1-pdf-0390", "german": "besuchen", "article": null, "plural": null, "english": "to visit", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Peter besucht seine Verwandten in Polen.", "english": "Peter visits his relatives in Poland."}},
+        {"id": "a1-pdf-0391", "german": "bestellen", "article": null, "plural": null, "english": "to order", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich habe ein Zimmer bestellt.", "english": "I have booked one room."}},
+        {"id": "a1-pdf-0392", "german": "kennen", "article": null, "plural": null, "english": "to know", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich kenne das Wort nicht.", "english": "I don't know the word."}},
+        {"id": "a1-pdf-0393", "german": "kennenlernen", "article": null, "plural": null, "english": "to get to know", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Wir wollen uns kennenlernen.", "english": "We want to get to know each other."}},
+        {"id": "a1-pdf-0394", "german": "kosten", "article": null, "plural": null, "english": "to cost", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Wie viel kostet das Ticket?", "english": "How much does the ticket cost?"}},
+        {"id": "a1-pdf-0395", "german": "danken", "article": null, "plural": null, "english": "to thank", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich danke Ihnen.", "english": "I thank you."}},
+        {"id": "a1-pdf-0396", "german": "fragen", "article": null, "plural": null, "english": "to ask", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Darf ich Sie etwas fragen?", "english": "May I ask you something?"}},
+        {"id": "a1-pdf-0397", "german": "frühstücken", "article": null, "plural": null, "english": "to have breakfast", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich frühstücke um 8 Uhr.", "english": "I have breakfast at 8 o'clock."}},
+        {"id": "a1-pdf-0398", "german": "regnen", "article": null, "plural": null, "english": "to rain", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Hier regnet es viel.", "english": "It rains a lot here."}},
+        {"id": "a1-pdf-0399", "german": "waschen", "article": null, "plural": null, "english": "to wash", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Wo kann ich mir die Hände waschen?", "english": "Where can I wash my hands?"}},
+        {"id": "a1-pdf-0400", "german": "ergänzen", "article": null, "plural": null, "english": "to complete", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ergänzen Sie die Sätze.", "english": "Complete the sentences."}},
+        {"id": "a1-pdf-0401", "german": "geben", "article": null, "plural": null, "english": "to give", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Kannst du mir das geben?", "english": "Can you give me that?"}},
+        {"id": "a1-pdf-0402", "german": "helfen", "article": null, "plural": null, "english": "to help", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Kann ich Ihnen helfen?", "english": "Can I help you?"}},
+        {"id": "a1-pdf-0403", "german": "sagen", "article": null, "plural": null, "english": "to say", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Was sagen Sie?", "english": "What do you say?"}},
+        {"id": "a1-pdf-0404", "german": "schicken", "article": null, "plural": null, "english": "to send", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich schicke Ihnen eine E-Mail.", "english": "I'll send you an email."}},
+        {"id": "a1-pdf-0405", "german": "bekommen", "article": null, "plural": null, "english": "to get/receive", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich bekomme einen Brief.", "english": "I receive a letter."}},
+        {"id": "a1-pdf-0406", "german": "bringen", "article": null, "plural": null, "english": "to bring", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Kannst du mir das bringen?", "english": "Can you bring me that?"}},
+        {"id": "a1-pdf-0407", "german": "beginnen", "article": null, "plural": null, "english": "to begin", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Die Schule beginnt um neun Uhr.", "english": "School starts at nine o'clock."}},
+        {"id": "a1-pdf-0408", "german": "bleiben", "article": null, "plural": null, "english": "to stay", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Wie lange bleiben Sie?", "english": "How long are you staying?"}},
+        {"id": "a1-pdf-0409", "german": "dürfen", "article": null, "plural": null, "english": "may/to be allowed", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Darf ich Sie etwas fragen?", "english": "May I ask you something?"}},
+        {"id": "a1-pdf-0410", "german": "gefallen", "article": null, "plural": null, "english": "to like/please", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Das gefällt mir.", "english": "I like that."}},
+        {"id": "a1-pdf-0411", "german": "ankommen", "article": null, "plural": null, "english": "to arrive", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Wann kommen Sie an?", "english": "When do you arrive?"}},
+        {"id": "a1-pdf-0412", "german": "aufstehen", "article": null, "plural": null, "english": "to get up", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich stehe um 7 Uhr auf.", "english": "I get up at 7 o'clock."}},
+        {"id": "a1-pdf-0413", "german": "ausgehen", "article": null, "plural": null, "english": "to go out", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Wir gehen heute Abend aus.", "english": "We're going out this evening."}},
+        {"id": "a1-pdf-0414", "german": "aufhören", "article": null, "plural": null, "english": "to stop", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Hören Sie bitte auf!", "english": "Please stop!"}},
+        {"id": "a1-pdf-0415", "german": "anfangen", "article": null, "plural": null, "english": "to begin", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Wann fängt der Film an?", "english": "When does the film begin?"}},
+        {"id": "a1-pdf-0416", "german": "aufmachen", "article": null, "plural": null, "english": "to open", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Machen Sie bitte die Tür auf!", "english": "Please open the door!"}},
+        {"id": "a1-pdf-0417", "german": "zumachen", "article": null, "plural": null, "english": "to close", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Machen Sie bitte die Tür zu!", "english": "Please close the door!"}},
+        {"id": "a1-pdf-0418", "german": "anziehen", "article": null, "plural": null, "english": "to put on", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich ziehe mich an.", "english": "I'm getting dressed."}},
+        {"id": "a1-pdf-0595", "german": "ausfüllen", "article": null, "plural": null, "english": "to fill out", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Bitte füllen Sie dieses Formular aus.", "english": "Please fill out this form."}},
+        {"id": "a1-pdf-0596", "german": "ausgeben", "article": null, "plural": null, "english": "to spend", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich gebe zu viel Geld aus.", "english": "I spend too much money."}},
+        {"id": "a1-pdf-0597", "german": "aussehen", "article": null, "plural": null, "english": "to look like", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Wie sehen Sie aus?", "english": "What do you look like?"}},
+        {"id": "a1-pdf-0598", "german": "aussteigen", "article": null, "plural": null, "english": "to get off", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "An der nächsten Haltestelle steige ich aus.", "english": "I'm getting off at the next stop."}},
+        {"id": "a1-pdf-0599", "german": "einsteigen", "article": null, "plural": null, "english": "to get on", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Steigen Sie bitte ein!", "english": "Please get on!"}},
+        {"id": "a1-pdf-0600", "german": "einkaufen", "article": null, "plural": null, "english": "to shop", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich gehe einkaufen.", "english": "I'm going shopping."}},
+        {"id": "a1-pdf-0601", "german": "einladen", "article": null, "plural": null, "english": "to invite", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich lade dich zum Essen ein.", "english": "I'm inviting you to eat."}},
+        {"id": "a1-pdf-0602", "german": "einpacken", "article": null, "plural": null, "english": "to pack", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich packe meine Sachen ein.", "english": "I'm packing my things."}},
+        {"id": "a1-pdf-0603", "german": "einziehen", "article": null, "plural": null, "english": "to move in", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Wann ziehen Sie ein?", "english": "When are you moving in?"}},
+        {"id": "a1-pdf-0604", "german": "umziehen", "article": null, "plural": null, "english": "to move", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Nächsten Monat ziehen wir um.", "english": "Next month we're moving."}},
+        {"id": "a1-pdf-0605", "german": "übernachten", "article": null, "plural": null, "english": "to stay overnight", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Du kannst bei mir übernachten.", "english": "You can stay overnight at my place."}},
+        {"id": "a1-pdf-0606", "german": "überweisen", "article": null, "plural": null, "english": "to transfer", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Sie können das Geld auch überweisen.", "english": "You can also transfer the money."}},
+        {"id": "a1-pdf-0607", "german": "unterschreiben", "article": null, "plural": null, "english": "to sign", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Wo muss ich unterschreiben?", "english": "Where do I need to sign?"}},
+        {"id": "a1-pdf-0608", "german": "verstehen", "article": null, "plural": null, "english": "to understand", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Können Sie mich verstehen?", "english": "Can you understand me?"}},
+        {"id": "a1-pdf-0609", "german": "verkaufen", "article": null, "plural": null, "english": "to sell", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Er verkauft sein altes Auto.", "english": "He's selling his old car."}},
+        {"id": "a1-pdf-0610", "german": "vermieten", "article": null, "plural": null, "english": "to rent out", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Die Wohnung ist schon vermietet.", "english": "The apartment is already rented out."}},
+        {"id": "a1-pdf-0611", "german": "verdienen", "article": null, "plural": null, "english": "to earn", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich verdiene 1.500 Euro im Monat.", "english": "I earn 1,500 euros per month."}},
+        {"id": "a1-pdf-0612", "german": "warten", "article": null, "plural": null, "english": "to wait", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Können Sie ein paar Minuten warten?", "english": "Can you wait a few minutes?"}},
+        {"id": "a1-pdf-0613", "german": "wiederholen", "article": null, "plural": null, "english": "to repeat", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Können Sie das bitte wiederholen?", "english": "Can you please repeat that?"}},
+        {"id": "a1-pdf-0419", "german": "ausziehen", "article": null, "plural": null, "english": "to take off", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich ziehe die Jacke aus.", "english": "I'm taking off the jacket."}},
+        {"id": "a1-pdf-0420", "german": "aufwachen", "article": null, "plural": null, "english": "to wake up", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich wache um 7 Uhr auf.", "english": "I wake up at 7 o'clock."}},
+        {"id": "a1-pdf-0421", "german": "einschlafen", "article": null, "plural": null, "english": "to fall asleep", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich schlafe schnell ein.", "english": "I fall asleep quickly."}},
+        {"id": "a1-pdf-0422", "german": "aufpassen", "article": null, "plural": null, "english": "to pay attention", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Passen Sie bitte auf!", "english": "Please pay attention!"}},
+        {"id": "a1-pdf-0423", "german": "sich setzen", "article": null, "plural": null, "english": "to sit down", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Setzen Sie sich bitte!", "english": "Please sit down!"}},
+        {"id": "a1-pdf-0424", "german": "sich hinsetzen", "article": null, "plural": null, "english": "to sit down", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Setzen Sie sich bitte hin!", "english": "Please sit down!"}},
+        {"id": "a1-pdf-0425", "german": "sich freuen", "article": null, "plural": null, "english": "to be happy / to look forward", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich freue mich!", "english": "I'm happy!"}},
+        {"id": "a1-pdf-0426", "german": "sich entschuldigen", "article": null, "plural": null, "english": "to apologize", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich entschuldige mich.", "english": "I apologize."}},
+        {"id": "a1-pdf-0427", "german": "aufräumen", "article": null, "plural": null, "english": "to tidy up", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich räume das Zimmer auf.", "english": "I'm tidying up the room."}},
+        {"id": "a1-pdf-0428", "german": "passieren", "article": null, "plural": null, "english": "to happen", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Was ist passiert?", "english": "What happened?"}},
+        {"id": "a1-pdf-0592", "german": "abholen", "article": null, "plural": null, "english": "to pick up", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Ich hole dich um 8 Uhr ab.", "english": "I'll pick you up at 8 o'clock."}},
+        {"id": "a1-pdf-0593", "german": "abfahren", "article": null, "plural": null, "english": "to depart", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Der Zug fährt um 10 Uhr ab.", "english": "The train departs at 10 o'clock."}},
+        {"id": "a1-pdf-0594", "german": "anbieten", "article": null, "plural": null, "english": "to offer", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Verbs", "example": {"german": "Kann ich Ihnen etwas anbieten?", "english": "Can I offer you something?"}},
+        {"id": "a1-pdf-0429", "german": "gut", "article": null, "plural": null, "english": "good", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Guten Morgen!", "english": "Good morning!"}},
+        {"id": "a1-pdf-0430", "german": "schlecht", "article": null, "plural": null, "english": "bad", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Wir hatten schlechtes Wetter.", "english": "We had bad weather."}},
+        {"id": "a1-pdf-0431", "german": "neu", "article": null, "plural": null, "english": "new", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Es gibt einen neuen Sportverein in der Stadt.", "english": "There is a new sports club in the city."}},
+        {"id": "a1-pdf-0432", "german": "alt", "article": null, "plural": null, "english": "old", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Er verkauft sein altes Auto.", "english": "He is selling his old car."}},
+        {"id": "a1-pdf-0433", "german": "schön", "article": null, "plural": null, "english": "beautiful/nice", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Das ist sehr schön.", "english": "That is very beautiful."}},
+        {"id": "a1-pdf-0434", "german": "wunderbar", "article": null, "plural": null, "english": "wonderful", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Das Essen schmeckt wunderbar.", "english": "The food tastes wonderful."}},
+        {"id": "a1-pdf-0435", "german": "einfach", "article": null, "plural": null, "english": "simple/easy", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Der Test war einfach.", "english": "The test was easy."}},
+        {"id": "a1-pdf-0436", "german": "schwer", "article": null, "plural": null, "english": "heavy/difficult", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Das ist zu schwer für mich.", "english": "That's too difficult for me."}},
+        {"id": "a1-pdf-0437", "german": "weit", "article": null, "plural": null, "english": "far", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Zum Bahnhof ist es nicht weit.", "english": "It's not far to the train station."}},
+        {"id": "a1-pdf-0438", "german": "nah", "article": null, "plural": null, "english": "near/close", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Die Post ist nah.", "english": "The post office is close."}},
+        {"id": "a1-pdf-0439", "german": "viel", "article": null, "plural": null, "english": "much/many", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Hier regnet es viel.", "english": "It rains a lot here."}},
+        {"id": "a1-pdf-0440", "german": "wenig", "article": null, "plural": null, "english": "little/few", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Ich habe leider nur wenig verstanden.", "english": "Unfortunately I only understood a little."}},
+        {"id": "a1-pdf-0441", "german": "alle", "article": null, "plural": null, "english": "all", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Alle sind hier.", "english": "Everyone is here."}},
+        {"id": "a1-pdf-0442", "german": "kein", "article": null, "plural": null, "english": "no/none", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Ich habe heute keine Zeit.", "english": "I don't have time today."}},
+        {"id": "a1-pdf-0443", "german": "kalt", "article": null, "plural": null, "english": "cold", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Im Januar ist es kalt.", "english": "In January it is cold."}},
+        {"id": "a1-pdf-0444", "german": "warm", "article": null, "plural": null, "english": "warm", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Im Sommer ist es warm.", "english": "In summer it is warm."}},
+        {"id": "a1-pdf-0445", "german": "heiß", "article": null, "plural": null, "english": "hot", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Der Kaffee ist heiß.", "english": "The coffee is hot."}},
+        {"id": "a1-pdf-0446", "german": "grün", "article": null, "plural": null, "english": "green", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Die Tomate ist noch grün.", "english": "The tomato is still green."}},
+        {"id": "a1-pdf-0447", "german": "blau", "article": null, "plural": null, "english": "blue", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Der Himmel ist blau.", "english": "The sky is blue."}},
+        {"id": "a1-pdf-0448", "german": "gelb", "article": null, "plural": null, "english": "yellow", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Die Sonne ist gelb.", "english": "The sun is yellow."}},
+        {"id": "a1-pdf-0449", "german": "fertig", "article": null, "plural": null, "english": "ready/finished", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Wann bist du fertig?", "english": "When are you finished?"}},
+        {"id": "a1-pdf-0450", "german": "geschlossen", "article": null, "plural": null, "english": "closed", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Das Geschäft ist geschlossen.", "english": "The shop is closed."}},
+        {"id": "a1-pdf-0451", "german": "kaputt", "article": null, "plural": null, "english": "broken", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Das Auto von Felix ist kaputt.", "english": "Felix's car is broken."}},
+        {"id": "a1-pdf-0452", "german": "lange", "article": null, "plural": null, "english": "long", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Wie lange bist du schon hier?", "english": "How long have you been here?"}},
+        {"id": "a1-pdf-0453", "german": "meistens", "article": null, "plural": null, "english": "usually", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Junge Leute sagen meistens „tschüss!\".", "english": "Young people usually say \"tschüss!\".", "speak": "Junge Leute sagen meistens tschüss!"}},
+        {"id": "a1-pdf-0454", "german": "nicht", "article": null, "plural": null, "english": "not", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Der Bus fährt nicht weiter.", "english": "The bus doesn't go further."}},
+        {"id": "a1-pdf-0455", "german": "noch", "article": null, "plural": null, "english": "still/yet", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Die Tomate ist noch grün.", "english": "The tomato is still green."}},
+        {"id": "a1-pdf-0456", "german": "nur", "article": null, "plural": null, "english": "only", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Ich habe leider nur wenig verstanden.", "english": "Unfortunately I only understood a little."}},
+        {"id": "a1-pdf-0457", "german": "so", "article": null, "plural": null, "english": "so/thus", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Meine Frau ist so groß wie ich.", "english": "My wife is as tall as I am."}},
+        {"id": "a1-pdf-0458", "german": "auch", "article": null, "plural": null, "english": "also/too", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Ich komme auch mit.", "english": "I'm coming too."}},
+        {"id": "a1-pdf-0459", "german": "dann", "article": null, "plural": null, "english": "then", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Dann gehen wir essen.", "english": "Then we'll go eat."}},
+        {"id": "a1-pdf-0460", "german": "heute", "article": null, "plural": null, "english": "today", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Ich habe heute keine Zeit.", "english": "I don't have time today."}},
+        {"id": "a1-pdf-0461", "german": "morgen", "article": null, "plural": null, "english": "tomorrow", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Morgen habe ich Zeit.", "english": "Tomorrow I have time."}},
+        {"id": "a1-pdf-0462", "german": "gestern", "article": null, "plural": null, "english": "yesterday", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Gestern war ich in der Stadt.", "english": "Yesterday I was in the city."}},
+        {"id": "a1-pdf-0463", "german": "jetzt", "article": null, "plural": null, "english": "now", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Jetzt muss ich gehen.", "english": "Now I have to go."}},
+        {"id": "a1-pdf-0464", "german": "hier", "article": null, "plural": null, "english": "here", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Hier ist die Post.", "english": "Here is the post office."}},
+        {"id": "a1-pdf-0465", "german": "dort", "article": null, "plural": null, "english": "there", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Dort ist das Geschäft.", "english": "There is the shop."}},
+        {"id": "a1-pdf-0466", "german": "links", "article": null, "plural": null, "english": "left", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Die Toilette? Die Treppe hoch und dann links.", "english": "The toilet? Up the stairs and then left."}},
+        {"id": "a1-pdf-0467", "german": "rechts", "article": null, "plural": null, "english": "right", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Gehen Sie rechts.", "english": "Go right."}},
+        {"id": "a1-pdf-0468", "german": "gerade", "article": null, "plural": null, "english": "just/straight", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Adjectives", "example": {"german": "Da kommt er gerade um die Ecke.", "english": "There he comes around the corner."}},
+        {"id": "a1-pdf-0469", "german": "Datum", "article": "das", "plural": "-en", "english": "date", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Welches Datum haben wir heute?", "english": "What date is it today?"}},
+        {"id": "a1-pdf-0470", "german": "Zigarette", "article": "die", "plural": "-n", "english": "cigarette", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Wie teuer sind die Zigaretten?", "english": "How expensive are the cigarettes?"}},
+        {"id": "a1-pdf-0471", "german": "verboten", "article": null, "plural": null, "english": "forbidden/prohibited", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Hier ist Rauchen verboten.", "english": "Smoking is forbidden here."}},
+        {"id": "a1-pdf-0472", "german": "Vorwahl", "article": "die", "plural": "-en", "english": "area code", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Wie ist die Vorwahl von München?", "english": "What is the area code for Munich?"}},
+        {"id": "a1-pdf-0473", "german": "Vorsicht", "article": "die", "plural": null, "english": "caution", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Vorsicht! Da kommt ein Auto.", "english": "Caution! There's a car coming."}},
+        {"id": "a1-pdf-0474", "german": "Welt", "article": "die", "plural": null, "english": "world", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Es gibt viele Probleme auf der Welt.", "english": "There are many problems in the world."}},
+        {"id": "a1-pdf-0620", "german": "Wind", "article": "der", "plural": "-e", "english": "wind", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Der Wind kommt aus Osten.", "english": "The wind comes from the east."}},
+        {"id": "a1-pdf-0621", "german": "Wetter", "article": "das", "plural": null, "english": "weather", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Wir hatten schlechtes Wetter.", "english": "We had bad weather."}},
+        {"id": "a1-pdf-0622", "german": "Wort", "article": "das", "plural": "-ö, er/-e", "english": "word", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Ich kenne das Wort nicht.", "english": "I don't know the word."}},
+        {"id": "a1-pdf-0623", "german": "Zeit", "article": "die", "plural": "-en", "english": "time", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Ich habe heute keine Zeit.", "english": "I don't have time today."}},
+        {"id": "a1-pdf-0475", "german": "welch-", "article": null, "plural": null, "english": "which", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Welches Buch möchtest du?", "english": "Which book would you like?"}},
+        {"id": "a1-pdf-0476", "german": "weiter", "article": null, "plural": null, "english": "further/continue", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Der Bus fährt nicht weiter.", "english": "The bus doesn't go further."}},
+        {"id": "a1-pdf-0477", "german": "zwischen", "article": null, "plural": null, "english": "between", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Zwischen 8 und 10 Uhr bin ich zu Hause.", "english": "Between 8 and 10 o'clock I am at home."}},
+        {"id": "a1-pdf-0478", "german": "zurzeit", "article": null, "plural": null, "english": "currently/at the moment", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Zurzeit habe ich sehr viel zu tun.", "english": "Currently I have a lot to do."}},
+        {"id": "a1-pdf-0624", "german": "Zeitung", "article": "die", "plural": "-en", "english": "newspaper", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Ich lese gern Zeitung.", "english": "I like to read the newspaper."}},
+        {"id": "a1-pdf-0625", "german": "Zimmer", "article": "das", "plural": "-", "english": "room", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Das Zimmer ist groß.", "english": "The room is large."}},
+        {"id": "a1-pdf-0626", "german": "Zoll", "article": "der", "plural": null, "english": "customs", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Wir müssen noch durch den Zoll.", "english": "We still have to go through customs."}},
+        {"id": "a1-pdf-0627", "german": "Zug", "article": "der", "plural": "-ü, e", "english": "train", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Ich fahre gern mit dem Zug.", "english": "I like to travel by train."}},
+        {"id": "a1-pdf-0628", "german": "zusammen", "article": null, "plural": null, "english": "together", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Sollen wir zusammen essen gehen?", "english": "Should we go eat together?"}},
+        {"id": "a1-pdf-0629", "german": "Antwort", "article": "die", "plural": "-en", "english": "answer", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Können Sie mir eine Antwort geben?", "english": "Can you give me an answer?"}},
+        {"id": "a1-pdf-0630", "german": "Beamte", "article": "der", "plural": "-n", "english": "civil servant", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Der Beamte hilft mir.", "english": "The civil servant helps me."}},
+        {"id": "a1-pdf-0631", "german": "beide", "article": null, "plural": null, "english": "both", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Beide sind hier.", "english": "Both are here."}},
+        {"id": "a1-pdf-0632", "german": "Beruf", "article": "der", "plural": "-e", "english": "profession", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Was ist Ihr Beruf?", "english": "What is your profession?"}},
+        {"id": "a1-pdf-0633", "german": "Bild", "article": "das", "plural": "-er", "english": "picture", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Das Bild ist schön.", "english": "The picture is beautiful."}},
+        {"id": "a1-pdf-0634", "german": "Brief", "article": "der", "plural": "-e", "english": "letter", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Ich schreibe einen Brief.", "english": "I'm writing a letter."}},
+        {"id": "a1-pdf-0479", "german": "zu Hause", "article": null, "plural": null, "english": "at home", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Ich bin zu Hause.", "english": "I am at home."}},
+        {"id": "a1-pdf-0480", "german": "von", "article": null, "plural": null, "english": "from/of", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Das Auto von Felix ist kaputt.", "english": "Felix's car is broken."}},
+        {"id": "a1-pdf-0481", "german": "vor", "article": null, "plural": null, "english": "before/in front of", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Der Termin war vor einer Stunde.", "english": "The appointment was an hour ago."}},
+        {"id": "a1-pdf-0482", "german": "um", "article": null, "plural": null, "english": "at/around", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Er kommt um sieben Uhr.", "english": "He comes at seven o'clock."}},
+        {"id": "a1-pdf-0483", "german": "tot", "article": null, "plural": null, "english": "dead", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Sein Vater ist schon lange tot.", "english": "His father has been dead for a long time."}},
+        {"id": "a1-pdf-0484", "german": "Formular", "article": "das", "plural": "-e", "english": "form", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Dieses Formular ist sehr wichtig.", "english": "This form is very important."}},
+        {"id": "a1-pdf-0485", "german": "Antwortbogen", "article": "der", "plural": "-ö", "english": "answer sheet", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Füllen Sie den Antwortbogen aus.", "english": "Fill out the answer sheet."}},
+        {"id": "a1-pdf-0486", "german": "Bein", "article": "das", "plural": "-e", "english": "leg", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Ich muss zum Arzt. Mein Bein tut weh.", "english": "I have to go to the doctor. My leg hurts."}},
+        {"id": "a1-pdf-0487", "german": "Hände", "article": "die", "plural": null, "english": "hands", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Wo kann ich mir die Hände waschen?", "english": "Where can I wash my hands?"}},
+        {"id": "a1-pdf-0488", "german": "Tag", "article": "der", "plural": "-e", "english": "day", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Guten Tag!", "english": "Good day!"}},
+        {"id": "a1-pdf-0489", "german": "Monat", "article": "der", "plural": "-e", "english": "month", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Nächsten Monat ziehen wir um.", "english": "Next month we are moving."}},
+        {"id": "a1-pdf-0490", "german": "Mittag", "article": "der", "plural": "-e", "english": "noon", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Wir essen um 12 Uhr zu Mittag.", "english": "We have lunch at 12 o'clock."}},
+        {"id": "a1-pdf-0491", "german": "Ecke", "article": "die", "plural": "-n", "english": "corner", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Da kommt er gerade um die Ecke.", "english": "There he comes around the corner."}},
+        {"id": "a1-pdf-0492", "german": "Übernachtung", "article": "die", "plural": "-en", "english": "overnight stay", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Du kannst bei mir übernachten.", "english": "You can stay overnight at my place."}},
+        {"id": "a1-pdf-0493", "german": "Ausland", "article": "das", "plural": null, "english": "abroad", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Er reist ins Ausland.", "english": "He travels abroad."}},
+        {"id": "a1-pdf-0494", "german": "Ausländer", "article": "der", "plural": "-", "english": "foreigner", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Ich bin Ausländer.", "english": "I am a foreigner."}},
+        {"id": "a1-pdf-0495", "german": "ausländisch", "article": null, "plural": null, "english": "foreign", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Er spricht ausländisch.", "english": "He speaks a foreign language."}},
+        {"id": "a1-pdf-0615", "german": "Dank", "article": "der", "plural": null, "english": "thanks", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Vielen Dank!", "english": "Many thanks!"}},
+        {"id": "a1-pdf-0616", "german": "Telefonieren", "article": "das", "plural": null, "english": "telephoning", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Ich mag das Telefonieren nicht.", "english": "I don't like telephoning."}},
+        {"id": "a1-pdf-0617", "german": "Verein", "article": "der", "plural": "-e", "english": "club/association", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Es gibt einen neuen Sportverein in der Stadt.", "english": "There's a new sports club in the city."}},
+        {"id": "a1-pdf-0618", "german": "Vermieter", "article": "der", "plural": "-", "english": "landlord", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Unser Vermieter heißt Huber.", "english": "Our landlord is called Huber."}},
+        {"id": "a1-pdf-0619", "german": "Verkäufer", "article": "der", "plural": "-", "english": "salesperson", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Meine Mutter ist Verkäuferin im Kaufhaus.", "english": "My mother is a saleswoman in the department store."}},
+        {"id": "a1-pdf-0496", "german": "Deutsche", "article": "der", "plural": "-n", "english": "German (person)", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Er ist Deutscher.", "english": "He is German."}},
+        {"id": "a1-pdf-0497", "german": "Deutschland", "article": null, "plural": null, "english": "Germany", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Ich komme aus Deutschland.", "english": "I come from Germany."}},
+        {"id": "a1-pdf-0498", "german": "Polen", "article": null, "plural": null, "english": "Poland", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Peter besucht seine Verwandten in Polen.", "english": "Peter visits his relatives in Poland."}},
+        {"id": "a1-pdf-0499", "german": "Italien", "article": null, "plural": null, "english": "Italy", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Wir reisen nach Italien.", "english": "We travel to Italy."}},
+        {"id": "a1-pdf-0500", "german": "Sport", "article": "der", "plural": null, "english": "sport", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Ich treibe gern Sport.", "english": "I like to do sports."}},
+        {"id": "a1-pdf-0501", "german": "Briefkasten", "article": "der", "plural": "-ä", "english": "mailbox", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Der Briefkasten ist voll.", "english": "The mailbox is full."}},
+        {"id": "a1-pdf-0635", "german": "Briefmarke", "article": "der", "plural": null, "english": "stamp", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "display": "die Briefmarke, -n", "example": {"german": "Ich brauche eine Briefmarke.", "english": "I need a stamp."}},
+        {"id": "a1-pdf-0636", "german": "Bürger", "article": "der", "plural": "-", "english": "citizen", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Ich bin Bürger dieser Stadt.", "english": "I am a citizen of this city."}},
+        {"id": "a1-pdf-0637", "german": "Computer", "article": "der", "plural": "-", "english": "computer", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Der Computer ist kaputt.", "english": "The computer is broken."}},
+        {"id": "a1-pdf-0638", "german": "Fehler", "article": "der", "plural": "-", "english": "mistake", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Das ist ein Fehler.", "english": "That's a mistake."}},
+        {"id": "a1-pdf-0639", "german": "Frage", "article": "die", "plural": "-n", "english": "question", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Darf ich Sie etwas fragen?", "english": "May I ask you something?"}},
+        {"id": "a1-pdf-0640", "german": "Gast", "article": "der", "plural": "-ä, e", "english": "guest", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Wir haben Gäste.", "english": "We have guests."}},
+        {"id": "a1-pdf-0641", "german": "Geburtstag", "article": "der", "plural": "-e", "english": "birthday", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Wann ist dein Geburtstag?", "english": "When is your birthday?"}},
+        {"id": "a1-pdf-0642", "german": "Gespräch", "article": "das", "plural": "-e", "english": "conversation", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Das Gespräch war interessant.", "english": "The conversation was interesting."}},
+        {"id": "a1-pdf-0643", "german": "Kunde", "article": "der", "plural": "-n", "english": "customer", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Der Kunde kauft etwas.", "english": "The customer buys something."}},
+        {"id": "a1-pdf-0644", "german": "Kundin", "article": "die", "plural": "-nen", "english": "customer (female)", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Die Kundin ist zufrieden.", "english": "The customer (female) is satisfied."}},
+        {"id": "a1-pdf-0645", "german": "Lösung", "article": "die", "plural": "-en", "english": "solution", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Das ist die Lösung.", "english": "That's the solution."}},
+        {"id": "a1-pdf-0646", "german": "Hund", "article": "der", "plural": "-e", "english": "dog", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Der Hund ist groß.", "english": "The dog is big."}},
+        {"id": "a1-pdf-0647", "german": "Katze", "article": "die", "plural": "-n", "english": "cat", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Die Katze schläft.", "english": "The cat is sleeping."}},
+        {"id": "a1-pdf-0648", "german": "Kindergarten", "article": "der", "plural": "-ä", "english": "kindergarten", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Mein Kind geht in den Kindergarten.", "english": "My child goes to kindergarten."}},
+        {"id": "a1-pdf-0649", "german": "Koffer", "article": "der", "plural": "-", "english": "suitcase", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Wo ist mein Koffer?", "english": "Where is my suitcase?"}},
+        {"id": "a1-pdf-0650", "german": "Kreditkarte", "article": "die", "plural": "-n", "english": "credit card", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Kann ich mit Kreditkarte bezahlen?", "english": "Can I pay with credit card?"}},
+        {"id": "a1-pdf-0651", "german": "Kreuzung", "article": "die", "plural": "-en", "english": "intersection", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "An der Kreuzung links.", "english": "At the intersection turn left."}},
+        {"id": "a1-pdf-0652", "german": "Küche", "article": "die", "plural": "-n", "english": "kitchen", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Die Küche ist groß.", "english": "The kitchen is large."}},
+        {"id": "a1-pdf-0653", "german": "Kühlschrank", "article": "der", "plural": "-ä, e", "english": "refrigerator", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Der Kühlschrank ist leer.", "english": "The refrigerator is empty."}},
+        {"id": "a1-pdf-0654", "german": "Lampe", "article": "die", "plural": "-n", "english": "lamp", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Die Lampe ist an.", "english": "The lamp is on."}},
+        {"id": "a1-pdf-0655", "german": "Landkarte", "article": "die", "plural": "-n", "english": "map", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Ich brauche eine Landkarte.", "english": "I need a map."}},
+        {"id": "a1-pdf-0656", "german": "Lebensmittel", "article": "die", "plural": null, "english": "food/groceries", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Ich kaufe Lebensmittel.", "english": "I'm buying groceries."}},
+        {"id": "a1-pdf-0657", "german": "Lebenslauf", "article": "der", "plural": "-ä, e", "english": "CV/resume", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Ich schreibe meinen Lebenslauf.", "english": "I'm writing my CV."}},
+        {"id": "a1-pdf-0502", "german": "Postkarte", "article": "die", "plural": "-n", "english": "postcard", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Ich schreibe eine Postkarte.", "english": "I'm writing a postcard."}},
+        {"id": "a1-pdf-0503", "german": "Paket", "article": "das", "plural": "-e", "english": "package", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Ich erwarte ein Paket.", "english": "I'm expecting a package."}},
+        {"id": "a1-pdf-0504", "german": "Foto", "article": "das", "plural": "-s", "english": "photo", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Die Fotos liegen auf dem Tisch.", "english": "The photos are lying on the table."}},
+        {"id": "a1-pdf-0505", "german": "Abend", "article": "der", "plural": "-e", "english": "evening", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Abends essen wir zusammen.", "english": "In the evening we eat together."}},
+        {"id": "a1-pdf-0506", "german": "Morgen", "article": "der", "plural": "-", "english": "morning", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Guten Morgen!", "english": "Good morning!"}},
+        {"id": "a1-pdf-0507", "german": "Nachmittag", "article": "der", "plural": "-e", "english": "afternoon", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Heute Nachmittag habe ich Zeit.", "english": "This afternoon I have time."}},
+        {"id": "a1-pdf-0508", "german": "Nacht", "article": "die", "plural": "-ä, e", "english": "night", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Gute Nacht!", "english": "Good night!"}},
+        {"id": "a1-pdf-0509", "german": "Stunde", "article": "die", "plural": "-n", "english": "hour", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Der Termin war vor einer Stunde.", "english": "The appointment was an hour ago."}},
+        {"id": "a1-pdf-0510", "german": "Minute", "article": "die", "plural": "-n", "english": "minute", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Können Sie ein paar Minuten warten?", "english": "Can you wait a few minutes?"}},
+        {"id": "a1-pdf-0511", "german": "Sekunde", "article": "die", "plural": "-n", "english": "second", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Eine Sekunde bitte.", "english": "One second please."}},
+        {"id": "a1-pdf-0512", "german": "Woche", "article": "die", "plural": "-n", "english": "week", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Diese Woche habe ich viel zu tun.", "english": "This week I have a lot to do."}},
+        {"id": "a1-pdf-0513", "german": "Wochenende", "article": "das", "plural": "-n", "english": "weekend", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Wohin wollen Sie am Wochenende?", "english": "Where do you want to go on the weekend?"}},
+        {"id": "a1-pdf-0514", "german": "Jahr", "article": "das", "plural": "-e", "english": "year", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Wie alt sind Sie? Wie viele Jahre?", "english": "How old are you? How many years?"}},
+        {"id": "a1-pdf-0614", "german": "abends", "article": null, "plural": null, "english": "in the evening", "hindi": null, "translit": null, "level": "A1", "topic": "Common_Nouns", "example": {"german": "Abends essen wir zusammen.", "english": "In the evening we eat together."}},
+        {"id": "a1-pdf-0515", "german": "in", "article": null, "plural": null, "english": "in", "hindi": null, "translit": null, "level": "A1", "topic": "Prepositions_Particles", "example": {"german": "Ich wohne in München.", "english": "I live in Munich."}},
+        {"id": "a1-pdf-0516", "german": "im", "article": null, "plural": null, "english": "in the", "hindi": null, "translit": null, "level": "A1", "topic": "Prepositions_Particles", "example": {"german": "Im Januar ist es kalt.", "english": "In January it is cold."}},
+        {"id": "a1-pdf-0517", "german": "an", "article": null, "plural": null, "english": "at/on", "hindi": null, "translit": null, "level": "A1", "topic": "Prepositions_Particles", "example": {"german": "Am Montag habe ich Zeit.", "english": "On Monday I have time."}},
+        {"id": "a1-pdf-0518", "german": "auf", "article": null, "plural": null, "english": "on/up", "hindi": null, "translit": null, "level": "A1", "topic": "Prepositions_Particles", "example": {"german": "Auf Wiedersehen!", "english": "Goodbye!"}},
+        {"id": "a1-pdf-0519", "german": "aus", "article": null, "plural": null, "english": "from/out", "hindi": null, "translit": null, "level": "A1", "topic": "Prepositions_Particles", "example": {"german": "Der Wind kommt aus Osten.", "english": "The wind comes from the east."}},
+        {"id": "a1-pdf-0520", "german": "nach", "article": null, "plural": null, "english": "to/after", "hindi": null, "translit": null, "level": "A1", "topic": "Prepositions_Particles", "example": {"german": "Wir reisen nach Italien.", "english": "We travel to Italy."}},
+        {"id": "a1-pdf-0521", "german": "mit", "article": null, "plural": null, "english": "with", "hindi": null, "translit": null, "level": "A1", "topic": "Prepositions_Particles", "example": {"german": "Ich fahre gern mit dem Zug.", "english": "I like to travel by train."}},
+        {"id": "a1-pdf-0522", "german": "zu", "article": null, "plural": null, "english": "to/too", "hindi": null, "translit": null, "level": "A1", "topic": "Prepositions_Particles", "example": {"german": "Der Bus fährt zum Bahnhof.", "english": "The bus goes to the train station."}},
+        {"id": "a1-pdf-0523", "german": "zur", "article": null, "plural": null, "english": "to the", "hindi": null, "translit": null, "level": "A1", "topic": "Prepositions_Particles", "example": {"german": "Ich gehe zur Bank.", "english": "I'm going to the bank."}},
+        {"id": "a1-pdf-0524", "german": "durch", "article": null, "plural": null, "english": "through", "hindi": null, "translit": null, "level": "A1", "topic": "Prepositions_Particles", "example": {"german": "Wir müssen noch durch den Zoll.", "english": "We still have to go through customs."}},
+        {"id": "a1-pdf-0525", "german": "seit", "article": null, "plural": null, "english": "since", "hindi": null, "translit": null, "level": "A1", "topic": "Prepositions_Particles", "example": {"german": "Seit wann haben Sie diese Wohnung?", "english": "Since when have you had this apartment?"}},
+        {"id": "a1-pdf-0526", "german": "ab", "article": null, "plural": null, "english": "from/off", "hindi": null, "translit": null, "level": "A1", "topic": "Prepositions_Particles", "example": {"german": "Ab wann können Sie kommen?", "english": "From when can you come?"}},
+        {"id": "a1-pdf-0527", "german": "beim", "article": null, "plural": null, "english": "at the", "hindi": null, "translit": null, "level": "A1", "topic": "Prepositions_Particles", "example": {"german": "Ich kaufe Brot beim Bäcker.", "english": "I buy bread at the baker's."}},
+        {"id": "a1-pdf-0528", "german": "geradeaus", "article": null, "plural": null, "english": "straight ahead", "hindi": null, "translit": null, "level": "A1", "topic": "Prepositions_Particles", "example": {"german": "Gehen Sie geradeaus.", "english": "Go straight ahead."}},
+        {"id": "a1-pdf-0529", "german": "oben", "article": null, "plural": null, "english": "above / up", "hindi": null, "translit": null, "level": "A1", "topic": "Prepositions_Particles", "example": {"german": "Er wohnt ganz oben im Haus.", "english": "He lives at the top of the house."}},
+        {"id": "a1-pdf-0530", "german": "unten", "article": null, "plural": null, "english": "below / down", "hindi": null, "translit": null, "level": "A1", "topic": "Prepositions_Particles", "example": {"german": "Er wohnt ganz unten im Haus.", "english": "He lives at the bottom of the house."}},
+        {"id": "a1-pdf-0531", "german": "vorne", "article": null, "plural": null, "english": "in front", "hindi": null, "translit": null, "level": "A1", "topic": "Prepositions_Particles", "example": {"german": "Das Auto steht vorne.", "english": "The car is in front."}},
+        {"id": "a1-pdf-0532", "german": "hinten", "article": null, "plural": null, "english": "behind / back", "hindi": null, "translit": null, "level": "A1", "topic": "Prepositions_Particles", "example": {"german": "Der Bus hält hinten.", "english": "The bus stops at the back."}}
+    ]
+});
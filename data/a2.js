@@ -0,0 +1,1346 @@
+/* A2 Vocabulary - word list for a2.html, rendered by js/vocab.js.
+   The object passed to register() is plain JSON, one word per line. */
+GermanVocab.register({
+    "page": "a2",
+    "title": "A2 Vocabulary",
+    "level": "A2",
+    "unit": "words",
+    "rowTint": "20",
+    "columns": [
+        {"key": "german", "label": "German"},
+        {"key": "translit", "label": "Pronunciation (Hindi)"},
+        {"key": "hindi", "label": "Hindi"},
+        {"key": "english", "label": "English"}
+    ],
+    "sections": [
+        {"id": "Travel_&_Transport", "title": "Travel & Transport", "emoji": "🚗", "german": "Reisen & Verkehr", "translit": "राइज़ेन & फेरकेर", "color": "#b2dfdb", "level": "A2"},
+        {"id": "Health_&_Wellness", "title": "Health & Wellness", "emoji": "🏥", "german": "Gesundheit & Wellness", "translit": "गेज़ुंटहाइट & वेलनेस", "color": "#ffebee", "level": "A2"},
+        {"id": "Shopping_&_Fashion", "title": "Shopping & Fashion", "emoji": "🛍️", "german": "Einkaufen & Mode", "translit": "आइनकाउफेन & मोडे", "color": "#fff59d", "level": "A2"},
+        {"id": "Food_&_Restaurant", "title": "Food & Restaurant", "emoji": "🍽️", "german": "Essen & Restaurant", "translit": "एसेन & रेस्टोरां", "color": "#c8e6c9", "level": "A2"},
+        {"id": "Time_&_Calendar", "title": "Time & Calendar", "emoji": "📅", "german": "Zeit & Kalender", "translit": "त्साइट & कालेंडर", "color": "#e1bee7", "level": "A2"},
+        {"id": "Work_&_Career", "title": "Work & Career", "emoji": "💼", "german": "Arbeit & Karriere", "translit": "आर्बाइट & कारिएरे", "color": "#cfd8dc", "level": "A2"},
+        {"id": "Education_&_Learning", "title": "Education & Learning", "emoji": "📚", "german": "Bildung & Lernen", "translit": "बिल्डुंग & लेर्नेन", "color": "#bbdefb", "level": "A2"},
+        {"id": "Home_&_Household", "title": "Home & Household", "emoji": "🏠", "german": "Haus & Haushalt", "translit": "हाउस & हाउसहाल्ट", "color": "#fff9c4", "level": "A2"},
+        {"id": "Environment_&_Nature", "title": "Environment & Nature", "emoji": "🌿", "german": "Umwelt & Natur", "translit": "उमवेल्ट & नाटूर", "color": "#dcedc8", "level": "A2"},
+        {"id": "Hobbies_&_Leisure", "title": "Hobbies & Leisure", "emoji": "🎮", "german": "Hobbys & Freizeit", "translit": "होबीज़ & फ्राइत्साइट", "color": "#b2ebf2", "level": "A2"},
+        {"id": "Feelings_&_Emotions", "title": "Feelings & Emotions", "emoji": "💭", "german": "Gefühle & Emotionen", "translit": "गेफ्यूले & एमोत्सियोनेन", "color": "#f8bbd9", "level": "A2"},
+        {"id": "Family_&_Relationships", "title": "Family & Relationships", "emoji": "👨‍👩‍👧", "german": "Familie & Beziehungen", "translit": "फामीली & बेत्सीउंगेन", "color": "#e3f2fd", "level": "A2"},
+        {"id": "Celebrations_&_Events", "title": "Celebrations & Events", "emoji": "🎉", "german": "Feiern & Veranstaltungen", "translit": "फाइर्न & फेरांश्टाल्टुंगेन", "color": "#ffe082", "level": "A2"},
+        {"id": "Communication_&_Technology", "title": "Communication & Technology", "emoji": "📱", "german": "Kommunikation & Technologie", "translit": "कोम्युनिकात्सियोन & टेक्नोलोगी", "color": "#d1c4e9", "level": "A2"},
+        {"id": "Banking_&_Finance", "title": "Banking & Finance", "emoji": "🏦", "german": "Bank & Finanzen", "translit": "बैंक & फिनांत्सेन", "color": "#ffccbc", "level": "A2"},
+        {"id": "Media_&_Entertainment", "title": "Media & Entertainment", "emoji": "📺", "german": "Medien & Unterhaltung", "translit": "मेडीएन & उंटरहाल्टुंग", "color": "#c5cae9", "level": "A2"},
+        {"id": "Society_&_Politics", "title": "Society & Politics", "emoji": "🌍", "german": "Gesellschaft & Politik", "translit": "गेज़ेलशाफ्ट & पोलिटिक", "color": "#eceff1", "level": "A2"},
+        {"id": "Music_&_Arts", "title": "Music & Arts", "emoji": "🎵", "german": "Musik & Kunst", "translit": "मूज़ीक & कुंस्ट", "color": "#ffcc80", "level": "A2"},
+        {"id": "Daily_Routine", "title": "Daily Routine", "emoji": "⏰", "german": "Tagesablauf", "translit": "टागेसआब्लाउफ", "color": "#80deea", "level": "A2"},
+        {"id": "Animals_&_Wildlife", "title": "Animals & Wildlife", "emoji": "🐾", "german": "Tiere & Tierwelt", "translit": "टीरे & टीरवेल्ट", "color": "#ffe0b2", "level": "A2"},
+        {"id": "Weather_&_Climate", "title": "Weather & Climate", "emoji": "🌤️", "german": "Wetter & Klima", "translit": "वेटर & क्लीमा", "color": "#81d4fa", "level": "A2"},
+        {"id": "Sports_&_Activities", "title": "Sports & Activities", "emoji": "⚽", "german": "Sport & Aktivitäten", "translit": "श्पोर्ट & आक्टिविटेटेन", "color": "#ffab91", "level": "A2"}
+    ],
+    "words": [
+        {"id": "a2-0001", "german": "Richtung", "article": "die", "plural": null, "english": "direction", "hindi": "दिशा", "translit": "डी रिख्टुंग", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0002", "german": "Fußgängerzone", "article": "die", "plural": null, "english": "pedestrian zone", "hindi": "पैदल क्षेत्र", "translit": "डी फूसगेंगरत्सोने", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0003", "german": "Fahrrad", "article": "das", "plural": null, "english": "bicycle", "hindi": "साइकिल", "translit": "डास फाराट", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0004", "german": "Helm", "article": "der", "plural": null, "english": "helmet", "hindi": "हेलमेट", "translit": "डेयर हेल्म", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0005", "german": "Geschwindigkeit", "article": "die", "plural": null, "english": "speed", "hindi": "गति", "translit": "डी गेश्विंडिखकाइट", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0006", "german": "Versicherung", "article": "die", "plural": null, "english": "insurance", "hindi": "बीमा", "translit": "डी फेर्ज़िखेरुंग", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0007", "german": "Reparatur", "article": "die", "plural": null, "english": "repair", "hindi": "मरम्मत", "translit": "डी रेपारातूर", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0008", "german": "Panne", "article": "die", "plural": null, "english": "breakdown", "hindi": "खराबी", "translit": "डी पाने", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0009", "german": "Unfall", "article": "der", "plural": null, "english": "accident", "hindi": "दुर्घटना", "translit": "डेयर उनफाल", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0010", "german": "Passform", "article": "die", "plural": null, "english": "fit", "hindi": "फिटिंग", "translit": "डी पासफॉर्म", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0011", "german": "Fahrt", "article": "die", "plural": null, "english": "journey/trip", "hindi": "यात्रा", "translit": "डी फार्ट", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0012", "german": "das Fahrrad fahren", "article": null, "plural": null, "english": "to ride a bike", "hindi": "साइकिल चलाना", "translit": "डास फाराट फारेन", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0013", "german": "Flug", "article": "der", "plural": null, "english": "flight", "hindi": "उड़ान", "translit": "डेयर फ्लूग", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0014", "german": "Passkontrolle", "article": "der", "plural": null, "english": "passport control", "hindi": "पासपोर्ट कंट्रोल", "translit": "डेयर पासकोंट्रोले", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0015", "german": "Gate", "article": "das", "plural": null, "english": "gate", "hindi": "गेट", "translit": "डास गेट", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0016", "german": "Landung", "article": "die", "plural": null, "english": "landing", "hindi": "लैंडिंग", "translit": "डी लांडुंग", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0017", "german": "Staubsauger", "article": "der", "plural": null, "english": "vacuum cleaner", "hindi": "वैक्यूम क्लीनर", "translit": "डेयर श्टाउबज़ाउगर", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0018", "german": "entspannen", "article": null, "plural": null, "english": "to relax", "hindi": "आराम करना", "translit": "एंटश्पानेन", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0019", "german": "Reiseplanung", "article": "die", "plural": null, "english": "trip planning", "hindi": "यात्रा योजना", "translit": "डी राइज़ेप्लानुंग", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0020", "german": "Hotelzimmer", "article": "das", "plural": null, "english": "hotel room", "hindi": "होटल का कमरा", "translit": "डास होटेलत्सिमर", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0021", "german": "Rezeption", "article": "die", "plural": null, "english": "reception", "hindi": "रिसेप्शन", "translit": "डी रेत्सेप्त्सियोन", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0022", "german": "Stadtbesichtigung", "article": "die", "plural": null, "english": "city tour", "hindi": "शहर का दौरा", "translit": "डी श्टाटबेज़िख्टिगुंग", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0023", "german": "Führer", "article": "der", "plural": null, "english": "guide", "hindi": "गाइड", "translit": "डेयर फ्यूरर", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0024", "german": "spannend", "article": null, "plural": null, "english": "exciting", "hindi": "रोमांचक", "translit": "श्पानेन्द", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0025", "german": "Touristeninformation", "article": "die", "plural": null, "english": "tourist information", "hindi": "पर्यटक सूचना केंद्र", "translit": "डी टूरिस्टेनइन्फॉर्मात्सियोन", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0026", "german": "Zone", "article": "die", "plural": null, "english": "zone", "hindi": "क्षेत्र", "translit": "डी त्सोने", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0027", "german": "Ticket", "article": "das", "plural": null, "english": "ticket", "hindi": "टिकट", "translit": "डास टिकेट", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0028", "german": "Geschwindigkeitsbegrenzung", "article": "die", "plural": null, "english": "speed limit", "hindi": "गति सीमा", "translit": "डी गेश्विंडिखकाइट्सबेग्रेंट्सुंग", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0029", "german": "Verkehrsschild", "article": "das", "plural": null, "english": "traffic sign", "hindi": "ट्रैफिक साइन", "translit": "डास फेरकेर्सशिल्ट", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0030", "german": "Vorfahrt", "article": "die", "plural": null, "english": "right of way", "hindi": "प्राथमिकता", "translit": "डी फोरफार्ट", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0031", "german": "Einbahnstraße", "article": "die", "plural": null, "english": "one-way street", "hindi": "एक तरफा सड़क", "translit": "डी आइनबानश्ट्रासे", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0032", "german": "Umleitung", "article": "die", "plural": null, "english": "diversion", "hindi": "डायवर्शन", "translit": "डी उमलाइटुंग", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0033", "german": "Stau", "article": "der", "plural": null, "english": "traffic jam", "hindi": "ट्रैफिक जाम", "translit": "डेयर श्टाउ", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0034", "german": "Versicherungskarte", "article": "die", "plural": null, "english": "insurance card", "hindi": "बीमा कार्ड", "translit": "डी फेर्ज़िखेरुंग्सकार्टे", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0035", "german": "das Zimmer reservieren", "article": null, "plural": null, "english": "to reserve a room", "hindi": "कमरा बुक करना", "translit": "डास त्सिमर रेज़र्वीरेन", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0036", "german": "Einzelzimmer", "article": "das", "plural": null, "english": "single room", "hindi": "सिंगल रूम", "translit": "डास आइन्ट्सेलत्सिमर", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0037", "german": "Doppelzimmer", "article": "das", "plural": null, "english": "double room", "hindi": "डबल रूम", "translit": "डास डोपेलत्सिमर", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0038", "german": "einchecken", "article": null, "plural": null, "english": "to check in", "hindi": "चेक इन करना", "translit": "आइनचेकन", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0039", "german": "auschecken", "article": null, "plural": null, "english": "to check out", "hindi": "चेक आउट करना", "translit": "औसचेकन", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0040", "german": "Tour", "article": "die", "plural": null, "english": "tour", "hindi": "टूर", "translit": "डी टूर", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0041", "german": "das Ticket kaufen", "article": null, "plural": null, "english": "to buy a ticket", "hindi": "टिकट खरीदना", "translit": "डास टिकेट कौफेन", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0042", "german": "Badezimmer", "article": "das", "plural": null, "english": "bathroom", "hindi": "बाथरूम", "translit": "डास बाडेत्सिमर", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0043", "german": "Staub", "article": "der", "plural": null, "english": "dust", "hindi": "धूल", "translit": "डेयर श्टाउब", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0044", "german": "Stadtmitte", "article": "die", "plural": null, "english": "city center", "hindi": "शहर का केंद्र", "translit": "डी श्टाटमिटे", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0045", "german": "Marktplatz", "article": "der", "plural": null, "english": "market square", "hindi": "मार्केट चौक", "translit": "डेयर मार्क्टप्लात्स", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0046", "german": "Wochenmarkt", "article": "der", "plural": null, "english": "weekly market", "hindi": "साप्ताहिक बाज़ार", "translit": "डेयर वोखेनमार्क्ट", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0047", "german": "Statue", "article": "die", "plural": null, "english": "statue", "hindi": "मूर्ति", "translit": "डी श्टाटूए", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0048", "german": "Brunnen", "article": "der", "plural": null, "english": "fountain", "hindi": "फव्वारा", "translit": "डेयर ब्रुनेन", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0049", "german": "Landschaft", "article": "die", "plural": null, "english": "landscape", "hindi": "प्राकृतिक दृश्य", "translit": "डी लांडशाफ्ट", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0050", "german": "Stadtführer", "article": "der", "plural": null, "english": "city guide", "hindi": "शहर गाइड", "translit": "डेयर श्टाटफ्यूरर", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0051", "german": "Orientierung", "article": "die", "plural": null, "english": "orientation", "hindi": "दिशा ज्ञान", "translit": "डी ओरिएंटीरुंग", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0052", "german": "Kompass", "article": "der", "plural": null, "english": "compass", "hindi": "कंपास", "translit": "डेयर कोम्पास", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0053", "german": "Navigation", "article": "die", "plural": null, "english": "navigation", "hindi": "नेविगेशन", "translit": "डी नाविगात्सियोन", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0054", "german": "GPS", "article": "das", "plural": null, "english": "GPS", "hindi": "जीपीएस", "translit": "डास जी पी एस", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0055", "german": "Entfernung", "article": "die", "plural": null, "english": "distance", "hindi": "दूरी", "translit": "डी एंटफर्नुंग", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0056", "german": "Kilometer", "article": "die", "plural": null, "english": "kilometers", "hindi": "किलोमीटर", "translit": "डी किलोमेटर", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0057", "german": "Raststätte", "article": "die", "plural": null, "english": "rest stop", "hindi": "रेस्ट स्टॉप", "translit": "डी रास्टश्टेटे", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0058", "german": "Maut", "article": "die", "plural": null, "english": "toll", "hindi": "टोल", "translit": "डी माउट", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0059", "german": "Vignette", "article": "die", "plural": null, "english": "toll sticker", "hindi": "टोल स्टिकर", "translit": "डी विग्नेटे", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0060", "german": "Grenze", "article": "die", "plural": null, "english": "border", "hindi": "सीमा", "translit": "डी ग्रेंट्से", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0061", "german": "Zollkontrolle", "article": "die", "plural": null, "english": "customs control", "hindi": "कस्टम कंट्रोल", "translit": "डी त्सोलकोंट्रोले", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0062", "german": "Abflug", "article": "der", "plural": null, "english": "departure (flight)", "hindi": "प्रस्थान", "translit": "डेयर आपफ्लूग", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0063", "german": "Ankunft", "article": "die", "plural": null, "english": "arrival", "hindi": "आगमन", "translit": "डी आनकुन्फ्ट", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0064", "german": "Führerschein", "article": "der", "plural": null, "english": "driving license", "hindi": "ड्राइविंग लाइसेंस", "translit": "डेयर फ्यूरर्शाइन", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0065", "german": "Reisepass", "article": "der", "plural": null, "english": "passport", "hindi": "पासपोर्ट", "translit": "डेयर राइज़ेपास", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-1179", "german": "Visum", "article": "das", "plural": null, "english": "visa", "hindi": "वीज़ा", "translit": "डास विज़ुम", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-1180", "german": "Bordkarte", "article": "die", "plural": null, "english": "boarding pass", "hindi": "बोर्डिंग पास", "translit": "डी बोर्डकार्टे", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-1181", "german": "Zug", "article": "der", "plural": null, "english": "train", "hindi": "ट्रेन", "translit": "डेयर त्सूग", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-1182", "german": "Bus", "article": "der", "plural": null, "english": "bus", "hindi": "बस", "translit": "डेयर बुस", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-1183", "german": "Straßenbahn", "article": "die", "plural": null, "english": "tram", "hindi": "ट्राम", "translit": "डी श्ट्रासेनबान", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-1184", "german": "U-Bahn", "article": "die", "plural": null, "english": "subway/metro", "hindi": "मेट्रो", "translit": "डी उ-बान", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-1185", "german": "Taxi", "article": "das", "plural": null, "english": "taxi", "hindi": "टैक्सी", "translit": "डास टैक्सी", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-1186", "german": "Zentrum", "article": "das", "plural": null, "english": "center", "hindi": "केंद्र", "translit": "डास त्सेंट्रम", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-1187", "german": "Zoll", "article": "der", "plural": null, "english": "customs", "hindi": "कस्टम", "translit": "डेयर त्सोल", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0066", "german": "Gepäck", "article": "das", "plural": null, "english": "luggage", "hindi": "सामान", "translit": "डास गेपेक", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0067", "german": "Koffer", "article": "der", "plural": null, "english": "suitcase", "hindi": "सूटकेस", "translit": "डेयर कोफर", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0068", "german": "Haltestelle", "article": "die", "plural": null, "english": "stop (bus/tram)", "hindi": "स्टॉप", "translit": "डी हाल्टेश्टेले", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0069", "german": "Bahnsteig", "article": "der", "plural": null, "english": "platform", "hindi": "प्लेटफॉर्म", "translit": "डेयर बान्श्टाइग", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0070", "german": "umsteigen", "article": null, "plural": null, "english": "to transfer/change", "hindi": "ट्रांसफर करना", "translit": "उमश्टाइगेन", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0071", "german": "Fahrkarte", "article": "die", "plural": null, "english": "train ticket", "hindi": "ट्रेन टिकट", "translit": "डी फारकार्टे", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0072", "german": "Bahnhof", "article": "der", "plural": null, "english": "train station", "hindi": "रेलवे स्टेशन", "translit": "डेयर बानहोफ", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0073", "german": "Abfahrt", "article": "die", "plural": null, "english": "departure", "hindi": "प्रस्थान", "translit": "डी आबफार्ट", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0074", "german": "Ankunft", "article": "die", "plural": null, "english": "arrival", "hindi": "आगमन", "translit": "डी आनकुंफ्ट", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0075", "german": "Fahrplan", "article": "der", "plural": null, "english": "timetable/schedule", "hindi": "समय सारणी", "translit": "डेयर फारप्लान", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0076", "german": "Verspätung", "article": "die", "plural": null, "english": "delay", "hindi": "देरी", "translit": "डी फेर्श्पेटुंग", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0077", "german": "Flughafen", "article": "der", "plural": null, "english": "airport", "hindi": "हवाई अड्डा", "translit": "डेयर फ्लूगहाफेन", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0078", "german": "Gepäck", "article": "das", "plural": null, "english": "luggage", "hindi": "सामान", "translit": "डास गेपेक", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0079", "german": "Koffer", "article": "der", "plural": null, "english": "suitcase", "hindi": "सूटकेस", "translit": "डेयर कोफर", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0080", "german": "Reise", "article": "die", "plural": null, "english": "journey/trip", "hindi": "यात्रा", "translit": "डी राइज़े", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-1177", "german": "Rucksack", "article": "der", "plural": null, "english": "backpack", "hindi": "बैकपैक", "translit": "डेयर रुक्साक", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-1178", "german": "Reisetasche", "article": "die", "plural": null, "english": "travel bag", "hindi": "यात्रा बैग", "translit": "डी राइज़ेटाशे", "level": "A2", "topic": "Travel_&_Transport"},
+        {"id": "a2-0081", "german": "Rezept", "article": "die", "plural": null, "english": "prescription", "hindi": "प्रिस्क्रिप्शन", "translit": "डी रेत्सेप्ट", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0082", "german": "Kontaktlinse", "article": "die", "plural": null, "english": "contact lens", "hindi": "कॉन्टैक्ट लेंस", "translit": "डी कोंटाक्टलिन्ज़े", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0083", "german": "Optiker", "article": "der", "plural": null, "english": "optician", "hindi": "ऑप्टिशियन", "translit": "डेयर ऑप्टिकर", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0084", "german": "Zahnarzt", "article": "die", "plural": null, "english": "dentist", "hindi": "दंत चिकित्सक", "translit": "डी त्सानआर्ट्स्ट", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0085", "german": "Zahnbürste", "article": "die", "plural": null, "english": "toothbrush", "hindi": "टूथब्रश", "translit": "डी त्सानब्यूर्स्टे", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0086", "german": "Zahnpasta", "article": "die", "plural": null, "english": "toothpaste", "hindi": "टूथपेस्ट", "translit": "डी त्सानपास्टा", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0087", "german": "Shampoo", "article": "das", "plural": null, "english": "shampoo", "hindi": "शैंपू", "translit": "डास शैम्पू", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0088", "german": "Creme", "article": "die", "plural": null, "english": "cream", "hindi": "क्रीम", "translit": "डी क्रेमे", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0089", "german": "Kosmetik", "article": "die", "plural": null, "english": "cosmetics", "hindi": "कॉस्मेटिक्स", "translit": "डी कोस्मेटिक", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0090", "german": "Drogerie", "article": "die", "plural": null, "english": "drugstore", "hindi": "ड्रगस्टोर", "translit": "डी ड्रोगेरी", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0091", "german": "Haar", "article": "das", "plural": null, "english": "hair", "hindi": "बाल", "translit": "डास हार", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0092", "german": "Krankmeldung", "article": "die", "plural": null, "english": "sick note", "hindi": "बीमारी की सूचना", "translit": "डी क्रांकमेल्डुंग", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0093", "german": "Blutdruck", "article": "der", "plural": null, "english": "blood pressure", "hindi": "ब्लड प्रेशर", "translit": "डेयर ब्लूटड्रुक", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0094", "german": "Allergie", "article": "die", "plural": null, "english": "allergy", "hindi": "एलर्जी", "translit": "डी आलेर्गी", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-1188", "german": "Übelkeit", "article": "die", "plural": null, "english": "nausea", "hindi": "मतली", "translit": "डी यूबेलकाइट", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-1189", "german": "Schwindel", "article": "der", "plural": null, "english": "dizziness", "hindi": "चक्कर", "translit": "डेयर श्विंडेल", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-1190", "german": "Müdigkeit", "article": "die", "plural": null, "english": "tiredness", "hindi": "थकान", "translit": "डी म्यूडिखकाइट", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-1191", "german": "Schmerz", "article": "der", "plural": null, "english": "pain", "hindi": "दर्द", "translit": "डेयर श्मेर्ट्स", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-1192", "german": "Entzündung", "article": "die", "plural": null, "english": "inflammation", "hindi": "सूजन", "translit": "डी एंटज़ुंडुंग", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-1193", "german": "Verletzung", "article": "die", "plural": null, "english": "injury", "hindi": "चोट", "translit": "डी फेर्लेट्सुंग", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-1194", "german": "Genesung", "article": "die", "plural": null, "english": "recovery", "hindi": "ठीक होना", "translit": "डी गेनेज़ुंग", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-1195", "german": "Notaufnahme", "article": "die", "plural": null, "english": "emergency room", "hindi": "आपातकालीन विभाग", "translit": "डी नोटआउफनाहमे", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-1196", "german": "Zahn", "article": "der", "plural": null, "english": "tooth", "hindi": "दांत", "translit": "डेयर त्सान", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-1197", "german": "tot", "article": null, "plural": null, "english": "dead", "hindi": "मृत", "translit": "टोट", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0095", "german": "Impfung", "article": "die", "plural": null, "english": "vaccination", "hindi": "टीका", "translit": "डी इम्पफुंग", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0096", "german": "Salbe", "article": "die", "plural": null, "english": "ointment", "hindi": "मलहम", "translit": "डी ज़ाल्बे", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0097", "german": "Spritze", "article": "die", "plural": null, "english": "injection", "hindi": "इंजेक्शन", "translit": "डी श्प्रित्से", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0098", "german": "Bluttest", "article": "der", "plural": null, "english": "blood test", "hindi": "ब्लड टेस्ट", "translit": "डेयर ब्लूटटेस्ट", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0099", "german": "Diät", "article": "die", "plural": null, "english": "diet", "hindi": "डाइट", "translit": "डी डीएट", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0100", "german": "abnehmen", "article": null, "plural": null, "english": "to lose weight", "hindi": "वज़न कम करना", "translit": "आपनेमेन", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0101", "german": "zunehmen", "article": null, "plural": null, "english": "to gain weight", "hindi": "वज़न बढ़ना", "translit": "त्सूनेमेन", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0102", "german": "gesund essen", "article": null, "plural": null, "english": "to eat healthy", "hindi": "स्वस्थ खाना", "translit": "गेज़ुंट एसेन", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0103", "german": "Entspannung", "article": "die", "plural": null, "english": "relaxation", "hindi": "आराम", "translit": "डी एंटश्पानुंग", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0104", "german": "Schlaf", "article": "der", "plural": null, "english": "sleep", "hindi": "नींद", "translit": "डेयर श्लाफ", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0105", "german": "Traum", "article": "der", "plural": null, "english": "dream", "hindi": "सपना", "translit": "डेयर ट्राउम", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0106", "german": "Albtraum", "article": "der", "plural": null, "english": "nightmare", "hindi": "बुरा सपना", "translit": "डेयर आल्बट्राउम", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0107", "german": "Wecker", "article": "der", "plural": null, "english": "alarm clock", "hindi": "अलार्म क्लॉक", "translit": "डेयर वेक्कर", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0108", "german": "schlafen gehen", "article": null, "plural": null, "english": "to go to sleep", "hindi": "सोने जाना", "translit": "श्लाफेन गेहन", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0109", "german": "Friseur", "article": "der", "plural": null, "english": "hairdresser", "hindi": "नाई", "translit": "डेयर फ्रीज़ॉर", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0110", "german": "Fieber", "article": "der", "plural": null, "english": "fever", "hindi": "बुखार", "translit": "डेयर फीबर", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0111", "german": "Kopfschmerzen", "article": "die", "plural": null, "english": "headache", "hindi": "सिरदर्द", "translit": "डी कोप्फश्मेर्ट्सेन", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0112", "german": "Halsschmerzen", "article": "die", "plural": null, "english": "sore throat", "hindi": "गले में दर्द", "translit": "डी हाल्सश्मेर्ट्सेन", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0113", "german": "Magenprobleme", "article": "die", "plural": null, "english": "stomach problems", "hindi": "पेट की समस्या", "translit": "डी मागेनप्रोब्लेमे", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0114", "german": "der Termin beim Arzt", "article": null, "plural": null, "english": "doctor's appointment", "hindi": "डॉक्टर का अपॉइंटमेंट", "translit": "डेयर टेर्मीन बाइम आर्ट्स्ट", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0115", "german": "Untersuchung", "article": "die", "plural": null, "english": "examination", "hindi": "जाँच", "translit": "डी उन्टेर्ज़ूखुंग", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0116", "german": "Krankenkasse", "article": "die", "plural": null, "english": "health insurance", "hindi": "स्वास्थ्य बीमा", "translit": "डी क्रांकेनकासे", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0117", "german": "Hygiene", "article": "die", "plural": null, "english": "hygiene", "hindi": "स्वच्छता", "translit": "डी हाइगीने", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0118", "german": "Ernährung", "article": "die", "plural": null, "english": "nutrition", "hindi": "पोषण", "translit": "डी एरनेरुंग", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0119", "german": "ungesund", "article": null, "plural": null, "english": "unhealthy", "hindi": "अस्वस्थ", "translit": "उनगेज़ुंट", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0120", "german": "Vitamine", "article": "die", "plural": null, "english": "vitamins", "hindi": "विटामिन", "translit": "डी फिटामीने", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0121", "german": "Bewegung", "article": "die", "plural": null, "english": "exercise/movement", "hindi": "व्यायाम", "translit": "डी बेवेगुंग", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0122", "german": "Spaziergang", "article": "der", "plural": null, "english": "walk", "hindi": "सैर", "translit": "डेयर श्पात्सीरगांग", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0123", "german": "Meditation", "article": "die", "plural": null, "english": "meditation", "hindi": "ध्यान", "translit": "डी मेडितात्सियोन", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0124", "german": "Yoga", "article": "die", "plural": null, "english": "yoga", "hindi": "योग", "translit": "डी योगा", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0125", "german": "Massage", "article": "die", "plural": null, "english": "massage", "hindi": "मालिश", "translit": "डी मासाज़े", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0126", "german": "Sauna", "article": "die", "plural": null, "english": "sauna", "hindi": "सौना", "translit": "डी ज़ाउना", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0127", "german": "Wellness", "article": "die", "plural": null, "english": "wellness", "hindi": "वेलनेस", "translit": "डी वेलनेस", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0128", "german": "Maniküre", "article": "die", "plural": null, "english": "manicure", "hindi": "मैनिक्योर", "translit": "डी मानीक्यूरे", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0129", "german": "Pediküre", "article": "die", "plural": null, "english": "pedicure", "hindi": "पेडीक्योर", "translit": "डी पेडीक्यूरे", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0130", "german": "Friseursalon", "article": "der", "plural": null, "english": "hair salon", "hindi": "हेयर सैलून", "translit": "डेयर फ्रीज़ॉरज़ालोन", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0131", "german": "Puls", "article": "der", "plural": null, "english": "pulse", "hindi": "नाड़ी", "translit": "डेयर पुल्स", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0132", "german": "Thermometer", "article": "das", "plural": null, "english": "thermometer", "hindi": "थर्मामीटर", "translit": "डास थर्मोमेटर", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0133", "german": "Bauchschmerzen", "article": "die", "plural": null, "english": "stomach ache", "hindi": "पेट दर्द", "translit": "डी बाउखश्मेर्ट्सेन", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0134", "german": "die Medizin nehmen", "article": null, "plural": null, "english": "to take medicine", "hindi": "दवा लेना", "translit": "डी मेडित्सीन नेमेन", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0135", "german": "Notarzt", "article": "der", "plural": null, "english": "emergency doctor", "hindi": "इमरजेंसी डॉक्टर", "translit": "डेयर नोटआर्ट्स्ट", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0136", "german": "Krankenwagen", "article": "der", "plural": null, "english": "ambulance", "hindi": "एम्बुलेंस", "translit": "डेयर क्रांकेनवागेन", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0137", "german": "Operation", "article": "die", "plural": null, "english": "operation", "hindi": "ऑपरेशन", "translit": "डी ओपरात्सियोन", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0138", "german": "Krankenschwester", "article": "die", "plural": null, "english": "nurse", "hindi": "नर्स", "translit": "डी क्रांकेनश्वेस्टर", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0139", "german": "Patient", "article": "der", "plural": null, "english": "patient", "hindi": "मरीज", "translit": "डेयर पात्सिएंट", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0140", "german": "Patientin", "article": "die", "plural": null, "english": "patient (female)", "hindi": "मरीज (महिला)", "translit": "डी पात्सिएंटिन", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0141", "german": "gesund leben", "article": null, "plural": null, "english": "to live healthy", "hindi": "स्वस्थ जीवन जीना", "translit": "गेज़ुंट लेबेन", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0142", "german": "Erkältung", "article": "die", "plural": null, "english": "cold (illness)", "hindi": "सर्दी", "translit": "डी एर्केल्टुंग", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0143", "german": "Grippe", "article": "die", "plural": null, "english": "flu", "hindi": "फ्लू", "translit": "डी ग्रिपे", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0144", "german": "Husten", "article": "der", "plural": null, "english": "cough", "hindi": "खांसी", "translit": "डेयर हुस्टेन", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0145", "german": "Schnupfen", "article": "der", "plural": null, "english": "runny nose", "hindi": "जुकाम", "translit": "डेयर श्नुप्फेन", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0146", "german": "Pflaster", "article": "das", "plural": null, "english": "band-aid", "hindi": "बैंड-एड", "translit": "डास प्फ्लास्टर", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0147", "german": "Verband", "article": "der", "plural": null, "english": "bandage", "hindi": "पट्टी", "translit": "डेयर फेर्बांट", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0148", "german": "Tablette", "article": "die", "plural": null, "english": "tablet/pill", "hindi": "गोली", "translit": "डी टाब्लेटे", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0149", "german": "Wartezimmer", "article": "die", "plural": null, "english": "waiting room", "hindi": "वेटिंग रूम", "translit": "डी वार्टेत्सिमर", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0150", "german": "Röntgen", "article": "der", "plural": null, "english": "X-ray", "hindi": "एक्स-रे", "translit": "डेयर रॉन्टगेन", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0151", "german": "Wunde", "article": "die", "plural": null, "english": "wound", "hindi": "घाव", "translit": "डी वुंडे", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0152", "german": "Operation", "article": "die", "plural": null, "english": "surgery", "hindi": "ऑपरेशन", "translit": "डी ओपेरात्सियोन", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0153", "german": "Behandlung", "article": "die", "plural": null, "english": "treatment", "hindi": "उपचार", "translit": "डी बेहांडलुंग", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0154", "german": "Therapie", "article": "die", "plural": null, "english": "therapy", "hindi": "चिकित्सा", "translit": "डी थेरापी", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0155", "german": "Diagnose", "article": "die", "plural": null, "english": "diagnosis", "hindi": "निदान", "translit": "डी डीआग्नोज़े", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0156", "german": "Symptome", "article": "die", "plural": null, "english": "symptoms", "hindi": "लक्षण", "translit": "डी ज़िम्पटोमे", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0157", "german": "Krankenversicherung", "article": "die", "plural": null, "english": "health insurance", "hindi": "स्वास्थ्य बीमा", "translit": "डी क्रान्केनफेर्ज़िखेरुंग", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0158", "german": "Apotheke", "article": "die", "plural": null, "english": "pharmacy", "hindi": "दवाई की दुकान", "translit": "डी अपोथेके", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0159", "german": "Tablette", "article": "die", "plural": null, "english": "pill/tablet", "hindi": "गोली", "translit": "डी टैबलेटे", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0160", "german": "Impfung", "article": "die", "plural": null, "english": "vaccination", "hindi": "टीका", "translit": "डी इम्पफुंग", "level": "A2", "topic": "Health_&_Wellness"},
+        {"id": "a2-0161", "german": "Pullover", "article": "der", "plural": null, "english": "sweater", "hindi": "स्वेटर", "translit": "डेयर पुलोवर", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0162", "german": "Mode", "article": "die", "plural": null, "english": "fashion", "hindi": "फैशन", "translit": "डी मोडे", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0163", "german": "Reklamation", "article": "die", "plural": null, "english": "complaint", "hindi": "शिकायत", "translit": "डी रेक्लामात्सियोन", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-1200", "german": "Kundenzufriedenheit", "article": "die", "plural": null, "english": "customer satisfaction", "hindi": "ग्राहक संतुष्टि", "translit": "डी कुंडेनत्सूफ्रीडेनहाइट", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-1201", "german": "Angebot", "article": "das", "plural": null, "english": "offer", "hindi": "ऑफर", "translit": "डास आंगेबोट", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-1202", "german": "Gutschein", "article": "der", "plural": null, "english": "voucher", "hindi": "वाउचर", "translit": "डेयर गुटशाइन", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0164", "german": "Umtausch", "article": "die", "plural": null, "english": "exchange", "hindi": "एक्सचेंज", "translit": "डी उमटाउश", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0165", "german": "Anprobe", "article": "die", "plural": null, "english": "trying on", "hindi": "ट्राय करना", "translit": "डी आनप्रोबे", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0166", "german": "Beratung", "article": "die", "plural": null, "english": "advice", "hindi": "सलाह", "translit": "डी बेराटुंग", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0167", "german": "einkaufen gehen", "article": null, "plural": null, "english": "to go shopping", "hindi": "खरीदारी करने जाना", "translit": "आइनकौफेन गेहन", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0168", "german": "Moderator", "article": "der", "plural": null, "english": "host/presenter", "hindi": "होस्ट", "translit": "डेयर मोडेराटोर", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0169", "german": "Reklame", "article": "die", "plural": null, "english": "advertisement", "hindi": "विज्ञापन", "translit": "डी रेकलामे", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0170", "german": "Ausverkauf", "article": "der", "plural": null, "english": "sale", "hindi": "सेल", "translit": "डेयर औसफेरकौफ", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0171", "german": "Garantie", "article": "die", "plural": null, "english": "warranty", "hindi": "गारंटी", "translit": "डी गारांटी", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-1198", "german": "Retoure", "article": "die", "plural": null, "english": "return", "hindi": "वापसी", "translit": "डी रेटौरे", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-1199", "german": "Umtausch", "article": "der", "plural": null, "english": "exchange", "hindi": "एक्सचेंज", "translit": "डेयर उमटाउश", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0172", "german": "Rückgabe", "article": "die", "plural": null, "english": "return", "hindi": "वापसी", "translit": "डी र्यूकगाबे", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0173", "german": "Kabine", "article": "die", "plural": null, "english": "changing room", "hindi": "चेंजिंग रूम", "translit": "डी काबीने", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0174", "german": "Kommode", "article": "die", "plural": null, "english": "chest of drawers", "hindi": "दराजों वाली अलमारी", "translit": "डी कोमोडे", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0175", "german": "Material", "article": "das", "plural": null, "english": "material", "hindi": "सामग्री", "translit": "डास माटेरीआल", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0176", "german": "Baumwolle", "article": "die", "plural": null, "english": "cotton", "hindi": "कपास", "translit": "डी बाउमवोले", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0177", "german": "Wolle", "article": "die", "plural": null, "english": "wool", "hindi": "ऊन", "translit": "डी वोले", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0178", "german": "Leder", "article": "die", "plural": null, "english": "leather", "hindi": "चमड़ा", "translit": "डी लेडर", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0179", "german": "Stiefel", "article": "die", "plural": null, "english": "boots", "hindi": "बूट", "translit": "डी श्टीफेल", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0180", "german": "Sandalen", "article": "die", "plural": null, "english": "sandals", "hindi": "सैंडल", "translit": "डी ज़ांडालेन", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0181", "german": "Turnschuhe", "article": "die", "plural": null, "english": "sneakers", "hindi": "स्नीकर्स", "translit": "डी टुर्नशूहे", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0182", "german": "Accessoires", "article": "die", "plural": null, "english": "accessories", "hindi": "एक्सेसरीज़", "translit": "डी आक्सेसोआर", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0183", "german": "Ohrringe", "article": "die", "plural": null, "english": "earrings", "hindi": "झुमके", "translit": "डी ओररिंगे", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0184", "german": "laden", "article": null, "plural": null, "english": "to charge", "hindi": "चार्ज करना", "translit": "लाडेन", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0185", "german": "die Karte kaufen", "article": null, "plural": null, "english": "to buy a map", "hindi": "नक्शा खरीदना", "translit": "डी कार्टे कौफेन", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0186", "german": "Kasse", "article": "die", "plural": null, "english": "cash register", "hindi": "कैश काउंटर", "translit": "डी कासे", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0187", "german": "Kassenzettel", "article": "der", "plural": null, "english": "receipt", "hindi": "रसीद", "translit": "डेयर कासेनत्सेटल", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0188", "german": "Rabatt", "article": "der", "plural": null, "english": "discount", "hindi": "छूट", "translit": "डेयर राबाट", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0189", "german": "Sonderangebot", "article": "das", "plural": null, "english": "special offer", "hindi": "स्पेशल ऑफर", "translit": "डास ज़ोंडरआंगेबोट", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0190", "german": "Seide", "article": "die", "plural": null, "english": "silk", "hindi": "रेशम", "translit": "डी ज़ाइडे", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0191", "german": "Hemd", "article": "das", "plural": null, "english": "shirt", "hindi": "शर्ट", "translit": "डास हेमट", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0192", "german": "Bluse", "article": "die", "plural": null, "english": "blouse", "hindi": "ब्लाउज", "translit": "डी ब्लूज़े", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0193", "german": "Krawatte", "article": "die", "plural": null, "english": "tie", "hindi": "टाई", "translit": "डी क्रावाटे", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0194", "german": "Gürtel", "article": "der", "plural": null, "english": "belt", "hindi": "बेल्ट", "translit": "डेयर ग्यूर्टेल", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0195", "german": "Handtasche", "article": "die", "plural": null, "english": "handbag", "hindi": "हैंडबैग", "translit": "डी हांटताशे", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0196", "german": "Größe", "article": "die", "plural": null, "english": "size", "hindi": "साइज़", "translit": "डी ग्रोसे", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0197", "german": "passen", "article": null, "plural": null, "english": "to fit", "hindi": "फिट होना", "translit": "पासेन", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0198", "german": "anprobieren", "article": null, "plural": null, "english": "to try on", "hindi": "ट्राय करना", "translit": "आनप्रोबीरेन", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0199", "german": "Preis", "article": "der", "plural": null, "english": "price", "hindi": "कीमत", "translit": "डेयर प्राइस", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0200", "german": "Rabatt", "article": "der", "plural": null, "english": "discount", "hindi": "छूट", "translit": "डेयर राबाट", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0201", "german": "Ausverkauf", "article": "der", "plural": null, "english": "sale", "hindi": "सेल", "translit": "डेयर आउसफेर्काउफ", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0202", "german": "Kasse", "article": "die", "plural": null, "english": "cash register", "hindi": "कैश काउंटर", "translit": "डी कासे", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0203", "german": "bezahlen", "article": null, "plural": null, "english": "to pay", "hindi": "भुगतान करना", "translit": "बेज़ाहलेन", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0204", "german": "Rechnung", "article": "die", "plural": null, "english": "bill", "hindi": "बिल", "translit": "डी रेखनुंग", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0205", "german": "Kassenbon", "article": "der", "plural": null, "english": "receipt", "hindi": "रसीद", "translit": "डेयर कासेनबोन", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0206", "german": "Umkleidekabine", "article": "die", "plural": null, "english": "changing room", "hindi": "चेंजिंग रूम", "translit": "डी उमक्लाइडेकाबीने", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0207", "german": "Ware", "article": "die", "plural": null, "english": "goods", "hindi": "माल", "translit": "डी वारे", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0208", "german": "Qualität", "article": "die", "plural": null, "english": "quality", "hindi": "गुणवत्ता", "translit": "डी क्वालीटेट", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0209", "german": "Marke", "article": "die", "plural": null, "english": "brand", "hindi": "ब्रांड", "translit": "डी मार्के", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0210", "german": "Etikett", "article": "das", "plural": null, "english": "label", "hindi": "लेबल", "translit": "डास एटिकेट", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0211", "german": "Stoff", "article": "der", "plural": null, "english": "fabric", "hindi": "कपड़ा", "translit": "डेयर श्टोफ", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0212", "german": "Farbe", "article": "die", "plural": null, "english": "color", "hindi": "रंग", "translit": "डी फार्बे", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0213", "german": "Muster", "article": "das", "plural": null, "english": "pattern", "hindi": "पैटर्न", "translit": "डास मुस्टर", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0214", "german": "Laden", "article": "der", "plural": null, "english": "shop", "hindi": "दुकान", "translit": "डेयर लाडेन", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0215", "german": "Geschäft", "article": "das", "plural": null, "english": "store", "hindi": "स्टोर", "translit": "डास गेशाफ्ट", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0216", "german": "Größe", "article": "die", "plural": null, "english": "size", "hindi": "साइज़", "translit": "डी ग्रोसे", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0217", "german": "Passform", "article": "die", "plural": null, "english": "fit", "hindi": "फिट", "translit": "डी पासफोर्म", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0218", "german": "Marke", "article": "die", "plural": null, "english": "brand", "hindi": "ब्रांड", "translit": "डी मार्के", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0219", "german": "Ausverkauf", "article": "der", "plural": null, "english": "sale", "hindi": "सेल", "translit": "डेयर आउसफेर्काउफ", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0220", "german": "Kreditkarte", "article": "die", "plural": null, "english": "credit card", "hindi": "क्रेडिट कार्ड", "translit": "डी क्रेडिटकार्टे", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0221", "german": "Barzahlung", "article": "die", "plural": null, "english": "cash payment", "hindi": "नकद भुगतान", "translit": "डी बारत्सालुंग", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0222", "german": "Einkaufswagen", "article": "der", "plural": null, "english": "shopping cart", "hindi": "शॉपिंग कार्ट", "translit": "डेयर आइनकाउफ्सवागेन", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0223", "german": "Qualität", "article": "die", "plural": null, "english": "quality", "hindi": "गुणवत्ता", "translit": "डी क्वालिटेट", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0224", "german": "Garantie", "article": "die", "plural": null, "english": "guarantee", "hindi": "गारंटी", "translit": "डी गारांटी", "level": "A2", "topic": "Shopping_&_Fashion"},
+        {"id": "a2-0225", "german": "Bedienung", "article": "die", "plural": null, "english": "service", "hindi": "सेवा", "translit": "डी बेडीनुंग", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0226", "german": "Mittagessen", "article": "das", "plural": null, "english": "lunch", "hindi": "दोपहर का खाना", "translit": "डास मिटागएसेन", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0227", "german": "Abendessen", "article": "das", "plural": null, "english": "dinner", "hindi": "रात का खाना", "translit": "डास आबेंटएसेन", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0228", "german": "Gemüse", "article": "das", "plural": null, "english": "vegetables", "hindi": "सब्ज़ियाँ", "translit": "डास गेम्यूज़े", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0229", "german": "Kellner", "article": "der", "plural": null, "english": "waiter", "hindi": "वेटर", "translit": "डेयर केल्नर", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0230", "german": "die Rechnung bitte", "article": null, "plural": null, "english": "the bill please", "hindi": "बिल प्लीज़", "translit": "डी रेखनुंग बिटे", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0231", "german": "heute Abend", "article": null, "plural": null, "english": "tonight", "hindi": "आज रात", "translit": "हॉयटे आबेंट", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0232", "german": "Appetit", "article": "der", "plural": null, "english": "appetite", "hindi": "भूख", "translit": "डेयर आपेटीट", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0233", "german": "Hauptgericht", "article": "das", "plural": null, "english": "main course", "hindi": "मेन कोर्स", "translit": "डास हौप्टगेरिख्ट", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0234", "german": "Dessert", "article": "das", "plural": null, "english": "dessert", "hindi": "डेज़र्ट", "translit": "डास डेज़र्ट", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0235", "german": "Nachtisch", "article": "der", "plural": null, "english": "dessert", "hindi": "मीठा", "translit": "डेयर नाख्टिश", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0236", "german": "Kellnerin", "article": "die", "plural": null, "english": "waitress", "hindi": "वेट्रेस", "translit": "डी केल्नेरिन", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0237", "german": "Trinkgeld", "article": "das", "plural": null, "english": "tip", "hindi": "टिप", "translit": "डास ट्रिंकगेल्ट", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0238", "german": "Bäcker", "article": "der", "plural": null, "english": "baker", "hindi": "बेकर", "translit": "डेयर बेकर", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0239", "german": "Metzger", "article": "der", "plural": null, "english": "butcher", "hindi": "कसाई", "translit": "डेयर मेट्सगर", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0240", "german": "Brot", "article": "das", "plural": null, "english": "bread", "hindi": "रोटी", "translit": "डास ब्रोट", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0241", "german": "frisch", "article": null, "plural": null, "english": "fresh", "hindi": "ताज़ा", "translit": "फ्रिश", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0242", "german": "Pfund", "article": "das", "plural": null, "english": "pound (weight)", "hindi": "पाउंड", "translit": "डास प्फुंड", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0243", "german": "Plastiktüte", "article": "die", "plural": null, "english": "plastic bag", "hindi": "प्लास्टिक बैग", "translit": "डी प्लास्टिक्ट्यूटे", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0244", "german": "Frühstücksbuffet", "article": "das", "plural": null, "english": "breakfast buffet", "hindi": "नाश्ता बुफे", "translit": "डास फ्र्यूश्ट्यूक्सबुफेट", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0245", "german": "Feierabend machen", "article": null, "plural": null, "english": "to finish work", "hindi": "काम खत्म करना", "translit": "फायराबेंट माखेन", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0246", "german": "Abendessen", "article": null, "plural": null, "english": "dinner", "hindi": "रात का खाना", "translit": "आबेंटएसेन", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0247", "german": "mit Frühstück", "article": null, "plural": null, "english": "with breakfast", "hindi": "नाश्ते सहित", "translit": "मिट फ्र्यूश्ट्यूक", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0248", "german": "satt", "article": null, "plural": null, "english": "full (after eating)", "hindi": "पेट भरा", "translit": "जाट", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0249", "german": "Geschmack", "article": "der", "plural": null, "english": "taste", "hindi": "स्वाद", "translit": "डेयर गेश्माक", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0250", "german": "vegetarisch", "article": null, "plural": null, "english": "vegetarian", "hindi": "शाकाहारी", "translit": "फेगेटारीश", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0251", "german": "vegan", "article": null, "plural": null, "english": "vegan", "hindi": "शुद्ध शाकाहारी", "translit": "फेगान", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0252", "german": "Kalorie", "article": "die", "plural": null, "english": "calorie", "hindi": "कैलोरी", "translit": "डी कालोरी", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0253", "german": "die Plastiktüte verbieten", "article": null, "plural": null, "english": "to ban plastic bags", "hindi": "प्लास्टिक बैग पर प्रतिबंध", "translit": "डी प्लास्टिक्ट्यूटे फेरबीटेन", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0254", "german": "die Temperatur messen", "article": null, "plural": null, "english": "to measure temperature", "hindi": "तापमान नापना", "translit": "डी टेम्पेरातूर मेसन", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0255", "german": "Vorspeise", "article": "die", "plural": null, "english": "appetizer", "hindi": "स्टार्टर", "translit": "डी फोर्श्पाइज़े", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0256", "german": "Beilage", "article": "die", "plural": null, "english": "side dish", "hindi": "साइड डिश", "translit": "डी बाइलागे", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-1204", "german": "Zitrone", "article": "die", "plural": null, "english": "lemon", "hindi": "नींबू", "translit": "डी त्सित्रोने", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-1205", "german": "Zucker", "article": "der", "plural": null, "english": "sugar", "hindi": "चीनी", "translit": "डेयर त्सुकर", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-1206", "german": "Wurst", "article": "die", "plural": null, "english": "sausage", "hindi": "सॉसेज", "translit": "डी वुर्स्ट", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0257", "german": "bestellen", "article": null, "plural": null, "english": "to order", "hindi": "ऑर्डर करना", "translit": "बेश्टेलन", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0258", "german": "reservieren", "article": null, "plural": null, "english": "to reserve", "hindi": "आरक्षित करना", "translit": "रेज़र्वीरेन", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0259", "german": "Getränk", "article": "das", "plural": null, "english": "beverage", "hindi": "पेय", "translit": "डास गेट्रेंक", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0260", "german": "Löffel", "article": "der", "plural": null, "english": "spoon", "hindi": "चम्मच", "translit": "डेयर लॉफेल", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0261", "german": "Gabel", "article": "die", "plural": null, "english": "fork", "hindi": "कांटा", "translit": "डी गाबेल", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0262", "german": "Messer", "article": "das", "plural": null, "english": "knife", "hindi": "चाकू", "translit": "डास मेसर", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0263", "german": "Serviette", "article": "die", "plural": null, "english": "napkin", "hindi": "नैपकिन", "translit": "डी ज़र्वीएटे", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0264", "german": "Speisekarte", "article": "die", "plural": null, "english": "menu", "hindi": "मेन्यू", "translit": "डी श्पाइज़ेकार्टे", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0265", "german": "Vorspeise", "article": "die", "plural": null, "english": "appetizer", "hindi": "स्टार्टर", "translit": "डी फोर्श्पाइज़े", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0266", "german": "Hauptspeise", "article": "die", "plural": null, "english": "main course", "hindi": "मुख्य पकवान", "translit": "डी हाउप्टश्पाइज़े", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0267", "german": "Nachspeise", "article": "die", "plural": null, "english": "dessert", "hindi": "मिठाई", "translit": "डी नाखश्पाइज़े", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0268", "german": "Beilage", "article": "die", "plural": null, "english": "side dish", "hindi": "साइड डिश", "translit": "डी बाइलागे", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0269", "german": "Zutaten", "article": "die", "plural": null, "english": "ingredients", "hindi": "सामग्री", "translit": "डी ज़ुटाटेन", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0270", "german": "Rezept", "article": "das", "plural": null, "english": "recipe", "hindi": "रेसिपी", "translit": "डास रेज़ेप्ट", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0271", "german": "kochen", "article": null, "plural": null, "english": "to cook", "hindi": "पकाना", "translit": "कोखेन", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0272", "german": "backen", "article": null, "plural": null, "english": "to bake", "hindi": "बेक करना", "translit": "बाकेन", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0273", "german": "braten", "article": null, "plural": null, "english": "to fry", "hindi": "तलना", "translit": "ब्राटेन", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0274", "german": "dünsten", "article": null, "plural": null, "english": "to steam", "hindi": "स्टीम करना", "translit": "ड्यून्स्टेन", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0275", "german": "Geschmack", "article": "der", "plural": null, "english": "taste", "hindi": "स्वाद", "translit": "डेयर गेश्माक", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0276", "german": "süß", "article": null, "plural": null, "english": "sweet", "hindi": "मीठा", "translit": "ज़्यूस", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0277", "german": "sauer", "article": null, "plural": null, "english": "sour", "hindi": "खट्टा", "translit": "ज़ाउर", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0278", "german": "salzig", "article": null, "plural": null, "english": "salty", "hindi": "नमकीन", "translit": "ज़ाल्त्सिख", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0279", "german": "bitter", "article": null, "plural": null, "english": "bitter", "hindi": "कड़वा", "translit": "बिटर", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0280", "german": "würzig", "article": null, "plural": null, "english": "spicy", "hindi": "मसालेदार", "translit": "व्यूर्ट्सिख", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0281", "german": "Küche", "article": "die", "plural": null, "english": "kitchen", "hindi": "रसोई", "translit": "डी क्यूखे", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0282", "german": "Koch", "article": "der", "plural": null, "english": "chef", "hindi": "शेफ", "translit": "डेयर कोख", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0283", "german": "Köchin", "article": "die", "plural": null, "english": "chef (female)", "hindi": "महिला शेफ", "translit": "डी कोखिन", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0284", "german": "Kellner", "article": "der", "plural": null, "english": "waiter", "hindi": "वेटर", "translit": "डेयर केल्नर", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0285", "german": "Speisekarte", "article": "die", "plural": null, "english": "menu", "hindi": "मेनू", "translit": "डी श्पाइज़ेकार्टे", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0286", "german": "Bestellung", "article": "die", "plural": null, "english": "order", "hindi": "ऑर्डर", "translit": "डी बेस्टेलुंग", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0287", "german": "Reservierung", "article": "die", "plural": null, "english": "reservation", "hindi": "आरक्षण", "translit": "डी रेज़ेर्वीरुंग", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0288", "german": "Rechnung", "article": "die", "plural": null, "english": "bill/check", "hindi": "बिल", "translit": "डी रेखनुंग", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-1203", "german": "Gericht", "article": "das", "plural": null, "english": "dish", "hindi": "डिश", "translit": "डास गेरिख्ट", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0289", "german": "Trinkgeld", "article": "das", "plural": null, "english": "tip", "hindi": "टिप", "translit": "डास ट्रिंकगेल्ड", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0290", "german": "Zutaten", "article": "die", "plural": null, "english": "ingredients", "hindi": "सामग्री", "translit": "डी त्सूटाटेन", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0291", "german": "Gewürze", "article": "die", "plural": null, "english": "spices", "hindi": "मसाले", "translit": "डी गेव्यूर्त्से", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0292", "german": "Portion", "article": "die", "plural": null, "english": "portion", "hindi": "पोर्शन", "translit": "डी पोर्त्सियोन", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0293", "german": "Geschmack", "article": "der", "plural": null, "english": "taste", "hindi": "स्वाद", "translit": "डेयर गेश्माक", "level": "A2", "topic": "Food_&_Restaurant"},
+        {"id": "a2-0294", "german": "Montag", "article": "der", "plural": null, "english": "Monday", "hindi": "सोमवार", "translit": "डेयर मोंटाग", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0295", "german": "Dienstag", "article": "der", "plural": null, "english": "Tuesday", "hindi": "मंगलवार", "translit": "डेयर डीन्स्टाग", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0296", "german": "Mittwoch", "article": "der", "plural": null, "english": "Wednesday", "hindi": "बुधवार", "translit": "डेयर मिटवोख", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0297", "german": "Donnerstag", "article": "der", "plural": null, "english": "Thursday", "hindi": "गुरुवार", "translit": "डेयर डोनेर्स्टाग", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0298", "german": "Freitag", "article": "der", "plural": null, "english": "Friday", "hindi": "शुक्रवार", "translit": "डेयर फ्राइटाग", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0299", "german": "Samstag", "article": "der", "plural": null, "english": "Saturday", "hindi": "शनिवार", "translit": "डेयर ज़ाम्स्टाग", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0300", "german": "Sonntag", "article": "der", "plural": null, "english": "Sunday", "hindi": "रविवार", "translit": "डेयर ज़ोनटाग", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0301", "german": "Januar", "article": "der", "plural": null, "english": "January", "hindi": "जनवरी", "translit": "डेयर यानुआर", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0302", "german": "Februar", "article": "der", "plural": null, "english": "February", "hindi": "फरवरी", "translit": "डेयर फेब्रुआर", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0303", "german": "März", "article": "der", "plural": null, "english": "March", "hindi": "मार्च", "translit": "डेयर मेर्ट्स", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0304", "german": "April", "article": "der", "plural": null, "english": "April", "hindi": "अप्रैल", "translit": "डेयर आप्रील", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0305", "german": "Mai", "article": "der", "plural": null, "english": "May", "hindi": "मई", "translit": "डेयर माई", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0306", "german": "Juni", "article": "der", "plural": null, "english": "June", "hindi": "जून", "translit": "डेयर यूनी", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0307", "german": "Juli", "article": "der", "plural": null, "english": "July", "hindi": "जुलाई", "translit": "डेयर यूली", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0308", "german": "August", "article": "der", "plural": null, "english": "August", "hindi": "अगस्त", "translit": "डेयर आउगुस्ट", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0309", "german": "September", "article": "der", "plural": null, "english": "September", "hindi": "सितंबर", "translit": "डेयर ज़ेप्टेम्बर", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0310", "german": "Oktober", "article": "der", "plural": null, "english": "October", "hindi": "अक्टूबर", "translit": "डेयर ओक्टोबर", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0311", "german": "November", "article": "der", "plural": null, "english": "November", "hindi": "नवंबर", "translit": "डेयर नोवेम्बर", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0312", "german": "Dezember", "article": "der", "plural": null, "english": "December", "hindi": "दिसंबर", "translit": "डेयर डेत्सेम्बर", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0313", "german": "Uhrzeit", "article": "die", "plural": null, "english": "time (clock)", "hindi": "समय (घड़ी)", "translit": "डी ऊरत्साइट", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0314", "german": "Viertel nach", "article": null, "plural": null, "english": "quarter past", "hindi": "सवा", "translit": "फीर्टेल नाख", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0315", "german": "Viertel vor", "article": null, "plural": null, "english": "quarter to", "hindi": "पौने", "translit": "फीर्टेल फोर", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0316", "german": "Verzögerung", "article": "die", "plural": null, "english": "delay", "hindi": "देरी", "translit": "डी फेरत्स्योगेरुंग", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0317", "german": "Eile", "article": "die", "plural": null, "english": "hurry", "hindi": "जल्दबाज़ी", "translit": "डी आइले", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0318", "german": "beeilen (sich)", "article": null, "plural": null, "english": "to hurry", "hindi": "जल्दी करना", "translit": "बेआइलेन (जिख)", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0319", "german": "Mailbox", "article": "die", "plural": null, "english": "voicemail", "hindi": "वॉइसमेल", "translit": "डी मेलबॉक्स", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0320", "german": "die E-Mail schreiben", "article": null, "plural": null, "english": "to write an email", "hindi": "ईमेल लिखना", "translit": "डी ई मेल श्राइबेन", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0321", "german": "Langeweile", "article": "die", "plural": null, "english": "boredom", "hindi": "बोरियत", "translit": "डी लांगवाइल", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0322", "german": "Jahrzehnt", "article": "das", "plural": null, "english": "decade", "hindi": "दशक", "translit": "डास यारत्सेंट", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0323", "german": "Jahrhundert", "article": "das", "plural": null, "english": "century", "hindi": "सदी", "translit": "डास यारहुंडर्ट", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0324", "german": "pünktlich", "article": null, "plural": null, "english": "punctual", "hindi": "समय पर", "translit": "प्यूंक्टलिख", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0325", "german": "verspätet", "article": null, "plural": null, "english": "late/delayed", "hindi": "देर से", "translit": "फेर्श्पेटेट", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0326", "german": "Zeitplan", "article": "der", "plural": null, "english": "schedule", "hindi": "शेड्यूल", "translit": "डेयर त्साइटप्लान", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0327", "german": "Zeitraum", "article": "der", "plural": null, "english": "time period", "hindi": "समय अवधि", "translit": "डेयर त्साइटराउम", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-1213", "german": "Uhr", "article": "die", "plural": null, "english": "clock/watch", "hindi": "घड़ी", "translit": "डी उहर", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-1214", "german": "zuerst", "article": null, "plural": null, "english": "first", "hindi": "पहले", "translit": "त्सूएर्स्ट", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-1215", "german": "zuletzt", "article": null, "plural": null, "english": "last", "hindi": "अंत में", "translit": "त्सूलेत्स्ट", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-1216", "german": "wenigstens", "article": null, "plural": null, "english": "at least", "hindi": "कम से कम", "translit": "वेनिग्स्टेन्स", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-1217", "german": "zwischen", "article": null, "plural": null, "english": "between", "hindi": "के बीच", "translit": "त्स्विशेन", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-1218", "german": "zurzeit", "article": null, "plural": null, "english": "currently", "hindi": "वर्तमान में", "translit": "त्सूरत्साइट", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0328", "german": "Frist", "article": "die", "plural": null, "english": "deadline", "hindi": "डेडलाइन", "translit": "डी फ्रिस्ट", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0329", "german": "dauern", "article": null, "plural": null, "english": "to last/take time", "hindi": "समय लगना", "translit": "डाउएर्न", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0330", "german": "Saison", "article": "die", "plural": null, "english": "season", "hindi": "सीज़न", "translit": "डी ज़ाइज़ोन", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0331", "german": "regelmäßig", "article": null, "plural": null, "english": "regularly", "hindi": "नियमित", "translit": "रेगेलमेसिग", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0332", "german": "Zeitzone", "article": "die", "plural": null, "english": "time zone", "hindi": "समय क्षेत्र", "translit": "डी त्साइतत्सोने", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-1207", "german": "Dauer", "article": "die", "plural": null, "english": "duration", "hindi": "अवधि", "translit": "डी डाउर", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-1208", "german": "Vergangenheit", "article": "die", "plural": null, "english": "past", "hindi": "अतीत", "translit": "डी फेर्गांगेनहाइट", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-1209", "german": "Gegenwart", "article": "die", "plural": null, "english": "present", "hindi": "वर्तमान", "translit": "डी गेगेनवार्ट", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-1210", "german": "Zukunft", "article": "die", "plural": null, "english": "future", "hindi": "भविष्य", "translit": "डी त्सूकुंफ्ट", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-1211", "german": "Zeitpunkt", "article": "der", "plural": null, "english": "point in time", "hindi": "समय बिंदु", "translit": "डेयर त्साइतपुंक्ट", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-1212", "german": "Jahreszeit", "article": "die", "plural": null, "english": "season", "hindi": "मौसम", "translit": "डी यारेसत्साइट", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0333", "german": "Woche", "article": "die", "plural": null, "english": "week", "hindi": "सप्ताह", "translit": "डी वोखे", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0334", "german": "Wochenende", "article": "das", "plural": null, "english": "weekend", "hindi": "सप्ताहांत", "translit": "डास वोखेनएंडे", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0335", "german": "Monat", "article": "der", "plural": null, "english": "month", "hindi": "महीना", "translit": "डेयर मोनाट", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0336", "german": "Jahr", "article": "das", "plural": null, "english": "year", "hindi": "साल", "translit": "डास यार", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0337", "german": "Geburtstag", "article": "der", "plural": null, "english": "birthday", "hindi": "जन्मदिन", "translit": "डेयर गेबुर्ट्सटाग", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0338", "german": "Feiertag", "article": "der", "plural": null, "english": "holiday", "hindi": "छुट्टी का दिन", "translit": "डेयर फाइरटाग", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0339", "german": "Pause", "article": "die", "plural": null, "english": "break", "hindi": "ब्रेक", "translit": "डी पाउज़े", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0340", "german": "Stunde", "article": "die", "plural": null, "english": "hour", "hindi": "घंटा", "translit": "डी श्टुंडे", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0341", "german": "Minute", "article": "die", "plural": null, "english": "minute", "hindi": "मिनट", "translit": "डी मिनूटे", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0342", "german": "Sekunde", "article": "die", "plural": null, "english": "second", "hindi": "सेकंड", "translit": "डी सेकुंडे", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0343", "german": "Uhrzeit", "article": "die", "plural": null, "english": "time (clock time)", "hindi": "समय", "translit": "डी उहरत्साइट", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0344", "german": "Zeitspanne", "article": "die", "plural": null, "english": "time period", "hindi": "समय अवधि", "translit": "डी त्साइतश्पाने", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0345", "german": "Pause", "article": "die", "plural": null, "english": "break", "hindi": "ब्रेक", "translit": "डी पाउज़े", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0346", "german": "Verabredung", "article": "die", "plural": null, "english": "appointment", "hindi": "अपॉइंटमेंट", "translit": "डी फेराब्रेडुंग", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0347", "german": "Termin", "article": "der", "plural": null, "english": "date/appointment", "hindi": "तारीख", "translit": "डेयर टेर्मिन", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0348", "german": "Frist", "article": "die", "plural": null, "english": "deadline", "hindi": "समय सीमा", "translit": "डी फ्रिस्ट", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0349", "german": "Verspätung", "article": "die", "plural": null, "english": "delay", "hindi": "देरी", "translit": "डी फेर्श्पेटुंग", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0350", "german": "Erinnerung", "article": "die", "plural": null, "english": "memory/reminder", "hindi": "याददाश्त", "translit": "डी एरिनेरुंग", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0351", "german": "Kalender", "article": "der", "plural": null, "english": "calendar", "hindi": "कैलेंडर", "translit": "डेयर कालेंडर", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0352", "german": "Woche", "article": "die", "plural": null, "english": "week", "hindi": "सप्ताह", "translit": "डी वोखे", "level": "A2", "topic": "Time_&_Calendar"},
+        {"id": "a2-0353", "german": "Meeting", "article": "das", "plural": null, "english": "meeting", "hindi": "मीटिंग", "translit": "डास मीटिंग", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0354", "german": "Chef", "article": "der", "plural": null, "english": "boss", "hindi": "बॉस", "translit": "डेयर शेफ", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0355", "german": "Chefin", "article": "die", "plural": null, "english": "boss (female)", "hindi": "बॉस (महिला)", "translit": "डी शेफिन", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0356", "german": "Überstunden", "article": "die", "plural": null, "english": "overtime", "hindi": "ओवरटाइम", "translit": "डी यूबरश्टुंडेन", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0357", "german": "Besprechung", "article": "die", "plural": null, "english": "meeting/discussion", "hindi": "बैठक", "translit": "डी बेश्प्रेखुंग", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-1222", "german": "Beruf", "article": "der", "plural": null, "english": "profession", "hindi": "पेशा", "translit": "डेयर बेरूफ", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-1223", "german": "Stelle", "article": "die", "plural": null, "english": "position/job", "hindi": "पद", "translit": "डी श्टेले", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-1224", "german": "Firma", "article": "die", "plural": null, "english": "company", "hindi": "कंपनी", "translit": "डी फिर्मा", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-1225", "german": "Arbeitsplatz", "article": "der", "plural": null, "english": "workplace", "hindi": "कार्यस्थल", "translit": "डेयर आर्बाइट्सप्लात्स", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-1226", "german": "Arbeitszeit", "article": "die", "plural": null, "english": "working hours", "hindi": "कार्य समय", "translit": "डी आर्बाइट्सत्साइट", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-1227", "german": "Werkstatt", "article": "die", "plural": null, "english": "workshop/garage", "hindi": "कार्यशाला/गैराज", "translit": "डी वेर्कश्टाट", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-1228", "german": "Ziel", "article": "das", "plural": null, "english": "goal/target", "hindi": "लक्ष्य/गोल", "translit": "डास त्सील", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0358", "german": "zur Arbeit gehen", "article": null, "plural": null, "english": "to go to work", "hindi": "काम पर जाना", "translit": "त्सूर आर्बाइट गेहन", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0359", "german": "Kollege", "article": "der", "plural": null, "english": "colleague (male)", "hindi": "सहकर्मी (पुरुष)", "translit": "डेयर कोलेगे", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-1219", "german": "Kollegin", "article": "die", "plural": null, "english": "colleague (female)", "hindi": "सहकर्मी (महिला)", "translit": "डी कोलेगिन", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-1220", "german": "Abteilung", "article": "die", "plural": null, "english": "department", "hindi": "विभाग", "translit": "डी आपटाइलुंग", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-1221", "german": "Aufgabe", "article": "die", "plural": null, "english": "task", "hindi": "कार्य", "translit": "डी आउफगाबे", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0360", "german": "Team", "article": "das", "plural": null, "english": "team", "hindi": "टीम", "translit": "डास टीम", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0361", "german": "Projekt", "article": "das", "plural": null, "english": "project", "hindi": "प्रोजेक्ट", "translit": "डास प्रोजेक्ट", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0362", "german": "Deadline", "article": "die", "plural": null, "english": "deadline", "hindi": "अंतिम तिथि", "translit": "डी डेडलाइन", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0363", "german": "Konferenz", "article": "die", "plural": null, "english": "conference", "hindi": "कॉन्फ्रेंस", "translit": "डी कोंफेरेंट्स", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0364", "german": "Präsentation", "article": "die", "plural": null, "english": "presentation", "hindi": "प्रेजेंटेशन", "translit": "डी प्रेज़ेंटात्सियोन", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0365", "german": "Folie", "article": "die", "plural": null, "english": "slide", "hindi": "स्लाइड", "translit": "डी फोली", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0366", "german": "Kündigung", "article": "die", "plural": null, "english": "termination", "hindi": "नौकरी छोड़ना", "translit": "डी क्यूंडिगुंग", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0367", "german": "Vollzeit", "article": "die", "plural": null, "english": "full-time", "hindi": "पूर्णकालिक", "translit": "डी फोलत्साइट", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0368", "german": "Vollzeitstelle", "article": "die", "plural": null, "english": "full-time job", "hindi": "पूर्णकालिक नौकरी", "translit": "डी फोलत्साइटश्टेले", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0369", "german": "Teilzeitstelle", "article": "die", "plural": null, "english": "part-time job", "hindi": "पार्ट टाइम नौकरी", "translit": "डी टाइलत्साइटश्टेले", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0370", "german": "Ausbildung", "article": "die", "plural": null, "english": "apprenticeship/training", "hindi": "प्रशिक्षण", "translit": "डी आउस्बिल्डुंग", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0371", "german": "Azubi", "article": "der", "plural": null, "english": "apprentice", "hindi": "प्रशिक्षु", "translit": "डेयर आत्सूबी", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0372", "german": "Karriere", "article": "die", "plural": null, "english": "career", "hindi": "करियर", "translit": "डी कारिएरे", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0373", "german": "Beförderung", "article": "die", "plural": null, "english": "promotion", "hindi": "पदोन्नति", "translit": "डी बेफ्योर्डेरुंग", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0374", "german": "Arbeitslosigkeit", "article": "die", "plural": null, "english": "unemployment", "hindi": "बेरोजगारी", "translit": "डी आर्बाइट्स्लोज़िखकाइट", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0375", "german": "Arbeitsamt", "article": "das", "plural": null, "english": "employment office", "hindi": "रोजगार कार्यालय", "translit": "डास आर्बाइट्सआम्ट", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0376", "german": "Rente", "article": "die", "plural": null, "english": "pension/retirement", "hindi": "पेंशन", "translit": "डी रेंटे", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0377", "german": "Rentner", "article": "der", "plural": null, "english": "retiree (male)", "hindi": "पेंशनभोगी", "translit": "डेयर रेंटनर", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0378", "german": "Rentnerin", "article": "die", "plural": null, "english": "retiree (female)", "hindi": "पेंशनभोगी (महिला)", "translit": "डी रेंटनेरिन", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0379", "german": "Bewerbung", "article": "die", "plural": null, "english": "application", "hindi": "आवेदन", "translit": "डी बेवर्बुंग", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0380", "german": "Lebenslauf", "article": "der", "plural": null, "english": "CV/resume", "hindi": "रिज़्यूमे", "translit": "डेयर लेबेन्सलाउफ", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0381", "german": "Vorstellungsgespräch", "article": "das", "plural": null, "english": "job interview", "hindi": "इंटरव्यू", "translit": "डास फोर्श्टेलुंग्सगेश्प्रेख", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0382", "german": "Kündigung", "article": "die", "plural": null, "english": "resignation/termination", "hindi": "इस्तीफा", "translit": "डी क्यूंडिगुंग", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0383", "german": "Erfahrung", "article": "die", "plural": null, "english": "experience", "hindi": "अनुभव", "translit": "डी एर्फारुंग", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0384", "german": "Qualifikation", "article": "die", "plural": null, "english": "qualification", "hindi": "योग्यता", "translit": "डी क्वालिफिकात्सियोन", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0385", "german": "Vertrag", "article": "der", "plural": null, "english": "contract", "hindi": "कॉन्ट्रैक्ट", "translit": "डेयर फेर्ट्राग", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0386", "german": "Gehalt", "article": "das", "plural": null, "english": "salary", "hindi": "वेतन", "translit": "डास गेहाल्ट", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0387", "german": "Urlaub", "article": "der", "plural": null, "english": "vacation", "hindi": "छुट्टी", "translit": "डेयर उर्लाउब", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0388", "german": "Überstunde", "article": "die", "plural": null, "english": "overtime", "hindi": "ओवरटाइम", "translit": "डी यूबरश्टुंडे", "level": "A2", "topic": "Work_&_Career"},
+        {"id": "a2-0389", "german": "Hausaufgaben", "article": "die", "plural": null, "english": "homework", "hindi": "होमवर्क", "translit": "डी हाउसऔफगाबेन", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0390", "german": "Fach", "article": "das", "plural": null, "english": "subject", "hindi": "विषय", "translit": "डास फाख", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0391", "german": "Lehrer", "article": "der", "plural": null, "english": "teacher (male)", "hindi": "शिक्षक", "translit": "डेयर लेरेर", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0392", "german": "Lehrerin", "article": "die", "plural": null, "english": "teacher (female)", "hindi": "शिक्षिका", "translit": "डी लेरेरिन", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0393", "german": "Schüler", "article": "der", "plural": null, "english": "pupil (male)", "hindi": "छात्र", "translit": "डेयर श्यूलर", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0394", "german": "Schülerin", "article": "die", "plural": null, "english": "pupil (female)", "hindi": "छात्रा", "translit": "डी श्यूलेरिन", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0395", "german": "der Sport treiben", "article": null, "plural": null, "english": "to do sports", "hindi": "खेल करना", "translit": "डेयर श्पोर्ट ट्राइबेन", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0396", "german": "die Schule beginnen", "article": null, "plural": null, "english": "school starts", "hindi": "स्कूल शुरू होना", "translit": "डी शुले बेगिनेन्न", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0397", "german": "Eins", "article": "die", "plural": null, "english": "grade 1 (best)", "hindi": "पहला नंबर", "translit": "डी आइंस", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0398", "german": "Sechs", "article": "die", "plural": null, "english": "grade 6 (worst)", "hindi": "फेल", "translit": "डी जेख्स", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0399", "german": "Vokabel", "article": "die", "plural": null, "english": "vocabulary word", "hindi": "शब्द", "translit": "डी फोकाबेल", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0400", "german": "die Aufgabe lösen", "article": null, "plural": null, "english": "to solve the task", "hindi": "कार्य हल करना", "translit": "डी औफगाबे ल्योसेन", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0401", "german": "Mathematik", "article": "die", "plural": null, "english": "mathematics", "hindi": "गणित", "translit": "डी माटेमाटिक", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0402", "german": "Deutschstunde", "article": "die", "plural": null, "english": "German lesson", "hindi": "जर्मन की क्लास", "translit": "डी डॉयचश्टुंडे", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0403", "german": "Englischstunde", "article": "die", "plural": null, "english": "English lesson", "hindi": "अंग्रेजी की क्लास", "translit": "डी एंग्लिशश्टुंडे", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0404", "german": "Wörterbuch", "article": "das", "plural": null, "english": "dictionary", "hindi": "शब्दकोश", "translit": "डास वोर्टरबूख", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0405", "german": "Korrektur", "article": "die", "plural": null, "english": "correction", "hindi": "सुधार", "translit": "डी कोरेक्टूर", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0406", "german": "Ordner", "article": "der", "plural": null, "english": "folder", "hindi": "फ़ोल्डर", "translit": "डेयर ओर्डनर", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0407", "german": "Biologie", "article": "die", "plural": null, "english": "biology", "hindi": "जीव विज्ञान", "translit": "डी बियोलोगी", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0408", "german": "Physik", "article": "die", "plural": null, "english": "physics", "hindi": "भौतिकी", "translit": "डी फिज़िक", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0409", "german": "Chemie", "article": "die", "plural": null, "english": "chemistry", "hindi": "रसायन विज्ञान", "translit": "डी केमी", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0410", "german": "Geografie", "article": "die", "plural": null, "english": "geography", "hindi": "भूगोल", "translit": "डी गेओग्राफी", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0411", "german": "Kunst", "article": "die", "plural": null, "english": "art", "hindi": "कला", "translit": "डी कुंस्ट", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0412", "german": "Sport", "article": "der", "plural": null, "english": "sports", "hindi": "खेल", "translit": "डेयर श्पोर्ट", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0413", "german": "Kleber", "article": "der", "plural": null, "english": "glue", "hindi": "गोंद", "translit": "डेयर क्लेबर", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0414", "german": "Mappe", "article": "die", "plural": null, "english": "folder", "hindi": "फोल्डर", "translit": "डी मापे", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0415", "german": "Ranzen", "article": "der", "plural": null, "english": "school bag", "hindi": "स्कूल बैग", "translit": "डेयर रांत्सेन", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0416", "german": "Kreide", "article": "die", "plural": null, "english": "chalk", "hindi": "चॉक", "translit": "डी क्राइडे", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0417", "german": "Student", "article": "der", "plural": null, "english": "student (male)", "hindi": "छात्र (विश्वविद्यालय)", "translit": "डेयर श्टूडेंट", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0418", "german": "Studentin", "article": "die", "plural": null, "english": "student (female)", "hindi": "छात्रा (विश्वविद्यालय)", "translit": "डी श्टूडेंटिन", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0419", "german": "Vorlesung", "article": "die", "plural": null, "english": "lecture", "hindi": "व्याख्यान", "translit": "डी फोरलेज़ुंग", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0420", "german": "Seminar", "article": "das", "plural": null, "english": "seminar", "hindi": "सेमिनार", "translit": "डास ज़ेमिनार", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0421", "german": "Studentenwohnheim", "article": "das", "plural": null, "english": "student dormitory", "hindi": "छात्रावास", "translit": "डास श्टूडेंटेनवोनहाइम", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0422", "german": "Prüfungsvorbereitung", "article": "die", "plural": null, "english": "exam preparation", "hindi": "परीक्षा तैयारी", "translit": "डी प्र्यूफुंग्सफोरबेराइटुंग", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0423", "german": "Stundenplan", "article": "der", "plural": null, "english": "timetable", "hindi": "समय-सारणी", "translit": "डेयर श्टुंडेनप्लान", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0424", "german": "Kantine", "article": "die", "plural": null, "english": "canteen", "hindi": "कैंटीन", "translit": "डी कांटीने", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0425", "german": "Sportunterricht", "article": "der", "plural": null, "english": "PE lesson", "hindi": "शारीरिक शिक्षा", "translit": "डेयर श्पोर्टउंटेरिख्ट", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0426", "german": "Turnhalle", "article": "die", "plural": null, "english": "gymnasium", "hindi": "जिम्नेजियम", "translit": "डी टुर्नहाले", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0427", "german": "Aufsatz", "article": "der", "plural": null, "english": "essay", "hindi": "निबंध", "translit": "डेयर आउफज़ात्स", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0428", "german": "Referat", "article": "das", "plural": null, "english": "presentation", "hindi": "प्रेजेंटेशन", "translit": "डास रेफेरात", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0429", "german": "Stoff", "article": "der", "plural": null, "english": "subject material", "hindi": "विषय सामग्री", "translit": "डेयर श्टॉफ", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0430", "german": "Lernstoff", "article": "der", "plural": null, "english": "study material", "hindi": "पाठ्यक्रम", "translit": "डेयर लेर्नश्टॉफ", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0431", "german": "Abschluss", "article": "der", "plural": null, "english": "degree/graduation", "hindi": "डिग्री", "translit": "डेयर आपश्लुस", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0432", "german": "Stipendium", "article": "das", "plural": null, "english": "scholarship", "hindi": "छात्रवृत्ति", "translit": "डास श्टिपेंडियुम", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0433", "german": "Nachhilfe", "article": "der", "plural": null, "english": "tutoring", "hindi": "ट्यूशन", "translit": "डेयर नाखहिल्फे", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0434", "german": "wiederholen", "article": null, "plural": null, "english": "to repeat/review", "hindi": "दोहराना", "translit": "वीडरहोलेन", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0435", "german": "bestehen", "article": null, "plural": null, "english": "to pass (exam)", "hindi": "पास होना", "translit": "बेश्टेहेन", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0436", "german": "durchfallen", "article": null, "plural": null, "english": "to fail (exam)", "hindi": "फेल होना", "translit": "डुर्खफालेन", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0437", "german": "Hausaufgabe", "article": "die", "plural": null, "english": "homework", "hindi": "होमवर्क", "translit": "डी हाउसआउफगाबे", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0438", "german": "Klausur", "article": "die", "plural": null, "english": "exam", "hindi": "परीक्षा", "translit": "डी क्लाउज़ूर", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0439", "german": "Bibliothek", "article": "die", "plural": null, "english": "library", "hindi": "पुस्तकालय", "translit": "डी बिब्लियोथेक", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0440", "german": "Vortrag", "article": "der", "plural": null, "english": "lecture", "hindi": "व्याख्यान", "translit": "डेयर फोर्ट्राग", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0441", "german": "Vorlesung", "article": "die", "plural": null, "english": "class/lecture", "hindi": "क्लास", "translit": "डी फोर्लेज़ुंग", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0442", "german": "Dozent", "article": "der", "plural": null, "english": "lecturer", "hindi": "प्रोफेसर", "translit": "डेयर डोत्सेंट", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0443", "german": "Fakultät", "article": "die", "plural": null, "english": "faculty", "hindi": "संकाय", "translit": "डी फाकुल्टेट", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0444", "german": "Semester", "article": "das", "plural": null, "english": "semester", "hindi": "सेमेस्टर", "translit": "डास सेमेस्टर", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0445", "german": "Einschreibung", "article": "die", "plural": null, "english": "enrollment", "hindi": "नामांकन", "translit": "डी आइनश्राइबुंग", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-1229", "german": "Universität", "article": "die", "plural": null, "english": "university", "hindi": "विश्वविद्यालय", "translit": "डी उनिवेर्सिटेट", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-1230", "german": "Hochschule", "article": "die", "plural": null, "english": "college", "hindi": "कॉलेज", "translit": "डी होखशुले", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-1231", "german": "Note", "article": "die", "plural": null, "english": "grade", "hindi": "ग्रेड", "translit": "डी नोटे", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-1232", "german": "Prüfung", "article": "die", "plural": null, "english": "exam/test", "hindi": "परीक्षा", "translit": "डी प्र्यूफुंग", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-1233", "german": "Zeugnis", "article": "das", "plural": null, "english": "certificate", "hindi": "प्रमाणपत्र", "translit": "डास त्सॉयग्निस", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-1234", "german": "Schulbildung", "article": "die", "plural": null, "english": "education", "hindi": "शिक्षा", "translit": "डी शुलबिल्डुंग", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-1235", "german": "Studium", "article": "das", "plural": null, "english": "studies", "hindi": "अध्ययन", "translit": "डास श्टूडियुम", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-1236", "german": "lernen", "article": null, "plural": null, "english": "to learn", "hindi": "सीखना", "translit": "लेर्नेन", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-1237", "german": "studieren", "article": null, "plural": null, "english": "to study", "hindi": "पढ़ाई करना", "translit": "श्टूडीरेन", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-1238", "german": "Workshop", "article": "der", "plural": null, "english": "workshop", "hindi": "कार्यशाला", "translit": "डेयर वर्कशॉप", "level": "A2", "topic": "Education_&_Learning"},
+        {"id": "a2-0446", "german": "Bad", "article": "das", "plural": null, "english": "bathroom", "hindi": "बाथरूम", "translit": "डास बाट", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0447", "german": "Sofa", "article": "das", "plural": null, "english": "sofa", "hindi": "सोफा", "translit": "डास ज़ोफा", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0448", "german": "bügeln", "article": null, "plural": null, "english": "to iron", "hindi": "इस्त्री करना", "translit": "ब्यूगेल्न", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0449", "german": "Geschirrspüler", "article": "der", "plural": null, "english": "dishwasher", "hindi": "डिशवॉशर", "translit": "डेयर गेशिरश्प्यूलर", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0450", "german": "Nachbarschaft", "article": "die", "plural": null, "english": "neighborhood", "hindi": "पड़ोस", "translit": "डी नाखबारशाफ्ट", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0451", "german": "ins Bett gehen", "article": null, "plural": null, "english": "to go to bed", "hindi": "सोने जाना", "translit": "इन्स बेट गेहन", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0452", "german": "Bettzeug", "article": "das", "plural": null, "english": "bedding", "hindi": "बिस्तर का सामान", "translit": "डास बेटत्सॉयग", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0453", "german": "Laken", "article": "das", "plural": null, "english": "sheet", "hindi": "चादर", "translit": "डास लाकेन", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0454", "german": "Nachttisch", "article": "der", "plural": null, "english": "bedside table", "hindi": "बेडसाइड टेबल", "translit": "डेयर नाख्टिश", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0455", "german": "Stehlampe", "article": "die", "plural": null, "english": "floor lamp", "hindi": "फ्लोर लैंप", "translit": "डी श्टेहलाम्पे", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0456", "german": "Tischlampe", "article": "die", "plural": null, "english": "table lamp", "hindi": "टेबल लैंप", "translit": "डी टिशलाम्पे", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0457", "german": "Gardine", "article": "die", "plural": null, "english": "curtain (net)", "hindi": "पर्दा (जाली वाला)", "translit": "डी गार्डीने", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0458", "german": "Heizung", "article": "die", "plural": null, "english": "heating", "hindi": "हीटिंग", "translit": "डी हाइट्सुंग", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0459", "german": "Klimaanlage", "article": "die", "plural": null, "english": "air conditioning", "hindi": "एयर कंडीशनिंग", "translit": "डी क्लीमाआनलागे", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0460", "german": "Besen", "article": "der", "plural": null, "english": "broom", "hindi": "झाड़ू", "translit": "डेयर बेज़ेन", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0461", "german": "Lappen", "article": "der", "plural": null, "english": "cloth", "hindi": "कपड़ा", "translit": "डेयर लापेन", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0462", "german": "Eimer", "article": "der", "plural": null, "english": "bucket", "hindi": "बाल्टी", "translit": "डेयर आइमर", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0463", "german": "Putzmittel", "article": "das", "plural": null, "english": "cleaning product", "hindi": "सफाई का सामान", "translit": "डास पुट्समिटेल", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0464", "german": "Mülltonne", "article": "die", "plural": null, "english": "trash bin", "hindi": "कचरा डिब्बा", "translit": "डी म्यूलटोने", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0465", "german": "Waage", "article": "die", "plural": null, "english": "scales", "hindi": "तराज़ू", "translit": "डी वागे", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0466", "german": "Gewicht", "article": "das", "plural": null, "english": "weight", "hindi": "वज़न", "translit": "डास गेविख्ट", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0467", "german": "Keller", "article": "der", "plural": null, "english": "basement", "hindi": "तहखाना", "translit": "डेयर केलर", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0468", "german": "Dachboden", "article": "der", "plural": null, "english": "attic", "hindi": "अटारी", "translit": "डेयर डाखबोडेन", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0469", "german": "Treppe", "article": "die", "plural": null, "english": "stairs", "hindi": "सीढ़ियाँ", "translit": "डी ट्रेपे", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0470", "german": "Aufzug", "article": "der", "plural": null, "english": "elevator", "hindi": "लिफ्ट", "translit": "डेयर आउफ्त्सूग", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0471", "german": "Heizung", "article": "die", "plural": null, "english": "heating", "hindi": "हीटिंग", "translit": "डी हाइत्सुंग", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0472", "german": "Klimaanlage", "article": "die", "plural": null, "english": "air conditioning", "hindi": "एसी", "translit": "डी क्लीमाआनलागे", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0473", "german": "Bügeleisen", "article": "das", "plural": null, "english": "iron", "hindi": "प्रेस", "translit": "डास ब्यूगेलाइज़ेन", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0474", "german": "Stecker", "article": "der", "plural": null, "english": "plug", "hindi": "प्लग", "translit": "डेयर श्टेकर", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0475", "german": "Steckdose", "article": "die", "plural": null, "english": "socket", "hindi": "सॉकेट", "translit": "डी श्टेकडोज़े", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0476", "german": "Vorhang", "article": "der", "plural": null, "english": "curtain", "hindi": "पर्दा", "translit": "डेयर फोरहांग", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0477", "german": "Decke", "article": "die", "plural": null, "english": "ceiling/blanket", "hindi": "छत/कंबल", "translit": "डी डेके", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0478", "german": "Boden", "article": "der", "plural": null, "english": "floor", "hindi": "फर्श", "translit": "डेयर बोडेन", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0479", "german": "Wand", "article": "die", "plural": null, "english": "wall", "hindi": "दीवार", "translit": "डी वांट", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0480", "german": "Steckdose", "article": "die", "plural": null, "english": "power outlet", "hindi": "प्लग", "translit": "डी श्टेकडोज़े", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0481", "german": "Schalter", "article": "der", "plural": null, "english": "switch", "hindi": "स्विच", "translit": "डेयर शाल्टर", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0482", "german": "Glühbirne", "article": "die", "plural": null, "english": "light bulb", "hindi": "बल्ब", "translit": "डी ग्ल्यूहबिर्ने", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0483", "german": "Schlüssel", "article": "der", "plural": null, "english": "key", "hindi": "चाबी", "translit": "डेयर श्ल्यूसेल", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0484", "german": "Schloss", "article": "das", "plural": null, "english": "lock", "hindi": "ताला", "translit": "डास श्लोस", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0485", "german": "Hausarbeit", "article": "die", "plural": null, "english": "housework", "hindi": "घरेलू काम", "translit": "डी हाउसआर्बाइट", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0486", "german": "Heizung", "article": "die", "plural": null, "english": "heating", "hindi": "हीटिंग", "translit": "डी हाइत्सुंग", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0487", "german": "Klimaanlage", "article": "die", "plural": null, "english": "air conditioning", "hindi": "एयर कंडीशनर", "translit": "डी क्लीमाआनलागे", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0488", "german": "Balkon", "article": "der", "plural": null, "english": "balcony", "hindi": "बालकनी", "translit": "डेयर बाल्कोन", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0489", "german": "Terrasse", "article": "die", "plural": null, "english": "terrace", "hindi": "टेरेस", "translit": "डी टेरासे", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0490", "german": "Keller", "article": "der", "plural": null, "english": "basement", "hindi": "तहखाना", "translit": "डेयर केलर", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0491", "german": "Garage", "article": "die", "plural": null, "english": "garage", "hindi": "गैरेज", "translit": "डी गाराजे", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0492", "german": "Garten", "article": "der", "plural": null, "english": "garden", "hindi": "बगीचा", "translit": "डेयर गार्टेन", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0493", "german": "Miete", "article": "die", "plural": null, "english": "rent", "hindi": "किराया", "translit": "डी मीटे", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0494", "german": "Nebenkosten", "article": "die", "plural": null, "english": "utilities", "hindi": "अतिरिक्त खर्च", "translit": "डी नेबेनकोस्टेन", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-1239", "german": "Wohnzimmer", "article": "das", "plural": null, "english": "living room", "hindi": "बैठक", "translit": "डास वोहनत्सिमर", "level": "A2", "topic": "Home_&_Household"},
+        {"id": "a2-0495", "german": "Umwelt", "article": "die", "plural": null, "english": "environment", "hindi": "पर्यावरण", "translit": "डी उमवेल्ट", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0496", "german": "Müll", "article": "der", "plural": null, "english": "rubbish/garbage", "hindi": "कचरा", "translit": "डेयर म्यूल", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0497", "german": "recyceln", "article": null, "plural": null, "english": "to recycle", "hindi": "रीसाइकल करना", "translit": "रिसाइकेल्न", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0498", "german": "Mülltrennung", "article": "die", "plural": null, "english": "waste separation", "hindi": "कचरा अलग करना", "translit": "डी म्यूलट्रेनुंग", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0499", "german": "Energie", "article": "die", "plural": null, "english": "energy", "hindi": "ऊर्जा", "translit": "डी एनर्गी", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0500", "german": "Umweltschutz", "article": "der", "plural": null, "english": "environmental protection", "hindi": "पर्यावरण संरक्षण", "translit": "डेयर उमवेल्टशुट्स", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0501", "german": "Umweltverschmutzung", "article": "die", "plural": null, "english": "environmental pollution", "hindi": "पर्यावरण प्रदूषण", "translit": "डी उमवेल्टफेरश्मुत्सुंग", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0502", "german": "Klimawandel", "article": "der", "plural": null, "english": "climate change", "hindi": "जलवायु परिवर्तन", "translit": "डेयर क्लीमावांडेल", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0503", "german": "Plastik", "article": "das", "plural": null, "english": "plastic", "hindi": "प्लास्टिक", "translit": "डास प्लास्टिक", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0504", "german": "Papier", "article": "der", "plural": null, "english": "paper", "hindi": "कागज़", "translit": "डेयर पापीर", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0505", "german": "Bio-Müll", "article": "der", "plural": null, "english": "organic waste", "hindi": "जैविक कचरा", "translit": "डेयर बीओ म्यूल", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0506", "german": "Papierkorb", "article": "die", "plural": null, "english": "waste paper basket", "hindi": "कागज़ की टोकरी", "translit": "डी पापीरकोर्ब", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0507", "german": "Recyclingtonne", "article": "die", "plural": null, "english": "recycling bin", "hindi": "रीसाइक्लिंग डिब्बा", "translit": "डी रिसाइक्लिंगटोने", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0508", "german": "Erderwärmung", "article": "die", "plural": null, "english": "global warming", "hindi": "वैश्विक तापन", "translit": "डी एर्डेरवर्मुंग", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0509", "german": "CO2", "article": "das", "plural": null, "english": "CO2", "hindi": "सीओ2", "translit": "डास त्से ओ त्स्वाई", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0510", "german": "Luftverschmutzung", "article": "die", "plural": null, "english": "air pollution", "hindi": "वायु प्रदूषण", "translit": "डी लुफ्टफेरश्मुत्सुंग", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0511", "german": "die Energie sparen", "article": null, "plural": null, "english": "to save energy", "hindi": "ऊर्जा बचाना", "translit": "डी एनर्गी श्पारेन", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0512", "german": "Solarenergie", "article": "das", "plural": null, "english": "solar energy", "hindi": "सौर ऊर्जा", "translit": "डास ज़ोलारएनर्गी", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0513", "german": "Windenergie", "article": "die", "plural": null, "english": "wind energy", "hindi": "पवन ऊर्जा", "translit": "डी विंटएनर्गी", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0514", "german": "schützen", "article": null, "plural": null, "english": "to protect", "hindi": "संरक्षण करना", "translit": "श्युट्सेन", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0515", "german": "Verschmutzung", "article": "die", "plural": null, "english": "pollution", "hindi": "प्रदूषण", "translit": "डी फेरश्मुत्सुंग", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0516", "german": "Solarenergie", "article": "die", "plural": null, "english": "solar energy", "hindi": "सौर ऊर्जा", "translit": "डी ज़ोलारएनर्गी", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0517", "german": "die Erneuerbare Energie", "article": null, "plural": null, "english": "renewable energy", "hindi": "नवीकरणीय ऊर्जा", "translit": "डी एर्नॉयरबारे एनर्गी", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0518", "german": "Klimaschutz", "article": "der", "plural": null, "english": "climate protection", "hindi": "जलवायु संरक्षण", "translit": "डेयर क्लीमाशुट्स", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0519", "german": "Nachhaltigkeit", "article": "die", "plural": null, "english": "sustainability", "hindi": "स्थिरता", "translit": "डी नाखहाल्टिखकाइट", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0520", "german": "Luftballons", "article": "die", "plural": null, "english": "balloons", "hindi": "गुब्बारे", "translit": "डी लुफ्टबालोन्स", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0521", "german": "Windpark", "article": "der", "plural": null, "english": "wind farm", "hindi": "पवन ऊर्जा पार्क", "translit": "डेयर विंटपार्क", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0522", "german": "Solaranlage", "article": "die", "plural": null, "english": "solar system", "hindi": "सौर प्रणाली", "translit": "डी ज़ोलारआनलागे", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0523", "german": "Gewitter", "article": "das", "plural": null, "english": "thunderstorm", "hindi": "तूफान", "translit": "डास गेविटर", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0524", "german": "Regenbogen", "article": "der", "plural": null, "english": "rainbow", "hindi": "इंद्रधनुष", "translit": "डेयर रेगेनबोगेन", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0525", "german": "Nebel", "article": "der", "plural": null, "english": "fog", "hindi": "कोहरा", "translit": "डेयर नेबेल", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0526", "german": "Überschwemmung", "article": "die", "plural": null, "english": "flood", "hindi": "बाढ़", "translit": "डी यूबरश्वेमुंग", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0527", "german": "Erdbeben", "article": "das", "plural": null, "english": "earthquake", "hindi": "भूकंप", "translit": "डास एर्टबेबेन", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0528", "german": "Wald", "article": "der", "plural": null, "english": "forest", "hindi": "जंगल", "translit": "डेयर वाल्ट", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0529", "german": "Bach", "article": "der", "plural": null, "english": "stream", "hindi": "नाला", "translit": "डेयर बाख", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0530", "german": "Hügel", "article": "der", "plural": null, "english": "hill", "hindi": "पहाड़ी", "translit": "डेयर ह्यूगेल", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0531", "german": "Tal", "article": "das", "plural": null, "english": "valley", "hindi": "घाटी", "translit": "डास टाल", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0532", "german": "Wiese", "article": "die", "plural": null, "english": "meadow", "hindi": "घास का मैदान", "translit": "डी वीज़े", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0533", "german": "Wald", "article": "der", "plural": null, "english": "forest", "hindi": "जंगल", "translit": "डेयर वाल्ट", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0534", "german": "Baum", "article": "der", "plural": null, "english": "tree", "hindi": "पेड़", "translit": "डेयर बाउम", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0535", "german": "Blume", "article": "die", "plural": null, "english": "flower", "hindi": "फूल", "translit": "डी ब्लूमे", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0536", "german": "See", "article": "der", "plural": null, "english": "lake", "hindi": "झील", "translit": "डेयर ज़े", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0537", "german": "Berg", "article": "der", "plural": null, "english": "mountain", "hindi": "पहाड़", "translit": "डेयर बेर्ग", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0538", "german": "Wüste", "article": "die", "plural": null, "english": "desert", "hindi": "रेगिस्तान", "translit": "डी व्यूस्टे", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0539", "german": "Insel", "article": "die", "plural": null, "english": "island", "hindi": "द्वीप", "translit": "डी इन्सेल", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0540", "german": "Küste", "article": "die", "plural": null, "english": "coast", "hindi": "तट", "translit": "डी क्यूस्टे", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0541", "german": "Strand", "article": "der", "plural": null, "english": "beach", "hindi": "समुद्र तट", "translit": "डेयर श्ट्रांट", "level": "A2", "topic": "Environment_&_Nature"},
+        {"id": "a2-0542", "german": "Freizeit", "article": "die", "plural": null, "english": "free time", "hindi": "खाली समय", "translit": "डी फ्राइट्साइट", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0543", "german": "Hobby", "article": "das", "plural": null, "english": "hobby", "hindi": "शौक", "translit": "डास होबी", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0544", "german": "Fußball", "article": "der", "plural": null, "english": "football/soccer", "hindi": "फुटबॉल", "translit": "डेयर फूसबाल", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0545", "german": "Tennis", "article": "das", "plural": null, "english": "tennis", "hindi": "टेनिस", "translit": "डास टेनिस", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0546", "german": "schwimmen gehen", "article": null, "plural": null, "english": "to go swimming", "hindi": "तैराकी करने जाना", "translit": "श्विमेन गेहन", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0547", "german": "Film", "article": "der", "plural": null, "english": "film/movie", "hindi": "फिल्म", "translit": "डेयर फिल्म", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0548", "german": "die Zeitung lesen", "article": null, "plural": null, "english": "to read the newspaper", "hindi": "अखबार पढ़ना", "translit": "डी त्साइटुंग लेसेन", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0549", "german": "das Buch lesen", "article": null, "plural": null, "english": "to read a book", "hindi": "किताब पढ़ना", "translit": "डास बूख लेसेन", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0550", "german": "Roman", "article": "der", "plural": null, "english": "novel", "hindi": "उपन्यास", "translit": "डेयर रोमान", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0551", "german": "die Musik hören", "article": null, "plural": null, "english": "to listen to music", "hindi": "संगीत सुनना", "translit": "डी मूज़ीक ह्योरेन", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0552", "german": "Tanzmusik", "article": "die", "plural": null, "english": "dance music", "hindi": "नाच की संगीत", "translit": "डी टान्त्समूज़ीक", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0553", "german": "Freizeitaktivität", "article": "die", "plural": null, "english": "leisure activity", "hindi": "खाली समय की गतिविधि", "translit": "डी फ्राइट्साइटआक्टिफिटेट", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0554", "german": "joggen", "article": null, "plural": null, "english": "to jog", "hindi": "जॉगिंग करना", "translit": "योगेन", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0555", "german": "wandern", "article": null, "plural": null, "english": "to hike", "hindi": "हाइकिंग करना", "translit": "वांडर्न", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0556", "german": "Autor", "article": "der", "plural": null, "english": "author", "hindi": "लेखक", "translit": "डेयर आउटोर", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0557", "german": "Schauspieler", "article": "der", "plural": null, "english": "actor", "hindi": "अभिनेता", "translit": "डेयर शौश्पीलर", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0558", "german": "Schauspielerin", "article": "die", "plural": null, "english": "actress", "hindi": "अभिनेत्री", "translit": "डी शौश्पीलेरिन", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0559", "german": "spielen (Instrument)", "article": null, "plural": null, "english": "to play (instrument)", "hindi": "बजाना", "translit": "श्पीलेन", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0560", "german": "Autorin", "article": "die", "plural": null, "english": "author (female)", "hindi": "लेखिका", "translit": "डी आउटोरिन", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0561", "german": "Schaukel", "article": "die", "plural": null, "english": "swing", "hindi": "झूला", "translit": "डी शौकेल", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0562", "german": "Rutsche", "article": "die", "plural": null, "english": "slide", "hindi": "स्लाइड", "translit": "डी रुशे", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0563", "german": "Karussell", "article": "das", "plural": null, "english": "carousel", "hindi": "मेरी गो राउंड", "translit": "डास कारूसेल", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0564", "german": "Training", "article": "das", "plural": null, "english": "training", "hindi": "ट्रेनिंग", "translit": "डास ट्रेनिंग", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0565", "german": "Mannschaft", "article": "die", "plural": null, "english": "team", "hindi": "टीम", "translit": "डी मानशाफ्ट", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0566", "german": "Trainer", "article": "der", "plural": null, "english": "coach", "hindi": "कोच", "translit": "डेयर ट्रेनर", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0567", "german": "Spiel", "article": "das", "plural": null, "english": "game", "hindi": "खेल", "translit": "डास श्पील", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0568", "german": "gewinnen", "article": null, "plural": null, "english": "to win", "hindi": "जीतना", "translit": "गेविनेन्न", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0569", "german": "Tor", "article": "das", "plural": null, "english": "goal", "hindi": "गोल", "translit": "डास टोर", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0570", "german": "Schiedsrichter", "article": "der", "plural": null, "english": "referee", "hindi": "रेफरी", "translit": "डेयर शीड्सरिख्टर", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0571", "german": "Picknick", "article": "das", "plural": null, "english": "picnic", "hindi": "पिकनिक", "translit": "डास पिकनिक", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0572", "german": "Grillparty", "article": "die", "plural": null, "english": "barbecue party", "hindi": "बारबेक्यू पार्टी", "translit": "डी ग्रिलपार्टी", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0573", "german": "Hobbys", "article": "die", "plural": null, "english": "hobbies", "hindi": "शौक", "translit": "डी होबीज़", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0574", "german": "die Gitarre spielen", "article": null, "plural": null, "english": "to play guitar", "hindi": "गिटार बजाना", "translit": "डी गिटारे श्पीलेन", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0575", "german": "das Klavier spielen", "article": null, "plural": null, "english": "to play piano", "hindi": "पियानो बजाना", "translit": "डास क्लावियर श्पीलेन", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0576", "german": "Ausflug", "article": "der", "plural": null, "english": "excursion", "hindi": "पिकनिक", "translit": "डेयर आउसफ्लूग", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0577", "german": "wandern", "article": null, "plural": null, "english": "to hike", "hindi": "पैदल यात्रा", "translit": "वांडर्न", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0578", "german": "klettern", "article": null, "plural": null, "english": "to climb", "hindi": "चढ़ना", "translit": "क्लेटर्न", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0579", "german": "angeln", "article": null, "plural": null, "english": "to fish", "hindi": "मछली पकड़ना", "translit": "आंगेल्न", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0580", "german": "sammeln", "article": null, "plural": null, "english": "to collect", "hindi": "इकट्ठा करना", "translit": "ज़ामेल्न", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0581", "german": "Schach", "article": "das", "plural": null, "english": "chess", "hindi": "शतरंज", "translit": "डास शाख", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0582", "german": "Brettspiel", "article": "das", "plural": null, "english": "board game", "hindi": "बोर्ड गेम", "translit": "डास ब्रेटश्पील", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0583", "german": "stricken", "article": null, "plural": null, "english": "to knit", "hindi": "बुनाई", "translit": "श्ट्रिकेन", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0584", "german": "nähen", "article": null, "plural": null, "english": "to sew", "hindi": "सिलाई", "translit": "नेहेन", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0585", "german": "basteln", "article": null, "plural": null, "english": "to do crafts", "hindi": "हस्तशिल्प", "translit": "बास्टेल्न", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-1240", "german": "Zelt", "article": "das", "plural": null, "english": "tent", "hindi": "तंबू", "translit": "डास त्सेल्ट", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-1241", "german": "Zirkus", "article": "der", "plural": null, "english": "circus", "hindi": "सर्कस", "translit": "डेयर त्सिर्कुस", "level": "A2", "topic": "Hobbies_&_Leisure"},
+        {"id": "a2-0586", "german": "Freude", "article": "die", "plural": null, "english": "joy", "hindi": "खुशी", "translit": "डी फ्रॉयडे", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0587", "german": "Stimmung", "article": "die", "plural": null, "english": "mood/atmosphere", "hindi": "माहौल", "translit": "डी श्टिमुंग", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0588", "german": "Traurigkeit", "article": "die", "plural": null, "english": "sadness", "hindi": "उदासी", "translit": "डी ट्राउरिखकाइट", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0589", "german": "Wut", "article": "die", "plural": null, "english": "anger", "hindi": "गुस्सा", "translit": "डी वूट", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0590", "german": "Überraschung", "article": "die", "plural": null, "english": "surprise", "hindi": "आश्चर्य", "translit": "डी यूबरराशुंग", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0591", "german": "Hass", "article": "der", "plural": null, "english": "hate", "hindi": "नफरत", "translit": "डेयर हास", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0592", "german": "Eifersucht", "article": "die", "plural": null, "english": "jealousy", "hindi": "ईर्ष्या", "translit": "डी आइफेर्ज़ुख्ट", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0593", "german": "Hoffnung", "article": "die", "plural": null, "english": "hope", "hindi": "उम्मीद", "translit": "डी होफ्नुंग", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0594", "german": "Enttäuschung", "article": "die", "plural": null, "english": "disappointment", "hindi": "निराशा", "translit": "डी एंटटॉयशुंग", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0595", "german": "Laune", "article": "die", "plural": null, "english": "mood", "hindi": "मूड", "translit": "डी लाउने", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0596", "german": "gute Laune", "article": null, "plural": null, "english": "good mood", "hindi": "अच्छा मूड", "translit": "गूटे लाउने", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0597", "german": "schlechte Laune", "article": null, "plural": null, "english": "bad mood", "hindi": "खराब मूड", "translit": "श्लेख्टे लाउने", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0598", "german": "Streit", "article": "der", "plural": null, "english": "argument", "hindi": "झगड़ा", "translit": "डेयर श्ट्राइट", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0599", "german": "sich streiten", "article": null, "plural": null, "english": "to argue", "hindi": "झगड़ा करना", "translit": "जिख श्ट्राइटेन", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0600", "german": "sich versöhnen", "article": null, "plural": null, "english": "to make up", "hindi": "सुलह करना", "translit": "जिख फेरज़्योनेन", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0601", "german": "Aufregung", "article": "die", "plural": null, "english": "excitement", "hindi": "उत्तेजना", "translit": "डी आउफ्रेगुंग", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0602", "german": "Zufriedenheit", "article": "die", "plural": null, "english": "satisfaction", "hindi": "संतुष्टि", "translit": "डी त्सूफ्रीडेनहाइट", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0603", "german": "nervös", "article": null, "plural": null, "english": "nervous", "hindi": "घबराया हुआ", "translit": "नेर्फ्योस", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0604", "german": "besorgt", "article": null, "plural": null, "english": "worried", "hindi": "चिंतित", "translit": "बेज़ोर्ग्ट", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0605", "german": "erleichtert", "article": null, "plural": null, "english": "relieved", "hindi": "राहत महसूस", "translit": "एर्लाइख्टर्ट", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0606", "german": "stolz", "article": null, "plural": null, "english": "proud", "hindi": "गर्व", "translit": "श्टोल्त्स", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0607", "german": "peinlich", "article": null, "plural": null, "english": "embarrassing", "hindi": "शर्मनाक", "translit": "पाइनलिख", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0608", "german": "dankbar", "article": null, "plural": null, "english": "grateful", "hindi": "कृतज्ञ", "translit": "डांकबार", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0609", "german": "einsam", "article": null, "plural": null, "english": "lonely", "hindi": "अकेला", "translit": "आइनज़ाम", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0610", "german": "verzweifelt", "article": null, "plural": null, "english": "desperate", "hindi": "निराश", "translit": "फेर्त्स्वाइफेल्ट", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0611", "german": "Begeisterung", "article": "die", "plural": null, "english": "enthusiasm", "hindi": "उत्साह", "translit": "डी बेगाइश्टेरुंग", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0612", "german": "Enttäuschung", "article": "die", "plural": null, "english": "disappointment", "hindi": "निराशा", "translit": "डी एंटटॉयशुंग", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0613", "german": "Überraschung", "article": "die", "plural": null, "english": "surprise", "hindi": "आश्चर्य", "translit": "डी उबेरराशुंग", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0614", "german": "Erleichterung", "article": "die", "plural": null, "english": "relief", "hindi": "राहत", "translit": "डी एर्लाइख्टेरुंग", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0615", "german": "Dankbarkeit", "article": "die", "plural": null, "english": "gratitude", "hindi": "कृतज्ञता", "translit": "डी डांकबार्काइट", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0616", "german": "Hoffnung", "article": "die", "plural": null, "english": "hope", "hindi": "आशा", "translit": "डी होफनुंग", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0617", "german": "Sorge", "article": "die", "plural": null, "english": "worry", "hindi": "चिंता", "translit": "डी ज़ोर्गे", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0618", "german": "Neugier", "article": "die", "plural": null, "english": "curiosity", "hindi": "जिज्ञासा", "translit": "डी नॉयगीर", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0619", "german": "Langeweile", "article": "die", "plural": null, "english": "boredom", "hindi": "उबाऊ", "translit": "डी लांगेवाइले", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0620", "german": "Aufregung", "article": "die", "plural": null, "english": "excitement", "hindi": "उत्तेजना", "translit": "डी औफरेगुंग", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0621", "german": "Ruhe", "article": "die", "plural": null, "english": "calm", "hindi": "शांति", "translit": "डी रूहे", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0622", "german": "Erwartung", "article": "die", "plural": null, "english": "expectation", "hindi": "उम्मीद", "translit": "डी एर्वार्टुंग", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0623", "german": "Zufriedenheit", "article": "die", "plural": null, "english": "satisfaction", "hindi": "संतुष्टि", "translit": "डी त्सूफ्रीडेनहाइट", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0624", "german": "Unsicherheit", "article": "die", "plural": null, "english": "uncertainty", "hindi": "अनिश्चितता", "translit": "डी उनसिखेरहाइट", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0625", "german": "Sehnsucht", "article": "die", "plural": null, "english": "longing", "hindi": "तड़प", "translit": "डी सेहनसुख्ट", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0626", "german": "Begeisterung", "article": "die", "plural": null, "english": "enthusiasm", "hindi": "उत्साह", "translit": "डी बेगाइस्टेरुंग", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0627", "german": "Enttäuschung", "article": "die", "plural": null, "english": "disappointment", "hindi": "निराशा", "translit": "डी एंटटॉयशुंग", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0628", "german": "Überraschung", "article": "die", "plural": null, "english": "surprise", "hindi": "आश्चर्य", "translit": "डी यूबरराशुंग", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0629", "german": "Erleichterung", "article": "die", "plural": null, "english": "relief", "hindi": "राहत", "translit": "डी एर्लाइख्टेरुंग", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0630", "german": "Nervosität", "article": "die", "plural": null, "english": "nervousness", "hindi": "घबराहट", "translit": "डी नेर्वोसिटेट", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0631", "german": "Gelassenheit", "article": "die", "plural": null, "english": "calmness", "hindi": "शांति", "translit": "डी गेलासेनहाइट", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0632", "german": "Frustration", "article": "die", "plural": null, "english": "frustration", "hindi": "निराशा", "translit": "डी फ्रुस्ट्रात्सियोन", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0633", "german": "Erwartung", "article": "die", "plural": null, "english": "expectation", "hindi": "अपेक्षा", "translit": "डी एर्वार्टुंग", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0634", "german": "Entspannung", "article": "die", "plural": null, "english": "relaxation", "hindi": "आराम", "translit": "डी एंटश्पानुंग", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-1242", "german": "wünschen", "article": null, "plural": null, "english": "to wish", "hindi": "इच्छा करना", "translit": "व्यूंशेन", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-1243", "german": "wunderbar", "article": null, "plural": null, "english": "wonderful", "hindi": "शानदार", "translit": "वुंडरबार", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-1244", "german": "wirklich", "article": null, "plural": null, "english": "really", "hindi": "वास्तव में", "translit": "विर्क्लिख", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-1245", "german": "witzig", "article": null, "plural": null, "english": "funny", "hindi": "मजेदार", "translit": "वित्सिख", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-1246", "german": "Witz", "article": "der", "plural": null, "english": "joke", "hindi": "चुटकुला", "translit": "डेयर विट्स", "level": "A2", "topic": "Feelings_&_Emotions"},
+        {"id": "a2-0635", "german": "Verwandte", "article": "die", "plural": null, "english": "relative (f)", "hindi": "रिश्तेदार (महिला)", "translit": "डी फेरवांटे", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0636", "german": "Verwandte", "article": "der", "plural": null, "english": "relative (m)", "hindi": "रिश्तेदार (पुरुष)", "translit": "डेयर फेरवांटे", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0637", "german": "Schwiegermutter", "article": "die", "plural": null, "english": "mother-in-law", "hindi": "सास", "translit": "डी श्वीगरमुटर", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0638", "german": "Schwiegervater", "article": "der", "plural": null, "english": "father-in-law", "hindi": "ससुर", "translit": "डेयर श्वीगरफाटर", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0639", "german": "verlobt", "article": null, "plural": null, "english": "engaged", "hindi": "सगाई किया हुआ", "translit": "फेरलोब्ट", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0640", "german": "Datei", "article": "die", "plural": null, "english": "file", "hindi": "फ़ाइल", "translit": "डी डाटाई", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0641", "german": "Trennung", "article": "die", "plural": null, "english": "separation", "hindi": "अलग होना", "translit": "डी ट्रेनुंग", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0642", "german": "Scheidung", "article": "die", "plural": null, "english": "divorce", "hindi": "तलाक", "translit": "डी शाइडुंग", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0643", "german": "Beziehung", "article": "die", "plural": null, "english": "relationship", "hindi": "रिश्ता", "translit": "डी बेत्सीउंग", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0644", "german": "Date", "article": "das", "plural": null, "english": "date", "hindi": "डेट", "translit": "डास डेट", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0645", "german": "verabreden (sich)", "article": null, "plural": null, "english": "to arrange to meet", "hindi": "मुलाकात तय करना", "translit": "फेराब्रेडेन (जिख)", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0646", "german": "verliebt sein", "article": null, "plural": null, "english": "to be in love", "hindi": "प्यार में होना", "translit": "फेरलीब्ट ज़ाइन", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0647", "german": "Entscheidung", "article": "die", "plural": null, "english": "decision", "hindi": "निर्णय", "translit": "डी एंटशाइडुंग", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0648", "german": "Freundschaft", "article": "die", "plural": null, "english": "friendship", "hindi": "दोस्ती", "translit": "डी फ्रॉयंटशाफ्ट", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0649", "german": "Kontakt", "article": "der", "plural": null, "english": "contact", "hindi": "संपर्क", "translit": "डेयर कोंटाक्ट", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0650", "german": "Cousin", "article": "der", "plural": null, "english": "cousin (m)", "hindi": "चचेरा भाई", "translit": "डेयर कूज़िन", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0651", "german": "Cousine", "article": "die", "plural": null, "english": "cousin (f)", "hindi": "चचेरी बहन", "translit": "डी कूज़ीने", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0652", "german": "Neffe", "article": "der", "plural": null, "english": "nephew", "hindi": "भांजा/भतीजा", "translit": "डेयर नेफे", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0653", "german": "Nichte", "article": "die", "plural": null, "english": "niece", "hindi": "भांजी/भतीजी", "translit": "डी निख्टे", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0654", "german": "Schwägerin", "article": "die", "plural": null, "english": "sister-in-law", "hindi": "ननद/भाभी", "translit": "डी श्वेगेरिन", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0655", "german": "Schwager", "article": "der", "plural": null, "english": "brother-in-law", "hindi": "जीजा/देवर", "translit": "डेयर श्वागर", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0656", "german": "Ehemann", "article": "der", "plural": null, "english": "husband", "hindi": "पति", "translit": "डेयर एहेमान", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0657", "german": "Ehefrau", "article": "die", "plural": null, "english": "wife", "hindi": "पत्नी", "translit": "डी एहेफ्राउ", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0658", "german": "Zwilling", "article": "der", "plural": null, "english": "twin", "hindi": "जुड़वां", "translit": "डेयर त्स्विलिंग", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0659", "german": "erziehen", "article": null, "plural": null, "english": "to raise (children)", "hindi": "पालन-पोषण", "translit": "एर्त्सीहेन", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0660", "german": "Enkel", "article": "der", "plural": null, "english": "grandson", "hindi": "पोता", "translit": "डेयर एंकेल", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0661", "german": "Enkelin", "article": "die", "plural": null, "english": "granddaughter", "hindi": "पोती", "translit": "डी एंकेलिन", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0662", "german": "Schwager", "article": "der", "plural": null, "english": "brother-in-law", "hindi": "साला/जीजा", "translit": "डेयर श्वागर", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0663", "german": "Schwägerin", "article": "die", "plural": null, "english": "sister-in-law", "hindi": "साली/ननद", "translit": "डी श्वेगेरिन", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0664", "german": "Schwiegersohn", "article": "der", "plural": null, "english": "son-in-law", "hindi": "दामाद", "translit": "डेयर श्वीगरसोहन", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0665", "german": "Schwiegertochter", "article": "die", "plural": null, "english": "daughter-in-law", "hindi": "बहू", "translit": "डी श्वीगरटोख्टर", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0666", "german": "Stiefvater", "article": "der", "plural": null, "english": "stepfather", "hindi": "सौतेले पिता", "translit": "डेयर श्टीफफाटर", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0667", "german": "Stiefmutter", "article": "die", "plural": null, "english": "stepmother", "hindi": "सौतेली माँ", "translit": "डी श्टीफमुटर", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0668", "german": "Stiefsohn", "article": "der", "plural": null, "english": "stepson", "hindi": "सौतेला बेटा", "translit": "डेयर श्टीफसोहन", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0669", "german": "Stieftochter", "article": "die", "plural": null, "english": "stepdaughter", "hindi": "सौतेली बेटी", "translit": "डी श्टीफटोख्टर", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0670", "german": "Verwandte", "article": "der", "plural": null, "english": "relative", "hindi": "रिश्तेदार", "translit": "डेयर फेर्वांटे", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0671", "german": "Verwandtschaft", "article": "die", "plural": null, "english": "family/relatives", "hindi": "रिश्तेदारी", "translit": "डी फेर्वांटशाफ्ट", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0672", "german": "Beziehung", "article": "die", "plural": null, "english": "relationship", "hindi": "रिश्ता", "translit": "डी बेत्सीउंग", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0673", "german": "Freundschaft", "article": "die", "plural": null, "english": "friendship", "hindi": "दोस्ती", "translit": "डी फ्रॉयंडशाफ्ट", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0674", "german": "Ehe", "article": "die", "plural": null, "english": "marriage", "hindi": "शादी", "translit": "डी एहे", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0675", "german": "Partnerschaft", "article": "die", "plural": null, "english": "partnership", "hindi": "साझेदारी", "translit": "डी पार्टनरशाफ्ट", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0676", "german": "Verlobung", "article": "die", "plural": null, "english": "engagement", "hindi": "सगाई", "translit": "डी फेर्लोबुंग", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0677", "german": "Scheidung", "article": "die", "plural": null, "english": "divorce", "hindi": "तलाक", "translit": "डी शाइडुंग", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0678", "german": "Nachbarschaft", "article": "die", "plural": null, "english": "neighborhood", "hindi": "पड़ोस", "translit": "डी नाखबारशाफ्ट", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0679", "german": "Nachbar", "article": "der", "plural": null, "english": "neighbor", "hindi": "पड़ोसी", "translit": "डेयर नाखबार", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0680", "german": "Kollegin", "article": "die", "plural": null, "english": "colleague (female)", "hindi": "सहकर्मी (महिला)", "translit": "डी कोलेगिन", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0681", "german": "Bekanntschaft", "article": "die", "plural": null, "english": "acquaintance", "hindi": "परिचय", "translit": "डी बेकान्तशाफ्ट", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0682", "german": "Verwandtschaft", "article": "die", "plural": null, "english": "family relationship", "hindi": "रिश्तेदारी", "translit": "डी फेर्वांटशाफ्ट", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0683", "german": "Beziehung", "article": "die", "plural": null, "english": "relationship", "hindi": "संबंध", "translit": "डी बेत्सीउंग", "level": "A2", "topic": "Family_&_Relationships"},
+        {"id": "a2-0684", "german": "die Postkarte schicken", "article": null, "plural": null, "english": "to send a postcard", "hindi": "पोस्टकार्ड भेजना", "translit": "डी पोस्टकार्टे शिकेन", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0685", "german": "alles Gute zum Geburtstag", "article": null, "plural": null, "english": "happy birthday", "hindi": "जन्मदिन मुबारक", "translit": "आलेस गूटे त्सुम गेबुर्ट्सटाग", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0686", "german": "auspacken", "article": null, "plural": null, "english": "to unwrap", "hindi": "खोलना (उपहार)", "translit": "औसपाकेन", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0687", "german": "ausblasen", "article": null, "plural": null, "english": "to blow out", "hindi": "बुझाना (मोमबत्ती)", "translit": "औसब्लाज़ेन", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0688", "german": "Weihnachten", "article": "der", "plural": null, "english": "Christmas", "hindi": "क्रिसमस", "translit": "डेयर वाइनाख्टेन", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0689", "german": "Ostern", "article": "das", "plural": null, "english": "Easter", "hindi": "ईस्टर", "translit": "डास ओस्टर्न", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0690", "german": "Veranstaltung", "article": "die", "plural": null, "english": "event", "hindi": "कार्यक्रम", "translit": "डी फेरान्श्टाल्टुंग", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0691", "german": "Feiertag", "article": "die", "plural": null, "english": "public holiday", "hindi": "सार्वजनिक छुट्टी", "translit": "डी फायरटाग", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0692", "german": "Neujahr", "article": "das", "plural": null, "english": "New Year", "hindi": "नया साल", "translit": "डास नॉययार", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0693", "german": "Silvester", "article": "die", "plural": null, "english": "New Year's Eve", "hindi": "नए साल की पूर्व संध्या", "translit": "डी ज़िल्वेस्टर", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0694", "german": "Vorsätze", "article": "die", "plural": null, "english": "New Year's resolutions", "hindi": "नए साल के संकल्प", "translit": "डी फोरज़ेत्से", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0695", "german": "Karneval", "article": "die", "plural": null, "english": "carnival", "hindi": "कार्निवल", "translit": "डी कार्नेफाल", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0696", "german": "Kostüm", "article": "das", "plural": null, "english": "costume", "hindi": "वेशभूषा", "translit": "डास कोस्ट्यूम", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0697", "german": "Maske", "article": "die", "plural": null, "english": "mask", "hindi": "मुखौटा", "translit": "डी मास्के", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0698", "german": "Parade", "article": "die", "plural": null, "english": "parade", "hindi": "परेड", "translit": "डी पाराडे", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0699", "german": "Gäste", "article": "die", "plural": null, "english": "guests", "hindi": "मेहमान", "translit": "डी गेस्टे", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0700", "german": "Übernachtung", "article": "die", "plural": null, "english": "overnight stay", "hindi": "रात रुकना", "translit": "डी यूबरनाख्टुंग", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0701", "german": "Tanzfläche", "article": "die", "plural": null, "english": "dance floor", "hindi": "डांस फ्लोर", "translit": "डी टान्त्सफ्लेखे", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0702", "german": "Geschenke", "article": "die", "plural": null, "english": "gifts", "hindi": "उपहार", "translit": "डी गेशेंके", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0703", "german": "Geburtstagswunsch", "article": "der", "plural": null, "english": "birthday wish", "hindi": "जन्मदिन की शुभकामना", "translit": "डेयर गेबुर्ट्सटाग्सवुंश", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0704", "german": "Glückwunschkarte", "article": "die", "plural": null, "english": "congratulation card", "hindi": "बधाई कार्ड", "translit": "डी ग्ल्यूकवुंशकार्टे", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0705", "german": "die Karte schicken", "article": null, "plural": null, "english": "to send a card", "hindi": "कार्ड भेजना", "translit": "डी कार्टे शिकेन", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0706", "german": "Jahrestag", "article": "der", "plural": null, "english": "anniversary", "hindi": "सालगिरह", "translit": "डेयर यारेस्टाग", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0707", "german": "Feier", "article": "die", "plural": null, "english": "celebration", "hindi": "उत्सव", "translit": "डी फाइर", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0708", "german": "Brauch", "article": "der", "plural": null, "english": "custom", "hindi": "रिवाज", "translit": "डेयर ब्राउख", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0709", "german": "Karneval", "article": "der", "plural": null, "english": "carnival", "hindi": "कार्निवल", "translit": "डेयर कार्नेवाल", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0710", "german": "Dekoration", "article": "die", "plural": null, "english": "decoration", "hindi": "सजावट", "translit": "डी डेकोरात्सियोन", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0711", "german": "Einladung", "article": "die", "plural": null, "english": "invitation", "hindi": "निमंत्रण", "translit": "डी आइनलाडुंग", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0712", "german": "einladen", "article": null, "plural": null, "english": "to invite", "hindi": "आमंत्रित करना", "translit": "आइनलाडेन", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0713", "german": "Gast", "article": "der", "plural": null, "english": "guest", "hindi": "मेहमान", "translit": "डेयर गास्ट", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0714", "german": "Feuerwerk", "article": "das", "plural": null, "english": "fireworks", "hindi": "आतिशबाजी", "translit": "डास फॉयरवेर्क", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0715", "german": "Luftballon", "article": "der", "plural": null, "english": "balloon", "hindi": "गुब्बारा", "translit": "डेयर लुफ्टबालोन", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0716", "german": "Hochzeit", "article": "die", "plural": null, "english": "wedding", "hindi": "शादी", "translit": "डी होखत्साइट", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0717", "german": "Trauung", "article": "die", "plural": null, "english": "wedding ceremony", "hindi": "विवाह समारोह", "translit": "डी ट्राउंग", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0718", "german": "Taufe", "article": "die", "plural": null, "english": "baptism", "hindi": "बपतिस्मा", "translit": "डी टाउफे", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0719", "german": "Beerdigung", "article": "die", "plural": null, "english": "funeral", "hindi": "अंतिम संस्कार", "translit": "डी बेएर्डिगुंग", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0720", "german": "Einweihung", "article": "die", "plural": null, "english": "inauguration", "hindi": "उद्घाटन", "translit": "डी आइनवाइहुंग", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0721", "german": "Eröffnung", "article": "die", "plural": null, "english": "opening", "hindi": "उद्घाटन", "translit": "डी एरोफनुंग", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0722", "german": "Abschlussfeier", "article": "die", "plural": null, "english": "graduation ceremony", "hindi": "समापन समारोह", "translit": "डी आपश्लुसफाइर", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0723", "german": "Feierlichkeit", "article": "die", "plural": null, "english": "celebration/ceremony", "hindi": "उत्सव", "translit": "डी फाइरलिखकाइट", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0724", "german": "Veranstaltung", "article": "die", "plural": null, "english": "event", "hindi": "कार्यक्रम", "translit": "डी फेरांश्टाल्टुंग", "level": "A2", "topic": "Celebrations_&_Events"},
+        {"id": "a2-0725", "german": "Auskunft", "article": "die", "plural": null, "english": "information", "hindi": "जानकारी", "translit": "डी औसकुंफ्ट", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0726", "german": "Information", "article": "die", "plural": null, "english": "information", "hindi": "जानकारी", "translit": "डी इन्फॉर्मात्सियोन", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0727", "german": "Qualität", "article": "die", "plural": null, "english": "quality", "hindi": "गुणवत्ता", "translit": "डी क्वालितेट", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0728", "german": "speichern", "article": null, "plural": null, "english": "to save", "hindi": "सेव करना", "translit": "श्पाइखर्न", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0729", "german": "Website", "article": "die", "plural": null, "english": "website", "hindi": "वेबसाइट", "translit": "डी वेबज़ाइटे", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0730", "german": "surfen im Internet", "article": null, "plural": null, "english": "to surf the internet", "hindi": "इंटरनेट सर्फ करना", "translit": "ज़ूर्फेन इम इंटरनेट", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0731", "german": "die Nummer wählen", "article": null, "plural": null, "english": "to dial the number", "hindi": "नंबर डायल करना", "translit": "डी नुमर वेलेन", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0732", "german": "Gespräch", "article": "das", "plural": null, "english": "conversation (phone)", "hindi": "बातचीत", "translit": "डास गेश्प्रेख", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0733", "german": "Anlage", "article": "die", "plural": null, "english": "attachment", "hindi": "अटैचमेंट", "translit": "डी आनलागे", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0734", "german": "Fax", "article": "das", "plural": null, "english": "fax", "hindi": "फैक्स", "translit": "डास फैक्स", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0735", "german": "Kopie", "article": "die", "plural": null, "english": "copy", "hindi": "कॉपी", "translit": "डी कोपी", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0736", "german": "Akte", "article": "die", "plural": null, "english": "file/folder", "hindi": "फ़ाइल", "translit": "डी आक्टे", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0737", "german": "PIN-Nummer", "article": "die", "plural": null, "english": "PIN number", "hindi": "पिन नंबर", "translit": "डी पिन नुमर", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0738", "german": "Postfiliale", "article": "die", "plural": null, "english": "post office branch", "hindi": "डाकघर शाखा", "translit": "डी पोस्टफिलियाले", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0739", "german": "Postleitzahl", "article": "die", "plural": null, "english": "postal code", "hindi": "पिन कोड", "translit": "डी पोस्टलाइट्साल", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0740", "german": "Batterie", "article": "die", "plural": null, "english": "battery", "hindi": "बैटरी", "translit": "डी बाटेरी", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0741", "german": "Selfie", "article": "das", "plural": null, "english": "selfie", "hindi": "सेल्फी", "translit": "डास ज़ेल्फी", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0742", "german": "die Social Media", "article": null, "plural": null, "english": "social media", "hindi": "सोशल मीडिया", "translit": "डी ज़ोत्सियाल मेडिया", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0743", "german": "Post", "article": "der", "plural": null, "english": "post", "hindi": "पोस्ट", "translit": "डेयर पोस्ट", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0744", "german": "Like", "article": "der", "plural": null, "english": "like", "hindi": "लाइक", "translit": "डेयर लाइक", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0745", "german": "Kommentar", "article": "der", "plural": null, "english": "comment", "hindi": "कमेंट", "translit": "डेयर कोमेंटार", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0746", "german": "Freundesliste", "article": "der", "plural": null, "english": "friends list", "hindi": "फ्रेंड्स लिस्ट", "translit": "डेयर फ्रॉयंडेसलिस्टे", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0747", "german": "App", "article": "die", "plural": null, "english": "app", "hindi": "ऐप", "translit": "डी एप", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0748", "german": "herunterladen", "article": null, "plural": null, "english": "to download", "hindi": "डाउनलोड करना", "translit": "हेरुंटरलाडेन", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0749", "german": "hochladen", "article": null, "plural": null, "english": "to upload", "hindi": "अपलोड करना", "translit": "होखलाडेन", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0750", "german": "Bildschirm", "article": "der", "plural": null, "english": "screen", "hindi": "स्क्रीन", "translit": "डेयर बिल्डशिर्म", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0751", "german": "Tastatur", "article": "die", "plural": null, "english": "keyboard", "hindi": "कीबोर्ड", "translit": "डी टास्टातूर", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0752", "german": "Maus", "article": "die", "plural": null, "english": "mouse", "hindi": "माउस", "translit": "डी माउस", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0753", "german": "Drucker", "article": "der", "plural": null, "english": "printer", "hindi": "प्रिंटर", "translit": "डेयर ड्रुकर", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0754", "german": "drucken", "article": null, "plural": null, "english": "to print", "hindi": "प्रिंट करना", "translit": "ड्रुकेन", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0755", "german": "speichern", "article": null, "plural": null, "english": "to save", "hindi": "सेव करना", "translit": "श्पाइखर्न", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0756", "german": "löschen", "article": null, "plural": null, "english": "to delete", "hindi": "डिलीट करना", "translit": "ल्योशेन", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1247", "german": "Smartphone", "article": "das", "plural": null, "english": "smartphone", "hindi": "स्मार्टफोन", "translit": "डास स्मार्टफोन", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1248", "german": "Tablet", "article": "das", "plural": null, "english": "tablet", "hindi": "टैबलेट", "translit": "डास टैबलेट", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1249", "german": "Computer", "article": "der", "plural": null, "english": "computer", "hindi": "कंप्यूटर", "translit": "डेयर कंप्यूटर", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1250", "german": "Laptop", "article": "der", "plural": null, "english": "laptop", "hindi": "लैपटॉप", "translit": "डेयर लैपटॉप", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1251", "german": "Internet", "article": "das", "plural": null, "english": "internet", "hindi": "इंटरनेट", "translit": "डास इंटरनेट", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1252", "german": "E-Mail", "article": "die", "plural": null, "english": "email", "hindi": "ईमेल", "translit": "डी ई-मेल", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1253", "german": "Nachricht", "article": "die", "plural": null, "english": "message", "hindi": "संदेश", "translit": "डी नाखरिख्ट", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1254", "german": "SMS", "article": "die", "plural": null, "english": "SMS", "hindi": "एसएमएस", "translit": "डी एसएमएस", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1255", "german": "anrufen", "article": null, "plural": null, "english": "to call", "hindi": "कॉल करना", "translit": "आनरूफेन", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1256", "german": "Telefon", "article": "das", "plural": null, "english": "telephone", "hindi": "टेलीफोन", "translit": "डास टेलेफोन", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1257", "german": "Handy", "article": "das", "plural": null, "english": "mobile phone", "hindi": "मोबाइल", "translit": "डास हांडी", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1258", "german": "Kamera", "article": "die", "plural": null, "english": "camera", "hindi": "कैमरा", "translit": "डी कैमरा", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1259", "german": "Foto", "article": "das", "plural": null, "english": "photo", "hindi": "फोटो", "translit": "डास फोटो", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1260", "german": "fotografieren", "article": null, "plural": null, "english": "to take a photo", "hindi": "फोटो खींचना", "translit": "फोटोग्राफीरेन", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1261", "german": "Verbindung", "article": "die", "plural": null, "english": "connection", "hindi": "कनेक्शन", "translit": "डी फेर्बिंडुंग", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1262", "german": "WLAN", "article": "das", "plural": null, "english": "WiFi", "hindi": "वाई-फाई", "translit": "डास वी-लान", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1263", "german": "Passwort", "article": "das", "plural": null, "english": "password", "hindi": "पासवर्ड", "translit": "डास पासवोर्ट", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1264", "german": "Benutzer", "article": "der", "plural": null, "english": "user", "hindi": "उपयोगकर्ता", "translit": "डेयर बेनुत्सर", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1265", "german": "zeigen", "article": null, "plural": null, "english": "to show", "hindi": "दिखाना", "translit": "त्साइगेन", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1266", "german": "Vorwahl", "article": "die", "plural": null, "english": "area code", "hindi": "एरिया कोड", "translit": "डी फोर्वाल", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1267", "german": "Wiederhören", "article": "das", "plural": null, "english": "goodbye (on phone)", "hindi": "फोन पर अलविदा", "translit": "डास वीडरहोरेन", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-1268", "german": "zuhören", "article": null, "plural": null, "english": "to listen", "hindi": "सुनना", "translit": "त्सूहोरेन", "level": "A2", "topic": "Communication_&_Technology"},
+        {"id": "a2-0757", "german": "Bordkarte", "article": "die", "plural": null, "english": "boarding pass", "hindi": "बोर्डिंग पास", "translit": "डी बोर्डकार्टे", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0758", "german": "Geldautomat", "article": "das", "plural": null, "english": "ATM", "hindi": "एटीएम", "translit": "डास गेल्टऔटोमाट", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0759", "german": "abheben", "article": null, "plural": null, "english": "to withdraw money", "hindi": "पैसे निकालना", "translit": "आपहेबेन", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0760", "german": "einzahlen", "article": null, "plural": null, "english": "to deposit money", "hindi": "पैसे जमा करना", "translit": "आइनत्सालेन", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0761", "german": "Konto", "article": "das", "plural": null, "english": "account", "hindi": "खाता", "translit": "डास कोंटो", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0762", "german": "Sparkonto", "article": "das", "plural": null, "english": "savings account", "hindi": "बचत खाता", "translit": "डास श्पारकोंटो", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0763", "german": "Überweisung", "article": "die", "plural": null, "english": "bank transfer", "hindi": "ट्रांसफर", "translit": "डी यूबरवाइज़ुंग", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0764", "german": "Bankkarte", "article": "die", "plural": null, "english": "bank card", "hindi": "बैंक कार्ड", "translit": "डी बैंककार्टे", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0765", "german": "PIN", "article": "die", "plural": null, "english": "PIN", "hindi": "पिन", "translit": "डी पिन", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0766", "german": "Bargeld", "article": "das", "plural": null, "english": "cash", "hindi": "नकद", "translit": "डास बारगेल्ट", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0767", "german": "das Geld abheben", "article": null, "plural": null, "english": "to withdraw money", "hindi": "पैसे निकालना", "translit": "डास गेल्ट आपहेबेन", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0768", "german": "das Geld einzahlen", "article": null, "plural": null, "english": "to deposit money", "hindi": "पैसे जमा करना", "translit": "डास गेल्ट आइनत्सालेन", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0769", "german": "Zinsen", "article": "der", "plural": null, "english": "interest", "hindi": "ब्याज", "translit": "डेयर त्सिन्सेन", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0770", "german": "die Rechnung bezahlen", "article": null, "plural": null, "english": "to pay the bill", "hindi": "बिल चुकाना", "translit": "डी रेखनुंग बेत्सालेन", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0771", "german": "Bankfiliale", "article": "die", "plural": null, "english": "bank branch", "hindi": "बैंक शाखा", "translit": "डी बैंकफिलियाले", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0772", "german": "die Bank (im Park)", "article": null, "plural": null, "english": "bench", "hindi": "बेंच", "translit": "डी बैंक", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0773", "german": "Kredit", "article": "der", "plural": null, "english": "loan", "hindi": "लोन", "translit": "डेयर क्रेडिट", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0774", "german": "Schulden", "article": "die", "plural": null, "english": "debts", "hindi": "कर्ज", "translit": "डी शुल्डेन", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0775", "german": "sparen", "article": null, "plural": null, "english": "to save (money)", "hindi": "बचत करना", "translit": "श्पारेन", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0776", "german": "ausgeben", "article": null, "plural": null, "english": "to spend", "hindi": "खर्च करना", "translit": "औसगेबेन", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0777", "german": "Kontostand", "article": "der", "plural": null, "english": "account balance", "hindi": "खाता शेष", "translit": "डेयर कोंटोश्टांट", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0778", "german": "Wechselkurs", "article": "der", "plural": null, "english": "exchange rate", "hindi": "विनिमय दर", "translit": "डेयर वेक्सेलकुर्स", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0779", "german": "Währung", "article": "die", "plural": null, "english": "currency", "hindi": "मुद्रा", "translit": "डी वेरुंग", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0780", "german": "Betrag", "article": "der", "plural": null, "english": "amount", "hindi": "राशि", "translit": "डेयर बेट्राग", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0781", "german": "Quittung", "article": "die", "plural": null, "english": "receipt", "hindi": "रसीद", "translit": "डी क्वीटुंग", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0782", "german": "kontaktlos bezahlen", "article": null, "plural": null, "english": "contactless payment", "hindi": "कॉन्टैक्टलेस पेमेंट", "translit": "कोंटाक्टलोस बेत्सालेन", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0783", "german": "Konto", "article": "das", "plural": null, "english": "account", "hindi": "खाता", "translit": "डास कोंटो", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0784", "german": "Kontonummer", "article": "die", "plural": null, "english": "account number", "hindi": "खाता संख्या", "translit": "डी कोंटोनुम्मर", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0785", "german": "Bankkarte", "article": "die", "plural": null, "english": "bank card", "hindi": "बैंक कार्ड", "translit": "डी बैंककार्टे", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0786", "german": "Kreditkarte", "article": "die", "plural": null, "english": "credit card", "hindi": "क्रेडिट कार्ड", "translit": "डी क्रेडिटकार्टे", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0787", "german": "EC-Karte", "article": "die", "plural": null, "english": "debit card", "hindi": "डेबिट कार्ड", "translit": "डी ईसी-कार्टे", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0788", "german": "Zins", "article": "der", "plural": null, "english": "interest", "hindi": "ब्याज", "translit": "डेयर त्सिंस", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0789", "german": "Überweisung", "article": "die", "plural": null, "english": "transfer", "hindi": "ट्रांसफर", "translit": "डी उबेर्वाइज़ुंग", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0790", "german": "Abhebung", "article": "die", "plural": null, "english": "withdrawal", "hindi": "निकासी", "translit": "डी आबहेबुंग", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0791", "german": "Einzahlung", "article": "die", "plural": null, "english": "deposit", "hindi": "जमा", "translit": "डी आइंत्सालुंग", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0792", "german": "Kredit", "article": "der", "plural": null, "english": "credit/loan", "hindi": "कर्ज", "translit": "डेयर क्रेडिट", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0793", "german": "Schuld", "article": "die", "plural": null, "english": "debt", "hindi": "कर्ज", "translit": "डी शुल्ड", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0794", "german": "Betrag", "article": "der", "plural": null, "english": "amount", "hindi": "राशि", "translit": "डेयर बेट्राग", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0795", "german": "Saldo", "article": "der", "plural": null, "english": "balance", "hindi": "शेष राशि", "translit": "डेयर साल्डो", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0796", "german": "Bankangestellte", "article": "der", "plural": null, "english": "bank employee", "hindi": "बैंक कर्मचारी", "translit": "डेयर बैंकआंगेश्टेल्टे", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-1269", "german": "Geldautomat", "article": "der", "plural": null, "english": "ATM", "hindi": "एटीएम", "translit": "डेयर गेल्टाउटोमाट", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-1270", "german": "Kontoauszug", "article": "der", "plural": null, "english": "bank statement", "hindi": "खाता विवरण", "translit": "डेयर कोंटोआउसत्सूग", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-1271", "german": "Gebühr", "article": "die", "plural": null, "english": "fee", "hindi": "शुल्क", "translit": "डी गेब्यूर", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-1272", "german": "Steuer", "article": "die", "plural": null, "english": "tax", "hindi": "टैक्स", "translit": "डी श्टॉयर", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-1273", "german": "Rechnung", "article": "die", "plural": null, "english": "bill/invoice", "hindi": "बिल", "translit": "डी रेखनुंग", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-1274", "german": "Zahlung", "article": "die", "plural": null, "english": "payment", "hindi": "भुगतान", "translit": "डी त्सालुंग", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-1275", "german": "bezahlen", "article": null, "plural": null, "english": "to pay", "hindi": "भुगतान करना", "translit": "बेत्सालेन", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-1276", "german": "Euro", "article": "der", "plural": null, "english": "euro", "hindi": "यूरो", "translit": "डेयर यूरो", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-1277", "german": "Cent", "article": "der", "plural": null, "english": "cent", "hindi": "सेंट", "translit": "डेयर सेंट", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-1278", "german": "Schein", "article": "der", "plural": null, "english": "banknote", "hindi": "नोट", "translit": "डेयर शाइन", "level": "A2", "topic": "Banking_&_Finance"},
+        {"id": "a2-0797", "german": "Werbung", "article": "die", "plural": null, "english": "advertisement", "hindi": "विज्ञापन", "translit": "डी वेर्बुंग", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-1286", "german": "Nachrichten", "article": "die", "plural": null, "english": "news", "hindi": "समाचार", "translit": "डी नाखरिख्टेन", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-1287", "german": "Sender", "article": "der", "plural": null, "english": "station", "hindi": "स्टेशन", "translit": "डेयर जेंडर", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-1288", "german": "Untertitel", "article": "die", "plural": null, "english": "subtitles", "hindi": "उपशीर्षक", "translit": "डी उंटेरटाइटेल", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0798", "german": "Anzeige", "article": "die", "plural": null, "english": "ad/classified", "hindi": "विज्ञापन", "translit": "डी आन्त्साइगे", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0799", "german": "fotografieren", "article": null, "plural": null, "english": "to take photos", "hindi": "फोटो खींचना", "translit": "फोटोग्राफीरेन", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0800", "german": "fernsehen", "article": null, "plural": null, "english": "to watch TV", "hindi": "टीवी देखना", "translit": "फेर्नज़ेहन", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0801", "german": "Sendung", "article": "die", "plural": null, "english": "shipment/broadcast", "hindi": "शिपमेंट/प्रसारण", "translit": "डी जेंडुंग", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0802", "german": "Fernsehsendung", "article": "die", "plural": null, "english": "TV program", "hindi": "टीवी कार्यक्रम", "translit": "डी फेर्नज़ेहजेंडुंग", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0803", "german": "Wetterbericht", "article": "der", "plural": null, "english": "weather forecast", "hindi": "मौसम पूर्वानुमान", "translit": "डेयर वेटरबेरिख्ट", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0804", "german": "Serie", "article": "die", "plural": null, "english": "series", "hindi": "सीरीज़", "translit": "डी ज़ेरी", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0805", "german": "Werbespot", "article": "der", "plural": null, "english": "commercial", "hindi": "विज्ञापन", "translit": "डेयर वेर्बेश्पोट", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0806", "german": "Umfrage", "article": "die", "plural": null, "english": "survey/poll", "hindi": "सर्वे", "translit": "डी उमफ्रागे", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0807", "german": "Meinung", "article": "die", "plural": null, "english": "opinion", "hindi": "राय", "translit": "डी माइनुंग", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0808", "german": "meiner Meinung nach", "article": null, "plural": null, "english": "in my opinion", "hindi": "मेरी राय में", "translit": "माइनेर माइनुंग नाख", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0809", "german": "zustimmen", "article": null, "plural": null, "english": "to agree", "hindi": "सहमत होना", "translit": "त्सूश्टिमेन", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0810", "german": "nicht zustimmen", "article": null, "plural": null, "english": "to disagree", "hindi": "असहमत होना", "translit": "निख्ट त्सूश्टिमेन", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0811", "german": "Diskussion", "article": "die", "plural": null, "english": "discussion", "hindi": "चर्चा", "translit": "डी डिस्कुसियोन", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0812", "german": "die Frage stellen", "article": null, "plural": null, "english": "to ask a question", "hindi": "सवाल पूछना", "translit": "डी फ्रागे श्टेलेन", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0813", "german": "die Antwort geben", "article": null, "plural": null, "english": "to give an answer", "hindi": "जवाब देना", "translit": "डी आंतवोर्ट गेबेन", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0814", "german": "Lösung", "article": "die", "plural": null, "english": "solution", "hindi": "समाधान", "translit": "डी ल्योज़ुंग", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0815", "german": "Artikel", "article": "der", "plural": null, "english": "article", "hindi": "लेख", "translit": "डेयर आर्टिकेल", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0816", "german": "Überschrift", "article": "die", "plural": null, "english": "headline", "hindi": "शीर्षक", "translit": "डी यूबरश्रिफ्ट", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0817", "german": "ausleihen", "article": null, "plural": null, "english": "to borrow", "hindi": "उधार लेना", "translit": "औसलाइहेन", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0818", "german": "zurückgeben", "article": null, "plural": null, "english": "to return (book)", "hindi": "वापस करना", "translit": "त्सूरूकगेबेन", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0819", "german": "Regisseur", "article": "der", "plural": null, "english": "director", "hindi": "निर्देशक", "translit": "डेयर रेगीसॉर", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0820", "german": "die Lösung finden", "article": null, "plural": null, "english": "to find a solution", "hindi": "समाधान ढूंढना", "translit": "डी ल्योज़ुंग फिंडेन", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0821", "german": "das Foto machen", "article": null, "plural": null, "english": "to take a photo", "hindi": "फोटो खींचना", "translit": "डास फोटो माखेन", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0822", "german": "Folge", "article": "die", "plural": null, "english": "episode", "hindi": "एपिसोड", "translit": "डी फोल्गे", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0823", "german": "Handlung", "article": "die", "plural": null, "english": "plot", "hindi": "कहानी", "translit": "डी हांडलुंग", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0824", "german": "Schauspieler", "article": "der", "plural": null, "english": "actor", "hindi": "अभिनेता", "translit": "डेयर शाउश्पीलर", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0825", "german": "Schauspielerin", "article": "die", "plural": null, "english": "actress", "hindi": "अभिनेत्री", "translit": "डी शाउश्पीलेरिन", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0826", "german": "Roman", "article": "der", "plural": null, "english": "novel", "hindi": "उपन्यास", "translit": "डेयर रोमान", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0827", "german": "Zeitschrift", "article": "die", "plural": null, "english": "magazine", "hindi": "पत्रिका", "translit": "डी त्साइटशरिफ्ट", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0828", "german": "Podcast", "article": "der", "plural": null, "english": "podcast", "hindi": "पॉडकास्ट", "translit": "डेयर पॉडकास्ट", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0829", "german": "Kanal", "article": "der", "plural": null, "english": "channel", "hindi": "चैनल", "translit": "डेयर कानाल", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0830", "german": "live", "article": null, "plural": null, "english": "live", "hindi": "लाइव", "translit": "लाइव", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0831", "german": "streamen", "article": null, "plural": null, "english": "to stream", "hindi": "स्ट्रीम करना", "translit": "स्ट्रीमेन", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0832", "german": "Dokumentarfilm", "article": "der", "plural": null, "english": "documentary", "hindi": "डॉक्यूमेंट्री", "translit": "डेयर डोकुमेंटारफिल्म", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0833", "german": "Krimi", "article": "der", "plural": null, "english": "crime story", "hindi": "अपराध कहानी", "translit": "डेयर क्रिमी", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-1279", "german": "Film", "article": "der", "plural": null, "english": "movie/film", "hindi": "फिल्म", "translit": "डेयर फिल्म", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-1280", "german": "Kino", "article": "das", "plural": null, "english": "cinema", "hindi": "सिनेमा", "translit": "डास किनो", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-1281", "german": "Zeitung", "article": "die", "plural": null, "english": "newspaper", "hindi": "अखबार", "translit": "डी त्साइटुंग", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-1282", "german": "Buch", "article": "das", "plural": null, "english": "book", "hindi": "किताब", "translit": "डास बूख", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-1283", "german": "Musik", "article": "die", "plural": null, "english": "music", "hindi": "संगीत", "translit": "डी मूज़ीक", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-1284", "german": "Radio", "article": "das", "plural": null, "english": "radio", "hindi": "रेडियो", "translit": "डास रेडियो", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-1285", "german": "Fernseher", "article": "der", "plural": null, "english": "TV", "hindi": "टीवी", "translit": "डेयर फेर्नज़ेहर", "level": "A2", "topic": "Media_&_Entertainment"},
+        {"id": "a2-0834", "german": "Gesellschaft", "article": "die", "plural": null, "english": "society", "hindi": "समाज", "translit": "डी गेज़ेलशाफ्ट", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0835", "german": "Ausländer", "article": "der", "plural": null, "english": "foreigner", "hindi": "विदेशी", "translit": "डेयर औसलेंडर", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0836", "german": "Integration", "article": "die", "plural": null, "english": "integration", "hindi": "एकीकरण", "translit": "डी इंटेग्रात्सियोन", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0837", "german": "Tradition", "article": "die", "plural": null, "english": "tradition", "hindi": "परंपरा", "translit": "डी ट्राडित्सियोन", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0838", "german": "Kultur", "article": "die", "plural": null, "english": "culture", "hindi": "संस्कृति", "translit": "डी कुल्टूर", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0839", "german": "Religion", "article": "die", "plural": null, "english": "religion", "hindi": "धर्म", "translit": "डी रेलिगियोन", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0840", "german": "Politik", "article": "die", "plural": null, "english": "politics", "hindi": "राजनीति", "translit": "डी पोलिटिक", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0841", "german": "Wahl", "article": "die", "plural": null, "english": "election", "hindi": "चुनाव", "translit": "डी वाल", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-1289", "german": "Wähler", "article": "der", "plural": null, "english": "voter", "hindi": "मतदाता", "translit": "डेयर वेलर", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-1290", "german": "Wahlurne", "article": "die", "plural": null, "english": "ballot box", "hindi": "मतपेटी", "translit": "डी वालउर्ने", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-1291", "german": "Meinung", "article": "die", "plural": null, "english": "opinion", "hindi": "राय", "translit": "डी माइनुंग", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-1292", "german": "Diskussion", "article": "die", "plural": null, "english": "discussion", "hindi": "चर्चा", "translit": "डी डिस्कुस्सियोन", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0842", "german": "Partei", "article": "die", "plural": null, "english": "party (political)", "hindi": "पार्टी", "translit": "डी पार्टाई", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0843", "german": "Politiker", "article": "der", "plural": null, "english": "politician", "hindi": "राजनेता", "translit": "डेयर पोलिटिकर", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0844", "german": "Regierung", "article": "die", "plural": null, "english": "government", "hindi": "सरकार", "translit": "डी रेगीरुंग", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0845", "german": "Gesetz", "article": "das", "plural": null, "english": "law", "hindi": "कानून", "translit": "डास गेज़ेट्स", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0846", "german": "Bevölkerung", "article": "die", "plural": null, "english": "population", "hindi": "जनसंख्या", "translit": "डी बेफ्योल्केरुंग", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0847", "german": "Einwohner", "article": "die", "plural": null, "english": "inhabitants", "hindi": "निवासी", "translit": "डी आइनवोनर", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0848", "german": "Migration", "article": "die", "plural": null, "english": "migration", "hindi": "प्रवासन", "translit": "डी मिग्रात्सियोन", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0849", "german": "Demokratie", "article": "die", "plural": null, "english": "democracy", "hindi": "लोकतंत्र", "translit": "डी डेमोक्राटी", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0850", "german": "Freiheit", "article": "die", "plural": null, "english": "freedom", "hindi": "स्वतंत्रता", "translit": "डी फ्राइहाइट", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0851", "german": "Gleichberechtigung", "article": "die", "plural": null, "english": "equality", "hindi": "समानता", "translit": "डी ग्लाइखबेरेख्टिगुंग", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0852", "german": "Diskriminierung", "article": "die", "plural": null, "english": "discrimination", "hindi": "भेदभाव", "translit": "डी डिस्क्रीमिनीरुंग", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0853", "german": "Toleranz", "article": "die", "plural": null, "english": "tolerance", "hindi": "सहिष्णुता", "translit": "डी टोलेरांत्स", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0854", "german": "Vielfalt", "article": "die", "plural": null, "english": "diversity", "hindi": "विविधता", "translit": "डी फीलफाल्ट", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0855", "german": "Solidarität", "article": "die", "plural": null, "english": "solidarity", "hindi": "एकजुटता", "translit": "डी ज़ोलिडारिटेट", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0856", "german": "Hilfe", "article": "die", "plural": null, "english": "help", "hindi": "मदद", "translit": "डी हिल्फे", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0857", "german": "Spende", "article": "die", "plural": null, "english": "donation", "hindi": "दान", "translit": "डी श्पेंडे", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0858", "german": "Organisation", "article": "die", "plural": null, "english": "organization", "hindi": "संगठन", "translit": "डी ओर्गानिजात्सियोन", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0859", "german": "Hilfsorganisation", "article": "die", "plural": null, "english": "aid organization", "hindi": "सहायता संगठन", "translit": "डी हिल्फ्सओर्गानिजात्सियोन", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0860", "german": "Armut", "article": "die", "plural": null, "english": "poverty", "hindi": "गरीबी", "translit": "डी आर्मूट", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0861", "german": "Hunger", "article": "die", "plural": null, "english": "hunger", "hindi": "भूख", "translit": "डी हुंगर", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0862", "german": "Flucht", "article": "die", "plural": null, "english": "flight (refugee)", "hindi": "शरणार्थी", "translit": "डी फ्लुख्ट", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0863", "german": "Flüchtling", "article": "der", "plural": null, "english": "refugee", "hindi": "शरणार्थी", "translit": "डेयर फ्ल्यूख्टलिंग", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0864", "german": "Asyl", "article": "die", "plural": null, "english": "asylum", "hindi": "शरण", "translit": "डी आज़ील", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0865", "german": "Zukunft", "article": "die", "plural": null, "english": "future", "hindi": "भविष्य", "translit": "डी त्सूकुंफ्ट", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0866", "german": "Demo", "article": "die", "plural": null, "english": "demonstration", "hindi": "प्रदर्शन", "translit": "डी डेमो", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0867", "german": "Petition", "article": "die", "plural": null, "english": "petition", "hindi": "याचिका", "translit": "डी पेटित्सियोन", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0868", "german": "die Unterschrift sammeln", "article": null, "plural": null, "english": "to collect signatures", "hindi": "हस्ताक्षर इकट्ठा करना", "translit": "डी उंटरश्रिफ्ट ज़ामेल्न", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0869", "german": "Katastrophe", "article": "die", "plural": null, "english": "catastrophe", "hindi": "आपदा", "translit": "डी काटास्ट्रोफे", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0870", "german": "Flut", "article": "die", "plural": null, "english": "flood", "hindi": "बाढ़", "translit": "डी फ्लूट", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0871", "german": "Erdbeben", "article": "das", "plural": null, "english": "earthquake", "hindi": "भूकंप", "translit": "डास एर्डबेबेन", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0872", "german": "Dürre", "article": "die", "plural": null, "english": "drought", "hindi": "सूखा", "translit": "डी ड्यूरे", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0873", "german": "Waldbrand", "article": "die", "plural": null, "english": "forest fire", "hindi": "जंगल की आग", "translit": "डी वाल्टब्रांट", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0874", "german": "die Hilfe leisten", "article": null, "plural": null, "english": "to provide help", "hindi": "मदद प्रदान करना", "translit": "डी हिल्फे लाइस्टेन", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0875", "german": "Bürger", "article": "der", "plural": null, "english": "citizen", "hindi": "नागरिक", "translit": "डेयर ब्यूर्गर", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0876", "german": "Staat", "article": "der", "plural": null, "english": "state", "hindi": "राज्य", "translit": "डेयर श्टात", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0877", "german": "Recht", "article": "das", "plural": null, "english": "right", "hindi": "अधिकार", "translit": "डास रेख्ट", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0878", "german": "Pflicht", "article": "die", "plural": null, "english": "duty", "hindi": "कर्तव्य", "translit": "डी प्फ्लिख्ट", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0879", "german": "Flüchtling", "article": "der", "plural": null, "english": "refugee", "hindi": "शरणार्थी", "translit": "डेयर फ्ल्यूख्टलिंग", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0880", "german": "Asyl", "article": "das", "plural": null, "english": "asylum", "hindi": "शरण", "translit": "डास आज़ील", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0881", "german": "Steuer", "article": "die", "plural": null, "english": "tax", "hindi": "कर", "translit": "डी श्टॉयर", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0882", "german": "wählen", "article": null, "plural": null, "english": "to vote", "hindi": "वोट देना", "translit": "वेलेन", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0883", "german": "protestieren", "article": null, "plural": null, "english": "to protest", "hindi": "विरोध करना", "translit": "प्रोटेस्टीरेन", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0884", "german": "Demonstration", "article": "die", "plural": null, "english": "demonstration", "hindi": "प्रदर्शन", "translit": "डी डेमॉन्स्ट्रात्सियोन", "level": "A2", "topic": "Society_&_Politics"},
+        {"id": "a2-0885", "german": "Verband", "article": "der", "plural": null, "english": "bandage", "hindi": "पट्टी", "translit": "डेयर फेरबांट", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0886", "german": "Lied", "article": "das", "plural": null, "english": "song", "hindi": "गाना", "translit": "डास लीट", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-1293", "german": "Text", "article": "der", "plural": null, "english": "lyrics", "hindi": "गीत", "translit": "डेयर टेक्स्ट", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-1294", "german": "singen", "article": null, "plural": null, "english": "to sing", "hindi": "गाना", "translit": "ज़िंगेन", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-1295", "german": "spielen", "article": null, "plural": null, "english": "to play (instrument)", "hindi": "बजाना", "translit": "श्पीलेन", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-1296", "german": "tanzen", "article": null, "plural": null, "english": "to dance", "hindi": "नृत्य करना", "translit": "टांत्सेन", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-1297", "german": "malen", "article": null, "plural": null, "english": "to paint", "hindi": "पेंट करना", "translit": "मालेन", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-1298", "german": "zeichnen", "article": null, "plural": null, "english": "to draw", "hindi": "ड्रॉ करना", "translit": "त्साइखनेन", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-1299", "german": "Museum", "article": "das", "plural": null, "english": "museum", "hindi": "संग्रहालय", "translit": "डास मूज़ियम", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-1300", "german": "Theater", "article": "das", "plural": null, "english": "theater", "hindi": "थिएटर", "translit": "डास टेअटर", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-1301", "german": "Aufführung", "article": "die", "plural": null, "english": "performance", "hindi": "प्रदर्शन", "translit": "डी आउफ्यूरुंग", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0887", "german": "Sänger", "article": "der", "plural": null, "english": "singer (male)", "hindi": "गायक", "translit": "डेयर जेंगर", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0888", "german": "Sängerin", "article": "die", "plural": null, "english": "singer (female)", "hindi": "गायिका", "translit": "डी जेंगेरिन", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0889", "german": "Konzert", "article": "das", "plural": null, "english": "concert", "hindi": "कॉन्सर्ट", "translit": "डास कोंट्सेर्ट", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0890", "german": "Band", "article": "die", "plural": null, "english": "band", "hindi": "बैंड", "translit": "डी बांट", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0891", "german": "Instrument", "article": "das", "plural": null, "english": "instrument", "hindi": "वाद्य यंत्र", "translit": "डास इंस्ट्रुमेंट", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0892", "german": "Gitarre", "article": "die", "plural": null, "english": "guitar", "hindi": "गिटार", "translit": "डी गिटारे", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0893", "german": "Klavier", "article": "das", "plural": null, "english": "piano", "hindi": "पियानो", "translit": "डास क्लावियर", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0894", "german": "Trommel", "article": "die", "plural": null, "english": "drum", "hindi": "ड्रम", "translit": "डी ट्रोमेल", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0895", "german": "Stimme", "article": "die", "plural": null, "english": "voice", "hindi": "आवाज़", "translit": "डी श्टिमे", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0896", "german": "Flöte", "article": "die", "plural": null, "english": "flute", "hindi": "बांसुरी", "translit": "डी फ्ल्योटे", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0897", "german": "Geige", "article": "die", "plural": null, "english": "violin", "hindi": "वायलिन", "translit": "डी गाइगे", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0898", "german": "Galerie", "article": "die", "plural": null, "english": "gallery", "hindi": "गैलरी", "translit": "डी गालेरी", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0899", "german": "Gemälde", "article": "das", "plural": null, "english": "painting", "hindi": "पेंटिंग", "translit": "डास गेमेल्डे", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0900", "german": "Skulptur", "article": "die", "plural": null, "english": "sculpture", "hindi": "मूर्ति", "translit": "डी स्कुल्प्टूर", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0901", "german": "Künstler", "article": "der", "plural": null, "english": "artist", "hindi": "कलाकार", "translit": "डेयर क्यूंस्टलर", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0902", "german": "Ausstellung", "article": "die", "plural": null, "english": "exhibition", "hindi": "प्रदर्शनी", "translit": "डी आउस्श्टेलुंग", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0903", "german": "Chor", "article": "der", "plural": null, "english": "choir", "hindi": "गायक मंडली", "translit": "डेयर कोर", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0904", "german": "Oper", "article": "die", "plural": null, "english": "opera", "hindi": "ओपेरा", "translit": "डी ओपर", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0905", "german": "Ballett", "article": "das", "plural": null, "english": "ballet", "hindi": "बैले", "translit": "डास बालेट", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0906", "german": "Tanz", "article": "der", "plural": null, "english": "dance", "hindi": "नृत्य", "translit": "डेयर टांत्स", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0907", "german": "Melodie", "article": "die", "plural": null, "english": "melody", "hindi": "धुन", "translit": "डी मेलोडी", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0908", "german": "Rhythmus", "article": "der", "plural": null, "english": "rhythm", "hindi": "ताल", "translit": "डेयर रिथमुस", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0909", "german": "Note", "article": "die", "plural": null, "english": "note (music)", "hindi": "स्वर", "translit": "डी नोटे", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0910", "german": "Konzert", "article": "das", "plural": null, "english": "concert", "hindi": "संगीत कार्यक्रम", "translit": "डास कोंत्सेर्ट", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0911", "german": "Musiker", "article": "der", "plural": null, "english": "musician", "hindi": "संगीतकार", "translit": "डेयर मूज़ीकर", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0912", "german": "Musikerin", "article": "die", "plural": null, "english": "musician (female)", "hindi": "संगीतकार (महिला)", "translit": "डी मूज़ीकेरिन", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0913", "german": "Sänger", "article": "der", "plural": null, "english": "singer", "hindi": "गायक", "translit": "डेयर ज़ेंगर", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0914", "german": "Sängerin", "article": "die", "plural": null, "english": "singer (female)", "hindi": "गायिका", "translit": "डी ज़ेंगेरिन", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0915", "german": "Bühne", "article": "die", "plural": null, "english": "stage", "hindi": "मंच", "translit": "डी ब्यूने", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0916", "german": "Publikum", "article": "das", "plural": null, "english": "audience", "hindi": "दर्शक", "translit": "डास पुब्लिकुम", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0917", "german": "Kunst", "article": "die", "plural": null, "english": "art", "hindi": "कला", "translit": "डी कुंस्ट", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0918", "german": "Künstler", "article": "der", "plural": null, "english": "artist", "hindi": "कलाकार", "translit": "डेयर क्यूंस्ट्लर", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0919", "german": "Künstlerin", "article": "die", "plural": null, "english": "artist (female)", "hindi": "कलाकार (महिला)", "translit": "डी क्यूंस्ट्लेरिन", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0920", "german": "Gemälde", "article": "das", "plural": null, "english": "painting", "hindi": "चित्र", "translit": "डास गेमेल्डे", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0921", "german": "Zeichnung", "article": "die", "plural": null, "english": "drawing", "hindi": "ड्राइंग", "translit": "डी त्साइखनुंग", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0922", "german": "Skulptur", "article": "die", "plural": null, "english": "sculpture", "hindi": "मूर्ति", "translit": "डी स्कुल्पटूर", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0923", "german": "Galerie", "article": "die", "plural": null, "english": "gallery", "hindi": "गैलरी", "translit": "डी गालेरी", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0924", "german": "Ausstellung", "article": "die", "plural": null, "english": "exhibition", "hindi": "प्रदर्शनी", "translit": "डी औसश्टेलुंग", "level": "A2", "topic": "Music_&_Arts"},
+        {"id": "a2-0925", "german": "Abteilung", "article": "die", "plural": null, "english": "department", "hindi": "विभाग", "translit": "डी आपटाइलुंग", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0926", "german": "aussehen", "article": null, "plural": null, "english": "to look (appearance)", "hindi": "दिखना", "translit": "औसज़ेहन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0927", "german": "Begrüßung", "article": "die", "plural": null, "english": "greeting", "hindi": "अभिवादन", "translit": "डी बेग्र्यूसुंग", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0928", "german": "Brieftasche", "article": "die", "plural": null, "english": "wallet", "hindi": "बटुआ", "translit": "डी ब्रीफटाशे", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0929", "german": "CD", "article": "die", "plural": null, "english": "CD", "hindi": "सीडी", "translit": "डी त्से डे", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0930", "german": "Sache", "article": "die", "plural": null, "english": "thing", "hindi": "चीज़", "translit": "डी जाखे", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0931", "german": "Toilette", "article": "die", "plural": null, "english": "toilet", "hindi": "शौचालय", "translit": "डी टोइलेटे", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0932", "german": "Tomate", "article": "die", "plural": null, "english": "tomato", "hindi": "टमाटर", "translit": "डी टोमाटे", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0933", "german": "Universität", "article": "die", "plural": null, "english": "university", "hindi": "विश्वविद्यालय", "translit": "डी उनिवेर्ज़िटेट", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0934", "german": "Urlaub", "article": "die", "plural": null, "english": "vacation", "hindi": "छुट्टी", "translit": "डी उरलाउब", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0935", "german": "Verabredung", "article": "die", "plural": null, "english": "appointment", "hindi": "मुलाकात", "translit": "डी फेराब्रेडुंग", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0936", "german": "Zug", "article": "die", "plural": null, "english": "train", "hindi": "ट्रेन", "translit": "डी त्सूग", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0937", "german": "zusammen", "article": null, "plural": null, "english": "together", "hindi": "साथ", "translit": "त्सूजामेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0938", "german": "wolkig", "article": null, "plural": null, "english": "cloudy", "hindi": "बादल वाला", "translit": "वोल्किग", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0939", "german": "morgen früh", "article": null, "plural": null, "english": "tomorrow morning", "hindi": "कल सुबह", "translit": "मोर्गेन फ्र्यू", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0940", "german": "Pyjama", "article": "der", "plural": null, "english": "pyjamas", "hindi": "पायजामा", "translit": "डेयर प्याजामा", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0941", "german": "probieren", "article": null, "plural": null, "english": "to try on", "hindi": "ट्राय करना", "translit": "प्रोबीरेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0942", "german": "Sicherheitskontrolle", "article": "die", "plural": null, "english": "security check", "hindi": "सिक्योरिटी चेक", "translit": "डी ज़िखरहाइट्सकोंट्रोले", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0943", "german": "verspätet", "article": null, "plural": null, "english": "delayed", "hindi": "देर से", "translit": "फेरश्पेटेट", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0944", "german": "Verletzung", "article": "die", "plural": null, "english": "injury", "hindi": "चोट", "translit": "डी फेरलेट्सुंग", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0945", "german": "träumen", "article": null, "plural": null, "english": "to dream", "hindi": "सपना देखना", "translit": "ट्रॉयमेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0946", "german": "klingeln", "article": null, "plural": null, "english": "to ring", "hindi": "बजना", "translit": "क्लिंगेल्न", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0947", "german": "Lärm", "article": "der", "plural": null, "english": "noise", "hindi": "शोर", "translit": "डेयर लर्म", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0948", "german": "Stille", "article": "die", "plural": null, "english": "silence", "hindi": "खामोशी", "translit": "डी श्टिले", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0949", "german": "Hitze", "article": "die", "plural": null, "english": "heat", "hindi": "गर्मी", "translit": "डी हित्से", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0950", "german": "Kälte", "article": "die", "plural": null, "english": "cold", "hindi": "सर्दी", "translit": "डी केल्टे", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0951", "german": "Geschichte", "article": "die", "plural": null, "english": "story", "hindi": "कहानी", "translit": "डी गेशिख्टे", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0952", "german": "Urlaubsort", "article": "der", "plural": null, "english": "vacation destination", "hindi": "छुट्टी का स्थान", "translit": "डेयर उरलाउब्सोर्ट", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0953", "german": "Swimmingpool", "article": "der", "plural": null, "english": "swimming pool", "hindi": "स्विमिंग पूल", "translit": "डेयर श्विमिंगपूल", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0954", "german": "Denkmal", "article": "das", "plural": null, "english": "monument", "hindi": "स्मारक", "translit": "डास डेंकमाल", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0955", "german": "Dom", "article": "der", "plural": null, "english": "cathedral", "hindi": "कैथेड्रल", "translit": "डेयर डोम", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0956", "german": "Aussicht", "article": "die", "plural": null, "english": "view", "hindi": "नज़ारा", "translit": "डी औसजिख्ट", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0957", "german": "Souvenir", "article": "das", "plural": null, "english": "souvenir", "hindi": "स्मृति चिह्न", "translit": "डास ज़ूवनीर", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0958", "german": "Erinnerung", "article": "die", "plural": null, "english": "memory", "hindi": "याद", "translit": "डी एरिनेरुंग", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0959", "german": "schrecklich", "article": null, "plural": null, "english": "terrible", "hindi": "भयानक", "translit": "श्रेकलिख", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0960", "german": "aufstehen", "article": null, "plural": null, "english": "to get up", "hindi": "उठना", "translit": "औफश्टेहन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0961", "german": "nach Hause kommen", "article": null, "plural": null, "english": "to come home", "hindi": "घर आना", "translit": "नाख हाउज़े कोमेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0962", "german": "um ... Uhr", "article": null, "plural": null, "english": "at ... o'clock", "hindi": "... बजे", "translit": "उम ... ऊर", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0963", "german": "Briefkasten", "article": "der", "plural": null, "english": "mailbox", "hindi": "लेटरबॉक्स", "translit": "डेयर ब्रीफकास्टेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0964", "german": "Briefmarke", "article": "der", "plural": null, "english": "stamp", "hindi": "डाक टिकट", "translit": "डी ब्रीफमार्के", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0965", "german": "Paket", "article": "der", "plural": null, "english": "parcel", "hindi": "पार्सल", "translit": "डेयर पाकेट", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0966", "german": "das Paket verschicken", "article": null, "plural": null, "english": "to send a parcel", "hindi": "पार्सल भेजना", "translit": "डास पाकेट फेरशिकेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0967", "german": "Nachnahme", "article": "die", "plural": null, "english": "cash on delivery", "hindi": "कैश ऑन डिलीवरी", "translit": "डी नाखनामे", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0968", "german": "Parkuhr", "article": "die", "plural": null, "english": "parking meter", "hindi": "पार्किंग मीटर", "translit": "डी पार्कूर", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0969", "german": "Strafe", "article": "die", "plural": null, "english": "fine", "hindi": "जुर्माना", "translit": "डी श्ट्राफे", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0970", "german": "Baustelle", "article": "die", "plural": null, "english": "construction site", "hindi": "निर्माण स्थल", "translit": "डी बाउश्टेले", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0971", "german": "Medikamente", "article": "die", "plural": null, "english": "medication", "hindi": "दवाइयाँ", "translit": "डी मेडिकामेंटे", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0972", "german": "Händedesinfektion", "article": "die", "plural": null, "english": "hand disinfection", "hindi": "हाथ की सफाई", "translit": "डी हेंडेडेज़िन्फेक्ट्सियोन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0973", "german": "Kollegin", "article": "die", "plural": null, "english": "colleague (female)", "hindi": "सहकर्मी (महिला)", "translit": "डी कोलेगिन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0974", "german": "das Problem lösen", "article": null, "plural": null, "english": "to solve a problem", "hindi": "समस्या हल करना", "translit": "डास प्रोब्लेम ल्योसेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0975", "german": "Idee", "article": "die", "plural": null, "english": "idea", "hindi": "विचार", "translit": "डी इडेये", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0976", "german": "vorschlagen", "article": null, "plural": null, "english": "to suggest", "hindi": "सुझाव देना", "translit": "फोरश्लागेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0977", "german": "Reservierung", "article": "die", "plural": null, "english": "reservation", "hindi": "आरक्षण", "translit": "डी रेज़र्वीरुंग", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0978", "german": "Stadtplan", "article": "die", "plural": null, "english": "city map", "hindi": "शहर का नक्शा", "translit": "डी श्टाटप्लान", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0979", "german": "Guide", "article": "der", "plural": null, "english": "guide", "hindi": "गाइड", "translit": "डेयर गाइड", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0980", "german": "Führung", "article": "die", "plural": null, "english": "guided tour", "hindi": "गाइडेड टूर", "translit": "डी फ्यूरुंग", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0981", "german": "Öffnungszeiten", "article": "die", "plural": null, "english": "opening hours", "hindi": "खुलने का समय", "translit": "डी योफ्नुंग्सत्साइटेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0982", "german": "verlaufen (sich)", "article": null, "plural": null, "english": "to get lost", "hindi": "रास्ता भूल जाना", "translit": "फेरलाउफेन (जिख)", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0983", "german": "Weg", "article": "der", "plural": null, "english": "way/path", "hindi": "रास्ता", "translit": "डेयर वेग", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0984", "german": "Klo", "article": "das", "plural": null, "english": "toilet (informal)", "hindi": "टॉयलेट", "translit": "डास क्लो", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0985", "german": "Autoabgase", "article": "das", "plural": null, "english": "car exhaust", "hindi": "कार का धुआँ", "translit": "डास औटोआपगाज़े", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0986", "german": "die Sonne scheinen", "article": null, "plural": null, "english": "the sun is shining", "hindi": "धूप निकलना", "translit": "डी ज़ोने शाइनन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0987", "german": "erinnern (sich)", "article": null, "plural": null, "english": "to remember", "hindi": "याद करना", "translit": "एरिनेर्न (जिख)", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0988", "german": "Vergangenheit", "article": "die", "plural": null, "english": "past", "hindi": "बीता हुआ समय", "translit": "डी फेरगांगनहाइट", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0989", "german": "Gegenwart", "article": "die", "plural": null, "english": "present", "hindi": "वर्तमान", "translit": "डी गेगेनवार्ट", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0990", "german": "Plan", "article": "der", "plural": null, "english": "plan", "hindi": "योजना", "translit": "डेयर प्लान", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0991", "german": "planen", "article": null, "plural": null, "english": "to plan", "hindi": "योजना बनाना", "translit": "प्लानेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0992", "german": "Wunsch", "article": "der", "plural": null, "english": "wish", "hindi": "इच्छा", "translit": "डेयर वुंश", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0993", "german": "Briefmarke", "article": "die", "plural": null, "english": "stamp", "hindi": "डाक टिकट", "translit": "डी ब्रीफमार्के", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0994", "german": "Umschlag", "article": "der", "plural": null, "english": "envelope", "hindi": "लिफाफा", "translit": "डेयर उमश्लाग", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0995", "german": "Personalausweis", "article": "der", "plural": null, "english": "ID card", "hindi": "आईडी कार्ड", "translit": "डेयर पेर्ज़ोनालऔसवाइस", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0996", "german": "Routine", "article": "die", "plural": null, "english": "routine", "hindi": "रूटीन", "translit": "डी रूटीने", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0997", "german": "Alltag", "article": "der", "plural": null, "english": "everyday life", "hindi": "रोज़मर्रा की ज़िंदगी", "translit": "डेयर आल्टाग", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0998", "german": "Gewohnheit", "article": "die", "plural": null, "english": "habit", "hindi": "आदत", "translit": "डी गेवोनहाइट", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-0999", "german": "Veränderung", "article": "die", "plural": null, "english": "change", "hindi": "बदलाव", "translit": "डी फेरेंडेरुंग", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-1000", "german": "entscheiden", "article": null, "plural": null, "english": "to decide", "hindi": "निर्णय लेना", "translit": "एंटशाइडेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-1001", "german": "Problem", "article": "das", "plural": null, "english": "problem", "hindi": "समस्या", "translit": "डास प्रोब्लेम", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-1002", "german": "die Stunde fahren", "article": null, "plural": null, "english": "to drive for hours", "hindi": "घंटों ड्राइव करना", "translit": "डी श्टुंडे फारेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-1003", "german": "die Pause machen", "article": null, "plural": null, "english": "to take a break", "hindi": "ब्रेक लेना", "translit": "डी पाउज़े माखेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-1004", "german": "aufwachen", "article": null, "plural": null, "english": "to wake up", "hindi": "जागना", "translit": "आउफवाखेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-1005", "german": "einschlafen", "article": null, "plural": null, "english": "to fall asleep", "hindi": "सो जाना", "translit": "आइनश्लाफेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-1006", "german": "duschen", "article": null, "plural": null, "english": "to shower", "hindi": "शावर लेना", "translit": "डुशेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-1007", "german": "sich rasieren", "article": null, "plural": null, "english": "to shave", "hindi": "शेव करना", "translit": "जिख राज़ीरेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-1008", "german": "sich schminken", "article": null, "plural": null, "english": "to put on makeup", "hindi": "मेकअप करना", "translit": "जिख श्मिंकेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-1009", "german": "sich anziehen", "article": null, "plural": null, "english": "to get dressed", "hindi": "कपड़े पहनना", "translit": "जिख आन्त्सीहेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-1010", "german": "sich ausziehen", "article": null, "plural": null, "english": "to undress", "hindi": "कपड़े उतारना", "translit": "जिख आउस्त्सीहेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-1011", "german": "sich beeilen", "article": null, "plural": null, "english": "to hurry", "hindi": "जल्दी करना", "translit": "जिख बेआइलेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-1012", "german": "sich ausruhen", "article": null, "plural": null, "english": "to rest", "hindi": "आराम करना", "translit": "जिख आउसरूहेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-1013", "german": "frühstücken", "article": null, "plural": null, "english": "to have breakfast", "hindi": "नाश्ता करना", "translit": "फ्र्यूश्ट्युकेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-1302", "german": "Zettel", "article": "der", "plural": null, "english": "note/paper", "hindi": "नोट/कागज़", "translit": "डेयर त्सेटेल", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-1303", "german": "zumachen", "article": null, "plural": null, "english": "to close", "hindi": "बंद करना", "translit": "त्सूमाखेन", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-1304", "german": "Vorsicht", "article": "die", "plural": null, "english": "caution", "hindi": "सावधानी", "translit": "डी फोर्सिख्ट", "level": "A2", "topic": "Daily_Routine"},
+        {"id": "a2-1014", "german": "Blüte", "article": "die", "plural": null, "english": "blossom", "hindi": "फूल", "translit": "डी ब्ल्यूटे", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1015", "german": "Tier", "article": "der", "plural": null, "english": "animal", "hindi": "जानवर", "translit": "डेयर टीर", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1016", "german": "Insekt", "article": "das", "plural": null, "english": "insect", "hindi": "कीड़ा", "translit": "डास इन्सेक्ट", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1017", "german": "Osterhase", "article": "der", "plural": null, "english": "Easter bunny", "hindi": "ईस्टर बनी", "translit": "डेयर ओस्टरहाज़े", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1018", "german": "Wurzel", "article": "die", "plural": null, "english": "root", "hindi": "जड़", "translit": "डी वुर्ट्सेल", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1019", "german": "Stamm", "article": "der", "plural": null, "english": "trunk", "hindi": "तना", "translit": "डेयर श्टाम", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1020", "german": "Frucht", "article": "die", "plural": null, "english": "fruit", "hindi": "फल", "translit": "डी फ्रु्ख्ट", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1021", "german": "Ast", "article": "der", "plural": null, "english": "branch", "hindi": "डाल", "translit": "डेयर आस्ट", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1022", "german": "Rose", "article": "die", "plural": null, "english": "rose", "hindi": "गुलाब", "translit": "डी रोज़े", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1023", "german": "Tulpe", "article": "die", "plural": null, "english": "tulip", "hindi": "ट्यूलिप", "translit": "डी टुल्पे", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1024", "german": "Sandkasten", "article": "die", "plural": null, "english": "sandbox", "hindi": "रेत का डिब्बा", "translit": "डी ज़ांटकास्टेन", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1025", "german": "Mücke", "article": "die", "plural": null, "english": "mosquito", "hindi": "मच्छर", "translit": "डी म्यूके", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1026", "german": "Raupe", "article": "die", "plural": null, "english": "caterpillar", "hindi": "इल्ली", "translit": "डी राउपे", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1027", "german": "Käfer", "article": "der", "plural": null, "english": "beetle", "hindi": "भृंग", "translit": "डेयर केफर", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1028", "german": "Schnecke", "article": "die", "plural": null, "english": "snail", "hindi": "घोंघा", "translit": "डी श्नेके", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1029", "german": "Wurm", "article": "der", "plural": null, "english": "worm", "hindi": "कीड़ा", "translit": "डेयर वुर्म", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1030", "german": "Busch", "article": "der", "plural": null, "english": "bush", "hindi": "झाड़ी", "translit": "डेयर बुश", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1031", "german": "Hecke", "article": "die", "plural": null, "english": "hedge", "hindi": "बाड़", "translit": "डी हेके", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1032", "german": "Rasen", "article": "der", "plural": null, "english": "lawn", "hindi": "लॉन", "translit": "डेयर राज़ेन", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1033", "german": "Teich", "article": "der", "plural": null, "english": "pond", "hindi": "तालाब", "translit": "डेयर टाइख", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1034", "german": "Knospe", "article": "die", "plural": null, "english": "bud", "hindi": "कली", "translit": "डी क्नोस्पे", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1035", "german": "Beere", "article": "die", "plural": null, "english": "berry", "hindi": "बेरी", "translit": "डी बेरे", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1036", "german": "Nuss", "article": "die", "plural": null, "english": "nut", "hindi": "मेवा", "translit": "डी नुस", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1037", "german": "Tierwelt", "article": "die", "plural": null, "english": "animal world", "hindi": "जानवरों की दुनिया", "translit": "डी टीरवेल्ट", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1038", "german": "Hase", "article": "der", "plural": null, "english": "hare/rabbit", "hindi": "खरगोश", "translit": "डेयर हाज़े", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1039", "german": "Tierpark", "article": "der", "plural": null, "english": "animal park", "hindi": "जानवर पार्क", "translit": "डेयर टीरपार्क", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1040", "german": "Aquarium", "article": "das", "plural": null, "english": "aquarium", "hindi": "एक्वेरियम", "translit": "डास आक्वारीउम", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1041", "german": "Delfin", "article": "der", "plural": null, "english": "dolphin", "hindi": "डॉल्फिन", "translit": "डेयर डेल्फिन", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1042", "german": "Hai", "article": "der", "plural": null, "english": "shark", "hindi": "शार्क", "translit": "डेयर हाई", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1043", "german": "Adler", "article": "der", "plural": null, "english": "eagle", "hindi": "ईगल", "translit": "डेयर आडलर", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1044", "german": "Eule", "article": "die", "plural": null, "english": "owl", "hindi": "उल्लू", "translit": "डी ऑयले", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1045", "german": "Papagei", "article": "der", "plural": null, "english": "parrot", "hindi": "तोता", "translit": "डेयर पापागाई", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1046", "german": "Schlange", "article": "die", "plural": null, "english": "snake", "hindi": "सांप", "translit": "डी श्लांगे", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1047", "german": "Frosch", "article": "der", "plural": null, "english": "frog", "hindi": "मेंढक", "translit": "डेयर फ्रोश", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1048", "german": "Schmetterling", "article": "der", "plural": null, "english": "butterfly", "hindi": "तितली", "translit": "डेयर श्मेटरलिंग", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1049", "german": "Biene", "article": "die", "plural": null, "english": "bee", "hindi": "मधुमक्खी", "translit": "डी बीने", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1050", "german": "Ameise", "article": "die", "plural": null, "english": "ant", "hindi": "चींटी", "translit": "डी आमाइज़े", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1051", "german": "Spinne", "article": "die", "plural": null, "english": "spider", "hindi": "मकड़ी", "translit": "डी श्पिने", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1052", "german": "Eichhörnchen", "article": "das", "plural": null, "english": "squirrel", "hindi": "गिलहरी", "translit": "डास आइखहोर्नखेन", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1053", "german": "Wolf", "article": "der", "plural": null, "english": "wolf", "hindi": "भेड़िया", "translit": "डेयर वोल्फ", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1054", "german": "Bär", "article": "der", "plural": null, "english": "bear", "hindi": "भालू", "translit": "डेयर बेयर", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1055", "german": "Fuchs", "article": "der", "plural": null, "english": "fox", "hindi": "लोमड़ी", "translit": "डेयर फुक्स", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1056", "german": "Hirsch", "article": "der", "plural": null, "english": "deer", "hindi": "हिरण", "translit": "डेयर हिर्श", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1057", "german": "Reh", "article": "das", "plural": null, "english": "roe deer", "hindi": "हिरणी", "translit": "डास रे", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1058", "german": "Igel", "article": "der", "plural": null, "english": "hedgehog", "hindi": "साही", "translit": "डेयर इगेल", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1059", "german": "Maulwurf", "article": "der", "plural": null, "english": "mole", "hindi": "छछूंदर", "translit": "डेयर माउलवुर्फ", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1060", "german": "Maus", "article": "die", "plural": null, "english": "mouse", "hindi": "चूहा", "translit": "डी माउस", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1061", "german": "Ratte", "article": "die", "plural": null, "english": "rat", "hindi": "चूहा", "translit": "डी राटे", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1062", "german": "Schwan", "article": "der", "plural": null, "english": "swan", "hindi": "हंस", "translit": "डेयर श्वान", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1063", "german": "Ente", "article": "die", "plural": null, "english": "duck", "hindi": "बतख", "translit": "डी एंटे", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1064", "german": "Storch", "article": "der", "plural": null, "english": "stork", "hindi": "सारस", "translit": "डेयर श्टोर्च", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1065", "german": "Krähe", "article": "die", "plural": null, "english": "crow", "hindi": "कौआ", "translit": "डी क्रेहे", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1066", "german": "Taube", "article": "die", "plural": null, "english": "pigeon", "hindi": "कबूतर", "translit": "डी टाउबे", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1067", "german": "Specht", "article": "der", "plural": null, "english": "woodpecker", "hindi": "कठफोड़वा", "translit": "डेयर श्पेख्ट", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1068", "german": "Fink", "article": "der", "plural": null, "english": "finch", "hindi": "फिंच", "translit": "डेयर फिंक", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1069", "german": "Spatz", "article": "der", "plural": null, "english": "sparrow", "hindi": "गौरैया", "translit": "डेयर श्पात्स", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1070", "german": "Amsel", "article": "die", "plural": null, "english": "blackbird", "hindi": "काली चिड़िया", "translit": "डी आम्सेल", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1071", "german": "Rabe", "article": "der", "plural": null, "english": "raven", "hindi": "कौआ", "translit": "डेयर राबे", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1072", "german": "Fledermaus", "article": "die", "plural": null, "english": "bat", "hindi": "चमगादड़", "translit": "डी फ्लेडरमाउस", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1073", "german": "Dachs", "article": "der", "plural": null, "english": "badger", "hindi": "बज्जू", "translit": "डेयर डाख्स", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1074", "german": "Luchs", "article": "der", "plural": null, "english": "lynx", "hindi": "लिंक्स", "translit": "डेयर लुक्स", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1075", "german": "Biber", "article": "der", "plural": null, "english": "beaver", "hindi": "ऊदबिलाव", "translit": "डेयर बीबर", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1076", "german": "Otter", "article": "der", "plural": null, "english": "otter", "hindi": "ऊद", "translit": "डेयर ओटर", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1077", "german": "Waschbär", "article": "der", "plural": null, "english": "raccoon", "hindi": "रैकून", "translit": "डेयर वाशबेयर", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1078", "german": "Marder", "article": "der", "plural": null, "english": "marten", "hindi": "मार्टन", "translit": "डेयर मार्डर", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1079", "german": "Wiesel", "article": "der", "plural": null, "english": "weasel", "hindi": "नीला", "translit": "डेयर वीज़ेल", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1080", "german": "Wildkatze", "article": "die", "plural": null, "english": "wildcat", "hindi": "जंगली बिल्ली", "translit": "डी विल्डकात्से", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1081", "german": "Löwe", "article": "der", "plural": null, "english": "lion", "hindi": "शेर", "translit": "डेयर लोवे", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1305", "german": "Zoo", "article": "der", "plural": null, "english": "zoo", "hindi": "चिड़ियाघर", "translit": "डेयर त्सो", "level": "A2", "topic": "Animals_&_Wildlife"},
+        {"id": "a2-1082", "german": "Wetter", "article": "das", "plural": null, "english": "weather", "hindi": "मौसम", "translit": "डास वेटर", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1083", "german": "Temperatur", "article": "die", "plural": null, "english": "temperature", "hindi": "तापमान", "translit": "डी टेम्पेरातूर", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1084", "german": "Regen", "article": "der", "plural": null, "english": "rain", "hindi": "बारिश", "translit": "डेयर रेगेन", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1085", "german": "Schnee", "article": "der", "plural": null, "english": "snow", "hindi": "बर्फ", "translit": "डेयर श्ने", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1086", "german": "Wind", "article": "der", "plural": null, "english": "wind", "hindi": "हवा", "translit": "डेयर विंड", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1087", "german": "Sonne", "article": "die", "plural": null, "english": "sun", "hindi": "सूरज", "translit": "डी ज़ोने", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1088", "german": "Wolke", "article": "die", "plural": null, "english": "cloud", "hindi": "बादल", "translit": "डी वोल्के", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1089", "german": "Sturm", "article": "der", "plural": null, "english": "storm", "hindi": "तूफान", "translit": "डेयर श्टुर्म", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1090", "german": "Nebel", "article": "der", "plural": null, "english": "fog", "hindi": "कोहरा", "translit": "डेयर नेबेल", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1091", "german": "Hagel", "article": "der", "plural": null, "english": "hail", "hindi": "ओले", "translit": "डेयर हागेल", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1092", "german": "Blitz", "article": "der", "plural": null, "english": "lightning", "hindi": "बिजली", "translit": "डेयर ब्लित्स", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1093", "german": "Donner", "article": "der", "plural": null, "english": "thunder", "hindi": "गड़गड़ाहट", "translit": "डेयर डोनर", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1094", "german": "Regenbogen", "article": "der", "plural": null, "english": "rainbow", "hindi": "इंद्रधनुष", "translit": "डेयर रेगेनबोगेन", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1095", "german": "Luftfeuchtigkeit", "article": "die", "plural": null, "english": "humidity", "hindi": "आर्द्रता", "translit": "डी लुफ्टफोइख्तिगकाइट", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1096", "german": "Frost", "article": "der", "plural": null, "english": "frost", "hindi": "ठंड", "translit": "डेयर फ्रोस्ट", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1097", "german": "Eis", "article": "das", "plural": null, "english": "ice", "hindi": "बर्फ", "translit": "डास आइस", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1098", "german": "Tau", "article": "der", "plural": null, "english": "dew", "hindi": "ओस", "translit": "डेयर टाउ", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1099", "german": "Sonnenschein", "article": "der", "plural": null, "english": "sunshine", "hindi": "धूप", "translit": "डेयर ज़ोनेनशाइन", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1100", "german": "Schatten", "article": "der", "plural": null, "english": "shadow", "hindi": "छाया", "translit": "डेयर शाटेन", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1101", "german": "Wettervorhersage", "article": "die", "plural": null, "english": "weather forecast", "hindi": "मौसम पूर्वानुमान", "translit": "डी वेटरफोरहेरज़ागे", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1102", "german": "Klima", "article": "das", "plural": null, "english": "climate", "hindi": "जलवायु", "translit": "डास क्लीमा", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1103", "german": "Jahreszeit", "article": "die", "plural": null, "english": "season", "hindi": "मौसम", "translit": "डी यारेसत्साइट", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1104", "german": "Frühling", "article": "der", "plural": null, "english": "spring", "hindi": "वसंत", "translit": "डेयर फ्र्यूलिंग", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1105", "german": "Sommer", "article": "der", "plural": null, "english": "summer", "hindi": "गर्मी", "translit": "डेयर ज़ोमर", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1106", "german": "Herbst", "article": "der", "plural": null, "english": "autumn", "hindi": "शरद", "translit": "डेयर हेर्ब्स्ट", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1107", "german": "Winter", "article": "der", "plural": null, "english": "winter", "hindi": "सर्दी", "translit": "डेयर विंटर", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1108", "german": "warm", "article": null, "plural": null, "english": "warm", "hindi": "गर्म", "translit": "वार्म", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1109", "german": "kalt", "article": null, "plural": null, "english": "cold", "hindi": "ठंडा", "translit": "काल्ट", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1110", "german": "heiß", "article": null, "plural": null, "english": "hot", "hindi": "गर्म", "translit": "हाइस", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1111", "german": "kühl", "article": null, "plural": null, "english": "cool", "hindi": "ठंडा", "translit": "क्यूल", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1112", "german": "bewölkt", "article": null, "plural": null, "english": "cloudy", "hindi": "बादलों से घिरा", "translit": "बेवोल्क्ट", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1113", "german": "sonnig", "article": null, "plural": null, "english": "sunny", "hindi": "धूप वाला", "translit": "ज़ोनिग", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1114", "german": "regnerisch", "article": null, "plural": null, "english": "rainy", "hindi": "बारिश वाला", "translit": "रेगनेरिश", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1115", "german": "windig", "article": null, "plural": null, "english": "windy", "hindi": "हवा वाला", "translit": "विंडिग", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1116", "german": "neblig", "article": null, "plural": null, "english": "foggy", "hindi": "कोहरे वाला", "translit": "नेब्लिग", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1117", "german": "stürmisch", "article": null, "plural": null, "english": "stormy", "hindi": "तूफानी", "translit": "श्ट्यूर्मिश", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1118", "german": "trocken", "article": null, "plural": null, "english": "dry", "hindi": "सूखा", "translit": "ट्रोकेन", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1119", "german": "feucht", "article": null, "plural": null, "english": "humid", "hindi": "नम", "translit": "फोइख्त", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1120", "german": "Regenschirm", "article": "der", "plural": null, "english": "umbrella", "hindi": "छाता", "translit": "डेयर रेगेनशिर्म", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1121", "german": "Mantel", "article": "der", "plural": null, "english": "coat", "hindi": "कोट", "translit": "डेयर मांटेल", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1122", "german": "Schal", "article": "der", "plural": null, "english": "scarf", "hindi": "स्कार्फ", "translit": "डेयर शाल", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1123", "german": "Handschuhe", "article": "die", "plural": null, "english": "gloves", "hindi": "दस्ताने", "translit": "डी हांटशूहे", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1124", "german": "Mütze", "article": "die", "plural": null, "english": "cap", "hindi": "टोपी", "translit": "डी म्यूत्से", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1125", "german": "Sonnenschirm", "article": "der", "plural": null, "english": "sunshade", "hindi": "सनशेड", "translit": "डेयर ज़ोनेनशिर्म", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1126", "german": "Wetterbericht", "article": "der", "plural": null, "english": "weather report", "hindi": "मौसम रिपोर्ट", "translit": "डेयर वेटरबेरिख्त", "level": "A2", "topic": "Weather_&_Climate"},
+        {"id": "a2-1127", "german": "Sport", "article": "der", "plural": null, "english": "sport", "hindi": "खेल", "translit": "डेयर श्पोर्ट", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1128", "german": "Fußballspiel", "article": "das", "plural": null, "english": "football match", "hindi": "फुटबॉल मैच", "translit": "डास फूसबालश्पील", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1129", "german": "Spieler", "article": "der", "plural": null, "english": "player", "hindi": "खिलाड़ी", "translit": "डेयर श्पीलर", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1130", "german": "Team", "article": "das", "plural": null, "english": "team", "hindi": "टीम", "translit": "डास टीम", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1131", "german": "Tor", "article": "das", "plural": null, "english": "goal", "hindi": "गोल", "translit": "डास टोर", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1132", "german": "Trainer", "article": "der", "plural": null, "english": "coach", "hindi": "कोच", "translit": "डेयर ट्रेनर", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1133", "german": "Training", "article": "das", "plural": null, "english": "training", "hindi": "प्रशिक्षण", "translit": "डास ट्रेनिंग", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1134", "german": "Wettkampf", "article": "der", "plural": null, "english": "competition", "hindi": "प्रतियोगिता", "translit": "डेयर वेटकाम्प्फ", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1135", "german": "Sieg", "article": "der", "plural": null, "english": "victory", "hindi": "जीत", "translit": "डेयर ज़ीग", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1136", "german": "Niederlage", "article": "die", "plural": null, "english": "defeat", "hindi": "हार", "translit": "डी नीडरलागे", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1137", "german": "Schwimmen", "article": "das", "plural": null, "english": "swimming", "hindi": "तैराकी", "translit": "डास श्विमेन", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1138", "german": "Laufen", "article": "das", "plural": null, "english": "running", "hindi": "दौड़ना", "translit": "डास लाउफेन", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1139", "german": "Radfahren", "article": "das", "plural": null, "english": "cycling", "hindi": "साइकिल चलाना", "translit": "डास राडफारेन", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1140", "german": "Tennis", "article": "das", "plural": null, "english": "tennis", "hindi": "टेनिस", "translit": "डास टेनिस", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1141", "german": "Basketball", "article": "das", "plural": null, "english": "basketball", "hindi": "बास्केटबॉल", "translit": "डास बास्केटबाल", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1142", "german": "Volleyball", "article": "das", "plural": null, "english": "volleyball", "hindi": "वॉलीबॉल", "translit": "डास वोलेबाल", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1143", "german": "Skifahren", "article": "das", "plural": null, "english": "skiing", "hindi": "स्कीइंग", "translit": "डास स्कीफारेन", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1144", "german": "Wandern", "article": "das", "plural": null, "english": "hiking", "hindi": "पैदल यात्रा", "translit": "डास वांडर्न", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1145", "german": "Klettern", "article": "das", "plural": null, "english": "climbing", "hindi": "चढ़ना", "translit": "डास क्लेटर्न", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1146", "german": "Joggen", "article": "das", "plural": null, "english": "jogging", "hindi": "जॉगिंग", "translit": "डास योगेन", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1147", "german": "Yoga", "article": "das", "plural": null, "english": "yoga", "hindi": "योग", "translit": "डास योगा", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1148", "german": "Fitness", "article": "das", "plural": null, "english": "fitness", "hindi": "फिटनेस", "translit": "डास फिटनेस", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1149", "german": "Fitnessstudio", "article": "das", "plural": null, "english": "gym", "hindi": "जिम", "translit": "डास फिटनेसश्टूडियो", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1150", "german": "Sportplatz", "article": "der", "plural": null, "english": "sports field", "hindi": "खेल का मैदान", "translit": "डेयर श्पोर्टप्लात्स", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1151", "german": "Stadion", "article": "das", "plural": null, "english": "stadium", "hindi": "स्टेडियम", "translit": "डास श्टाडियोन", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1152", "german": "Mannschaft", "article": "die", "plural": null, "english": "team", "hindi": "टीम", "translit": "डी मानशाफ्ट", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1153", "german": "Schiedsrichter", "article": "der", "plural": null, "english": "referee", "hindi": "रेफरी", "translit": "डेयर शीड्सरिख्तर", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1154", "german": "Pause", "article": "die", "plural": null, "english": "break", "hindi": "ब्रेक", "translit": "डी पाउज़े", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1155", "german": "Ball", "article": "der", "plural": null, "english": "ball", "hindi": "गेंद", "translit": "डेयर बाल", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1156", "german": "das Tor schießen", "article": null, "plural": null, "english": "to score a goal", "hindi": "गोल करना", "translit": "डास टोर शीसेन", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1157", "german": "gewinnen", "article": null, "plural": null, "english": "to win", "hindi": "जीतना", "translit": "गेविनेन", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1158", "german": "verlieren", "article": null, "plural": null, "english": "to lose", "hindi": "हारना", "translit": "फेर्लीरेन", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1159", "german": "spielen", "article": null, "plural": null, "english": "to play", "hindi": "खेलना", "translit": "श्पीलेन", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1160", "german": "trainieren", "article": null, "plural": null, "english": "to train", "hindi": "प्रशिक्षण लेना", "translit": "ट्रेनीरेन", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1161", "german": "Meister", "article": "der", "plural": null, "english": "champion", "hindi": "चैंपियन", "translit": "डेयर माइस्टर", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1162", "german": "Meisterschaft", "article": "die", "plural": null, "english": "championship", "hindi": "चैंपियनशिप", "translit": "डी माइस्टरशाफ्ट", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1163", "german": "Pokal", "article": "der", "plural": null, "english": "trophy", "hindi": "ट्रॉफी", "translit": "डेयर पोकाल", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1164", "german": "Medaille", "article": "die", "plural": null, "english": "medal", "hindi": "मेडल", "translit": "डी मेडाइले", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1165", "german": "Rekord", "article": "der", "plural": null, "english": "record", "hindi": "रिकॉर्ड", "translit": "डेयर रेकोर्ड", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1166", "german": "Zuschauer", "article": "der", "plural": null, "english": "spectator", "hindi": "दर्शक", "translit": "डेयर त्सूशाउर", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1167", "german": "Zuschauerin", "article": "die", "plural": null, "english": "spectator (female)", "hindi": "दर्शक (स्त्री)", "translit": "डी त्सूशाउरिन", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1168", "german": "Fan", "article": "der", "plural": null, "english": "fan", "hindi": "प्रशंसक", "translit": "डेयर फान", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1169", "german": "Ausrüstung", "article": "die", "plural": null, "english": "equipment", "hindi": "उपकरण", "translit": "डी आउसर्यूस्टुंग", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1170", "german": "Sportart", "article": "die", "plural": null, "english": "type of sport", "hindi": "खेल का प्रकार", "translit": "डी श्पोर्टार्ट", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1171", "german": "Übung", "article": "die", "plural": null, "english": "exercise", "hindi": "अभ्यास", "translit": "डी यूबुंग", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1172", "german": "Bewegung", "article": "die", "plural": null, "english": "movement", "hindi": "गति", "translit": "डी बेवेगुंग", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1173", "german": "Ausdauer", "article": "die", "plural": null, "english": "endurance", "hindi": "सहनशीलता", "translit": "डी आउसडाउर", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1174", "german": "Kraft", "article": "die", "plural": null, "english": "strength", "hindi": "शक्ति", "translit": "डी क्राफ्ट", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1175", "german": "Geschwindigkeit", "article": "die", "plural": null, "english": "speed", "hindi": "गति", "translit": "डी गेश्विंडिखकाइट", "level": "A2", "topic": "Sports_&_Activities"},
+        {"id": "a2-1176", "german": "Wettbewerb", "article": "der", "plural": null, "english": "contest", "hindi": "प्रतियोगिता", "translit": "डेयर वेटबेवेर्ब", "level": "A2", "topic": "Sports_&_Activities"}
+    ]
+});
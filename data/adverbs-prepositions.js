@@ -0,0 +1,77 @@
+/* Adverbs & Connectors - word list for adverbs-prepositions.html, rendered by js/vocab.js.
+   The object passed to register() is plain JSON, one word per line. */
+GermanVocab.register({
+    "page": "adverbs-prepositions",
+    "title": "Adverbs & Connectors",
+    "level": "A1",
+    "unit": "words",
+    "rowTint": "40",
+    "columns": [
+        {"key": "german", "label": "German"},
+        {"key": "translit", "label": "Pronunciation (Hindi)"},
+        {"key": "hindi", "label": "Hindi"},
+        {"key": "english", "label": "English"}
+    ],
+    "sections": [
+        {"id": "Adverbs_&_Other", "title": "Adverbs, Prepositions & Connectors", "emoji": "🔗", "german": "Adverbien, Präpositionen & Konnektoren", "translit": "आडवेर्बीन, प्रेपोज़ीत्सियोनेन & कोनेक्टोरेन", "color": "#b39ddb", "level": "A1"}
+    ],
+    "words": [
+        {"id": "adverbs-prepositions-0001", "german": "ab", "article": null, "plural": null, "english": "from (time onwards)", "hindi": "से (समय)", "translit": "आप", "level": "A1", "topic": "Adverbs_&_Other"},
+        {"id": "adverbs-prepositions-0002", "german": "aber", "article": null, "plural": null, "english": "but", "hindi": "लेकिन", "translit": "आबर", "level": "A1", "topic": "Adverbs_&_Other", "tint": "90"},
+        {"id": "adverbs-prepositions-0003", "german": "also", "article": null, "plural": null, "english": "so / well", "hindi": "तो", "translit": "आल्ज़ो", "level": "A1", "topic": "Adverbs_&_Other", "tint": "a0"},
+        {"id": "adverbs-prepositions-0004", "german": "an", "article": null, "plural": null, "english": "at / on (vertical)", "hindi": "पर", "translit": "आन", "level": "A1", "topic": "Adverbs_&_Other", "tint": "20"},
+        {"id": "adverbs-prepositions-0005", "german": "auch", "article": null, "plural": null, "english": "also / too", "hindi": "भी", "translit": "आउख", "level": "A1", "topic": "Adverbs_&_Other", "tint": "80"},
+        {"id": "adverbs-prepositions-0006", "german": "auf", "article": null, "plural": null, "english": "on (horizontal)", "hindi": "के ऊपर", "translit": "आउफ", "level": "A1", "topic": "Adverbs_&_Other", "tint": "20"},
+        {"id": "adverbs-prepositions-0007", "german": "aus", "article": null, "plural": null, "english": "out of / from (origin)", "hindi": "से (बाहर)", "translit": "आउस", "level": "A1", "topic": "Adverbs_&_Other", "tint": "30"},
+        {"id": "adverbs-prepositions-0008", "german": "besonders", "article": null, "plural": null, "english": "especially", "hindi": "खासकर", "translit": "बेज़ोंडर्स", "level": "A1", "topic": "Adverbs_&_Other", "tint": "80"},
+        {"id": "adverbs-prepositions-0009", "german": "bis", "article": null, "plural": null, "english": "until / to", "hindi": "तक", "translit": "बिस", "level": "A1", "topic": "Adverbs_&_Other"},
+        {"id": "adverbs-prepositions-0010", "german": "dass", "article": null, "plural": null, "english": "that (conjunction)", "hindi": "कि", "translit": "दास", "level": "A1", "topic": "Adverbs_&_Other", "tint": "90"},
+        {"id": "adverbs-prepositions-0011", "german": "denn", "article": null, "plural": null, "english": "because / for", "hindi": "क्योंकि", "translit": "डेन", "level": "A1", "topic": "Adverbs_&_Other", "tint": "90"},
+        {"id": "adverbs-prepositions-0012", "german": "deshalb", "article": null, "plural": null, "english": "therefore", "hindi": "इसलिए", "translit": "देसहाल्प", "level": "A1", "topic": "Adverbs_&_Other", "tint": "90"},
+        {"id": "adverbs-prepositions-0013", "german": "doch", "article": null, "plural": null, "english": "yes (contradicting) / but", "hindi": "हाँ (विरोध में)", "translit": "डोख", "level": "A1", "topic": "Adverbs_&_Other", "tint": "a0"},
+        {"id": "adverbs-prepositions-0014", "german": "drinnen", "article": null, "plural": null, "english": "inside", "hindi": "अंदर", "translit": "ड्रिनेन", "level": "A1", "topic": "Adverbs_&_Other", "tint": "70"},
+        {"id": "adverbs-prepositions-0015", "german": "durch", "article": null, "plural": null, "english": "through", "hindi": "से होकर", "translit": "डुर्ख", "level": "A1", "topic": "Adverbs_&_Other", "tint": "30"},
+        {"id": "adverbs-prepositions-0016", "german": "eigentlich", "article": null, "plural": null, "english": "actually", "hindi": "वास्तव में", "translit": "आइगेंट्लिख", "level": "A1", "topic": "Adverbs_&_Other", "tint": "a0"},
+        {"id": "adverbs-prepositions-0017", "german": "fast", "article": null, "plural": null, "english": "almost", "hindi": "लगभग", "translit": "फास्ट", "level": "A1", "topic": "Adverbs_&_Other", "tint": "80"},
+        {"id": "adverbs-prepositions-0018", "german": "früher", "article": null, "plural": null, "english": "earlier / formerly", "hindi": "पहले", "translit": "फ्र्युअर", "level": "A1", "topic": "Adverbs_&_Other", "tint": "50"},
+        {"id": "adverbs-prepositions-0019", "german": "für", "article": null, "plural": null, "english": "for", "hindi": "के लिए", "translit": "फ्युर", "level": "A1", "topic": "Adverbs_&_Other"},
+        {"id": "adverbs-prepositions-0020", "german": "ganz", "article": null, "plural": null, "english": "quite / whole", "hindi": "काफी / पूरा", "translit": "गांत्स", "level": "A1", "topic": "Adverbs_&_Other", "tint": "80"},
+        {"id": "adverbs-prepositions-0021", "german": "gegen", "article": null, "plural": null, "english": "against / around (time)", "hindi": "के खिलाफ / करीब", "translit": "गेगेन", "level": "A1", "topic": "Adverbs_&_Other"},
+        {"id": "adverbs-prepositions-0022", "german": "genau", "article": null, "plural": null, "english": "exactly", "hindi": "बिल्कुल", "translit": "गेनाउ", "level": "A1", "topic": "Adverbs_&_Other", "tint": "a0"},
+        {"id": "adverbs-prepositions-0023", "german": "gerade", "article": null, "plural": null, "english": "just now / straight", "hindi": "अभी-अभी", "translit": "गेराडे", "level": "A1", "topic": "Adverbs_&_Other", "tint": "50"},
+        {"id": "adverbs-prepositions-0024", "german": "hinter", "article": null, "plural": null, "english": "behind", "hindi": "के पीछे", "translit": "हिंटर", "level": "A1", "topic": "Adverbs_&_Other", "tint": "20"},
+        {"id": "adverbs-prepositions-0025", "german": "in", "article": null, "plural": null, "english": "in 📍", "hindi": "में", "translit": "इन", "level": "A1", "topic": "Adverbs_&_Other", "tint": "20"},
+        {"id": "adverbs-prepositions-0026", "german": "ja", "article": null, "plural": null, "english": "yes ✓", "hindi": "हाँ", "translit": "या", "level": "A1", "topic": "Adverbs_&_Other", "tint": "a0"},
+        {"id": "adverbs-prepositions-0027", "german": "kein", "article": null, "plural": null, "english": "no / not any", "hindi": "कोई नहीं", "translit": "काइन", "level": "A1", "topic": "Adverbs_&_Other", "tint": "a0"},
+        {"id": "adverbs-prepositions-0028", "german": "meistens", "article": null, "plural": null, "english": "mostly / usually", "hindi": "ज्यादातर", "translit": "माइस्टेन्स", "level": "A1", "topic": "Adverbs_&_Other", "tint": "60"},
+        {"id": "adverbs-prepositions-0029", "german": "mit", "article": null, "plural": null, "english": "with", "hindi": "के साथ", "translit": "मिट", "level": "A1", "topic": "Adverbs_&_Other"},
+        {"id": "adverbs-prepositions-0030", "german": "natürlich", "article": null, "plural": null, "english": "of course / naturally", "hindi": "बेशक", "translit": "नाट्युर्लिख", "level": "A1", "topic": "Adverbs_&_Other", "tint": "a0"},
+        {"id": "adverbs-prepositions-0031", "german": "neben", "article": null, "plural": null, "english": "next to / beside", "hindi": "के बगल में", "translit": "नेबेन", "level": "A1", "topic": "Adverbs_&_Other", "tint": "20"},
+        {"id": "adverbs-prepositions-0032", "german": "nein", "article": null, "plural": null, "english": "no ✗", "hindi": "नहीं", "translit": "नाइन", "level": "A1", "topic": "Adverbs_&_Other", "tint": "a0"},
+        {"id": "adverbs-prepositions-0033", "german": "nicht", "article": null, "plural": null, "english": "not ❌", "hindi": "नहीं", "translit": "निख्ट", "level": "A1", "topic": "Adverbs_&_Other", "tint": "a0"},
+        {"id": "adverbs-prepositions-0034", "german": "nirgendwo", "article": null, "plural": null, "english": "nowhere", "hindi": "कहीं नहीं", "translit": "निर्गेंट्वो", "level": "A1", "topic": "Adverbs_&_Other", "tint": "70"},
+        {"id": "adverbs-prepositions-0035", "german": "noch", "article": null, "plural": null, "english": "still / yet", "hindi": "अभी भी", "translit": "नोख", "level": "A1", "topic": "Adverbs_&_Other", "tint": "50"},
+        {"id": "adverbs-prepositions-0036", "german": "nur", "article": null, "plural": null, "english": "only", "hindi": "केवल", "translit": "नूर", "level": "A1", "topic": "Adverbs_&_Other", "tint": "80"},
+        {"id": "adverbs-prepositions-0037", "german": "oder", "article": null, "plural": null, "english": "or", "hindi": "या", "translit": "ओडर", "level": "A1", "topic": "Adverbs_&_Other", "tint": "90"},
+        {"id": "adverbs-prepositions-0038", "german": "ohne", "article": null, "plural": null, "english": "without", "hindi": "के बिना", "translit": "ओने", "level": "A1", "topic": "Adverbs_&_Other"},
+        {"id": "adverbs-prepositions-0039", "german": "schon", "article": null, "plural": null, "english": "already", "hindi": "पहले से", "translit": "शोन", "level": "A1", "topic": "Adverbs_&_Other", "tint": "50"},
+        {"id": "adverbs-prepositions-0040", "german": "sehr", "article": null, "plural": null, "english": "very", "hindi": "बहुत", "translit": "ज़ेर", "level": "A1", "topic": "Adverbs_&_Other", "tint": "80"},
+        {"id": "adverbs-prepositions-0041", "german": "seit", "article": null, "plural": null, "english": "since / for (duration)", "hindi": "से (समय से)", "translit": "ज़ाइट", "level": "A1", "topic": "Adverbs_&_Other"},
+        {"id": "adverbs-prepositions-0042", "german": "sondern", "article": null, "plural": null, "english": "but rather", "hindi": "बल्कि", "translit": "ज़ोंडर्न", "level": "A1", "topic": "Adverbs_&_Other", "tint": "90"},
+        {"id": "adverbs-prepositions-0043", "german": "um", "article": null, "plural": null, "english": "at (time) / around", "hindi": "बजे / के आसपास", "translit": "उम", "level": "A1", "topic": "Adverbs_&_Other"},
+        {"id": "adverbs-prepositions-0044", "german": "und", "article": null, "plural": null, "english": "and 🔗", "hindi": "और", "translit": "उंट", "level": "A1", "topic": "Adverbs_&_Other", "tint": "90"},
+        {"id": "adverbs-prepositions-0045", "german": "unter", "article": null, "plural": null, "english": "under", "hindi": "के नीचे", "translit": "उंटर", "level": "A1", "topic": "Adverbs_&_Other", "tint": "20"},
+        {"id": "adverbs-prepositions-0046", "german": "von", "article": null, "plural": null, "english": "from / of", "hindi": "से / का", "translit": "फॉन", "level": "A1", "topic": "Adverbs_&_Other", "tint": "30"},
+        {"id": "adverbs-prepositions-0047", "german": "wahrscheinlich", "article": null, "plural": null, "english": "probably", "hindi": "संभवतः", "translit": "वारशाइनलिख", "level": "A1", "topic": "Adverbs_&_Other", "tint": "a0"},
+        {"id": "adverbs-prepositions-0048", "german": "weil", "article": null, "plural": null, "english": "because", "hindi": "क्योंकि", "translit": "वाइल", "level": "A1", "topic": "Adverbs_&_Other", "tint": "90"},
+        {"id": "adverbs-prepositions-0049", "german": "wenn", "article": null, "plural": null, "english": "if / when", "hindi": "अगर / जब", "translit": "वेन", "level": "A1", "topic": "Adverbs_&_Other", "tint": "90"},
+        {"id": "adverbs-prepositions-0050", "german": "wieder", "article": null, "plural": null, "english": "again", "hindi": "फिर से", "translit": "वीडर", "level": "A1", "topic": "Adverbs_&_Other", "tint": "50"},
+        {"id": "adverbs-prepositions-0051", "german": "wirklich", "article": null, "plural": null, "english": "really", "hindi": "सच में", "translit": "विर्कलिख", "level": "A1", "topic": "Adverbs_&_Other", "tint": "a0"},
+        {"id": "adverbs-prepositions-0052", "german": "ziemlich", "article": null, "plural": null, "english": "quite / fairly", "hindi": "काफी", "translit": "त्सीमलिख", "level": "A1", "topic": "Adverbs_&_Other", "tint": "80"},
+        {"id": "adverbs-prepositions-0053", "german": "zu", "article": null, "plural": null, "english": "to (place/person)", "hindi": "को / की ओर", "translit": "त्सू", "level": "A1", "topic": "Adverbs_&_Other", "tint": "30"},
+        {"id": "adverbs-prepositions-0054", "german": "zwischen", "article": null, "plural": null, "english": "between", "hindi": "के बीच", "translit": "त्स्विशेन", "level": "A1", "topic": "Adverbs_&_Other", "tint": "20"},
+        {"id": "adverbs-prepositions-0055", "german": "über", "article": null, "plural": null, "english": "over / above", "hindi": "के ऊपर", "translit": "युबर", "level": "A1", "topic": "Adverbs_&_Other", "tint": "20"},
+        {"id": "adverbs-prepositions-0056", "german": "überall", "article": null, "plural": null, "english": "everywhere", "hindi": "हर जगह", "translit": "युबराल", "level": "A1", "topic": "Adverbs_&_Other", "tint": "70"},
+        {"id": "adverbs-prepositions-0057", "german": "übrigens", "article": null, "plural": null, "english": "by the way", "hindi": "वैसे", "translit": "युब्रिगेन्स", "level": "A1", "topic": "Adverbs_&_Other", "tint": "a0"}
+    ]
+});
@@ -0,0 +1,72 @@
+/* Sentences for the preposition case trainer (js/cases.js), following
+   grammar.html section 8. The object passed to register() is plain JSON.
+     sentence: German with ___ where the article goes, right after prep
+     gender:   m | f | n | pl - of the noun after the blank (plural nouns
+               are written in their dative form: mit den Kindern)
+     motion:   two-way prepositions only - true for wohin? (Akkusativ),
+               false for wo? (Dativ) */
+GermanCases.register({
+"sentences": [
+{"prep": "durch", "sentence": "Wir gehen durch ___ Park.", "gender": "m", "english": "We walk through the park.", "hindi": "हम पार्क से होकर जाते हैं।"},
+{"prep": "durch", "sentence": "Der Zug fährt durch ___ Stadt.", "gender": "f", "english": "The train goes through the city.", "hindi": "ट्रेन शहर से होकर जाती है।"},
+{"prep": "durch", "sentence": "Die Katze springt durch ___ Fenster.", "gender": "n", "english": "The cat jumps through the window.", "hindi": "बिल्ली खिड़की से कूदती है।"},
+{"prep": "für", "sentence": "Das Geschenk ist für ___ Mutter.", "gender": "f", "english": "The present is for the mother.", "hindi": "तोहफ़ा माँ के लिए है।"},
+{"prep": "für", "sentence": "Ich kaufe Blumen für ___ Lehrer.", "gender": "m", "english": "I buy flowers for the teacher.", "hindi": "मैं शिक्षक के लिए फूल खरीदता हूँ।"},
+{"prep": "für", "sentence": "Der Ball ist für ___ Kind.", "gender": "n", "english": "The ball is for the child.", "hindi": "गेंद बच्चे के लिए है।"},
+{"prep": "für", "sentence": "Er arbeitet für ___ Firma.", "gender": "f", "english": "He works for the company.", "hindi": "वह कंपनी के लिए काम करता है।"},
+{"prep": "gegen", "sentence": "Das Auto fährt gegen ___ Baum.", "gender": "m", "english": "The car crashes into the tree.", "hindi": "कार पेड़ से टकराती है।"},
+{"prep": "gegen", "sentence": "Wir spielen gegen ___ Mannschaft aus Berlin.", "gender": "f", "english": "We play against the team from Berlin.", "hindi": "हम बर्लिन की टीम के खिलाफ़ खेलते हैं।"},
+{"prep": "ohne", "sentence": "Er geht ohne ___ Schirm aus dem Haus.", "gender": "m", "english": "He leaves the house without the umbrella.", "hindi": "वह छाते के बिना घर से निकलता है।"},
+{"prep": "ohne", "sentence": "Sie fährt ohne ___ Kinder in den Urlaub.", "gender": "pl", "english": "She goes on holiday without the children.", "hindi": "वह बच्चों के बिना छुट्टी पर जाती है।"},
+{"prep": "um", "sentence": "Wir laufen um ___ See.", "gender": "m", "english": "We run around the lake.", "hindi": "हम झील के चारों ओर दौड़ते हैं।"},
+{"prep": "um", "sentence": "Die Kinder sitzen um ___ Tisch.", "gender": "m", "english": "The children sit around the table.", "hindi": "बच्चे मेज़ के चारों ओर बैठे हैं।"},
+{"prep": "um", "sentence": "Der Bus fährt um ___ Ecke.", "gender": "f", "english": "The bus goes round the corner.", "hindi": "बस कोने से मुड़ती है।"},
+
+{"prep": "aus", "sentence": "Er kommt aus ___ Haus.", "gender": "n", "english": "He comes out of the house.", "hindi": "वह घर से बाहर आता है।"},
+{"prep": "aus", "sentence": "Ich trinke aus ___ Flasche.", "gender": "f", "english": "I drink from the bottle.", "hindi": "मैं बोतल से पीता हूँ।"},
+{"prep": "aus", "sentence": "Sie nimmt das Handy aus ___ Tasche.", "gender": "f", "english": "She takes the phone out of the bag.", "hindi": "वह बैग से फ़ोन निकालती है।"},
+{"prep": "bei", "sentence": "Er arbeitet bei ___ Post.", "gender": "f", "english": "He works at the post office.", "hindi": "वह डाकघर में काम करता है।"},
+{"prep": "bei", "sentence": "Das Hotel liegt bei ___ Bahnhof.", "gender": "m", "english": "The hotel is near the station.", "hindi": "होटल स्टेशन के पास है।"},
+{"prep": "mit", "sentence": "Ich fahre mit ___ Bus.", "gender": "m", "english": "I go by bus.", "hindi": "मैं बस से जाता हूँ।"},
+{"prep": "mit", "sentence": "Sie spricht mit ___ Lehrerin.", "gender": "f", "english": "She talks to the teacher.", "hindi": "वह शिक्षिका से बात करती है।"},
+{"prep": "mit", "sentence": "Wir spielen mit ___ Kindern.", "gender": "pl", "english": "We play with the children.", "hindi": "हम बच्चों के साथ खेलते हैं।"},
+{"prep": "mit", "sentence": "Er schreibt mit ___ Stift.", "gender": "m", "english": "He writes with the pen.", "hindi": "वह पेन से लिखता है।"},
+{"prep": "nach", "sentence": "Nach ___ Essen trinken wir Tee.", "gender": "n", "english": "After the meal we drink tea.", "hindi": "खाने के बाद हम चाय पीते हैं।"},
+{"prep": "nach", "sentence": "Nach ___ Arbeit gehe ich nach Hause.", "gender": "f", "english": "After work I go home.", "hindi": "काम के बाद मैं घर जाता हूँ।"},
+{"prep": "seit", "sentence": "Seit ___ Sommer lerne ich Deutsch.", "gender": "m", "english": "I have been learning German since the summer.", "hindi": "गर्मियों से मैं जर्मन सीख रहा हूँ।"},
+{"prep": "seit", "sentence": "Seit ___ Hochzeit wohnen sie in Köln.", "gender": "f", "english": "Since the wedding they have lived in Cologne.", "hindi": "शादी के बाद से वे कोलोन में रहते हैं।"},
+{"prep": "von", "sentence": "Das ist ein Brief von ___ Freundin.", "gender": "f", "english": "That is a letter from the friend.", "hindi": "यह सहेली का पत्र है।"},
+{"prep": "von", "sentence": "Ich komme gerade von ___ Arzt.", "gender": "m", "english": "I am just coming from the doctor.", "hindi": "मैं अभी डॉक्टर के पास से आ रहा हूँ।"},
+{"prep": "von", "sentence": "Das Fahrrad von ___ Kind ist neu.", "gender": "n", "english": "The child's bike is new.", "hindi": "बच्चे की साइकिल नई है।"},
+{"prep": "zu", "sentence": "Ich gehe zu ___ Schule.", "gender": "f", "english": "I go to school.", "hindi": "मैं स्कूल जाता हूँ।"},
+{"prep": "zu", "sentence": "Wir fahren zu ___ Bahnhof.", "gender": "m", "english": "We go to the station.", "hindi": "हम स्टेशन जाते हैं।"},
+{"prep": "zu", "sentence": "Sie geht zu ___ Freunden.", "gender": "pl", "english": "She goes to the friends.", "hindi": "वह दोस्तों के पास जाती है।"},
+
+{"prep": "in", "sentence": "Ich gehe in ___ Park.", "gender": "m", "motion": true, "english": "I go into the park.", "hindi": "मैं पार्क में जाता हूँ।"},
+{"prep": "in", "sentence": "Ich bin in ___ Park.", "gender": "m", "motion": false, "english": "I am in the park.", "hindi": "मैं पार्क में हूँ।"},
+{"prep": "in", "sentence": "Wir gehen in ___ Kino.", "gender": "n", "motion": true, "english": "We go to the cinema.", "hindi": "हम सिनेमा जाते हैं।"},
+{"prep": "in", "sentence": "Wir sitzen in ___ Kino.", "gender": "n", "motion": false, "english": "We sit in the cinema.", "hindi": "हम सिनेमा में बैठे हैं।"},
+{"prep": "in", "sentence": "Sie fährt in ___ Stadt.", "gender": "f", "motion": true, "english": "She drives into town.", "hindi": "वह शहर जाती है।"},
+{"prep": "in", "sentence": "Sie wohnt in ___ Stadt.", "gender": "f", "motion": false, "english": "She lives in the town.", "hindi": "वह शहर में रहती है।"},
+{"prep": "auf", "sentence": "Ich lege das Buch auf ___ Tisch.", "gender": "m", "motion": true, "english": "I put the book onto the table.", "hindi": "मैं किताब मेज़ पर रखता हूँ।"},
+{"prep": "auf", "sentence": "Das Buch liegt auf ___ Tisch.", "gender": "m", "motion": false, "english": "The book lies on the table.", "hindi": "किताब मेज़ पर रखी है।"},
+{"prep": "auf", "sentence": "Die Katze springt auf ___ Bett.", "gender": "n", "motion": true, "english": "The cat jumps onto the bed.", "hindi": "बिल्ली बिस्तर पर कूदती है।"},
+{"prep": "auf", "sentence": "Die Katze schläft auf ___ Bett.", "gender": "n", "motion": false, "english": "The cat sleeps on the bed.", "hindi": "बिल्ली बिस्तर पर सोती है।"},
+{"prep": "an", "sentence": "Er hängt das Bild an ___ Wand.", "gender": "f", "motion": true, "english": "He hangs the picture on the wall.", "hindi": "वह तस्वीर दीवार पर टाँगता है।"},
+{"prep": "an", "sentence": "Das Bild hängt an ___ Wand.", "gender": "f", "motion": false, "english": "The picture hangs on the wall.", "hindi": "तस्वीर दीवार पर टँगी है।"},
+{"prep": "an", "sentence": "Wir fahren an ___ Meer.", "gender": "n", "motion": true, "english": "We go to the seaside.", "hindi": "हम समुद्र के किनारे जाते हैं।"},
+{"prep": "an", "sentence": "Wir machen Urlaub an ___ Meer.", "gender": "n", "motion": false, "english": "We spend our holiday by the sea.", "hindi": "हम समुद्र के किनारे छुट्टी मनाते हैं।"},
+{"prep": "über", "sentence": "Ich hänge die Lampe über ___ Tisch.", "gender": "m", "motion": true, "english": "I hang the lamp above the table.", "hindi": "मैं लैंप मेज़ के ऊपर टाँगता हूँ।"},
+{"prep": "über", "sentence": "Die Lampe hängt über ___ Tisch.", "gender": "m", "motion": false, "english": "The lamp hangs above the table.", "hindi": "लैंप मेज़ के ऊपर टँगा है।"},
+{"prep": "unter", "sentence": "Der Hund kriecht unter ___ Sofa.", "gender": "n", "motion": true, "english": "The dog crawls under the sofa.", "hindi": "कुत्ता सोफ़े के नीचे घुसता है।"},
+{"prep": "unter", "sentence": "Der Hund schläft unter ___ Sofa.", "gender": "n", "motion": false, "english": "The dog sleeps under the sofa.", "hindi": "कुत्ता सोफ़े के नीचे सोता है।"},
+{"prep": "vor", "sentence": "Ich stelle das Fahrrad vor ___ Haus.", "gender": "n", "motion": true, "english": "I put the bike in front of the house.", "hindi": "मैं साइकिल घर के सामने खड़ी करता हूँ।"},
+{"prep": "vor", "sentence": "Das Fahrrad steht vor ___ Haus.", "gender": "n", "motion": false, "english": "The bike is in front of the house.", "hindi": "साइकिल घर के सामने खड़ी है।"},
+{"prep": "hinter", "sentence": "Das Kind läuft hinter ___ Baum.", "gender": "m", "motion": true, "english": "The child runs behind the tree.", "hindi": "बच्चा पेड़ के पीछे भागता है।"},
+{"prep": "hinter", "sentence": "Das Kind steht hinter ___ Baum.", "gender": "m", "motion": false, "english": "The child stands behind the tree.", "hindi": "बच्चा पेड़ के पीछे खड़ा है।"},
+{"prep": "neben", "sentence": "Sie setzt sich neben ___ Frau.", "gender": "f", "motion": true, "english": "She sits down next to the woman.", "hindi": "वह औरत के बगल में बैठ जाती है।"},
+{"prep": "neben", "sentence": "Sie sitzt neben ___ Frau.", "gender": "f", "motion": false, "english": "She is sitting next to the woman.", "hindi": "वह औरत के बगल में बैठी है।"},
+{"prep": "zwischen", "sentence": "Ich stelle die Lampe zwischen ___ Stühle.", "gender": "pl", "motion": true, "english": "I put the lamp between the chairs.", "hindi": "मैं लैंप कुर्सियों के बीच रखता हूँ।"},
+{"prep": "zwischen", "sentence": "Die Lampe steht zwischen ___ Stühlen.", "gender": "pl", "motion": false, "english": "The lamp stands between the chairs.", "hindi": "लैंप कुर्सियों के बीच रखा है।"}
+]
+});
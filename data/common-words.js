@@ -0,0 +1,354 @@
+/* Common Words - word list for common-words.html, rendered by js/vocab.js.
+   The object passed to register() is plain JSON, one word per line. */
+GermanVocab.register({
+    "page": "common-words",
+    "title": "Common Words",
+    "unit": "words",
+    "rowTint": "20",
+    "columns": [
+        {"key": "german", "label": "German"},
+        {"key": "english", "label": "English"},
+        {"key": "hindi", "label": "Hindi"}
+    ],
+    "sections": [
+        {"id": "A1_Level", "title": "A1 Level", "emoji": "📚", "german": "A1 Niveau", "translit": null, "color": "#e8f5e9", "level": "A1"},
+        {"id": "A2_Level", "title": "A2 Level", "emoji": "📖", "german": "A2 Niveau", "translit": null, "color": "#e3f2fd", "level": "A2"},
+        {"id": "B1_Level", "title": "B1 Level", "emoji": "📘", "german": "B1 Niveau", "translit": null, "color": "#fff3e0", "level": "B1"},
+        {"id": "B2_Level", "title": "B2 Level", "emoji": "📗", "german": "B2 Niveau", "translit": null, "color": "#fce4ec", "level": "B2"},
+        {"id": "C1-C2_Level", "title": "C1-C2 Level", "emoji": "📙", "german": "C1-C2 Niveau", "translit": null, "color": "#f3e5f5", "level": "C1"}
+    ],
+    "words": [
+        {"id": "common-words-0001", "german": "alle", "article": null, "plural": null, "english": "all", "hindi": "सब", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0002", "german": "und", "article": null, "plural": null, "english": "and", "hindi": "और", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0003", "german": "ein", "article": null, "plural": null, "english": "an", "hindi": "एक", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0004", "german": "Apfel", "article": "der", "plural": null, "english": "apple", "hindi": "सेब", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0005", "german": "Arm", "article": "der", "plural": null, "english": "arm", "hindi": "बाँह", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0006", "german": "als", "article": null, "plural": null, "english": "as", "hindi": "जैसे", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0007", "german": "Ball", "article": "der", "plural": null, "english": "ball", "hindi": "गेंद", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0008", "german": "Bier", "article": "das", "plural": null, "english": "beer", "hindi": "बीयर", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0009", "german": "besser", "article": null, "plural": null, "english": "better", "hindi": "बेहतर", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0010", "german": "Buch", "article": "das", "plural": null, "english": "book", "hindi": "किताब", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0011", "german": "Brot", "article": "das", "plural": null, "english": "bread", "hindi": "रोटी", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0012", "german": "kalt", "article": null, "plural": null, "english": "cold", "hindi": "ठंडा", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0013", "german": "kühl", "article": null, "plural": null, "english": "cool", "hindi": "ठंडा / शांत", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0014", "german": "Kuh", "article": "die", "plural": null, "english": "cow", "hindi": "गाय", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0015", "german": "Tag", "article": "der", "plural": null, "english": "day", "hindi": "दिन", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0016", "german": "tun", "article": null, "plural": null, "english": "do", "hindi": "करना", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0017", "german": "Tür", "article": "die", "plural": null, "english": "door", "hindi": "दरवाज़ा", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0018", "german": "trinken", "article": null, "plural": null, "english": "drink", "hindi": "पीना", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0019", "german": "trocken", "article": null, "plural": null, "english": "dry", "hindi": "सूखा", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0020", "german": "Ohr", "article": "das", "plural": null, "english": "ear", "hindi": "कान", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0021", "german": "Erde", "article": "die", "plural": null, "english": "earth", "hindi": "पृथ्वी", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0022", "german": "essen", "article": null, "plural": null, "english": "eat", "hindi": "खाना", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0023", "german": "Ei", "article": "das", "plural": null, "english": "egg", "hindi": "अंडा", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0024", "german": "Auge", "article": "das", "plural": null, "english": "eye", "hindi": "आँख", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0025", "german": "fern", "article": null, "plural": null, "english": "far", "hindi": "दूर", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0026", "german": "Vater", "article": "der", "plural": null, "english": "father", "hindi": "पिता", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0027", "german": "Finger", "article": "der", "plural": null, "english": "finger", "hindi": "उंगली", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0028", "german": "Fisch", "article": "der", "plural": null, "english": "fish", "hindi": "मछली", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0029", "german": "Fuß", "article": "der", "plural": null, "english": "foot", "hindi": "पैर", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0030", "german": "für", "article": null, "plural": null, "english": "for", "hindi": "के लिए", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0031", "german": "frei", "article": null, "plural": null, "english": "free", "hindi": "स्वतंत्र / मुफ्त", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0032", "german": "Freitag", "article": null, "plural": null, "english": "Friday", "hindi": "शुक्रवार", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0033", "german": "Garten", "article": "der", "plural": null, "english": "garden", "hindi": "बगीचा", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0034", "german": "Glas", "article": "das", "plural": null, "english": "glass", "hindi": "ग्लास / काँच", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0035", "german": "gehen", "article": null, "plural": null, "english": "go", "hindi": "जाना", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0036", "german": "Gott", "article": null, "plural": null, "english": "God", "hindi": "भगवान", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0037", "german": "Gold", "article": "das", "plural": null, "english": "gold", "hindi": "सोना", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0038", "german": "gut", "article": null, "plural": null, "english": "good", "hindi": "अच्छा", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0039", "german": "Gras", "article": "das", "plural": null, "english": "grass", "hindi": "घास", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0040", "german": "Hand", "article": "die", "plural": null, "english": "hand", "hindi": "हाथ", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0041", "german": "hart", "article": null, "plural": null, "english": "hard", "hindi": "कठिन / सख्त", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0042", "german": "haben", "article": null, "plural": null, "english": "have", "hindi": "होना / रखना", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0043", "german": "Herz", "article": "das", "plural": null, "english": "heart", "hindi": "दिल", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0044", "german": "hier", "article": null, "plural": null, "english": "here", "hindi": "यहाँ", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0045", "german": "hoch", "article": null, "plural": null, "english": "high", "hindi": "ऊँचा", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0046", "german": "Haus", "article": "das", "plural": null, "english": "house", "hindi": "घर", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0047", "german": "Eis", "article": "das", "plural": null, "english": "ice", "hindi": "बर्फ", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0048", "german": "Knie", "article": "das", "plural": null, "english": "knee", "hindi": "घुटना", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0049", "german": "Montag", "article": null, "plural": null, "english": "Monday", "hindi": "सोमवार", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0050", "german": "Mutter", "article": "die", "plural": null, "english": "mother", "hindi": "माँ", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0051", "german": "Name", "article": "der", "plural": null, "english": "name", "hindi": "नाम", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0052", "german": "Nase", "article": "die", "plural": null, "english": "nose", "hindi": "नाक", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0053", "german": "alt", "article": null, "plural": null, "english": "old", "hindi": "पुराना", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0054", "german": "offen", "article": null, "plural": null, "english": "open", "hindi": "खुला", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0055", "german": "Park", "article": "der", "plural": null, "english": "park", "hindi": "पार्क", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0056", "german": "Salz", "article": "das", "plural": null, "english": "salt", "hindi": "नमक", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0057", "german": "Sand", "article": "der", "plural": null, "english": "sand", "hindi": "रेत", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0058", "german": "sehen", "article": null, "plural": null, "english": "see", "hindi": "देखना", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0059", "german": "sie", "article": null, "plural": null, "english": "she", "hindi": "वह (स्त्री)", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0060", "german": "Sommer", "article": "der", "plural": null, "english": "summer", "hindi": "गर्मी", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0061", "german": "Wasser", "article": "das", "plural": null, "english": "water", "hindi": "पानी", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0062", "german": "warm", "article": null, "plural": null, "english": "warm", "hindi": "गर्म", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0063", "german": "was", "article": null, "plural": null, "english": "what", "hindi": "क्या", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0064", "german": "Brücke", "article": "die", "plural": null, "english": "bridge", "hindi": "पुल", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0065", "german": "breit", "article": null, "plural": null, "english": "broad", "hindi": "चौड़ा", "translit": null, "level": "A1", "topic": "A1_Level"},
+        {"id": "common-words-0066", "german": "allein", "article": null, "plural": null, "english": "alone", "hindi": "अकेला", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0067", "german": "Ameise", "article": "die", "plural": null, "english": "ant", "hindi": "चींटी", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0068", "german": "weg", "article": null, "plural": null, "english": "away", "hindi": "दूर", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0069", "german": "Bär", "article": "der", "plural": null, "english": "bear (n)", "hindi": "भालू", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0070", "german": "Bett", "article": "das", "plural": null, "english": "bed", "hindi": "बिस्तर", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0071", "german": "Biene", "article": "die", "plural": null, "english": "bee", "hindi": "मधुमक्खी", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0072", "german": "Boot", "article": "das", "plural": null, "english": "boat", "hindi": "नाव", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0073", "german": "beide", "article": null, "plural": null, "english": "both", "hindi": "दोनों", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0074", "german": "Bruder", "article": "der", "plural": null, "english": "brother", "hindi": "भाई", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0075", "german": "kommen", "article": null, "plural": null, "english": "come", "hindi": "आना", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0076", "german": "Tochter", "article": "die", "plural": null, "english": "daughter", "hindi": "बेटी", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0077", "german": "Taube", "article": "die", "plural": null, "english": "dove", "hindi": "कबूतर", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0078", "german": "genug", "article": null, "plural": null, "english": "enough", "hindi": "काफी", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0079", "german": "Fuchs", "article": "der", "plural": null, "english": "fox", "hindi": "लोमड़ी", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0080", "german": "Frosch", "article": "der", "plural": null, "english": "frog", "hindi": "मेंढक", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0081", "german": "Geiß", "article": "die", "plural": null, "english": "goat", "hindi": "बकरी", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0082", "german": "Haar", "article": "das", "plural": null, "english": "hair", "hindi": "बाल", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0083", "german": "halb", "article": null, "plural": null, "english": "half", "hindi": "आधा", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0084", "german": "helfen", "article": null, "plural": null, "english": "help", "hindi": "मदद करना", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0085", "german": "Heim", "article": "das", "plural": null, "english": "home", "hindi": "घर", "translit": null, "level": "A2", "topic": "A2_Level", "display": "das Heim(at)"},
+        {"id": "common-words-0086", "german": "heiß", "article": null, "plural": null, "english": "hot", "hindi": "गर्म", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0087", "german": "leben", "article": null, "plural": null, "english": "live", "hindi": "जीना", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0088", "german": "lieben", "article": null, "plural": null, "english": "love", "hindi": "प्यार करना", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0089", "german": "Mond", "article": "der", "plural": null, "english": "moon", "hindi": "चाँद", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0090", "german": "mehr", "article": null, "plural": null, "english": "more", "hindi": "और अधिक", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0091", "german": "Mund", "article": "der", "plural": null, "english": "mouth", "hindi": "मुँह", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0092", "german": "Nacht", "article": "die", "plural": null, "english": "night", "hindi": "रात", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0093", "german": "nun", "article": null, "plural": null, "english": "now", "hindi": "अब", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0094", "german": "Regen", "article": "der", "plural": null, "english": "rain", "hindi": "बारिश", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0095", "german": "See", "article": "die", "plural": null, "english": "sea", "hindi": "समुद्र", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0096", "german": "Schiff", "article": "das", "plural": null, "english": "ship", "hindi": "जहाज़", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0097", "german": "Schwester", "article": "die", "plural": null, "english": "sister", "hindi": "बहन", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0098", "german": "Schnee", "article": "der", "plural": null, "english": "snow", "hindi": "बर्फ", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0099", "german": "Sohn", "article": "der", "plural": null, "english": "son", "hindi": "बेटा", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0100", "german": "Sonne", "article": "die", "plural": null, "english": "sun", "hindi": "सूरज", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0101", "german": "Woche", "article": "die", "plural": null, "english": "week", "hindi": "सप्ताह", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0102", "german": "Braut", "article": "die", "plural": null, "english": "bride", "hindi": "दुल्हन", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0103", "german": "braun", "article": null, "plural": null, "english": "brown", "hindi": "भूरा", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0104", "german": "Gans", "article": "die", "plural": null, "english": "goose", "hindi": "हंस/कलहंस", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0105", "german": "grau", "article": null, "plural": null, "english": "gray", "hindi": "धूसर", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0106", "german": "Schaf", "article": "das", "plural": null, "english": "sheep", "hindi": "भेड़", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0107", "german": "Feder", "article": "die", "plural": null, "english": "feather", "hindi": "पंख", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0108", "german": "füttern", "article": null, "plural": null, "english": "feed", "hindi": "खिलाना", "translit": null, "level": "A2", "topic": "A2_Level"},
+        {"id": "common-words-0109", "german": "bringen", "article": null, "plural": null, "english": "bring", "hindi": "लाना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0110", "german": "brennen", "article": null, "plural": null, "english": "burn", "hindi": "जलना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0111", "german": "Kuchen", "article": "der", "plural": null, "english": "cake", "hindi": "केक", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0112", "german": "tot", "article": null, "plural": null, "english": "dead", "hindi": "मृत", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0113", "german": "tief", "article": null, "plural": null, "english": "deep", "hindi": "गहरा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0114", "german": "Teufel", "article": "der", "plural": null, "english": "devil", "hindi": "शैतान", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0115", "german": "Osten", "article": "der", "plural": null, "english": "east", "hindi": "पूर्व", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0116", "german": "fallen", "article": null, "plural": null, "english": "fall", "hindi": "गिरना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0117", "german": "fühlen", "article": null, "plural": null, "english": "feel", "hindi": "महसूस करना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0118", "german": "Filz", "article": "der", "plural": null, "english": "felt (n)", "hindi": "फेल्ट (कपड़ा)", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0119", "german": "Feld", "article": "das", "plural": null, "english": "field", "hindi": "खेत", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0120", "german": "füllen", "article": null, "plural": null, "english": "fill", "hindi": "भरना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0121", "german": "ausfüllen", "article": null, "plural": null, "english": "fill out (form)", "hindi": "फॉर्म भरना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0122", "german": "Filter", "article": "das", "plural": null, "english": "filter", "hindi": "फिल्टर", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0123", "german": "finden", "article": null, "plural": null, "english": "find", "hindi": "पाना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0124", "german": "herausfinden", "article": null, "plural": null, "english": "find out", "hindi": "पता लगाना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0125", "german": "Fingernagel", "article": "der", "plural": null, "english": "fingernail", "hindi": "नाखून", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0126", "german": "Feuer", "article": "das", "plural": null, "english": "fire", "hindi": "आग", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0127", "german": "Feuerwerk", "article": "das", "plural": null, "english": "fireworks", "hindi": "आतिशबाजी", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0128", "german": "flach", "article": null, "plural": null, "english": "flat", "hindi": "चपटा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0129", "german": "Floh", "article": "der", "plural": null, "english": "flea", "hindi": "पिस्सू", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0130", "german": "Flotte", "article": "die", "plural": null, "english": "fleet", "hindi": "बेड़ा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0131", "german": "flattern", "article": null, "plural": null, "english": "flutter", "hindi": "फड़फड़ाना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0132", "german": "fliegen", "article": null, "plural": null, "english": "fly (vb)", "hindi": "उड़ना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0133", "german": "Fohlen", "article": "das", "plural": null, "english": "foal", "hindi": "घोड़े का बच्चा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0134", "german": "falten", "article": null, "plural": null, "english": "fold", "hindi": "मोड़ना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0135", "german": "Volk", "article": "das", "plural": null, "english": "folk", "hindi": "लोग", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0136", "german": "folgen", "article": null, "plural": null, "english": "follow", "hindi": "पीछा करना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0137", "german": "verbieten", "article": null, "plural": null, "english": "forbid", "hindi": "मना करना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0138", "german": "Furt", "article": "die", "plural": null, "english": "ford", "hindi": "उथला घाट", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0139", "german": "frieren", "article": null, "plural": null, "english": "freeze", "hindi": "जमना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0140", "german": "frisch", "article": null, "plural": null, "english": "fresh", "hindi": "ताज़ा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0141", "german": "Frost", "article": "der", "plural": null, "english": "frost", "hindi": "पाला", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0142", "german": "Geist", "article": "der", "plural": null, "english": "ghost", "hindi": "भूत", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0143", "german": "begabt", "article": null, "plural": null, "english": "gifted", "hindi": "प्रतिभाशाली", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0144", "german": "geben", "article": null, "plural": null, "english": "give", "hindi": "देना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0145", "german": "aufgeben", "article": null, "plural": null, "english": "give up", "hindi": "छोड़ देना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0146", "german": "Glanz", "article": "der", "plural": null, "english": "gleam", "hindi": "चमक", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0147", "german": "gleiten", "article": null, "plural": null, "english": "glide", "hindi": "फिसलना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0148", "german": "glühen", "article": null, "plural": null, "english": "glow", "hindi": "चमकना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0149", "german": "grasen", "article": null, "plural": null, "english": "graze", "hindi": "चरना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0150", "german": "begrüßen", "article": null, "plural": null, "english": "greet", "hindi": "नमस्ते कहना", "translit": null, "level": "B1", "topic": "B1_Level", "display": "(be)grüßen"},
+        {"id": "common-words-0151", "german": "Griff", "article": "der", "plural": null, "english": "grip", "hindi": "पकड़", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0152", "german": "Grund", "article": "der", "plural": null, "english": "ground", "hindi": "ज़मीन", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0153", "german": "wachsen", "article": null, "plural": null, "english": "grow", "hindi": "बढ़ना", "translit": null, "level": "B1", "topic": "B1_Level", "display": "(wachsen)"},
+        {"id": "common-words-0154", "german": "Gast", "article": "der", "plural": null, "english": "guest", "hindi": "मेहमान", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0155", "german": "Hammer", "article": "der", "plural": null, "english": "hammer", "hindi": "हथौड़ा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0156", "german": "Hamster", "article": "der", "plural": null, "english": "hamster", "hindi": "हैम्स्टर", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0157", "german": "Handbuch", "article": "das", "plural": null, "english": "handbook", "hindi": "हैंडबुक", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0158", "german": "behandeln", "article": null, "plural": null, "english": "handle", "hindi": "संभालना", "translit": null, "level": "B1", "topic": "B1_Level", "display": "(be)handeln"},
+        {"id": "common-words-0159", "german": "hängen", "article": null, "plural": null, "english": "hang", "hindi": "लटकाना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0160", "german": "Harfe", "article": "die", "plural": null, "english": "harp", "hindi": "वीणा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0161", "german": "anhaben", "article": null, "plural": null, "english": "have on", "hindi": "पहनना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0162", "german": "Habicht", "article": "der", "plural": null, "english": "hawk", "hindi": "बाज़", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0163", "german": "Heu", "article": "das", "plural": null, "english": "hay", "hindi": "घास", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0164", "german": "Haufen", "article": "der", "plural": null, "english": "heap", "hindi": "ढेर", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0165", "german": "Hecke", "article": "die", "plural": null, "english": "hedge", "hindi": "बाड़", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0166", "german": "Helm", "article": "der", "plural": null, "english": "helmet", "hindi": "हेलमेट", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0167", "german": "hohl", "article": null, "plural": null, "english": "hollow", "hindi": "खोखला", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0168", "german": "heilig", "article": null, "plural": null, "english": "holy", "hindi": "पवित्र", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0169", "german": "hüpfen", "article": null, "plural": null, "english": "hop", "hindi": "उछलना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0170", "german": "Horn", "article": "das", "plural": null, "english": "horn", "hindi": "सींग", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0171", "german": "heulen", "article": null, "plural": null, "english": "howl", "hindi": "चिल्लाना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0172", "german": "Hürde", "article": "die", "plural": null, "english": "hurdle", "hindi": "बाधा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0173", "german": "Hütte", "article": "die", "plural": null, "english": "hut", "hindi": "झोपड़ी", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0174", "german": "Einkommen", "article": "das", "plural": null, "english": "income", "hindi": "आय", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0175", "german": "Efeu", "article": "der", "plural": null, "english": "ivy", "hindi": "आइवी", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0176", "german": "Knoten", "article": "der", "plural": null, "english": "knot", "hindi": "गांठ", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0177", "german": "Leiter", "article": "die", "plural": null, "english": "ladder", "hindi": "सीढ़ी", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0178", "german": "Lager", "article": "das", "plural": null, "english": "lair", "hindi": "मांद", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0179", "german": "Lamm", "article": "das", "plural": null, "english": "lamb", "hindi": "मेमना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0180", "german": "Lerche", "article": "die", "plural": null, "english": "lark", "hindi": "लर्क (पक्षी)", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0181", "german": "legen", "article": null, "plural": null, "english": "lay", "hindi": "रखना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0182", "german": "Leiter", "article": "der", "plural": null, "english": "leader", "hindi": "नेता", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0183", "german": "lehnen", "article": null, "plural": null, "english": "lean", "hindi": "झुकना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0184", "german": "Leder", "article": "das", "plural": null, "english": "leather", "hindi": "चमड़ा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0185", "german": "lassen", "article": null, "plural": null, "english": "let", "hindi": "अनुमति देना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0186", "german": "lecken", "article": null, "plural": null, "english": "lick", "hindi": "चाटना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0187", "german": "liegen", "article": null, "plural": null, "english": "lie (down)", "hindi": "लेटना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0188", "german": "lügen", "article": null, "plural": null, "english": "lie (untruth)", "hindi": "झूठ बोलना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0189", "german": "Lippe", "article": "die", "plural": null, "english": "lip", "hindi": "होंठ", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0190", "german": "lose", "article": null, "plural": null, "english": "loose", "hindi": "ढीला", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0191", "german": "verlieren", "article": null, "plural": null, "english": "lose", "hindi": "हारना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0192", "german": "Glück", "article": "das", "plural": null, "english": "luck", "hindi": "भाग्य", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0193", "german": "lauwarm", "article": null, "plural": null, "english": "lukewarm", "hindi": "गुनगुना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0194", "german": "Lunge", "article": "die", "plural": null, "english": "lung", "hindi": "फेफड़ा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0195", "german": "Made", "article": "die", "plural": null, "english": "maggot", "hindi": "कीड़ा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0196", "german": "Mädchen", "article": "das", "plural": null, "english": "maiden", "hindi": "कुंवारी लड़की", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0197", "german": "Mark", "article": "das", "plural": null, "english": "marrow", "hindi": "मज्जा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0198", "german": "Mast", "article": "der", "plural": null, "english": "mast", "hindi": "मस्तूल", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0199", "german": "meinen", "article": null, "plural": null, "english": "mean", "hindi": "मतलब होना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0200", "german": "mild", "article": null, "plural": null, "english": "mild", "hindi": "हल्का", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0201", "german": "Monat", "article": "das", "plural": null, "english": "month", "hindi": "महीना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0202", "german": "Nachbar", "article": "der", "plural": null, "english": "neighbor", "hindi": "पड़ोसी", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0203", "german": "Nest", "article": "das", "plural": null, "english": "nest", "hindi": "घोंसला", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0204", "german": "nächste", "article": null, "plural": null, "english": "next", "hindi": "अगला", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0205", "german": "Nachtigall", "article": "die", "plural": null, "english": "nightingale", "hindi": "बुलबुल", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0206", "german": "Nudel", "article": "die", "plural": null, "english": "noodle", "hindi": "नूडल", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0207", "german": "Nasenbluten", "article": "das", "plural": null, "english": "nosebleed", "hindi": "नाक से खून", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0208", "german": "Eid", "article": "der", "plural": null, "english": "oath", "hindi": "शपथ", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0209", "german": "Ausbruch", "article": "der", "plural": null, "english": "outbreak", "hindi": "प्रकोप", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0210", "german": "Ochse", "article": "der", "plural": null, "english": "ox", "hindi": "बैल", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0211", "german": "Pfad", "article": "der", "plural": null, "english": "path", "hindi": "रास्ता", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0212", "german": "Pflug", "article": "der", "plural": null, "english": "plow", "hindi": "हल", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0213", "german": "plündern", "article": null, "plural": null, "english": "plunder", "hindi": "लूटना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0214", "german": "roh", "article": null, "plural": null, "english": "raw", "hindi": "कच्चा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0215", "german": "erreichen", "article": null, "plural": null, "english": "reach", "hindi": "पहुँचना", "translit": null, "level": "B1", "topic": "B1_Level", "display": "(er)reichen"},
+        {"id": "common-words-0216", "german": "rechnen", "article": null, "plural": null, "english": "reckon", "hindi": "गणना करना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0217", "german": "Rätsel", "article": "das", "plural": null, "english": "riddle", "hindi": "पहेली", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0218", "german": "reif", "article": null, "plural": null, "english": "ripe", "hindi": "पका", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0219", "german": "rösten", "article": null, "plural": null, "english": "roast", "hindi": "भूनना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0220", "german": "rauben", "article": null, "plural": null, "english": "rob", "hindi": "लूटना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0221", "german": "rau", "article": null, "plural": null, "english": "rough", "hindi": "खुरदरा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0222", "german": "rostig", "article": null, "plural": null, "english": "rusty", "hindi": "जंग लगा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0223", "german": "Sattel", "article": "der", "plural": null, "english": "saddle", "hindi": "काठी", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0224", "german": "Saft", "article": "der", "plural": null, "english": "sap", "hindi": "रस", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0225", "german": "Säge", "article": "die", "plural": null, "english": "saw (n)", "hindi": "आरी", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0226", "german": "schaurig", "article": null, "plural": null, "english": "scary", "hindi": "डरावना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0227", "german": "schaben", "article": null, "plural": null, "english": "scrape", "hindi": "खुरचना", "translit": null, "level": "B1", "topic": "B1_Level", "display": "(schaben)"},
+        {"id": "common-words-0228", "german": "kratzen", "article": null, "plural": null, "english": "scratch", "hindi": "खरोंचना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0229", "german": "schreien", "article": null, "plural": null, "english": "scream", "hindi": "चिल्लाना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0230", "german": "Bildschirm", "article": "der", "plural": null, "english": "screen", "hindi": "स्क्रीन", "translit": null, "level": "B1", "topic": "B1_Level", "display": "der (Bild)schirm"},
+        {"id": "common-words-0231", "german": "Saat", "article": "die", "plural": null, "english": "seed", "hindi": "बीज", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0232", "german": "suchen", "article": null, "plural": null, "english": "seek", "hindi": "खोजना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0233", "german": "selten", "article": null, "plural": null, "english": "seldom", "hindi": "कभी-कभी", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0234", "german": "siedeln", "article": null, "plural": null, "english": "settle", "hindi": "बसना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0235", "german": "Schatten", "article": "der", "plural": null, "english": "shadow", "hindi": "छाया", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0236", "german": "Schaft", "article": "der", "plural": null, "english": "shaft", "hindi": "डंडा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0237", "german": "Schande", "article": "die", "plural": null, "english": "shame", "hindi": "शर्म", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0238", "german": "scharf", "article": null, "plural": null, "english": "sharp", "hindi": "तीखा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0239", "german": "Schale", "article": "die", "plural": null, "english": "shell", "hindi": "छिलका", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0240", "german": "Schild", "article": "das", "plural": null, "english": "shield", "hindi": "ढाल", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0241", "german": "Schienbein", "article": "das", "plural": null, "english": "shinbone", "hindi": "पिंडली की हड्डी", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0242", "german": "scheinen", "article": null, "plural": null, "english": "shine", "hindi": "चमकना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0243", "german": "Hemd", "article": "das", "plural": null, "english": "shirt", "hindi": "कमीज़", "translit": null, "level": "B1", "topic": "B1_Level", "display": "(das Hemd)"},
+        {"id": "common-words-0244", "german": "Schuh", "article": "der", "plural": null, "english": "shoe", "hindi": "जूता", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0245", "german": "schießen", "article": null, "plural": null, "english": "shoot", "hindi": "गोली मारना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0246", "german": "scheuen", "article": null, "plural": null, "english": "shun", "hindi": "बचना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0247", "german": "scheu", "article": null, "plural": null, "english": "shy", "hindi": "शर्मीला", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0248", "german": "krank", "article": null, "plural": null, "english": "sick", "hindi": "बीमार", "translit": null, "level": "B1", "topic": "B1_Level", "display": "(krank)"},
+        {"id": "common-words-0249", "german": "Sieb", "article": "das", "plural": null, "english": "sieve", "hindi": "छलनी", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0250", "german": "Sehne", "article": "die", "plural": null, "english": "sinew", "hindi": "नस", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0251", "german": "sinken", "article": null, "plural": null, "english": "sink", "hindi": "डूबना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0252", "german": "Schädel", "article": "der", "plural": null, "english": "skull", "hindi": "खोपड़ी", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0253", "german": "schlau", "article": null, "plural": null, "english": "sly", "hindi": "चालाक", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0254", "german": "schmieren", "article": null, "plural": null, "english": "smear", "hindi": "लेप करना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0255", "german": "schmuggeln", "article": null, "plural": null, "english": "smuggle", "hindi": "तस्करी करना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0256", "german": "niesen", "article": null, "plural": null, "english": "sneeze", "hindi": "छींकना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0257", "german": "schnarchen", "article": null, "plural": null, "english": "snore", "hindi": "खर्राटे लेना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0258", "german": "Seife", "article": "die", "plural": null, "english": "soap", "hindi": "साबुन", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0259", "german": "Seele", "article": "die", "plural": null, "english": "soul", "hindi": "आत्मा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0260", "german": "Suppe", "article": "die", "plural": null, "english": "soup", "hindi": "सूप", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0261", "german": "sauer", "article": null, "plural": null, "english": "sour", "hindi": "खट्टा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0262", "german": "sparen", "article": null, "plural": null, "english": "spare", "hindi": "बचाना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0263", "german": "Spindel", "article": "die", "plural": null, "english": "spindle", "hindi": "तकला", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0264", "german": "Splitter", "article": "der", "plural": null, "english": "splinter", "hindi": "छिपटी", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0265", "german": "spreiten", "article": null, "plural": null, "english": "spread", "hindi": "फैलाना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0266", "german": "sprießen", "article": null, "plural": null, "english": "sprout", "hindi": "अंकुरित होना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0267", "german": "Spion", "article": "der", "plural": null, "english": "spy", "hindi": "जासूस", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0268", "german": "stempeln", "article": null, "plural": null, "english": "stamp", "hindi": "मोहर लगाना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0269", "german": "starren", "article": null, "plural": null, "english": "stare", "hindi": "घूरना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0270", "german": "stehlen", "article": null, "plural": null, "english": "steal", "hindi": "चोरी करना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0271", "german": "Stahl", "article": "der", "plural": null, "english": "steel", "hindi": "इस्पात", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0272", "german": "steuern", "article": null, "plural": null, "english": "steer", "hindi": "चलाना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0273", "german": "Stiefvater", "article": "der", "plural": null, "english": "stepfather", "hindi": "सौतेला पिता", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0274", "german": "Stroh", "article": "das", "plural": null, "english": "straw", "hindi": "पुआल", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0275", "german": "solche", "article": null, "plural": null, "english": "such", "hindi": "ऐसा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0276", "german": "saugen", "article": null, "plural": null, "english": "suck", "hindi": "चूसना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0277", "german": "Sumpf", "article": "der", "plural": null, "english": "swamp", "hindi": "दलदल", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0278", "german": "schwören", "article": null, "plural": null, "english": "swear", "hindi": "कसम खाना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0279", "german": "schwingen", "article": null, "plural": null, "english": "swing", "hindi": "झूलना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0280", "german": "Schwert", "article": "das", "plural": null, "english": "sword", "hindi": "तलवार", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0281", "german": "zahm", "article": null, "plural": null, "english": "tame", "hindi": "पालतू", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0282", "german": "tauen", "article": null, "plural": null, "english": "thaw", "hindi": "पिघलना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0283", "german": "dort", "article": null, "plural": null, "english": "there", "hindi": "वहाँ", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0284", "german": "Dieb", "article": "der", "plural": null, "english": "thief", "hindi": "चोर", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0285", "german": "Ding", "article": "das", "plural": null, "english": "thing", "hindi": "चीज़", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0286", "german": "Durst", "article": "der", "plural": null, "english": "thirst", "hindi": "प्यास", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0287", "german": "Faden", "article": "der", "plural": null, "english": "thread", "hindi": "धागा", "translit": null, "level": "B1", "topic": "B1_Level", "display": "(der Faden)"},
+        {"id": "common-words-0288", "german": "drohen", "article": null, "plural": null, "english": "threaten", "hindi": "धमकी देना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0289", "german": "Daumen", "article": "der", "plural": null, "english": "thumb", "hindi": "अंगूठा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0290", "german": "Zinn", "article": "das", "plural": null, "english": "tin", "hindi": "टिन", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0291", "german": "Zehe", "article": "die", "plural": null, "english": "toe", "hindi": "पैर की उंगली", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0292", "german": "Zeichen", "article": "das", "plural": null, "english": "token", "hindi": "संकेत", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0293", "german": "Zunge", "article": "die", "plural": null, "english": "tongue", "hindi": "जीभ", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0294", "german": "zäh", "article": null, "plural": null, "english": "tough", "hindi": "सख्त", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0295", "german": "Zweig", "article": "der", "plural": null, "english": "twig", "hindi": "टहनी", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0296", "german": "unter", "article": null, "plural": null, "english": "under", "hindi": "नीचे", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0297", "german": "Untergrund", "article": "der", "plural": null, "english": "underground", "hindi": "भूमिगत", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0298", "german": "aufrecht", "article": null, "plural": null, "english": "upright", "hindi": "सीधा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0299", "german": "uns", "article": null, "plural": null, "english": "us", "hindi": "हम", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0300", "german": "äußern", "article": null, "plural": null, "english": "utter", "hindi": "कहना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0301", "german": "Walnuss", "article": "die", "plural": null, "english": "walnut", "hindi": "अखरोट", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0302", "german": "wandern", "article": null, "plural": null, "english": "wander", "hindi": "घूमना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0303", "german": "Warenhaus", "article": "das", "plural": null, "english": "warehouse", "hindi": "गोदाम", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0304", "german": "Wasserfall", "article": "der", "plural": null, "english": "waterfall", "hindi": "झरना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0305", "german": "Waffe", "article": "die", "plural": null, "english": "weapon", "hindi": "हथियार", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0306", "german": "Keil", "article": "der", "plural": null, "english": "wedge", "hindi": "कील", "translit": null, "level": "B1", "topic": "B1_Level", "display": "(der Keil)"},
+        {"id": "common-words-0307", "german": "Wal", "article": "der", "plural": null, "english": "whale", "hindi": "व्हेल", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0308", "german": "Weizen", "article": "der", "plural": null, "english": "wheat", "hindi": "गेहूं", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0309", "german": "welche", "article": null, "plural": null, "english": "which", "hindi": "कौन सा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0310", "german": "wessen", "article": null, "plural": null, "english": "whose", "hindi": "किसका", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0311", "german": "weit", "article": null, "plural": null, "english": "wide", "hindi": "चौड़ा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0312", "german": "Witwe", "article": "die", "plural": null, "english": "widow(er)", "hindi": "विधवा", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0313", "german": "gewinnen", "article": null, "plural": null, "english": "win", "hindi": "जीतना", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0314", "german": "Wolf", "article": "der", "plural": null, "english": "wolf", "hindi": "भेड़िया", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0315", "german": "Wunder", "article": "das", "plural": null, "english": "wonder", "hindi": "अद्भुत", "translit": null, "level": "B1", "topic": "B1_Level"},
+        {"id": "common-words-0316", "german": "Balkon", "article": "der", "plural": null, "english": "balcony", "hindi": "बालकनी", "translit": null, "level": "B2", "topic": "B2_Level"},
+        {"id": "common-words-0317", "german": "Band", "article": "die", "plural": null, "english": "band", "hindi": "बैंड", "translit": null, "level": "B2", "topic": "B2_Level"},
+        {"id": "common-words-0318", "german": "blond", "article": null, "plural": null, "english": "blond", "hindi": "गोरा", "translit": null, "level": "B2", "topic": "B2_Level"},
+        {"id": "common-words-0319", "german": "Gruppe", "article": "die", "plural": null, "english": "group", "hindi": "समूह", "translit": null, "level": "B2", "topic": "B2_Level"},
+        {"id": "common-words-0320", "german": "Netzwerk", "article": "das", "plural": null, "english": "network", "hindi": "नेटवर्क", "translit": null, "level": "B2", "topic": "B2_Level"},
+        {"id": "common-words-0321", "german": "Standard", "article": "der", "plural": null, "english": "standard", "hindi": "मानक", "translit": null, "level": "B2", "topic": "B2_Level"},
+        {"id": "common-words-0322", "german": "allmächtig", "article": null, "plural": null, "english": "almighty", "hindi": "सर्वशक्तिमान", "translit": null, "level": "C1", "topic": "C1-C2_Level"},
+        {"id": "common-words-0323", "german": "Geburt", "article": "die", "plural": null, "english": "birth", "hindi": "जन्म", "translit": null, "level": "C1", "topic": "C1-C2_Level"},
+        {"id": "common-words-0324", "german": "Blutbad", "article": "das", "plural": null, "english": "bloodbath", "hindi": "रक्तपात", "translit": null, "level": "C1", "topic": "C1-C2_Level"},
+        {"id": "common-words-0325", "german": "Etikette", "article": "die", "plural": null, "english": "etiquette", "hindi": "शिष्टाचार", "translit": null, "level": "C1", "topic": "C1-C2_Level"},
+        {"id": "common-words-0326", "german": "Voraussicht", "article": "die", "plural": null, "english": "foresight", "hindi": "दूरदर्शिता", "translit": null, "level": "C1", "topic": "C1-C2_Level"},
+        {"id": "common-words-0327", "german": "hastig", "article": null, "plural": null, "english": "hasty", "hindi": "जल्दबाज़", "translit": null, "level": "C1", "topic": "C1-C2_Level"},
+        {"id": "common-words-0328", "german": "hindern", "article": null, "plural": null, "english": "hinder", "hindi": "बाधा डालना", "translit": null, "level": "C1", "topic": "C1-C2_Level"},
+        {"id": "common-words-0329", "german": "installieren", "article": null, "plural": null, "english": "install", "hindi": "स्थापित करना", "translit": null, "level": "C1", "topic": "C1-C2_Level"},
+        {"id": "common-words-0330", "german": "Kindergarten", "article": "der", "plural": null, "english": "kindergarten", "hindi": "किंडरगार्टन", "translit": null, "level": "C1", "topic": "C1-C2_Level"},
+        {"id": "common-words-0331", "german": "mannigfaltig", "article": null, "plural": null, "english": "manifold", "hindi": "विविध", "translit": null, "level": "C1", "topic": "C1-C2_Level"},
+        {"id": "common-words-0332", "german": "überschatten", "article": null, "plural": null, "english": "overshadow", "hindi": "छाया करना", "translit": null, "level": "C1", "topic": "C1-C2_Level"}
+    ]
+});
@@ -0,0 +1,233 @@
+/* Verb and noun paradigms for the conjugation and plural drills (js/drills.js).
+   Verbs follow grammar.html sections 1 and 3, nouns section 5; plurals come
+   from the a1-pdf word list. The object passed to register() is plain JSON.
+     present: ich, du, er/sie/es, wir, ihr, sie/Sie
+     presentPattern: regular | regular-e | regular-s | stem-e-i | stem-e-ie | stem-a-ae | modal | irregular
+     perfektPattern: weak | strong | mixed | no-ge | separable
+     pattern (nouns): none | e | er | en | s  - grammar.html 5.1 patterns 1-5 */
+GermanDrills.register({
+"verbs": [
+{"infinitive": "sein", "english": "to be", "hindi": "होना", "present": ["bin", "bist", "ist", "sind", "seid", "sind"], "presentPattern": "irregular", "aux": "sein", "participle": "gewesen", "perfektPattern": "strong"},
+{"infinitive": "haben", "english": "to have", "hindi": "रखना / होना", "present": ["habe", "hast", "hat", "haben", "habt", "haben"], "presentPattern": "irregular", "aux": "haben", "participle": "gehabt", "perfektPattern": "weak"},
+{"infinitive": "werden", "english": "to become", "hindi": "बनना", "present": ["werde", "wirst", "wird", "werden", "werdet", "werden"], "presentPattern": "irregular", "aux": "sein", "participle": "geworden", "perfektPattern": "strong"},
+{"infinitive": "wissen", "english": "to know (a fact)", "hindi": "जानना", "present": ["weiß", "weißt", "weiß", "wissen", "wisst", "wissen"], "presentPattern": "irregular", "aux": "haben", "participle": "gewusst", "perfektPattern": "mixed"},
+{"infinitive": "lernen", "english": "to learn", "hindi": "सीखना", "present": ["lerne", "lernst", "lernt", "lernen", "lernt", "lernen"], "presentPattern": "regular", "aux": "haben", "participle": "gelernt", "perfektPattern": "weak"},
+{"infinitive": "spielen", "english": "to play", "hindi": "खेलना", "present": ["spiele", "spielst", "spielt", "spielen", "spielt", "spielen"], "presentPattern": "regular", "aux": "haben", "participle": "gespielt", "perfektPattern": "weak"},
+{"infinitive": "machen", "english": "to make / do", "hindi": "बनाना / करना", "present": ["mache", "machst", "macht", "machen", "macht", "machen"], "presentPattern": "regular", "aux": "haben", "participle": "gemacht", "perfektPattern": "weak"},
+{"infinitive": "wohnen", "english": "to live (reside)", "hindi": "रहना", "present": ["wohne", "wohnst", "wohnt", "wohnen", "wohnt", "wohnen"], "presentPattern": "regular", "aux": "haben", "participle": "gewohnt", "perfektPattern": "weak"},
+{"infinitive": "kaufen", "english": "to buy", "hindi": "खरीदना", "present": ["kaufe", "kaufst", "kauft", "kaufen", "kauft", "kaufen"], "presentPattern": "regular", "aux": "haben", "participle": "gekauft", "perfektPattern": "weak"},
+{"infinitive": "kochen", "english": "to cook", "hindi": "खाना पकाना", "present": ["koche", "kochst", "kocht", "kochen", "kocht", "kochen"], "presentPattern": "regular", "aux": "haben", "participle": "gekocht", "perfektPattern": "weak"},
+{"infinitive": "hören", "english": "to hear / listen", "hindi": "सुनना", "present": ["höre", "hörst", "hört", "hören", "hört", "hören"], "presentPattern": "regular", "aux": "haben", "participle": "gehört", "perfektPattern": "weak"},
+{"infinitive": "fragen", "english": "to ask", "hindi": "पूछना", "present": ["frage", "fragst", "fragt", "fragen", "fragt", "fragen"], "presentPattern": "regular", "aux": "haben", "participle": "gefragt", "perfektPattern": "weak"},
+{"infinitive": "sagen", "english": "to say", "hindi": "कहना", "present": ["sage", "sagst", "sagt", "sagen", "sagt", "sagen"], "presentPattern": "regular", "aux": "haben", "participle": "gesagt", "perfektPattern": "weak"},
+{"infinitive": "brauchen", "english": "to need", "hindi": "ज़रूरत होना", "present": ["brauche", "brauchst", "braucht", "brauchen", "braucht", "brauchen"], "presentPattern": "regular", "aux": "haben", "participle": "gebraucht", "perfektPattern": "weak"},
+{"infinitive": "trinken", "english": "to drink", "hindi": "पीना", "present": ["trinke", "trinkst", "trinkt", "trinken", "trinkt", "trinken"], "presentPattern": "regular", "aux": "haben", "participle": "getrunken", "perfektPattern": "strong"},
+{"infinitive": "schreiben", "english": "to write", "hindi": "लिखना", "present": ["schreibe", "schreibst", "schreibt", "schreiben", "schreibt", "schreiben"], "presentPattern": "regular", "aux": "haben", "participle": "geschrieben", "perfektPattern": "strong"},
+{"infinitive": "gehen", "english": "to go", "hindi": "जाना", "present": ["gehe", "gehst", "geht", "gehen", "geht", "gehen"], "presentPattern": "regular", "aux": "sein", "participle": "gegangen", "perfektPattern": "strong"},
+{"infinitive": "kommen", "english": "to come", "hindi": "आना", "present": ["komme", "kommst", "kommt", "kommen", "kommt", "kommen"], "presentPattern": "regular", "aux": "sein", "participle": "gekommen", "perfektPattern": "strong"},
+{"infinitive": "bleiben", "english": "to stay", "hindi": "रुकना", "present": ["bleibe", "bleibst", "bleibt", "bleiben", "bleibt", "bleiben"], "presentPattern": "regular", "aux": "sein", "participle": "geblieben", "perfektPattern": "strong"},
+{"infinitive": "fliegen", "english": "to fly", "hindi": "उड़ना", "present": ["fliege", "fliegst", "fliegt", "fliegen", "fliegt", "fliegen"], "presentPattern": "regular", "aux": "sein", "participle": "geflogen", "perfektPattern": "strong"},
+{"infinitive": "schwimmen", "english": "to swim", "hindi": "तैरना", "present": ["schwimme", "schwimmst", "schwimmt", "schwimmen", "schwimmt", "schwimmen"], "presentPattern": "regular", "aux": "sein", "participle": "geschwommen", "perfektPattern": "strong"},
+{"infinitive": "bringen", "english": "to bring", "hindi": "लाना", "present": ["bringe", "bringst", "bringt", "bringen", "bringt", "bringen"], "presentPattern": "regular", "aux": "haben", "participle": "gebracht", "perfektPattern": "mixed"},
+{"infinitive": "denken", "english": "to think", "hindi": "सोचना", "present": ["denke", "denkst", "denkt", "denken", "denkt", "denken"], "presentPattern": "regular", "aux": "haben", "participle": "gedacht", "perfektPattern": "mixed"},
+{"infinitive": "kennen", "english": "to know (be familiar with)", "hindi": "पहचानना", "present": ["kenne", "kennst", "kennt", "kennen", "kennt", "kennen"], "presentPattern": "regular", "aux": "haben", "participle": "gekannt", "perfektPattern": "mixed"},
+{"infinitive": "arbeiten", "english": "to work", "hindi": "काम करना", "present": ["arbeite", "arbeitest", "arbeitet", "arbeiten", "arbeitet", "arbeiten"], "presentPattern": "regular-e", "aux": "haben", "participle": "gearbeitet", "perfektPattern": "weak"},
+{"infinitive": "warten", "english": "to wait", "hindi": "इंतज़ार करना", "present": ["warte", "wartest", "wartet", "warten", "wartet", "warten"], "presentPattern": "regular-e", "aux": "haben", "participle": "gewartet", "perfektPattern": "weak"},
+{"infinitive": "finden", "english": "to find", "hindi": "ढूँढना / पाना", "present": ["finde", "findest", "findet", "finden", "findet", "finden"], "presentPattern": "regular-e", "aux": "haben", "participle": "gefunden", "perfektPattern": "strong"},
+{"infinitive": "heißen", "english": "to be called", "hindi": "नाम होना", "present": ["heiße", "heißt", "heißt", "heißen", "heißt", "heißen"], "presentPattern": "regular-s", "aux": "haben", "participle": "geheißen", "perfektPattern": "strong"},
+{"infinitive": "tanzen", "english": "to dance", "hindi": "नाचना", "present": ["tanze", "tanzt", "tanzt", "tanzen", "tanzt", "tanzen"], "presentPattern": "regular-s", "aux": "haben", "participle": "getanzt", "perfektPattern": "weak"},
+{"infinitive": "reisen", "english": "to travel", "hindi": "यात्रा करना", "present": ["reise", "reist", "reist", "reisen", "reist", "reisen"], "presentPattern": "regular-s", "aux": "sein", "participle": "gereist", "perfektPattern": "weak"},
+{"infinitive": "sprechen", "english": "to speak", "hindi": "बोलना", "present": ["spreche", "sprichst", "spricht", "sprechen", "sprecht", "sprechen"], "presentPattern": "stem-e-i", "aux": "haben", "participle": "gesprochen", "perfektPattern": "strong"},
+{"infinitive": "essen", "english": "to eat", "hindi": "खाना", "present": ["esse", "isst", "isst", "essen", "esst", "essen"], "presentPattern": "stem-e-i", "aux": "haben", "participle": "gegessen", "perfektPattern": "strong"},
+{"infinitive": "helfen", "english": "to help", "hindi": "मदद करना", "present": ["helfe", "hilfst", "hilft", "helfen", "helft", "helfen"], "presentPattern": "stem-e-i", "aux": "haben", "participle": "geholfen", "perfektPattern": "strong"},
+{"infinitive": "nehmen", "english": "to take", "hindi": "लेना", "present": ["nehme", "nimmst", "nimmt", "nehmen", "nehmt", "nehmen"], "presentPattern": "stem-e-i", "aux": "haben", "participle": "genommen", "perfektPattern": "strong"},
+{"infinitive": "geben", "english": "to give", "hindi": "देना", "present": ["gebe", "gibst", "gibt", "geben", "gebt", "geben"], "presentPattern": "stem-e-i", "aux": "haben", "participle": "gegeben", "perfektPattern": "strong"},
+{"infinitive": "treffen", "english": "to meet", "hindi": "मिलना", "present": ["treffe", "triffst", "trifft", "treffen", "trefft", "treffen"], "presentPattern": "stem-e-i", "aux": "haben", "participle": "getroffen", "perfektPattern": "strong"},
+{"infinitive": "lesen", "english": "to read", "hindi": "पढ़ना", "present": ["lese", "liest", "liest", "lesen", "lest", "lesen"], "presentPattern": "stem-e-ie", "aux": "haben", "participle": "gelesen", "perfektPattern": "strong"},
+{"infinitive": "sehen", "english": "to see", "hindi": "देखना", "present": ["sehe", "siehst", "sieht", "sehen", "seht", "sehen"], "presentPattern": "stem-e-ie", "aux": "haben", "participle": "gesehen", "perfektPattern": "strong"},
+{"infinitive": "fahren", "english": "to drive / travel", "hindi": "गाड़ी चलाना / जाना", "present": ["fahre", "fährst", "fährt", "fahren", "fahrt", "fahren"], "presentPattern": "stem-a-ae", "aux": "sein", "participle": "gefahren", "perfektPattern": "strong"},
+{"infinitive": "schlafen", "english": "to sleep", "hindi": "सोना", "present": ["schlafe", "schläfst", "schläft", "schlafen", "schlaft", "schlafen"], "presentPattern": "stem-a-ae", "aux": "haben", "participle": "geschlafen", "perfektPattern": "strong"},
+{"infinitive": "laufen", "english": "to run / walk", "hindi": "दौड़ना / चलना", "present": ["laufe", "läufst", "läuft", "laufen", "lauft", "laufen"], "presentPattern": "stem-a-ae", "aux": "sein", "participle": "gelaufen", "perfektPattern": "strong"},
+{"infinitive": "tragen", "english": "to carry / wear", "hindi": "उठाना / पहनना", "present": ["trage", "trägst", "trägt", "tragen", "tragt", "tragen"], "presentPattern": "stem-a-ae", "aux": "haben", "participle": "getragen", "perfektPattern": "strong"},
+{"infinitive": "waschen", "english": "to wash", "hindi": "धोना", "present": ["wasche", "wäschst", "wäscht", "waschen", "wascht", "waschen"], "presentPattern": "stem-a-ae", "aux": "haben", "participle": "gewaschen", "perfektPattern": "strong"},
+{"infinitive": "können", "english": "can / to be able to", "hindi": "सकना", "present": ["kann", "kannst", "kann", "können", "könnt", "können"], "presentPattern": "modal", "aux": "haben", "participle": "gekonnt", "perfektPattern": "mixed"},
+{"infinitive": "müssen", "english": "must / to have to", "hindi": "पड़ना (ज़रूरी होना)", "present": ["muss", "musst", "muss", "müssen", "müsst", "müssen"], "presentPattern": "modal", "aux": "haben", "participle": "gemusst", "perfektPattern": "mixed"},
+{"infinitive": "wollen", "english": "to want", "hindi": "चाहना", "present": ["will", "willst", "will", "wollen", "wollt", "wollen"], "presentPattern": "modal", "aux": "haben", "participle": "gewollt", "perfektPattern": "weak"},
+{"infinitive": "dürfen", "english": "may / to be allowed to", "hindi": "अनुमति होना", "present": ["darf", "darfst", "darf", "dürfen", "dürft", "dürfen"], "presentPattern": "modal", "aux": "haben", "participle": "gedurft", "perfektPattern": "mixed"},
+{"infinitive": "mögen", "english": "to like", "hindi": "पसंद करना", "present": ["mag", "magst", "mag", "mögen", "mögt", "mögen"], "presentPattern": "modal", "aux": "haben", "participle": "gemocht", "perfektPattern": "mixed"},
+{"infinitive": "studieren", "english": "to study (at university)", "hindi": "पढ़ाई करना", "present": ["studiere", "studierst", "studiert", "studieren", "studiert", "studieren"], "presentPattern": "regular", "aux": "haben", "participle": "studiert", "perfektPattern": "no-ge"},
+{"infinitive": "telefonieren", "english": "to phone", "hindi": "फ़ोन करना", "present": ["telefoniere", "telefonierst", "telefoniert", "telefonieren", "telefoniert", "telefonieren"], "presentPattern": "regular", "aux": "haben", "participle": "telefoniert", "perfektPattern": "no-ge"},
+{"infinitive": "besuchen", "english": "to visit", "hindi": "मिलने जाना", "present": ["besuche", "besuchst", "besucht", "besuchen", "besucht", "besuchen"], "presentPattern": "regular", "aux": "haben", "participle": "besucht", "perfektPattern": "no-ge"},
+{"infinitive": "bezahlen", "english": "to pay", "hindi": "भुगतान करना", "present": ["bezahle", "bezahlst", "bezahlt", "bezahlen", "bezahlt", "bezahlen"], "presentPattern": "regular", "aux": "haben", "participle": "bezahlt", "perfektPattern": "no-ge"},
+{"infinitive": "verstehen", "english": "to understand", "hindi": "समझना", "present": ["verstehe", "verstehst", "versteht", "verstehen", "versteht", "verstehen"], "presentPattern": "regular", "aux": "haben", "participle": "verstanden", "perfektPattern": "no-ge"},
+{"infinitive": "aufstehen", "english": "to get up", "hindi": "उठना", "present": ["stehe auf", "stehst auf", "steht auf", "stehen auf", "steht auf", "stehen auf"], "presentPattern": "regular", "aux": "sein", "participle": "aufgestanden", "perfektPattern": "separable", "prefix": "auf"},
+{"infinitive": "einkaufen", "english": "to shop", "hindi": "खरीदारी करना", "present": ["kaufe ein", "kaufst ein", "kauft ein", "kaufen ein", "kauft ein", "kaufen ein"], "presentPattern": "regular", "aux": "haben", "participle": "eingekauft", "perfektPattern": "separable", "prefix": "ein"},
+{"infinitive": "anrufen", "english": "to call (phone)", "hindi": "फ़ोन करना", "present": ["rufe an", "rufst an", "ruft an", "rufen an", "ruft an", "rufen an"], "presentPattern": "regular", "aux": "haben", "participle": "angerufen", "perfektPattern": "separable", "prefix": "an"},
+{"infinitive": "ankommen", "english": "to arrive", "hindi": "पहुँचना", "present": ["komme an", "kommst an", "kommt an", "kommen an", "kommt an", "kommen an"], "presentPattern": "regular", "aux": "sein", "participle": "angekommen", "perfektPattern": "separable", "prefix": "an"},
+{"infinitive": "fernsehen", "english": "to watch TV", "hindi": "टीवी देखना", "present": ["sehe fern", "siehst fern", "sieht fern", "sehen fern", "seht fern", "sehen fern"], "presentPattern": "stem-e-ie", "aux": "haben", "participle": "ferngesehen", "perfektPattern": "separable", "prefix": "fern"}
+],
+"nouns": [
+{"singular":"Name","article":"der","plural":"Namen","pattern":"en","umlaut":false,"english":"name","hindi":"नाम"},
+{"singular":"Adresse","article":"die","plural":"Adressen","pattern":"en","umlaut":false,"english":"address","hindi":"पता"},
+{"singular":"Telefon","article":"das","plural":"Telefone","pattern":"e","umlaut":false,"english":"telephone","hindi":"टेलीफोन"},
+{"singular":"Vorname","article":"der","plural":"Vornamen","pattern":"en","umlaut":false,"english":"first name","hindi":"पहला नाम"},
+{"singular":"Familie","article":"die","plural":"Familien","pattern":"en","umlaut":false,"english":"family","hindi":"परिवार"},
+{"singular":"Vater","article":"der","plural":"Väter","pattern":"none","umlaut":true,"english":"father","hindi":"पिता"},
+{"singular":"Mutter","article":"die","plural":"Mütter","pattern":"none","umlaut":true,"english":"mother","hindi":"माँ"},
+{"singular":"Sohn","article":"der","plural":"Söhne","pattern":"e","umlaut":true,"english":"son","hindi":"बेटा"},
+{"singular":"Tochter","article":"die","plural":"Töchter","pattern":"none","umlaut":true,"english":"daughter","hindi":"बेटी"},
+{"singular":"Staatsangehörigkeit","article":"die","plural":"Staatsangehörigkeiten","pattern":"en","umlaut":false,"english":"nationality"},
+{"singular":"Verwandte","article":"der","plural":"Verwandten","pattern":"en","umlaut":false,"english":"relative","hindi":"रिश्तेदार"},
+{"singular":"Kind","article":"das","plural":"Kinder","pattern":"er","umlaut":false,"english":"child","hindi":"बच्चा"},
+{"singular":"Bruder","article":"der","plural":"Brüder","pattern":"none","umlaut":true,"english":"brother","hindi":"भाई"},
+{"singular":"Schwester","article":"die","plural":"Schwestern","pattern":"en","umlaut":false,"english":"sister","hindi":"बहन"},
+{"singular":"Mann","article":"der","plural":"Männer","pattern":"er","umlaut":true,"english":"man/husband","hindi":"आदमी / पति"},
+{"singular":"Frau","article":"die","plural":"Frauen","pattern":"en","umlaut":false,"english":"woman/wife","hindi":"महिला / पत्नी"},
+{"singular":"Freund","article":"der","plural":"Freunde","pattern":"e","umlaut":false,"english":"friend/boyfriend","hindi":"दोस्त / बॉयफ्रेंड"},
+{"singular":"Freundin","article":"die","plural":"Freundinnen","pattern":"en","umlaut":false,"english":"friend/girlfriend","hindi":"सहेली / गर्लफ्रेंड","note":"Feminine -in adds -nen"},
+{"singular":"Kollege","article":"der","plural":"Kollegen","pattern":"en","umlaut":false,"english":"colleague","hindi":"सहकर्मी (पुरुष)"},
+{"singular":"Arzt","article":"der","plural":"Ärzte","pattern":"e","umlaut":true,"english":"doctor","hindi":"डॉक्टर (पुरुष)"},
+{"singular":"Ärztin","article":"die","plural":"Ärztinnen","pattern":"en","umlaut":false,"english":"doctor (female)","hindi":"डॉक्टर (महिला)","note":"Feminine -in adds -nen"},
+{"singular":"Kopf","article":"der","plural":"Köpfe","pattern":"e","umlaut":true,"english":"head","hindi":"सिर"},
+{"singular":"Hand","article":"die","plural":"Hände","pattern":"e","umlaut":true,"english":"hand","hindi":"हाथ"},
+{"singular":"Fuß","article":"der","plural":"Füße","pattern":"e","umlaut":true,"english":"foot","hindi":"पैर"},
+{"singular":"Auge","article":"das","plural":"Augen","pattern":"en","umlaut":false,"english":"eye","hindi":"आँख"},
+{"singular":"Ohr","article":"das","plural":"Ohren","pattern":"en","umlaut":false,"english":"ear","hindi":"कान"},
+{"singular":"Mund","article":"der","plural":"Münder","pattern":"er","umlaut":true,"english":"mouth","hindi":"मुँह"},
+{"singular":"Nase","article":"die","plural":"Nasen","pattern":"en","umlaut":false,"english":"nose","hindi":"नाक"},
+{"singular":"Rücken","article":"der","plural":"Rücken","pattern":"none","umlaut":false,"english":"back","hindi":"पीठ"},
+{"singular":"Bauch","article":"der","plural":"Bäuche","pattern":"e","umlaut":true,"english":"stomach","hindi":"पेट"},
+{"singular":"Baby","article":"das","plural":"Babys","pattern":"s","umlaut":false,"english":"baby","hindi":"शिशु"},
+{"singular":"Person","article":"die","plural":"Personen","pattern":"en","umlaut":false,"english":"person","hindi":"व्यक्ति"},
+{"singular":"Wohnung","article":"die","plural":"Wohnungen","pattern":"en","umlaut":false,"english":"apartment","hindi":"फ्लैट"},
+{"singular":"Zimmer","article":"das","plural":"Zimmer","pattern":"none","umlaut":false,"english":"room","hindi":"कमरा"},
+{"singular":"Schlafzimmer","article":"das","plural":"Schlafzimmer","pattern":"none","umlaut":false,"english":"bedroom","hindi":"शयनकक्ष"},
+{"singular":"Tisch","article":"der","plural":"Tische","pattern":"e","umlaut":false,"english":"table","hindi":"मेज़"},
+{"singular":"Fenster","article":"das","plural":"Fenster","pattern":"none","umlaut":false,"english":"window","hindi":"खिड़की"},
+{"singular":"Tür","article":"die","plural":"Türen","pattern":"en","umlaut":false,"english":"door","hindi":"दरवाज़ा"},
+{"singular":"Treppe","article":"die","plural":"Treppen","pattern":"en","umlaut":false,"english":"stairs","hindi":"सीढ़ी"},
+{"singular":"Haus","article":"das","plural":"Häuser","pattern":"er","umlaut":true,"english":"house","hindi":"मकान"},
+{"singular":"Stock","article":"der","plural":"Stöcke","pattern":"e","umlaut":true,"english":"floor/story"},
+{"singular":"Toilette","article":"die","plural":"Toiletten","pattern":"en","umlaut":false,"english":"toilet","hindi":"शौचालय"},
+{"singular":"Küche","article":"die","plural":"Küchen","pattern":"en","umlaut":false,"english":"kitchen","hindi":"रसोई"},
+{"singular":"Bad","article":"das","plural":"Bäder","pattern":"er","umlaut":true,"english":"bathroom","hindi":"बाथरूम"},
+{"singular":"Garten","article":"der","plural":"Gärten","pattern":"none","umlaut":true,"english":"garden","hindi":"बगीचा"},
+{"singular":"Stuhl","article":"der","plural":"Stühle","pattern":"e","umlaut":true,"english":"chair","hindi":"कुर्सी"},
+{"singular":"Bett","article":"das","plural":"Betten","pattern":"en","umlaut":false,"english":"bed","hindi":"बिस्तर"},
+{"singular":"Schrank","article":"der","plural":"Schränke","pattern":"e","umlaut":true,"english":"wardrobe/closet","hindi":"अलमारी"},
+{"singular":"Lampe","article":"die","plural":"Lampen","pattern":"en","umlaut":false,"english":"lamp","hindi":"लैंप"},
+{"singular":"Kühlschrank","article":"der","plural":"Kühlschränke","pattern":"e","umlaut":true,"english":"refrigerator","hindi":"फ्रिज"},
+{"singular":"Herd","article":"der","plural":"Herde","pattern":"e","umlaut":false,"english":"stove","hindi":"चूल्हा"},
+{"singular":"Ofen","article":"der","plural":"Öfen","pattern":"none","umlaut":true,"english":"oven","hindi":"ओवन"},
+{"singular":"Spüle","article":"die","plural":"Spülen","pattern":"en","umlaut":false,"english":"sink"},
+{"singular":"Teller","article":"der","plural":"Teller","pattern":"none","umlaut":false,"english":"plate","hindi":"प्लेट / थाली"},
+{"singular":"Tasse","article":"die","plural":"Tassen","pattern":"en","umlaut":false,"english":"cup","hindi":"प्याला / कप"},
+{"singular":"Löffel","article":"der","plural":"Löffel","pattern":"none","umlaut":false,"english":"spoon","hindi":"चम्मच"},
+{"singular":"Gabel","article":"die","plural":"Gabeln","pattern":"en","umlaut":false,"english":"fork","hindi":"काँटा"},
+{"singular":"Messer","article":"das","plural":"Messer","pattern":"none","umlaut":false,"english":"knife","hindi":"चाकू"},
+{"singular":"Pflanze","article":"die","plural":"Pflanzen","pattern":"en","umlaut":false,"english":"plant","hindi":"पौधा"},
+{"singular":"Tier","article":"das","plural":"Tiere","pattern":"e","umlaut":false,"english":"animal","hindi":"जानवर"},
+{"singular":"Park","article":"der","plural":"Parks","pattern":"s","umlaut":false,"english":"park","hindi":"पार्क"},
+{"singular":"Frühling","article":"der","plural":"Frühlinge","pattern":"e","umlaut":false,"english":"spring","hindi":"बसंत"},
+{"singular":"Sommer","article":"der","plural":"Sommer","pattern":"none","umlaut":false,"english":"summer","hindi":"गर्मी"},
+{"singular":"Herbst","article":"der","plural":"Herbste","pattern":"e","umlaut":false,"english":"autumn/fall","hindi":"पतझड़"},
+{"singular":"Winter","article":"der","plural":"Winter","pattern":"none","umlaut":false,"english":"winter","hindi":"सर्दी"},
+{"singular":"Jahreszeit","article":"die","plural":"Jahreszeiten","pattern":"en","umlaut":false,"english":"season","hindi":"मौसम / ऋतु"},
+{"singular":"Zug","article":"der","plural":"Züge","pattern":"e","umlaut":true,"english":"train","hindi":"ट्रेन"},
+{"singular":"Bus","article":"der","plural":"Busse","pattern":"e","umlaut":false,"english":"bus","hindi":"बस","note":"The final -s doubles: -sse"},
+{"singular":"Auto","article":"das","plural":"Autos","pattern":"s","umlaut":false,"english":"car"},
+{"singular":"Ticket","article":"das","plural":"Tickets","pattern":"s","umlaut":false,"english":"ticket","hindi":"टिकट"},
+{"singular":"Bahnhof","article":"der","plural":"Bahnhöfe","pattern":"e","umlaut":true,"english":"train station","hindi":"रेलवे स्टेशन"},
+{"singular":"Straße","article":"die","plural":"Straßen","pattern":"en","umlaut":false,"english":"street","hindi":"सड़क"},
+{"singular":"Stadt","article":"die","plural":"Städte","pattern":"e","umlaut":true,"english":"city","hindi":"शहर"},
+{"singular":"Platz","article":"der","plural":"Plätze","pattern":"e","umlaut":true,"english":"place/square","hindi":"चौक"},
+{"singular":"Flughafen","article":"der","plural":"Flughäfen","pattern":"none","umlaut":true,"english":"airport","hindi":"हवाई अड्डा"},
+{"singular":"Museum","article":"das","plural":"Museen","pattern":"en","umlaut":false,"english":"museum","hindi":"संग्रहालय","note":"Ending -um becomes -en"},
+{"singular":"Kino","article":"das","plural":"Kinos","pattern":"s","umlaut":false,"english":"cinema","hindi":"सिनेमा"},
+{"singular":"Hotel","article":"das","plural":"Hotels","pattern":"s","umlaut":false,"english":"hotel","hindi":"होटल"},
+{"singular":"Café","article":"das","plural":"Cafés","pattern":"s","umlaut":false,"english":"cafe","hindi":"कैफ़े"},
+{"singular":"Apotheke","article":"die","plural":"Apotheken","pattern":"en","umlaut":false,"english":"pharmacy","hindi":"दवाखाना"},
+{"singular":"Krankenhaus","article":"das","plural":"Krankenhäuser","pattern":"er","umlaut":true,"english":"hospital","hindi":"अस्पताल"},
+{"singular":"Haltestelle","article":"die","plural":"Haltestellen","pattern":"en","umlaut":false,"english":"bus stop","hindi":"स्टॉप"},
+{"singular":"Brot","article":"das","plural":"Brote","pattern":"e","umlaut":false,"english":"bread","hindi":"रोटी"},
+{"singular":"Tomate","article":"die","plural":"Tomaten","pattern":"en","umlaut":false,"english":"tomato","hindi":"टमाटर"},
+{"singular":"Restaurant","article":"das","plural":"Restaurants","pattern":"s","umlaut":false,"english":"restaurant","hindi":"रेस्तरां"},
+{"singular":"Wein","article":"der","plural":"Weine","pattern":"e","umlaut":false,"english":"wine"},
+{"singular":"Mahlzeit","article":"die","plural":"Mahlzeiten","pattern":"en","umlaut":false,"english":"meal","hindi":"भोजन"},
+{"singular":"Bäcker","article":"der","plural":"Bäcker","pattern":"none","umlaut":false,"english":"baker","hindi":"बेकर"},
+{"singular":"Glas","article":"das","plural":"Gläser","pattern":"er","umlaut":true,"english":"glass","hindi":"गिलास"},
+{"singular":"Apfel","article":"der","plural":"Äpfel","pattern":"none","umlaut":true,"english":"apple","hindi":"सेब"},
+{"singular":"Banane","article":"die","plural":"Bananen","pattern":"en","umlaut":false,"english":"banana","hindi":"केला"},
+{"singular":"Ei","article":"das","plural":"Eier","pattern":"er","umlaut":false,"english":"egg","hindi":"अंडा"},
+{"singular":"Saft","article":"der","plural":"Säfte","pattern":"e","umlaut":true,"english":"juice","hindi":"जूस"},
+{"singular":"Orange","article":"die","plural":"Orangen","pattern":"en","umlaut":false,"english":"orange","hindi":"संतरा"},
+{"singular":"Fisch","article":"der","plural":"Fische","pattern":"e","umlaut":false,"english":"fish","hindi":"मछली"},
+{"singular":"Wurst","article":"die","plural":"Würste","pattern":"e","umlaut":true,"english":"sausage","hindi":"सॉसेज"},
+{"singular":"Bier","article":"das","plural":"Biere","pattern":"e","umlaut":false,"english":"beer","hindi":"बीयर"},
+{"singular":"Geschäft","article":"das","plural":"Geschäfte","pattern":"e","umlaut":false,"english":"shop","hindi":"दुकान"},
+{"singular":"Preis","article":"der","plural":"Preise","pattern":"e","umlaut":false,"english":"price","hindi":"कीमत"},
+{"singular":"Verkäufer","article":"der","plural":"Verkäufer","pattern":"none","umlaut":false,"english":"salesperson","hindi":"विक्रेता (पुरुष)"},
+{"singular":"Hemd","article":"das","plural":"Hemden","pattern":"en","umlaut":false,"english":"shirt","hindi":"शर्ट"},
+{"singular":"Hose","article":"die","plural":"Hosen","pattern":"en","umlaut":false,"english":"pants","hindi":"पैंट"},
+{"singular":"Rock","article":"der","plural":"Röcke","pattern":"e","umlaut":true,"english":"skirt","hindi":"स्कर्ट"},
+{"singular":"Kleid","article":"das","plural":"Kleider","pattern":"er","umlaut":false,"english":"dress"},
+{"singular":"Mantel","article":"der","plural":"Mäntel","pattern":"none","umlaut":true,"english":"coat","hindi":"कोट"},
+{"singular":"Mütze","article":"die","plural":"Mützen","pattern":"en","umlaut":false,"english":"cap","hindi":"टोपी"},
+{"singular":"Hut","article":"der","plural":"Hüte","pattern":"e","umlaut":true,"english":"hat","hindi":"हैट"},
+{"singular":"Bank","article":"die","plural":"Banken","pattern":"en","umlaut":false,"english":"bank","hindi":"बैंक"},
+{"singular":"Brief","article":"der","plural":"Briefe","pattern":"e","umlaut":false,"english":"letter","hindi":"पत्र"},
+{"singular":"E-Mail","article":"die","plural":"E-Mails","pattern":"s","umlaut":false,"english":"email","hindi":"ई-मेल"},
+{"singular":"Schule","article":"die","plural":"Schulen","pattern":"en","umlaut":false,"english":"school","hindi":"स्कूल"},
+{"singular":"Lehrer","article":"der","plural":"Lehrer","pattern":"none","umlaut":false,"english":"teacher","hindi":"शिक्षक"},
+{"singular":"Wort","article":"das","plural":"Wörter","pattern":"er","umlaut":true,"english":"word","hindi":"शब्द"},
+{"singular":"Text","article":"der","plural":"Texte","pattern":"e","umlaut":false,"english":"text","hindi":"पाठ"},
+{"singular":"Test","article":"der","plural":"Teste","pattern":"e","umlaut":false,"english":"test","hindi":"टेस्ट"},
+{"singular":"Thema","article":"das","plural":"Themen","pattern":"en","umlaut":false,"english":"topic/theme","note":"Ending -a becomes -en"},
+{"singular":"Arbeit","article":"die","plural":"Arbeiten","pattern":"en","umlaut":false,"english":"work"},
+{"singular":"Beruf","article":"der","plural":"Berufe","pattern":"e","umlaut":false,"english":"profession","hindi":"पेशा"},
+{"singular":"Arbeiter","article":"der","plural":"Arbeiter","pattern":"none","umlaut":false,"english":"worker"},
+{"singular":"Termin","article":"der","plural":"Termine","pattern":"e","umlaut":false,"english":"appointment","hindi":"अपॉइंटमेंट"},
+{"singular":"Unterschrift","article":"die","plural":"Unterschriften","pattern":"en","umlaut":false,"english":"signature","hindi":"हस्ताक्षर"},
+{"singular":"Zeitung","article":"die","plural":"Zeitungen","pattern":"en","umlaut":false,"english":"newspaper"},
+{"singular":"Dienstag","article":"der","plural":"Dienstage","pattern":"e","umlaut":false,"english":"Tuesday","hindi":"मंगलवार"},
+{"singular":"Mittwoch","article":"der","plural":"Mittwoche","pattern":"e","umlaut":false,"english":"Wednesday","hindi":"बुधवार"},
+{"singular":"Donnerstag","article":"der","plural":"Donnerstage","pattern":"e","umlaut":false,"english":"Thursday","hindi":"गुरुवार"},
+{"singular":"Freitag","article":"der","plural":"Freitage","pattern":"e","umlaut":false,"english":"Friday","hindi":"शुक्रवार"},
+{"singular":"Samstag","article":"der","plural":"Samstage","pattern":"e","umlaut":false,"english":"Saturday","hindi":"शनिवार"},
+{"singular":"Sonntag","article":"der","plural":"Sonntage","pattern":"e","umlaut":false,"english":"Sunday","hindi":"रविवार"},
+{"singular":"Uhr","article":"die","plural":"Uhren","pattern":"en","umlaut":false,"english":"clock/o'clock","hindi":"घड़ी"},
+{"singular":"Zeit","article":"die","plural":"Zeiten","pattern":"en","umlaut":false,"english":"time"},
+{"singular":"Farbe","article":"die","plural":"Farben","pattern":"en","umlaut":false,"english":"color","hindi":"रंग"},
+{"singular":"Datum","article":"das","plural":"Daten","pattern":"en","umlaut":false,"english":"date","hindi":"तारीख","note":"Ending -um becomes -en"},
+{"singular":"Zigarette","article":"die","plural":"Zigaretten","pattern":"en","umlaut":false,"english":"cigarette","hindi":"सिगरेट"},
+{"singular":"Vorwahl","article":"die","plural":"Vorwahlen","pattern":"en","umlaut":false,"english":"area code"},
+{"singular":"Formular","article":"das","plural":"Formulare","pattern":"e","umlaut":false,"english":"form","hindi":"फॉर्म"},
+{"singular":"Antwortbogen","article":"der","plural":"Antwortbögen","pattern":"none","umlaut":true,"english":"answer sheet"},
+{"singular":"Bein","article":"das","plural":"Beine","pattern":"e","umlaut":false,"english":"leg","hindi":"टांग"},
+{"singular":"Tag","article":"der","plural":"Tage","pattern":"e","umlaut":false,"english":"day","hindi":"दिन"},
+{"singular":"Monat","article":"der","plural":"Monate","pattern":"e","umlaut":false,"english":"month","hindi":"महीना"},
+{"singular":"Mittag","article":"der","plural":"Mittage","pattern":"e","umlaut":false,"english":"noon","hindi":"दोपहर"},
+{"singular":"Ecke","article":"die","plural":"Ecken","pattern":"en","umlaut":false,"english":"corner","hindi":"कोना"},
+{"singular":"Übernachtung","article":"die","plural":"Übernachtungen","pattern":"en","umlaut":false,"english":"overnight stay","hindi":"रात रुकना"},
+{"singular":"Ausländer","article":"der","plural":"Ausländer","pattern":"none","umlaut":false,"english":"foreigner","hindi":"विदेशी"},
+{"singular":"Deutsche","article":"der","plural":"Deutschen","pattern":"en","umlaut":false,"english":"German (person)"},
+{"singular":"Briefkasten","article":"der","plural":"Briefkästen","pattern":"none","umlaut":true,"english":"mailbox","hindi":"लेटरबॉक्स"},
+{"singular":"Postkarte","article":"die","plural":"Postkarten","pattern":"en","umlaut":false,"english":"postcard","hindi":"पोस्टकार्ड"},
+{"singular":"Paket","article":"das","plural":"Pakete","pattern":"e","umlaut":false,"english":"package"},
+{"singular":"Foto","article":"das","plural":"Fotos","pattern":"s","umlaut":false,"english":"photo","hindi":"फोटो"},
+{"singular":"Abend","article":"der","plural":"Abende","pattern":"e","umlaut":false,"english":"evening","hindi":"शाम"},
+{"singular":"Morgen","article":"der","plural":"Morgen","pattern":"none","umlaut":false,"english":"morning","hindi":"सुबह"},
+{"singular":"Nachmittag","article":"der","plural":"Nachmittage","pattern":"e","umlaut":false,"english":"afternoon","hindi":"दोपहर बाद"},
+{"singular":"Nacht","article":"die","plural":"Nächte","pattern":"e","umlaut":true,"english":"night","hindi":"रात"},
+{"singular":"Stunde","article":"die","plural":"Stunden","pattern":"en","umlaut":false,"english":"hour","hindi":"घंटा"},
+{"singular":"Minute","article":"die","plural":"Minuten","pattern":"en","umlaut":false,"english":"minute","hindi":"मिनट"},
+{"singular":"Sekunde","article":"die","plural":"Sekunden","pattern":"en","umlaut":false,"english":"second","hindi":"सेकंड"},
+{"singular":"Woche","article":"die","plural":"Wochen","pattern":"en","umlaut":false,"english":"week","hindi":"सप्ताह"},
+{"singular":"Wochenende","article":"das","plural":"Wochenenden","pattern":"en","umlaut":false,"english":"weekend","hindi":"सप्ताहांत"},
+{"singular":"Jahr","article":"das","plural":"Jahre","pattern":"e","umlaut":false,"english":"year","hindi":"साल"},
+{"singular":"Computer","article":"der","plural":"Computer","pattern":"none","umlaut":false,"english":"computer","hindi":"कंप्यूटर"},
+{"singular":"Student","article":"der","plural":"Studenten","pattern":"en","umlaut":false,"english":"student","hindi":"छात्र (विश्वविद्यालय)"},
+{"singular":"Blume","article":"die","plural":"Blumen","pattern":"en","umlaut":false,"english":"flower","hindi":"फूल"},
+{"singular":"Buch","article":"das","plural":"Bücher","pattern":"er","umlaut":true,"english":"book","hindi":"किताब"}
+]
+});
@@ -0,0 +1,183 @@
+/* German Numbers - word list for numbers.html, rendered by js/vocab.js.
+   The object passed to register() is plain JSON, one word per line. */
+GermanVocab.register({
+    "page": "numbers",
+    "title": "German Numbers",
+    "level": "A1",
+    "unit": "words",
+    "rowTint": "20",
+    "tintHeaders": false,
+    "columns": [
+        {"key": "german", "label": "German"},
+        {"key": "translit", "label": "Pronunciation (Hindi)"},
+        {"key": "hindi", "label": "Hindi"},
+        {"key": "english", "label": "English"}
+    ],
+    "sections": [
+        {"id": "Numbers_0-100", "title": "Numbers 0-100", "emoji": "🔢", "german": "Zahlen null bis hundert", "translit": "ज़ाहलेन नुल बिस हुंडर्ट", "color": "#e3f2fd", "level": "A1", "unit": "numbers", "start": 0},
+        {"id": "Additional_Important_Numbers", "title": "Additional Important Numbers", "emoji": "🔢", "german": "Zusätzliche wichtige Zahlen", "translit": "ज़ुसैट्ज़लिचे विच्तिगे ज़ाहलेन", "color": "#e3f2fd", "level": "A1", "countLabel": "Important numbers"},
+        {"id": "Ordinal_Numbers", "title": "Ordinal Numbers", "emoji": "🔢", "german": "Ordinalzahlen", "translit": "ऑर्डिनालज़ाहलेन", "color": "#e3f2fd", "level": "A1"},
+        {"id": "Quantity_Words", "title": "Quantity Words", "emoji": "📊", "german": "Mengenangaben", "translit": "मेंगेनआंगाबेन", "color": "#e8f5e9", "level": "A1"},
+        {"id": "Frequency_Words", "title": "Frequency Words", "emoji": "🔄", "german": "Häufigkeitswörter", "translit": "होइफिगकाइट्सवोर्टर", "color": "#fff3e0", "level": "A1"},
+        {"id": "Currency_&_Price", "title": "Currency & Price", "emoji": "💶", "german": "Währung und Preis", "translit": "वेरुंग उंट प्राइस", "color": "#e1f5fe", "level": "A1"},
+        {"id": "Number_Questions_&_Math", "title": "Number Questions & Math", "emoji": "❓", "german": "Zahlenfragen und Mathematik", "translit": null, "color": "#f3e5f5", "level": "A1"}
+    ],
+    "words": [
+        {"id": "numbers-0001", "german": "null", "article": null, "plural": null, "english": "zero", "hindi": "शून्य", "translit": "नुल", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0002", "german": "eins", "article": null, "plural": null, "english": "one", "hindi": "एक", "translit": "आइंस", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0003", "german": "zwei", "article": null, "plural": null, "english": "two", "hindi": "दो", "translit": "त्स्वाई", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0004", "german": "drei", "article": null, "plural": null, "english": "three", "hindi": "तीन", "translit": "ड्राई", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0005", "german": "vier", "article": null, "plural": null, "english": "four", "hindi": "चार", "translit": "फीर", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0006", "german": "fünf", "article": null, "plural": null, "english": "five", "hindi": "पाँच", "translit": "फ्यून्फ", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0007", "german": "sechs", "article": null, "plural": null, "english": "six", "hindi": "छह", "translit": "जेख्स", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0008", "german": "sieben", "article": null, "plural": null, "english": "seven", "hindi": "सात", "translit": "ज़ीबेन", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0009", "german": "acht", "article": null, "plural": null, "english": "eight", "hindi": "आठ", "translit": "आख्ट", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0010", "german": "neun", "article": null, "plural": null, "english": "nine", "hindi": "नौ", "translit": "नॉयन", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0011", "german": "zehn", "article": null, "plural": null, "english": "ten", "hindi": "दस", "translit": "त्सेन", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0012", "german": "elf", "article": null, "plural": null, "english": "eleven", "hindi": "ग्यारह", "translit": "एल्फ", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0013", "german": "zwölf", "article": null, "plural": null, "english": "twelve", "hindi": "बारह", "translit": "त्स्वोल्फ", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0014", "german": "dreizehn", "article": null, "plural": null, "english": "thirteen", "hindi": "तेरह", "translit": "ड्राइट्सेन", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0015", "german": "vierzehn", "article": null, "plural": null, "english": "fourteen", "hindi": "चौदह", "translit": "फीर्ट्सेन", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0016", "german": "fünfzehn", "article": null, "plural": null, "english": "fifteen", "hindi": "पंद्रह", "translit": "फ्यून्फ्ट्सेन", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0017", "german": "sechzehn", "article": null, "plural": null, "english": "sixteen", "hindi": "सोलह", "translit": "जेख्ट्सेन", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0018", "german": "siebzehn", "article": null, "plural": null, "english": "seventeen", "hindi": "सत्रह", "translit": "ज़ीप्ट्सेन", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0019", "german": "achtzehn", "article": null, "plural": null, "english": "eighteen", "hindi": "अठारह", "translit": "आख्ट्ट्सेन", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0020", "german": "neunzehn", "article": null, "plural": null, "english": "nineteen", "hindi": "उन्नीस", "translit": "नॉयंट्सेन", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0021", "german": "zwanzig", "article": null, "plural": null, "english": "twenty", "hindi": "बीस", "translit": "त्स्वान्त्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0022", "german": "einundzwanzig", "article": null, "plural": null, "english": "twenty-one", "hindi": "इक्कीस", "translit": "आइनउंटत्स्वान्त्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0023", "german": "zweiundzwanzig", "article": null, "plural": null, "english": "twenty-two", "hindi": "बाईस", "translit": "त्स्वाईउंटत्स्वान्त्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0024", "german": "dreiundzwanzig", "article": null, "plural": null, "english": "twenty-three", "hindi": "तेईस", "translit": "ड्राईउंटत्स्वान्त्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0025", "german": "vierundzwanzig", "article": null, "plural": null, "english": "twenty-four", "hindi": "चौबीस", "translit": "फीरउंटत्स्वान्त्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0026", "german": "fünfundzwanzig", "article": null, "plural": null, "english": "twenty-five", "hindi": "पच्चीस", "translit": "फ्यून्फउंटत्स्वान्त्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0027", "german": "sechsundzwanzig", "article": null, "plural": null, "english": "twenty-six", "hindi": "छब्बीस", "translit": "जेख्सउंटत्स्वान्त्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0028", "german": "siebenundzwanzig", "article": null, "plural": null, "english": "twenty-seven", "hindi": "सत्ताईस", "translit": "ज़ीबेनउंटत्स्वान्त्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0029", "german": "achtundzwanzig", "article": null, "plural": null, "english": "twenty-eight", "hindi": "अट्ठाईस", "translit": "आख्टउंटत्स्वान्त्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0030", "german": "neunundzwanzig", "article": null, "plural": null, "english": "twenty-nine", "hindi": "उनतीस", "translit": "नॉयनउंटत्स्वान्त्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0031", "german": "dreißig", "article": null, "plural": null, "english": "thirty", "hindi": "तीस", "translit": "ड्राइसिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0032", "german": "einunddreißig", "article": null, "plural": null, "english": "thirty-one", "hindi": "इकतीस", "translit": "आइनउंटड्राइसिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0033", "german": "zweiunddreißig", "article": null, "plural": null, "english": "thirty-two", "hindi": "बत्तीस", "translit": "त्स्वाईउंटड्राइसिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0034", "german": "dreiunddreißig", "article": null, "plural": null, "english": "thirty-three", "hindi": "तैंतीस", "translit": "ड्राईउंटड्राइसिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0035", "german": "vierunddreißig", "article": null, "plural": null, "english": "thirty-four", "hindi": "चौंतीस", "translit": "फीरउंटड्राइसिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0036", "german": "fünfunddreißig", "article": null, "plural": null, "english": "thirty-five", "hindi": "पैंतीस", "translit": "फ्यून्फउंटड्राइसिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0037", "german": "sechsunddreißig", "article": null, "plural": null, "english": "thirty-six", "hindi": "छत्तीस", "translit": "जेख्सउंटड्राइसिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0038", "german": "siebenunddreißig", "article": null, "plural": null, "english": "thirty-seven", "hindi": "सैंतीस", "translit": "ज़ीबेनउंटड्राइसिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0039", "german": "achtunddreißig", "article": null, "plural": null, "english": "thirty-eight", "hindi": "अड़तीस", "translit": "आख्टउंटड्राइसिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0040", "german": "neununddreißig", "article": null, "plural": null, "english": "thirty-nine", "hindi": "उनतालीस", "translit": "नॉयनउंटड्राइसिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0041", "german": "vierzig", "article": null, "plural": null, "english": "forty", "hindi": "चालीस", "translit": "फीर्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0042", "german": "einundvierzig", "article": null, "plural": null, "english": "forty-one", "hindi": "इकतालीस", "translit": "आइनउंटफीर्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0043", "german": "zweiundvierzig", "article": null, "plural": null, "english": "forty-two", "hindi": "बयालीस", "translit": "त्स्वाईउंटफीर्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0044", "german": "dreiundvierzig", "article": null, "plural": null, "english": "forty-three", "hindi": "तैंतालीस", "translit": "ड्राईउंटफीर्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0045", "german": "vierundvierzig", "article": null, "plural": null, "english": "forty-four", "hindi": "चौवालीस", "translit": "फीरउंटफीर्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0046", "german": "fünfundvierzig", "article": null, "plural": null, "english": "forty-five", "hindi": "पैंतालीस", "translit": "फ्यून्फउंटफीर्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0047", "german": "sechsundvierzig", "article": null, "plural": null, "english": "forty-six", "hindi": "छियालीस", "translit": "जेख्सउंटफीर्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0048", "german": "siebenundvierzig", "article": null, "plural": null, "english": "forty-seven", "hindi": "सैंतालीस", "translit": "ज़ीबेनउंटफीर्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0049", "german": "achtundvierzig", "article": null, "plural": null, "english": "forty-eight", "hindi": "अड़तालीस", "translit": "आख्टउंटफीर्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0050", "german": "neunundvierzig", "article": null, "plural": null, "english": "forty-nine", "hindi": "उनचास", "translit": "नॉयनउंटफीर्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0051", "german": "fünfzig", "article": null, "plural": null, "english": "fifty", "hindi": "पचास", "translit": "फ्यून्फ्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0052", "german": "einundfünfzig", "article": null, "plural": null, "english": "fifty-one", "hindi": "इक्यावन", "translit": "आइनउंटफ्यून्फ्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0053", "german": "zweiundfünfzig", "article": null, "plural": null, "english": "fifty-two", "hindi": "बावन", "translit": "त्स्वाईउंटफ्यून्फ्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0054", "german": "dreiundfünfzig", "article": null, "plural": null, "english": "fifty-three", "hindi": "तिरेपन", "translit": "ड्राईउंटफ्यून्फ्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0055", "german": "vierundfünfzig", "article": null, "plural": null, "english": "fifty-four", "hindi": "चौवन", "translit": "फीरउंटफ्यून्फ्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0056", "german": "fünfundfünfzig", "article": null, "plural": null, "english": "fifty-five", "hindi": "पचपन", "translit": "फ्यून्फउंटफ्यून्फ्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0057", "german": "sechsundfünfzig", "article": null, "plural": null, "english": "fifty-six", "hindi": "छप्पन", "translit": "जेख्सउंटफ्यून्फ्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0058", "german": "siebenundfünfzig", "article": null, "plural": null, "english": "fifty-seven", "hindi": "सत्तावन", "translit": "ज़ीबेनउंटफ्यून्फ्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0059", "german": "achtundfünfzig", "article": null, "plural": null, "english": "fifty-eight", "hindi": "अट्ठावन", "translit": "आख्टउंटफ्यून्फ्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0060", "german": "neunundfünfzig", "article": null, "plural": null, "english": "fifty-nine", "hindi": "उनसठ", "translit": "नॉयनउंटफ्यून्फ्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0061", "german": "sechzig", "article": null, "plural": null, "english": "sixty", "hindi": "साठ", "translit": "जेख्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0062", "german": "einundsechzig", "article": null, "plural": null, "english": "sixty-one", "hindi": "इकसठ", "translit": "आइनउंटजेख्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0063", "german": "zweiundsechzig", "article": null, "plural": null, "english": "sixty-two", "hindi": "बासठ", "translit": "त्स्वाईउंटजेख्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0064", "german": "dreiundsechzig", "article": null, "plural": null, "english": "sixty-three", "hindi": "तिरसठ", "translit": "ड्राईउंटजेख्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0065", "german": "vierundsechzig", "article": null, "plural": null, "english": "sixty-four", "hindi": "चौंसठ", "translit": "फीरउंटजेख्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0066", "german": "fünfundsechzig", "article": null, "plural": null, "english": "sixty-five", "hindi": "पैंसठ", "translit": "फ्यून्फउंटजेख्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0067", "german": "sechsundsechzig", "article": null, "plural": null, "english": "sixty-six", "hindi": "छियासठ", "translit": "जेख्सउंटजेख्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0068", "german": "siebenundsechzig", "article": null, "plural": null, "english": "sixty-seven", "hindi": "सड़सठ", "translit": "ज़ीबेनउंटजेख्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0069", "german": "achtundsechzig", "article": null, "plural": null, "english": "sixty-eight", "hindi": "अड़सठ", "translit": "आख्टउंटजेख्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0070", "german": "neunundsechzig", "article": null, "plural": null, "english": "sixty-nine", "hindi": "उनहत्तर", "translit": "नॉयनउंटजेख्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0071", "german": "siebzig", "article": null, "plural": null, "english": "seventy", "hindi": "सत्तर", "translit": "ज़ीप्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0072", "german": "einundsiebzig", "article": null, "plural": null, "english": "seventy-one", "hindi": "इकहत्तर", "translit": "आइनउंटज़ीप्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0073", "german": "zweiundsiebzig", "article": null, "plural": null, "english": "seventy-two", "hindi": "बहत्तर", "translit": "त्स्वाईउंटज़ीप्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0074", "german": "dreiundsiebzig", "article": null, "plural": null, "english": "seventy-three", "hindi": "तिहत्तर", "translit": "ड्राईउंटज़ीप्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0075", "german": "vierundsiebzig", "article": null, "plural": null, "english": "seventy-four", "hindi": "चौहत्तर", "translit": "फीरउंटज़ीप्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0076", "german": "fünfundsiebzig", "article": null, "plural": null, "english": "seventy-five", "hindi": "पचहत्तर", "translit": "फ्यून्फउंटज़ीप्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0077", "german": "sechsundsiebzig", "article": null, "plural": null, "english": "seventy-six", "hindi": "छिहत्तर", "translit": "जेख्सउंटज़ीप्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0078", "german": "siebenundsiebzig", "article": null, "plural": null, "english": "seventy-seven", "hindi": "सतहत्तर", "translit": "ज़ीबेनउंटज़ीप्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0079", "german": "achtundsiebzig", "article": null, "plural": null, "english": "seventy-eight", "hindi": "अठहत्तर", "translit": "आख्टउंटज़ीप्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0080", "german": "neunundsiebzig", "article": null, "plural": null, "english": "seventy-nine", "hindi": "उनासी", "translit": "नॉयनउंटज़ीप्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0081", "german": "achtzig", "article": null, "plural": null, "english": "eighty", "hindi": "अस्सी", "translit": "आख्ट्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0082", "german": "einundachtzig", "article": null, "plural": null, "english": "eighty-one", "hindi": "इक्यासी", "translit": "आइनउंटआख्ट्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0083", "german": "zweiundachtzig", "article": null, "plural": null, "english": "eighty-two", "hindi": "बयासी", "translit": "त्स्वाईउंटआख्ट्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0084", "german": "dreiundachtzig", "article": null, "plural": null, "english": "eighty-three", "hindi": "तिरासी", "translit": "ड्राईउंटआख्ट्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0085", "german": "vierundachtzig", "article": null, "plural": null, "english": "eighty-four", "hindi": "चौरासी", "translit": "फीरउंटआख्ट्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0086", "german": "fünfundachtzig", "article": null, "plural": null, "english": "eighty-five", "hindi": "पचासी", "translit": "फ्यून्फउंटआख्ट्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0087", "german": "sechsundachtzig", "article": null, "plural": null, "english": "eighty-six", "hindi": "छियासी", "translit": "जेख्सउंटआख्ट्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0088", "german": "siebenundachtzig", "article": null, "plural": null, "english": "eighty-seven", "hindi": "सतासी", "translit": "ज़ीबेनउंटआख्ट्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0089", "german": "achtundachtzig", "article": null, "plural": null, "english": "eighty-eight", "hindi": "अठासी", "translit": "आख्टउंटआख्ट्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0090", "german": "neunundachtzig", "article": null, "plural": null, "english": "eighty-nine", "hindi": "नवासी", "translit": "नॉयनउंटआख्ट्ट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0091", "german": "neunzig", "article": null, "plural": null, "english": "ninety", "hindi": "नब्बे", "translit": "नॉयंट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0092", "german": "einundneunzig", "article": null, "plural": null, "english": "ninety-one", "hindi": "इक्यानवे", "translit": "आइनउंटनॉयंट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0093", "german": "zweiundneunzig", "article": null, "plural": null, "english": "ninety-two", "hindi": "बानवे", "translit": "त्स्वाईउंटनॉयंट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0094", "german": "dreiundneunzig", "article": null, "plural": null, "english": "ninety-three", "hindi": "तिरानवे", "translit": "ड्राईउंटनॉयंट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0095", "german": "vierundneunzig", "article": null, "plural": null, "english": "ninety-four", "hindi": "चौरानवे", "translit": "फीरउंटनॉयंट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0096", "german": "fünfundneunzig", "article": null, "plural": null, "english": "ninety-five", "hindi": "पंचानवे", "translit": "फ्यून्फउंटनॉयंट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0097", "german": "sechsundneunzig", "article": null, "plural": null, "english": "ninety-six", "hindi": "छियानवे", "translit": "जेख्सउंटनॉयंट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0098", "german": "siebenundneunzig", "article": null, "plural": null, "english": "ninety-seven", "hindi": "सत्तानवे", "translit": "ज़ीबेनउंटनॉयंट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0099", "german": "achtundneunzig", "article": null, "plural": null, "english": "ninety-eight", "hindi": "अठानवे", "translit": "आख्टउंटनॉयंट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0100", "german": "neunundneunzig", "article": null, "plural": null, "english": "ninety-nine", "hindi": "निन्यानवे", "translit": "नॉयनउंटनॉयंट्सिग", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0101", "german": "hundert", "article": null, "plural": null, "english": "one hundred", "hindi": "एक सौ", "translit": "हुंडर्ट", "level": "A1", "topic": "Numbers_0-100"},
+        {"id": "numbers-0102", "german": "zweihundert", "article": null, "plural": null, "english": "two hundred", "hindi": "दो सौ", "translit": "त्स्वाई हुंडर्ट", "level": "A1", "topic": "Additional_Important_Numbers"},
+        {"id": "numbers-0103", "german": "dreihundert", "article": null, "plural": null, "english": "three hundred", "hindi": "तीन सौ", "translit": "ड्राई हुंडर्ट", "level": "A1", "topic": "Additional_Important_Numbers"},
+        {"id": "numbers-0104", "german": "fünfhundert", "article": null, "plural": null, "english": "five hundred", "hindi": "पाँच सौ", "translit": "फ्यून्फ हुंडर्ट", "level": "A1", "topic": "Additional_Important_Numbers"},
+        {"id": "numbers-0105", "german": "tausend", "article": null, "plural": null, "english": "one thousand", "hindi": "एक हज़ार", "translit": "टाउज़ेंट / आइन टाउज़ेंट", "level": "A1", "topic": "Additional_Important_Numbers", "display": "tausend / eintausend"},
+        {"id": "numbers-0106", "german": "zweitausend", "article": null, "plural": null, "english": "two thousand", "hindi": "दो हज़ार", "translit": "त्स्वाई टाउज़ेंट", "level": "A1", "topic": "Additional_Important_Numbers"},
+        {"id": "numbers-0107", "german": "zweitausendvierundzwanzig", "article": null, "plural": null, "english": "two thousand twenty-four", "hindi": "दो हज़ार चौबीस", "translit": "त्स्वाई टाउज़ेंट फीर उंट त्स्वान्त्सिग", "level": "A1", "topic": "Additional_Important_Numbers"},
+        {"id": "numbers-0108", "german": "zweitausendfünfundzwanzig", "article": null, "plural": null, "english": "two thousand twenty-five", "hindi": "दो हज़ार पच्चीस", "translit": "त्स्वाई टाउज़ेंट फ्यून्फ उंट त्स्वान्त्सिग", "level": "A1", "topic": "Additional_Important_Numbers"},
+        {"id": "numbers-0109", "german": "zehntausend", "article": null, "plural": null, "english": "ten thousand", "hindi": "दस हज़ार", "translit": "त्सेन टाउज़ेंट", "level": "A1", "topic": "Additional_Important_Numbers"},
+        {"id": "numbers-0110", "german": "hunderttausend", "article": null, "plural": null, "english": "one hundred thousand", "hindi": "एक लाख", "translit": "हुंडर्ट टाउज़ेंट", "level": "A1", "topic": "Additional_Important_Numbers"},
+        {"id": "numbers-0111", "german": "eine Million", "article": null, "plural": null, "english": "one million", "hindi": "दस लाख", "translit": "आइने मिलियोन", "level": "A1", "topic": "Additional_Important_Numbers"},
+        {"id": "numbers-0112", "german": "erste / erster", "article": null, "plural": null, "english": "first (1st)", "hindi": "पहला", "translit": "एर्स्टे / एर्स्टर", "level": "A1", "topic": "Ordinal_Numbers"},
+        {"id": "numbers-0113", "german": "zweite / zweiter", "article": null, "plural": null, "english": "second (2nd)", "hindi": "दूसरा", "translit": "त्स्वाईटे / त्स्वाईटर", "level": "A1", "topic": "Ordinal_Numbers"},
+        {"id": "numbers-0114", "german": "dritte / dritter", "article": null, "plural": null, "english": "third (3rd)", "hindi": "तीसरा", "translit": "ड्रिटे / ड्रिटर", "level": "A1", "topic": "Ordinal_Numbers"},
+        {"id": "numbers-0115", "german": "vierte / vierter", "article": null, "plural": null, "english": "fourth (4th)", "hindi": "चौथा", "translit": "फीर्टे / फीर्टर", "level": "A1", "topic": "Ordinal_Numbers"},
+        {"id": "numbers-0116", "german": "fünfte / fünfter", "article": null, "plural": null, "english": "fifth (5th)", "hindi": "पाँचवाँ", "translit": "फ्यून्फ्टे / फ्यून्फ्टर", "level": "A1", "topic": "Ordinal_Numbers"},
+        {"id": "numbers-0117", "german": "zehnte / zehnter", "article": null, "plural": null, "english": "tenth (10th)", "hindi": "दसवाँ", "translit": "त्सेन्टे / त्सेन्टर", "level": "A1", "topic": "Ordinal_Numbers"},
+        {"id": "numbers-0118", "german": "letzte / letzter", "article": null, "plural": null, "english": "last", "hindi": "आखिरी", "translit": "लेट्सटे / लेट्सटर", "level": "A1", "topic": "Ordinal_Numbers"},
+        {"id": "numbers-0119", "german": "nächste / nächster", "article": null, "plural": null, "english": "next", "hindi": "अगला", "translit": "नेख्स्टे / नेख्स्टर", "level": "A1", "topic": "Ordinal_Numbers"},
+        {"id": "numbers-0120", "german": "Nummer", "article": "die", "plural": null, "english": "number (phone/room)", "hindi": "नंबर", "translit": "डी नुमर", "level": "A1", "topic": "Quantity_Words"},
+        {"id": "numbers-0121", "german": "Zahl", "article": "die", "plural": null, "english": "number/digit", "hindi": "संख्या", "translit": "डी त्साल", "level": "A1", "topic": "Quantity_Words"},
+        {"id": "numbers-0122", "german": "Hälfte", "article": "die", "plural": null, "english": "half", "hindi": "आधा", "translit": "डी हेल्फ़्टे", "level": "A1", "topic": "Quantity_Words"},
+        {"id": "numbers-0123", "german": "Viertel", "article": "das", "plural": null, "english": "quarter", "hindi": "चौथाई / पाव", "translit": "डास फीर्टेल", "level": "A1", "topic": "Quantity_Words"},
+        {"id": "numbers-0124", "german": "halb", "article": null, "plural": null, "english": "half (for time)", "hindi": "साढ़े (समय के लिए)", "translit": "हाल्ब", "level": "A1", "topic": "Quantity_Words"},
+        {"id": "numbers-0125", "german": "beide", "article": null, "plural": null, "english": "both", "hindi": "दोनों", "translit": "बाइडे", "level": "A1", "topic": "Quantity_Words"},
+        {"id": "numbers-0126", "german": "ein paar", "article": null, "plural": null, "english": "a few / a couple", "hindi": "कुछ / एक-दो", "translit": "आइन पार", "level": "A1", "topic": "Quantity_Words"},
+        {"id": "numbers-0127", "german": "viel", "article": null, "plural": null, "english": "much / a lot", "hindi": "बहुत / ज़्यादा", "translit": "फील", "level": "A1", "topic": "Quantity_Words"},
+        {"id": "numbers-0128", "german": "wenig", "article": null, "plural": null, "english": "little / few", "hindi": "कम / थोड़ा", "translit": "वेनिग", "level": "A1", "topic": "Quantity_Words"},
+        {"id": "numbers-0129", "german": "mehr", "article": null, "plural": null, "english": "more", "hindi": "ज़्यादा / और", "translit": "मेर", "level": "A1", "topic": "Quantity_Words"},
+        {"id": "numbers-0130", "german": "weniger", "article": null, "plural": null, "english": "less / fewer", "hindi": "कम", "translit": "वेनिगर", "level": "A1", "topic": "Quantity_Words"},
+        {"id": "numbers-0131", "german": "genug", "article": null, "plural": null, "english": "enough", "hindi": "काफ़ी / पर्याप्त", "translit": "गेनूग", "level": "A1", "topic": "Quantity_Words"},
+        {"id": "numbers-0132", "german": "alle", "article": null, "plural": null, "english": "all / everyone", "hindi": "सब / सभी", "translit": "आले", "level": "A1", "topic": "Quantity_Words"},
+        {"id": "numbers-0133", "german": "alles", "article": null, "plural": null, "english": "everything", "hindi": "सब कुछ", "translit": "आलेस", "level": "A1", "topic": "Quantity_Words"},
+        {"id": "numbers-0134", "german": "nichts", "article": null, "plural": null, "english": "nothing", "hindi": "कुछ नहीं", "translit": "निख्ट्स", "level": "A1", "topic": "Quantity_Words"},
+        {"id": "numbers-0135", "german": "doppelt", "article": null, "plural": null, "english": "double", "hindi": "दोगुना", "translit": "डोपेल्ट", "level": "A1", "topic": "Quantity_Words"},
+        {"id": "numbers-0136", "german": "einmal", "article": null, "plural": null, "english": "once / one time", "hindi": "एक बार", "translit": "आइनमाल", "level": "A1", "topic": "Frequency_Words"},
+        {"id": "numbers-0137", "german": "zweimal", "article": null, "plural": null, "english": "twice / two times", "hindi": "दो बार", "translit": "त्स्वाईमाल", "level": "A1", "topic": "Frequency_Words"},
+        {"id": "numbers-0138", "german": "dreimal", "article": null, "plural": null, "english": "three times", "hindi": "तीन बार", "translit": "ड्राईमाल", "level": "A1", "topic": "Frequency_Words"},
+        {"id": "numbers-0139", "german": "manchmal", "article": null, "plural": null, "english": "sometimes", "hindi": "कभी-कभी", "translit": "मांखमाल", "level": "A1", "topic": "Frequency_Words"},
+        {"id": "numbers-0140", "german": "oft", "article": null, "plural": null, "english": "often", "hindi": "अक्सर", "translit": "ऑफ्ट", "level": "A1", "topic": "Frequency_Words"},
+        {"id": "numbers-0141", "german": "immer", "article": null, "plural": null, "english": "always", "hindi": "हमेशा", "translit": "इमर", "level": "A1", "topic": "Frequency_Words"},
+        {"id": "numbers-0142", "german": "nie", "article": null, "plural": null, "english": "never", "hindi": "कभी नहीं", "translit": "नी", "level": "A1", "topic": "Frequency_Words"},
+        {"id": "numbers-0143", "german": "Euro", "article": "der", "plural": null, "english": "euro (€)", "hindi": "यूरो", "translit": "डेर ऑयरो", "level": "A1", "topic": "Currency_&_Price"},
+        {"id": "numbers-0144", "german": "Cent", "article": "der", "plural": null, "english": "cent", "hindi": "सेंट", "translit": "डेर त्सेंट", "level": "A1", "topic": "Currency_&_Price"},
+        {"id": "numbers-0145", "german": "Geld", "article": "das", "plural": null, "english": "money", "hindi": "पैसा", "translit": "डास गेल्ट", "level": "A1", "topic": "Currency_&_Price"},
+        {"id": "numbers-0146", "german": "Preis", "article": "der", "plural": null, "english": "price", "hindi": "कीमत / दाम", "translit": "डेर प्राइस", "level": "A1", "topic": "Currency_&_Price"},
+        {"id": "numbers-0147", "german": "kostenlos", "article": null, "plural": null, "english": "free (no cost)", "hindi": "मुफ़्त", "translit": "कोस्टेनलोस", "level": "A1", "topic": "Currency_&_Price"},
+        {"id": "numbers-0148", "german": "teuer", "article": null, "plural": null, "english": "expensive", "hindi": "महंगा", "translit": "टॉयर", "level": "A1", "topic": "Currency_&_Price"},
+        {"id": "numbers-0149", "german": "billig", "article": null, "plural": null, "english": "cheap", "hindi": "सस्ता", "translit": "बिलिग", "level": "A1", "topic": "Currency_&_Price"},
+        {"id": "numbers-0150", "german": "wie viel?", "article": null, "plural": null, "english": "how much?", "hindi": "कितना?", "translit": "वी फील?", "level": "A1", "topic": "Number_Questions_&_Math"},
+        {"id": "numbers-0151", "german": "wie viele?", "article": null, "plural": null, "english": "how many?", "hindi": "कितने?", "translit": "वी फीले?", "level": "A1", "topic": "Number_Questions_&_Math"},
+        {"id": "numbers-0152", "german": "wie alt?", "article": null, "plural": null, "english": "how old?", "hindi": "कितने साल का?", "translit": "वी आल्ट?", "level": "A1", "topic": "Number_Questions_&_Math"},
+        {"id": "numbers-0153", "german": "ein bisschen", "article": null, "plural": null, "english": "a little bit", "hindi": "थोड़ा सा", "translit": "आइन बिसखेन", "level": "A1", "topic": "Number_Questions_&_Math"},
+        {"id": "numbers-0154", "german": "plus", "article": null, "plural": null, "english": "plus / add", "hindi": "जोड़", "translit": "प्लुस", "level": "A1", "topic": "Number_Questions_&_Math", "display": "plus (+)"},
+        {"id": "numbers-0155", "german": "minus", "article": null, "plural": null, "english": "minus / subtract", "hindi": "घटाव", "translit": "मीनुस", "level": "A1", "topic": "Number_Questions_&_Math", "display": "minus (−)"},
+        {"id": "numbers-0156", "german": "ist gleich", "article": null, "plural": null, "english": "equals", "hindi": "बराबर", "translit": "इस्ट ग्लाइख", "level": "A1", "topic": "Number_Questions_&_Math", "display": "ist gleich (=)"}
+    ]
+});
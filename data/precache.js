@@ -0,0 +1,80 @@
+/* Offline file list for sw.js - generated by tools/build.js, do not edit. */
+self.GermanPrecache = {
+"version": "e497907344",
+"files": [
+"OPEN_ME.html",
+"a1-650.html",
+"a1-pdf.html",
+"a2.html",
+"adverbs-prepositions.html",
+"audio/manifest.js",
+"clusters.html",
+"common-words.html",
+"css/articles.css",
+"css/cases.css",
+"css/common.css",
+"css/dictation.css",
+"css/drills.css",
+"css/export.css",
+"css/flashcards.css",
+"css/index.css",
+"css/navbar.css",
+"css/number-words.css",
+"css/opposites.css",
+"css/pages.css",
+"css/phonics.css",
+"css/progress.css",
+"css/quiz.css",
+"css/search.css",
+"css/sentences.css",
+"css/settings.css",
+"css/speaking.css",
+"css/study.css",
+"css/theme.css",
+"css/worksheet.css",
+"data/a1-650.js",
+"data/a1-pdf.js",
+"data/a2.js",
+"data/adverbs-prepositions.js",
+"data/cases.js",
+"data/common-words.js",
+"data/drills.js",
+"data/numbers.js",
+"data/search-index.js",
+"data/words-opposites.js",
+"grammar.html",
+"icons/icon-192.png",
+"icons/icon-512.png",
+"index.html",
+"js/articles.js",
+"js/audio-pack.js",
+"js/backup.js",
+"js/cases.js",
+"js/common.js",
+"js/dictation.js",
+"js/drills.js",
+"js/export.js",
+"js/flashcards.js",
+"js/navbar.js",
+"js/number-words.js",
+"js/opposites.js",
+"js/pages.js",
+"js/phonics.js",
+"js/progress.js",
+"js/pwa.js",
+"js/quiz.js",
+"js/router.js",
+"js/search.js",
+"js/sentences.js",
+"js/settings.js",
+"js/speaking.js",
+"js/study.js",
+"js/theme.js",
+"js/translit.js",
+"js/vocab.js",
+"js/worksheet.js",
+"manifest.webmanifest",
+"numbers.html",
+"words-opposites.html"
+]
+};
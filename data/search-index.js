@@ -0,0 +1,5054 @@
+/* Search index for js/search.js - generated by tools/build.js, do not edit.
+   rows: [page, anchor, german, english, hindi, pronunciation, section] */
+window.GermanSearchIndex = {
+"pages": {"a1-650":"A1 Vocabulary (650)","a1-pdf":"A1 Vocabulary (PDF)","a2":"A2 Vocabulary","adverbs-prepositions":"Adverbs & Connectors","clusters":"German Consonant Clusters for Hindi + English Speakers","common-words":"Common Words","grammar":"German Grammar A1","numbers":"German Numbers","words-opposites":"Words & Opposites"},
+"rows": [
+["a1-650","a1-650-0001","Hallo","Hello","हैलो","","Greetings & Basics"],
+["a1-650","a1-650-0002","Guten Morgen","Good morning","सुप्रभात","","Greetings & Basics"],
+["a1-650","a1-650-0003","Guten Tag","Good day","नमस्कार","","Greetings & Basics"],
+["a1-650","a1-650-0004","Guten Abend","Good evening","शुभ संध्या","","Greetings & Basics"],
+["a1-650","a1-650-0005","Gute Nacht","Good night","शुभ रात्रि","","Greetings & Basics"],
+["a1-650","a1-650-0006","Tschüss","Bye","बाय","","Greetings & Basics"],
+["a1-650","a1-650-0007","Auf Wiedersehen","Goodbye","अलविदा","","Greetings & Basics"],
+["a1-650","a1-650-0008","Bis bald","See you soon","जल्दी मिलते हैं","","Greetings & Basics"],
+["a1-650","a1-650-0009","Bis später","See you later","बाद में मिलते हैं","","Greetings & Basics"],
+["a1-650","a1-650-0010","Bis morgen","See you tomorrow","कल मिलते हैं","","Greetings & Basics"],
+["a1-650","a1-650-0011","Wie geht's?","How are you?","कैसे हो?","","Greetings & Basics"],
+["a1-650","a1-650-0012","Mir geht es gut","I'm fine","मैं ठीक हूँ","","Greetings & Basics"],
+["a1-650","a1-650-0013","Danke, gut","Thanks, good","धन्यवाद, अच्छा","","Greetings & Basics"],
+["a1-650","a1-650-0014","Ja","Yes","हाँ","","Greetings & Basics"],
+["a1-650","a1-650-0015","Nein","No","नहीं","","Greetings & Basics"],
+["a1-650","a1-650-0016","Bitte","Please / You're welcome","कृपया / कोई बात नहीं","","Greetings & Basics"],
+["a1-650","a1-650-0017","Danke","Thank you","धन्यवाद","","Greetings & Basics"],
+["a1-650","a1-650-0018","Danke schön","Thank you very much","बहुत धन्यवाद","","Greetings & Basics"],
+["a1-650","a1-650-0019","Vielen Dank","Many thanks","बहुत धन्यवाद","","Greetings & Basics"],
+["a1-650","a1-650-0020","Bitte schön","You're welcome","कोई बात नहीं","","Greetings & Basics"],
+["a1-650","a1-650-0021","Entschuldigung","Sorry / Excuse me","माफ़ कीजिए","","Greetings & Basics"],
+["a1-650","a1-650-0022","Es tut mir leid","I'm sorry","मुझे खेद है","","Greetings & Basics"],
+["a1-650","a1-650-0023","Kein Problem","No problem","कोई बात नहीं","","Greetings & Basics"],
+["a1-650","a1-650-0024","Freut mich","Nice to meet you","आपसे मिलकर खुशी हुई","","Greetings & Basics"],
+["a1-650","a1-650-0025","Herzlich willkommen","Welcome","स्वागत है","","Greetings & Basics"],
+["a1-650","a1-650-0026","Guten Appetit","Enjoy your meal","खाने का आनंद लें","","Greetings & Basics"],
+["a1-650","a1-650-0027","Prost!","Cheers!","चीयर्स!","","Greetings & Basics"],
+["a1-650","a1-650-0028","Gesundheit!","Bless you!","भगवान करे!","","Greetings & Basics"],
+["a1-650","a1-650-0029","Alles Gute","All the best","शुभकामनाएं","","Greetings & Basics"],
+["a1-650","a1-650-0030","Viel Glück","Good luck","शुभकामनाएं","","Greetings & Basics"],
+["a1-650","a1-650-0031","Viel Spaß","Have fun","मज़े करो","","Greetings & Basics"],
+["a1-650","a1-650-0032","Gute Reise","Have a good trip","शुभ यात्रा","","Greetings & Basics"],
+["a1-650","a1-650-0033","Wie bitte?","Pardon?","क्या कहा?","","Greetings & Basics"],
+["a1-650","a1-650-0034","Ich verstehe nicht","I don't understand","मुझे समझ नहीं आया","","Greetings & Basics"],
+["a1-650","a1-650-0035","Langsam, bitte","Slowly, please","धीरे बोलिए","","Greetings & Basics"],
+["a1-650","a1-650-0036","Noch einmal, bitte","Once more, please","एक बार और","","Greetings & Basics"],
+["a1-650","a1-650-0037","Natürlich!","Of course!","बिल्कुल!","","Greetings & Basics"],
+["a1-650","a1-650-0038","Genau!","Exactly!","बिल्कुल सही!","","Greetings & Basics"],
+["a1-650","a1-650-0039","Richtig!","Right!","सही!","","Greetings & Basics"],
+["a1-650","a1-650-0040","Alles klar","Got it","समझ गया","","Greetings & Basics"],
+["a1-650","a1-650-0041","Moment mal","Wait a moment","एक मिनट","","Greetings & Basics"],
+["a1-650","a1-650-0042","Hilfe!","Help!","मदद!","","Greetings & Basics"],
+["a1-650","a1-650-0043","Achtung!","Watch out!","ध्यान दो!","","Greetings & Basics"],
+["a1-650","a1-650-0044","Vorsicht!","Careful!","सावधान!","","Greetings & Basics"],
+["a1-650","a1-650-0045","Toll!","Great!","बहुत अच्छा!","","Greetings & Basics"],
+["a1-650","a1-650-0046","Super!","Super!","बढ़िया!","","Greetings & Basics"],
+["a1-650","a1-650-0047","Prima!","Great!","उत्तम!","","Greetings & Basics"],
+["a1-650","a1-650-0048","Schade!","Too bad!","अफ़सोस!","","Greetings & Basics"],
+["a1-650","a1-650-0049","Macht nichts","No matter","कोई बात नहीं","","Greetings & Basics"],
+["a1-650","a1-650-0050","Keine Ahnung","No idea","पता नहीं","","Greetings & Basics"],
+["a1-650","a1-650-0051","Ich weiß nicht","I don't know","मुझे नहीं पता","","Greetings & Basics"],
+["a1-650","a1-650-0052","Stimmt!","That's right!","सही है!","","Greetings & Basics"],
+["a1-650","a1-650-0053","Ich auch","Me too","मैं भी","","Greetings & Basics"],
+["a1-650","a1-650-0054","Sicher!","Sure!","ज़रूर!","","Greetings & Basics"],
+["a1-650","a1-650-0055","Gern geschehen","You're welcome","खुशी से","","Greetings & Basics"],
+["a1-650","a1-650-0056","Einverstanden","Agreed","मंज़ूर","","Greetings & Basics"],
+["a1-650","a1-650-0057","Es geht","So-so","ठीक-ठाक","","Greetings & Basics"],
+["a1-650","a1-650-0058","Nicht so gut","Not so good","इतना अच्छा नहीं","","Greetings & Basics"],
+["a1-650","a1-650-0059","Was ist los?","What's up?","क्या हुआ?","","Greetings & Basics"],
+["a1-650","a1-650-0060","Bis dann!","See you then!","फिर मिलेंगे!","","Greetings & Basics"],
+["a1-650","a1-650-0061","Gute Besserung!","Get well soon!","जल्दी ठीक हो जाओ!","","Greetings & Basics"],
+["a1-650","a1-650-0062","Schönes Wochenende!","Have a nice weekend!","अच्छा वीकेंड!","","Greetings & Basics"],
+["a1-650","a1-650-0063","die Farbe","color","रंग","","Colors"],
+["a1-650","a1-650-0064","rot","red 🔴","लाल","","Colors"],
+["a1-650","a1-650-0065","blau","blue 🔵","नीला","","Colors"],
+["a1-650","a1-650-0066","gelb","yellow 🟡","पीला","","Colors"],
+["a1-650","a1-650-0067","grün","green 🟢","हरा","","Colors"],
+["a1-650","a1-650-0068","orange","orange 🟠","नारंगी","","Colors"],
+["a1-650","a1-650-0069","lila / violett","purple / violet 🟣","बैंगनी","","Colors"],
+["a1-650","a1-650-0070","schwarz","black ⚫","काला","","Colors"],
+["a1-650","a1-650-0071","weiß","white ⚪","सफ़ेद","","Colors"],
+["a1-650","a1-650-0072","grau","gray / grey","धूसर / स्लेटी","","Colors"],
+["a1-650","a1-650-0073","braun","brown 🟤","भूरा","","Colors"],
+["a1-650","a1-650-0074","rosa / pink","pink","गुलाबी","","Colors"],
+["a1-650","a1-650-0075","hellblau","light blue","हल्का नीला","","Colors"],
+["a1-650","a1-650-0076","dunkelblau","dark blue","गहरा नीला","","Colors"],
+["a1-650","a1-650-0077","hellgrün","light green","हल्का हरा","","Colors"],
+["a1-650","a1-650-0078","dunkelgrün","dark green","गहरा हरा","","Colors"],
+["a1-650","a1-650-0079","golden / gold","golden / gold","सुनहरा / सोना","","Colors"],
+["a1-650","a1-650-0080","silbern / silber","silver","चाँदी / रजत","","Colors"],
+["a1-650","a1-650-0081","türkis","turquoise","फ़िरोज़ी","","Colors"],
+["a1-650","a1-650-0082","beige","beige","बेज / मटमैला","","Colors"],
+["a1-650","a1-650-0083","hellrot","light red","हल्का लाल","","Colors"],
+["a1-650","a1-650-0084","dunkelrot","dark red","गहरा लाल","","Colors"],
+["a1-650","a1-650-0085","hellgrau","light gray","हल्का धूसर","","Colors"],
+["a1-650","a1-650-0086","dunkelgrau","dark gray","गहरा धूसर","","Colors"],
+["a1-650","a1-650-0087","hellbraun","light brown / tan","हल्का भूरा","","Colors"],
+["a1-650","a1-650-0088","dunkelbraun","dark brown","गहरा भूरा","","Colors"],
+["a1-650","a1-650-0089","hell","light (color)","हल्का","","Colors"],
+["a1-650","a1-650-0090","dunkel","dark","गहरा","","Colors"],
+["a1-650","a1-650-0091","bunt","colorful","रंगीन","","Colors"],
+["a1-650","a1-650-0092","weinrot","wine red / burgundy","बरगंडी / वाइन लाल","","Colors"],
+["a1-650","a1-650-0093","marineblau","navy blue","नेवी नीला","","Colors"],
+["a1-650","a1-650-0094","olivgrün","olive green","जैतून हरा","","Colors"],
+["a1-650","a1-650-0095","cremefarben","cream colored","क्रीम रंग","","Colors"],
+["a1-650","a1-650-0096","koralle","coral","मूंगा रंग","","Colors"],
+["a1-650","a1-650-0097","mintgrün","mint green","पुदीना हरा","","Colors"],
+["a1-650","a1-650-0098","lachsfarben","salmon","सैल्मन रंग","","Colors"],
+["a1-650","a1-650-0099","flieder","lilac","हल्का बैंगनी","","Colors"],
+["a1-650","a1-650-0100","khaki","khaki","खाकी","","Colors"],
+["a1-650","a1-650-0101","elfenbein","ivory","हाथी दांत रंग","","Colors"],
+["a1-650","a1-650-0102","rostbraun","rust brown","जंग रंग","","Colors"],
+["a1-650","a1-650-0103","die Familie","family 👨‍👩‍👧","परिवार","","Family & People"],
+["a1-650","a1-650-0104","die Person","person","व्यक्ति","","Family & People"],
+["a1-650","a1-650-0105","die Leute","people","लोग","","Family & People"],
+["a1-650","a1-650-0106","die Eltern","parents 👨‍👩","माता-पिता","","Family & People"],
+["a1-650","a1-650-0107","der Vater","father 👨","पिता","","Family & People"],
+["a1-650","a1-650-0108","die Mutter","mother 👩","माँ","","Family & People"],
+["a1-650","a1-650-0109","der Papa","dad (informal)","पापा","","Family & People"],
+["a1-650","a1-650-0110","die Mama","mom (informal)","मम्मी","","Family & People"],
+["a1-650","a1-650-0111","das Kind","child 👶","बच्चा","","Family & People"],
+["a1-650","a1-650-0112","die Kinder","children","बच्चे","","Family & People"],
+["a1-650","a1-650-0113","der Sohn","son 👦","बेटा","","Family & People"],
+["a1-650","a1-650-0114","die Tochter","daughter 👧","बेटी","","Family & People"],
+["a1-650","a1-650-0115","das Baby","baby 👶","शिशु","","Family & People"],
+["a1-650","a1-650-0116","die Geschwister","siblings","भाई-बहन","","Family & People"],
+["a1-650","a1-650-0117","der Bruder","brother 👦","भाई","","Family & People"],
+["a1-650","a1-650-0118","die Schwester","sister 👧","बहन","","Family & People"],
+["a1-650","a1-650-0119","die Großeltern","grandparents","दादा-दादी / नाना-नानी","","Family & People"],
+["a1-650","a1-650-0120","der Großvater","grandfather (formal)","दादा / नाना","","Family & People"],
+["a1-650","a1-650-0121","die Großmutter","grandmother (formal)","दादी / नानी","","Family & People"],
+["a1-650","a1-650-0122","der Opa","grandpa 👴","दादा / नाना","","Family & People"],
+["a1-650","a1-650-0123","die Oma","grandma 👵","दादी / नानी","","Family & People"],
+["a1-650","a1-650-0124","der Onkel","uncle","चाचा / मामा / काका","","Family & People"],
+["a1-650","a1-650-0125","die Tante","aunt","चाची / मामी / बुआ","","Family & People"],
+["a1-650","a1-650-0126","der Cousin","cousin (male)","चचेरा/ममेरा भाई","","Family & People"],
+["a1-650","a1-650-0127","die Cousine","cousin (female)","चचेरी/ममेरी बहन","","Family & People"],
+["a1-650","a1-650-0128","der Neffe","nephew","भतीजा / भांजा","","Family & People"],
+["a1-650","a1-650-0129","die Nichte","niece","भतीजी / भांजी","","Family & People"],
+["a1-650","a1-650-0130","das Enkelkind","grandchild","पोता/पोती / नाती/नातिन","","Family & People"],
+["a1-650","a1-650-0131","der Mann","man / husband 👨","आदमी / पति","","Family & People"],
+["a1-650","a1-650-0132","die Frau","woman / wife 👩","महिला / पत्नी","","Family & People"],
+["a1-650","a1-650-0133","der Ehemann","husband","पति","","Family & People"],
+["a1-650","a1-650-0134","die Ehefrau","wife","पत्नी","","Family & People"],
+["a1-650","a1-650-0135","der Partner","partner (m)","साथी (पुरुष)","","Family & People"],
+["a1-650","a1-650-0136","die Partnerin","partner (f)","साथी (महिला)","","Family & People"],
+["a1-650","a1-650-0137","der Freund","friend (m) / boyfriend","दोस्त / बॉयफ्रेंड","","Family & People"],
+["a1-650","a1-650-0138","die Freundin","friend (f) / girlfriend","सहेली / गर्लफ्रेंड","","Family & People"],
+["a1-650","a1-650-0139","der Bekannte","acquaintance (m)","परिचित (पुरुष)","","Family & People"],
+["a1-650","a1-650-0140","die Bekannte","acquaintance (f)","परिचित (महिला)","","Family & People"],
+["a1-650","a1-650-0141","der Nachbar","neighbor (m)","पड़ोसी (पुरुष)","","Family & People"],
+["a1-650","a1-650-0142","die Nachbarin","neighbor (f)","पड़ोसन","","Family & People"],
+["a1-650","a1-650-0143","der Gast","guest","मेहमान","","Family & People"],
+["a1-650","a1-650-0144","der Junge","boy 👦","लड़का","","Family & People"],
+["a1-650","a1-650-0145","das Mädchen","girl 👧","लड़की","","Family & People"],
+["a1-650","a1-650-0146","der Jugendliche","teenager / youth","किशोर","","Family & People"],
+["a1-650","a1-650-0147","der Erwachsene","adult","वयस्क","","Family & People"],
+["a1-650","a1-650-0148","Herr","Mr. / Sir","श्रीमान","","Family & People"],
+["a1-650","a1-650-0149","Frau","Mrs. / Ms. / Ma'am","श्रीमती","","Family & People"],
+["a1-650","a1-650-0150","der Familienstand","marital status","वैवाहिक स्थिति","","Family & People"],
+["a1-650","a1-650-0151","ledig","single (unmarried)","अविवाहित","","Family & People"],
+["a1-650","a1-650-0152","verheiratet","married 💍","विवाहित","","Family & People"],
+["a1-650","a1-650-0153","geschieden","divorced","तलाकशुदा","","Family & People"],
+["a1-650","a1-650-0154","verwitwet","widowed","विधवा/विधुर","","Family & People"],
+["a1-650","a1-650-0155","die Ehe","marriage","विवाह","","Family & People"],
+["a1-650","a1-650-0156","die Hochzeit","wedding 💒","शादी","","Family & People"],
+["a1-650","a1-650-0157","der Name","name","नाम","","Family & People"],
+["a1-650","a1-650-0158","der Vorname","first name","पहला नाम","","Family & People"],
+["a1-650","a1-650-0159","der Nachname","last name / surname","उपनाम","","Family & People"],
+["a1-650","a1-650-0160","das Alter","age","उम्र","","Family & People"],
+["a1-650","a1-650-0161","der Geburtstag","birthday 🎂","जन्मदिन","","Family & People"],
+["a1-650","a1-650-0162","der Geburtsort","place of birth","जन्मस्थान","","Family & People"],
+["a1-650","a1-650-0163","die Nationalität","nationality","राष्ट्रीयता","","Family & People"],
+["a1-650","a1-650-0164","die Heimat","homeland","मातृभूमि","","Family & People"],
+["a1-650","a1-650-0165","die Herkunft","origin","मूल","","Family & People"],
+["a1-650","a1-650-0166","jung","young","जवान","","Family & People"],
+["a1-650","a1-650-0167","alt","old","बूढ़ा / पुराना","","Family & People"],
+["a1-650","a1-650-0168","freundlich","friendly","मिलनसार","","Family & People"],
+["a1-650","a1-650-0169","nett","nice / kind","अच्छा / दयालु","","Family & People"],
+["a1-650","a1-650-0170","der Verwandte","relative","रिश्तेदार","","Family & People"],
+["a1-650","a1-650-0171","der Zwilling","twin","जुड़वां","","Family & People"],
+["a1-650","a1-650-0172","die Generation","generation","पीढ़ी","","Family & People"],
+["a1-650","a1-650-0173","der Körper","body 🧍","शरीर","","Body Parts"],
+["a1-650","a1-650-0174","der Kopf","head","सिर","","Body Parts"],
+["a1-650","a1-650-0175","das Gesicht","face 😊","चेहरा","","Body Parts"],
+["a1-650","a1-650-0176","die Stirn","forehead","माथा","","Body Parts"],
+["a1-650","a1-650-0177","das Haar / die Haare","hair","बाल","","Body Parts"],
+["a1-650","a1-650-0178","das Auge","eye 👁️","आँख","","Body Parts"],
+["a1-650","a1-650-0179","die Augen","eyes 👀","आँखें","","Body Parts"],
+["a1-650","a1-650-0180","die Augenbraue","eyebrow","भौं","","Body Parts"],
+["a1-650","a1-650-0181","das Ohr","ear 👂","कान","","Body Parts"],
+["a1-650","a1-650-0182","die Ohren","ears","कान (दोनों)","","Body Parts"],
+["a1-650","a1-650-0183","die Nase","nose 👃","नाक","","Body Parts"],
+["a1-650","a1-650-0184","der Mund","mouth 👄","मुँह","","Body Parts"],
+["a1-650","a1-650-0185","die Lippe","lip","होंठ","","Body Parts"],
+["a1-650","a1-650-0186","die Zunge","tongue 👅","जीभ","","Body Parts"],
+["a1-650","a1-650-0187","der Zahn","tooth 🦷","दाँत","","Body Parts"],
+["a1-650","a1-650-0188","die Zähne","teeth","दाँत (सब)","","Body Parts"],
+["a1-650","a1-650-0189","die Wange","cheek","गाल","","Body Parts"],
+["a1-650","a1-650-0190","das Kinn","chin","ठुड्डी","","Body Parts"],
+["a1-650","a1-650-0191","der Bart","beard 🧔","दाढ़ी","","Body Parts"],
+["a1-650","a1-650-0192","der Hals","neck / throat","गर्दन / गला","","Body Parts"],
+["a1-650","a1-650-0193","die Schulter","shoulder","कंधा","","Body Parts"],
+["a1-650","a1-650-0194","der Arm","arm 💪","बाँह","","Body Parts"],
+["a1-650","a1-650-0195","der Ellbogen","elbow","कोहनी","","Body Parts"],
+["a1-650","a1-650-0196","die Hand","hand ✋","हाथ","","Body Parts"],
+["a1-650","a1-650-0197","die Hände","hands","हाथ (दोनों)","","Body Parts"],
+["a1-650","a1-650-0198","der Finger","finger ☝️","उंगली","","Body Parts"],
+["a1-650","a1-650-0199","der Daumen","thumb 👍","अंगूठा","","Body Parts"],
+["a1-650","a1-650-0200","die Brust","chest / breast","छाती / सीना","","Body Parts"],
+["a1-650","a1-650-0201","der Bauch","stomach / belly","पेट","","Body Parts"],
+["a1-650","a1-650-0202","der Rücken","back","पीठ","","Body Parts"],
+["a1-650","a1-650-0203","die Hüfte","hip","कूल्हा","","Body Parts"],
+["a1-650","a1-650-0204","das Herz","heart ❤️","दिल","","Body Parts"],
+["a1-650","a1-650-0205","das Blut","blood 🩸","खून","","Body Parts"],
+["a1-650","a1-650-0206","der Knochen","bone 🦴","हड्डी","","Body Parts"],
+["a1-650","a1-650-0207","die Haut","skin","त्वचा / चमड़ी","","Body Parts"],
+["a1-650","a1-650-0208","das Bein","leg 🦵","टांग","","Body Parts"],
+["a1-650","a1-650-0209","das Knie","knee","घुटना","","Body Parts"],
+["a1-650","a1-650-0210","der Fuß","foot 🦶","पैर","","Body Parts"],
+["a1-650","a1-650-0211","die Füße","feet","पैर (दोनों)","","Body Parts"],
+["a1-650","a1-650-0212","der Zeh","toe","पैर की उंगली","","Body Parts"],
+["a1-650","a1-650-0213","sehen","to see 👁️","देखना","","Body Parts"],
+["a1-650","a1-650-0214","hören","to hear 👂","सुनना","","Body Parts"],
+["a1-650","a1-650-0215","riechen","to smell 👃","सूँघना","","Body Parts"],
+["a1-650","a1-650-0216","schmecken","to taste 👅","स्वाद लेना","","Body Parts"],
+["a1-650","a1-650-0217","fühlen","to feel ✋","महसूस करना","","Body Parts"],
+["a1-650","a1-650-0218","die Gesundheit","health 🏥","स्वास्थ्य","","Health & Feelings"],
+["a1-650","a1-650-0219","gesund","healthy ✅","स्वस्थ","","Health & Feelings"],
+["a1-650","a1-650-0220","krank","sick / ill 🤒","बीमार","","Health & Feelings"],
+["a1-650","a1-650-0221","die Krankheit","illness / disease","बीमारी","","Health & Feelings"],
+["a1-650","a1-650-0222","der Arzt","doctor (m) 👨‍⚕️","डॉक्टर (पुरुष)","","Health & Feelings"],
+["a1-650","a1-650-0223","die Ärztin","doctor (f) 👩‍⚕️","डॉक्टर (महिला)","","Health & Feelings"],
+["a1-650","a1-650-0224","der Zahnarzt","dentist 🦷","दंत चिकित्सक","","Health & Feelings"],
+["a1-650","a1-650-0225","das Krankenhaus","hospital 🏥","अस्पताल","","Health & Feelings"],
+["a1-650","a1-650-0226","die Praxis","doctor's office","क्लिनिक","","Health & Feelings"],
+["a1-650","a1-650-0227","die Apotheke","pharmacy 💊","दवाखाना","","Health & Feelings"],
+["a1-650","a1-650-0228","der Termin","appointment","अपॉइंटमेंट","","Health & Feelings"],
+["a1-650","a1-650-0229","die Medizin","medicine 💊","दवा","","Health & Feelings"],
+["a1-650","a1-650-0230","das Medikament","medication","दवाई","","Health & Feelings"],
+["a1-650","a1-650-0231","die Tablette","tablet / pill","गोली","","Health & Feelings"],
+["a1-650","a1-650-0232","das Rezept","prescription","पर्चा / नुस्खा","","Health & Feelings"],
+["a1-650","a1-650-0233","die Erkältung","cold (illness) 🤧","सर्दी-जुकाम","","Health & Feelings"],
+["a1-650","a1-650-0234","das Fieber","fever 🤒","बुखार","","Health & Feelings"],
+["a1-650","a1-650-0235","der Husten","cough","खाँसी","","Health & Feelings"],
+["a1-650","a1-650-0236","der Schnupfen","runny nose / cold","नज़ला / सर्दी","","Health & Feelings"],
+["a1-650","a1-650-0237","die Grippe","flu","फ्लू","","Health & Feelings"],
+["a1-650","a1-650-0238","der Schmerz","pain","दर्द","","Health & Feelings"],
+["a1-650","a1-650-0239","die Schmerzen","pains","दर्द (बहुवचन)","","Health & Feelings"],
+["a1-650","a1-650-0240","wehtun","to hurt","दर्द होना","","Health & Feelings"],
+["a1-650","a1-650-0241","Kopfschmerzen","headache 🤕","सिरदर्द","","Health & Feelings"],
+["a1-650","a1-650-0242","Bauchschmerzen","stomach ache","पेट दर्द","","Health & Feelings"],
+["a1-650","a1-650-0243","Zahnschmerzen","toothache","दाँत दर्द","","Health & Feelings"],
+["a1-650","a1-650-0244","Halsschmerzen","sore throat","गले में दर्द","","Health & Feelings"],
+["a1-650","a1-650-0245","Rückenschmerzen","back pain","पीठ दर्द","","Health & Feelings"],
+["a1-650","a1-650-0246","müde","tired 😴","थका हुआ","","Health & Feelings"],
+["a1-650","a1-650-0247","der Hunger","hunger","भूख","","Health & Feelings"],
+["a1-650","a1-650-0248","hungrig","hungry 🍽️","भूखा","","Health & Feelings"],
+["a1-650","a1-650-0249","der Durst","thirst","प्यास","","Health & Feelings"],
+["a1-650","a1-650-0250","durstig","thirsty 🥤","प्यासा","","Health & Feelings"],
+["a1-650","a1-650-0251","warm","warm","गर्म","","Health & Feelings"],
+["a1-650","a1-650-0252","kalt","cold","ठंडा","","Health & Feelings"],
+["a1-650","a1-650-0253","das Gefühl","feeling","भावना","","Health & Feelings"],
+["a1-650","a1-650-0254","fühlen (sich)","to feel","महसूस करना","","Health & Feelings"],
+["a1-650","a1-650-0255","gut","good / well","अच्छा","","Health & Feelings"],
+["a1-650","a1-650-0256","schlecht","bad / unwell","बुरा / खराब","","Health & Feelings"],
+["a1-650","a1-650-0257","glücklich","happy 😊","खुश","","Health & Feelings"],
+["a1-650","a1-650-0258","froh","glad / pleased","प्रसन्न","","Health & Feelings"],
+["a1-650","a1-650-0259","zufrieden","satisfied / content","संतुष्ट","","Health & Feelings"],
+["a1-650","a1-650-0260","freuen (sich)","to be happy / pleased","खुश होना","","Health & Feelings"],
+["a1-650","a1-650-0261","lustig","funny 😄","मज़ेदार","","Health & Feelings"],
+["a1-650","a1-650-0262","aufgeregt","excited 🤩","उत्साहित","","Health & Feelings"],
+["a1-650","a1-650-0263","stolz","proud","गर्वित","","Health & Feelings"],
+["a1-650","a1-650-0264","verliebt","in love 😍","प्यार में","","Health & Feelings"],
+["a1-650","a1-650-0265","die Liebe","love ❤️","प्यार","","Health & Feelings"],
+["a1-650","a1-650-0266","traurig","sad 😢","उदास","","Health & Feelings"],
+["a1-650","a1-650-0267","böse","angry / mad 😠","गुस्सा / नाराज़","","Health & Feelings"],
+["a1-650","a1-650-0268","wütend","furious / angry","क्रोधित","","Health & Feelings"],
+["a1-650","a1-650-0269","die Angst","fear / anxiety","डर / चिंता","","Health & Feelings"],
+["a1-650","a1-650-0270","ängstlich","scared / anxious 😰","डरा हुआ","","Health & Feelings"],
+["a1-650","a1-650-0271","nervös","nervous 😬","घबराया हुआ","","Health & Feelings"],
+["a1-650","a1-650-0272","der Stress","stress","तनाव","","Health & Feelings"],
+["a1-650","a1-650-0273","gestresst","stressed 😫","तनावग्रस्त","","Health & Feelings"],
+["a1-650","a1-650-0274","einsam","lonely","अकेला","","Health & Feelings"],
+["a1-650","a1-650-0275","langweilig","boring / bored 😑","उबाऊ / बोर","","Health & Feelings"],
+["a1-650","a1-650-0276","überrascht","surprised 😮","हैरान","","Health & Feelings"],
+["a1-650","a1-650-0277","ruhig","calm / quiet","शांत","","Health & Feelings"],
+["a1-650","a1-650-0278","die Ruhe","peace / rest","आराम / शांति","","Health & Feelings"],
+["a1-650","a1-650-0279","entspannt","relaxed 😌","तनावमुक्त","","Health & Feelings"],
+["a1-650","a1-650-0280","schlafen","to sleep 😴","सोना","","Health & Feelings"],
+["a1-650","a1-650-0281","aufwachen","to wake up","जागना","","Health & Feelings"],
+["a1-650","a1-650-0282","weinen","to cry 😭","रोना","","Health & Feelings"],
+["a1-650","a1-650-0283","lachen","to laugh 😂","हँसना","","Health & Feelings"],
+["a1-650","a1-650-0284","lächeln","to smile 😊","मुस्कुराना","","Health & Feelings"],
+["a1-650","a1-650-0285","die Allergie","allergy","एलर्जी","","Health & Feelings"],
+["a1-650","a1-650-0286","der Apfel","apple","सेब","","Food"],
+["a1-650","a1-650-0287","die Banane","banana","केला","","Food"],
+["a1-650","a1-650-0288","die Birne","pear / light bulb","नाशपाती / बल्ब","","Food"],
+["a1-650","a1-650-0289","die Brötchen","rolls","ब्रेड रोल","","Food"],
+["a1-650","a1-650-0290","die Butter","butter","मक्खन","","Food"],
+["a1-650","a1-650-0291","das Eis","ice / ice cream","बर्फ / आइसक्रीम","","Food"],
+["a1-650","a1-650-0292","die Erdbeere","strawberry","स्ट्रॉबेरी","","Food"],
+["a1-650","a1-650-0293","essen","to eat","खाना","","Food"],
+["a1-650","a1-650-0294","das Essen","food / meal","भोजन","","Food"],
+["a1-650","a1-650-0295","das Fisch","fish","मछली","","Food"],
+["a1-650","a1-650-0296","die Fleisch","meat","मांस","","Food"],
+["a1-650","a1-650-0297","das Frühstück","breakfast","नाश्ता","","Food"],
+["a1-650","a1-650-0298","frühstücken","to have breakfast","नाश्ता करना","","Food"],
+["a1-650","a1-650-0299","die Gemüse","vegetables","सब्ज़ियाँ","","Food"],
+["a1-650","a1-650-0300","der Kuchen","cake","केक","","Food"],
+["a1-650","a1-650-0301","die Mahlzeit","meal","भोजन","","Food"],
+["a1-650","a1-650-0302","die Orange","orange","संतरा","","Food"],
+["a1-650","a1-650-0303","die Sahne","cream","क्रीम","","Food"],
+["a1-650","a1-650-0304","das Salz","salt","नमक","","Food"],
+["a1-650","a1-650-0305","die Schokolade","chocolate","चॉकलेट","","Food"],
+["a1-650","a1-650-0306","die Speisekarte","menu","मेनू","","Food"],
+["a1-650","a1-650-0307","die Suppe","soup","सूप","","Food"],
+["a1-650","a1-650-0308","süß","sweet","मीठा","","Food"],
+["a1-650","a1-650-0309","die Vorspeise","starter / appetizer","स्टार्टर","","Food"],
+["a1-650","a1-650-0310","die Wurst","sausage","सॉसेज","","Food"],
+["a1-650","a1-650-0311","die Zwiebel","onion","प्याज","","Food"],
+["a1-650","a1-650-0312","die Kartoffel","potato","आलू","","Food"],
+["a1-650","a1-650-0313","der Reis","rice","चावल","","Food"],
+["a1-650","a1-650-0314","die Nudeln","noodles / pasta","नूडल्स","","Food"],
+["a1-650","a1-650-0315","der Käse","cheese","पनीर","","Food"],
+["a1-650","a1-650-0316","das Ei","egg","अंडा","","Food"],
+["a1-650","a1-650-0317","der Zucker","sugar","चीनी","","Food"],
+["a1-650","a1-650-0318","der Pfeffer","pepper","काली मिर्च","","Food"],
+["a1-650","a1-650-0319","das Hähnchen","chicken","चिकन","","Food"],
+["a1-650","a1-650-0320","der Schinken","ham","हैम","","Food"],
+["a1-650","a1-650-0321","der Salat","salad","सलाद","","Food"],
+["a1-650","a1-650-0322","die Gurke","cucumber","खीरा","","Food"],
+["a1-650","a1-650-0323","die Paprika","bell pepper","शिमला मिर्च","","Food"],
+["a1-650","a1-650-0324","der Pilz","mushroom","मशरूम","","Food"],
+["a1-650","a1-650-0325","das Obst","fruit","फल","","Food"],
+["a1-650","a1-650-0326","die Zitrone","lemon","नींबू","","Food"],
+["a1-650","a1-650-0327","die Traube","grape","अंगूर","","Food"],
+["a1-650","a1-650-0328","die Melone","melon","खरबूजा","","Food"],
+["a1-650","a1-650-0329","die Kirsche","cherry","चेरी","","Food"],
+["a1-650","a1-650-0330","der Pfirsich","peach","आड़ू","","Food"],
+["a1-650","a1-650-0331","die Ananas","pineapple","अनानास","","Food"],
+["a1-650","a1-650-0332","die Karotte","carrot","गाजर","","Food"],
+["a1-650","a1-650-0333","der Knoblauch","garlic","लहसुन","","Food"],
+["a1-650","a1-650-0334","der Spinat","spinach","पालक","","Food"],
+["a1-650","a1-650-0335","der Joghurt","yogurt","दही","","Food"],
+["a1-650","a1-650-0336","das Getränk","drink / beverage 🥤","पेय","","Drinks"],
+["a1-650","a1-650-0337","trinken","to drink","पीना","","Drinks"],
+["a1-650","a1-650-0338","das Wasser","water 💧","पानी","","Drinks"],
+["a1-650","a1-650-0339","das Mineralwasser","mineral water","मिनरल वाटर","","Drinks"],
+["a1-650","a1-650-0340","Wasser mit Kohlensäure","sparkling water","सोडा वाटर","","Drinks"],
+["a1-650","a1-650-0341","stilles Wasser","still water (no gas)","सादा पानी","","Drinks"],
+["a1-650","a1-650-0342","der Kaffee","coffee ☕","कॉफ़ी","","Drinks"],
+["a1-650","a1-650-0343","der Espresso","espresso","एस्प्रेसो","","Drinks"],
+["a1-650","a1-650-0344","der Cappuccino","cappuccino","कैपुचीनो","","Drinks"],
+["a1-650","a1-650-0345","der Tee","tea 🍵","चाय","","Drinks"],
+["a1-650","a1-650-0346","der schwarze Tee","black tea","काली चाय","","Drinks"],
+["a1-650","a1-650-0347","der grüne Tee","green tea 🍃","हरी चाय","","Drinks"],
+["a1-650","a1-650-0348","der Kakao","hot chocolate 🍫","कोको / हॉट चॉकलेट","","Drinks"],
+["a1-650","a1-650-0349","die Milch","milk 🥛","दूध","","Drinks"],
+["a1-650","a1-650-0350","der Saft","juice 🧃","जूस","","Drinks"],
+["a1-650","a1-650-0351","der Orangensaft","orange juice 🍊","संतरे का जूस","","Drinks"],
+["a1-650","a1-650-0352","der Apfelsaft","apple juice 🍎","सेब का जूस","","Drinks"],
+["a1-650","a1-650-0353","die Limonade","lemonade / soda 🍋","नींबू पानी / सोडा","","Drinks"],
+["a1-650","a1-650-0354","die Cola","cola 🥤","कोला","","Drinks"],
+["a1-650","a1-650-0355","die Fanta","Fanta (orange soda)","फैंटा","","Drinks"],
+["a1-650","a1-650-0356","die Sprite","Sprite (lemon soda)","स्प्राइट","","Drinks"],
+["a1-650","a1-650-0357","das Bier","beer 🍺","बीयर","","Drinks"],
+["a1-650","a1-650-0358","der Rotwein","red wine 🍷","लाल वाइन","","Drinks"],
+["a1-650","a1-650-0359","der Weißwein","white wine 🥂","सफ़ेद वाइन","","Drinks"],
+["a1-650","a1-650-0360","der Sekt","sparkling wine 🍾","शैम्पेन","","Drinks"],
+["a1-650","a1-650-0361","das Glas","glass 🥛","गिलास","","Drinks"],
+["a1-650","a1-650-0362","die Tasse","cup ☕","प्याला / कप","","Drinks"],
+["a1-650","a1-650-0363","die Flasche","bottle 🍼","बोतल","","Drinks"],
+["a1-650","a1-650-0364","die Dose","can 🥫","डिब्बा / कैन","","Drinks"],
+["a1-650","a1-650-0365","mit Zucker","with sugar","चीनी के साथ","","Drinks"],
+["a1-650","a1-650-0366","ohne Zucker","without sugar","बिना चीनी","","Drinks"],
+["a1-650","a1-650-0367","mit Milch","with milk","दूध के साथ","","Drinks"],
+["a1-650","a1-650-0368","ohne Milch","without milk","बिना दूध","","Drinks"],
+["a1-650","a1-650-0369","mit Eis","with ice 🧊","बर्फ़ के साथ","","Drinks"],
+["a1-650","a1-650-0370","der Smoothie","smoothie","स्मूथी","","Drinks"],
+["a1-650","a1-650-0371","der Eistee","iced tea 🧊","आइस्ड टी","","Drinks"],
+["a1-650","a1-650-0372","der Eiskaffee","iced coffee","आइस्ड कॉफ़ी","","Drinks"],
+["a1-650","a1-650-0373","das Haus","house 🏠","मकान","","House & Furniture"],
+["a1-650","a1-650-0374","die Wohnung","apartment / flat 🏢","फ्लैट","","House & Furniture"],
+["a1-650","a1-650-0375","das Gebäude","building","इमारत","","House & Furniture"],
+["a1-650","a1-650-0376","zu Hause","at home","घर पर","","House & Furniture"],
+["a1-650","a1-650-0377","nach Hause","to home (going)","घर की ओर","","House & Furniture"],
+["a1-650","a1-650-0378","das Zimmer","room 🚪","कमरा","","House & Furniture"],
+["a1-650","a1-650-0379","das Wohnzimmer","living room 🛋️","बैठक","","House & Furniture"],
+["a1-650","a1-650-0380","das Schlafzimmer","bedroom 🛏️","शयनकक्ष","","House & Furniture"],
+["a1-650","a1-650-0381","das Kinderzimmer","children's room","बच्चों का कमरा","","House & Furniture"],
+["a1-650","a1-650-0382","das Esszimmer","dining room 🍽️","खाने का कमरा","","House & Furniture"],
+["a1-650","a1-650-0383","die Küche","kitchen 🍳","रसोई","","House & Furniture"],
+["a1-650","a1-650-0384","das Bad / das Badezimmer","bathroom 🚿","स्नानघर","","House & Furniture"],
+["a1-650","a1-650-0385","die Toilette / das WC","toilet 🚽","शौचालय","","House & Furniture"],
+["a1-650","a1-650-0386","der Flur","hallway / corridor","गलियारा","","House & Furniture"],
+["a1-650","a1-650-0387","der Keller","basement / cellar","तहखाना","","House & Furniture"],
+["a1-650","a1-650-0388","der Dachboden","attic","अटारी","","House & Furniture"],
+["a1-650","a1-650-0389","die Tür","door 🚪","दरवाज़ा","","House & Furniture"],
+["a1-650","a1-650-0390","das Fenster","window 🪟","खिड़की","","House & Furniture"],
+["a1-650","a1-650-0391","die Wand","wall","दीवार","","House & Furniture"],
+["a1-650","a1-650-0392","die Decke","ceiling","छत (अंदर)","","House & Furniture"],
+["a1-650","a1-650-0393","das Dach","roof","छत (बाहर)","","House & Furniture"],
+["a1-650","a1-650-0394","der Boden","floor","फर्श","","House & Furniture"],
+["a1-650","a1-650-0395","die Treppe","stairs 🪜","सीढ़ी","","House & Furniture"],
+["a1-650","a1-650-0396","der Aufzug / der Lift","elevator / lift","लिफ्ट","","House & Furniture"],
+["a1-650","a1-650-0397","der Balkon","balcony","बालकनी","","House & Furniture"],
+["a1-650","a1-650-0398","die Terrasse","terrace / patio","छत / आंगन","","House & Furniture"],
+["a1-650","a1-650-0399","der Garten","garden 🌳","बगीचा","","House & Furniture"],
+["a1-650","a1-650-0400","die Garage","garage 🚗","गैरेज","","House & Furniture"],
+["a1-650","a1-650-0401","die Möbel","furniture","फर्नीचर","","House & Furniture"],
+["a1-650","a1-650-0402","der Tisch","table","मेज़","","House & Furniture"],
+["a1-650","a1-650-0403","der Stuhl","chair 🪑","कुर्सी","","House & Furniture"],
+["a1-650","a1-650-0404","der Sessel","armchair","आराम कुर्सी","","House & Furniture"],
+["a1-650","a1-650-0405","das Sofa / die Couch","sofa / couch 🛋️","सोफा","","House & Furniture"],
+["a1-650","a1-650-0406","das Bett","bed 🛏️","बिस्तर","","House & Furniture"],
+["a1-650","a1-650-0407","der Schrank","cupboard / wardrobe","अलमारी","","House & Furniture"],
+["a1-650","a1-650-0408","der Kleiderschrank","wardrobe (clothes)","कपड़ों की अलमारी","","House & Furniture"],
+["a1-650","a1-650-0409","das Regal","shelf","शेल्फ","","House & Furniture"],
+["a1-650","a1-650-0410","das Kissen","pillow","तकिया","","House & Furniture"],
+["a1-650","a1-650-0411","das Bettlaken","bed sheet","चादर","","House & Furniture"],
+["a1-650","a1-650-0412","der Fernseher","television 📺","टीवी","","House & Furniture"],
+["a1-650","a1-650-0413","die Lampe","lamp 💡","लैंप","","House & Furniture"],
+["a1-650","a1-650-0414","der Teppich","carpet / rug","कालीन","","House & Furniture"],
+["a1-650","a1-650-0415","der Vorhang","curtain","पर्दा","","House & Furniture"],
+["a1-650","a1-650-0416","der Spiegel","mirror 🪞","आईना","","House & Furniture"],
+["a1-650","a1-650-0417","das Bild","picture / painting 🖼️","तस्वीर","","House & Furniture"],
+["a1-650","a1-650-0418","die Uhr","clock ⏰","घड़ी","","House & Furniture"],
+["a1-650","a1-650-0419","der Kühlschrank","refrigerator 🧊","फ्रिज","","House & Furniture"],
+["a1-650","a1-650-0420","der Herd","stove","चूल्हा","","House & Furniture"],
+["a1-650","a1-650-0421","der Ofen","oven","ओवन","","House & Furniture"],
+["a1-650","a1-650-0422","die Mikrowelle","microwave","माइक्रोवेव","","House & Furniture"],
+["a1-650","a1-650-0423","die Waschmaschine","washing machine 🧺","वाशिंग मशीन","","House & Furniture"],
+["a1-650","a1-650-0424","die Spülmaschine","dishwasher","डिशवॉशर","","House & Furniture"],
+["a1-650","a1-650-0425","die Dusche","shower 🚿","शॉवर","","House & Furniture"],
+["a1-650","a1-650-0426","die Badewanne","bathtub 🛁","बाथटब","","House & Furniture"],
+["a1-650","a1-650-0427","das Waschbecken","sink (bathroom)","वॉशबेसिन","","House & Furniture"],
+["a1-650","a1-650-0428","das Handtuch","towel","तौलिया","","House & Furniture"],
+["a1-650","a1-650-0429","die Miete","rent 💰","किराया","","House & Furniture"],
+["a1-650","a1-650-0430","mieten","to rent","किराए पर लेना","","House & Furniture"],
+["a1-650","a1-650-0431","wohnen","to live (reside)","रहना","","House & Furniture"],
+["a1-650","a1-650-0432","umziehen","to move (house)","घर बदलना","","House & Furniture"],
+["a1-650","a1-650-0433","der Stock / die Etage","floor (storey)","मंज़िल","","House & Furniture"],
+["a1-650","a1-650-0434","das Erdgeschoss","ground floor","भूतल","","House & Furniture"],
+["a1-650","a1-650-0435","Wo wohnst du?","Where do you live?","तुम कहाँ रहते हो?","","House & Furniture"],
+["a1-650","a1-650-0436","Wie viele Zimmer?","How many rooms?","कितने कमरे?","","House & Furniture"],
+["a1-650","a1-650-0437","Die Wohnung hat...","The apartment has...","फ्लैट में ... है","","House & Furniture"],
+["a1-650","a1-650-0438","Wie hoch ist die Miete?","How much is the rent?","किराया कितना है?","","House & Furniture"],
+["a1-650","a1-650-0439","Im ersten Stock","On the first floor","पहली मंज़िल पर","","House & Furniture"],
+["a1-650","a1-650-0440","das Geschirr","dishes / tableware 🍽️","बर्तन","","Kitchen Items"],
+["a1-650","a1-650-0441","der Teller","plate 🍽️","प्लेट / थाली","","Kitchen Items"],
+["a1-650","a1-650-0442","die Schüssel","bowl 🥣","कटोरा","","Kitchen Items"],
+["a1-650","a1-650-0443","der Becher","mug / beaker","मग","","Kitchen Items"],
+["a1-650","a1-650-0444","das Besteck","cutlery 🍴","छुरी-काँटा","","Kitchen Items"],
+["a1-650","a1-650-0445","das Messer","knife 🔪","चाकू","","Kitchen Items"],
+["a1-650","a1-650-0446","die Gabel","fork 🍴","काँटा","","Kitchen Items"],
+["a1-650","a1-650-0447","der Löffel","spoon 🥄","चम्मच","","Kitchen Items"],
+["a1-650","a1-650-0448","der Teelöffel","teaspoon","चाय का चम्मच","","Kitchen Items"],
+["a1-650","a1-650-0449","der Esslöffel","tablespoon","बड़ा चम्मच","","Kitchen Items"],
+["a1-650","a1-650-0450","der Topf","pot 🍲","बर्तन / पतीला","","Kitchen Items"],
+["a1-650","a1-650-0451","die Pfanne","pan / frying pan 🍳","कड़ाही / तवा","","Kitchen Items"],
+["a1-650","a1-650-0452","der Deckel","lid / cover","ढक्कन","","Kitchen Items"],
+["a1-650","a1-650-0453","das Schneidebrett","cutting board","कटिंग बोर्ड","","Kitchen Items"],
+["a1-650","a1-650-0454","die Kanne","jug / pot","जग / केतली","","Kitchen Items"],
+["a1-650","a1-650-0455","der Kochlöffel","cooking spoon / ladle","कड़छी","","Kitchen Items"],
+["a1-650","a1-650-0456","die Kaffeemaschine","coffee machine ☕","कॉफ़ी मशीन","","Kitchen Items"],
+["a1-650","a1-650-0457","der Wasserkocher","kettle","केतली","","Kitchen Items"],
+["a1-650","a1-650-0458","der Toaster","toaster 🍞","टोस्टर","","Kitchen Items"],
+["a1-650","a1-650-0459","der Mixer","mixer / blender","मिक्सर","","Kitchen Items"],
+["a1-650","a1-650-0460","die Packung","pack / package 📦","पैकेट","","Kitchen Items"],
+["a1-650","a1-650-0461","die Tüte","bag (paper/plastic)","थैला","","Kitchen Items"],
+["a1-650","a1-650-0462","der Behälter","container","डिब्बा / कंटेनर","","Kitchen Items"],
+["a1-650","a1-650-0463","die Serviette","napkin","नैपकिन","","Kitchen Items"],
+["a1-650","a1-650-0464","die Tischdecke","tablecloth","मेज़पोश","","Kitchen Items"],
+["a1-650","a1-650-0465","das Spülmittel","dish soap","बर्तन धोने का साबुन","","Kitchen Items"],
+["a1-650","a1-650-0466","der Schwamm","sponge","स्पंज","","Kitchen Items"],
+["a1-650","a1-650-0467","das Geschirrtuch","dish towel","बर्तन पोंछने का कपड़ा","","Kitchen Items"],
+["a1-650","a1-650-0468","der Mülleimer","trash can 🗑️","कूड़ेदान","","Kitchen Items"],
+["a1-650","a1-650-0469","kochen","to cook 👨‍🍳","पकाना","","Kitchen Items"],
+["a1-650","a1-650-0470","braten","to fry","तलना","","Kitchen Items"],
+["a1-650","a1-650-0471","backen","to bake","सेंकना","","Kitchen Items"],
+["a1-650","a1-650-0472","schneiden","to cut ✂️","काटना","","Kitchen Items"],
+["a1-650","a1-650-0473","mischen","to mix","मिलाना","","Kitchen Items"],
+["a1-650","a1-650-0474","rühren","to stir","हिलाना","","Kitchen Items"],
+["a1-650","a1-650-0475","abwaschen","to wash dishes","बर्तन धोना","","Kitchen Items"],
+["a1-650","a1-650-0476","den Tisch decken","to set the table","मेज़ लगाना","","Kitchen Items"],
+["a1-650","a1-650-0477","Guten Appetit!","Enjoy your meal! 🍽️","खाना खाइए!","","Kitchen Items"],
+["a1-650","a1-650-0478","Das schmeckt gut!","That tastes good!","यह स्वादिष्ट है!","","Kitchen Items"],
+["a1-650","a1-650-0479","Kann ich bitte...haben?","Can I please have...?","क्या मुझे ... मिल सकता है?","","Kitchen Items"],
+["a1-650","a1-650-0480","Noch etwas?","Anything else?","और कुछ?","","Kitchen Items"],
+["a1-650","a1-650-0481","Ich bin satt","I am full","मेरा पेट भर गया","","Kitchen Items"],
+["a1-650","a1-650-0482","Es ist lecker!","It's delicious!","यह मज़ेदार है!","","Kitchen Items"],
+["a1-650","a1-650-0483","Was kochst du?","What are you cooking?","तुम क्या पका रहे हो?","","Kitchen Items"],
+["a1-650","a1-650-0484","das Kleidungsstück","piece of clothing","कपड़े का टुकड़ा","","Clothing"],
+["a1-650","a1-650-0485","das Hemd","shirt 👔","शर्ट","","Clothing"],
+["a1-650","a1-650-0486","das T-Shirt","t-shirt 👕","टी-शर्ट","","Clothing"],
+["a1-650","a1-650-0487","die Bluse","blouse","ब्लाउज़","","Clothing"],
+["a1-650","a1-650-0488","der Pullover / der Pulli","sweater / pullover","स्वेटर","","Clothing"],
+["a1-650","a1-650-0489","die Jacke","jacket 🧥","जैकेट","","Clothing"],
+["a1-650","a1-650-0490","der Mantel","coat 🧥","कोट","","Clothing"],
+["a1-650","a1-650-0491","die Hose","trousers / pants 👖","पैंट","","Clothing"],
+["a1-650","a1-650-0492","die Jeans","jeans 👖","जींस","","Clothing"],
+["a1-650","a1-650-0493","die kurze Hose / die Shorts","shorts 🩳","शॉर्ट्स / निकर","","Clothing"],
+["a1-650","a1-650-0494","der Rock","skirt","स्कर्ट","","Clothing"],
+["a1-650","a1-650-0495","der Anzug","suit 🤵","सूट","","Clothing"],
+["a1-650","a1-650-0496","die Krawatte","tie 👔","टाई","","Clothing"],
+["a1-650","a1-650-0497","der Schuh","shoe 👞","जूता","","Clothing"],
+["a1-650","a1-650-0498","die Schuhe","shoes 👟","जूते","","Clothing"],
+["a1-650","a1-650-0499","der Stiefel","boot 👢","बूट","","Clothing"],
+["a1-650","a1-650-0500","die Sandale","sandal 👡","सैंडल","","Clothing"],
+["a1-650","a1-650-0501","der Sportschuh / der Sneaker","sneaker / trainers 👟","स्पोर्ट्स शूज़","","Clothing"],
+["a1-650","a1-650-0502","die Socke","sock 🧦","मोज़ा","","Clothing"],
+["a1-650","a1-650-0503","die Socken","socks","मोज़े","","Clothing"],
+["a1-650","a1-650-0504","der Hut","hat 🎩","हैट","","Clothing"],
+["a1-650","a1-650-0505","die Mütze","cap / beanie 🧢","टोपी","","Clothing"],
+["a1-650","a1-650-0506","der Schal","scarf 🧣","मफलर / गमछा","","Clothing"],
+["a1-650","a1-650-0507","der Handschuh","glove 🧤","दस्ताना","","Clothing"],
+["a1-650","a1-650-0508","die Handschuhe","gloves","दस्ताने","","Clothing"],
+["a1-650","a1-650-0509","der Gürtel","belt","बेल्ट","","Clothing"],
+["a1-650","a1-650-0510","die Brille","glasses 👓","चश्मा","","Clothing"],
+["a1-650","a1-650-0511","die Sonnenbrille","sunglasses 🕶️","धूप का चश्मा","","Clothing"],
+["a1-650","a1-650-0512","die Tasche","bag / purse 👜","बैग / थैला","","Clothing"],
+["a1-650","a1-650-0513","der Rucksack","backpack 🎒","बैकपैक","","Clothing"],
+["a1-650","a1-650-0514","der Regenschirm","umbrella ☂️","छाता","","Clothing"],
+["a1-650","a1-650-0515","die Unterwäsche","underwear","अंडरवियर","","Clothing"],
+["a1-650","a1-650-0516","der Pyjama / der Schlafanzug","pajamas","नाइट सूट","","Clothing"],
+["a1-650","a1-650-0517","der Badeanzug","swimsuit (f) 👙","स्विमसूट","","Clothing"],
+["a1-650","a1-650-0518","die Badehose","swim trunks (m) 🩲","स्विमिंग शॉर्ट्स","","Clothing"],
+["a1-650","a1-650-0519","die Größe","size","साइज़","","Clothing"],
+["a1-650","a1-650-0520","mittel","medium (M)","मध्यम","","Clothing"],
+["a1-650","a1-650-0521","groß","large (L)","बड़ा","","Clothing"],
+["a1-650","a1-650-0522","eng","tight","तंग","","Clothing"],
+["a1-650","a1-650-0523","weit","loose / wide","ढीला","","Clothing"],
+["a1-650","a1-650-0524","tragen","to wear","पहनना","","Clothing"],
+["a1-650","a1-650-0525","anziehen","to put on (clothes)","पहनना","","Clothing"],
+["a1-650","a1-650-0526","ausziehen","to take off (clothes)","उतारना","","Clothing"],
+["a1-650","a1-650-0527","sich umziehen","to change clothes","कपड़े बदलना","","Clothing"],
+["a1-650","a1-650-0528","passen","to fit","फिट होना","","Clothing"],
+["a1-650","a1-650-0529","anprobieren","to try on","पहनकर देखना","","Clothing"],
+["a1-650","a1-650-0530","Welche Größe haben Sie?","What size do you have?","आपका साइज़ क्या है?","","Clothing"],
+["a1-650","a1-650-0531","Kann ich das anprobieren?","Can I try this on?","क्या मैं इसे पहनकर देख सकता/सकती हूँ?","","Clothing"],
+["a1-650","a1-650-0532","Das passt mir (nicht)","That fits me (not)","यह मुझे फिट है (नहीं)","","Clothing"],
+["a1-650","a1-650-0533","Das steht dir gut!","That looks good on you!","तुम पर यह अच्छा लग रहा है!","","Clothing"],
+["a1-650","a1-650-0534","Was ziehst du heute an?","What are you wearing today?","आज तुम क्या पहन रहे हो?","","Clothing"],
+["a1-650","a1-650-0535","das Auto / der Wagen","car 🚗","कार / गाड़ी","","Transport & Travel"],
+["a1-650","a1-650-0536","der Bus","bus 🚌","बस","","Transport & Travel"],
+["a1-650","a1-650-0537","das Taxi","taxi 🚕","टैक्सी","","Transport & Travel"],
+["a1-650","a1-650-0538","das Fahrrad / das Rad","bicycle 🚲","साइकिल","","Transport & Travel"],
+["a1-650","a1-650-0539","das Motorrad","motorcycle 🏍️","मोटरसाइकिल","","Transport & Travel"],
+["a1-650","a1-650-0540","der LKW / der Lastwagen","truck 🚛","ट्रक","","Transport & Travel"],
+["a1-650","a1-650-0541","der Zug","train 🚆","ट्रेन","","Transport & Travel"],
+["a1-650","a1-650-0542","die Bahn","train / railway","रेल","","Transport & Travel"],
+["a1-650","a1-650-0543","die U-Bahn","metro / subway 🚇","मेट्रो","","Transport & Travel"],
+["a1-650","a1-650-0544","die S-Bahn","suburban train","लोकल ट्रेन","","Transport & Travel"],
+["a1-650","a1-650-0545","die Straßenbahn","tram 🚃","ट्राम","","Transport & Travel"],
+["a1-650","a1-650-0546","das Flugzeug","airplane ✈️","हवाई जहाज़","","Transport & Travel"],
+["a1-650","a1-650-0547","das Schiff","ship 🚢","जहाज़","","Transport & Travel"],
+["a1-650","a1-650-0548","das Boot","boat ⛵","नाव","","Transport & Travel"],
+["a1-650","a1-650-0549","der Bahnhof","train station 🚉","रेलवे स्टेशन","","Transport & Travel"],
+["a1-650","a1-650-0550","der Flughafen","airport ✈️","हवाई अड्डा","","Transport & Travel"],
+["a1-650","a1-650-0551","die Haltestelle","stop (bus/tram)","स्टॉप","","Transport & Travel"],
+["a1-650","a1-650-0552","die Bushaltestelle","bus stop 🚏","बस स्टॉप","","Transport & Travel"],
+["a1-650","a1-650-0553","das Gleis / der Bahnsteig","platform / track","प्लेटफॉर्म","","Transport & Travel"],
+["a1-650","a1-650-0554","die Tankstelle","gas station ⛽","पेट्रोल पंप","","Transport & Travel"],
+["a1-650","a1-650-0555","die Fahrkarte / das Ticket","ticket 🎫","टिकट","","Transport & Travel"],
+["a1-650","a1-650-0556","der Fahrplan","timetable / schedule","समय-सारणी","","Transport & Travel"],
+["a1-650","a1-650-0557","die Hin- und Rückfahrt","round trip","आना-जाना टिकट","","Transport & Travel"],
+["a1-650","a1-650-0558","einfache Fahrt","one-way trip","एक तरफ़ का टिकट","","Transport & Travel"],
+["a1-650","a1-650-0559","buchen","to book","बुक करना","","Transport & Travel"],
+["a1-650","a1-650-0560","fahren","to drive / go (vehicle)","चलाना / जाना","","Transport & Travel"],
+["a1-650","a1-650-0561","fliegen","to fly","उड़ना","","Transport & Travel"],
+["a1-650","a1-650-0562","gehen","to go / walk 🚶","जाना / चलना","","Transport & Travel"],
+["a1-650","a1-650-0563","laufen","to walk / run","चलना / दौड़ना","","Transport & Travel"],
+["a1-650","a1-650-0564","einsteigen","to get on / board","चढ़ना","","Transport & Travel"],
+["a1-650","a1-650-0565","umsteigen","to change / transfer","बदलना (गाड़ी)","","Transport & Travel"],
+["a1-650","a1-650-0566","abfahren","to depart","रवाना होना","","Transport & Travel"],
+["a1-650","a1-650-0567","ankommen","to arrive","पहुँचना","","Transport & Travel"],
+["a1-650","a1-650-0568","die Abfahrt","departure","प्रस्थान","","Transport & Travel"],
+["a1-650","a1-650-0569","die Ankunft","arrival","आगमन","","Transport & Travel"],
+["a1-650","a1-650-0570","der Urlaub","vacation / holiday 🏖️","छुट्टी","","Transport & Travel"],
+["a1-650","a1-650-0571","die Ferien","holidays (school)","छुट्टियाँ","","Transport & Travel"],
+["a1-650","a1-650-0572","das Hotel","hotel 🏨","होटल","","Transport & Travel"],
+["a1-650","a1-650-0573","der Reisepass / der Pass","passport 🛂","पासपोर्ट","","Transport & Travel"],
+["a1-650","a1-650-0574","das Visum","visa","वीज़ा","","Transport & Travel"],
+["a1-650","a1-650-0575","das Gepäck","luggage / baggage 🧳","सामान","","Transport & Travel"],
+["a1-650","a1-650-0576","der Koffer","suitcase","सूटकेस","","Transport & Travel"],
+["a1-650","a1-650-0577","der Verkehr","traffic","ट्रैफ़िक","","Transport & Travel"],
+["a1-650","a1-650-0578","die Straße","street / road","सड़क","","Transport & Travel"],
+["a1-650","a1-650-0579","die Ampel","traffic light 🚦","ट्रैफ़िक लाइट","","Transport & Travel"],
+["a1-650","a1-650-0580","der Parkplatz","parking lot 🅿️","पार्किंग","","Transport & Travel"],
+["a1-650","a1-650-0581","tanken","to refuel","पेट्रोल भरवाना","","Transport & Travel"],
+["a1-650","a1-650-0582","das Benzin","petrol / gas","पेट्रोल","","Transport & Travel"],
+["a1-650","a1-650-0583","links","left ⬅️","बाएँ","","Transport & Travel"],
+["a1-650","a1-650-0584","rechts","right ➡️","दाएँ","","Transport & Travel"],
+["a1-650","a1-650-0585","geradeaus","straight ahead ⬆️","सीधे","","Transport & Travel"],
+["a1-650","a1-650-0586","die Ecke","corner","कोना","","Transport & Travel"],
+["a1-650","a1-650-0587","die Kreuzung","intersection / crossing","चौराहा","","Transport & Travel"],
+["a1-650","a1-650-0588","die Verspätung","delay","देरी","","Transport & Travel"],
+["a1-650","a1-650-0589","der Stau","traffic jam","ट्रैफिक जाम","","Transport & Travel"],
+["a1-650","a1-650-0590","der Passagier","passenger","यात्री","","Transport & Travel"],
+["a1-650","a1-650-0591","der Fahrer","driver","ड्राइवर","","Transport & Travel"],
+["a1-650","a1-650-0592","der Führerschein","driver's license","ड्राइविंग लाइसेंस","","Transport & Travel"],
+["a1-650","a1-650-0593","der Sitzplatz","seat","सीट","","Transport & Travel"],
+["a1-650","a1-650-0594","die Stadt","city / town 🏙️","शहर","","Places & City"],
+["a1-650","a1-650-0595","das Dorf","village 🏘️","गाँव","","Places & City"],
+["a1-650","a1-650-0596","das Zentrum / die Innenstadt","city center / downtown","शहर का केंद्र","","Places & City"],
+["a1-650","a1-650-0597","die Altstadt","old town","पुराना शहर","","Places & City"],
+["a1-650","a1-650-0598","der Platz","square / plaza","चौक","","Places & City"],
+["a1-650","a1-650-0599","die Brücke","bridge 🌉","पुल","","Places & City"],
+["a1-650","a1-650-0600","der Park","park 🌳","पार्क","","Places & City"],
+["a1-650","a1-650-0601","der Spielplatz","playground","खेल का मैदान","","Places & City"],
+["a1-650","a1-650-0602","das Rathaus","town hall 🏛️","नगर पालिका","","Places & City"],
+["a1-650","a1-650-0603","die Polizeiwache","police station","पुलिस थाना","","Places & City"],
+["a1-650","a1-650-0604","die Post","post office 📮","डाकघर","","Places & City"],
+["a1-650","a1-650-0605","die Bank","bank 🏦","बैंक","","Places & City"],
+["a1-650","a1-650-0606","das Amt","office / authority","कार्यालय","","Places & City"],
+["a1-650","a1-650-0607","das Büro","office","दफ्तर","","Places & City"],
+["a1-650","a1-650-0608","die Arztpraxis","doctor's office","डॉक्टर का क्लीनिक","","Places & City"],
+["a1-650","a1-650-0609","die Schule","school 🏫","स्कूल","","Places & City"],
+["a1-650","a1-650-0610","der Kindergarten","kindergarten","किंडरगार्टन","","Places & City"],
+["a1-650","a1-650-0611","das Gymnasium","high school","हाई स्कूल","","Places & City"],
+["a1-650","a1-650-0612","die Universität / die Uni","university 🎓","विश्वविद्यालय","","Places & City"],
+["a1-650","a1-650-0613","die Bibliothek","library 📚","पुस्तकालय","","Places & City"],
+["a1-650","a1-650-0614","die Mensa","canteen / cafeteria","कैंटीन","","Places & City"],
+["a1-650","a1-650-0615","der Laden / das Geschäft","shop / store 🏪","दुकान","","Places & City"],
+["a1-650","a1-650-0616","der Supermarkt","supermarket 🛒","सुपरमार्केट","","Places & City"],
+["a1-650","a1-650-0617","das Einkaufszentrum","shopping mall 🛍️","शॉपिंग मॉल","","Places & City"],
+["a1-650","a1-650-0618","der Markt","market","बाज़ार","","Places & City"],
+["a1-650","a1-650-0619","der Flohmarkt","flea market","पुरानी चीज़ों का बाज़ार","","Places & City"],
+["a1-650","a1-650-0620","die Metzgerei","butcher shop 🥩","कसाई की दुकान","","Places & City"],
+["a1-650","a1-650-0621","der Blumenladen","flower shop 💐","फूल की दुकान","","Places & City"],
+["a1-650","a1-650-0622","das Restaurant","restaurant 🍽️","रेस्तरां","","Places & City"],
+["a1-650","a1-650-0623","das Café","café ☕","कैफ़े","","Places & City"],
+["a1-650","a1-650-0624","der Imbiss","snack bar / fast food","स्नैक बार","","Places & City"],
+["a1-650","a1-650-0625","die Kneipe / die Bar","pub / bar 🍺","बार","","Places & City"],
+["a1-650","a1-650-0626","das Kino","cinema 🎬","सिनेमा","","Places & City"],
+["a1-650","a1-650-0627","das Theater","theater 🎭","थिएटर","","Places & City"],
+["a1-650","a1-650-0628","das Museum","museum 🏛️","संग्रहालय","","Places & City"],
+["a1-650","a1-650-0629","die Disco / der Club","disco / club 🎉","डिस्को / क्लब","","Places & City"],
+["a1-650","a1-650-0630","das Schwimmbad","swimming pool 🏊","स्विमिंग पूल","","Places & City"],
+["a1-650","a1-650-0631","das Fitnessstudio","gym 🏋️","जिम","","Places & City"],
+["a1-650","a1-650-0632","das Stadion","stadium 🏟️","स्टेडियम","","Places & City"],
+["a1-650","a1-650-0633","die Sporthalle","sports hall","खेल हॉल","","Places & City"],
+["a1-650","a1-650-0634","die Kirche","church ⛪","गिरजाघर","","Places & City"],
+["a1-650","a1-650-0635","die Moschee","mosque 🕌","मस्जिद","","Places & City"],
+["a1-650","a1-650-0636","der Tempel","temple 🛕","मंदिर","","Places & City"],
+["a1-650","a1-650-0637","der Friseur / der Frisör","hairdresser 💇","नाई / हेयर सैलून","","Places & City"],
+["a1-650","a1-650-0638","die Reinigung","dry cleaner","ड्राई क्लीनर","","Places & City"],
+["a1-650","a1-650-0639","die Werkstatt","workshop / garage","वर्कशॉप / गैरेज","","Places & City"],
+["a1-650","a1-650-0640","der Zoo","zoo 🦁","चिड़ियाघर","","Places & City"],
+["a1-650","a1-650-0641","das Schloss","castle 🏰","महल","","Places & City"],
+["a1-650","a1-650-0642","der Turm","tower","टावर","","Places & City"],
+["a1-650","a1-650-0643","die Sehenswürdigkeit","tourist attraction / sight","दर्शनीय स्थल","","Places & City"],
+["a1-650","a1-650-0644","der Eingang","entrance 🚪","प्रवेश द्वार","","Places & City"],
+["a1-650","a1-650-0645","der Ausgang","exit","निकास","","Places & City"],
+["a1-650","a1-650-0646","der Aufzug / der Fahrstuhl","elevator / lift","लिफ्ट","","Places & City"],
+["a1-650","a1-650-0647","die Adresse","address 📍","पता","","Places & City"],
+["a1-650","a1-650-0648","hier","here","यहाँ","","Places & City"],
+["a1-650","a1-650-0649","dort / da","there","वहाँ","","Places & City"],
+["a1-650","a1-650-0650","in der Nähe","nearby","पास में","","Places & City"],
+["a1-650","a1-650-0651","Ich suche...","I'm looking for...","मैं ... ढूँढ रहा/रही हूँ","","Places & City"],
+["a1-650","a1-650-0652","Das ist in der Nähe vom...","That's near the...","वह ... के पास है","","Places & City"],
+["a1-650","a1-650-0653","das Wetter","weather 🌤️","मौसम","","Nature & Weather"],
+["a1-650","a1-650-0654","die Temperatur","temperature 🌡️","तापमान","","Nature & Weather"],
+["a1-650","a1-650-0655","der Himmel","sky","आसमान","","Nature & Weather"],
+["a1-650","a1-650-0656","die Sonne","sun ☀️","सूरज","","Nature & Weather"],
+["a1-650","a1-650-0657","sonnig","sunny","धूप वाला","","Nature & Weather"],
+["a1-650","a1-650-0658","Die Sonne scheint","The sun is shining","धूप निकली है","","Nature & Weather"],
+["a1-650","a1-650-0659","die Wolke","cloud ☁️","बादल","","Nature & Weather"],
+["a1-650","a1-650-0660","bewölkt","cloudy","बादल वाला","","Nature & Weather"],
+["a1-650","a1-650-0661","der Regen","rain 🌧️","बारिश","","Nature & Weather"],
+["a1-650","a1-650-0662","regnen","to rain","बरसना","","Nature & Weather"],
+["a1-650","a1-650-0663","Es regnet","It's raining","बारिश हो रही है","","Nature & Weather"],
+["a1-650","a1-650-0664","nass","wet","गीला","","Nature & Weather"],
+["a1-650","a1-650-0665","der Schnee","snow ❄️","बर्फ","","Nature & Weather"],
+["a1-650","a1-650-0666","schneien","to snow","बर्फ गिरना","","Nature & Weather"],
+["a1-650","a1-650-0667","Es schneit","It's snowing","बर्फ गिर रही है","","Nature & Weather"],
+["a1-650","a1-650-0668","der Wind","wind 💨","हवा","","Nature & Weather"],
+["a1-650","a1-650-0669","windig","windy","हवादार","","Nature & Weather"],
+["a1-650","a1-650-0670","der Sturm","storm 🌪️","तूफ़ान","","Nature & Weather"],
+["a1-650","a1-650-0671","der Nebel","fog 🌫️","कोहरा","","Nature & Weather"],
+["a1-650","a1-650-0672","neblig","foggy","धुंधला","","Nature & Weather"],
+["a1-650","a1-650-0673","das Gewitter","thunderstorm ⛈️","आँधी-तूफ़ान","","Nature & Weather"],
+["a1-650","a1-650-0674","der Blitz","lightning ⚡","बिजली","","Nature & Weather"],
+["a1-650","a1-650-0675","der Donner","thunder","गड़गड़ाहट","","Nature & Weather"],
+["a1-650","a1-650-0676","kühl","cool","ठंडा (हल्का)","","Nature & Weather"],
+["a1-650","a1-650-0677","trocken","dry","सूखा","","Nature & Weather"],
+["a1-650","a1-650-0678","die Jahreszeit","season","मौसम / ऋतु","","Nature & Weather"],
+["a1-650","a1-650-0679","der Frühling","spring 🌸","बसंत","","Nature & Weather"],
+["a1-650","a1-650-0680","der Sommer","summer ☀️","गर्मी","","Nature & Weather"],
+["a1-650","a1-650-0681","der Herbst","autumn / fall 🍂","पतझड़","","Nature & Weather"],
+["a1-650","a1-650-0682","der Winter","winter ❄️","सर्दी","","Nature & Weather"],
+["a1-650","a1-650-0683","die Natur","nature 🌿","प्रकृति","","Nature & Weather"],
+["a1-650","a1-650-0684","das Land","countryside / land","देहात / ज़मीन","","Nature & Weather"],
+["a1-650","a1-650-0685","der Berg","mountain ⛰️","पहाड़","","Nature & Weather"],
+["a1-650","a1-650-0686","das Tal","valley","घाटी","","Nature & Weather"],
+["a1-650","a1-650-0687","der Hügel","hill","पहाड़ी","","Nature & Weather"],
+["a1-650","a1-650-0688","der Wald","forest 🌲","जंगल","","Nature & Weather"],
+["a1-650","a1-650-0689","die Wiese","meadow","घास का मैदान","","Nature & Weather"],
+["a1-650","a1-650-0690","das Feld","field","खेत","","Nature & Weather"],
+["a1-650","a1-650-0691","das Meer","sea 🌊","समुद्र","","Nature & Weather"],
+["a1-650","a1-650-0692","der See","lake","झील","","Nature & Weather"],
+["a1-650","a1-650-0693","der Fluss","river 🏞️","नदी","","Nature & Weather"],
+["a1-650","a1-650-0694","der Strand","beach 🏖️","समुद्र तट","","Nature & Weather"],
+["a1-650","a1-650-0695","die Insel","island 🏝️","द्वीप","","Nature & Weather"],
+["a1-650","a1-650-0696","der Baum","tree 🌳","पेड़","","Nature & Weather"],
+["a1-650","a1-650-0697","die Pflanze","plant 🌱","पौधा","","Nature & Weather"],
+["a1-650","a1-650-0698","die Blume","flower 🌸","फूल","","Nature & Weather"],
+["a1-650","a1-650-0699","das Gras","grass 🌿","घास","","Nature & Weather"],
+["a1-650","a1-650-0700","das Blatt","leaf 🍃","पत्ता","","Nature & Weather"],
+["a1-650","a1-650-0701","die Luft","air","हवा","","Nature & Weather"],
+["a1-650","a1-650-0702","die Erde","earth / ground 🌍","धरती / ज़मीन","","Nature & Weather"],
+["a1-650","a1-650-0703","das Feuer","fire 🔥","आग","","Nature & Weather"],
+["a1-650","a1-650-0704","der Stein","stone / rock 🪨","पत्थर","","Nature & Weather"],
+["a1-650","a1-650-0705","der Mond","moon 🌙","चाँद","","Nature & Weather"],
+["a1-650","a1-650-0706","der Stern","star ⭐","तारा","","Nature & Weather"],
+["a1-650","a1-650-0707","der Regenbogen","rainbow 🌈","इंद्रधनुष","","Nature & Weather"],
+["a1-650","a1-650-0708","Wie ist das Wetter?","How's the weather?","मौसम कैसा है?","","Nature & Weather"],
+["a1-650","a1-650-0709","Das Wetter ist schön","The weather is nice","मौसम अच्छा है","","Nature & Weather"],
+["a1-650","a1-650-0710","Das Wetter ist schlecht","The weather is bad","मौसम खराब है","","Nature & Weather"],
+["a1-650","a1-650-0711","Es ist heiß/kalt","It's hot/cold","गर्मी/ठंड है","","Nature & Weather"],
+["a1-650","a1-650-0712","Wie viel Grad ist es?","What's the temperature?","कितने डिग्री है?","","Nature & Weather"],
+["a1-650","a1-650-0713","Es sind 20 Grad","It's 20 degrees","20 डिग्री है","","Nature & Weather"],
+["a1-650","a1-650-0714","draußen","outside","बाहर","","Nature & Weather"],
+["a1-650","a1-650-0715","die Sekunde","second","सेकंड","","Time"],
+["a1-650","a1-650-0716","die Minute","minute","मिनट","","Time"],
+["a1-650","a1-650-0717","die Stunde","hour","घंटा","","Time"],
+["a1-650","a1-650-0718","der Tag","day","दिन","","Time"],
+["a1-650","a1-650-0719","die Woche","week","सप्ताह","","Time"],
+["a1-650","a1-650-0720","der Monat","month","महीना","","Time"],
+["a1-650","a1-650-0721","das Jahr","year","साल","","Time"],
+["a1-650","a1-650-0722","Viertel","quarter","पौने / सवा","","Time"],
+["a1-650","a1-650-0723","vor","before / to","पहले","","Time"],
+["a1-650","a1-650-0724","nach","after / past","बाद","","Time"],
+["a1-650","a1-650-0725","der Morgen","morning 🌅","सुबह","","Time"],
+["a1-650","a1-650-0726","der Vormittag","late morning","दोपहर से पहले","","Time"],
+["a1-650","a1-650-0727","der Mittag","noon / midday 🌞","दोपहर","","Time"],
+["a1-650","a1-650-0728","der Nachmittag","afternoon","दोपहर बाद","","Time"],
+["a1-650","a1-650-0729","der Abend","evening 🌆","शाम","","Time"],
+["a1-650","a1-650-0730","die Nacht","night 🌙","रात","","Time"],
+["a1-650","a1-650-0731","die Mitternacht","midnight","आधी रात","","Time"],
+["a1-650","a1-650-0732","Montag","Monday","सोमवार","","Time"],
+["a1-650","a1-650-0733","Dienstag","Tuesday","मंगलवार","","Time"],
+["a1-650","a1-650-0734","Mittwoch","Wednesday","बुधवार","","Time"],
+["a1-650","a1-650-0735","Donnerstag","Thursday","गुरुवार","","Time"],
+["a1-650","a1-650-0736","Samstag","Saturday","शनिवार","","Time"],
+["a1-650","a1-650-0737","Sonntag","Sunday","रविवार","","Time"],
+["a1-650","a1-650-0738","das Wochenende","weekend 🗓️","सप्ताहांत","","Time"],
+["a1-650","a1-650-0739","Januar","January","जनवरी","","Time"],
+["a1-650","a1-650-0740","Februar","February","फरवरी","","Time"],
+["a1-650","a1-650-0741","März","March","मार्च","","Time"],
+["a1-650","a1-650-0742","April","April","अप्रैल","","Time"],
+["a1-650","a1-650-0743","Mai","May","मई","","Time"],
+["a1-650","a1-650-0744","Juni","June","जून","","Time"],
+["a1-650","a1-650-0745","Juli","July","जुलाई","","Time"],
+["a1-650","a1-650-0746","August","August","अगस्त","","Time"],
+["a1-650","a1-650-0747","September","September","सितंबर","","Time"],
+["a1-650","a1-650-0748","Oktober","October","अक्टूबर","","Time"],
+["a1-650","a1-650-0749","November","November","नवंबर","","Time"],
+["a1-650","a1-650-0750","Dezember","December","दिसंबर","","Time"],
+["a1-650","a1-650-0751","heute","today","आज","","Time"],
+["a1-650","a1-650-0752","morgen","tomorrow","कल (आने वाला)","","Time"],
+["a1-650","a1-650-0753","gestern","yesterday","कल (बीता हुआ)","","Time"],
+["a1-650","a1-650-0754","übermorgen","day after tomorrow","परसों (आने वाला)","","Time"],
+["a1-650","a1-650-0755","vorgestern","day before yesterday","परसों (बीता हुआ)","","Time"],
+["a1-650","a1-650-0756","das Datum","date 📅","तारीख","","Time"],
+["a1-650","a1-650-0757","der Kalender","calendar","कैलेंडर","","Time"],
+["a1-650","a1-650-0758","selten","rarely / seldom","कभी-कभार","","Time"],
+["a1-650","a1-650-0759","täglich","daily","रोज़ाना","","Time"],
+["a1-650","a1-650-0760","wöchentlich","weekly","साप्ताहिक","","Time"],
+["a1-650","a1-650-0761","monatlich","monthly","मासिक","","Time"],
+["a1-650","a1-650-0762","jetzt","now","अभी","","Time"],
+["a1-650","a1-650-0763","dann","then","फिर / तब","","Time"],
+["a1-650","a1-650-0764","bald","soon","जल्दी","","Time"],
+["a1-650","a1-650-0765","später","later","बाद में","","Time"],
+["a1-650","a1-650-0766","früh","early","जल्दी","","Time"],
+["a1-650","a1-650-0767","spät","late","देर से","","Time"],
+["a1-650","a1-650-0768","pünktlich","on time / punctual","समय पर","","Time"],
+["a1-650","a1-650-0769","zuerst","first","पहले","","Time"],
+["a1-650","a1-650-0770","danach","after that","उसके बाद","","Time"],
+["a1-650","a1-650-0771","zuletzt","lastly / finally","अंत में","","Time"],
+["a1-650","a1-650-0772","endlich","finally","आखिरकार","","Time"],
+["a1-650","a1-650-0773","dauern","to last / take time","समय लगना","","Time"],
+["a1-650","a1-650-0774","warten","to wait","इंतज़ार करना","","Time"],
+["a1-650","a1-650-0775","anfangen / beginnen","to start / begin","शुरू करना","","Time"],
+["a1-650","a1-650-0776","aufhören","to stop","बंद करना","","Time"],
+["a1-650","a1-650-0777","der Anfang","beginning","शुरुआत","","Time"],
+["a1-650","a1-650-0778","das Ende","end","अंत","","Time"],
+["a1-650","a1-650-0779","die Dauer","duration","अवधि","","Time"],
+["a1-650","a1-650-0780","der Lehrer / die Lehrerin","teacher 👨‍🏫","शिक्षक / शिक्षिका","","School & Learning"],
+["a1-650","a1-650-0781","der Schüler / die Schülerin","student (school) 👨‍🎓","छात्र / छात्रा","","School & Learning"],
+["a1-650","a1-650-0782","der Student / die Studentin","student (university)","विद्यार्थी","","School & Learning"],
+["a1-650","a1-650-0783","die Klasse","class / grade","कक्षा","","School & Learning"],
+["a1-650","a1-650-0784","das Klassenzimmer","classroom","क्लासरूम","","School & Learning"],
+["a1-650","a1-650-0785","der Unterricht","class / lesson","पाठ","","School & Learning"],
+["a1-650","a1-650-0786","der Kurs","course","कोर्स","","School & Learning"],
+["a1-650","a1-650-0787","das Buch","book 📕","किताब","","School & Learning"],
+["a1-650","a1-650-0788","das Heft","notebook 📓","कॉपी","","School & Learning"],
+["a1-650","a1-650-0789","das Papier","paper 📄","कागज़","","School & Learning"],
+["a1-650","a1-650-0790","der Kugelschreiber / der Kuli","pen 🖊️","पेन","","School & Learning"],
+["a1-650","a1-650-0791","der Radiergummi","eraser","रबड़","","School & Learning"],
+["a1-650","a1-650-0792","das Lineal","ruler 📏","स्केल","","School & Learning"],
+["a1-650","a1-650-0793","die Schere","scissors ✂️","कैंची","","School & Learning"],
+["a1-650","a1-650-0794","die Tasche / die Schultasche","bag / schoolbag 🎒","बैग / स्कूल बैग","","School & Learning"],
+["a1-650","a1-650-0795","die Tafel","blackboard","ब्लैकबोर्ड","","School & Learning"],
+["a1-650","a1-650-0796","der Computer","computer 💻","कंप्यूटर","","School & Learning"],
+["a1-650","a1-650-0797","die Sprache","language 🗣️","भाषा","","School & Learning"],
+["a1-650","a1-650-0798","Deutsch","German 🇩🇪","जर्मन","","School & Learning"],
+["a1-650","a1-650-0799","Englisch","English 🇬🇧","अंग्रेज़ी","","School & Learning"],
+["a1-650","a1-650-0800","das Wort","word","शब्द","","School & Learning"],
+["a1-650","a1-650-0801","der Satz","sentence","वाक्य","","School & Learning"],
+["a1-650","a1-650-0802","der Text","text","पाठ","","School & Learning"],
+["a1-650","a1-650-0803","die Grammatik","grammar","व्याकरण","","School & Learning"],
+["a1-650","a1-650-0804","lernen","to learn 📖","सीखना","","School & Learning"],
+["a1-650","a1-650-0805","studieren","to study (uni)","पढ़ाई करना","","School & Learning"],
+["a1-650","a1-650-0806","lesen","to read","पढ़ना","","School & Learning"],
+["a1-650","a1-650-0807","sprechen","to speak","बोलना","","School & Learning"],
+["a1-650","a1-650-0808","verstehen","to understand","समझना","","School & Learning"],
+["a1-650","a1-650-0809","üben","to practice","अभ्यास करना","","School & Learning"],
+["a1-650","a1-650-0810","wiederholen","to repeat","दोहराना","","School & Learning"],
+["a1-650","a1-650-0811","fragen","to ask","पूछना","","School & Learning"],
+["a1-650","a1-650-0812","die Frage","question ❓","सवाल","","School & Learning"],
+["a1-650","a1-650-0813","antworten","to answer","जवाब देना","","School & Learning"],
+["a1-650","a1-650-0814","die Antwort","answer","जवाब","","School & Learning"],
+["a1-650","a1-650-0815","erklären","to explain","समझाना","","School & Learning"],
+["a1-650","a1-650-0816","die Aufgabe","task / exercise","कार्य","","School & Learning"],
+["a1-650","a1-650-0817","die Hausaufgabe","homework 📝","होमवर्क","","School & Learning"],
+["a1-650","a1-650-0818","die Übung","exercise","अभ्यास","","School & Learning"],
+["a1-650","a1-650-0819","ausfüllen","to fill in","भरना","","School & Learning"],
+["a1-650","a1-650-0820","ankreuzen","to tick / check","टिक करना","","School & Learning"],
+["a1-650","a1-650-0821","die Prüfung","exam 📋","परीक्षा","","School & Learning"],
+["a1-650","a1-650-0822","der Test","test","टेस्ट","","School & Learning"],
+["a1-650","a1-650-0823","die Note","grade / mark","नंबर / ग्रेड","","School & Learning"],
+["a1-650","a1-650-0824","bestehen","to pass (exam)","पास होना","","School & Learning"],
+["a1-650","a1-650-0825","der Fehler","mistake / error","गलती","","School & Learning"],
+["a1-650","a1-650-0826","korrigieren","to correct","सुधारना","","School & Learning"],
+["a1-650","a1-650-0827","richtig","correct / right ✓","सही","","School & Learning"],
+["a1-650","a1-650-0828","falsch","wrong / false ✗","गलत","","School & Learning"],
+["a1-650","a1-650-0829","schwer / schwierig","difficult","कठिन","","School & Learning"],
+["a1-650","a1-650-0830","das Studium","studies (uni)","पढ़ाई","","School & Learning"],
+["a1-650","a1-650-0831","das Zeugnis","report card / certificate","रिपोर्ट कार्ड","","School & Learning"],
+["a1-650","a1-650-0832","das Diplom","diploma / degree","डिप्लोमा","","School & Learning"],
+["a1-650","a1-650-0833","Ich verstehe (nicht)","I (don't) understand","मैं समझ (नहीं) रहा/रही हूँ","","School & Learning"],
+["a1-650","a1-650-0834","Wie schreibt man das?","How do you spell that?","यह कैसे लिखते हैं?","","School & Learning"],
+["a1-650","a1-650-0835","Was bedeutet...?","What does ... mean?","... का मतलब क्या है?","","School & Learning"],
+["a1-650","a1-650-0836","Bitte langsamer!","Please slower!","कृपया धीरे बोलिए!","","School & Learning"],
+["a1-650","a1-650-0837","Ich lerne Deutsch","I'm learning German","मैं जर्मन सीख रहा/रही हूँ","","School & Learning"],
+["a1-650","a1-650-0838","Auf welcher Seite?","On which page?","कौन से पेज पर?","","School & Learning"],
+["a1-650","a1-650-0839","der Beruf","profession / occupation","पेशा","","Work & Job"],
+["a1-650","a1-650-0840","der Job","job","नौकरी","","Work & Job"],
+["a1-650","a1-650-0841","die Stelle","position / job","पद","","Work & Job"],
+["a1-650","a1-650-0842","die Firma","company / firm","कंपनी","","Work & Job"],
+["a1-650","a1-650-0843","der Arbeitsplatz","workplace","कार्यस्थल","","Work & Job"],
+["a1-650","a1-650-0844","die Fabrik","factory 🏭","फैक्ट्री","","Work & Job"],
+["a1-650","a1-650-0845","der Chef / die Chefin","boss 👔","बॉस","","Work & Job"],
+["a1-650","a1-650-0846","der Kollege / die Kollegin","colleague","सहकर्मी","","Work & Job"],
+["a1-650","a1-650-0847","der Mitarbeiter / die Mitarbeiterin","employee / coworker","कर्मचारी","","Work & Job"],
+["a1-650","a1-650-0848","der Arzt / die Ärztin","doctor 👨‍⚕️","डॉक्टर","","Work & Job"],
+["a1-650","a1-650-0849","die Krankenschwester / der Krankenpfleger","nurse 👩‍⚕️","नर्स","","Work & Job"],
+["a1-650","a1-650-0850","der Ingenieur / die Ingenieurin","engineer 👷","इंजीनियर","","Work & Job"],
+["a1-650","a1-650-0851","der Polizist / die Polizistin","police officer 👮","पुलिस","","Work & Job"],
+["a1-650","a1-650-0852","der Verkäufer / die Verkäuferin","salesperson 🛒","विक्रेता","","Work & Job"],
+["a1-650","a1-650-0853","der Kellner / die Kellnerin","waiter / waitress 🍽️","वेटर","","Work & Job"],
+["a1-650","a1-650-0854","der Koch / die Köchin","cook / chef 👨‍🍳","रसोइया","","Work & Job"],
+["a1-650","a1-650-0855","der Fahrer / die Fahrerin","driver 🚗","ड्राइवर","","Work & Job"],
+["a1-650","a1-650-0856","der Mechaniker / die Mechanikerin","mechanic 🔧","मैकेनिक","","Work & Job"],
+["a1-650","a1-650-0857","der Sekretär / die Sekretärin","secretary","सेक्रेटरी","","Work & Job"],
+["a1-650","a1-650-0858","der Friseur / die Friseurin","hairdresser 💇","नाई","","Work & Job"],
+["a1-650","a1-650-0859","der Bäcker / die Bäckerin","baker 🥖","बेकर","","Work & Job"],
+["a1-650","a1-650-0860","der Elektriker / die Elektrikerin","electrician ⚡","इलेक्ट्रीशियन","","Work & Job"],
+["a1-650","a1-650-0861","die Hausfrau / der Hausmann","homemaker 🏠","गृहिणी","","Work & Job"],
+["a1-650","a1-650-0862","berufstätig","employed / working","नौकरी वाला","","Work & Job"],
+["a1-650","a1-650-0863","Vollzeit","full-time","पूर्णकालिक","","Work & Job"],
+["a1-650","a1-650-0864","Teilzeit","part-time","अंशकालिक","","Work & Job"],
+["a1-650","a1-650-0865","das Gehalt","salary 💰","वेतन","","Work & Job"],
+["a1-650","a1-650-0866","der Lohn","wage / pay","मज़दूरी","","Work & Job"],
+["a1-650","a1-650-0867","verdienen","to earn","कमाना","","Work & Job"],
+["a1-650","a1-650-0868","bezahlen","to pay","भुगतान करना","","Work & Job"],
+["a1-650","a1-650-0869","die Arbeitszeit","working hours","काम के घंटे","","Work & Job"],
+["a1-650","a1-650-0870","die Pause","break ☕","ब्रेक","","Work & Job"],
+["a1-650","a1-650-0871","die Mittagspause","lunch break","लंच ब्रेक","","Work & Job"],
+["a1-650","a1-650-0872","der Feierabend","end of work day","छुट्टी का समय","","Work & Job"],
+["a1-650","a1-650-0873","sich bewerben","to apply (for job)","आवेदन करना","","Work & Job"],
+["a1-650","a1-650-0874","die Bewerbung","application","आवेदन","","Work & Job"],
+["a1-650","a1-650-0875","der Lebenslauf","CV / resume 📄","बायोडाटा","","Work & Job"],
+["a1-650","a1-650-0876","das Vorstellungsgespräch","job interview","इंटरव्यू","","Work & Job"],
+["a1-650","a1-650-0877","die Erfahrung","experience","अनुभव","","Work & Job"],
+["a1-650","a1-650-0878","der Vertrag","contract 📝","अनुबंध","","Work & Job"],
+["a1-650","a1-650-0879","die Unterschrift","signature ✍️","हस्ताक्षर","","Work & Job"],
+["a1-650","a1-650-0880","das Formular","form","फॉर्म","","Work & Job"],
+["a1-650","a1-650-0881","sich anmelden","to register","पंजीकरण करना","","Work & Job"],
+["a1-650","a1-650-0882","einen Termin machen","to make an appointment","अपॉइंटमेंट लेना","","Work & Job"],
+["a1-650","a1-650-0883","kündigen","to quit / resign","इस्तीफा देना","","Work & Job"],
+["a1-650","a1-650-0884","suchen","to look for / search","ढूँढना","","Work & Job"],
+["a1-650","a1-650-0885","die Besprechung","meeting","मीटिंग","","Work & Job"],
+["a1-650","a1-650-0886","die Überstunden","overtime","ओवरटाइम","","Work & Job"],
+["a1-650","a1-650-0887","das Team","team","टीम","","Work & Job"],
+["a1-650","a1-650-0888","das Projekt","project","प्रोजेक्ट","","Work & Job"],
+["a1-650","a1-650-0889","die Münze","coin 🪙","सिक्का","","Shopping & Money"],
+["a1-650","a1-650-0890","der Schein","banknote 💵","नोट","","Shopping & Money"],
+["a1-650","a1-650-0891","das Geschäft","shop / store 🏪","दुकान","","Shopping & Money"],
+["a1-650","a1-650-0892","der Laden","shop / store","दुकान","","Shopping & Money"],
+["a1-650","a1-650-0893","das Kaufhaus","department store 🏬","डिपार्टमेंट स्टोर","","Shopping & Money"],
+["a1-650","a1-650-0894","die Kasse","cash register / checkout","कैश काउंटर","","Shopping & Money"],
+["a1-650","a1-650-0895","der Verkäufer","salesman","विक्रेता (पुरुष)","","Shopping & Money"],
+["a1-650","a1-650-0896","die Verkäuferin","saleswoman","विक्रेता (महिला)","","Shopping & Money"],
+["a1-650","a1-650-0897","der Kunde","customer (m)","ग्राहक (पुरुष)","","Shopping & Money"],
+["a1-650","a1-650-0898","die Kundin","customer (f)","ग्राहक (महिला)","","Shopping & Money"],
+["a1-650","a1-650-0899","kaufen","to buy","खरीदना","","Shopping & Money"],
+["a1-650","a1-650-0900","verkaufen","to sell","बेचना","","Shopping & Money"],
+["a1-650","a1-650-0901","zahlen","to pay","देना (पैसे)","","Shopping & Money"],
+["a1-650","a1-650-0902","kosten","to cost","कीमत होना","","Shopping & Money"],
+["a1-650","a1-650-0903","bestellen","to order","ऑर्डर करना","","Shopping & Money"],
+["a1-650","a1-650-0904","wechseln","to change (money)","बदलना","","Shopping & Money"],
+["a1-650","a1-650-0905","sparen","to save (money)","बचाना","","Shopping & Money"],
+["a1-650","a1-650-0906","bar","cash (payment)","नकद","","Shopping & Money"],
+["a1-650","a1-650-0907","die Karte","card 💳","कार्ड","","Shopping & Money"],
+["a1-650","a1-650-0908","die Kreditkarte","credit card","क्रेडिट कार्ड","","Shopping & Money"],
+["a1-650","a1-650-0909","die EC-Karte","debit card","डेबिट कार्ड","","Shopping & Money"],
+["a1-650","a1-650-0910","die Quittung","receipt 🧾","रसीद","","Shopping & Money"],
+["a1-650","a1-650-0911","die Rechnung","bill / invoice","बिल","","Shopping & Money"],
+["a1-650","a1-650-0912","das Wechselgeld","change (money back)","खुल्ले पैसे","","Shopping & Money"],
+["a1-650","a1-650-0913","günstig","affordable / good value","किफायती","","Shopping & Money"],
+["a1-650","a1-650-0914","gratis","free / complimentary","मुफ्त","","Shopping & Money"],
+["a1-650","a1-650-0915","das Angebot","offer / deal 🏷️","ऑफर","","Shopping & Money"],
+["a1-650","a1-650-0916","der Rabatt","discount","छूट","","Shopping & Money"],
+["a1-650","a1-650-0917","reduziert","reduced / on sale","कम कीमत पर","","Shopping & Money"],
+["a1-650","a1-650-0918","das Stück","piece","टुकड़ा","","Shopping & Money"],
+["a1-650","a1-650-0919","das Gramm","gram","ग्राम","","Shopping & Money"],
+["a1-650","a1-650-0920","das Kilo","kilo","किलो","","Shopping & Money"],
+["a1-650","a1-650-0921","der Liter","liter","लीटर","","Shopping & Money"],
+["a1-650","a1-650-0922","die Ware","goods","माल","","Shopping & Money"],
+["a1-650","a1-650-0923","die Bestellung","order","ऑर्डर","","Shopping & Money"],
+["a1-650","a1-650-0924","der Einkaufswagen","shopping cart 🛒","शॉपिंग ट्रॉली","","Shopping & Money"],
+["a1-650","a1-650-0925","der Korb","basket 🧺","टोकरी","","Shopping & Money"],
+["a1-650","a1-650-0926","die Auswahl","choice / selection","चयन","","Shopping & Money"],
+["a1-650","a1-650-0927","offen","open","खुला","","Shopping & Money"],
+["a1-650","a1-650-0928","geschlossen","closed","बंद","","Shopping & Money"],
+["a1-650","a1-650-0929","der Verkauf","sale","बिक्री","","Shopping & Money"],
+["a1-650","a1-650-0930","die Schlange","queue / line","कतार","","Shopping & Money"],
+["a1-650","a1-650-0931","das Schaufenster","shop window","दुकान की खिड़की","","Shopping & Money"],
+["a1-650","a1-650-0932","umtauschen","to exchange","बदलना / एक्सचेंज करना","","Shopping & Money"],
+["a1-650","a1-650-0933","zurückgeben","to return","वापस करना","","Shopping & Money"],
+["a1-650","a1-650-0934","die Garantie","warranty","गारंटी","","Shopping & Money"],
+["a1-650","a1-650-0935","das Telefon","telephone 📞","टेलीफोन","","Communication"],
+["a1-650","a1-650-0936","das Handy","mobile phone 📱","मोबाइल फोन","","Communication"],
+["a1-650","a1-650-0937","das Smartphone","smartphone","स्मार्टफोन","","Communication"],
+["a1-650","a1-650-0938","die Telefonnummer","phone number","फोन नंबर","","Communication"],
+["a1-650","a1-650-0939","anrufen","to call (phone)","फोन करना","","Communication"],
+["a1-650","a1-650-0940","der Anruf","phone call","फोन कॉल","","Communication"],
+["a1-650","a1-650-0941","telefonieren","to phone","फोन पर बात करना","","Communication"],
+["a1-650","a1-650-0942","die Nachricht","message 💬","संदेश","","Communication"],
+["a1-650","a1-650-0943","die SMS","text message","एसएमएस","","Communication"],
+["a1-650","a1-650-0944","die E-Mail","email 📧","ई-मेल","","Communication"],
+["a1-650","a1-650-0945","die E-Mail-Adresse","email address","ई-मेल पता","","Communication"],
+["a1-650","a1-650-0946","der Brief","letter ✉️","पत्र","","Communication"],
+["a1-650","a1-650-0947","die Postkarte","postcard 📮","पोस्टकार्ड","","Communication"],
+["a1-650","a1-650-0948","der Absender","sender","प्रेषक","","Communication"],
+["a1-650","a1-650-0949","der Empfänger","recipient","प्राप्तकर्ता","","Communication"],
+["a1-650","a1-650-0950","senden / schicken","to send","भेजना","","Communication"],
+["a1-650","a1-650-0951","bekommen / erhalten","to receive","प्राप्त करना","","Communication"],
+["a1-650","a1-650-0952","sagen","to say","कहना","","Communication"],
+["a1-650","a1-650-0953","das Internet","internet 🌐","इंटरनेट","","Communication"],
+["a1-650","a1-650-0954","die Webseite","website","वेबसाइट","","Communication"],
+["a1-650","a1-650-0955","das WLAN","WiFi 📶","वाई-फाई","","Communication"],
+["a1-650","a1-650-0956","die App","app","ऐप","","Communication"],
+["a1-650","a1-650-0957","das Passwort","password 🔐","पासवर्ड","","Communication"],
+["a1-650","a1-650-0958","der Laptop","laptop","लैपटॉप","","Communication"],
+["a1-650","a1-650-0959","das Tablet","tablet","टैबलेट","","Communication"],
+["a1-650","a1-650-0960","der Bildschirm","screen","स्क्रीन","","Communication"],
+["a1-650","a1-650-0961","die Tastatur","keyboard ⌨️","कीबोर्ड","","Communication"],
+["a1-650","a1-650-0962","die Maus","mouse 🖱️","माउस","","Communication"],
+["a1-650","a1-650-0963","der Drucker","printer 🖨️","प्रिंटर","","Communication"],
+["a1-650","a1-650-0964","das Fernsehen","television 📺","टेलीविज़न","","Communication"],
+["a1-650","a1-650-0965","das Radio","radio 📻","रेडियो","","Communication"],
+["a1-650","a1-650-0966","die Zeitschrift","magazine 📖","पत्रिका","","Communication"],
+["a1-650","a1-650-0967","die Nachrichten","news","खबरें","","Communication"],
+["a1-650","a1-650-0968","das Foto","photo 📷","फोटो","","Communication"],
+["a1-650","a1-650-0969","die Kamera","camera 📸","कैमरा","","Communication"],
+["a1-650","a1-650-0970","das Video","video 🎥","वीडियो","","Communication"],
+["a1-650","a1-650-0971","drucken","to print","प्रिंट करना","","Communication"],
+["a1-650","a1-650-0972","klicken","to click","क्लिक करना","","Communication"],
+["a1-650","a1-650-0973","herunterladen","to download ⬇️","डाउनलोड करना","","Communication"],
+["a1-650","a1-650-0974","hochladen","to upload ⬆️","अपलोड करना","","Communication"],
+["a1-650","a1-650-0975","speichern","to save","सेव करना","","Communication"],
+["a1-650","a1-650-0976","löschen","to delete","डिलीट करना","","Communication"],
+["a1-650","a1-650-0977","kopieren","to copy","कॉपी करना","","Communication"],
+["a1-650","a1-650-0978","die Verbindung","connection","कनेक्शन","","Communication"],
+["a1-650","a1-650-0979","das Signal","signal 📶","सिग्नल","","Communication"],
+["a1-650","a1-650-0980","das Kabel","cable","केबल","","Communication"],
+["a1-650","a1-650-0981","das Ladegerät","charger 🔌","चार्जर","","Communication"],
+["a1-650","a1-650-0982","das Tier","animal 🐾","जानवर","","Animals"],
+["a1-650","a1-650-0983","das Haustier","pet","पालतू जानवर","","Animals"],
+["a1-650","a1-650-0984","der Hund","dog 🐕","कुत्ता","","Animals"],
+["a1-650","a1-650-0985","die Katze","cat 🐈","बिल्ली","","Animals"],
+["a1-650","a1-650-0986","der Fisch","fish 🐟","मछली","","Animals"],
+["a1-650","a1-650-0987","der Vogel","bird 🐦","पक्षी","","Animals"],
+["a1-650","a1-650-0988","der Hamster","hamster 🐹","हैम्स्टर","","Animals"],
+["a1-650","a1-650-0989","das Kaninchen","rabbit 🐰","खरगोश","","Animals"],
+["a1-650","a1-650-0990","die Schildkröte","turtle 🐢","कछुआ","","Animals"],
+["a1-650","a1-650-0991","die Kuh","cow 🐄","गाय","","Animals"],
+["a1-650","a1-650-0992","das Pferd","horse 🐴","घोड़ा","","Animals"],
+["a1-650","a1-650-0993","das Schwein","pig 🐷","सूअर","","Animals"],
+["a1-650","a1-650-0994","das Schaf","sheep 🐑","भेड़","","Animals"],
+["a1-650","a1-650-0995","die Ziege","goat 🐐","बकरी","","Animals"],
+["a1-650","a1-650-0996","das Huhn","chicken 🐔","मुर्गी","","Animals"],
+["a1-650","a1-650-0997","der Hahn","rooster 🐓","मुर्गा","","Animals"],
+["a1-650","a1-650-0998","die Ente","duck 🦆","बत्तख","","Animals"],
+["a1-650","a1-650-0999","der Esel","donkey","गधा","","Animals"],
+["a1-650","a1-650-1000","der Löwe","lion 🦁","शेर","","Animals"],
+["a1-650","a1-650-1001","der Tiger","tiger 🐅","बाघ","","Animals"],
+["a1-650","a1-650-1002","der Elefant","elephant 🐘","हाथी","","Animals"],
+["a1-650","a1-650-1003","der Bär","bear 🐻","भालू","","Animals"],
+["a1-650","a1-650-1004","der Affe","monkey 🐒","बंदर","","Animals"],
+["a1-650","a1-650-1005","der Wolf","wolf 🐺","भेड़िया","","Animals"],
+["a1-650","a1-650-1006","der Fuchs","fox 🦊","लोमड़ी","","Animals"],
+["a1-650","a1-650-1007","das Krokodil","crocodile 🐊","मगरमच्छ","","Animals"],
+["a1-650","a1-650-1008","die Giraffe","giraffe 🦒","जिराफ","","Animals"],
+["a1-650","a1-650-1009","das Zebra","zebra 🦓","ज़ेब्रा","","Animals"],
+["a1-650","a1-650-1010","die Biene","bee 🐝","मधुमक्खी","","Animals"],
+["a1-650","a1-650-1011","der Schmetterling","butterfly 🦋","तितली","","Animals"],
+["a1-650","a1-650-1012","die Spinne","spider 🕷️","मकड़ी","","Animals"],
+["a1-650","a1-650-1013","die Fliege","fly","मक्खी","","Animals"],
+["a1-650","a1-650-1014","die Ameise","ant 🐜","चींटी","","Animals"],
+["a1-650","a1-650-1015","der Frosch","frog 🐸","मेंढक","","Animals"],
+["a1-650","a1-650-1016","der Schwanz","tail","पूँछ","","Animals"],
+["a1-650","a1-650-1017","die Pfote","paw 🐾","पंजा","","Animals"],
+["a1-650","a1-650-1018","der Flügel","wing","पंख","","Animals"],
+["a1-650","a1-650-1019","das Fell","fur","फर / बाल","","Animals"],
+["a1-650","a1-650-1020","bellen","to bark","भौंकना","","Animals"],
+["a1-650","a1-650-1021","miauen","to meow","म्याऊं करना","","Animals"],
+["a1-650","a1-650-1022","schwimmen","to swim","तैरना","","Animals"],
+["a1-650","a1-650-1023","füttern","to feed","खाना खिलाना","","Animals"],
+["a1-650","a1-650-1024","der Hirsch","deer 🦌","हिरण","","Animals"],
+["a1-650","a1-650-1025","der Pinguin","penguin 🐧","पेंगुइन","","Animals"],
+["a1-650","a1-650-1026","der Delfin","dolphin 🐬","डॉल्फिन","","Animals"],
+["a1-650","a1-650-1027","der Wal","whale 🐋","व्हेल","","Animals"],
+["a1-650","a1-650-1028","der Hai","shark 🦈","शार्क","","Animals"],
+["a1-650","a1-650-1029","das Fest","festival / celebration 🎉","त्योहार","","Celebrations"],
+["a1-650","a1-650-1030","die Feier","celebration / party","जश्न","","Celebrations"],
+["a1-650","a1-650-1031","die Party","party 🥳","पार्टी","","Celebrations"],
+["a1-650","a1-650-1032","die Geburtstagsparty","birthday party","जन्मदिन की पार्टी","","Celebrations"],
+["a1-650","a1-650-1033","die Torte","layer cake / gateau","टोर्ट केक","","Celebrations"],
+["a1-650","a1-650-1034","die Kerze","candle 🕯️","मोमबत्ती","","Celebrations"],
+["a1-650","a1-650-1035","die Braut","bride 👰","दुल्हन","","Celebrations"],
+["a1-650","a1-650-1036","der Bräutigam","groom 🤵","दूल्हा","","Celebrations"],
+["a1-650","a1-650-1037","Weihnachten","Christmas 🎄","क्रिसमस","","Celebrations"],
+["a1-650","a1-650-1038","der Weihnachtsbaum","Christmas tree","क्रिसमस ट्री","","Celebrations"],
+["a1-650","a1-650-1039","der Weihnachtsmann","Santa Claus 🎅","सांता क्लॉज़","","Celebrations"],
+["a1-650","a1-650-1040","Ostern","Easter 🐰","ईस्टर","","Celebrations"],
+["a1-650","a1-650-1041","das Osterei","Easter egg 🥚","ईस्टर अंडा","","Celebrations"],
+["a1-650","a1-650-1042","Silvester","New Year's Eve 🎆","नए साल की पूर्व संध्या","","Celebrations"],
+["a1-650","a1-650-1043","Neujahr","New Year 🎊","नया साल","","Celebrations"],
+["a1-650","a1-650-1044","das Feuerwerk","fireworks 🎆","आतिशबाज़ी","","Celebrations"],
+["a1-650","a1-650-1045","das Geschenk","gift / present 🎁","उपहार","","Celebrations"],
+["a1-650","a1-650-1046","schenken","to give (gift)","उपहार देना","","Celebrations"],
+["a1-650","a1-650-1047","der Ballon","balloon 🎈","गुब्बारा","","Celebrations"],
+["a1-650","a1-650-1048","die Dekoration","decoration","सजावट","","Celebrations"],
+["a1-650","a1-650-1049","die Blumen","flowers 💐","फूल","","Celebrations"],
+["a1-650","a1-650-1050","gratulieren","to congratulate","बधाई देना","","Celebrations"],
+["a1-650","a1-650-1051","wünschen","to wish","शुभकामना देना","","Celebrations"],
+["a1-650","a1-650-1052","tanzen","to dance 💃","नाचना","","Celebrations"],
+["a1-650","a1-650-1053","singen","to sing 🎤","गाना","","Celebrations"],
+["a1-650","a1-650-1054","das Glück","luck / happiness","खुशी / भाग्य","","Celebrations"],
+["a1-650","a1-650-1055","die Musik","music 🎵","संगीत","","Celebrations"],
+["a1-650","a1-650-1056","die Überraschung","surprise","आश्चर्य / सरप्राइज","","Celebrations"],
+["a1-650","a1-650-1057","die Gastgeberin","host (f)","मेजबान (f)","","Celebrations"],
+["a1-650","a1-650-1058","das Konfetti","confetti 🎊","कन्फेट्टी","","Celebrations"],
+["a1-650","a1-650-1059","der Champagner","champagne 🍾","शैंपेन","","Celebrations"],
+["a1-650","a1-650-1060","der Tanz","dance","नृत्य","","Celebrations"],
+["a1-650","a1-650-1061","das Kostüm","costume","पोशाक","","Celebrations"],
+["a1-650","a1-650-1062","der Festtag","holiday / festival day","त्योहार का दिन","","Celebrations"],
+["a1-650","a1-650-1063","die Tradition","tradition","परंपरा","","Celebrations"],
+["a1-650","a1-650-1064","einladen","to invite","आमंत्रित करना","","Celebrations"],
+["a1-650","a1-650-1065","die Handtasche","handbag / purse","हैंडबैग","","Personal Items"],
+["a1-650","a1-650-1066","der Beutel","pouch / bag","थैली","","Personal Items"],
+["a1-650","a1-650-1067","das Portemonnaie","wallet 👛","बटुआ","","Personal Items"],
+["a1-650","a1-650-1068","die Geldbörse","wallet / purse","पर्स","","Personal Items"],
+["a1-650","a1-650-1069","der Schlüssel","key 🔑","चाबी","","Personal Items"],
+["a1-650","a1-650-1070","der Hausschlüssel","house key 🏠🔑","घर की चाबी","","Personal Items"],
+["a1-650","a1-650-1071","der Autoschlüssel","car key 🚗🔑","कार की चाबी","","Personal Items"],
+["a1-650","a1-650-1072","der Kopfhörer","headphones 🎧","हेडफ़ोन","","Personal Items"],
+["a1-650","a1-650-1073","die Armbanduhr","wristwatch","कलाई घड़ी","","Personal Items"],
+["a1-650","a1-650-1074","der Schmuck","jewelry 💍","गहने","","Personal Items"],
+["a1-650","a1-650-1075","der Ring","ring 💍","अंगूठी","","Personal Items"],
+["a1-650","a1-650-1076","die Kette","necklace / chain","हार / चेन","","Personal Items"],
+["a1-650","a1-650-1077","der Ohrring","earring","बाली","","Personal Items"],
+["a1-650","a1-650-1078","der Pass","passport 🛂","पासपोर्ट","","Personal Items"],
+["a1-650","a1-650-1079","die Fahrkarte","ticket (transport) 🎫","टिकट","","Personal Items"],
+["a1-650","a1-650-1080","der Kamm","comb","कंघी","","Personal Items"],
+["a1-650","a1-650-1081","die Bürste","brush","ब्रश","","Personal Items"],
+["a1-650","a1-650-1082","das Taschentuch","tissue / handkerchief","रुमाल","","Personal Items"],
+["a1-650","a1-650-1083","das Parfüm","perfume","इत्र","","Personal Items"],
+["a1-650","a1-650-1084","der Stift","pen / pencil ✏️","कलम / पेंसिल","","Personal Items"],
+["a1-650","a1-650-1085","das Notizbuch","notebook 📓","नोटबुक","","Personal Items"],
+["a1-650","a1-650-1086","das Feuerzeug","lighter","लाइटर","","Personal Items"],
+["a1-650","a1-650-1087","die Zigarette","cigarette 🚬","सिगरेट","","Personal Items"],
+["a1-650","a1-650-1088","mitnehmen","to take along","साथ ले जाना","","Personal Items"],
+["a1-650","a1-650-1089","verlieren","to lose","खोना","","Personal Items"],
+["a1-650","a1-650-1090","finden","to find","पाना","","Personal Items"],
+["a1-650","a1-650-1091","wer","who ❓","कौन","","Question Words"],
+["a1-650","a1-650-1092","was","what","क्या","","Question Words"],
+["a1-650","a1-650-1093","wann","when","कब","","Question Words"],
+["a1-650","a1-650-1094","wo","where","कहाँ","","Question Words"],
+["a1-650","a1-650-1095","wie","how","कैसे","","Question Words"],
+["a1-650","a1-650-1096","warum","why","क्यों","","Question Words"],
+["a1-650","a1-650-1097","woher","where from","कहाँ से","","Question Words"],
+["a1-650","a1-650-1098","wohin","where to","कहाँ को","","Question Words"],
+["a1-650","a1-650-1099","welcher","which (m)","कौन सा","","Question Words"],
+["a1-650","a1-650-1100","welche","which (f/pl)","कौन सी","","Question Words"],
+["a1-650","a1-650-1101","welches","which (n)","कौन सा","","Question Words"],
+["a1-650","a1-650-1102","was für","what kind of","किस तरह का","","Question Words"],
+["a1-650","a1-650-1103","wie viel","how much","कितना","","Question Words"],
+["a1-650","a1-650-1104","wie viele","how many","कितने","","Question Words"],
+["a1-650","a1-650-1105","wie lange","how long (duration)","कितनी देर","","Question Words"],
+["a1-650","a1-650-1106","wie oft","how often","कितनी बार","","Question Words"],
+["a1-650","a1-650-1107","wie spät","what time","क्या समय","","Question Words"],
+["a1-650","a1-650-1108","um wie viel Uhr","at what time","कितने बजे","","Question Words"],
+["a1-650","a1-650-1109","wie alt","how old","कितने साल का","","Question Words"],
+["a1-650","a1-650-1110","wie groß","how tall / big","कितना बड़ा","","Question Words"],
+["a1-650","a1-650-1111","wie weit","how far","कितना दूर","","Question Words"],
+["a1-650","a1-650-1112","ob","whether / if","क्या / अगर","","Question Words"],
+["a1-650","a1-650-1113","Wie heißt du?","What's your name? (informal)","तुम्हारा नाम क्या है?","","Question Words"],
+["a1-650","a1-650-1114","Wie alt bist du?","How old are you?","तुम्हारी उम्र क्या है?","","Question Words"],
+["a1-650","a1-650-1115","Woher kommst du?","Where are you from?","तुम कहाँ से हो?","","Question Words"],
+["a1-650","a1-650-1116","Was machst du?","What do you do? / What are you doing?","तुम क्या करते हो?","","Question Words"],
+["a1-650","a1-650-1117","Was bist du von Beruf?","What is your profession?","तुम्हारा पेशा क्या है?","","Question Words"],
+["a1-650","a1-650-1118","Wann ist...?","When is...?","...कब है?","","Question Words"],
+["a1-650","a1-650-1119","Wie viel Uhr ist es?","What time is it?","कितने बजे हैं?","","Question Words"],
+["a1-650","a1-650-1120","Stimmt das?","Is that correct?","क्या यह सही है?","","Question Words"],
+["a1-650","a1-650-1121","Verstehen Sie?","Do you understand?","क्या आप समझे?","","Question Words"],
+["a1-650","a1-650-1122","Sprechen Sie Deutsch?","Do you speak German?","क्या आप जर्मन बोलते हैं?","","Question Words"],
+["a1-650","a1-650-1123","ich","I 👤","मैं","","Pronouns"],
+["a1-650","a1-650-1124","du","you (informal)","तुम","","Pronouns"],
+["a1-650","a1-650-1125","er","he 👨","वह (पुरुष)","","Pronouns"],
+["a1-650","a1-650-1126","sie","she 👩","वह (महिला)","","Pronouns"],
+["a1-650","a1-650-1127","es","it","यह","","Pronouns"],
+["a1-650","a1-650-1128","wir","we 👥","हम","","Pronouns"],
+["a1-650","a1-650-1129","ihr","you (plural informal)","तुम लोग","","Pronouns"],
+["a1-650","a1-650-1130","Sie","you (formal) 🎩","आप","","Pronouns"],
+["a1-650","a1-650-1131","mich","me (accusative)","मुझे","","Pronouns"],
+["a1-650","a1-650-1132","dich","you (accusative)","तुझे","","Pronouns"],
+["a1-650","a1-650-1133","ihn","him (accusative)","उसे (पुरुष)","","Pronouns"],
+["a1-650","a1-650-1134","uns","us (accusative)","हमें","","Pronouns"],
+["a1-650","a1-650-1135","euch","you all (accusative)","तुम लोगों को","","Pronouns"],
+["a1-650","a1-650-1136","mir","to me (dative)","मुझे","","Pronouns"],
+["a1-650","a1-650-1137","dir","to you (dative)","तुझे","","Pronouns"],
+["a1-650","a1-650-1138","ihm","to him (dative)","उसे (पुरुष)","","Pronouns"],
+["a1-650","a1-650-1139","ihnen","to them (dative)","उन्हें","","Pronouns"],
+["a1-650","a1-650-1140","Ihnen","to you formal (dative)","आपको","","Pronouns"],
+["a1-650","a1-650-1141","unser","our","हमारा","","Pronouns"],
+["a1-650","a1-650-1142","euer","your (plural)","तुम लोगों का","","Pronouns"],
+["a1-650","a1-650-1143","Ihr","your (formal)","आपका","","Pronouns"],
+["a1-650","a1-650-1144","sich","himself/herself/itself/themselves","खुद को / अपने आप","","Pronouns"],
+["a1-650","a1-650-1145","dieser","this (m)","यह","","Pronouns"],
+["a1-650","a1-650-1146","diese","this (f)","यह","","Pronouns"],
+["a1-650","a1-650-1147","dieses","this (n)","यह","","Pronouns"],
+["a1-650","a1-650-1148","das","that / this","यह / वह","","Pronouns"],
+["a1-650","a1-650-1149","dort","there","वहाँ","","Pronouns"],
+["a1-650","a1-650-1150","da","there / here","वहाँ / यहाँ","","Pronouns"],
+["a1-650","a1-650-1151","man","one / people (general)","लोग / कोई","","Pronouns"],
+["a1-650","a1-650-1152","jemand","someone","कोई","","Pronouns"],
+["a1-650","a1-650-1153","niemand","no one","कोई नहीं","","Pronouns"],
+["a1-650","a1-650-1154","etwas","something","कुछ","","Pronouns"],
+["a1-650","a1-650-1155","jeder","everyone / each (m)","हर कोई","","Pronouns"],
+["a1-650","a1-650-1156","jede","every / each (f)","हर","","Pronouns"],
+["a1-650","a1-650-1157","jedes","every / each (n)","हर","","Pronouns"],
+["a1-650","a1-650-1158","andere","other / another","दूसरा","","Pronouns"],
+["a1-650","a1-650-1159","selbst","self / oneself","खुद / स्वयं","","Pronouns"],
+["a1-650","a1-650-1160","solche","such","ऐसा / ऐसी","","Pronouns"],
+["a1-650","a1-650-1161","derselbe","the same (m)","वही (m)","","Pronouns"],
+["a1-650","a1-650-1162","aufräumen","to tidy up","व्यवस्थित करना","","Verbs"],
+["a1-650","a1-650-1163","beenden","to end / finish","समाप्त करना","","Verbs"],
+["a1-650","a1-650-1164","beginnen","to begin / start","शुरू करना","","Verbs"],
+["a1-650","a1-650-1165","bekommen","to get / receive","प्राप्त करना","","Verbs"],
+["a1-650","a1-650-1166","brauchen","to need","ज़रूरत होना","","Verbs"],
+["a1-650","a1-650-1167","bringen","to bring","लाना","","Verbs"],
+["a1-650","a1-650-1168","denken","to think 🤔","सोचना","","Verbs"],
+["a1-650","a1-650-1169","duschen","to shower 🚿","नहाना","","Verbs"],
+["a1-650","a1-650-1170","dürfen","may / to be allowed","... की अनुमति होना","","Verbs"],
+["a1-650","a1-650-1171","erzählen","to tell / narrate","बताना","","Verbs"],
+["a1-650","a1-650-1172","geben","to give","देना","","Verbs"],
+["a1-650","a1-650-1173","glauben","to believe","विश्वास करना","","Verbs"],
+["a1-650","a1-650-1174","haben","to have ⭐","रखना","","Verbs"],
+["a1-650","a1-650-1175","helfen","to help 🤝","मदद करना","","Verbs"],
+["a1-650","a1-650-1176","hoffen","to hope","उम्मीद करना","","Verbs"],
+["a1-650","a1-650-1177","holen","to fetch / get","ले आना","","Verbs"],
+["a1-650","a1-650-1178","kennen","to know (person/place)","जानना (व्यक्ति)","","Verbs"],
+["a1-650","a1-650-1179","kommen","to come","आना","","Verbs"],
+["a1-650","a1-650-1180","können","can / to be able to","सकना","","Verbs"],
+["a1-650","a1-650-1181","leben","to live (be alive)","जीना","","Verbs"],
+["a1-650","a1-650-1182","legen","to lay / put","रखना","","Verbs"],
+["a1-650","a1-650-1183","lieben","to love ❤️","प्यार करना","","Verbs"],
+["a1-650","a1-650-1184","liegen","to lie (down)","लेटना","","Verbs"],
+["a1-650","a1-650-1185","machen","to do / make","करना / बनाना","","Verbs"],
+["a1-650","a1-650-1186","möchten","would like","चाहूँगा/चाहूँगी","","Verbs"],
+["a1-650","a1-650-1187","mögen","to like","पसंद करना","","Verbs"],
+["a1-650","a1-650-1188","müssen","must / have to","करना पड़ना","","Verbs"],
+["a1-650","a1-650-1189","nehmen","to take","लेना","","Verbs"],
+["a1-650","a1-650-1190","putzen","to clean","साफ करना","","Verbs"],
+["a1-650","a1-650-1191","rufen","to call (out)","पुकारना","","Verbs"],
+["a1-650","a1-650-1192","schicken","to send 📧","भेजना","","Verbs"],
+["a1-650","a1-650-1193","schließen","to close","बंद करना","","Verbs"],
+["a1-650","a1-650-1194","setzen","to set / put (down)","बिठाना","","Verbs"],
+["a1-650","a1-650-1195","sitzen","to sit","बैठना","","Verbs"],
+["a1-650","a1-650-1196","sollen","should / ought to","चाहिए","","Verbs"],
+["a1-650","a1-650-1197","spielen","to play 🎮","खेलना","","Verbs"],
+["a1-650","a1-650-1198","stehen","to stand","खड़ा होना","","Verbs"],
+["a1-650","a1-650-1199","stellen","to put / place (standing)","रखना (खड़ा)","","Verbs"],
+["a1-650","a1-650-1200","treffen","to meet","मिलना","","Verbs"],
+["a1-650","a1-650-1201","versuchen","to try","कोशिश करना","","Verbs"],
+["a1-650","a1-650-1202","waschen","to wash","धोना","","Verbs"],
+["a1-650","a1-650-1203","werden","to become","बनना","","Verbs"],
+["a1-650","a1-650-1204","wissen","to know (fact)","जानना (तथ्य)","","Verbs"],
+["a1-650","a1-650-1205","wollen","to want","चाहना","","Verbs"],
+["a1-650","a1-650-1206","öffnen","to open","खोलना","","Verbs"],
+["a1-650","a1-650-1207","anders","different","अलग","","Adjectives"],
+["a1-650","a1-650-1208","besetzt","occupied / busy","व्यस्त","","Adjectives"],
+["a1-650","a1-650-1209","bitter","bitter","कड़वा","","Adjectives"],
+["a1-650","a1-650-1210","breit","wide / broad","चौड़ा","","Adjectives"],
+["a1-650","a1-650-1211","dick","thick / fat","मोटा","","Adjectives"],
+["a1-650","a1-650-1212","dünn","thin","पतला","","Adjectives"],
+["a1-650","a1-650-1213","fertig","ready / finished ✅","तैयार / समाप्त","","Adjectives"],
+["a1-650","a1-650-1214","frei","free","फ्री / खाली","","Adjectives"],
+["a1-650","a1-650-1215","hinten","behind / back","पीछे","","Adjectives"],
+["a1-650","a1-650-1216","hoch","high / tall","ऊँचा","","Adjectives"],
+["a1-650","a1-650-1217","hässlich","ugly","बदसूरत","","Adjectives"],
+["a1-650","a1-650-1218","interessant","interesting","दिलचस्प","","Adjectives"],
+["a1-650","a1-650-1219","kaputt","broken 💔","टूटा हुआ","","Adjectives"],
+["a1-650","a1-650-1220","kurz","short","छोटा","","Adjectives"],
+["a1-650","a1-650-1221","lang","long","लंबा","","Adjectives"],
+["a1-650","a1-650-1222","langsam","slow 🐢","धीमा","","Adjectives"],
+["a1-650","a1-650-1223","laut","loud 🔊","तेज़ (आवाज़)","","Adjectives"],
+["a1-650","a1-650-1224","lecker","delicious 😋","स्वादिष्ट","","Adjectives"],
+["a1-650","a1-650-1225","leer","empty","खाली","","Adjectives"],
+["a1-650","a1-650-1226","lieb","dear / sweet 💕","प्यारा","","Adjectives"],
+["a1-650","a1-650-1227","möglich","possible","संभव","","Adjectives"],
+["a1-650","a1-650-1228","neu","new 🆕","नया","","Adjectives"],
+["a1-650","a1-650-1229","niedrig","low","नीचा","","Adjectives"],
+["a1-650","a1-650-1230","oben","above / up ⬆️","ऊपर","","Adjectives"],
+["a1-650","a1-650-1231","salzig","salty 🧂","नमकीन","","Adjectives"],
+["a1-650","a1-650-1232","sauber","clean ✨","साफ","","Adjectives"],
+["a1-650","a1-650-1233","sauer","sour 🍋","खट्टा","","Adjectives"],
+["a1-650","a1-650-1234","scharf","spicy / sharp 🌶️","तीखा","","Adjectives"],
+["a1-650","a1-650-1235","schmutzig","dirty","गंदा","","Adjectives"],
+["a1-650","a1-650-1236","schnell","fast / quick ⚡","तेज़","","Adjectives"],
+["a1-650","a1-650-1237","schwer","difficult / heavy","मुश्किल / भारी","","Adjectives"],
+["a1-650","a1-650-1238","schwierig","difficult","कठिन","","Adjectives"],
+["a1-650","a1-650-1239","schön","beautiful / nice ✨","सुंदर","","Adjectives"],
+["a1-650","a1-650-1240","super","super / great","सुपर","","Adjectives"],
+["a1-650","a1-650-1241","toll","great / awesome 🎉","शानदार","","Adjectives"],
+["a1-650","a1-650-1242","typisch","typical","आम / सामान्य","","Adjectives"],
+["a1-650","a1-650-1243","unten","below / down ⬇️","नीचे","","Adjectives"],
+["a1-650","a1-650-1244","voll","full","भरा हुआ","","Adjectives"],
+["a1-650","a1-650-1245","vorne","in front","आगे","","Adjectives"],
+["a1-650","a1-650-1246","wichtig","important ⭐","महत्वपूर्ण","","Adjectives"],
+["a1-pdf","a1-pdf-0001","der Name, -n","name","","","Person"],
+["a1-pdf","a1-pdf-0002","die Adresse, -n","address","","","Person"],
+["a1-pdf","a1-pdf-0003","das Telefon, -e","telephone","","","Person"],
+["a1-pdf","a1-pdf-0004","das Geburtsdatum","date of birth","","","Person"],
+["a1-pdf","a1-pdf-0005","der Vorname, -n","first name","","","Person"],
+["a1-pdf","a1-pdf-0006","das Alter","age","","","Person"],
+["a1-pdf","a1-pdf-0007","die Familie, -n","family","","","Person"],
+["a1-pdf","a1-pdf-0008","der Vater, -ä","father","","","Person"],
+["a1-pdf","a1-pdf-0009","die Mutter, -ü","mother","","","Person"],
+["a1-pdf","a1-pdf-0010","der Sohn, -ö, e","son","","","Person"],
+["a1-pdf","a1-pdf-0011","die Tochter, -ö","daughter","","","Person"],
+["a1-pdf","a1-pdf-0012","verheiratet","married","","","Person"],
+["a1-pdf","a1-pdf-0013","die Staatsangehörigkeit, -en","nationality","","","Person"],
+["a1-pdf","a1-pdf-0014","(sich) vorstellen","to introduce oneself","","","Person"],
+["a1-pdf","a1-pdf-0015","der Verwandte, -n","relative","","","Person"],
+["a1-pdf","a1-pdf-0016","weiblich","female","","","Person"],
+["a1-pdf","a1-pdf-0017","männlich","male","","","Person"],
+["a1-pdf","a1-pdf-0018","das Kind, -er","child","","","Person"],
+["a1-pdf","a1-pdf-0019","der Bruder, -ü","brother","","","Person"],
+["a1-pdf","a1-pdf-0020","die Schwester, -n","sister","","","Person"],
+["a1-pdf","a1-pdf-0021","der Mann, -ä, er","man/husband","","","Person"],
+["a1-pdf","a1-pdf-0022","die Frau, -en","woman/wife","","","Person"],
+["a1-pdf","a1-pdf-0023","der Freund, -e","friend/boyfriend","","","Person"],
+["a1-pdf","a1-pdf-0024","die Freundin, -nen","friend/girlfriend","","","Person"],
+["a1-pdf","a1-pdf-0025","der Kollege, -n","colleague","","","Person"],
+["a1-pdf","a1-pdf-0026","werden","to become","","","Person"],
+["a1-pdf","a1-pdf-0027","wer","who","","","Person"],
+["a1-pdf","a1-pdf-0028","wie","how/like","","","Person"],
+["a1-pdf","a1-pdf-0029","woher","from where","","","Person"],
+["a1-pdf","a1-pdf-0030","wo","where","","","Person"],
+["a1-pdf","a1-pdf-0031","alt","old","","","Person"],
+["a1-pdf","a1-pdf-0032","jung","young","","","Person"],
+["a1-pdf","a1-pdf-0033","der Arzt, -ä, e","doctor","","","Person"],
+["a1-pdf","a1-pdf-0034","die Ärztin, -nen","doctor (female)","","","Person"],
+["a1-pdf","a1-pdf-0035","heißen","to be called/named","","","Person"],
+["a1-pdf","a1-pdf-0036","kommen","to come","","","Person"],
+["a1-pdf","a1-pdf-0037","sein","to be","","","Person"],
+["a1-pdf","a1-pdf-0038","haben","to have","","","Person"],
+["a1-pdf","a1-pdf-0039","ich","I","","","Person"],
+["a1-pdf","a1-pdf-0040","wir","we","","","Person"],
+["a1-pdf","a1-pdf-0041","sie","she/they","","","Person"],
+["a1-pdf","a1-pdf-0042","Sie","you (formal)","","","Person"],
+["a1-pdf","a1-pdf-0043","mich","me","","","Person"],
+["a1-pdf","a1-pdf-0044","mir","me (dative)","","","Person"],
+["a1-pdf","a1-pdf-0045","sich","oneself","","","Person"],
+["a1-pdf","a1-pdf-0046","mein","my","","","Person"],
+["a1-pdf","a1-pdf-0047","meine","my","","","Person"],
+["a1-pdf","a1-pdf-0048","seine","his","","","Person"],
+["a1-pdf","a1-pdf-0049","unser","our","","","Person"],
+["a1-pdf","a1-pdf-0050","unsere","our","","","Person"],
+["a1-pdf","a1-pdf-0051","der Kopf, -ö, e","head","","","Person"],
+["a1-pdf","a1-pdf-0052","die Hand, -ä, e","hand","","","Person"],
+["a1-pdf","a1-pdf-0053","der Fuß, -ü, e","foot","","","Person"],
+["a1-pdf","a1-pdf-0054","das Auge, -n","eye","","","Person"],
+["a1-pdf","a1-pdf-0055","das Ohr, -en","ear","","","Person"],
+["a1-pdf","a1-pdf-0056","der Mund, -ü, er","mouth","","","Person"],
+["a1-pdf","a1-pdf-0057","die Nase, -n","nose","","","Person"],
+["a1-pdf","a1-pdf-0058","der Rücken, -","back","","","Person"],
+["a1-pdf","a1-pdf-0059","der Bauch, -ä, e","stomach","","","Person"],
+["a1-pdf","a1-pdf-0060","die Eltern","parents","","","Person"],
+["a1-pdf","a1-pdf-0061","das Baby, -s","baby","","","Person"],
+["a1-pdf","a1-pdf-0062","die Geschwister","siblings","","","Person"],
+["a1-pdf","a1-pdf-0063","die Leute","people","","","Person"],
+["a1-pdf","a1-pdf-0064","die Person, -en","person","","","Person"],
+["a1-pdf","a1-pdf-0065","die Wohnung, -en","apartment","","","Wohnen"],
+["a1-pdf","a1-pdf-0066","das Zimmer, -","room","","","Wohnen"],
+["a1-pdf","a1-pdf-0067","das Schlafzimmer, -","bedroom","","","Wohnen"],
+["a1-pdf","a1-pdf-0068","der Tisch, -e","table","","","Wohnen"],
+["a1-pdf","a1-pdf-0069","das Fenster, -","window","","","Wohnen"],
+["a1-pdf","a1-pdf-0070","die Tür, -en","door","","","Wohnen"],
+["a1-pdf","a1-pdf-0071","die Treppe, -n","stairs","","","Wohnen"],
+["a1-pdf","a1-pdf-0072","vermieten","to rent out","","","Wohnen"],
+["a1-pdf","a1-pdf-0073","der Vermieter","landlord","","","Wohnen"],
+["a1-pdf","a1-pdf-0074","umziehen","to move","","","Wohnen"],
+["a1-pdf","a1-pdf-0075","wohnen","to live","","","Wohnen"],
+["a1-pdf","a1-pdf-0076","unter","under/below","","","Wohnen"],
+["a1-pdf","a1-pdf-0077","über","over/above","","","Wohnen"],
+["a1-pdf","a1-pdf-0078","zufrieden","satisfied","","","Wohnen"],
+["a1-pdf","a1-pdf-0079","das Haus, -ä, er","house","","","Wohnen"],
+["a1-pdf","a1-pdf-0080","der Stock, -ö, e","floor/story","","","Wohnen"],
+["a1-pdf","a1-pdf-0081","die Toilette, -en","toilet","","","Wohnen"],
+["a1-pdf","a1-pdf-0082","groß","big/large","","","Wohnen"],
+["a1-pdf","a1-pdf-0083","klein","small","","","Wohnen"],
+["a1-pdf","a1-pdf-0084","die Küche, -n","kitchen","","","Wohnen"],
+["a1-pdf","a1-pdf-0085","das Bad, -ä, er","bathroom","","","Wohnen"],
+["a1-pdf","a1-pdf-0086","der Garten, -ä","garden","","","Wohnen"],
+["a1-pdf","a1-pdf-0087","der Stuhl, -ü, e","chair","","","Wohnen"],
+["a1-pdf","a1-pdf-0088","das Bett, -en","bed","","","Wohnen"],
+["a1-pdf","a1-pdf-0089","der Schrank, -ä, e","wardrobe/closet","","","Wohnen"],
+["a1-pdf","a1-pdf-0090","die Lampe, -n","lamp","","","Wohnen"],
+["a1-pdf","a1-pdf-0091","der Kühlschrank, -ä, e","refrigerator","","","Wohnen"],
+["a1-pdf","a1-pdf-0092","der Herd, -e","stove","","","Wohnen"],
+["a1-pdf","a1-pdf-0093","der Ofen, -ä","oven","","","Wohnen"],
+["a1-pdf","a1-pdf-0094","die Spüle, -n","sink","","","Wohnen"],
+["a1-pdf","a1-pdf-0095","der Teller, -","plate","","","Wohnen"],
+["a1-pdf","a1-pdf-0096","die Tasse, -n","cup","","","Wohnen"],
+["a1-pdf","a1-pdf-0097","der Löffel, -","spoon","","","Wohnen"],
+["a1-pdf","a1-pdf-0098","die Gabel, -n","fork","","","Wohnen"],
+["a1-pdf","a1-pdf-0099","das Messer, -","knife","","","Wohnen"],
+["a1-pdf","a1-pdf-0533","die Miete, -n","rent","","","Wohnen"],
+["a1-pdf","a1-pdf-0534","der Nachbar, -n","neighbor","","","Wohnen"],
+["a1-pdf","a1-pdf-0535","die Nachbarin, -nen","neighbor (female)","","","Wohnen"],
+["a1-pdf","a1-pdf-0536","die Nachbarschaft, -en","neighborhood","","","Wohnen"],
+["a1-pdf","a1-pdf-0537","die Nummer, -n","number","","","Wohnen"],
+["a1-pdf","a1-pdf-0538","der Osten","east","","","Wohnen"],
+["a1-pdf","a1-pdf-0539","der Westen","west","","","Wohnen"],
+["a1-pdf","a1-pdf-0540","der Norden","north","","","Wohnen"],
+["a1-pdf","a1-pdf-0541","der Süden","south","","","Wohnen"],
+["a1-pdf","a1-pdf-0542","die Postleitzahl, -en","postal code","","","Wohnen"],
+["a1-pdf","a1-pdf-0543","die Postfiliale, -n","post office branch","","","Wohnen"],
+["a1-pdf","a1-pdf-0544","die PIN-Nummer, -n","PIN number","","","Wohnen"],
+["a1-pdf","a1-pdf-0545","die Batterie, -n","battery","","","Wohnen"],
+["a1-pdf","a1-pdf-0546","die Akte, -n","file","","","Wohnen"],
+["a1-pdf","a1-pdf-0547","die Kopie, -n","copy","","","Wohnen"],
+["a1-pdf","a1-pdf-0548","das Fax, -e","fax","","","Wohnen"],
+["a1-pdf","a1-pdf-0549","die Anlage, -n","attachment","","","Wohnen"],
+["a1-pdf","a1-pdf-0550","die Qualität, -en","quality","","","Wohnen"],
+["a1-pdf","a1-pdf-0551","speichern","to save","","","Wohnen"],
+["a1-pdf","a1-pdf-0552","löschen","to delete","","","Wohnen"],
+["a1-pdf","a1-pdf-0553","drucken","to print","","","Wohnen"],
+["a1-pdf","a1-pdf-0554","der Drucker, -","printer","","","Wohnen"],
+["a1-pdf","a1-pdf-0555","die Maus, -ä, e","mouse","","","Wohnen"],
+["a1-pdf","a1-pdf-0556","die Tastatur, -en","keyboard","","","Wohnen"],
+["a1-pdf","a1-pdf-0557","der Bildschirm, -e","screen","","","Wohnen"],
+["a1-pdf","a1-pdf-0100","die Pflanze, -n","plant","","","Umwelt"],
+["a1-pdf","a1-pdf-0101","das Tier, -e","animal","","","Umwelt"],
+["a1-pdf","a1-pdf-0102","das Wetter","weather","","","Umwelt"],
+["a1-pdf","a1-pdf-0103","der Wind","wind","","","Umwelt"],
+["a1-pdf","a1-pdf-0104","der Park, -s","park","","","Umwelt"],
+["a1-pdf","a1-pdf-0105","der Frühling, -e","spring","","","Umwelt"],
+["a1-pdf","a1-pdf-0106","der Sommer, -","summer","","","Umwelt"],
+["a1-pdf","a1-pdf-0107","der Herbst, -e","autumn/fall","","","Umwelt"],
+["a1-pdf","a1-pdf-0108","der Winter, -","winter","","","Umwelt"],
+["a1-pdf","a1-pdf-0109","die Jahreszeit, -en","season","","","Umwelt"],
+["a1-pdf","a1-pdf-0110","reisen","to travel","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0111","der Zug, -ü, e","train","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0112","der Bus, -se","bus","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0113","das Auto, -s","car","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0114","das Ticket, -s","ticket","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0115","der Bahnhof, -ö, e","train station","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0116","übernachten","to stay overnight","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0117","das Gepäck","luggage","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0118","fahren","to drive/travel","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0119","der Bahnhof, -ö, e","train station","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0120","die Straße, -n","street","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0121","der Zoll","customs","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0122","zurück","back","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0123","zu Fuß","on foot","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0124","wohin","where to","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0125","die Stadt, -ä, e","city","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0126","der Platz, -ä, e","place/square","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0127","der Flughafen, -ä","airport","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0128","das Museum, -seen","museum","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0129","das Kino, -s","cinema","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0130","das Hotel, -s","hotel","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0131","das Café, -s","cafe","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0132","die Apotheke, -n","pharmacy","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0133","das Krankenhaus, -ä, er","hospital","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0134","die Haltestelle, -n","bus stop","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0558","der Bahnsteig, -e","platform","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0559","ankommen","to arrive","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0560","abfahren","to depart","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0561","einsteigen","to get on","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0562","aussteigen","to get off","","","Reisen/Verkehr"],
+["a1-pdf","a1-pdf-0135","essen","to eat","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0136","trinken","to drink","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0137","das Brot, -e","bread","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0138","die Milch","milk","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0139","das Wasser","water","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0140","der Kaffee","coffee","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0141","die Tomate, -n","tomato","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0142","das Restaurant, -s","restaurant","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0143","Guten Appetit!","Enjoy your meal!","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0144","der Wein, -e","wine","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0145","das Essen","food/meal","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0146","schmecken","to taste","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0147","die Mahlzeit, -en","meal","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0148","das Frühstück","breakfast","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0149","das Mittagessen","lunch","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0150","das Abendessen","dinner","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0151","der Tee","tea","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0152","der Bäcker, -","baker","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0153","das Glas, -ä, er","glass","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0154","möchten","would like","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0155","wollen","to want","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0156","nehmen","to take","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0157","kaufen","to buy","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0158","der Apfel, -ä","apple","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0159","die Banane, -n","banana","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0160","der Käse","cheese","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0161","das Ei, -er","egg","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0162","der Saft, -ä, e","juice","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0163","die Orange, -n","orange","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0164","das Obst","fruit","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0165","das Gemüse","vegetables","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0166","die Butter","butter","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0167","der Fisch, -e","fish","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0168","das Fleisch","meat","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0169","die Wurst, -ü, e","sausage","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0170","das Bier, -e","beer","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0171","der Hunger","hunger","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0172","der Durst","thirst","","","Essen/Trinken"],
+["a1-pdf","a1-pdf-0173","einkaufen","to shop","","","Einkaufen/Gebrauchsartikel"],
+["a1-pdf","a1-pdf-0174","das Geschäft, -e","shop","","","Einkaufen/Gebrauchsartikel"],
+["a1-pdf","a1-pdf-0175","der Preis, -e","price","","","Einkaufen/Gebrauchsartikel"],
+["a1-pdf","a1-pdf-0176","zahlen","to pay","","","Einkaufen/Gebrauchsartikel"],
+["a1-pdf","a1-pdf-0177","teuer","expensive","","","Einkaufen/Gebrauchsartikel"],
+["a1-pdf","a1-pdf-0178","verkaufen","to sell","","","Einkaufen/Gebrauchsartikel"],
+["a1-pdf","a1-pdf-0179","der Verkäufer, -","salesperson","","","Einkaufen/Gebrauchsartikel"],
+["a1-pdf","a1-pdf-0180","das Hemd, -en","shirt","","","Einkaufen/Gebrauchsartikel"],
+["a1-pdf","a1-pdf-0181","die Hose, -n","pants","","","Einkaufen/Gebrauchsartikel"],
+["a1-pdf","a1-pdf-0182","die Schuhe","shoes","","","Einkaufen/Gebrauchsartikel"],
+["a1-pdf","a1-pdf-0183","der Rock, -ö, e","skirt","","","Einkaufen/Gebrauchsartikel"],
+["a1-pdf","a1-pdf-0184","das Kleid, -er","dress","","","Einkaufen/Gebrauchsartikel"],
+["a1-pdf","a1-pdf-0185","der Mantel, -ä","coat","","","Einkaufen/Gebrauchsartikel"],
+["a1-pdf","a1-pdf-0186","die Mütze, -n","cap","","","Einkaufen/Gebrauchsartikel"],
+["a1-pdf","a1-pdf-0187","der Hut, -ü, e","hat","","","Einkaufen/Gebrauchsartikel"],
+["a1-pdf","a1-pdf-0188","die Socken","socks","","","Einkaufen/Gebrauchsartikel"],
+["a1-pdf","a1-pdf-0189","die Post","post office","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0190","telefonieren","to telephone","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0191","die Bank, -en","bank","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0192","überweisen","to transfer","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0193","der Brief, -e","letter","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0194","die E-Mail, -s","email","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0195","die Polizei","police","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0563","die Website, -s","website","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0564","surfen im Internet","to surf the internet","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0565","die Nummer wählen","to dial the number","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0566","das Gespräch, -e","conversation (phone)","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0567","die Information, -en","information","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0568","die Auskunft, -ü, e","information","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0569","die E-Mail schreiben","to write an email","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0570","die Langeweile","boredom","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0571","das Jahrzehnt, -e","decade","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0572","das Jahrhundert, -e","century","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0573","pünktlich","punctual","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0574","verspätet","late/delayed","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0575","die Zeitspanne, -n","time period","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0576","die Verabredung, -en","appointment","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0577","der Termin, -e","date/appointment","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0578","die Frist, -en","deadline","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0579","die Verspätung, -en","delay","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0580","die Erinnerung, -en","memory/reminder","","","Dienstleistungen"],
+["a1-pdf","a1-pdf-0196","die Schule, -n","school","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0197","der Unterricht","lesson/class","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0198","lernen","to learn","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0199","der Lehrer, -","teacher","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0200","das Wort, -ö, er/-e","word","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0201","der Text, -e","text","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0581","die Aufgabe lösen","to solve the task","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0582","die Mathematik","mathematics","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0583","die Deutschstunde, -n","German lesson","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0584","die Englischstunde, -n","English lesson","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0585","das Wörterbuch, -ü, er","dictionary","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0586","die Korrektur, -en","correction","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0587","die Vokabel, -n","vocabulary word","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0588","die Schule beginnen","school starts","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0202","wiederholen","to repeat","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0203","der Test, -e","test","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0204","das Thema, -men","topic/theme","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0205","wissen","to know","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0206","verstehen","to understand","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0207","wichtig","important","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0208","ankreuzen","to check/mark","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0209","zuordnen","to assign/match","","","Erziehung/Ausbildung/Lernen"],
+["a1-pdf","a1-pdf-0210","die Arbeit, -en","work","","","Arbeit/Beruf"],
+["a1-pdf","a1-pdf-0211","der Beruf, -e","profession","","","Arbeit/Beruf"],
+["a1-pdf","a1-pdf-0212","verdienen","to earn","","","Arbeit/Beruf"],
+["a1-pdf","a1-pdf-0213","der Urlaub","vacation","","","Arbeit/Beruf"],
+["a1-pdf","a1-pdf-0214","der Arbeiter, -","worker","","","Arbeit/Beruf"],
+["a1-pdf","a1-pdf-0215","der Termin, -e","appointment","","","Arbeit/Beruf"],
+["a1-pdf","a1-pdf-0216","unterschreiben","to sign","","","Arbeit/Beruf"],
+["a1-pdf","a1-pdf-0217","die Unterschrift, -en","signature","","","Arbeit/Beruf"],
+["a1-pdf","a1-pdf-0218","die Freizeit","free time","","","Freizeit/Unterhaltung"],
+["a1-pdf","a1-pdf-0219","Sport treiben","to do sports","","","Freizeit/Unterhaltung"],
+["a1-pdf","a1-pdf-0220","wandern","to hike","","","Freizeit/Unterhaltung"],
+["a1-pdf","a1-pdf-0221","der Verein","club/association","","","Freizeit/Unterhaltung"],
+["a1-pdf","a1-pdf-0222","die Zeitung, -en","newspaper","","","Freizeit/Unterhaltung"],
+["a1-pdf","a1-pdf-0223","(sich) treffen","to meet","","","Freizeit/Unterhaltung"],
+["a1-pdf","a1-pdf-0224","zusammen","together","","","Freizeit/Unterhaltung"],
+["a1-pdf","a1-pdf-0225","eins","one","","","Word Groups"],
+["a1-pdf","a1-pdf-0226","zwei","two","","","Word Groups"],
+["a1-pdf","a1-pdf-0227","der Montag, -e","Monday","","","Word Groups"],
+["a1-pdf","a1-pdf-0228","der Januar","January","","","Word Groups"],
+["a1-pdf","a1-pdf-0229","rot","red","","","Word Groups"],
+["a1-pdf","a1-pdf-0230","drei","three","","","Word Groups"],
+["a1-pdf","a1-pdf-0231","vier","four","","","Word Groups"],
+["a1-pdf","a1-pdf-0232","fünf","five","","","Word Groups"],
+["a1-pdf","a1-pdf-0233","sechs","six","","","Word Groups"],
+["a1-pdf","a1-pdf-0234","sieben","seven","","","Word Groups"],
+["a1-pdf","a1-pdf-0235","acht","eight","","","Word Groups"],
+["a1-pdf","a1-pdf-0236","neun","nine","","","Word Groups"],
+["a1-pdf","a1-pdf-0237","zehn","ten","","","Word Groups"],
+["a1-pdf","a1-pdf-0238","der Dienstag, -e","Tuesday","","","Word Groups"],
+["a1-pdf","a1-pdf-0239","der Mittwoch, -e","Wednesday","","","Word Groups"],
+["a1-pdf","a1-pdf-0240","der Donnerstag, -e","Thursday","","","Word Groups"],
+["a1-pdf","a1-pdf-0241","der Freitag, -e","Friday","","","Word Groups"],
+["a1-pdf","a1-pdf-0242","der Samstag, -e","Saturday","","","Word Groups"],
+["a1-pdf","a1-pdf-0243","der Sonntag, -e","Sunday","","","Word Groups"],
+["a1-pdf","a1-pdf-0244","der Februar","February","","","Word Groups"],
+["a1-pdf","a1-pdf-0245","der März","March","","","Word Groups"],
+["a1-pdf","a1-pdf-0246","der September","September","","","Word Groups"],
+["a1-pdf","a1-pdf-0247","die Uhr, -en","clock/o\\'clock","","","Word Groups"],
+["a1-pdf","a1-pdf-0248","die Zeit, -en","time","","","Word Groups"],
+["a1-pdf","a1-pdf-0249","die Farbe, -n","color","","","Word Groups"],
+["a1-pdf","a1-pdf-0250","der April","April","","","Word Groups"],
+["a1-pdf","a1-pdf-0251","der Mai","May","","","Word Groups"],
+["a1-pdf","a1-pdf-0252","der Juni","June","","","Word Groups"],
+["a1-pdf","a1-pdf-0253","der Juli","July","","","Word Groups"],
+["a1-pdf","a1-pdf-0254","der August","August","","","Word Groups"],
+["a1-pdf","a1-pdf-0255","der Oktober","October","","","Word Groups"],
+["a1-pdf","a1-pdf-0256","der November","November","","","Word Groups"],
+["a1-pdf","a1-pdf-0257","der Dezember","December","","","Word Groups"],
+["a1-pdf","a1-pdf-0258","weiß","white","","","Word Groups"],
+["a1-pdf","a1-pdf-0259","schwarz","black","","","Word Groups"],
+["a1-pdf","a1-pdf-0260","braun","brown","","","Word Groups"],
+["a1-pdf","a1-pdf-0261","schnell","fast","","","Word Groups"],
+["a1-pdf","a1-pdf-0262","langsam","slow","","","Word Groups"],
+["a1-pdf","a1-pdf-0263","richtig","correct","","","Word Groups"],
+["a1-pdf","a1-pdf-0264","falsch","wrong","","","Word Groups"],
+["a1-pdf","a1-pdf-0265","elf","eleven","","","Word Groups"],
+["a1-pdf","a1-pdf-0266","zwölf","twelve","","","Word Groups"],
+["a1-pdf","a1-pdf-0267","dreizehn","thirteen","","","Word Groups"],
+["a1-pdf","a1-pdf-0268","vierzehn","fourteen","","","Word Groups"],
+["a1-pdf","a1-pdf-0269","fünfzehn","fifteen","","","Word Groups"],
+["a1-pdf","a1-pdf-0270","sechzehn","sixteen","","","Word Groups"],
+["a1-pdf","a1-pdf-0271","siebzehn","seventeen","","","Word Groups"],
+["a1-pdf","a1-pdf-0272","achtzehn","eighteen","","","Word Groups"],
+["a1-pdf","a1-pdf-0273","neunzehn","nineteen","","","Word Groups"],
+["a1-pdf","a1-pdf-0274","zwanzig","twenty","","","Word Groups"],
+["a1-pdf","a1-pdf-0275","dreißig","thirty","","","Word Groups"],
+["a1-pdf","a1-pdf-0276","vierzig","forty","","","Word Groups"],
+["a1-pdf","a1-pdf-0277","fünfzig","fifty","","","Word Groups"],
+["a1-pdf","a1-pdf-0278","sechzig","sixty","","","Word Groups"],
+["a1-pdf","a1-pdf-0279","siebzig","seventy","","","Word Groups"],
+["a1-pdf","a1-pdf-0280","achtzig","eighty","","","Word Groups"],
+["a1-pdf","a1-pdf-0281","neunzig","ninety","","","Word Groups"],
+["a1-pdf","a1-pdf-0282","hundert","hundred","","","Word Groups"],
+["a1-pdf","a1-pdf-0283","der März","March","","","Word Groups"],
+["a1-pdf","a1-pdf-0284","grau","gray","","","Word Groups"],
+["a1-pdf","a1-pdf-0285","orange","orange","","","Word Groups"],
+["a1-pdf","a1-pdf-0286","welcher","which (masculine)","","","Word Groups"],
+["a1-pdf","a1-pdf-0287","welche","which (feminine)","","","Word Groups"],
+["a1-pdf","a1-pdf-0288","welches","which (neuter)","","","Word Groups"],
+["a1-pdf","a1-pdf-0289","wie viele","how many","","","Word Groups"],
+["a1-pdf","a1-pdf-0290","wie oft","how often","","","Word Groups"],
+["a1-pdf","a1-pdf-0291","Hallo","Hello","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0292","Guten Morgen","Good morning","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0293","Auf Wiedersehen!","Goodbye","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0294","tschüss","Bye","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0295","Guten Appetit!","Enjoy your meal!","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0296","Bitte","Please / You're welcome","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0297","Danke","Thank you","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0298","Entschuldigung","Excuse me / Sorry","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0299","Wie bitte?","Pardon? / What did you say?","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0300","Herzlich willkommen!","Welcome!","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0301","Auf Wiedersehen!","Goodbye","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0302","Auf Wiederhören!","Goodbye (on phone)","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0590","das Wiedersehen","meeting again","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0591","zurück","back","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0303","vielleicht","maybe/perhaps","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0304","warten","to wait","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0305","wann","when","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0306","warum","why","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0307","was","what","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0308","wie viel","how much","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0309","und","and","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0310","oder","or","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0311","Guten Tag!","Good day!","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0312","Gute Nacht!","Good night!","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0313","ja","yes","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0314","der Dank","thanks","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0315","Guten Abend!","Good evening!","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0316","Bis bald!","See you soon!","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0317","Bis später!","See you later!","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0318","Bis morgen!","See you tomorrow!","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0319","bitte schön","you're welcome / here you are","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0320","danke schön","thank you very much","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0321","gern geschehen","you're welcome","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0322","natürlich","naturally / of course","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0323","klar","clear / of course","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0324","genau","exactly","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0325","leider","unfortunately","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0326","doch","but / yes (contradiction)","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0327","denn","because / then","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0328","aber","but","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0329","heute Abend","this evening","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0330","heute Morgen","this morning","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0331","heute Nachmittag","this afternoon","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0332","später","later","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0333","früher","earlier / before","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0334","Gesundheit!","Bless you! (after sneezing)","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0335","Alles Gute!","All the best!","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0336","Viel Glück!","Good luck!","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0337","Viel Spaß!","Have fun!","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0338","Gute Reise!","Have a good trip!","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0339","kein Problem","no problem","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0340","entschuldigen Sie","excuse me","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0341","es tut mir leid","I'm sorry","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0342","ein bisschen","a little","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0343","Langsam, bitte","slowly, please","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0344","Noch einmal, bitte","once more, please","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0345","keine Ursache","no problem / don't mention it","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0346","Ich verstehe nicht","I don't understand","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0347","Sprechen Sie Englisch?","Do you speak English?","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0348","Wie spät ist es?","What time is it?","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0349","Es ist ... Uhr","It is ... o'clock","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0350","Um wie viel Uhr?","At what time?","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0351","Ich habe eine Frage","I have a question","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0352","Das verstehe ich","I understand that","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0353","Das gefällt mir nicht","I don't like that","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0354","Ich habe Hunger","I'm hungry","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0355","Ich habe Durst","I'm thirsty","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0356","Ich bin müde","I'm tired","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0357","Ich bin krank","I'm sick","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0358","Mir ist kalt","I'm cold","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0359","Mir ist warm","I'm warm","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0360","Das tut weh","That hurts","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0361","Wie viel?","How much? / How many?","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0362","Wie lange?","How long?","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0363","Warum nicht?","Why not?","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0364","Wirklich?","Really?","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0365","Was ist passiert?","What happened?","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0366","Wo ist die Toilette?","Where is the toilet?","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0589","willkommen","welcome","","","Common Phrases & Expressions"],
+["a1-pdf","a1-pdf-0367","gehen","to go","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0368","machen","to make/do","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0369","tun","to do","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0370","sehen","to see","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0371","lesen","to read","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0372","schreiben","to write","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0373","sprechen","to speak","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0374","hören","to hear/listen","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0375","öffnen","to open","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0376","schließen","to close","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0377","suchen","to search/look for","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0378","finden","to find","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0379","brauchen","to need","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0380","müssen","must/have to","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0381","können","can/to be able","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0382","sollen","should/ought to","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0383","mögen","to like","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0384","liegen","to lie/be located","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0385","stehen","to stand/be located","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0386","sitzen","to sit","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0387","arbeiten","to work","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0388","anrufen","to call","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0389","antworten","to answer","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0390","besuchen","to visit","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0391","bestellen","to order","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0392","kennen","to know","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0393","kennenlernen","to get to know","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0394","kosten","to cost","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0395","danken","to thank","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0396","fragen","to ask","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0397","frühstücken","to have breakfast","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0398","regnen","to rain","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0399","waschen","to wash","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0400","ergänzen","to complete","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0401","geben","to give","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0402","helfen","to help","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0403","sagen","to say","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0404","schicken","to send","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0405","bekommen","to get/receive","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0406","bringen","to bring","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0407","beginnen","to begin","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0408","bleiben","to stay","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0409","dürfen","may/to be allowed","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0410","gefallen","to like/please","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0411","ankommen","to arrive","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0412","aufstehen","to get up","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0413","ausgehen","to go out","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0414","aufhören","to stop","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0415","anfangen","to begin","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0416","aufmachen","to open","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0417","zumachen","to close","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0418","anziehen","to put on","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0595","ausfüllen","to fill out","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0596","ausgeben","to spend","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0597","aussehen","to look like","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0598","aussteigen","to get off","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0599","einsteigen","to get on","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0600","einkaufen","to shop","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0601","einladen","to invite","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0602","einpacken","to pack","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0603","einziehen","to move in","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0604","umziehen","to move","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0605","übernachten","to stay overnight","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0606","überweisen","to transfer","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0607","unterschreiben","to sign","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0608","verstehen","to understand","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0609","verkaufen","to sell","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0610","vermieten","to rent out","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0611","verdienen","to earn","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0612","warten","to wait","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0613","wiederholen","to repeat","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0419","ausziehen","to take off","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0420","aufwachen","to wake up","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0421","einschlafen","to fall asleep","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0422","aufpassen","to pay attention","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0423","sich setzen","to sit down","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0424","sich hinsetzen","to sit down","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0425","sich freuen","to be happy / to look forward","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0426","sich entschuldigen","to apologize","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0427","aufräumen","to tidy up","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0428","passieren","to happen","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0592","abholen","to pick up","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0593","abfahren","to depart","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0594","anbieten","to offer","","","Common Verbs & Actions"],
+["a1-pdf","a1-pdf-0429","gut","good","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0430","schlecht","bad","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0431","neu","new","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0432","alt","old","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0433","schön","beautiful/nice","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0434","wunderbar","wonderful","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0435","einfach","simple/easy","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0436","schwer","heavy/difficult","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0437","weit","far","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0438","nah","near/close","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0439","viel","much/many","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0440","wenig","little/few","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0441","alle","all","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0442","kein","no/none","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0443","kalt","cold","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0444","warm","warm","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0445","heiß","hot","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0446","grün","green","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0447","blau","blue","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0448","gelb","yellow","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0449","fertig","ready/finished","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0450","geschlossen","closed","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0451","kaputt","broken","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0452","lange","long","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0453","meistens","usually","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0454","nicht","not","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0455","noch","still/yet","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0456","nur","only","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0457","so","so/thus","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0458","auch","also/too","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0459","dann","then","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0460","heute","today","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0461","morgen","tomorrow","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0462","gestern","yesterday","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0463","jetzt","now","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0464","hier","here","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0465","dort","there","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0466","links","left","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0467","rechts","right","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0468","gerade","just/straight","","","Common Adjectives"],
+["a1-pdf","a1-pdf-0469","das Datum, -en","date","","","Common Nouns"],
+["a1-pdf","a1-pdf-0470","die Zigarette, -n","cigarette","","","Common Nouns"],
+["a1-pdf","a1-pdf-0471","verboten","forbidden/prohibited","","","Common Nouns"],
+["a1-pdf","a1-pdf-0472","die Vorwahl, -en","area code","","","Common Nouns"],
+["a1-pdf","a1-pdf-0473","die Vorsicht","caution","","","Common Nouns"],
+["a1-pdf","a1-pdf-0474","die Welt","world","","","Common Nouns"],
+["a1-pdf","a1-pdf-0620","der Wind, -e","wind","","","Common Nouns"],
+["a1-pdf","a1-pdf-0621","das Wetter","weather","","","Common Nouns"],
+["a1-pdf","a1-pdf-0622","das Wort, -ö, er/-e","word","","","Common Nouns"],
+["a1-pdf","a1-pdf-0623","die Zeit, -en","time","","","Common Nouns"],
+["a1-pdf","a1-pdf-0475","welch-","which","","","Common Nouns"],
+["a1-pdf","a1-pdf-0476","weiter","further/continue","","","Common Nouns"],
+["a1-pdf","a1-pdf-0477","zwischen","between","","","Common Nouns"],
+["a1-pdf","a1-pdf-0478","zurzeit","currently/at the moment","","","Common Nouns"],
+["a1-pdf","a1-pdf-0624","die Zeitung, -en","newspaper","","","Common Nouns"],
+["a1-pdf","a1-pdf-0625","das Zimmer, -","room","","","Common Nouns"],
+["a1-pdf","a1-pdf-0626","der Zoll","customs","","","Common Nouns"],
+["a1-pdf","a1-pdf-0627","der Zug, -ü, e","train","","","Common Nouns"],
+["a1-pdf","a1-pdf-0628","zusammen","together","","","Common Nouns"],
+["a1-pdf","a1-pdf-0629","die Antwort, -en","answer","","","Common Nouns"],
+["a1-pdf","a1-pdf-0630","der Beamte, -n","civil servant","","","Common Nouns"],
+["a1-pdf","a1-pdf-0631","beide","both","","","Common Nouns"],
+["a1-pdf","a1-pdf-0632","der Beruf, -e","profession","","","Common Nouns"],
+["a1-pdf","a1-pdf-0633","das Bild, -er","picture","","","Common Nouns"],
+["a1-pdf","a1-pdf-0634","der Brief, -e","letter","","","Common Nouns"],
+["a1-pdf","a1-pdf-0479","zu Hause","at home","","","Common Nouns"],
+["a1-pdf","a1-pdf-0480","von","from/of","","","Common Nouns"],
+["a1-pdf","a1-pdf-0481","vor","before/in front of","","","Common Nouns"],
+["a1-pdf","a1-pdf-0482","um","at/around","","","Common Nouns"],
+["a1-pdf","a1-pdf-0483","tot","dead","","","Common Nouns"],
+["a1-pdf","a1-pdf-0484","das Formular, -e","form","","","Common Nouns"],
+["a1-pdf","a1-pdf-0485","der Antwortbogen, -ö","answer sheet","","","Common Nouns"],
+["a1-pdf","a1-pdf-0486","das Bein, -e","leg","","","Common Nouns"],
+["a1-pdf","a1-pdf-0487","die Hände","hands","","","Common Nouns"],
+["a1-pdf","a1-pdf-0488","der Tag, -e","day","","","Common Nouns"],
+["a1-pdf","a1-pdf-0489","der Monat, -e","month","","","Common Nouns"],
+["a1-pdf","a1-pdf-0490","der Mittag, -e","noon","","","Common Nouns"],
+["a1-pdf","a1-pdf-0491","die Ecke, -n","corner","","","Common Nouns"],
+["a1-pdf","a1-pdf-0492","die Übernachtung, -en","overnight stay","","","Common Nouns"],
+["a1-pdf","a1-pdf-0493","das Ausland","abroad","","","Common Nouns"],
+["a1-pdf","a1-pdf-0494","der Ausländer, -","foreigner","","","Common Nouns"],
+["a1-pdf","a1-pdf-0495","ausländisch","foreign","","","Common Nouns"],
+["a1-pdf","a1-pdf-0615","der Dank","thanks","","","Common Nouns"],
+["a1-pdf","a1-pdf-0616","das Telefonieren","telephoning","","","Common Nouns"],
+["a1-pdf","a1-pdf-0617","der Verein, -e","club/association","","","Common Nouns"],
+["a1-pdf","a1-pdf-0618","der Vermieter, -","landlord","","","Common Nouns"],
+["a1-pdf","a1-pdf-0619","der Verkäufer, -","salesperson","","","Common Nouns"],
+["a1-pdf","a1-pdf-0496","der Deutsche, -n","German (person)","","","Common Nouns"],
+["a1-pdf","a1-pdf-0497","Deutschland","Germany","","","Common Nouns"],
+["a1-pdf","a1-pdf-0498","Polen","Poland","","","Common Nouns"],
+["a1-pdf","a1-pdf-0499","Italien","Italy","","","Common Nouns"],
+["a1-pdf","a1-pdf-0500","der Sport","sport","","","Common Nouns"],
+["a1-pdf","a1-pdf-0501","der Briefkasten, -ä","mailbox","","","Common Nouns"],
+["a1-pdf","a1-pdf-0635","die Briefmarke, -n","stamp","","","Common Nouns"],
+["a1-pdf","a1-pdf-0636","der Bürger, -","citizen","","","Common Nouns"],
+["a1-pdf","a1-pdf-0637","der Computer, -","computer","","","Common Nouns"],
+["a1-pdf","a1-pdf-0638","der Fehler, -","mistake","","","Common Nouns"],
+["a1-pdf","a1-pdf-0639","die Frage, -n","question","","","Common Nouns"],
+["a1-pdf","a1-pdf-0640","der Gast, -ä, e","guest","","","Common Nouns"],
+["a1-pdf","a1-pdf-0641","der Geburtstag, -e","birthday","","","Common Nouns"],
+["a1-pdf","a1-pdf-0642","das Gespräch, -e","conversation","","","Common Nouns"],
+["a1-pdf","a1-pdf-0643","der Kunde, -n","customer","","","Common Nouns"],
+["a1-pdf","a1-pdf-0644","die Kundin, -nen","customer (female)","","","Common Nouns"],
+["a1-pdf","a1-pdf-0645","die Lösung, -en","solution","","","Common Nouns"],
+["a1-pdf","a1-pdf-0646","der Hund, -e","dog","","","Common Nouns"],
+["a1-pdf","a1-pdf-0647","die Katze, -n","cat","","","Common Nouns"],
+["a1-pdf","a1-pdf-0648","der Kindergarten, -ä","kindergarten","","","Common Nouns"],
+["a1-pdf","a1-pdf-0649","der Koffer, -","suitcase","","","Common Nouns"],
+["a1-pdf","a1-pdf-0650","die Kreditkarte, -n","credit card","","","Common Nouns"],
+["a1-pdf","a1-pdf-0651","die Kreuzung, -en","intersection","","","Common Nouns"],
+["a1-pdf","a1-pdf-0652","die Küche, -n","kitchen","","","Common Nouns"],
+["a1-pdf","a1-pdf-0653","der Kühlschrank, -ä, e","refrigerator","","","Common Nouns"],
+["a1-pdf","a1-pdf-0654","die Lampe, -n","lamp","","","Common Nouns"],
+["a1-pdf","a1-pdf-0655","die Landkarte, -n","map","","","Common Nouns"],
+["a1-pdf","a1-pdf-0656","die Lebensmittel","food/groceries","","","Common Nouns"],
+["a1-pdf","a1-pdf-0657","der Lebenslauf, -ä, e","CV/resume","","","Common Nouns"],
+["a1-pdf","a1-pdf-0502","die Postkarte, -n","postcard","","","Common Nouns"],
+["a1-pdf","a1-pdf-0503","das Paket, -e","package","","","Common Nouns"],
+["a1-pdf","a1-pdf-0504","das Foto, -s","photo","","","Common Nouns"],
+["a1-pdf","a1-pdf-0505","der Abend, -e","evening","","","Common Nouns"],
+["a1-pdf","a1-pdf-0506","der Morgen, -","morning","","","Common Nouns"],
+["a1-pdf","a1-pdf-0507","der Nachmittag, -e","afternoon","","","Common Nouns"],
+["a1-pdf","a1-pdf-0508","die Nacht, -ä, e","night","","","Common Nouns"],
+["a1-pdf","a1-pdf-0509","die Stunde, -n","hour","","","Common Nouns"],
+["a1-pdf","a1-pdf-0510","die Minute, -n","minute","","","Common Nouns"],
+["a1-pdf","a1-pdf-0511","die Sekunde, -n","second","","","Common Nouns"],
+["a1-pdf","a1-pdf-0512","die Woche, -n","week","","","Common Nouns"],
+["a1-pdf","a1-pdf-0513","das Wochenende, -n","weekend","","","Common Nouns"],
+["a1-pdf","a1-pdf-0514","das Jahr, -e","year","","","Common Nouns"],
+["a1-pdf","a1-pdf-0614","abends","in the evening","","","Common Nouns"],
+["a1-pdf","a1-pdf-0515","in","in","","","Prepositions & Particles"],
+["a1-pdf","a1-pdf-0516","im","in the","","","Prepositions & Particles"],
+["a1-pdf","a1-pdf-0517","an","at/on","","","Prepositions & Particles"],
+["a1-pdf","a1-pdf-0518","auf","on/up","","","Prepositions & Particles"],
+["a1-pdf","a1-pdf-0519","aus","from/out","","","Prepositions & Particles"],
+["a1-pdf","a1-pdf-0520","nach","to/after","","","Prepositions & Particles"],
+["a1-pdf","a1-pdf-0521","mit","with","","","Prepositions & Particles"],
+["a1-pdf","a1-pdf-0522","zu","to/too","","","Prepositions & Particles"],
+["a1-pdf","a1-pdf-0523","zur","to the","","","Prepositions & Particles"],
+["a1-pdf","a1-pdf-0524","durch","through","","","Prepositions & Particles"],
+["a1-pdf","a1-pdf-0525","seit","since","","","Prepositions & Particles"],
+["a1-pdf","a1-pdf-0526","ab","from/off","","","Prepositions & Particles"],
+["a1-pdf","a1-pdf-0527","beim","at the","","","Prepositions & Particles"],
+["a1-pdf","a1-pdf-0528","geradeaus","straight ahead","","","Prepositions & Particles"],
+["a1-pdf","a1-pdf-0529","oben","above / up","","","Prepositions & Particles"],
+["a1-pdf","a1-pdf-0530","unten","below / down","","","Prepositions & Particles"],
+["a1-pdf","a1-pdf-0531","vorne","in front","","","Prepositions & Particles"],
+["a1-pdf","a1-pdf-0532","hinten","behind / back","","","Prepositions & Particles"],
+["a2","a2-0001","die Richtung","direction","दिशा","डी रिख्टुंग","Travel & Transport"],
+["a2","a2-0002","die Fußgängerzone","pedestrian zone","पैदल क्षेत्र","डी फूसगेंगरत्सोने","Travel & Transport"],
+["a2","a2-0003","das Fahrrad","bicycle","साइकिल","डास फाराट","Travel & Transport"],
+["a2","a2-0004","der Helm","helmet","हेलमेट","डेयर हेल्म","Travel & Transport"],
+["a2","a2-0005","die Geschwindigkeit","speed","गति","डी गेश्विंडिखकाइट","Travel & Transport"],
+["a2","a2-0006","die Versicherung","insurance","बीमा","डी फेर्ज़िखेरुंग","Travel & Transport"],
+["a2","a2-0007","die Reparatur","repair","मरम्मत","डी रेपारातूर","Travel & Transport"],
+["a2","a2-0008","die Panne","breakdown","खराबी","डी पाने","Travel & Transport"],
+["a2","a2-0009","der Unfall","accident","दुर्घटना","डेयर उनफाल","Travel & Transport"],
+["a2","a2-0010","die Passform","fit","फिटिंग","डी पासफॉर्म","Travel & Transport"],
+["a2","a2-0011","die Fahrt","journey/trip","यात्रा","डी फार्ट","Travel & Transport"],
+["a2","a2-0012","das Fahrrad fahren","to ride a bike","साइकिल चलाना","डास फाराट फारेन","Travel & Transport"],
+["a2","a2-0013","der Flug","flight","उड़ान","डेयर फ्लूग","Travel & Transport"],
+["a2","a2-0014","der Passkontrolle","passport control","पासपोर्ट कंट्रोल","डेयर पासकोंट्रोले","Travel & Transport"],
+["a2","a2-0015","das Gate","gate","गेट","डास गेट","Travel & Transport"],
+["a2","a2-0016","die Landung","landing","लैंडिंग","डी लांडुंग","Travel & Transport"],
+["a2","a2-0017","der Staubsauger","vacuum cleaner","वैक्यूम क्लीनर","डेयर श्टाउबज़ाउगर","Travel & Transport"],
+["a2","a2-0018","entspannen","to relax","आराम करना","एंटश्पानेन","Travel & Transport"],
+["a2","a2-0019","die Reiseplanung","trip planning","यात्रा योजना","डी राइज़ेप्लानुंग","Travel & Transport"],
+["a2","a2-0020","das Hotelzimmer","hotel room","होटल का कमरा","डास होटेलत्सिमर","Travel & Transport"],
+["a2","a2-0021","die Rezeption","reception","रिसेप्शन","डी रेत्सेप्त्सियोन","Travel & Transport"],
+["a2","a2-0022","die Stadtbesichtigung","city tour","शहर का दौरा","डी श्टाटबेज़िख्टिगुंग","Travel & Transport"],
+["a2","a2-0023","der Führer","guide","गाइड","डेयर फ्यूरर","Travel & Transport"],
+["a2","a2-0024","spannend","exciting","रोमांचक","श्पानेन्द","Travel & Transport"],
+["a2","a2-0025","die Touristeninformation","tourist information","पर्यटक सूचना केंद्र","डी टूरिस्टेनइन्फॉर्मात्सियोन","Travel & Transport"],
+["a2","a2-0026","die Zone","zone","क्षेत्र","डी त्सोने","Travel & Transport"],
+["a2","a2-0027","das Ticket","ticket","टिकट","डास टिकेट","Travel & Transport"],
+["a2","a2-0028","die Geschwindigkeitsbegrenzung","speed limit","गति सीमा","डी गेश्विंडिखकाइट्सबेग्रेंट्सुंग","Travel & Transport"],
+["a2","a2-0029","das Verkehrsschild","traffic sign","ट्रैफिक साइन","डास फेरकेर्सशिल्ट","Travel & Transport"],
+["a2","a2-0030","die Vorfahrt","right of way","प्राथमिकता","डी फोरफार्ट","Travel & Transport"],
+["a2","a2-0031","die Einbahnstraße","one-way street","एक तरफा सड़क","डी आइनबानश्ट्रासे","Travel & Transport"],
+["a2","a2-0032","die Umleitung","diversion","डायवर्शन","डी उमलाइटुंग","Travel & Transport"],
+["a2","a2-0033","der Stau","traffic jam","ट्रैफिक जाम","डेयर श्टाउ","Travel & Transport"],
+["a2","a2-0034","die Versicherungskarte","insurance card","बीमा कार्ड","डी फेर्ज़िखेरुंग्सकार्टे","Travel & Transport"],
+["a2","a2-0035","das Zimmer reservieren","to reserve a room","कमरा बुक करना","डास त्सिमर रेज़र्वीरेन","Travel & Transport"],
+["a2","a2-0036","das Einzelzimmer","single room","सिंगल रूम","डास आइन्ट्सेलत्सिमर","Travel & Transport"],
+["a2","a2-0037","das Doppelzimmer","double room","डबल रूम","डास डोपेलत्सिमर","Travel & Transport"],
+["a2","a2-0038","einchecken","to check in","चेक इन करना","आइनचेकन","Travel & Transport"],
+["a2","a2-0039","auschecken","to check out","चेक आउट करना","औसचेकन","Travel & Transport"],
+["a2","a2-0040","die Tour","tour","टूर","डी टूर","Travel & Transport"],
+["a2","a2-0041","das Ticket kaufen","to buy a ticket","टिकट खरीदना","डास टिकेट कौफेन","Travel & Transport"],
+["a2","a2-0042","das Badezimmer","bathroom","बाथरूम","डास बाडेत्सिमर","Travel & Transport"],
+["a2","a2-0043","der Staub","dust","धूल","डेयर श्टाउब","Travel & Transport"],
+["a2","a2-0044","die Stadtmitte","city center","शहर का केंद्र","डी श्टाटमिटे","Travel & Transport"],
+["a2","a2-0045","der Marktplatz","market square","मार्केट चौक","डेयर मार्क्टप्लात्स","Travel & Transport"],
+["a2","a2-0046","der Wochenmarkt","weekly market","साप्ताहिक बाज़ार","डेयर वोखेनमार्क्ट","Travel & Transport"],
+["a2","a2-0047","die Statue","statue","मूर्ति","डी श्टाटूए","Travel & Transport"],
+["a2","a2-0048","der Brunnen","fountain","फव्वारा","डेयर ब्रुनेन","Travel & Transport"],
+["a2","a2-0049","die Landschaft","landscape","प्राकृतिक दृश्य","डी लांडशाफ्ट","Travel & Transport"],
+["a2","a2-0050","der Stadtführer","city guide","शहर गाइड","डेयर श्टाटफ्यूरर","Travel & Transport"],
+["a2","a2-0051","die Orientierung","orientation","दिशा ज्ञान","डी ओरिएंटीरुंग","Travel & Transport"],
+["a2","a2-0052","der Kompass","compass","कंपास","डेयर कोम्पास","Travel & Transport"],
+["a2","a2-0053","die Navigation","navigation","नेविगेशन","डी नाविगात्सियोन","Travel & Transport"],
+["a2","a2-0054","das GPS","GPS","जीपीएस","डास जी पी एस","Travel & Transport"],
+["a2","a2-0055","die Entfernung","distance","दूरी","डी एंटफर्नुंग","Travel & Transport"],
+["a2","a2-0056","die Kilometer","kilometers","किलोमीटर","डी किलोमेटर","Travel & Transport"],
+["a2","a2-0057","die Raststätte","rest stop","रेस्ट स्टॉप","डी रास्टश्टेटे","Travel & Transport"],
+["a2","a2-0058","die Maut","toll","टोल","डी माउट","Travel & Transport"],
+["a2","a2-0059","die Vignette","toll sticker","टोल स्टिकर","डी विग्नेटे","Travel & Transport"],
+["a2","a2-0060","die Grenze","border","सीमा","डी ग्रेंट्से","Travel & Transport"],
+["a2","a2-0061","die Zollkontrolle","customs control","कस्टम कंट्रोल","डी त्सोलकोंट्रोले","Travel & Transport"],
+["a2","a2-0062","der Abflug","departure (flight)","प्रस्थान","डेयर आपफ्लूग","Travel & Transport"],
+["a2","a2-0063","die Ankunft","arrival","आगमन","डी आनकुन्फ्ट","Travel & Transport"],
+["a2","a2-0064","der Führerschein","driving license","ड्राइविंग लाइसेंस","डेयर फ्यूरर्शाइन","Travel & Transport"],
+["a2","a2-0065","der Reisepass","passport","पासपोर्ट","डेयर राइज़ेपास","Travel & Transport"],
+["a2","a2-1179","das Visum","visa","वीज़ा","डास विज़ुम","Travel & Transport"],
+["a2","a2-1180","die Bordkarte","boarding pass","बोर्डिंग पास","डी बोर्डकार्टे","Travel & Transport"],
+["a2","a2-1181","der Zug","train","ट्रेन","डेयर त्सूग","Travel & Transport"],
+["a2","a2-1182","der Bus","bus","बस","डेयर बुस","Travel & Transport"],
+["a2","a2-1183","die Straßenbahn","tram","ट्राम","डी श्ट्रासेनबान","Travel & Transport"],
+["a2","a2-1184","die U-Bahn","subway/metro","मेट्रो","डी उ-बान","Travel & Transport"],
+["a2","a2-1185","das Taxi","taxi","टैक्सी","डास टैक्सी","Travel & Transport"],
+["a2","a2-1186","das Zentrum","center","केंद्र","डास त्सेंट्रम","Travel & Transport"],
+["a2","a2-1187","der Zoll","customs","कस्टम","डेयर त्सोल","Travel & Transport"],
+["a2","a2-0066","das Gepäck","luggage","सामान","डास गेपेक","Travel & Transport"],
+["a2","a2-0067","der Koffer","suitcase","सूटकेस","डेयर कोफर","Travel & Transport"],
+["a2","a2-0068","die Haltestelle","stop (bus/tram)","स्टॉप","डी हाल्टेश्टेले","Travel & Transport"],
+["a2","a2-0069","der Bahnsteig","platform","प्लेटफॉर्म","डेयर बान्श्टाइग","Travel & Transport"],
+["a2","a2-0070","umsteigen","to transfer/change","ट्रांसफर करना","उमश्टाइगेन","Travel & Transport"],
+["a2","a2-0071","die Fahrkarte","train ticket","ट्रेन टिकट","डी फारकार्टे","Travel & Transport"],
+["a2","a2-0072","der Bahnhof","train station","रेलवे स्टेशन","डेयर बानहोफ","Travel & Transport"],
+["a2","a2-0073","die Abfahrt","departure","प्रस्थान","डी आबफार्ट","Travel & Transport"],
+["a2","a2-0074","die Ankunft","arrival","आगमन","डी आनकुंफ्ट","Travel & Transport"],
+["a2","a2-0075","der Fahrplan","timetable/schedule","समय सारणी","डेयर फारप्लान","Travel & Transport"],
+["a2","a2-0076","die Verspätung","delay","देरी","डी फेर्श्पेटुंग","Travel & Transport"],
+["a2","a2-0077","der Flughafen","airport","हवाई अड्डा","डेयर फ्लूगहाफेन","Travel & Transport"],
+["a2","a2-0078","das Gepäck","luggage","सामान","डास गेपेक","Travel & Transport"],
+["a2","a2-0079","der Koffer","suitcase","सूटकेस","डेयर कोफर","Travel & Transport"],
+["a2","a2-0080","die Reise","journey/trip","यात्रा","डी राइज़े","Travel & Transport"],
+["a2","a2-1177","der Rucksack","backpack","बैकपैक","डेयर रुक्साक","Travel & Transport"],
+["a2","a2-1178","die Reisetasche","travel bag","यात्रा बैग","डी राइज़ेटाशे","Travel & Transport"],
+["a2","a2-0081","die Rezept","prescription","प्रिस्क्रिप्शन","डी रेत्सेप्ट","Health & Wellness"],
+["a2","a2-0082","die Kontaktlinse","contact lens","कॉन्टैक्ट लेंस","डी कोंटाक्टलिन्ज़े","Health & Wellness"],
+["a2","a2-0083","der Optiker","optician","ऑप्टिशियन","डेयर ऑप्टिकर","Health & Wellness"],
+["a2","a2-0084","die Zahnarzt","dentist","दंत चिकित्सक","डी त्सानआर्ट्स्ट","Health & Wellness"],
+["a2","a2-0085","die Zahnbürste","toothbrush","टूथब्रश","डी त्सानब्यूर्स्टे","Health & Wellness"],
+["a2","a2-0086","die Zahnpasta","toothpaste","टूथपेस्ट","डी त्सानपास्टा","Health & Wellness"],
+["a2","a2-0087","das Shampoo","shampoo","शैंपू","डास शैम्पू","Health & Wellness"],
+["a2","a2-0088","die Creme","cream","क्रीम","डी क्रेमे","Health & Wellness"],
+["a2","a2-0089","die Kosmetik","cosmetics","कॉस्मेटिक्स","डी कोस्मेटिक","Health & Wellness"],
+["a2","a2-0090","die Drogerie","drugstore","ड्रगस्टोर","डी ड्रोगेरी","Health & Wellness"],
+["a2","a2-0091","das Haar","hair","बाल","डास हार","Health & Wellness"],
+["a2","a2-0092","die Krankmeldung","sick note","बीमारी की सूचना","डी क्रांकमेल्डुंग","Health & Wellness"],
+["a2","a2-0093","der Blutdruck","blood pressure","ब्लड प्रेशर","डेयर ब्लूटड्रुक","Health & Wellness"],
+["a2","a2-0094","die Allergie","allergy","एलर्जी","डी आलेर्गी","Health & Wellness"],
+["a2","a2-1188","die Übelkeit","nausea","मतली","डी यूबेलकाइट","Health & Wellness"],
+["a2","a2-1189","der Schwindel","dizziness","चक्कर","डेयर श्विंडेल","Health & Wellness"],
+["a2","a2-1190","die Müdigkeit","tiredness","थकान","डी म्यूडिखकाइट","Health & Wellness"],
+["a2","a2-1191","der Schmerz","pain","दर्द","डेयर श्मेर्ट्स","Health & Wellness"],
+["a2","a2-1192","die Entzündung","inflammation","सूजन","डी एंटज़ुंडुंग","Health & Wellness"],
+["a2","a2-1193","die Verletzung","injury","चोट","डी फेर्लेट्सुंग","Health & Wellness"],
+["a2","a2-1194","die Genesung","recovery","ठीक होना","डी गेनेज़ुंग","Health & Wellness"],
+["a2","a2-1195","die Notaufnahme","emergency room","आपातकालीन विभाग","डी नोटआउफनाहमे","Health & Wellness"],
+["a2","a2-1196","der Zahn","tooth","दांत","डेयर त्सान","Health & Wellness"],
+["a2","a2-1197","tot","dead","मृत","टोट","Health & Wellness"],
+["a2","a2-0095","die Impfung","vaccination","टीका","डी इम्पफुंग","Health & Wellness"],
+["a2","a2-0096","die Salbe","ointment","मलहम","डी ज़ाल्बे","Health & Wellness"],
+["a2","a2-0097","die Spritze","injection","इंजेक्शन","डी श्प्रित्से","Health & Wellness"],
+["a2","a2-0098","der Bluttest","blood test","ब्लड टेस्ट","डेयर ब्लूटटेस्ट","Health & Wellness"],
+["a2","a2-0099","die Diät","diet","डाइट","डी डीएट","Health & Wellness"],
+["a2","a2-0100","abnehmen","to lose weight","वज़न कम करना","आपनेमेन","Health & Wellness"],
+["a2","a2-0101","zunehmen","to gain weight","वज़न बढ़ना","त्सूनेमेन","Health & Wellness"],
+["a2","a2-0102","gesund essen","to eat healthy","स्वस्थ खाना","गेज़ुंट एसेन","Health & Wellness"],
+["a2","a2-0103","die Entspannung","relaxation","आराम","डी एंटश्पानुंग","Health & Wellness"],
+["a2","a2-0104","der Schlaf","sleep","नींद","डेयर श्लाफ","Health & Wellness"],
+["a2","a2-0105","der Traum","dream","सपना","डेयर ट्राउम","Health & Wellness"],
+["a2","a2-0106","der Albtraum","nightmare","बुरा सपना","डेयर आल्बट्राउम","Health & Wellness"],
+["a2","a2-0107","der Wecker","alarm clock","अलार्म क्लॉक","डेयर वेक्कर","Health & Wellness"],
+["a2","a2-0108","schlafen gehen","to go to sleep","सोने जाना","श्लाफेन गेहन","Health & Wellness"],
+["a2","a2-0109","der Friseur","hairdresser","नाई","डेयर फ्रीज़ॉर","Health & Wellness"],
+["a2","a2-0110","der Fieber","fever","बुखार","डेयर फीबर","Health & Wellness"],
+["a2","a2-0111","die Kopfschmerzen","headache","सिरदर्द","डी कोप्फश्मेर्ट्सेन","Health & Wellness"],
+["a2","a2-0112","die Halsschmerzen","sore throat","गले में दर्द","डी हाल्सश्मेर्ट्सेन","Health & Wellness"],
+["a2","a2-0113","die Magenprobleme","stomach problems","पेट की समस्या","डी मागेनप्रोब्लेमे","Health & Wellness"],
+["a2","a2-0114","der Termin beim Arzt","doctor's appointment","डॉक्टर का अपॉइंटमेंट","डेयर टेर्मीन बाइम आर्ट्स्ट","Health & Wellness"],
+["a2","a2-0115","die Untersuchung","examination","जाँच","डी उन्टेर्ज़ूखुंग","Health & Wellness"],
+["a2","a2-0116","die Krankenkasse","health insurance","स्वास्थ्य बीमा","डी क्रांकेनकासे","Health & Wellness"],
+["a2","a2-0117","die Hygiene","hygiene","स्वच्छता","डी हाइगीने","Health & Wellness"],
+["a2","a2-0118","die Ernährung","nutrition","पोषण","डी एरनेरुंग","Health & Wellness"],
+["a2","a2-0119","ungesund","unhealthy","अस्वस्थ","उनगेज़ुंट","Health & Wellness"],
+["a2","a2-0120","die Vitamine","vitamins","विटामिन","डी फिटामीने","Health & Wellness"],
+["a2","a2-0121","die Bewegung","exercise/movement","व्यायाम","डी बेवेगुंग","Health & Wellness"],
+["a2","a2-0122","der Spaziergang","walk","सैर","डेयर श्पात्सीरगांग","Health & Wellness"],
+["a2","a2-0123","die Meditation","meditation","ध्यान","डी मेडितात्सियोन","Health & Wellness"],
+["a2","a2-0124","die Yoga","yoga","योग","डी योगा","Health & Wellness"],
+["a2","a2-0125","die Massage","massage","मालिश","डी मासाज़े","Health & Wellness"],
+["a2","a2-0126","die Sauna","sauna","सौना","डी ज़ाउना","Health & Wellness"],
+["a2","a2-0127","die Wellness","wellness","वेलनेस","डी वेलनेस","Health & Wellness"],
+["a2","a2-0128","die Maniküre","manicure","मैनिक्योर","डी मानीक्यूरे","Health & Wellness"],
+["a2","a2-0129","die Pediküre","pedicure","पेडीक्योर","डी पेडीक्यूरे","Health & Wellness"],
+["a2","a2-0130","der Friseursalon","hair salon","हेयर सैलून","डेयर फ्रीज़ॉरज़ालोन","Health & Wellness"],
+["a2","a2-0131","der Puls","pulse","नाड़ी","डेयर पुल्स","Health & Wellness"],
+["a2","a2-0132","das Thermometer","thermometer","थर्मामीटर","डास थर्मोमेटर","Health & Wellness"],
+["a2","a2-0133","die Bauchschmerzen","stomach ache","पेट दर्द","डी बाउखश्मेर्ट्सेन","Health & Wellness"],
+["a2","a2-0134","die Medizin nehmen","to take medicine","दवा लेना","डी मेडित्सीन नेमेन","Health & Wellness"],
+["a2","a2-0135","der Notarzt","emergency doctor","इमरजेंसी डॉक्टर","डेयर नोटआर्ट्स्ट","Health & Wellness"],
+["a2","a2-0136","der Krankenwagen","ambulance","एम्बुलेंस","डेयर क्रांकेनवागेन","Health & Wellness"],
+["a2","a2-0137","die Operation","operation","ऑपरेशन","डी ओपरात्सियोन","Health & Wellness"],
+["a2","a2-0138","die Krankenschwester","nurse","नर्स","डी क्रांकेनश्वेस्टर","Health & Wellness"],
+["a2","a2-0139","der Patient","patient","मरीज","डेयर पात्सिएंट","Health & Wellness"],
+["a2","a2-0140","die Patientin","patient (female)","मरीज (महिला)","डी पात्सिएंटिन","Health & Wellness"],
+["a2","a2-0141","gesund leben","to live healthy","स्वस्थ जीवन जीना","गेज़ुंट लेबेन","Health & Wellness"],
+["a2","a2-0142","die Erkältung","cold (illness)","सर्दी","डी एर्केल्टुंग","Health & Wellness"],
+["a2","a2-0143","die Grippe","flu","फ्लू","डी ग्रिपे","Health & Wellness"],
+["a2","a2-0144","der Husten","cough","खांसी","डेयर हुस्टेन","Health & Wellness"],
+["a2","a2-0145","der Schnupfen","runny nose","जुकाम","डेयर श्नुप्फेन","Health & Wellness"],
+["a2","a2-0146","das Pflaster","band-aid","बैंड-एड","डास प्फ्लास्टर","Health & Wellness"],
+["a2","a2-0147","der Verband","bandage","पट्टी","डेयर फेर्बांट","Health & Wellness"],
+["a2","a2-0148","die Tablette","tablet/pill","गोली","डी टाब्लेटे","Health & Wellness"],
+["a2","a2-0149","die Wartezimmer","waiting room","वेटिंग रूम","डी वार्टेत्सिमर","Health & Wellness"],
+["a2","a2-0150","der Röntgen","X-ray","एक्स-रे","डेयर रॉन्टगेन","Health & Wellness"],
+["a2","a2-0151","die Wunde","wound","घाव","डी वुंडे","Health & Wellness"],
+["a2","a2-0152","die Operation","surgery","ऑपरेशन","डी ओपेरात्सियोन","Health & Wellness"],
+["a2","a2-0153","die Behandlung","treatment","उपचार","डी बेहांडलुंग","Health & Wellness"],
+["a2","a2-0154","die Therapie","therapy","चिकित्सा","डी थेरापी","Health & Wellness"],
+["a2","a2-0155","die Diagnose","diagnosis","निदान","डी डीआग्नोज़े","Health & Wellness"],
+["a2","a2-0156","die Symptome","symptoms","लक्षण","डी ज़िम्पटोमे","Health & Wellness"],
+["a2","a2-0157","die Krankenversicherung","health insurance","स्वास्थ्य बीमा","डी क्रान्केनफेर्ज़िखेरुंग","Health & Wellness"],
+["a2","a2-0158","die Apotheke","pharmacy","दवाई की दुकान","डी अपोथेके","Health & Wellness"],
+["a2","a2-0159","die Tablette","pill/tablet","गोली","डी टैबलेटे","Health & Wellness"],
+["a2","a2-0160","die Impfung","vaccination","टीका","डी इम्पफुंग","Health & Wellness"],
+["a2","a2-0161","der Pullover","sweater","स्वेटर","डेयर पुलोवर","Shopping & Fashion"],
+["a2","a2-0162","die Mode","fashion","फैशन","डी मोडे","Shopping & Fashion"],
+["a2","a2-0163","die Reklamation","complaint","शिकायत","डी रेक्लामात्सियोन","Shopping & Fashion"],
+["a2","a2-1200","die Kundenzufriedenheit","customer satisfaction","ग्राहक संतुष्टि","डी कुंडेनत्सूफ्रीडेनहाइट","Shopping & Fashion"],
+["a2","a2-1201","das Angebot","offer","ऑफर","डास आंगेबोट","Shopping & Fashion"],
+["a2","a2-1202","der Gutschein","voucher","वाउचर","डेयर गुटशाइन","Shopping & Fashion"],
+["a2","a2-0164","die Umtausch","exchange","एक्सचेंज","डी उमटाउश","Shopping & Fashion"],
+["a2","a2-0165","die Anprobe","trying on","ट्राय करना","डी आनप्रोबे","Shopping & Fashion"],
+["a2","a2-0166","die Beratung","advice","सलाह","डी बेराटुंग","Shopping & Fashion"],
+["a2","a2-0167","einkaufen gehen","to go shopping","खरीदारी करने जाना","आइनकौफेन गेहन","Shopping & Fashion"],
+["a2","a2-0168","der Moderator","host/presenter","होस्ट","डेयर मोडेराटोर","Shopping & Fashion"],
+["a2","a2-0169","die Reklame","advertisement","विज्ञापन","डी रेकलामे","Shopping & Fashion"],
+["a2","a2-0170","der Ausverkauf","sale","सेल","डेयर औसफेरकौफ","Shopping & Fashion"],
+["a2","a2-0171","die Garantie","warranty","गारंटी","डी गारांटी","Shopping & Fashion"],
+["a2","a2-1198","die Retoure","return","वापसी","डी रेटौरे","Shopping & Fashion"],
+["a2","a2-1199","der Umtausch","exchange","एक्सचेंज","डेयर उमटाउश","Shopping & Fashion"],
+["a2","a2-0172","die Rückgabe","return","वापसी","डी र्यूकगाबे","Shopping & Fashion"],
+["a2","a2-0173","die Kabine","changing room","चेंजिंग रूम","डी काबीने","Shopping & Fashion"],
+["a2","a2-0174","die Kommode","chest of drawers","दराजों वाली अलमारी","डी कोमोडे","Shopping & Fashion"],
+["a2","a2-0175","das Material","material","सामग्री","डास माटेरीआल","Shopping & Fashion"],
+["a2","a2-0176","die Baumwolle","cotton","कपास","डी बाउमवोले","Shopping & Fashion"],
+["a2","a2-0177","die Wolle","wool","ऊन","डी वोले","Shopping & Fashion"],
+["a2","a2-0178","die Leder","leather","चमड़ा","डी लेडर","Shopping & Fashion"],
+["a2","a2-0179","die Stiefel","boots","बूट","डी श्टीफेल","Shopping & Fashion"],
+["a2","a2-0180","die Sandalen","sandals","सैंडल","डी ज़ांडालेन","Shopping & Fashion"],
+["a2","a2-0181","die Turnschuhe","sneakers","स्नीकर्स","डी टुर्नशूहे","Shopping & Fashion"],
+["a2","a2-0182","die Accessoires","accessories","एक्सेसरीज़","डी आक्सेसोआर","Shopping & Fashion"],
+["a2","a2-0183","die Ohrringe","earrings","झुमके","डी ओररिंगे","Shopping & Fashion"],
+["a2","a2-0184","laden","to charge","चार्ज करना","लाडेन","Shopping & Fashion"],
+["a2","a2-0185","die Karte kaufen","to buy a map","नक्शा खरीदना","डी कार्टे कौफेन","Shopping & Fashion"],
+["a2","a2-0186","die Kasse","cash register","कैश काउंटर","डी कासे","Shopping & Fashion"],
+["a2","a2-0187","der Kassenzettel","receipt","रसीद","डेयर कासेनत्सेटल","Shopping & Fashion"],
+["a2","a2-0188","der Rabatt","discount","छूट","डेयर राबाट","Shopping & Fashion"],
+["a2","a2-0189","das Sonderangebot","special offer","स्पेशल ऑफर","डास ज़ोंडरआंगेबोट","Shopping & Fashion"],
+["a2","a2-0190","die Seide","silk","रेशम","डी ज़ाइडे","Shopping & Fashion"],
+["a2","a2-0191","das Hemd","shirt","शर्ट","डास हेमट","Shopping & Fashion"],
+["a2","a2-0192","die Bluse","blouse","ब्लाउज","डी ब्लूज़े","Shopping & Fashion"],
+["a2","a2-0193","die Krawatte","tie","टाई","डी क्रावाटे","Shopping & Fashion"],
+["a2","a2-0194","der Gürtel","belt","बेल्ट","डेयर ग्यूर्टेल","Shopping & Fashion"],
+["a2","a2-0195","die Handtasche","handbag","हैंडबैग","डी हांटताशे","Shopping & Fashion"],
+["a2","a2-0196","die Größe","size","साइज़","डी ग्रोसे","Shopping & Fashion"],
+["a2","a2-0197","passen","to fit","फिट होना","पासेन","Shopping & Fashion"],
+["a2","a2-0198","anprobieren","to try on","ट्राय करना","आनप्रोबीरेन","Shopping & Fashion"],
+["a2","a2-0199","der Preis","price","कीमत","डेयर प्राइस","Shopping & Fashion"],
+["a2","a2-0200","der Rabatt","discount","छूट","डेयर राबाट","Shopping & Fashion"],
+["a2","a2-0201","der Ausverkauf","sale","सेल","डेयर आउसफेर्काउफ","Shopping & Fashion"],
+["a2","a2-0202","die Kasse","cash register","कैश काउंटर","डी कासे","Shopping & Fashion"],
+["a2","a2-0203","bezahlen","to pay","भुगतान करना","बेज़ाहलेन","Shopping & Fashion"],
+["a2","a2-0204","die Rechnung","bill","बिल","डी रेखनुंग","Shopping & Fashion"],
+["a2","a2-0205","der Kassenbon","receipt","रसीद","डेयर कासेनबोन","Shopping & Fashion"],
+["a2","a2-0206","die Umkleidekabine","changing room","चेंजिंग रूम","डी उमक्लाइडेकाबीने","Shopping & Fashion"],
+["a2","a2-0207","die Ware","goods","माल","डी वारे","Shopping & Fashion"],
+["a2","a2-0208","die Qualität","quality","गुणवत्ता","डी क्वालीटेट","Shopping & Fashion"],
+["a2","a2-0209","die Marke","brand","ब्रांड","डी मार्के","Shopping & Fashion"],
+["a2","a2-0210","das Etikett","label","लेबल","डास एटिकेट","Shopping & Fashion"],
+["a2","a2-0211","der Stoff","fabric","कपड़ा","डेयर श्टोफ","Shopping & Fashion"],
+["a2","a2-0212","die Farbe","color","रंग","डी फार्बे","Shopping & Fashion"],
+["a2","a2-0213","das Muster","pattern","पैटर्न","डास मुस्टर","Shopping & Fashion"],
+["a2","a2-0214","der Laden","shop","दुकान","डेयर लाडेन","Shopping & Fashion"],
+["a2","a2-0215","das Geschäft","store","स्टोर","डास गेशाफ्ट","Shopping & Fashion"],
+["a2","a2-0216","die Größe","size","साइज़","डी ग्रोसे","Shopping & Fashion"],
+["a2","a2-0217","die Passform","fit","फिट","डी पासफोर्म","Shopping & Fashion"],
+["a2","a2-0218","die Marke","brand","ब्रांड","डी मार्के","Shopping & Fashion"],
+["a2","a2-0219","der Ausverkauf","sale","सेल","डेयर आउसफेर्काउफ","Shopping & Fashion"],
+["a2","a2-0220","die Kreditkarte","credit card","क्रेडिट कार्ड","डी क्रेडिटकार्टे","Shopping & Fashion"],
+["a2","a2-0221","die Barzahlung","cash payment","नकद भुगतान","डी बारत्सालुंग","Shopping & Fashion"],
+["a2","a2-0222","der Einkaufswagen","shopping cart","शॉपिंग कार्ट","डेयर आइनकाउफ्सवागेन","Shopping & Fashion"],
+["a2","a2-0223","die Qualität","quality","गुणवत्ता","डी क्वालिटेट","Shopping & Fashion"],
+["a2","a2-0224","die Garantie","guarantee","गारंटी","डी गारांटी","Shopping & Fashion"],
+["a2","a2-0225","die Bedienung","service","सेवा","डी बेडीनुंग","Food & Restaurant"],
+["a2","a2-0226","das Mittagessen","lunch","दोपहर का खाना","डास मिटागएसेन","Food & Restaurant"],
+["a2","a2-0227","das Abendessen","dinner","रात का खाना","डास आबेंटएसेन","Food & Restaurant"],
+["a2","a2-0228","das Gemüse","vegetables","सब्ज़ियाँ","डास गेम्यूज़े","Food & Restaurant"],
+["a2","a2-0229","der Kellner","waiter","वेटर","डेयर केल्नर","Food & Restaurant"],
+["a2","a2-0230","die Rechnung bitte","the bill please","बिल प्लीज़","डी रेखनुंग बिटे","Food & Restaurant"],
+["a2","a2-0231","heute Abend","tonight","आज रात","हॉयटे आबेंट","Food & Restaurant"],
+["a2","a2-0232","der Appetit","appetite","भूख","डेयर आपेटीट","Food & Restaurant"],
+["a2","a2-0233","das Hauptgericht","main course","मेन कोर्स","डास हौप्टगेरिख्ट","Food & Restaurant"],
+["a2","a2-0234","das Dessert","dessert","डेज़र्ट","डास डेज़र्ट","Food & Restaurant"],
+["a2","a2-0235","der Nachtisch","dessert","मीठा","डेयर नाख्टिश","Food & Restaurant"],
+["a2","a2-0236","die Kellnerin","waitress","वेट्रेस","डी केल्नेरिन","Food & Restaurant"],
+["a2","a2-0237","das Trinkgeld","tip","टिप","डास ट्रिंकगेल्ट","Food & Restaurant"],
+["a2","a2-0238","der Bäcker","baker","बेकर","डेयर बेकर","Food & Restaurant"],
+["a2","a2-0239","der Metzger","butcher","कसाई","डेयर मेट्सगर","Food & Restaurant"],
+["a2","a2-0240","das Brot","bread","रोटी","डास ब्रोट","Food & Restaurant"],
+["a2","a2-0241","frisch","fresh","ताज़ा","फ्रिश","Food & Restaurant"],
+["a2","a2-0242","das Pfund","pound (weight)","पाउंड","डास प्फुंड","Food & Restaurant"],
+["a2","a2-0243","die Plastiktüte","plastic bag","प्लास्टिक बैग","डी प्लास्टिक्ट्यूटे","Food & Restaurant"],
+["a2","a2-0244","das Frühstücksbuffet","breakfast buffet","नाश्ता बुफे","डास फ्र्यूश्ट्यूक्सबुफेट","Food & Restaurant"],
+["a2","a2-0245","Feierabend machen","to finish work","काम खत्म करना","फायराबेंट माखेन","Food & Restaurant"],
+["a2","a2-0246","Abendessen","dinner","रात का खाना","आबेंटएसेन","Food & Restaurant"],
+["a2","a2-0247","mit Frühstück","with breakfast","नाश्ते सहित","मिट फ्र्यूश्ट्यूक","Food & Restaurant"],
+["a2","a2-0248","satt","full (after eating)","पेट भरा","जाट","Food & Restaurant"],
+["a2","a2-0249","der Geschmack","taste","स्वाद","डेयर गेश्माक","Food & Restaurant"],
+["a2","a2-0250","vegetarisch","vegetarian","शाकाहारी","फेगेटारीश","Food & Restaurant"],
+["a2","a2-0251","vegan","vegan","शुद्ध शाकाहारी","फेगान","Food & Restaurant"],
+["a2","a2-0252","die Kalorie","calorie","कैलोरी","डी कालोरी","Food & Restaurant"],
+["a2","a2-0253","die Plastiktüte verbieten","to ban plastic bags","प्लास्टिक बैग पर प्रतिबंध","डी प्लास्टिक्ट्यूटे फेरबीटेन","Food & Restaurant"],
+["a2","a2-0254","die Temperatur messen","to measure temperature","तापमान नापना","डी टेम्पेरातूर मेसन","Food & Restaurant"],
+["a2","a2-0255","die Vorspeise","appetizer","स्टार्टर","डी फोर्श्पाइज़े","Food & Restaurant"],
+["a2","a2-0256","die Beilage","side dish","साइड डिश","डी बाइलागे","Food & Restaurant"],
+["a2","a2-1204","die Zitrone","lemon","नींबू","डी त्सित्रोने","Food & Restaurant"],
+["a2","a2-1205","der Zucker","sugar","चीनी","डेयर त्सुकर","Food & Restaurant"],
+["a2","a2-1206","die Wurst","sausage","सॉसेज","डी वुर्स्ट","Food & Restaurant"],
+["a2","a2-0257","bestellen","to order","ऑर्डर करना","बेश्टेलन","Food & Restaurant"],
+["a2","a2-0258","reservieren","to reserve","आरक्षित करना","रेज़र्वीरेन","Food & Restaurant"],
+["a2","a2-0259","das Getränk","beverage","पेय","डास गेट्रेंक","Food & Restaurant"],
+["a2","a2-0260","der Löffel","spoon","चम्मच","डेयर लॉफेल","Food & Restaurant"],
+["a2","a2-0261","die Gabel","fork","कांटा","डी गाबेल","Food & Restaurant"],
+["a2","a2-0262","das Messer","knife","चाकू","डास मेसर","Food & Restaurant"],
+["a2","a2-0263","die Serviette","napkin","नैपकिन","डी ज़र्वीएटे","Food & Restaurant"],
+["a2","a2-0264","die Speisekarte","menu","मेन्यू","डी श्पाइज़ेकार्टे","Food & Restaurant"],
+["a2","a2-0265","die Vorspeise","appetizer","स्टार्टर","डी फोर्श्पाइज़े","Food & Restaurant"],
+["a2","a2-0266","die Hauptspeise","main course","मुख्य पकवान","डी हाउप्टश्पाइज़े","Food & Restaurant"],
+["a2","a2-0267","die Nachspeise","dessert","मिठाई","डी नाखश्पाइज़े","Food & Restaurant"],
+["a2","a2-0268","die Beilage","side dish","साइड डिश","डी बाइलागे","Food & Restaurant"],
+["a2","a2-0269","die Zutaten","ingredients","सामग्री","डी ज़ुटाटेन","Food & Restaurant"],
+["a2","a2-0270","das Rezept","recipe","रेसिपी","डास रेज़ेप्ट","Food & Restaurant"],
+["a2","a2-0271","kochen","to cook","पकाना","कोखेन","Food & Restaurant"],
+["a2","a2-0272","backen","to bake","बेक करना","बाकेन","Food & Restaurant"],
+["a2","a2-0273","braten","to fry","तलना","ब्राटेन","Food & Restaurant"],
+["a2","a2-0274","dünsten","to steam","स्टीम करना","ड्यून्स्टेन","Food & Restaurant"],
+["a2","a2-0275","der Geschmack","taste","स्वाद","डेयर गेश्माक","Food & Restaurant"],
+["a2","a2-0276","süß","sweet","मीठा","ज़्यूस","Food & Restaurant"],
+["a2","a2-0277","sauer","sour","खट्टा","ज़ाउर","Food & Restaurant"],
+["a2","a2-0278","salzig","salty","नमकीन","ज़ाल्त्सिख","Food & Restaurant"],
+["a2","a2-0279","bitter","bitter","कड़वा","बिटर","Food & Restaurant"],
+["a2","a2-0280","würzig","spicy","मसालेदार","व्यूर्ट्सिख","Food & Restaurant"],
+["a2","a2-0281","die Küche","kitchen","रसोई","डी क्यूखे","Food & Restaurant"],
+["a2","a2-0282","der Koch","chef","शेफ","डेयर कोख","Food & Restaurant"],
+["a2","a2-0283","die Köchin","chef (female)","महिला शेफ","डी कोखिन","Food & Restaurant"],
+["a2","a2-0284","der Kellner","waiter","वेटर","डेयर केल्नर","Food & Restaurant"],
+["a2","a2-0285","die Speisekarte","menu","मेनू","डी श्पाइज़ेकार्टे","Food & Restaurant"],
+["a2","a2-0286","die Bestellung","order","ऑर्डर","डी बेस्टेलुंग","Food & Restaurant"],
+["a2","a2-0287","die Reservierung","reservation","आरक्षण","डी रेज़ेर्वीरुंग","Food & Restaurant"],
+["a2","a2-0288","die Rechnung","bill/check","बिल","डी रेखनुंग","Food & Restaurant"],
+["a2","a2-1203","das Gericht","dish","डिश","डास गेरिख्ट","Food & Restaurant"],
+["a2","a2-0289","das Trinkgeld","tip","टिप","डास ट्रिंकगेल्ड","Food & Restaurant"],
+["a2","a2-0290","die Zutaten","ingredients","सामग्री","डी त्सूटाटेन","Food & Restaurant"],
+["a2","a2-0291","die Gewürze","spices","मसाले","डी गेव्यूर्त्से","Food & Restaurant"],
+["a2","a2-0292","die Portion","portion","पोर्शन","डी पोर्त्सियोन","Food & Restaurant"],
+["a2","a2-0293","der Geschmack","taste","स्वाद","डेयर गेश्माक","Food & Restaurant"],
+["a2","a2-0294","der Montag","Monday","सोमवार","डेयर मोंटाग","Time & Calendar"],
+["a2","a2-0295","der Dienstag","Tuesday","मंगलवार","डेयर डीन्स्टाग","Time & Calendar"],
+["a2","a2-0296","der Mittwoch","Wednesday","बुधवार","डेयर मिटवोख","Time & Calendar"],
+["a2","a2-0297","der Donnerstag","Thursday","गुरुवार","डेयर डोनेर्स्टाग","Time & Calendar"],
+["a2","a2-0298","der Freitag","Friday","शुक्रवार","डेयर फ्राइटाग","Time & Calendar"],
+["a2","a2-0299","der Samstag","Saturday","शनिवार","डेयर ज़ाम्स्टाग","Time & Calendar"],
+["a2","a2-0300","der Sonntag","Sunday","रविवार","डेयर ज़ोनटाग","Time & Calendar"],
+["a2","a2-0301","der Januar","January","जनवरी","डेयर यानुआर","Time & Calendar"],
+["a2","a2-0302","der Februar","February","फरवरी","डेयर फेब्रुआर","Time & Calendar"],
+["a2","a2-0303","der März","March","मार्च","डेयर मेर्ट्स","Time & Calendar"],
+["a2","a2-0304","der April","April","अप्रैल","डेयर आप्रील","Time & Calendar"],
+["a2","a2-0305","der Mai","May","मई","डेयर माई","Time & Calendar"],
+["a2","a2-0306","der Juni","June","जून","डेयर यूनी","Time & Calendar"],
+["a2","a2-0307","der Juli","July","जुलाई","डेयर यूली","Time & Calendar"],
+["a2","a2-0308","der August","August","अगस्त","डेयर आउगुस्ट","Time & Calendar"],
+["a2","a2-0309","der September","September","सितंबर","डेयर ज़ेप्टेम्बर","Time & Calendar"],
+["a2","a2-0310","der Oktober","October","अक्टूबर","डेयर ओक्टोबर","Time & Calendar"],
+["a2","a2-0311","der November","November","नवंबर","डेयर नोवेम्बर","Time & Calendar"],
+["a2","a2-0312","der Dezember","December","दिसंबर","डेयर डेत्सेम्बर","Time & Calendar"],
+["a2","a2-0313","die Uhrzeit","time (clock)","समय (घड़ी)","डी ऊरत्साइट","Time & Calendar"],
+["a2","a2-0314","Viertel nach","quarter past","सवा","फीर्टेल नाख","Time & Calendar"],
+["a2","a2-0315","Viertel vor","quarter to","पौने","फीर्टेल फोर","Time & Calendar"],
+["a2","a2-0316","die Verzögerung","delay","देरी","डी फेरत्स्योगेरुंग","Time & Calendar"],
+["a2","a2-0317","die Eile","hurry","जल्दबाज़ी","डी आइले","Time & Calendar"],
+["a2","a2-0318","beeilen (sich)","to hurry","जल्दी करना","बेआइलेन (जिख)","Time & Calendar"],
+["a2","a2-0319","die Mailbox","voicemail","वॉइसमेल","डी मेलबॉक्स","Time & Calendar"],
+["a2","a2-0320","die E-Mail schreiben","to write an email","ईमेल लिखना","डी ई मेल श्राइबेन","Time & Calendar"],
+["a2","a2-0321","die Langeweile","boredom","बोरियत","डी लांगवाइल","Time & Calendar"],
+["a2","a2-0322","das Jahrzehnt","decade","दशक","डास यारत्सेंट","Time & Calendar"],
+["a2","a2-0323","das Jahrhundert","century","सदी","डास यारहुंडर्ट","Time & Calendar"],
+["a2","a2-0324","pünktlich","punctual","समय पर","प्यूंक्टलिख","Time & Calendar"],
+["a2","a2-0325","verspätet","late/delayed","देर से","फेर्श्पेटेट","Time & Calendar"],
+["a2","a2-0326","der Zeitplan","schedule","शेड्यूल","डेयर त्साइटप्लान","Time & Calendar"],
+["a2","a2-0327","der Zeitraum","time period","समय अवधि","डेयर त्साइटराउम","Time & Calendar"],
+["a2","a2-1213","die Uhr","clock/watch","घड़ी","डी उहर","Time & Calendar"],
+["a2","a2-1214","zuerst","first","पहले","त्सूएर्स्ट","Time & Calendar"],
+["a2","a2-1215","zuletzt","last","अंत में","त्सूलेत्स्ट","Time & Calendar"],
+["a2","a2-1216","wenigstens","at least","कम से कम","वेनिग्स्टेन्स","Time & Calendar"],
+["a2","a2-1217","zwischen","between","के बीच","त्स्विशेन","Time & Calendar"],
+["a2","a2-1218","zurzeit","currently","वर्तमान में","त्सूरत्साइट","Time & Calendar"],
+["a2","a2-0328","die Frist","deadline","डेडलाइन","डी फ्रिस्ट","Time & Calendar"],
+["a2","a2-0329","dauern","to last/take time","समय लगना","डाउएर्न","Time & Calendar"],
+["a2","a2-0330","die Saison","season","सीज़न","डी ज़ाइज़ोन","Time & Calendar"],
+["a2","a2-0331","regelmäßig","regularly","नियमित","रेगेलमेसिग","Time & Calendar"],
+["a2","a2-0332","die Zeitzone","time zone","समय क्षेत्र","डी त्साइतत्सोने","Time & Calendar"],
+["a2","a2-1207","die Dauer","duration","अवधि","डी डाउर","Time & Calendar"],
+["a2","a2-1208","die Vergangenheit","past","अतीत","डी फेर्गांगेनहाइट","Time & Calendar"],
+["a2","a2-1209","die Gegenwart","present","वर्तमान","डी गेगेनवार्ट","Time & Calendar"],
+["a2","a2-1210","die Zukunft","future","भविष्य","डी त्सूकुंफ्ट","Time & Calendar"],
+["a2","a2-1211","der Zeitpunkt","point in time","समय बिंदु","डेयर त्साइतपुंक्ट","Time & Calendar"],
+["a2","a2-1212","die Jahreszeit","season","मौसम","डी यारेसत्साइट","Time & Calendar"],
+["a2","a2-0333","die Woche","week","सप्ताह","डी वोखे","Time & Calendar"],
+["a2","a2-0334","das Wochenende","weekend","सप्ताहांत","डास वोखेनएंडे","Time & Calendar"],
+["a2","a2-0335","der Monat","month","महीना","डेयर मोनाट","Time & Calendar"],
+["a2","a2-0336","das Jahr","year","साल","डास यार","Time & Calendar"],
+["a2","a2-0337","der Geburtstag","birthday","जन्मदिन","डेयर गेबुर्ट्सटाग","Time & Calendar"],
+["a2","a2-0338","der Feiertag","holiday","छुट्टी का दिन","डेयर फाइरटाग","Time & Calendar"],
+["a2","a2-0339","die Pause","break","ब्रेक","डी पाउज़े","Time & Calendar"],
+["a2","a2-0340","die Stunde","hour","घंटा","डी श्टुंडे","Time & Calendar"],
+["a2","a2-0341","die Minute","minute","मिनट","डी मिनूटे","Time & Calendar"],
+["a2","a2-0342","die Sekunde","second","सेकंड","डी सेकुंडे","Time & Calendar"],
+["a2","a2-0343","die Uhrzeit","time (clock time)","समय","डी उहरत्साइट","Time & Calendar"],
+["a2","a2-0344","die Zeitspanne","time period","समय अवधि","डी त्साइतश्पाने","Time & Calendar"],
+["a2","a2-0345","die Pause","break","ब्रेक","डी पाउज़े","Time & Calendar"],
+["a2","a2-0346","die Verabredung","appointment","अपॉइंटमेंट","डी फेराब्रेडुंग","Time & Calendar"],
+["a2","a2-0347","der Termin","date/appointment","तारीख","डेयर टेर्मिन","Time & Calendar"],
+["a2","a2-0348","die Frist","deadline","समय सीमा","डी फ्रिस्ट","Time & Calendar"],
+["a2","a2-0349","die Verspätung","delay","देरी","डी फेर्श्पेटुंग","Time & Calendar"],
+["a2","a2-0350","die Erinnerung","memory/reminder","याददाश्त","डी एरिनेरुंग","Time & Calendar"],
+["a2","a2-0351","der Kalender","calendar","कैलेंडर","डेयर कालेंडर","Time & Calendar"],
+["a2","a2-0352","die Woche","week","सप्ताह","डी वोखे","Time & Calendar"],
+["a2","a2-0353","das Meeting","meeting","मीटिंग","डास मीटिंग","Work & Career"],
+["a2","a2-0354","der Chef","boss","बॉस","डेयर शेफ","Work & Career"],
+["a2","a2-0355","die Chefin","boss (female)","बॉस (महिला)","डी शेफिन","Work & Career"],
+["a2","a2-0356","die Überstunden","overtime","ओवरटाइम","डी यूबरश्टुंडेन","Work & Career"],
+["a2","a2-0357","die Besprechung","meeting/discussion","बैठक","डी बेश्प्रेखुंग","Work & Career"],
+["a2","a2-1222","der Beruf","profession","पेशा","डेयर बेरूफ","Work & Career"],
+["a2","a2-1223","die Stelle","position/job","पद","डी श्टेले","Work & Career"],
+["a2","a2-1224","die Firma","company","कंपनी","डी फिर्मा","Work & Career"],
+["a2","a2-1225","der Arbeitsplatz","workplace","कार्यस्थल","डेयर आर्बाइट्सप्लात्स","Work & Career"],
+["a2","a2-1226","die Arbeitszeit","working hours","कार्य समय","डी आर्बाइट्सत्साइट","Work & Career"],
+["a2","a2-1227","die Werkstatt","workshop/garage","कार्यशाला/गैराज","डी वेर्कश्टाट","Work & Career"],
+["a2","a2-1228","das Ziel","goal/target","लक्ष्य/गोल","डास त्सील","Work & Career"],
+["a2","a2-0358","zur Arbeit gehen","to go to work","काम पर जाना","त्सूर आर्बाइट गेहन","Work & Career"],
+["a2","a2-0359","der Kollege","colleague (male)","सहकर्मी (पुरुष)","डेयर कोलेगे","Work & Career"],
+["a2","a2-1219","die Kollegin","colleague (female)","सहकर्मी (महिला)","डी कोलेगिन","Work & Career"],
+["a2","a2-1220","die Abteilung","department","विभाग","डी आपटाइलुंग","Work & Career"],
+["a2","a2-1221","die Aufgabe","task","कार्य","डी आउफगाबे","Work & Career"],
+["a2","a2-0360","das Team","team","टीम","डास टीम","Work & Career"],
+["a2","a2-0361","das Projekt","project","प्रोजेक्ट","डास प्रोजेक्ट","Work & Career"],
+["a2","a2-0362","die Deadline","deadline","अंतिम तिथि","डी डेडलाइन","Work & Career"],
+["a2","a2-0363","die Konferenz","conference","कॉन्फ्रेंस","डी कोंफेरेंट्स","Work & Career"],
+["a2","a2-0364","die Präsentation","presentation","प्रेजेंटेशन","डी प्रेज़ेंटात्सियोन","Work & Career"],
+["a2","a2-0365","die Folie","slide","स्लाइड","डी फोली","Work & Career"],
+["a2","a2-0366","die Kündigung","termination","नौकरी छोड़ना","डी क्यूंडिगुंग","Work & Career"],
+["a2","a2-0367","die Vollzeit","full-time","पूर्णकालिक","डी फोलत्साइट","Work & Career"],
+["a2","a2-0368","die Vollzeitstelle","full-time job","पूर्णकालिक नौकरी","डी फोलत्साइटश्टेले","Work & Career"],
+["a2","a2-0369","die Teilzeitstelle","part-time job","पार्ट टाइम नौकरी","डी टाइलत्साइटश्टेले","Work & Career"],
+["a2","a2-0370","die Ausbildung","apprenticeship/training","प्रशिक्षण","डी आउस्बिल्डुंग","Work & Career"],
+["a2","a2-0371","der Azubi","apprentice","प्रशिक्षु","डेयर आत्सूबी","Work & Career"],
+["a2","a2-0372","die Karriere","career","करियर","डी कारिएरे","Work & Career"],
+["a2","a2-0373","die Beförderung","promotion","पदोन्नति","डी बेफ्योर्डेरुंग","Work & Career"],
+["a2","a2-0374","die Arbeitslosigkeit","unemployment","बेरोजगारी","डी आर्बाइट्स्लोज़िखकाइट","Work & Career"],
+["a2","a2-0375","das Arbeitsamt","employment office","रोजगार कार्यालय","डास आर्बाइट्सआम्ट","Work & Career"],
+["a2","a2-0376","die Rente","pension/retirement","पेंशन","डी रेंटे","Work & Career"],
+["a2","a2-0377","der Rentner","retiree (male)","पेंशनभोगी","डेयर रेंटनर","Work & Career"],
+["a2","a2-0378","die Rentnerin","retiree (female)","पेंशनभोगी (महिला)","डी रेंटनेरिन","Work & Career"],
+["a2","a2-0379","die Bewerbung","application","आवेदन","डी बेवर्बुंग","Work & Career"],
+["a2","a2-0380","der Lebenslauf","CV/resume","रिज़्यूमे","डेयर लेबेन्सलाउफ","Work & Career"],
+["a2","a2-0381","das Vorstellungsgespräch","job interview","इंटरव्यू","डास फोर्श्टेलुंग्सगेश्प्रेख","Work & Career"],
+["a2","a2-0382","die Kündigung","resignation/termination","इस्तीफा","डी क्यूंडिगुंग","Work & Career"],
+["a2","a2-0383","die Erfahrung","experience","अनुभव","डी एर्फारुंग","Work & Career"],
+["a2","a2-0384","die Qualifikation","qualification","योग्यता","डी क्वालिफिकात्सियोन","Work & Career"],
+["a2","a2-0385","der Vertrag","contract","कॉन्ट्रैक्ट","डेयर फेर्ट्राग","Work & Career"],
+["a2","a2-0386","das Gehalt","salary","वेतन","डास गेहाल्ट","Work & Career"],
+["a2","a2-0387","der Urlaub","vacation","छुट्टी","डेयर उर्लाउब","Work & Career"],
+["a2","a2-0388","die Überstunde","overtime","ओवरटाइम","डी यूबरश्टुंडे","Work & Career"],
+["a2","a2-0389","die Hausaufgaben","homework","होमवर्क","डी हाउसऔफगाबेन","Education & Learning"],
+["a2","a2-0390","das Fach","subject","विषय","डास फाख","Education & Learning"],
+["a2","a2-0391","der Lehrer","teacher (male)","शिक्षक","डेयर लेरेर","Education & Learning"],
+["a2","a2-0392","die Lehrerin","teacher (female)","शिक्षिका","डी लेरेरिन","Education & Learning"],
+["a2","a2-0393","der Schüler","pupil (male)","छात्र","डेयर श्यूलर","Education & Learning"],
+["a2","a2-0394","die Schülerin","pupil (female)","छात्रा","डी श्यूलेरिन","Education & Learning"],
+["a2","a2-0395","der Sport treiben","to do sports","खेल करना","डेयर श्पोर्ट ट्राइबेन","Education & Learning"],
+["a2","a2-0396","die Schule beginnen","school starts","स्कूल शुरू होना","डी शुले बेगिनेन्न","Education & Learning"],
+["a2","a2-0397","die Eins","grade 1 (best)","पहला नंबर","डी आइंस","Education & Learning"],
+["a2","a2-0398","die Sechs","grade 6 (worst)","फेल","डी जेख्स","Education & Learning"],
+["a2","a2-0399","die Vokabel","vocabulary word","शब्द","डी फोकाबेल","Education & Learning"],
+["a2","a2-0400","die Aufgabe lösen","to solve the task","कार्य हल करना","डी औफगाबे ल्योसेन","Education & Learning"],
+["a2","a2-0401","die Mathematik","mathematics","गणित","डी माटेमाटिक","Education & Learning"],
+["a2","a2-0402","die Deutschstunde","German lesson","जर्मन की क्लास","डी डॉयचश्टुंडे","Education & Learning"],
+["a2","a2-0403","die Englischstunde","English lesson","अंग्रेजी की क्लास","डी एंग्लिशश्टुंडे","Education & Learning"],
+["a2","a2-0404","das Wörterbuch","dictionary","शब्दकोश","डास वोर्टरबूख","Education & Learning"],
+["a2","a2-0405","die Korrektur","correction","सुधार","डी कोरेक्टूर","Education & Learning"],
+["a2","a2-0406","der Ordner","folder","फ़ोल्डर","डेयर ओर्डनर","Education & Learning"],
+["a2","a2-0407","die Biologie","biology","जीव विज्ञान","डी बियोलोगी","Education & Learning"],
+["a2","a2-0408","die Physik","physics","भौतिकी","डी फिज़िक","Education & Learning"],
+["a2","a2-0409","die Chemie","chemistry","रसायन विज्ञान","डी केमी","Education & Learning"],
+["a2","a2-0410","die Geografie","geography","भूगोल","डी गेओग्राफी","Education & Learning"],
+["a2","a2-0411","die Kunst","art","कला","डी कुंस्ट","Education & Learning"],
+["a2","a2-0412","der Sport","sports","खेल","डेयर श्पोर्ट","Education & Learning"],
+["a2","a2-0413","der Kleber","glue","गोंद","डेयर क्लेबर","Education & Learning"],
+["a2","a2-0414","die Mappe","folder","फोल्डर","डी मापे","Education & Learning"],
+["a2","a2-0415","der Ranzen","school bag","स्कूल बैग","डेयर रांत्सेन","Education & Learning"],
+["a2","a2-0416","die Kreide","chalk","चॉक","डी क्राइडे","Education & Learning"],
+["a2","a2-0417","der Student","student (male)","छात्र (विश्वविद्यालय)","डेयर श्टूडेंट","Education & Learning"],
+["a2","a2-0418","die Studentin","student (female)","छात्रा (विश्वविद्यालय)","डी श्टूडेंटिन","Education & Learning"],
+["a2","a2-0419","die Vorlesung","lecture","व्याख्यान","डी फोरलेज़ुंग","Education & Learning"],
+["a2","a2-0420","das Seminar","seminar","सेमिनार","डास ज़ेमिनार","Education & Learning"],
+["a2","a2-0421","das Studentenwohnheim","student dormitory","छात्रावास","डास श्टूडेंटेनवोनहाइम","Education & Learning"],
+["a2","a2-0422","die Prüfungsvorbereitung","exam preparation","परीक्षा तैयारी","डी प्र्यूफुंग्सफोरबेराइटुंग","Education & Learning"],
+["a2","a2-0423","der Stundenplan","timetable","समय-सारणी","डेयर श्टुंडेनप्लान","Education & Learning"],
+["a2","a2-0424","die Kantine","canteen","कैंटीन","डी कांटीने","Education & Learning"],
+["a2","a2-0425","der Sportunterricht","PE lesson","शारीरिक शिक्षा","डेयर श्पोर्टउंटेरिख्ट","Education & Learning"],
+["a2","a2-0426","die Turnhalle","gymnasium","जिम्नेजियम","डी टुर्नहाले","Education & Learning"],
+["a2","a2-0427","der Aufsatz","essay","निबंध","डेयर आउफज़ात्स","Education & Learning"],
+["a2","a2-0428","das Referat","presentation","प्रेजेंटेशन","डास रेफेरात","Education & Learning"],
+["a2","a2-0429","der Stoff","subject material","विषय सामग्री","डेयर श्टॉफ","Education & Learning"],
+["a2","a2-0430","der Lernstoff","study material","पाठ्यक्रम","डेयर लेर्नश्टॉफ","Education & Learning"],
+["a2","a2-0431","der Abschluss","degree/graduation","डिग्री","डेयर आपश्लुस","Education & Learning"],
+["a2","a2-0432","das Stipendium","scholarship","छात्रवृत्ति","डास श्टिपेंडियुम","Education & Learning"],
+["a2","a2-0433","der Nachhilfe","tutoring","ट्यूशन","डेयर नाखहिल्फे","Education & Learning"],
+["a2","a2-0434","wiederholen","to repeat/review","दोहराना","वीडरहोलेन","Education & Learning"],
+["a2","a2-0435","bestehen","to pass (exam)","पास होना","बेश्टेहेन","Education & Learning"],
+["a2","a2-0436","durchfallen","to fail (exam)","फेल होना","डुर्खफालेन","Education & Learning"],
+["a2","a2-0437","die Hausaufgabe","homework","होमवर्क","डी हाउसआउफगाबे","Education & Learning"],
+["a2","a2-0438","die Klausur","exam","परीक्षा","डी क्लाउज़ूर","Education & Learning"],
+["a2","a2-0439","die Bibliothek","library","पुस्तकालय","डी बिब्लियोथेक","Education & Learning"],
+["a2","a2-0440","der Vortrag","lecture","व्याख्यान","डेयर फोर्ट्राग","Education & Learning"],
+["a2","a2-0441","die Vorlesung","class/lecture","क्लास","डी फोर्लेज़ुंग","Education & Learning"],
+["a2","a2-0442","der Dozent","lecturer","प्रोफेसर","डेयर डोत्सेंट","Education & Learning"],
+["a2","a2-0443","die Fakultät","faculty","संकाय","डी फाकुल्टेट","Education & Learning"],
+["a2","a2-0444","das Semester","semester","सेमेस्टर","डास सेमेस्टर","Education & Learning"],
+["a2","a2-0445","die Einschreibung","enrollment","नामांकन","डी आइनश्राइबुंग","Education & Learning"],
+["a2","a2-1229","die Universität","university","विश्वविद्यालय","डी उनिवेर्सिटेट","Education & Learning"],
+["a2","a2-1230","die Hochschule","college","कॉलेज","डी होखशुले","Education & Learning"],
+["a2","a2-1231","die Note","grade","ग्रेड","डी नोटे","Education & Learning"],
+["a2","a2-1232","die Prüfung","exam/test","परीक्षा","डी प्र्यूफुंग","Education & Learning"],
+["a2","a2-1233","das Zeugnis","certificate","प्रमाणपत्र","डास त्सॉयग्निस","Education & Learning"],
+["a2","a2-1234","die Schulbildung","education","शिक्षा","डी शुलबिल्डुंग","Education & Learning"],
+["a2","a2-1235","das Studium","studies","अध्ययन","डास श्टूडियुम","Education & Learning"],
+["a2","a2-1236","lernen","to learn","सीखना","लेर्नेन","Education & Learning"],
+["a2","a2-1237","studieren","to study","पढ़ाई करना","श्टूडीरेन","Education & Learning"],
+["a2","a2-1238","der Workshop","workshop","कार्यशाला","डेयर वर्कशॉप","Education & Learning"],
+["a2","a2-0446","das Bad","bathroom","बाथरूम","डास बाट","Home & Household"],
+["a2","a2-0447","das Sofa","sofa","सोफा","डास ज़ोफा","Home & Household"],
+["a2","a2-0448","bügeln","to iron","इस्त्री करना","ब्यूगेल्न","Home & Household"],
+["a2","a2-0449","der Geschirrspüler","dishwasher","डिशवॉशर","डेयर गेशिरश्प्यूलर","Home & Household"],
+["a2","a2-0450","die Nachbarschaft","neighborhood","पड़ोस","डी नाखबारशाफ्ट","Home & Household"],
+["a2","a2-0451","ins Bett gehen","to go to bed","सोने जाना","इन्स बेट गेहन","Home & Household"],
+["a2","a2-0452","das Bettzeug","bedding","बिस्तर का सामान","डास बेटत्सॉयग","Home & Household"],
+["a2","a2-0453","das Laken","sheet","चादर","डास लाकेन","Home & Household"],
+["a2","a2-0454","der Nachttisch","bedside table","बेडसाइड टेबल","डेयर नाख्टिश","Home & Household"],
+["a2","a2-0455","die Stehlampe","floor lamp","फ्लोर लैंप","डी श्टेहलाम्पे","Home & Household"],
+["a2","a2-0456","die Tischlampe","table lamp","टेबल लैंप","डी टिशलाम्पे","Home & Household"],
+["a2","a2-0457","die Gardine","curtain (net)","पर्दा (जाली वाला)","डी गार्डीने","Home & Household"],
+["a2","a2-0458","die Heizung","heating","हीटिंग","डी हाइट्सुंग","Home & Household"],
+["a2","a2-0459","die Klimaanlage","air conditioning","एयर कंडीशनिंग","डी क्लीमाआनलागे","Home & Household"],
+["a2","a2-0460","der Besen","broom","झाड़ू","डेयर बेज़ेन","Home & Household"],
+["a2","a2-0461","der Lappen","cloth","कपड़ा","डेयर लापेन","Home & Household"],
+["a2","a2-0462","der Eimer","bucket","बाल्टी","डेयर आइमर","Home & Household"],
+["a2","a2-0463","das Putzmittel","cleaning product","सफाई का सामान","डास पुट्समिटेल","Home & Household"],
+["a2","a2-0464","die Mülltonne","trash bin","कचरा डिब्बा","डी म्यूलटोने","Home & Household"],
+["a2","a2-0465","die Waage","scales","तराज़ू","डी वागे","Home & Household"],
+["a2","a2-0466","das Gewicht","weight","वज़न","डास गेविख्ट","Home & Household"],
+["a2","a2-0467","der Keller","basement","तहखाना","डेयर केलर","Home & Household"],
+["a2","a2-0468","der Dachboden","attic","अटारी","डेयर डाखबोडेन","Home & Household"],
+["a2","a2-0469","die Treppe","stairs","सीढ़ियाँ","डी ट्रेपे","Home & Household"],
+["a2","a2-0470","der Aufzug","elevator","लिफ्ट","डेयर आउफ्त्सूग","Home & Household"],
+["a2","a2-0471","die Heizung","heating","हीटिंग","डी हाइत्सुंग","Home & Household"],
+["a2","a2-0472","die Klimaanlage","air conditioning","एसी","डी क्लीमाआनलागे","Home & Household"],
+["a2","a2-0473","das Bügeleisen","iron","प्रेस","डास ब्यूगेलाइज़ेन","Home & Household"],
+["a2","a2-0474","der Stecker","plug","प्लग","डेयर श्टेकर","Home & Household"],
+["a2","a2-0475","die Steckdose","socket","सॉकेट","डी श्टेकडोज़े","Home & Household"],
+["a2","a2-0476","der Vorhang","curtain","पर्दा","डेयर फोरहांग","Home & Household"],
+["a2","a2-0477","die Decke","ceiling/blanket","छत/कंबल","डी डेके","Home & Household"],
+["a2","a2-0478","der Boden","floor","फर्श","डेयर बोडेन","Home & Household"],
+["a2","a2-0479","die Wand","wall","दीवार","डी वांट","Home & Household"],
+["a2","a2-0480","die Steckdose","power outlet","प्लग","डी श्टेकडोज़े","Home & Household"],
+["a2","a2-0481","der Schalter","switch","स्विच","डेयर शाल्टर","Home & Household"],
+["a2","a2-0482","die Glühbirne","light bulb","बल्ब","डी ग्ल्यूहबिर्ने","Home & Household"],
+["a2","a2-0483","der Schlüssel","key","चाबी","डेयर श्ल्यूसेल","Home & Household"],
+["a2","a2-0484","das Schloss","lock","ताला","डास श्लोस","Home & Household"],
+["a2","a2-0485","die Hausarbeit","housework","घरेलू काम","डी हाउसआर्बाइट","Home & Household"],
+["a2","a2-0486","die Heizung","heating","हीटिंग","डी हाइत्सुंग","Home & Household"],
+["a2","a2-0487","die Klimaanlage","air conditioning","एयर कंडीशनर","डी क्लीमाआनलागे","Home & Household"],
+["a2","a2-0488","der Balkon","balcony","बालकनी","डेयर बाल्कोन","Home & Household"],
+["a2","a2-0489","die Terrasse","terrace","टेरेस","डी टेरासे","Home & Household"],
+["a2","a2-0490","der Keller","basement","तहखाना","डेयर केलर","Home & Household"],
+["a2","a2-0491","die Garage","garage","गैरेज","डी गाराजे","Home & Household"],
+["a2","a2-0492","der Garten","garden","बगीचा","डेयर गार्टेन","Home & Household"],
+["a2","a2-0493","die Miete","rent","किराया","डी मीटे","Home & Household"],
+["a2","a2-0494","die Nebenkosten","utilities","अतिरिक्त खर्च","डी नेबेनकोस्टेन","Home & Household"],
+["a2","a2-1239","das Wohnzimmer","living room","बैठक","डास वोहनत्सिमर","Home & Household"],
+["a2","a2-0495","die Umwelt","environment","पर्यावरण","डी उमवेल्ट","Environment & Nature"],
+["a2","a2-0496","der Müll","rubbish/garbage","कचरा","डेयर म्यूल","Environment & Nature"],
+["a2","a2-0497","recyceln","to recycle","रीसाइकल करना","रिसाइकेल्न","Environment & Nature"],
+["a2","a2-0498","die Mülltrennung","waste separation","कचरा अलग करना","डी म्यूलट्रेनुंग","Environment & Nature"],
+["a2","a2-0499","die Energie","energy","ऊर्जा","डी एनर्गी","Environment & Nature"],
+["a2","a2-0500","der Umweltschutz","environmental protection","पर्यावरण संरक्षण","डेयर उमवेल्टशुट्स","Environment & Nature"],
+["a2","a2-0501","die Umweltverschmutzung","environmental pollution","पर्यावरण प्रदूषण","डी उमवेल्टफेरश्मुत्सुंग","Environment & Nature"],
+["a2","a2-0502","der Klimawandel","climate change","जलवायु परिवर्तन","डेयर क्लीमावांडेल","Environment & Nature"],
+["a2","a2-0503","das Plastik","plastic","प्लास्टिक","डास प्लास्टिक","Environment & Nature"],
+["a2","a2-0504","der Papier","paper","कागज़","डेयर पापीर","Environment & Nature"],
+["a2","a2-0505","der Bio-Müll","organic waste","जैविक कचरा","डेयर बीओ म्यूल","Environment & Nature"],
+["a2","a2-0506","die Papierkorb","waste paper basket","कागज़ की टोकरी","डी पापीरकोर्ब","Environment & Nature"],
+["a2","a2-0507","die Recyclingtonne","recycling bin","रीसाइक्लिंग डिब्बा","डी रिसाइक्लिंगटोने","Environment & Nature"],
+["a2","a2-0508","die Erderwärmung","global warming","वैश्विक तापन","डी एर्डेरवर्मुंग","Environment & Nature"],
+["a2","a2-0509","das CO2","CO2","सीओ2","डास त्से ओ त्स्वाई","Environment & Nature"],
+["a2","a2-0510","die Luftverschmutzung","air pollution","वायु प्रदूषण","डी लुफ्टफेरश्मुत्सुंग","Environment & Nature"],
+["a2","a2-0511","die Energie sparen","to save energy","ऊर्जा बचाना","डी एनर्गी श्पारेन","Environment & Nature"],
+["a2","a2-0512","das Solarenergie","solar energy","सौर ऊर्जा","डास ज़ोलारएनर्गी","Environment & Nature"],
+["a2","a2-0513","die Windenergie","wind energy","पवन ऊर्जा","डी विंटएनर्गी","Environment & Nature"],
+["a2","a2-0514","schützen","to protect","संरक्षण करना","श्युट्सेन","Environment & Nature"],
+["a2","a2-0515","die Verschmutzung","pollution","प्रदूषण","डी फेरश्मुत्सुंग","Environment & Nature"],
+["a2","a2-0516","die Solarenergie","solar energy","सौर ऊर्जा","डी ज़ोलारएनर्गी","Environment & Nature"],
+["a2","a2-0517","die Erneuerbare Energie","renewable energy","नवीकरणीय ऊर्जा","डी एर्नॉयरबारे एनर्गी","Environment & Nature"],
+["a2","a2-0518","der Klimaschutz","climate protection","जलवायु संरक्षण","डेयर क्लीमाशुट्स","Environment & Nature"],
+["a2","a2-0519","die Nachhaltigkeit","sustainability","स्थिरता","डी नाखहाल्टिखकाइट","Environment & Nature"],
+["a2","a2-0520","die Luftballons","balloons","गुब्बारे","डी लुफ्टबालोन्स","Environment & Nature"],
+["a2","a2-0521","der Windpark","wind farm","पवन ऊर्जा पार्क","डेयर विंटपार्क","Environment & Nature"],
+["a2","a2-0522","die Solaranlage","solar system","सौर प्रणाली","डी ज़ोलारआनलागे","Environment & Nature"],
+["a2","a2-0523","das Gewitter","thunderstorm","तूफान","डास गेविटर","Environment & Nature"],
+["a2","a2-0524","der Regenbogen","rainbow","इंद्रधनुष","डेयर रेगेनबोगेन","Environment & Nature"],
+["a2","a2-0525","der Nebel","fog","कोहरा","डेयर नेबेल","Environment & Nature"],
+["a2","a2-0526","die Überschwemmung","flood","बाढ़","डी यूबरश्वेमुंग","Environment & Nature"],
+["a2","a2-0527","das Erdbeben","earthquake","भूकंप","डास एर्टबेबेन","Environment & Nature"],
+["a2","a2-0528","der Wald","forest","जंगल","डेयर वाल्ट","Environment & Nature"],
+["a2","a2-0529","der Bach","stream","नाला","डेयर बाख","Environment & Nature"],
+["a2","a2-0530","der Hügel","hill","पहाड़ी","डेयर ह्यूगेल","Environment & Nature"],
+["a2","a2-0531","das Tal","valley","घाटी","डास टाल","Environment & Nature"],
+["a2","a2-0532","die Wiese","meadow","घास का मैदान","डी वीज़े","Environment & Nature"],
+["a2","a2-0533","der Wald","forest","जंगल","डेयर वाल्ट","Environment & Nature"],
+["a2","a2-0534","der Baum","tree","पेड़","डेयर बाउम","Environment & Nature"],
+["a2","a2-0535","die Blume","flower","फूल","डी ब्लूमे","Environment & Nature"],
+["a2","a2-0536","der See","lake","झील","डेयर ज़े","Environment & Nature"],
+["a2","a2-0537","der Berg","mountain","पहाड़","डेयर बेर्ग","Environment & Nature"],
+["a2","a2-0538","die Wüste","desert","रेगिस्तान","डी व्यूस्टे","Environment & Nature"],
+["a2","a2-0539","die Insel","island","द्वीप","डी इन्सेल","Environment & Nature"],
+["a2","a2-0540","die Küste","coast","तट","डी क्यूस्टे","Environment & Nature"],
+["a2","a2-0541","der Strand","beach","समुद्र तट","डेयर श्ट्रांट","Environment & Nature"],
+["a2","a2-0542","die Freizeit","free time","खाली समय","डी फ्राइट्साइट","Hobbies & Leisure"],
+["a2","a2-0543","das Hobby","hobby","शौक","डास होबी","Hobbies & Leisure"],
+["a2","a2-0544","der Fußball","football/soccer","फुटबॉल","डेयर फूसबाल","Hobbies & Leisure"],
+["a2","a2-0545","das Tennis","tennis","टेनिस","डास टेनिस","Hobbies & Leisure"],
+["a2","a2-0546","schwimmen gehen","to go swimming","तैराकी करने जाना","श्विमेन गेहन","Hobbies & Leisure"],
+["a2","a2-0547","der Film","film/movie","फिल्म","डेयर फिल्म","Hobbies & Leisure"],
+["a2","a2-0548","die Zeitung lesen","to read the newspaper","अखबार पढ़ना","डी त्साइटुंग लेसेन","Hobbies & Leisure"],
+["a2","a2-0549","das Buch lesen","to read a book","किताब पढ़ना","डास बूख लेसेन","Hobbies & Leisure"],
+["a2","a2-0550","der Roman","novel","उपन्यास","डेयर रोमान","Hobbies & Leisure"],
+["a2","a2-0551","die Musik hören","to listen to music","संगीत सुनना","डी मूज़ीक ह्योरेन","Hobbies & Leisure"],
+["a2","a2-0552","die Tanzmusik","dance music","नाच की संगीत","डी टान्त्समूज़ीक","Hobbies & Leisure"],
+["a2","a2-0553","die Freizeitaktivität","leisure activity","खाली समय की गतिविधि","डी फ्राइट्साइटआक्टिफिटेट","Hobbies & Leisure"],
+["a2","a2-0554","joggen","to jog","जॉगिंग करना","योगेन","Hobbies & Leisure"],
+["a2","a2-0555","wandern","to hike","हाइकिंग करना","वांडर्न","Hobbies & Leisure"],
+["a2","a2-0556","der Autor","author","लेखक","डेयर आउटोर","Hobbies & Leisure"],
+["a2","a2-0557","der Schauspieler","actor","अभिनेता","डेयर शौश्पीलर","Hobbies & Leisure"],
+["a2","a2-0558","die Schauspielerin","actress","अभिनेत्री","डी शौश्पीलेरिन","Hobbies & Leisure"],
+["a2","a2-0559","spielen (Instrument)","to play (instrument)","बजाना","श्पीलेन","Hobbies & Leisure"],
+["a2","a2-0560","die Autorin","author (female)","लेखिका","डी आउटोरिन","Hobbies & Leisure"],
+["a2","a2-0561","die Schaukel","swing","झूला","डी शौकेल","Hobbies & Leisure"],
+["a2","a2-0562","die Rutsche","slide","स्लाइड","डी रुशे","Hobbies & Leisure"],
+["a2","a2-0563","das Karussell","carousel","मेरी गो राउंड","डास कारूसेल","Hobbies & Leisure"],
+["a2","a2-0564","das Training","training","ट्रेनिंग","डास ट्रेनिंग","Hobbies & Leisure"],
+["a2","a2-0565","die Mannschaft","team","टीम","डी मानशाफ्ट","Hobbies & Leisure"],
+["a2","a2-0566","der Trainer","coach","कोच","डेयर ट्रेनर","Hobbies & Leisure"],
+["a2","a2-0567","das Spiel","game","खेल","डास श्पील","Hobbies & Leisure"],
+["a2","a2-0568","gewinnen","to win","जीतना","गेविनेन्न","Hobbies & Leisure"],
+["a2","a2-0569","das Tor","goal","गोल","डास टोर","Hobbies & Leisure"],
+["a2","a2-0570","der Schiedsrichter","referee","रेफरी","डेयर शीड्सरिख्टर","Hobbies & Leisure"],
+["a2","a2-0571","das Picknick","picnic","पिकनिक","डास पिकनिक","Hobbies & Leisure"],
+["a2","a2-0572","die Grillparty","barbecue party","बारबेक्यू पार्टी","डी ग्रिलपार्टी","Hobbies & Leisure"],
+["a2","a2-0573","die Hobbys","hobbies","शौक","डी होबीज़","Hobbies & Leisure"],
+["a2","a2-0574","die Gitarre spielen","to play guitar","गिटार बजाना","डी गिटारे श्पीलेन","Hobbies & Leisure"],
+["a2","a2-0575","das Klavier spielen","to play piano","पियानो बजाना","डास क्लावियर श्पीलेन","Hobbies & Leisure"],
+["a2","a2-0576","der Ausflug","excursion","पिकनिक","डेयर आउसफ्लूग","Hobbies & Leisure"],
+["a2","a2-0577","wandern","to hike","पैदल यात्रा","वांडर्न","Hobbies & Leisure"],
+["a2","a2-0578","klettern","to climb","चढ़ना","क्लेटर्न","Hobbies & Leisure"],
+["a2","a2-0579","angeln","to fish","मछली पकड़ना","आंगेल्न","Hobbies & Leisure"],
+["a2","a2-0580","sammeln","to collect","इकट्ठा करना","ज़ामेल्न","Hobbies & Leisure"],
+["a2","a2-0581","das Schach","chess","शतरंज","डास शाख","Hobbies & Leisure"],
+["a2","a2-0582","das Brettspiel","board game","बोर्ड गेम","डास ब्रेटश्पील","Hobbies & Leisure"],
+["a2","a2-0583","stricken","to knit","बुनाई","श्ट्रिकेन","Hobbies & Leisure"],
+["a2","a2-0584","nähen","to sew","सिलाई","नेहेन","Hobbies & Leisure"],
+["a2","a2-0585","basteln","to do crafts","हस्तशिल्प","बास्टेल्न","Hobbies & Leisure"],
+["a2","a2-1240","das Zelt","tent","तंबू","डास त्सेल्ट","Hobbies & Leisure"],
+["a2","a2-1241","der Zirkus","circus","सर्कस","डेयर त्सिर्कुस","Hobbies & Leisure"],
+["a2","a2-0586","die Freude","joy","खुशी","डी फ्रॉयडे","Feelings & Emotions"],
+["a2","a2-0587","die Stimmung","mood/atmosphere","माहौल","डी श्टिमुंग","Feelings & Emotions"],
+["a2","a2-0588","die Traurigkeit","sadness","उदासी","डी ट्राउरिखकाइट","Feelings & Emotions"],
+["a2","a2-0589","die Wut","anger","गुस्सा","डी वूट","Feelings & Emotions"],
+["a2","a2-0590","die Überraschung","surprise","आश्चर्य","डी यूबरराशुंग","Feelings & Emotions"],
+["a2","a2-0591","der Hass","hate","नफरत","डेयर हास","Feelings & Emotions"],
+["a2","a2-0592","die Eifersucht","jealousy","ईर्ष्या","डी आइफेर्ज़ुख्ट","Feelings & Emotions"],
+["a2","a2-0593","die Hoffnung","hope","उम्मीद","डी होफ्नुंग","Feelings & Emotions"],
+["a2","a2-0594","die Enttäuschung","disappointment","निराशा","डी एंटटॉयशुंग","Feelings & Emotions"],
+["a2","a2-0595","die Laune","mood","मूड","डी लाउने","Feelings & Emotions"],
+["a2","a2-0596","gute Laune","good mood","अच्छा मूड","गूटे लाउने","Feelings & Emotions"],
+["a2","a2-0597","schlechte Laune","bad mood","खराब मूड","श्लेख्टे लाउने","Feelings & Emotions"],
+["a2","a2-0598","der Streit","argument","झगड़ा","डेयर श्ट्राइट","Feelings & Emotions"],
+["a2","a2-0599","sich streiten","to argue","झगड़ा करना","जिख श्ट्राइटेन","Feelings & Emotions"],
+["a2","a2-0600","sich versöhnen","to make up","सुलह करना","जिख फेरज़्योनेन","Feelings & Emotions"],
+["a2","a2-0601","die Aufregung","excitement","उत्तेजना","डी आउफ्रेगुंग","Feelings & Emotions"],
+["a2","a2-0602","die Zufriedenheit","satisfaction","संतुष्टि","डी त्सूफ्रीडेनहाइट","Feelings & Emotions"],
+["a2","a2-0603","nervös","nervous","घबराया हुआ","नेर्फ्योस","Feelings & Emotions"],
+["a2","a2-0604","besorgt","worried","चिंतित","बेज़ोर्ग्ट","Feelings & Emotions"],
+["a2","a2-0605","erleichtert","relieved","राहत महसूस","एर्लाइख्टर्ट","Feelings & Emotions"],
+["a2","a2-0606","stolz","proud","गर्व","श्टोल्त्स","Feelings & Emotions"],
+["a2","a2-0607","peinlich","embarrassing","शर्मनाक","पाइनलिख","Feelings & Emotions"],
+["a2","a2-0608","dankbar","grateful","कृतज्ञ","डांकबार","Feelings & Emotions"],
+["a2","a2-0609","einsam","lonely","अकेला","आइनज़ाम","Feelings & Emotions"],
+["a2","a2-0610","verzweifelt","desperate","निराश","फेर्त्स्वाइफेल्ट","Feelings & Emotions"],
+["a2","a2-0611","die Begeisterung","enthusiasm","उत्साह","डी बेगाइश्टेरुंग","Feelings & Emotions"],
+["a2","a2-0612","die Enttäuschung","disappointment","निराशा","डी एंटटॉयशुंग","Feelings & Emotions"],
+["a2","a2-0613","die Überraschung","surprise","आश्चर्य","डी उबेरराशुंग","Feelings & Emotions"],
+["a2","a2-0614","die Erleichterung","relief","राहत","डी एर्लाइख्टेरुंग","Feelings & Emotions"],
+["a2","a2-0615","die Dankbarkeit","gratitude","कृतज्ञता","डी डांकबार्काइट","Feelings & Emotions"],
+["a2","a2-0616","die Hoffnung","hope","आशा","डी होफनुंग","Feelings & Emotions"],
+["a2","a2-0617","die Sorge","worry","चिंता","डी ज़ोर्गे","Feelings & Emotions"],
+["a2","a2-0618","die Neugier","curiosity","जिज्ञासा","डी नॉयगीर","Feelings & Emotions"],
+["a2","a2-0619","die Langeweile","boredom","उबाऊ","डी लांगेवाइले","Feelings & Emotions"],
+["a2","a2-0620","die Aufregung","excitement","उत्तेजना","डी औफरेगुंग","Feelings & Emotions"],
+["a2","a2-0621","die Ruhe","calm","शांति","डी रूहे","Feelings & Emotions"],
+["a2","a2-0622","die Erwartung","expectation","उम्मीद","डी एर्वार्टुंग","Feelings & Emotions"],
+["a2","a2-0623","die Zufriedenheit","satisfaction","संतुष्टि","डी त्सूफ्रीडेनहाइट","Feelings & Emotions"],
+["a2","a2-0624","die Unsicherheit","uncertainty","अनिश्चितता","डी उनसिखेरहाइट","Feelings & Emotions"],
+["a2","a2-0625","die Sehnsucht","longing","तड़प","डी सेहनसुख्ट","Feelings & Emotions"],
+["a2","a2-0626","die Begeisterung","enthusiasm","उत्साह","डी बेगाइस्टेरुंग","Feelings & Emotions"],
+["a2","a2-0627","die Enttäuschung","disappointment","निराशा","डी एंटटॉयशुंग","Feelings & Emotions"],
+["a2","a2-0628","die Überraschung","surprise","आश्चर्य","डी यूबरराशुंग","Feelings & Emotions"],
+["a2","a2-0629","die Erleichterung","relief","राहत","डी एर्लाइख्टेरुंग","Feelings & Emotions"],
+["a2","a2-0630","die Nervosität","nervousness","घबराहट","डी नेर्वोसिटेट","Feelings & Emotions"],
+["a2","a2-0631","die Gelassenheit","calmness","शांति","डी गेलासेनहाइट","Feelings & Emotions"],
+["a2","a2-0632","die Frustration","frustration","निराशा","डी फ्रुस्ट्रात्सियोन","Feelings & Emotions"],
+["a2","a2-0633","die Erwartung","expectation","अपेक्षा","डी एर्वार्टुंग","Feelings & Emotions"],
+["a2","a2-0634","die Entspannung","relaxation","आराम","डी एंटश्पानुंग","Feelings & Emotions"],
+["a2","a2-1242","wünschen","to wish","इच्छा करना","व्यूंशेन","Feelings & Emotions"],
+["a2","a2-1243","wunderbar","wonderful","शानदार","वुंडरबार","Feelings & Emotions"],
+["a2","a2-1244","wirklich","really","वास्तव में","विर्क्लिख","Feelings & Emotions"],
+["a2","a2-1245","witzig","funny","मजेदार","वित्सिख","Feelings & Emotions"],
+["a2","a2-1246","der Witz","joke","चुटकुला","डेयर विट्स","Feelings & Emotions"],
+["a2","a2-0635","die Verwandte","relative (f)","रिश्तेदार (महिला)","डी फेरवांटे","Family & Relationships"],
+["a2","a2-0636","der Verwandte","relative (m)","रिश्तेदार (पुरुष)","डेयर फेरवांटे","Family & Relationships"],
+["a2","a2-0637","die Schwiegermutter","mother-in-law","सास","डी श्वीगरमुटर","Family & Relationships"],
+["a2","a2-0638","der Schwiegervater","father-in-law","ससुर","डेयर श्वीगरफाटर","Family & Relationships"],
+["a2","a2-0639","verlobt","engaged","सगाई किया हुआ","फेरलोब्ट","Family & Relationships"],
+["a2","a2-0640","die Datei","file","फ़ाइल","डी डाटाई","Family & Relationships"],
+["a2","a2-0641","die Trennung","separation","अलग होना","डी ट्रेनुंग","Family & Relationships"],
+["a2","a2-0642","die Scheidung","divorce","तलाक","डी शाइडुंग","Family & Relationships"],
+["a2","a2-0643","die Beziehung","relationship","रिश्ता","डी बेत्सीउंग","Family & Relationships"],
+["a2","a2-0644","das Date","date","डेट","डास डेट","Family & Relationships"],
+["a2","a2-0645","verabreden (sich)","to arrange to meet","मुलाकात तय करना","फेराब्रेडेन (जिख)","Family & Relationships"],
+["a2","a2-0646","verliebt sein","to be in love","प्यार में होना","फेरलीब्ट ज़ाइन","Family & Relationships"],
+["a2","a2-0647","die Entscheidung","decision","निर्णय","डी एंटशाइडुंग","Family & Relationships"],
+["a2","a2-0648","die Freundschaft","friendship","दोस्ती","डी फ्रॉयंटशाफ्ट","Family & Relationships"],
+["a2","a2-0649","der Kontakt","contact","संपर्क","डेयर कोंटाक्ट","Family & Relationships"],
+["a2","a2-0650","der Cousin","cousin (m)","चचेरा भाई","डेयर कूज़िन","Family & Relationships"],
+["a2","a2-0651","die Cousine","cousin (f)","चचेरी बहन","डी कूज़ीने","Family & Relationships"],
+["a2","a2-0652","der Neffe","nephew","भांजा/भतीजा","डेयर नेफे","Family & Relationships"],
+["a2","a2-0653","die Nichte","niece","भांजी/भतीजी","डी निख्टे","Family & Relationships"],
+["a2","a2-0654","die Schwägerin","sister-in-law","ननद/भाभी","डी श्वेगेरिन","Family & Relationships"],
+["a2","a2-0655","der Schwager","brother-in-law","जीजा/देवर","डेयर श्वागर","Family & Relationships"],
+["a2","a2-0656","der Ehemann","husband","पति","डेयर एहेमान","Family & Relationships"],
+["a2","a2-0657","die Ehefrau","wife","पत्नी","डी एहेफ्राउ","Family & Relationships"],
+["a2","a2-0658","der Zwilling","twin","जुड़वां","डेयर त्स्विलिंग","Family & Relationships"],
+["a2","a2-0659","erziehen","to raise (children)","पालन-पोषण","एर्त्सीहेन","Family & Relationships"],
+["a2","a2-0660","der Enkel","grandson","पोता","डेयर एंकेल","Family & Relationships"],
+["a2","a2-0661","die Enkelin","granddaughter","पोती","डी एंकेलिन","Family & Relationships"],
+["a2","a2-0662","der Schwager","brother-in-law","साला/जीजा","डेयर श्वागर","Family & Relationships"],
+["a2","a2-0663","die Schwägerin","sister-in-law","साली/ननद","डी श्वेगेरिन","Family & Relationships"],
+["a2","a2-0664","der Schwiegersohn","son-in-law","दामाद","डेयर श्वीगरसोहन","Family & Relationships"],
+["a2","a2-0665","die Schwiegertochter","daughter-in-law","बहू","डी श्वीगरटोख्टर","Family & Relationships"],
+["a2","a2-0666","der Stiefvater","stepfather","सौतेले पिता","डेयर श्टीफफाटर","Family & Relationships"],
+["a2","a2-0667","die Stiefmutter","stepmother","सौतेली माँ","डी श्टीफमुटर","Family & Relationships"],
+["a2","a2-0668","der Stiefsohn","stepson","सौतेला बेटा","डेयर श्टीफसोहन","Family & Relationships"],
+["a2","a2-0669","die Stieftochter","stepdaughter","सौतेली बेटी","डी श्टीफटोख्टर","Family & Relationships"],
+["a2","a2-0670","der Verwandte","relative","रिश्तेदार","डेयर फेर्वांटे","Family & Relationships"],
+["a2","a2-0671","die Verwandtschaft","family/relatives","रिश्तेदारी","डी फेर्वांटशाफ्ट","Family & Relationships"],
+["a2","a2-0672","die Beziehung","relationship","रिश्ता","डी बेत्सीउंग","Family & Relationships"],
+["a2","a2-0673","die Freundschaft","friendship","दोस्ती","डी फ्रॉयंडशाफ्ट","Family & Relationships"],
+["a2","a2-0674","die Ehe","marriage","शादी","डी एहे","Family & Relationships"],
+["a2","a2-0675","die Partnerschaft","partnership","साझेदारी","डी पार्टनरशाफ्ट","Family & Relationships"],
+["a2","a2-0676","die Verlobung","engagement","सगाई","डी फेर्लोबुंग","Family & Relationships"],
+["a2","a2-0677","die Scheidung","divorce","तलाक","डी शाइडुंग","Family & Relationships"],
+["a2","a2-0678","die Nachbarschaft","neighborhood","पड़ोस","डी नाखबारशाफ्ट","Family & Relationships"],
+["a2","a2-0679","der Nachbar","neighbor","पड़ोसी","डेयर नाखबार","Family & Relationships"],
+["a2","a2-0680","die Kollegin","colleague (female)","सहकर्मी (महिला)","डी कोलेगिन","Family & Relationships"],
+["a2","a2-0681","die Bekanntschaft","acquaintance","परिचय","डी बेकान्तशाफ्ट","Family & Relationships"],
+["a2","a2-0682","die Verwandtschaft","family relationship","रिश्तेदारी","डी फेर्वांटशाफ्ट","Family & Relationships"],
+["a2","a2-0683","die Beziehung","relationship","संबंध","डी बेत्सीउंग","Family & Relationships"],
+["a2","a2-0684","die Postkarte schicken","to send a postcard","पोस्टकार्ड भेजना","डी पोस्टकार्टे शिकेन","Celebrations & Events"],
+["a2","a2-0685","alles Gute zum Geburtstag","happy birthday","जन्मदिन मुबारक","आलेस गूटे त्सुम गेबुर्ट्सटाग","Celebrations & Events"],
+["a2","a2-0686","auspacken","to unwrap","खोलना (उपहार)","औसपाकेन","Celebrations & Events"],
+["a2","a2-0687","ausblasen","to blow out","बुझाना (मोमबत्ती)","औसब्लाज़ेन","Celebrations & Events"],
+["a2","a2-0688","der Weihnachten","Christmas","क्रिसमस","डेयर वाइनाख्टेन","Celebrations & Events"],
+["a2","a2-0689","das Ostern","Easter","ईस्टर","डास ओस्टर्न","Celebrations & Events"],
+["a2","a2-0690","die Veranstaltung","event","कार्यक्रम","डी फेरान्श्टाल्टुंग","Celebrations & Events"],
+["a2","a2-0691","die Feiertag","public holiday","सार्वजनिक छुट्टी","डी फायरटाग","Celebrations & Events"],
+["a2","a2-0692","das Neujahr","New Year","नया साल","डास नॉययार","Celebrations & Events"],
+["a2","a2-0693","die Silvester","New Year's Eve","नए साल की पूर्व संध्या","डी ज़िल्वेस्टर","Celebrations & Events"],
+["a2","a2-0694","die Vorsätze","New Year's resolutions","नए साल के संकल्प","डी फोरज़ेत्से","Celebrations & Events"],
+["a2","a2-0695","die Karneval","carnival","कार्निवल","डी कार्नेफाल","Celebrations & Events"],
+["a2","a2-0696","das Kostüm","costume","वेशभूषा","डास कोस्ट्यूम","Celebrations & Events"],
+["a2","a2-0697","die Maske","mask","मुखौटा","डी मास्के","Celebrations & Events"],
+["a2","a2-0698","die Parade","parade","परेड","डी पाराडे","Celebrations & Events"],
+["a2","a2-0699","die Gäste","guests","मेहमान","डी गेस्टे","Celebrations & Events"],
+["a2","a2-0700","die Übernachtung","overnight stay","रात रुकना","डी यूबरनाख्टुंग","Celebrations & Events"],
+["a2","a2-0701","die Tanzfläche","dance floor","डांस फ्लोर","डी टान्त्सफ्लेखे","Celebrations & Events"],
+["a2","a2-0702","die Geschenke","gifts","उपहार","डी गेशेंके","Celebrations & Events"],
+["a2","a2-0703","der Geburtstagswunsch","birthday wish","जन्मदिन की शुभकामना","डेयर गेबुर्ट्सटाग्सवुंश","Celebrations & Events"],
+["a2","a2-0704","die Glückwunschkarte","congratulation card","बधाई कार्ड","डी ग्ल्यूकवुंशकार्टे","Celebrations & Events"],
+["a2","a2-0705","die Karte schicken","to send a card","कार्ड भेजना","डी कार्टे शिकेन","Celebrations & Events"],
+["a2","a2-0706","der Jahrestag","anniversary","सालगिरह","डेयर यारेस्टाग","Celebrations & Events"],
+["a2","a2-0707","die Feier","celebration","उत्सव","डी फाइर","Celebrations & Events"],
+["a2","a2-0708","der Brauch","custom","रिवाज","डेयर ब्राउख","Celebrations & Events"],
+["a2","a2-0709","der Karneval","carnival","कार्निवल","डेयर कार्नेवाल","Celebrations & Events"],
+["a2","a2-0710","die Dekoration","decoration","सजावट","डी डेकोरात्सियोन","Celebrations & Events"],
+["a2","a2-0711","die Einladung","invitation","निमंत्रण","डी आइनलाडुंग","Celebrations & Events"],
+["a2","a2-0712","einladen","to invite","आमंत्रित करना","आइनलाडेन","Celebrations & Events"],
+["a2","a2-0713","der Gast","guest","मेहमान","डेयर गास्ट","Celebrations & Events"],
+["a2","a2-0714","das Feuerwerk","fireworks","आतिशबाजी","डास फॉयरवेर्क","Celebrations & Events"],
+["a2","a2-0715","der Luftballon","balloon","गुब्बारा","डेयर लुफ्टबालोन","Celebrations & Events"],
+["a2","a2-0716","die Hochzeit","wedding","शादी","डी होखत्साइट","Celebrations & Events"],
+["a2","a2-0717","die Trauung","wedding ceremony","विवाह समारोह","डी ट्राउंग","Celebrations & Events"],
+["a2","a2-0718","die Taufe","baptism","बपतिस्मा","डी टाउफे","Celebrations & Events"],
+["a2","a2-0719","die Beerdigung","funeral","अंतिम संस्कार","डी बेएर्डिगुंग","Celebrations & Events"],
+["a2","a2-0720","die Einweihung","inauguration","उद्घाटन","डी आइनवाइहुंग","Celebrations & Events"],
+["a2","a2-0721","die Eröffnung","opening","उद्घाटन","डी एरोफनुंग","Celebrations & Events"],
+["a2","a2-0722","die Abschlussfeier","graduation ceremony","समापन समारोह","डी आपश्लुसफाइर","Celebrations & Events"],
+["a2","a2-0723","die Feierlichkeit","celebration/ceremony","उत्सव","डी फाइरलिखकाइट","Celebrations & Events"],
+["a2","a2-0724","die Veranstaltung","event","कार्यक्रम","डी फेरांश्टाल्टुंग","Celebrations & Events"],
+["a2","a2-0725","die Auskunft","information","जानकारी","डी औसकुंफ्ट","Communication & Technology"],
+["a2","a2-0726","die Information","information","जानकारी","डी इन्फॉर्मात्सियोन","Communication & Technology"],
+["a2","a2-0727","die Qualität","quality","गुणवत्ता","डी क्वालितेट","Communication & Technology"],
+["a2","a2-0728","speichern","to save","सेव करना","श्पाइखर्न","Communication & Technology"],
+["a2","a2-0729","die Website","website","वेबसाइट","डी वेबज़ाइटे","Communication & Technology"],
+["a2","a2-0730","surfen im Internet","to surf the internet","इंटरनेट सर्फ करना","ज़ूर्फेन इम इंटरनेट","Communication & Technology"],
+["a2","a2-0731","die Nummer wählen","to dial the number","नंबर डायल करना","डी नुमर वेलेन","Communication & Technology"],
+["a2","a2-0732","das Gespräch","conversation (phone)","बातचीत","डास गेश्प्रेख","Communication & Technology"],
+["a2","a2-0733","die Anlage","attachment","अटैचमेंट","डी आनलागे","Communication & Technology"],
+["a2","a2-0734","das Fax","fax","फैक्स","डास फैक्स","Communication & Technology"],
+["a2","a2-0735","die Kopie","copy","कॉपी","डी कोपी","Communication & Technology"],
+["a2","a2-0736","die Akte","file/folder","फ़ाइल","डी आक्टे","Communication & Technology"],
+["a2","a2-0737","die PIN-Nummer","PIN number","पिन नंबर","डी पिन नुमर","Communication & Technology"],
+["a2","a2-0738","die Postfiliale","post office branch","डाकघर शाखा","डी पोस्टफिलियाले","Communication & Technology"],
+["a2","a2-0739","die Postleitzahl","postal code","पिन कोड","डी पोस्टलाइट्साल","Communication & Technology"],
+["a2","a2-0740","die Batterie","battery","बैटरी","डी बाटेरी","Communication & Technology"],
+["a2","a2-0741","das Selfie","selfie","सेल्फी","डास ज़ेल्फी","Communication & Technology"],
+["a2","a2-0742","die Social Media","social media","सोशल मीडिया","डी ज़ोत्सियाल मेडिया","Communication & Technology"],
+["a2","a2-0743","der Post","post","पोस्ट","डेयर पोस्ट","Communication & Technology"],
+["a2","a2-0744","der Like","like","लाइक","डेयर लाइक","Communication & Technology"],
+["a2","a2-0745","der Kommentar","comment","कमेंट","डेयर कोमेंटार","Communication & Technology"],
+["a2","a2-0746","der Freundesliste","friends list","फ्रेंड्स लिस्ट","डेयर फ्रॉयंडेसलिस्टे","Communication & Technology"],
+["a2","a2-0747","die App","app","ऐप","डी एप","Communication & Technology"],
+["a2","a2-0748","herunterladen","to download","डाउनलोड करना","हेरुंटरलाडेन","Communication & Technology"],
+["a2","a2-0749","hochladen","to upload","अपलोड करना","होखलाडेन","Communication & Technology"],
+["a2","a2-0750","der Bildschirm","screen","स्क्रीन","डेयर बिल्डशिर्म","Communication & Technology"],
+["a2","a2-0751","die Tastatur","keyboard","कीबोर्ड","डी टास्टातूर","Communication & Technology"],
+["a2","a2-0752","die Maus","mouse","माउस","डी माउस","Communication & Technology"],
+["a2","a2-0753","der Drucker","printer","प्रिंटर","डेयर ड्रुकर","Communication & Technology"],
+["a2","a2-0754","drucken","to print","प्रिंट करना","ड्रुकेन","Communication & Technology"],
+["a2","a2-0755","speichern","to save","सेव करना","श्पाइखर्न","Communication & Technology"],
+["a2","a2-0756","löschen","to delete","डिलीट करना","ल्योशेन","Communication & Technology"],
+["a2","a2-1247","das Smartphone","smartphone","स्मार्टफोन","डास स्मार्टफोन","Communication & Technology"],
+["a2","a2-1248","das Tablet","tablet","टैबलेट","डास टैबलेट","Communication & Technology"],
+["a2","a2-1249","der Computer","computer","कंप्यूटर","डेयर कंप्यूटर","Communication & Technology"],
+["a2","a2-1250","der Laptop","laptop","लैपटॉप","डेयर लैपटॉप","Communication & Technology"],
+["a2","a2-1251","das Internet","internet","इंटरनेट","डास इंटरनेट","Communication & Technology"],
+["a2","a2-1252","die E-Mail","email","ईमेल","डी ई-मेल","Communication & Technology"],
+["a2","a2-1253","die Nachricht","message","संदेश","डी नाखरिख्ट","Communication & Technology"],
+["a2","a2-1254","die SMS","SMS","एसएमएस","डी एसएमएस","Communication & Technology"],
+["a2","a2-1255","anrufen","to call","कॉल करना","आनरूफेन","Communication & Technology"],
+["a2","a2-1256","das Telefon","telephone","टेलीफोन","डास टेलेफोन","Communication & Technology"],
+["a2","a2-1257","das Handy","mobile phone","मोबाइल","डास हांडी","Communication & Technology"],
+["a2","a2-1258","die Kamera","camera","कैमरा","डी कैमरा","Communication & Technology"],
+["a2","a2-1259","das Foto","photo","फोटो","डास फोटो","Communication & Technology"],
+["a2","a2-1260","fotografieren","to take a photo","फोटो खींचना","फोटोग्राफीरेन","Communication & Technology"],
+["a2","a2-1261","die Verbindung","connection","कनेक्शन","डी फेर्बिंडुंग","Communication & Technology"],
+["a2","a2-1262","das WLAN","WiFi","वाई-फाई","डास वी-लान","Communication & Technology"],
+["a2","a2-1263","das Passwort","password","पासवर्ड","डास पासवोर्ट","Communication & Technology"],
+["a2","a2-1264","der Benutzer","user","उपयोगकर्ता","डेयर बेनुत्सर","Communication & Technology"],
+["a2","a2-1265","zeigen","to show","दिखाना","त्साइगेन","Communication & Technology"],
+["a2","a2-1266","die Vorwahl","area code","एरिया कोड","डी फोर्वाल","Communication & Technology"],
+["a2","a2-1267","das Wiederhören","goodbye (on phone)","फोन पर अलविदा","डास वीडरहोरेन","Communication & Technology"],
+["a2","a2-1268","zuhören","to listen","सुनना","त्सूहोरेन","Communication & Technology"],
+["a2","a2-0757","die Bordkarte","boarding pass","बोर्डिंग पास","डी बोर्डकार्टे","Banking & Finance"],
+["a2","a2-0758","das Geldautomat","ATM","एटीएम","डास गेल्टऔटोमाट","Banking & Finance"],
+["a2","a2-0759","abheben","to withdraw money","पैसे निकालना","आपहेबेन","Banking & Finance"],
+["a2","a2-0760","einzahlen","to deposit money","पैसे जमा करना","आइनत्सालेन","Banking & Finance"],
+["a2","a2-0761","das Konto","account","खाता","डास कोंटो","Banking & Finance"],
+["a2","a2-0762","das Sparkonto","savings account","बचत खाता","डास श्पारकोंटो","Banking & Finance"],
+["a2","a2-0763","die Überweisung","bank transfer","ट्रांसफर","डी यूबरवाइज़ुंग","Banking & Finance"],
+["a2","a2-0764","die Bankkarte","bank card","बैंक कार्ड","डी बैंककार्टे","Banking & Finance"],
+["a2","a2-0765","die PIN","PIN","पिन","डी पिन","Banking & Finance"],
+["a2","a2-0766","das Bargeld","cash","नकद","डास बारगेल्ट","Banking & Finance"],
+["a2","a2-0767","das Geld abheben","to withdraw money","पैसे निकालना","डास गेल्ट आपहेबेन","Banking & Finance"],
+["a2","a2-0768","das Geld einzahlen","to deposit money","पैसे जमा करना","डास गेल्ट आइनत्सालेन","Banking & Finance"],
+["a2","a2-0769","der Zinsen","interest","ब्याज","डेयर त्सिन्सेन","Banking & Finance"],
+["a2","a2-0770","die Rechnung bezahlen","to pay the bill","बिल चुकाना","डी रेखनुंग बेत्सालेन","Banking & Finance"],
+["a2","a2-0771","die Bankfiliale","bank branch","बैंक शाखा","डी बैंकफिलियाले","Banking & Finance"],
+["a2","a2-0772","die Bank (im Park)","bench","बेंच","डी बैंक","Banking & Finance"],
+["a2","a2-0773","der Kredit","loan","लोन","डेयर क्रेडिट","Banking & Finance"],
+["a2","a2-0774","die Schulden","debts","कर्ज","डी शुल्डेन","Banking & Finance"],
+["a2","a2-0775","sparen","to save (money)","बचत करना","श्पारेन","Banking & Finance"],
+["a2","a2-0776","ausgeben","to spend","खर्च करना","औसगेबेन","Banking & Finance"],
+["a2","a2-0777","der Kontostand","account balance","खाता शेष","डेयर कोंटोश्टांट","Banking & Finance"],
+["a2","a2-0778","der Wechselkurs","exchange rate","विनिमय दर","डेयर वेक्सेलकुर्स","Banking & Finance"],
+["a2","a2-0779","die Währung","currency","मुद्रा","डी वेरुंग","Banking & Finance"],
+["a2","a2-0780","der Betrag","amount","राशि","डेयर बेट्राग","Banking & Finance"],
+["a2","a2-0781","die Quittung","receipt","रसीद","डी क्वीटुंग","Banking & Finance"],
+["a2","a2-0782","kontaktlos bezahlen","contactless payment","कॉन्टैक्टलेस पेमेंट","कोंटाक्टलोस बेत्सालेन","Banking & Finance"],
+["a2","a2-0783","das Konto","account","खाता","डास कोंटो","Banking & Finance"],
+["a2","a2-0784","die Kontonummer","account number","खाता संख्या","डी कोंटोनुम्मर","Banking & Finance"],
+["a2","a2-0785","die Bankkarte","bank card","बैंक कार्ड","डी बैंककार्टे","Banking & Finance"],
+["a2","a2-0786","die Kreditkarte","credit card","क्रेडिट कार्ड","डी क्रेडिटकार्टे","Banking & Finance"],
+["a2","a2-0787","die EC-Karte","debit card","डेबिट कार्ड","डी ईसी-कार्टे","Banking & Finance"],
+["a2","a2-0788","der Zins","interest","ब्याज","डेयर त्सिंस","Banking & Finance"],
+["a2","a2-0789","die Überweisung","transfer","ट्रांसफर","डी उबेर्वाइज़ुंग","Banking & Finance"],
+["a2","a2-0790","die Abhebung","withdrawal","निकासी","डी आबहेबुंग","Banking & Finance"],
+["a2","a2-0791","die Einzahlung","deposit","जमा","डी आइंत्सालुंग","Banking & Finance"],
+["a2","a2-0792","der Kredit","credit/loan","कर्ज","डेयर क्रेडिट","Banking & Finance"],
+["a2","a2-0793","die Schuld","debt","कर्ज","डी शुल्ड","Banking & Finance"],
+["a2","a2-0794","der Betrag","amount","राशि","डेयर बेट्राग","Banking & Finance"],
+["a2","a2-0795","der Saldo","balance","शेष राशि","डेयर साल्डो","Banking & Finance"],
+["a2","a2-0796","der Bankangestellte","bank employee","बैंक कर्मचारी","डेयर बैंकआंगेश्टेल्टे","Banking & Finance"],
+["a2","a2-1269","der Geldautomat","ATM","एटीएम","डेयर गेल्टाउटोमाट","Banking & Finance"],
+["a2","a2-1270","der Kontoauszug","bank statement","खाता विवरण","डेयर कोंटोआउसत्सूग","Banking & Finance"],
+["a2","a2-1271","die Gebühr","fee","शुल्क","डी गेब्यूर","Banking & Finance"],
+["a2","a2-1272","die Steuer","tax","टैक्स","डी श्टॉयर","Banking & Finance"],
+["a2","a2-1273","die Rechnung","bill/invoice","बिल","डी रेखनुंग","Banking & Finance"],
+["a2","a2-1274","die Zahlung","payment","भुगतान","डी त्सालुंग","Banking & Finance"],
+["a2","a2-1275","bezahlen","to pay","भुगतान करना","बेत्सालेन","Banking & Finance"],
+["a2","a2-1276","der Euro","euro","यूरो","डेयर यूरो","Banking & Finance"],
+["a2","a2-1277","der Cent","cent","सेंट","डेयर सेंट","Banking & Finance"],
+["a2","a2-1278","der Schein","banknote","नोट","डेयर शाइन","Banking & Finance"],
+["a2","a2-0797","die Werbung","advertisement","विज्ञापन","डी वेर्बुंग","Media & Entertainment"],
+["a2","a2-1286","die Nachrichten","news","समाचार","डी नाखरिख्टेन","Media & Entertainment"],
+["a2","a2-1287","der Sender","station","स्टेशन","डेयर जेंडर","Media & Entertainment"],
+["a2","a2-1288","die Untertitel","subtitles","उपशीर्षक","डी उंटेरटाइटेल","Media & Entertainment"],
+["a2","a2-0798","die Anzeige","ad/classified","विज्ञापन","डी आन्त्साइगे","Media & Entertainment"],
+["a2","a2-0799","fotografieren","to take photos","फोटो खींचना","फोटोग्राफीरेन","Media & Entertainment"],
+["a2","a2-0800","fernsehen","to watch TV","टीवी देखना","फेर्नज़ेहन","Media & Entertainment"],
+["a2","a2-0801","die Sendung","shipment/broadcast","शिपमेंट/प्रसारण","डी जेंडुंग","Media & Entertainment"],
+["a2","a2-0802","die Fernsehsendung","TV program","टीवी कार्यक्रम","डी फेर्नज़ेहजेंडुंग","Media & Entertainment"],
+["a2","a2-0803","der Wetterbericht","weather forecast","मौसम पूर्वानुमान","डेयर वेटरबेरिख्ट","Media & Entertainment"],
+["a2","a2-0804","die Serie","series","सीरीज़","डी ज़ेरी","Media & Entertainment"],
+["a2","a2-0805","der Werbespot","commercial","विज्ञापन","डेयर वेर्बेश्पोट","Media & Entertainment"],
+["a2","a2-0806","die Umfrage","survey/poll","सर्वे","डी उमफ्रागे","Media & Entertainment"],
+["a2","a2-0807","die Meinung","opinion","राय","डी माइनुंग","Media & Entertainment"],
+["a2","a2-0808","meiner Meinung nach","in my opinion","मेरी राय में","माइनेर माइनुंग नाख","Media & Entertainment"],
+["a2","a2-0809","zustimmen","to agree","सहमत होना","त्सूश्टिमेन","Media & Entertainment"],
+["a2","a2-0810","nicht zustimmen","to disagree","असहमत होना","निख्ट त्सूश्टिमेन","Media & Entertainment"],
+["a2","a2-0811","die Diskussion","discussion","चर्चा","डी डिस्कुसियोन","Media & Entertainment"],
+["a2","a2-0812","die Frage stellen","to ask a question","सवाल पूछना","डी फ्रागे श्टेलेन","Media & Entertainment"],
+["a2","a2-0813","die Antwort geben","to give an answer","जवाब देना","डी आंतवोर्ट गेबेन","Media & Entertainment"],
+["a2","a2-0814","die Lösung","solution","समाधान","डी ल्योज़ुंग","Media & Entertainment"],
+["a2","a2-0815","der Artikel","article","लेख","डेयर आर्टिकेल","Media & Entertainment"],
+["a2","a2-0816","die Überschrift","headline","शीर्षक","डी यूबरश्रिफ्ट","Media & Entertainment"],
+["a2","a2-0817","ausleihen","to borrow","उधार लेना","औसलाइहेन","Media & Entertainment"],
+["a2","a2-0818","zurückgeben","to return (book)","वापस करना","त्सूरूकगेबेन","Media & Entertainment"],
+["a2","a2-0819","der Regisseur","director","निर्देशक","डेयर रेगीसॉर","Media & Entertainment"],
+["a2","a2-0820","die Lösung finden","to find a solution","समाधान ढूंढना","डी ल्योज़ुंग फिंडेन","Media & Entertainment"],
+["a2","a2-0821","das Foto machen","to take a photo","फोटो खींचना","डास फोटो माखेन","Media & Entertainment"],
+["a2","a2-0822","die Folge","episode","एपिसोड","डी फोल्गे","Media & Entertainment"],
+["a2","a2-0823","die Handlung","plot","कहानी","डी हांडलुंग","Media & Entertainment"],
+["a2","a2-0824","der Schauspieler","actor","अभिनेता","डेयर शाउश्पीलर","Media & Entertainment"],
+["a2","a2-0825","die Schauspielerin","actress","अभिनेत्री","डी शाउश्पीलेरिन","Media & Entertainment"],
+["a2","a2-0826","der Roman","novel","उपन्यास","डेयर रोमान","Media & Entertainment"],
+["a2","a2-0827","die Zeitschrift","magazine","पत्रिका","डी त्साइटशरिफ्ट","Media & Entertainment"],
+["a2","a2-0828","der Podcast","podcast","पॉडकास्ट","डेयर पॉडकास्ट","Media & Entertainment"],
+["a2","a2-0829","der Kanal","channel","चैनल","डेयर कानाल","Media & Entertainment"],
+["a2","a2-0830","live","live","लाइव","लाइव","Media & Entertainment"],
+["a2","a2-0831","streamen","to stream","स्ट्रीम करना","स्ट्रीमेन","Media & Entertainment"],
+["a2","a2-0832","der Dokumentarfilm","documentary","डॉक्यूमेंट्री","डेयर डोकुमेंटारफिल्म","Media & Entertainment"],
+["a2","a2-0833","der Krimi","crime story","अपराध कहानी","डेयर क्रिमी","Media & Entertainment"],
+["a2","a2-1279","der Film","movie/film","फिल्म","डेयर फिल्म","Media & Entertainment"],
+["a2","a2-1280","das Kino","cinema","सिनेमा","डास किनो","Media & Entertainment"],
+["a2","a2-1281","die Zeitung","newspaper","अखबार","डी त्साइटुंग","Media & Entertainment"],
+["a2","a2-1282","das Buch","book","किताब","डास बूख","Media & Entertainment"],
+["a2","a2-1283","die Musik","music","संगीत","डी मूज़ीक","Media & Entertainment"],
+["a2","a2-1284","das Radio","radio","रेडियो","डास रेडियो","Media & Entertainment"],
+["a2","a2-1285","der Fernseher","TV","टीवी","डेयर फेर्नज़ेहर","Media & Entertainment"],
+["a2","a2-0834","die Gesellschaft","society","समाज","डी गेज़ेलशाफ्ट","Society & Politics"],
+["a2","a2-0835","der Ausländer","foreigner","विदेशी","डेयर औसलेंडर","Society & Politics"],
+["a2","a2-0836","die Integration","integration","एकीकरण","डी इंटेग्रात्सियोन","Society & Politics"],
+["a2","a2-0837","die Tradition","tradition","परंपरा","डी ट्राडित्सियोन","Society & Politics"],
+["a2","a2-0838","die Kultur","culture","संस्कृति","डी कुल्टूर","Society & Politics"],
+["a2","a2-0839","die Religion","religion","धर्म","डी रेलिगियोन","Society & Politics"],
+["a2","a2-0840","die Politik","politics","राजनीति","डी पोलिटिक","Society & Politics"],
+["a2","a2-0841","die Wahl","election","चुनाव","डी वाल","Society & Politics"],
+["a2","a2-1289","der Wähler","voter","मतदाता","डेयर वेलर","Society & Politics"],
+["a2","a2-1290","die Wahlurne","ballot box","मतपेटी","डी वालउर्ने","Society & Politics"],
+["a2","a2-1291","die Meinung","opinion","राय","डी माइनुंग","Society & Politics"],
+["a2","a2-1292","die Diskussion","discussion","चर्चा","डी डिस्कुस्सियोन","Society & Politics"],
+["a2","a2-0842","die Partei","party (political)","पार्टी","डी पार्टाई","Society & Politics"],
+["a2","a2-0843","der Politiker","politician","राजनेता","डेयर पोलिटिकर","Society & Politics"],
+["a2","a2-0844","die Regierung","government","सरकार","डी रेगीरुंग","Society & Politics"],
+["a2","a2-0845","das Gesetz","law","कानून","डास गेज़ेट्स","Society & Politics"],
+["a2","a2-0846","die Bevölkerung","population","जनसंख्या","डी बेफ्योल्केरुंग","Society & Politics"],
+["a2","a2-0847","die Einwohner","inhabitants","निवासी","डी आइनवोनर","Society & Politics"],
+["a2","a2-0848","die Migration","migration","प्रवासन","डी मिग्रात्सियोन","Society & Politics"],
+["a2","a2-0849","die Demokratie","democracy","लोकतंत्र","डी डेमोक्राटी","Society & Politics"],
+["a2","a2-0850","die Freiheit","freedom","स्वतंत्रता","डी फ्राइहाइट","Society & Politics"],
+["a2","a2-0851","die Gleichberechtigung","equality","समानता","डी ग्लाइखबेरेख्टिगुंग","Society & Politics"],
+["a2","a2-0852","die Diskriminierung","discrimination","भेदभाव","डी डिस्क्रीमिनीरुंग","Society & Politics"],
+["a2","a2-0853","die Toleranz","tolerance","सहिष्णुता","डी टोलेरांत्स","Society & Politics"],
+["a2","a2-0854","die Vielfalt","diversity","विविधता","डी फीलफाल्ट","Society & Politics"],
+["a2","a2-0855","die Solidarität","solidarity","एकजुटता","डी ज़ोलिडारिटेट","Society & Politics"],
+["a2","a2-0856","die Hilfe","help","मदद","डी हिल्फे","Society & Politics"],
+["a2","a2-0857","die Spende","donation","दान","डी श्पेंडे","Society & Politics"],
+["a2","a2-0858","die Organisation","organization","संगठन","डी ओर्गानिजात्सियोन","Society & Politics"],
+["a2","a2-0859","die Hilfsorganisation","aid organization","सहायता संगठन","डी हिल्फ्सओर्गानिजात्सियोन","Society & Politics"],
+["a2","a2-0860","die Armut","poverty","गरीबी","डी आर्मूट","Society & Politics"],
+["a2","a2-0861","die Hunger","hunger","भूख","डी हुंगर","Society & Politics"],
+["a2","a2-0862","die Flucht","flight (refugee)","शरणार्थी","डी फ्लुख्ट","Society & Politics"],
+["a2","a2-0863","der Flüchtling","refugee","शरणार्थी","डेयर फ्ल्यूख्टलिंग","Society & Politics"],
+["a2","a2-0864","die Asyl","asylum","शरण","डी आज़ील","Society & Politics"],
+["a2","a2-0865","die Zukunft","future","भविष्य","डी त्सूकुंफ्ट","Society & Politics"],
+["a2","a2-0866","die Demo","demonstration","प्रदर्शन","डी डेमो","Society & Politics"],
+["a2","a2-0867","die Petition","petition","याचिका","डी पेटित्सियोन","Society & Politics"],
+["a2","a2-0868","die Unterschrift sammeln","to collect signatures","हस्ताक्षर इकट्ठा करना","डी उंटरश्रिफ्ट ज़ामेल्न","Society & Politics"],
+["a2","a2-0869","die Katastrophe","catastrophe","आपदा","डी काटास्ट्रोफे","Society & Politics"],
+["a2","a2-0870","die Flut","flood","बाढ़","डी फ्लूट","Society & Politics"],
+["a2","a2-0871","das Erdbeben","earthquake","भूकंप","डास एर्डबेबेन","Society & Politics"],
+["a2","a2-0872","die Dürre","drought","सूखा","डी ड्यूरे","Society & Politics"],
+["a2","a2-0873","die Waldbrand","forest fire","जंगल की आग","डी वाल्टब्रांट","Society & Politics"],
+["a2","a2-0874","die Hilfe leisten","to provide help","मदद प्रदान करना","डी हिल्फे लाइस्टेन","Society & Politics"],
+["a2","a2-0875","der Bürger","citizen","नागरिक","डेयर ब्यूर्गर","Society & Politics"],
+["a2","a2-0876","der Staat","state","राज्य","डेयर श्टात","Society & Politics"],
+["a2","a2-0877","das Recht","right","अधिकार","डास रेख्ट","Society & Politics"],
+["a2","a2-0878","die Pflicht","duty","कर्तव्य","डी प्फ्लिख्ट","Society & Politics"],
+["a2","a2-0879","der Flüchtling","refugee","शरणार्थी","डेयर फ्ल्यूख्टलिंग","Society & Politics"],
+["a2","a2-0880","das Asyl","asylum","शरण","डास आज़ील","Society & Politics"],
+["a2","a2-0881","die Steuer","tax","कर","डी श्टॉयर","Society & Politics"],
+["a2","a2-0882","wählen","to vote","वोट देना","वेलेन","Society & Politics"],
+["a2","a2-0883","protestieren","to protest","विरोध करना","प्रोटेस्टीरेन","Society & Politics"],
+["a2","a2-0884","die Demonstration","demonstration","प्रदर्शन","डी डेमॉन्स्ट्रात्सियोन","Society & Politics"],
+["a2","a2-0885","der Verband","bandage","पट्टी","डेयर फेरबांट","Music & Arts"],
+["a2","a2-0886","das Lied","song","गाना","डास लीट","Music & Arts"],
+["a2","a2-1293","der Text","lyrics","गीत","डेयर टेक्स्ट","Music & Arts"],
+["a2","a2-1294","singen","to sing","गाना","ज़िंगेन","Music & Arts"],
+["a2","a2-1295","spielen","to play (instrument)","बजाना","श्पीलेन","Music & Arts"],
+["a2","a2-1296","tanzen","to dance","नृत्य करना","टांत्सेन","Music & Arts"],
+["a2","a2-1297","malen","to paint","पेंट करना","मालेन","Music & Arts"],
+["a2","a2-1298","zeichnen","to draw","ड्रॉ करना","त्साइखनेन","Music & Arts"],
+["a2","a2-1299","das Museum","museum","संग्रहालय","डास मूज़ियम","Music & Arts"],
+["a2","a2-1300","das Theater","theater","थिएटर","डास टेअटर","Music & Arts"],
+["a2","a2-1301","die Aufführung","performance","प्रदर्शन","डी आउफ्यूरुंग","Music & Arts"],
+["a2","a2-0887","der Sänger","singer (male)","गायक","डेयर जेंगर","Music & Arts"],
+["a2","a2-0888","die Sängerin","singer (female)","गायिका","डी जेंगेरिन","Music & Arts"],
+["a2","a2-0889","das Konzert","concert","कॉन्सर्ट","डास कोंट्सेर्ट","Music & Arts"],
+["a2","a2-0890","die Band","band","बैंड","डी बांट","Music & Arts"],
+["a2","a2-0891","das Instrument","instrument","वाद्य यंत्र","डास इंस्ट्रुमेंट","Music & Arts"],
+["a2","a2-0892","die Gitarre","guitar","गिटार","डी गिटारे","Music & Arts"],
+["a2","a2-0893","das Klavier","piano","पियानो","डास क्लावियर","Music & Arts"],
+["a2","a2-0894","die Trommel","drum","ड्रम","डी ट्रोमेल","Music & Arts"],
+["a2","a2-0895","die Stimme","voice","आवाज़","डी श्टिमे","Music & Arts"],
+["a2","a2-0896","die Flöte","flute","बांसुरी","डी फ्ल्योटे","Music & Arts"],
+["a2","a2-0897","die Geige","violin","वायलिन","डी गाइगे","Music & Arts"],
+["a2","a2-0898","die Galerie","gallery","गैलरी","डी गालेरी","Music & Arts"],
+["a2","a2-0899","das Gemälde","painting","पेंटिंग","डास गेमेल्डे","Music & Arts"],
+["a2","a2-0900","die Skulptur","sculpture","मूर्ति","डी स्कुल्प्टूर","Music & Arts"],
+["a2","a2-0901","der Künstler","artist","कलाकार","डेयर क्यूंस्टलर","Music & Arts"],
+["a2","a2-0902","die Ausstellung","exhibition","प्रदर्शनी","डी आउस्श्टेलुंग","Music & Arts"],
+["a2","a2-0903","der Chor","choir","गायक मंडली","डेयर कोर","Music & Arts"],
+["a2","a2-0904","die Oper","opera","ओपेरा","डी ओपर","Music & Arts"],
+["a2","a2-0905","das Ballett","ballet","बैले","डास बालेट","Music & Arts"],
+["a2","a2-0906","der Tanz","dance","नृत्य","डेयर टांत्स","Music & Arts"],
+["a2","a2-0907","die Melodie","melody","धुन","डी मेलोडी","Music & Arts"],
+["a2","a2-0908","der Rhythmus","rhythm","ताल","डेयर रिथमुस","Music & Arts"],
+["a2","a2-0909","die Note","note (music)","स्वर","डी नोटे","Music & Arts"],
+["a2","a2-0910","das Konzert","concert","संगीत कार्यक्रम","डास कोंत्सेर्ट","Music & Arts"],
+["a2","a2-0911","der Musiker","musician","संगीतकार","डेयर मूज़ीकर","Music & Arts"],
+["a2","a2-0912","die Musikerin","musician (female)","संगीतकार (महिला)","डी मूज़ीकेरिन","Music & Arts"],
+["a2","a2-0913","der Sänger","singer","गायक","डेयर ज़ेंगर","Music & Arts"],
+["a2","a2-0914","die Sängerin","singer (female)","गायिका","डी ज़ेंगेरिन","Music & Arts"],
+["a2","a2-0915","die Bühne","stage","मंच","डी ब्यूने","Music & Arts"],
+["a2","a2-0916","das Publikum","audience","दर्शक","डास पुब्लिकुम","Music & Arts"],
+["a2","a2-0917","die Kunst","art","कला","डी कुंस्ट","Music & Arts"],
+["a2","a2-0918","der Künstler","artist","कलाकार","डेयर क्यूंस्ट्लर","Music & Arts"],
+["a2","a2-0919","die Künstlerin","artist (female)","कलाकार (महिला)","डी क्यूंस्ट्लेरिन","Music & Arts"],
+["a2","a2-0920","das Gemälde","painting","चित्र","डास गेमेल्डे","Music & Arts"],
+["a2","a2-0921","die Zeichnung","drawing","ड्राइंग","डी त्साइखनुंग","Music & Arts"],
+["a2","a2-0922","die Skulptur","sculpture","मूर्ति","डी स्कुल्पटूर","Music & Arts"],
+["a2","a2-0923","die Galerie","gallery","गैलरी","डी गालेरी","Music & Arts"],
+["a2","a2-0924","die Ausstellung","exhibition","प्रदर्शनी","डी औसश्टेलुंग","Music & Arts"],
+["a2","a2-0925","die Abteilung","department","विभाग","डी आपटाइलुंग","Daily Routine"],
+["a2","a2-0926","aussehen","to look (appearance)","दिखना","औसज़ेहन","Daily Routine"],
+["a2","a2-0927","die Begrüßung","greeting","अभिवादन","डी बेग्र्यूसुंग","Daily Routine"],
+["a2","a2-0928","die Brieftasche","wallet","बटुआ","डी ब्रीफटाशे","Daily Routine"],
+["a2","a2-0929","die CD","CD","सीडी","डी त्से डे","Daily Routine"],
+["a2","a2-0930","die Sache","thing","चीज़","डी जाखे","Daily Routine"],
+["a2","a2-0931","die Toilette","toilet","शौचालय","डी टोइलेटे","Daily Routine"],
+["a2","a2-0932","die Tomate","tomato","टमाटर","डी टोमाटे","Daily Routine"],
+["a2","a2-0933","die Universität","university","विश्वविद्यालय","डी उनिवेर्ज़िटेट","Daily Routine"],
+["a2","a2-0934","die Urlaub","vacation","छुट्टी","डी उरलाउब","Daily Routine"],
+["a2","a2-0935","die Verabredung","appointment","मुलाकात","डी फेराब्रेडुंग","Daily Routine"],
+["a2","a2-0936","die Zug","train","ट्रेन","डी त्सूग","Daily Routine"],
+["a2","a2-0937","zusammen","together","साथ","त्सूजामेन","Daily Routine"],
+["a2","a2-0938","wolkig","cloudy","बादल वाला","वोल्किग","Daily Routine"],
+["a2","a2-0939","morgen früh","tomorrow morning","कल सुबह","मोर्गेन फ्र्यू","Daily Routine"],
+["a2","a2-0940","der Pyjama","pyjamas","पायजामा","डेयर प्याजामा","Daily Routine"],
+["a2","a2-0941","probieren","to try on","ट्राय करना","प्रोबीरेन","Daily Routine"],
+["a2","a2-0942","die Sicherheitskontrolle","security check","सिक्योरिटी चेक","डी ज़िखरहाइट्सकोंट्रोले","Daily Routine"],
+["a2","a2-0943","verspätet","delayed","देर से","फेरश्पेटेट","Daily Routine"],
+["a2","a2-0944","die Verletzung","injury","चोट","डी फेरलेट्सुंग","Daily Routine"],
+["a2","a2-0945","träumen","to dream","सपना देखना","ट्रॉयमेन","Daily Routine"],
+["a2","a2-0946","klingeln","to ring","बजना","क्लिंगेल्न","Daily Routine"],
+["a2","a2-0947","der Lärm","noise","शोर","डेयर लर्म","Daily Routine"],
+["a2","a2-0948","die Stille","silence","खामोशी","डी श्टिले","Daily Routine"],
+["a2","a2-0949","die Hitze","heat","गर्मी","डी हित्से","Daily Routine"],
+["a2","a2-0950","die Kälte","cold","सर्दी","डी केल्टे","Daily Routine"],
+["a2","a2-0951","die Geschichte","story","कहानी","डी गेशिख्टे","Daily Routine"],
+["a2","a2-0952","der Urlaubsort","vacation destination","छुट्टी का स्थान","डेयर उरलाउब्सोर्ट","Daily Routine"],
+["a2","a2-0953","der Swimmingpool","swimming pool","स्विमिंग पूल","डेयर श्विमिंगपूल","Daily Routine"],
+["a2","a2-0954","das Denkmal","monument","स्मारक","डास डेंकमाल","Daily Routine"],
+["a2","a2-0955","der Dom","cathedral","कैथेड्रल","डेयर डोम","Daily Routine"],
+["a2","a2-0956","die Aussicht","view","नज़ारा","डी औसजिख्ट","Daily Routine"],
+["a2","a2-0957","das Souvenir","souvenir","स्मृति चिह्न","डास ज़ूवनीर","Daily Routine"],
+["a2","a2-0958","die Erinnerung","memory","याद","डी एरिनेरुंग","Daily Routine"],
+["a2","a2-0959","schrecklich","terrible","भयानक","श्रेकलिख","Daily Routine"],
+["a2","a2-0960","aufstehen","to get up","उठना","औफश्टेहन","Daily Routine"],
+["a2","a2-0961","nach Hause kommen","to come home","घर आना","नाख हाउज़े कोमेन","Daily Routine"],
+["a2","a2-0962","um ... Uhr","at ... o'clock","... बजे","उम ... ऊर","Daily Routine"],
+["a2","a2-0963","der Briefkasten","mailbox","लेटरबॉक्स","डेयर ब्रीफकास्टेन","Daily Routine"],
+["a2","a2-0964","der Briefmarke","stamp","डाक टिकट","डी ब्रीफमार्के","Daily Routine"],
+["a2","a2-0965","der Paket","parcel","पार्सल","डेयर पाकेट","Daily Routine"],
+["a2","a2-0966","das Paket verschicken","to send a parcel","पार्सल भेजना","डास पाकेट फेरशिकेन","Daily Routine"],
+["a2","a2-0967","die Nachnahme","cash on delivery","कैश ऑन डिलीवरी","डी नाखनामे","Daily Routine"],
+["a2","a2-0968","die Parkuhr","parking meter","पार्किंग मीटर","डी पार्कूर","Daily Routine"],
+["a2","a2-0969","die Strafe","fine","जुर्माना","डी श्ट्राफे","Daily Routine"],
+["a2","a2-0970","die Baustelle","construction site","निर्माण स्थल","डी बाउश्टेले","Daily Routine"],
+["a2","a2-0971","die Medikamente","medication","दवाइयाँ","डी मेडिकामेंटे","Daily Routine"],
+["a2","a2-0972","die Händedesinfektion","hand disinfection","हाथ की सफाई","डी हेंडेडेज़िन्फेक्ट्सियोन","Daily Routine"],
+["a2","a2-0973","die Kollegin","colleague (female)","सहकर्मी (महिला)","डी कोलेगिन","Daily Routine"],
+["a2","a2-0974","das Problem lösen","to solve a problem","समस्या हल करना","डास प्रोब्लेम ल्योसेन","Daily Routine"],
+["a2","a2-0975","die Idee","idea","विचार","डी इडेये","Daily Routine"],
+["a2","a2-0976","vorschlagen","to suggest","सुझाव देना","फोरश्लागेन","Daily Routine"],
+["a2","a2-0977","die Reservierung","reservation","आरक्षण","डी रेज़र्वीरुंग","Daily Routine"],
+["a2","a2-0978","die Stadtplan","city map","शहर का नक्शा","डी श्टाटप्लान","Daily Routine"],
+["a2","a2-0979","der Guide","guide","गाइड","डेयर गाइड","Daily Routine"],
+["a2","a2-0980","die Führung","guided tour","गाइडेड टूर","डी फ्यूरुंग","Daily Routine"],
+["a2","a2-0981","die Öffnungszeiten","opening hours","खुलने का समय","डी योफ्नुंग्सत्साइटेन","Daily Routine"],
+["a2","a2-0982","verlaufen (sich)","to get lost","रास्ता भूल जाना","फेरलाउफेन (जिख)","Daily Routine"],
+["a2","a2-0983","der Weg","way/path","रास्ता","डेयर वेग","Daily Routine"],
+["a2","a2-0984","das Klo","toilet (informal)","टॉयलेट","डास क्लो","Daily Routine"],
+["a2","a2-0985","das Autoabgase","car exhaust","कार का धुआँ","डास औटोआपगाज़े","Daily Routine"],
+["a2","a2-0986","die Sonne scheinen","the sun is shining","धूप निकलना","डी ज़ोने शाइनन","Daily Routine"],
+["a2","a2-0987","erinnern (sich)","to remember","याद करना","एरिनेर्न (जिख)","Daily Routine"],
+["a2","a2-0988","die Vergangenheit","past","बीता हुआ समय","डी फेरगांगनहाइट","Daily Routine"],
+["a2","a2-0989","die Gegenwart","present","वर्तमान","डी गेगेनवार्ट","Daily Routine"],
+["a2","a2-0990","der Plan","plan","योजना","डेयर प्लान","Daily Routine"],
+["a2","a2-0991","planen","to plan","योजना बनाना","प्लानेन","Daily Routine"],
+["a2","a2-0992","der Wunsch","wish","इच्छा","डेयर वुंश","Daily Routine"],
+["a2","a2-0993","die Briefmarke","stamp","डाक टिकट","डी ब्रीफमार्के","Daily Routine"],
+["a2","a2-0994","der Umschlag","envelope","लिफाफा","डेयर उमश्लाग","Daily Routine"],
+["a2","a2-0995","der Personalausweis","ID card","आईडी कार्ड","डेयर पेर्ज़ोनालऔसवाइस","Daily Routine"],
+["a2","a2-0996","die Routine","routine","रूटीन","डी रूटीने","Daily Routine"],
+["a2","a2-0997","der Alltag","everyday life","रोज़मर्रा की ज़िंदगी","डेयर आल्टाग","Daily Routine"],
+["a2","a2-0998","die Gewohnheit","habit","आदत","डी गेवोनहाइट","Daily Routine"],
+["a2","a2-0999","die Veränderung","change","बदलाव","डी फेरेंडेरुंग","Daily Routine"],
+["a2","a2-1000","entscheiden","to decide","निर्णय लेना","एंटशाइडेन","Daily Routine"],
+["a2","a2-1001","das Problem","problem","समस्या","डास प्रोब्लेम","Daily Routine"],
+["a2","a2-1002","die Stunde fahren","to drive for hours","घंटों ड्राइव करना","डी श्टुंडे फारेन","Daily Routine"],
+["a2","a2-1003","die Pause machen","to take a break","ब्रेक लेना","डी पाउज़े माखेन","Daily Routine"],
+["a2","a2-1004","aufwachen","to wake up","जागना","आउफवाखेन","Daily Routine"],
+["a2","a2-1005","einschlafen","to fall asleep","सो जाना","आइनश्लाफेन","Daily Routine"],
+["a2","a2-1006","duschen","to shower","शावर लेना","डुशेन","Daily Routine"],
+["a2","a2-1007","sich rasieren","to shave","शेव करना","जिख राज़ीरेन","Daily Routine"],
+["a2","a2-1008","sich schminken","to put on makeup","मेकअप करना","जिख श्मिंकेन","Daily Routine"],
+["a2","a2-1009","sich anziehen","to get dressed","कपड़े पहनना","जिख आन्त्सीहेन","Daily Routine"],
+["a2","a2-1010","sich ausziehen","to undress","कपड़े उतारना","जिख आउस्त्सीहेन","Daily Routine"],
+["a2","a2-1011","sich beeilen","to hurry","जल्दी करना","जिख बेआइलेन","Daily Routine"],
+["a2","a2-1012","sich ausruhen","to rest","आराम करना","जिख आउसरूहेन","Daily Routine"],
+["a2","a2-1013","frühstücken","to have breakfast","नाश्ता करना","फ्र्यूश्ट्युकेन","Daily Routine"],
+["a2","a2-1302","der Zettel","note/paper","नोट/कागज़","डेयर त्सेटेल","Daily Routine"],
+["a2","a2-1303","zumachen","to close","बंद करना","त्सूमाखेन","Daily Routine"],
+["a2","a2-1304","die Vorsicht","caution","सावधानी","डी फोर्सिख्ट","Daily Routine"],
+["a2","a2-1014","die Blüte","blossom","फूल","डी ब्ल्यूटे","Animals & Wildlife"],
+["a2","a2-1015","der Tier","animal","जानवर","डेयर टीर","Animals & Wildlife"],
+["a2","a2-1016","das Insekt","insect","कीड़ा","डास इन्सेक्ट","Animals & Wildlife"],
+["a2","a2-1017","der Osterhase","Easter bunny","ईस्टर बनी","डेयर ओस्टरहाज़े","Animals & Wildlife"],
+["a2","a2-1018","die Wurzel","root","जड़","डी वुर्ट्सेल","Animals & Wildlife"],
+["a2","a2-1019","der Stamm","trunk","तना","डेयर श्टाम","Animals & Wildlife"],
+["a2","a2-1020","die Frucht","fruit","फल","डी फ्रु्ख्ट","Animals & Wildlife"],
+["a2","a2-1021","der Ast","branch","डाल","डेयर आस्ट","Animals & Wildlife"],
+["a2","a2-1022","die Rose","rose","गुलाब","डी रोज़े","Animals & Wildlife"],
+["a2","a2-1023","die Tulpe","tulip","ट्यूलिप","डी टुल्पे","Animals & Wildlife"],
+["a2","a2-1024","die Sandkasten","sandbox","रेत का डिब्बा","डी ज़ांटकास्टेन","Animals & Wildlife"],
+["a2","a2-1025","die Mücke","mosquito","मच्छर","डी म्यूके","Animals & Wildlife"],
+["a2","a2-1026","die Raupe","caterpillar","इल्ली","डी राउपे","Animals & Wildlife"],
+["a2","a2-1027","der Käfer","beetle","भृंग","डेयर केफर","Animals & Wildlife"],
+["a2","a2-1028","die Schnecke","snail","घोंघा","डी श्नेके","Animals & Wildlife"],
+["a2","a2-1029","der Wurm","worm","कीड़ा","डेयर वुर्म","Animals & Wildlife"],
+["a2","a2-1030","der Busch","bush","झाड़ी","डेयर बुश","Animals & Wildlife"],
+["a2","a2-1031","die Hecke","hedge","बाड़","डी हेके","Animals & Wildlife"],
+["a2","a2-1032","der Rasen","lawn","लॉन","डेयर राज़ेन","Animals & Wildlife"],
+["a2","a2-1033","der Teich","pond","तालाब","डेयर टाइख","Animals & Wildlife"],
+["a2","a2-1034","die Knospe","bud","कली","डी क्नोस्पे","Animals & Wildlife"],
+["a2","a2-1035","die Beere","berry","बेरी","डी बेरे","Animals & Wildlife"],
+["a2","a2-1036","die Nuss","nut","मेवा","डी नुस","Animals & Wildlife"],
+["a2","a2-1037","die Tierwelt","animal world","जानवरों की दुनिया","डी टीरवेल्ट","Animals & Wildlife"],
+["a2","a2-1038","der Hase","hare/rabbit","खरगोश","डेयर हाज़े","Animals & Wildlife"],
+["a2","a2-1039","der Tierpark","animal park","जानवर पार्क","डेयर टीरपार्क","Animals & Wildlife"],
+["a2","a2-1040","das Aquarium","aquarium","एक्वेरियम","डास आक्वारीउम","Animals & Wildlife"],
+["a2","a2-1041","der Delfin","dolphin","डॉल्फिन","डेयर डेल्फिन","Animals & Wildlife"],
+["a2","a2-1042","der Hai","shark","शार्क","डेयर हाई","Animals & Wildlife"],
+["a2","a2-1043","der Adler","eagle","ईगल","डेयर आडलर","Animals & Wildlife"],
+["a2","a2-1044","die Eule","owl","उल्लू","डी ऑयले","Animals & Wildlife"],
+["a2","a2-1045","der Papagei","parrot","तोता","डेयर पापागाई","Animals & Wildlife"],
+["a2","a2-1046","die Schlange","snake","सांप","डी श्लांगे","Animals & Wildlife"],
+["a2","a2-1047","der Frosch","frog","मेंढक","डेयर फ्रोश","Animals & Wildlife"],
+["a2","a2-1048","der Schmetterling","butterfly","तितली","डेयर श्मेटरलिंग","Animals & Wildlife"],
+["a2","a2-1049","die Biene","bee","मधुमक्खी","डी बीने","Animals & Wildlife"],
+["a2","a2-1050","die Ameise","ant","चींटी","डी आमाइज़े","Animals & Wildlife"],
+["a2","a2-1051","die Spinne","spider","मकड़ी","डी श्पिने","Animals & Wildlife"],
+["a2","a2-1052","das Eichhörnchen","squirrel","गिलहरी","डास आइखहोर्नखेन","Animals & Wildlife"],
+["a2","a2-1053","der Wolf","wolf","भेड़िया","डेयर वोल्फ","Animals & Wildlife"],
+["a2","a2-1054","der Bär","bear","भालू","डेयर बेयर","Animals & Wildlife"],
+["a2","a2-1055","der Fuchs","fox","लोमड़ी","डेयर फुक्स","Animals & Wildlife"],
+["a2","a2-1056","der Hirsch","deer","हिरण","डेयर हिर्श","Animals & Wildlife"],
+["a2","a2-1057","das Reh","roe deer","हिरणी","डास रे","Animals & Wildlife"],
+["a2","a2-1058","der Igel","hedgehog","साही","डेयर इगेल","Animals & Wildlife"],
+["a2","a2-1059","der Maulwurf","mole","छछूंदर","डेयर माउलवुर्फ","Animals & Wildlife"],
+["a2","a2-1060","die Maus","mouse","चूहा","डी माउस","Animals & Wildlife"],
+["a2","a2-1061","die Ratte","rat","चूहा","डी राटे","Animals & Wildlife"],
+["a2","a2-1062","der Schwan","swan","हंस","डेयर श्वान","Animals & Wildlife"],
+["a2","a2-1063","die Ente","duck","बतख","डी एंटे","Animals & Wildlife"],
+["a2","a2-1064","der Storch","stork","सारस","डेयर श्टोर्च","Animals & Wildlife"],
+["a2","a2-1065","die Krähe","crow","कौआ","डी क्रेहे","Animals & Wildlife"],
+["a2","a2-1066","die Taube","pigeon","कबूतर","डी टाउबे","Animals & Wildlife"],
+["a2","a2-1067","der Specht","woodpecker","कठफोड़वा","डेयर श्पेख्ट","Animals & Wildlife"],
+["a2","a2-1068","der Fink","finch","फिंच","डेयर फिंक","Animals & Wildlife"],
+["a2","a2-1069","der Spatz","sparrow","गौरैया","डेयर श्पात्स","Animals & Wildlife"],
+["a2","a2-1070","die Amsel","blackbird","काली चिड़िया","डी आम्सेल","Animals & Wildlife"],
+["a2","a2-1071","der Rabe","raven","कौआ","डेयर राबे","Animals & Wildlife"],
+["a2","a2-1072","die Fledermaus","bat","चमगादड़","डी फ्लेडरमाउस","Animals & Wildlife"],
+["a2","a2-1073","der Dachs","badger","बज्जू","डेयर डाख्स","Animals & Wildlife"],
+["a2","a2-1074","der Luchs","lynx","लिंक्स","डेयर लुक्स","Animals & Wildlife"],
+["a2","a2-1075","der Biber","beaver","ऊदबिलाव","डेयर बीबर","Animals & Wildlife"],
+["a2","a2-1076","der Otter","otter","ऊद","डेयर ओटर","Animals & Wildlife"],
+["a2","a2-1077","der Waschbär","raccoon","रैकून","डेयर वाशबेयर","Animals & Wildlife"],
+["a2","a2-1078","der Marder","marten","मार्टन","डेयर मार्डर","Animals & Wildlife"],
+["a2","a2-1079","der Wiesel","weasel","नीला","डेयर वीज़ेल","Animals & Wildlife"],
+["a2","a2-1080","die Wildkatze","wildcat","जंगली बिल्ली","डी विल्डकात्से","Animals & Wildlife"],
+["a2","a2-1081","der Löwe","lion","शेर","डेयर लोवे","Animals & Wildlife"],
+["a2","a2-1305","der Zoo","zoo","चिड़ियाघर","डेयर त्सो","Animals & Wildlife"],
+["a2","a2-1082","das Wetter","weather","मौसम","डास वेटर","Weather & Climate"],
+["a2","a2-1083","die Temperatur","temperature","तापमान","डी टेम्पेरातूर","Weather & Climate"],
+["a2","a2-1084","der Regen","rain","बारिश","डेयर रेगेन","Weather & Climate"],
+["a2","a2-1085","der Schnee","snow","बर्फ","डेयर श्ने","Weather & Climate"],
+["a2","a2-1086","der Wind","wind","हवा","डेयर विंड","Weather & Climate"],
+["a2","a2-1087","die Sonne","sun","सूरज","डी ज़ोने","Weather & Climate"],
+["a2","a2-1088","die Wolke","cloud","बादल","डी वोल्के","Weather & Climate"],
+["a2","a2-1089","der Sturm","storm","तूफान","डेयर श्टुर्म","Weather & Climate"],
+["a2","a2-1090","der Nebel","fog","कोहरा","डेयर नेबेल","Weather & Climate"],
+["a2","a2-1091","der Hagel","hail","ओले","डेयर हागेल","Weather & Climate"],
+["a2","a2-1092","der Blitz","lightning","बिजली","डेयर ब्लित्स","Weather & Climate"],
+["a2","a2-1093","der Donner","thunder","गड़गड़ाहट","डेयर डोनर","Weather & Climate"],
+["a2","a2-1094","der Regenbogen","rainbow","इंद्रधनुष","डेयर रेगेनबोगेन","Weather & Climate"],
+["a2","a2-1095","die Luftfeuchtigkeit","humidity","आर्द्रता","डी लुफ्टफोइख्तिगकाइट","Weather & Climate"],
+["a2","a2-1096","der Frost","frost","ठंड","डेयर फ्रोस्ट","Weather & Climate"],
+["a2","a2-1097","das Eis","ice","बर्फ","डास आइस","Weather & Climate"],
+["a2","a2-1098","der Tau","dew","ओस","डेयर टाउ","Weather & Climate"],
+["a2","a2-1099","der Sonnenschein","sunshine","धूप","डेयर ज़ोनेनशाइन","Weather & Climate"],
+["a2","a2-1100","der Schatten","shadow","छाया","डेयर शाटेन","Weather & Climate"],
+["a2","a2-1101","die Wettervorhersage","weather forecast","मौसम पूर्वानुमान","डी वेटरफोरहेरज़ागे","Weather & Climate"],
+["a2","a2-1102","das Klima","climate","जलवायु","डास क्लीमा","Weather & Climate"],
+["a2","a2-1103","die Jahreszeit","season","मौसम","डी यारेसत्साइट","Weather & Climate"],
+["a2","a2-1104","der Frühling","spring","वसंत","डेयर फ्र्यूलिंग","Weather & Climate"],
+["a2","a2-1105","der Sommer","summer","गर्मी","डेयर ज़ोमर","Weather & Climate"],
+["a2","a2-1106","der Herbst","autumn","शरद","डेयर हेर्ब्स्ट","Weather & Climate"],
+["a2","a2-1107","der Winter","winter","सर्दी","डेयर विंटर","Weather & Climate"],
+["a2","a2-1108","warm","warm","गर्म","वार्म","Weather & Climate"],
+["a2","a2-1109","kalt","cold","ठंडा","काल्ट","Weather & Climate"],
+["a2","a2-1110","heiß","hot","गर्म","हाइस","Weather & Climate"],
+["a2","a2-1111","kühl","cool","ठंडा","क्यूल","Weather & Climate"],
+["a2","a2-1112","bewölkt","cloudy","बादलों से घिरा","बेवोल्क्ट","Weather & Climate"],
+["a2","a2-1113","sonnig","sunny","धूप वाला","ज़ोनिग","Weather & Climate"],
+["a2","a2-1114","regnerisch","rainy","बारिश वाला","रेगनेरिश","Weather & Climate"],
+["a2","a2-1115","windig","windy","हवा वाला","विंडिग","Weather & Climate"],
+["a2","a2-1116","neblig","foggy","कोहरे वाला","नेब्लिग","Weather & Climate"],
+["a2","a2-1117","stürmisch","stormy","तूफानी","श्ट्यूर्मिश","Weather & Climate"],
+["a2","a2-1118","trocken","dry","सूखा","ट्रोकेन","Weather & Climate"],
+["a2","a2-1119","feucht","humid","नम","फोइख्त","Weather & Climate"],
+["a2","a2-1120","der Regenschirm","umbrella","छाता","डेयर रेगेनशिर्म","Weather & Climate"],
+["a2","a2-1121","der Mantel","coat","कोट","डेयर मांटेल","Weather & Climate"],
+["a2","a2-1122","der Schal","scarf","स्कार्फ","डेयर शाल","Weather & Climate"],
+["a2","a2-1123","die Handschuhe","gloves","दस्ताने","डी हांटशूहे","Weather & Climate"],
+["a2","a2-1124","die Mütze","cap","टोपी","डी म्यूत्से","Weather & Climate"],
+["a2","a2-1125","der Sonnenschirm","sunshade","सनशेड","डेयर ज़ोनेनशिर्म","Weather & Climate"],
+["a2","a2-1126","der Wetterbericht","weather report","मौसम रिपोर्ट","डेयर वेटरबेरिख्त","Weather & Climate"],
+["a2","a2-1127","der Sport","sport","खेल","डेयर श्पोर्ट","Sports & Activities"],
+["a2","a2-1128","das Fußballspiel","football match","फुटबॉल मैच","डास फूसबालश्पील","Sports & Activities"],
+["a2","a2-1129","der Spieler","player","खिलाड़ी","डेयर श्पीलर","Sports & Activities"],
+["a2","a2-1130","das Team","team","टीम","डास टीम","Sports & Activities"],
+["a2","a2-1131","das Tor","goal","गोल","डास टोर","Sports & Activities"],
+["a2","a2-1132","der Trainer","coach","कोच","डेयर ट्रेनर","Sports & Activities"],
+["a2","a2-1133","das Training","training","प्रशिक्षण","डास ट्रेनिंग","Sports & Activities"],
+["a2","a2-1134","der Wettkampf","competition","प्रतियोगिता","डेयर वेटकाम्प्फ","Sports & Activities"],
+["a2","a2-1135","der Sieg","victory","जीत","डेयर ज़ीग","Sports & Activities"],
+["a2","a2-1136","die Niederlage","defeat","हार","डी नीडरलागे","Sports & Activities"],
+["a2","a2-1137","das Schwimmen","swimming","तैराकी","डास श्विमेन","Sports & Activities"],
+["a2","a2-1138","das Laufen","running","दौड़ना","डास लाउफेन","Sports & Activities"],
+["a2","a2-1139","das Radfahren","cycling","साइकिल चलाना","डास राडफारेन","Sports & Activities"],
+["a2","a2-1140","das Tennis","tennis","टेनिस","डास टेनिस","Sports & Activities"],
+["a2","a2-1141","das Basketball","basketball","बास्केटबॉल","डास बास्केटबाल","Sports & Activities"],
+["a2","a2-1142","das Volleyball","volleyball","वॉलीबॉल","डास वोलेबाल","Sports & Activities"],
+["a2","a2-1143","das Skifahren","skiing","स्कीइंग","डास स्कीफारेन","Sports & Activities"],
+["a2","a2-1144","das Wandern","hiking","पैदल यात्रा","डास वांडर्न","Sports & Activities"],
+["a2","a2-1145","das Klettern","climbing","चढ़ना","डास क्लेटर्न","Sports & Activities"],
+["a2","a2-1146","das Joggen","jogging","जॉगिंग","डास योगेन","Sports & Activities"],
+["a2","a2-1147","das Yoga","yoga","योग","डास योगा","Sports & Activities"],
+["a2","a2-1148","das Fitness","fitness","फिटनेस","डास फिटनेस","Sports & Activities"],
+["a2","a2-1149","das Fitnessstudio","gym","जिम","डास फिटनेसश्टूडियो","Sports & Activities"],
+["a2","a2-1150","der Sportplatz","sports field","खेल का मैदान","डेयर श्पोर्टप्लात्स","Sports & Activities"],
+["a2","a2-1151","das Stadion","stadium","स्टेडियम","डास श्टाडियोन","Sports & Activities"],
+["a2","a2-1152","die Mannschaft","team","टीम","डी मानशाफ्ट","Sports & Activities"],
+["a2","a2-1153","der Schiedsrichter","referee","रेफरी","डेयर शीड्सरिख्तर","Sports & Activities"],
+["a2","a2-1154","die Pause","break","ब्रेक","डी पाउज़े","Sports & Activities"],
+["a2","a2-1155","der Ball","ball","गेंद","डेयर बाल","Sports & Activities"],
+["a2","a2-1156","das Tor schießen","to score a goal","गोल करना","डास टोर शीसेन","Sports & Activities"],
+["a2","a2-1157","gewinnen","to win","जीतना","गेविनेन","Sports & Activities"],
+["a2","a2-1158","verlieren","to lose","हारना","फेर्लीरेन","Sports & Activities"],
+["a2","a2-1159","spielen","to play","खेलना","श्पीलेन","Sports & Activities"],
+["a2","a2-1160","trainieren","to train","प्रशिक्षण लेना","ट्रेनीरेन","Sports & Activities"],
+["a2","a2-1161","der Meister","champion","चैंपियन","डेयर माइस्टर","Sports & Activities"],
+["a2","a2-1162","die Meisterschaft","championship","चैंपियनशिप","डी माइस्टरशाफ्ट","Sports & Activities"],
+["a2","a2-1163","der Pokal","trophy","ट्रॉफी","डेयर पोकाल","Sports & Activities"],
+["a2","a2-1164","die Medaille","medal","मेडल","डी मेडाइले","Sports & Activities"],
+["a2","a2-1165","der Rekord","record","रिकॉर्ड","डेयर रेकोर्ड","Sports & Activities"],
+["a2","a2-1166","der Zuschauer","spectator","दर्शक","डेयर त्सूशाउर","Sports & Activities"],
+["a2","a2-1167","die Zuschauerin","spectator (female)","दर्शक (स्त्री)","डी त्सूशाउरिन","Sports & Activities"],
+["a2","a2-1168","der Fan","fan","प्रशंसक","डेयर फान","Sports & Activities"],
+["a2","a2-1169","die Ausrüstung","equipment","उपकरण","डी आउसर्यूस्टुंग","Sports & Activities"],
+["a2","a2-1170","die Sportart","type of sport","खेल का प्रकार","डी श्पोर्टार्ट","Sports & Activities"],
+["a2","a2-1171","die Übung","exercise","अभ्यास","डी यूबुंग","Sports & Activities"],
+["a2","a2-1172","die Bewegung","movement","गति","डी बेवेगुंग","Sports & Activities"],
+["a2","a2-1173","die Ausdauer","endurance","सहनशीलता","डी आउसडाउर","Sports & Activities"],
+["a2","a2-1174","die Kraft","strength","शक्ति","डी क्राफ्ट","Sports & Activities"],
+["a2","a2-1175","die Geschwindigkeit","speed","गति","डी गेश्विंडिखकाइट","Sports & Activities"],
+["a2","a2-1176","der Wettbewerb","contest","प्रतियोगिता","डेयर वेटबेवेर्ब","Sports & Activities"],
+["adverbs-prepositions","adverbs-prepositions-0001","ab","from (time onwards)","से (समय)","आप","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0002","aber","but","लेकिन","आबर","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0003","also","so / well","तो","आल्ज़ो","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0004","an","at / on (vertical)","पर","आन","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0005","auch","also / too","भी","आउख","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0006","auf","on (horizontal)","के ऊपर","आउफ","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0007","aus","out of / from (origin)","से (बाहर)","आउस","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0008","besonders","especially","खासकर","बेज़ोंडर्स","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0009","bis","until / to","तक","बिस","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0010","dass","that (conjunction)","कि","दास","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0011","denn","because / for","क्योंकि","डेन","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0012","deshalb","therefore","इसलिए","देसहाल्प","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0013","doch","yes (contradicting) / but","हाँ (विरोध में)","डोख","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0014","drinnen","inside","अंदर","ड्रिनेन","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0015","durch","through","से होकर","डुर्ख","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0016","eigentlich","actually","वास्तव में","आइगेंट्लिख","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0017","fast","almost","लगभग","फास्ट","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0018","früher","earlier / formerly","पहले","फ्र्युअर","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0019","für","for","के लिए","फ्युर","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0020","ganz","quite / whole","काफी / पूरा","गांत्स","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0021","gegen","against / around (time)","के खिलाफ / करीब","गेगेन","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0022","genau","exactly","बिल्कुल","गेनाउ","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0023","gerade","just now / straight","अभी-अभी","गेराडे","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0024","hinter","behind","के पीछे","हिंटर","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0025","in","in 📍","में","इन","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0026","ja","yes ✓","हाँ","या","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0027","kein","no / not any","कोई नहीं","काइन","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0028","meistens","mostly / usually","ज्यादातर","माइस्टेन्स","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0029","mit","with","के साथ","मिट","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0030","natürlich","of course / naturally","बेशक","नाट्युर्लिख","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0031","neben","next to / beside","के बगल में","नेबेन","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0032","nein","no ✗","नहीं","नाइन","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0033","nicht","not ❌","नहीं","निख्ट","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0034","nirgendwo","nowhere","कहीं नहीं","निर्गेंट्वो","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0035","noch","still / yet","अभी भी","नोख","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0036","nur","only","केवल","नूर","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0037","oder","or","या","ओडर","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0038","ohne","without","के बिना","ओने","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0039","schon","already","पहले से","शोन","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0040","sehr","very","बहुत","ज़ेर","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0041","seit","since / for (duration)","से (समय से)","ज़ाइट","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0042","sondern","but rather","बल्कि","ज़ोंडर्न","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0043","um","at (time) / around","बजे / के आसपास","उम","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0044","und","and 🔗","और","उंट","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0045","unter","under","के नीचे","उंटर","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0046","von","from / of","से / का","फॉन","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0047","wahrscheinlich","probably","संभवतः","वारशाइनलिख","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0048","weil","because","क्योंकि","वाइल","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0049","wenn","if / when","अगर / जब","वेन","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0050","wieder","again","फिर से","वीडर","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0051","wirklich","really","सच में","विर्कलिख","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0052","ziemlich","quite / fairly","काफी","त्सीमलिख","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0053","zu","to (place/person)","को / की ओर","त्सू","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0054","zwischen","between","के बीच","त्स्विशेन","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0055","über","over / above","के ऊपर","युबर","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0056","überall","everywhere","हर जगह","युबराल","Adverbs, Prepositions & Connectors"],
+["adverbs-prepositions","adverbs-prepositions-0057","übrigens","by the way","वैसे","युब्रिगेन्स","Adverbs, Prepositions & Connectors"],
+["clusters","t0-r0","A · Open \"ah\" — like father. Never \"ay\". Short [a] in closed syllables. · Tag","\"ay\" (name), \"a\" (cat), \"ah\" (father) — varies.","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r1","Ä · Like \"eh\" in air or bed — mouth open. Long or short. · Bär","No equivalent in English.","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r2","E · Pure \"eh\" — long [eː] or short open [ɛ]. No glide like English. · Beet","\"ee\" (see), \"eh\" (bed), \"uh\" (the) — varies.","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r3","G · Hard \"g\" at start; at end of syllable → \"k\"; after e/i/ä/ö/ü often soft \"ch\" [ç]. · König","\"g\" (go) or \"j\" (gem).","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r4","H · \"h\" only at start of syllable; after a vowel = silent (vowel lengthened). · gehen","\"h\" (house) — always pronounced.","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r5","I · Long \"ee\" [iː] or short \"i\" [ɪ] — pure, no diphthong. Never \"eye\". · Bild","\"eye\" (I), \"ee\" (see), \"ih\" (bit) — varies.","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r6","J · Always \"y\" [j] like yes — never like English \"j\". · Jahr","\"j\" [dʒ] (jar, jump).","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r7","K · \"k\" with no puff — crisp, like \"k\" in ski. · Kind","\"k\" with a puff of air (key, cat).","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r8","Ö · Say \"eh\" then round your lips. Like \"er\" in British \"her\" but more rounded. · schön","No equivalent in English.","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r9","P · \"p\" with no puff — like \"p\" in spin (after s). · Park","\"p\" with a puff of air (pin, pet).","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r10","Q · Always \"kv\" — Q only appears as Qu. Say \"k\" + \"v\". · Quelle","\"kw\" (queen, quick).","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r11","R · Guttural/back of throat [ʁ] (like French); at end of syllable often vocalized like soft \"a\" [ɐ]. · rot","\"r\" (red) — tip of tongue or American \"r\".","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r12","T · \"t\" with no puff — crisp, like \"t\" in stop. · Tag","\"t\" with a puff of air (top, ten).","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r13","U · Pure \"oo\" [uː] like moon — no \"y\" sound, lips rounded. · gut","\"uh\" (cup), \"oo\" (put), \"yoo\" (use) — varies.","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r14","Ü · Say \"ee\" (see) with lips rounded (puckered). · über","No equivalent in English.","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r15","V · Usually \"f\" (Vater, von); in loanwords sometimes \"v\". · Vater","\"v\" (very, love).","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r16","W · \"v\" — lips not rounded! Like English v in very. · Wasser","\"w\" (water) — lips rounded.","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r17","Y · In loanwords: like \"ü\" (Yoga) or \"y\" (Yacht). Rare in native words. · Yoga","\"y\" (yes) or \"i\" (myth).","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r18","Z · \"ts\" [ts] — like cats or pizza. Unvoiced, crisp. · Zwei","\"z\" [z] (zoo) — voiced.","","","⚠️ Letters That Sound Different from English"],
+["clusters","t0-r19","ß · Sharp \"ss\" [s] after a long vowel; never voiced. Not \"z\". · Straße","No equivalent (we use \"ss\").","","","⚠️ Letters That Sound Different from English"],
+["clusters","t1-r0","W · Wasser","","\"w\" (व) · \"v\" (व) ⚠️ · वासर (NOT वासर like English \"water\")","","🔴 Rule 1: Letters That Look English But Sound Different"],
+["clusters","t1-r1","V · Vater","","\"v\" (व) · \"f\" (फ) ⚠️ · फाटर (NOT वाटर like English \"father\")","","🔴 Rule 1: Letters That Look English But Sound Different"],
+["clusters","t1-r2","J · Jahr","","\"j\" (ज) · \"y\" (य) ⚠️ · यार (NOT जार like English \"jar\")","","🔴 Rule 1: Letters That Look English But Sound Different"],
+["clusters","t1-r3","Z · Zwei","","\"z\" (ज़) · \"ts\" (त्स) ⚠️ · त्स्वाइ (NOT ज़्वे like English \"zoo\")","","🔴 Rule 1: Letters That Look English But Sound Different"],
+["clusters","t1-r4","TH · Theater","","\"th\" (थ/द) · \"t\" (त) ⚠️ · तेआटर (NOT थिएटर like English \"theater\")","","🔴 Rule 1: Letters That Look English But Sound Different"],
+["clusters","t1-r5","SCH · Schule","\"sk\" or \"sh\"","\"sh\" (श) ⚠️ · शुले (NOT स्कूल like English \"school\")","","🔴 Rule 1: Letters That Look English But Sound Different"],
+["clusters","t1-r6","ST (at start) · Stadt","","\"st\" (स्ट) · \"sht\" (श्ट) ⚠️ · श्टाट (NOT स्टाट like English \"start\")","","🔴 Rule 1: Letters That Look English But Sound Different"],
+["clusters","t1-r7","SP (at start) · Sport","","\"sp\" (स्प) · \"shp\" (श्प) ⚠️ · श्पोर्ट (NOT स्पोर्ट like English \"sport\")","","🔴 Rule 1: Letters That Look English But Sound Different"],
+["clusters","t1-r8","CH · ich","","\"ch\" (च) · \"h\" (ह्य/ख) ⚠️ · इख (NOT इच like English \"itch\")","","🔴 Rule 1: Letters That Look English But Sound Different"],
+["clusters","t1-r9","KN · Knie","\"n\" (K silent)","\"kn\" (क्न) ⚠️ · क्नी (NOT नी - K is NOT silent!)","","🔴 Rule 1: Letters That Look English But Sound Different"],
+["clusters","t1-r10","R · Rot","","\"r\" (र - rolled/tapped) · \"r\" (र - guttural/uvular) ⚠️ · रोट (Guttural/uvular R, NOT English rolled R!)","","🔴 Rule 1: Letters That Look English But Sound Different"],
+["clusters","t2-r0","Wasser","water","वासर (like English) · वासर (W = व, not व) · पानी","","🔴 Rule 2: Common Words That Look English But Sound Different"],
+["clusters","t2-r1","Vater","father","वाटर (like English) · फाटर (V = फ, not व!) · पिता","","🔴 Rule 2: Common Words That Look English But Sound Different"],
+["clusters","t2-r2","Jahr","year","जार (like English \"jar\") · यार (J = य, not ज!) · साल","","🔴 Rule 2: Common Words That Look English But Sound Different"],
+["clusters","t2-r3","Zwei","two","ज़्वे (like English \"zoo\") · त्स्वाइ (Z = त्स, not ज़!) · दो","","🔴 Rule 2: Common Words That Look English But Sound Different"],
+["clusters","t2-r4","Theater","theater","थिएटर (English \"th\" sound) · तेआटर (TH = त, not थ!) · थिएटर","","🔴 Rule 2: Common Words That Look English But Sound Different"],
+["clusters","t2-r5","Schule","school","स्कूल (like English) · शुले (SCH = श, not स्क!) · स्कूल","","🔴 Rule 2: Common Words That Look English But Sound Different"],
+["clusters","t2-r6","Stadt","city","स्टाट (like English \"start\") · श्टाट (ST at start = श्ट!) · शहर","","🔴 Rule 2: Common Words That Look English But Sound Different"],
+["clusters","t2-r7","Sport","sport","स्पोर्ट (like English) · श्पोर्ट (SP at start = श्प!) · खेल","","🔴 Rule 2: Common Words That Look English But Sound Different"],
+["clusters","t2-r8","ich","I","इच (like English \"itch\") · इख (CH = ख/ह्य, not च!) · मैं","","🔴 Rule 2: Common Words That Look English But Sound Different"],
+["clusters","t2-r9","Knie","knee","नी (K silent, like English) · क्नी (K is NOT silent!) · घुटना","","🔴 Rule 2: Common Words That Look English But Sound Different"],
+["clusters","t2-r10","Zeit","time","ज़ेट (like English \"zoo\") · त्साइट (Z = त्स!) · समय","","🔴 Rule 2: Common Words That Look English But Sound Different"],
+["clusters","t2-r11","Woche","week","वोचे (like English \"watch\") · वोखे (W = व, CH = ख!) · सप्ताह","","🔴 Rule 2: Common Words That Look English But Sound Different"],
+["clusters","t2-r12","Rot","red","रोट (English rolled R) · रोट (R = guttural/uvular र, not English R!) · लाल","","🔴 Rule 2: Common Words That Look English But Sound Different"],
+["clusters","t3-r0","Blatt","Leaf","पत्ता","","BL - Like \"Blue\" in English!"],
+["clusters","t3-r1","Blut","Blood","खून","","BL - Like \"Blue\" in English!"],
+["clusters","t3-r2","Blume","Flower","फूल","","BL - Like \"Blue\" in English!"],
+["clusters","t4-r0","Brot","Bread","रोटी","","BR - Like \"Brother\"!"],
+["clusters","t4-r1","Bruder","Brother","भाई","","BR - Like \"Brother\"!"],
+["clusters","t4-r2","Braun","Brown","भूरा","","BR - Like \"Brother\"!"],
+["clusters","t5-r0","ich","I · Front (i) - Soft","मैं","","CH - The Tricky One! 🎯"],
+["clusters","t5-r1","mich","Me · Front (i) - Soft","मुझे","","CH - The Tricky One! 🎯"],
+["clusters","t5-r2","dich","You · Front (i) - Soft","तुम्हें","","CH - The Tricky One! 🎯"],
+["clusters","t5-r3","Licht","Light · Front (i) - Soft","रोशनी","","CH - The Tricky One! 🎯"],
+["clusters","t5-r4","nicht","Not · Front (i) - Soft","नहीं","","CH - The Tricky One! 🎯"],
+["clusters","t5-r5","recht","Right/Correct · Front (e) - Soft","सही","","CH - The Tricky One! 🎯"],
+["clusters","t5-r6","sprechen","Speak · Front (e) - Soft","बोलना","","CH - The Tricky One! 🎯"],
+["clusters","t5-r7","Chemie","Chemistry · Front (e) - Soft","रसायन विज्ञान","","CH - The Tricky One! 🎯"],
+["clusters","t5-r8","möchte","Would like · Front (ö) - Soft","चाहूंगा","","CH - The Tricky One! 🎯"],
+["clusters","t5-r9","Töchter","Daughters · Front (ö) - Soft","बेटियां","","CH - The Tricky One! 🎯"],
+["clusters","t5-r10","Bücher","Books · Front (ü) - Soft","किताबें","","CH - The Tricky One! 🎯"],
+["clusters","t5-r11","Buch","Book · Back (u) - Hard","किताब","","CH - The Tricky One! 🎯"],
+["clusters","t5-r12","auch","Also · Back (a) - Hard","भी","","CH - The Tricky One! 🎯"],
+["clusters","t5-r13","noch","Still/Yet · Back (o) - Hard","अभी भी","","CH - The Tricky One! 🎯"],
+["clusters","t5-r14","Dach","Roof · Back (a) - Hard","छत","","CH - The Tricky One! 🎯"],
+["clusters","t5-r15","hoch","High · Back (o) - Hard","ऊंचा","","CH - The Tricky One! 🎯"],
+["clusters","t5-r16","suchen","Search · Back (u) - Hard","खोजना","","CH - The Tricky One! 🎯"],
+["clusters","t5-r17","machen","Make/Do · Back (a) - Hard","बनाना/करना","","CH - The Tricky One! 🎯"],
+["clusters","t6-r0","Drama","Drama","नाटक","","DR - Like \"Drama\"!"],
+["clusters","t6-r1","Druck","Pressure","दबाव","","DR - Like \"Drama\"!"],
+["clusters","t6-r2","Drache","Dragon","अजगर/ड्रैगन","","DR - Like \"Drama\"!"],
+["clusters","t7-r0","Flasche","Bottle","बोतल","","FL - Like \"Fly\"!"],
+["clusters","t7-r1","Fliegen","Fly","उड़ना","","FL - Like \"Fly\"!"],
+["clusters","t7-r2","Fluss","River","नदी","","FL - Like \"Fly\"!"],
+["clusters","t8-r0","Frau","Woman","महिला","","FR - Like \"Friend\"!"],
+["clusters","t8-r1","Freund","Friend","मित्र","","FR - Like \"Friend\"!"],
+["clusters","t8-r2","Freiheit","Freedom","स्वतंत्रता","","FR - Like \"Friend\"!"],
+["clusters","t9-r0","Glas","Glass","कांच","","GL - Like \"Glass\"!"],
+["clusters","t9-r1","Gleis","Platform","प्लेटफ़ॉर्म","","GL - Like \"Glass\"!"],
+["clusters","t9-r2","Glück","Luck","भाग्य","","GL - Like \"Glass\"!"],
+["clusters","t10-r0","Gras","Grass","घास","","GR - Like \"Grass\"!"],
+["clusters","t10-r1","Grenze","Border","सीमा","","GR - Like \"Grass\"!"],
+["clusters","t10-r2","Groß","Big/Large","बड़ा","","GR - Like \"Grass\"!"],
+["clusters","t11-r0","Kleid","Dress","पोशाक","","KL - Like \"Class\"!"],
+["clusters","t11-r1","Klemme","Clamp","क्लिप/जकड़न","","KL - Like \"Class\"!"],
+["clusters","t11-r2","Klasse","Class","कक्षा","","KL - Like \"Class\"!"],
+["clusters","t12-r0","Kraft","Strength","शक्ति","","KR - Like \"Crown\"!"],
+["clusters","t12-r1","Kredit","Credit","ऋण/साख","","KR - Like \"Crown\"!"],
+["clusters","t12-r2","Krone","Crown","मुकुट","","KR - Like \"Crown\"!"],
+["clusters","t13-r0","Plan","Plan","योजना","","PL - Like \"Plan\"!"],
+["clusters","t13-r1","Platz","Place/Square","स्थान/चौक","","PL - Like \"Plan\"!"],
+["clusters","t13-r2","Pflanze","Plant","पौधा","","PL - Like \"Plan\"!"],
+["clusters","t14-r0","Preis","Price","कीमत","","PR - Like \"Price\"!"],
+["clusters","t14-r1","Präsent","Present","उपहार","","PR - Like \"Price\"!"],
+["clusters","t14-r2","Praxis","Practice","अभ्यास/क्लिनिक","","PR - Like \"Price\"!"],
+["clusters","t15-r0","Schule","School","विद्यालय","","SCH - Always \"श\" Sound! ⭐"],
+["clusters","t15-r1","Schaf","Sheep","भेड़","","SCH - Always \"श\" Sound! ⭐"],
+["clusters","t15-r2","Schatten","Shadow","छाया","","SCH - Always \"श\" Sound! ⭐"],
+["clusters","t16-r0","Schloss","Castle/Lock","किला/ताला","","SCHL - \"श्ल\" Sound!"],
+["clusters","t16-r1","schlagen","Hit/Strike","मारना","","SCHL - \"श्ल\" Sound!"],
+["clusters","t16-r2","schnell","Fast","तेज़","","SCHL - \"श्ल\" Sound!"],
+["clusters","t17-r0","schreiben","Write","लिखना","","SCHR - \"श्र\" Sound!"],
+["clusters","t17-r1","schrecklich","Terrible","भयानक","","SCHR - \"श्र\" Sound!"],
+["clusters","t17-r2","Schrank","Cupboard","अलमारी","","SCHR - \"श्र\" Sound!"],
+["clusters","t18-r0","Straße","Street","सड़क","","STR - \"श्ट्र\" Sound!"],
+["clusters","t18-r1","Strumpf","Sock","मोज़ा","","STR - \"श्ट्र\" Sound!"],
+["clusters","t18-r2","Strom","Current/Electricity","धारा/बिजली","","STR - \"श्ट्र\" Sound!"],
+["clusters","t19-r0","Sport","Sport","खेल","","SP - Starts with \"श्प\"! 🎬"],
+["clusters","t19-r1","Sprache","Language","भाषा","","SP - Starts with \"श्प\"! 🎬"],
+["clusters","t19-r2","spannend","Exciting","रोमांचक","","SP - Starts with \"श्प\"! 🎬"],
+["clusters","t20-r0","Stadt","City","शहर","","ST - Changes Position! 🔄"],
+["clusters","t20-r1","Stelle","Place/Position","स्थान","","ST - Changes Position! 🔄"],
+["clusters","t20-r2","Stein","Stone","पत्थर","","ST - Changes Position! 🔄"],
+["clusters","t21-r0","Theater","Theater","रंगमंच","","TH - Just \"T\" Sound! 🎯"],
+["clusters","t21-r1","Thema","Topic/Theme","विषय","","TH - Just \"T\" Sound! 🎯"],
+["clusters","t21-r2","Theorie","Theory","सिद्धांत","","TH - Just \"T\" Sound! 🎯"],
+["clusters","t22-r0","Katze","Cat","बिल्ली","","TS - Like \"ज़\" Sound! 🎵"],
+["clusters","t22-r1","Platz","Place/Square","स्थान/चौक","","TS - Like \"ज़\" Sound! 🎵"],
+["clusters","t22-r2","Satz","Sentence","वाक्य","","TS - Like \"ज़\" Sound! 🎵"],
+["clusters","t23-r0","Zwei","Two","दो","","ZW - \"त्स्व\" Sound!"],
+["clusters","t23-r1","Zwanzig","Twenty","बीस","","ZW - \"त्स्व\" Sound!"],
+["clusters","t23-r2","Zwischen","Between","बीच में","","ZW - \"त्स्व\" Sound!"],
+["clusters","t24-r0","Pflanze","Plant","पौधा","","PF - Both Letters!"],
+["clusters","t24-r1","Pferd","Horse","घोड़ा","","PF - Both Letters!"],
+["clusters","t24-r2","Pfad","Path","पथ","","PF - Both Letters!"],
+["clusters","t25-r0","Knie","Knee","घुटना","","KN - K is NOT Silent! ⚠️"],
+["clusters","t25-r1","Knopf","Button","बटन","","KN - K is NOT Silent! ⚠️"],
+["clusters","t25-r2","Knabe","Boy","लड़का","","KN - K is NOT Silent! ⚠️"],
+["clusters","t26-r0","Philosophie","Philosophy","दर्शनशास्त्र","","PH - Always \"फ\" Sound!"],
+["clusters","t26-r1","Phänomen","Phenomenon","घटना","","PH - Always \"फ\" Sound!"],
+["clusters","t26-r2","Phase","Phase","चरण","","PH - Always \"फ\" Sound!"],
+["clusters","t27-r0","Quelle","Source","स्रोत","","QU - Sounds Like \"KV\"! 🔄"],
+["clusters","t27-r1","quer","Across/Diagonal","तिरछा","","QU - Sounds Like \"KV\"! 🔄"],
+["clusters","t27-r2","Qualität","Quality","गुणवत्ता","","QU - Sounds Like \"KV\"! 🔄"],
+["clusters","t28-r0","Rhythmus","Rhythm","ताल","","RH - \"R\" Sound, H Silent!"],
+["clusters","t28-r1","Rhapsodie","Rhapsody","राग/काव्य","","RH - \"R\" Sound, H Silent!"],
+["clusters","t28-r2","Rhein","Rhine","राइन नदी","","RH - \"R\" Sound, H Silent!"],
+["clusters","t29-r0","Schauspiel","Play/Performance","नाटक","","SC - Usually \"श\" Sound!"],
+["clusters","t29-r1","Schaufenster","Shop window","दुकान की खिड़की","","SC - Usually \"श\" Sound!"],
+["clusters","t29-r2","Schema","Scheme/Plan","योजना","","SC - Usually \"श\" Sound!"],
+["clusters","t30-r0","Traum","Dream","सपना","","TR - Like \"Tree\"!"],
+["clusters","t30-r1","Tragen","Carry","उठाना","","TR - Like \"Tree\"!"],
+["clusters","t30-r2","Trauer","Mourning","शोक","","TR - Like \"Tree\"!"],
+["clusters","t31-r0","Schmuck","Jewelry","गहना","","SCHM - \"श्म\" Sound!"],
+["clusters","t31-r1","schmecken","Taste","स्वाद","","SCHM - \"श्म\" Sound!"],
+["clusters","t31-r2","schmieren","Spread/Smear","लगाना","","SCHM - \"श्म\" Sound!"],
+["clusters","t32-r0","schnell","Fast","तेज़","","SCHN - \"श्न\" Sound!"],
+["clusters","t32-r1","Schnee","Snow","बर्फ","","SCHN - \"श्न\" Sound!"],
+["clusters","t32-r2","Schneider","Tailor","दर्जी","","SCHN - \"श्न\" Sound!"],
+["clusters","t33-r0","Schwimmen","Swim","तैरना","","SCHW - \"श्व\" Sound!"],
+["clusters","t33-r1","Schwester","Sister","बहन","","SCHW - \"श्व\" Sound!"],
+["clusters","t33-r2","schwarz","Black","काला","","SCHW - \"श्व\" Sound!"],
+["common-words","common-words-0001","alle","all","सब","","A1 Level"],
+["common-words","common-words-0002","und","and","और","","A1 Level"],
+["common-words","common-words-0003","ein","an","एक","","A1 Level"],
+["common-words","common-words-0004","der Apfel","apple","सेब","","A1 Level"],
+["common-words","common-words-0005","der Arm","arm","बाँह","","A1 Level"],
+["common-words","common-words-0006","als","as","जैसे","","A1 Level"],
+["common-words","common-words-0007","der Ball","ball","गेंद","","A1 Level"],
+["common-words","common-words-0008","das Bier","beer","बीयर","","A1 Level"],
+["common-words","common-words-0009","besser","better","बेहतर","","A1 Level"],
+["common-words","common-words-0010","das Buch","book","किताब","","A1 Level"],
+["common-words","common-words-0011","das Brot","bread","रोटी","","A1 Level"],
+["common-words","common-words-0012","kalt","cold","ठंडा","","A1 Level"],
+["common-words","common-words-0013","kühl","cool","ठंडा / शांत","","A1 Level"],
+["common-words","common-words-0014","die Kuh","cow","गाय","","A1 Level"],
+["common-words","common-words-0015","der Tag","day","दिन","","A1 Level"],
+["common-words","common-words-0016","tun","do","करना","","A1 Level"],
+["common-words","common-words-0017","die Tür","door","दरवाज़ा","","A1 Level"],
+["common-words","common-words-0018","trinken","drink","पीना","","A1 Level"],
+["common-words","common-words-0019","trocken","dry","सूखा","","A1 Level"],
+["common-words","common-words-0020","das Ohr","ear","कान","","A1 Level"],
+["common-words","common-words-0021","die Erde","earth","पृथ्वी","","A1 Level"],
+["common-words","common-words-0022","essen","eat","खाना","","A1 Level"],
+["common-words","common-words-0023","das Ei","egg","अंडा","","A1 Level"],
+["common-words","common-words-0024","das Auge","eye","आँख","","A1 Level"],
+["common-words","common-words-0025","fern","far","दूर","","A1 Level"],
+["common-words","common-words-0026","der Vater","father","पिता","","A1 Level"],
+["common-words","common-words-0027","der Finger","finger","उंगली","","A1 Level"],
+["common-words","common-words-0028","der Fisch","fish","मछली","","A1 Level"],
+["common-words","common-words-0029","der Fuß","foot","पैर","","A1 Level"],
+["common-words","common-words-0030","für","for","के लिए","","A1 Level"],
+["common-words","common-words-0031","frei","free","स्वतंत्र / मुफ्त","","A1 Level"],
+["common-words","common-words-0032","Freitag","Friday","शुक्रवार","","A1 Level"],
+["common-words","common-words-0033","der Garten","garden","बगीचा","","A1 Level"],
+["common-words","common-words-0034","das Glas","glass","ग्लास / काँच","","A1 Level"],
+["common-words","common-words-0035","gehen","go","जाना","","A1 Level"],
+["common-words","common-words-0036","Gott","God","भगवान","","A1 Level"],
+["common-words","common-words-0037","das Gold","gold","सोना","","A1 Level"],
+["common-words","common-words-0038","gut","good","अच्छा","","A1 Level"],
+["common-words","common-words-0039","das Gras","grass","घास","","A1 Level"],
+["common-words","common-words-0040","die Hand","hand","हाथ","","A1 Level"],
+["common-words","common-words-0041","hart","hard","कठिन / सख्त","","A1 Level"],
+["common-words","common-words-0042","haben","have","होना / रखना","","A1 Level"],
+["common-words","common-words-0043","das Herz","heart","दिल","","A1 Level"],
+["common-words","common-words-0044","hier","here","यहाँ","","A1 Level"],
+["common-words","common-words-0045","hoch","high","ऊँचा","","A1 Level"],
+["common-words","common-words-0046","das Haus","house","घर","","A1 Level"],
+["common-words","common-words-0047","das Eis","ice","बर्फ","","A1 Level"],
+["common-words","common-words-0048","das Knie","knee","घुटना","","A1 Level"],
+["common-words","common-words-0049","Montag","Monday","सोमवार","","A1 Level"],
+["common-words","common-words-0050","die Mutter","mother","माँ","","A1 Level"],
+["common-words","common-words-0051","der Name","name","नाम","","A1 Level"],
+["common-words","common-words-0052","die Nase","nose","नाक","","A1 Level"],
+["common-words","common-words-0053","alt","old","पुराना","","A1 Level"],
+["common-words","common-words-0054","offen","open","खुला","","A1 Level"],
+["common-words","common-words-0055","der Park","park","पार्क","","A1 Level"],
+["common-words","common-words-0056","das Salz","salt","नमक","","A1 Level"],
+["common-words","common-words-0057","der Sand","sand","रेत","","A1 Level"],
+["common-words","common-words-0058","sehen","see","देखना","","A1 Level"],
+["common-words","common-words-0059","sie","she","वह (स्त्री)","","A1 Level"],
+["common-words","common-words-0060","der Sommer","summer","गर्मी","","A1 Level"],
+["common-words","common-words-0061","das Wasser","water","पानी","","A1 Level"],
+["common-words","common-words-0062","warm","warm","गर्म","","A1 Level"],
+["common-words","common-words-0063","was","what","क्या","","A1 Level"],
+["common-words","common-words-0064","die Brücke","bridge","पुल","","A1 Level"],
+["common-words","common-words-0065","breit","broad","चौड़ा","","A1 Level"],
+["common-words","common-words-0066","allein","alone","अकेला","","A2 Level"],
+["common-words","common-words-0067","die Ameise","ant","चींटी","","A2 Level"],
+["common-words","common-words-0068","weg","away","दूर","","A2 Level"],
+["common-words","common-words-0069","der Bär","bear (n)","भालू","","A2 Level"],
+["common-words","common-words-0070","das Bett","bed","बिस्तर","","A2 Level"],
+["common-words","common-words-0071","die Biene","bee","मधुमक्खी","","A2 Level"],
+["common-words","common-words-0072","das Boot","boat","नाव","","A2 Level"],
+["common-words","common-words-0073","beide","both","दोनों","","A2 Level"],
+["common-words","common-words-0074","der Bruder","brother","भाई","","A2 Level"],
+["common-words","common-words-0075","kommen","come","आना","","A2 Level"],
+["common-words","common-words-0076","die Tochter","daughter","बेटी","","A2 Level"],
+["common-words","common-words-0077","die Taube","dove","कबूतर","","A2 Level"],
+["common-words","common-words-0078","genug","enough","काफी","","A2 Level"],
+["common-words","common-words-0079","der Fuchs","fox","लोमड़ी","","A2 Level"],
+["common-words","common-words-0080","der Frosch","frog","मेंढक","","A2 Level"],
+["common-words","common-words-0081","die Geiß","goat","बकरी","","A2 Level"],
+["common-words","common-words-0082","das Haar","hair","बाल","","A2 Level"],
+["common-words","common-words-0083","halb","half","आधा","","A2 Level"],
+["common-words","common-words-0084","helfen","help","मदद करना","","A2 Level"],
+["common-words","common-words-0085","das Heim(at)","home","घर","","A2 Level"],
+["common-words","common-words-0086","heiß","hot","गर्म","","A2 Level"],
+["common-words","common-words-0087","leben","live","जीना","","A2 Level"],
+["common-words","common-words-0088","lieben","love","प्यार करना","","A2 Level"],
+["common-words","common-words-0089","der Mond","moon","चाँद","","A2 Level"],
+["common-words","common-words-0090","mehr","more","और अधिक","","A2 Level"],
+["common-words","common-words-0091","der Mund","mouth","मुँह","","A2 Level"],
+["common-words","common-words-0092","die Nacht","night","रात","","A2 Level"],
+["common-words","common-words-0093","nun","now","अब","","A2 Level"],
+["common-words","common-words-0094","der Regen","rain","बारिश","","A2 Level"],
+["common-words","common-words-0095","die See","sea","समुद्र","","A2 Level"],
+["common-words","common-words-0096","das Schiff","ship","जहाज़","","A2 Level"],
+["common-words","common-words-0097","die Schwester","sister","बहन","","A2 Level"],
+["common-words","common-words-0098","der Schnee","snow","बर्फ","","A2 Level"],
+["common-words","common-words-0099","der Sohn","son","बेटा","","A2 Level"],
+["common-words","common-words-0100","die Sonne","sun","सूरज","","A2 Level"],
+["common-words","common-words-0101","die Woche","week","सप्ताह","","A2 Level"],
+["common-words","common-words-0102","die Braut","bride","दुल्हन","","A2 Level"],
+["common-words","common-words-0103","braun","brown","भूरा","","A2 Level"],
+["common-words","common-words-0104","die Gans","goose","हंस/कलहंस","","A2 Level"],
+["common-words","common-words-0105","grau","gray","धूसर","","A2 Level"],
+["common-words","common-words-0106","das Schaf","sheep","भेड़","","A2 Level"],
+["common-words","common-words-0107","die Feder","feather","पंख","","A2 Level"],
+["common-words","common-words-0108","füttern","feed","खिलाना","","A2 Level"],
+["common-words","common-words-0109","bringen","bring","लाना","","B1 Level"],
+["common-words","common-words-0110","brennen","burn","जलना","","B1 Level"],
+["common-words","common-words-0111","der Kuchen","cake","केक","","B1 Level"],
+["common-words","common-words-0112","tot","dead","मृत","","B1 Level"],
+["common-words","common-words-0113","tief","deep","गहरा","","B1 Level"],
+["common-words","common-words-0114","der Teufel","devil","शैतान","","B1 Level"],
+["common-words","common-words-0115","der Osten","east","पूर्व","","B1 Level"],
+["common-words","common-words-0116","fallen","fall","गिरना","","B1 Level"],
+["common-words","common-words-0117","fühlen","feel","महसूस करना","","B1 Level"],
+["common-words","common-words-0118","der Filz","felt (n)","फेल्ट (कपड़ा)","","B1 Level"],
+["common-words","common-words-0119","das Feld","field","खेत","","B1 Level"],
+["common-words","common-words-0120","füllen","fill","भरना","","B1 Level"],
+["common-words","common-words-0121","ausfüllen","fill out (form)","फॉर्म भरना","","B1 Level"],
+["common-words","common-words-0122","das Filter","filter","फिल्टर","","B1 Level"],
+["common-words","common-words-0123","finden","find","पाना","","B1 Level"],
+["common-words","common-words-0124","herausfinden","find out","पता लगाना","","B1 Level"],
+["common-words","common-words-0125","der Fingernagel","fingernail","नाखून","","B1 Level"],
+["common-words","common-words-0126","das Feuer","fire","आग","","B1 Level"],
+["common-words","common-words-0127","das Feuerwerk","fireworks","आतिशबाजी","","B1 Level"],
+["common-words","common-words-0128","flach","flat","चपटा","","B1 Level"],
+["common-words","common-words-0129","der Floh","flea","पिस्सू","","B1 Level"],
+["common-words","common-words-0130","die Flotte","fleet","बेड़ा","","B1 Level"],
+["common-words","common-words-0131","flattern","flutter","फड़फड़ाना","","B1 Level"],
+["common-words","common-words-0132","fliegen","fly (vb)","उड़ना","","B1 Level"],
+["common-words","common-words-0133","das Fohlen","foal","घोड़े का बच्चा","","B1 Level"],
+["common-words","common-words-0134","falten","fold","मोड़ना","","B1 Level"],
+["common-words","common-words-0135","das Volk","folk","लोग","","B1 Level"],
+["common-words","common-words-0136","folgen","follow","पीछा करना","","B1 Level"],
+["common-words","common-words-0137","verbieten","forbid","मना करना","","B1 Level"],
+["common-words","common-words-0138","die Furt","ford","उथला घाट","","B1 Level"],
+["common-words","common-words-0139","frieren","freeze","जमना","","B1 Level"],
+["common-words","common-words-0140","frisch","fresh","ताज़ा","","B1 Level"],
+["common-words","common-words-0141","der Frost","frost","पाला","","B1 Level"],
+["common-words","common-words-0142","der Geist","ghost","भूत","","B1 Level"],
+["common-words","common-words-0143","begabt","gifted","प्रतिभाशाली","","B1 Level"],
+["common-words","common-words-0144","geben","give","देना","","B1 Level"],
+["common-words","common-words-0145","aufgeben","give up","छोड़ देना","","B1 Level"],
+["common-words","common-words-0146","der Glanz","gleam","चमक","","B1 Level"],
+["common-words","common-words-0147","gleiten","glide","फिसलना","","B1 Level"],
+["common-words","common-words-0148","glühen","glow","चमकना","","B1 Level"],
+["common-words","common-words-0149","grasen","graze","चरना","","B1 Level"],
+["common-words","common-words-0150","(be)grüßen","greet","नमस्ते कहना","","B1 Level"],
+["common-words","common-words-0151","der Griff","grip","पकड़","","B1 Level"],
+["common-words","common-words-0152","der Grund","ground","ज़मीन","","B1 Level"],
+["common-words","common-words-0153","(wachsen)","grow","बढ़ना","","B1 Level"],
+["common-words","common-words-0154","der Gast","guest","मेहमान","","B1 Level"],
+["common-words","common-words-0155","der Hammer","hammer","हथौड़ा","","B1 Level"],
+["common-words","common-words-0156","der Hamster","hamster","हैम्स्टर","","B1 Level"],
+["common-words","common-words-0157","das Handbuch","handbook","हैंडबुक","","B1 Level"],
+["common-words","common-words-0158","(be)handeln","handle","संभालना","","B1 Level"],
+["common-words","common-words-0159","hängen","hang","लटकाना","","B1 Level"],
+["common-words","common-words-0160","die Harfe","harp","वीणा","","B1 Level"],
+["common-words","common-words-0161","anhaben","have on","पहनना","","B1 Level"],
+["common-words","common-words-0162","der Habicht","hawk","बाज़","","B1 Level"],
+["common-words","common-words-0163","das Heu","hay","घास","","B1 Level"],
+["common-words","common-words-0164","der Haufen","heap","ढेर","","B1 Level"],
+["common-words","common-words-0165","die Hecke","hedge","बाड़","","B1 Level"],
+["common-words","common-words-0166","der Helm","helmet","हेलमेट","","B1 Level"],
+["common-words","common-words-0167","hohl","hollow","खोखला","","B1 Level"],
+["common-words","common-words-0168","heilig","holy","पवित्र","","B1 Level"],
+["common-words","common-words-0169","hüpfen","hop","उछलना","","B1 Level"],
+["common-words","common-words-0170","das Horn","horn","सींग","","B1 Level"],
+["common-words","common-words-0171","heulen","howl","चिल्लाना","","B1 Level"],
+["common-words","common-words-0172","die Hürde","hurdle","बाधा","","B1 Level"],
+["common-words","common-words-0173","die Hütte","hut","झोपड़ी","","B1 Level"],
+["common-words","common-words-0174","das Einkommen","income","आय","","B1 Level"],
+["common-words","common-words-0175","der Efeu","ivy","आइवी","","B1 Level"],
+["common-words","common-words-0176","der Knoten","knot","गांठ","","B1 Level"],
+["common-words","common-words-0177","die Leiter","ladder","सीढ़ी","","B1 Level"],
+["common-words","common-words-0178","das Lager","lair","मांद","","B1 Level"],
+["common-words","common-words-0179","das Lamm","lamb","मेमना","","B1 Level"],
+["common-words","common-words-0180","die Lerche","lark","लर्क (पक्षी)","","B1 Level"],
+["common-words","common-words-0181","legen","lay","रखना","","B1 Level"],
+["common-words","common-words-0182","der Leiter","leader","नेता","","B1 Level"],
+["common-words","common-words-0183","lehnen","lean","झुकना","","B1 Level"],
+["common-words","common-words-0184","das Leder","leather","चमड़ा","","B1 Level"],
+["common-words","common-words-0185","lassen","let","अनुमति देना","","B1 Level"],
+["common-words","common-words-0186","lecken","lick","चाटना","","B1 Level"],
+["common-words","common-words-0187","liegen","lie (down)","लेटना","","B1 Level"],
+["common-words","common-words-0188","lügen","lie (untruth)","झूठ बोलना","","B1 Level"],
+["common-words","common-words-0189","die Lippe","lip","होंठ","","B1 Level"],
+["common-words","common-words-0190","lose","loose","ढीला","","B1 Level"],
+["common-words","common-words-0191","verlieren","lose","हारना","","B1 Level"],
+["common-words","common-words-0192","das Glück","luck","भाग्य","","B1 Level"],
+["common-words","common-words-0193","lauwarm","lukewarm","गुनगुना","","B1 Level"],
+["common-words","common-words-0194","die Lunge","lung","फेफड़ा","","B1 Level"],
+["common-words","common-words-0195","die Made","maggot","कीड़ा","","B1 Level"],
+["common-words","common-words-0196","das Mädchen","maiden","कुंवारी लड़की","","B1 Level"],
+["common-words","common-words-0197","das Mark","marrow","मज्जा","","B1 Level"],
+["common-words","common-words-0198","der Mast","mast","मस्तूल","","B1 Level"],
+["common-words","common-words-0199","meinen","mean","मतलब होना","","B1 Level"],
+["common-words","common-words-0200","mild","mild","हल्का","","B1 Level"],
+["common-words","common-words-0201","das Monat","month","महीना","","B1 Level"],
+["common-words","common-words-0202","der Nachbar","neighbor","पड़ोसी","","B1 Level"],
+["common-words","common-words-0203","das Nest","nest","घोंसला","","B1 Level"],
+["common-words","common-words-0204","nächste","next","अगला","","B1 Level"],
+["common-words","common-words-0205","die Nachtigall","nightingale","बुलबुल","","B1 Level"],
+["common-words","common-words-0206","die Nudel","noodle","नूडल","","B1 Level"],
+["common-words","common-words-0207","das Nasenbluten","nosebleed","नाक से खून","","B1 Level"],
+["common-words","common-words-0208","der Eid","oath","शपथ","","B1 Level"],
+["common-words","common-words-0209","der Ausbruch","outbreak","प्रकोप","","B1 Level"],
+["common-words","common-words-0210","der Ochse","ox","बैल","","B1 Level"],
+["common-words","common-words-0211","der Pfad","path","रास्ता","","B1 Level"],
+["common-words","common-words-0212","der Pflug","plow","हल","","B1 Level"],
+["common-words","common-words-0213","plündern","plunder","लूटना","","B1 Level"],
+["common-words","common-words-0214","roh","raw","कच्चा","","B1 Level"],
+["common-words","common-words-0215","(er)reichen","reach","पहुँचना","","B1 Level"],
+["common-words","common-words-0216","rechnen","reckon","गणना करना","","B1 Level"],
+["common-words","common-words-0217","das Rätsel","riddle","पहेली","","B1 Level"],
+["common-words","common-words-0218","reif","ripe","पका","","B1 Level"],
+["common-words","common-words-0219","rösten","roast","भूनना","","B1 Level"],
+["common-words","common-words-0220","rauben","rob","लूटना","","B1 Level"],
+["common-words","common-words-0221","rau","rough","खुरदरा","","B1 Level"],
+["common-words","common-words-0222","rostig","rusty","जंग लगा","","B1 Level"],
+["common-words","common-words-0223","der Sattel","saddle","काठी","","B1 Level"],
+["common-words","common-words-0224","der Saft","sap","रस","","B1 Level"],
+["common-words","common-words-0225","die Säge","saw (n)","आरी","","B1 Level"],
+["common-words","common-words-0226","schaurig","scary","डरावना","","B1 Level"],
+["common-words","common-words-0227","(schaben)","scrape","खुरचना","","B1 Level"],
+["common-words","common-words-0228","kratzen","scratch","खरोंचना","","B1 Level"],
+["common-words","common-words-0229","schreien","scream","चिल्लाना","","B1 Level"],
+["common-words","common-words-0230","der (Bild)schirm","screen","स्क्रीन","","B1 Level"],
+["common-words","common-words-0231","die Saat","seed","बीज","","B1 Level"],
+["common-words","common-words-0232","suchen","seek","खोजना","","B1 Level"],
+["common-words","common-words-0233","selten","seldom","कभी-कभी","","B1 Level"],
+["common-words","common-words-0234","siedeln","settle","बसना","","B1 Level"],
+["common-words","common-words-0235","der Schatten","shadow","छाया","","B1 Level"],
+["common-words","common-words-0236","der Schaft","shaft","डंडा","","B1 Level"],
+["common-words","common-words-0237","die Schande","shame","शर्म","","B1 Level"],
+["common-words","common-words-0238","scharf","sharp","तीखा","","B1 Level"],
+["common-words","common-words-0239","die Schale","shell","छिलका","","B1 Level"],
+["common-words","common-words-0240","das Schild","shield","ढाल","","B1 Level"],
+["common-words","common-words-0241","das Schienbein","shinbone","पिंडली की हड्डी","","B1 Level"],
+["common-words","common-words-0242","scheinen","shine","चमकना","","B1 Level"],
+["common-words","common-words-0243","(das Hemd)","shirt","कमीज़","","B1 Level"],
+["common-words","common-words-0244","der Schuh","shoe","जूता","","B1 Level"],
+["common-words","common-words-0245","schießen","shoot","गोली मारना","","B1 Level"],
+["common-words","common-words-0246","scheuen","shun","बचना","","B1 Level"],
+["common-words","common-words-0247","scheu","shy","शर्मीला","","B1 Level"],
+["common-words","common-words-0248","(krank)","sick","बीमार","","B1 Level"],
+["common-words","common-words-0249","das Sieb","sieve","छलनी","","B1 Level"],
+["common-words","common-words-0250","die Sehne","sinew","नस","","B1 Level"],
+["common-words","common-words-0251","sinken","sink","डूबना","","B1 Level"],
+["common-words","common-words-0252","der Schädel","skull","खोपड़ी","","B1 Level"],
+["common-words","common-words-0253","schlau","sly","चालाक","","B1 Level"],
+["common-words","common-words-0254","schmieren","smear","लेप करना","","B1 Level"],
+["common-words","common-words-0255","schmuggeln","smuggle","तस्करी करना","","B1 Level"],
+["common-words","common-words-0256","niesen","sneeze","छींकना","","B1 Level"],
+["common-words","common-words-0257","schnarchen","snore","खर्राटे लेना","","B1 Level"],
+["common-words","common-words-0258","die Seife","soap","साबुन","","B1 Level"],
+["common-words","common-words-0259","die Seele","soul","आत्मा","","B1 Level"],
+["common-words","common-words-0260","die Suppe","soup","सूप","","B1 Level"],
+["common-words","common-words-0261","sauer","sour","खट्टा","","B1 Level"],
+["common-words","common-words-0262","sparen","spare","बचाना","","B1 Level"],
+["common-words","common-words-0263","die Spindel","spindle","तकला","","B1 Level"],
+["common-words","common-words-0264","der Splitter","splinter","छिपटी","","B1 Level"],
+["common-words","common-words-0265","spreiten","spread","फैलाना","","B1 Level"],
+["common-words","common-words-0266","sprießen","sprout","अंकुरित होना","","B1 Level"],
+["common-words","common-words-0267","der Spion","spy","जासूस","","B1 Level"],
+["common-words","common-words-0268","stempeln","stamp","मोहर लगाना","","B1 Level"],
+["common-words","common-words-0269","starren","stare","घूरना","","B1 Level"],
+["common-words","common-words-0270","stehlen","steal","चोरी करना","","B1 Level"],
+["common-words","common-words-0271","der Stahl","steel","इस्पात","","B1 Level"],
+["common-words","common-words-0272","steuern","steer","चलाना","","B1 Level"],
+["common-words","common-words-0273","der Stiefvater","stepfather","सौतेला पिता","","B1 Level"],
+["common-words","common-words-0274","das Stroh","straw","पुआल","","B1 Level"],
+["common-words","common-words-0275","solche","such","ऐसा","","B1 Level"],
+["common-words","common-words-0276","saugen","suck","चूसना","","B1 Level"],
+["common-words","common-words-0277","der Sumpf","swamp","दलदल","","B1 Level"],
+["common-words","common-words-0278","schwören","swear","कसम खाना","","B1 Level"],
+["common-words","common-words-0279","schwingen","swing","झूलना","","B1 Level"],
+["common-words","common-words-0280","das Schwert","sword","तलवार","","B1 Level"],
+["common-words","common-words-0281","zahm","tame","पालतू","","B1 Level"],
+["common-words","common-words-0282","tauen","thaw","पिघलना","","B1 Level"],
+["common-words","common-words-0283","dort","there","वहाँ","","B1 Level"],
+["common-words","common-words-0284","der Dieb","thief","चोर","","B1 Level"],
+["common-words","common-words-0285","das Ding","thing","चीज़","","B1 Level"],
+["common-words","common-words-0286","der Durst","thirst","प्यास","","B1 Level"],
+["common-words","common-words-0287","(der Faden)","thread","धागा","","B1 Level"],
+["common-words","common-words-0288","drohen","threaten","धमकी देना","","B1 Level"],
+["common-words","common-words-0289","der Daumen","thumb","अंगूठा","","B1 Level"],
+["common-words","common-words-0290","das Zinn","tin","टिन","","B1 Level"],
+["common-words","common-words-0291","die Zehe","toe","पैर की उंगली","","B1 Level"],
+["common-words","common-words-0292","das Zeichen","token","संकेत","","B1 Level"],
+["common-words","common-words-0293","die Zunge","tongue","जीभ","","B1 Level"],
+["common-words","common-words-0294","zäh","tough","सख्त","","B1 Level"],
+["common-words","common-words-0295","der Zweig","twig","टहनी","","B1 Level"],
+["common-words","common-words-0296","unter","under","नीचे","","B1 Level"],
+["common-words","common-words-0297","der Untergrund","underground","भूमिगत","","B1 Level"],
+["common-words","common-words-0298","aufrecht","upright","सीधा","","B1 Level"],
+["common-words","common-words-0299","uns","us","हम","","B1 Level"],
+["common-words","common-words-0300","äußern","utter","कहना","","B1 Level"],
+["common-words","common-words-0301","die Walnuss","walnut","अखरोट","","B1 Level"],
+["common-words","common-words-0302","wandern","wander","घूमना","","B1 Level"],
+["common-words","common-words-0303","das Warenhaus","warehouse","गोदाम","","B1 Level"],
+["common-words","common-words-0304","der Wasserfall","waterfall","झरना","","B1 Level"],
+["common-words","common-words-0305","die Waffe","weapon","हथियार","","B1 Level"],
+["common-words","common-words-0306","(der Keil)","wedge","कील","","B1 Level"],
+["common-words","common-words-0307","der Wal","whale","व्हेल","","B1 Level"],
+["common-words","common-words-0308","der Weizen","wheat","गेहूं","","B1 Level"],
+["common-words","common-words-0309","welche","which","कौन सा","","B1 Level"],
+["common-words","common-words-0310","wessen","whose","किसका","","B1 Level"],
+["common-words","common-words-0311","weit","wide","चौड़ा","","B1 Level"],
+["common-words","common-words-0312","die Witwe","widow(er)","विधवा","","B1 Level"],
+["common-words","common-words-0313","gewinnen","win","जीतना","","B1 Level"],
+["common-words","common-words-0314","der Wolf","wolf","भेड़िया","","B1 Level"],
+["common-words","common-words-0315","das Wunder","wonder","अद्भुत","","B1 Level"],
+["common-words","common-words-0316","der Balkon","balcony","बालकनी","","B2 Level"],
+["common-words","common-words-0317","die Band","band","बैंड","","B2 Level"],
+["common-words","common-words-0318","blond","blond","गोरा","","B2 Level"],
+["common-words","common-words-0319","die Gruppe","group","समूह","","B2 Level"],
+["common-words","common-words-0320","das Netzwerk","network","नेटवर्क","","B2 Level"],
+["common-words","common-words-0321","der Standard","standard","मानक","","B2 Level"],
+["common-words","common-words-0322","allmächtig","almighty","सर्वशक्तिमान","","C1-C2 Level"],
+["common-words","common-words-0323","die Geburt","birth","जन्म","","C1-C2 Level"],
+["common-words","common-words-0324","das Blutbad","bloodbath","रक्तपात","","C1-C2 Level"],
+["common-words","common-words-0325","die Etikette","etiquette","शिष्टाचार","","C1-C2 Level"],
+["common-words","common-words-0326","die Voraussicht","foresight","दूरदर्शिता","","C1-C2 Level"],
+["common-words","common-words-0327","hastig","hasty","जल्दबाज़","","C1-C2 Level"],
+["common-words","common-words-0328","hindern","hinder","बाधा डालना","","C1-C2 Level"],
+["common-words","common-words-0329","installieren","install","स्थापित करना","","C1-C2 Level"],
+["common-words","common-words-0330","der Kindergarten","kindergarten","किंडरगार्टन","","C1-C2 Level"],
+["common-words","common-words-0331","mannigfaltig","manifold","विविध","","C1-C2 Level"],
+["common-words","common-words-0332","überschatten","overshadow","छाया करना","","C1-C2 Level"],
+["grammar","t0-r0","ich · bin · habe · lerne","I","","","1. Personal Pronouns & Verb Conjugations"],
+["grammar","t0-r1","du · bist · hast · lernst","you (informal)","","","1. Personal Pronouns & Verb Conjugations"],
+["grammar","t0-r2","er/sie/es · ist · hat · lernt","he/she/it","","","1. Personal Pronouns & Verb Conjugations"],
+["grammar","t0-r3","wir · sind · haben · lernen","we","","","1. Personal Pronouns & Verb Conjugations"],
+["grammar","t0-r4","ihr · seid · habt · lernt","you (plural informal)","","","1. Personal Pronouns & Verb Conjugations"],
+["grammar","t0-r5","Sie · sind · haben · lernen","you (formal)","","","1. Personal Pronouns & Verb Conjugations"],
+["grammar","t1-r0","ich · bin हूँ · habe रखता हूँ · spiele खेलता हूँ · mache बनाता हूँ","","I मैं","","📋 Quick Reference Cheat Sheet (त्वरित संदर्भ चीट शीट)"],
+["grammar","t1-r1","du · bist हो · hast रखता है · spielst खेलता है · machst बनाता है","","you (informal) तुम","","📋 Quick Reference Cheat Sheet (त्वरित संदर्भ चीट शीट)"],
+["grammar","t1-r2","er/sie/es · ist है · hat रखता है · spielt खेलता है · macht बनाता है","","he/she/it वह","","📋 Quick Reference Cheat Sheet (त्वरित संदर्भ चीट शीट)"],
+["grammar","t1-r3","wir · sind हैं · haben रखते हैं · spielen खेलते हैं · machen बनाते हैं","","we हम","","📋 Quick Reference Cheat Sheet (त्वरित संदर्भ चीट शीट)"],
+["grammar","t1-r4","ihr · seid हो · habt रखते हो · spielt खेलते हो · macht बनाते हो","","you (plural) तुम लोग","","📋 Quick Reference Cheat Sheet (त्वरित संदर्भ चीट शीट)"],
+["grammar","t1-r5","Sie · sind हैं · haben रखते हैं · spielen खेलते हैं · machen बनाते हैं","","you (formal) आप","","📋 Quick Reference Cheat Sheet (त्वरित संदर्भ चीट शीट)"],
+["grammar","t2-r0","","Position 1 (Subject/Time/Place) · Ich","मैं (Subject - कर्ता)","","Basic Sentence Structure (मूल वाक्य संरचना):"],
+["grammar","t2-r1","","Position 2 ⭐ VERB HERE ⭐ · lerne","सीखता हूँ (Verb - क्रिया)","","Basic Sentence Structure (मूल वाक्य संरचना):"],
+["grammar","t2-r2","","Position 3+ · Deutsch.","जर्मन (Object - कर्म)","","Basic Sentence Structure (मूल वाक्य संरचना):"],
+["grammar","t3-r0","Ich lerne Deutsch.","I am learning German.","मैं सीखता हूँ जर्मन।","","Examples with Hindi Translation (उदाहरण):"],
+["grammar","t3-r1","Du spielst Fußball.","You are playing football.","तुम खेलते हो फुटबॉल।","","Examples with Hindi Translation (उदाहरण):"],
+["grammar","t3-r2","Er arbeitet im Büro.","He works in the office.","वह काम करता है ऑफिस में।","","Examples with Hindi Translation (उदाहरण):"],
+["grammar","t3-r3","Wir essen Pizza.","We are eating Pizza.","हम खाते हैं पिज्जा।","","Examples with Hindi Translation (उदाहरण):"],
+["grammar","t4-r0","","Position 1 (Time)","Heute (आज)","","When Time/Place Comes First (जब समय/स्थान पहले आता है):"],
+["grammar","t4-r1","","Position 2 ⭐ VERB ⭐","lerne (सीखता हूँ)","","When Time/Place Comes First (जब समय/स्थान पहले आता है):"],
+["grammar","t4-r2","","Position 3","ich (मैं - subject moves here!)","","When Time/Place Comes First (जब समय/स्थान पहले आता है):"],
+["grammar","t4-r3","","Position 4","Deutsch. (जर्मन)","","When Time/Place Comes First (जब समय/स्थान पहले आता है):"],
+["grammar","t5-r0","Ich lerne Deutsch.","I am learning German.","मैं जर्मन सीख रहा हूँ।","","📗 Declarative Sentences (सकारात्मक वाक्य / Aussagesätze)"],
+["grammar","t5-r1","Du trinkst Kaffee.","You are drinking coffee.","तुम कॉफी पी रहे हो।","","📗 Declarative Sentences (सकारात्मक वाक्य / Aussagesätze)"],
+["grammar","t5-r2","Er arbeitet im Büro.","He works in the office.","वह ऑफिस में काम करता है।","","📗 Declarative Sentences (सकारात्मक वाक्य / Aussagesätze)"],
+["grammar","t5-r3","Wir spielen Fußball.","We are playing football.","हम फुटबॉल खेल रहे हैं।","","📗 Declarative Sentences (सकारात्मक वाक्य / Aussagesätze)"],
+["grammar","t5-r4","Sie liest ein Buch.","She is reading a book.","वह एक किताब पढ़ रही है।","","📗 Declarative Sentences (सकारात्मक वाक्य / Aussagesätze)"],
+["grammar","t6-r0","Lernst du Deutsch?","Are you learning German?","क्या तुम जर्मन सीख रहे हो?","","❓ Interrogative Sentences (प्रश्नवाचक वाक्य / Fragesätze)"],
+["grammar","t6-r1","Was trinkst du?","What are you drinking?","तुम क्या पी रहे हो?","","❓ Interrogative Sentences (प्रश्नवाचक वाक्य / Fragesätze)"],
+["grammar","t6-r2","Wo arbeitet er?","Where does he work?","वह कहाँ काम करता है?","","❓ Interrogative Sentences (प्रश्नवाचक वाक्य / Fragesätze)"],
+["grammar","t6-r3","Spielen wir heute Fußball?","Are we playing football today?","क्या हम आज फुटबॉल खेलेंगे?","","❓ Interrogative Sentences (प्रश्नवाचक वाक्य / Fragesätze)"],
+["grammar","t6-r4","Wer liest das Buch?","Who is reading the book?","किताब कौन पढ़ रहा है?","","❓ Interrogative Sentences (प्रश्नवाचक वाक्य / Fragesätze)"],
+["grammar","t7-r0","Ich habe Deutsch gelernt.","I learned German.","मैंने जर्मन सीखी।","","Perfekt with \"haben\" (अधिकांश क्रियाओं के साथ)"],
+["grammar","t7-r1","Du hast Kaffee getrunken.","You drank coffee.","तुमने कॉफी पी।","","Perfekt with \"haben\" (अधिकांश क्रियाओं के साथ)"],
+["grammar","t7-r2","Er hat im Büro gearbeitet.","He worked in the office.","उसने ऑफिस में काम किया।","","Perfekt with \"haben\" (अधिकांश क्रियाओं के साथ)"],
+["grammar","t7-r3","Wir haben Fußball gespielt.","We played football.","हमने फुटबॉल खेला।","","Perfekt with \"haben\" (अधिकांश क्रियाओं के साथ)"],
+["grammar","t7-r4","Sie hat ein Buch gelesen.","She read a book.","उसने एक किताब पढ़ी।","","Perfekt with \"haben\" (अधिकांश क्रियाओं के साथ)"],
+["grammar","t8-r0","Ich bin nach Berlin gefahren.","I went/drove to Berlin.","मैं बर्लिन गया।","","Perfekt with \"sein\" (Movement/Change verbs - गति/परिवर्तन क्रियाएं)"],
+["grammar","t8-r1","Er ist gelaufen.","He ran/walked.","वह दौड़ा/चला।","","Perfekt with \"sein\" (Movement/Change verbs - गति/परिवर्तन क्रियाएं)"],
+["grammar","t8-r2","Wir sind angekommen.","We have arrived.","हम पहुँच गए।","","Perfekt with \"sein\" (Movement/Change verbs - गति/परिवर्तन क्रियाएं)"],
+["grammar","t9-r0","der · der Mann","the man","Masculine पुल्लिंग","","4.1 Basic Articles Table (मूल लेख तालिका)"],
+["grammar","t9-r1","die · die Frau","the woman","Feminine स्त्रीलिंग","","4.1 Basic Articles Table (मूल लेख तालिका)"],
+["grammar","t9-r2","das · das Kind","the child","Neuter नपुंसकलिंग","","4.1 Basic Articles Table (मूल लेख तालिका)"],
+["grammar","t9-r3","die · die Männer","the men","Plural बहुवचन","","4.1 Basic Articles Table (मूल लेख तालिका)"],
+["grammar","t10-r0","der Lehrer (teacher), der Tisch (table)","-er, -el, -en · der (Masculine)","","","📋 Rule 1: Word Endings (शब्द अंत) – Most Reliable!"],
+["grammar","t10-r1","die Zeitung (newspaper), die Freiheit (freedom)","-ung, -heit, -keit, -schaft, -tion · die (Feminine)","","","📋 Rule 1: Word Endings (शब्द अंत) – Most Reliable!"],
+["grammar","t10-r2","das Mädchen (girl), das Museum (museum)","-chen, -lein, -um · das (Neuter)","","","📋 Rule 1: Word Endings (शब्द अंत) – Most Reliable!"],
+["grammar","t10-r3","die Schule (school), die Tasse (cup)","-e (most common) · die (Feminine - 90%)","","","📋 Rule 1: Word Endings (शब्द अंत) – Most Reliable!"],
+["grammar","t11-r0","der Mann (man), der Vater (father)","der","Male persons/animals पुरुष व्यक्ति/जानवर","","📋 Rule 2: Categories (श्रेणियां) – Natural Gender"],
+["grammar","t11-r1","die Frau (woman), die Mutter (mother)","die","Female persons/animals महिला व्यक्ति/जानवर","","📋 Rule 2: Categories (श्रेणियां) – Natural Gender"],
+["grammar","t11-r2","das Kind (child), das Baby (baby)","das","Young persons/animals युवा व्यक्ति/जानवर","","📋 Rule 2: Categories (श्रेणियां) – Natural Gender"],
+["grammar","t12-r0","der Montag, der Dienstag","der","Days of week सप्ताह के दिन","","📋 Rule 3: Common Patterns (सामान्य पैटर्न)"],
+["grammar","t12-r1","der Januar, der Februar","der","Months महीने","","📋 Rule 3: Common Patterns (सामान्य पैटर्न)"],
+["grammar","t12-r2","der Frühling (spring), der Sommer (summer)","der","Seasons मौसम","","📋 Rule 3: Common Patterns (सामान्य पैटर्न)"],
+["grammar","t12-r3","der Norden (north), der Süden (south)","der","Cardinal directions दिशाएं","","📋 Rule 3: Common Patterns (सामान्य पैटर्न)"],
+["grammar","t12-r4","der Rhein, der Main","der","Rivers (in Germany) नदियां","","📋 Rule 3: Common Patterns (सामान्य पैटर्न)"],
+["grammar","t12-r5","der BMW, der Mercedes","der","Car brands कार ब्रांड","","📋 Rule 3: Common Patterns (सामान्य पैटर्न)"],
+["grammar","t12-r6","die Lampe (lamp), die Blume (flower)","die (90%)","Nouns ending in -e -e से समाप्त","","📋 Rule 3: Common Patterns (सामान्य पैटर्न)"],
+["grammar","t12-r7","das Mädchen (girl), das Häuschen (little house)","das","Diminutives (-chen, -lein) छोटे रूप","","📋 Rule 3: Common Patterns (सामान्य पैटर्न)"],
+["grammar","t12-r8","das Deutschland, das Frankreich","das","Countries (most) देश","","📋 Rule 3: Common Patterns (सामान्य पैटर्न)"],
+["grammar","t13-r0","der Mann","Masculine · der · the man","","","📗 Nominative Case (कर्ता कारक) – Subject of Sentence"],
+["grammar","t13-r1","die Frau","Feminine · die · the woman","","","📗 Nominative Case (कर्ता कारक) – Subject of Sentence"],
+["grammar","t13-r2","das Kind","Neuter · das · the child","","","📗 Nominative Case (कर्ता कारक) – Subject of Sentence"],
+["grammar","t13-r3","die Kinder","Plural · die · the children","","","📗 Nominative Case (कर्ता कारक) – Subject of Sentence"],
+["grammar","t14-r0","den Mann","Masculine · den ⚠️ · the man","","","📗 Accusative Case (कर्म कारक) – Direct Object"],
+["grammar","t14-r1","die Frau","Feminine · die (no change) · the woman","","","📗 Accusative Case (कर्म कारक) – Direct Object"],
+["grammar","t14-r2","das Kind","Neuter · das (no change) · the child","","","📗 Accusative Case (कर्म कारक) – Direct Object"],
+["grammar","t14-r3","die Kinder","Plural · die (no change) · the children","","","📗 Accusative Case (कर्म कारक) – Direct Object"],
+["grammar","t15-r0","","der · die · das · die","Nominative कर्ता Subject","","📗 Complete Case Table (पूर्ण कारक तालिका) – A1 Level"],
+["grammar","t15-r1","","den ⚠️ · die · das · die","Accusative कर्म Direct Object","","📗 Complete Case Table (पूर्ण कारक तालिका) – A1 Level"],
+["grammar","t16-r0","Der Mann liest.","The man reads. (Nominative)","आदमी पढ़ता है। (कर्ता)","","4.4 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t16-r1","Ich sehe den Mann.","I see the man. (Accusative)","मैं आदमी को देखता हूँ। (कर्म)","","4.4 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t16-r2","Die Frau kocht.","The woman cooks. (Nominative)","औरत खाना बनाती है। (कर्ता)","","4.4 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t16-r3","Ich sehe die Frau.","I see the woman. (Accusative - no change!)","मैं औरत को देखता हूँ। (कर्म - कोई बदलाव नहीं!)","","4.4 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t16-r4","Das Kind spielt.","The child plays. (Nominative)","बच्चा खेलता है। (कर्ता)","","4.4 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t16-r5","Ich sehe das Kind.","I see the child. (Accusative - no change!)","मैं बच्चे को देखता हूँ। (कर्म - कोई बदलाव नहीं!)","","4.4 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t17-r0","der Lehrer · die Lehrer","teacher(s)","शिक्षक","","Pattern 1: No Change (कोई बदलाव नहीं) – Same as Singular"],
+["grammar","t17-r1","der Computer · die Computer","computer(s)","कंप्यूटर","","Pattern 1: No Change (कोई बदलाव नहीं) – Same as Singular"],
+["grammar","t17-r2","das Mädchen · die Mädchen","girl(s)","लड़की","","Pattern 1: No Change (कोई बदलाव नहीं) – Same as Singular"],
+["grammar","t17-r3","der Park · die Parks","park(s)","पार्क","","Pattern 1: No Change (कोई बदलाव नहीं) – Same as Singular"],
+["grammar","t18-r0","der Tag · die Tage","day(s)","दिन","","Pattern 2: Add -e (जोड़ें -e)"],
+["grammar","t18-r1","der Tisch · die Tische","table(s)","मेज","","Pattern 2: Add -e (जोड़ें -e)"],
+["grammar","t18-r2","das Jahr · die Jahre","year(s)","साल","","Pattern 2: Add -e (जोड़ें -e)"],
+["grammar","t19-r0","der Mann · die Männer ⚠️","man/men","आदमी","","Pattern 3: Add -er (जोड़ें -er) – Often with Umlaut"],
+["grammar","t19-r1","das Kind · die Kinder","child/children","बच्चा","","Pattern 3: Add -er (जोड़ें -er) – Often with Umlaut"],
+["grammar","t19-r2","das Buch · die Bücher ⚠️","book(s)","किताब","","Pattern 3: Add -er (जोड़ें -er) – Often with Umlaut"],
+["grammar","t19-r3","das Haus · die Häuser ⚠️","house(s)","घर","","Pattern 3: Add -er (जोड़ें -er) – Often with Umlaut"],
+["grammar","t20-r0","die Frau · die Frauen","woman/women","औरत","","Pattern 4: Add -en or -n (जोड़ें -en या -n)"],
+["grammar","t20-r1","die Zeitung · die Zeitungen","newspaper(s)","अखबार","","Pattern 4: Add -en or -n (जोड़ें -en या -n)"],
+["grammar","t20-r2","der Student · die Studenten","student(s)","छात्र","","Pattern 4: Add -en or -n (जोड़ें -en या -n)"],
+["grammar","t20-r3","die Blume · die Blumen","flower(s)","फूल","","Pattern 4: Add -en or -n (जोड़ें -en या -n)"],
+["grammar","t21-r0","das Auto · die Autos","car(s)","कार","","Pattern 5: Add -s (जोड़ें -s)"],
+["grammar","t21-r1","der Park · die Parks","park(s)","पार्क","","Pattern 5: Add -s (जोड़ें -s)"],
+["grammar","t21-r2","das Hotel · die Hotels","hotel(s)","होटल","","Pattern 5: Add -s (जोड़ें -s)"],
+["grammar","t22-r0","der Lehrer · die Lehrer","No change · No","","","5.2 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t22-r1","der Tag · die Tage","+ -e · Sometimes","","","5.2 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t22-r2","das Kind · die Kinder","+ -er · Often","","","5.2 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t22-r3","die Frau · die Frauen","+ -en/-n · Sometimes","","","5.2 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t22-r4","das Auto · die Autos","+ -s · No","","","5.2 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t23-r0","der Mann · die Männer","a → ä · man/men","","","5.3 Umlaut Changes (उम्लाउट परिवर्तन)"],
+["grammar","t23-r1","das Buch · die Bücher","u → ü · book(s)","","","5.3 Umlaut Changes (उम्लाउट परिवर्तन)"],
+["grammar","t23-r2","das Haus · die Häuser","au → äu · house(s)","","","5.3 Umlaut Changes (उम्लाउट परिवर्तन)"],
+["grammar","t23-r3","der Apfel · die Äpfel","a → ä · apple(s)","","","5.3 Umlaut Changes (उम्लाउट परिवर्तन)"],
+["grammar","t24-r0","der Lehrer → die Lehrer","-er, -el, -en · No change","","","📋 Masculine Nouns (पुल्लिंग संज्ञा)"],
+["grammar","t24-r1","der Tag → die Tage","One syllable · + -e (often with umlaut)","","","📋 Masculine Nouns (पुल्लिंग संज्ञा)"],
+["grammar","t24-r2","der Student → die Studenten","-e ending · + -n","","","📋 Masculine Nouns (पुल्लिंग संज्ञा)"],
+["grammar","t24-r3","der Park → die Parks","Loanwords · + -s","","","📋 Masculine Nouns (पुल्लिंग संज्ञा)"],
+["grammar","t25-r0","die Frau → die Frauen","Most feminine nouns · + -en","","","📋 Feminine Nouns (स्त्रीलिंग संज्ञा)"],
+["grammar","t25-r1","die Blume → die Blumen","-e ending · + -n","","","📋 Feminine Nouns (स्त्रीलिंग संज्ञा)"],
+["grammar","t25-r2","die Zeitung → die Zeitungen","-ung, -heit, -keit · + -en","","","📋 Feminine Nouns (स्त्रीलिंग संज्ञा)"],
+["grammar","t25-r3","die Hand → die Hände","Some one-syllable · + -e (with umlaut)","","","📋 Feminine Nouns (स्त्रीलिंग संज्ञा)"],
+["grammar","t26-r0","das Mädchen → die Mädchen","-chen, -lein · No change","","","📋 Neuter Nouns (नपुंसकलिंग संज्ञा)"],
+["grammar","t26-r1","das Kind → die Kinder","One syllable · + -er (often with umlaut)","","","📋 Neuter Nouns (नपुंसकलिंग संज्ञा)"],
+["grammar","t26-r2","das Jahr → die Jahre","One syllable · + -e","","","📋 Neuter Nouns (नपुंसकलिंग संज्ञा)"],
+["grammar","t26-r3","das Auto → die Autos","Loanwords · + -s","","","📋 Neuter Nouns (नपुंसकलिंग संज्ञा)"],
+["grammar","t27-r0","Der Mann ist groß. · Die Männer sind groß.","+ -er, umlaut · The man/men is/are tall.","","","5.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t27-r1","Die Frau kocht. · Die Frauen kochen.","+ -en · The woman/women cook(s).","","","5.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t27-r2","Das Kind spielt. · Die Kinder spielen.","+ -er · The child/children play(s).","","","5.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t27-r3","Das Auto ist neu. · Die Autos sind neu.","+ -s · The car(s) is/are new.","","","5.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t27-r4","Der Lehrer unterrichtet. · Die Lehrer unterrichten.","No change · The teacher(s) teach(es).","","","5.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t28-r0","der · die · das · die","","Nominative कर्ता Subject","","6.2 Complete Declension Table (पूर्ण रूपांतरण तालिका)"],
+["grammar","t28-r1","den ⚠️ · die · das · die","","Accusative कर्म Direct Object","","6.2 Complete Declension Table (पूर्ण रूपांतरण तालिका)"],
+["grammar","t29-r0","Der Mann liest.","","Subject of sentence वाक्य का कर्ता · The man reads. (आदमी पढ़ता है।)","","📋 When to Use Nominative (कर्ता कब उपयोग करें)"],
+["grammar","t29-r1","Er ist der Lehrer.","","After \"sein\" (to be) \"sein\" के बाद · He is the teacher. (वह शिक्षक है।)","","📋 When to Use Nominative (कर्ता कब उपयोग करें)"],
+["grammar","t29-r2","Sie wird Ärztin.","","After \"werden\" (to become) \"werden\" के बाद · She becomes a doctor. (वह डॉक्टर बनती है।)","","📋 When to Use Nominative (कर्ता कब उपयोग करें)"],
+["grammar","t29-r3","Er bleibt Student.","","After \"bleiben\" (to stay) \"bleiben\" के बाद · He stays a student. (वह छात्र रहता है।)","","📋 When to Use Nominative (कर्ता कब उपयोग करें)"],
+["grammar","t30-r0","Der Mann arbeitet.","Masculine · der · The man works.","","","📋 Nominative Examples by Gender (लिंग के अनुसार कर्ता उदाहरण)"],
+["grammar","t30-r1","Die Frau kocht.","Feminine · die · The woman cooks.","","","📋 Nominative Examples by Gender (लिंग के अनुसार कर्ता उदाहरण)"],
+["grammar","t30-r2","Das Kind spielt.","Neuter · das · The child plays.","","","📋 Nominative Examples by Gender (लिंग के अनुसार कर्ता उदाहरण)"],
+["grammar","t30-r3","Die Kinder spielen.","Plural · die · The children play.","","","📋 Nominative Examples by Gender (लिंग के अनुसार कर्ता उदाहरण)"],
+["grammar","t31-r0","Ich sehe den Mann.","","Direct object प्रत्यक्ष कर्म · I see the man. (मैं आदमी को देखता हूँ।)","","📋 When to Use Accusative (कर्म कब उपयोग करें)"],
+["grammar","t31-r1","Ich gehe für den Mann.","","After accusative prepositions कर्म कारक कारक के बाद · I go for the man. (मैं आदमी के लिए जाता हूँ।)","","📋 When to Use Accusative (कर्म कब उपयोग करें)"],
+["grammar","t31-r2","Ich arbeite den ganzen Tag.","","Time expressions (duration) समय अभिव्यक्ति (अवधि) · I work the whole day. (मैं पूरा दिन काम करता हूँ।)","","📋 When to Use Accusative (कर्म कब उपयोग करें)"],
+["grammar","t32-r0","Ich sehe den Mann.","Masculine · den ⚠️ · I see the man.","","","📋 Accusative Examples by Gender (लिंग के अनुसार कर्म उदाहरण)"],
+["grammar","t32-r1","Ich sehe die Frau.","Feminine · die (no change) · I see the woman.","","","📋 Accusative Examples by Gender (लिंग के अनुसार कर्म उदाहरण)"],
+["grammar","t32-r2","Ich sehe das Kind.","Neuter · das (no change) · I see the child.","","","📋 Accusative Examples by Gender (लिंग के अनुसार कर्म उदाहरण)"],
+["grammar","t32-r3","Ich sehe die Kinder.","Plural · die (no change) · I see the children.","","","📋 Accusative Examples by Gender (लिंग के अनुसार कर्म उदाहरण)"],
+["grammar","t33-r0","Der Mann liest das Buch.","der Mann (Nominative) · das Buch (Accusative) · The man reads the book.","","","📋 Practice: Identifying Cases (अभ्यास: कारक पहचानना)"],
+["grammar","t33-r1","Die Frau kauft den Apfel.","die Frau (Nominative) · den Apfel (Accusative) · The woman buys the apple.","","","📋 Practice: Identifying Cases (अभ्यास: कारक पहचानना)"],
+["grammar","t33-r2","Das Kind sieht die Katze.","das Kind (Nominative) · die Katze (Accusative) · The child sees the cat.","","","📋 Practice: Identifying Cases (अभ्यास: कारक पहचानना)"],
+["grammar","t33-r3","Ich trinke den Kaffee.","Ich (Nominative) · den Kaffee (Accusative) · I drink the coffee.","","","📋 Practice: Identifying Cases (अभ्यास: कारक पहचानना)"],
+["grammar","t34-r0","Ich sehe den Mann.","sehen (to see) · I see the man.","","","Rule 3: Verbs That Take Accusative (कर्म कारक लेने वाली क्रियाएं)"],
+["grammar","t34-r1","Ich kaufe das Buch.","kaufen (to buy) · I buy the book.","","","Rule 3: Verbs That Take Accusative (कर्म कारक लेने वाली क्रियाएं)"],
+["grammar","t34-r2","Ich esse den Apfel.","essen (to eat) · I eat the apple.","","","Rule 3: Verbs That Take Accusative (कर्म कारक लेने वाली क्रियाएं)"],
+["grammar","t34-r3","Ich trinke den Kaffee.","trinken (to drink) · I drink the coffee.","","","Rule 3: Verbs That Take Accusative (कर्म कारक लेने वाली क्रियाएं)"],
+["grammar","t34-r4","Ich habe das Auto.","haben (to have) · I have the car.","","","Rule 3: Verbs That Take Accusative (कर्म कारक लेने वाली क्रियाएं)"],
+["grammar","t34-r5","Ich mache die Hausaufgaben.","machen (to make/do) · I do the homework.","","","Rule 3: Verbs That Take Accusative (कर्म कारक लेने वाली क्रियाएं)"],
+["grammar","t35-r0","für den Mann","für (for) · for the man","","","6.7 Accusative Prepositions (कर्म कारक कारक)"],
+["grammar","t35-r1","ohne den Kaffee","ohne (without) · without the coffee","","","6.7 Accusative Prepositions (कर्म कारक कारक)"],
+["grammar","t35-r2","durch den Park","durch (through) · through the park","","","6.7 Accusative Prepositions (कर्म कारक कारक)"],
+["grammar","t35-r3","gegen den Feind","gegen (against) · against the enemy","","","6.7 Accusative Prepositions (कर्म कारक कारक)"],
+["grammar","t35-r4","um den Tisch","um (around/at) · around the table","","","6.7 Accusative Prepositions (कर्म कारक कारक)"],
+["grammar","t36-r0","","Role","Subject (कर्ता) Who/what does the action · Direct Object (कर्म) Who/what receives the action","","6.8 Comparison: Nominative vs Accusative (तुलना: कर्ता बनाम कर्म)"],
+["grammar","t36-r1","","Masculine · der · den ⚠️","","","6.8 Comparison: Nominative vs Accusative (तुलना: कर्ता बनाम कर्म)"],
+["grammar","t36-r2","","Feminine · die · die (no change)","","","6.8 Comparison: Nominative vs Accusative (तुलना: कर्ता बनाम कर्म)"],
+["grammar","t36-r3","","Neuter · das · das (no change)","","","6.8 Comparison: Nominative vs Accusative (तुलना: कर्ता बनाम कर्म)"],
+["grammar","t36-r4","","Plural · die · die (no change)","","","6.8 Comparison: Nominative vs Accusative (तुलना: कर्ता बनाम कर्म)"],
+["grammar","t36-r5","","Example · Der Mann liest. (The man reads.) · Ich sehe den Mann. (I see the man.)","","","6.8 Comparison: Nominative vs Accusative (तुलना: कर्ता बनाम कर्म)"],
+["grammar","t37-r0","Der Student liest das Buch.","der (Nom.) + das (Acc.) · The student reads the book.","","","6.9 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t37-r1","Die Lehrerin kauft den Stift.","die (Nom.) + den (Acc.) · The teacher buys the pen.","","","6.9 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t37-r2","Das Kind isst den Apfel.","das (Nom.) + den (Acc.) · The child eats the apple.","","","6.9 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t37-r3","Ich trinke die Milch.","Ich (Nom.) + die (Acc.) · I drink the milk.","","","6.9 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t37-r4","Wir sehen die Kinder.","Wir (Nom.) + die (Acc.) · We see the children.","","","6.9 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t38-r0","Ich lerne nicht.","I am not learning.","Negate a verb क्रिया को नकारना","","📋 When to Use \"nicht\" (nicht कब उपयोग करें)"],
+["grammar","t38-r1","Das Buch ist nicht gut.","The book is not good.","Negate an adjective विशेषण को नकारना","","📋 When to Use \"nicht\" (nicht कब उपयोग करें)"],
+["grammar","t38-r2","Ich sehe nicht den Mann.","I do not see the man.","Negate a noun with article लेख के साथ संज्ञा को नकारना","","📋 When to Use \"nicht\" (nicht कब उपयोग करें)"],
+["grammar","t38-r3","Er arbeitet nicht schnell.","He does not work quickly.","Negate an adverb क्रिया विशेषण को नकारना","","📋 When to Use \"nicht\" (nicht कब उपयोग करें)"],
+["grammar","t38-r4","Das ist nicht richtig.","That is not correct.","Negate a whole sentence पूरे वाक्य को नकारना","","📋 When to Use \"nicht\" (nicht कब उपयोग करें)"],
+["grammar","t39-r0","Ich lerne Deutsch. · Ich lerne nicht Deutsch.","I am/am not learning German.","","","📋 Examples with \"nicht\" (nicht के साथ उदाहरण)"],
+["grammar","t39-r1","Er ist müde. · Er ist nicht müde.","He is/is not tired.","","","📋 Examples with \"nicht\" (nicht के साथ उदाहरण)"],
+["grammar","t39-r2","Sie kommt heute. · Sie kommt nicht heute.","She comes/does not come today.","","","📋 Examples with \"nicht\" (nicht के साथ उदाहरण)"],
+["grammar","t39-r3","Das Auto ist rot. · Das Auto ist nicht rot.","The car is/is not red.","","","📋 Examples with \"nicht\" (nicht के साथ उदाहरण)"],
+["grammar","t40-r0","kein · keine · kein · keine","","Nominative कर्ता","","📋 Declension of \"kein/keine\" (kein/keine का रूपांतरण)"],
+["grammar","t40-r1","keinen ⚠️ · keine · kein · keine","","Accusative कर्म","","📋 Declension of \"kein/keine\" (kein/keine का रूपांतरण)"],
+["grammar","t41-r0","Ich habe ein Auto. · Ich habe kein Auto.","I have/do not have a car.","","","📋 Examples with \"kein/keine\" (kein/keine के साथ उदाहरण)"],
+["grammar","t41-r1","Er hat eine Katze. · Er hat keine Katze.","He has/does not have a cat.","","","📋 Examples with \"kein/keine\" (kein/keine के साथ उदाहरण)"],
+["grammar","t41-r2","Ich sehe einen Mann. · Ich sehe keinen Mann.","I see/do not see a man.","","","📋 Examples with \"kein/keine\" (kein/keine के साथ उदाहरण)"],
+["grammar","t41-r3","Sie hat Kinder. · Sie hat keine Kinder.","She has/does not have children.","","","📋 Examples with \"kein/keine\" (kein/keine के साथ उदाहरण)"],
+["grammar","t41-r4","Das ist ein Buch. · Das ist kein Buch.","That is/is not a book.","","","📋 Examples with \"kein/keine\" (kein/keine के साथ उदाहरण)"],
+["grammar","t42-r0","Das ist ein Mann. · Das ist kein Mann.","Masculine","","","📋 Nominative Examples (कर्ता उदाहरण)"],
+["grammar","t42-r1","Das ist eine Frau. · Das ist keine Frau.","Feminine","","","📋 Nominative Examples (कर्ता उदाहरण)"],
+["grammar","t42-r2","Das ist ein Kind. · Das ist kein Kind.","Neuter","","","📋 Nominative Examples (कर्ता उदाहरण)"],
+["grammar","t42-r3","Das sind Kinder. · Das sind keine Kinder.","Plural","","","📋 Nominative Examples (कर्ता उदाहरण)"],
+["grammar","t43-r0","Ich sehe einen Mann. · Ich sehe keinen Mann.","Masculine","","","📋 Accusative Examples (कर्म उदाहरण)"],
+["grammar","t43-r1","Ich sehe eine Frau. · Ich sehe keine Frau.","Feminine","","","📋 Accusative Examples (कर्म उदाहरण)"],
+["grammar","t43-r2","Ich sehe ein Kind. · Ich sehe kein Kind.","Neuter","","","📋 Accusative Examples (कर्म उदाहरण)"],
+["grammar","t43-r3","Ich sehe Kinder. · Ich sehe keine Kinder.","Plural","","","📋 Accusative Examples (कर्म उदाहरण)"],
+["grammar","t44-r0","Ich habe kein Geld.","haben + kein · I have no money.","","","7.7 Common Patterns (सामान्य पैटर्न)"],
+["grammar","t44-r1","Er ist nicht hier.","sein + nicht · He is not here.","","","7.7 Common Patterns (सामान्य पैटर्न)"],
+["grammar","t44-r2","Das ist kein Problem.","sein + kein · That is no problem.","","","7.7 Common Patterns (सामान्य पैटर्न)"],
+["grammar","t44-r3","Ich verstehe nicht.","verb + nicht · I do not understand.","","","7.7 Common Patterns (सामान्य पैटर्न)"],
+["grammar","t44-r4","Das ist nicht gut.","nicht + adjective · That is not good.","","","7.7 Common Patterns (सामान्य पैटर्न)"],
+["grammar","t45-r0","Ich habe ein Buch. · Ich habe kein Buch.","kein (has \"ein\")","","","7.8 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t45-r1","Ich sehe den Mann. · Ich sehe nicht den Mann.","nicht (has \"den\")","","","7.8 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t45-r2","Er ist müde. · Er ist nicht müde.","nicht (adjective)","","","7.8 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t45-r3","Sie hat eine Katze. · Sie hat keine Katze.","keine (has \"eine\")","","","7.8 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t45-r4","Ich lerne Deutsch. · Ich lerne nicht Deutsch.","nicht (verb)","","","7.8 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t46-r0","für · für den Mann","for · for the man","","","📋 A1 Accusative Prepositions (A1 कर्म कारक कारक)"],
+["grammar","t46-r1","ohne · ohne den Kaffee","without · without the coffee","","","📋 A1 Accusative Prepositions (A1 कर्म कारक कारक)"],
+["grammar","t46-r2","durch · durch den Park","through · through the park","","","📋 A1 Accusative Prepositions (A1 कर्म कारक कारक)"],
+["grammar","t46-r3","um · um den Tisch","around/at (time) · around the table","","","📋 A1 Accusative Prepositions (A1 कर्म कारक कारक)"],
+["grammar","t46-r4","gegen · gegen den Feind","against · against the enemy","","","📋 A1 Accusative Prepositions (A1 कर्म कारक कारक)"],
+["grammar","t47-r0","Ich kaufe ein Geschenk für den Mann.","für + Accusative · I buy a gift for the man.","","","📋 Complete Examples with Accusative Prepositions"],
+["grammar","t47-r1","Ich trinke Kaffee ohne den Zucker.","ohne + Accusative · I drink coffee without the sugar.","","","📋 Complete Examples with Accusative Prepositions"],
+["grammar","t47-r2","Ich gehe durch den Park.","durch + Accusative · I go through the park.","","","📋 Complete Examples with Accusative Prepositions"],
+["grammar","t47-r3","Wir treffen uns um den Tisch.","um + Accusative · We meet around the table.","","","📋 Complete Examples with Accusative Prepositions"],
+["grammar","t47-r4","Ich bin gegen den Plan.","gegen + Accusative · I am against the plan.","","","📋 Complete Examples with Accusative Prepositions"],
+["grammar","t48-r0","mit · mit dem Freund","with · with the friend","","","📋 A1 Dative Prepositions (A1 संप्रदान कारक कारक)"],
+["grammar","t48-r1","von · von dem Lehrer","from/of · from the teacher","","","📋 A1 Dative Prepositions (A1 संप्रदान कारक कारक)"],
+["grammar","t48-r2","zu · zu dem Haus","to · to the house","","","📋 A1 Dative Prepositions (A1 संप्रदान कारक कारक)"],
+["grammar","t48-r3","nach · nach Berlin","to/after · to Berlin","","","📋 A1 Dative Prepositions (A1 संप्रदान कारक कारक)"],
+["grammar","t48-r4","aus · aus dem Haus","from/out of · from/out of the house","","","📋 A1 Dative Prepositions (A1 संप्रदान कारक कारक)"],
+["grammar","t48-r5","bei · bei dem Freund","at/near · at/near the friend","","","📋 A1 Dative Prepositions (A1 संप्रदान कारक कारक)"],
+["grammar","t49-r0","Ich gehe mit dem Freund.","mit + Dative · I go with the friend.","","","📋 Complete Examples with Dative Prepositions"],
+["grammar","t49-r1","Das Geschenk ist von dem Lehrer.","von + Dative · The gift is from the teacher.","","","📋 Complete Examples with Dative Prepositions"],
+["grammar","t49-r2","Ich fahre zu dem Haus.","zu + Dative · I drive to the house.","","","📋 Complete Examples with Dative Prepositions"],
+["grammar","t49-r3","Ich komme aus dem Büro.","aus + Dative · I come from the office.","","","📋 Complete Examples with Dative Prepositions"],
+["grammar","t49-r4","Ich bin bei dem Freund.","bei + Dative · I am at/near the friend.","","","📋 Complete Examples with Dative Prepositions"],
+["grammar","t50-r0","Ich gehe in den Park.","I go into the park.","Accusative कर्म (गति) Movement (wohin?)","","📋 \"in\" - in/into"],
+["grammar","t50-r1","Ich bin in dem Park.","I am in the park.","Dative संप्रदान (स्थान) Location (wo?)","","📋 \"in\" - in/into"],
+["grammar","t51-r0","Ich lege das Buch auf den Tisch.","I put the book onto the table.","Accusative कर्म (गति) Movement (wohin?)","","📋 \"auf\" - on/onto"],
+["grammar","t51-r1","Das Buch liegt auf dem Tisch.","The book lies on the table.","Dative संप्रदान (स्थान) Location (wo?)","","📋 \"auf\" - on/onto"],
+["grammar","t52-r0","","für · Accusative · for · für den Mann","","","8.5 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t52-r1","","ohne · Accusative · without · ohne den Kaffee","","","8.5 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t52-r2","","durch · Accusative · through · durch den Park","","","8.5 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t52-r3","","um · Accusative · around/at · um den Tisch","","","8.5 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t52-r4","","gegen · Accusative · against · gegen den Feind","","","8.5 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t52-r5","","mit · Dative · with · mit dem Freund","","","8.5 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t52-r6","","von · Dative · from/of · von dem Lehrer","","","8.5 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t52-r7","","zu · Dative · to · zu dem Haus","","","8.5 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t52-r8","","nach · Dative · to/after · nach Berlin","","","8.5 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t52-r9","","aus · Dative · from/out of · aus dem Haus","","","8.5 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t52-r10","","bei · Dative · at/near · bei dem Freund","","","8.5 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t52-r11","","in · Acc/Dat · in/into · in den/dem Park","","","8.5 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t52-r12","","auf · Acc/Dat · on/onto · auf den/dem Tisch","","","8.5 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t53-r0","","zu + dem · zum · zum Haus (to the house)","","","Rule 3: Contractions (संकुचन)"],
+["grammar","t53-r1","","zu + der · zur · zur Schule (to the school)","","","Rule 3: Contractions (संकुचन)"],
+["grammar","t53-r2","","von + dem · vom · vom Lehrer (from the teacher)","","","Rule 3: Contractions (संकुचन)"],
+["grammar","t53-r3","","in + dem · im · im Park (in the park)","","","Rule 3: Contractions (संकुचन)"],
+["grammar","t53-r4","","auf + dem · aufm (informal) · aufm Tisch (on the table)","","","Rule 3: Contractions (संकुचन)"],
+["grammar","t54-r0","Ich kaufe ein Geschenk für den Freund.","für · Accusative · for the friend","","","8.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t54-r1","Ich gehe mit dem Freund.","mit · Dative · with the friend","","","8.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t54-r2","Ich gehe in den Park.","in · Accusative (movement) · into the park","","","8.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t54-r3","Ich bin in dem Park.","in · Dative (location) · in the park","","","8.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t54-r4","Ich komme von dem Büro.","von · Dative · from the office","","","8.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t55-r0","können · Ich kann Deutsch sprechen.","can / to be able to · I can speak German.","","","📋 Modal Verbs Overview (मोडल क्रियाओं का अवलोकन)"],
+["grammar","t55-r1","müssen · Ich muss lernen.","must / to have to · I must learn.","","","📋 Modal Verbs Overview (मोडल क्रियाओं का अवलोकन)"],
+["grammar","t55-r2","wollen · Ich will Deutsch lernen.","to want to · I want to learn German.","","","📋 Modal Verbs Overview (मोडल क्रियाओं का अवलोकन)"],
+["grammar","t55-r3","sollen · Ich soll lernen.","should / to be supposed to · I should learn.","","","📋 Modal Verbs Overview (मोडल क्रियाओं का अवलोकन)"],
+["grammar","t55-r4","dürfen · Ich darf gehen.","may / to be allowed to · I may go.","","","📋 Modal Verbs Overview (मोडल क्रियाओं का अवलोकन)"],
+["grammar","t55-r5","mögen · Ich mag Kaffee.","to like · I like coffee.","","","📋 Modal Verbs Overview (मोडल क्रियाओं का अवलोकन)"],
+["grammar","t56-r0","kann · Ich kann Deutsch sprechen.","ich","","","📋 können (can / to be able to)"],
+["grammar","t56-r1","kannst · Du kannst gut singen.","du","","","📋 können (can / to be able to)"],
+["grammar","t56-r2","kann · Er kann schwimmen.","er/sie/es","","","📋 können (can / to be able to)"],
+["grammar","t56-r3","können · Wir können tanzen.","wir","","","📋 können (can / to be able to)"],
+["grammar","t56-r4","könnt · Ihr könnt kommen.","ihr","","","📋 können (can / to be able to)"],
+["grammar","t56-r5","können · Sie können helfen.","Sie/sie","","","📋 können (can / to be able to)"],
+["grammar","t57-r0","muss · Ich muss lernen.","ich","","","📋 müssen (must / to have to)"],
+["grammar","t57-r1","musst · Du musst arbeiten.","du","","","📋 müssen (must / to have to)"],
+["grammar","t57-r2","muss · Er muss gehen.","er/sie/es","","","📋 müssen (must / to have to)"],
+["grammar","t57-r3","müssen · Wir müssen lernen.","wir","","","📋 müssen (must / to have to)"],
+["grammar","t57-r4","müsst · Ihr müsst kommen.","ihr","","","📋 müssen (must / to have to)"],
+["grammar","t57-r5","müssen · Sie müssen helfen.","Sie/sie","","","📋 müssen (must / to have to)"],
+["grammar","t58-r0","will · Ich will Deutsch lernen.","ich","","","📋 wollen (to want to)"],
+["grammar","t58-r1","willst · Du willst essen.","du","","","📋 wollen (to want to)"],
+["grammar","t58-r2","will · Er will schlafen.","er/sie/es","","","📋 wollen (to want to)"],
+["grammar","t58-r3","wollen · Wir wollen gehen.","wir","","","📋 wollen (to want to)"],
+["grammar","t58-r4","wollt · Ihr wollt spielen.","ihr","","","📋 wollen (to want to)"],
+["grammar","t58-r5","wollen · Sie wollen lernen.","Sie/sie","","","📋 wollen (to want to)"],
+["grammar","t59-r0","soll · Ich soll lernen.","ich","","","📋 sollen (should / to be supposed to)"],
+["grammar","t59-r1","sollst · Du sollst kommen.","du","","","📋 sollen (should / to be supposed to)"],
+["grammar","t59-r2","soll · Er soll arbeiten.","er/sie/es","","","📋 sollen (should / to be supposed to)"],
+["grammar","t59-r3","sollen · Wir sollen helfen.","wir","","","📋 sollen (should / to be supposed to)"],
+["grammar","t59-r4","sollt · Ihr sollt lernen.","ihr","","","📋 sollen (should / to be supposed to)"],
+["grammar","t59-r5","sollen · Sie sollen kommen.","Sie/sie","","","📋 sollen (should / to be supposed to)"],
+["grammar","t60-r0","darf · Ich darf gehen.","ich","","","📋 dürfen (may / to be allowed to)"],
+["grammar","t60-r1","darfst · Du darfst kommen.","du","","","📋 dürfen (may / to be allowed to)"],
+["grammar","t60-r2","darf · Er darf essen.","er/sie/es","","","📋 dürfen (may / to be allowed to)"],
+["grammar","t60-r3","dürfen · Wir dürfen bleiben.","wir","","","📋 dürfen (may / to be allowed to)"],
+["grammar","t60-r4","dürft · Ihr dürft gehen.","ihr","","","📋 dürfen (may / to be allowed to)"],
+["grammar","t60-r5","dürfen · Sie dürfen helfen.","Sie/sie","","","📋 dürfen (may / to be allowed to)"],
+["grammar","t61-r0","mag · Ich mag Kaffee.","ich","","","📋 mögen (to like)"],
+["grammar","t61-r1","magst · Du magst Pizza.","du","","","📋 mögen (to like)"],
+["grammar","t61-r2","mag · Er mag Musik.","er/sie/es","","","📋 mögen (to like)"],
+["grammar","t61-r3","mögen · Wir mögen Fußball.","wir","","","📋 mögen (to like)"],
+["grammar","t61-r4","mögt · Ihr mögt tanzen.","ihr","","","📋 mögen (to like)"],
+["grammar","t61-r5","mögen · Sie mögen Kuchen.","Sie/sie","","","📋 mögen (to like)"],
+["grammar","t62-r0","","Position 1 (Subject) · Ich · I","","","📋 Sentence Structure Pattern (वाक्य संरचना पैटर्न)"],
+["grammar","t62-r1","","Position 2 (Modal Verb) · kann · can","","","📋 Sentence Structure Pattern (वाक्य संरचना पैटर्न)"],
+["grammar","t62-r2","","Position 3+ (Other elements) · Deutsch · German","","","📋 Sentence Structure Pattern (वाक्य संरचना पैटर्न)"],
+["grammar","t62-r3","","END (Main Verb - Infinitive) · sprechen. · speak","","","📋 Sentence Structure Pattern (वाक्य संरचना पैटर्न)"],
+["grammar","t63-r0","Ich kann Deutsch sprechen.","I can speak German.","","","📋 Complete Examples (पूर्ण उदाहरण)"],
+["grammar","t63-r1","Du musst heute lernen.","You must learn today.","","","📋 Complete Examples (पूर्ण उदाहरण)"],
+["grammar","t63-r2","Er will morgen gehen.","He wants to go tomorrow.","","","📋 Complete Examples (पूर्ण उदाहरण)"],
+["grammar","t63-r3","Wir sollen helfen.","We should help.","","","📋 Complete Examples (पूर्ण उदाहरण)"],
+["grammar","t63-r4","Ihr dürft kommen.","You (plural) may come.","","","📋 Complete Examples (पूर्ण उदाहरण)"],
+["grammar","t64-r0","","ich · kann · muss · will · soll · darf · mag","","","9.4 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t64-r1","","du · kannst · musst · willst · sollst · darfst · magst","","","9.4 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t64-r2","","er/sie/es · kann · muss · will · soll · darf · mag","","","9.4 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t64-r3","","wir · können · müssen · wollen · sollen · dürfen · mögen","","","9.4 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t64-r4","","ihr · könnt · müsst · wollt · sollt · dürft · mögt","","","9.4 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t64-r5","","Sie/sie · können · müssen · wollen · sollen · dürfen · mögen","","","9.4 🎯 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t65-r0","Ich kann gut singen.","können · I can sing well.","","","9.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t65-r1","Du musst jetzt gehen.","müssen · You must go now.","","","9.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t65-r2","Er will Pizza essen.","wollen · He wants to eat pizza.","","","9.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t65-r3","Wir sollen helfen.","sollen · We should help.","","","9.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t65-r4","Ihr dürft hier bleiben.","dürfen · You (plural) may stay here.","","","9.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t65-r5","Sie mag Kaffee trinken.","mögen · She likes to drink coffee.","","","9.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t66-r0","Das Auto ist groß.","groß (no ending) · The car is big.","","","📋 Examples with Predicative Adjectives"],
+["grammar","t66-r1","Die Frau ist klein.","klein (no ending) · The woman is small.","","","📋 Examples with Predicative Adjectives"],
+["grammar","t66-r2","Der Mann ist gut.","gut (no ending) · The man is good.","","","📋 Examples with Predicative Adjectives"],
+["grammar","t66-r3","Das Buch ist interessant.","interessant (no ending) · The book is interesting.","","","📋 Examples with Predicative Adjectives"],
+["grammar","t66-r4","Er wird müde.","müde (no ending) · He becomes tired.","","","📋 Examples with Predicative Adjectives"],
+["grammar","t67-r0","","der -e · die -e · das -e · die -en","Nominative कर्ता","","📋 Basic Adjective Endings (A1 Level)"],
+["grammar","t67-r1","","den -en ⚠️ · die -e · das -e · die -en","Accusative कर्म","","📋 Basic Adjective Endings (A1 Level)"],
+["grammar","t68-r0","Der große Mann kommt.","groß + -e (Nom. masc.) · The big man comes.","","","📋 Examples with Attributive Adjectives"],
+["grammar","t68-r1","Ich sehe den großen Mann.","groß + -en (Acc. masc.) · I see the big man.","","","📋 Examples with Attributive Adjectives"],
+["grammar","t68-r2","Die kleine Frau arbeitet.","klein + -e (Nom./Acc. fem.) · The small woman works.","","","📋 Examples with Attributive Adjectives"],
+["grammar","t68-r3","Das gute Buch ist hier.","gut + -e (Nom./Acc. neut.) · The good book is here.","","","📋 Examples with Attributive Adjectives"],
+["grammar","t68-r4","Die großen Männer kommen.","groß + -en (Plural) · The big men come.","","","📋 Examples with Attributive Adjectives"],
+["grammar","t69-r0","groß","big, tall · Der Mann ist groß. · der große Mann","","","10.4 Common A1 Adjectives (सामान्य A1 विशेषण)"],
+["grammar","t69-r1","klein","small, short · Das Kind ist klein. · das kleine Kind","","","10.4 Common A1 Adjectives (सामान्य A1 विशेषण)"],
+["grammar","t69-r2","gut","good · Das Essen ist gut. · das gute Essen","","","10.4 Common A1 Adjectives (सामान्य A1 विशेषण)"],
+["grammar","t69-r3","schlecht","bad · Das Wetter ist schlecht. · das schlechte Wetter","","","10.4 Common A1 Adjectives (सामान्य A1 विशेषण)"],
+["grammar","t69-r4","alt","old · Der Mann ist alt. · der alte Mann","","","10.4 Common A1 Adjectives (सामान्य A1 विशेषण)"],
+["grammar","t69-r5","neu","new · Das Auto ist neu. · das neue Auto","","","10.4 Common A1 Adjectives (सामान्य A1 विशेषण)"],
+["grammar","t69-r6","jung","young · Die Frau ist jung. · die junge Frau","","","10.4 Common A1 Adjectives (सामान्य A1 विशेषण)"],
+["grammar","t69-r7","schön","beautiful, nice · Das Bild ist schön. · das schöne Bild","","","10.4 Common A1 Adjectives (सामान्य A1 विशेषण)"],
+["grammar","t69-r8","teuer","expensive · Das Auto ist teuer. · das teure Auto","","","10.4 Common A1 Adjectives (सामान्य A1 विशेषण)"],
+["grammar","t69-r9","billig","cheap · Das Buch ist billig. · das billige Buch","","","10.4 Common A1 Adjectives (सामान्य A1 विशेषण)"],
+["grammar","t69-r10","schnell","fast · Das Auto ist schnell. · das schnelle Auto","","","10.4 Common A1 Adjectives (सामान्य A1 विशेषण)"],
+["grammar","t69-r11","langsam","slow · Der Bus ist langsam. · der langsame Bus","","","10.4 Common A1 Adjectives (सामान्य A1 विशेषण)"],
+["grammar","t70-r0","größer · Dieses Auto ist größer.","groß · This car is bigger.","","","📋 Comparative Form (तुलनात्मक रूप)"],
+["grammar","t70-r1","kleiner · Das Kind ist kleiner.","klein · The child is smaller.","","","📋 Comparative Form (तुलनात्मक रूप)"],
+["grammar","t70-r2","besser ⚠️ · Das ist besser.","gut · That is better.","","","📋 Comparative Form (तुलनात्मक रूप)"],
+["grammar","t70-r3","schlechter · Das ist schlechter.","schlecht · That is worse.","","","📋 Comparative Form (तुलनात्मक रूप)"],
+["grammar","t70-r4","schneller · Er läuft schneller.","schnell · He runs faster.","","","📋 Comparative Form (तुलनात्मक रूप)"],
+["grammar","t71-r0","am größten · Dieses Auto ist am größten.","groß · This car is the biggest.","","","📋 Superlative Form (अतिशयोक्ति रूप)"],
+["grammar","t71-r1","am kleinsten · Das Kind ist am kleinsten.","klein · The child is the smallest.","","","📋 Superlative Form (अतिशयोक्ति रूप)"],
+["grammar","t71-r2","am besten ⚠️ · Das ist am besten.","gut · That is the best.","","","📋 Superlative Form (अतिशयोक्ति रूप)"],
+["grammar","t71-r3","am schnellsten · Er läuft am schnellsten.","schnell · He runs the fastest.","","","📋 Superlative Form (अतिशयोक्ति रूप)"],
+["grammar","t72-r0","Das Auto ist groß.","Predicative (no ending) · The car is big.","","","10.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t72-r1","Der große Mann kommt.","Attributive (-e ending) · The big man comes.","","","10.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t72-r2","Ich sehe den großen Mann.","Attributive (-en ending) · I see the big man.","","","10.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t72-r3","Dieses Auto ist größer.","Comparative (-er) · This car is bigger.","","","10.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t72-r4","Das Auto ist am größten.","Superlative (am ... -sten) · The car is the biggest.","","","10.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t73-r0","und · Ich lerne Deutsch und er lernt Englisch.","and · I learn German and he learns English.","","","📋 Main Coordinating Conjunctions (मुख्य समन्वय संयोजक)"],
+["grammar","t73-r1","oder · Möchtest du Kaffee oder Tee?","or · Do you want coffee or tea?","","","📋 Main Coordinating Conjunctions (मुख्य समन्वय संयोजक)"],
+["grammar","t73-r2","aber · Ich mag Kaffee, aber er mag Tee.","but · I like coffee, but he likes tea.","","","📋 Main Coordinating Conjunctions (मुख्य समन्वय संयोजक)"],
+["grammar","t73-r3","sondern · Ich trinke nicht Kaffee, sondern Tee.","but (instead) · I don't drink coffee, but (instead) tea.","","","📋 Main Coordinating Conjunctions (मुख्य समन्वय संयोजक)"],
+["grammar","t73-r4","denn · Ich lerne, denn es ist wichtig.","because · I learn, because it is important.","","","📋 Main Coordinating Conjunctions (मुख्य समन्वय संयोजक)"],
+["grammar","t74-r0","Ich kaufe Brot und Milch.","I buy bread and milk.","","","📋 More Examples with Coordinating Conjunctions"],
+["grammar","t74-r1","Möchtest du Pizza oder Pasta?","Do you want pizza or pasta?","","","📋 More Examples with Coordinating Conjunctions"],
+["grammar","t74-r2","Er ist müde, aber er arbeitet weiter.","He is tired, but he continues working.","","","📋 More Examples with Coordinating Conjunctions"],
+["grammar","t74-r3","Ich gehe nicht ins Kino, sondern ich bleibe zu Hause.","I don't go to the cinema, but (instead) I stay at home.","","","📋 More Examples with Coordinating Conjunctions"],
+["grammar","t74-r4","Ich lerne Deutsch, denn es macht Spaß.","I learn German, because it's fun.","","","📋 More Examples with Coordinating Conjunctions"],
+["grammar","t75-r0","weil · Ich lerne, weil es wichtig ist.","because · I learn, because it is important.","","","📋 Main Subordinating Conjunctions (A1 Level)"],
+["grammar","t75-r1","dass · Ich weiß, dass er kommt.","that · I know that he comes.","","","📋 Main Subordinating Conjunctions (A1 Level)"],
+["grammar","t75-r2","wenn · Wenn es regnet, bleibe ich zu Hause.","if/when · If/When it rains, I stay at home.","","","📋 Main Subordinating Conjunctions (A1 Level)"],
+["grammar","t75-r3","obwohl · Obwohl es regnet, gehe ich raus.","although · Although it rains, I go out.","","","📋 Main Subordinating Conjunctions (A1 Level)"],
+["grammar","t76-r0","","Coordinating (denn) Verb in position 2 · Ich lerne, denn es ist wichtig. · I learn, because it is important.","","","📋 Comparison: Coordinating vs Subordinating (तुलना)"],
+["grammar","t76-r1","","Subordinating (weil) Verb at the END · Ich lerne, weil es wichtig ist. · I learn, because it is important.","","","📋 Comparison: Coordinating vs Subordinating (तुलना)"],
+["grammar","t77-r0","Ich bleibe zu Hause, weil ich müde bin.","I stay at home, because I am tired.","","","📋 More Examples with Subordinating Conjunctions"],
+["grammar","t77-r1","Ich glaube, dass er kommt.","I believe that he comes.","","","📋 More Examples with Subordinating Conjunctions"],
+["grammar","t77-r2","Wenn ich Zeit habe, lerne ich Deutsch.","If/When I have time, I learn German.","","","📋 More Examples with Subordinating Conjunctions"],
+["grammar","t77-r3","Obwohl es kalt ist, gehe ich raus.","Although it is cold, I go out.","","","📋 More Examples with Subordinating Conjunctions"],
+["grammar","t78-r0","","und · Coordinating · and · Position 2","","","11.5 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t78-r1","","oder · Coordinating · or · Position 2","","","11.5 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t78-r2","","aber · Coordinating · but · Position 2","","","11.5 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t78-r3","","sondern · Coordinating · but (instead) · Position 2","","","11.5 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t78-r4","","denn · Coordinating · because · Position 2","","","11.5 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t78-r5","","weil · Subordinating · because · END","","","11.5 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t78-r6","","dass · Subordinating · that · END","","","11.5 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t78-r7","","wenn · Subordinating · if/when · END","","","11.5 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t78-r8","","obwohl · Subordinating · although · END","","","11.5 Quick Reference Table (त्वरित संदर्भ तालिका)"],
+["grammar","t79-r0","Ich kaufe Brot und Milch.","Coordinating · I buy bread and milk.","","","11.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t79-r1","Ich lerne, weil es wichtig ist.","Subordinating · I learn, because it is important.","","","11.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t79-r2","Er ist müde, aber er arbeitet weiter.","Coordinating · He is tired, but he continues working.","","","11.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t79-r3","Wenn ich Zeit habe, lerne ich Deutsch.","Subordinating · If/When I have time, I learn German.","","","11.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t79-r4","Ich glaube, dass er kommt.","Subordinating · I believe that he comes.","","","11.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t80-r0","an-","on/to · ankommen · Ich komme an.","","","📋 Most Common A1 Separable Prefixes"],
+["grammar","t80-r1","ab-","off/from · abfahren · Der Zug fährt ab.","","","📋 Most Common A1 Separable Prefixes"],
+["grammar","t80-r2","auf-","up/on · aufstehen · Ich stehe auf.","","","📋 Most Common A1 Separable Prefixes"],
+["grammar","t80-r3","aus-","out · ausgehen · Wir gehen aus.","","","📋 Most Common A1 Separable Prefixes"],
+["grammar","t80-r4","ein-","in · einkaufen · Ich kaufe ein.","","","📋 Most Common A1 Separable Prefixes"],
+["grammar","t80-r5","mit-","with/along · mitkommen · Kommst du mit?","","","📋 Most Common A1 Separable Prefixes"],
+["grammar","t80-r6","zu-","to/closed · zumachen · Ich mache die Tür zu.","","","📋 Most Common A1 Separable Prefixes"],
+["grammar","t80-r7","weg-","away · weggehen · Er geht weg.","","","📋 Most Common A1 Separable Prefixes"],
+["grammar","t81-r0","","Position 1 (Subject) · Ich · I","","","📋 Sentence Structure Pattern (वाक्य संरचना पैटर्न)"],
+["grammar","t81-r1","","Position 2 (Verb - without prefix) · komme · come","","","📋 Sentence Structure Pattern (वाक्य संरचना पैटर्न)"],
+["grammar","t81-r2","","Position 3+ (Other elements) · heute · today","","","📋 Sentence Structure Pattern (वाक्य संरचना पैटर्न)"],
+["grammar","t81-r3","","END (Prefix) · an. · arrive","","","📋 Sentence Structure Pattern (वाक्य संरचना पैटर्न)"],
+["grammar","t82-r0","Ich komme heute an.","ankommen → komme ... an · I arrive today.","","","📋 Complete Examples (पूर्ण उदाहरण)"],
+["grammar","t82-r1","Ich stehe um 7 Uhr auf.","aufstehen → stehe ... auf · I get up at 7 o'clock.","","","📋 Complete Examples (पूर्ण उदाहरण)"],
+["grammar","t82-r2","Wir gehen heute aus.","ausgehen → gehen ... aus · We go out today.","","","📋 Complete Examples (पूर्ण उदाहरण)"],
+["grammar","t82-r3","Ich kaufe im Supermarkt ein.","einkaufen → kaufe ... ein · I shop in the supermarket.","","","📋 Complete Examples (पूर्ण उदाहरण)"],
+["grammar","t82-r4","Kommst du mit?","mitkommen → kommst ... mit · Are you coming along?","","","📋 Complete Examples (पूर्ण उदाहरण)"],
+["grammar","t83-r0","Ich komme an.","ich · komme ... an","","","📋 ankommen (to arrive)"],
+["grammar","t83-r1","Du kommst an.","du · kommst ... an","","","📋 ankommen (to arrive)"],
+["grammar","t83-r2","Er kommt an.","er/sie/es · kommt ... an","","","📋 ankommen (to arrive)"],
+["grammar","t83-r3","Wir kommen an.","wir · kommen ... an","","","📋 ankommen (to arrive)"],
+["grammar","t83-r4","Ihr kommt an.","ihr · kommt ... an","","","📋 ankommen (to arrive)"],
+["grammar","t83-r5","Sie kommen an.","Sie/sie · kommen ... an","","","📋 ankommen (to arrive)"],
+["grammar","t84-r0","Ich stehe auf.","ich · stehe ... auf","","","📋 aufstehen (to get up)"],
+["grammar","t84-r1","Du stehst auf.","du · stehst ... auf","","","📋 aufstehen (to get up)"],
+["grammar","t84-r2","Er steht auf.","er/sie/es · steht ... auf","","","📋 aufstehen (to get up)"],
+["grammar","t84-r3","Wir stehen auf.","wir · stehen ... auf","","","📋 aufstehen (to get up)"],
+["grammar","t84-r4","Ihr steht auf.","ihr · steht ... auf","","","📋 aufstehen (to get up)"],
+["grammar","t84-r5","Sie stehen auf.","Sie/sie · stehen ... auf","","","📋 aufstehen (to get up)"],
+["grammar","t85-r0","Ich komme an.","ankommen · to arrive","","","12.6 More Common A1 Separable Verbs (अधिक सामान्य A1 अलग होने वाली क्रियाएं)"],
+["grammar","t85-r1","Ich stehe auf.","aufstehen · to get up","","","12.6 More Common A1 Separable Verbs (अधिक सामान्य A1 अलग होने वाली क्रियाएं)"],
+["grammar","t85-r2","Wir gehen aus.","ausgehen · to go out","","","12.6 More Common A1 Separable Verbs (अधिक सामान्य A1 अलग होने वाली क्रियाएं)"],
+["grammar","t85-r3","Ich kaufe ein.","einkaufen · to shop","","","12.6 More Common A1 Separable Verbs (अधिक सामान्य A1 अलग होने वाली क्रियाएं)"],
+["grammar","t85-r4","Kommst du mit?","mitkommen · to come along","","","12.6 More Common A1 Separable Verbs (अधिक सामान्य A1 अलग होने वाली क्रियाएं)"],
+["grammar","t85-r5","Ich rufe dich an.","anrufen · to call","","","12.6 More Common A1 Separable Verbs (अधिक सामान्य A1 अलग होने वाली क्रियाएं)"],
+["grammar","t85-r6","Ich mache die Tür auf.","aufmachen · to open","","","12.6 More Common A1 Separable Verbs (अधिक सामान्य A1 अलग होने वाली क्रियाएं)"],
+["grammar","t85-r7","Ich mache die Tür zu.","zumachen · to close","","","12.6 More Common A1 Separable Verbs (अधिक सामान्य A1 अलग होने वाली क्रियाएं)"],
+["grammar","t85-r8","Der Zug fährt ab.","abfahren · to depart","","","12.6 More Common A1 Separable Verbs (अधिक सामान्य A1 अलग होने वाली क्रियाएं)"],
+["grammar","t85-r9","Er geht weg.","weggehen · to go away","","","12.6 More Common A1 Separable Verbs (अधिक सामान्य A1 अलग होने वाली क्रियाएं)"],
+["grammar","t86-r0","Ich komme um 8 Uhr an.","I arrive at 8 o'clock.","","","12.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t86-r1","Ich stehe jeden Tag um 7 Uhr auf.","I get up every day at 7 o'clock.","","","12.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t86-r2","Wir gehen heute Abend aus.","We go out this evening.","","","12.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t86-r3","Ich kaufe im Supermarkt ein.","I shop in the supermarket.","","","12.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t86-r4","Kommst du mit ins Kino?","Are you coming along to the cinema?","","","12.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t86-r5","Ich rufe dich später an.","I'll call you later.","","","12.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t87-r0","mein · meine · mein · meine","my","","","13.1 The 7 Possessive Pronouns (7 स्वामित्व सर्वनाम)"],
+["grammar","t87-r1","dein · deine · dein · deine","your (informal)","","","13.1 The 7 Possessive Pronouns (7 स्वामित्व सर्वनाम)"],
+["grammar","t87-r2","sein · seine · sein · seine","his/its","","","13.1 The 7 Possessive Pronouns (7 स्वामित्व सर्वनाम)"],
+["grammar","t87-r3","ihr · ihre · ihr · ihre","her/its","","","13.1 The 7 Possessive Pronouns (7 स्वामित्व सर्वनाम)"],
+["grammar","t87-r4","unser · unsere · unser · unsere","our","","","13.1 The 7 Possessive Pronouns (7 स्वामित्व सर्वनाम)"],
+["grammar","t87-r5","euer · eure · euer · eure","your (plural)","","","13.1 The 7 Possessive Pronouns (7 स्वामित्व सर्वनाम)"],
+["grammar","t87-r6","ihr · ihre · ihr · ihre","their/your (formal)","","","13.1 The 7 Possessive Pronouns (7 स्वामित्व सर्वनाम)"],
+["grammar","t88-r0","","mein (my) · mein · meine · mein · meine","","","📋 Nominative Case (कर्ता कारक)"],
+["grammar","t88-r1","","dein (your) · dein · deine · dein · deine","","","📋 Nominative Case (कर्ता कारक)"],
+["grammar","t88-r2","","sein (his/its) · sein · seine · sein · seine","","","📋 Nominative Case (कर्ता कारक)"],
+["grammar","t88-r3","","ihr (her/its) · ihr · ihre · ihr · ihre","","","📋 Nominative Case (कर्ता कारक)"],
+["grammar","t88-r4","","unser (our) · unser · unsere · unser · unsere","","","📋 Nominative Case (कर्ता कारक)"],
+["grammar","t88-r5","","euer (your pl.) · euer · eure · euer · eure","","","📋 Nominative Case (कर्ता कारक)"],
+["grammar","t88-r6","","ihr (their) · ihr · ihre · ihr · ihre","","","📋 Nominative Case (कर्ता कारक)"],
+["grammar","t89-r0","","mein (my) · meinen ⚠️ · meine · mein · meine","","","📋 Accusative Case (कर्म कारक)"],
+["grammar","t89-r1","","dein (your) · deinen ⚠️ · deine · dein · deine","","","📋 Accusative Case (कर्म कारक)"],
+["grammar","t89-r2","","sein (his/its) · seinen ⚠️ · seine · sein · seine","","","📋 Accusative Case (कर्म कारक)"],
+["grammar","t89-r3","","ihr (her/its) · ihren ⚠️ · ihre · ihr · ihre","","","📋 Accusative Case (कर्म कारक)"],
+["grammar","t89-r4","","unser (our) · unseren ⚠️ · unsere · unser · unsere","","","📋 Accusative Case (कर्म कारक)"],
+["grammar","t89-r5","","euer (your pl.) · euren ⚠️ · eure · euer · eure","","","📋 Accusative Case (कर्म कारक)"],
+["grammar","t89-r6","","ihr (their) · ihren ⚠️ · ihre · ihr · ihre","","","📋 Accusative Case (कर्म कारक)"],
+["grammar","t90-r0","","mein (my) · meinem ⚠️ · meiner ⚠️ · meinem ⚠️ · meinen ⚠️","","","📋 Dative Case (संप्रदान कारक) – Basic A1"],
+["grammar","t90-r1","","dein (your) · deinem ⚠️ · deiner ⚠️ · deinem ⚠️ · deinen ⚠️","","","📋 Dative Case (संप्रदान कारक) – Basic A1"],
+["grammar","t90-r2","","sein (his/its) · seinem ⚠️ · seiner ⚠️ · seinem ⚠️ · seinen ⚠️","","","📋 Dative Case (संप्रदान कारक) – Basic A1"],
+["grammar","t90-r3","","ihr (her/its) · ihrem ⚠️ · ihrer ⚠️ · ihrem ⚠️ · ihren ⚠️","","","📋 Dative Case (संप्रदान कारक) – Basic A1"],
+["grammar","t90-r4","","unser (our) · unserem ⚠️ · unserer ⚠️ · unserem ⚠️ · unseren ⚠️","","","📋 Dative Case (संप्रदान कारक) – Basic A1"],
+["grammar","t90-r5","","euer (your pl.) · eurem ⚠️ · eurer ⚠️ · eurem ⚠️ · euren ⚠️","","","📋 Dative Case (संप्रदान कारक) – Basic A1"],
+["grammar","t90-r6","","ihr (their) · ihrem ⚠️ · ihrer ⚠️ · ihrem ⚠️ · ihren ⚠️","","","📋 Dative Case (संप्रदान कारक) – Basic A1"],
+["grammar","t91-r0","","Nom. Masc. · ein · mein · Same ending","","","13.3 🎯 Comparison with \"ein\" Pattern (ein पैटर्न के साथ तुलना)"],
+["grammar","t91-r1","","Nom. Fem. · eine · meine · Add -e","","","13.3 🎯 Comparison with \"ein\" Pattern (ein पैटर्न के साथ तुलना)"],
+["grammar","t91-r2","","Nom. Neut. · ein · mein · Same ending","","","13.3 🎯 Comparison with \"ein\" Pattern (ein पैटर्न के साथ तुलना)"],
+["grammar","t91-r3","","Acc. Masc. · einen · meinen · Add -en","","","13.3 🎯 Comparison with \"ein\" Pattern (ein पैटर्न के साथ तुलना)"],
+["grammar","t91-r4","","Acc. Fem. · eine · meine · Add -e","","","13.3 🎯 Comparison with \"ein\" Pattern (ein पैटर्न के साथ तुलना)"],
+["grammar","t91-r5","","Acc. Neut. · ein · mein · Same ending","","","13.3 🎯 Comparison with \"ein\" Pattern (ein पैटर्न के साथ तुलना)"],
+["grammar","t91-r6","","Dat. Masc. · einem · meinem · Add -em","","","13.3 🎯 Comparison with \"ein\" Pattern (ein पैटर्न के साथ तुलना)"],
+["grammar","t91-r7","","Dat. Fem. · einer · meiner · Add -er","","","13.3 🎯 Comparison with \"ein\" Pattern (ein पैटर्न के साथ तुलना)"],
+["grammar","t92-r0","Das ist mein Buch.","mein (Nom. neut.) · That is my book.","","","📋 Nominative Examples (कर्ता कारक उदाहरण)"],
+["grammar","t92-r1","Das ist meine Katze.","meine (Nom. fem.) · That is my cat.","","","📋 Nominative Examples (कर्ता कारक उदाहरण)"],
+["grammar","t92-r2","Das ist dein Auto.","dein (Nom. neut.) · That is your car.","","","📋 Nominative Examples (कर्ता कारक उदाहरण)"],
+["grammar","t92-r3","Das sind meine Bücher.","meine (Nom. plural) · Those are my books.","","","📋 Nominative Examples (कर्ता कारक उदाहरण)"],
+["grammar","t93-r0","Ich sehe meinen Freund.","meinen (Acc. masc.) · I see my friend.","","","📋 Accusative Examples (कर्म कारक उदाहरण)"],
+["grammar","t93-r1","Ich sehe meine Freundin.","meine (Acc. fem. - no change!) · I see my friend (female).","","","📋 Accusative Examples (कर्म कारक उदाहरण)"],
+["grammar","t93-r2","Ich sehe mein Auto.","mein (Acc. neut. - no change!) · I see my car.","","","📋 Accusative Examples (कर्म कारक उदाहरण)"],
+["grammar","t93-r3","Ich kaufe deinen Apfel.","deinen (Acc. masc.) · I buy your apple.","","","📋 Accusative Examples (कर्म कारक उदाहरण)"],
+["grammar","t94-r0","Ich helfe meinem Freund.","meinem (Dat. masc.) · I help my friend.","","","📋 Dative Examples (संप्रदान कारक उदाहरण)"],
+["grammar","t94-r1","Ich danke meiner Lehrerin.","meiner (Dat. fem.) · I thank my teacher.","","","📋 Dative Examples (संप्रदान कारक उदाहरण)"],
+["grammar","t94-r2","Ich gebe meinem Kind ein Buch.","meinem (Dat. neut.) · I give my child a book.","","","📋 Dative Examples (संप्रदान कारक उदाहरण)"],
+["grammar","t94-r3","Ich helfe meinen Freunden.","meinen (Dat. plural) · I help my friends.","","","📋 Dative Examples (संप्रदान कारक उदाहरण)"],
+["grammar","t95-r0","Das ist mein Hund.","mein (Nom. masc.) · That is my dog.","","","13.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t95-r1","Ich sehe meinen Hund.","meinen (Acc. masc.) · I see my dog.","","","13.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t95-r2","Ich helfe meinem Hund.","meinem (Dat. masc.) · I help my dog.","","","13.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t95-r3","Das ist deine Schwester.","deine (Nom. fem.) · That is your sister.","","","13.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t95-r4","Ich sehe deine Schwester.","deine (Acc. fem. - no change!) · I see your sister.","","","13.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t95-r5","Ich helfe deiner Schwester.","deiner (Dat. fem.) · I help your sister.","","","13.7 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t96-r0","wer · Wer ist das?","who · Who is that?","","","14.1 Main Question Words (मुख्य प्रश्न शब्द)"],
+["grammar","t96-r1","was · Was machst du?","what · What are you doing?","","","14.1 Main Question Words (मुख्य प्रश्न शब्द)"],
+["grammar","t96-r2","wo · Wo wohnst du?","where (location) · Where do you live?","","","14.1 Main Question Words (मुख्य प्रश्न शब्द)"],
+["grammar","t96-r3","wohin · Wohin gehst du?","where to (movement) · Where are you going?","","","14.1 Main Question Words (मुख्य प्रश्न शब्द)"],
+["grammar","t96-r4","woher · Woher kommst du?","where from (origin) · Where are you from?","","","14.1 Main Question Words (मुख्य प्रश्न शब्द)"],
+["grammar","t96-r5","wann · Wann kommst du?","when · When are you coming?","","","14.1 Main Question Words (मुख्य प्रश्न शब्द)"],
+["grammar","t96-r6","wie · Wie geht es dir?","how · How are you?","","","14.1 Main Question Words (मुख्य प्रश्न शब्द)"],
+["grammar","t96-r7","warum · Warum lernst du Deutsch?","why · Why are you learning German?","","","14.1 Main Question Words (मुख्य प्रश्न शब्द)"],
+["grammar","t96-r8","welche · Welche Farbe magst du?","which · Which color do you like?","","","14.1 Main Question Words (मुख्य प्रश्न शब्द)"],
+["grammar","t97-r0","","Position 1 (W-word) · Was · What","","","📋 Structure Pattern (संरचना पैटर्न)"],
+["grammar","t97-r1","","Position 2 (Verb) · machst · are doing","","","📋 Structure Pattern (संरचना पैटर्न)"],
+["grammar","t97-r2","","Position 3 (Subject) · du · you","","","📋 Structure Pattern (संरचना पैटर्न)"],
+["grammar","t97-r3","","Position 4+ (Rest) · heute? · today?","","","📋 Structure Pattern (संरचना पैटर्न)"],
+["grammar","t98-r0","","W-Question W-word + Verb · Was machst du? · What are you doing?","","","📋 Comparison: W-Questions vs Yes/No Questions (तुलना)"],
+["grammar","t98-r1","","Yes/No Question Verb + Subject · Machst du das? · Are you doing that?","","","📋 Comparison: W-Questions vs Yes/No Questions (तुलना)"],
+["grammar","t99-r0","Wer ist das?","Das ist... · Who is that?","","","📋 wer (who) - Nominative Only"],
+["grammar","t99-r1","Wer kommt?","Ich komme... · Who is coming?","","","📋 wer (who) - Nominative Only"],
+["grammar","t99-r2","Wer lernt Deutsch?","Ich lerne... · Who learns German?","","","📋 wer (who) - Nominative Only"],
+["grammar","t100-r0","Was machst du?","Ich mache... · What are you doing?","","","📋 was (what)"],
+["grammar","t100-r1","Was ist das?","Das ist... · What is that?","","","📋 was (what)"],
+["grammar","t100-r2","Was trinkst du?","Ich trinke... · What are you drinking?","","","📋 was (what)"],
+["grammar","t101-r0","Wo wohnst du?","wo · Where do you live?","","","📋 wo, wohin, woher (where, where to, where from)"],
+["grammar","t101-r1","Wohin gehst du?","wohin · Where are you going?","","","📋 wo, wohin, woher (where, where to, where from)"],
+["grammar","t101-r2","Woher kommst du?","woher · Where are you from?","","","📋 wo, wohin, woher (where, where to, where from)"],
+["grammar","t102-r0","Wie geht es dir?","how · How are you?","","","📋 wie (how) - With Variations"],
+["grammar","t102-r1","Wie alt bist du?","how old · How old are you?","","","📋 wie (how) - With Variations"],
+["grammar","t102-r2","Wie viel kostet das?","how much · How much does that cost?","","","📋 wie (how) - With Variations"],
+["grammar","t102-r3","Wie viele Bücher hast du?","how many · How many books do you have?","","","📋 wie (how) - With Variations"],
+["grammar","t103-r0","","Nominative · welcher · welche · welches · welche","","","📋 welche (which) - Declension Table"],
+["grammar","t103-r1","","Accusative · welchen · welche · welches · welche","","","📋 welche (which) - Declension Table"],
+["grammar","t104-r0","Welche Farbe magst du?","welche (Nom. fem.) · Which color do you like?","","","📋 welche (which) - Declension Table"],
+["grammar","t104-r1","Welches Buch liest du?","welches (Nom. neut.) · Which book are you reading?","","","📋 welche (which) - Declension Table"],
+["grammar","t104-r2","Welchen Film siehst du?","welchen (Acc. masc.) · Which film are you watching?","","","📋 welche (which) - Declension Table"],
+["grammar","t105-r0","wie viel · Wie viel kostet das?","how much · How much does that cost?","","","14.5 More Question Words (अधिक प्रश्न शब्द)"],
+["grammar","t105-r1","wie viele · Wie viele Bücher hast du?","how many · How many books do you have?","","","14.5 More Question Words (अधिक प्रश्न शब्द)"],
+["grammar","t105-r2","wie alt · Wie alt bist du?","how old · How old are you?","","","14.5 More Question Words (अधिक प्रश्न शब्द)"],
+["grammar","t105-r3","wie lange · Wie lange lernst du?","how long · How long are you learning?","","","14.5 More Question Words (अधिक प्रश्न शब्द)"],
+["grammar","t106-r0","Wer ist dein Lehrer?","wer (who) · Who is your teacher?","","","14.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t106-r1","Was machst du heute?","was (what) · What are you doing today?","","","14.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t106-r2","Wo wohnst du?","wo (where) · Where do you live?","","","14.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t106-r3","Wohin fährst du?","wohin (where to) · Where are you driving to?","","","14.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t106-r4","Woher kommst du?","woher (where from) · Where are you from?","","","14.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t106-r5","Wann beginnt der Kurs?","wann (when) · When does the course start?","","","14.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t106-r6","Wie geht es dir?","wie (how) · How are you?","","","14.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t106-r7","Warum lernst du Deutsch?","warum (why) · Why are you learning German?","","","14.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t106-r8","Welche Farbe magst du?","welche (which) · Which color do you like?","","","14.6 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t107-r0","Komm!","du (informal singular) · Verb stem (no ending) · Come!","","","15.1 The 4 Imperative Forms (4 आदेशात्मक रूप)"],
+["grammar","t107-r1","Kommt!","ihr (informal plural) · Verb stem + -t · Come! (you all)","","","15.1 The 4 Imperative Forms (4 आदेशात्मक रूप)"],
+["grammar","t107-r2","Kommen Sie!","Sie (formal) · Verb stem + -en + Sie · Come! (formal)","","","15.1 The 4 Imperative Forms (4 आदेशात्मक रूप)"],
+["grammar","t107-r3","Kommen wir!","wir (let's) · Verb stem + -en + wir · Let's come!","","","15.1 The 4 Imperative Forms (4 आदेशात्मक रूप)"],
+["grammar","t108-r0","","du kommst · -st · Komm!","","","📋 du Form (du रूप) – Most Common"],
+["grammar","t108-r1","","du machst · -st · Mach!","","","📋 du Form (du रूप) – Most Common"],
+["grammar","t108-r2","","du gehst · -st · Geh!","","","📋 du Form (du रूप) – Most Common"],
+["grammar","t108-r3","","du trinkst · -st · Trink!","","","📋 du Form (du रूप) – Most Common"],
+["grammar","t108-r4","","du liest · -st · Lies!","","","📋 du Form (du रूप) – Most Common"],
+["grammar","t109-r0","","ihr kommt · Kommt! · Come! (you all)","","","📋 ihr Form (ihr रूप)"],
+["grammar","t109-r1","","ihr macht · Macht! · Do! (you all)","","","📋 ihr Form (ihr रूप)"],
+["grammar","t109-r2","","ihr geht · Geht! · Go! (you all)","","","📋 ihr Form (ihr रूप)"],
+["grammar","t110-r0","","kommen · Kommen Sie! · Come! (formal)","","","📋 Sie Form (Sie रूप) – Formal"],
+["grammar","t110-r1","","machen · Machen Sie! · Do! (formal)","","","📋 Sie Form (Sie रूप) – Formal"],
+["grammar","t110-r2","","gehen · Gehen Sie! · Go! (formal)","","","📋 Sie Form (Sie रूप) – Formal"],
+["grammar","t111-r0","","kommen · Kommen wir! · Let's come!","","","📋 wir Form (wir रूप) – Let's"],
+["grammar","t111-r1","","gehen · Gehen wir! · Let's go!","","","📋 wir Form (wir रूप) – Let's"],
+["grammar","t111-r2","","machen · Machen wir! · Let's do it!","","","📋 wir Form (wir रूप) – Let's"],
+["grammar","t112-r0","Sei! · Seid! · Seien Sie!","sein (to be)","","","15.3 Irregular Verbs in Imperative (आदेशात्मक में अनियमित क्रियाएं)"],
+["grammar","t112-r1","Hab! · Habt! · Haben Sie!","haben (to have)","","","15.3 Irregular Verbs in Imperative (आदेशात्मक में अनियमित क्रियाएं)"],
+["grammar","t112-r2","Werde! · Werdet! · Werden Sie!","werden (to become)","","","15.3 Irregular Verbs in Imperative (आदेशात्मक में अनियमित क्रियाएं)"],
+["grammar","t112-r3","Iss! ⚠️ · Esst! · Essen Sie!","essen (to eat)","","","15.3 Irregular Verbs in Imperative (आदेशात्मक में अनियमित क्रियाएं)"],
+["grammar","t112-r4","Lies! ⚠️ · Lest! · Lesen Sie!","lesen (to read)","","","15.3 Irregular Verbs in Imperative (आदेशात्मक में अनियमित क्रियाएं)"],
+["grammar","t112-r5","Nimm! ⚠️ · Nehmt! · Nehmen Sie!","nehmen (to take)","","","15.3 Irregular Verbs in Imperative (आदेशात्मक में अनियमित क्रियाएं)"],
+["grammar","t113-r0","Komm an!","ankommen (to arrive) · Arrive!","","","15.4 Separable Verbs in Imperative (आदेशात्मक में अलग होने वाली क्रियाएं)"],
+["grammar","t113-r1","Steh auf!","aufstehen (to get up) · Get up!","","","15.4 Separable Verbs in Imperative (आदेशात्मक में अलग होने वाली क्रियाएं)"],
+["grammar","t113-r2","Geh aus!","ausgehen (to go out) · Go out!","","","15.4 Separable Verbs in Imperative (आदेशात्मक में अलग होने वाली क्रियाएं)"],
+["grammar","t113-r3","Kauf ein!","einkaufen (to shop) · Shop!","","","15.4 Separable Verbs in Imperative (आदेशात्मक में अलग होने वाली क्रियाएं)"],
+["grammar","t113-r4","Ruf an!","anrufen (to call) · Call!","","","15.4 Separable Verbs in Imperative (आदेशात्मक में अलग होने वाली क्रियाएं)"],
+["grammar","t114-r0","Komm nicht!","Don't come!","","","15.5 Negative Imperative (नकारात्मक आदेशात्मक)"],
+["grammar","t114-r1","Mach das nicht!","Don't do that!","","","15.5 Negative Imperative (नकारात्मक आदेशात्मक)"],
+["grammar","t114-r2","Ess kein Brot!","Don't eat bread!","","","15.5 Negative Imperative (नकारात्मक आदेशात्मक)"],
+["grammar","t114-r3","Kommen Sie nicht!","Don't come! (formal)","","","15.5 Negative Imperative (नकारात्मक आदेशात्मक)"],
+["grammar","t115-r0","","kommen (to come) · Komm! · Kommt! · Kommen Sie!","","","15.7 More Examples (अधिक उदाहरण)"],
+["grammar","t115-r1","","gehen (to go) · Geh! · Geht! · Gehen Sie!","","","15.7 More Examples (अधिक उदाहरण)"],
+["grammar","t115-r2","","machen (to do/make) · Mach! · Macht! · Machen Sie!","","","15.7 More Examples (अधिक उदाहरण)"],
+["grammar","t115-r3","","essen (to eat) · Iss! ⚠️ · Esst! · Essen Sie!","","","15.7 More Examples (अधिक उदाहरण)"],
+["grammar","t115-r4","","trinken (to drink) · Trink! · Trinkt! · Trinken Sie!","","","15.7 More Examples (अधिक उदाहरण)"],
+["grammar","t115-r5","","sein (to be) · Sei! ⚠️ · Seid! · Seien Sie!","","","15.7 More Examples (अधिक उदाहरण)"],
+["grammar","t115-r6","","haben (to have) · Hab! ⚠️ · Habt! · Haben Sie!","","","15.7 More Examples (अधिक उदाहरण)"],
+["grammar","t115-r7","","lesen (to read) · Lies! ⚠️ · Lest! · Lesen Sie!","","","15.7 More Examples (अधिक उदाहरण)"],
+["grammar","t115-r8","","helfen (to help) · Hilf! ⚠️ · Helft! · Helfen Sie!","","","15.7 More Examples (अधिक उदाहरण)"],
+["grammar","t115-r9","","schlafen (to sleep) · Schlaf! · Schlaft! · Schlafen Sie!","","","15.7 More Examples (अधिक उदाहरण)"],
+["grammar","t116-r0","Kommen Sie bitte!","Please come! (formal)","","","15.8 Polite Requests (विनम्र अनुरोध)"],
+["grammar","t116-r1","Komm bitte!","Please come! (informal)","","","15.8 Polite Requests (विनम्र अनुरोध)"],
+["grammar","t116-r2","Helfen Sie mir bitte!","Please help me! (formal)","","","15.8 Polite Requests (विनम्र अनुरोध)"],
+["grammar","t116-r3","Hilf mir bitte!","Please help me! (informal)","","","15.8 Polite Requests (विनम्र अनुरोध)"],
+["grammar","t116-r4","Kaufe bitte Brot!","Please buy bread!","","","15.8 Polite Requests (विनम्र अनुरोध)"],
+["grammar","t116-r5","Seid bitte ruhig!","Please be quiet! (you all)","","","15.8 Polite Requests (विनम्र अनुरोध)"],
+["grammar","t117-r0","Kauf das Buch!","Buy the book!","","","15.9 Complete Examples with Objects (वस्तुओं के साथ पूर्ण उदाहरण)"],
+["grammar","t117-r1","Trink den Kaffee!","Drink the coffee!","","","15.9 Complete Examples with Objects (वस्तुओं के साथ पूर्ण उदाहरण)"],
+["grammar","t117-r2","Lies die Zeitung!","Read the newspaper!","","","15.9 Complete Examples with Objects (वस्तुओं के साथ पूर्ण उदाहरण)"],
+["grammar","t117-r3","Mach die Tür zu!","Close the door! (separable verb)","","","15.9 Complete Examples with Objects (वस्तुओं के साथ पूर्ण उदाहरण)"],
+["grammar","t117-r4","Steh um 7 Uhr auf!","Get up at 7 o'clock! (separable verb)","","","15.9 Complete Examples with Objects (वस्तुओं के साथ पूर्ण उदाहरण)"],
+["grammar","t118-r0","","Nominative · der · die · das · die","","","16.1 Complete Dative Declension Table (पूर्ण संप्रदान रूपांतरण तालिका)"],
+["grammar","t118-r1","","Accusative · den · die · das · die","","","16.1 Complete Dative Declension Table (पूर्ण संप्रदान रूपांतरण तालिका)"],
+["grammar","t118-r2","","Dative · dem ⚠️ · der ⚠️ · dem ⚠️ · den ⚠️","","","16.1 Complete Dative Declension Table (पूर्ण संप्रदान रूपांतरण तालिका)"],
+["grammar","t119-r0","","Masculine · der · den · dem ⚠️ · mit dem Mann","","","16.2 Dative Changes Explained (संप्रदान बदलाव समझाया)"],
+["grammar","t119-r1","","Feminine · die · die (no change) · der ⚠️ · mit der Frau","","","16.2 Dative Changes Explained (संप्रदान बदलाव समझाया)"],
+["grammar","t119-r2","","Neuter · das · das (no change) · dem ⚠️ · mit dem Kind","","","16.2 Dative Changes Explained (संप्रदान बदलाव समझाया)"],
+["grammar","t119-r3","","Plural · die · die (no change) · den ⚠️ · mit den Kindern","","","16.2 Dative Changes Explained (संप्रदान बदलाव समझाया)"],
+["grammar","t120-r0","mit · mit dem Freund","with · with the friend","","","📋 All A1 Dative Prepositions (सभी A1 संप्रदान कारक कारक)"],
+["grammar","t120-r1","von · von der Lehrerin","from/of · from the teacher","","","📋 All A1 Dative Prepositions (सभी A1 संप्रदान कारक कारक)"],
+["grammar","t120-r2","zu · zu dem Haus","to · to the house","","","📋 All A1 Dative Prepositions (सभी A1 संप्रदान कारक कारक)"],
+["grammar","t120-r3","bei · bei dem Freund","at/near · at/near the friend","","","📋 All A1 Dative Prepositions (सभी A1 संप्रदान कारक कारक)"],
+["grammar","t120-r4","aus · aus dem Büro","from/out of · from the office","","","📋 All A1 Dative Prepositions (सभी A1 संप्रदान कारक कारक)"],
+["grammar","t120-r5","nach · nach Berlin","to/after · to Berlin","","","📋 All A1 Dative Prepositions (सभी A1 संप्रदान कारक कारक)"],
+["grammar","t120-r6","seit · seit dem Montag","since/for · since Monday","","","📋 All A1 Dative Prepositions (सभी A1 संप्रदान कारक कारक)"],
+["grammar","t121-r0","Ich gehe mit dem Freund.","mit + Dative · I go with the friend.","","","📋 Complete Examples with Dative Prepositions"],
+["grammar","t121-r1","Das Geschenk ist von der Lehrerin.","von + Dative · The gift is from the teacher.","","","📋 Complete Examples with Dative Prepositions"],
+["grammar","t121-r2","Ich fahre zu dem Haus.","zu + Dative · I drive to the house.","","","📋 Complete Examples with Dative Prepositions"],
+["grammar","t121-r3","Ich bin bei dem Freund.","bei + Dative · I am at/near the friend.","","","📋 Complete Examples with Dative Prepositions"],
+["grammar","t121-r4","Ich komme aus dem Büro.","aus + Dative · I come from the office.","","","📋 Complete Examples with Dative Prepositions"],
+["grammar","t122-r0","Ich helfe dem Freund.","helfen (to help) · to help · I help the friend.","","","16.4 Dative Verbs (संप्रदान कारक क्रियाएं)"],
+["grammar","t122-r1","Ich danke der Lehrerin.","danken (to thank) · to thank · I thank the teacher.","","","16.4 Dative Verbs (संप्रदान कारक क्रियाएं)"],
+["grammar","t122-r2","Das gehört dem Mann.","gehören (to belong to) · to belong to · That belongs to the man.","","","16.4 Dative Verbs (संप्रदान कारक क्रियाएं)"],
+["grammar","t122-r3","Das gefällt dem Kind.","gefallen (to like/please) · to like · That pleases the child. / The child likes that.","","","16.4 Dative Verbs (संप्रदान कारक क्रियाएं)"],
+["grammar","t122-r4","Ich antworte dem Lehrer.","antworten (to answer) · to answer · I answer the teacher.","","","16.4 Dative Verbs (संप्रदान कारक क्रियाएं)"],
+["grammar","t123-r0","","ich · mich · mir ⚠️ · Er hilft mir.","","","16.5 Dative Personal Pronouns (संप्रदान व्यक्तिगत सर्वनाम)"],
+["grammar","t123-r1","","du · dich · dir ⚠️ · Ich helfe dir.","","","16.5 Dative Personal Pronouns (संप्रदान व्यक्तिगत सर्वनाम)"],
+["grammar","t123-r2","","er · ihn · ihm ⚠️ · Ich helfe ihm.","","","16.5 Dative Personal Pronouns (संप्रदान व्यक्तिगत सर्वनाम)"],
+["grammar","t123-r3","","sie · sie · ihr ⚠️ · Ich helfe ihr.","","","16.5 Dative Personal Pronouns (संप्रदान व्यक्तिगत सर्वनाम)"],
+["grammar","t123-r4","","es · es · ihm ⚠️ · Ich helfe ihm.","","","16.5 Dative Personal Pronouns (संप्रदान व्यक्तिगत सर्वनाम)"],
+["grammar","t123-r5","","wir · uns · uns · Er hilft uns.","","","16.5 Dative Personal Pronouns (संप्रदान व्यक्तिगत सर्वनाम)"],
+["grammar","t123-r6","","ihr · euch · euch · Ich helfe euch.","","","16.5 Dative Personal Pronouns (संप्रदान व्यक्तिगत सर्वनाम)"],
+["grammar","t123-r7","","Sie/sie · Sie/sie · Ihnen/ihnen ⚠️ · Ich helfe Ihnen.","","","16.5 Dative Personal Pronouns (संप्रदान व्यक्तिगत सर्वनाम)"],
+["grammar","t124-r0","Er hilft mir.","He helps me.","","","📋 Examples with Dative Pronouns"],
+["grammar","t124-r1","Ich helfe dir.","I help you.","","","📋 Examples with Dative Pronouns"],
+["grammar","t124-r2","Ich gebe ihm das Buch.","I give him the book.","","","📋 Examples with Dative Pronouns"],
+["grammar","t124-r3","Das gefällt ihr.","That pleases her. / She likes that.","","","📋 Examples with Dative Pronouns"],
+["grammar","t124-r4","Ich danke Ihnen.","I thank you. (formal)","","","📋 Examples with Dative Pronouns"],
+["grammar","t125-r0","","der · die · das · die","Nominative कर्ता","","16.6 Comparison: All Three Cases (तुलना: सभी तीन कारक)"],
+["grammar","t125-r1","","den ⚠️ · die · das · die","Accusative कर्म","","16.6 Comparison: All Three Cases (तुलना: सभी तीन कारक)"],
+["grammar","t125-r2","","dem ⚠️ · der ⚠️ · dem ⚠️ · den ⚠️","Dative संप्रदान","","16.6 Comparison: All Three Cases (तुलना: सभी तीन कारक)"],
+["grammar","t126-r0","Ich gehe mit dem Freund.","mit + Dative (dem) · I go with the friend.","","","16.8 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t126-r1","Das Geschenk ist von der Lehrerin.","von + Dative (der) · The gift is from the teacher.","","","16.8 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t126-r2","Ich helfe dem Kind.","helfen + Dative (dem) · I help the child.","","","16.8 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t126-r3","Ich danke der Frau.","danken + Dative (der) · I thank the woman.","","","16.8 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t126-r4","Ich gebe dem Mann das Buch.","geben + Dative (dem) + Accusative · I give the man the book.","","","16.8 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t126-r5","Das gefällt den Kindern.","gefallen + Dative (den + -n) · The children like that.","","","16.8 Practice Examples (अभ्यास उदाहरण)"],
+["grammar","t127-r0","Heute lerne ich Deutsch. · Ich lerne Deutsch heute.","","","","17.1 Sentence Position (वाक्य स्थिति)"],
+["grammar","t127-r1","Morgen gehe ich ins Kino. · Ich gehe ins Kino morgen.","","","","17.1 Sentence Position (वाक्य स्थिति)"],
+["grammar","t127-r2","Jetzt trinke ich Kaffee. · Ich trinke Kaffee jetzt.","","","","17.1 Sentence Position (वाक्य स्थिति)"],
+["grammar","t128-r0","Montag · Am Montag lerne ich.","Monday · am Montag","","","17.2 Days of the Week (सप्ताह के दिन)"],
+["grammar","t128-r1","Dienstag · Am Dienstag arbeite ich.","Tuesday · am Dienstag","","","17.2 Days of the Week (सप्ताह के दिन)"],
+["grammar","t128-r2","Mittwoch · Am Mittwoch gehe ich aus.","Wednesday · am Mittwoch","","","17.2 Days of the Week (सप्ताह के दिन)"],
+["grammar","t128-r3","Donnerstag · Am Donnerstag kaufe ich ein.","Thursday · am Donnerstag","","","17.2 Days of the Week (सप्ताह के दिन)"],
+["grammar","t128-r4","Freitag · Am Freitag treffe ich Freunde.","Friday · am Freitag","","","17.2 Days of the Week (सप्ताह के दिन)"],
+["grammar","t128-r5","Samstag · Am Samstag ruhe ich aus.","Saturday · am Samstag","","","17.2 Days of the Week (सप्ताह के दिन)"],
+["grammar","t128-r6","Sonntag · Am Sonntag schlafe ich lange.","Sunday · am Sonntag","","","17.2 Days of the Week (सप्ताह के दिन)"],
+["grammar","t129-r0","heute · Heute lerne ich Deutsch.","today · No","","","17.3 Common Time Expressions (सामान्य समय अभिव्यक्ति)"],
+["grammar","t129-r1","morgen · Morgen gehe ich ins Kino.","tomorrow · No","","","17.3 Common Time Expressions (सामान्य समय अभिव्यक्ति)"],
+["grammar","t129-r2","gestern · Gestern war ich müde.","yesterday · No","","","17.3 Common Time Expressions (सामान्य समय अभिव्यक्ति)"],
+["grammar","t129-r3","jetzt · Jetzt trinke ich Kaffee.","now · No","","","17.3 Common Time Expressions (सामान्य समय अभिव्यक्ति)"],
+["grammar","t129-r4","später · Später rufe ich dich an.","later · No","","","17.3 Common Time Expressions (सामान्य समय अभिव्यक्ति)"],
+["grammar","t129-r5","gleich · Ich komme gleich.","soon/right away · No","","","17.3 Common Time Expressions (सामान्य समय अभिव्यक्ति)"],
+["grammar","t130-r0","morgens · Morgens trinke ich Kaffee.","in the morning · -s","","","17.4 Time of Day (दिन का समय)"],
+["grammar","t130-r1","mittags · Mittags esse ich zu Hause.","at noon · -s","","","17.4 Time of Day (दिन का समय)"],
+["grammar","t130-r2","nachmittags · Nachmittags arbeite ich.","in the afternoon · -s","","","17.4 Time of Day (दिन का समय)"],
+["grammar","t130-r3","abends · Abends sehe ich fern.","in the evening · -s","","","17.4 Time of Day (दिन का समय)"],
+["grammar","t130-r4","nachts · Nachts schlafe ich.","at night · -s","","","17.4 Time of Day (दिन का समय)"],
+["grammar","t131-r0","um 8 Uhr","at 8 o'clock","8 बजे","","17.5 Clock Time (घड़ी का समय)"],
+["grammar","t131-r1","um 9 Uhr","at 9 o'clock","9 बजे","","17.5 Clock Time (घड़ी का समय)"],
+["grammar","t131-r2","um halb 8","at half past 7 (7:30)","साढ़े सात बजे","","17.5 Clock Time (घड़ी का समय)"],
+["grammar","t131-r3","um Viertel nach 8","at quarter past 8 (8:15)","8:15 बजे","","17.5 Clock Time (घड़ी का समय)"],
+["grammar","t131-r4","um Viertel vor 9","at quarter to 9 (8:45)","8:45 बजे","","17.5 Clock Time (घड़ी का समय)"],
+["grammar","t132-r0","Ich stehe um 7 Uhr auf.","I get up at 7 o'clock.","","","📋 Examples with Clock Time"],
+["grammar","t132-r1","Der Kurs beginnt um 9 Uhr.","The course starts at 9 o'clock.","","","📋 Examples with Clock Time"],
+["grammar","t132-r2","Ich esse um halb 12.","I eat at half past 11 (11:30).","","","📋 Examples with Clock Time"],
+["grammar","t133-r0","Januar","January · im Januar · Im Januar ist es kalt.","","","17.6 Months (महीने)"],
+["grammar","t133-r1","Februar","February · im Februar · Im Februar schneit es.","","","17.6 Months (महीने)"],
+["grammar","t133-r2","März","March · im März · Im März wird es wärmer.","","","17.6 Months (महीने)"],
+["grammar","t133-r3","April","April · im April · Im April blühen die Blumen.","","","17.6 Months (महीने)"],
+["grammar","t133-r4","Mai","May · im Mai · Im Mai ist es schön.","","","17.6 Months (महीने)"],
+["grammar","t133-r5","Juni","June · im Juni · Im Juni ist Sommer.","","","17.6 Months (महीने)"],
+["grammar","t133-r6","Juli","July · im Juli · Im Juli ist es heiß.","","","17.6 Months (महीने)"],
+["grammar","t133-r7","August","August · im August · Im August fahre ich in Urlaub.","","","17.6 Months (महीने)"],
+["grammar","t133-r8","September","September · im September · Im September beginnt die Schule.","","","17.6 Months (महीने)"],
+["grammar","t133-r9","Oktober","October · im Oktober · Im Oktober wird es kälter.","","","17.6 Months (महीने)"],
+["grammar","t133-r10","November","November · im November · Im November ist Herbst.","","","17.6 Months (महीने)"],
+["grammar","t133-r11","Dezember","December · im Dezember · Im Dezember ist Weihnachten.","","","17.6 Months (महीने)"],
+["grammar","t134-r0","Frühling","spring · im Frühling · Im Frühling blühen die Blumen.","","","17.7 Seasons (मौसम)"],
+["grammar","t134-r1","Sommer","summer · im Sommer · Im Sommer ist es heiß.","","","17.7 Seasons (मौसम)"],
+["grammar","t134-r2","Herbst","autumn/fall · im Herbst · Im Herbst fallen die Blätter.","","","17.7 Seasons (मौसम)"],
+["grammar","t134-r3","Winter","winter · im Winter · Im Winter schneit es.","","","17.7 Seasons (मौसम)"],
+["grammar","t135-r0","immer · Ich lerne immer Deutsch.","always","","","17.8 Frequency Expressions (आवृत्ति अभिव्यक्ति)"],
+["grammar","t135-r1","oft · Ich gehe oft ins Kino.","often","","","17.8 Frequency Expressions (आवृत्ति अभिव्यक्ति)"],
+["grammar","t135-r2","manchmal · Manchmal bin ich müde.","sometimes","","","17.8 Frequency Expressions (आवृत्ति अभिव्यक्ति)"],
+["grammar","t135-r3","selten · Ich gehe selten ins Kino.","rarely","","","17.8 Frequency Expressions (आवृत्ति अभिव्यक्ति)"],
+["grammar","t135-r4","nie · Ich trinke nie Alkohol.","never","","","17.8 Frequency Expressions (आवृत्ति अभिव्यक्ति)"],
+["grammar","t135-r5","jeden Tag · Ich lerne jeden Tag.","every day","","","17.8 Frequency Expressions (आवृत्ति अभिव्यक्ति)"],
+["grammar","t135-r6","jede Woche · Ich gehe jede Woche ins Kino.","every week","","","17.8 Frequency Expressions (आवृत्ति अभिव्यक्ति)"],
+["grammar","t135-r7","jeden Montag · Jeden Montag habe ich Unterricht.","every Monday","","","17.8 Frequency Expressions (आवृत्ति अभिव्यक्ति)"],
+["grammar","t136-r0","Heute lerne ich Deutsch.","Today I learn German.","","","17.10 Complete Examples (पूर्ण उदाहरण)"],
+["grammar","t136-r1","Am Montag habe ich Unterricht.","On Monday I have class.","","","17.10 Complete Examples (पूर्ण उदाहरण)"],
+["grammar","t136-r2","Ich stehe um 7 Uhr auf.","I get up at 7 o'clock.","","","17.10 Complete Examples (पूर्ण उदाहरण)"],
+["grammar","t136-r3","Morgens trinke ich Kaffee.","In the morning I drink coffee.","","","17.10 Complete Examples (पूर्ण उदाहरण)"],
+["grammar","t136-r4","Im Januar ist es kalt.","In January it is cold.","","","17.10 Complete Examples (पूर्ण उदाहरण)"],
+["grammar","t136-r5","Ich lerne jeden Tag Deutsch.","I learn German every day.","","","17.10 Complete Examples (पूर्ण उदाहरण)"],
+["grammar","t136-r6","Ich gehe oft ins Kino.","I often go to the cinema.","","","17.10 Complete Examples (पूर्ण उदाहरण)"],
+["numbers","numbers-0001","null","zero","शून्य","नुल","Numbers 0-100"],
+["numbers","numbers-0002","eins","one","एक","आइंस","Numbers 0-100"],
+["numbers","numbers-0003","zwei","two","दो","त्स्वाई","Numbers 0-100"],
+["numbers","numbers-0004","drei","three","तीन","ड्राई","Numbers 0-100"],
+["numbers","numbers-0005","vier","four","चार","फीर","Numbers 0-100"],
+["numbers","numbers-0006","fünf","five","पाँच","फ्यून्फ","Numbers 0-100"],
+["numbers","numbers-0007","sechs","six","छह","जेख्स","Numbers 0-100"],
+["numbers","numbers-0008","sieben","seven","सात","ज़ीबेन","Numbers 0-100"],
+["numbers","numbers-0009","acht","eight","आठ","आख्ट","Numbers 0-100"],
+["numbers","numbers-0010","neun","nine","नौ","नॉयन","Numbers 0-100"],
+["numbers","numbers-0011","zehn","ten","दस","त्सेन","Numbers 0-100"],
+["numbers","numbers-0012","elf","eleven","ग्यारह","एल्फ","Numbers 0-100"],
+["numbers","numbers-0013","zwölf","twelve","बारह","त्स्वोल्फ","Numbers 0-100"],
+["numbers","numbers-0014","dreizehn","thirteen","तेरह","ड्राइट्सेन","Numbers 0-100"],
+["numbers","numbers-0015","vierzehn","fourteen","चौदह","फीर्ट्सेन","Numbers 0-100"],
+["numbers","numbers-0016","fünfzehn","fifteen","पंद्रह","फ्यून्फ्ट्सेन","Numbers 0-100"],
+["numbers","numbers-0017","sechzehn","sixteen","सोलह","जेख्ट्सेन","Numbers 0-100"],
+["numbers","numbers-0018","siebzehn","seventeen","सत्रह","ज़ीप्ट्सेन","Numbers 0-100"],
+["numbers","numbers-0019","achtzehn","eighteen","अठारह","आख्ट्ट्सेन","Numbers 0-100"],
+["numbers","numbers-0020","neunzehn","nineteen","उन्नीस","नॉयंट्सेन","Numbers 0-100"],
+["numbers","numbers-0021","zwanzig","twenty","बीस","त्स्वान्त्सिग","Numbers 0-100"],
+["numbers","numbers-0022","einundzwanzig","twenty-one","इक्कीस","आइनउंटत्स्वान्त्सिग","Numbers 0-100"],
+["numbers","numbers-0023","zweiundzwanzig","twenty-two","बाईस","त्स्वाईउंटत्स्वान्त्सिग","Numbers 0-100"],
+["numbers","numbers-0024","dreiundzwanzig","twenty-three","तेईस","ड्राईउंटत्स्वान्त्सिग","Numbers 0-100"],
+["numbers","numbers-0025","vierundzwanzig","twenty-four","चौबीस","फीरउंटत्स्वान्त्सिग","Numbers 0-100"],
+["numbers","numbers-0026","fünfundzwanzig","twenty-five","पच्चीस","फ्यून्फउंटत्स्वान्त्सिग","Numbers 0-100"],
+["numbers","numbers-0027","sechsundzwanzig","twenty-six","छब्बीस","जेख्सउंटत्स्वान्त्सिग","Numbers 0-100"],
+["numbers","numbers-0028","siebenundzwanzig","twenty-seven","सत्ताईस","ज़ीबेनउंटत्स्वान्त्सिग","Numbers 0-100"],
+["numbers","numbers-0029","achtundzwanzig","twenty-eight","अट्ठाईस","आख्टउंटत्स्वान्त्सिग","Numbers 0-100"],
+["numbers","numbers-0030","neunundzwanzig","twenty-nine","उनतीस","नॉयनउंटत्स्वान्त्सिग","Numbers 0-100"],
+["numbers","numbers-0031","dreißig","thirty","तीस","ड्राइसिग","Numbers 0-100"],
+["numbers","numbers-0032","einunddreißig","thirty-one","इकतीस","आइनउंटड्राइसिग","Numbers 0-100"],
+["numbers","numbers-0033","zweiunddreißig","thirty-two","बत्तीस","त्स्वाईउंटड्राइसिग","Numbers 0-100"],
+["numbers","numbers-0034","dreiunddreißig","thirty-three","तैंतीस","ड्राईउंटड्राइसिग","Numbers 0-100"],
+["numbers","numbers-0035","vierunddreißig","thirty-four","चौंतीस","फीरउंटड्राइसिग","Numbers 0-100"],
+["numbers","numbers-0036","fünfunddreißig","thirty-five","पैंतीस","फ्यून्फउंटड्राइसिग","Numbers 0-100"],
+["numbers","numbers-0037","sechsunddreißig","thirty-six","छत्तीस","जेख्सउंटड्राइसिग","Numbers 0-100"],
+["numbers","numbers-0038","siebenunddreißig","thirty-seven","सैंतीस","ज़ीबेनउंटड्राइसिग","Numbers 0-100"],
+["numbers","numbers-0039","achtunddreißig","thirty-eight","अड़तीस","आख्टउंटड्राइसिग","Numbers 0-100"],
+["numbers","numbers-0040","neununddreißig","thirty-nine","उनतालीस","नॉयनउंटड्राइसिग","Numbers 0-100"],
+["numbers","numbers-0041","vierzig","forty","चालीस","फीर्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0042","einundvierzig","forty-one","इकतालीस","आइनउंटफीर्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0043","zweiundvierzig","forty-two","बयालीस","त्स्वाईउंटफीर्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0044","dreiundvierzig","forty-three","तैंतालीस","ड्राईउंटफीर्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0045","vierundvierzig","forty-four","चौवालीस","फीरउंटफीर्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0046","fünfundvierzig","forty-five","पैंतालीस","फ्यून्फउंटफीर्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0047","sechsundvierzig","forty-six","छियालीस","जेख्सउंटफीर्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0048","siebenundvierzig","forty-seven","सैंतालीस","ज़ीबेनउंटफीर्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0049","achtundvierzig","forty-eight","अड़तालीस","आख्टउंटफीर्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0050","neunundvierzig","forty-nine","उनचास","नॉयनउंटफीर्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0051","fünfzig","fifty","पचास","फ्यून्फ्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0052","einundfünfzig","fifty-one","इक्यावन","आइनउंटफ्यून्फ्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0053","zweiundfünfzig","fifty-two","बावन","त्स्वाईउंटफ्यून्फ्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0054","dreiundfünfzig","fifty-three","तिरेपन","ड्राईउंटफ्यून्फ्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0055","vierundfünfzig","fifty-four","चौवन","फीरउंटफ्यून्फ्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0056","fünfundfünfzig","fifty-five","पचपन","फ्यून्फउंटफ्यून्फ्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0057","sechsundfünfzig","fifty-six","छप्पन","जेख्सउंटफ्यून्फ्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0058","siebenundfünfzig","fifty-seven","सत्तावन","ज़ीबेनउंटफ्यून्फ्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0059","achtundfünfzig","fifty-eight","अट्ठावन","आख्टउंटफ्यून्फ्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0060","neunundfünfzig","fifty-nine","उनसठ","नॉयनउंटफ्यून्फ्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0061","sechzig","sixty","साठ","जेख्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0062","einundsechzig","sixty-one","इकसठ","आइनउंटजेख्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0063","zweiundsechzig","sixty-two","बासठ","त्स्वाईउंटजेख्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0064","dreiundsechzig","sixty-three","तिरसठ","ड्राईउंटजेख्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0065","vierundsechzig","sixty-four","चौंसठ","फीरउंटजेख्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0066","fünfundsechzig","sixty-five","पैंसठ","फ्यून्फउंटजेख्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0067","sechsundsechzig","sixty-six","छियासठ","जेख्सउंटजेख्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0068","siebenundsechzig","sixty-seven","सड़सठ","ज़ीबेनउंटजेख्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0069","achtundsechzig","sixty-eight","अड़सठ","आख्टउंटजेख्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0070","neunundsechzig","sixty-nine","उनहत्तर","नॉयनउंटजेख्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0071","siebzig","seventy","सत्तर","ज़ीप्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0072","einundsiebzig","seventy-one","इकहत्तर","आइनउंटज़ीप्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0073","zweiundsiebzig","seventy-two","बहत्तर","त्स्वाईउंटज़ीप्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0074","dreiundsiebzig","seventy-three","तिहत्तर","ड्राईउंटज़ीप्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0075","vierundsiebzig","seventy-four","चौहत्तर","फीरउंटज़ीप्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0076","fünfundsiebzig","seventy-five","पचहत्तर","फ्यून्फउंटज़ीप्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0077","sechsundsiebzig","seventy-six","छिहत्तर","जेख्सउंटज़ीप्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0078","siebenundsiebzig","seventy-seven","सतहत्तर","ज़ीबेनउंटज़ीप्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0079","achtundsiebzig","seventy-eight","अठहत्तर","आख्टउंटज़ीप्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0080","neunundsiebzig","seventy-nine","उनासी","नॉयनउंटज़ीप्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0081","achtzig","eighty","अस्सी","आख्ट्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0082","einundachtzig","eighty-one","इक्यासी","आइनउंटआख्ट्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0083","zweiundachtzig","eighty-two","बयासी","त्स्वाईउंटआख्ट्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0084","dreiundachtzig","eighty-three","तिरासी","ड्राईउंटआख्ट्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0085","vierundachtzig","eighty-four","चौरासी","फीरउंटआख्ट्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0086","fünfundachtzig","eighty-five","पचासी","फ्यून्फउंटआख्ट्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0087","sechsundachtzig","eighty-six","छियासी","जेख्सउंटआख्ट्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0088","siebenundachtzig","eighty-seven","सतासी","ज़ीबेनउंटआख्ट्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0089","achtundachtzig","eighty-eight","अठासी","आख्टउंटआख्ट्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0090","neunundachtzig","eighty-nine","नवासी","नॉयनउंटआख्ट्ट्सिग","Numbers 0-100"],
+["numbers","numbers-0091","neunzig","ninety","नब्बे","नॉयंट्सिग","Numbers 0-100"],
+["numbers","numbers-0092","einundneunzig","ninety-one","इक्यानवे","आइनउंटनॉयंट्सिग","Numbers 0-100"],
+["numbers","numbers-0093","zweiundneunzig","ninety-two","बानवे","त्स्वाईउंटनॉयंट्सिग","Numbers 0-100"],
+["numbers","numbers-0094","dreiundneunzig","ninety-three","तिरानवे","ड्राईउंटनॉयंट्सिग","Numbers 0-100"],
+["numbers","numbers-0095","vierundneunzig","ninety-four","चौरानवे","फीरउंटनॉयंट्सिग","Numbers 0-100"],
+["numbers","numbers-0096","fünfundneunzig","ninety-five","पंचानवे","फ्यून्फउंटनॉयंट्सिग","Numbers 0-100"],
+["numbers","numbers-0097","sechsundneunzig","ninety-six","छियानवे","जेख्सउंटनॉयंट्सिग","Numbers 0-100"],
+["numbers","numbers-0098","siebenundneunzig","ninety-seven","सत्तानवे","ज़ीबेनउंटनॉयंट्सिग","Numbers 0-100"],
+["numbers","numbers-0099","achtundneunzig","ninety-eight","अठानवे","आख्टउंटनॉयंट्सिग","Numbers 0-100"],
+["numbers","numbers-0100","neunundneunzig","ninety-nine","निन्यानवे","नॉयनउंटनॉयंट्सिग","Numbers 0-100"],
+["numbers","numbers-0101","hundert","one hundred","एक सौ","हुंडर्ट","Numbers 0-100"],
+["numbers","numbers-0102","zweihundert","two hundred","दो सौ","त्स्वाई हुंडर्ट","Additional Important Numbers"],
+["numbers","numbers-0103","dreihundert","three hundred","तीन सौ","ड्राई हुंडर्ट","Additional Important Numbers"],
+["numbers","numbers-0104","fünfhundert","five hundred","पाँच सौ","फ्यून्फ हुंडर्ट","Additional Important Numbers"],
+["numbers","numbers-0105","tausend / eintausend","one thousand","एक हज़ार","टाउज़ेंट / आइन टाउज़ेंट","Additional Important Numbers"],
+["numbers","numbers-0106","zweitausend","two thousand","दो हज़ार","त्स्वाई टाउज़ेंट","Additional Important Numbers"],
+["numbers","numbers-0107","zweitausendvierundzwanzig","two thousand twenty-four","दो हज़ार चौबीस","त्स्वाई टाउज़ेंट फीर उंट त्स्वान्त्सिग","Additional Important Numbers"],
+["numbers","numbers-0108","zweitausendfünfundzwanzig","two thousand twenty-five","दो हज़ार पच्चीस","त्स्वाई टाउज़ेंट फ्यून्फ उंट त्स्वान्त्सिग","Additional Important Numbers"],
+["numbers","numbers-0109","zehntausend","ten thousand","दस हज़ार","त्सेन टाउज़ेंट","Additional Important Numbers"],
+["numbers","numbers-0110","hunderttausend","one hundred thousand","एक लाख","हुंडर्ट टाउज़ेंट","Additional Important Numbers"],
+["numbers","numbers-0111","eine Million","one million","दस लाख","आइने मिलियोन","Additional Important Numbers"],
+["numbers","numbers-0112","erste / erster","first (1st)","पहला","एर्स्टे / एर्स्टर","Ordinal Numbers"],
+["numbers","numbers-0113","zweite / zweiter","second (2nd)","दूसरा","त्स्वाईटे / त्स्वाईटर","Ordinal Numbers"],
+["numbers","numbers-0114","dritte / dritter","third (3rd)","तीसरा","ड्रिटे / ड्रिटर","Ordinal Numbers"],
+["numbers","numbers-0115","vierte / vierter","fourth (4th)","चौथा","फीर्टे / फीर्टर","Ordinal Numbers"],
+["numbers","numbers-0116","fünfte / fünfter","fifth (5th)","पाँचवाँ","फ्यून्फ्टे / फ्यून्फ्टर","Ordinal Numbers"],
+["numbers","numbers-0117","zehnte / zehnter","tenth (10th)","दसवाँ","त्सेन्टे / त्सेन्टर","Ordinal Numbers"],
+["numbers","numbers-0118","letzte / letzter","last","आखिरी","लेट्सटे / लेट्सटर","Ordinal Numbers"],
+["numbers","numbers-0119","nächste / nächster","next","अगला","नेख्स्टे / नेख्स्टर","Ordinal Numbers"],
+["numbers","numbers-0120","die Nummer","number (phone/room)","नंबर","डी नुमर","Quantity Words"],
+["numbers","numbers-0121","die Zahl","number/digit","संख्या","डी त्साल","Quantity Words"],
+["numbers","numbers-0122","die Hälfte","half","आधा","डी हेल्फ़्टे","Quantity Words"],
+["numbers","numbers-0123","das Viertel","quarter","चौथाई / पाव","डास फीर्टेल","Quantity Words"],
+["numbers","numbers-0124","halb","half (for time)","साढ़े (समय के लिए)","हाल्ब","Quantity Words"],
+["numbers","numbers-0125","beide","both","दोनों","बाइडे","Quantity Words"],
+["numbers","numbers-0126","ein paar","a few / a couple","कुछ / एक-दो","आइन पार","Quantity Words"],
+["numbers","numbers-0127","viel","much / a lot","बहुत / ज़्यादा","फील","Quantity Words"],
+["numbers","numbers-0128","wenig","little / few","कम / थोड़ा","वेनिग","Quantity Words"],
+["numbers","numbers-0129","mehr","more","ज़्यादा / और","मेर","Quantity Words"],
+["numbers","numbers-0130","weniger","less / fewer","कम","वेनिगर","Quantity Words"],
+["numbers","numbers-0131","genug","enough","काफ़ी / पर्याप्त","गेनूग","Quantity Words"],
+["numbers","numbers-0132","alle","all / everyone","सब / सभी","आले","Quantity Words"],
+["numbers","numbers-0133","alles","everything","सब कुछ","आलेस","Quantity Words"],
+["numbers","numbers-0134","nichts","nothing","कुछ नहीं","निख्ट्स","Quantity Words"],
+["numbers","numbers-0135","doppelt","double","दोगुना","डोपेल्ट","Quantity Words"],
+["numbers","numbers-0136","einmal","once / one time","एक बार","आइनमाल","Frequency Words"],
+["numbers","numbers-0137","zweimal","twice / two times","दो बार","त्स्वाईमाल","Frequency Words"],
+["numbers","numbers-0138","dreimal","three times","तीन बार","ड्राईमाल","Frequency Words"],
+["numbers","numbers-0139","manchmal","sometimes","कभी-कभी","मांखमाल","Frequency Words"],
+["numbers","numbers-0140","oft","often","अक्सर","ऑफ्ट","Frequency Words"],
+["numbers","numbers-0141","immer","always","हमेशा","इमर","Frequency Words"],
+["numbers","numbers-0142","nie","never","कभी नहीं","नी","Frequency Words"],
+["numbers","numbers-0143","der Euro","euro (€)","यूरो","डेर ऑयरो","Currency & Price"],
+["numbers","numbers-0144","der Cent","cent","सेंट","डेर त्सेंट","Currency & Price"],
+["numbers","numbers-0145","das Geld","money","पैसा","डास गेल्ट","Currency & Price"],
+["numbers","numbers-0146","der Preis","price","कीमत / दाम","डेर प्राइस","Currency & Price"],
+["numbers","numbers-0147","kostenlos","free (no cost)","मुफ़्त","कोस्टेनलोस","Currency & Price"],
+["numbers","numbers-0148","teuer","expensive","महंगा","टॉयर","Currency & Price"],
+["numbers","numbers-0149","billig","cheap","सस्ता","बिलिग","Currency & Price"],
+["numbers","numbers-0150","wie viel?","how much?","कितना?","वी फील?","Number Questions & Math"],
+["numbers","numbers-0151","wie viele?","how many?","कितने?","वी फीले?","Number Questions & Math"],
+["numbers","numbers-0152","wie alt?","how old?","कितने साल का?","वी आल्ट?","Number Questions & Math"],
+["numbers","numbers-0153","ein bisschen","a little bit","थोड़ा सा","आइन बिसखेन","Number Questions & Math"],
+["numbers","numbers-0154","plus (+)","plus / add","जोड़","प्लुस","Number Questions & Math"],
+["numbers","numbers-0155","minus (−)","minus / subtract","घटाव","मीनुस","Number Questions & Math"],
+["numbers","numbers-0156","ist gleich (=)","equals","बराबर","इस्ट ग्लाइख","Number Questions & Math"],
+["words-opposites","words-opposites-0001","groß","big / large","बड़ा","","Size & Dimension"],
+["words-opposites","words-opposites-0001","klein","small / little","छोटा","","Size & Dimension"],
+["words-opposites","words-opposites-0003","lang","long","लंबा","","Size & Dimension"],
+["words-opposites","words-opposites-0003","kurz","short","छोटा","","Size & Dimension"],
+["words-opposites","words-opposites-0005","hoch","high / tall","ऊँचा","","Size & Dimension"],
+["words-opposites","words-opposites-0005","niedrig","low","नीचा","","Size & Dimension"],
+["words-opposites","words-opposites-0007","breit","wide / broad","चौड़ा","","Size & Dimension"],
+["words-opposites","words-opposites-0007","schmal","narrow","संकरा","","Size & Dimension"],
+["words-opposites","words-opposites-0009","dick","thick / fat","मोटा","","Size & Dimension"],
+["words-opposites","words-opposites-0009","dünn","thin","पतला","","Size & Dimension"],
+["words-opposites","words-opposites-0011","schwer","heavy","भारी","","Size & Dimension"],
+["words-opposites","words-opposites-0011","leicht","light","हल्का","","Size & Dimension"],
+["words-opposites","words-opposites-0013","tief","deep","गहरा","","Size & Dimension"],
+["words-opposites","words-opposites-0013","flach","shallow","उथला","","Size & Dimension"],
+["words-opposites","words-opposites-0015","weit","far / wide","दूर","","Size & Dimension"],
+["words-opposites","words-opposites-0015","nah","near / close","नज़दीक","","Size & Dimension"],
+["words-opposites","words-opposites-0017","breit","wide","चौड़ा","","Size & Dimension"],
+["words-opposites","words-opposites-0017","eng","tight / narrow","तंग","","Size & Dimension"],
+["words-opposites","words-opposites-0019","riesig","huge / enormous","विशाल","","Size & Dimension"],
+["words-opposites","words-opposites-0019","winzig","tiny","छोटा","","Size & Dimension"],
+["words-opposites","words-opposites-0021","heiß","hot","गर्म","","Temperature"],
+["words-opposites","words-opposites-0021","kalt","cold","ठंडा","","Temperature"],
+["words-opposites","words-opposites-0023","warm","warm","गर्म","","Temperature"],
+["words-opposites","words-opposites-0023","kühl","cool","ठंडा","","Temperature"],
+["words-opposites","words-opposites-0025","gut","good","अच्छा","","Basic Adjectives"],
+["words-opposites","words-opposites-0025","schlecht","bad","बुरा","","Basic Adjectives"],
+["words-opposites","words-opposites-0027","neu","new","नया","","Basic Adjectives"],
+["words-opposites","words-opposites-0027","alt","old","पुराना","","Basic Adjectives"],
+["words-opposites","words-opposites-0029","richtig","right / correct","सही","","Basic Adjectives"],
+["words-opposites","words-opposites-0029","falsch","wrong / false","गलत","","Basic Adjectives"],
+["words-opposites","words-opposites-0031","schnell","fast / quick","तेज़","","Basic Adjectives"],
+["words-opposites","words-opposites-0031","langsam","slow","धीमा","","Basic Adjectives"],
+["words-opposites","words-opposites-0033","jung","young","जवान","","Basic Adjectives"],
+["words-opposites","words-opposites-0033","alt","old","बूढ़ा","","Basic Adjectives"],
+["words-opposites","words-opposites-0035","gut","good / well","अच्छा","","Basic Adjectives"],
+["words-opposites","words-opposites-0035","böse","evil / bad","बुरा","","Basic Adjectives"],
+["words-opposites","words-opposites-0037","schön","beautiful / nice","सुंदर","","Basic Adjectives"],
+["words-opposites","words-opposites-0037","hässlich","ugly","बदसूरत","","Basic Adjectives"],
+["words-opposites","words-opposites-0039","glücklich","happy","खुश","","Basic Adjectives"],
+["words-opposites","words-opposites-0039","traurig","sad","उदास","","Basic Adjectives"],
+["words-opposites","words-opposites-0041","gesund","healthy","स्वस्थ","","Basic Adjectives"],
+["words-opposites","words-opposites-0041","krank","sick / ill","बीमार","","Basic Adjectives"],
+["words-opposites","words-opposites-0043","stark","strong","मजबूत","","Basic Adjectives"],
+["words-opposites","words-opposites-0043","schwach","weak","कमजोर","","Basic Adjectives"],
+["words-opposites","words-opposites-0045","reich","rich","अमीर","","Basic Adjectives"],
+["words-opposites","words-opposites-0045","arm","poor","गरीब","","Basic Adjectives"],
+["words-opposites","words-opposites-0047","froh","glad / happy","खुश","","Basic Adjectives"],
+["words-opposites","words-opposites-0047","unglücklich","unhappy","दुखी","","Basic Adjectives"],
+["words-opposites","words-opposites-0049","freundlich","friendly","दोस्ताना","","Basic Adjectives"],
+["words-opposites","words-opposites-0049","unfreundlich","unfriendly","अनुकूल नहीं","","Basic Adjectives"],
+["words-opposites","words-opposites-0051","interessant","interesting","दिलचस्प","","Basic Adjectives"],
+["words-opposites","words-opposites-0051","langweilig","boring","उबाऊ","","Basic Adjectives"],
+["words-opposites","words-opposites-0053","wichtig","important","महत्वपूर्ण","","Basic Adjectives"],
+["words-opposites","words-opposites-0053","unwichtig","unimportant","अमहत्वपूर्ण","","Basic Adjectives"],
+["words-opposites","words-opposites-0055","ruhig","calm / quiet","शांत","","Basic Adjectives"],
+["words-opposites","words-opposites-0055","nervös","nervous","चिंतित","","Basic Adjectives"],
+["words-opposites","words-opposites-0057","klar","clear","स्पष्ट","","Basic Adjectives"],
+["words-opposites","words-opposites-0057","unklar","unclear","अस्पष्ट","","Basic Adjectives"],
+["words-opposites","words-opposites-0059","besser","better","बेहतर","","Basic Adjectives"],
+["words-opposites","words-opposites-0059","schlechter","worse","बदतर","","Basic Adjectives"],
+["words-opposites","words-opposites-0061","schwierig","difficult","मुश्किल","","Basic Adjectives"],
+["words-opposites","words-opposites-0061","einfach","easy / simple","आसान","","Basic Adjectives"],
+["words-opposites","words-opposites-0063","teuer","expensive","महंगा","","Basic Adjectives"],
+["words-opposites","words-opposites-0063","billig","cheap","सस्ता","","Basic Adjectives"],
+["words-opposites","words-opposites-0065","laut","loud","ज़ोर से","","Basic Adjectives"],
+["words-opposites","words-opposites-0065","leise","quiet","शांत","","Basic Adjectives"],
+["words-opposites","words-opposites-0067","hell","bright / light","उज्ज्वल","","Basic Adjectives"],
+["words-opposites","words-opposites-0067","dunkel","dark","अंधेरा","","Basic Adjectives"],
+["words-opposites","words-opposites-0069","sauber","clean","साफ","","Basic Adjectives"],
+["words-opposites","words-opposites-0069","schmutzig","dirty","गंदा","","Basic Adjectives"],
+["words-opposites","words-opposites-0071","voll","full","भरा हुआ","","Basic Adjectives"],
+["words-opposites","words-opposites-0071","leer","empty","खाली","","Basic Adjectives"],
+["words-opposites","words-opposites-0073","offen","open","खुला","","Basic Adjectives"],
+["words-opposites","words-opposites-0073","geschlossen","closed","बंद","","Basic Adjectives"],
+["words-opposites","words-opposites-0075","früh","early","जल्दी","","Time & Days"],
+["words-opposites","words-opposites-0075","spät","late","देर से","","Time & Days"],
+["words-opposites","words-opposites-0077","heute","today","आज","","Time & Days"],
+["words-opposites","words-opposites-0077","morgen","tomorrow","कल","","Time & Days"],
+["words-opposites","words-opposites-0079","der Tag","day","दिन","","Time & Days"],
+["words-opposites","words-opposites-0079","die Nacht","night","रात","","Time & Days"],
+["words-opposites","words-opposites-0081","Montag","Monday","सोमवार","","Time & Days"],
+["words-opposites","words-opposites-0081","Sonntag","Sunday","रविवार","","Time & Days"],
+["words-opposites","words-opposites-0083","der Sommer","summer","गर्मी","","Time & Days"],
+["words-opposites","words-opposites-0083","der Winter","winter","सर्दी","","Time & Days"],
+["words-opposites","words-opposites-0085","oben","up / above","ऊपर","","Directions & Location"],
+["words-opposites","words-opposites-0085","unten","down / below","नीचे","","Directions & Location"],
+["words-opposites","words-opposites-0087","links","left","बाएं","","Directions & Location"],
+["words-opposites","words-opposites-0087","rechts","right","दाएं","","Directions & Location"],
+["words-opposites","words-opposites-0089","vorne","front / in front","सामने","","Directions & Location"],
+["words-opposites","words-opposites-0089","hinten","back / behind","पीछे","","Directions & Location"],
+["words-opposites","words-opposites-0091","innen","inside","अंदर","","Directions & Location"],
+["words-opposites","words-opposites-0091","außen","outside","बाहर","","Directions & Location"],
+["words-opposites","words-opposites-0093","hier","here","यहाँ","","Directions & Location"],
+["words-opposites","words-opposites-0093","dort","there","वहाँ","","Directions & Location"],
+["words-opposites","words-opposites-0095","gehen","go","जाना","","Actions & Verbs"],
+["words-opposites","words-opposites-0095","bleiben","stay / remain","रहना","","Actions & Verbs"],
+["words-opposites","words-opposites-0097","haben","have","होना / रखना","","Actions & Verbs"],
+["words-opposites","words-opposites-0097","nicht haben","not have","नहीं होना","","Actions & Verbs"],
+["words-opposites","words-opposites-0099","machen","make / do","बनाना / करना","","Actions & Verbs"],
+["words-opposites","words-opposites-0099","zerstören","destroy / break","तोड़ना / नष्ट करना","","Actions & Verbs"],
+["words-opposites","words-opposites-0101","geben","give","देना","","Actions & Verbs"],
+["words-opposites","words-opposites-0101","nehmen","take","लेना","","Actions & Verbs"],
+["words-opposites","words-opposites-0103","öffnen","open","खोलना","","Actions & Verbs"],
+["words-opposites","words-opposites-0103","schließen","close","बंद करना","","Actions & Verbs"],
+["words-opposites","words-opposites-0105","kommen","come","आना","","Actions & Verbs"],
+["words-opposites","words-opposites-0105","gehen","go","जाना","","Actions & Verbs"],
+["words-opposites","words-opposites-0107","kaufen","buy","खरीदना","","Actions & Verbs"],
+["words-opposites","words-opposites-0107","verkaufen","sell","बेचना","","Actions & Verbs"],
+["words-opposites","words-opposites-0109","finden","find","ढूंढना","","Actions & Verbs"],
+["words-opposites","words-opposites-0109","verlieren","lose","खोना","","Actions & Verbs"],
+["words-opposites","words-opposites-0111","beginnen","begin / start","शुरू करना","","Actions & Verbs"],
+["words-opposites","words-opposites-0111","enden","end / finish","समाप्त करना","","Actions & Verbs"],
+["words-opposites","words-opposites-0113","lernen","learn","सीखना","","Actions & Verbs"],
+["words-opposites","words-opposites-0113","lehren","teach","सिखाना","","Actions & Verbs"],
+["words-opposites","words-opposites-0115","fragen","ask","पूछना","","Actions & Verbs"],
+["words-opposites","words-opposites-0115","antworten","answer","जवाब देना","","Actions & Verbs"],
+["words-opposites","words-opposites-0117","der Vater","father","पिता","","Family"],
+["words-opposites","words-opposites-0117","die Mutter","mother","माँ","","Family"],
+["words-opposites","words-opposites-0119","voll","full","भरा हुआ","","Common Objects"],
+["words-opposites","words-opposites-0119","leer","empty","खाली","","Common Objects"],
+["words-opposites","words-opposites-0121","offen","open","खुला","","Common Objects"],
+["words-opposites","words-opposites-0121","geschlossen","closed","बंद","","Common Objects"],
+["words-opposites","words-opposites-0123","sauber","clean","साफ","","Common Objects"],
+["words-opposites","words-opposites-0123","schmutzig","dirty","गंदा","","Common Objects"],
+["words-opposites","words-opposites-0125","hell","bright / light","उज्ज्वल","","Common Objects"],
+["words-opposites","words-opposites-0125","dunkel","dark","अंधेरा","","Common Objects"],
+["words-opposites","words-opposites-0127","laut","loud","ज़ोर से","","Common Objects"],
+["words-opposites","words-opposites-0127","leise","quiet","शांत","","Common Objects"],
+["words-opposites","words-opposites-0129","teuer","expensive","महंगा","","Common Objects"],
+["words-opposites","words-opposites-0129","billig","cheap","सस्ता","","Common Objects"],
+["words-opposites","words-opposites-0131","neu","new","नया","","Common Objects"],
+["words-opposites","words-opposites-0131","alt","old","पुराना","","Common Objects"],
+["words-opposites","words-opposites-0133","jung","young","जवान","","Common Objects"],
+["words-opposites","words-opposites-0133","alt","old","बूढ़ा","","Common Objects"],
+["words-opposites","words-opposites-0135","richtig","right / correct","सही","","Common Objects"],
+["words-opposites","words-opposites-0135","falsch","wrong / false","गलत","","Common Objects"],
+["words-opposites","words-opposites-0137","schnell","fast / quick","तेज़","","Common Objects"],
+["words-opposites","words-opposites-0137","langsam","slow","धीमा","","Common Objects"],
+["words-opposites","words-opposites-0139","alle","all","सब","","Quantities & Connectors"],
+["words-opposites","words-opposites-0139","kein","none / no","कोई नहीं","","Quantities & Connectors"],
+["words-opposites","words-opposites-0141","und","and","और","","Quantities & Connectors"],
+["words-opposites","words-opposites-0141","oder","or","या","","Quantities & Connectors"],
+["words-opposites","words-opposites-0143","ein","a / an","एक","","Quantities & Connectors"],
+["words-opposites","words-opposites-0143","kein","no / not a","कोई नहीं","","Quantities & Connectors"],
+["words-opposites","words-opposites-0145","viel","much / many","बहुत","","Quantities & Connectors"],
+["words-opposites","words-opposites-0145","wenig","little / few","कम","","Quantities & Connectors"],
+["words-opposites","words-opposites-0147","groß","big / large","बड़ा","","Quantities & Connectors"],
+["words-opposites","words-opposites-0147","klein","small / little","छोटा","","Quantities & Connectors"],
+["words-opposites","words-opposites-0149","ja","yes","हाँ","","Quantities & Connectors"],
+["words-opposites","words-opposites-0149","nein","no","नहीं","","Quantities & Connectors"],
+["words-opposites","words-opposites-0151","immer","always","हमेशा","","Quantities & Connectors"],
+["words-opposites","words-opposites-0151","nie","never","कभी नहीं","","Quantities & Connectors"],
+["words-opposites","words-opposites-0153","oft","often","अक्सर","","Quantities & Connectors"],
+["words-opposites","words-opposites-0153","selten","seldom / rarely","कभी-कभी","","Quantities & Connectors"],
+["words-opposites","words-opposites-0155","mehr","more","अधिक","","Quantities & Connectors"],
+["words-opposites","words-opposites-0155","weniger","less","कम","","Quantities & Connectors"],
+["words-opposites","words-opposites-0157","viele","many","बहुत सारे","","Quantities & Connectors"],
+["words-opposites","words-opposites-0157","wenige","few","कुछ","","Quantities & Connectors"],
+["words-opposites","words-opposites-0159","jemand","someone","कोई","","Quantities & Connectors"],
+["words-opposites","words-opposites-0159","niemand","no one / nobody","कोई नहीं","","Quantities & Connectors"],
+["words-opposites","words-opposites-0161","etwas","something","कुछ","","Quantities & Connectors"],
+["words-opposites","words-opposites-0161","nichts","nothing","कुछ नहीं","","Quantities & Connectors"],
+["words-opposites","words-opposites-0163","einfach","easy / simple","आसान","","States & Conditions"],
+["words-opposites","words-opposites-0163","schwer","difficult / hard","कठिन","","States & Conditions"],
+["words-opposites","words-opposites-0165","müde","tired","थका हुआ","","States & Conditions"],
+["words-opposites","words-opposites-0165","wach","awake","जागृत","","States & Conditions"],
+["words-opposites","words-opposites-0167","hungrig","hungry","भूखा","","States & Conditions"],
+["words-opposites","words-opposites-0167","satt","full (after eating)","भरा हुआ","","States & Conditions"],
+["words-opposites","words-opposites-0169","durstig","thirsty","प्यासा","","States & Conditions"],
+["words-opposites","words-opposites-0169","nicht durstig","not thirsty","प्यास नहीं","","States & Conditions"],
+["words-opposites","words-opposites-0171","sicher","safe / sure","सुरक्षित","","States & Conditions"],
+["words-opposites","words-opposites-0171","gefährlich","dangerous","खतरनाक","","States & Conditions"],
+["words-opposites","words-opposites-0173","aktiv","active","सक्रिय","","States & Conditions"],
+["words-opposites","words-opposites-0173","passiv","passive","निष्क्रिय","","States & Conditions"],
+["words-opposites","words-opposites-0175","fertig","ready / finished","तैयार","","States & Conditions"],
+["words-opposites","words-opposites-0175","nicht fertig","not ready / unfinished","अधूरा","","States & Conditions"],
+["words-opposites","words-opposites-0177","frei","free","स्वतंत्र / मुफ्त","","States & Conditions"],
+["words-opposites","words-opposites-0177","besetzt","occupied / busy","व्यस्त / कब्जा","","States & Conditions"],
+["words-opposites","words-opposites-0179","trocken","dry","सूखा","","States & Conditions"],
+["words-opposites","words-opposites-0179","nass","wet","गीला","","States & Conditions"],
+["words-opposites","words-opposites-0181","hart","hard","कठिन / सख्त","","States & Conditions"],
+["words-opposites","words-opposites-0181","weich","soft","नरम","","States & Conditions"],
+["words-opposites","words-opposites-0183","warm","warm","गर्म","","States & Conditions"],
+["words-opposites","words-opposites-0183","kalt","cold","ठंडा","","States & Conditions"],
+["words-opposites","words-opposites-0185","heiß","hot","गर्म","","States & Conditions"],
+["words-opposites","words-opposites-0185","kalt","cold","ठंडा","","States & Conditions"],
+["words-opposites","words-opposites-0187","schlafen","sleep","सोना","","States & Conditions"],
+["words-opposites","words-opposites-0187","wach sein","be awake","जागृत होना","","States & Conditions"],
+["words-opposites","words-opposites-0189","leben","live","जीना","","States & Conditions"],
+["words-opposites","words-opposites-0189","sterben","die","मरना","","States & Conditions"],
+["words-opposites","words-opposites-0191","die Erde","earth","पृथ्वी","","Nature & Elements"],
+["words-opposites","words-opposites-0191","der Himmel","sky / heaven","आसमान","","Nature & Elements"],
+["words-opposites","words-opposites-0193","das Wasser","water","पानी","","Nature & Elements"],
+["words-opposites","words-opposites-0193","das Feuer","fire","आग","","Nature & Elements"],
+["words-opposites","words-opposites-0195","das Eis","ice","बर्फ","","Nature & Elements"],
+["words-opposites","words-opposites-0195","das Feuer","fire","आग","","Nature & Elements"],
+["words-opposites","words-opposites-0197","fröhlich","cheerful / happy","खुश","","Emotions & Feelings"],
+["words-opposites","words-opposites-0197","traurig","sad","उदास","","Emotions & Feelings"],
+["words-opposites","words-opposites-0199","zufrieden","satisfied / content","संतुष्ट","","Emotions & Feelings"],
+["words-opposites","words-opposites-0199","unzufrieden","dissatisfied","असंतुष्ट","","Emotions & Feelings"],
+["words-opposites","words-opposites-0201","ruhig","calm / quiet","शांत","","Emotions & Feelings"],
+["words-opposites","words-opposites-0201","aufgeregt","excited / agitated","उत्तेजित","","Emotions & Feelings"],
+["words-opposites","words-opposites-0203","entspannt","relaxed","आरामदायक","","Emotions & Feelings"],
+["words-opposites","words-opposites-0203","gestresst","stressed","तनावग्रस्त","","Emotions & Feelings"],
+["words-opposites","words-opposites-0205","mutig","brave / courageous","बहादुर","","Emotions & Feelings"],
+["words-opposites","words-opposites-0205","ängstlich","afraid / fearful","डरपोक","","Emotions & Feelings"],
+["words-opposites","words-opposites-0207","stolz","proud","गर्वित","","Emotions & Feelings"],
+["words-opposites","words-opposites-0207","bescheiden","modest / humble","विनम्र","","Emotions & Feelings"],
+["words-opposites","words-opposites-0209","hoffnungsvoll","hopeful","आशावादी","","Emotions & Feelings"],
+["words-opposites","words-opposites-0209","hoffnungslos","hopeless","निराश","","Emotions & Feelings"],
+["words-opposites","words-opposites-0211","glücklich","happy","खुश","","Emotions & Feelings"],
+["words-opposites","words-opposites-0211","unglücklich","unhappy","दुखी","","Emotions & Feelings"],
+["words-opposites","words-opposites-0213","optimistisch","optimistic","आशावादी","","Emotions & Feelings"],
+["words-opposites","words-opposites-0213","pessimistisch","pessimistic","निराशावादी","","Emotions & Feelings"],
+["words-opposites","words-opposites-0215","selbstbewusst","self-confident","आत्मविश्वासी","","Emotions & Feelings"],
+["words-opposites","words-opposites-0215","unsicher","insecure / uncertain","अनिश्चित","","Emotions & Feelings"],
+["words-opposites","words-opposites-0217","entschlossen","determined / resolute","दृढ़ निश्चयी","","Emotions & Feelings"],
+["words-opposites","words-opposites-0217","unentschlossen","indecisive / undecided","अनिर्णायक","","Emotions & Feelings"],
+["words-opposites","words-opposites-0219","begeistert","enthusiastic / excited","उत्साहित","","Emotions & Feelings"],
+["words-opposites","words-opposites-0219","gleichgültig","indifferent / apathetic","उदासीन","","Emotions & Feelings"],
+["words-opposites","words-opposites-0221","lachen","laugh","हंसना","","Emotions & Feelings"],
+["words-opposites","words-opposites-0221","weinen","cry / weep","रोना","","Emotions & Feelings"],
+["words-opposites","words-opposites-0223","arbeiten","work","काम करना","","Work & Career"],
+["words-opposites","words-opposites-0223","ruhen","rest","आराम करना","","Work & Career"],
+["words-opposites","words-opposites-0225","beschäftigt","busy","व्यस्त","","Work & Career"],
+["words-opposites","words-opposites-0225","frei","free","खाली / मुफ्त","","Work & Career"],
+["words-opposites","words-opposites-0227","erfolgreich","successful","सफल","","Work & Career"],
+["words-opposites","words-opposites-0227","erfolglos","unsuccessful","असफल","","Work & Career"],
+["words-opposites","words-opposites-0229","fleißig","hardworking / diligent","मेहनती","","Work & Career"],
+["words-opposites","words-opposites-0229","faul","lazy","आलसी","","Work & Career"],
+["words-opposites","words-opposites-0231","pünktlich","punctual / on time","समय पर","","Work & Career"],
+["words-opposites","words-opposites-0231","verspätet","late / delayed","देर से","","Work & Career"],
+["words-opposites","words-opposites-0233","berufstätig","employed","काम करने वाला","","Work & Career"],
+["words-opposites","words-opposites-0233","arbeitslos","unemployed","बेरोजगार","","Work & Career"],
+["words-opposites","words-opposites-0235","qualifiziert","qualified","योग्य","","Work & Career"],
+["words-opposites","words-opposites-0235","unqualifiziert","unqualified","अयोग्य","","Work & Career"],
+["words-opposites","words-opposites-0237","erfahren","experienced","अनुभवी","","Work & Career"],
+["words-opposites","words-opposites-0237","unerfahren","inexperienced","अनुभवहीन","","Work & Career"],
+["words-opposites","words-opposites-0239","verantwortlich","responsible","जिम्मेदार","","Work & Career"],
+["words-opposites","words-opposites-0239","unverantwortlich","irresponsible","अजिम्मेदार","","Work & Career"],
+["words-opposites","words-opposites-0241","organisiert","organized","संगठित","","Work & Career"],
+["words-opposites","words-opposites-0241","unorganisiert","disorganized","असंगठित","","Work & Career"],
+["words-opposites","words-opposites-0243","möglich","possible","संभव","","Abstract Concepts"],
+["words-opposites","words-opposites-0243","unmöglich","impossible","असंभव","","Abstract Concepts"],
+["words-opposites","words-opposites-0245","wahrscheinlich","probable / likely","संभावित","","Abstract Concepts"],
+["words-opposites","words-opposites-0245","unwahrscheinlich","improbable / unlikely","असंभावित","","Abstract Concepts"],
+["words-opposites","words-opposites-0247","notwendig","necessary","आवश्यक","","Abstract Concepts"],
+["words-opposites","words-opposites-0247","unnötig","unnecessary","अनावश्यक","","Abstract Concepts"],
+["words-opposites","words-opposites-0249","erlaubt","allowed / permitted","अनुमति दिया","","Abstract Concepts"],
+["words-opposites","words-opposites-0249","verboten","forbidden / prohibited","मना किया","","Abstract Concepts"],
+["words-opposites","words-opposites-0251","normal","normal","सामान्य","","Abstract Concepts"],
+["words-opposites","words-opposites-0251","unnormal","abnormal","असामान्य","","Abstract Concepts"],
+["words-opposites","words-opposites-0253","gewöhnlich","usual / common","सामान्य","","Abstract Concepts"],
+["words-opposites","words-opposites-0253","ungewöhnlich","unusual / uncommon","असामान्य","","Abstract Concepts"],
+["words-opposites","words-opposites-0255","logisch","logical","तार्किक","","Abstract Concepts"],
+["words-opposites","words-opposites-0255","unlogisch","illogical","अतार्किक","","Abstract Concepts"],
+["words-opposites","words-opposites-0257","freundlich","friendly","दोस्ताना","","Relationships"],
+["words-opposites","words-opposites-0257","feindlich","hostile / unfriendly","शत्रुतापूर्ण","","Relationships"],
+["words-opposites","words-opposites-0259","höflich","polite","विनम्र","","Relationships"],
+["words-opposites","words-opposites-0259","unhöflich","impolite / rude","अशिष्ट","","Relationships"],
+["words-opposites","words-opposites-0261","hilfsbereit","helpful","सहायक","","Relationships"],
+["words-opposites","words-opposites-0261","nicht hilfsbereit","unhelpful","असहायक","","Relationships"],
+["words-opposites","words-opposites-0263","geduldig","patient","धैर्यवान","","Relationships"],
+["words-opposites","words-opposites-0263","ungeduldig","impatient","अधीर","","Relationships"],
+["words-opposites","words-opposites-0265","tolerant","tolerant","सहिष्णु","","Relationships"],
+["words-opposites","words-opposites-0265","intolerant","intolerant","असहिष्णु","","Relationships"],
+["words-opposites","words-opposites-0267","ehrlich","honest","ईमानदार","","Relationships"],
+["words-opposites","words-opposites-0267","unehrlich","dishonest","बेईमान","","Relationships"],
+["words-opposites","words-opposites-0269","vertrauensvoll","trusting","विश्वासपूर्ण","","Relationships"],
+["words-opposites","words-opposites-0269","misstrauisch","distrustful / suspicious","शक करने वाला","","Relationships"],
+["words-opposites","words-opposites-0271","respektvoll","respectful","सम्मानपूर्ण","","Relationships"],
+["words-opposites","words-opposites-0271","respektlos","disrespectful","असम्मानजनक","","Relationships"],
+["words-opposites","words-opposites-0273","kooperativ","cooperative","सहयोगी","","Relationships"],
+["words-opposites","words-opposites-0273","unkooperativ","uncooperative","असहयोगी","","Relationships"],
+["words-opposites","words-opposites-0275","hochwertig","high quality","उच्च गुणवत्ता","","Quality & Value"],
+["words-opposites","words-opposites-0275","minderwertig","low quality","निम्न गुणवत्ता","","Quality & Value"],
+["words-opposites","words-opposites-0277","wertvoll","valuable","मूल्यवान","","Quality & Value"],
+["words-opposites","words-opposites-0277","wertlos","worthless","बेकार","","Quality & Value"],
+["words-opposites","words-opposites-0279","nützlich","useful","उपयोगी","","Quality & Value"],
+["words-opposites","words-opposites-0279","nutzlos","useless","बेकार","","Quality & Value"],
+["words-opposites","words-opposites-0281","praktisch","practical","व्यावहारिक","","Quality & Value"],
+["words-opposites","words-opposites-0281","unpraktisch","impractical","अव्यावहारिक","","Quality & Value"],
+["words-opposites","words-opposites-0283","effizient","efficient","कुशल","","Quality & Value"],
+["words-opposites","words-opposites-0283","ineffizient","inefficient","अकुशल","","Quality & Value"],
+["words-opposites","words-opposites-0285","perfekt","perfect","सही","","Quality & Value"],
+["words-opposites","words-opposites-0285","unvollkommen","imperfect","अपूर्ण","","Quality & Value"],
+["words-opposites","words-opposites-0287","vorteilhaft","advantageous / beneficial","फायदेमंद","","Quality & Value"],
+["words-opposites","words-opposites-0287","nachteilig","disadvantageous / harmful","नुकसानदेह","","Quality & Value"],
+["words-opposites","words-opposites-0289","geeignet","suitable / appropriate","उपयुक्त","","Quality & Value"],
+["words-opposites","words-opposites-0289","ungeeignet","unsuitable / inappropriate","अनुपयुक्त","","Quality & Value"],
+["words-opposites","words-opposites-0291","zuverlässig","reliable / trustworthy","विश्वसनीय","","Quality & Value"],
+["words-opposites","words-opposites-0291","unzuverlässig","unreliable","अविश्वसनीय","","Quality & Value"],
+["words-opposites","words-opposites-0293","genau","precise / exact","सटीक","","Quality & Value"],
+["words-opposites","words-opposites-0293","ungenau","imprecise / inexact","असटीक","","Quality & Value"],
+["words-opposites","words-opposites-0295","dauerhaft","permanent / lasting","स्थायी","","Time & Duration"],
+["words-opposites","words-opposites-0295","vorübergehend","temporary","अस्थायी","","Time & Duration"],
+["words-opposites","words-opposites-0297","ständig","constant / continuous","निरंतर","","Time & Duration"],
+["words-opposites","words-opposites-0297","gelegentlich","occasional","कभी-कभी","","Time & Duration"],
+["words-opposites","words-opposites-0299","sofort","immediately","तुरंत","","Time & Duration"],
+["words-opposites","words-opposites-0299","später","later","बाद में","","Time & Duration"],
+["words-opposites","words-opposites-0301","rechtzeitig","on time / timely","समय पर","","Time & Duration"],
+["words-opposites","words-opposites-0301","zu spät","too late","बहुत देर से","","Time & Duration"],
+["words-opposites","words-opposites-0303","frühzeitig","early / premature","जल्दी","","Time & Duration"],
+["words-opposites","words-opposites-0303","verspätet","delayed / late","देर से","","Time & Duration"],
+["words-opposites","words-opposites-0305","regelmäßig","regular","नियमित","","Time & Duration"],
+["words-opposites","words-opposites-0305","unregelmäßig","irregular","अनियमित","","Time & Duration"],
+["words-opposites","words-opposites-0307","pünktlich","punctual","समय पर","","Time & Duration"],
+["words-opposites","words-opposites-0307","unpünktlich","unpunctual","असमय","","Time & Duration"],
+["words-opposites","words-opposites-0309","zeitlich","temporal / time-related","समयबद्ध","","Time & Duration"],
+["words-opposites","words-opposites-0309","zeitlos","timeless","कालातीत","","Time & Duration"],
+["words-opposites","words-opposites-0311","ankommen","arrive","पहुंचना","","Location & Movement"],
+["words-opposites","words-opposites-0311","abfahren","depart / leave","रवाना होना","","Location & Movement"],
+["words-opposites","words-opposites-0313","einsteigen","get on / board","चढ़ना","","Location & Movement"],
+["words-opposites","words-opposites-0313","aussteigen","get off / alight","उतरना","","Location & Movement"],
+["words-opposites","words-opposites-0315","betreten","enter","प्रवेश करना","","Location & Movement"],
+["words-opposites","words-opposites-0315","verlassen","leave / exit","छोड़ना","","Location & Movement"],
+["words-opposites","words-opposites-0317","hinauf","up / upward","ऊपर","","Location & Movement"],
+["words-opposites","words-opposites-0317","hinunter","down / downward","नीचे","","Location & Movement"],
+["words-opposites","words-opposites-0319","vorwärts","forward","आगे","","Location & Movement"],
+["words-opposites","words-opposites-0319","rückwärts","backward","पीछे","","Location & Movement"],
+["words-opposites","words-opposites-0321","näher","closer / nearer","नज़दीक","","Location & Movement"],
+["words-opposites","words-opposites-0321","weiter","farther / further","दूर","","Location & Movement"],
+["words-opposites","words-opposites-0323","hinzufügen","add","जोड़ना","","Location & Movement"],
+["words-opposites","words-opposites-0323","entfernen","remove","हटाना","","Location & Movement"],
+["words-opposites","words-opposites-0325","aufsteigen","ascend / go up","चढ़ना","","Location & Movement"],
+["words-opposites","words-opposites-0325","absteigen","descend / go down","उतरना","","Location & Movement"],
+["words-opposites","words-opposites-0327","sich nähern","approach / get closer","नज़दीक आना","","Location & Movement"],
+["words-opposites","words-opposites-0327","sich entfernen","move away / distance","दूर जाना","","Location & Movement"],
+["words-opposites","words-opposites-0329","zusammenkommen","come together / meet","एक साथ आना","","Location & Movement"],
+["words-opposites","words-opposites-0329","sich trennen","separate / part","अलग होना","","Location & Movement"],
+["words-opposites","words-opposites-0331","verstehen","understand","समझना","","Communication"],
+["words-opposites","words-opposites-0331","missverstehen","misunderstand","गलत समझना","","Communication"],
+["words-opposites","words-opposites-0333","zustimmen","agree","सहमत होना","","Communication"],
+["words-opposites","words-opposites-0333","ablehnen","disagree / reject","असहमत होना","","Communication"],
+["words-opposites","words-opposites-0335","loben","praise","प्रशंसा करना","","Communication"],
+["words-opposites","words-opposites-0335","kritisieren","criticize","आलोचना करना","","Communication"],
+["words-opposites","words-opposites-0337","versprechen","promise","वादा करना","","Communication"],
+["words-opposites","words-opposites-0337","brechen","break (promise)","तोड़ना","","Communication"],
+["words-opposites","words-opposites-0339","erklären","explain","समझाना","","Communication"],
+["words-opposites","words-opposites-0339","verwirren","confuse","उलझाना","","Communication"],
+["words-opposites","words-opposites-0341","akzeptieren","accept","स्वीकार करना","","Communication"],
+["words-opposites","words-opposites-0341","ablehnen","reject / decline","अस्वीकार करना","","Communication"],
+["words-opposites","words-opposites-0343","bestätigen","confirm","पुष्टि करना","","Communication"],
+["words-opposites","words-opposites-0343","leugnen","deny","इनकार करना","","Communication"],
+["words-opposites","words-opposites-0345","akzeptieren","accept","स्वीकार करना","","Communication"],
+["words-opposites","words-opposites-0345","verweigern","refuse / deny","मना करना","","Communication"],
+["words-opposites","words-opposites-0347","bestätigen","confirm","पुष्टि करना","","Communication"],
+["words-opposites","words-opposites-0347","leugnen","deny","इनकार करना","","Communication"],
+["words-opposites","words-opposites-0349","sich entschuldigen","apologize","माफी मांगना","","Communication"],
+["words-opposites","words-opposites-0349","beschuldigen","accuse / blame","आरोप लगाना","","Communication"],
+["words-opposites","words-opposites-0351","empfehlen","recommend","सुझाव देना","","Communication"],
+["words-opposites","words-opposites-0351","abraten","advise against / discourage","मना करना","","Communication"],
+["words-opposites","words-opposites-0353","fit","fit","फिट","","Health & Body"],
+["words-opposites","words-opposites-0353","unfit","unfit","अफिट","","Health & Body"],
+["words-opposites","words-opposites-0355","energisch","energetic","ऊर्जावान","","Health & Body"],
+["words-opposites","words-opposites-0355","erschöpft","exhausted","थका हुआ","","Health & Body"],
+["words-opposites","words-opposites-0357","heilen","heal / cure","ठीक करना","","Health & Body"],
+["words-opposites","words-opposites-0357","verletzen","injure / hurt","चोट पहुंचाना","","Health & Body"],
+["words-opposites","words-opposites-0359","sich erholen","recover","स्वस्थ होना","","Health & Body"],
+["words-opposites","words-opposites-0359","erkranken","fall ill / get sick","बीमार होना","","Health & Body"],
+["words-opposites","words-opposites-0361","behandeln","treat (medically)","इलाज करना","","Health & Body"],
+["words-opposites","words-opposites-0361","vernachlässigen","neglect","उपेक्षा करना","","Health & Body"],
+["words-opposites","words-opposites-0363","lebendig","alive / lively","जीवित","","Health & Body"],
+["words-opposites","words-opposites-0363","tot","dead","मृत","","Health & Body"],
+["words-opposites","words-opposites-0365","energisch","energetic","ऊर्जावान","","Health & Body"],
+["words-opposites","words-opposites-0365","erschöpft","exhausted","थका हुआ","","Health & Body"],
+["words-opposites","words-opposites-0367","heilen","heal / cure","ठीक करना","","Health & Body"],
+["words-opposites","words-opposites-0367","verletzen","injure / hurt","चोट पहुंचाना","","Health & Body"],
+["words-opposites","words-opposites-0369","sich erholen","recover","स्वस्थ होना","","Health & Body"],
+["words-opposites","words-opposites-0369","erkranken","fall ill / get sick","बीमार होना","","Health & Body"],
+["words-opposites","words-opposites-0371","öffentlich","public","सार्वजनिक","","Social & Society"],
+["words-opposites","words-opposites-0371","privat","private","निजी","","Social & Society"],
+["words-opposites","words-opposites-0373","gemeinsam","together / shared","साझा","","Social & Society"],
+["words-opposites","words-opposites-0373","einzeln","separate / individual","अलग","","Social & Society"],
+["words-opposites","words-opposites-0375","sozial","social","सामाजिक","","Social & Society"],
+["words-opposites","words-opposites-0375","asozial","antisocial","असामाजिक","","Social & Society"],
+["words-opposites","words-opposites-0377","altruistisch","altruistic","परोपकारी","","Social & Society"],
+["words-opposites","words-opposites-0377","egoistisch","selfish","स्वार्थी","","Social & Society"],
+["words-opposites","words-opposites-0379","großzügig","generous","उदार","","Social & Society"],
+["words-opposites","words-opposites-0379","geizig","stingy / miserly","कंजूस","","Social & Society"],
+["words-opposites","words-opposites-0381","fair","fair","निष्पक्ष","","Social & Society"],
+["words-opposites","words-opposites-0381","unfair","unfair","अनुचित","","Social & Society"],
+["words-opposites","words-opposites-0383","nützlich","useful","उपयोगी","","Usefulness & Sense"],
+["words-opposites","words-opposites-0383","unnützlich","useless","बेकार","","Usefulness & Sense"],
+["words-opposites","words-opposites-0385","sinnvoll","meaningful / sensible","सार्थक","","Usefulness & Sense"],
+["words-opposites","words-opposites-0385","sinnlos","pointless / senseless","बेमतलब","","Usefulness & Sense"],
+["words-opposites","words-opposites-0387","wichtig","important","महत्वपूर्ण","","Usefulness & Sense"],
+["words-opposites","words-opposites-0387","unwichtig","unimportant","अमहत्वपूर्ण","","Usefulness & Sense"],
+["words-opposites","words-opposites-0389","möglich","possible","संभव","","Usefulness & Sense"],
+["words-opposites","words-opposites-0389","unmöglich","impossible","असंभव","","Usefulness & Sense"],
+["words-opposites","words-opposites-0391","typisch","typical","विशिष्ट","","Usefulness & Sense"],
+["words-opposites","words-opposites-0391","untypisch","atypical / untypical","असामान्य","","Usefulness & Sense"],
+["words-opposites","words-opposites-0393","logisch","logical","तार्किक","","Usefulness & Sense"],
+["words-opposites","words-opposites-0393","illogisch","illogical","अतार्किक","","Usefulness & Sense"],
+["words-opposites","words-opposites-0395","praktisch","practical","व्यावहारिक","","Usefulness & Sense"],
+["words-opposites","words-opposites-0395","unpraktisch","impractical","अव्यावहारिक","","Usefulness & Sense"],
+["words-opposites","words-opposites-0397","realistisch","realistic","यथार्थवादी","","Usefulness & Sense"],
+["words-opposites","words-opposites-0397","unrealistisch","unrealistic","अवास्तविक","","Usefulness & Sense"],
+["words-opposites","words-opposites-0399","höflich","polite","विनम्र","","Behavior & Manners"],
+["words-opposites","words-opposites-0399","unhöflich","impolite / rude","अशिष्ट","","Behavior & Manners"],
+["words-opposites","words-opposites-0401","geduldig","patient","धैर्यवान","","Behavior & Manners"],
+["words-opposites","words-opposites-0401","ungeduldig","impatient","अधीर","","Behavior & Manners"],
+["words-opposites","words-opposites-0403","freundlich","friendly","मित्रवत","","Behavior & Manners"],
+["words-opposites","words-opposites-0403","feindlich","hostile / unfriendly","शत्रुतापूर्ण","","Behavior & Manners"],
+["words-opposites","words-opposites-0405","ehrlich","honest","ईमानदार","","Behavior & Manners"],
+["words-opposites","words-opposites-0405","unehrlich","dishonest","बेईमान","","Behavior & Manners"],
+["words-opposites","words-opposites-0407","pünktlich","punctual / on time","समय का पाबंद","","Behavior & Manners"],
+["words-opposites","words-opposites-0407","unpünktlich","unpunctual / late","देरी से","","Behavior & Manners"],
+["words-opposites","words-opposites-0409","vorsichtig","careful / cautious","सावधान","","Behavior & Manners"],
+["words-opposites","words-opposites-0409","unvorsichtig","careless","लापरवाह","","Behavior & Manners"],
+["words-opposites","words-opposites-0411","respektvoll","respectful","सम्मानपूर्ण","","Behavior & Manners"],
+["words-opposites","words-opposites-0411","respektlos","disrespectful","असम्मानजनक","","Behavior & Manners"],
+["words-opposites","words-opposites-0413","tolerant","tolerant","सहनशील","","Behavior & Manners"],
+["words-opposites","words-opposites-0413","intolerant","intolerant","असहनशील","","Behavior & Manners"],
+["words-opposites","words-opposites-0415","erfolgreich","successful","सफल","","Success & Clarity"],
+["words-opposites","words-opposites-0415","erfolglos","unsuccessful","असफल","","Success & Clarity"],
+["words-opposites","words-opposites-0417","einfach","simple / easy","सरल","","Success & Clarity"],
+["words-opposites","words-opposites-0417","kompliziert","complicated","जटिल","","Success & Clarity"],
+["words-opposites","words-opposites-0419","klar","clear","स्पष्ट","","Success & Clarity"],
+["words-opposites","words-opposites-0419","unklar","unclear","अस्पष्ट","","Success & Clarity"],
+["words-opposites","words-opposites-0421","verständlich","understandable","समझने योग्य","","Success & Clarity"],
+["words-opposites","words-opposites-0421","unverständlich","incomprehensible","असमझ में आने वाला","","Success & Clarity"],
+["words-opposites","words-opposites-0423","bekannt","known / famous","ज्ञात","","Success & Clarity"],
+["words-opposites","words-opposites-0423","unbekannt","unknown","अज्ञात","","Success & Clarity"],
+["words-opposites","words-opposites-0425","offensichtlich","obvious","स्पष्ट","","Success & Clarity"],
+["words-opposites","words-opposites-0425","versteckt","hidden","छिपा हुआ","","Success & Clarity"],
+["words-opposites","words-opposites-0427","verantwortlich","responsible","जिम्मेदार","","Success & Clarity"],
+["words-opposites","words-opposites-0427","unverantwortlich","irresponsible","गैरजिम्मेदार","","Success & Clarity"],
+["words-opposites","words-opposites-0429","legal","legal","कानूनी","","Rules & Society"],
+["words-opposites","words-opposites-0429","illegal","illegal","अवैध","","Rules & Society"],
+["words-opposites","words-opposites-0431","erlaubt","allowed / permitted","अनुमति प्राप्त","","Rules & Society"],
+["words-opposites","words-opposites-0431","verboten","forbidden / prohibited","निषिद्ध","","Rules & Society"],
+["words-opposites","words-opposites-0433","modern","modern","आधुनिक","","Rules & Society"],
+["words-opposites","words-opposites-0433","veraltet","outdated / obsolete","पुराना","","Rules & Society"],
+["words-opposites","words-opposites-0435","aktuell","current / up-to-date","वर्तमान","","Rules & Society"],
+["words-opposites","words-opposites-0435","veraltet","outdated","पुराना","","Rules & Society"],
+["words-opposites","words-opposites-0437","umweltfreundlich","eco-friendly","पर्यावरण अनुकूल","","Rules & Society"],
+["words-opposites","words-opposites-0437","umweltschädlich","harmful to the environment","पर्यावरण के लिए हानिकारक","","Rules & Society"],
+["words-opposites","words-opposites-0439","formell","formal","औपचारिक","","Rules & Society"],
+["words-opposites","words-opposites-0439","informell","informal","अनौपचारिक","","Rules & Society"],
+["words-opposites","words-opposites-0441","professionell","professional","पेशेवर","","Rules & Society"],
+["words-opposites","words-opposites-0441","amateurhaft","amateurish","शौकिया","","Rules & Society"],
+["words-opposites","words-opposites-0443","theoretisch","theoretical","सैद्धांतिक","","Attitude & Perspective"],
+["words-opposites","words-opposites-0443","praktisch","practical","व्यावहारिक","","Attitude & Perspective"],
+["words-opposites","words-opposites-0445","objektiv","objective","निष्पक्ष","","Attitude & Perspective"],
+["words-opposites","words-opposites-0445","subjektiv","subjective","व्यक्तिपरक","","Attitude & Perspective"],
+["words-opposites","words-opposites-0447","flexibel","flexible","लचीला","","Attitude & Perspective"],
+["words-opposites","words-opposites-0447","starr","rigid / inflexible","कठोर","","Attitude & Perspective"],
+["words-opposites","words-opposites-0449","aktiv","active","सक्रिय","","Attitude & Perspective"],
+["words-opposites","words-opposites-0449","passiv","passive","निष्क्रिय","","Attitude & Perspective"],
+["words-opposites","words-opposites-0451","unabhängig","independent","स्वतंत्र","","Attitude & Perspective"],
+["words-opposites","words-opposites-0451","abhängig","dependent","निर्भर","","Attitude & Perspective"],
+["words-opposites","words-opposites-0453","kritisch","critical","आलोचनात्मक","","Attitude & Perspective"],
+["words-opposites","words-opposites-0453","unkritisch","uncritical","अनुकूल","","Attitude & Perspective"],
+["words-opposites","words-opposites-0455","traditionell","traditional","पारंपरिक","","Attitude & Perspective"],
+["words-opposites","words-opposites-0455","modern","modern","आधुनिक","","Attitude & Perspective"]
+]
+};
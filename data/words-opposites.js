@@ -0,0 +1,503 @@
+/* Words & Opposites - word list for words-opposites.html, rendered by js/vocab.js.
+   The object passed to register() is plain JSON, one word per line. */
+GermanVocab.register({
+    "page": "words-opposites",
+    "title": "Words & Opposites",
+    "layout": "pairs",
+    "unit": "words",
+    "rowTint": "20",
+    "columns": [
+        {"key": "german", "label": "German Word"},
+        {"key": "hindi", "label": "Hindi"},
+        {"key": "english", "label": "English"},
+        {"key": "opposite.german", "label": "Opposite (Gegenteil)"},
+        {"key": "opposite.hindi", "label": "Hindi"},
+        {"key": "opposite.english", "label": "English"}
+    ],
+    "sections": [
+        {"id": "Size_&_Dimension", "title": "Size & Dimension", "emoji": "📏", "german": "Größe & Dimension", "translit": "ग्रोसे & डिमेंशन", "color": "#e3f2fd", "level": "A1", "unit": "pairs"},
+        {"id": "Temperature", "title": "Temperature", "emoji": "🌡️", "german": "Temperatur", "translit": "टेम्पेरातूर", "color": "#fff3e0", "level": "A1", "unit": "pairs"},
+        {"id": "A1_Basic_Adjectives", "title": "Basic Adjectives", "emoji": "✨", "german": "Grundlegende Adjektive", "translit": "ग्रुंडलेगेंडे अड्जेक्टिवे", "color": "#e8f5e9", "level": "A1", "unit": "pairs"},
+        {"id": "A1_Time_Days", "title": "Time & Days", "emoji": "🕐", "german": "Zeit & Tage", "translit": "ट्साइट & टागे", "color": "#e3f2fd", "level": "A1", "unit": "pairs"},
+        {"id": "A1_Directions", "title": "Directions & Location", "emoji": "🧭", "german": "Richtungen & Ort", "translit": "रिख्तुंगेन & ओर्ट", "color": "#fff3e0", "level": "A1", "unit": "pairs"},
+        {"id": "A1_Actions", "title": "Actions & Verbs", "emoji": "🏃", "german": "Aktionen & Verben", "translit": "अक्शनेन & वेर्बेन", "color": "#f3e5f5", "level": "A1", "unit": "pairs"},
+        {"id": "A1_Family", "title": "Family", "emoji": "👨‍👩‍👧", "german": "Familie", "translit": "फामिलिए", "color": "#e1f5fe", "level": "A1", "unit": "pairs"},
+        {"id": "A1_Objects", "title": "Common Objects", "emoji": "📦", "german": "Gemeinsame Objekte", "translit": "गेमाइन्सामे ओब्जेक्टे", "color": "#e0f2f1", "level": "A1", "unit": "pairs"},
+        {"id": "A1_Quantities", "title": "Quantities & Connectors", "emoji": "🔢", "german": "Mengen & Verbindungen", "translit": "मेंगेन & वेर्बिंदुंगेन", "color": "#f1f8e9", "level": "A1", "unit": "pairs"},
+        {"id": "A1_States", "title": "States & Conditions", "emoji": "💭", "german": "Zustände & Bedingungen", "translit": "ट्सुस्तांडे & बेडिंगुंगेन", "color": "#fff9c4", "level": "A1", "unit": "pairs"},
+        {"id": "A1_Nature", "title": "Nature & Elements", "emoji": "🌍", "german": "Natur & Elemente", "translit": "नातूर & एलेमेंटे", "color": "#e8eaf6", "level": "A1", "unit": "pairs"},
+        {"id": "A2_Emotions", "title": "Emotions & Feelings", "emoji": "😊", "german": "Emotionen & Gefühle", "translit": "एमोशनेन & गेफ्यूले", "color": "#fce4ec", "level": "A2", "unit": "pairs"},
+        {"id": "A2_Work", "title": "Work & Career", "emoji": "💼", "german": "Arbeit & Karriere", "translit": "आर्बाइट & कारिएरे", "color": "#e1f5fe", "level": "A2", "unit": "pairs"},
+        {"id": "A2_Abstract", "title": "Abstract Concepts", "emoji": "🧠", "german": "Abstrakte Begriffe", "translit": "आब्स्ट्राक्टे बेग्रिफे", "color": "#f3e5f5", "level": "A2", "unit": "pairs"},
+        {"id": "A2_Relationships", "title": "Relationships", "emoji": "👥", "german": "Beziehungen", "translit": "बेज़ीहुंगेन", "color": "#fff9c4", "level": "A2", "unit": "pairs"},
+        {"id": "A2_Quality", "title": "Quality & Value", "emoji": "⭐", "german": "Qualität & Wert", "translit": "क्वालिटेट & वेर्ट", "color": "#e8f5e9", "level": "A2", "unit": "pairs"},
+        {"id": "A2_Time", "title": "Time & Duration", "emoji": "⏰", "german": "Zeit & Dauer", "translit": "ट्साइट & डाउर", "color": "#e3f2fd", "level": "A2", "unit": "pairs"},
+        {"id": "A2_Location", "title": "Location & Movement", "emoji": "📍", "german": "Ort & Bewegung", "translit": "ओर्ट & बेवेगुंग", "color": "#fff3e0", "level": "A2", "unit": "pairs"},
+        {"id": "A2_Communication", "title": "Communication", "emoji": "💬", "german": "Kommunikation", "translit": "कोम्मुनिकेशन", "color": "#e8eaf6", "level": "A2", "unit": "pairs"},
+        {"id": "A2_Health", "title": "Health & Body", "emoji": "🏥", "german": "Gesundheit & Körper", "translit": "गेज़ुंटहाइट & कोर्पर", "color": "#ffebee", "level": "A2", "unit": "pairs"},
+        {"id": "A2_Social", "title": "Social & Society", "emoji": "🌐", "german": "Sozial & Gesellschaft", "translit": "ज़ोज़ियाल & गेसेलशाफ्ट", "color": "#e0f7fa", "level": "A2", "unit": "pairs"},
+        {"id": "B1_Usefulness", "title": "Usefulness & Sense", "emoji": "✅", "german": "Nützlichkeit & Sinn", "translit": null, "color": "#e8f5e9", "level": "B1", "unit": "pairs"},
+        {"id": "B1_Behavior", "title": "Behavior & Manners", "emoji": "🤝", "german": "Verhalten & Manieren", "translit": null, "color": "#fff3e0", "level": "B1", "unit": "pairs"},
+        {"id": "B1_Success", "title": "Success & Clarity", "emoji": "🎯", "german": "Erfolg & Klarheit", "translit": null, "color": "#e3f2fd", "level": "B1", "unit": "pairs"},
+        {"id": "B1_Rules", "title": "Rules & Society", "emoji": "⚖️", "german": "Regeln & Gesellschaft", "translit": null, "color": "#f3e5f5", "level": "B1", "unit": "pairs"},
+        {"id": "B1_Attitude", "title": "Attitude & Perspective", "emoji": "🧠", "german": "Einstellung & Perspektive", "translit": null, "color": "#e0f7fa", "level": "B1", "unit": "pairs"}
+    ],
+    "words": [
+        {"id": "words-opposites-0001", "german": "groß", "article": null, "plural": null, "english": "big / large", "hindi": "बड़ा", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0002"},
+        {"id": "words-opposites-0002", "german": "klein", "article": null, "plural": null, "english": "small / little", "hindi": "छोटा", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0001"},
+        {"id": "words-opposites-0003", "german": "lang", "article": null, "plural": null, "english": "long", "hindi": "लंबा", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0004"},
+        {"id": "words-opposites-0004", "german": "kurz", "article": null, "plural": null, "english": "short", "hindi": "छोटा", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0003"},
+        {"id": "words-opposites-0005", "german": "hoch", "article": null, "plural": null, "english": "high / tall", "hindi": "ऊँचा", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0006"},
+        {"id": "words-opposites-0006", "german": "niedrig", "article": null, "plural": null, "english": "low", "hindi": "नीचा", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0005"},
+        {"id": "words-opposites-0007", "german": "breit", "article": null, "plural": null, "english": "wide / broad", "hindi": "चौड़ा", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0008"},
+        {"id": "words-opposites-0008", "german": "schmal", "article": null, "plural": null, "english": "narrow", "hindi": "संकरा", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0007"},
+        {"id": "words-opposites-0009", "german": "dick", "article": null, "plural": null, "english": "thick / fat", "hindi": "मोटा", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0010"},
+        {"id": "words-opposites-0010", "german": "dünn", "article": null, "plural": null, "english": "thin", "hindi": "पतला", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0009"},
+        {"id": "words-opposites-0011", "german": "schwer", "article": null, "plural": null, "english": "heavy", "hindi": "भारी", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0012"},
+        {"id": "words-opposites-0012", "german": "leicht", "article": null, "plural": null, "english": "light", "hindi": "हल्का", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0011"},
+        {"id": "words-opposites-0013", "german": "tief", "article": null, "plural": null, "english": "deep", "hindi": "गहरा", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0014"},
+        {"id": "words-opposites-0014", "german": "flach", "article": null, "plural": null, "english": "shallow", "hindi": "उथला", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0013"},
+        {"id": "words-opposites-0015", "german": "weit", "article": null, "plural": null, "english": "far / wide", "hindi": "दूर", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0016"},
+        {"id": "words-opposites-0016", "german": "nah", "article": null, "plural": null, "english": "near / close", "hindi": "नज़दीक", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0015"},
+        {"id": "words-opposites-0017", "german": "breit", "article": null, "plural": null, "english": "wide", "hindi": "चौड़ा", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0018"},
+        {"id": "words-opposites-0018", "german": "eng", "article": null, "plural": null, "english": "tight / narrow", "hindi": "तंग", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0017"},
+        {"id": "words-opposites-0019", "german": "riesig", "article": null, "plural": null, "english": "huge / enormous", "hindi": "विशाल", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0020"},
+        {"id": "words-opposites-0020", "german": "winzig", "article": null, "plural": null, "english": "tiny", "hindi": "छोटा", "translit": null, "level": "A1", "topic": "Size_&_Dimension", "opposite": "words-opposites-0019"},
+        {"id": "words-opposites-0021", "german": "heiß", "article": null, "plural": null, "english": "hot", "hindi": "गर्म", "translit": null, "level": "A1", "topic": "Temperature", "opposite": "words-opposites-0022"},
+        {"id": "words-opposites-0022", "german": "kalt", "article": null, "plural": null, "english": "cold", "hindi": "ठंडा", "translit": null, "level": "A1", "topic": "Temperature", "opposite": "words-opposites-0021"},
+        {"id": "words-opposites-0023", "german": "warm", "article": null, "plural": null, "english": "warm", "hindi": "गर्म", "translit": null, "level": "A1", "topic": "Temperature", "opposite": "words-opposites-0024"},
+        {"id": "words-opposites-0024", "german": "kühl", "article": null, "plural": null, "english": "cool", "hindi": "ठंडा", "translit": null, "level": "A1", "topic": "Temperature", "opposite": "words-opposites-0023"},
+        {"id": "words-opposites-0025", "german": "gut", "article": null, "plural": null, "english": "good", "hindi": "अच्छा", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0026"},
+        {"id": "words-opposites-0026", "german": "schlecht", "article": null, "plural": null, "english": "bad", "hindi": "बुरा", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0025"},
+        {"id": "words-opposites-0027", "german": "neu", "article": null, "plural": null, "english": "new", "hindi": "नया", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0028"},
+        {"id": "words-opposites-0028", "german": "alt", "article": null, "plural": null, "english": "old", "hindi": "पुराना", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0027"},
+        {"id": "words-opposites-0029", "german": "richtig", "article": null, "plural": null, "english": "right / correct", "hindi": "सही", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0030"},
+        {"id": "words-opposites-0030", "german": "falsch", "article": null, "plural": null, "english": "wrong / false", "hindi": "गलत", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0029"},
+        {"id": "words-opposites-0031", "german": "schnell", "article": null, "plural": null, "english": "fast / quick", "hindi": "तेज़", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0032"},
+        {"id": "words-opposites-0032", "german": "langsam", "article": null, "plural": null, "english": "slow", "hindi": "धीमा", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0031"},
+        {"id": "words-opposites-0033", "german": "jung", "article": null, "plural": null, "english": "young", "hindi": "जवान", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0034"},
+        {"id": "words-opposites-0034", "german": "alt", "article": null, "plural": null, "english": "old", "hindi": "बूढ़ा", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0033"},
+        {"id": "words-opposites-0035", "german": "gut", "article": null, "plural": null, "english": "good / well", "hindi": "अच्छा", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0036"},
+        {"id": "words-opposites-0036", "german": "böse", "article": null, "plural": null, "english": "evil / bad", "hindi": "बुरा", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0035"},
+        {"id": "words-opposites-0037", "german": "schön", "article": null, "plural": null, "english": "beautiful / nice", "hindi": "सुंदर", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0038"},
+        {"id": "words-opposites-0038", "german": "hässlich", "article": null, "plural": null, "english": "ugly", "hindi": "बदसूरत", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0037"},
+        {"id": "words-opposites-0039", "german": "glücklich", "article": null, "plural": null, "english": "happy", "hindi": "खुश", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0040"},
+        {"id": "words-opposites-0040", "german": "traurig", "article": null, "plural": null, "english": "sad", "hindi": "उदास", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0039"},
+        {"id": "words-opposites-0041", "german": "gesund", "article": null, "plural": null, "english": "healthy", "hindi": "स्वस्थ", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0042"},
+        {"id": "words-opposites-0042", "german": "krank", "article": null, "plural": null, "english": "sick / ill", "hindi": "बीमार", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0041"},
+        {"id": "words-opposites-0043", "german": "stark", "article": null, "plural": null, "english": "strong", "hindi": "मजबूत", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0044"},
+        {"id": "words-opposites-0044", "german": "schwach", "article": null, "plural": null, "english": "weak", "hindi": "कमजोर", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0043"},
+        {"id": "words-opposites-0045", "german": "reich", "article": null, "plural": null, "english": "rich", "hindi": "अमीर", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0046"},
+        {"id": "words-opposites-0046", "german": "arm", "article": null, "plural": null, "english": "poor", "hindi": "गरीब", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0045"},
+        {"id": "words-opposites-0047", "german": "froh", "article": null, "plural": null, "english": "glad / happy", "hindi": "खुश", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0048"},
+        {"id": "words-opposites-0048", "german": "unglücklich", "article": null, "plural": null, "english": "unhappy", "hindi": "दुखी", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0047"},
+        {"id": "words-opposites-0049", "german": "freundlich", "article": null, "plural": null, "english": "friendly", "hindi": "दोस्ताना", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0050"},
+        {"id": "words-opposites-0050", "german": "unfreundlich", "article": null, "plural": null, "english": "unfriendly", "hindi": "अनुकूल नहीं", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0049"},
+        {"id": "words-opposites-0051", "german": "interessant", "article": null, "plural": null, "english": "interesting", "hindi": "दिलचस्प", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0052"},
+        {"id": "words-opposites-0052", "german": "langweilig", "article": null, "plural": null, "english": "boring", "hindi": "उबाऊ", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0051"},
+        {"id": "words-opposites-0053", "german": "wichtig", "article": null, "plural": null, "english": "important", "hindi": "महत्वपूर्ण", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0054"},
+        {"id": "words-opposites-0054", "german": "unwichtig", "article": null, "plural": null, "english": "unimportant", "hindi": "अमहत्वपूर्ण", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0053"},
+        {"id": "words-opposites-0055", "german": "ruhig", "article": null, "plural": null, "english": "calm / quiet", "hindi": "शांत", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0056"},
+        {"id": "words-opposites-0056", "german": "nervös", "article": null, "plural": null, "english": "nervous", "hindi": "चिंतित", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0055"},
+        {"id": "words-opposites-0057", "german": "klar", "article": null, "plural": null, "english": "clear", "hindi": "स्पष्ट", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0058"},
+        {"id": "words-opposites-0058", "german": "unklar", "article": null, "plural": null, "english": "unclear", "hindi": "अस्पष्ट", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0057"},
+        {"id": "words-opposites-0059", "german": "besser", "article": null, "plural": null, "english": "better", "hindi": "बेहतर", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0060"},
+        {"id": "words-opposites-0060", "german": "schlechter", "article": null, "plural": null, "english": "worse", "hindi": "बदतर", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0059"},
+        {"id": "words-opposites-0061", "german": "schwierig", "article": null, "plural": null, "english": "difficult", "hindi": "मुश्किल", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0062"},
+        {"id": "words-opposites-0062", "german": "einfach", "article": null, "plural": null, "english": "easy / simple", "hindi": "आसान", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0061"},
+        {"id": "words-opposites-0063", "german": "teuer", "article": null, "plural": null, "english": "expensive", "hindi": "महंगा", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0064"},
+        {"id": "words-opposites-0064", "german": "billig", "article": null, "plural": null, "english": "cheap", "hindi": "सस्ता", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0063"},
+        {"id": "words-opposites-0065", "german": "laut", "article": null, "plural": null, "english": "loud", "hindi": "ज़ोर से", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0066"},
+        {"id": "words-opposites-0066", "german": "leise", "article": null, "plural": null, "english": "quiet", "hindi": "शांत", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0065"},
+        {"id": "words-opposites-0067", "german": "hell", "article": null, "plural": null, "english": "bright / light", "hindi": "उज्ज्वल", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0068"},
+        {"id": "words-opposites-0068", "german": "dunkel", "article": null, "plural": null, "english": "dark", "hindi": "अंधेरा", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0067"},
+        {"id": "words-opposites-0069", "german": "sauber", "article": null, "plural": null, "english": "clean", "hindi": "साफ", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0070"},
+        {"id": "words-opposites-0070", "german": "schmutzig", "article": null, "plural": null, "english": "dirty", "hindi": "गंदा", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0069"},
+        {"id": "words-opposites-0071", "german": "voll", "article": null, "plural": null, "english": "full", "hindi": "भरा हुआ", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0072"},
+        {"id": "words-opposites-0072", "german": "leer", "article": null, "plural": null, "english": "empty", "hindi": "खाली", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0071"},
+        {"id": "words-opposites-0073", "german": "offen", "article": null, "plural": null, "english": "open", "hindi": "खुला", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0074"},
+        {"id": "words-opposites-0074", "german": "geschlossen", "article": null, "plural": null, "english": "closed", "hindi": "बंद", "translit": null, "level": "A1", "topic": "A1_Basic_Adjectives", "opposite": "words-opposites-0073"},
+        {"id": "words-opposites-0075", "german": "früh", "article": null, "plural": null, "english": "early", "hindi": "जल्दी", "translit": null, "level": "A1", "topic": "A1_Time_Days", "opposite": "words-opposites-0076"},
+        {"id": "words-opposites-0076", "german": "spät", "article": null, "plural": null, "english": "late", "hindi": "देर से", "translit": null, "level": "A1", "topic": "A1_Time_Days", "opposite": "words-opposites-0075"},
+        {"id": "words-opposites-0077", "german": "heute", "article": null, "plural": null, "english": "today", "hindi": "आज", "translit": null, "level": "A1", "topic": "A1_Time_Days", "opposite": "words-opposites-0078"},
+        {"id": "words-opposites-0078", "german": "morgen", "article": null, "plural": null, "english": "tomorrow", "hindi": "कल", "translit": null, "level": "A1", "topic": "A1_Time_Days", "opposite": "words-opposites-0077"},
+        {"id": "words-opposites-0079", "german": "Tag", "article": "der", "plural": null, "english": "day", "hindi": "दिन", "translit": null, "level": "A1", "topic": "A1_Time_Days", "opposite": "words-opposites-0080"},
+        {"id": "words-opposites-0080", "german": "Nacht", "article": "die", "plural": null, "english": "night", "hindi": "रात", "translit": null, "level": "A1", "topic": "A1_Time_Days", "opposite": "words-opposites-0079"},
+        {"id": "words-opposites-0081", "german": "Montag", "article": null, "plural": null, "english": "Monday", "hindi": "सोमवार", "translit": null, "level": "A1", "topic": "A1_Time_Days", "opposite": "words-opposites-0082"},
+        {"id": "words-opposites-0082", "german": "Sonntag", "article": null, "plural": null, "english": "Sunday", "hindi": "रविवार", "translit": null, "level": "A1", "topic": "A1_Time_Days", "opposite": "words-opposites-0081"},
+        {"id": "words-opposites-0083", "german": "Sommer", "article": "der", "plural": null, "english": "summer", "hindi": "गर्मी", "translit": null, "level": "A1", "topic": "A1_Time_Days", "opposite": "words-opposites-0084"},
+        {"id": "words-opposites-0084", "german": "Winter", "article": "der", "plural": null, "english": "winter", "hindi": "सर्दी", "translit": null, "level": "A1", "topic": "A1_Time_Days", "opposite": "words-opposites-0083"},
+        {"id": "words-opposites-0085", "german": "oben", "article": null, "plural": null, "english": "up / above", "hindi": "ऊपर", "translit": null, "level": "A1", "topic": "A1_Directions", "opposite": "words-opposites-0086"},
+        {"id": "words-opposites-0086", "german": "unten", "article": null, "plural": null, "english": "down / below", "hindi": "नीचे", "translit": null, "level": "A1", "topic": "A1_Directions", "opposite": "words-opposites-0085"},
+        {"id": "words-opposites-0087", "german": "links", "article": null, "plural": null, "english": "left", "hindi": "बाएं", "translit": null, "level": "A1", "topic": "A1_Directions", "opposite": "words-opposites-0088"},
+        {"id": "words-opposites-0088", "german": "rechts", "article": null, "plural": null, "english": "right", "hindi": "दाएं", "translit": null, "level": "A1", "topic": "A1_Directions", "opposite": "words-opposites-0087"},
+        {"id": "words-opposites-0089", "german": "vorne", "article": null, "plural": null, "english": "front / in front", "hindi": "सामने", "translit": null, "level": "A1", "topic": "A1_Directions", "opposite": "words-opposites-0090"},
+        {"id": "words-opposites-0090", "german": "hinten", "article": null, "plural": null, "english": "back / behind", "hindi": "पीछे", "translit": null, "level": "A1", "topic": "A1_Directions", "opposite": "words-opposites-0089"},
+        {"id": "words-opposites-0091", "german": "innen", "article": null, "plural": null, "english": "inside", "hindi": "अंदर", "translit": null, "level": "A1", "topic": "A1_Directions", "opposite": "words-opposites-0092"},
+        {"id": "words-opposites-0092", "german": "außen", "article": null, "plural": null, "english": "outside", "hindi": "बाहर", "translit": null, "level": "A1", "topic": "A1_Directions", "opposite": "words-opposites-0091"},
+        {"id": "words-opposites-0093", "german": "hier", "article": null, "plural": null, "english": "here", "hindi": "यहाँ", "translit": null, "level": "A1", "topic": "A1_Directions", "opposite": "words-opposites-0094"},
+        {"id": "words-opposites-0094", "german": "dort", "article": null, "plural": null, "english": "there", "hindi": "वहाँ", "translit": null, "level": "A1", "topic": "A1_Directions", "opposite": "words-opposites-0093"},
+        {"id": "words-opposites-0095", "german": "gehen", "article": null, "plural": null, "english": "go", "hindi": "जाना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0096"},
+        {"id": "words-opposites-0096", "german": "bleiben", "article": null, "plural": null, "english": "stay / remain", "hindi": "रहना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0095"},
+        {"id": "words-opposites-0097", "german": "haben", "article": null, "plural": null, "english": "have", "hindi": "होना / रखना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0098"},
+        {"id": "words-opposites-0098", "german": "nicht haben", "article": null, "plural": null, "english": "not have", "hindi": "नहीं होना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0097"},
+        {"id": "words-opposites-0099", "german": "machen", "article": null, "plural": null, "english": "make / do", "hindi": "बनाना / करना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0100"},
+        {"id": "words-opposites-0100", "german": "zerstören", "article": null, "plural": null, "english": "destroy / break", "hindi": "तोड़ना / नष्ट करना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0099"},
+        {"id": "words-opposites-0101", "german": "geben", "article": null, "plural": null, "english": "give", "hindi": "देना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0102"},
+        {"id": "words-opposites-0102", "german": "nehmen", "article": null, "plural": null, "english": "take", "hindi": "लेना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0101"},
+        {"id": "words-opposites-0103", "german": "öffnen", "article": null, "plural": null, "english": "open", "hindi": "खोलना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0104"},
+        {"id": "words-opposites-0104", "german": "schließen", "article": null, "plural": null, "english": "close", "hindi": "बंद करना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0103"},
+        {"id": "words-opposites-0105", "german": "kommen", "article": null, "plural": null, "english": "come", "hindi": "आना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0106"},
+        {"id": "words-opposites-0106", "german": "gehen", "article": null, "plural": null, "english": "go", "hindi": "जाना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0105"},
+        {"id": "words-opposites-0107", "german": "kaufen", "article": null, "plural": null, "english": "buy", "hindi": "खरीदना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0108"},
+        {"id": "words-opposites-0108", "german": "verkaufen", "article": null, "plural": null, "english": "sell", "hindi": "बेचना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0107"},
+        {"id": "words-opposites-0109", "german": "finden", "article": null, "plural": null, "english": "find", "hindi": "ढूंढना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0110"},
+        {"id": "words-opposites-0110", "german": "verlieren", "article": null, "plural": null, "english": "lose", "hindi": "खोना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0109"},
+        {"id": "words-opposites-0111", "german": "beginnen", "article": null, "plural": null, "english": "begin / start", "hindi": "शुरू करना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0112"},
+        {"id": "words-opposites-0112", "german": "enden", "article": null, "plural": null, "english": "end / finish", "hindi": "समाप्त करना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0111"},
+        {"id": "words-opposites-0113", "german": "lernen", "article": null, "plural": null, "english": "learn", "hindi": "सीखना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0114"},
+        {"id": "words-opposites-0114", "german": "lehren", "article": null, "plural": null, "english": "teach", "hindi": "सिखाना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0113"},
+        {"id": "words-opposites-0115", "german": "fragen", "article": null, "plural": null, "english": "ask", "hindi": "पूछना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0116"},
+        {"id": "words-opposites-0116", "german": "antworten", "article": null, "plural": null, "english": "answer", "hindi": "जवाब देना", "translit": null, "level": "A1", "topic": "A1_Actions", "opposite": "words-opposites-0115"},
+        {"id": "words-opposites-0117", "german": "Vater", "article": "der", "plural": null, "english": "father", "hindi": "पिता", "translit": null, "level": "A1", "topic": "A1_Family", "opposite": "words-opposites-0118"},
+        {"id": "words-opposites-0118", "german": "Mutter", "article": "die", "plural": null, "english": "mother", "hindi": "माँ", "translit": null, "level": "A1", "topic": "A1_Family", "opposite": "words-opposites-0117"},
+        {"id": "words-opposites-0119", "german": "voll", "article": null, "plural": null, "english": "full", "hindi": "भरा हुआ", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0120"},
+        {"id": "words-opposites-0120", "german": "leer", "article": null, "plural": null, "english": "empty", "hindi": "खाली", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0119"},
+        {"id": "words-opposites-0121", "german": "offen", "article": null, "plural": null, "english": "open", "hindi": "खुला", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0122"},
+        {"id": "words-opposites-0122", "german": "geschlossen", "article": null, "plural": null, "english": "closed", "hindi": "बंद", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0121"},
+        {"id": "words-opposites-0123", "german": "sauber", "article": null, "plural": null, "english": "clean", "hindi": "साफ", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0124"},
+        {"id": "words-opposites-0124", "german": "schmutzig", "article": null, "plural": null, "english": "dirty", "hindi": "गंदा", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0123"},
+        {"id": "words-opposites-0125", "german": "hell", "article": null, "plural": null, "english": "bright / light", "hindi": "उज्ज्वल", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0126"},
+        {"id": "words-opposites-0126", "german": "dunkel", "article": null, "plural": null, "english": "dark", "hindi": "अंधेरा", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0125"},
+        {"id": "words-opposites-0127", "german": "laut", "article": null, "plural": null, "english": "loud", "hindi": "ज़ोर से", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0128"},
+        {"id": "words-opposites-0128", "german": "leise", "article": null, "plural": null, "english": "quiet", "hindi": "शांत", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0127"},
+        {"id": "words-opposites-0129", "german": "teuer", "article": null, "plural": null, "english": "expensive", "hindi": "महंगा", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0130"},
+        {"id": "words-opposites-0130", "german": "billig", "article": null, "plural": null, "english": "cheap", "hindi": "सस्ता", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0129"},
+        {"id": "words-opposites-0131", "german": "neu", "article": null, "plural": null, "english": "new", "hindi": "नया", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0132"},
+        {"id": "words-opposites-0132", "german": "alt", "article": null, "plural": null, "english": "old", "hindi": "पुराना", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0131"},
+        {"id": "words-opposites-0133", "german": "jung", "article": null, "plural": null, "english": "young", "hindi": "जवान", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0134"},
+        {"id": "words-opposites-0134", "german": "alt", "article": null, "plural": null, "english": "old", "hindi": "बूढ़ा", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0133"},
+        {"id": "words-opposites-0135", "german": "richtig", "article": null, "plural": null, "english": "right / correct", "hindi": "सही", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0136"},
+        {"id": "words-opposites-0136", "german": "falsch", "article": null, "plural": null, "english": "wrong / false", "hindi": "गलत", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0135"},
+        {"id": "words-opposites-0137", "german": "schnell", "article": null, "plural": null, "english": "fast / quick", "hindi": "तेज़", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0138"},
+        {"id": "words-opposites-0138", "german": "langsam", "article": null, "plural": null, "english": "slow", "hindi": "धीमा", "translit": null, "level": "A1", "topic": "A1_Objects", "opposite": "words-opposites-0137"},
+        {"id": "words-opposites-0139", "german": "alle", "article": null, "plural": null, "english": "all", "hindi": "सब", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0140"},
+        {"id": "words-opposites-0140", "german": "kein", "article": null, "plural": null, "english": "none / no", "hindi": "कोई नहीं", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0139"},
+        {"id": "words-opposites-0141", "german": "und", "article": null, "plural": null, "english": "and", "hindi": "और", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0142"},
+        {"id": "words-opposites-0142", "german": "oder", "article": null, "plural": null, "english": "or", "hindi": "या", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0141"},
+        {"id": "words-opposites-0143", "german": "ein", "article": null, "plural": null, "english": "a / an", "hindi": "एक", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0144"},
+        {"id": "words-opposites-0144", "german": "kein", "article": null, "plural": null, "english": "no / not a", "hindi": "कोई नहीं", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0143"},
+        {"id": "words-opposites-0145", "german": "viel", "article": null, "plural": null, "english": "much / many", "hindi": "बहुत", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0146"},
+        {"id": "words-opposites-0146", "german": "wenig", "article": null, "plural": null, "english": "little / few", "hindi": "कम", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0145"},
+        {"id": "words-opposites-0147", "german": "groß", "article": null, "plural": null, "english": "big / large", "hindi": "बड़ा", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0148"},
+        {"id": "words-opposites-0148", "german": "klein", "article": null, "plural": null, "english": "small / little", "hindi": "छोटा", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0147"},
+        {"id": "words-opposites-0149", "german": "ja", "article": null, "plural": null, "english": "yes", "hindi": "हाँ", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0150"},
+        {"id": "words-opposites-0150", "german": "nein", "article": null, "plural": null, "english": "no", "hindi": "नहीं", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0149"},
+        {"id": "words-opposites-0151", "german": "immer", "article": null, "plural": null, "english": "always", "hindi": "हमेशा", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0152"},
+        {"id": "words-opposites-0152", "german": "nie", "article": null, "plural": null, "english": "never", "hindi": "कभी नहीं", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0151"},
+        {"id": "words-opposites-0153", "german": "oft", "article": null, "plural": null, "english": "often", "hindi": "अक्सर", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0154"},
+        {"id": "words-opposites-0154", "german": "selten", "article": null, "plural": null, "english": "seldom / rarely", "hindi": "कभी-कभी", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0153"},
+        {"id": "words-opposites-0155", "german": "mehr", "article": null, "plural": null, "english": "more", "hindi": "अधिक", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0156"},
+        {"id": "words-opposites-0156", "german": "weniger", "article": null, "plural": null, "english": "less", "hindi": "कम", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0155"},
+        {"id": "words-opposites-0157", "german": "viele", "article": null, "plural": null, "english": "many", "hindi": "बहुत सारे", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0158"},
+        {"id": "words-opposites-0158", "german": "wenige", "article": null, "plural": null, "english": "few", "hindi": "कुछ", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0157"},
+        {"id": "words-opposites-0159", "german": "jemand", "article": null, "plural": null, "english": "someone", "hindi": "कोई", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0160"},
+        {"id": "words-opposites-0160", "german": "niemand", "article": null, "plural": null, "english": "no one / nobody", "hindi": "कोई नहीं", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0159"},
+        {"id": "words-opposites-0161", "german": "etwas", "article": null, "plural": null, "english": "something", "hindi": "कुछ", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0162"},
+        {"id": "words-opposites-0162", "german": "nichts", "article": null, "plural": null, "english": "nothing", "hindi": "कुछ नहीं", "translit": null, "level": "A1", "topic": "A1_Quantities", "opposite": "words-opposites-0161"},
+        {"id": "words-opposites-0163", "german": "einfach", "article": null, "plural": null, "english": "easy / simple", "hindi": "आसान", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0164"},
+        {"id": "words-opposites-0164", "german": "schwer", "article": null, "plural": null, "english": "difficult / hard", "hindi": "कठिन", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0163"},
+        {"id": "words-opposites-0165", "german": "müde", "article": null, "plural": null, "english": "tired", "hindi": "थका हुआ", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0166"},
+        {"id": "words-opposites-0166", "german": "wach", "article": null, "plural": null, "english": "awake", "hindi": "जागृत", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0165"},
+        {"id": "words-opposites-0167", "german": "hungrig", "article": null, "plural": null, "english": "hungry", "hindi": "भूखा", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0168"},
+        {"id": "words-opposites-0168", "german": "satt", "article": null, "plural": null, "english": "full (after eating)", "hindi": "भरा हुआ", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0167"},
+        {"id": "words-opposites-0169", "german": "durstig", "article": null, "plural": null, "english": "thirsty", "hindi": "प्यासा", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0170"},
+        {"id": "words-opposites-0170", "german": "nicht durstig", "article": null, "plural": null, "english": "not thirsty", "hindi": "प्यास नहीं", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0169"},
+        {"id": "words-opposites-0171", "german": "sicher", "article": null, "plural": null, "english": "safe / sure", "hindi": "सुरक्षित", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0172"},
+        {"id": "words-opposites-0172", "german": "gefährlich", "article": null, "plural": null, "english": "dangerous", "hindi": "खतरनाक", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0171"},
+        {"id": "words-opposites-0173", "german": "aktiv", "article": null, "plural": null, "english": "active", "hindi": "सक्रिय", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0174"},
+        {"id": "words-opposites-0174", "german": "passiv", "article": null, "plural": null, "english": "passive", "hindi": "निष्क्रिय", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0173"},
+        {"id": "words-opposites-0175", "german": "fertig", "article": null, "plural": null, "english": "ready / finished", "hindi": "तैयार", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0176"},
+        {"id": "words-opposites-0176", "german": "nicht fertig", "article": null, "plural": null, "english": "not ready / unfinished", "hindi": "अधूरा", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0175"},
+        {"id": "words-opposites-0177", "german": "frei", "article": null, "plural": null, "english": "free", "hindi": "स्वतंत्र / मुफ्त", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0178"},
+        {"id": "words-opposites-0178", "german": "besetzt", "article": null, "plural": null, "english": "occupied / busy", "hindi": "व्यस्त / कब्जा", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0177"},
+        {"id": "words-opposites-0179", "german": "trocken", "article": null, "plural": null, "english": "dry", "hindi": "सूखा", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0180"},
+        {"id": "words-opposites-0180", "german": "nass", "article": null, "plural": null, "english": "wet", "hindi": "गीला", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0179"},
+        {"id": "words-opposites-0181", "german": "hart", "article": null, "plural": null, "english": "hard", "hindi": "कठिन / सख्त", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0182"},
+        {"id": "words-opposites-0182", "german": "weich", "article": null, "plural": null, "english": "soft", "hindi": "नरम", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0181"},
+        {"id": "words-opposites-0183", "german": "warm", "article": null, "plural": null, "english": "warm", "hindi": "गर्म", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0184"},
+        {"id": "words-opposites-0184", "german": "kalt", "article": null, "plural": null, "english": "cold", "hindi": "ठंडा", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0183"},
+        {"id": "words-opposites-0185", "german": "heiß", "article": null, "plural": null, "english": "hot", "hindi": "गर्म", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0186"},
+        {"id": "words-opposites-0186", "german": "kalt", "article": null, "plural": null, "english": "cold", "hindi": "ठंडा", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0185"},
+        {"id": "words-opposites-0187", "german": "schlafen", "article": null, "plural": null, "english": "sleep", "hindi": "सोना", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0188"},
+        {"id": "words-opposites-0188", "german": "wach sein", "article": null, "plural": null, "english": "be awake", "hindi": "जागृत होना", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0187"},
+        {"id": "words-opposites-0189", "german": "leben", "article": null, "plural": null, "english": "live", "hindi": "जीना", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0190"},
+        {"id": "words-opposites-0190", "german": "sterben", "article": null, "plural": null, "english": "die", "hindi": "मरना", "translit": null, "level": "A1", "topic": "A1_States", "opposite": "words-opposites-0189"},
+        {"id": "words-opposites-0191", "german": "Erde", "article": "die", "plural": null, "english": "earth", "hindi": "पृथ्वी", "translit": null, "level": "A1", "topic": "A1_Nature", "opposite": "words-opposites-0192"},
+        {"id": "words-opposites-0192", "german": "Himmel", "article": "der", "plural": null, "english": "sky / heaven", "hindi": "आसमान", "translit": null, "level": "A1", "topic": "A1_Nature", "opposite": "words-opposites-0191"},
+        {"id": "words-opposites-0193", "german": "Wasser", "article": "das", "plural": null, "english": "water", "hindi": "पानी", "translit": null, "level": "A1", "topic": "A1_Nature", "opposite": "words-opposites-0194"},
+        {"id": "words-opposites-0194", "german": "Feuer", "article": "das", "plural": null, "english": "fire", "hindi": "आग", "translit": null, "level": "A1", "topic": "A1_Nature", "opposite": "words-opposites-0193"},
+        {"id": "words-opposites-0195", "german": "Eis", "article": "das", "plural": null, "english": "ice", "hindi": "बर्फ", "translit": null, "level": "A1", "topic": "A1_Nature", "opposite": "words-opposites-0196"},
+        {"id": "words-opposites-0196", "german": "Feuer", "article": "das", "plural": null, "english": "fire", "hindi": "आग", "translit": null, "level": "A1", "topic": "A1_Nature", "opposite": "words-opposites-0195"},
+        {"id": "words-opposites-0197", "german": "fröhlich", "article": null, "plural": null, "english": "cheerful / happy", "hindi": "खुश", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0198"},
+        {"id": "words-opposites-0198", "german": "traurig", "article": null, "plural": null, "english": "sad", "hindi": "उदास", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0197"},
+        {"id": "words-opposites-0199", "german": "zufrieden", "article": null, "plural": null, "english": "satisfied / content", "hindi": "संतुष्ट", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0200"},
+        {"id": "words-opposites-0200", "german": "unzufrieden", "article": null, "plural": null, "english": "dissatisfied", "hindi": "असंतुष्ट", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0199"},
+        {"id": "words-opposites-0201", "german": "ruhig", "article": null, "plural": null, "english": "calm / quiet", "hindi": "शांत", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0202"},
+        {"id": "words-opposites-0202", "german": "aufgeregt", "article": null, "plural": null, "english": "excited / agitated", "hindi": "उत्तेजित", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0201"},
+        {"id": "words-opposites-0203", "german": "entspannt", "article": null, "plural": null, "english": "relaxed", "hindi": "आरामदायक", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0204"},
+        {"id": "words-opposites-0204", "german": "gestresst", "article": null, "plural": null, "english": "stressed", "hindi": "तनावग्रस्त", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0203"},
+        {"id": "words-opposites-0205", "german": "mutig", "article": null, "plural": null, "english": "brave / courageous", "hindi": "बहादुर", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0206"},
+        {"id": "words-opposites-0206", "german": "ängstlich", "article": null, "plural": null, "english": "afraid / fearful", "hindi": "डरपोक", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0205"},
+        {"id": "words-opposites-0207", "german": "stolz", "article": null, "plural": null, "english": "proud", "hindi": "गर्वित", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0208"},
+        {"id": "words-opposites-0208", "german": "bescheiden", "article": null, "plural": null, "english": "modest / humble", "hindi": "विनम्र", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0207"},
+        {"id": "words-opposites-0209", "german": "hoffnungsvoll", "article": null, "plural": null, "english": "hopeful", "hindi": "आशावादी", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0210"},
+        {"id": "words-opposites-0210", "german": "hoffnungslos", "article": null, "plural": null, "english": "hopeless", "hindi": "निराश", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0209"},
+        {"id": "words-opposites-0211", "german": "glücklich", "article": null, "plural": null, "english": "happy", "hindi": "खुश", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0212"},
+        {"id": "words-opposites-0212", "german": "unglücklich", "article": null, "plural": null, "english": "unhappy", "hindi": "दुखी", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0211"},
+        {"id": "words-opposites-0213", "german": "optimistisch", "article": null, "plural": null, "english": "optimistic", "hindi": "आशावादी", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0214"},
+        {"id": "words-opposites-0214", "german": "pessimistisch", "article": null, "plural": null, "english": "pessimistic", "hindi": "निराशावादी", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0213"},
+        {"id": "words-opposites-0215", "german": "selbstbewusst", "article": null, "plural": null, "english": "self-confident", "hindi": "आत्मविश्वासी", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0216"},
+        {"id": "words-opposites-0216", "german": "unsicher", "article": null, "plural": null, "english": "insecure / uncertain", "hindi": "अनिश्चित", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0215"},
+        {"id": "words-opposites-0217", "german": "entschlossen", "article": null, "plural": null, "english": "determined / resolute", "hindi": "दृढ़ निश्चयी", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0218"},
+        {"id": "words-opposites-0218", "german": "unentschlossen", "article": null, "plural": null, "english": "indecisive / undecided", "hindi": "अनिर्णायक", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0217"},
+        {"id": "words-opposites-0219", "german": "begeistert", "article": null, "plural": null, "english": "enthusiastic / excited", "hindi": "उत्साहित", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0220"},
+        {"id": "words-opposites-0220", "german": "gleichgültig", "article": null, "plural": null, "english": "indifferent / apathetic", "hindi": "उदासीन", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0219"},
+        {"id": "words-opposites-0221", "german": "lachen", "article": null, "plural": null, "english": "laugh", "hindi": "हंसना", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0222"},
+        {"id": "words-opposites-0222", "german": "weinen", "article": null, "plural": null, "english": "cry / weep", "hindi": "रोना", "translit": null, "level": "A2", "topic": "A2_Emotions", "opposite": "words-opposites-0221"},
+        {"id": "words-opposites-0223", "german": "arbeiten", "article": null, "plural": null, "english": "work", "hindi": "काम करना", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0224"},
+        {"id": "words-opposites-0224", "german": "ruhen", "article": null, "plural": null, "english": "rest", "hindi": "आराम करना", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0223"},
+        {"id": "words-opposites-0225", "german": "beschäftigt", "article": null, "plural": null, "english": "busy", "hindi": "व्यस्त", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0226"},
+        {"id": "words-opposites-0226", "german": "frei", "article": null, "plural": null, "english": "free", "hindi": "खाली / मुफ्त", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0225"},
+        {"id": "words-opposites-0227", "german": "erfolgreich", "article": null, "plural": null, "english": "successful", "hindi": "सफल", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0228"},
+        {"id": "words-opposites-0228", "german": "erfolglos", "article": null, "plural": null, "english": "unsuccessful", "hindi": "असफल", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0227"},
+        {"id": "words-opposites-0229", "german": "fleißig", "article": null, "plural": null, "english": "hardworking / diligent", "hindi": "मेहनती", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0230"},
+        {"id": "words-opposites-0230", "german": "faul", "article": null, "plural": null, "english": "lazy", "hindi": "आलसी", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0229"},
+        {"id": "words-opposites-0231", "german": "pünktlich", "article": null, "plural": null, "english": "punctual / on time", "hindi": "समय पर", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0232"},
+        {"id": "words-opposites-0232", "german": "verspätet", "article": null, "plural": null, "english": "late / delayed", "hindi": "देर से", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0231"},
+        {"id": "words-opposites-0233", "german": "berufstätig", "article": null, "plural": null, "english": "employed", "hindi": "काम करने वाला", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0234"},
+        {"id": "words-opposites-0234", "german": "arbeitslos", "article": null, "plural": null, "english": "unemployed", "hindi": "बेरोजगार", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0233"},
+        {"id": "words-opposites-0235", "german": "qualifiziert", "article": null, "plural": null, "english": "qualified", "hindi": "योग्य", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0236"},
+        {"id": "words-opposites-0236", "german": "unqualifiziert", "article": null, "plural": null, "english": "unqualified", "hindi": "अयोग्य", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0235"},
+        {"id": "words-opposites-0237", "german": "erfahren", "article": null, "plural": null, "english": "experienced", "hindi": "अनुभवी", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0238"},
+        {"id": "words-opposites-0238", "german": "unerfahren", "article": null, "plural": null, "english": "inexperienced", "hindi": "अनुभवहीन", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0237"},
+        {"id": "words-opposites-0239", "german": "verantwortlich", "article": null, "plural": null, "english": "responsible", "hindi": "जिम्मेदार", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0240"},
+        {"id": "words-opposites-0240", "german": "unverantwortlich", "article": null, "plural": null, "english": "irresponsible", "hindi": "अजिम्मेदार", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0239"},
+        {"id": "words-opposites-0241", "german": "organisiert", "article": null, "plural": null, "english": "organized", "hindi": "संगठित", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0242"},
+        {"id": "words-opposites-0242", "german": "unorganisiert", "article": null, "plural": null, "english": "disorganized", "hindi": "असंगठित", "translit": null, "level": "A2", "topic": "A2_Work", "opposite": "words-opposites-0241"},
+        {"id": "words-opposites-0243", "german": "möglich", "article": null, "plural": null, "english": "possible", "hindi": "संभव", "translit": null, "level": "A2", "topic": "A2_Abstract", "opposite": "words-opposites-0244"},
+        {"id": "words-opposites-0244", "german": "unmöglich", "article": null, "plural": null, "english": "impossible", "hindi": "असंभव", "translit": null, "level": "A2", "topic": "A2_Abstract", "opposite": "words-opposites-0243"},
+        {"id": "words-opposites-0245", "german": "wahrscheinlich", "article": null, "plural": null, "english": "probable / likely", "hindi": "संभावित", "translit": null, "level": "A2", "topic": "A2_Abstract", "opposite": "words-opposites-0246"},
+        {"id": "words-opposites-0246", "german": "unwahrscheinlich", "article": null, "plural": null, "english": "improbable / unlikely", "hindi": "असंभावित", "translit": null, "level": "A2", "topic": "A2_Abstract", "opposite": "words-opposites-0245"},
+        {"id": "words-opposites-0247", "german": "notwendig", "article": null, "plural": null, "english": "necessary", "hindi": "आवश्यक", "translit": null, "level": "A2", "topic": "A2_Abstract", "opposite": "words-opposites-0248"},
+        {"id": "words-opposites-0248", "german": "unnötig", "article": null, "plural": null, "english": "unnecessary", "hindi": "अनावश्यक", "translit": null, "level": "A2", "topic": "A2_Abstract", "opposite": "words-opposites-0247"},
+        {"id": "words-opposites-0249", "german": "erlaubt", "article": null, "plural": null, "english": "allowed / permitted", "hindi": "अनुमति दिया", "translit": null, "level": "A2", "topic": "A2_Abstract", "opposite": "words-opposites-0250"},
+        {"id": "words-opposites-0250", "german": "verboten", "article": null, "plural": null, "english": "forbidden / prohibited", "hindi": "मना किया", "translit": null, "level": "A2", "topic": "A2_Abstract", "opposite": "words-opposites-0249"},
+        {"id": "words-opposites-0251", "german": "normal", "article": null, "plural": null, "english": "normal", "hindi": "सामान्य", "translit": null, "level": "A2", "topic": "A2_Abstract", "opposite": "words-opposites-0252"},
+        {"id": "words-opposites-0252", "german": "unnormal", "article": null, "plural": null, "english": "abnormal", "hindi": "असामान्य", "translit": null, "level": "A2", "topic": "A2_Abstract", "opposite": "words-opposites-0251"},
+        {"id": "words-opposites-0253", "german": "gewöhnlich", "article": null, "plural": null, "english": "usual / common", "hindi": "सामान्य", "translit": null, "level": "A2", "topic": "A2_Abstract", "opposite": "words-opposites-0254"},
+        {"id": "words-opposites-0254", "german": "ungewöhnlich", "article": null, "plural": null, "english": "unusual / uncommon", "hindi": "असामान्य", "translit": null, "level": "A2", "topic": "A2_Abstract", "opposite": "words-opposites-0253"},
+        {"id": "words-opposites-0255", "german": "logisch", "article": null, "plural": null, "english": "logical", "hindi": "तार्किक", "translit": null, "level": "A2", "topic": "A2_Abstract", "opposite": "words-opposites-0256"},
+        {"id": "words-opposites-0256", "german": "unlogisch", "article": null, "plural": null, "english": "illogical", "hindi": "अतार्किक", "translit": null, "level": "A2", "topic": "A2_Abstract", "opposite": "words-opposites-0255"},
+        {"id": "words-opposites-0257", "german": "freundlich", "article": null, "plural": null, "english": "friendly", "hindi": "दोस्ताना", "translit": null, "level": "A2", "topic": "A2_Relationships", "opposite": "words-opposites-0258"},
+        {"id": "words-opposites-0258", "german": "feindlich", "article": null, "plural": null, "english": "hostile / unfriendly", "hindi": "शत्रुतापूर्ण", "translit": null, "level": "A2", "topic": "A2_Relationships", "opposite": "words-opposites-0257"},
+        {"id": "words-opposites-0259", "german": "höflich", "article": null, "plural": null, "english": "polite", "hindi": "विनम्र", "translit": null, "level": "A2", "topic": "A2_Relationships", "opposite": "words-opposites-0260"},
+        {"id": "words-opposites-0260", "german": "unhöflich", "article": null, "plural": null, "english": "impolite / rude", "hindi": "अशिष्ट", "translit": null, "level": "A2", "topic": "A2_Relationships", "opposite": "words-opposites-0259"},
+        {"id": "words-opposites-0261", "german": "hilfsbereit", "article": null, "plural": null, "english": "helpful", "hindi": "सहायक", "translit": null, "level": "A2", "topic": "A2_Relationships", "opposite": "words-opposites-0262"},
+        {"id": "words-opposites-0262", "german": "nicht hilfsbereit", "article": null, "plural": null, "english": "unhelpful", "hindi": "असहायक", "translit": null, "level": "A2", "topic": "A2_Relationships", "opposite": "words-opposites-0261"},
+        {"id": "words-opposites-0263", "german": "geduldig", "article": null, "plural": null, "english": "patient", "hindi": "धैर्यवान", "translit": null, "level": "A2", "topic": "A2_Relationships", "opposite": "words-opposites-0264"},
+        {"id": "words-opposites-0264", "german": "ungeduldig", "article": null, "plural": null, "english": "impatient", "hindi": "अधीर", "translit": null, "level": "A2", "topic": "A2_Relationships", "opposite": "words-opposites-0263"},
+        {"id": "words-opposites-0265", "german": "tolerant", "article": null, "plural": null, "english": "tolerant", "hindi": "सहिष्णु", "translit": null, "level": "A2", "topic": "A2_Relationships", "opposite": "words-opposites-0266"},
+        {"id": "words-opposites-0266", "german": "intolerant", "article": null, "plural": null, "english": "intolerant", "hindi": "असहिष्णु", "translit": null, "level": "A2", "topic": "A2_Relationships", "opposite": "words-opposites-0265"},
+        {"id": "words-opposites-0267", "german": "ehrlich", "article": null, "plural": null, "english": "honest", "hindi": "ईमानदार", "translit": null, "level": "A2", "topic": "A2_Relationships", "opposite": "words-opposites-0268"},
+        {"id": "words-opposites-0268", "german": "unehrlich", "article": null, "plural": null, "english": "dishonest", "hindi": "बेईमान", "translit": null, "level": "A2", "topic": "A2_Relationships", "opposite": "words-opposites-0267"},
+        {"id": "words-opposites-0269", "german": "vertrauensvoll", "article": null, "plural": null, "english": "trusting", "hindi": "विश्वासपूर्ण", "translit": null, "level": "A2", "topic": "A2_Relationships", "opposite": "words-opposites-0270"},
+        {"id": "words-opposites-0270", "german": "misstrauisch", "article": null, "plural": null, "english": "distrustful / suspicious", "hindi": "शक करने वाला", "translit": null, "level": "A2", "topic": "A2_Relationships", "opposite": "words-opposites-0269"},
+        {"id": "words-opposites-0271", "german": "respektvoll", "article": null, "plural": null, "english": "respectful", "hindi": "सम्मानपूर्ण", "translit": null, "level": "A2", "topic": "A2_Relationships", "opposite": "words-opposites-0272"},
+        {"id": "words-opposites-0272", "german": "respektlos", "article": null, "plural": null, "english": "disrespectful", "hindi": "असम्मानजनक", "translit": null, "level": "A2", "topic": "A2_Relationships", "opposite": "words-opposites-0271"},
+        {"id": "words-opposites-0273", "german": "kooperativ", "article": null, "plural": null, "english": "cooperative", "hindi": "सहयोगी", "translit": null, "level": "A2", "topic": "A2_Relationships", "opposite": "words-opposites-0274"},
+        {"id": "words-opposites-0274", "german": "unkooperativ", "article": null, "plural": null, "english": "uncooperative", "hindi": "असहयोगी", "translit": null, "level": "A2", "topic": "A2_Relationships", "opposite": "words-opposites-0273"},
+        {"id": "words-opposites-0275", "german": "hochwertig", "article": null, "plural": null, "english": "high quality", "hindi": "उच्च गुणवत्ता", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0276"},
+        {"id": "words-opposites-0276", "german": "minderwertig", "article": null, "plural": null, "english": "low quality", "hindi": "निम्न गुणवत्ता", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0275"},
+        {"id": "words-opposites-0277", "german": "wertvoll", "article": null, "plural": null, "english": "valuable", "hindi": "मूल्यवान", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0278"},
+        {"id": "words-opposites-0278", "german": "wertlos", "article": null, "plural": null, "english": "worthless", "hindi": "बेकार", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0277"},
+        {"id": "words-opposites-0279", "german": "nützlich", "article": null, "plural": null, "english": "useful", "hindi": "उपयोगी", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0280"},
+        {"id": "words-opposites-0280", "german": "nutzlos", "article": null, "plural": null, "english": "useless", "hindi": "बेकार", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0279"},
+        {"id": "words-opposites-0281", "german": "praktisch", "article": null, "plural": null, "english": "practical", "hindi": "व्यावहारिक", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0282"},
+        {"id": "words-opposites-0282", "german": "unpraktisch", "article": null, "plural": null, "english": "impractical", "hindi": "अव्यावहारिक", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0281"},
+        {"id": "words-opposites-0283", "german": "effizient", "article": null, "plural": null, "english": "efficient", "hindi": "कुशल", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0284"},
+        {"id": "words-opposites-0284", "german": "ineffizient", "article": null, "plural": null, "english": "inefficient", "hindi": "अकुशल", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0283"},
+        {"id": "words-opposites-0285", "german": "perfekt", "article": null, "plural": null, "english": "perfect", "hindi": "सही", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0286"},
+        {"id": "words-opposites-0286", "german": "unvollkommen", "article": null, "plural": null, "english": "imperfect", "hindi": "अपूर्ण", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0285"},
+        {"id": "words-opposites-0287", "german": "vorteilhaft", "article": null, "plural": null, "english": "advantageous / beneficial", "hindi": "फायदेमंद", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0288"},
+        {"id": "words-opposites-0288", "german": "nachteilig", "article": null, "plural": null, "english": "disadvantageous / harmful", "hindi": "नुकसानदेह", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0287"},
+        {"id": "words-opposites-0289", "german": "geeignet", "article": null, "plural": null, "english": "suitable / appropriate", "hindi": "उपयुक्त", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0290"},
+        {"id": "words-opposites-0290", "german": "ungeeignet", "article": null, "plural": null, "english": "unsuitable / inappropriate", "hindi": "अनुपयुक्त", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0289"},
+        {"id": "words-opposites-0291", "german": "zuverlässig", "article": null, "plural": null, "english": "reliable / trustworthy", "hindi": "विश्वसनीय", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0292"},
+        {"id": "words-opposites-0292", "german": "unzuverlässig", "article": null, "plural": null, "english": "unreliable", "hindi": "अविश्वसनीय", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0291"},
+        {"id": "words-opposites-0293", "german": "genau", "article": null, "plural": null, "english": "precise / exact", "hindi": "सटीक", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0294"},
+        {"id": "words-opposites-0294", "german": "ungenau", "article": null, "plural": null, "english": "imprecise / inexact", "hindi": "असटीक", "translit": null, "level": "A2", "topic": "A2_Quality", "opposite": "words-opposites-0293"},
+        {"id": "words-opposites-0295", "german": "dauerhaft", "article": null, "plural": null, "english": "permanent / lasting", "hindi": "स्थायी", "translit": null, "level": "A2", "topic": "A2_Time", "opposite": "words-opposites-0296"},
+        {"id": "words-opposites-0296", "german": "vorübergehend", "article": null, "plural": null, "english": "temporary", "hindi": "अस्थायी", "translit": null, "level": "A2", "topic": "A2_Time", "opposite": "words-opposites-0295"},
+        {"id": "words-opposites-0297", "german": "ständig", "article": null, "plural": null, "english": "constant / continuous", "hindi": "निरंतर", "translit": null, "level": "A2", "topic": "A2_Time", "opposite": "words-opposites-0298"},
+        {"id": "words-opposites-0298", "german": "gelegentlich", "article": null, "plural": null, "english": "occasional", "hindi": "कभी-कभी", "translit": null, "level": "A2", "topic": "A2_Time", "opposite": "words-opposites-0297"},
+        {"id": "words-opposites-0299", "german": "sofort", "article": null, "plural": null, "english": "immediately", "hindi": "तुरंत", "translit": null, "level": "A2", "topic": "A2_Time", "opposite": "words-opposites-0300"},
+        {"id": "words-opposites-0300", "german": "später", "article": null, "plural": null, "english": "later", "hindi": "बाद में", "translit": null, "level": "A2", "topic": "A2_Time", "opposite": "words-opposites-0299"},
+        {"id": "words-opposites-0301", "german": "rechtzeitig", "article": null, "plural": null, "english": "on time / timely", "hindi": "समय पर", "translit": null, "level": "A2", "topic": "A2_Time", "opposite": "words-opposites-0302"},
+        {"id": "words-opposites-0302", "german": "zu spät", "article": null, "plural": null, "english": "too late", "hindi": "बहुत देर से", "translit": null, "level": "A2", "topic": "A2_Time", "opposite": "words-opposites-0301"},
+        {"id": "words-opposites-0303", "german": "frühzeitig", "article": null, "plural": null, "english": "early / premature", "hindi": "जल्दी", "translit": null, "level": "A2", "topic": "A2_Time", "opposite": "words-opposites-0304"},
+        {"id": "words-opposites-0304", "german": "verspätet", "article": null, "plural": null, "english": "delayed / late", "hindi": "देर से", "translit": null, "level": "A2", "topic": "A2_Time", "opposite": "words-opposites-0303"},
+        {"id": "words-opposites-0305", "german": "regelmäßig", "article": null, "plural": null, "english": "regular", "hindi": "नियमित", "translit": null, "level": "A2", "topic": "A2_Time", "opposite": "words-opposites-0306"},
+        {"id": "words-opposites-0306", "german": "unregelmäßig", "article": null, "plural": null, "english": "irregular", "hindi": "अनियमित", "translit": null, "level": "A2", "topic": "A2_Time", "opposite": "words-opposites-0305"},
+        {"id": "words-opposites-0307", "german": "pünktlich", "article": null, "plural": null, "english": "punctual", "hindi": "समय पर", "translit": null, "level": "A2", "topic": "A2_Time", "opposite": "words-opposites-0308"},
+        {"id": "words-opposites-0308", "german": "unpünktlich", "article": null, "plural": null, "english": "unpunctual", "hindi": "असमय", "translit": null, "level": "A2", "topic": "A2_Time", "opposite": "words-opposites-0307"},
+        {"id": "words-opposites-0309", "german": "zeitlich", "article": null, "plural": null, "english": "temporal / time-related", "hindi": "समयबद्ध", "translit": null, "level": "A2", "topic": "A2_Time", "opposite": "words-opposites-0310"},
+        {"id": "words-opposites-0310", "german": "zeitlos", "article": null, "plural": null, "english": "timeless", "hindi": "कालातीत", "translit": null, "level": "A2", "topic": "A2_Time", "opposite": "words-opposites-0309"},
+        {"id": "words-opposites-0311", "german": "ankommen", "article": null, "plural": null, "english": "arrive", "hindi": "पहुंचना", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0312"},
+        {"id": "words-opposites-0312", "german": "abfahren", "article": null, "plural": null, "english": "depart / leave", "hindi": "रवाना होना", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0311"},
+        {"id": "words-opposites-0313", "german": "einsteigen", "article": null, "plural": null, "english": "get on / board", "hindi": "चढ़ना", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0314"},
+        {"id": "words-opposites-0314", "german": "aussteigen", "article": null, "plural": null, "english": "get off / alight", "hindi": "उतरना", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0313"},
+        {"id": "words-opposites-0315", "german": "betreten", "article": null, "plural": null, "english": "enter", "hindi": "प्रवेश करना", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0316"},
+        {"id": "words-opposites-0316", "german": "verlassen", "article": null, "plural": null, "english": "leave / exit", "hindi": "छोड़ना", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0315"},
+        {"id": "words-opposites-0317", "german": "hinauf", "article": null, "plural": null, "english": "up / upward", "hindi": "ऊपर", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0318"},
+        {"id": "words-opposites-0318", "german": "hinunter", "article": null, "plural": null, "english": "down / downward", "hindi": "नीचे", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0317"},
+        {"id": "words-opposites-0319", "german": "vorwärts", "article": null, "plural": null, "english": "forward", "hindi": "आगे", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0320"},
+        {"id": "words-opposites-0320", "german": "rückwärts", "article": null, "plural": null, "english": "backward", "hindi": "पीछे", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0319"},
+        {"id": "words-opposites-0321", "german": "näher", "article": null, "plural": null, "english": "closer / nearer", "hindi": "नज़दीक", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0322"},
+        {"id": "words-opposites-0322", "german": "weiter", "article": null, "plural": null, "english": "farther / further", "hindi": "दूर", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0321"},
+        {"id": "words-opposites-0323", "german": "hinzufügen", "article": null, "plural": null, "english": "add", "hindi": "जोड़ना", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0324"},
+        {"id": "words-opposites-0324", "german": "entfernen", "article": null, "plural": null, "english": "remove", "hindi": "हटाना", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0323"},
+        {"id": "words-opposites-0325", "german": "aufsteigen", "article": null, "plural": null, "english": "ascend / go up", "hindi": "चढ़ना", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0326"},
+        {"id": "words-opposites-0326", "german": "absteigen", "article": null, "plural": null, "english": "descend / go down", "hindi": "उतरना", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0325"},
+        {"id": "words-opposites-0327", "german": "sich nähern", "article": null, "plural": null, "english": "approach / get closer", "hindi": "नज़दीक आना", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0328"},
+        {"id": "words-opposites-0328", "german": "sich entfernen", "article": null, "plural": null, "english": "move away / distance", "hindi": "दूर जाना", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0327"},
+        {"id": "words-opposites-0329", "german": "zusammenkommen", "article": null, "plural": null, "english": "come together / meet", "hindi": "एक साथ आना", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0330"},
+        {"id": "words-opposites-0330", "german": "sich trennen", "article": null, "plural": null, "english": "separate / part", "hindi": "अलग होना", "translit": null, "level": "A2", "topic": "A2_Location", "opposite": "words-opposites-0329"},
+        {"id": "words-opposites-0331", "german": "verstehen", "article": null, "plural": null, "english": "understand", "hindi": "समझना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0332"},
+        {"id": "words-opposites-0332", "german": "missverstehen", "article": null, "plural": null, "english": "misunderstand", "hindi": "गलत समझना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0331"},
+        {"id": "words-opposites-0333", "german": "zustimmen", "article": null, "plural": null, "english": "agree", "hindi": "सहमत होना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0334"},
+        {"id": "words-opposites-0334", "german": "ablehnen", "article": null, "plural": null, "english": "disagree / reject", "hindi": "असहमत होना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0333"},
+        {"id": "words-opposites-0335", "german": "loben", "article": null, "plural": null, "english": "praise", "hindi": "प्रशंसा करना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0336"},
+        {"id": "words-opposites-0336", "german": "kritisieren", "article": null, "plural": null, "english": "criticize", "hindi": "आलोचना करना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0335"},
+        {"id": "words-opposites-0337", "german": "versprechen", "article": null, "plural": null, "english": "promise", "hindi": "वादा करना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0338"},
+        {"id": "words-opposites-0338", "german": "brechen", "article": null, "plural": null, "english": "break (promise)", "hindi": "तोड़ना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0337"},
+        {"id": "words-opposites-0339", "german": "erklären", "article": null, "plural": null, "english": "explain", "hindi": "समझाना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0340"},
+        {"id": "words-opposites-0340", "german": "verwirren", "article": null, "plural": null, "english": "confuse", "hindi": "उलझाना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0339"},
+        {"id": "words-opposites-0341", "german": "akzeptieren", "article": null, "plural": null, "english": "accept", "hindi": "स्वीकार करना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0342"},
+        {"id": "words-opposites-0342", "german": "ablehnen", "article": null, "plural": null, "english": "reject / decline", "hindi": "अस्वीकार करना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0341"},
+        {"id": "words-opposites-0343", "german": "bestätigen", "article": null, "plural": null, "english": "confirm", "hindi": "पुष्टि करना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0344"},
+        {"id": "words-opposites-0344", "german": "leugnen", "article": null, "plural": null, "english": "deny", "hindi": "इनकार करना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0343"},
+        {"id": "words-opposites-0345", "german": "akzeptieren", "article": null, "plural": null, "english": "accept", "hindi": "स्वीकार करना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0346"},
+        {"id": "words-opposites-0346", "german": "verweigern", "article": null, "plural": null, "english": "refuse / deny", "hindi": "मना करना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0345"},
+        {"id": "words-opposites-0347", "german": "bestätigen", "article": null, "plural": null, "english": "confirm", "hindi": "पुष्टि करना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0348"},
+        {"id": "words-opposites-0348", "german": "leugnen", "article": null, "plural": null, "english": "deny", "hindi": "इनकार करना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0347"},
+        {"id": "words-opposites-0349", "german": "sich entschuldigen", "article": null, "plural": null, "english": "apologize", "hindi": "माफी मांगना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0350"},
+        {"id": "words-opposites-0350", "german": "beschuldigen", "article": null, "plural": null, "english": "accuse / blame", "hindi": "आरोप लगाना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0349"},
+        {"id": "words-opposites-0351", "german": "empfehlen", "article": null, "plural": null, "english": "recommend", "hindi": "सुझाव देना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0352"},
+        {"id": "words-opposites-0352", "german": "abraten", "article": null, "plural": null, "english": "advise against / discourage", "hindi": "मना करना", "translit": null, "level": "A2", "topic": "A2_Communication", "opposite": "words-opposites-0351"},
+        {"id": "words-opposites-0353", "german": "fit", "article": null, "plural": null, "english": "fit", "hindi": "फिट", "translit": null, "level": "A2", "topic": "A2_Health", "opposite": "words-opposites-0354"},
+        {"id": "words-opposites-0354", "german": "unfit", "article": null, "plural": null, "english": "unfit", "hindi": "अफिट", "translit": null, "level": "A2", "topic": "A2_Health", "opposite": "words-opposites-0353"},
+        {"id": "words-opposites-0355", "german": "energisch", "article": null, "plural": null, "english": "energetic", "hindi": "ऊर्जावान", "translit": null, "level": "A2", "topic": "A2_Health", "opposite": "words-opposites-0356"},
+        {"id": "words-opposites-0356", "german": "erschöpft", "article": null, "plural": null, "english": "exhausted", "hindi": "थका हुआ", "translit": null, "level": "A2", "topic": "A2_Health", "opposite": "words-opposites-0355"},
+        {"id": "words-opposites-0357", "german": "heilen", "article": null, "plural": null, "english": "heal / cure", "hindi": "ठीक करना", "translit": null, "level": "A2", "topic": "A2_Health", "opposite": "words-opposites-0358"},
+        {"id": "words-opposites-0358", "german": "verletzen", "article": null, "plural": null, "english": "injure / hurt", "hindi": "चोट पहुंचाना", "translit": null, "level": "A2", "topic": "A2_Health", "opposite": "words-opposites-0357"},
+        {"id": "words-opposites-0359", "german": "sich erholen", "article": null, "plural": null, "english": "recover", "hindi": "स्वस्थ होना", "translit": null, "level": "A2", "topic": "A2_Health", "opposite": "words-opposites-0360"},
+        {"id": "words-opposites-0360", "german": "erkranken", "article": null, "plural": null, "english": "fall ill / get sick", "hindi": "बीमार होना", "translit": null, "level": "A2", "topic": "A2_Health", "opposite": "words-opposites-0359"},
+        {"id": "words-opposites-0361", "german": "behandeln", "article": null, "plural": null, "english": "treat (medically)", "hindi": "इलाज करना", "translit": null, "level": "A2", "topic": "A2_Health", "opposite": "words-opposites-0362"},
+        {"id": "words-opposites-0362", "german": "vernachlässigen", "article": null, "plural": null, "english": "neglect", "hindi": "उपेक्षा करना", "translit": null, "level": "A2", "topic": "A2_Health", "opposite": "words-opposites-0361"},
+        {"id": "words-opposites-0363", "german": "lebendig", "article": null, "plural": null, "english": "alive / lively", "hindi": "जीवित", "translit": null, "level": "A2", "topic": "A2_Health", "opposite": "words-opposites-0364"},
+        {"id": "words-opposites-0364", "german": "tot", "article": null, "plural": null, "english": "dead", "hindi": "मृत", "translit": null, "level": "A2", "topic": "A2_Health", "opposite": "words-opposites-0363"},
+        {"id": "words-opposites-0365", "german": "energisch", "article": null, "plural": null, "english": "energetic", "hindi": "ऊर्जावान", "translit": null, "level": "A2", "topic": "A2_Health", "opposite": "words-opposites-0366"},
+        {"id": "words-opposites-0366", "german": "erschöpft", "article": null, "plural": null, "english": "exhausted", "hindi": "थका हुआ", "translit": null, "level": "A2", "topic": "A2_Health", "opposite": "words-opposites-0365"},
+        {"id": "words-opposites-0367", "german": "heilen", "article": null, "plural": null, "english": "heal / cure", "hindi": "ठीक करना", "translit": null, "level": "A2", "topic": "A2_Health", "opposite": "words-opposites-0368"},
+        {"id": "words-opposites-0368", "german": "verletzen", "article": null, "plural": null, "english": "injure / hurt", "hindi": "चोट पहुंचाना", "translit": null, "level": "A2", "topic": "A2_Health", "opposite": "words-opposites-0367"},
+        {"id": "words-opposites-0369", "german": "sich erholen", "article": null, "plural": null, "english": "recover", "hindi": "स्वस्थ होना", "translit": null, "level": "A2", "topic": "A2_Health", "opposite": "words-opposites-0370"},
+        {"id": "words-opposites-0370", "german": "erkranken", "article": null, "plural": null, "english": "fall ill / get sick", "hindi": "बीमार होना", "translit": null, "level": "A2", "topic": "A2_Health", "opposite": "words-opposites-0369"},
+        {"id": "words-opposites-0371", "german": "öffentlich", "article": null, "plural": null, "english": "public", "hindi": "सार्वजनिक", "translit": null, "level": "A2", "topic": "A2_Social", "opposite": "words-opposites-0372"},
+        {"id": "words-opposites-0372", "german": "privat", "article": null, "plural": null, "english": "private", "hindi": "निजी", "translit": null, "level": "A2", "topic": "A2_Social", "opposite": "words-opposites-0371"},
+        {"id": "words-opposites-0373", "german": "gemeinsam", "article": null, "plural": null, "english": "together / shared", "hindi": "साझा", "translit": null, "level": "A2", "topic": "A2_Social", "opposite": "words-opposites-0374"},
+        {"id": "words-opposites-0374", "german": "einzeln", "article": null, "plural": null, "english": "separate / individual", "hindi": "अलग", "translit": null, "level": "A2", "topic": "A2_Social", "opposite": "words-opposites-0373"},
+        {"id": "words-opposites-0375", "german": "sozial", "article": null, "plural": null, "english": "social", "hindi": "सामाजिक", "translit": null, "level": "A2", "topic": "A2_Social", "opposite": "words-opposites-0376"},
+        {"id": "words-opposites-0376", "german": "asozial", "article": null, "plural": null, "english": "antisocial", "hindi": "असामाजिक", "translit": null, "level": "A2", "topic": "A2_Social", "opposite": "words-opposites-0375"},
+        {"id": "words-opposites-0377", "german": "altruistisch", "article": null, "plural": null, "english": "altruistic", "hindi": "परोपकारी", "translit": null, "level": "A2", "topic": "A2_Social", "opposite": "words-opposites-0378"},
+        {"id": "words-opposites-0378", "german": "egoistisch", "article": null, "plural": null, "english": "selfish", "hindi": "स्वार्थी", "translit": null, "level": "A2", "topic": "A2_Social", "opposite": "words-opposites-0377"},
+        {"id": "words-opposites-0379", "german": "großzügig", "article": null, "plural": null, "english": "generous", "hindi": "उदार", "translit": null, "level": "A2", "topic": "A2_Social", "opposite": "words-opposites-0380"},
+        {"id": "words-opposites-0380", "german": "geizig", "article": null, "plural": null, "english": "stingy / miserly", "hindi": "कंजूस", "translit": null, "level": "A2", "topic": "A2_Social", "opposite": "words-opposites-0379"},
+        {"id": "words-opposites-0381", "german": "fair", "article": null, "plural": null, "english": "fair", "hindi": "निष्पक्ष", "translit": null, "level": "A2", "topic": "A2_Social", "opposite": "words-opposites-0382"},
+        {"id": "words-opposites-0382", "german": "unfair", "article": null, "plural": null, "english": "unfair", "hindi": "अनुचित", "translit": null, "level": "A2", "topic": "A2_Social", "opposite": "words-opposites-0381"},
+        {"id": "words-opposites-0383", "german": "nützlich", "article": null, "plural": null, "english": "useful", "hindi": "उपयोगी", "translit": null, "level": "B1", "topic": "B1_Usefulness", "opposite": "words-opposites-0384"},
+        {"id": "words-opposites-0384", "german": "unnützlich", "article": null, "plural": null, "english": "useless", "hindi": "बेकार", "translit": null, "level": "B1", "topic": "B1_Usefulness", "opposite": "words-opposites-0383"},
+        {"id": "words-opposites-0385", "german": "sinnvoll", "article": null, "plural": null, "english": "meaningful / sensible", "hindi": "सार्थक", "translit": null, "level": "B1", "topic": "B1_Usefulness", "opposite": "words-opposites-0386"},
+        {"id": "words-opposites-0386", "german": "sinnlos", "article": null, "plural": null, "english": "pointless / senseless", "hindi": "बेमतलब", "translit": null, "level": "B1", "topic": "B1_Usefulness", "opposite": "words-opposites-0385"},
+        {"id": "words-opposites-0387", "german": "wichtig", "article": null, "plural": null, "english": "important", "hindi": "महत्वपूर्ण", "translit": null, "level": "B1", "topic": "B1_Usefulness", "opposite": "words-opposites-0388"},
+        {"id": "words-opposites-0388", "german": "unwichtig", "article": null, "plural": null, "english": "unimportant", "hindi": "अमहत्वपूर्ण", "translit": null, "level": "B1", "topic": "B1_Usefulness", "opposite": "words-opposites-0387"},
+        {"id": "words-opposites-0389", "german": "möglich", "article": null, "plural": null, "english": "possible", "hindi": "संभव", "translit": null, "level": "B1", "topic": "B1_Usefulness", "opposite": "words-opposites-0390"},
+        {"id": "words-opposites-0390", "german": "unmöglich", "article": null, "plural": null, "english": "impossible", "hindi": "असंभव", "translit": null, "level": "B1", "topic": "B1_Usefulness", "opposite": "words-opposites-0389"},
+        {"id": "words-opposites-0391", "german": "typisch", "article": null, "plural": null, "english": "typical", "hindi": "विशिष्ट", "translit": null, "level": "B1", "topic": "B1_Usefulness", "opposite": "words-opposites-0392"},
+        {"id": "words-opposites-0392", "german": "untypisch", "article": null, "plural": null, "english": "atypical / untypical", "hindi": "असामान्य", "translit": null, "level": "B1", "topic": "B1_Usefulness", "opposite": "words-opposites-0391"},
+        {"id": "words-opposites-0393", "german": "logisch", "article": null, "plural": null, "english": "logical", "hindi": "तार्किक", "translit": null, "level": "B1", "topic": "B1_Usefulness", "opposite": "words-opposites-0394"},
+        {"id": "words-opposites-0394", "german": "illogisch", "article": null, "plural": null, "english": "illogical", "hindi": "अतार्किक", "translit": null, "level": "B1", "topic": "B1_Usefulness", "opposite": "words-opposites-0393"},
+        {"id": "words-opposites-0395", "german": "praktisch", "article": null, "plural": null, "english": "practical", "hindi": "व्यावहारिक", "translit": null, "level": "B1", "topic": "B1_Usefulness", "opposite": "words-opposites-0396"},
+        {"id": "words-opposites-0396", "german": "unpraktisch", "article": null, "plural": null, "english": "impractical", "hindi": "अव्यावहारिक", "translit": null, "level": "B1", "topic": "B1_Usefulness", "opposite": "words-opposites-0395"},
+        {"id": "words-opposites-0397", "german": "realistisch", "article": null, "plural": null, "english": "realistic", "hindi": "यथार्थवादी", "translit": null, "level": "B1", "topic": "B1_Usefulness", "opposite": "words-opposites-0398"},
+        {"id": "words-opposites-0398", "german": "unrealistisch", "article": null, "plural": null, "english": "unrealistic", "hindi": "अवास्तविक", "translit": null, "level": "B1", "topic": "B1_Usefulness", "opposite": "words-opposites-0397"},
+        {"id": "words-opposites-0399", "german": "höflich", "article": null, "plural": null, "english": "polite", "hindi": "विनम्र", "translit": null, "level": "B1", "topic": "B1_Behavior", "opposite": "words-opposites-0400"},
+        {"id": "words-opposites-0400", "german": "unhöflich", "article": null, "plural": null, "english": "impolite / rude", "hindi": "अशिष्ट", "translit": null, "level": "B1", "topic": "B1_Behavior", "opposite": "words-opposites-0399"},
+        {"id": "words-opposites-0401", "german": "geduldig", "article": null, "plural": null, "english": "patient", "hindi": "धैर्यवान", "translit": null, "level": "B1", "topic": "B1_Behavior", "opposite": "words-opposites-0402"},
+        {"id": "words-opposites-0402", "german": "ungeduldig", "article": null, "plural": null, "english": "impatient", "hindi": "अधीर", "translit": null, "level": "B1", "topic": "B1_Behavior", "opposite": "words-opposites-0401"},
+        {"id": "words-opposites-0403", "german": "freundlich", "article": null, "plural": null, "english": "friendly", "hindi": "मित्रवत", "translit": null, "level": "B1", "topic": "B1_Behavior", "opposite": "words-opposites-0404"},
+        {"id": "words-opposites-0404", "german": "feindlich", "article": null, "plural": null, "english": "hostile / unfriendly", "hindi": "शत्रुतापूर्ण", "translit": null, "level": "B1", "topic": "B1_Behavior", "opposite": "words-opposites-0403"},
+        {"id": "words-opposites-0405", "german": "ehrlich", "article": null, "plural": null, "english": "honest", "hindi": "ईमानदार", "translit": null, "level": "B1", "topic": "B1_Behavior", "opposite": "words-opposites-0406"},
+        {"id": "words-opposites-0406", "german": "unehrlich", "article": null, "plural": null, "english": "dishonest", "hindi": "बेईमान", "translit": null, "level": "B1", "topic": "B1_Behavior", "opposite": "words-opposites-0405"},
+        {"id": "words-opposites-0407", "german": "pünktlich", "article": null, "plural": null, "english": "punctual / on time", "hindi": "समय का पाबंद", "translit": null, "level": "B1", "topic": "B1_Behavior", "opposite": "words-opposites-0408"},
+        {"id": "words-opposites-0408", "german": "unpünktlich", "article": null, "plural": null, "english": "unpunctual / late", "hindi": "देरी से", "translit": null, "level": "B1", "topic": "B1_Behavior", "opposite": "words-opposites-0407"},
+        {"id": "words-opposites-0409", "german": "vorsichtig", "article": null, "plural": null, "english": "careful / cautious", "hindi": "सावधान", "translit": null, "level": "B1", "topic": "B1_Behavior", "opposite": "words-opposites-0410"},
+        {"id": "words-opposites-0410", "german": "unvorsichtig", "article": null, "plural": null, "english": "careless", "hindi": "लापरवाह", "translit": null, "level": "B1", "topic": "B1_Behavior", "opposite": "words-opposites-0409"},
+        {"id": "words-opposites-0411", "german": "respektvoll", "article": null, "plural": null, "english": "respectful", "hindi": "सम्मानपूर्ण", "translit": null, "level": "B1", "topic": "B1_Behavior", "opposite": "words-opposites-0412"},
+        {"id": "words-opposites-0412", "german": "respektlos", "article": null, "plural": null, "english": "disrespectful", "hindi": "असम्मानजनक", "translit": null, "level": "B1", "topic": "B1_Behavior", "opposite": "words-opposites-0411"},
+        {"id": "words-opposites-0413", "german": "tolerant", "article": null, "plural": null, "english": "tolerant", "hindi": "सहनशील", "translit": null, "level": "B1", "topic": "B1_Behavior", "opposite": "words-opposites-0414"},
+        {"id": "words-opposites-0414", "german": "intolerant", "article": null, "plural": null, "english": "intolerant", "hindi": "असहनशील", "translit": null, "level": "B1", "topic": "B1_Behavior", "opposite": "words-opposites-0413"},
+        {"id": "words-opposites-0415", "german": "erfolgreich", "article": null, "plural": null, "english": "successful", "hindi": "सफल", "translit": null, "level": "B1", "topic": "B1_Success", "opposite": "words-opposites-0416"},
+        {"id": "words-opposites-0416", "german": "erfolglos", "article": null, "plural": null, "english": "unsuccessful", "hindi": "असफल", "translit": null, "level": "B1", "topic": "B1_Success", "opposite": "words-opposites-0415"},
+        {"id": "words-opposites-0417", "german": "einfach", "article": null, "plural": null, "english": "simple / easy", "hindi": "सरल", "translit": null, "level": "B1", "topic": "B1_Success", "opposite": "words-opposites-0418"},
+        {"id": "words-opposites-0418", "german": "kompliziert", "article": null, "plural": null, "english": "complicated", "hindi": "जटिल", "translit": null, "level": "B1", "topic": "B1_Success", "opposite": "words-opposites-0417"},
+        {"id": "words-opposites-0419", "german": "klar", "article": null, "plural": null, "english": "clear", "hindi": "स्पष्ट", "translit": null, "level": "B1", "topic": "B1_Success", "opposite": "words-opposites-0420"},
+        {"id": "words-opposites-0420", "german": "unklar", "article": null, "plural": null, "english": "unclear", "hindi": "अस्पष्ट", "translit": null, "level": "B1", "topic": "B1_Success", "opposite": "words-opposites-0419"},
+        {"id": "words-opposites-0421", "german": "verständlich", "article": null, "plural": null, "english": "understandable", "hindi": "समझने योग्य", "translit": null, "level": "B1", "topic": "B1_Success", "opposite": "words-opposites-0422"},
+        {"id": "words-opposites-0422", "german": "unverständlich", "article": null, "plural": null, "english": "incomprehensible", "hindi": "असमझ में आने वाला", "translit": null, "level": "B1", "topic": "B1_Success", "opposite": "words-opposites-0421"},
+        {"id": "words-opposites-0423", "german": "bekannt", "article": null, "plural": null, "english": "known / famous", "hindi": "ज्ञात", "translit": null, "level": "B1", "topic": "B1_Success", "opposite": "words-opposites-0424"},
+        {"id": "words-opposites-0424", "german": "unbekannt", "article": null, "plural": null, "english": "unknown", "hindi": "अज्ञात", "translit": null, "level": "B1", "topic": "B1_Success", "opposite": "words-opposites-0423"},
+        {"id": "words-opposites-0425", "german": "offensichtlich", "article": null, "plural": null, "english": "obvious", "hindi": "स्पष्ट", "translit": null, "level": "B1", "topic": "B1_Success", "opposite": "words-opposites-0426"},
+        {"id": "words-opposites-0426", "german": "versteckt", "article": null, "plural": null, "english": "hidden", "hindi": "छिपा हुआ", "translit": null, "level": "B1", "topic": "B1_Success", "opposite": "words-opposites-0425"},
+        {"id": "words-opposites-0427", "german": "verantwortlich", "article": null, "plural": null, "english": "responsible", "hindi": "जिम्मेदार", "translit": null, "level": "B1", "topic": "B1_Success", "opposite": "words-opposites-0428"},
+        {"id": "words-opposites-0428", "german": "unverantwortlich", "article": null, "plural": null, "english": "irresponsible", "hindi": "गैरजिम्मेदार", "translit": null, "level": "B1", "topic": "B1_Success", "opposite": "words-opposites-0427"},
+        {"id": "words-opposites-0429", "german": "legal", "article": null, "plural": null, "english": "legal", "hindi": "कानूनी", "translit": null, "level": "B1", "topic": "B1_Rules", "opposite": "words-opposites-0430"},
+        {"id": "words-opposites-0430", "german": "illegal", "article": null, "plural": null, "english": "illegal", "hindi": "अवैध", "translit": null, "level": "B1", "topic": "B1_Rules", "opposite": "words-opposites-0429"},
+        {"id": "words-opposites-0431", "german": "erlaubt", "article": null, "plural": null, "english": "allowed / permitted", "hindi": "अनुमति प्राप्त", "translit": null, "level": "B1", "topic": "B1_Rules", "opposite": "words-opposites-0432"},
+        {"id": "words-opposites-0432", "german": "verboten", "article": null, "plural": null, "english": "forbidden / prohibited", "hindi": "निषिद्ध", "translit": null, "level": "B1", "topic": "B1_Rules", "opposite": "words-opposites-0431"},
+        {"id": "words-opposites-0433", "german": "modern", "article": null, "plural": null, "english": "modern", "hindi": "आधुनिक", "translit": null, "level": "B1", "topic": "B1_Rules", "opposite": "words-opposites-0434"},
+        {"id": "words-opposites-0434", "german": "veraltet", "article": null, "plural": null, "english": "outdated / obsolete", "hindi": "पुराना", "translit": null, "level": "B1", "topic": "B1_Rules", "opposite": "words-opposites-0433"},
+        {"id": "words-opposites-0435", "german": "aktuell", "article": null, "plural": null, "english": "current / up-to-date", "hindi": "वर्तमान", "translit": null, "level": "B1", "topic": "B1_Rules", "opposite": "words-opposites-0436"},
+        {"id": "words-opposites-0436", "german": "veraltet", "article": null, "plural": null, "english": "outdated", "hindi": "पुराना", "translit": null, "level": "B1", "topic": "B1_Rules", "opposite": "words-opposites-0435"},
+        {"id": "words-opposites-0437", "german": "umweltfreundlich", "article": null, "plural": null, "english": "eco-friendly", "hindi": "पर्यावरण अनुकूल", "translit": null, "level": "B1", "topic": "B1_Rules", "opposite": "words-opposites-0438"},
+        {"id": "words-opposites-0438", "german": "umweltschädlich", "article": null, "plural": null, "english": "harmful to the environment", "hindi": "पर्यावरण के लिए हानिकारक", "translit": null, "level": "B1", "topic": "B1_Rules", "opposite": "words-opposites-0437"},
+        {"id": "words-opposites-0439", "german": "formell", "article": null, "plural": null, "english": "formal", "hindi": "औपचारिक", "translit": null, "level": "B1", "topic": "B1_Rules", "opposite": "words-opposites-0440"},
+        {"id": "words-opposites-0440", "german": "informell", "article": null, "plural": null, "english": "informal", "hindi": "अनौपचारिक", "translit": null, "level": "B1", "topic": "B1_Rules", "opposite": "words-opposites-0439"},
+        {"id": "words-opposites-0441", "german": "professionell", "article": null, "plural": null, "english": "professional", "hindi": "पेशेवर", "translit": null, "level": "B1", "topic": "B1_Rules", "opposite": "words-opposites-0442"},
+        {"id": "words-opposites-0442", "german": "amateurhaft", "article": null, "plural": null, "english": "amateurish", "hindi": "शौकिया", "translit": null, "level": "B1", "topic": "B1_Rules", "opposite": "words-opposites-0441"},
+        {"id": "words-opposites-0443", "german": "theoretisch", "article": null, "plural": null, "english": "theoretical", "hindi": "सैद्धांतिक", "translit": null, "level": "B1", "topic": "B1_Attitude", "opposite": "words-opposites-0444"},
+        {"id": "words-opposites-0444", "german": "praktisch", "article": null, "plural": null, "english": "practical", "hindi": "व्यावहारिक", "translit": null, "level": "B1", "topic": "B1_Attitude", "opposite": "words-opposites-0443"},
+        {"id": "words-opposites-0445", "german": "objektiv", "article": null, "plural": null, "english": "objective", "hindi": "निष्पक्ष", "translit": null, "level": "B1", "topic": "B1_Attitude", "opposite": "words-opposites-0446"},
+        {"id": "words-opposites-0446", "german": "subjektiv", "article": null, "plural": null, "english": "subjective", "hindi": "व्यक्तिपरक", "translit": null, "level": "B1", "topic": "B1_Attitude", "opposite": "words-opposites-0445"},
+        {"id": "words-opposites-0447", "german": "flexibel", "article": null, "plural": null, "english": "flexible", "hindi": "लचीला", "translit": null, "level": "B1", "topic": "B1_Attitude", "opposite": "words-opposites-0448"},
+        {"id": "words-opposites-0448", "german": "starr", "article": null, "plural": null, "english": "rigid / inflexible", "hindi": "कठोर", "translit": null, "level": "B1", "topic": "B1_Attitude", "opposite": "words-opposites-0447"},
+        {"id": "words-opposites-0449", "german": "aktiv", "article": null, "plural": null, "english": "active", "hindi": "सक्रिय", "translit": null, "level": "B1", "topic": "B1_Attitude", "opposite": "words-opposites-0450"},
+        {"id": "words-opposites-0450", "german": "passiv", "article": null, "plural": null, "english": "passive", "hindi": "निष्क्रिय", "translit": null, "level": "B1", "topic": "B1_Attitude", "opposite": "words-opposites-0449"},
+        {"id": "words-opposites-0451", "german": "unabhängig", "article": null, "plural": null, "english": "independent", "hindi": "स्वतंत्र", "translit": null, "level": "B1", "topic": "B1_Attitude", "opposite": "words-opposites-0452"},
+        {"id": "words-opposites-0452", "german": "abhängig", "article": null, "plural": null, "english": "dependent", "hindi": "निर्भर", "translit": null, "level": "B1", "topic": "B1_Attitude", "opposite": "words-opposites-0451"},
+        {"id": "words-opposites-0453", "german": "kritisch", "article": null, "plural": null, "english": "critical", "hindi": "आलोचनात्मक", "translit": null, "level": "B1", "topic": "B1_Attitude", "opposite": "words-opposites-0454"},
+        {"id": "words-opposites-0454", "german": "unkritisch", "article": null, "plural": null, "english": "uncritical", "hindi": "अनुकूल", "translit": null, "level": "B1", "topic": "B1_Attitude", "opposite": "words-opposites-0453"},
+        {"id": "words-opposites-0455", "german": "traditionell", "article": null, "plural": null, "english": "traditional", "hindi": "पारंपरिक", "translit": null, "level": "B1", "topic": "B1_Attitude", "opposite": "words-opposites-0456"},
+        {"id": "words-opposites-0456", "german": "modern", "article": null, "plural": null, "english": "modern", "hindi": "आधुनिक", "translit": null, "level": "B1", "topic": "B1_Attitude", "opposite": "words-opposites-0455"}
+    ]
+});
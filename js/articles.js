@@ -0,0 +1,268 @@
+/* ============================================
+   ARTICLE TRAINER (der / die / das)
+   Drills the gender of nouns from the vocabulary pages. After each answer the
+   trainer names the grammar.html "4.2 Quick Rules & Shortcuts" rule that
+   covers the noun (word endings, natural gender, days/months/seasons...) and
+   whether this noun follows it or is an exception.
+
+   Launch:
+     - "🎯 der/die/das" in the study bar of a vocabulary table (its nouns)
+     - <button data-article-trainer="a1-650 a1-pdf a2"> on any page; the listed
+       word lists are loaded on demand
+
+   Accuracy per rule is kept in localStorage under 'german-articles':
+     { "ending-ung": { "right": 12, "wrong": 1 }, "none": { ... } }
+
+   Keys: 1 = der, 2 = die, 3 = das, Enter = next, Esc = close.
+
+   Node: require('./js/articles.js').ruleFor({ german: 'Zeitung' }).id -> 'ending-ung'
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const KEY = 'german-articles';
+    const SESSION_LENGTH = 20;
+    const ARTICLES = ['der', 'die', 'das'];
+    const RULES_LINK = 'grammar.html#gender-rules';
+
+    // grammar.html section 4.2, most specific first: word lists (Rules 2 and 3
+    // and the plural trick) beat endings, and -chen/-lein/-um beat -en/-e.
+    const RULES = [
+        { id: 'plural', article: 'die', label: 'All plurals use "die"',
+          words: ['Eltern', 'Leute', 'Ferien', 'Geschwister', 'Großeltern', 'Kosten'] },
+        { id: 'male', article: 'der', label: 'Male persons/animals are der',
+          words: ['Mann', 'Vater', 'Bruder', 'Sohn', 'Onkel', 'Großvater', 'Opa', 'Junge', 'Herr', 'Neffe', 'Enkel', 'Cousin', 'Schwager', 'Hund', 'Kater'] },
+        { id: 'female', article: 'die', label: 'Female persons/animals are die',
+          words: ['Frau', 'Mutter', 'Schwester', 'Tochter', 'Tante', 'Großmutter', 'Oma', 'Dame', 'Nichte', 'Enkelin', 'Cousine', 'Schwägerin', 'Katze', 'Kuh'] },
+        { id: 'young', article: 'das', label: 'Young persons/animals are das',
+          words: ['Kind', 'Baby', 'Mädchen', 'Kalb', 'Lamm', 'Küken', 'Fohlen'] },
+        { id: 'days', article: 'der', label: 'Days of the week are der',
+          words: ['Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag', 'Sonnabend', 'Sonntag'] },
+        { id: 'months', article: 'der', label: 'Months are der',
+          words: ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'] },
+        { id: 'seasons', article: 'der', label: 'Seasons are der',
+          words: ['Frühling', 'Sommer', 'Herbst', 'Winter'] },
+        { id: 'directions', article: 'der', label: 'Cardinal directions are der',
+          words: ['Norden', 'Süden', 'Osten', 'Westen'] },
+        { id: 'ending-chen', article: 'das', label: 'Endings -chen, -lein, -um are das',
+          endings: ['chen', 'lein', 'um'] },
+        { id: 'ending-ung', article: 'die', label: 'Endings -ung, -heit, -keit, -schaft, -tion are die',
+          endings: ['ung', 'heit', 'keit', 'schaft', 'tion'] },
+        { id: 'ending-er', article: 'der', label: 'Endings -er, -el, -en are der',
+          endings: ['er', 'el', 'en'] },
+        { id: 'ending-e', article: 'die', label: 'Ending -e is die (90%)',
+          endings: ['e'] }
+    ];
+    const NO_RULE = { id: 'none', article: null, label: 'No shortcut - learn it with the noun' };
+
+    /* ---------- Rules ---------- */
+
+    function ruleFor(word) {
+        const noun = word.german;
+        const lower = noun.toLowerCase();
+        return RULES.find(function(rule) {
+            if (rule.words) return rule.words.includes(noun);
+            return rule.endings.some(e => lower.length > e.length + 1 && lower.endsWith(e));
+        }) || NO_RULE;
+    }
+
+    function matchedEnding(rule, word) {
+        if (!rule.endings) return null;
+        const lower = word.german.toLowerCase();
+        return rule.endings.find(e => lower.endsWith(e)) || null;
+    }
+
+    // Single nouns with a der/die/das article, one per spelling
+    function nouns(words) {
+        const seen = new Set();
+        return words.filter(function(word) {
+            if (!ARTICLES.includes(word.article) || !/^[A-ZÄÖÜ][\wäöüß-]*$/.test(word.german)) return false;
+            const key = word.article + ' ' + word.german;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    function record(stats, ruleId, correct) {
+        const entry = stats[ruleId] || (stats[ruleId] = { right: 0, wrong: 0 });
+        entry[correct ? 'right' : 'wrong']++;
+        return stats;
+    }
+
+    const api = { RULES: RULES, ruleFor: ruleFor, nouns: nouns, record: record };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Storage ---------- */
+
+    const { load, save } = GermanStudy.store(KEY, 'article trainer progress');
+
+    /* ---------- Trainer UI ---------- */
+
+    const el = GermanStudy.el;
+    let trainer = null;
+
+    const shuffle = GermanStudy.shuffle;
+
+    function open(title, words) {
+        const dialog = GermanStudy.openDialog('🎯 der/die/das · ' + title, {
+            onKey: onKey,
+            onClose: function() { trainer = null; }
+        });
+        const pool = nouns(words);
+        trainer = {
+            dialog: dialog, title: title, words: words,
+            queue: shuffle(pool).slice(0, SESSION_LENGTH),
+            index: 0, score: 0, session: {}, answered: false
+        };
+        showNoun();
+    }
+
+    function showNoun() {
+        const t = trainer;
+        t.dialog.clear();
+        t.answered = false;
+        const word = t.queue[t.index];
+        if (!word) return showResults();
+        t.dialog.progress.textContent = (t.index + 1) + ' / ' + t.queue.length + ' · ✓ ' + t.score;
+
+        t.dialog.body.appendChild(el('div', 'quiz-instruction', 'der, die or das?'));
+        t.dialog.body.appendChild(el('div', 'quiz-prompt article-noun', '___ ' + word.german));
+        t.dialog.body.appendChild(el('div', 'quiz-hint english', word.english + (word.hindi ? ' · ' + word.hindi : '')));
+
+        const choices = t.dialog.body.appendChild(el('div', 'article-choices'));
+        ARTICLES.forEach(function(article, i) {
+            const btn = choices.appendChild(GermanStudy.button('', 'article-choice article-' + article, () => answer(article)));
+            btn.appendChild(el('span', 'quiz-key', String(i + 1)));
+            btn.appendChild(document.createTextNode(article));
+            btn.setAttribute('data-article', article);
+        });
+    }
+
+    function answer(article) {
+        const t = trainer;
+        if (t.answered) return;
+        t.answered = true;
+        const word = t.queue[t.index];
+        const correct = article === word.article;
+        const rule = ruleFor(word);
+        if (correct) t.score++;
+
+        save(record(load(), rule.id, correct));
+        record(t.session, rule.id, correct);
+        t.dialog.progress.textContent = (t.index + 1) + ' / ' + t.queue.length + ' · ✓ ' + t.score;
+
+        t.dialog.body.querySelectorAll('.article-choice').forEach(function(btn) {
+            btn.disabled = true;
+            const value = btn.getAttribute('data-article');
+            if (value === word.article) btn.classList.add('quiz-option--correct');
+            else if (value === article) btn.classList.add('quiz-option--wrong');
+        });
+        t.dialog.body.querySelector('.article-noun').textContent = word.article + ' ' + word.german;
+        speakGerman(word.article + ' ' + word.german);
+
+        const feedback = t.dialog.body.appendChild(el('div', 'quiz-feedback ' + (correct ? 'quiz-feedback--correct' : 'quiz-feedback--wrong')));
+        feedback.appendChild(el('div', null, correct ? '✅ Richtig!' : '❌ It is ' + word.article + ' ' + word.german));
+        feedback.appendChild(ruleNote(rule, word));
+
+        t.dialog.actions.textContent = '';
+        const last = t.index === t.queue.length - 1;
+        t.dialog.actions.appendChild(GermanStudy.button(last ? 'See results' : 'Next →', 'study-btn', next)).focus();
+    }
+
+    // Which shortcut covers the noun, and whether the noun obeys it
+    function ruleNote(rule, word) {
+        const note = el('div', 'article-rule');
+        if (rule === NO_RULE) {
+            note.appendChild(document.createTextNode('📋 ' + rule.label + '. '));
+        } else {
+            const ending = matchedEnding(rule, word);
+            note.appendChild(document.createTextNode('📋 ' + rule.label + (ending ? ' (ends in -' + ending + ')' : '') + ' - '));
+            note.appendChild(el('strong', null, rule.article === word.article ? 'this noun follows the rule.' : 'this noun is an exception!'));
+            note.appendChild(document.createTextNode(' '));
+        }
+        const link = note.appendChild(el('a', null, 'See the rules'));
+        link.href = RULES_LINK;
+        return note;
+    }
+
+    function next() {
+        trainer.index++;
+        showNoun();
+    }
+
+    function accuracyTable(stats, caption) {
+        const table = el('table', 'article-stats');
+        table.appendChild(el('caption', null, caption));
+        const head = table.appendChild(el('tr'));
+        ['Rule', 'Right', 'Accuracy'].forEach(label => head.appendChild(el('th', null, label)));
+        RULES.concat(NO_RULE).forEach(function(rule) {
+            const entry = stats[rule.id];
+            if (!entry) return;
+            const total = entry.right + entry.wrong;
+            const row = table.appendChild(el('tr'));
+            row.appendChild(el('td', null, rule.label));
+            row.appendChild(el('td', null, entry.right + ' / ' + total));
+            row.appendChild(el('td', null, Math.round(100 * entry.right / total) + '%'));
+        });
+        return table;
+    }
+
+    function showResults() {
+        const t = trainer;
+        t.dialog.progress.textContent = '';
+        if (!t.queue.length) {
+            t.dialog.body.appendChild(el('div', 'study-done', 'No nouns with der/die/das here.'));
+            return;
+        }
+        t.dialog.body.appendChild(el('div', 'study-done', '🎯 ' + t.score + ' / ' + t.queue.length + ' articles right'));
+        t.dialog.body.appendChild(accuracyTable(t.session, 'This round'));
+        t.dialog.body.appendChild(accuracyTable(load(), 'All time'));
+        const title = t.title;
+        const words = t.words;
+        t.dialog.actions.appendChild(GermanStudy.button('Another round', 'study-btn', () => open(title, words)));
+    }
+
+    function onKey(e) {
+        if (!trainer || trainer.index >= trainer.queue.length) return;
+        if (e.key === 'Enter' && e.target.tagName === 'BUTTON') return;
+        if (trainer.answered && e.key === 'Enter') {
+            e.preventDefault();
+            next();
+        } else if (!trainer.answered && /^[1-3]$/.test(e.key)) {
+            answer(ARTICLES[Number(e.key) - 1]);
+        }
+    }
+
+    /* ---------- Launchers ---------- */
+
+    GermanStudy.onTables(function(table) {
+        const words = GermanStudy.scopeWords(table.page, table.level);
+        if (!nouns(words).length) return;
+        GermanStudy.toolbar(table.container).appendChild(GermanStudy.button('🎯 der/die/das', 'study-btn',
+            () => open(table.title, words)));
+    });
+
+    document.addEventListener('click', function(e) {
+        const btn = e.target.closest && e.target.closest('[data-article-trainer]');
+        if (!btn) return;
+        const pages = btn.getAttribute('data-article-trainer').split(/\s+/).filter(Boolean);
+        btn.disabled = true;
+        Promise.all(pages.map(GermanVocab.load)).then(function() {
+            const words = pages.reduce((list, page) => list.concat(GermanVocab.words(page)), []);
+            open('Vocabulary nouns', words);
+        }, function(err) {
+            console.warn('⚠️ ' + err.message);
+        }).then(function() {
+            btn.disabled = false;
+        });
+    });
+
+    api.open = open;
+    api.stats = load;
+    root.GermanArticles = api;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,70 @@
+/* ============================================
+   OFFLINE AUDIO PACK
+   Plays pre-recorded pronunciations listed in audio/manifest.js before
+   falling back to text-to-speech.
+
+   Manifest keys are German text as written on the pages; lookups are
+   normalized so "Straße", "STRASSE" and "strasse " find the same file.
+   Paths are relative to the site root.
+
+   Usage (after js/common.js):
+     <script src="audio/manifest.js"></script>
+     <script src="js/audio-pack.js"></script>
+
+   Node: require('./js/audio-pack.js').normalize('Grüß Gott!') -> 'gruess gott'
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const UMLAUTS = { 'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'ß': 'ss' };
+
+    // Lookup key for a German word or phrase: NFC, lower case, umlauts and ß
+    // spelled out, apostrophes and punctuation dropped, whitespace collapsed.
+    function normalize(text) {
+        return String(text || '')
+            .normalize('NFC')
+            .toLowerCase()
+            .replace(/[äöüß]/g, ch => UMLAUTS[ch])
+            .replace(/['’]/g, '')
+            .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Suggested file name for a recording of text
+    function fileName(text) {
+        return normalize(text).replace(/[\s-]+/g, '-') + '.mp3';
+    }
+
+    function buildIndex(manifest) {
+        const index = new Map();
+        Object.keys(manifest || {}).forEach(function(text) {
+            index.set(normalize(text), manifest[text]);
+        });
+        return index;
+    }
+
+    const api = { normalize: normalize, fileName: fileName, buildIndex: buildIndex };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    const siteRoot = siteRootOf(document.currentScript);
+    const index = buildIndex(root.GermanAudioManifest);
+
+    function resolve(text) {
+        const path = index.get(normalize(text));
+        return path ? siteRoot + path : null;
+    }
+
+    api.resolve = resolve;
+    api.has = function(text) { return index.has(normalize(text)); };
+    api.size = index.size;
+
+    if (root.GermanSpeech) {
+        root.GermanSpeech.configure({ resolveAudio: resolve });
+    }
+    root.GermanAudio = api;
+})(typeof window !== 'undefined' ? window : this);
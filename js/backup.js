@@ -0,0 +1,337 @@
+/* ============================================
+   BACKUP
+   Exports everything the site keeps in localStorage to one JSON file and
+   merges such a file back in, so progress can move between browsers and
+   devices. Export and import sit in the ⚙️ Settings panel (js/settings.js).
+
+   File format (version 1):
+     {
+       "format": "german-learning-backup",
+       "version": 1,
+       "exported": "2026-10-19T10:00:00.000Z",
+       "data": {
+         "theme": "dark",                                   german-theme
+         "settings": { "rate": 0.8, ... },                  german-settings
+         "progress": { "a1-650-0001": "known" },            german-progress
+         "flashcards": { "a2-0042": { "ef": 2.5, ... } },   german-flashcards
+         "articles": { "ending-ung": { "right": 3, ... } }, german-articles
+         "speaking": { "a2-0042": { "tries": 2, ... } },    german-speaking
+         "phonics": { "SCH": { "right": 4, ... } },         german-phonics
+         "opposites": { "words-opposites:A1:normal:6": { "best": 41250, ... } }
+                                                            german-opposites
+         "cases": { "in": { "right": 7, ... } },            german-cases
+         "quiz": { "a2:A2": [{ "date": "...", "score": 8, ... }] }
+                                                            german-quiz
+       }
+     }
+   Older files are brought up to date by MIGRATIONS, one version at a time.
+   Version 0 is a raw dump of the german-* localStorage keys (as copied from
+   the browser's developer tools), with values still JSON strings.
+
+   Importing merges instead of overwriting: a word keeps the furthest
+   progress state, the flashcard scheduled furthest ahead, the article rule,
+   speaking entry, phonics sound and preposition with more attempts, the
+   faster best time of the opposites game, and the quiz results of both
+   (the latest QUIZ_HISTORY per scope). Theme and settings come from the
+   file. Invalid entries are skipped and counted.
+
+   Node: require('./js/backup.js').parse(json) -> { data, skipped }
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const FORMAT = 'german-learning-backup';
+    const VERSION = 1;
+    const PROGRESS_STATES = ['new', 'learning', 'known'];
+    // Results kept per quiz scope, as js/quiz.js does
+    const QUIZ_HISTORY = 20;
+
+    function isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isCount(value) {
+        return Number.isInteger(value) && value >= 0;
+    }
+
+    function isScore(value) {
+        return typeof value === 'number' && value >= 0 && value <= 1;
+    }
+
+    // Per entry id: keep whichever entry weighs more
+    function keepMost(weight) {
+        return function(current, incoming) {
+            const merged = Object.assign({}, current);
+            Object.keys(incoming).forEach(function(id) {
+                if (!merged[id] || weight(incoming[id]) > weight(merged[id])) merged[id] = incoming[id];
+            });
+            return merged;
+        };
+    }
+
+    function isQuizResult(v) {
+        return isObject(v) && typeof v.date === 'string' && !isNaN(Date.parse(v.date)) &&
+            isCount(v.score) && isCount(v.total) && v.score <= v.total &&
+            Array.isArray(v.missed) && v.missed.every(id => typeof id === 'string');
+    }
+
+    // Per scope: results from both sides, once each, oldest first
+    function mergeResults(current, incoming) {
+        const merged = Object.assign({}, current);
+        Object.keys(incoming).forEach(function(scope) {
+            const seen = new Set();
+            merged[scope] = (merged[scope] || []).concat(incoming[scope])
+                .filter(function(result) {
+                    const id = result.date + '|' + result.score + '/' + result.total;
+                    if (seen.has(id)) return false;
+                    seen.add(id);
+                    return true;
+                })
+                .sort((a, b) => Date.parse(a.date) - Date.parse(b.date))
+                .slice(-QUIZ_HISTORY);
+        });
+        return merged;
+    }
+
+    // One record per localStorage key. Maps validate one entry of the
+    // stored object; values validate the whole value.
+    const STORES = [
+        {
+            name: 'theme',
+            key: 'german-theme',
+            json: false,
+            value: v => v === 'dark' || v === 'light',
+            merge: (current, incoming) => incoming
+        },
+        {
+            name: 'settings',
+            key: 'german-settings',
+            value: isObject,
+            merge: (current, incoming) => Object.assign({}, current, incoming)
+        },
+        {
+            name: 'progress',
+            key: 'german-progress',
+            entry: v => PROGRESS_STATES.includes(v),
+            merge: keepMost(state => PROGRESS_STATES.indexOf(state))
+        },
+        {
+            name: 'flashcards',
+            key: 'german-flashcards',
+            entry: v => isObject(v) && typeof v.ef === 'number' && isCount(v.interval) && isCount(v.reps) &&
+                /^\d{4}-\d{2}-\d{2}$/.test(v.due),
+            // The card scheduled furthest ahead, then the one with more reps
+            merge: keepMost(card => Number(card.due.replace(/-/g, '')) * 1000 + card.reps)
+        },
+        {
+            name: 'articles',
+            key: 'german-articles',
+            entry: v => isObject(v) && isCount(v.right) && isCount(v.wrong),
+            merge: keepMost(rule => rule.right + rule.wrong)
+        },
+        {
+            name: 'speaking',
+            key: 'german-speaking',
+            entry: v => isObject(v) && isCount(v.tries) && isScore(v.best) && isScore(v.last),
+            merge: keepMost(attempt => attempt.tries)
+        },
+        {
+            name: 'phonics',
+            key: 'german-phonics',
+            entry: v => isObject(v) && isCount(v.right) && isCount(v.wrong),
+            merge: keepMost(sound => sound.right + sound.wrong)
+        },
+        {
+            name: 'opposites',
+            key: 'german-opposites',
+            entry: v => isObject(v) && isCount(v.best) && v.best > 0 && isCount(v.games),
+            merge: keepMost(board => -board.best)
+        },
+        {
+            name: 'cases',
+            key: 'german-cases',
+            entry: v => isObject(v) && isCount(v.right) && isCount(v.wrong),
+            merge: keepMost(prep => prep.right + prep.wrong)
+        },
+        {
+            name: 'quiz',
+            key: 'german-quiz',
+            entry: v => Array.isArray(v) && v.every(isQuizResult),
+            merge: mergeResults
+        }
+    ];
+
+    // MIGRATIONS[n] turns a version n file into version n + 1
+    const MIGRATIONS = {
+        0: function(dump) {
+            const data = {};
+            STORES.forEach(function(store) {
+                if (!(store.key in dump)) return;
+                const raw = dump[store.key];
+                if (store.json === false || typeof raw !== 'string') {
+                    data[store.name] = raw;
+                    return;
+                }
+                try {
+                    data[store.name] = JSON.parse(raw);
+                } catch (e) {
+                    // Left for validation to drop
+                    data[store.name] = raw;
+                }
+            });
+            return { format: FORMAT, version: 1, exported: null, data: data };
+        }
+    };
+
+    /* ---------- Reading a file ---------- */
+
+    function versionOf(file) {
+        if (file.format === FORMAT) return file.version;
+        if (Object.keys(file).some(key => /^german-/.test(key))) return 0;
+        throw new Error('Not a German learning backup');
+    }
+
+    function migrate(file) {
+        let version = versionOf(file);
+        if (!Number.isInteger(version) || version < 0) throw new Error('Unknown backup version: ' + version);
+        if (version > VERSION) throw new Error('Backup is from a newer version (' + version + ') - update the site first');
+        while (version < VERSION) {
+            file = MIGRATIONS[version](file);
+            version = file.version;
+        }
+        return file;
+    }
+
+    // Keeps the valid part of each store; skipped counts what was dropped
+    function validate(data) {
+        const clean = {};
+        let skipped = 0;
+        STORES.forEach(function(store) {
+            if (!(store.name in data)) return;
+            const value = data[store.name];
+            if (store.entry) {
+                if (!isObject(value)) {
+                    skipped++;
+                    return;
+                }
+                clean[store.name] = {};
+                Object.keys(value).forEach(function(id) {
+                    if (store.entry(value[id])) clean[store.name][id] = value[id];
+                    else skipped++;
+                });
+            } else if (store.value(value)) {
+                clean[store.name] = value;
+            } else {
+                skipped++;
+            }
+        });
+        return { data: clean, skipped: skipped };
+    }
+
+    // Backup file text -> { data, skipped, exported } in the current format
+    function parse(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Not a JSON file');
+        }
+        if (!isObject(file)) throw new Error('Not a German learning backup');
+        file = migrate(file);
+        if (!isObject(file.data)) throw new Error('Backup has no data');
+        const result = validate(file.data);
+        result.exported = file.exported || null;
+        return result;
+    }
+
+    /* ---------- Storage ---------- */
+
+    // storage: anything with getItem/setItem, e.g. localStorage
+    function read(storage, store) {
+        const raw = storage.getItem(store.key);
+        if (raw === null || raw === undefined) return undefined;
+        if (store.json === false) return raw;
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            return undefined;
+        }
+    }
+
+    function snapshot(storage, now) {
+        const data = {};
+        STORES.forEach(function(store) {
+            const value = read(storage, store);
+            if (value !== undefined) data[store.name] = value;
+        });
+        return { format: FORMAT, version: VERSION, exported: (now || new Date()).toISOString(), data: data };
+    }
+
+    // Merges parsed data into storage; returns the number of entries imported
+    function restore(storage, data) {
+        let count = 0;
+        STORES.forEach(function(store) {
+            if (!(store.name in data)) return;
+            const incoming = data[store.name];
+            const current = read(storage, store);
+            const merged = current === undefined ? incoming : store.merge(current, incoming);
+            storage.setItem(store.key, store.json === false ? merged : JSON.stringify(merged));
+            count += store.entry ? Object.keys(incoming).length : 1;
+        });
+        return count;
+    }
+
+    const api = {
+        FORMAT: FORMAT,
+        VERSION: VERSION,
+        STORES: STORES,
+        parse: parse,
+        snapshot: snapshot,
+        restore: restore
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Files ---------- */
+
+    function fileName(now) {
+        return 'german-backup-' + now.toISOString().slice(0, 10) + '.json';
+    }
+
+    function download() {
+        const now = new Date();
+        GermanStudy.download(JSON.stringify(snapshot(localStorage, now), null, 2), fileName(now), 'application/json');
+    }
+
+    // Imports a File; resolves with { count, skipped, exported }
+    function importFile(file) {
+        return file.text().then(function(text) {
+            const result = parse(text);
+            const count = restore(localStorage, result.data);
+            document.dispatchEvent(new CustomEvent('backup:imported', { detail: result }));
+            return { count: count, skipped: result.skipped, exported: result.exported };
+        });
+    }
+
+    // Opens the file picker; resolves like importFile, or null if cancelled
+    function pickFile() {
+        return new Promise(function(resolve, reject) {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+            input.addEventListener('change', function() {
+                if (!input.files.length) return resolve(null);
+                importFile(input.files[0]).then(resolve, reject);
+            });
+            input.click();
+        });
+    }
+
+    api.download = download;
+    api.importFile = importFile;
+    api.pickFile = pickFile;
+    root.GermanBackup = api;
+})(typeof window !== 'undefined' ? window : this);
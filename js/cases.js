@@ -0,0 +1,318 @@
+/* ============================================
+   PREPOSITION CASE TRAINER
+   Sentences from data/cases.js with the article after a preposition left
+   out - "Ich gehe in ___ Park." / "Ich bin in ___ Park." - and five
+   article forms to pick from. After each answer the trainer gives the
+   grammar.html section 8 rule in English and Hindi:
+     Akkusativ   - durch, für, gegen, ohne, um: always
+     Dativ       - aus, bei, mit, nach, seit, von, zu: always
+     two-way     - in, an, auf, über, unter, vor, hinter, neben, zwischen:
+                   wohin? (movement) -> Akkusativ, wo? (location) -> Dativ
+
+   Launch: <button data-case-trainer="akk dat wechsel"> on any page that
+   loads this file followed by data/cases.js; no value means all three.
+
+   Accuracy per preposition is kept in localStorage under 'german-cases':
+     { "in": { "right": 7, "wrong": 2 }, "mit": { ... } }
+
+   Keys: 1-5 = der, die, das, den, dem, Enter = next, Esc = close.
+
+   Node: const cases = require('./js/cases.js');
+         vm.runInNewContext(source, { GermanCases: cases });   // data/cases.js
+         cases.answerFor({ prep: 'in', gender: 'm', motion: true }) -> 'den'
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const KEY = 'german-cases';
+    const ROUND_LENGTH = 12;
+    const CHOICES = ['der', 'die', 'das', 'den', 'dem'];
+    const RULES_LINK = 'grammar.html#prepositions';
+
+    // grammar.html 8.2 - 8.4
+    const GROUPS = [
+        { id: 'akk', label: 'Akkusativ', preps: ['durch', 'für', 'gegen', 'ohne', 'um'] },
+        { id: 'dat', label: 'Dativ', preps: ['aus', 'bei', 'mit', 'nach', 'seit', 'von', 'zu'] },
+        { id: 'wechsel', label: 'Akkusativ / Dativ', preps: ['in', 'an', 'auf', 'über', 'unter', 'vor', 'hinter', 'neben', 'zwischen'] }
+    ];
+
+    // Definite article by case and gender (grammar.html 4.1)
+    const ARTICLES = {
+        akk: { m: 'den', f: 'die', n: 'das', pl: 'die' },
+        dat: { m: 'dem', f: 'der', n: 'dem', pl: 'den' }
+    };
+
+    // What the rule says, shown after every answer
+    const RULES = {
+        akk: {
+            english: 'durch, für, gegen, ohne, um always take the Akkusativ.',
+            hindi: 'durch, für, gegen, ohne, um के बाद हमेशा कर्म कारक (Akkusativ) आता है।'
+        },
+        dat: {
+            english: 'aus, bei, mit, nach, seit, von, zu always take the Dativ - even with movement (zu, nach).',
+            hindi: 'aus, bei, mit, nach, seit, von, zu के बाद हमेशा संप्रदान कारक (Dativ) आता है - गति होने पर भी (zu, nach)।'
+        },
+        motion: {
+            english: 'Two-way preposition with movement to a place (wohin? - where to?) → Akkusativ.',
+            hindi: 'दो-तरफा कारक, किसी जगह की ओर गति (wohin? - कहाँ जाना?) → कर्म कारक (Akkusativ)।'
+        },
+        location: {
+            english: 'Two-way preposition with a fixed location (wo? - where?) → Dativ.',
+            hindi: 'दो-तरफा कारक, जगह नहीं बदलती (wo? - कहाँ?) → संप्रदान कारक (Dativ)।'
+        }
+    };
+
+    // Spoken German usually shortens these
+    const CONTRACTIONS = {
+        'in dem': 'im', 'in das': 'ins', 'an dem': 'am', 'an das': 'ans',
+        'zu dem': 'zum', 'zu der': 'zur', 'von dem': 'vom', 'bei dem': 'beim'
+    };
+
+    const data = { sentences: [] };
+
+    function register(set) {
+        if (set.sentences) data.sentences = data.sentences.concat(set.sentences);
+    }
+
+    function groupOf(prep) {
+        return GROUPS.find(group => group.preps.includes(prep)) || null;
+    }
+
+    // 'akk' or 'dat' for one sentence
+    function caseOf(item) {
+        const group = groupOf(item.prep);
+        if (!group) return null;
+        if (group.id === 'wechsel') return item.motion ? 'akk' : 'dat';
+        return group.id;
+    }
+
+    function answerFor(item) {
+        const grammaticalCase = caseOf(item);
+        return grammaticalCase ? ARTICLES[grammaticalCase][item.gender] || null : null;
+    }
+
+    function ruleFor(item) {
+        const group = groupOf(item.prep);
+        if (group && group.id === 'wechsel') return RULES[item.motion ? 'motion' : 'location'];
+        return group ? RULES[group.id] : null;
+    }
+
+    // The sentence with "in dem" as "im" etc., or null if nothing contracts
+    function contraction(item, article) {
+        const short = CONTRACTIONS[item.prep + ' ' + article];
+        if (!short) return null;
+        return item.sentence.replace(/(\S+) ___/, function(match, prep) {
+            return prep[0] === prep[0].toUpperCase() ? short[0].toUpperCase() + short.slice(1) : short;
+        });
+    }
+
+    const shuffle = typeof module !== 'undefined' && module.exports ?
+        require('./study.js').shuffle :
+        root.GermanStudy.shuffle;
+
+    // Up to options.count sentences whose preposition is in one of the groups
+    function buildRound(groups, options) {
+        const opts = Object.assign({ count: ROUND_LENGTH, random: Math.random }, options);
+        const ids = [].concat(groups || []).filter(id => GROUPS.some(group => group.id === id));
+        const wanted = ids.length ? ids : GROUPS.map(group => group.id);
+        const pool = data.sentences.filter(function(item) {
+            const group = groupOf(item.prep);
+            return group && wanted.includes(group.id) && answerFor(item);
+        });
+        return shuffle(pool, opts.random).slice(0, opts.count);
+    }
+
+    function record(stats, prep, correct) {
+        const entry = stats[prep] || (stats[prep] = { right: 0, wrong: 0 });
+        entry[correct ? 'right' : 'wrong']++;
+        return stats;
+    }
+
+    const api = {
+        GROUPS: GROUPS,
+        CHOICES: CHOICES,
+        register: register,
+        sentences: () => data.sentences,
+        groupOf: groupOf,
+        caseOf: caseOf,
+        answerFor: answerFor,
+        ruleFor: ruleFor,
+        contraction: contraction,
+        buildRound: buildRound,
+        record: record
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Storage ---------- */
+
+    const { load, save } = GermanStudy.store(KEY, 'case trainer progress');
+
+    /* ---------- Trainer UI ---------- */
+
+    const el = GermanStudy.el;
+    let trainer = null;
+
+    function open(groups) {
+        const dialog = GermanStudy.openDialog('🧭 Prepositions · Akkusativ or Dativ?', {
+            onKey: onKey,
+            onClose: function() { trainer = null; }
+        });
+        trainer = {
+            dialog: dialog, groups: groups,
+            queue: buildRound(groups), index: 0, score: 0,
+            session: {}, answered: false
+        };
+        showSentence();
+    }
+
+    function progressText() {
+        return (trainer.index + 1) + ' / ' + trainer.queue.length + ' · ✓ ' + trainer.score;
+    }
+
+    // The sentence as a prompt, the blank (or the article in it) marked
+    function sentenceNode(item, fill) {
+        const node = el('div', 'quiz-prompt quiz-prompt-german case-sentence');
+        const parts = item.sentence.split('___');
+        node.appendChild(document.createTextNode(parts[0]));
+        node.appendChild(el('span', fill ? 'case-blank case-blank--filled' : 'case-blank', fill || '___'));
+        node.appendChild(document.createTextNode(parts.slice(1).join('___')));
+        return node;
+    }
+
+    function showSentence() {
+        const t = trainer;
+        t.dialog.clear();
+        t.answered = false;
+        const item = t.queue[t.index];
+        if (!item) return showResults();
+        t.dialog.progress.textContent = progressText();
+
+        t.dialog.body.appendChild(el('div', 'quiz-instruction', 'Which article fits after "' + item.prep + '"?'));
+        t.dialog.body.appendChild(sentenceNode(item));
+
+        const choices = t.dialog.body.appendChild(el('div', 'case-choices'));
+        CHOICES.forEach(function(article, i) {
+            const btn = choices.appendChild(GermanStudy.button('', 'quiz-option case-choice', () => answer(article)));
+            btn.appendChild(el('span', 'quiz-key', String(i + 1)));
+            btn.appendChild(document.createTextNode(article));
+            btn.setAttribute('data-article', article);
+        });
+    }
+
+    function answer(article) {
+        const t = trainer;
+        if (t.answered) return;
+        t.answered = true;
+        const item = t.queue[t.index];
+        const solution = answerFor(item);
+        const correct = article === solution;
+        if (correct) t.score++;
+
+        save(record(load(), item.prep, correct));
+        record(t.session, item.prep, correct);
+        t.dialog.progress.textContent = progressText();
+
+        t.dialog.body.querySelectorAll('.case-choice').forEach(function(btn) {
+            btn.disabled = true;
+            const value = btn.getAttribute('data-article');
+            if (value === solution) btn.classList.add('quiz-option--correct');
+            else if (value === article) btn.classList.add('quiz-option--wrong');
+        });
+        const solved = item.sentence.replace('___', solution);
+        t.dialog.body.replaceChild(sentenceNode(item, solution), t.dialog.body.querySelector('.case-sentence'));
+        speakGerman(solved);
+
+        const feedback = t.dialog.body.appendChild(el('div', 'quiz-feedback ' + (correct ? 'quiz-feedback--correct' : 'quiz-feedback--wrong')));
+        feedback.appendChild(el('div', null, correct ? '✅ Richtig!' : '❌ ' + item.prep + ' ' + solution + ' - ' + (caseOf(item) === 'akk' ? 'Akkusativ' : 'Dativ')));
+        feedback.appendChild(el('div', 'quiz-hint english', item.english + (item.hindi ? ' · ' + item.hindi : '')));
+        feedback.appendChild(ruleNote(item, solution));
+
+        t.dialog.actions.textContent = '';
+        const last = t.index === t.queue.length - 1;
+        t.dialog.actions.appendChild(GermanStudy.button(last ? 'See results' : 'Next →', 'study-btn', next)).focus();
+    }
+
+    // The rule in both languages, the case forms of this noun (both only for
+    // two-way prepositions - "mit den" is never right), and the everyday
+    // contraction where there is one
+    function ruleNote(item, solution) {
+        const rule = ruleFor(item);
+        const note = el('div', 'case-rule');
+        note.appendChild(el('div', null, '📋 ' + rule.english));
+        note.appendChild(el('div', 'hindi', '📋 ' + rule.hindi));
+        const forms = groupOf(item.prep).id === 'wechsel' ? ['akk', 'dat'] : [caseOf(item)];
+        note.appendChild(el('div', 'case-forms', forms.map(c => (c === 'akk' ? 'Akkusativ: ' : 'Dativ: ') +
+            item.prep + ' ' + ARTICLES[c][item.gender]).join(' · ')));
+        const short = contraction(item, solution);
+        if (short) note.appendChild(el('div', 'quiz-note', '💬 Usually said: ' + short));
+        const link = note.appendChild(el('a', null, 'See the rules'));
+        link.href = RULES_LINK;
+        return note;
+    }
+
+    function next() {
+        trainer.index++;
+        showSentence();
+    }
+
+    function accuracyTable(stats, caption) {
+        const table = el('table', 'case-stats');
+        table.appendChild(el('caption', null, caption));
+        const head = table.appendChild(el('tr'));
+        ['Preposition', 'Case', 'Right', 'Accuracy'].forEach(label => head.appendChild(el('th', null, label)));
+        GROUPS.forEach(function(group) {
+            group.preps.forEach(function(prep) {
+                const entry = stats[prep];
+                if (!entry) return;
+                const total = entry.right + entry.wrong;
+                const row = table.appendChild(el('tr'));
+                row.appendChild(el('td', 'german', prep));
+                row.appendChild(el('td', null, group.label));
+                row.appendChild(el('td', null, entry.right + ' / ' + total));
+                row.appendChild(el('td', null, Math.round(100 * entry.right / total) + '%'));
+            });
+        });
+        return table;
+    }
+
+    function showResults() {
+        const t = trainer;
+        t.dialog.progress.textContent = '';
+        if (!t.queue.length) {
+            t.dialog.body.appendChild(el('div', 'study-done', 'No sentences loaded (data/cases.js).'));
+            return;
+        }
+        t.dialog.body.appendChild(el('div', 'study-done', '🧭 ' + t.score + ' / ' + t.queue.length + ' articles right'));
+        t.dialog.body.appendChild(accuracyTable(t.session, 'This round'));
+        t.dialog.body.appendChild(accuracyTable(load(), 'All time'));
+        const groups = t.groups;
+        t.dialog.actions.appendChild(GermanStudy.button('Another round', 'study-btn', () => open(groups)));
+    }
+
+    function onKey(e) {
+        if (!trainer || trainer.index >= trainer.queue.length) return;
+        if (e.key === 'Enter' && e.target.tagName === 'BUTTON') return;
+        if (trainer.answered && e.key === 'Enter') {
+            e.preventDefault();
+            next();
+        } else if (!trainer.answered && /^[1-5]$/.test(e.key)) {
+            answer(CHOICES[Number(e.key) - 1]);
+        }
+    }
+
+    /* ---------- Launchers ---------- */
+
+    document.addEventListener('click', function(e) {
+        const btn = e.target.closest && e.target.closest('[data-case-trainer]');
+        if (!btn) return;
+        open(btn.getAttribute('data-case-trainer').split(/\s+/).filter(Boolean));
+    });
+
+    api.open = open;
+    api.stats = load;
+    root.GermanCases = api;
+})(typeof window !== 'undefined' ? window : this);
@@ -1,75 +1,254 @@
 // Common JavaScript for German Learning Website
 
-// German pronunciation function
-function speakGerman(word) {
-    // Stop any ongoing speech
-    if (window.speechSynthesis.speaking) {
-        window.speechSynthesis.cancel();
+/* ============================================
+   PRONUNCIATION ENGINE
+   One speech API behind every page's 🔊 button.
+
+   Backends are tried in config.chain order until one plays:
+     files     - pre-recorded audio, URL from config.resolveAudio(text)
+     http      - TTS endpoint, config.httpEndpoint with a {text} placeholder
+     webspeech - the browser's speechSynthesis with a German voice
+
+   Usage:
+     speakGerman('Guten Morgen');
+     speakGerman('SCH', { rate: 0.7, chain: ['webspeech'] });
+     speakGerman(sentence, { onstart: fn, onboundary: fn });  // word boundaries: webspeech only
+     GermanSpeech.configure({ httpEndpoint: 'https://example.org/tts?q={text}' });
+   ============================================ */
+(function() {
+    'use strict';
+
+    const config = {
+        lang: 'de-DE',
+        rate: 0.8,                 // Slightly slower for clarity
+        pitch: 1,
+        volume: 1,
+        voiceName: null,           // Preferred voice name, falls back to any German voice
+        chain: ['files', 'http', 'webspeech'],
+        resolveAudio: null,        // function(text) -> audio URL or null
+        httpEndpoint: null,        // e.g. 'https://host/tts?lang=de&q={text}'
+        voiceTimeout: 2000         // Max wait (ms) for voiceschanged before speaking anyway
+    };
+
+    const backends = {};
+    let currentAudio = null;
+    let voicesPromise = null;
+    // Bumped by stop(); a speak() call whose generation is gone was cancelled
+    let generation = 0;
+    let settleAudio = null;
+
+    function synth() {
+        return window.speechSynthesis || null;
     }
-    
-    const utterance = new SpeechSynthesisUtterance(word);
-    utterance.lang = 'de-DE'; // German language
-    utterance.rate = 0.8; // Slightly slower for clarity
-    utterance.pitch = 1;
-    utterance.volume = 1;
-    
-    // Try to use a German voice if available
-    const voices = window.speechSynthesis.getVoices();
-    const germanVoice = voices.find(voice => 
-        voice.lang.startsWith('de') || 
-        voice.name.toLowerCase().includes('german')
-    );
-    
-    if (germanVoice) {
-        utterance.voice = germanVoice;
+
+    /* ---------- Voices ---------- */
+
+    // Resolves with the voice list, waiting for voiceschanged when the browser
+    // has not loaded voices yet (Chrome returns [] on the first call).
+    function loadVoices() {
+        const s = synth();
+        if (!s) return Promise.resolve([]);
+
+        const now = s.getVoices();
+        if (now.length) return Promise.resolve(now);
+        if (voicesPromise) return voicesPromise;
+
+        voicesPromise = new Promise(function(resolve) {
+            let timer = null;
+            function done() {
+                clearTimeout(timer);
+                s.removeEventListener('voiceschanged', onChange);
+                const voices = s.getVoices();
+                // Retry on the next call if the browser really has no voices yet
+                if (!voices.length) voicesPromise = null;
+                resolve(voices);
+            }
+            function onChange() {
+                if (s.getVoices().length) done();
+            }
+            s.addEventListener('voiceschanged', onChange);
+            timer = setTimeout(done, config.voiceTimeout);
+        });
+        return voicesPromise;
     }
-    
-    window.speechSynthesis.speak(utterance);
-}
 
-// Load voices when page loads
-window.addEventListener('load', function() {
-    if (window.speechSynthesis.onvoiceschanged !== undefined) {
-        window.speechSynthesis.onvoiceschanged = function() {
-            // Voices loaded
-        };
+    function isGerman(voice) {
+        return voice.lang.toLowerCase().startsWith('de') ||
+               voice.name.toLowerCase().includes('german');
     }
-});
 
-// Sidebar toggle function
-function toggleSidebar() {
-    const sidebar = document.getElementById('sidebar');
-    const overlay = document.querySelector('.sidebar-overlay');
-    if (sidebar && overlay) {
-        sidebar.classList.toggle('open');
-        overlay.classList.toggle('active');
+    function pickVoice(voices, preferredName) {
+        if (preferredName) {
+            const named = voices.find(v => v.name === preferredName);
+            if (named) return named;
+        }
+        return voices.find(v => v.lang === config.lang) ||
+               voices.find(isGerman) ||
+               null;
     }
-}
 
-// Close sidebar when clicking outside on mobile
-document.addEventListener('click', function(event) {
-    const sidebar = document.getElementById('sidebar');
-    const toggle = document.querySelector('.sidebar-toggle');
-    const overlay = document.querySelector('.sidebar-overlay');
-    
-    if (window.innerWidth <= 768 && sidebar && toggle && overlay) {
-        if (!sidebar.contains(event.target) && !toggle.contains(event.target) && sidebar.classList.contains('open')) {
-            sidebar.classList.remove('open');
-            overlay.classList.remove('active');
+    /* ---------- Playback helpers ---------- */
+
+    // A paused <audio> never fires ended, so stop() settles the promise itself
+    // (and the AbortError from play() then has nothing left to reject)
+    function playUrl(url, opts) {
+        return new Promise(function(resolve, reject) {
+            const audio = new Audio();
+            audio.volume = opts.volume;
+            audio.playbackRate = opts.rate / config.rate || 1;
+            settleAudio = resolve;
+            audio.onended = function() { resolve(); };
+            if (opts.onstart) audio.onplaying = opts.onstart;
+            audio.onerror = function() { reject(new Error('Audio failed to load: ' + url)); };
+            audio.src = url;
+            currentAudio = audio;
+            const playPromise = audio.play();
+            if (playPromise !== undefined) playPromise.catch(reject);
+        });
+    }
+
+    /* ---------- Built-in backends ---------- */
+
+    backends.files = {
+        isAvailable: function(text) {
+            return typeof config.resolveAudio === 'function' && !!config.resolveAudio(text);
+        },
+        speak: function(text, opts) {
+            return playUrl(config.resolveAudio(text), opts);
+        }
+    };
+
+    backends.http = {
+        isAvailable: function() {
+            return !!config.httpEndpoint;
+        },
+        speak: function(text, opts) {
+            return playUrl(config.httpEndpoint.replace('{text}', encodeURIComponent(text)), opts);
+        }
+    };
+
+    backends.webspeech = {
+        isAvailable: function() {
+            return !!synth() && typeof SpeechSynthesisUtterance !== 'undefined';
+        },
+        speak: function(text, opts) {
+            const token = generation;
+            return loadVoices().then(function(voices) {
+                // stop() while the voices were loading
+                if (token !== generation) return;
+                return new Promise(function(resolve, reject) {
+                    const utterance = new SpeechSynthesisUtterance(text);
+                    utterance.lang = config.lang;
+                    utterance.rate = opts.rate;
+                    utterance.pitch = opts.pitch;
+                    utterance.volume = opts.volume;
+
+                    const voice = pickVoice(voices, opts.voiceName);
+                    if (voice) utterance.voice = voice;
+
+                    utterance.onend = function() { resolve(); };
+                    utterance.onerror = function(e) {
+                        // A newer speak() call cancelling this one is not a failure
+                        if (e.error === 'interrupted' || e.error === 'canceled') resolve();
+                        else reject(new Error('Speech synthesis failed: ' + e.error));
+                    };
+                    if (opts.onboundary) utterance.onboundary = opts.onboundary;
+                    if (opts.onstart) utterance.onstart = opts.onstart;
+                    synth().speak(utterance);
+                });
+            });
+        }
+    };
+
+    /* ---------- Public API ---------- */
+
+    function stop() {
+        generation++;
+        if (settleAudio) {
+            settleAudio();
+            settleAudio = null;
+        }
+        if (currentAudio) {
+            currentAudio.pause();
+            currentAudio = null;
         }
+        const s = synth();
+        if (s && (s.speaking || s.pending)) s.cancel();
     }
-});
 
-// Highlight current page in sidebar
-window.addEventListener('load', function() {
-    const currentPage = window.location.pathname.split('/').pop();
-    const navItems = document.querySelectorAll('.sidebar-nav-item');
-    navItems.forEach(item => {
-        const href = item.getAttribute('href');
-        if (href && href.includes(currentPage)) {
-            item.classList.add('active');
-        } else {
-            item.classList.remove('active');
+    // Speak text through the first backend in the chain that can play it.
+    // Resolves with the backend name when playback ends, or with null when
+    // stop() (or a newer speak()) cancelled it - a cancelled word is not
+    // handed on to the next backend.
+    function speak(text, options) {
+        const opts = Object.assign({
+            rate: config.rate,
+            pitch: config.pitch,
+            volume: config.volume,
+            voiceName: config.voiceName,
+            chain: config.chain
+        }, options);
+        const word = String(text || '').trim();
+        if (!word) return Promise.reject(new Error('Nothing to speak'));
+
+        stop();
+        const token = generation;
+
+        const chain = opts.chain.filter(function(name) {
+            const backend = backends[name];
+            return backend && backend.isAvailable(word);
+        });
+
+        function attempt(i, lastError) {
+            if (i >= chain.length) {
+                return Promise.reject(lastError || new Error('No speech backend available'));
+            }
+            return backends[chain[i]].speak(word, opts).then(
+                function() { return token === generation ? chain[i] : null; },
+                function(err) { return token === generation ? attempt(i + 1, err) : null; }
+            );
         }
+        return attempt(0, null);
+    }
+
+    function configure(options) {
+        Object.assign(config, options);
+    }
+
+    // backend: { isAvailable(text) -> boolean, speak(text, opts) -> Promise }
+    function registerBackend(name, backend) {
+        backends[name] = backend;
+    }
+
+    window.GermanSpeech = {
+        speak: speak,
+        stop: stop,
+        configure: configure,
+        registerBackend: registerBackend,
+        loadVoices: loadVoices,
+        germanVoices: function() {
+            return loadVoices().then(voices => voices.filter(isGerman));
+        },
+        config: config
+    };
+})();
+
+// Site root from a script's own URL (".../js/vocab.js" -> ".../"), so pages
+// in subfolders still find data/, audio/ and sw.js. Call it while the script
+// runs: siteRootOf(document.currentScript)
+function siteRootOf(script) {
+    return script && script.src ? script.src.replace(/js\/[^/?#]+\.js([?#].*)?$/, '') : '';
+}
+
+// German pronunciation function - called by every 🔊 button
+function speakGerman(word, options) {
+    return GermanSpeech.speak(word, options).catch(function(err) {
+        console.warn('🔇 Could not pronounce "' + word + '":', err.message);
     });
+}
+
+// Elements rendered with data-speak (vocabulary tables) pronounce on click
+document.addEventListener('click', function(event) {
+    const target = event.target.closest && event.target.closest('[data-speak]');
+    if (target) speakGerman(target.getAttribute('data-speak'));
 });
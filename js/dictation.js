@@ -0,0 +1,346 @@
+/* ============================================
+   DICTATION
+   Plays a random word or example sentence from the page through
+   speakGerman (🔊 replay, 🐢 slow replay); you type what you heard and get
+   a character-level diff against the German text.
+
+   The diff names the mistakes learners make most:
+     umlaut  - a for ä, or ae/oe/ue spelled out
+     eszett  - s or ss for ß (and ß for ss)
+     case    - Apfel vs apfel
+     other   - wrong, missing or extra letters
+   Punctuation is shown but never counted. The session score and the
+   mistake tally stay in the progress line and the results screen.
+
+   Launch: "🎧 Dictation" in a vocabulary table's study bar (its words and
+   examples), or <button data-dictation> for every 🔊 text on the page.
+
+   Keys: Enter = check / next, Ctrl+Space = replay, Esc = close.
+
+   Node: require('./js/dictation.js').diff('Straße', 'strasse')
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const ROUND_LENGTH = 10;
+    const SLOW_RATE = 0.5;
+    const KINDS = ['umlaut', 'eszett', 'case', 'other'];
+    const KIND_LABELS = { umlaut: 'umlaut', eszett: 'ß', case: 'capitalization', other: 'other' };
+    const BASE = { 'ä': 'a', 'ö': 'o', 'ü': 'u', 'Ä': 'A', 'Ö': 'O', 'Ü': 'U' };
+    const PUNCT = /^[\s.,;:!?'"„“”‚‘’()\-–…]$/;
+
+    /* ---------- Diff ---------- */
+
+    // Kind of a one-character substitution, or null when it is no special case
+    function substitution(want, got) {
+        if (want === got) return 'same';
+        const lower = want.toLowerCase() === got.toLowerCase();
+        if (lower) return 'case';
+        if (BASE[want] && BASE[want].toLowerCase() === got.toLowerCase()) return 'umlaut';
+        if (BASE[got] && BASE[got].toLowerCase() === want.toLowerCase()) return 'umlaut';
+        if (want === 'ß' && got.toLowerCase() === 's') return 'eszett';
+        return null;
+    }
+
+    // Character ops turning `expected` into `typed`, cheapest first:
+    //   { op: 'same' | 'wrong' | 'missing' | 'extra', expected, typed, kind }
+    // Besides single characters, "ä" may match "ae" and "ß" "ss" (and back).
+    function diff(expected, typed) {
+        const e = Array.from(expected);
+        const t = Array.from(typed);
+        const cost = [];
+        const step = [];
+        for (let i = 0; i <= e.length; i++) {
+            cost.push(new Array(t.length + 1).fill(Infinity));
+            step.push(new Array(t.length + 1).fill(null));
+        }
+        cost[0][0] = 0;
+
+        function relax(i, j, di, dj, price, move) {
+            const ni = i + di;
+            const nj = j + dj;
+            if (ni > e.length || nj > t.length || cost[i][j] + price >= cost[ni][nj]) return;
+            cost[ni][nj] = cost[i][j] + price;
+            step[ni][nj] = Object.assign({ di: di, dj: dj }, move);
+        }
+
+        for (let i = 0; i <= e.length; i++) {
+            for (let j = 0; j <= t.length; j++) {
+                if (cost[i][j] === Infinity) continue;
+                if (i < e.length && j < t.length) {
+                    const kind = substitution(e[i], t[j]);
+                    if (kind === 'same') relax(i, j, 1, 1, 0, { op: 'same' });
+                    else relax(i, j, 1, 1, 1, { op: 'wrong', kind: kind || 'other' });
+                }
+                // ä typed as ae, ß as ss
+                if (i < e.length && j + 1 < t.length) {
+                    const pair = (t[j] + t[j + 1]).toLowerCase();
+                    if (BASE[e[i]] && pair === BASE[e[i]].toLowerCase() + 'e') relax(i, j, 1, 2, 1, { op: 'wrong', kind: 'umlaut' });
+                    if (e[i] === 'ß' && pair === 'ss') relax(i, j, 1, 2, 1, { op: 'wrong', kind: 'eszett' });
+                }
+                // ss typed as ß
+                if (i + 1 < e.length && j < t.length && t[j] === 'ß' && (e[i] + e[i + 1]).toLowerCase() === 'ss') {
+                    relax(i, j, 2, 1, 1, { op: 'wrong', kind: 'eszett' });
+                }
+                if (i < e.length) relax(i, j, 1, 0, 1, { op: 'missing', kind: 'other' });
+                if (j < t.length) relax(i, j, 0, 1, 1, { op: 'extra', kind: 'other' });
+            }
+        }
+
+        const ops = [];
+        for (let i = e.length, j = t.length; i || j;) {
+            const s = step[i][j];
+            i -= s.di;
+            j -= s.dj;
+            const op = {
+                op: s.op,
+                expected: e.slice(i, i + s.di).join(''),
+                typed: t.slice(j, j + s.dj).join(''),
+                kind: s.kind || null
+            };
+            if (op.op !== 'same' && PUNCT.test(op.expected || op.typed) && (op.expected + op.typed).length === 1) {
+                op.kind = 'punct';
+            }
+            ops.unshift(op);
+        }
+        return mergeOps(ops);
+    }
+
+    // Join neighbouring ops of the same op and kind, so the diff reads in runs
+    function mergeOps(ops) {
+        return ops.reduce(function(list, op) {
+            const last = list[list.length - 1];
+            if (last && last.op === op.op && last.kind === op.kind && op.op !== 'wrong') {
+                last.expected += op.expected;
+                last.typed += op.typed;
+            } else {
+                list.push(op);
+            }
+            return list;
+        }, []);
+    }
+
+    // { umlaut, eszett, case, other } mistake counts of a diff
+    function mistakes(ops) {
+        const counts = { umlaut: 0, eszett: 0, case: 0, other: 0 };
+        ops.forEach(function(op) {
+            if (op.op === 'same' || op.kind === 'punct') return;
+            counts[op.kind] += op.op === 'wrong' ? 1 : Array.from(op.expected || op.typed).length;
+        });
+        return counts;
+    }
+
+    // Whitespace collapsed, so a double space is no mistake
+    function clean(text) {
+        return String(text || '').trim().replace(/\s+/g, ' ');
+    }
+
+    function check(expected, typed) {
+        const ops = diff(clean(expected), clean(typed));
+        const counts = mistakes(ops);
+        return {
+            ops: ops,
+            mistakes: counts,
+            correct: KINDS.every(kind => !counts[kind])
+        };
+    }
+
+    const api = {
+        KINDS: KINDS,
+        diff: diff,
+        mistakes: mistakes,
+        check: check
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Texts to dictate ---------- */
+
+    // Words (with article) and example sentences of a vocabulary scope
+    function wordTexts(words) {
+        return unique(words.reduce(function(list, word) {
+            list.push({ german: GermanVocab.speakText(word), english: word.english, hindi: word.hindi });
+            if (word.example) list.push({ german: word.example.speak || word.example.german, english: word.example.english });
+            return list;
+        }, []));
+    }
+
+    // Every 🔊 text on the page: data-speak and onclick="speakGerman('...')"
+    function pageTexts() {
+        const list = [];
+        document.querySelectorAll('[data-speak]').forEach(node => list.push({ german: node.getAttribute('data-speak') }));
+        document.querySelectorAll('[onclick*="speakGerman"]').forEach(function(node) {
+            const match = node.getAttribute('onclick').match(/speakGerman\((['"])((?:\\.|(?!\1).)*)\1/);
+            if (match) list.push({ german: match[2].replace(/\\(.)/g, '$1') });
+        });
+        // Single letters and sounds make poor dictation
+        return unique(list.filter(item => /\p{L}{2}/u.test(item.german)));
+    }
+
+    function unique(list) {
+        const seen = new Set();
+        return list.filter(function(item) {
+            const key = clean(item.german);
+            if (!key || seen.has(key)) return false;
+            seen.add(key);
+            item.german = key;
+            return true;
+        });
+    }
+
+    /* ---------- Dictation UI ---------- */
+
+    const el = GermanStudy.el;
+    let session = null;
+
+    const shuffle = GermanStudy.shuffle;
+
+    function open(title, texts) {
+        const dialog = GermanStudy.openDialog('🎧 Dictation · ' + title, {
+            onKey: onKey,
+            onClose: function() { session = null; }
+        });
+        session = {
+            dialog: dialog, title: title, texts: texts,
+            queue: shuffle(texts).slice(0, ROUND_LENGTH),
+            index: 0, score: 0, answered: false,
+            tally: { umlaut: 0, eszett: 0, case: 0, other: 0 }
+        };
+        showItem();
+    }
+
+    function progressText() {
+        return (session.index + 1) + ' / ' + session.queue.length + ' · ✓ ' + session.score;
+    }
+
+    function play(rate) {
+        const item = session.queue[session.index];
+        if (item) speakGerman(item.german, rate ? { rate: rate } : undefined);
+    }
+
+    function showItem() {
+        const s = session;
+        s.dialog.clear();
+        s.answered = false;
+        if (!s.queue[s.index]) return showResults();
+        s.dialog.progress.textContent = progressText();
+
+        const body = s.dialog.body;
+        body.appendChild(el('div', 'quiz-instruction', 'Listen and type what you hear'));
+        const controls = body.appendChild(el('div', 'dictation-controls'));
+        controls.appendChild(GermanStudy.button('🔊 Play again', 'study-btn', () => play()));
+        controls.appendChild(GermanStudy.button('🐢 Slowly', 'study-btn', () => play(SLOW_RATE)));
+
+        const input = body.appendChild(el('input', 'quiz-input'));
+        input.type = 'text';
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+        input.setAttribute('autocapitalize', 'off');
+        input.setAttribute('aria-label', 'What you heard');
+        s.dialog.actions.appendChild(GermanStudy.button('Check', 'study-btn', () => checkTyped(input)));
+        setTimeout(() => input.focus(), 0);
+        play();
+    }
+
+    function checkTyped(input) {
+        const s = session;
+        if (s.answered || !input.value.trim()) return;
+        s.answered = true;
+        const item = s.queue[s.index];
+        const result = check(item.german, input.value);
+        input.disabled = true;
+        input.classList.add(result.correct ? 'quiz-input--correct' : 'quiz-input--wrong');
+        if (result.correct) s.score++;
+        KINDS.forEach(kind => s.tally[kind] += result.mistakes[kind]);
+        s.dialog.progress.textContent = progressText();
+
+        const feedback = s.dialog.body.appendChild(el('div', 'quiz-feedback ' + (result.correct ? 'quiz-feedback--correct' : 'quiz-feedback--wrong')));
+        feedback.appendChild(el('div', null, result.correct ? '✅ Richtig!' : '❌ ' + mistakeText(result.mistakes)));
+        feedback.appendChild(renderDiff(result.ops));
+        const answer = feedback.appendChild(el('div', 'quiz-word'));
+        answer.appendChild(GermanStudy.audioButton(item.german));
+        answer.appendChild(document.createTextNode(item.german + (item.english ? ' = ' + item.english : '') +
+            (item.hindi ? ' · ' + item.hindi : '')));
+
+        s.dialog.actions.textContent = '';
+        const last = s.index === s.queue.length - 1;
+        s.dialog.actions.appendChild(GermanStudy.button(last ? 'See results' : 'Next →', 'study-btn', next)).focus();
+    }
+
+    // "2 umlaut, 1 capitalization"
+    function mistakeText(counts) {
+        return KINDS.filter(kind => counts[kind])
+            .map(kind => counts[kind] + ' ' + KIND_LABELS[kind])
+            .join(', ') + ' mistake' + (KINDS.reduce((n, kind) => n + counts[kind], 0) === 1 ? '' : 's');
+    }
+
+    // Expected text with each mistake marked; what was typed shows on hover
+    function renderDiff(ops) {
+        const line = el('div', 'dictation-diff german');
+        ops.forEach(function(op) {
+            if (op.op === 'same') {
+                line.appendChild(document.createTextNode(op.expected));
+                return;
+            }
+            const kind = op.kind === 'punct' ? 'punct' : op.kind;
+            const span = line.appendChild(el(op.op === 'extra' ? 'del' : 'mark',
+                'dictation-' + op.op + ' dictation-' + kind, op.op === 'extra' ? op.typed : op.expected));
+            span.title = op.op === 'missing' ? 'missing' :
+                op.op === 'extra' ? 'not in the word' :
+                'you typed "' + op.typed + '"' + (KIND_LABELS[kind] ? ' (' + KIND_LABELS[kind] + ')' : '');
+        });
+        return line;
+    }
+
+    function next() {
+        session.index++;
+        showItem();
+    }
+
+    function showResults() {
+        const s = session;
+        const body = s.dialog.body;
+        s.dialog.progress.textContent = '';
+        if (!s.queue.length) {
+            body.appendChild(el('div', 'study-done', 'Nothing to dictate on this page.'));
+            return;
+        }
+        body.appendChild(el('div', 'study-done', '🎧 ' + s.score + ' / ' + s.queue.length + ' written correctly'));
+        if (KINDS.some(kind => s.tally[kind])) {
+            body.appendChild(el('div', 'quiz-note', 'Mistakes this session: ' + mistakeText(s.tally).replace(/ mistakes?$/, '')));
+        }
+        const title = s.title;
+        const texts = s.texts;
+        s.dialog.actions.appendChild(GermanStudy.button('Another round', 'study-btn', () => open(title, texts)));
+    }
+
+    function onKey(e) {
+        if (!session || session.index >= session.queue.length) return;
+        if (e.key === ' ' && e.ctrlKey) {
+            e.preventDefault();
+            play();
+        } else if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') {
+            e.preventDefault();
+            if (session.answered) next();
+            else checkTyped(session.dialog.body.querySelector('.quiz-input'));
+        }
+    }
+
+    /* ---------- Launchers ---------- */
+
+    GermanStudy.onTables(function(table) {
+        GermanStudy.toolbar(table.container).appendChild(GermanStudy.button('🎧 Dictation', 'study-btn',
+            () => open(table.title, wordTexts(GermanStudy.scopeWords(table.page, table.level)))));
+    });
+
+    document.addEventListener('click', function(e) {
+        const btn = e.target.closest && e.target.closest('[data-dictation]');
+        if (btn) open(document.title.replace(/\s*[-|–].*$/, ''), pageTexts());
+    });
+
+    api.open = open;
+    root.GermanDictation = api;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,319 @@
+/* ============================================
+   CONJUGATION & PLURAL DRILLS
+   Fill-in exercises generated from the verb and noun paradigms in
+   data/drills.js:
+     present - "du ___ (sprechen)"          -> sprichst
+     perfekt - "ich ___ (fahren)"           -> bin gefahren
+     plural  - "das Buch -> die ___"        -> Bücher ("die Bücher" counts too)
+
+   Answers are compared like audio lookups (js/audio-pack.js): case is
+   ignored and "ae" counts as "ä", but "Bucher" is wrong - the umlaut is
+   the point. On a mistake the drill names the pattern from grammar.html
+   (sections 1, 3 and 5) and shows the full paradigm.
+
+   Launch: <button data-drill="present perfekt"> on any page that loads
+   this file followed by data/drills.js.
+
+   Keys: Enter = check / next, Esc = close.
+
+   Node: const drills = require('./js/drills.js');
+         vm.runInNewContext(source, { GermanDrills: drills });   // data/drills.js
+         drills.buildExercises('plural', { count: 5 })
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const ROUND_LENGTH = 10;
+    const KINDS = ['present', 'perfekt', 'plural'];
+    const PRONOUNS = ['ich', 'du', 'er/sie/es', 'wir', 'ihr', 'sie/Sie'];
+
+    const normalize = typeof module !== 'undefined' && module.exports ?
+        require('./audio-pack.js').normalize :
+        root.GermanAudio.normalize;
+
+    // grammar.html 1 and 3.1
+    const PRESENT_PATTERNS = {
+        'regular': 'Regular verb: stem + -e, -st, -t, -en, -t, -en',
+        'regular-e': 'Stem ends in -t or -d: an extra -e- before -st and -t (du arbeitest, er arbeitet)',
+        'regular-s': 'Stem ends in -s, -ß or -z: du only adds -t (du heißt, du tanzt)',
+        'stem-e-i': 'Vowel change e → i for du and er/sie/es (du sprichst, er spricht)',
+        'stem-e-ie': 'Vowel change e → ie for du and er/sie/es (du liest, er sieht)',
+        'stem-a-ae': 'Vowel change a → ä (au → äu) for du and er/sie/es (du fährst, er läuft)',
+        'modal': 'Modal verb: ich and er/sie/es are the same, with no ending, and the singular changes its vowel',
+        'irregular': 'Irregular verb - like sein and haben, learn the whole table'
+    };
+
+    // grammar.html 3.2
+    const PERFEKT_PATTERNS = {
+        'weak': 'Regular (weak) verb: ge- + stem + -t',
+        'strong': 'Strong verb: ge- + stem + -en, often with a vowel change - learn the participle',
+        'mixed': 'Mixed verb: ge- + changed stem + -t (bringen → gebracht)',
+        'no-ge': 'No ge- for verbs ending in -ieren or starting with be-, ver-, er-, ...',
+        'separable': 'Separable verb: ge- goes between the prefix and the stem'
+    };
+    const AUX_NOTES = {
+        'haben': 'Uses haben, like most verbs',
+        'sein': 'Uses sein: movement or change of state (sein and bleiben too)'
+    };
+
+    // grammar.html 5.1
+    const PLURAL_PATTERNS = {
+        'none': 'Pattern 1: no change - der/das nouns in -er, -el, -en, -chen, -lein',
+        'e': 'Pattern 2: add -e - many one-syllable masculine nouns',
+        'er': 'Pattern 3: add -er - one-syllable neuter nouns',
+        'en': 'Pattern 4: add -en or -n - most feminine nouns',
+        's': 'Pattern 5: add -s - loanwords and nouns ending in a vowel'
+    };
+
+    const data = { verbs: [], nouns: [] };
+
+    function register(set) {
+        if (set.verbs) data.verbs = data.verbs.concat(set.verbs);
+        if (set.nouns) data.nouns = data.nouns.concat(set.nouns);
+    }
+
+    function verb(infinitive) {
+        return data.verbs.find(v => v.infinitive === infinitive) || null;
+    }
+
+    /* ---------- Exercises ---------- */
+
+    const shuffle = typeof module !== 'undefined' && module.exports ?
+        require('./study.js').shuffle :
+        root.GermanStudy.shuffle;
+
+    // "habe gelernt", "ist gefahren"
+    function perfektForm(v, person) {
+        return verb(v.aux).present[person] + ' ' + v.participle;
+    }
+
+    function exercise(kind, item, person) {
+        if (kind === 'plural') {
+            return {
+                kind: kind, item: item,
+                prompt: item.article + ' ' + item.singular + ' → die ___',
+                answer: item.plural,
+                accepted: [item.plural, 'die ' + item.plural]
+            };
+        }
+        const answer = kind === 'present' ? item.present[person] : perfektForm(item, person);
+        return {
+            kind: kind, item: item, person: person,
+            prompt: PRONOUNS[person] + ' ___ (' + item.infinitive + ')',
+            answer: answer,
+            accepted: [answer]
+        };
+    }
+
+    // Up to options.count exercises of one kind (or a mix of kinds)
+    function buildExercises(kinds, options) {
+        const opts = Object.assign({ count: ROUND_LENGTH, random: Math.random }, options);
+        const list = [].concat(kinds || KINDS).filter(kind => KINDS.includes(kind));
+        const exercises = [];
+        for (let i = 0; exercises.length < opts.count && list.length; i++) {
+            const kind = list[i % list.length];
+            const pool = kind === 'plural' ? data.nouns : data.verbs;
+            const used = new Set(exercises.filter(e => e.kind === kind).map(e => e.item));
+            const item = shuffle(pool, opts.random).find(candidate => !used.has(candidate));
+            if (!item) break;
+            exercises.push(exercise(kind, item, Math.floor(opts.random() * PRONOUNS.length)));
+        }
+        return exercises;
+    }
+
+    // { correct, exact }: correct ignores case and ae/ä spelling, exact does not
+    function checkAnswer(input, ex) {
+        const typed = String(input || '').trim().replace(/\s+/g, ' ');
+        return {
+            correct: !!typed && ex.accepted.some(a => normalize(a) === normalize(typed)),
+            exact: ex.accepted.includes(typed)
+        };
+    }
+
+    // Pattern notes shown after a mistake, most useful first
+    function explain(ex) {
+        const item = ex.item;
+        if (ex.kind === 'plural') {
+            let note = PLURAL_PATTERNS[item.pattern];
+            if (item.umlaut) note += ', plus an umlaut (a → ä, o → ö, u → ü)';
+            return [note].concat(item.note ? [item.note] : []);
+        }
+        if (ex.kind === 'present') {
+            const notes = [PRESENT_PATTERNS[item.presentPattern]];
+            if (item.prefix) notes.push('Separable verb: "' + item.prefix + '" moves to the end of the sentence');
+            return notes;
+        }
+        return [AUX_NOTES[item.aux], PERFEKT_PATTERNS[item.perfektPattern]];
+    }
+
+    // Rows of [label, form] for the feedback table
+    function paradigm(ex) {
+        const item = ex.item;
+        if (ex.kind === 'plural') {
+            return [[item.article + ' ' + item.singular, 'die ' + item.plural]];
+        }
+        if (ex.kind === 'present') {
+            return PRONOUNS.map((pronoun, i) => [pronoun, item.present[i]]);
+        }
+        return PRONOUNS.map((pronoun, i) => [pronoun, perfektForm(item, i)]);
+    }
+
+    const api = {
+        KINDS: KINDS,
+        PRONOUNS: PRONOUNS,
+        register: register,
+        verbs: () => data.verbs,
+        nouns: () => data.nouns,
+        buildExercises: buildExercises,
+        checkAnswer: checkAnswer,
+        explain: explain,
+        paradigm: paradigm
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Drill UI ---------- */
+
+    const el = GermanStudy.el;
+    const TITLES = { present: 'Präsens', perfekt: 'Perfekt', plural: 'Plural' };
+    let drill = null;
+
+    // Text to speak for the solved exercise, e.g. "du sprichst", "die Bücher"
+    function spoken(ex) {
+        if (ex.kind === 'plural') return 'die ' + ex.answer;
+        return PRONOUNS[ex.person].split('/')[0] + ' ' + ex.answer;
+    }
+
+    function open(kinds) {
+        const title = kinds.map(kind => TITLES[kind]).join(' + ');
+        const dialog = GermanStudy.openDialog('✏️ ' + title, {
+            onKey: onKey,
+            onClose: function() { drill = null; }
+        });
+        drill = {
+            dialog: dialog, kinds: kinds,
+            exercises: buildExercises(kinds), index: 0, score: 0,
+            missed: [], answered: false
+        };
+        showExercise();
+    }
+
+    function progressText() {
+        return (drill.index + 1) + ' / ' + drill.exercises.length + ' · ✓ ' + drill.score;
+    }
+
+    function showExercise() {
+        const ex = drill.exercises[drill.index];
+        drill.dialog.clear();
+        drill.answered = false;
+        if (!ex) return showResults();
+        drill.dialog.progress.textContent = progressText();
+
+        const body = drill.dialog.body;
+        const item = ex.item;
+        body.appendChild(el('div', 'quiz-instruction', ex.kind === 'plural' ? 'Give the plural' :
+            ex.kind === 'present' ? 'Conjugate in the Präsens' : 'Put it in the Perfekt (haben/sein + participle)'));
+        body.appendChild(el('div', 'quiz-prompt quiz-prompt-german', ex.prompt));
+        body.appendChild(el('div', 'quiz-hint english', item.english + (item.hindi ? ' · ' + item.hindi : '')));
+
+        const input = body.appendChild(el('input', 'quiz-input'));
+        input.type = 'text';
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+        input.setAttribute('autocapitalize', 'off');
+        input.setAttribute('aria-label', 'Answer');
+        drill.dialog.actions.appendChild(GermanStudy.button('Check', 'study-btn', () => check(input)));
+        setTimeout(() => input.focus(), 0);
+    }
+
+    function check(input) {
+        if (drill.answered || !input.value.trim()) return;
+        const ex = drill.exercises[drill.index];
+        const result = checkAnswer(input.value, ex);
+        drill.answered = true;
+        input.disabled = true;
+        input.classList.add(result.correct ? 'quiz-input--correct' : 'quiz-input--wrong');
+        if (result.correct) drill.score++;
+        else drill.missed.push(ex);
+        drill.dialog.progress.textContent = progressText();
+        speakGerman(spoken(ex));
+
+        const feedback = drill.dialog.body.appendChild(el('div', 'quiz-feedback ' + (result.correct ? 'quiz-feedback--correct' : 'quiz-feedback--wrong')));
+        feedback.appendChild(el('div', null, result.correct ? '✅ Richtig!' : '❌ Answer: ' + ex.answer));
+        if (result.correct && !result.exact) feedback.appendChild(el('div', 'quiz-note', 'Spelling: ' + ex.answer));
+        if (!result.correct) {
+            explain(ex).forEach(note => feedback.appendChild(el('div', 'drill-pattern', '📋 ' + note)));
+            feedback.appendChild(paradigmTable(ex));
+        }
+
+        drill.dialog.actions.textContent = '';
+        const last = drill.index === drill.exercises.length - 1;
+        drill.dialog.actions.appendChild(GermanStudy.button(last ? 'See results' : 'Next →', 'study-btn', next)).focus();
+    }
+
+    function paradigmTable(ex) {
+        const table = el('table', 'drill-paradigm');
+        if (ex.kind !== 'plural') table.appendChild(el('caption', null, ex.item.infinitive + (ex.kind === 'perfekt' ? ' · Perfekt' : '')));
+        paradigm(ex).forEach(function(cells, i) {
+            const row = table.appendChild(el('tr', ex.kind !== 'plural' && i === ex.person ? 'drill-paradigm-asked' : null));
+            row.appendChild(el('td', null, cells[0]));
+            const form = row.appendChild(el('td', 'german'));
+            form.appendChild(GermanStudy.audioButton(ex.kind === 'plural' ? cells[1] : cells[0].split('/')[0] + ' ' + cells[1]));
+            form.appendChild(document.createTextNode(cells[1]));
+        });
+        return table;
+    }
+
+    function next() {
+        drill.index++;
+        showExercise();
+    }
+
+    function showResults() {
+        const total = drill.exercises.length;
+        const body = drill.dialog.body;
+        drill.dialog.progress.textContent = '';
+        if (!total) {
+            body.appendChild(el('div', 'study-done', 'No drill data loaded (data/drills.js).'));
+            return;
+        }
+        const pct = Math.round(100 * drill.score / total);
+        body.appendChild(el('div', 'study-done', (pct >= 80 ? '🎉 ' : '📝 ') + drill.score + ' / ' + total + ' correct (' + pct + '%)'));
+
+        if (drill.missed.length) {
+            body.appendChild(el('div', 'quiz-missed-title', 'Review'));
+            const list = body.appendChild(el('ul', 'quiz-missed'));
+            drill.missed.forEach(function(ex) {
+                const item = list.appendChild(el('li'));
+                item.appendChild(GermanStudy.audioButton(spoken(ex)));
+                item.appendChild(el('span', 'german', ex.prompt.replace('___', ex.answer)));
+                item.appendChild(el('span', 'english', explain(ex)[0]));
+            });
+        }
+        const kinds = drill.kinds;
+        drill.dialog.actions.appendChild(GermanStudy.button('Another round', 'study-btn', () => open(kinds)));
+    }
+
+    function onKey(e) {
+        if (!drill || drill.index >= drill.exercises.length || e.key !== 'Enter') return;
+        if (e.target.tagName === 'BUTTON') return;
+        e.preventDefault();
+        if (drill.answered) next();
+        else check(drill.dialog.body.querySelector('.quiz-input'));
+    }
+
+    /* ---------- Launchers ---------- */
+
+    document.addEventListener('click', function(e) {
+        const btn = e.target.closest && e.target.closest('[data-drill]');
+        if (!btn) return;
+        const kinds = btn.getAttribute('data-drill').split(/\s+/).filter(kind => KINDS.includes(kind));
+        open(kinds.length ? kinds : KINDS);
+    });
+
+    api.open = open;
+    root.GermanDrills = api;
+})(typeof window !== 'undefined' ? window : this);
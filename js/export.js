@@ -0,0 +1,187 @@
+/* ============================================
+   TABLE EXPORT
+   "⬇ Export" in the study bar of every vocabulary table saves the whole
+   table or one section as:
+     csv   - comma-separated, UTF-8 with BOM so spreadsheet apps keep the Hindi
+     tsv   - tab-separated
+     anki  - tab-separated notes with Anki's import header: Front (German),
+             Back (English, Hindi, pronunciation, example) and tags
+
+   Rows come from the word records (js/vocab.js), not from the table cells,
+   so every page exports the same columns whatever order its table shows:
+     German | Plural | English | Hindi | Pronunciation (Hindi) |
+     Example | Example (English) | Opposite | Tags
+   Opposite is only filled on the pairs page (words-opposites). Tags name
+   the page and section, e.g. "a2 a2::Food_&_Drinks".
+
+   Node: require('./js/export.js').toDelimited(rows, ',')
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const FORMATS = [
+        { id: 'csv', label: 'CSV (spreadsheets)', ext: 'csv', type: 'text/csv' },
+        { id: 'tsv', label: 'TSV (tab-separated)', ext: 'tsv', type: 'text/tab-separated-values' },
+        { id: 'anki', label: 'Anki notes', ext: 'txt', type: 'text/plain' }
+    ];
+    const COLUMNS = [
+        { key: 'german', label: 'German' },
+        { key: 'plural', label: 'Plural' },
+        { key: 'english', label: 'English' },
+        { key: 'hindi', label: 'Hindi' },
+        { key: 'translit', label: 'Pronunciation (Hindi)' },
+        { key: 'example', label: 'Example' },
+        { key: 'exampleEnglish', label: 'Example (English)' },
+        { key: 'opposite', label: 'Opposite' },
+        { key: 'tags', label: 'Tags' }
+    ];
+
+    /* ---------- Rows ---------- */
+
+    const speakText = typeof module !== 'undefined' && module.exports ?
+        require('./vocab.js').speakText :
+        root.GermanVocab.speakText;
+
+    // Anki tags cannot contain spaces
+    function tag(text) {
+        return String(text).replace(/\s+/g, '_');
+    }
+
+    // One row per word. lookup(id) finds the opposite in the pairs layout.
+    function rows(words, page, lookup) {
+        return words.map(function(word) {
+            const opposite = word.opposite && lookup ? lookup(word.opposite) : null;
+            return {
+                german: speakText(word),
+                plural: word.plural || '',
+                english: word.english || '',
+                hindi: word.hindi || '',
+                translit: word.translit || '',
+                example: word.example ? word.example.german : '',
+                exampleEnglish: word.example ? word.example.english || '' : '',
+                opposite: opposite ? speakText(opposite) : '',
+                tags: [tag(page), tag(page + '::' + word.topic)].concat(word.level ? tag(word.level) : []).join(' ')
+            };
+        });
+    }
+
+    /* ---------- Formats ---------- */
+
+    function csvField(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }
+
+    function tsvField(value) {
+        return String(value).replace(/[\t\r\n]+/g, ' ');
+    }
+
+    // Header line plus one line per row
+    function toDelimited(list, separator) {
+        const field = separator === '\t' ? tsvField : csvField;
+        const lines = [COLUMNS.map(c => field(c.label)).join(separator)];
+        list.forEach(row => lines.push(COLUMNS.map(c => field(row[c.key])).join(separator)));
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    // Anki's text import: the header lines set the separator, note type,
+    // deck and tag column, so the file imports without any mapping.
+    function toAnki(list, deck) {
+        const lines = [
+            '#separator:tab',
+            '#html:true',
+            '#notetype:Basic',
+            '#deck:' + deck,
+            '#tags column:3'
+        ];
+        list.forEach(function(row) {
+            const front = escapeHtml(row.german) + (row.plural ? ' <small>(' + escapeHtml(row.plural) + ')</small>' : '');
+            const back = [
+                escapeHtml(row.english),
+                escapeHtml(row.hindi),
+                row.translit ? '<i>' + escapeHtml(row.translit) + '</i>' : '',
+                row.opposite ? '↔ ' + escapeHtml(row.opposite) : '',
+                row.example ? escapeHtml(row.example) + (row.exampleEnglish ? ' - ' + escapeHtml(row.exampleEnglish) : '') : ''
+            ].filter(Boolean).join('<br>');
+            lines.push([front, back, row.tags].map(tsvField).join('\t'));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    function format(list, formatId, deck) {
+        if (formatId === 'anki') return toAnki(list, deck);
+        if (formatId === 'tsv') return toDelimited(list, '\t');
+        return '\uFEFF' + toDelimited(list, ',');
+    }
+
+    const api = {
+        FORMATS: FORMATS,
+        COLUMNS: COLUMNS,
+        rows: rows,
+        toDelimited: toDelimited,
+        toAnki: toAnki,
+        format: format
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Dialog ---------- */
+
+    const el = GermanStudy.el;
+
+    function select(parent, labelText, options) {
+        const label = parent.appendChild(el('label', 'export-option'));
+        label.appendChild(el('span', null, labelText + ' '));
+        const node = label.appendChild(el('select'));
+        options.forEach(o => node.appendChild(el('option', null, o.label)).value = o.id);
+        return node;
+    }
+
+    function open(table) {
+        const dialog = GermanStudy.openDialog('⬇ Export - ' + table.title);
+        const scope = select(dialog.body, 'Words', [{ id: '', label: 'Whole table' }].concat(
+            table.sections.map(item => ({ id: item.section.id, label: item.section.emoji + ' ' + item.section.title }))));
+        const fmt = select(dialog.body, 'Format', FORMATS);
+        const note = dialog.body.appendChild(el('p', 'export-note'));
+        const preview = dialog.body.appendChild(el('pre', 'export-preview'));
+
+        function current() {
+            const words = scope.value ? GermanVocab.words(table.page, scope.value) :
+                GermanStudy.scopeWords(table.page, table.level);
+            const section = table.sections.find(item => item.section.id === scope.value);
+            const deck = 'German::' + table.title + (section ? '::' + section.section.title : '');
+            return { words: words, deck: deck, text: format(rows(words, table.page, GermanVocab.get), fmt.value, deck) };
+        }
+
+        function update() {
+            const out = current();
+            note.textContent = out.words.length + ' words' + (fmt.value === 'anki' ?
+                ' · in Anki: File → Import, the deck "' + out.deck + '" is created' : '');
+            preview.textContent = out.text.replace(/^\uFEFF/, '').split('\n').slice(0, 6).join('\n') + '\n…';
+        }
+        scope.addEventListener('change', update);
+        fmt.addEventListener('change', update);
+        update();
+
+        dialog.actions.appendChild(GermanStudy.button('⬇ Download', 'study-btn', function() {
+            const f = FORMATS.find(x => x.id === fmt.value);
+            const name = [table.page, table.level, scope.value].filter(Boolean).join('-')
+                .replace(/[^\w-]+/g, '_') + (f.id === 'anki' ? '-anki' : '') + '.' + f.ext;
+            GermanStudy.download(current().text, name, f.type);
+        }));
+    }
+
+    GermanStudy.onTables(function(table) {
+        GermanStudy.toolbar(table.container).appendChild(GermanStudy.button('⬇ Export', 'study-btn', () => open(table)));
+    });
+
+    api.open = open;
+    root.GermanExport = api;
+})(typeof window !== 'undefined' ? window : this);
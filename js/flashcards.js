@@ -0,0 +1,234 @@
+/* ============================================
+   FLASHCARDS
+   Spaced-repetition drill over the vocabulary tables rendered by js/vocab.js.
+
+   Every table's study bar gets a "🃏 Flashcards" button (whole table) and
+   each category header a 🃏 button (that section only). A session shows due cards first, then
+   up to NEW_PER_SESSION unseen words; the German side plays through
+   speakGerman, the back reveals pronunciation, English, Hindi and the example.
+
+   Grades follow SM-2 (quality 0-5):
+     Again = 1   Hard = 3   Good = 4   Easy = 5
+   Review state is saved per word id in localStorage under 'german-flashcards',
+   next to the theme's 'german-theme' key:
+     { "a1-650-0001": { "ef": 2.5, "interval": 6, "reps": 2, "due": "2026-10-25" } }
+
+   Keys: Space/Enter = show answer, 1-4 = grade, Esc = close.
+
+   Node: require('./js/flashcards.js').schedule(card, quality, today)
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const KEY = 'german-flashcards';
+    const NEW_PER_SESSION = 20;
+    const MIN_EF = 1.3;
+
+    const GRADES = [
+        { label: 'Again', quality: 1, key: '1' },
+        { label: 'Hard', quality: 3, key: '2' },
+        { label: 'Good', quality: 4, key: '3' },
+        { label: 'Easy', quality: 5, key: '4' }
+    ];
+
+    /* ---------- Scheduling (SM-2) ---------- */
+
+    // Local calendar day as YYYY-MM-DD; reviews are scheduled by day, not hour
+    function dayString(date) {
+        const d = date || new Date();
+        return d.getFullYear() + '-' +
+            String(d.getMonth() + 1).padStart(2, '0') + '-' +
+            String(d.getDate()).padStart(2, '0');
+    }
+
+    function addDays(day, days) {
+        const [y, m, d] = day.split('-').map(Number);
+        return dayString(new Date(y, m - 1, d + days));
+    }
+
+    // New review state after answering with quality 0-5 on day `today`
+    function schedule(card, quality, today) {
+        const prev = card || { ef: 2.5, interval: 0, reps: 0 };
+        const next = { ef: prev.ef, interval: 1, reps: 0 };
+
+        if (quality >= 3) {
+            next.reps = prev.reps + 1;
+            if (prev.reps === 0) next.interval = 1;
+            else if (prev.reps === 1) next.interval = 6;
+            else next.interval = Math.round(prev.interval * prev.ef);
+        }
+        const miss = 5 - quality;
+        next.ef = Math.max(MIN_EF, +(prev.ef + 0.1 - miss * (0.08 + miss * 0.02)).toFixed(2));
+        next.due = addDays(today || dayString(), next.interval);
+        return next;
+    }
+
+    function isDue(card, today) {
+        return !!card && card.due <= (today || dayString());
+    }
+
+    const api = { KEY: KEY, schedule: schedule, isDue: isDue, dayString: dayString, addDays: addDays };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Storage ---------- */
+
+    const { load, save } = GermanStudy.store(KEY, 'flashcard progress');
+
+    // Due cards (oldest first), then unseen words in table order
+    function buildQueue(words, cards, today) {
+        const due = words.filter(w => isDue(cards[w.id], today))
+            .sort((a, b) => cards[a.id].due < cards[b.id].due ? -1 : 1);
+        const fresh = words.filter(w => !cards[w.id]).slice(0, NEW_PER_SESSION);
+        return due.concat(fresh);
+    }
+
+    /* ---------- Session UI ---------- */
+
+    const el = GermanStudy.el;
+    let session = null;
+
+    function intervalLabel(days) {
+        return days === 1 ? '1 day' : days + ' days';
+    }
+
+    function open(title, words) {
+        const cards = load();
+        const queue = buildQueue(words, cards, dayString());
+        const dialog = GermanStudy.openDialog('🃏 ' + title, {
+            onKey: onKey,
+            onClose: function() { session = null; }
+        });
+        session = {
+            dialog: dialog, cards: cards, queue: queue,
+            total: queue.length, reviewed: 0, revealed: false
+        };
+        showCard();
+    }
+
+    function close() {
+        if (session) session.dialog.close();
+    }
+
+    function showCard() {
+        const s = session;
+        s.dialog.clear();
+        s.revealed = false;
+
+        const word = s.queue[0];
+        if (!word) return showSummary();
+        s.dialog.progress.textContent = s.queue.length + ' left';
+
+        const front = s.dialog.body.appendChild(el('div', 'flashcard-front'));
+        front.appendChild(GermanStudy.audioButton(GermanVocab.speakText(word)));
+        front.appendChild(document.createTextNode(GermanVocab.displayText(word)));
+        if (!s.cards[word.id]) front.appendChild(el('span', 'flashcard-new', 'new'));
+
+        s.dialog.actions.appendChild(GermanStudy.button('Show answer', 'study-btn', showAnswer));
+        speakGerman(GermanVocab.speakText(word));
+    }
+
+    function showAnswer() {
+        const s = session;
+        if (s.revealed) return;
+        s.revealed = true;
+
+        const word = s.queue[0];
+        const back = s.dialog.body.appendChild(el('div', 'flashcard-back'));
+        if (word.translit) back.appendChild(el('div', 'pronunciation', word.translit));
+        back.appendChild(el('div', 'english', word.english));
+        if (word.hindi) back.appendChild(el('div', 'hindi', word.hindi));
+        if (word.example) {
+            const example = back.appendChild(el('div', 'example'));
+            const sentence = example.appendChild(el('span', 'example-german'));
+            sentence.setAttribute('data-speak', word.example.speak || word.example.german);
+            sentence.appendChild(el('span', 'example-audio-btn', '🔊'));
+            sentence.appendChild(document.createTextNode(word.example.german));
+            example.appendChild(document.createTextNode(' - ' + word.example.english));
+        }
+
+        s.dialog.actions.textContent = '';
+        const today = dayString();
+        GRADES.forEach(function(grade) {
+            const next = schedule(s.cards[word.id], grade.quality, today);
+            const btn = s.dialog.actions.appendChild(GermanStudy.button('', 'study-btn flashcard-grade-' + grade.label.toLowerCase(),
+                () => answer(grade.quality)));
+            btn.appendChild(el('span', null, grade.label));
+            btn.appendChild(el('small', null, grade.quality < 3 ? 'again now' : intervalLabel(next.interval)));
+            btn.title = 'Key ' + grade.key;
+        });
+    }
+
+    function answer(quality) {
+        const s = session;
+        const word = s.queue.shift();
+        s.cards[word.id] = schedule(s.cards[word.id], quality, dayString());
+        save(s.cards);
+        s.reviewed++;
+        // Missed cards come back at the end of this session
+        if (quality < 3) s.queue.push(word);
+        document.dispatchEvent(new CustomEvent('flashcards:graded', {
+            detail: { id: word.id, quality: quality, card: s.cards[word.id] }
+        }));
+        showCard();
+    }
+
+    function showSummary() {
+        const s = session;
+        s.dialog.progress.textContent = '';
+        s.dialog.body.appendChild(el('div', 'study-done', s.total ?
+            '🎉 Session complete - ' + s.reviewed + ' answers.' :
+            '✅ Nothing due here today.'));
+        s.dialog.actions.appendChild(GermanStudy.button('Close', 'study-btn', close));
+        refreshCounts();
+    }
+
+    function onKey(e) {
+        if (!session.queue.length) return;
+        if (!session.revealed && (e.key === ' ' || e.key === 'Enter')) {
+            e.preventDefault();
+            showAnswer();
+        } else if (session.revealed) {
+            const grade = GRADES.find(g => g.key === e.key);
+            if (grade) answer(grade.quality);
+        }
+    }
+
+    /* ---------- Launchers on rendered tables ---------- */
+
+    function countsLabel(words) {
+        const cards = load();
+        const today = dayString();
+        const due = words.filter(w => isDue(cards[w.id], today)).length;
+        const fresh = words.filter(w => !cards[w.id]).length;
+        return due + ' due · ' + fresh + ' new';
+    }
+
+    function refreshCounts() {
+        document.querySelectorAll('.flashcard-counts').forEach(function(counts) {
+            const words = GermanStudy.scopeWords(counts.getAttribute('data-page'), counts.getAttribute('data-level'));
+            counts.textContent = countsLabel(words);
+        });
+    }
+
+    GermanStudy.onTables(function(table) {
+        const words = GermanStudy.scopeWords(table.page, table.level);
+        const bar = GermanStudy.toolbar(table.container);
+        bar.appendChild(GermanStudy.button('🃏 Flashcards', 'study-btn', () => open(table.title, words)));
+        const counts = bar.appendChild(el('span', 'flashcard-counts', countsLabel(words)));
+        counts.setAttribute('data-page', table.page);
+        if (table.level) counts.setAttribute('data-level', table.level);
+
+        table.sections.forEach(function(item) {
+            GermanStudy.sectionButton(item.element, '🃏', 'Flashcards for this section',
+                () => open(item.section.title, GermanVocab.words(table.page, item.section.id)));
+        });
+    });
+
+    api.open = open;
+    api.close = close;
+    root.GermanFlashcards = api;
+})(typeof window !== 'undefined' ? window : this);
@@ -34,7 +34,10 @@
         scrollingTimeout: 150,     // Time (ms) to detect "stopped scrolling"
         
         // Animation
-        transitionDuration: 300    // Match CSS --nav-transition-speed
+        transitionDuration: 300,   // Match CSS --nav-transition-speed
+        
+        // Layout
+        desktopWidth: 769          // Sidebar always shown from this width (pages' 768px breakpoint)
     };
     
     /* ============================================
@@ -86,7 +89,7 @@
     
     // Check if we're on desktop (sidebar always visible)
     function isDesktop() {
-        return window.innerWidth >= 1025;
+        return window.innerWidth >= CONFIG.desktopWidth;
     }
     
     // Check device type for touch handling
@@ -318,10 +321,11 @@
             return;
         }
         
-        // Tab trap when menu is open
+        // Tab trap when menu is open (the search box and table of
+        // contents are added after init, so look them up each time)
         if (e.key === 'Tab' && state.menuOpen) {
-            const { navItems, toggle } = elements;
-            const focusableItems = [toggle, ...navItems];
+            const { sidebar, toggle } = elements;
+            const focusableItems = [toggle, ...sidebar.querySelectorAll('a[href], input, button, summary')];
             const firstItem = focusableItems[0];
             const lastItem = focusableItems[focusableItems.length - 1];
             
@@ -388,11 +392,8 @@
         
         const { toggle, sidebar, overlay } = elements;
         
-        // Check if navbar elements exist
-        if (!toggle && !sidebar) {
-            console.warn('⚠️ Navbar elements not found. Skipping initialization.');
-            return;
-        }
+        // Pages without a sidebar (index.html) have nothing to set up
+        if (!toggle && !sidebar) return;
         
         // Detect capabilities
         detectTouch();
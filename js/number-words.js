@@ -0,0 +1,524 @@
+/* ============================================
+   NUMBER WORDS
+   Spells numbers in German and reads German number words back:
+     toWords(4738)           -> "viertausendsiebenhundertachtunddreißig"
+     toWords(21000000)       -> "einundzwanzig Millionen"
+     parse('vier-tausend siebenhundert achtunddreissig') -> 4738
+     timeToWords('13:45')    -> "dreizehn Uhr fünfundvierzig"
+     timeToWords('13:45', { colloquial: true }) -> "Viertel vor zwei"
+     dateToWords('3.10.1990') -> "der dritte Oktober neunzehnhundertneunzig"
+     priceToWords('4,99')    -> "vier Euro neunundneunzig"
+
+   Units go before tens joined by "und" (einundzwanzig), "eins" becomes
+   "ein" in front of hundert/tausend/und and "eine" in front of
+   Millionen/Milliarden, and numbers below a million are one word.
+   parse() takes spaces, hyphens, "ae"/"ss" spellings, "zwo", and
+   "hundert"/"einhundert" alike. Dates must exist: no 31.4., and 29.2.
+   only in leap years.
+
+   On numbers.html:
+     <div data-number-converter></div>       digits <-> words, with 🔊
+     <button data-number-drill="small large">   hear a number, type the digits
+     <button data-number-drill="small" data-number-mode="write">
+                                                 see the digits, write the words
+   Drill kinds: small (0-100), large (101-9999), huge (10 000-9 999 999),
+   year, time, price.
+
+   Keys: Enter = check / next, Esc = close.
+
+   Node: require('./js/number-words.js').toWords(4738)
+   Fixtures: node tools/number-words-check.js
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const ROUND_LENGTH = 10;
+    const ONES = ['null', 'eins', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun',
+        'zehn', 'elf', 'zwölf', 'dreizehn', 'vierzehn', 'fünfzehn', 'sechzehn', 'siebzehn', 'achtzehn', 'neunzehn'];
+    const TENS = ['', '', 'zwanzig', 'dreißig', 'vierzig', 'fünfzig', 'sechzig', 'siebzig', 'achtzig', 'neunzig'];
+    const SCALES = [
+        { value: 1e9, one: 'eine Milliarde', many: 'Milliarden' },
+        { value: 1e6, one: 'eine Million', many: 'Millionen' }
+    ];
+    const MAX = 1e12 - 1;
+    const ORDINALS = { 1: 'erste', 3: 'dritte', 7: 'siebte', 8: 'achte' };
+    const MONTHS = ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August',
+        'September', 'Oktober', 'November', 'Dezember'];
+
+    /* ---------- Digits -> words ---------- */
+
+    function below100(n) {
+        if (n < 20) return ONES[n];
+        const unit = n % 10;
+        return unit ? (unit === 1 ? 'ein' : ONES[unit]) + 'und' + TENS[Math.floor(n / 10)] : TENS[n / 10];
+    }
+
+    // 1-999, or 0 -> ''
+    function below1000(n) {
+        const hundreds = Math.floor(n / 100);
+        const rest = n % 100;
+        return (hundreds ? (hundreds === 1 ? 'ein' : ONES[hundreds]) + 'hundert' : '') + (rest ? below100(rest) : '');
+    }
+
+    // "eins" in front of tausend: einhunderteintausend
+    function prefix(n) {
+        return below1000(n).replace(/eins$/, 'ein');
+    }
+
+    // "eins" in front of the feminine Millionen/Milliarden: einhunderteine Millionen
+    function feminine(n) {
+        return below1000(n).replace(/eins$/, 'eine');
+    }
+
+    function below1e6(n) {
+        const thousands = Math.floor(n / 1000);
+        return (thousands ? prefix(thousands) + 'tausend' : '') + below1000(n % 1000);
+    }
+
+    function toWords(n) {
+        if (!Number.isInteger(n) || Math.abs(n) > MAX) throw new RangeError('Cannot spell ' + n);
+        if (n < 0) return 'minus ' + toWords(-n);
+        if (n === 0) return ONES[0];
+        const parts = [];
+        let rest = n;
+        SCALES.forEach(function(scale) {
+            const count = Math.floor(rest / scale.value);
+            if (!count) return;
+            rest -= count * scale.value;
+            parts.push(count === 1 ? scale.one : feminine(count) + ' ' + scale.many);
+        });
+        if (rest) parts.push(below1e6(rest));
+        return parts.join(' ');
+    }
+
+    // Ordinal stem as used after "der": 3 -> "dritte", 20 -> "zwanzigste"
+    function ordinal(n) {
+        const rest = n % 100;
+        if (rest > 0 && rest < 20) {
+            return (n - rest ? toWords(n - rest) : '') + (ORDINALS[rest] || ONES[rest] + 'te');
+        }
+        return toWords(n) + 'ste';
+    }
+
+    // Years 1100-1999 are said in hundreds: neunzehnhundertneunzig
+    function yearToWords(year) {
+        if (year >= 1100 && year < 2000) {
+            return below100(Math.floor(year / 100)) + 'hundert' + (year % 100 ? below100(year % 100) : '');
+        }
+        return toWords(year);
+    }
+
+    function hourWord(h) {
+        return h === 1 ? 'ein' : toWords(h);
+    }
+
+    // Minutes before/after the hour: "fünf", but "eine Minute" rather than "eins"
+    function minuteWords(m) {
+        return m === 1 ? 'eine Minute' : toWords(m);
+    }
+
+    // "HH:MM". Official (24-hour, as on timetables) or colloquial (12-hour)
+    function timeToWords(text, options) {
+        const match = String(text).match(/^(\d{1,2})[:.](\d{2})$/);
+        if (!match) throw new RangeError('Not a time: ' + text);
+        const h = Number(match[1]);
+        const m = Number(match[2]);
+        if (h > 23 || m > 59) throw new RangeError('Not a time: ' + text);
+        if (!(options && options.colloquial)) return hourWord(h) + ' Uhr' + (m ? ' ' + toWords(m) : '');
+
+        const hour = h % 12 || 12;
+        const next = hour % 12 + 1;
+        if (m === 0) return hourWord(hour) + ' Uhr';
+        if (m === 15) return 'Viertel nach ' + toWords(hour);
+        if (m === 30) return 'halb ' + toWords(next);
+        if (m === 45) return 'Viertel vor ' + toWords(next);
+        if (m < 25) return minuteWords(m) + ' nach ' + toWords(hour);
+        if (m < 30) return minuteWords(30 - m) + ' vor halb ' + toWords(next);
+        if (m < 40) return minuteWords(m - 30) + ' nach halb ' + toWords(next);
+        return minuteWords(60 - m) + ' vor ' + toWords(next);
+    }
+
+    function daysInMonth(month, year) {
+        if (month !== 2) return month === 4 || month === 6 || month === 9 || month === 11 ? 30 : 31;
+        return year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0) ? 29 : 28;
+    }
+
+    // "D.M.YYYY" or "YYYY-MM-DD"
+    function dateToWords(text) {
+        const s = String(text);
+        const german = s.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+        const iso = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const [day, month, year] = (german ? [german[1], german[2], german[3]] :
+            iso ? [iso[3], iso[2], iso[1]] : []).map(Number);
+        if (!day || month < 1 || month > 12 || day > daysInMonth(month, year)) throw new RangeError('Not a date: ' + text);
+        return 'der ' + ordinal(day) + ' ' + MONTHS[month - 1] + ' ' + yearToWords(year);
+    }
+
+    // "4,99", "4.99 €", "0,50" -> euros and cents as said at the till
+    function priceToWords(text) {
+        const match = String(text).trim().match(/^(\d+)(?:[.,](\d{1,2}))?\s*(?:€|euro)?$/i);
+        if (!match) throw new RangeError('Not a price: ' + text);
+        const euros = Number(match[1]);
+        const cents = match[2] ? Number(match[2].padEnd(2, '0')) : 0;
+        if (!euros && cents) return (cents === 1 ? 'ein' : toWords(cents)) + ' Cent';
+        return hourWord(euros) + ' Euro' + (cents ? ' ' + toWords(cents) : '');
+    }
+
+    /* ---------- Words -> digits ---------- */
+
+    function fold(text) {
+        return String(text).toLowerCase()
+            .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+            .replace(/[\s\-–]+/g, '');
+    }
+
+    const SMALL = { ein: 1, eine: 1, zwo: 2 };
+    ONES.forEach((word, n) => SMALL[fold(word)] = n);
+    const TENS_VALUE = {};
+    TENS.forEach((word, n) => { if (word) TENS_VALUE[fold(word)] = n * 10; });
+
+    function parseBelow100(s) {
+        if (s in SMALL) return SMALL[s];
+        if (s in TENS_VALUE) return TENS_VALUE[s];
+        const i = s.indexOf('und');
+        if (i < 1) return null;
+        const unit = SMALL[s.slice(0, i)];
+        const tens = TENS_VALUE[s.slice(i + 3)];
+        return unit >= 1 && unit <= 9 && tens ? tens + unit : null;
+    }
+
+    // Up to 9999 so years like neunzehnhundertneunzig parse too
+    function parseHundreds(s) {
+        const i = s.indexOf('hundert');
+        if (i < 0) return parseBelow100(s);
+        const count = i ? parseBelow100(s.slice(0, i)) : 1;
+        const rest = s.slice(i + 7).replace(/^und/, '');
+        const tail = rest ? parseBelow100(rest) : 0;
+        if (!count || tail === null || (rest && !tail)) return null;
+        return count * 100 + tail;
+    }
+
+    // Singular and plural of each scale word. Without spaces
+    // "milliardeneun" could be either, so both readings are tried.
+    const SCALE_WORDS = [['milliarde', 'n', 1e9], ['million', 'en', 1e6], ['tausend', '', 1e3]];
+
+    function parseScaled(s, from) {
+        for (let k = from; k < SCALE_WORDS.length; k++) {
+            const [word, plural, value] = SCALE_WORDS[k];
+            const at = s.indexOf(word);
+            if (at < 0) continue;
+            const left = s.slice(0, at);
+            const count = left ? parseHundreds(left) : 1;
+            if (!count || count > 999) return null;
+            const ends = [at + word.length];
+            if (plural && s.startsWith(plural, ends[0])) ends.unshift(ends[0] + plural.length);
+            for (const end of ends) {
+                const right = s.slice(end).replace(/^und/, '');
+                const rest = right ? parseScaled(right, k + 1) : 0;
+                if (rest !== null && (!right || rest) && rest < value) return count * value + rest;
+            }
+            return null;
+        }
+        return parseHundreds(s);
+    }
+
+    // German number words (or plain digits) -> integer, or null
+    function parse(text) {
+        const s = fold(text).replace(/[.,']/g, '');
+        if (!s) return null;
+        if (/^-?\d+$/.test(s)) return Number(s);
+        if (s.startsWith('minus')) {
+            const n = parse(s.slice(5));
+            return n === null ? null : -n;
+        }
+        return parseScaled(s, 0);
+    }
+
+    /* ---------- Converter ---------- */
+
+    // Digits, a time, a date, a price or German words -> { kind, german, digits }
+    function convert(input) {
+        const text = String(input).trim();
+        if (!text) return null;
+        try {
+            if (/^\d{1,2}:\d{2}(\s*uhr)?$/i.test(text)) {
+                const time = text.replace(/\s*uhr$/i, '');
+                return { kind: 'time', german: timeToWords(time), colloquial: timeToWords(time, { colloquial: true }), digits: time };
+            }
+            if (/^\d{1,2}\.\d{1,2}\.\d{4}$|^\d{4}-\d{2}-\d{2}$/.test(text)) {
+                return { kind: 'date', german: dateToWords(text), digits: text };
+            }
+            if (/€|euro/i.test(text) || /^\d+,\d{1,2}$/.test(text)) {
+                return { kind: 'price', german: priceToWords(text.replace(/\s*(€|euro)\s*$/i, '').replace(/^€\s*/, '')), digits: text };
+            }
+            if (/^-?\d{1,3}([ .'’]\d{3})*$|^-?\d+$/.test(text)) {
+                const n = Number(text.replace(/[ .'’]/g, ''));
+                return { kind: 'number', german: toWords(n), digits: n.toLocaleString('de-DE') };
+            }
+        } catch (e) {
+            return null;
+        }
+        const n = parse(text);
+        return n === null ? null : { kind: 'words', german: toWords(n), digits: n.toLocaleString('de-DE') };
+    }
+
+    /* ---------- Drill exercises ---------- */
+
+    const KINDS = {
+        small: { label: '0-100', make: r => int(r, 0, 100) },
+        large: { label: '101-9999', make: r => int(r, 101, 9999) },
+        huge: { label: '10 000-9 999 999', make: r => int(r, 10000, 9999999) },
+        year: {
+            label: 'Years',
+            make: function(r) {
+                const year = Math.floor(r() * 200) + 1900;
+                return { value: year, german: yearToWords(year), answer: String(year) };
+            }
+        },
+        time: {
+            label: 'Times',
+            make: function(r) {
+                const time = String(Math.floor(r() * 24)).padStart(2, '0') + ':' + String(Math.floor(r() * 60)).padStart(2, '0');
+                return { value: time, german: timeToWords(time), answer: time };
+            }
+        },
+        price: {
+            label: 'Prices',
+            make: function(r) {
+                const cents = Math.floor(r() * 10000) + 1;
+                const text = Math.floor(cents / 100) + ',' + String(cents % 100).padStart(2, '0');
+                return { value: cents, german: priceToWords(text), answer: text + ' €' };
+            }
+        }
+    };
+
+    function int(random, min, max) {
+        const n = Math.floor(random() * (max - min + 1)) + min;
+        return { value: n, german: toWords(n), answer: String(n) };
+    }
+
+    function buildExercises(kinds, options) {
+        const opts = options || {};
+        const random = opts.random || Math.random;
+        const list = kinds.filter(kind => KINDS[kind]);
+        const exercises = [];
+        for (let i = 0; i < (opts.count || ROUND_LENGTH); i++) {
+            const kind = list[Math.floor(random() * list.length)];
+            exercises.push(Object.assign({ kind: kind }, KINDS[kind].make(random)));
+        }
+        return exercises;
+    }
+
+    // Digits typed for a heard number. Separators and "€" are optional.
+    function checkDigits(input, ex) {
+        const text = String(input).trim();
+        if (ex.kind === 'time') {
+            const m = text.match(/^(\d{1,2})\s*[:.h]\s*(\d{2})(\s*uhr)?$/i);
+            return !!m && m[1].padStart(2, '0') + ':' + m[2] === ex.value;
+        }
+        if (ex.kind === 'price') {
+            const m = text.replace(/\s*(€|euro)\s*$/i, '').match(/^(\d+)(?:[.,](\d{1,2}))?$/i);
+            return !!m && Number(m[1]) * 100 + Number((m[2] || '0').padEnd(2, '0')) === ex.value;
+        }
+        return text.replace(/[\s.,'’]/g, '') === String(ex.value);
+    }
+
+    // German words written for shown digits, in any accepted spelling
+    function checkWords(input, ex) {
+        if (typeof ex.value !== 'number' || ex.kind === 'price') return false;
+        return !/\d/.test(input) && parse(input) === ex.value;
+    }
+
+    const api = {
+        KINDS: Object.keys(KINDS),
+        toWords: toWords,
+        ordinal: ordinal,
+        yearToWords: yearToWords,
+        timeToWords: timeToWords,
+        dateToWords: dateToWords,
+        priceToWords: priceToWords,
+        parse: parse,
+        convert: convert,
+        buildExercises: buildExercises,
+        checkDigits: checkDigits,
+        checkWords: checkWords
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Converter box ---------- */
+
+    const el = GermanStudy.el;
+
+    function converter(box) {
+        box.classList.add('number-converter');
+        const input = box.appendChild(el('input', 'quiz-input number-converter-input'));
+        input.type = 'text';
+        input.placeholder = '4738 · 13:45 · 4,99 € · 3.10.1990 · viertausend…';
+        input.setAttribute('aria-label', 'Number, time, price, date or German number words');
+        const output = box.appendChild(el('div', 'number-converter-output'));
+
+        input.addEventListener('input', function() {
+            output.textContent = '';
+            const result = convert(input.value);
+            if (!input.value.trim()) return;
+            if (!result) {
+                output.appendChild(el('span', 'number-converter-error', '🤷 Not a number I can read'));
+                return;
+            }
+            const line = output.appendChild(el('div', 'german'));
+            line.appendChild(GermanStudy.audioButton(result.german));
+            line.appendChild(document.createTextNode(result.german));
+            if (result.colloquial) {
+                const casual = output.appendChild(el('div', 'german number-converter-casual'));
+                casual.appendChild(GermanStudy.audioButton(result.colloquial));
+                casual.appendChild(document.createTextNode(result.colloquial + ' (everyday)'));
+            }
+            if (result.kind === 'words') output.appendChild(el('div', 'number-converter-digits', '= ' + result.digits));
+        });
+    }
+
+    /* ---------- Drill UI ---------- */
+
+    let drill = null;
+
+    function open(kinds, mode) {
+        const write = mode === 'write';
+        const writable = write ? kinds.filter(kind => kind !== 'time' && kind !== 'price') : kinds;
+        // Only time/price to write: fall back as the launcher does for unknown kinds
+        const usable = writable.length ? writable : ['small'];
+        const title = (write ? '✍️ Write it: ' : '🎧 Hear it: ') + usable.map(kind => KINDS[kind].label).join(', ');
+        const dialog = GermanStudy.openDialog(title, {
+            onKey: onKey,
+            onClose: function() { drill = null; }
+        });
+        drill = {
+            dialog: dialog, kinds: kinds, mode: mode, write: write,
+            exercises: buildExercises(usable), index: 0, score: 0,
+            missed: [], answered: false
+        };
+        showExercise();
+    }
+
+    function progressText() {
+        return (drill.index + 1) + ' / ' + drill.exercises.length + ' · ✓ ' + drill.score;
+    }
+
+    function play(ex, rate) {
+        speakGerman(ex.german, rate ? { rate: rate } : undefined);
+    }
+
+    function showExercise() {
+        const ex = drill.exercises[drill.index];
+        drill.dialog.clear();
+        drill.answered = false;
+        if (!ex) return showResults();
+        drill.dialog.progress.textContent = progressText();
+
+        const body = drill.dialog.body;
+        if (drill.write) {
+            body.appendChild(el('div', 'quiz-instruction', 'Write the number in German words'));
+            body.appendChild(el('div', 'quiz-prompt quiz-prompt-german', ex.answer));
+        } else {
+            body.appendChild(el('div', 'quiz-instruction', 'Listen and type the ' +
+                (ex.kind === 'time' ? 'time (13:45)' : ex.kind === 'price' ? 'price (4,99)' : 'number in digits')));
+            const controls = body.appendChild(el('div', 'number-drill-play'));
+            controls.appendChild(GermanStudy.button('🔊 Play again', 'study-btn', () => play(ex)));
+            controls.appendChild(GermanStudy.button('🐢 Slowly', 'study-btn', () => play(ex, 0.5)));
+            play(ex);
+        }
+
+        const input = body.appendChild(el('input', 'quiz-input'));
+        input.type = 'text';
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+        input.setAttribute('autocapitalize', 'off');
+        input.setAttribute('inputmode', drill.write ? 'text' : 'decimal');
+        input.setAttribute('aria-label', 'Answer');
+        drill.dialog.actions.appendChild(GermanStudy.button('Check', 'study-btn', () => check(input)));
+        setTimeout(() => input.focus(), 0);
+    }
+
+    function check(input) {
+        if (drill.answered || !input.value.trim()) return;
+        const ex = drill.exercises[drill.index];
+        const correct = drill.write ? checkWords(input.value, ex) : checkDigits(input.value, ex);
+        drill.answered = true;
+        input.disabled = true;
+        input.classList.add(correct ? 'quiz-input--correct' : 'quiz-input--wrong');
+        if (correct) drill.score++;
+        else drill.missed.push(ex);
+        drill.dialog.progress.textContent = progressText();
+        if (drill.write) play(ex);
+
+        const feedback = drill.dialog.body.appendChild(el('div', 'quiz-feedback ' + (correct ? 'quiz-feedback--correct' : 'quiz-feedback--wrong')));
+        feedback.appendChild(el('div', null, correct ? '✅ Richtig!' : '❌ Answer: ' + ex.answer));
+        const words = feedback.appendChild(el('div', 'german number-drill-words'));
+        words.appendChild(GermanStudy.audioButton(ex.german));
+        words.appendChild(document.createTextNode(ex.german));
+
+        drill.dialog.actions.textContent = '';
+        const last = drill.index === drill.exercises.length - 1;
+        drill.dialog.actions.appendChild(GermanStudy.button(last ? 'See results' : 'Next →', 'study-btn', next)).focus();
+    }
+
+    function next() {
+        drill.index++;
+        showExercise();
+    }
+
+    function showResults() {
+        const total = drill.exercises.length;
+        const body = drill.dialog.body;
+        drill.dialog.progress.textContent = '';
+        const pct = Math.round(100 * drill.score / total);
+        body.appendChild(el('div', 'study-done', (pct >= 80 ? '🎉 ' : '📝 ') + drill.score + ' / ' + total + ' correct (' + pct + '%)'));
+
+        if (drill.missed.length) {
+            body.appendChild(el('div', 'quiz-missed-title', 'Review'));
+            const list = body.appendChild(el('ul', 'quiz-missed'));
+            drill.missed.forEach(function(ex) {
+                const item = list.appendChild(el('li'));
+                item.appendChild(GermanStudy.audioButton(ex.german));
+                item.appendChild(el('span', 'german', ex.answer));
+                item.appendChild(el('span', 'english', ex.german));
+            });
+        }
+        const kinds = drill.kinds;
+        const mode = drill.mode;
+        drill.dialog.actions.appendChild(GermanStudy.button('Another round', 'study-btn', () => open(kinds, mode)));
+    }
+
+    function onKey(e) {
+        if (!drill || drill.index >= drill.exercises.length || e.key !== 'Enter') return;
+        if (e.target.tagName === 'BUTTON') return;
+        e.preventDefault();
+        if (drill.answered) next();
+        else check(drill.dialog.body.querySelector('.quiz-input'));
+    }
+
+    /* ---------- Launchers ---------- */
+
+    document.addEventListener('click', function(e) {
+        const btn = e.target.closest && e.target.closest('[data-number-drill]');
+        if (!btn) return;
+        const kinds = btn.getAttribute('data-number-drill').split(/\s+/).filter(kind => KINDS[kind]);
+        open(kinds.length ? kinds : ['small'], btn.getAttribute('data-number-mode'));
+    });
+
+    function init() {
+        document.querySelectorAll('[data-number-converter]').forEach(converter);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    api.open = open;
+    root.GermanNumbers = api;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,302 @@
+/* ============================================
+   OPPOSITES MATCHING GAME
+   "🔗 Match opposites" in the study bar of the words-opposites.html tables
+   (and 🔗 in each category header) deals up to six word pairs from the
+   table onto a board: the words in the left column, their opposites
+   shuffled in the right. Tap a word and then its opposite, or drag one onto
+   the other. German words are spoken when picked.
+
+   Modes:
+     normal   - German word -> German opposite (groß -> klein)
+     reverse  - Hindi word -> German opposite (बड़ा -> klein)
+
+   The clock runs from the deal to the last match. The best time per board
+   (page, scope, mode, size) is kept in localStorage under 'german-opposites':
+     { "words-opposites:A1:normal:6": { "best": 41250, "games": 3 } }
+
+   Node: require('./js/opposites.js').deal(pairs, 6).left -> [pair, ...]
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const KEY = 'german-opposites';
+    const BOARD_SIZE = 6;
+    const MODES = ['normal', 'reverse'];
+
+    const shuffle = typeof module !== 'undefined' && module.exports ?
+        require('./study.js').shuffle :
+        root.GermanStudy.shuffle;
+
+    const speakText = typeof module !== 'undefined' && module.exports ?
+        require('./vocab.js').speakText :
+        root.GermanVocab.speakText;
+
+    // Each word/opposite pair once: [{ a, b }]. lookup(id) finds a word.
+    function pairs(words, lookup) {
+        const seen = new Set();
+        const list = [];
+        words.forEach(function(word) {
+            const other = word.opposite && lookup(word.opposite);
+            if (!other || seen.has(word.id)) return;
+            seen.add(word.id);
+            seen.add(other.id);
+            list.push({ a: word, b: other });
+        });
+        return list;
+    }
+
+    // Up to size pairs with every tile text on the board unique (so "alt"
+    // cannot be matched with both "jung" and "neu"), each pair facing a
+    // random way round: { left: [{ prompt, answer }], right: [answer, ...] }
+    function deal(list, size, random) {
+        const rand = random || Math.random;
+        const used = new Set();
+        const left = [];
+        shuffle(list, rand).forEach(function(pair) {
+            if (left.length >= (size || BOARD_SIZE)) return;
+            const texts = [pair.a, pair.b].reduce((all, w) => all.concat(speakText(w).toLowerCase(), w.hindi || ''), []);
+            if (texts.some(t => t && used.has(t))) return;
+            texts.forEach(t => t && used.add(t));
+            left.push(rand() < 0.5 ? { prompt: pair.a, answer: pair.b } : { prompt: pair.b, answer: pair.a });
+        });
+        return { left: left, right: shuffle(left.map(item => item.answer), rand) };
+    }
+
+    // Saves a finished game; returns { record, best } where best is true for
+    // a new best time
+    function recordTime(records, key, ms) {
+        const entry = records[key] || { best: 0, games: 0 };
+        const best = !entry.best || ms < entry.best;
+        records[key] = { best: best ? ms : entry.best, games: entry.games + 1 };
+        return { record: records[key], best: best };
+    }
+
+    // 41250 -> "0:41.2"
+    function formatTime(ms) {
+        const tenths = Math.floor(ms / 100);
+        const seconds = Math.floor(tenths / 10);
+        return Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0') + '.' + (tenths % 10);
+    }
+
+    const api = { MODES: MODES, pairs: pairs, deal: deal, recordTime: recordTime, formatTime: formatTime };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Storage ---------- */
+
+    const { load, save } = GermanStudy.store(KEY, 'opposites records');
+
+    /* ---------- Board ---------- */
+
+    const el = GermanStudy.el;
+    let game = null;
+
+    function boardKey(g) {
+        return [g.page, g.scope, g.mode, g.board.left.length].join(':');
+    }
+
+    function tile(side, index, text, word) {
+        const btn = GermanStudy.button(text, 'match-tile', () => choose(btn));
+        btn.setAttribute('data-side', side);
+        btn.setAttribute('data-index', String(index));
+        btn.draggable = true;
+        if (word) btn.setAttribute('data-german', speakText(word));
+        if (side === 'left' && game.mode === 'reverse') btn.classList.add('hindi');
+        return btn;
+    }
+
+    // game options: { title, page, scope, words, mode }
+    function open(options) {
+        const dialog = GermanStudy.openDialog('🔗 Opposites · ' + options.title, {
+            onClose: function() {
+                stopClock();
+                game = null;
+            }
+        });
+        stopClock();
+        const list = pairs(options.words, GermanVocab.get);
+        game = Object.assign({}, options, {
+            dialog: dialog,
+            board: deal(list, BOARD_SIZE),
+            selected: null, matched: 0, mistakes: 0,
+            started: Date.now(), timer: null
+        });
+        render();
+    }
+
+    function render() {
+        const g = game;
+        const body = g.dialog.body;
+        g.dialog.clear();
+        if (!g.board.left.length) {
+            body.appendChild(el('div', 'study-done', 'No word pairs here.'));
+            return;
+        }
+        body.appendChild(el('div', 'quiz-instruction', g.mode === 'reverse' ?
+            'Match each Hindi word to the German opposite. Tap both, or drag one onto the other.' :
+            'Match each word to its opposite. Tap both, or drag one onto the other.'));
+
+        const board = body.appendChild(el('div', 'match-board'));
+        const left = board.appendChild(el('div', 'match-column'));
+        const right = board.appendChild(el('div', 'match-column'));
+        g.board.left.forEach(function(item, i) {
+            const text = g.mode === 'reverse' ? item.prompt.hindi || item.prompt.english : speakText(item.prompt);
+            left.appendChild(tile('left', i, text, g.mode === 'reverse' ? null : item.prompt));
+        });
+        g.board.right.forEach((word, i) => right.appendChild(tile('right', i, speakText(word), word)));
+        board.addEventListener('dragstart', onDragStart);
+        board.addEventListener('dragover', onDragOver);
+        board.addEventListener('drop', onDrop);
+
+        const other = g.mode === 'reverse' ? 'normal' : 'reverse';
+        g.dialog.actions.appendChild(GermanStudy.button('🔀 New board', 'study-btn', () => restart(g.mode)));
+        g.dialog.actions.appendChild(GermanStudy.button(other === 'reverse' ? '🔄 Hindi → German' : '🔄 German → German',
+            'study-btn', () => restart(other)));
+
+        g.best = load()[boardKey(g)] || null;
+        g.started = Date.now();
+        g.timer = setInterval(updateProgress, 250);
+        updateProgress();
+    }
+
+    function restart(mode) {
+        const g = game;
+        open({ title: g.title, page: g.page, scope: g.scope, words: g.words, mode: mode });
+    }
+
+    function stopClock() {
+        if (game && game.timer) {
+            clearInterval(game.timer);
+            game.timer = null;
+        }
+    }
+
+    function updateProgress() {
+        const g = game;
+        if (!g) return;
+        const best = g.best;
+        g.dialog.progress.textContent = '⏱ ' + formatTime(Date.now() - g.started) +
+            ' · ✓ ' + g.matched + ' / ' + g.board.left.length + ' · ✗ ' + g.mistakes +
+            (best ? ' · 🏆 ' + formatTime(best.best) : '');
+    }
+
+    // The pair behind a tile: left tiles are pairs, right tiles answers
+    function answerOf(btn) {
+        const index = Number(btn.getAttribute('data-index'));
+        return btn.getAttribute('data-side') === 'left' ? game.board.left[index].answer : game.board.right[index];
+    }
+
+    function choose(btn) {
+        const g = game;
+        if (!g || btn.disabled) return;
+        const spoken = btn.getAttribute('data-german');
+        if (spoken) speakGerman(spoken);
+
+        const selected = g.selected;
+        if (!selected || selected === btn || selected.getAttribute('data-side') === btn.getAttribute('data-side')) {
+            if (selected) selected.classList.remove('match-tile--selected');
+            g.selected = selected === btn ? null : btn;
+            if (g.selected) btn.classList.add('match-tile--selected');
+            return;
+        }
+
+        selected.classList.remove('match-tile--selected');
+        g.selected = null;
+        const leftBtn = btn.getAttribute('data-side') === 'left' ? btn : selected;
+        const rightBtn = leftBtn === btn ? selected : btn;
+        // Same text counts: deal() keeps texts unique on the board
+        if (speakText(answerOf(leftBtn)) === speakText(answerOf(rightBtn))) {
+            [leftBtn, rightBtn].forEach(function(node) {
+                node.disabled = true;
+                node.draggable = false;
+                node.classList.add('match-tile--matched');
+            });
+            g.matched++;
+            if (g.matched === g.board.left.length) finish();
+            else updateProgress();
+        } else {
+            g.mistakes++;
+            [leftBtn, rightBtn].forEach(node => node.classList.add('match-tile--wrong'));
+            setTimeout(() => [leftBtn, rightBtn].forEach(node => node.classList.remove('match-tile--wrong')), 600);
+            updateProgress();
+        }
+    }
+
+    function finish() {
+        const g = game;
+        const ms = Date.now() - g.started;
+        stopClock();
+        const records = load();
+        const result = recordTime(records, boardKey(g), ms);
+        save(records);
+        g.dialog.progress.textContent = '';
+
+        const done = el('div', 'study-done match-done');
+        done.appendChild(el('div', null, '🏁 ' + g.board.left.length + ' pairs in ' + formatTime(ms) +
+            ' · ' + g.mistakes + (g.mistakes === 1 ? ' mistake' : ' mistakes')));
+        done.appendChild(el('div', 'match-best', result.best ? '🏆 New best time!' : '🏆 Best: ' + formatTime(result.record.best)));
+        g.dialog.body.insertBefore(done, g.dialog.body.firstChild);
+        const again = g.dialog.actions.firstChild;
+        if (again) {
+            again.textContent = 'Another round';
+            again.focus();
+        }
+    }
+
+    /* ---------- Drag and drop ---------- */
+
+    let dragged = null;
+
+    function onDragStart(e) {
+        const btn = e.target.closest('.match-tile');
+        if (!btn || btn.disabled) return;
+        dragged = btn;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', btn.textContent);
+    }
+
+    function dropTarget(e) {
+        const btn = e.target.closest && e.target.closest('.match-tile');
+        if (!btn || !dragged || btn.disabled || btn.getAttribute('data-side') === dragged.getAttribute('data-side')) return null;
+        return btn;
+    }
+
+    function onDragOver(e) {
+        if (dropTarget(e)) e.preventDefault();
+    }
+
+    function onDrop(e) {
+        const target = dropTarget(e);
+        if (!target) return;
+        e.preventDefault();
+        // A drop pairs exactly the two tiles, whatever was picked before
+        if (game.selected) game.selected.classList.remove('match-tile--selected');
+        game.selected = null;
+        choose(dragged);
+        choose(target);
+        dragged = null;
+    }
+
+    /* ---------- Launchers ---------- */
+
+    GermanStudy.onTables(function(table) {
+        const data = GermanVocab.page(table.page);
+        if (!data || data.layout !== 'pairs') return;
+        const words = GermanStudy.scopeWords(table.page, table.level);
+        GermanStudy.toolbar(table.container).appendChild(GermanStudy.button('🔗 Match opposites', 'study-btn',
+            () => open({ title: table.title, page: table.page, scope: table.level || 'all', words: words, mode: 'normal' })));
+
+        table.sections.forEach(function(item) {
+            GermanStudy.sectionButton(item.element, '🔗', 'Match the opposites of this section',
+                () => open({ title: item.section.title, page: table.page, scope: item.section.id,
+                    words: GermanVocab.words(table.page, item.section.id), mode: 'normal' }));
+        });
+    });
+
+    api.open = open;
+    api.records = load;
+    root.GermanOpposites = api;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,212 @@
+/* ============================================
+   PAGE REGISTRY
+   The one list of the site's pages. The sidebar of every page is built
+   from it, in this order, with the current page marked; add a page here
+   and it appears everywhere (tools/build.js fails while a built page is
+   missing from the list).
+
+   Below the page links the sidebar gets a collapsible "On this page"
+   table of contents from the page's h2/h3 headings and the vocabulary
+   sections js/vocab.js renders (.category[id], rebuilt on vocab:rendered).
+   Headings without an id get one from their text so the entries can link
+   to them; an h2 with h3s below it becomes a group that opens on click.
+   The "📊 Total Words" boxes (headings holding a [data-vocab-count]) are
+   left out.
+
+   Also fills [data-page-list] (the file list in OPEN_ME.html) with the
+   file names. Open/close, focus and auto-hide are js/navbar.js.
+
+   Node: require('./js/pages.js').find('a2.html') -> { file, title, emoji, level }
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    // level: CEFR level of the content, null for pages that span levels
+    const PAGES = [
+        { file: 'index.html', title: 'Home', emoji: '🏠', level: null },
+        { file: 'a1-pdf.html', title: 'A1 Vocabulary (PDF)', emoji: '📚', level: 'A1' },
+        { file: 'a1-650.html', title: 'A1 Vocabulary (650)', emoji: '📖', level: 'A1' },
+        { file: 'grammar.html', title: 'A1 Grammar', emoji: '📝', level: 'A1' },
+        { file: 'a2.html', title: 'A2 Vocabulary', emoji: '📘', level: 'A2' },
+        { file: 'numbers.html', title: 'German Numbers', emoji: '🔢', level: 'A1' },
+        { file: 'common-words.html', title: 'Common Words', emoji: '🔤', level: null },
+        { file: 'clusters.html', title: 'Consonant Clusters', emoji: '🗣️', level: null },
+        { file: 'words-opposites.html', title: 'Words & Opposites', emoji: '⚖️', level: null },
+        { file: 'adverbs-prepositions.html', title: 'Adverbs & Connectors', emoji: '🔗', level: null }
+    ];
+
+    function find(file) {
+        return PAGES.find(page => page.file === file) || null;
+    }
+
+    // File name of the page at a URL path; content:// paths may carry the
+    // whole file path percent-encoded in their last segment
+    function fileOf(pathname) {
+        let name = String(pathname || '').split('/').pop();
+        try {
+            name = decodeURIComponent(name).split('/').pop();
+        } catch (e) {
+            // Keep the raw segment
+        }
+        return name || 'index.html';
+    }
+
+    // id for a heading: "4. Articles (Der, Die, Das)" -> "4-articles-der-die-das"
+    function slug(text) {
+        return String(text)
+            .toLowerCase()
+            .replace(/ß/g, 'ss')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+            .replace(/^-+|-+$/g, '') || 'section';
+    }
+
+    // headings: [{ level: 2|3, text, id }] in page order -> [{ level, text, id, children }]
+    function outline(headings) {
+        const tree = [];
+        headings.forEach(function(heading) {
+            const item = { level: heading.level, text: heading.text, id: heading.id, children: [] };
+            const parent = tree[tree.length - 1];
+            if (heading.level === 3 && parent) parent.children.push(item);
+            else tree.push(item);
+        });
+        return tree;
+    }
+
+    const api = { PAGES: PAGES, find: find, fileOf: fileOf, slug: slug, outline: outline };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Sidebar ---------- */
+
+    function el(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+    }
+
+    function renderNav(nav, current) {
+        nav.textContent = '';
+        PAGES.forEach(function(page) {
+            const link = nav.appendChild(el('a', 'sidebar-nav-item'));
+            link.href = page.file;
+            link.appendChild(el('span', 'emoji', page.emoji));
+            link.appendChild(document.createTextNode(' ' + page.title));
+            if (page.level) link.appendChild(el('span', 'sidebar-level', page.level));
+            if (page.file === current) {
+                link.classList.add('active');
+                link.setAttribute('aria-current', 'page');
+            }
+        });
+    }
+
+    /* ---------- Table of contents ---------- */
+
+    // "🏥 Health & Wellness" from a vocabulary section's header, without the
+    // German name and the word count
+    function categoryText(category) {
+        const header = category.querySelector('.category-header');
+        if (!header) return '';
+        const emoji = header.querySelector('.emoji');
+        const title = emoji ? emoji.nextElementSibling : null;
+        const name = title && title.firstChild ? title.firstChild.textContent : '';
+        return ((emoji ? emoji.textContent + ' ' : '') + name).trim();
+    }
+
+    // Headings of the page content, not of the sidebar, dialogs, stat boxes
+    // or the category grids that already link to every table, and the
+    // rendered vocabulary sections (as h2s)
+    function headings() {
+        const used = new Set();
+        return Array.from(document.querySelectorAll('h2, h3, .category[id]')).filter(function(node) {
+            if (node.closest('#sidebar, .toc, .study-overlay, .settings-panel, .worksheet, [hidden]')) return false;
+            if (node.classList.contains('category')) return !!categoryText(node);
+            return !node.querySelector('[data-vocab-count]') && node.textContent.trim();
+        }).map(function(node) {
+            if (node.classList.contains('category')) {
+                used.add(node.id);
+                return { level: 2, text: categoryText(node), id: node.id };
+            }
+            if (!node.id) {
+                const base = slug(node.textContent);
+                let id = base;
+                for (let n = 2; used.has(id) || document.getElementById(id); n++) id = base + '-' + n;
+                node.id = id;
+            }
+            used.add(node.id);
+            return { level: node.tagName === 'H3' ? 3 : 2, text: node.textContent.replace(/\s+/g, ' ').trim(), id: node.id };
+        });
+    }
+
+    function tocLink(item) {
+        const link = el('a', 'sidebar-toc-link', item.text);
+        link.href = '#' + item.id;
+        return link;
+    }
+
+    function renderToc(sidebar) {
+        const tree = outline(headings());
+        const old = sidebar.querySelector('.sidebar-toc');
+        const wasOpen = old ? old.open : true;
+        if (old) old.remove();
+        if (!tree.length) return;
+
+        const toc = sidebar.appendChild(el('details', 'sidebar-toc'));
+        toc.open = wasOpen;
+        toc.appendChild(el('summary', 'sidebar-toc-title', '📑 On this page'));
+        const list = toc.appendChild(el('ul', 'sidebar-toc-list'));
+        tree.forEach(function(item) {
+            const li = list.appendChild(el('li'));
+            if (!item.children.length) {
+                li.appendChild(tocLink(item));
+                return;
+            }
+            const group = li.appendChild(el('details', 'sidebar-toc-group'));
+            group.appendChild(el('summary')).appendChild(tocLink(item));
+            const sub = group.appendChild(el('ul'));
+            item.children.forEach(child => sub.appendChild(el('li')).appendChild(tocLink(child)));
+        });
+
+        // Following an entry closes the sidebar on small screens
+        toc.addEventListener('click', function(event) {
+            if (event.target.closest('a') && sidebar.classList.contains('open') && window.toggleSidebar) {
+                window.toggleSidebar();
+            }
+        });
+    }
+
+    function renderList(list) {
+        list.textContent = '';
+        PAGES.forEach(page => list.appendChild(el('li', null, page.file)));
+    }
+
+    function init() {
+        const current = fileOf(window.location.pathname);
+        document.querySelectorAll('[data-page-nav]').forEach(nav => renderNav(nav, current));
+        document.querySelectorAll('[data-page-list]').forEach(renderList);
+        const sidebar = document.getElementById('sidebar');
+        if (!sidebar) return;
+        renderToc(sidebar);
+    }
+
+    // Vocabulary sections arrive after init()
+    document.addEventListener('vocab:rendered', function() {
+        const sidebar = document.getElementById('sidebar');
+        if (sidebar) renderToc(sidebar);
+    });
+
+    // Before js/navbar.js initialises, so it finds the links
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    api.renderToc = renderToc;
+    root.GermanPages = api;
+})(typeof window !== 'undefined' ? window : this);
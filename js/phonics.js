@@ -0,0 +1,416 @@
+/* ============================================
+   PHONICS TRAINER
+   Listening drills for clusters.html. Three modes, launched from
+   [data-phonics="<mode>"] buttons:
+     clusters  - a word is played, pick the cluster (BL, SCH, ZW...) or
+                 tricky letter it has; the words are the page's own cluster
+                 tables and the "Letters That Sound Different" examples
+     ch        - minimal pairs: one of "Buch / Bücher" is played, pick
+                 which; ach-Laut [x] after a, o, u, au, ich-Laut [ç]
+                 everywhere else
+     st        - st and sp: "scht" / "schp" when they start a word or a word
+                 part (Stadt, ver|stehen), plain "st" / "sp" inside (Fenster)
+
+   Every answer is counted per sound in localStorage under 'german-phonics':
+     { "SCH": { "right": 4, "wrong": 1 }, "ch:ach": { ... }, "letter:W": { ... } }
+   and the next rounds pick a sound with probability growing with its error
+   rate, so the weakest sounds come up most.
+
+   Keys: 1-4 = answer, R = play again, Enter = next, Esc = close.
+
+   Node: require('./js/phonics.js').chSound('Bücher') -> 'ich'
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const KEY = 'german-phonics';
+    const SESSION_LENGTH = 15;
+    const OPTION_COUNT = 4;
+
+    // How a cluster can be spelled when it is not just its name
+    const SPELLINGS = {
+        TS: ['ts', 'tz', 'z']
+    };
+
+    const CH_PAIRS = [
+        ['Buch', 'Bücher'], ['Dach', 'Dächer'], ['Loch', 'Löcher'], ['Nacht', 'Nächte'],
+        ['Tochter', 'Töchter'], ['Koch', 'Köche'], ['Bach', 'Bäche'], ['Bauch', 'Bäuche'],
+        ['acht', 'echt'], ['doch', 'dich'], ['lachen', 'lächeln'], ['Sprache', 'sprechen']
+    ];
+
+    // "|" marks where a word part starts; st/sp there is "scht"/"schp" too
+    const ST_WORDS = [
+        'Stadt', 'Stein', 'Stuhl', 'Stunde', 'Straße', 'stehen', 'Stern', 'Stück',
+        'ver|stehen', 'auf|stehen', 'Blei|stift', 'Früh|stück', 'Haupt|stadt',
+        'Fenster', 'Schwester', 'erste', 'Kiste', 'Post', 'Gast', 'Wurst', 'gestern', 'Osten', 'Obst',
+        'Sport', 'spielen', 'sprechen', 'Spiegel', 'Spaß', 'be|sprechen', 'Bei|spiel',
+        'Wespe', 'Knospe', 'lispeln', 'Kasper'
+    ];
+
+    const SOUNDS = {
+        'ch:ich': 'ich-Laut [ç] - soft, like ह in ह्यूमन',
+        'ch:ach': 'ach-Laut [x] - from the throat, like ख़',
+        'st:scht': '"scht" - श्ट',
+        'st:st': '"st" - स्ट',
+        'sp:schp': '"schp" - श्प',
+        'sp:sp': '"sp" - स्प'
+    };
+
+    /* ---------- Sounds ---------- */
+
+    function spellings(cluster) {
+        return SPELLINGS[cluster] || [cluster.toLowerCase()];
+    }
+
+    function hasCluster(word, cluster) {
+        const lower = word.toLowerCase();
+        return spellings(cluster).some(s => lower.includes(s));
+    }
+
+    // 'ich' or 'ach' for the first ch of a word that is not part of sch;
+    // null when there is none, or it is not a fricative (Chor, sechs)
+    function chSound(word) {
+        const lower = word.toLowerCase();
+        const match = /(^|[^s])ch(s?)/.exec(lower);
+        if (!match || match[2] || match.index + match[1].length === 0) return null;
+        const before = lower.slice(0, match.index + match[1].length);
+        if (/(eu|äu)$/.test(before)) return 'ich';
+        return /[aou]$/.test(before) ? 'ach' : 'ich';
+    }
+
+    // 'st:scht', 'st:st', 'sp:schp' or 'sp:sp' for a ST_WORDS entry
+    function stSound(entry) {
+        const parts = entry.toLowerCase().split('|');
+        const starts = parts.map(p => p.slice(0, 2)).find(s => s === 'st' || s === 'sp');
+        if (starts) return starts === 'st' ? 'st:scht' : 'sp:schp';
+        return /sp/.test(parts.join('')) && !/st/.test(parts.join('')) ? 'sp:sp' : 'st:st';
+    }
+
+    /* ---------- Picking ---------- */
+
+    // Laplace-smoothed share of wrong answers: 0.5 for a sound never tried
+    function errorRate(stats, key) {
+        const entry = stats[key] || { right: 0, wrong: 0 };
+        return (entry.wrong + 1) / (entry.right + entry.wrong + 2);
+    }
+
+    // Up to count items, without repeats, each drawn with weight equal to
+    // the error rate of its sound (item.key)
+    function pick(items, stats, count, random) {
+        const rand = random || Math.random;
+        const pool = items.slice();
+        const chosen = [];
+        while (pool.length && chosen.length < count) {
+            const weights = pool.map(item => errorRate(stats, item.key));
+            let r = rand() * weights.reduce((a, b) => a + b, 0);
+            let i = 0;
+            while (i < pool.length - 1 && r >= weights[i]) r -= weights[i++];
+            chosen.push(pool.splice(i, 1)[0]);
+        }
+        return chosen;
+    }
+
+    const shuffle = typeof module !== 'undefined' && module.exports ?
+        require('./study.js').shuffle :
+        root.GermanStudy.shuffle;
+
+    function sharedPrefix(a, b) {
+        let n = 0;
+        while (n < a.length && a[n] === b[n]) n++;
+        return n;
+    }
+
+    // The answer plus look-alike choices that are not in the word (so
+    // "Schwester" never offers SCH or ST next to SCHW)
+    function choices(answer, word, all, random) {
+        const others = shuffle(all.filter(c => c !== answer && !hasCluster(word, c)), random)
+            .sort((a, b) => sharedPrefix(b, answer) - sharedPrefix(a, answer));
+        return shuffle([answer].concat(others.slice(0, OPTION_COUNT - 1)), random);
+    }
+
+    // groups: [{ cluster, words: [{ german, english, hindi }] }] from the page
+    // -> questions of the clusters mode; words missing their cluster drop out
+    function clusterQuestions(groups, kind) {
+        const names = groups.map(g => g.cluster);
+        const questions = [];
+        groups.forEach(function(group) {
+            group.words.forEach(function(word) {
+                if (!hasCluster(word.german, group.cluster)) return;
+                questions.push({ kind: kind, key: (kind === 'letter' ? 'letter:' : '') + group.cluster,
+                    play: word.german, answer: group.cluster, names: names, word: word });
+            });
+        });
+        return questions;
+    }
+
+    function chQuestions() {
+        return CH_PAIRS.reduce(function(list, pair) {
+            return list.concat(pair.map(german => ({ kind: 'ch', key: 'ch:' + chSound(german),
+                play: german, answer: german, options: pair })));
+        }, []);
+    }
+
+    function stQuestions() {
+        return ST_WORDS.map(function(entry) {
+            const key = stSound(entry);
+            const group = key.slice(0, 2);
+            return { kind: 'st', key: key, play: entry.replace(/\|/g, ''), parts: entry.split('|'),
+                answer: key, options: [group + ':sch' + group.slice(1), group + ':' + group] };
+        });
+    }
+
+    function record(stats, key, correct) {
+        const entry = stats[key] || (stats[key] = { right: 0, wrong: 0 });
+        entry[correct ? 'right' : 'wrong']++;
+        return stats;
+    }
+
+    const api = {
+        CH_PAIRS: CH_PAIRS,
+        ST_WORDS: ST_WORDS,
+        SOUNDS: SOUNDS,
+        hasCluster: hasCluster,
+        chSound: chSound,
+        stSound: stSound,
+        errorRate: errorRate,
+        pick: pick,
+        choices: choices,
+        clusterQuestions: clusterQuestions,
+        chQuestions: chQuestions,
+        stQuestions: stQuestions,
+        record: record
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Storage ---------- */
+
+    const { load, save } = GermanStudy.store(KEY, 'phonics progress');
+
+    /* ---------- Page content ---------- */
+
+    function cellText(cell) {
+        return cell ? cell.textContent.replace('🔊', '').trim() : '';
+    }
+
+    // Cluster sections: <h2><span class="cluster-name">BL</span> ...</h2>
+    // followed by a table of example words
+    function readClusters() {
+        return Array.from(document.querySelectorAll('h2 .cluster-name')).map(function(name) {
+            let node = name.parentNode.nextElementSibling;
+            while (node && node.tagName !== 'TABLE' && node.tagName !== 'H2') node = node.nextElementSibling;
+            const rows = node && node.tagName === 'TABLE' ? Array.from(node.querySelectorAll('tbody tr')) : [];
+            return {
+                cluster: name.textContent.trim(),
+                words: rows.map(function(tr) {
+                    const cells = tr.querySelectorAll('td');
+                    return { german: cellText(tr.querySelector('.german-word')), english: cellText(cells[2]), hindi: cellText(cells[3]) };
+                }).filter(w => w.german)
+            };
+        });
+    }
+
+    // "Letters That Sound Different": letter | English | German | example
+    function readLetters() {
+        return Array.from(document.querySelectorAll('.diff-table tbody tr')).map(function(tr) {
+            const example = tr.querySelector('.ex-word');
+            return {
+                cluster: cellText(tr.querySelector('.col-letter')),
+                words: example ? [{ german: example.textContent.trim(), english: '', hindi: '' }] : []
+            };
+        }).filter(g => g.cluster.length === 1);
+    }
+
+    function questions(mode) {
+        if (mode === 'ch') return chQuestions();
+        if (mode === 'st') return stQuestions();
+        return clusterQuestions(readClusters(), 'cluster').concat(clusterQuestions(readLetters(), 'letter'));
+    }
+
+    /* ---------- Trainer UI ---------- */
+
+    const el = GermanStudy.el;
+    const TITLES = { clusters: '🎧 Which sound?', ch: '🎧 ich or ach?', st: '🎧 scht or st?' };
+    let trainer = null;
+
+    function open(mode) {
+        const dialog = GermanStudy.openDialog(TITLES[mode] || TITLES.clusters, {
+            onKey: onKey,
+            onClose: function() { trainer = null; }
+        });
+        trainer = {
+            dialog: dialog, mode: mode,
+            queue: pick(questions(mode), load(), SESSION_LENGTH),
+            index: 0, score: 0, session: {}, answered: false
+        };
+        showQuestion();
+    }
+
+    function label(q, option) {
+        if (q.kind === 'st') return SOUNDS[option];
+        return option;
+    }
+
+    function updateProgress() {
+        const t = trainer;
+        t.dialog.progress.textContent = (t.index + 1) + ' / ' + t.queue.length + ' · ✓ ' + t.score;
+    }
+
+    function showQuestion() {
+        const t = trainer;
+        t.dialog.clear();
+        t.answered = false;
+        const q = t.queue[t.index];
+        if (!q) return showResults();
+        updateProgress();
+
+        const instruction = {
+            cluster: 'Listen: which cluster is in this word?',
+            letter: 'Listen: which letter makes the sound that differs from English?',
+            ch: 'Listen: which of the two words do you hear?',
+            st: 'Listen: how is the st / sp said?'
+        }[q.kind];
+        t.dialog.body.appendChild(el('div', 'quiz-instruction', instruction));
+        t.dialog.body.appendChild(GermanStudy.button('🔊 Play again', 'study-btn quiz-listen', () => speakGerman(q.play)));
+
+        const options = q.options || choices(q.answer, q.play, q.names);
+        const list = t.dialog.body.appendChild(el('div', 'quiz-options phonics-options'));
+        options.forEach(function(option, i) {
+            const btn = list.appendChild(GermanStudy.button('', 'quiz-option', () => answer(option)));
+            btn.appendChild(el('span', 'quiz-key', String(i + 1)));
+            btn.appendChild(el('span', q.kind === 'st' ? null : 'phonics-option-name', label(q, option)));
+            btn.setAttribute('data-option', option);
+        });
+        speakGerman(q.play);
+    }
+
+    // What the word shows once answered
+    function reveal(q) {
+        const box = el('div', 'quiz-word phonics-reveal');
+        box.appendChild(GermanStudy.audioButton(q.play));
+        if (q.kind === 'st') {
+            q.parts.forEach((part, i) => box.appendChild(el(i ? 'strong' : 'span', null, (i ? ' + ' : '') + part)));
+        } else {
+            box.appendChild(el('strong', 'german', q.play));
+        }
+        if (q.word && (q.word.english || q.word.hindi)) {
+            box.appendChild(document.createTextNode(' - ' + [q.word.english, q.word.hindi].filter(Boolean).join(' · ')));
+        }
+        return box;
+    }
+
+    function note(q) {
+        if (q.kind === 'ch') {
+            const sounds = q.options.map(w => w + ': ' + SOUNDS['ch:' + chSound(w)]);
+            return sounds.join(' · ');
+        }
+        if (q.kind === 'st') {
+            return q.parts.length > 1 ? 'st / sp starts the word part "' + q.parts[q.parts.length - 1] + '"' :
+                (/^s[tp]/i.test(q.play) ? 'st / sp at the start of a word' : 'st / sp inside a word keeps its English sound');
+        }
+        return null;
+    }
+
+    function answer(option) {
+        const t = trainer;
+        if (t.answered) return;
+        t.answered = true;
+        const q = t.queue[t.index];
+        const correct = option === q.answer;
+        if (correct) t.score++;
+
+        save(record(load(), q.key, correct));
+        record(t.session, q.key, correct);
+        updateProgress();
+
+        t.dialog.body.querySelectorAll('.quiz-option').forEach(function(btn) {
+            btn.disabled = true;
+            const value = btn.getAttribute('data-option');
+            if (value === q.answer) btn.classList.add('quiz-option--correct');
+            else if (value === option) btn.classList.add('quiz-option--wrong');
+        });
+
+        const feedback = t.dialog.body.appendChild(el('div', 'quiz-feedback ' + (correct ? 'quiz-feedback--correct' : 'quiz-feedback--wrong')));
+        feedback.appendChild(el('div', null, correct ? '✅ Richtig!' : '❌ It was ' + label(q, q.answer)));
+        feedback.appendChild(reveal(q));
+        const rule = note(q);
+        if (rule) feedback.appendChild(el('div', 'quiz-note', rule));
+
+        t.dialog.actions.textContent = '';
+        const last = t.index === t.queue.length - 1;
+        t.dialog.actions.appendChild(GermanStudy.button(last ? 'See results' : 'Next →', 'study-btn', next)).focus();
+    }
+
+    function next() {
+        trainer.index++;
+        showQuestion();
+    }
+
+    function soundName(key) {
+        return SOUNDS[key] || key.replace(/^letter:/, 'Letter ');
+    }
+
+    // Sounds of the mode, weakest first
+    function statsTable(stats, caption, limit) {
+        const keys = Object.keys(stats).filter(key => stats[key].right + stats[key].wrong > 0)
+            .sort((a, b) => errorRate(stats, b) - errorRate(stats, a)).slice(0, limit || undefined);
+        const table = el('table', 'phonics-stats');
+        table.appendChild(el('caption', null, caption));
+        const head = table.appendChild(el('tr'));
+        ['Sound', 'Right', 'Accuracy'].forEach(text => head.appendChild(el('th', null, text)));
+        keys.forEach(function(key) {
+            const entry = stats[key];
+            const total = entry.right + entry.wrong;
+            const row = table.appendChild(el('tr'));
+            row.appendChild(el('td', null, soundName(key)));
+            row.appendChild(el('td', null, entry.right + ' / ' + total));
+            row.appendChild(el('td', null, Math.round(100 * entry.right / total) + '%'));
+        });
+        return table;
+    }
+
+    function showResults() {
+        const t = trainer;
+        t.dialog.progress.textContent = '';
+        if (!t.queue.length) {
+            t.dialog.body.appendChild(el('div', 'study-done', 'No words to practise here.'));
+            return;
+        }
+        t.dialog.body.appendChild(el('div', 'study-done', '🎧 ' + t.score + ' / ' + t.queue.length + ' heard right'));
+        t.dialog.body.appendChild(statsTable(t.session, 'This round'));
+        const keys = new Set(questions(t.mode).map(q => q.key));
+        const all = load();
+        const own = {};
+        Object.keys(all).filter(key => keys.has(key)).forEach(key => own[key] = all[key]);
+        t.dialog.body.appendChild(statsTable(own, 'Weakest sounds, all time', 5));
+        const mode = t.mode;
+        t.dialog.actions.appendChild(GermanStudy.button('Another round', 'study-btn', () => open(mode)));
+    }
+
+    function onKey(e) {
+        if (!trainer || trainer.index >= trainer.queue.length) return;
+        if (e.key === 'Enter' && e.target.tagName === 'BUTTON') return;
+        const q = trainer.queue[trainer.index];
+        if (e.key === 'r' || e.key === 'R') {
+            speakGerman(q.play);
+        } else if (trainer.answered && e.key === 'Enter') {
+            e.preventDefault();
+            next();
+        } else if (!trainer.answered && /^[1-4]$/.test(e.key)) {
+            const btn = trainer.dialog.body.querySelectorAll('.quiz-option')[Number(e.key) - 1];
+            if (btn) btn.click();
+        }
+    }
+
+    document.addEventListener('click', function(e) {
+        const btn = e.target.closest && e.target.closest('[data-phonics]');
+        if (btn) open(btn.getAttribute('data-phonics'));
+    });
+
+    api.open = open;
+    api.stats = load;
+    root.GermanPhonics = api;
+})(typeof window !== 'undefined' ? window : this);
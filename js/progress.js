@@ -0,0 +1,191 @@
+/* ============================================
+   LEARNING PROGRESS
+   Every vocabulary row gets a state toggle in its # cell:
+     ○ new  ->  ◐ learning  ->  ● known  ->  ○ new ...
+   In the pairs layout (words-opposites) a row marks both words.
+
+   States are saved per word id in localStorage under 'german-progress';
+   words without an entry are new:
+     { "a1-650-0001": "known", "a2-0042": "learning" }
+
+   Each table's study bar shows a progress bar for the whole table, each
+   category header a thin one for its section. index.html fills its stat
+   cards from the same storage:
+     <div data-progress-count="a1-650">650+</div>   -> "12 / 650"
+     <div data-progress-count="">20+</div>          -> known words, all lists
+
+   Changes dispatch 'progress:changed' on document with detail { ids, state }.
+
+   Node: require('./js/progress.js').summarize(words, states)
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const KEY = 'german-progress';
+    const STATES = ['new', 'learning', 'known'];
+    const ICONS = { new: '○', learning: '◐', known: '●' };
+
+    function stateOf(states, id) {
+        return states[id] || 'new';
+    }
+
+    function nextState(state) {
+        return STATES[(STATES.indexOf(state) + 1) % STATES.length];
+    }
+
+    // { known, learning, new, total } over a list of word records
+    function summarize(words, states) {
+        const counts = { known: 0, learning: 0, new: 0, total: words.length };
+        words.forEach(word => counts[stateOf(states, word.id)]++);
+        return counts;
+    }
+
+    const api = {
+        KEY: KEY,
+        STATES: STATES,
+        stateOf: stateOf,
+        nextState: nextState,
+        summarize: summarize
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Storage ---------- */
+
+    const { load, save } = GermanStudy.store(KEY, 'learning progress');
+
+    function setState(ids, state) {
+        const states = load();
+        ids.forEach(function(id) {
+            if (state === 'new') delete states[id];
+            else states[id] = state;
+        });
+        save(states);
+        document.dispatchEvent(new CustomEvent('progress:changed', {
+            detail: { ids: ids, state: state }
+        }));
+    }
+
+    /* ---------- Rows ---------- */
+
+    const el = GermanStudy.el;
+
+    // Word ids a table row stands for: the word, plus its opposite in pairs
+    function rowIds(tr, pairs) {
+        const word = GermanVocab.get(tr.getAttribute('data-word-id'));
+        return pairs && word.opposite ? [word.id, word.opposite] : [word.id];
+    }
+
+    function paintRow(tr, state) {
+        STATES.forEach(s => tr.classList.toggle('word-' + s, s === state && s !== 'new'));
+        const btn = tr.querySelector('.progress-toggle');
+        btn.textContent = ICONS[state];
+        btn.title = 'Marked ' + state + ' - click to change';
+        btn.setAttribute('aria-label', 'Word is ' + state + '; mark as ' + nextState(state));
+    }
+
+    function decorateRows(container, page, states) {
+        const pairs = GermanVocab.page(page).layout === 'pairs';
+        container.querySelectorAll('tr[data-word-id]').forEach(function(tr) {
+            const cell = tr.firstElementChild;
+            const btn = cell.appendChild(GermanStudy.button('', 'progress-toggle', function() {
+                const ids = rowIds(tr, pairs);
+                setState(ids, nextState(stateOf(load(), ids[0])));
+            }));
+            btn.setAttribute('data-progress-id', tr.getAttribute('data-word-id'));
+            paintRow(tr, stateOf(states, tr.getAttribute('data-word-id')));
+        });
+    }
+
+    /* ---------- Bars ---------- */
+
+    // Stacked known/learning bar with a caption, e.g. "12 known · 3 learning · 85 new"
+    function progressBar(className, words) {
+        const bar = el('div', 'progress ' + className);
+        bar.words = words;
+        const track = bar.appendChild(el('div', 'progress-track'));
+        track.appendChild(el('span', 'progress-known'));
+        track.appendChild(el('span', 'progress-learning'));
+        bar.appendChild(el('span', 'progress-label'));
+        return bar;
+    }
+
+    function paintBar(bar, states) {
+        const counts = summarize(bar.words, states);
+        const pct = n => (counts.total ? 100 * n / counts.total : 0) + '%';
+        bar.querySelector('.progress-known').style.width = pct(counts.known);
+        bar.querySelector('.progress-learning').style.width = pct(counts.learning);
+        bar.querySelector('.progress-label').textContent = bar.classList.contains('progress-section') ?
+            counts.known + ' / ' + counts.total :
+            counts.known + ' known · ' + counts.learning + ' learning · ' + counts.new + ' new';
+        bar.title = counts.known + ' of ' + counts.total + ' words known';
+    }
+
+    function refresh() {
+        const states = load();
+        document.querySelectorAll('tr[data-word-id]').forEach(function(tr) {
+            if (tr.querySelector('.progress-toggle')) paintRow(tr, stateOf(states, tr.getAttribute('data-word-id')));
+        });
+        document.querySelectorAll('.progress').forEach(bar => paintBar(bar, states));
+        refreshStats(states);
+    }
+
+    /* ---------- index.html stat cards ---------- */
+
+    function refreshStats(states) {
+        document.querySelectorAll('[data-progress-count]').forEach(function(node) {
+            const page = node.getAttribute('data-progress-count');
+            if (!page) {
+                node.textContent = Object.keys(states).filter(id => states[id] === 'known').length;
+            } else if (GermanVocab.page(page)) {
+                const counts = summarize(GermanVocab.words(page), states);
+                node.textContent = counts.known + ' / ' + counts.total;
+            }
+        });
+    }
+
+    function loadStats() {
+        const nodes = document.querySelectorAll('[data-progress-count]');
+        const pages = Array.from(nodes, node => node.getAttribute('data-progress-count')).filter(Boolean);
+        if (!nodes.length) return;
+        refreshStats(load());
+        Promise.all(pages.map(GermanVocab.load)).then(() => refreshStats(load()), function(err) {
+            console.warn('⚠️ ' + err.message);
+        });
+    }
+
+    /* ---------- Wiring ---------- */
+
+    GermanStudy.onTables(function(table) {
+        const states = load();
+        decorateRows(table.container, table.page, states);
+        const bar = GermanStudy.toolbar(table.container).appendChild(
+            progressBar('progress-table', GermanStudy.scopeWords(table.page, table.level)));
+        paintBar(bar, states);
+        table.sections.forEach(function(item) {
+            const header = item.element.querySelector('.category-header');
+            if (!header) return;
+            const sectionBar = header.appendChild(progressBar('progress-section', GermanVocab.words(table.page, item.section.id)));
+            paintBar(sectionBar, states);
+        });
+    });
+
+    document.addEventListener('progress:changed', refresh);
+    // Another tab changed the progress
+    window.addEventListener('storage', function(e) {
+        if (e.key === KEY) refresh();
+    });
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', loadStats);
+    } else {
+        loadStats();
+    }
+
+    api.load = load;
+    api.setState = setState;
+    root.GermanProgress = api;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,22 @@
+/* ============================================
+   INSTALLABLE APP
+   Registers the service worker (sw.js) so the site can be installed to a
+   phone home screen from manifest.webmanifest and keeps working offline.
+
+   Only http(s) pages can do this; opened as file:// or content:// the pages
+   work as before, just without installation.
+   ============================================ */
+(function() {
+    'use strict';
+
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+    // sw.js sits at the site root next to this script's js/ folder
+    const siteRoot = siteRootOf(document.currentScript);
+
+    window.addEventListener('load', function() {
+        navigator.serviceWorker.register(siteRoot + 'sw.js').catch(function(err) {
+            console.warn('⚠️ Offline mode unavailable:', err.message);
+        });
+    });
+})();
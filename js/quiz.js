@@ -0,0 +1,338 @@
+/* ============================================
+   QUIZ
+   Self-test built from the rows of a vocabulary table (js/vocab.js), launched
+   from the study bar ("❓ Quiz", whole table) or a section's ❓ button.
+
+   Question types, mixed in each quiz:
+     choice    - German word (with 🔊) -> pick the Hindi meaning
+     typing    - Hindi meaning -> type the German word; case, umlauts and ß
+                 are tolerated ("Kaese", "kase" and "Käse" all count, but
+                 "Feur" does not count for "Feuer")
+     listening - the word is only played through speakGerman -> pick the meaning
+
+   Wrong options come from the same table, so they look plausible. The results
+   screen lists the missed words with a "Retry missed" button.
+
+   Results are kept per scope (page, page:level or page:section id) in
+   localStorage under 'german-quiz', the last HISTORY_LENGTH of each:
+     { "a2:Travel_&_Transport": [{ "date": "2026-10-19T10:00:00.000Z",
+                                   "score": 8, "total": 10, "missed": ["a2-0042"] }] }
+   Retries of the missed words are not recorded.
+
+   Keys: 1-4 = pick an option, Enter = check / next, Esc = close.
+
+   Node: require('./js/quiz.js').checkAnswer('Kaese', word)
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const KEY = 'german-quiz';
+    const QUIZ_LENGTH = 10;
+    const HISTORY_LENGTH = 20;
+    const OPTIONS = 4;
+    const TYPES = ['choice', 'typing', 'listening'];
+
+    const search = typeof module !== 'undefined' && module.exports ?
+        require('./search.js') :
+        root.GermanSearch;
+    const fold = search.fold;
+
+    /* ---------- Question building ---------- */
+
+    const shuffle = typeof module !== 'undefined' && module.exports ?
+        require('./study.js').shuffle :
+        root.GermanStudy.shuffle;
+
+    // Answer text a question type shows as options
+    function optionText(word, type) {
+        return type === 'choice' ? word.hindi : word.english;
+    }
+
+    function canAsk(word, type) {
+        if (type === 'listening') return !!word.english;
+        return !!word.hindi;
+    }
+
+    // Up to n wrong options for word, distinct from the answer and each other
+    function distractors(word, pool, type, n, random) {
+        const answer = optionText(word, type);
+        const seen = new Set([fold(answer)]);
+        const picked = [];
+        shuffle(pool, random).forEach(function(other) {
+            const text = optionText(other, type);
+            if (picked.length >= n || !text || seen.has(fold(text))) return;
+            seen.add(fold(text));
+            picked.push(text);
+        });
+        return picked;
+    }
+
+    // Questions over `words`; `pool` supplies wrong options (defaults to words)
+    function buildQuestions(words, pool, options) {
+        const opts = Object.assign({ count: QUIZ_LENGTH, types: TYPES, random: Math.random }, options);
+        const optionPool = pool && pool.length ? pool : words;
+        const questions = [];
+
+        shuffle(words, opts.random).forEach(function(word) {
+            if (questions.length >= opts.count) return;
+            // Rotate through the types, skipping ones this word has no data for
+            const start = questions.length % opts.types.length;
+            for (let k = 0; k < opts.types.length; k++) {
+                const type = opts.types[(start + k) % opts.types.length];
+                if (!canAsk(word, type)) continue;
+                const question = { type: type, word: word };
+                if (type !== 'typing') {
+                    const wrong = distractors(word, optionPool, type, OPTIONS - 1, opts.random);
+                    if (!wrong.length) continue;
+                    question.answer = optionText(word, type);
+                    question.options = shuffle(wrong.concat(question.answer), opts.random);
+                }
+                questions.push(question);
+                return;
+            }
+        });
+        return questions;
+    }
+
+    // German with and without its article, e.g. ['Käse', 'der Käse']
+    function acceptedAnswers(word) {
+        const list = [word.german];
+        if (word.article) list.push(word.article + ' ' + word.german);
+        return list;
+    }
+
+    // { correct, exact }: correct ignores case/umlaut spelling, exact does not
+    function checkAnswer(input, word) {
+        const typed = String(input || '').trim().replace(/\s+/g, ' ');
+        const accepted = acceptedAnswers(word);
+        return {
+            correct: !!typed && accepted.some(a => search.spellings(a).includes(fold(typed))),
+            exact: accepted.includes(typed)
+        };
+    }
+
+    // Adds one result to history[scope], dropping the oldest past HISTORY_LENGTH
+    function recordResult(history, scope, result) {
+        const list = (history[scope] || []).concat(result);
+        history[scope] = list.slice(-HISTORY_LENGTH);
+        return history;
+    }
+
+    const api = {
+        HISTORY_LENGTH: HISTORY_LENGTH,
+        shuffle: shuffle,
+        recordResult: recordResult,
+        buildQuestions: buildQuestions,
+        checkAnswer: checkAnswer,
+        acceptedAnswers: acceptedAnswers
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Quiz UI ---------- */
+
+    const el = GermanStudy.el;
+    const { load, save } = GermanStudy.store(KEY, 'quiz results');
+    let quiz = null;
+
+    // scope: where the result is recorded, null for a retry
+    function open(title, words, pool, scope) {
+        const dialog = GermanStudy.openDialog('❓ ' + title, {
+            onKey: onKey,
+            onClose: function() { quiz = null; }
+        });
+        quiz = {
+            dialog: dialog, title: title, words: words, pool: pool || words, scope: scope || null,
+            questions: buildQuestions(words, pool || words), index: 0, score: 0,
+            missed: [], answered: false
+        };
+        showQuestion();
+    }
+
+    function progressText() {
+        return (quiz.index + 1) + ' / ' + quiz.questions.length + ' · ✓ ' + quiz.score;
+    }
+
+    function showQuestion() {
+        const q = quiz.questions[quiz.index];
+        quiz.dialog.clear();
+        quiz.answered = false;
+        if (!q) return showResults();
+        quiz.dialog.progress.textContent = progressText();
+
+        const body = quiz.dialog.body;
+        const german = GermanVocab.speakText(q.word);
+        if (q.type === 'choice') {
+            body.appendChild(el('div', 'quiz-instruction', 'What does this mean?'));
+            const prompt = body.appendChild(el('div', 'quiz-prompt quiz-prompt-german'));
+            prompt.appendChild(GermanStudy.audioButton(german));
+            prompt.appendChild(document.createTextNode(GermanVocab.displayText(q.word)));
+            renderOptions(q);
+        } else if (q.type === 'listening') {
+            body.appendChild(el('div', 'quiz-instruction', 'Listen and pick the meaning'));
+            body.appendChild(GermanStudy.button('🔊 Play again', 'study-btn quiz-listen', () => speakGerman(german)));
+            renderOptions(q);
+            speakGerman(german);
+        } else {
+            body.appendChild(el('div', 'quiz-instruction', 'Type the German word'));
+            body.appendChild(el('div', 'quiz-prompt hindi', q.word.hindi));
+            body.appendChild(el('div', 'quiz-hint english', q.word.english));
+            const input = body.appendChild(el('input', 'quiz-input'));
+            input.type = 'text';
+            input.autocomplete = 'off';
+            input.spellcheck = false;
+            input.setAttribute('autocapitalize', 'off');
+            input.setAttribute('aria-label', 'German word');
+            quiz.dialog.actions.appendChild(GermanStudy.button('Check', 'study-btn', () => checkTyped(input)));
+            setTimeout(() => input.focus(), 0);
+        }
+    }
+
+    function renderOptions(q) {
+        const list = quiz.dialog.body.appendChild(el('div', 'quiz-options'));
+        q.options.forEach(function(text, i) {
+            const btn = list.appendChild(GermanStudy.button('', 'quiz-option', () => pick(btn, text)));
+            btn.appendChild(el('span', 'quiz-key', String(i + 1)));
+            btn.appendChild(document.createTextNode(text));
+            btn.setAttribute('data-option', text);
+        });
+    }
+
+    function pick(btn, text) {
+        if (quiz.answered) return;
+        const q = quiz.questions[quiz.index];
+        const correct = text === q.answer;
+        quiz.dialog.body.querySelectorAll('.quiz-option').forEach(function(option) {
+            option.disabled = true;
+            if (option.getAttribute('data-option') === q.answer) option.classList.add('quiz-option--correct');
+        });
+        if (!correct) btn.classList.add('quiz-option--wrong');
+        finish(correct, null);
+    }
+
+    function checkTyped(input) {
+        if (quiz.answered) return;
+        const q = quiz.questions[quiz.index];
+        if (!input.value.trim()) return;
+        const result = checkAnswer(input.value, q.word);
+        input.disabled = true;
+        input.classList.add(result.correct ? 'quiz-input--correct' : 'quiz-input--wrong');
+        let note = null;
+        if (!result.correct) note = 'Answer: ' + GermanVocab.speakText(q.word);
+        else if (!result.exact) note = 'Spelling: ' + GermanVocab.speakText(q.word);
+        finish(result.correct, note);
+    }
+
+    // Show the verdict, the word itself and the Next button
+    function finish(correct, note) {
+        const q = quiz.questions[quiz.index];
+        quiz.answered = true;
+        if (correct) quiz.score++;
+        else quiz.missed.push(q.word);
+        quiz.dialog.progress.textContent = progressText();
+
+        const feedback = quiz.dialog.body.appendChild(el('div', 'quiz-feedback ' + (correct ? 'quiz-feedback--correct' : 'quiz-feedback--wrong')));
+        feedback.appendChild(el('div', null, correct ? '✅ Richtig!' : '❌ Falsch'));
+        if (note) feedback.appendChild(el('div', 'quiz-note', note));
+        const word = feedback.appendChild(el('div', 'quiz-word'));
+        word.appendChild(GermanStudy.audioButton(GermanVocab.speakText(q.word)));
+        word.appendChild(document.createTextNode(GermanVocab.displayText(q.word) + ' = ' + q.word.english +
+            (q.word.hindi ? ' · ' + q.word.hindi : '')));
+
+        quiz.dialog.actions.textContent = '';
+        const last = quiz.index === quiz.questions.length - 1;
+        const next = quiz.dialog.actions.appendChild(GermanStudy.button(last ? 'See results' : 'Next →', 'study-btn', nextQuestion));
+        next.focus();
+    }
+
+    function nextQuestion() {
+        quiz.index++;
+        showQuestion();
+    }
+
+    function showResults() {
+        const total = quiz.questions.length;
+        quiz.dialog.progress.textContent = '';
+        const body = quiz.dialog.body;
+        if (!total) {
+            body.appendChild(el('div', 'study-done', 'Not enough words with meanings here for a quiz.'));
+        } else {
+            const pct = Math.round(100 * quiz.score / total);
+            body.appendChild(el('div', 'study-done', (pct >= 80 ? '🎉 ' : '📝 ') + quiz.score + ' / ' + total + ' correct (' + pct + '%)'));
+            if (quiz.scope) saveResult(body, total);
+        }
+
+        if (quiz.missed.length) {
+            body.appendChild(el('div', 'quiz-missed-title', 'Missed words'));
+            const list = body.appendChild(el('ul', 'quiz-missed'));
+            quiz.missed.forEach(function(word) {
+                const item = list.appendChild(el('li'));
+                item.appendChild(GermanStudy.audioButton(GermanVocab.speakText(word)));
+                item.appendChild(el('span', 'german', GermanVocab.displayText(word)));
+                item.appendChild(el('span', 'english', word.english));
+                if (word.hindi) item.appendChild(el('span', 'hindi', word.hindi));
+            });
+            const missed = quiz.missed.slice();
+            quiz.dialog.actions.appendChild(GermanStudy.button('🔁 Retry missed', 'study-btn',
+                () => open(quiz.title, missed, quiz.pool)));
+        }
+        const words = quiz.words;
+        const pool = quiz.pool;
+        const title = quiz.title;
+        const scope = quiz.scope;
+        quiz.dialog.actions.appendChild(GermanStudy.button('New quiz', 'study-btn', () => open(title, words, pool, scope)));
+    }
+
+    // Records the result and shows the earlier ones of the same scope
+    function saveResult(body, total) {
+        const history = load();
+        const earlier = (history[quiz.scope] || []).slice(-5);
+        save(recordResult(history, quiz.scope, {
+            date: new Date().toISOString(),
+            score: quiz.score,
+            total: total,
+            missed: quiz.missed.map(word => word.id)
+        }));
+        if (earlier.length) {
+            body.appendChild(el('div', 'quiz-history', '📈 Earlier here: ' +
+                earlier.map(result => result.score + ' / ' + result.total).join(' · ')));
+        }
+    }
+
+    function onKey(e) {
+        if (!quiz || quiz.index >= quiz.questions.length) return;
+        const q = quiz.questions[quiz.index];
+        // A focused button already handles its own Enter
+        if (e.key === 'Enter' && e.target.tagName === 'BUTTON') return;
+        if (quiz.answered && e.key === 'Enter') {
+            e.preventDefault();
+            nextQuestion();
+        } else if (!quiz.answered && q.type === 'typing' && e.key === 'Enter') {
+            e.preventDefault();
+            checkTyped(quiz.dialog.body.querySelector('.quiz-input'));
+        } else if (!quiz.answered && q.type !== 'typing' && /^[1-4]$/.test(e.key)) {
+            const option = quiz.dialog.body.querySelectorAll('.quiz-option')[Number(e.key) - 1];
+            if (option) option.click();
+        }
+    }
+
+    /* ---------- Launchers ---------- */
+
+    GermanStudy.onTables(function(table) {
+        const pool = GermanVocab.words(table.page);
+        GermanStudy.toolbar(table.container).appendChild(GermanStudy.button('❓ Quiz', 'study-btn',
+            () => open(table.title, GermanStudy.scopeWords(table.page, table.level), pool,
+                table.page + (table.level ? ':' + table.level : ''))));
+        table.sections.forEach(function(item) {
+            GermanStudy.sectionButton(item.element, '❓', 'Quiz on this section',
+                () => open(item.section.title, GermanVocab.words(table.page, item.section.id), pool,
+                    table.page + ':' + item.section.id));
+        });
+    });
+
+    api.open = open;
+    root.GermanQuiz = api;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,95 @@
+/* ============================================
+   PAGE LINKS
+   Resolves links between the pages from the current page's URL, so
+   navigation works however the folder was opened:
+     http(s)://host/german/a2.html              served, or the installed app
+     file:///storage/emulated/0/german/a2.html  opened from disk
+     content://<provider>/.../a2.html           Android file managers
+     content://<provider>/document/primary%3Agerman%2Fa2.html
+                                                 (path percent-encoded in one segment)
+
+   Browsers already resolve http(s) and file:// links; Android content://
+   URLs often hide the folder in an encoded segment or wrap a file:// path,
+   and there a plain relative link goes nowhere. A single click handler
+   compares the router's answer with the browser's and only steps in when
+   they differ. #section and #row= deep links are kept, and vocabulary pages
+   scroll to them once their tables render (js/vocab.js, js/search.js).
+
+   Node: require('./js/router.js').resolve('a2.html#Food', pageUrl)
+   Fixtures: node tools/router-check.js
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const EXTERNAL = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+    const ENCODED_SLASH = /%2F/i;
+    // A file:// path wrapped in a content:// URL, plain or encoded, as some file managers do
+    const WRAPPED_FILE = /(file:\/\/\/.*)$/;
+
+    // Page URL without query and hash
+    function stripUrl(url) {
+        return String(url).replace(/[?#].*$/, '');
+    }
+
+    function decode(url) {
+        try {
+            return decodeURIComponent(url);
+        } catch (e) {
+            return url;
+        }
+    }
+
+    // The folder the current page lives in, as a URL prefix that a page name
+    // can be appended to. Encoded content:// paths end in "%2F" instead of "/".
+    function baseUrl(pageUrl) {
+        const url = stripUrl(pageUrl);
+        if (/^content:/i.test(url)) {
+            const wrapped = decode(url).match(WRAPPED_FILE);
+            if (wrapped) return baseUrl(wrapped[1]);
+            const last = url.slice(url.lastIndexOf('/') + 1);
+            if (ENCODED_SLASH.test(last)) {
+                const cut = last.search(/%2F(?!.*%2F)/i);
+                return url.slice(0, url.length - last.length + cut + 3);
+            }
+        }
+        return url.slice(0, url.lastIndexOf('/') + 1);
+    }
+
+    // Absolute URL for a link to another page, or null for links the
+    // browser should handle itself (other sites, mailto:, same-page #anchors)
+    function resolve(href, pageUrl) {
+        if (!href || href.charAt(0) === '#' || EXTERNAL.test(href)) return null;
+        const match = href.match(/^([^?#]*)(.*)$/);
+        const path = match[1];
+        const rest = match[2];
+        if (!/\.html$/i.test(path)) return null;
+
+        const base = baseUrl(pageUrl);
+        if (ENCODED_SLASH.test(base.slice(-3))) {
+            // Keep the provider's encoding: folder/page becomes folder%2Fpage
+            return base + path.split('/').map(encodeURIComponent).join('%2F') + rest;
+        }
+        return new URL(href, base).href;
+    }
+
+    const api = { baseUrl: baseUrl, resolve: resolve };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Click handling ---------- */
+
+    document.addEventListener('click', function(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        const link = e.target.closest && e.target.closest('a[href]');
+        if (!link || (link.target && link.target !== '_self')) return;
+        const target = resolve(link.getAttribute('href'), window.location.href);
+        if (!target || target === link.href) return;
+        e.preventDefault();
+        window.location.href = target;
+    });
+
+    root.GermanRouter = api;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,222 @@
+/* ============================================
+   GLOBAL SEARCH
+   Search box in the sidebar (and any [data-search] placeholder) over every
+   German, English and Hindi table cell on the site.
+
+   The index (data/search-index.js, built by tools/build.js) is loaded on
+   first use. Matching folds case, umlauts and ß on both sides, so "strasse"
+   finds "Straße" and "schon" finds "schön"; German words with an umlaut are
+   also indexed in their ae/oe/ue spelling, so "schoen" finds "schön" too
+   (but "fraun" does not find "Frauen"). Devanagari input is matched against
+   the Hindi and pronunciation columns.
+
+   Results link to page.html#row=<anchor>; on arrival the row is scrolled into
+   view and highlighted. Anchors are vocabulary word ids (tr[data-word-id]) or
+   t<table>-r<row> for static tables outside [data-vocab] containers.
+
+   Node: require('./js/search.js').fold('Schöne Straße') -> 'schone strasse'
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const MAX_RESULTS = 40;
+    const ROW_ANCHOR = /^#row=(.+)$/;
+    const UMLAUT_FIELD = 4;
+
+    // Comparable form of German, English or Hindi text
+    function fold(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/ß/g, 'ss')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f\u093c\u200c\u200d]/g, '')        // accents, nukta, ZWNJ/ZWJ
+            .replace(/\u0901/g, '\u0902')                             // chandrabindu ~ anusvara
+            .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    // Folded forms German text may be typed in: "Käse" -> ['kase', 'kaese'].
+    // Only the side that actually has an umlaut gets the ae/oe/ue form.
+    function spellings(text) {
+        const lower = String(text || '').toLowerCase();
+        if (!/[äöü]/.test(lower)) return [fold(lower)];
+        return [fold(lower), fold(lower.replace(/[äöü]/g, c => c.normalize('NFD')[0] + 'e'))];
+    }
+
+    // Higher is better; 0 means some query word is missing
+    function score(fields, words) {
+        const joined = ' ' + fields.join(' | ') + ' ';
+        if (!words.every(w => joined.includes(w))) return 0;
+        const query = words.join(' ');
+        let best = 1;
+        fields.forEach(function(field, i) {
+            const bonus = i === 0 || i === UMLAUT_FIELD ? 1 : 0;   // prefer hits in the German column
+            if (field === query) best = Math.max(best, 40 + bonus);
+            else if (field.startsWith(query)) best = Math.max(best, 30 + bonus);
+            else if ((' ' + field).includes(' ' + query)) best = Math.max(best, 20 + bonus);
+            else if (field.includes(query)) best = Math.max(best, 10 + bonus);
+        });
+        return best;
+    }
+
+    function search(entries, query, limit) {
+        const words = fold(query).split(' ').filter(Boolean);
+        if (!words.length) return [];
+        const hits = [];
+        entries.forEach(function(entry) {
+            const s = score(entry.folded, words);
+            if (s) hits.push({ entry: entry, score: s });
+        });
+        hits.sort((a, b) => b.score - a.score || a.entry.order - b.entry.order);
+        return hits.slice(0, limit || MAX_RESULTS).map(hit => hit.entry);
+    }
+
+    // Index rows -> entries with pre-folded fields: German, English, Hindi,
+    // pronunciation and the German ae/oe/ue spelling ('' without umlauts)
+    function prepare(index) {
+        return index.rows.map(function(row, i) {
+            return {
+                page: row[0], anchor: row[1], german: row[2], english: row[3],
+                hindi: row[4], translit: row[5], section: row[6], order: i,
+                folded: [fold(row[2]), fold(row[3]), fold(row[4]), fold(row[5]), spellings(row[2])[1] || '']
+            };
+        });
+    }
+
+    const api = { fold: fold, spellings: spellings, score: score, search: search, prepare: prepare };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Index loading ---------- */
+
+    const siteRoot = siteRootOf(document.currentScript);
+    let entries = null;
+    let loading = null;
+
+    function loadIndex() {
+        if (entries) return Promise.resolve(entries);
+        if (loading) return loading;
+        loading = new Promise(function(resolve, reject) {
+            // A <script> tag rather than fetch() so it also works from file://
+            const tag = document.createElement('script');
+            tag.src = siteRoot + 'data/search-index.js';
+            tag.onload = function() {
+                entries = prepare(root.GermanSearchIndex);
+                resolve(entries);
+            };
+            tag.onerror = function() {
+                loading = null;
+                reject(new Error('Search index failed to load'));
+            };
+            document.head.appendChild(tag);
+        });
+        return loading;
+    }
+
+    /* ---------- Search box ---------- */
+
+    const el = GermanStudy.el;
+
+    function resultLink(entry) {
+        const link = el('a', 'search-result');
+        link.href = entry.page + '.html#row=' + encodeURIComponent(entry.anchor);
+        link.appendChild(el('span', 'search-result-german', entry.german || entry.english));
+        const meaning = [entry.german ? entry.english : '', entry.hindi].filter(Boolean).join(' · ');
+        if (meaning) link.appendChild(el('span', 'search-result-meaning', meaning));
+        const pageTitle = root.GermanSearchIndex.pages[entry.page] || entry.page;
+        link.appendChild(el('span', 'search-result-where', pageTitle + (entry.section ? ' › ' + entry.section : '')));
+        link.addEventListener('click', function() {
+            const sidebar = document.getElementById('sidebar');
+            if (sidebar && sidebar.classList.contains('open')) toggleSidebar();
+        });
+        return link;
+    }
+
+    function showResults(list, query) {
+        list.textContent = '';
+        if (!query.trim()) return;
+        loadIndex().then(function(all) {
+            const found = search(all, query);
+            list.textContent = '';
+            if (!found.length) {
+                list.appendChild(el('div', 'search-empty', 'No matches for "' + query.trim() + '"'));
+                return;
+            }
+            found.forEach(entry => list.appendChild(resultLink(entry)));
+        }, function(err) {
+            list.textContent = '';
+            list.appendChild(el('div', 'search-empty', '⚠️ ' + err.message));
+        });
+    }
+
+    function createBox() {
+        const box = el('div', 'search-box');
+        const input = box.appendChild(el('input', 'search-input'));
+        input.type = 'search';
+        input.placeholder = '🔍 Search: Deutsch, English, हिन्दी';
+        input.setAttribute('aria-label', 'Search all pages');
+        input.autocomplete = 'off';
+        const list = box.appendChild(el('div', 'search-results'));
+
+        let timer = null;
+        input.addEventListener('focus', () => loadIndex().catch(() => {}));
+        input.addEventListener('input', function() {
+            clearTimeout(timer);
+            timer = setTimeout(() => showResults(list, input.value), 120);
+        });
+        input.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter') {
+                const first = list.querySelector('.search-result');
+                if (first) first.click();
+            } else if (e.key === 'Escape') {
+                input.value = '';
+                list.textContent = '';
+            }
+        });
+        return box;
+    }
+
+    function mountBoxes() {
+        const header = document.querySelector('.sidebar .sidebar-header');
+        if (header) header.parentNode.insertBefore(createBox(), header.nextSibling);
+        document.querySelectorAll('[data-search]').forEach(node => node.appendChild(createBox()));
+    }
+
+    /* ---------- Jump to row ---------- */
+
+    function findRow(anchor) {
+        const staticRow = anchor.match(/^t(\d+)-r(\d+)$/);
+        if (!staticRow) return document.querySelector('tr[data-word-id="' + anchor.replace(/"/g, '') + '"]');
+        const table = Array.from(document.querySelectorAll('table'))
+            .filter(t => !t.closest('[data-vocab]'))[Number(staticRow[1])];
+        if (!table) return null;
+        return Array.from(table.querySelectorAll('tr')).filter(tr => tr.querySelector('td'))[Number(staticRow[2])] || null;
+    }
+
+    function jumpToHash() {
+        const match = window.location.hash.match(ROW_ANCHOR);
+        if (!match) return;
+        const row = findRow(decodeURIComponent(match[1]));
+        if (!row) return;
+        document.querySelectorAll('.search-hit').forEach(node => node.classList.remove('search-hit'));
+        row.classList.add('search-hit');
+        row.scrollIntoView({ block: 'center' });
+    }
+
+    // Rows of vocabulary tables exist once js/vocab.js has rendered (before load)
+    window.addEventListener('load', jumpToHash);
+    window.addEventListener('hashchange', jumpToHash);
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', mountBoxes);
+    } else {
+        mountBoxes();
+    }
+
+    api.load = loadIndex;
+    api.jumpToHash = jumpToHash;
+    root.GermanSearch = api;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,265 @@
+/* ============================================
+   SENTENCE PLAYER
+   Plays the example sentences of grammar.html with the words lit up as
+   they are spoken. Every table with two or more sentence 🔊 buttons gets a
+   bar above it:
+     ▶ Play all   ⏹ Stop   speed 0.5×-1.2×
+   and each sentence a ▶ (play with highlighting) and 🔁 (loop) button.
+
+   Highlighting follows the speech engine's word boundary events; recordings
+   and voices without boundary events fall back to a timed estimate from
+   the word lengths and the speed. Clicking any other 🔊 stops the player.
+
+   Node: require('./js/sentences.js').wordAt('Ich lerne Deutsch.', 4) -> 1
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const SPEEDS = [0.5, 0.6, 0.7, 0.8, 1, 1.2];
+    const MIN_WORDS = 3;
+    // Timed fallback: ms per character at rate 1, plus a pause per word
+    const CHAR_MS = 70;
+    const WORD_MS = 120;
+    const BOUNDARY_WAIT = 350;
+    const SENTENCE_PAUSE = 700;
+
+    /* ---------- Words and timing ---------- */
+
+    // [{ word, start }] for every word of a sentence
+    function splitWords(text) {
+        const words = [];
+        const pattern = /\S+/g;
+        let match;
+        while ((match = pattern.exec(text))) words.push({ word: match[0], start: match.index });
+        return words;
+    }
+
+    // Index of the word a boundary charIndex falls in
+    function wordAt(text, charIndex) {
+        const words = splitWords(text);
+        let index = 0;
+        words.forEach((w, i) => { if (w.start <= charIndex) index = i; });
+        return index;
+    }
+
+    // Estimated start time (ms) of each word at a speech rate
+    function timings(text, rate) {
+        let t = 0;
+        return splitWords(text).map(function(w) {
+            const start = t;
+            t += (w.word.replace(/[^\p{L}\p{N}]/gu, '').length * CHAR_MS + WORD_MS) / (rate || 1);
+            return start;
+        });
+    }
+
+    const api = { splitWords: splitWords, wordAt: wordAt, timings: timings };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Sentences on the page ---------- */
+
+    // The spoken text of an inline speakGerman('...') button
+    function spokenText(btn) {
+        const match = (btn.getAttribute('onclick') || '').match(/speakGerman\((['"])((?:\\.|(?!\1).)*)\1/);
+        return match ? match[2].replace(/\\(.)/g, '$1') : btn.getAttribute('data-speak');
+    }
+
+    // Wrap the words of the element's text (not the 🔊) in spans
+    function wrapWords(holder, skip) {
+        const spans = [];
+        const walker = document.createTreeWalker(holder, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) {
+            if (!skip.some(node => node.contains(walker.currentNode))) nodes.push(walker.currentNode);
+        }
+        nodes.forEach(function(node) {
+            const parts = node.nodeValue.split(/(\s+)/);
+            const fragment = document.createDocumentFragment();
+            parts.forEach(function(part) {
+                if (!part) return;
+                if (/^\s+$/.test(part)) return fragment.appendChild(document.createTextNode(part));
+                const span = fragment.appendChild(GermanStudy.el('span', 'sentence-word', part));
+                spans.push(span);
+            });
+            node.parentNode.replaceChild(fragment, node);
+        });
+        return spans;
+    }
+
+    function findSentences(table) {
+        const sentences = [];
+        table.querySelectorAll('.audio-btn').forEach(function(btn) {
+            const text = spokenText(btn);
+            if (!text || splitWords(text).length < MIN_WORDS) return;
+            const holder = btn.closest('.german-word') || btn.parentNode;
+            sentences.push({ text: text, holder: holder, button: btn });
+        });
+        return sentences;
+    }
+
+    /* ---------- Playback ---------- */
+
+    // The listed speed closest to a rate
+    function nearestSpeed(rate) {
+        return SPEEDS.reduce((best, s) => Math.abs(s - rate) < Math.abs(best - rate) ? s : best);
+    }
+
+    let run = 0;            // bumped to cancel whatever is playing
+    let speed = nearestSpeed(GermanSpeech.config.rate);
+
+    function clearHighlight() {
+        document.querySelectorAll('.sentence-word--active').forEach(span => span.classList.remove('sentence-word--active'));
+        document.querySelectorAll('.sentence--playing').forEach(node => node.classList.remove('sentence--playing'));
+    }
+
+    function highlight(sentence, index) {
+        sentence.words.forEach((span, i) => span.classList.toggle('sentence-word--active', i === index));
+    }
+
+    // Speak one sentence with highlighting; resolves when it ends
+    function playSentence(sentence, token) {
+        const count = splitWords(sentence.text).length;
+        // Spoken words map onto displayed words by position
+        const toSpan = i => Math.min(sentence.words.length - 1, Math.round(i * (sentence.words.length - 1) / Math.max(1, count - 1)));
+        let boundaries = false;
+        let timers = [];
+
+        sentence.holder.classList.add('sentence--playing');
+        const started = function() {
+            if (token !== run) return;
+            highlight(sentence, 0);
+            setTimeout(function() {
+                if (boundaries || token !== run) return;
+                timings(sentence.text, speed).forEach(function(ms, i) {
+                    timers.push(setTimeout(() => token === run && highlight(sentence, toSpan(i)), Math.max(0, ms - BOUNDARY_WAIT)));
+                });
+            }, BOUNDARY_WAIT);
+        };
+
+        return speakGerman(sentence.text, {
+            rate: speed,
+            onstart: started,
+            onboundary: function(e) {
+                if (e.name && e.name !== 'word') return;
+                boundaries = true;
+                timers.forEach(clearTimeout);
+                if (token === run) highlight(sentence, toSpan(wordAt(sentence.text, e.charIndex)));
+            }
+        }).then(function() {
+            timers.forEach(clearTimeout);
+            sentence.holder.classList.remove('sentence--playing');
+            highlight(sentence, -1);
+        });
+    }
+
+    function stop() {
+        run++;
+        GermanSpeech.stop();
+        clearHighlight();
+        document.querySelectorAll('.sentence-loop--on').forEach(btn => btn.classList.remove('sentence-loop--on'));
+    }
+
+    function wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Play the sentences in order; loop repeats the list until stopped
+    function play(sentences, loop) {
+        stop();
+        const token = run;
+        let i = 0;
+        function nextSentence() {
+            if (token !== run) return null;
+            if (i >= sentences.length) {
+                if (!loop) return null;
+                i = 0;
+            }
+            const sentence = sentences[i++];
+            sentence.holder.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+            return playSentence(sentence, token).then(() => wait(loop || i < sentences.length ? SENTENCE_PAUSE : 0)).then(nextSentence);
+        }
+        return nextSentence();
+    }
+
+    /* ---------- Controls ---------- */
+
+    function controlButton(label, title, onClick) {
+        const btn = GermanStudy.button(label, 'sentence-btn', onClick);
+        btn.title = title;
+        btn.setAttribute('aria-label', title);
+        return btn;
+    }
+
+    function speedSelect() {
+        const select = GermanStudy.el('select', 'sentence-speed');
+        select.setAttribute('aria-label', 'Speed');
+        SPEEDS.forEach(function(rate) {
+            const option = select.appendChild(GermanStudy.el('option', null, rate + '×'));
+            option.value = rate;
+        });
+        select.value = speed;
+        select.addEventListener('change', function() {
+            speed = Number(select.value);
+            // Every bar shows the same speed
+            document.querySelectorAll('.sentence-speed').forEach(other => other.value = select.value);
+        });
+        return select;
+    }
+
+    function decorate(table) {
+        const sentences = findSentences(table);
+        if (sentences.length < 2) return;
+        sentences.forEach(function(sentence) {
+            sentence.words = wrapWords(sentence.holder, [sentence.button]);
+            const tools = GermanStudy.el('span', 'sentence-tools');
+            tools.appendChild(controlButton('▶', 'Play with highlighting', () => play([sentence], false)));
+            const loop = tools.appendChild(controlButton('🔁', 'Loop this sentence', function() {
+                const on = loop.classList.contains('sentence-loop--on');
+                if (on) return stop();
+                play([sentence], true);
+                loop.classList.add('sentence-loop--on');
+            }));
+            loop.classList.add('sentence-loop');
+            sentence.button.after(tools);
+        });
+
+        const bar = GermanStudy.el('div', 'sentence-bar');
+        bar.appendChild(GermanStudy.button('▶ Play all', 'study-btn', () => play(sentences, false)));
+        bar.appendChild(GermanStudy.button('⏹ Stop', 'study-btn', stop));
+        const label = bar.appendChild(GermanStudy.el('label', 'sentence-speed-label', 'Speed '));
+        label.appendChild(speedSelect());
+        table.parentNode.insertBefore(bar, table);
+    }
+
+    // Another 🔊 takes over the speech, so the player stops
+    document.addEventListener('click', function(e) {
+        const other = e.target.closest && e.target.closest('.audio-btn, [data-speak]');
+        if (other && !e.target.closest('.sentence-tools, .sentence-bar')) stop();
+    }, true);
+
+    // A new speed in ⚙️ Settings becomes the players' speed
+    let settingsRate = GermanSpeech.config.rate;
+    document.addEventListener('settings:changed', function(e) {
+        if (e.detail.rate === settingsRate) return;
+        settingsRate = e.detail.rate;
+        speed = nearestSpeed(settingsRate);
+        document.querySelectorAll('.sentence-speed').forEach(select => select.value = speed);
+    });
+
+    function init() {
+        document.querySelectorAll('.content table').forEach(decorate);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    api.play = play;
+    api.stop = stop;
+    root.GermanSentences = api;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,317 @@
+/* ============================================
+   SETTINGS
+   A ⚙️ button beside the theme toggle opens a panel with the learner's
+   preferences, saved in localStorage under 'german-settings' and applied on
+   every page:
+     voice       German voice for speech synthesis (empty = automatic)
+     rate/pitch  speech rate 0.5-1.2 and pitch 0.5-1.5
+     hide        English, Hindi and transliteration table columns
+     fontScale   text size 0.9-1.3
+
+   Speech settings go straight into GermanSpeech.configure(), so every 🔊
+   button and player picks them up. Columns are found by their header text
+   ("English", "Hindi", "Pronunciation (Hindi)"), in the static tables and
+   in the ones js/vocab.js renders, and hidden with a body class.
+   'settings:changed' is dispatched on document after every change.
+   With js/backup.js loaded the panel also exports and imports a backup.
+
+   Node: require('./js/settings.js').sanitize({ rate: 3 }).rate -> 1.2
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const KEY = 'german-settings';
+    const DEFAULTS = {
+        voice: '',
+        rate: 0.8,
+        pitch: 1,
+        hide: { english: false, hindi: false, translit: false },
+        fontScale: 1
+    };
+    const LIMITS = {
+        rate: [0.5, 1.2],
+        pitch: [0.5, 1.5],
+        fontScale: [0.9, 1.3]
+    };
+    const COLUMNS = [
+        { key: 'english', label: 'English', header: /^english/i },
+        { key: 'hindi', label: 'Hindi', header: /^hindi/i },
+        { key: 'translit', label: 'Transliteration', header: /^(pronunciation \(hindi\)|transliteration)/i }
+    ];
+    const FONT_SIZES = [
+        { scale: 0.9, label: 'Small' },
+        { scale: 1, label: 'Normal' },
+        { scale: 1.15, label: 'Large' },
+        { scale: 1.3, label: 'Extra large' }
+    ];
+    const SAMPLE = 'Guten Tag! Wie geht es dir?';
+
+    /* ---------- Values ---------- */
+
+    function clamp(value, [min, max], fallback) {
+        const n = Number(value);
+        return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+    }
+
+    // Stored settings merged over the defaults, with out-of-range values fixed
+    function sanitize(stored) {
+        const s = stored && typeof stored === 'object' ? stored : {};
+        const hide = {};
+        COLUMNS.forEach(col => hide[col.key] = !!(s.hide && s.hide[col.key]));
+        return {
+            voice: typeof s.voice === 'string' ? s.voice : DEFAULTS.voice,
+            rate: clamp(s.rate, LIMITS.rate, DEFAULTS.rate),
+            pitch: clamp(s.pitch, LIMITS.pitch, DEFAULTS.pitch),
+            hide: hide,
+            fontScale: clamp(s.fontScale, LIMITS.fontScale, DEFAULTS.fontScale)
+        };
+    }
+
+    // Column key for a table header, or null
+    function columnOf(headerText) {
+        const text = String(headerText || '').trim();
+        const col = COLUMNS.find(c => c.header.test(text));
+        return col ? col.key : null;
+    }
+
+    const api = {
+        KEY: KEY,
+        DEFAULTS: DEFAULTS,
+        sanitize: sanitize,
+        columnOf: columnOf
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Storage ---------- */
+
+    const store = GermanStudy.store(KEY, 'settings');
+    const save = store.save;
+
+    function load() {
+        return sanitize(store.load());
+    }
+
+    let settings = load();
+
+    /* ---------- Applying ---------- */
+
+    function applySpeech() {
+        if (!root.GermanSpeech) return;
+        GermanSpeech.configure({ voiceName: settings.voice || null, rate: settings.rate, pitch: settings.pitch });
+    }
+
+    function applyPage() {
+        COLUMNS.forEach(col => document.body.classList.toggle('settings-hide-' + col.key, settings.hide[col.key]));
+        document.body.style.setProperty('--font-scale', settings.fontScale);
+        document.body.classList.toggle('settings-font-scaled', settings.fontScale !== 1);
+    }
+
+    function update(changes) {
+        settings = sanitize(Object.assign({}, settings, changes));
+        save(settings);
+        applySpeech();
+        applyPage();
+        document.dispatchEvent(new CustomEvent('settings:changed', { detail: settings }));
+    }
+
+    // Tag the cells of each English/Hindi/transliteration column with
+    // data-column, following the header row. Rows whose cells do not line up
+    // with the header (colspan, rowspan) are left alone.
+    function tagColumns(table) {
+        const headRow = table.querySelector('tr');
+        if (!headRow || !headRow.querySelector('th')) return;
+        const keys = Array.from(headRow.cells, cell => columnOf(cell.textContent));
+        if (!keys.some(Boolean)) return;
+        Array.from(table.rows).forEach(function(tr) {
+            if (tr.cells.length !== keys.length) return;
+            Array.from(tr.cells).forEach(function(cell, i) {
+                if (keys[i] && cell.colSpan === 1) cell.setAttribute('data-column', keys[i]);
+            });
+        });
+    }
+
+    /* ---------- Panel ---------- */
+
+    const el = GermanStudy.el;
+
+    function field(panel, labelText, control) {
+        const label = panel.appendChild(el('label', 'settings-field'));
+        label.appendChild(el('span', 'settings-label', labelText));
+        label.appendChild(control);
+        return control;
+    }
+
+    function slider(key, step, format) {
+        const wrap = el('span', 'settings-slider');
+        const input = wrap.appendChild(el('input'));
+        const value = wrap.appendChild(el('span', 'settings-value', format(settings[key])));
+        input.type = 'range';
+        input.min = LIMITS[key][0];
+        input.max = LIMITS[key][1];
+        input.step = step;
+        input.value = settings[key];
+        input.addEventListener('input', function() {
+            value.textContent = format(Number(input.value));
+            update({ [key]: Number(input.value) });
+        });
+        return wrap;
+    }
+
+    function voiceSelect() {
+        const select = el('select', 'settings-voice');
+        select.appendChild(el('option', null, 'Automatic')).value = '';
+        select.value = '';
+        if (root.GermanSpeech) {
+            GermanSpeech.germanVoices().then(function(voices) {
+                voices.forEach(function(voice) {
+                    select.appendChild(el('option', null, voice.name + ' (' + voice.lang + ')')).value = voice.name;
+                });
+                // A saved voice this browser lacks shows as Automatic
+                select.value = voices.some(v => v.name === settings.voice) ? settings.voice : '';
+            });
+        }
+        select.addEventListener('change', () => update({ voice: select.value }));
+        return select;
+    }
+
+    function fontSelect() {
+        const select = el('select', 'settings-font');
+        FONT_SIZES.forEach(size => select.appendChild(el('option', null, size.label)).value = size.scale);
+        select.value = settings.fontScale;
+        select.addEventListener('change', () => update({ fontScale: Number(select.value) }));
+        return select;
+    }
+
+    function checkbox(checked, onChange) {
+        const input = el('input');
+        input.type = 'checkbox';
+        input.checked = checked;
+        input.addEventListener('change', () => onChange(input.checked));
+        return input;
+    }
+
+    function buildPanel() {
+        const panel = el('div', 'settings-panel');
+        panel.id = 'settings-panel';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-label', 'Settings');
+        panel.hidden = true;
+
+        panel.appendChild(el('h3', 'settings-title', '⚙️ Settings'));
+        field(panel, 'Dark theme', checkbox(document.body.classList.contains('theme-dark'), function() {
+            if (root.toggleTheme) toggleTheme();
+        }));
+
+        panel.appendChild(el('h4', 'settings-heading', '🔊 Speech'));
+        field(panel, 'Voice', voiceSelect());
+        field(panel, 'Speed', slider('rate', 0.05, v => v.toFixed(2) + '×'));
+        field(panel, 'Pitch', slider('pitch', 0.1, v => v.toFixed(1)));
+        if (root.speakGerman) {
+            const test = panel.appendChild(el('button', 'settings-btn', '🔊 Test voice'));
+            test.type = 'button';
+            test.addEventListener('click', () => speakGerman(SAMPLE));
+        }
+
+        panel.appendChild(el('h4', 'settings-heading', '📋 Columns'));
+        COLUMNS.forEach(function(col) {
+            field(panel, 'Show ' + col.label, checkbox(!settings.hide[col.key], function(show) {
+                update({ hide: Object.assign({}, settings.hide, { [col.key]: !show }) });
+            }));
+        });
+
+        panel.appendChild(el('h4', 'settings-heading', '🔠 Text'));
+        field(panel, 'Text size', fontSelect());
+
+        if (root.GermanBackup) backupSection(panel);
+
+        const reset = panel.appendChild(el('button', 'settings-btn settings-reset', '↺ Reset to defaults'));
+        reset.type = 'button';
+        reset.addEventListener('click', function() {
+            update(DEFAULTS);
+            togglePanel(true);
+        });
+        return panel;
+    }
+
+    // Export and import of all saved progress (js/backup.js)
+    function backupSection(panel) {
+        panel.appendChild(el('h4', 'settings-heading', '💾 Backup'));
+        const row = panel.appendChild(el('div', 'settings-row'));
+        const status = el('p', 'settings-status');
+        const exportBtn = row.appendChild(el('button', 'settings-btn', '⬇ Export'));
+        exportBtn.type = 'button';
+        exportBtn.title = 'Save progress, reviews and settings to a file';
+        exportBtn.addEventListener('click', () => GermanBackup.download());
+        const importBtn = row.appendChild(el('button', 'settings-btn', '⬆ Import…'));
+        importBtn.type = 'button';
+        importBtn.title = 'Merge a backup file into this browser';
+        importBtn.addEventListener('click', function() {
+            GermanBackup.pickFile().then(function(result) {
+                if (!result) return;
+                status.className = 'settings-status';
+                status.textContent = '✅ Imported ' + result.count + (result.count === 1 ? ' entry' : ' entries') +
+                    (result.exported ? ' from ' + result.exported.slice(0, 10) : '') +
+                    (result.skipped ? ' (' + result.skipped + ' invalid skipped)' : '') + '. ';
+                const reload = status.appendChild(el('button', 'settings-btn', '↻ Reload'));
+                reload.type = 'button';
+                reload.addEventListener('click', () => location.reload());
+            }, function(err) {
+                status.className = 'settings-status settings-status--error';
+                status.textContent = '⚠️ ' + err.message;
+            });
+        });
+        panel.appendChild(status);
+    }
+
+    // Built fresh on every open, so it shows the current theme and values
+    function togglePanel(force) {
+        const old = document.getElementById('settings-panel');
+        const open = force === undefined ? !old || old.hidden : force;
+        if (old) old.remove();
+        if (open) document.body.appendChild(buildPanel()).hidden = false;
+        const btn = document.getElementById('settings-float-btn');
+        if (btn) btn.setAttribute('aria-expanded', String(open));
+    }
+
+    function injectButton() {
+        if (document.getElementById('settings-float-btn')) return;
+        const btn = el('button', 'settings-float-btn', '⚙️');
+        btn.id = 'settings-float-btn';
+        btn.type = 'button';
+        btn.title = 'Settings';
+        btn.setAttribute('aria-label', 'Settings');
+        btn.setAttribute('aria-expanded', 'false');
+        btn.addEventListener('click', () => togglePanel());
+        document.body.appendChild(btn);
+    }
+
+    function init() {
+        applyPage();
+        injectButton();
+        document.querySelectorAll('table').forEach(tagColumns);
+        document.addEventListener('vocab:rendered', e => e.detail.container.querySelectorAll('table').forEach(tagColumns));
+        document.addEventListener('click', function(e) {
+            const panel = document.getElementById('settings-panel');
+            if (panel && !panel.hidden && !e.target.closest('#settings-panel, #settings-float-btn')) togglePanel(false);
+        });
+        document.addEventListener('keydown', e => e.key === 'Escape' && togglePanel(false));
+    }
+
+    // Speech settings before any page script reads GermanSpeech.config
+    applySpeech();
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    api.get = () => settings;
+    api.update = update;
+    api.open = () => togglePanel(true);
+    root.GermanSettings = api;
+})(typeof window !== 'undefined' ? window : this);
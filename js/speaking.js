@@ -0,0 +1,239 @@
+/* ============================================
+   SPEAKING PRACTICE
+   A 🎤 "say it" button next to every vocabulary row's 🔊. It listens in
+   German (de-DE), compares what the recognizer heard with the word and
+   shows a similarity score:
+     ≥ 90%  🎉 Perfect     ≥ 70%  👍 Close     below  🔁 Try again
+   The score ignores case, punctuation and ä/ae spelling, takes the best of
+   the recognizer's alternatives, and accepts the word with or without its
+   article.
+
+   Recognition sits behind an adapter, so tests (or another engine) can
+   plug in a fake:
+     GermanSpeaking.setRecognizer(function(lang) {
+         return { listen: () => Promise.resolve(['der Apfel']), abort: () => {} };
+     });
+   listen() resolves with transcript alternatives, best first. Without a
+   recognizer (browsers lacking SpeechRecognition) no 🎤 buttons appear.
+   tools/speaking-check.js scores fixed transcripts, runs an attempt
+   through such a fake, and drives browserRecognizer() with a fake
+   SpeechRecognition constructor.
+
+   Attempts are saved per word id in localStorage under 'german-speaking':
+     { "a1-650-0001": { "tries": 3, "best": 0.92, "last": 0.85 } }
+
+   Node: require('./js/speaking.js').similarity('der Apfel', 'Apfel')
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const KEY = 'german-speaking';
+    const LANG = 'de-DE';
+    const GRADES = [
+        { min: 0.9, label: '🎉 Perfect', className: 'say-perfect' },
+        { min: 0.7, label: '👍 Close', className: 'say-close' },
+        { min: 0, label: '🔁 Try again', className: 'say-retry' }
+    ];
+
+    const normalize = typeof module !== 'undefined' && module.exports ?
+        require('./audio-pack.js').normalize :
+        root.GermanAudio.normalize;
+
+    /* ---------- Scoring ---------- */
+
+    function levenshtein(a, b) {
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            for (let j = 1; j <= b.length; j++) {
+                row.push(Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+            }
+            prev = row;
+        }
+        return prev[b.length];
+    }
+
+    // 0..1, 1 = same text after normalizing
+    function ratio(a, b) {
+        const x = normalize(a);
+        const y = normalize(b);
+        if (!x && !y) return 1;
+        return 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+    }
+
+    // Best score of any transcript against the word, with or without article
+    function similarity(expected, transcripts) {
+        const targets = [expected];
+        const bare = expected.replace(/^(der|die|das)\s+/i, '');
+        if (bare !== expected) targets.push(bare);
+        return [].concat(transcripts).reduce(function(best, heard) {
+            return Math.max(best, ...targets.map(target => ratio(target, heard || '')));
+        }, 0);
+    }
+
+    function grade(score) {
+        return GRADES.find(g => score >= g.min);
+    }
+
+    function record(attempts, id, score) {
+        const entry = attempts[id] || { tries: 0, best: 0, last: 0 };
+        const rounded = Math.round(score * 100) / 100;
+        attempts[id] = { tries: entry.tries + 1, best: Math.max(entry.best, rounded), last: rounded };
+        return attempts;
+    }
+
+    // One listen() of a recognizer, scored against the expected text:
+    // { transcripts, score, grade }; rejects as listen() does
+    function attempt(recognizer, expected) {
+        return recognizer.listen().then(function(transcripts) {
+            const score = similarity(expected, transcripts);
+            return { transcripts: transcripts, score: score, grade: grade(score) };
+        });
+    }
+
+    /* ---------- Recognizer adapter ---------- */
+
+    // The browser's SpeechRecognition (or the given constructor), one
+    // utterance per listen()
+    function browserRecognizer(lang, Recognition) {
+        Recognition = Recognition || root.SpeechRecognition || root.webkitSpeechRecognition;
+        if (!Recognition) return null;
+        let current = null;
+        return {
+            listen: function() {
+                return new Promise(function(resolve, reject) {
+                    const rec = new Recognition();
+                    current = rec;
+                    rec.lang = lang;
+                    rec.interimResults = false;
+                    rec.maxAlternatives = 5;
+                    let heard = null;
+                    rec.onresult = function(e) {
+                        heard = Array.from(e.results[0], alt => alt.transcript);
+                    };
+                    rec.onerror = e => reject(new Error(e.error || 'recognition failed'));
+                    rec.onend = function() {
+                        // An aborted recognition can end after the next one started
+                        if (current === rec) current = null;
+                        if (heard) resolve(heard);
+                        else reject(new Error('no-speech'));
+                    };
+                    rec.start();
+                });
+            },
+            abort: function() {
+                if (current) current.abort();
+            }
+        };
+    }
+
+    const api = {
+        KEY: KEY,
+        similarity: similarity,
+        grade: grade,
+        record: record,
+        attempt: attempt,
+        browserRecognizer: browserRecognizer
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Active recognizer ---------- */
+
+    let recognizer = null;
+
+    function setRecognizer(factory) {
+        if (recognizer) recognizer.abort();
+        recognizer = factory ? factory(LANG) : null;
+        document.querySelectorAll('.say-btn').forEach(btn => btn.hidden = !recognizer);
+    }
+
+    /* ---------- Storage ---------- */
+
+    const { load, save } = GermanStudy.store(KEY, 'speaking attempts');
+
+    /* ---------- Say-it buttons ---------- */
+
+    const el = GermanStudy.el;
+    let active = null;
+
+    function percent(score) {
+        return Math.round(score * 100) + '%';
+    }
+
+    function historyTitle(entry) {
+        return entry ? 'Say it - best ' + percent(entry.best) + ' in ' + entry.tries + (entry.tries === 1 ? ' try' : ' tries') :
+            'Say it - check your pronunciation';
+    }
+
+    function showResult(cell, text, className) {
+        let result = cell.querySelector('.say-result');
+        if (!result) result = cell.appendChild(el('span', 'say-result'));
+        result.className = 'say-result ' + (className || '');
+        result.textContent = text;
+    }
+
+    function listen(btn, id, expected) {
+        if (active) {
+            const same = active === btn;
+            recognizer.abort();
+            if (same) return;
+        }
+        const cell = btn.parentNode;
+        active = btn;
+        btn.classList.add('say-listening');
+        showResult(cell, '🎤 Listening…');
+        GermanSpeech.stop();
+
+        attempt(recognizer, expected).then(function(result) {
+            const attempts = record(load(), id, result.score);
+            save(attempts);
+            btn.title = historyTitle(attempts[id]);
+            showResult(cell, result.grade.label + ' ' + percent(result.score) + ' · heard "' + result.transcripts[0] + '"',
+                result.grade.className);
+            document.dispatchEvent(new CustomEvent('speaking:attempt', {
+                detail: { id: id, score: result.score, transcript: result.transcripts[0] }
+            }));
+        }, function(err) {
+            // Stopped by a click on this or another 🎤
+            if (err.message === 'aborted') return cell.querySelector('.say-result').remove();
+            showResult(cell, err.message === 'no-speech' ? '🤷 Nothing heard - try again' :
+                err.message === 'not-allowed' ? '🚫 Microphone blocked' : '⚠️ ' + err.message, 'say-retry');
+        }).then(function() {
+            btn.classList.remove('say-listening');
+            if (active === btn) active = null;
+        });
+    }
+
+    // The word a German cell pronounces: the row's word or, in the pairs
+    // layout, its opposite
+    function cellWord(tr, speak) {
+        const word = GermanVocab.get(tr.getAttribute('data-word-id'));
+        const pair = word && word.opposite && GermanVocab.get(word.opposite);
+        return pair && GermanVocab.speakText(pair) === speak ? pair : word;
+    }
+
+    GermanStudy.onTables(function(table) {
+        const attempts = load();
+        table.container.querySelectorAll('tr[data-word-id] td.german').forEach(function(cell) {
+            const audio = cell.querySelector('.audio-btn[data-speak]');
+            if (!audio) return;
+            const speak = audio.getAttribute('data-speak');
+            const word = cellWord(cell.parentNode, speak);
+            const btn = GermanStudy.button('🎤', 'say-btn', () => listen(btn, word.id, speak));
+            btn.title = historyTitle(attempts[word.id]);
+            btn.setAttribute('aria-label', 'Say "' + speak + '"');
+            btn.hidden = !recognizer;
+            audio.after(btn);
+        });
+    });
+
+    recognizer = browserRecognizer(LANG);
+
+    api.setRecognizer = setRecognizer;
+    api.attempts = load;
+    root.GermanSpeaking = api;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,222 @@
+/* ============================================
+   STUDY TOOLS - shared UI
+   The practice modes (flashcards, quizzes, trainers) open in one dialog and
+   are launched from a toolbar above each vocabulary table plus small buttons
+   in the category headers. This module owns those pieces; styles are in
+   css/study.css.
+
+   Loaded on every page with the shared scripts, so js/vocab.js, the
+   settings panel and the study modes can all use it.
+
+   Usage:
+     GermanStudy.onTables(function(table) { ... });   // each rendered table
+     GermanStudy.toolbar(table.container)              // the bar above it
+     GermanStudy.sectionButton(category, '🃏', 'Flashcards', onClick)
+     const dialog = GermanStudy.openDialog('🃏 A2', { onKey: fn, onClose: fn });
+     dialog.body / dialog.actions / dialog.progress / dialog.close()
+
+   Shared helpers for the study modes and tools:
+     GermanStudy.shuffle(list, random)                 // shuffled copy
+     const { load, save } = GermanStudy.store('german-cases', 'case trainer progress');
+     GermanStudy.download(text, 'words.csv', 'text/csv')
+
+   Node: require('./js/study.js').shuffle([1, 2, 3])
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    // Fisher-Yates on a copy; random defaults to Math.random (tests pass a seeded one)
+    function shuffle(list, random) {
+        const copy = list.slice();
+        const rand = random || Math.random;
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(rand() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
+    const api = { shuffle: shuffle };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    let current = null;
+
+    function el(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+    }
+
+    function button(label, className, onClick) {
+        const btn = el('button', className || 'study-btn', label);
+        btn.type = 'button';
+        if (onClick) btn.addEventListener('click', onClick);
+        return btn;
+    }
+
+    function audioButton(text) {
+        const btn = el('span', 'audio-btn', '🔊');
+        btn.setAttribute('data-speak', text);
+        btn.title = 'Click to hear pronunciation';
+        return btn;
+    }
+
+    /* ---------- Storage and files ---------- */
+
+    // load() -> the object saved under key ({} when missing or unreadable),
+    // save(value); what names the data in the warning when saving fails
+    function store(key, what) {
+        return {
+            load: function() {
+                try {
+                    return JSON.parse(localStorage.getItem(key)) || {};
+                } catch (e) {
+                    return {};
+                }
+            },
+            save: function(value) {
+                try {
+                    localStorage.setItem(key, JSON.stringify(value));
+                } catch (e) {
+                    console.warn('⚠️ Could not save ' + what + ':', e.message);
+                }
+            }
+        };
+    }
+
+    // Saves text as a file through a temporary link
+    function download(text, name, type) {
+        const blob = new Blob([text], { type: type + ';charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    /* ---------- Dialog ---------- */
+
+    function closeDialog() {
+        if (!current) return;
+        const dialog = current;
+        current = null;
+        GermanSpeech.stop();
+        dialog.overlay.remove();
+        document.removeEventListener('keydown', dialog.keyHandler);
+        if (dialog.onClose) dialog.onClose();
+    }
+
+    // Only one dialog is open at a time; opening another closes the first.
+    // options.onKey(event) receives keys other than Escape.
+    function openDialog(title, options) {
+        closeDialog();
+        const opts = options || {};
+
+        const overlay = el('div', 'study-overlay');
+        const modal = overlay.appendChild(el('div', 'study-modal'));
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-label', title);
+
+        const head = modal.appendChild(el('div', 'study-head'));
+        head.appendChild(el('span', 'study-title', title));
+        const progress = head.appendChild(el('span', 'study-progress'));
+        const closeBtn = head.appendChild(button('×', 'study-close', closeDialog));
+        closeBtn.setAttribute('aria-label', 'Close');
+
+        const dialog = {
+            overlay: overlay,
+            modal: modal,
+            progress: progress,
+            body: modal.appendChild(el('div', 'study-body')),
+            actions: modal.appendChild(el('div', 'study-actions')),
+            onClose: opts.onClose,
+            close: closeDialog,
+            clear: function() {
+                dialog.body.textContent = '';
+                dialog.actions.textContent = '';
+            },
+            keyHandler: function(e) {
+                if (e.key === 'Escape') closeDialog();
+                else if (opts.onKey) opts.onKey(e);
+            }
+        };
+
+        overlay.addEventListener('click', function(e) {
+            if (e.target === overlay) closeDialog();
+        });
+        document.addEventListener('keydown', dialog.keyHandler);
+        document.body.appendChild(overlay);
+        current = dialog;
+        return dialog;
+    }
+
+    /* ---------- Launchers ---------- */
+
+    // Words shown in a vocabulary container: every section, or one level
+    function scopeWords(page, level) {
+        return GermanVocab.sections(page)
+            .filter(section => !level || section.level === level)
+            .reduce((list, section) => list.concat(GermanVocab.words(page, section.id)), []);
+    }
+
+    // The bar above a rendered table, created on first use
+    function toolbar(container) {
+        const first = container.firstElementChild;
+        if (first && first.classList.contains('study-bar')) return first;
+        const bar = el('div', 'study-bar');
+        container.insertBefore(bar, first);
+        return bar;
+    }
+
+    function sectionButton(category, icon, title, onClick) {
+        const header = category.querySelector('.category-header');
+        if (!header) return null;
+        const btn = header.appendChild(button(icon, 'study-section-btn', onClick));
+        btn.title = title;
+        return btn;
+    }
+
+    // callback({ page, level, title, container, sections }) for each rendered
+    // table; sections pairs each .category element with its section record.
+    function onTables(callback) {
+        document.addEventListener('vocab:rendered', function(e) {
+            const page = e.detail.page;
+            const container = e.detail.container;
+            const level = container.getAttribute('data-level');
+            const data = GermanVocab.page(page);
+            const sections = [];
+            container.querySelectorAll('.category').forEach(function(category) {
+                const section = data.sections.find(s => s.id === category.id);
+                if (section) sections.push({ section: section, element: category });
+            });
+            callback({
+                page: page,
+                level: level,
+                title: data.title + (level ? ' (' + level + ')' : ''),
+                container: container,
+                sections: sections
+            });
+        });
+    }
+
+    root.GermanStudy = Object.assign(api, {
+        el: el,
+        button: button,
+        audioButton: audioButton,
+        store: store,
+        download: download,
+        openDialog: openDialog,
+        closeDialog: closeDialog,
+        scopeWords: scopeWords,
+        toolbar: toolbar,
+        sectionButton: sectionButton,
+        onTables: onTables
+    });
+})(typeof window !== 'undefined' ? window : this);
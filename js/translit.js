@@ -0,0 +1,320 @@
+/* ============================================
+   DEVANAGARI PRONUNCIATION
+   Spells German the way a Hindi reader would say it, following the
+   clusters.html rules and the hand-written "Pronunciation (Hindi)"
+   columns (numbers.html, a2.html):
+     sch -> श, sp/st at the start -> श्प/श्ट (beste stays बेस्टे), also at
+            the start of a word part: ver|stehen, Früh|stück, Halte|stelle,
+            told apart from beste, erste, gestern by the stem that follows
+     ch  -> ख (ich, Buch), chs -> क्स (sechs), Ch- at the start -> श/क,
+            -ig at the end -> इख (König)
+     tsch -> च at the start or after a vowel (tschüss, Deutsch), otherwise
+            t + sch across the word parts (Ent|schuldigung, Zeit|schrift)
+     z/tz -> त्स, qu -> क्व, th -> ट, ph -> फ, v -> फ, w -> व, j -> य,
+            y -> ü (typisch) or ई at the end (Handy, Hobbys)
+     s before a vowel -> ज़ (sieben, lesen); ß and ss stay स
+     b/d/g at the end of a word (or before s, t, ...) -> प/ट/क (Hund, Tag),
+            but gg/bb are one voiced sound (Flagge, Ebbe)
+     ä -> ए, ö -> ओ, ü -> यू, ie/ih -> ई, ei -> आइ, au -> आउ, eu/äu -> ऑय,
+     final -er after another syllable -> र (Lehrer -> लेरर, but der -> डेर)
+     number words part by part: einundzwanzig -> आइन|उंट|त्स्वांत्सिख
+
+   Vocabulary tables without a pronunciation column get one after each
+   German column, and so does any static <table data-translit>. Words with
+   a hand-written transliteration keep it; generated cells are marked
+   .translit-auto. The header is "Pronunciation (Hindi)", so the settings
+   panel hides it with the other transliteration columns.
+
+   Checked against numbers.html by tools/translit-check.js.
+
+   Node: require('./js/translit.js').translit('Straße') -> 'श्ट्रासे'
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    // [independent, after a consonant]; the -er schwa is the consonant's own
+    // vowel, and silent after another vowel (teuer -> टॉयर)
+    const VOWELS = {
+        a: ['आ', 'ा'], e: ['ए', 'े'], i: ['इ', 'ि'], ii: ['ई', 'ी'],
+        o: ['ओ', 'ो'], u: ['उ', 'ु'], uu: ['ऊ', 'ू'], ü: ['यू', '्यू'],
+        ei: ['आइ', 'ाइ'], eiEnd: ['आई', 'ाई'], au: ['आउ', 'ाउ'], eu: ['ऑय', 'ॉय'],
+        schwa: ['', '']
+    };
+    const CONSONANTS = {
+        b: 'ब', p: 'प', d: 'ड', t: 'ट', g: 'ग', k: 'क', f: 'फ', w: 'व',
+        l: 'ल', m: 'म', n: 'न', r: 'र', h: 'ह', j: 'य', s: 'स', z: 'ज़',
+        ts: 'त्स', sh: 'श', kh: 'ख', tsch: 'च'
+    };
+    const DEVOICED = { b: 'p', d: 't', g: 'k' };
+    // b/d/g stay voiced before these (Handlung, Magnet)
+    const KEEP_VOICE = ['l', 'r', 'n', 'j', 'w'];
+    const VOWEL_LETTERS = 'aeiouäöüyéè';
+
+    // Longest spellings first; each entry: [spelling, ...sounds]
+    const VOWEL_SPELLINGS = [
+        ['ie', 'ii'], ['ih', 'ii'], ['ei', 'ei'], ['ai', 'ei'], ['ey', 'ei'], ['ay', 'ei'],
+        ['au', 'au'], ['eu', 'eu'], ['äu', 'eu'],
+        ['aa', 'a'], ['ah', 'a'], ['ee', 'e'], ['eh', 'e'], ['oo', 'o'], ['oh', 'o'],
+        ['uh', 'uu'], ['üh', 'ü'], ['öh', 'o'], ['äh', 'e'],
+        ['a', 'a'], ['e', 'e'], ['i', 'i'], ['o', 'o'], ['u', 'u'],
+        ['ä', 'e'], ['ö', 'o'], ['ü', 'ü'], ['é', 'e'], ['è', 'e']
+    ];
+    // What follows st/sp when it starts a word part: stehen, Stelle, Stück,
+    // Spiel, sprechen - but not the -ste/-stern of beste, erste, gestern
+    const PART_START = /^s(?:t(?:adt|ädt|att|ätt|ät|and|änd|ell|eig|ieg|ück|uhl|und|ünd|raß|rass|imm|eh|alt|ör|ift|ein|off|eck|ress)|p(?:iel|eis|ann|ät|rech|rach|räch|ül))/;
+
+    const CONSONANT_SPELLINGS = [
+        ['tsch', 'tsch'], ['sch', 'sh'], ['chs', 'k', 's'], ['ck', 'k'], ['qu', 'k', 'w'],
+        ['ph', 'f'], ['th', 't'], ['rh', 'r'], ['dt', 't'], ['tz', 'ts'], ['ß', 'S'], ['ss', 'S'],
+        ['x', 'k', 's'], ['z', 'ts'], ['v', 'f'], ['w', 'w'], ['j', 'j']
+    ];
+
+    function isVowel(token) {
+        return !!token && token.vowel !== undefined;
+    }
+
+    // One lower-case word -> [{ vowel }, { consonant, keep? }, ...]
+    function tokens(word) {
+        const list = [];
+        let i = 0;
+        const at = n => word[i + n] || '';
+        const push = (...sounds) => sounds.forEach(s => list.push({ consonant: s }));
+
+        while (i < word.length) {
+            const rest = word.slice(i);
+            // Word-initial clusters, ch and the other special cases
+            if ((i === 0 && /^s[pt]/.test(rest)) || PART_START.test(rest)) {
+                push('sh', rest[1]);
+                i += 2;
+                continue;
+            }
+            // aus|stellen: the first s ends the part before
+            if (rest.startsWith('ss') && PART_START.test(rest.slice(1))) {
+                push('S');
+                i += 1;
+                continue;
+            }
+            // t + sch where two parts meet: Ent|schuldigung, Sport|schuh, Zeit|schrift
+            if (rest.startsWith('tsch') && ((i > 0 && !VOWEL_LETTERS.includes(word[i - 1])) || at(4) === 'r')) {
+                push('t');
+                i += 1;
+                continue;
+            }
+            if (rest.startsWith('ch') && !rest.startsWith('chs')) {
+                if (i === 0) push('eiy'.includes(at(2)) ? 'sh' : 'k');
+                else push('kh');
+                i += 2;
+                continue;
+            }
+            if (rest.startsWith('tion')) {
+                push('ts');
+                i += 1;
+                continue;
+            }
+            if (rest.startsWith('ng')) {
+                list.push({ consonant: 'n' }, { consonant: 'g', keep: true });
+                i += 2;
+                continue;
+            }
+            if (at(0) === 'y') {
+                if (i > 0 && /^ys?$/.test(rest)) list.push({ vowel: 'ii' });
+                else if (at(1) !== '' && VOWEL_LETTERS.includes(at(1))) push('j');
+                else list.push({ vowel: 'ü' });
+                i += 1;
+                continue;
+            }
+            // v between vowels is a w (November, Klavier)
+            if (at(0) === 'v' && i > 0 && VOWEL_LETTERS.includes(word[i - 1]) &&
+                at(1) !== '' && VOWEL_LETTERS.includes(at(1))) {
+                push('w');
+                i += 1;
+                continue;
+            }
+            const vowel = VOWEL_SPELLINGS.find(([spelling]) => rest.startsWith(spelling));
+            if (vowel) {
+                list.push({ vowel: vowel[1] });
+                i += vowel[0].length;
+                continue;
+            }
+            // h after a vowel only lengthens it (gehen, Jahr)
+            if (at(0) === 'h' && isVowel(list[list.length - 1])) {
+                i += 1;
+                continue;
+            }
+            const consonant = CONSONANT_SPELLINGS.find(([spelling]) => rest.startsWith(spelling));
+            if (consonant) {
+                push(...consonant.slice(1));
+                i += consonant[0].length;
+                continue;
+            }
+            if (at(0) === 'c') push('eiäy'.includes(at(1)) ? 'ts' : 'k');
+            else if (CONSONANTS[at(0)]) push(at(0));
+            i += 1;
+        }
+        return list;
+    }
+
+    // Sound changes that depend on the neighbours
+    function adjust(list) {
+        const vowels = list.filter(isVowel).length;
+        list.forEach(function(token, i) {
+            const prev = list[i - 1];
+            const next = list[i + 1];
+            const last = i === list.length - 1;
+            if (token.consonant === 's') {
+                // Voiced before a vowel, unless a voiceless sound comes first
+                const voiced = isVowel(next) && (!prev || isVowel(prev) || ['l', 'm', 'n', 'r'].includes(prev.consonant));
+                token.consonant = voiced ? 'z' : 's';
+            } else if (token.consonant === 'S') {
+                token.consonant = 's';
+            }
+            if (token.vowel === 'e' && vowels > 1 && next && next.consonant === 'r' && i === list.length - 2) {
+                token.vowel = 'schwa';
+            }
+            if (token.vowel === 'ei' && last) token.vowel = 'eiEnd';
+        });
+        // -ig at the end or before a consonant sounds like ich (König, wichtig, Geschwindigkeit)
+        list.forEach(function(token, i) {
+            const next = list[i + 1];
+            if (token.consonant === 'g' && i > 1 && list[i - 1].vowel === 'i' &&
+                (!next || (!isVowel(next) && !KEEP_VOICE.includes(next.consonant)))) {
+                token.consonant = 'kh';
+            }
+        });
+
+        // ll, gg, bb -> one sound before devoicing, so Flagge and Ebbe keep
+        // their voiced g and b
+        list = list.filter(function(token, i) {
+            const next = list[i + 1];
+            return !(token.consonant && next && next.consonant === token.consonant);
+        });
+        list.forEach(function(token, i) {
+            const next = list[i + 1];
+            if (!DEVOICED[token.consonant] || token.keep) return;
+            if (!next || (!isVowel(next) && !KEEP_VOICE.includes(next.consonant))) {
+                token.consonant = DEVOICED[token.consonant];
+            }
+        });
+        // A devoiced d meeting a t (Handtuch) -> one sound, and t runs into a
+        // following ts (und zwanzig)
+        return list.filter(function(token, i) {
+            const next = list[i + 1];
+            return !(token.consonant && next && (next.consonant === token.consonant ||
+                (token.consonant === 't' && next.consonant === 'ts')));
+        });
+    }
+
+    function render(list) {
+        let out = '';
+        for (let i = 0; i < list.length; i++) {
+            const token = list[i];
+            const next = list[i + 1];
+            if (isVowel(token)) {
+                out += VOWELS[token.vowel][0];
+            } else if (isVowel(next)) {
+                out += CONSONANTS[token.consonant] + VOWELS[next.vowel][1];
+                i++;
+            } else if (next) {
+                out += token.consonant === 'n' ? 'ं' : CONSONANTS[token.consonant] + '्';
+            } else {
+                out += CONSONANTS[token.consonant];
+            }
+        }
+        return out;
+    }
+
+    // Number words are compounds read part by part: einund|zwanzig -> ein|und|zwanzig
+    const NUMBER_WORD = /^(?:ein|zwei|drei|vier|fünf|sechs|sech|sieben|sieb|acht|neun|zehn|elf|zwölf|zwanzig|ßig|zig|hundert|tausend|und)+$/;
+    const NUMBER_BREAK = /(?<!h)(?=und)|(?=hundert|tausend)|(?<=(?<!h)und|hundert|tausend)/;
+
+    function word(text) {
+        const lower = text.toLowerCase();
+        const parts = NUMBER_WORD.test(lower) ? lower.split(NUMBER_BREAK).filter(Boolean) : [lower];
+        return parts.map(part => render(adjust(tokens(part)))).join('');
+    }
+
+    // Transliterates every German word in text; spaces, punctuation, digits
+    // and codes like "A1" are kept
+    function translit(text) {
+        return String(text || '').replace(/[\wäöüßéè]+/gi, part => /[\d_]/.test(part) ? part : word(part));
+    }
+
+    const api = { translit: translit };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Pronunciation column ---------- */
+
+    const HEADER = 'Pronunciation (Hindi)';
+    // As js/settings.js recognises transliteration columns
+    const HAS_COLUMN = /^(pronunciation \(hindi\)|transliteration)/i;
+
+    function germanText(cell) {
+        const speak = cell.querySelector('[data-speak]');
+        if (speak) return speak.getAttribute('data-speak');
+        return cell.textContent.replace(/🔊/g, '').replace(/\s+/g, ' ').trim();
+    }
+
+    // Hand-written transliteration of the row's word (or its opposite in the
+    // pairs layout) spoken as text, if there is one
+    function handWritten(tr, text) {
+        const id = tr.getAttribute('data-word-id');
+        if (!id || !root.GermanVocab) return null;
+        const word = GermanVocab.get(id);
+        const candidates = word ? [word, word.opposite && GermanVocab.get(word.opposite)] : [];
+        const match = candidates.find(w => w && w.translit && GermanVocab.speakText(w) === text);
+        return match ? match.translit : null;
+    }
+
+    function pronunciationCell(tr, germanCell) {
+        const text = germanText(germanCell);
+        const known = handWritten(tr, text);
+        const td = document.createElement('td');
+        td.className = known ? 'pronunciation' : 'pronunciation translit-auto';
+        td.textContent = known || translit(text);
+        if (!known) td.title = 'Generated from the spelling rules';
+        return td;
+    }
+
+    // Adds a pronunciation column after every German column of a table that
+    // has none. Rows whose cells do not line up with the header are left alone.
+    function addColumn(table) {
+        const rows = Array.from(table.rows);
+        const headRow = rows[0];
+        if (!headRow || !headRow.querySelector('th')) return;
+        if (Array.from(headRow.cells).some(cell => HAS_COLUMN.test(cell.textContent.trim()))) return;
+        const width = headRow.cells.length;
+        const body = rows.slice(1).filter(tr => tr.cells.length === width);
+        if (!body.length) return;
+        const columns = [];
+        Array.from(body[0].cells).forEach(function(cell, i) {
+            if (cell.classList.contains('german') || cell.querySelector('.german-word')) columns.push(i);
+        });
+        // Right to left, so the indexes of the columns still to do stay put
+        columns.reverse().forEach(function(index) {
+            const th = document.createElement('th');
+            th.textContent = HEADER;
+            headRow.cells[index].after(th);
+            body.forEach(tr => tr.cells[index].after(pronunciationCell(tr, tr.cells[index])));
+        });
+    }
+
+    // Before js/settings.js tags the columns, so the hide setting covers them
+    document.addEventListener('vocab:rendered', e => e.detail.container.querySelectorAll('table').forEach(addColumn));
+
+    function init() {
+        document.querySelectorAll('table[data-translit]').forEach(addColumn);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    api.addColumn = addColumn;
+    root.GermanTranslit = api;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,252 @@
+/* ============================================
+   VOCABULARY TABLES
+   Word lists live in data/<page>.js as JSON records; this module builds the
+   category headings, tables and 🔊 buttons from them when the page loads.
+
+   Page markup:
+     <div data-vocab="a1-650"></div>                   all sections of a page
+     <div data-vocab="words-opposites" data-level="A2"></div>   one level only
+     <span data-vocab-count="a1-650"></span>           filled with the row count
+     <span data-vocab-count="words-opposites" data-level="A1"></span>
+
+   Record fields (one JSON object per word):
+     id, german, article, plural, english, hindi, translit, level, topic
+   optional: display (cell text when it differs from article + german + plural),
+             example { german, english, speak }, usage (plain text in the example
+             column), opposite (id of the paired word), tint (row alpha), rowStyle
+
+   Sections carry the heading: id, title, emoji, german, translit, color, level,
+   and optionally unit, countLabel, note, start (first row number), columns.
+
+   After rendering, 'vocab:rendered' is dispatched on document with
+   detail { page, container } so other modules can decorate the rows.
+
+   Pages without a table can still use a word list:
+     GermanVocab.load('a2').then(data => ...)   // injects data/a2.js once
+
+   Node: tools load the same data through require('./tools/vocab-data.js').
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const pages = {};
+    const byId = new Map();
+
+    const CELL_CLASS = {
+        german: 'german',
+        translit: 'pronunciation',
+        hindi: 'hindi',
+        english: 'english',
+        example: 'example',
+    };
+
+    /* ---------- Data ---------- */
+
+    function register(data) {
+        pages[data.page] = data;
+        data.words.forEach(word => byId.set(word.id, word));
+    }
+
+    // German as pronounced: article + word, without plural ending
+    function speakText(word) {
+        return word.article ? word.article + ' ' + word.german : word.german;
+    }
+
+    // German as shown in the table cell
+    function displayText(word) {
+        if (word.display) return word.display;
+        return speakText(word) + (word.plural ? ', ' + word.plural : '');
+    }
+
+    function words(page, topic) {
+        const data = pages[page];
+        if (!data) return [];
+        return topic ? data.words.filter(w => w.topic === topic) : data.words.slice();
+    }
+
+    function sections(page) {
+        return pages[page] ? pages[page].sections.slice() : [];
+    }
+
+    // Words of a section as table rows; in the pairs layout each row shows a
+    // word and its opposite, so the second word of a pair gets no row of its own.
+    function rowWords(data, section) {
+        const list = data.words.filter(w => w.topic === section.id);
+        if (data.layout !== 'pairs') return list;
+        const shown = new Set();
+        return list.filter(function(word) {
+            if (shown.has(word.id)) return false;
+            shown.add(word.opposite);
+            return true;
+        });
+    }
+
+    // Number of table rows a page shows: words, or pairs in the pairs layout
+    function rowCount(page, level) {
+        const data = pages[page];
+        if (!data) return 0;
+        return data.sections
+            .filter(section => !level || section.level === level)
+            .reduce((sum, section) => sum + rowWords(data, section).length, 0);
+    }
+
+    const api = {
+        register: register,
+        words: words,
+        sections: sections,
+        rowWords: rowWords,
+        rowCount: rowCount,
+        get: id => byId.get(id),
+        page: page => pages[page],
+        pages: () => Object.keys(pages),
+        speakText: speakText,
+        displayText: displayText
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Rendering ---------- */
+
+    const el = GermanStudy.el;
+    const audioButton = GermanStudy.audioButton;
+
+    function renderHeader(data, section, count) {
+        const header = el('div', 'category-header');
+        if (section.color && data.tintHeaders !== false) {
+            header.style.backgroundColor = section.color;
+        }
+        header.appendChild(el('span', 'emoji', section.emoji));
+
+        const title = el('span', null, section.title);
+        if (section.german) {
+            title.appendChild(document.createTextNode(' ('));
+            title.appendChild(audioButton(section.german));
+            title.appendChild(document.createTextNode(
+                section.german + (section.translit ? ' - ' + section.translit : '') + ')'
+            ));
+        }
+        header.appendChild(title);
+        const unit = section.unit || data.unit || 'words';
+        header.appendChild(el('span', 'count', section.countLabel ||
+            count + ' ' + (count === 1 ? unit.replace(/s$/, '') : unit)));
+        return header;
+    }
+
+    function renderCell(word, key) {
+        const td = el('td', CELL_CLASS[key]);
+        if (key === 'german') {
+            td.appendChild(audioButton(speakText(word)));
+            td.appendChild(document.createTextNode(displayText(word)));
+        } else if (key === 'example' && word.example) {
+            const sentence = el('span', 'example-german');
+            sentence.setAttribute('data-speak', word.example.speak || word.example.german);
+            sentence.appendChild(el('span', 'example-audio-btn', '🔊'));
+            sentence.appendChild(document.createTextNode(word.example.german));
+            td.appendChild(sentence);
+            td.appendChild(document.createTextNode(' - ' + word.example.english));
+        } else if (key === 'example') {
+            td.textContent = word.usage || '';
+        } else {
+            td.textContent = word[key] || '';
+        }
+        return td;
+    }
+
+    function renderRow(data, section, word, index) {
+        const tr = el('tr');
+        tr.setAttribute('data-word-id', word.id);
+        if (word.rowStyle) {
+            tr.setAttribute('style', word.rowStyle);
+        } else if (data.rowTint && section.color) {
+            tr.style.backgroundColor = section.color + (word.tint || data.rowTint);
+        }
+        tr.appendChild(el('td', null, String(index + (section.start === undefined ? 1 : section.start))));
+
+        const pair = data.layout === 'pairs' ? byId.get(word.opposite) : null;
+        (section.columns || data.columns).forEach(function(col) {
+            const key = col.key.replace(/^opposite\./, '');
+            tr.appendChild(renderCell(key === col.key ? word : pair, key));
+        });
+        return tr;
+    }
+
+    function renderSection(data, section) {
+        const rows = rowWords(data, section);
+        const category = el('div', 'category');
+        category.id = section.id;
+        category.appendChild(renderHeader(data, section, rows.length));
+        if (section.note) category.appendChild(el('div', 'word-group', section.note));
+
+        const table = el('table');
+        const headRow = el('tr');
+        const num = el('th', null, '#');
+        num.style.width = '40px';
+        headRow.appendChild(num);
+        (section.columns || data.columns).forEach(col => headRow.appendChild(el('th', null, col.label)));
+        table.appendChild(el('thead')).appendChild(headRow);
+
+        const tbody = table.appendChild(el('tbody'));
+        rows.forEach((word, i) => tbody.appendChild(renderRow(data, section, word, i)));
+        category.appendChild(table);
+        return category;
+    }
+
+    function render(container) {
+        const page = container.getAttribute('data-vocab');
+        const data = pages[page];
+        if (!data) {
+            console.warn('⚠️ No vocabulary registered for "' + page + '"');
+            return;
+        }
+        const level = container.getAttribute('data-level');
+        const fragment = document.createDocumentFragment();
+        data.sections
+            .filter(section => !level || section.level === level)
+            .forEach(section => fragment.appendChild(renderSection(data, section)));
+        container.textContent = '';
+        container.appendChild(fragment);
+        document.dispatchEvent(new CustomEvent('vocab:rendered', {
+            detail: { page: page, container: container }
+        }));
+    }
+
+    function renderAll() {
+        document.querySelectorAll('[data-vocab]').forEach(render);
+        document.querySelectorAll('[data-vocab-count]').forEach(function(node) {
+            node.textContent = rowCount(node.getAttribute('data-vocab-count'), node.getAttribute('data-level'));
+        });
+        // Content arrived after the browser tried to scroll to #section
+        const target = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+        if (target) target.scrollIntoView();
+    }
+
+    /* ---------- Loading on demand ---------- */
+
+    const siteRoot = siteRootOf(document.currentScript);
+
+    // Resolves once data/<page>.js has registered (for pages without that table)
+    function load(page) {
+        if (pages[page]) return Promise.resolve(pages[page]);
+        return new Promise(function(resolve, reject) {
+            const tag = document.createElement('script');
+            tag.src = siteRoot + 'data/' + page + '.js';
+            tag.onload = () => resolve(pages[page]);
+            tag.onerror = () => reject(new Error('Could not load the ' + page + ' word list'));
+            document.head.appendChild(tag);
+        });
+    }
+
+    api.render = render;
+    api.renderAll = renderAll;
+    api.load = load;
+    root.GermanVocab = api;
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', renderAll);
+    } else {
+        renderAll();
+    }
+})(typeof window !== 'undefined' ? window : this);
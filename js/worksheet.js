@@ -0,0 +1,240 @@
+/* ============================================
+   WORKSHEETS
+   Printable sheets from the vocabulary tables rendered by js/vocab.js. The
+   study bar's "🖨 Worksheet" button opens a dialog to pick the sections and
+   one of three layouts:
+     list  - German, pronunciation, English and Hindi, no 🔊 or colours
+     fold  - prompt | space to write | fold line | answer; fold the sheet
+             along the line to hide the answers
+     test  - numbered fill-in-the-blanks (a gap in the example sentence, or
+             the meaning with a line for the German) and an answer key on
+             its own page
+
+   The sheet is built in a .worksheet element and printed on its own: the
+   page itself is hidden while printing (css/worksheet.css). "Save as PDF"
+   in the print dialog gives a PDF.
+
+   Node: require('./js/worksheet.js').gapSentence(word) -> { text, answer }
+   ============================================ */
+(function(root) {
+    'use strict';
+
+    const LAYOUTS = [
+        { id: 'list', label: '📋 Word list' },
+        { id: 'fold', label: '📄 Fold-over list' },
+        { id: 'test', label: '✏️ Fill-in test + answer key' }
+    ];
+    const LIMITS = [10, 20, 40, 0];    // 0 = every word
+    const BLANK = '________';
+
+    /* ---------- Sheet content ---------- */
+
+    const shuffle = typeof module !== 'undefined' && module.exports ?
+        require('./study.js').shuffle :
+        root.GermanStudy.shuffle;
+    const vocab = typeof module !== 'undefined' && module.exports ?
+        require('./vocab.js') :
+        root.GermanVocab;
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // The example sentence with the word blanked out, or null when the word
+    // does not appear in it or is all of it. Inflected forms sharing the
+    // stem count ("trinken" blanks "trinke").
+    function gapSentence(word) {
+        const sentence = word.example && word.example.german;
+        if (!sentence || !word.german) return null;
+        const stem = word.german.replace(/(en|n|e)$/, '');
+        const forms = [escapeRegExp(word.german)];
+        if (stem.length >= 4 && stem !== word.german) forms.push(escapeRegExp(stem) + '\\p{L}*');
+        for (const form of forms) {
+            const match = sentence.match(new RegExp('(^|[^\\p{L}])(' + form + ')(?![\\p{L}])', 'iu'));
+            if (!match) continue;
+            const start = match.index + match[1].length;
+            const text = sentence.slice(0, start) + BLANK + sentence.slice(start + match[2].length);
+            // A sentence that is only the word leaves nothing to go on
+            return /\p{L}/u.test(text.replace(BLANK, '')) ? { text: text, answer: match[2] } : null;
+        }
+        return null;
+    }
+
+    function meaning(word, lang) {
+        return (lang === 'hindi' ? word.hindi : word.english) || word.english || word.hindi || '';
+    }
+
+    // Rows of a sheet: { prompt, answer, hint }. options: { layout, lang,
+    // direction ('de' = German prompts), limit, random }
+    function items(words, options) {
+        const opts = Object.assign({ layout: 'list', lang: 'english', direction: 'de' }, options);
+        let list = words.filter(w => w.german && meaning(w, opts.lang));
+        if (opts.layout !== 'list' && opts.random !== false) list = shuffle(list, opts.random);
+        if (opts.limit) list = list.slice(0, opts.limit);
+
+        return list.map(function(word) {
+            if (opts.layout === 'test') {
+                const gap = gapSentence(word);
+                if (gap) return { prompt: gap.text, hint: meaning(word, opts.lang), answer: gap.answer };
+                return { prompt: meaning(word, opts.lang), hint: null, answer: vocab.speakText(word) };
+            }
+            if (opts.layout === 'fold') {
+                return opts.direction === 'de' ?
+                    { prompt: vocab.speakText(word), answer: meaning(word, opts.lang) } :
+                    { prompt: meaning(word, opts.lang), answer: vocab.speakText(word) };
+            }
+            return { german: vocab.displayText(word), translit: word.translit,
+                english: word.english, hindi: word.hindi };
+        });
+    }
+
+    const api = { LAYOUTS: LAYOUTS, gapSentence: gapSentence, items: items };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    /* ---------- Printing ---------- */
+
+    const el = GermanStudy.el;
+
+    function row(tbody, cells) {
+        const tr = tbody.appendChild(el('tr'));
+        cells.forEach(cell => tr.appendChild(el('td', cell.className, cell.text)));
+        return tr;
+    }
+
+    function table(sheet, headings, className) {
+        const t = sheet.appendChild(el('table', 'worksheet-table ' + (className || '')));
+        const head = t.appendChild(el('thead')).appendChild(el('tr'));
+        headings.forEach(h => head.appendChild(el('th', null, h)));
+        return t.appendChild(el('tbody'));
+    }
+
+    function header(sheet, title, subtitle) {
+        sheet.appendChild(el('h1', 'worksheet-title', title));
+        const meta = sheet.appendChild(el('div', 'worksheet-meta'));
+        meta.appendChild(el('span', null, subtitle));
+        meta.appendChild(el('span', null, 'Name: ____________________   Date: ____________'));
+    }
+
+    function buildSheet(title, sections, words, options) {
+        const sheet = el('div', 'worksheet');
+        const list = items(words, options);
+        const langLabel = options.lang === 'hindi' ? 'Hindi' : 'English';
+        header(sheet, title, sections + ' · ' + list.length + ' words');
+
+        if (options.layout === 'list') {
+            const tbody = table(sheet, ['#', 'German', 'Pronunciation', 'English', 'Hindi']);
+            list.forEach((item, i) => row(tbody, [{ text: String(i + 1) }, { text: item.german, className: 'worksheet-de' },
+                { text: item.translit || '' }, { text: item.english || '' }, { text: item.hindi || '' }]));
+        } else if (options.layout === 'fold') {
+            const from = options.direction === 'de' ? 'German' : langLabel;
+            const to = options.direction === 'de' ? langLabel : 'German';
+            sheet.appendChild(el('p', 'worksheet-instructions',
+                'Fold along the dotted line to hide the ' + to + ' column, write your answers, then unfold to check.'));
+            const tbody = table(sheet, ['#', from, 'Your answer', to], 'worksheet-fold');
+            list.forEach((item, i) => row(tbody, [{ text: String(i + 1) }, { text: item.prompt },
+                { text: '', className: 'worksheet-write' }, { text: item.answer, className: 'worksheet-answer' }]));
+        } else {
+            sheet.appendChild(el('p', 'worksheet-instructions',
+                'Fill in each gap with the German word. Where there is no sentence, write the German word with its article.'));
+            const ol = sheet.appendChild(el('ol', 'worksheet-test'));
+            list.forEach(function(item) {
+                const li = ol.appendChild(el('li', null, item.prompt));
+                if (item.hint) li.appendChild(el('span', 'worksheet-hint', ' (' + item.hint + ')'));
+                else li.appendChild(el('span', 'worksheet-line', ' → ' + BLANK + BLANK));
+            });
+            const key = sheet.appendChild(el('div', 'worksheet-key'));
+            key.appendChild(el('h2', null, '🔑 Answer key - ' + title));
+            const answers = key.appendChild(el('ol'));
+            list.forEach(item => answers.appendChild(el('li', null, item.answer)));
+        }
+        return sheet;
+    }
+
+    function print(sheet) {
+        document.querySelectorAll('.worksheet').forEach(old => old.remove());
+        document.body.appendChild(sheet);
+        document.body.classList.add('worksheet-printing');
+        function done() {
+            window.removeEventListener('afterprint', done);
+            document.body.classList.remove('worksheet-printing');
+            sheet.remove();
+        }
+        window.addEventListener('afterprint', done);
+        window.print();
+    }
+
+    /* ---------- Dialog ---------- */
+
+    function choice(parent, labelText, values, selected) {
+        const label = parent.appendChild(el('label', 'worksheet-option'));
+        label.appendChild(el('span', null, labelText + ' '));
+        const select = label.appendChild(el('select'));
+        values.forEach(function(v) {
+            const option = select.appendChild(el('option', null, v.label));
+            option.value = v.id;
+        });
+        select.value = selected;
+        return select;
+    }
+
+    function open(table) {
+        const dialog = GermanStudy.openDialog('🖨 Worksheet - ' + table.title);
+        const form = dialog.body;
+
+        form.appendChild(el('h3', 'worksheet-heading', 'Sections'));
+        const boxes = form.appendChild(el('div', 'worksheet-sections'));
+        const checks = table.sections.map(function(item) {
+            const label = boxes.appendChild(el('label'));
+            const input = label.appendChild(el('input'));
+            input.type = 'checkbox';
+            input.checked = true;
+            label.appendChild(document.createTextNode(' ' + item.section.emoji + ' ' + item.section.title));
+            return { input: input, section: item.section };
+        });
+        const all = GermanStudy.button('All / none', 'study-btn worksheet-all', function() {
+            const on = !checks.every(c => c.input.checked);
+            checks.forEach(c => c.input.checked = on);
+        });
+        form.appendChild(all);
+
+        form.appendChild(el('h3', 'worksheet-heading', 'Layout'));
+        const layout = choice(form, 'Sheet', LAYOUTS, 'list');
+        const lang = choice(form, 'Meaning in', [{ id: 'english', label: 'English' }, { id: 'hindi', label: 'Hindi' }], 'english');
+        const direction = choice(form, 'Prompt', [{ id: 'de', label: 'German → meaning' }, { id: 'meaning', label: 'Meaning → German' }], 'de');
+        const limit = choice(form, 'Words', LIMITS.map(n => ({ id: String(n), label: n ? String(n) : 'All' })), '20');
+        form.appendChild(el('p', 'worksheet-tip', 'Tip: choose "Save as PDF" as the printer to get a PDF.'));
+
+        function sync() {
+            direction.parentNode.hidden = layout.value !== 'fold';
+            limit.parentNode.hidden = layout.value === 'list';
+        }
+        layout.addEventListener('change', sync);
+        sync();
+
+        dialog.actions.appendChild(GermanStudy.button('🖨 Print', 'study-btn', function() {
+            const chosen = checks.filter(c => c.input.checked);
+            if (!chosen.length) return;
+            const words = chosen.reduce((list, c) => list.concat(GermanVocab.words(table.page, c.section.id)), []);
+            const names = chosen.length === checks.length ? 'All sections' : chosen.map(c => c.section.title).join(', ');
+            const sheet = buildSheet(table.title, names, words, {
+                layout: layout.value,
+                lang: lang.value,
+                direction: direction.value,
+                limit: layout.value === 'list' ? 0 : Number(limit.value)
+            });
+            dialog.close();
+            print(sheet);
+        }));
+    }
+
+    GermanStudy.onTables(function(table) {
+        GermanStudy.toolbar(table.container).appendChild(GermanStudy.button('🖨 Worksheet', 'study-btn', () => open(table)));
+    });
+
+    api.open = open;
+    root.GermanWorksheet = api;
+})(typeof window !== 'undefined' ? window : this);
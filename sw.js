@@ -0,0 +1,69 @@
+/* ============================================
+   SERVICE WORKER
+   Makes the site an installable offline app when it is served over http(s)
+   (file:// and Android content:// pages cannot register one).
+
+   Install caches every file in data/precache.js under 'german-<version>';
+   activation deletes the caches of older versions. Requests are answered
+   from the cache first, so pages, word lists and scripts work without a
+   connection; anything not precached (e.g. recordings added later) is
+   cached the first time it loads. Query strings are ignored, and a
+   navigation to the folder itself gets index.html.
+
+   Registered by js/pwa.js. The file list is generated by tools/build.js.
+   ============================================ */
+'use strict';
+
+importScripts('data/precache.js');
+
+const PREFIX = 'german-';
+const CACHE = PREFIX + self.GermanPrecache.version;
+
+self.addEventListener('install', function(event) {
+    event.waitUntil(
+        caches.open(CACHE)
+            .then(cache => cache.addAll(self.GermanPrecache.files))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', function(event) {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(PREFIX) && key !== CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+function fromNetwork(request) {
+    return fetch(request).then(function(response) {
+        if (response.ok && response.type === 'basic') {
+            const copy = response.clone();
+            caches.open(CACHE).then(cache => cache.put(request, copy));
+        }
+        return response;
+    });
+}
+
+self.addEventListener('fetch', function(event) {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    const scope = new URL(self.registration.scope);
+    const isFolder = url.pathname === scope.pathname;
+    const lookup = isFolder ? new URL('index.html', scope).href : request;
+
+    event.respondWith(
+        caches.match(lookup, { ignoreSearch: true }).then(function(cached) {
+            if (cached) return cached;
+            return fromNetwork(request).catch(function(err) {
+                // Offline and never cached: land on the start page instead of an error
+                if (request.mode === 'navigate') return caches.match(new URL('index.html', scope).href);
+                throw err;
+            });
+        })
+    );
+});
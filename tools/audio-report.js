@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/* ============================================
+   AUDIO PACK COVERAGE REPORT
+   Lists every word the pages pronounce - speakGerman(...) calls in the HTML and
+   the vocabulary tables in data/ - that has no recording in audio/manifest.js,
+   plus manifest entries whose file is missing.
+
+   Usage:
+     node tools/audio-report.js            # per-page list of missing words
+     node tools/audio-report.js --summary  # counts only
+     node tools/audio-report.js --json     # machine-readable report
+   ============================================ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { normalize, fileName, buildIndex } = require('../js/audio-pack.js');
+const vocab = require('./vocab-data.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const SPEAK_CALL = /speakGerman\('((?:[^'\\]|\\.)*)'/g;
+
+function loadManifest() {
+    const file = path.join(ROOT, 'audio', 'manifest.js');
+    const sandbox = { window: {} };
+    vm.runInNewContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    return sandbox.window.GermanAudioManifest || {};
+}
+
+function pages() {
+    return fs.readdirSync(ROOT).filter(f => f.endsWith('.html')).sort();
+}
+
+// Unique spoken texts per page: inline calls first, then the page's word list
+function spokenTexts(page, html) {
+    const seen = new Map();
+    function add(text) {
+        const key = normalize(text);
+        if (key && !seen.has(key)) seen.set(key, text);
+    }
+    let match;
+    SPEAK_CALL.lastIndex = 0;
+    while ((match = SPEAK_CALL.exec(html))) {
+        add(match[1].replace(/\\(.)/g, '$1'));
+    }
+    vocab.spokenTexts(page.replace(/\.html$/, '')).forEach(add);
+    return seen;
+}
+
+function buildReport() {
+    const manifest = loadManifest();
+    const index = buildIndex(manifest);
+    const report = { total: 0, recorded: 0, pages: {}, brokenEntries: [] };
+    const counted = new Set();
+
+    pages().forEach(function(page) {
+        const texts = spokenTexts(page, fs.readFileSync(path.join(ROOT, page), 'utf8'));
+        const missing = [];
+        texts.forEach(function(text, key) {
+            if (!counted.has(key)) {
+                counted.add(key);
+                report.total++;
+                if (index.has(key)) report.recorded++;
+            }
+            if (!index.has(key)) missing.push({ text: text, file: 'audio/de/' + fileName(text) });
+        });
+        if (texts.size) report.pages[page] = { words: texts.size, missing: missing };
+    });
+
+    Object.keys(manifest).forEach(function(text) {
+        if (!fs.existsSync(path.join(ROOT, manifest[text]))) {
+            report.brokenEntries.push({ text: text, file: manifest[text] });
+        }
+    });
+    return report;
+}
+
+function printReport(report, summaryOnly) {
+    const pct = report.total ? (100 * report.recorded / report.total).toFixed(1) : '0.0';
+    console.log(`🔊 Audio pack coverage: ${report.recorded} / ${report.total} unique words recorded (${pct}%)\n`);
+
+    Object.keys(report.pages).forEach(function(page) {
+        const { words, missing } = report.pages[page];
+        console.log(`${page}: ${words - missing.length} / ${words} recorded, ${missing.length} missing`);
+        if (summaryOnly) return;
+        missing.forEach(m => console.log(`    ${m.text.padEnd(40)} -> ${m.file}`));
+    });
+
+    if (report.brokenEntries.length) {
+        console.log(`\n⚠️  ${report.brokenEntries.length} manifest entries point to missing files:`);
+        report.brokenEntries.forEach(e => console.log(`    ${e.text} -> ${e.file}`));
+    }
+}
+
+const args = process.argv.slice(2);
+const report = buildReport();
+if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+} else {
+    printReport(report, args.includes('--summary'));
+}
+process.exitCode = report.brokenEntries.length ? 1 : 0;
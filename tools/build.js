@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/* ============================================
+   PAGE BUILD
+   Generates the flat root pages (index.html, a1-650.html, ...) from source/.
+
+   Source pages link to each other and to assets with paths relative to their
+   own folder (../a2/a2.html, ../../css/theme.css). The build:
+     - rewrites those to root paths (a2.html, css/theme.css)
+     - replaces <!-- build:head --> with source/_shared/head.html
+     - replaces <!-- build:scripts --> with source/_shared/scripts.html
+     - replaces <!-- build:sidebar --> with source/_shared/sidebar.html, whose
+       links js/pages.js fills from its page registry
+   and writes each page to the repository root under its file name, then
+   regenerates the search index data/search-index.js from the built pages
+   and the service worker's offline file list data/precache.js.
+
+   Usage:
+     node tools/build.js          # write the root pages
+     node tools/build.js --check  # exit 1 if a root page or generated data is stale
+   ============================================ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const searchIndex = require('./search-index.js');
+const precache = require('./precache.js');
+const registry = require('../js/pages.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCE = path.join(ROOT, 'source');
+const SHARED = path.join(SOURCE, '_shared');
+const SEARCH_INDEX = path.join(ROOT, 'data', 'search-index.js');
+const PRECACHE = path.join(ROOT, precache.OUTPUT);
+
+const URL_ATTR = /\b(href|src)="([^"]*)"/g;
+const EXTERNAL = /^(?:[a-z][a-z0-9+.-]*:|#|\/)/i;
+const MARKER = /^([ \t]*)<!-- build:(\w+) -->[ \t]*$/gm;
+// Pages that stay out of the sidebar (js/pages.js)
+const UNLISTED = new Set(['OPEN_ME.html']);
+
+// Every source/**/*.html page except the shared partials
+function sourcePages(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(function(entry) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) return full === SHARED ? [] : sourcePages(full);
+        return entry.name.endsWith('.html') ? [full] : [];
+    });
+}
+
+function readPartials() {
+    const partials = {};
+    fs.readdirSync(SHARED).filter(f => f.endsWith('.html')).forEach(function(file) {
+        partials[path.basename(file, '.html')] = fs.readFileSync(path.join(SHARED, file), 'utf8').replace(/\n$/, '');
+    });
+    return partials;
+}
+
+// The sidebar registry and the source pages name the same files
+function checkRegistry(pageNames) {
+    const listed = new Set(registry.PAGES.map(page => page.file));
+    const missing = registry.PAGES.filter(page => !pageNames.has(page.file)).map(page => page.file);
+    if (missing.length) throw new Error(`js/pages.js lists pages with no source: ${missing.join(', ')}`);
+    const unlisted = [...pageNames].filter(name => !listed.has(name) && !UNLISTED.has(name));
+    if (unlisted.length) throw new Error(`Pages missing from the registry in js/pages.js: ${unlisted.join(', ')}`);
+}
+
+// Root-relative URL for a link written relative to the source page
+function rewriteUrl(value, sourceFile, pageNames) {
+    if (!value || EXTERNAL.test(value)) return value;
+    const [, target, suffix] = value.match(/^([^?#]*)(.*)$/);
+    const resolved = path.resolve(path.dirname(sourceFile), target);
+
+    if (resolved.startsWith(SOURCE + path.sep) && resolved.endsWith('.html')) {
+        const name = path.basename(resolved);
+        if (!pageNames.has(name)) {
+            throw new Error(`${path.relative(ROOT, sourceFile)} links to missing page ${value}`);
+        }
+        return name + suffix;
+    }
+    return path.relative(ROOT, resolved).split(path.sep).join('/') + suffix;
+}
+
+function buildPage(sourceFile, partials, pageNames) {
+    const html = fs.readFileSync(sourceFile, 'utf8');
+    return html
+        .replace(URL_ATTR, (all, attr, value) => `${attr}="${rewriteUrl(value, sourceFile, pageNames)}"`)
+        .replace(MARKER, function(all, indent, name) {
+            if (!(name in partials)) {
+                throw new Error(`${path.relative(ROOT, sourceFile)}: no partial for <!-- build:${name} -->`);
+            }
+            return partials[name].split('\n').map(line => line ? indent + line : line).join('\n');
+        });
+}
+
+function build(checkOnly) {
+    const files = sourcePages(SOURCE);
+    const pageNames = new Set(files.map(f => path.basename(f)));
+    if (pageNames.size !== files.length) throw new Error('Two source pages share a file name');
+    checkRegistry(pageNames);
+
+    const partials = readPartials();
+    const stale = [];
+    files.forEach(function(sourceFile) {
+        const name = path.basename(sourceFile);
+        const output = path.join(ROOT, name);
+        const html = buildPage(sourceFile, partials, pageNames);
+        const current = fs.existsSync(output) ? fs.readFileSync(output, 'utf8') : null;
+
+        if (current === html) return;
+        stale.push(name);
+        if (!checkOnly) fs.writeFileSync(output, html);
+    });
+
+    // The precache list hashes every file, so it goes last
+    [[SEARCH_INDEX, searchIndex.generate], [PRECACHE, precache.generate]].forEach(function([file, generate]) {
+        const content = generate();
+        if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === content) return;
+        stale.push(path.relative(ROOT, file));
+        if (!checkOnly) fs.writeFileSync(file, content);
+    });
+
+    if (checkOnly && stale.length) {
+        console.error(`❌ ${stale.length} generated file(s) differ from source/: ${stale.join(', ')}`);
+        console.error('   Run `node tools/build.js` and commit the result.');
+        process.exitCode = 1;
+    } else if (checkOnly) {
+        console.log(`✅ ${files.length} root pages match source/`);
+    } else {
+        console.log(`🔨 Built ${files.length} pages (${stale.length} files changed)`);
+    }
+}
+
+build(process.argv.includes('--check'));
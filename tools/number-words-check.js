@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/* ============================================
+   NUMBER WORD FIXTURES
+   Checks js/number-words.js: numbers spelled out and read back
+   (toWords/parse round trips), and dates that do and do not exist.
+
+   Usage:
+     node tools/number-words-check.js   # exit 1 if any fixture fails
+   ============================================ */
+'use strict';
+
+const numbers = require('../js/number-words.js');
+
+// [number, German words]; parse() must read the words back
+const ROUND_TRIPS = [
+    [0, 'null'],
+    [1, 'eins'],
+    [21, 'einundzwanzig'],
+    [101, 'einhunderteins'],
+    [4738, 'viertausendsiebenhundertachtunddreißig'],
+    [101000, 'einhunderteintausend'],
+    [1000000, 'eine Million'],
+    [21000000, 'einundzwanzig Millionen'],
+    // "eine" in front of Millionen/Milliarden, not "eins"
+    [101000000, 'einhunderteine Millionen'],
+    [201000000000, 'zweihunderteine Milliarden'],
+    [1001001001, 'eine Milliarde eine Million eintausendeins'],
+    [-5, 'minus fünf']
+];
+
+// [date, German words, or null when the date must be rejected]
+const DATES = [
+    ['3.10.1990', 'der dritte Oktober neunzehnhundertneunzig'],
+    ['2024-02-29', 'der neunundzwanzigste Februar zweitausendvierundzwanzig'],
+    ['29.2.2000', 'der neunundzwanzigste Februar zweitausend'],
+    ['31.12.1999', 'der einunddreißigste Dezember neunzehnhundertneunundneunzig'],
+    ['31.2.2020', null],
+    ['30.2.2024', null],
+    ['29.2.2023', null],
+    ['29.2.1900', null],
+    ['31.4.2021', null],
+    ['2021-06-31', null],
+    ['0.1.2020', null],
+    ['1.13.2020', null]
+];
+
+let failed = 0;
+let total = 0;
+
+function check(name, ok, detail) {
+    total++;
+    if (ok) return;
+    failed++;
+    console.error('❌ ' + name + (detail ? '\n   ' + detail : ''));
+}
+
+ROUND_TRIPS.forEach(function([n, words]) {
+    const spelled = numbers.toWords(n);
+    check('toWords(' + n + ')', spelled === words, 'expected "' + words + '", got "' + spelled + '"');
+    const parsed = numbers.parse(words);
+    check('parse("' + words + '")', parsed === n, 'expected ' + n + ', got ' + parsed);
+});
+
+DATES.forEach(function([date, words]) {
+    let actual;
+    try {
+        actual = numbers.dateToWords(date);
+    } catch (e) {
+        actual = e instanceof RangeError ? null : e.message;
+    }
+    check('dateToWords("' + date + '")', actual === words,
+        'expected ' + (words ? '"' + words + '"' : 'RangeError') + ', got ' + (actual ? '"' + actual + '"' : 'RangeError'));
+});
+
+if (failed) {
+    console.error(`❌ ${failed} of ${total} number word fixtures failed`);
+    process.exitCode = 1;
+} else {
+    console.log(`✅ ${total} number word fixtures pass`);
+}
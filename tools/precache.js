@@ -0,0 +1,55 @@
+/* ============================================
+   SERVICE WORKER PRECACHE LIST
+   Lists every file the installed app needs offline - the root pages, css/,
+   js/, data/, the audio manifest and recordings, the web app manifest and
+   icons - into data/precache.js, which sw.js imports:
+
+     self.GermanPrecache = { "version": "3f2a9c01d4", "files": ["a1-650.html", ...] };
+
+   The version is a hash of all those files, so any change to the site
+   gives the service worker a new cache and the old one is dropped.
+
+   Generated by tools/build.js; `node tools/build.js --check` fails if stale.
+   ============================================ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = 'data/precache.js';
+const FOLDERS = ['css', 'js', 'data', 'audio', 'icons'];
+const ROOT_FILES = /\.(html|webmanifest)$/;
+
+function walk(dir) {
+    const full = path.join(ROOT, dir);
+    if (!fs.existsSync(full)) return [];
+    return fs.readdirSync(full, { withFileTypes: true }).flatMap(function(entry) {
+        const rel = dir + '/' + entry.name;
+        return entry.isDirectory() ? walk(rel) : [rel];
+    });
+}
+
+// Root-relative paths, sorted so the output is stable
+function files() {
+    const rootFiles = fs.readdirSync(ROOT).filter(name => ROOT_FILES.test(name));
+    return rootFiles.concat(...FOLDERS.map(walk))
+        .filter(file => file !== OUTPUT && !file.endsWith('.md'))
+        .sort();
+}
+
+function generate() {
+    const list = files();
+    const hash = crypto.createHash('sha1');
+    list.forEach(function(file) {
+        hash.update(file + '\0');
+        hash.update(fs.readFileSync(path.join(ROOT, file)));
+    });
+    return '/* Offline file list for sw.js - generated by tools/build.js, do not edit. */\n' +
+        'self.GermanPrecache = {\n' +
+        '"version": ' + JSON.stringify(hash.digest('hex').slice(0, 10)) + ',\n' +
+        '"files": [\n' + list.map(file => JSON.stringify(file)).join(',\n') + '\n]\n};\n';
+}
+
+module.exports = { OUTPUT: OUTPUT, files: files, generate: generate };
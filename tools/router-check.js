@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/* ============================================
+   ROUTER FIXTURES
+   Checks js/router.js against the page URLs the old inline getBasePath
+   regexes tried to handle (Android content:// variants, file:// paths,
+   Windows temp folders) plus plain http(s) and #section deep links.
+
+   Usage:
+     node tools/router-check.js   # exit 1 if any fixture fails
+   ============================================ */
+'use strict';
+
+const router = require('../js/router.js');
+
+// [page URL, link href, expected target (null = leave to the browser)]
+const FIXTURES = [
+    // Served over http(s), also the installed app
+    ['https://example.org/german/index.html', 'a2.html', 'https://example.org/german/a2.html'],
+    ['https://example.org/german/', 'grammar.html', 'https://example.org/german/grammar.html'],
+    ['http://localhost:8000/index.html?from=app', 'a1-650.html', 'http://localhost:8000/a1-650.html'],
+    ['http://localhost:8000/a2.html#Food', 'numbers.html', 'http://localhost:8000/numbers.html'],
+
+    // Deep links keep their hash and query
+    ['https://example.org/german/index.html', 'grammar.html#gender-rules', 'https://example.org/german/grammar.html#gender-rules'],
+    ['https://example.org/german/index.html', 'a2.html#row=a2-0042', 'https://example.org/german/a2.html#row=a2-0042'],
+    ['https://example.org/german/index.html', 'a2.html?level=A2#Food', 'https://example.org/german/a2.html?level=A2#Food'],
+
+    // Opened from disk
+    ['file:///storage/emulated/0/german/index.html', 'a2.html', 'file:///storage/emulated/0/german/a2.html'],
+    ['file:///D:/german/index.html', 'grammar.html#gender-rules', 'file:///D:/german/grammar.html#gender-rules'],
+    ['file:///home/me/German%20course/index.html', 'a2.html', 'file:///home/me/German%20course/a2.html'],
+    // Windows mail/browser temp folders: stay in the folder the page is in
+    // (getBasePath sent these to a hard-coded file:///D:/german/)
+    ['file:///C:/Users/me/AppData/Local/Microsoft/Windows/INetCache/Content.Outlook/X1/index.html', 'a2.html',
+        'file:///C:/Users/me/AppData/Local/Microsoft/Windows/INetCache/Content.Outlook/X1/a2.html'],
+
+    // Android content:// with a plain path
+    ['content://com.android.chrome.FileProvider/downloads/german/index.html', 'a2.html',
+        'content://com.android.chrome.FileProvider/downloads/german/a2.html'],
+    ['content://media/external/file/12345/german/index.html', 'numbers.html#Zahlen',
+        'content://media/external/file/12345/german/numbers.html#Zahlen'],
+    // ... with the folder percent-encoded into one segment
+    ['content://com.android.externalstorage.documents/document/primary%3Agerman%2Findex.html', 'a2.html',
+        'content://com.android.externalstorage.documents/document/primary%3Agerman%2Fa2.html'],
+    ['content://com.android.externalstorage.documents/document/primary%3ADownload%2Fgerman%2Fa2.html', 'grammar.html#gender-rules',
+        'content://com.android.externalstorage.documents/document/primary%3ADownload%2Fgerman%2Fgrammar.html#gender-rules'],
+    // ... wrapping a file:// path (getBasePath dropped its first folder)
+    ['content://com.mi.android.globalFileexplorer.myprovider/external_files/file:///storage/emulated/0/german/index.html', 'a2.html',
+        'file:///storage/emulated/0/german/a2.html'],
+    ['content://com.estrongs.files/file%3A%2F%2F%2Fstorage%2Femulated%2F0%2Fgerman%2Findex.html', 'clusters.html',
+        'file:///storage/emulated/0/german/clusters.html'],
+
+    // Links the browser handles itself
+    ['content://com.android.chrome.FileProvider/downloads/german/index.html', '#top', null],
+    ['file:///D:/german/index.html', 'https://www.goethe.de/', null],
+    ['file:///D:/german/index.html', 'mailto:someone@example.org', null],
+    ['file:///D:/german/index.html', 'css/theme.css', null],
+    ['file:///D:/german/index.html', '', null]
+];
+
+let failed = 0;
+FIXTURES.forEach(function([page, href, expected]) {
+    let actual;
+    try {
+        actual = router.resolve(href, page);
+    } catch (err) {
+        actual = 'Error: ' + err.message;
+    }
+    if (actual === expected) return;
+    failed++;
+    console.error(`❌ ${JSON.stringify(href)} from ${page}\n   expected ${expected}\n   got      ${actual}`);
+});
+
+if (failed) {
+    console.error(`❌ ${failed} of ${FIXTURES.length} router fixtures failed`);
+    process.exitCode = 1;
+} else {
+    console.log(`✅ ${FIXTURES.length} router fixtures pass`);
+}
@@ -0,0 +1,129 @@
+/* ============================================
+   SEARCH INDEX
+   Collects every German / English / Hindi table cell on the root pages into
+   data/search-index.js for the sidebar search (js/search.js).
+
+   Rows come from two places:
+     - vocabulary tables rendered from data/*.js   anchor = word id (of the
+                                                   pair's row on words-opposites)
+     - static <table>s in the page HTML            anchor = t<table>-r<row>
+   Static tables are counted in document order outside [data-vocab]
+   containers, rows counted only when they have <td> cells, so the browser
+   finds the same row from the anchor.
+
+   Entry: [page, anchor, german, english, hindi, pronunciation, section]
+
+   Generated by tools/build.js; `node tools/build.js --check` fails if stale.
+   ============================================ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vocab = require('./vocab-data.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEVANAGARI = /[ऀ-ॿ]/;
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function text(html) {
+    return html
+        .replace(/<br\s*\/?>/gi, ' ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(#\d+|#x[0-9a-f]+|\w+);/gi, function(all, name) {
+            if (name[0] === '#') {
+                const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return ENTITIES[name.toLowerCase()] || all;
+        })
+        .replace(/🔊/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function pageTitle(html, page) {
+    const data = vocab.page(page);
+    if (data) return data.title;
+    const match = html.match(/<title>([^<]*)<\/title>/);
+    return match ? text(match[1]).split(' - ')[0] : page;
+}
+
+// In the pairs layout the second word of a pair shares its partner's row,
+// so it is anchored to that row's word id (the same walk as js/vocab.js)
+function vocabRows(page) {
+    const data = vocab.page(page);
+    if (!data) return [];
+    return data.sections.reduce(function(rows, section) {
+        const rowOf = new Map();
+        vocab.rowWords(data, section).forEach(function(word) {
+            rowOf.set(word.id, word.id);
+            if (data.layout === 'pairs' && word.opposite) rowOf.set(word.opposite, word.id);
+        });
+        return rows.concat(vocab.words(page, section.id).map(word => [
+            page, rowOf.get(word.id) || word.id, vocab.displayText(word), word.english || '', word.hindi || '', word.translit || '', section.title
+        ]));
+    }, []);
+}
+
+// Static table rows: German cells carry a 🔊 button or a German class, Hindi
+// cells are Devanagari, everything else with letters counts as English.
+function staticRows(page, html) {
+    const rows = [];
+    const body = html.replace(/<script\b[\s\S]*?<\/script>/gi, '').replace(/<!--[\s\S]*?-->/g, '');
+    const tableRe = /<table\b[\s\S]*?<\/table>/gi;
+    let heading = '';
+    let last = 0;
+    let tableIndex = 0;
+    let table;
+
+    while ((table = tableRe.exec(body))) {
+        const before = body.slice(last, table.index);
+        const headings = before.match(/<h[1-4]\b[^>]*>[\s\S]*?<\/h[1-4]>/gi);
+        if (headings) heading = text(headings[headings.length - 1]);
+        last = tableRe.lastIndex;
+
+        let rowIndex = 0;
+        (table[0].match(/<tr\b[\s\S]*?<\/tr>/gi) || []).forEach(function(tr) {
+            const cells = tr.match(/<td\b[^>]*>[\s\S]*?<\/td>/gi);
+            if (!cells) return;
+            const fields = { de: [], en: [], hi: [] };
+            cells.forEach(function(cell) {
+                const value = text(cell);
+                if (!value || !/\p{L}/u.test(value)) return;
+                if (/speakGerman\(|class="[^"]*\b(german|german-word|col-de)\b/.test(cell)) fields.de.push(value);
+                else if (DEVANAGARI.test(value)) fields.hi.push(value);
+                else fields.en.push(value);
+            });
+            if (fields.de.length || fields.en.length || fields.hi.length) {
+                rows.push([page, 't' + tableIndex + '-r' + rowIndex,
+                    fields.de.join(' · '), fields.en.join(' · '), fields.hi.join(' · '), '', heading]);
+            }
+            rowIndex++;
+        });
+        tableIndex++;
+    }
+    return rows;
+}
+
+// Contents of data/search-index.js
+function generate() {
+    const files = fs.readdirSync(ROOT).filter(f => f.endsWith('.html')).sort();
+    const pages = {};
+    let rows = [];
+    files.forEach(function(file) {
+        const page = file.replace(/\.html$/, '');
+        const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        const pageRows = vocabRows(page).concat(staticRows(page, html));
+        if (!pageRows.length) return;
+        pages[page] = pageTitle(html, page);
+        rows = rows.concat(pageRows);
+    });
+
+    return '/* Search index for js/search.js - generated by tools/build.js, do not edit.\n' +
+        '   rows: [page, anchor, german, english, hindi, pronunciation, section] */\n' +
+        'window.GermanSearchIndex = {\n' +
+        '"pages": ' + JSON.stringify(pages) + ',\n' +
+        '"rows": [\n' + rows.map(row => JSON.stringify(row)).join(',\n') + '\n]\n};\n';
+}
+
+module.exports = { generate: generate };
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/* ============================================
+   SPEAKING FIXTURES
+   Checks the scoring of js/speaking.js against fixed recognizer
+   transcripts, then runs attempts through a fake recognizer (the adapter
+   GermanSpeaking.setRecognizer takes in the browser) and the browser
+   adapter through a fake SpeechRecognition.
+
+   Usage:
+     node tools/speaking-check.js   # exit 1 if any fixture fails
+   ============================================ */
+'use strict';
+
+const speaking = require('../js/speaking.js');
+
+// [expected word, transcripts (best first), score, grade class]
+const FIXTURES = [
+    ['der Apfel', ['der Apfel'], 1, 'say-perfect'],
+    ['der Apfel', ['Apfel'], 1, 'say-perfect'],              // article optional
+    ['Guten Morgen', ['guten Morgen!'], 1, 'say-perfect'],   // case, punctuation
+    ['Käse', ['Kaese'], 1, 'say-perfect'],                   // ä / ae
+    ['die Straße', ['die Strasse'], 1, 'say-perfect'],       // ß / ss
+    ['Apfel', ['Affe', 'Apfel'], 1, 'say-perfect'],          // best alternative counts
+    ['Brötchen', ['Brotchen'], 0.89, 'say-close'],
+    ['Entschuldigung', ['Entschuldigen'], 0.86, 'say-close'],
+    ['Apfel', ['Tisch'], 0, 'say-retry'],
+    ['Wasser', [], 0, 'say-retry']                            // nothing heard
+];
+
+// A recognizer that hears the given transcripts, or fails with error
+function fakeRecognizer(transcripts, error) {
+    return {
+        listen: () => error ? Promise.reject(new Error(error)) : Promise.resolve(transcripts),
+        abort: () => {}
+    };
+}
+
+// A SpeechRecognition stand-in that never hears anything; abort() ends
+// the recognition on a later tick, as browsers do
+function FakeRecognition() {
+    FakeRecognition.started.push(this);
+}
+FakeRecognition.started = [];
+FakeRecognition.prototype.start = function() {};
+FakeRecognition.prototype.abort = function() {
+    this.aborted = true;
+    setTimeout(() => {
+        this.onerror({ error: 'aborted' });
+        this.onend();
+    });
+};
+
+let failed = 0;
+let total = 0;
+
+function check(name, ok, detail) {
+    total++;
+    if (ok) return;
+    failed++;
+    console.error('❌ ' + name + (detail ? '\n   ' + detail : ''));
+}
+
+FIXTURES.forEach(function([expected, transcripts, score, className]) {
+    const actual = speaking.similarity(expected, transcripts);
+    const grade = speaking.grade(actual);
+    check(JSON.stringify(expected) + ' heard as ' + JSON.stringify(transcripts),
+        Math.abs(actual - score) < 0.005 && grade.className === className,
+        'expected ' + score + ' (' + className + '), got ' + actual.toFixed(3) + ' (' + grade.className + ')');
+});
+
+// One attempt each way through the adapter, and the record it leaves
+Promise.all([
+    speaking.attempt(fakeRecognizer(['Affe', 'der Apfel']), 'der Apfel').then(function(result) {
+        check('attempt: scored', result.score === 1 && result.grade.className === 'say-perfect' &&
+            result.transcripts[0] === 'Affe', JSON.stringify(result));
+        const attempts = speaking.record(speaking.record({}, 'a1-650-0001', 0.5), 'a1-650-0001', result.score);
+        check('attempt: recorded', JSON.stringify(attempts['a1-650-0001']) === '{"tries":2,"best":1,"last":1}',
+            JSON.stringify(attempts));
+    }),
+    speaking.attempt(fakeRecognizer(null, 'no-speech'), 'der Apfel').then(
+        () => check('attempt: no-speech rejects', false, 'resolved'),
+        err => check('attempt: no-speech rejects', err.message === 'no-speech', err.message)),
+    // The first recognition ends after the second started: abort() must
+    // still reach the second
+    (function() {
+        const browser = speaking.browserRecognizer('de-DE', FakeRecognition);
+        const first = browser.listen();
+        browser.abort();
+        const second = browser.listen();
+        second.catch(() => {});
+        return first.catch(err => check('browser: abort rejects', err.message === 'aborted', err.message)).then(function() {
+            browser.abort();
+            check('browser: late onend keeps the current recognition', FakeRecognition.started[1].aborted === true);
+        });
+    })()
+]).then(function() {
+    if (failed) {
+        console.error(`❌ ${failed} of ${total} speaking fixtures failed`);
+        process.exitCode = 1;
+    } else {
+        console.log(`✅ ${total} speaking fixtures pass`);
+    }
+});
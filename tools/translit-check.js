@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/* ============================================
+   TRANSLITERATION CHECK
+   Runs js/translit.js over a fixed corpus of words that carry one
+   clusters.html rule each, then over every word of numbers.html and
+   compares the result with the page's hand-written "Pronunciation (Hindi)"
+   column.
+
+   The hand-written column is not consistent with itself (zwei त्स्वाई but
+   dreizehn ड्राइट्सेन, ach-Laut and final devoicing written either way), so
+   the comparison is loose: nukta, vowel length, न्/ं and ॉ/ो/ै/े are
+   folded before the edit distance is taken. The check fails when the
+   average similarity drops below MIN_SIMILARITY (it is about 0.9 now; the
+   rest is mostly -ig, which the column writes ग and clusters.html इख).
+
+   Usage:
+     node tools/translit-check.js            # corpus + numbers.html
+     node tools/translit-check.js a2         # compare another page's column
+     node tools/translit-check.js --verbose  # list every differing word
+   ============================================ */
+'use strict';
+
+const translit = require('../js/translit.js').translit;
+const vocab = require('./vocab-data.js');
+
+const MIN_SIMILARITY = 0.85;
+const WORST = 10;
+
+// [German, expected] - one rule per line
+const CORPUS = [
+    ['Schule', 'शुले'],                 // sch -> श
+    ['schlafen', 'श्लाफेन'],
+    ['Stadt', 'श्टाट'],                  // st at the start, dt -> t
+    ['Straße', 'श्ट्रासे'],              // ß stays स
+    ['Sport', 'श्पोर्ट'],                // sp at the start
+    ['beste', 'बेस्टे'],                 // st in the middle
+    ['ich', 'इख'],                      // ch
+    ['Buch', 'बुख'],
+    ['Licht', 'लिख्ट'],
+    ['sechs', 'ज़ेक्स'],                 // chs -> ks, s before a vowel -> ज़
+    ['Chef', 'शेफ'],                    // Ch- before e/i
+    ['Chor', 'कोर'],                    // Ch- before other letters
+    ['König', 'कोनिख'],                 // final -ig
+    ['Geschwindigkeit', 'गेश्विंडिख्काइट'],
+    ['Tag', 'टाक'],                     // final devoicing
+    ['Hund', 'हुंट'],
+    ['gelb', 'गेल्प'],
+    ['Abfahrt', 'आप्फार्ट'],
+    ['Handlung', 'हांड्लुंग'],           // d stays before l
+    ['Bücher', 'ब्यूखर'],               // ü, final -er
+    ['schön', 'शोन'],                   // ö
+    ['Mädchen', 'मेट्खेन'],             // ä
+    ['Häuser', 'हॉयज़र'],               // äu
+    ['neun', 'नॉयन'],                   // eu
+    ['Haus', 'हाउस'],                   // au
+    ['zwei', 'त्स्वाई'],                 // zw, final ei
+    ['eins', 'आइंस'],
+    ['vier', 'फीर'],                    // v -> फ, ie
+    ['November', 'नोवेम्बर'],           // v between vowels
+    ['Katze', 'कात्से'],                 // tz
+    ['Zug', 'त्सुक'],                    // z
+    ['Quelle', 'क्वेले'],                // qu, ll
+    ['Theater', 'टेआटर'],              // th
+    ['Philosophie', 'फिलोज़ोफी'],       // ph
+    ['Pferd', 'प्फेर्ट'],                // pf
+    ['Flagge', 'फ्लागे'],                // gg, bb stay voiced
+    ['Ebbe', 'एबे'],
+    ['Knie', 'क्नी'],                    // kn
+    ['Rhein', 'राइन'],                  // rh
+    ['Deutsch', 'डॉयच'],               // tsch
+    ['Deutschland', 'डॉयच्लांट'],
+    ['Entschuldigung', 'एंट्शुल्डिगुंग'],   // t|sch where two parts meet
+    ['Zeitschrift', 'त्साइट्श्रिफ्ट'],
+    ['verstehen', 'फेर्श्टेएन'],          // st/sp at the start of a part
+    ['Frühstück', 'फ्र्यूश्ट्यूक'],
+    ['bestellen', 'बेश्टेलेन'],
+    ['Ausstellung', 'आउस्श्टेलुंग'],
+    ['erste', 'एर्स्टे'],                 // but not in -ste, -stern
+    ['gestern', 'गेस्टेर्न'],
+    ['Handy', 'हांडी'],                  // final y
+    ['Baby', 'बाबी'],
+    ['Hobbys', 'होबीस'],
+    ['Party', 'पार्टी'],
+    ['typisch', 'ट्यूपिश'],               // y -> ü
+    ['aktiv', 'आक्टिफ'],                 // final v
+    ['passiv', 'पासिफ'],
+    ['Jahr', 'यार'],                    // j, h after a vowel
+    ['Uhr', 'ऊर'],
+    ['gehen', 'गेएन'],
+    ['Lehrer', 'लेरर'],
+    ['der', 'डेर'],                     // one vowel: no schwa
+    ['also', 'आल्ज़ो'],                  // s after l
+    ['Versicherung', 'फेर्ज़िखेरुंग'],
+    ['einundzwanzig', 'आइनउंटत्स्वांत्सिख'],   // number words part by part
+    ['dreihundert', 'ड्राईहुंडेर्ट'],
+    ['das Kind (A1)', 'डास किंट (A1)']  // text around words is kept
+];
+
+// Spelling differences that do not change how the word is read here
+function fold(text) {
+    return String(text)
+        .replace(/़/g, '')                        // nukta: ज़ -> ज
+        .replace(/[नङ]्(?=[क-ह])/g, 'ं')   // न्त -> ंत
+        .replace(/ट्स/g, 'त्स')                   // z is written both ways
+        .replace(/्/g, '')                        // with or without virama: आख्ट, आखट
+        .replace(/ी/g, 'ि').replace(/ई/g, 'इ')
+        .replace(/ू/g, 'ु').replace(/ऊ/g, 'उ')
+        .replace(/ॉ/g, 'ो').replace(/ऑ/g, 'ओ')
+        .replace(/ै/g, 'े').replace(/ऐ/g, 'ए')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function distance(a, b) {
+    const x = Array.from(a);
+    const y = Array.from(b);
+    let row = Array.from({ length: y.length + 1 }, (_, j) => j);
+    x.forEach(function(cx, i) {
+        const next = [i + 1];
+        y.forEach((cy, j) => next.push(Math.min(row[j + 1] + 1, next[j] + 1, row[j] + (cx === cy ? 0 : 1))));
+        row = next;
+    });
+    return row[y.length];
+}
+
+function similarity(a, b) {
+    const longest = Math.max(Array.from(a).length, Array.from(b).length);
+    return longest ? 1 - distance(a, b) / longest : 1;
+}
+
+function checkCorpus() {
+    let failed = 0;
+    CORPUS.forEach(function([german, expected]) {
+        const actual = translit(german);
+        if (actual === expected) return;
+        failed++;
+        console.log('❌ ' + german + ': ' + actual + ' (expected ' + expected + ')');
+    });
+    console.log((failed ? '❌ ' : '✅ ') + (CORPUS.length - failed) + ' / ' + CORPUS.length + ' corpus words');
+    return failed === 0;
+}
+
+function comparePage(page, verbose) {
+    const rows = vocab.words(page)
+        .filter(word => word.translit)
+        .map(function(word) {
+            const german = vocab.speakText(word);
+            const actual = translit(german);
+            // "zweite / zweiter", "टाउज़ेंट / आइन टाउज़ेंट": each form against the closest spelling
+            const spellings = word.translit.split(' / ').map(fold);
+            const forms = actual.split(' / ').map(fold);
+            const score = forms.reduce((sum, form) => sum + Math.max(...spellings.map(s => similarity(form, s))), 0) / forms.length;
+            return { german: german, expected: word.translit, actual: actual, score: score };
+        });
+    if (!rows.length) {
+        console.log('⚠️ ' + page + ': no hand-written transliterations');
+        return true;
+    }
+    const exact = rows.filter(row => row.actual === row.expected).length;
+    const close = rows.filter(row => row.score === 1).length;
+    const average = rows.reduce((sum, row) => sum + row.score, 0) / rows.length;
+    const ok = average >= MIN_SIMILARITY;
+
+    rows.sort((a, b) => a.score - b.score)
+        .filter(row => row.score < 1)
+        .slice(0, verbose ? rows.length : WORST)
+        .forEach(row => console.log('   ' + row.score.toFixed(2) + '  ' + row.german + ': ' + row.actual + ' / ' + row.expected));
+    console.log((ok ? '✅ ' : '❌ ') + page + ': ' + rows.length + ' words, ' + exact + ' identical, ' + close +
+        ' equal after folding, average similarity ' + average.toFixed(3) + ' (min ' + MIN_SIMILARITY + ')');
+    return ok;
+}
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const pages = args.filter(arg => !arg.startsWith('--'));
+let ok = checkCorpus();
+(pages.length ? pages : ['numbers']).forEach(function(page) {
+    ok = comparePage(page, verbose) && ok;
+});
+process.exit(ok ? 0 : 1);
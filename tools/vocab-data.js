@@ -0,0 +1,42 @@
+/* ============================================
+   VOCABULARY DATA FOR NODE TOOLS
+   Loads every data/<page>.js word list into the same registry the pages use
+   (js/vocab.js), so tools see exactly what the tables render.
+
+   const vocab = require('./vocab-data.js');
+   vocab.pages()            -> ['a1-650', 'a1-pdf', ...]
+   vocab.words('a2')        -> word records
+   vocab.spokenTexts('a2')  -> every string the page's 🔊 buttons pronounce
+   ============================================ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const GermanVocab = require('../js/vocab.js');
+
+const DATA_DIR = path.resolve(__dirname, '..', 'data');
+// Word lists only; the search index and drill paradigms live in data/ too
+fs.readdirSync(DATA_DIR).filter(f => f.endsWith('.js')).sort().forEach(function(file) {
+    const full = path.join(DATA_DIR, file);
+    const source = fs.readFileSync(full, 'utf8');
+    if (!source.includes('GermanVocab.register(')) return;
+    vm.runInNewContext(source, { GermanVocab: GermanVocab }, { filename: full });
+});
+
+// Section headings, words and example sentences, in table order
+function spokenTexts(page) {
+    const data = GermanVocab.page(page);
+    if (!data) return [];
+    const texts = [];
+    data.sections.forEach(function(section) {
+        if (section.german) texts.push(section.german);
+        GermanVocab.words(page, section.id).forEach(function(word) {
+            texts.push(GermanVocab.speakText(word));
+            if (word.example) texts.push(word.example.speak || word.example.german);
+        });
+    });
+    return texts;
+}
+
+module.exports = Object.assign({ spokenTexts: spokenTexts }, GermanVocab);